@@ -12,6 +12,13 @@ export const AccountProfilesCollection = new Mongo.Collection('accountProfiles')
  *   maxBonds: Number,           // 0-100 (max % for Bonds and similar)
  *   maxEquities: Number,        // 0-100 (max % for Equities and similar)
  *   maxAlternative: Number,     // 0-100 (max % for Alternative investments)
+ *   benchmarkId: String,        // Built-in benchmark key or Benchmarks _id (optional,
+ *                               // defaults to the template's benchmarkId)
+ *   riskLimits: {               // Risk thresholds in % (optional, each key defaults to
+ *     maxVolatility, maxDrawdown,   // DEFAULT_RISK_LIMITS; null disables the check)
+ *     maxVar95, maxVar99,
+ *     maxSingleNameWeight, maxIssuerWeight, maxUnderlyingWeight
+ *   },
  *   lastUpdated: Date,
  *   updatedBy: String           // userId who made the change
  * }
@@ -102,44 +109,74 @@ export const getBreakdownKeyForAssetType = (assetType, capitalProtected) => {
 };
 
 // Predefined profile templates
+// benchmarkId is the default benchmark (see benchmarks.js) for accounts using the template
 export const PROFILE_TEMPLATES = {
   'flexible-security': {
     name: 'Flexible Security',
     maxCash: 100,
     maxBonds: 100,
     maxEquities: 0,
-    maxAlternative: 0
+    maxAlternative: 0,
+    benchmarkId: 'composite-security'
   },
   'flexible-conservative': {
     name: 'Flexible Conservative',
     maxCash: 100,
     maxBonds: 100,
     maxEquities: 30,
-    maxAlternative: 0
+    maxAlternative: 0,
+    benchmarkId: 'composite-conservative'
   },
   'flexible-balanced': {
     name: 'Flexible Balanced',
     maxCash: 100,
     maxBonds: 75,
     maxEquities: 50,
-    maxAlternative: 25
+    maxAlternative: 25,
+    benchmarkId: 'composite-balanced'
   },
   'flexible-dynamic': {
     name: 'Flexible Dynamic',
     maxCash: 100,
     maxBonds: 100,
     maxEquities: 100,
-    maxAlternative: 100
+    maxAlternative: 100,
+    benchmarkId: 'composite-dynamic'
   },
   'flexible': {
     name: 'Flexible',
     maxCash: 0,
     maxBonds: 0,
     maxEquities: 0,
-    maxAlternative: 0
+    maxAlternative: 0,
+    benchmarkId: 'composite-balanced'
   }
 };
 
+// Risk thresholds (percent) flagged on the RM dashboard, see PortfolioRiskHelpers
+// Volatility is annualized, VaR is the 1-day historical VaR, weights are % of the account value
+export const DEFAULT_RISK_LIMITS = {
+  maxVolatility: 15,
+  maxDrawdown: 20,
+  maxVar95: 2.5,
+  maxVar99: 4,
+  maxSingleNameWeight: 10,
+  maxIssuerWeight: 20,
+  maxUnderlyingWeight: 25
+};
+
+/**
+ * Risk limits of an account: the profile's own values over DEFAULT_RISK_LIMITS
+ * A limit stored as null is disabled.
+ */
+export const getRiskLimits = (profile) => {
+  const limits = { ...DEFAULT_RISK_LIMITS };
+  Object.entries(profile?.riskLimits || {}).forEach(([key, value]) => {
+    if (key in limits && value !== undefined) limits[key] = value;
+  });
+  return limits;
+};
+
 /**
  * Derive profile name: use stored name first, then match against known templates
  */
@@ -27,6 +27,7 @@ export const E164_PHONE_REGEX = /^\+[1-9]\d{1,14}$/;
 //   authorizedEmail: String (optional, primary authorized email to send/receive orders for this account),
 //   authorizedCcEmails: [String] (optional, CC list of authorized emails),
 //   authorizedPhone: String (optional, authorized phone number in E.164 format, e.g. +33612345678),
+//   costBasisMethod: String (optional, FIFO or WEIGHTED_AVERAGE - tax-lot ledger method, defaults to FIFO),
 //   isActive: Boolean,
 //   createdAt: Date,
 //   updatedAt: Date
@@ -183,7 +184,7 @@ export const BankAccountHelpers = {
     check(accountId, String);
     check(updates, Object);
 
-    const allowedFields = ['name', 'bankId', 'accountNumber', 'referenceCurrency', 'accountType', 'accountStructure', 'lifeInsuranceCompany', 'relationshipManagerId', 'backupRmIds', 'beneficialOwnerIds', 'authorizedOverdraft', 'comment', 'introducerId', 'authorizedEmail', 'authorizedCcEmails', 'authorizedPhone'];
+    const allowedFields = ['name', 'bankId', 'accountNumber', 'referenceCurrency', 'accountType', 'accountStructure', 'lifeInsuranceCompany', 'relationshipManagerId', 'backupRmIds', 'beneficialOwnerIds', 'authorizedOverdraft', 'comment', 'introducerId', 'authorizedEmail', 'authorizedCcEmails', 'authorizedPhone', 'costBasisMethod'];
     const filteredUpdates = {};
 
     allowedFields.forEach(field => {
@@ -196,6 +197,10 @@ export const BankAccountHelpers = {
       filteredUpdates.referenceCurrency = filteredUpdates.referenceCurrency.toUpperCase();
     }
 
+    if (filteredUpdates.costBasisMethod !== undefined && !['FIFO', 'WEIGHTED_AVERAGE'].includes(filteredUpdates.costBasisMethod)) {
+      throw new Error(`Invalid costBasisMethod: ${filteredUpdates.costBasisMethod}`);
+    }
+
     if (filteredUpdates.authorizedEmail !== undefined) {
       const email = typeof filteredUpdates.authorizedEmail === 'string'
         ? filteredUpdates.authorizedEmail.trim()
@@ -13,7 +13,7 @@ export const BankConnectionLogHelpers = {
     bankId,
     connectionName,
     action, // 'test', 'download', 'upload', 'list'
-    status, // 'started', 'success', 'failed'
+    status, // 'started', 'success', 'failed', 'warning'
     message = null,
     error = null,
     metadata = {},
@@ -7,9 +7,13 @@ export const BankConnectionsCollection = new Mongo.Collection('bankConnections')
 export const BankConnectionHelpers = {
   /**
    * Create a new bank connection
-   * Supports two types:
+   * Supported types:
    * - 'sftp': Download files from remote SFTP server (requires host, username, credentials)
    * - 'local': Files uploaded by bank to local folder (requires localFolderName only)
+   * - 'ftps': Download files from an FTP server over TLS (requires host, username, password)
+   * - 'https': Pull files listed at an HTTPS URL (requires url; basic or client certificate auth)
+   * - 'imap': Save statement attachments from an IMAP mailbox (requires host, username, password)
+   * - 'maildir': Save statement attachments from a maildir on this server (requires maildirPath)
    */
   async createConnection({
     bankId,
@@ -22,6 +26,15 @@ export const BankConnectionHelpers = {
     privateKeyPath = null,
     remotePath = '/',
     localFolderName = null,  // For 'local' type: folder name relative to bankfiles/
+    ftpsMode = null,         // For 'ftps' type: 'explicit' (AUTH TLS) or 'implicit'
+    url = null,              // For 'https' type: listing URL
+    authType = null,         // For 'https' type: 'basic' or 'certificate'
+    clientCertPath = null,   // For 'https' certificate auth (file path or SETTINGS:KEY_NAME)
+    clientKeyPath = null,
+    caPath = null,
+    mailbox = null,          // For 'imap' type: folder to read (default INBOX)
+    maildirPath = null,      // For 'maildir' type: absolute or relative to bankfiles/
+    attachmentPattern = null, // For mail/pull types: filename regex, defaults to the parser patterns
     userId
   }) {
     check(bankId, String);
@@ -36,12 +49,21 @@ export const BankConnectionHelpers = {
       check(username, String);
     } else if (connectionType === 'local') {
       check(localFolderName, String);
+    } else if (connectionType === 'ftps' || connectionType === 'imap') {
+      check(host, String);
+      check(port, Number);
+      check(username, String);
+      check(password, String);
+    } else if (connectionType === 'https') {
+      check(url, String);
+    } else if (connectionType === 'maildir') {
+      check(maildirPath, String);
     }
 
     const connection = {
       bankId,
       connectionName,
-      connectionType, // 'sftp', 'local'
+      connectionType, // 'sftp', 'local', 'ftps', 'https', 'imap', 'maildir'
 
       // SFTP connection details (null for local type)
       host,
@@ -54,6 +76,18 @@ export const BankConnectionHelpers = {
       // Local folder connection (null for sftp type)
       localFolderName, // Folder name relative to bankfiles/ directory
 
+      // FTPS / HTTPS pull / mailbox details (null for other types)
+      ftpsMode,
+      url,
+      authType,
+      clientCertPath,
+      clientKeyPath,
+      caPath,
+      mailbox,
+      maildirPath,
+      attachmentPattern,
+      imapState: null, // { uidValidity, lastUid } - last IMAP message processed
+
       // Status
       status: 'not_tested', // 'not_tested', 'connected', 'disconnected', 'error'
       isActive: true,
@@ -138,6 +172,15 @@ export const BankConnectionHelpers = {
       'privateKeyPath',
       'remotePath',
       'localFolderName',
+      'ftpsMode',
+      'url',
+      'authType',
+      'clientCertPath',
+      'clientKeyPath',
+      'caPath',
+      'mailbox',
+      'maildirPath',
+      'attachmentPattern',
       'isActive'
     ];
 
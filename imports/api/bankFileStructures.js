@@ -1,19 +1,45 @@
 import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+import { DeclarativeParser } from './parsers/declarativeParser.js';
 
 /**
  * Collection to track bank file structures over time
  * Used to detect when banks change their CSV format
+ *
+ * Every incoming file is compared with the last accepted structure of the same
+ * bank, file type and filename template. A file whose columns, delimiter or date
+ * formats drifted is quarantined (not parsed into PMSHoldings / PMSOperations)
+ * until an admin accepts the new structure or reprocesses it.
  */
 export const BankFileStructuresCollection = new Mongo.Collection('bankFileStructures');
 
+export const STRUCTURE_STATUS = {
+  ACCEPTED: 'accepted',
+  QUARANTINED: 'quarantined'
+};
+
+// Version 1 records were keyed by file date and split every file on ';' - they are
+// kept for history but never used as a baseline
+const STRUCTURE_VERSION = 2;
+
+const DELIMITER_CANDIDATES = [';', ',', '\t', '|'];
+
+// Sample size for date format detection
+const DATE_SAMPLE_ROWS = 5;
+
+// Slash dates where neither part exceeds 12 cannot tell DD/MM from MM/DD
+const AMBIGUOUS_SLASH_FORMAT = 'XX/XX/YYYY';
+
 /**
  * Schema for bank file structure tracking
  */
 const BankFileStructureSchema = {
   bankId: String,              // Reference to bank
   bankName: String,            // Bank name for easy reference
+  connectionId: String,        // Connection the file arrived through (for reprocessing)
   fileType: String,            // 'positions' or 'operations'
   filename: String,            // Name of the file
+  fileTemplate: String,        // Filename with digits replaced by '#', groups comparable files
   fileDate: Date,              // Date from the file
   processingDate: Date,        // When file was processed
 
@@ -21,75 +47,244 @@ const BankFileStructureSchema = {
   structure: {
     headers: [String],         // Array of column headers
     headerCount: Number,       // Number of columns
-    delimiter: String,         // CSV delimiter (';' or ',')
+    delimiter: String,         // CSV delimiter detected from the header line
     encoding: String,          // File encoding
+    dateFormats: Object,       // Column → detected date format (e.g. 'DD.MM.YYYY')
     firstDataRow: Object       // First row of data (for quick comparison)
   },
 
+  // Drift detection
+  status: String,              // 'accepted' or 'quarantined'
+  baselineId: String,          // Structure record the file was compared against
+  diff: Object,                // { added, removed, renamed, reordered, delimiterChanged, dateFormatChanges }
+  warnings: [String],          // Human readable diff
+  quarantinedAt: Date,
+  resolvedAt: Date,
+  resolvedBy: String,
+  resolution: String,          // 'accepted' (reprocessing clears the record and checks the file again)
+
   // Metadata
   userId: String,              // Who processed the file
   version: Number              // Schema version
 };
 
+// Create indexes on server
+if (Meteor.isServer) {
+  Meteor.startup(async () => {
+    await BankFileStructuresCollection.createIndexAsync({ bankId: 1, fileType: 1, filename: 1 });
+    await BankFileStructuresCollection.createIndexAsync({ bankId: 1, fileType: 1, fileTemplate: 1, status: 1, fileDate: -1 });
+    await BankFileStructuresCollection.createIndexAsync({ status: 1, quarantinedAt: -1 });
+  });
+}
+
+/**
+ * Detect the date format of a single value, null when it is not a date
+ */
+const detectDateFormat = (value) => {
+  const str = String(value || '').trim();
+  if (!str) return null;
+
+  if (/^\d{4}-\d{2}-\d{2}(T.*)?$/.test(str)) return 'YYYY-MM-DD';
+  if (/^\d{4}\/\d{2}\/\d{2}$/.test(str)) return 'YYYY/MM/DD';
+  if (/^(19|20)\d{2}(0[1-9]|1[0-2])(0[1-9]|[12]\d|3[01])$/.test(str)) return 'YYYYMMDD';
+  if (/^\d{2}\.\d{2}\.\d{4}$/.test(str)) return 'DD.MM.YYYY';
+  if (/^\d{2}\.\d{2}\.\d{2}$/.test(str)) return 'DD.MM.YY';
+  if (/^\d{2}-\d{2}-\d{4}$/.test(str)) return 'DD-MM-YYYY';
+
+  const slash = str.match(/^(\d{2})\/(\d{2})\/\d{4}( .*)?$/);
+  if (slash) {
+    if (parseInt(slash[1], 10) > 12) return 'DD/MM/YYYY';
+    if (parseInt(slash[2], 10) > 12) return 'MM/DD/YYYY';
+    return AMBIGUOUS_SLASH_FORMAT;
+  }
+
+  return null;
+};
+
+const dateFormatsCompatible = (a, b) => {
+  if (a === b) return true;
+  const slashFormats = ['DD/MM/YYYY', 'MM/DD/YYYY', AMBIGUOUS_SLASH_FORMAT];
+  return (a === AMBIGUOUS_SLASH_FORMAT && slashFormats.includes(b)) ||
+    (b === AMBIGUOUS_SLASH_FORMAT && slashFormats.includes(a));
+};
+
+const describeDelimiter = (delimiter) => (delimiter === '\t' ? 'tab' : `"${delimiter}"`);
+
 /**
  * Helper functions for bank file structure tracking
  */
 export const BankFileStructureHelpers = {
+  /**
+   * Filename with digit runs replaced, so daily files of the same kind compare
+   * with each other (e.g. '#-X#-LU-W#-mtit.csv') but not with other kinds of the same bank
+   */
+  getFileTemplate(filename) {
+    return String(filename || '').replace(/\d+/g, '#');
+  },
+
+  /**
+   * Delimiter used by a header line: the candidate splitting it into most columns
+   */
+  detectDelimiter(headerLine, fallback = ';') {
+    let best = fallback;
+    let bestCount = 1;
+    DELIMITER_CANDIDATES.forEach(candidate => {
+      const count = DeclarativeParser.splitLine(headerLine, candidate).length;
+      if (count > bestCount) {
+        best = candidate;
+        bestCount = count;
+      }
+    });
+    return best;
+  },
+
   /**
    * Extract structure information from CSV content
+   * @param {string} csvContent - Raw file content
+   * @param {string} delimiter - Expected delimiter, used when the header line has a single column
    */
   extractStructure(csvContent, delimiter = ';') {
-    const lines = csvContent.trim().split('\n');
+    // SWIFT FIN messages ({1:...} envelope or bare :20: tags) and ISO 20022 XML have no header
+    // row to compare; the XML parser validates the message structure itself
+    if (/^\uFEFF?\s*(\{1:|:\d{2}[A-Z]?:|<)/.test(csvContent)) {
+      return null;
+    }
+
+    const lines = csvContent.replace(/^\uFEFF/, '').trim().split(/\r?\n/);
     if (lines.length < 2) {
       return null;
     }
 
-    const headers = lines[0].split(delimiter).map(h => h.trim());
+    const detectedDelimiter = this.detectDelimiter(lines[0], delimiter);
+    const headers = DeclarativeParser.splitLine(lines[0], detectedDelimiter);
+    const dataRows = lines.slice(1, 1 + DATE_SAMPLE_ROWS)
+      .filter(line => line.trim())
+      .map(line => DeclarativeParser.splitLine(line, detectedDelimiter));
+
     const firstDataRow = {};
+    headers.forEach((header, index) => {
+      firstDataRow[header] = dataRows[0]?.[index] || '';
+    });
 
-    if (lines.length > 1) {
-      const values = lines[1].split(delimiter);
-      headers.forEach((header, index) => {
-        firstDataRow[header] = values[index] ? values[index].trim() : '';
-      });
-    }
+    // First definite format per column; ambiguous slash dates only when nothing better shows up
+    const dateFormats = {};
+    headers.forEach((header, index) => {
+      const formats = dataRows.map(row => detectDateFormat(row[index])).filter(Boolean);
+      const definite = formats.find(format => format !== AMBIGUOUS_SLASH_FORMAT);
+      if (definite || formats.length > 0) {
+        dateFormats[header] = definite || formats[0];
+      }
+    });
 
     return {
       headers,
       headerCount: headers.length,
-      delimiter,
+      delimiter: detectedDelimiter,
       encoding: 'utf-8',
+      dateFormats,
       firstDataRow
     };
   },
 
   /**
-   * Record file structure after parsing
+   * Column-level diff between a baseline structure and an incoming one
    */
-  async recordStructure({ bankId, bankName, fileType, filename, fileDate, csvContent, delimiter, userId }) {
-    const structure = this.extractStructure(csvContent, delimiter);
+  diffStructures(previous, current) {
+    const added = current.headers.filter(h => !previous.headers.includes(h));
+    const removed = previous.headers.filter(h => !current.headers.includes(h));
 
-    if (!structure) {
-      console.log('[FILE_STRUCTURE] Could not extract structure from file');
-      return null;
+    // A removed column replaced at the same position by an added one is a rename
+    const renamed = [];
+    removed.forEach(header => {
+      const position = previous.headers.indexOf(header);
+      const replacement = current.headers[position];
+      if (replacement && added.includes(replacement) && !renamed.some(r => r.to === replacement)) {
+        renamed.push({ from: header, to: replacement, position: position + 1 });
+      }
+    });
+
+    const diff = {
+      added: added.filter(h => !renamed.some(r => r.to === h)),
+      removed: removed.filter(h => !renamed.some(r => r.from === h)),
+      renamed,
+      reordered: false,
+      delimiterChanged: null,
+      dateFormatChanges: []
+    };
+
+    if (added.length === 0 && removed.length === 0) {
+      diff.reordered = current.headers.join('|') !== previous.headers.join('|');
+    }
+
+    if (previous.delimiter !== current.delimiter) {
+      diff.delimiterChanged = { from: previous.delimiter, to: current.delimiter };
+    }
+
+    const previousFormats = previous.dateFormats || {};
+    const currentFormats = current.dateFormats || {};
+    Object.keys(currentFormats).forEach(column => {
+      const before = previousFormats[column];
+      const after = currentFormats[column];
+      if (before && after && !dateFormatsCompatible(before, after)) {
+        diff.dateFormatChanges.push({ column, from: before, to: after });
+      }
+    });
+
+    diff.hasChanges = diff.added.length > 0 || diff.removed.length > 0 || diff.renamed.length > 0 ||
+      diff.reordered || !!diff.delimiterChanged || diff.dateFormatChanges.length > 0;
+
+    return diff;
+  },
+
+  /**
+   * Human readable lines for a diff (notifications, admin UI)
+   */
+  describeDiff(diff) {
+    const warnings = [];
+    if (diff.added.length > 0) warnings.push(`New columns: ${diff.added.join(', ')}`);
+    if (diff.removed.length > 0) warnings.push(`Removed columns: ${diff.removed.join(', ')}`);
+    diff.renamed.forEach(r => warnings.push(`Renamed column ${r.position}: "${r.from}" → "${r.to}"`));
+    if (diff.reordered) warnings.push('Column order changed');
+    if (diff.delimiterChanged) {
+      warnings.push(`Delimiter changed: ${describeDelimiter(diff.delimiterChanged.from)} → ${describeDelimiter(diff.delimiterChanged.to)}`);
     }
+    diff.dateFormatChanges.forEach(change => {
+      warnings.push(`Date format of ${change.column} changed: ${change.from} → ${change.to}`);
+    });
+    return warnings;
+  },
 
+  /**
+   * Record file structure after parsing (one record per file)
+   */
+  async recordStructure({ bankId, bankName, connectionId, fileType, filename, fileDate, structure, status, baselineId = null, diff = null, warnings = [], userId }) {
     const record = {
       bankId,
       bankName,
+      connectionId,
       fileType,
       filename,
+      fileTemplate: this.getFileTemplate(filename),
       fileDate,
       processingDate: new Date(),
       structure,
+      status,
+      baselineId,
+      diff,
+      warnings,
       userId,
-      version: 1
+      version: STRUCTURE_VERSION
     };
 
+    if (status === STRUCTURE_STATUS.QUARANTINED) {
+      record.quarantinedAt = new Date();
+    }
+
     const existingRecord = await BankFileStructuresCollection.findOneAsync({
       bankId,
       fileType,
-      fileDate
+      filename,
+      version: STRUCTURE_VERSION
     });
 
     if (existingRecord) {
@@ -103,91 +298,124 @@ export const BankFileStructureHelpers = {
   },
 
   /**
-   * Compare current file structure with previous file structure
-   * Returns warning message if structure has changed, null otherwise
+   * Last accepted structure for files of the same kind
    */
-  async checkStructureChange({ bankId, fileType, currentStructure, currentFileDate }) {
-    // Find the most recent previous file (before current date)
-    const previousRecord = await BankFileStructuresCollection.findOneAsync({
+  async getBaseline({ bankId, fileType, filename }) {
+    return await BankFileStructuresCollection.findOneAsync({
       bankId,
       fileType,
-      fileDate: { $lt: currentFileDate }
+      fileTemplate: this.getFileTemplate(filename),
+      filename: { $ne: filename },
+      status: STRUCTURE_STATUS.ACCEPTED,
+      version: STRUCTURE_VERSION
     }, {
       sort: { fileDate: -1 }
     });
+  },
 
-    if (!previousRecord) {
-      console.log('[FILE_STRUCTURE] No previous file found for comparison');
-      return null;
-    }
-
-    const previousStructure = previousRecord.structure;
-    const warnings = [];
-
-    // Check header count
-    if (currentStructure.headerCount !== previousStructure.headerCount) {
-      warnings.push(
-        `Column count changed: ${previousStructure.headerCount} → ${currentStructure.headerCount}`
-      );
+  /**
+   * Compare an incoming file with the last known good structure before it is saved.
+   * The first file of a kind becomes the baseline; a drifted file is quarantined.
+   *
+   * @returns {Promise<Object>} { quarantined, isNew, recordId, diff, warnings, baselineFile }
+   *   isNew is false when the file was already quarantined by an earlier run (no new alert)
+   */
+  async guardFile({ bankId, bankName, connectionId, fileType, filename, fileDate, content, delimiter, userId }) {
+    const structure = content ? this.extractStructure(content, delimiter) : null;
+    if (!structure) {
+      console.log(`[FILE_STRUCTURE] Could not extract structure from ${filename}`);
+      return { quarantined: false };
     }
 
-    // Check header names
-    const currentHeaders = currentStructure.headers.join('|');
-    const previousHeaders = previousStructure.headers.join('|');
-
-    if (currentHeaders !== previousHeaders) {
-      // Find added headers
-      const addedHeaders = currentStructure.headers.filter(h => !previousStructure.headers.includes(h));
-      if (addedHeaders.length > 0) {
-        warnings.push(`New columns: ${addedHeaders.join(', ')}`);
-      }
-
-      // Find removed headers
-      const removedHeaders = previousStructure.headers.filter(h => !currentStructure.headers.includes(h));
-      if (removedHeaders.length > 0) {
-        warnings.push(`Removed columns: ${removedHeaders.join(', ')}`);
-      }
-
-      // Find renamed/reordered headers
-      const reorderedHeaders = [];
-      currentStructure.headers.forEach((header, index) => {
-        if (previousStructure.headers[index] && previousStructure.headers[index] !== header) {
-          reorderedHeaders.push(`Position ${index + 1}: "${previousStructure.headers[index]}" → "${header}"`);
-        }
-      });
+    const existing = await BankFileStructuresCollection.findOneAsync({
+      bankId,
+      fileType,
+      filename,
+      version: STRUCTURE_VERSION
+    });
 
-      if (reorderedHeaders.length > 0 && addedHeaders.length === 0 && removedHeaders.length === 0) {
-        warnings.push(`Column order changed: ${reorderedHeaders.join(', ')}`);
+    // Same file seen again unchanged: keep the earlier decision
+    if (existing && !this.diffStructures(existing.structure, structure).hasChanges) {
+      if (existing.status === STRUCTURE_STATUS.ACCEPTED) {
+        return { quarantined: false, recordId: existing._id };
       }
+      return {
+        quarantined: true,
+        isNew: false,
+        recordId: existing._id,
+        diff: existing.diff,
+        warnings: existing.warnings || []
+      };
     }
 
-    // Check delimiter
-    if (currentStructure.delimiter !== previousStructure.delimiter) {
-      warnings.push(
-        `Delimiter changed: "${previousStructure.delimiter}" → "${currentStructure.delimiter}"`
-      );
-    }
+    const baseline = await this.getBaseline({ bankId, fileType, filename });
+    const base = { bankId, bankName, connectionId, fileType, filename, fileDate, structure, userId };
 
-    if (warnings.length === 0) {
-      return null;
+    if (!baseline) {
+      console.log(`[FILE_STRUCTURE] No accepted ${fileType} structure yet for ${bankName} (${this.getFileTemplate(filename)}), using ${filename} as baseline`);
+      const recordId = await this.recordStructure({ ...base, status: STRUCTURE_STATUS.ACCEPTED });
+      return { quarantined: false, recordId };
     }
 
-    // Safety check for null dates
-    if (!currentFileDate || !previousRecord.fileDate) {
-      console.warn('[FILE_STRUCTURE] Missing date for structure comparison');
-      return null;
+    const diff = this.diffStructures(baseline.structure, structure);
+    if (!diff.hasChanges) {
+      const recordId = await this.recordStructure({ ...base, status: STRUCTURE_STATUS.ACCEPTED, baselineId: baseline._id });
+      return { quarantined: false, recordId };
     }
 
-    const previousDateStr = previousRecord.fileDate.toISOString().split('T')[0];
-    const currentDateStr = currentFileDate.toISOString().split('T')[0];
+    const warnings = this.describeDiff(diff);
+    console.warn(`[FILE_STRUCTURE] ⚠️ ${bankName} ${filename} quarantined: ${warnings.join('; ')}`);
+
+    const recordId = await this.recordStructure({
+      ...base,
+      status: STRUCTURE_STATUS.QUARANTINED,
+      baselineId: baseline._id,
+      diff,
+      warnings
+    });
 
     return {
-      message: `⚠️ CSV structure changed from ${previousDateStr} to ${currentDateStr}`,
+      quarantined: true,
+      isNew: true,
+      recordId,
+      diff,
       warnings,
-      previousFile: previousRecord.filename,
-      previousDate: previousRecord.fileDate,
-      previousHeaders: previousStructure.headers,
-      currentHeaders: currentStructure.headers
+      baselineFile: baseline.filename,
+      previousHeaders: baseline.structure.headers,
+      currentHeaders: structure.headers
     };
+  },
+
+  /**
+   * Make a quarantined structure the new baseline
+   */
+  async acceptStructure(id, userId) {
+    return await BankFileStructuresCollection.updateAsync(id, {
+      $set: {
+        status: STRUCTURE_STATUS.ACCEPTED,
+        resolvedAt: new Date(),
+        resolvedBy: userId,
+        resolution: 'accepted'
+      }
+    });
+  },
+
+  /**
+   * Forget the quarantine decision so the next run checks the file again
+   * (e.g. the bank re-delivered a corrected file or the parser definition was updated)
+   */
+  async releaseForReprocess(id) {
+    return await BankFileStructuresCollection.removeAsync(id);
+  },
+
+  /**
+   * Filenames currently held in quarantine for a bank and file type
+   */
+  async getQuarantinedFilenames(bankId, fileType) {
+    const records = await BankFileStructuresCollection.find(
+      { bankId, fileType, status: STRUCTURE_STATUS.QUARANTINED, version: STRUCTURE_VERSION },
+      { fields: { filename: 1 } }
+    ).fetchAsync();
+    return records.map(r => r.filename);
   }
 };
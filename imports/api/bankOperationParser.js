@@ -7,6 +7,10 @@ import { CFMCashOperationParser } from './parsers/cfmCashOperationParser.js';
 import { CMBMonacoParser } from './parsers/cmbMonacoParser.js';
 import { SGMonacoParser } from './parsers/sgMonacoParser.js';
 import { EDRMonacoOperationParser } from './parsers/edrMonacoOperationParser.js';
+import { SwiftParser } from './parsers/swiftParser.js';
+import { ISO20022Parser } from './parsers/iso20022Parser.js';
+import { ProcessingIssueCollector } from './processingIssueCollector.js';
+import { BankParserDefinitionHelpers } from './bankParserDefinitions.js';
 
 /**
  * Bank Operation File Parser
@@ -15,9 +19,100 @@ import { EDRMonacoOperationParser } from './parsers/edrMonacoOperationParser.js'
  * Currently supports:
  * - Julius Baer (JB) operations format
  * - Andbank (MVT_MNC) operations format
+ * - SWIFT MT536 / MT940 / MT950 statements (any custodian)
+ * - ISO 20022 camt.053 XML statements (any custodian)
+ * - Declarative definitions configured by admins (see bankParserDefinitions.js)
  */
 
 export const BankOperationParser = {
+  /**
+   * Operation parsers built from active declarative definitions
+   */
+  declarativeParsers: [],
+
+  /**
+   * Reload declarative operation parsers from the database
+   */
+  async loadDeclarativeParsers() {
+    const { operations } = await BankParserDefinitionHelpers.loadActiveParsers();
+    this.declarativeParsers = operations;
+    return operations.length;
+  },
+
+  /**
+   * Find the declarative parser whose filename pattern matches, if any
+   */
+  findDeclarativeParser(filename) {
+    return this.declarativeParsers.find(parser => parser.matchesPattern(filename)) || null;
+  },
+
+  /**
+   * True when the filename matches one of the supported operation file patterns
+   */
+  isOperationFile(filename) {
+    if (this.findDeclarativeParser(filename)) return true;  // Admin-defined patterns (any extension)
+    if (SwiftParser.matchesOperationsPattern(filename)) return true;  // *.fin, *.sta, MT940_*.txt (SWIFT)
+    if (ISO20022Parser.matchesOperationsPattern(filename)) return true;  // *camt053*.xml (ISO 20022)
+    if (!filename.toLowerCase().endsWith('.csv')) return false;
+
+    // Early-exit pattern matching - check most specific patterns first
+    if (SGMonacoParser.matchesTransactionsPattern(filename)) return true;   // trans.YYYYMMDD.csv
+    if (CMBMonacoParser.matchesOperationsPattern(filename)) return true;    // TAM_mba_eam_evt_list_bu_mc_YYYYMMDD.csv
+    if (AndbankOperationParser.matchesPattern(filename)) return true;       // EX00YYYYMMDD_MVT_MNC.csv
+    if (CFMOperationParser.matchesPattern(filename)) return true;           // YYYYMMDD-X#######-LU-W#-mtit.csv
+    if (CFMFXParser.matchesPattern(filename)) return true;                  // YYYYMMDD-X#######-LU-W#-mfrx.csv
+    if (CFMCashOperationParser.matchesPattern(filename)) return true;       // YYYYMMDD-X#######-LU-W#-mesp.csv
+    if (EDRMonacoOperationParser.matchesPattern(filename)) return true;     // mvt_XXXXXXXX_YYYYMMDD.csv (EDR Monaco)
+    if (filename.includes('DAILY_OPE')) return true;                        // Julius Baer: DAILY_OPE
+
+    return false;
+  },
+
+  /**
+   * Extract the file date from an operation filename
+   * @param {string} filePath - Optional full path, for formats dated inside the content (SWIFT, ISO 20022)
+   */
+  getFileDate(filename, filePath = null) {
+    const declarativeParser = this.findDeclarativeParser(filename);
+    if (declarativeParser) {
+      return declarativeParser.extractFileDate(filename) || new Date();
+    }
+
+    if (SwiftParser.matchesOperationsPattern(filename)) {
+      return SwiftParser.findFileDate(filename, filePath) || new Date();
+    }
+
+    if (ISO20022Parser.matchesOperationsPattern(filename)) {
+      return ISO20022Parser.findFileDate(filename, filePath) || new Date();
+    }
+
+    if (SGMonacoParser.matchesTransactionsPattern(filename)) {
+      return SGMonacoParser.extractFileDate(filename);
+    } else if (AndbankOperationParser.matchesPattern(filename)) {
+      return AndbankOperationParser.extractFileDate(filename);
+    } else if (CFMOperationParser.matchesPattern(filename)) {
+      return CFMOperationParser.extractFileDate(filename);
+    } else if (CFMFXParser.matchesPattern(filename)) {
+      return CFMFXParser.extractFileDate(filename);
+    } else if (CFMCashOperationParser.matchesPattern(filename)) {
+      return CFMCashOperationParser.extractFileDate(filename);
+    } else if (CMBMonacoParser.matchesOperationsPattern(filename)) {
+      return CMBMonacoParser.extractFileDate(filename);
+    } else if (EDRMonacoOperationParser.matchesPattern(filename)) {
+      return EDRMonacoOperationParser.extractFileDate(filename);
+    }
+
+    // Julius Baer format: DAILY_OPE_JB.YYYYMMDD.HHMMSS.ACCOUNT.CSV
+    const dateMatch = filename.match(/\.(\d{8})\./);
+    return dateMatch
+      ? new Date(
+          parseInt(dateMatch[1].substring(0, 4)),
+          parseInt(dateMatch[1].substring(4, 6)) - 1,
+          parseInt(dateMatch[1].substring(6, 8))
+        )
+      : new Date();
+  },
+
   /**
    * Parse the latest operations file in a directory
    * @param {string} directoryPath - Path to bank files directory
@@ -37,31 +132,13 @@ export const BankOperationParser = {
       const files = fs.readdirSync(directoryPath);
       console.log(`[BANK_OPERATIONS] All files in ${directoryPath}: ${files.join(', ')}`);
 
-      const operationFiles = files.filter(f => {
-        if (!f.toLowerCase().endsWith('.csv')) return false;
-
-        // Early-exit pattern matching - check most specific patterns first
-        const isSGTrans = SGMonacoParser.matchesTransactionsPattern(f);
-        if (isSGTrans) {
-          console.log(`[BANK_OPERATIONS] Found SG Monaco trans file: ${f}`);
-          return true;  // trans.YYYYMMDD.csv
-        }
-        if (CMBMonacoParser.matchesOperationsPattern(f)) return true;  // TAM_mba_eam_evt_list_bu_mc_YYYYMMDD.csv
-        if (AndbankOperationParser.matchesPattern(f)) return true;      // EX00YYYYMMDD_MVT_MNC.csv
-        if (CFMOperationParser.matchesPattern(f)) return true;          // YYYYMMDD-X#######-LU-W#-mtit.csv
-        if (CFMFXParser.matchesPattern(f)) return true;                 // YYYYMMDD-X#######-LU-W#-mfrx.csv
-        if (CFMCashOperationParser.matchesPattern(f)) return true;      // YYYYMMDD-X#######-LU-W#-mesp.csv
-        if (EDRMonacoOperationParser.matchesPattern(f)) return true;    // mvt_XXXXXXXX_YYYYMMDD.csv (EDR Monaco)
-        if (f.includes('DAILY_OPE')) return true;                       // Julius Baer: DAILY_OPE
-
-        return false;
-      });
+      const operationFiles = files.filter(f => this.isOperationFile(f));
 
       console.log(`[BANK_OPERATIONS] Found ${operationFiles.length} operation files in ${path.basename(directoryPath)}`);
 
       if (operationFiles.length === 0) {
         console.warn(`[BANK_OPERATIONS] No operation files found in directory: ${directoryPath}`);
-        console.warn(`[BANK_OPERATIONS] Looking for: trans.YYYYMMDD.csv (SG), TAM_mba_eam_evt_list_*.csv (CMB), DAILY_OPE*.csv (JB), *_MVT_MNC.csv (Andbank), *-mtit.csv (CFM), mvt_*_YYYYMMDD.csv (EDR)`);
+        console.warn(`[BANK_OPERATIONS] Looking for: trans.YYYYMMDD.csv (SG), TAM_mba_eam_evt_list_*.csv (CMB), DAILY_OPE*.csv (JB), *_MVT_MNC.csv (Andbank), *-mtit.csv (CFM), mvt_*_YYYYMMDD.csv (EDR), *.fin/*.sta/MT940*.txt (SWIFT), *camt053*.xml (ISO 20022)`);
         return { error: 'No operation files found in directory' };
       }
 
@@ -72,36 +149,14 @@ export const BankOperationParser = {
 
       console.log(`[BANK_OPERATIONS] Parsing latest file: ${latestFile}`);
 
-      // Extract file date from filename
-      let fileDate;
-
-      // Check if it's an Andbank file
-      if (SGMonacoParser.matchesTransactionsPattern(latestFile)) {
-        fileDate = SGMonacoParser.extractFileDate(latestFile);
-      } else if (AndbankOperationParser.matchesPattern(latestFile)) {
-        fileDate = AndbankOperationParser.extractFileDate(latestFile);
-      } else if (CFMOperationParser.matchesPattern(latestFile)) {
-        fileDate = CFMOperationParser.extractFileDate(latestFile);
-      } else if (CFMFXParser.matchesPattern(latestFile)) {
-        fileDate = CFMFXParser.extractFileDate(latestFile);
-      } else if (CFMCashOperationParser.matchesPattern(latestFile)) {
-        fileDate = CFMCashOperationParser.extractFileDate(latestFile);
-      } else if (CMBMonacoParser.matchesOperationsPattern(latestFile)) {
-        fileDate = CMBMonacoParser.extractFileDate(latestFile);
-      } else if (EDRMonacoOperationParser.matchesPattern(latestFile)) {
-        fileDate = EDRMonacoOperationParser.extractFileDate(latestFile);
-      } else {
-        // Julius Baer format: DAILY_OPE_JB.YYYYMMDD.HHMMSS.ACCOUNT.CSV
-        const dateMatch = latestFile.match(/\.(\d{8})\./);
-        fileDate = dateMatch
-          ? new Date(
-              parseInt(dateMatch[1].substring(0, 4)),
-              parseInt(dateMatch[1].substring(4, 6)) - 1,
-              parseInt(dateMatch[1].substring(6, 8))
-            )
-          : new Date();
+      if (this.findDeclarativeParser(latestFile) || SwiftParser.matchesOperationsPattern(latestFile) ||
+        ISO20022Parser.matchesOperationsPattern(latestFile)) {
+        return this.parseSingleFile(filePath, { ...options, sourceFile: latestFile });
       }
 
+      // Extract file date from filename
+      const fileDate = this.getFileDate(latestFile);
+
       // Read and parse CSV
       const fileContent = fs.readFileSync(filePath, 'utf-8');
 
@@ -266,11 +321,11 @@ export const BankOperationParser = {
    * Parse ALL operation files in a directory (not just the latest)
    * This is important for transaction files which are incremental (each day's file contains only that day's transactions)
    * @param {string} directoryPath - Path to bank files directory
-   * @param {object} options - { bankId, bankName, userId, seenFiles }
-   * @returns {object} - { operations, processedFiles, totalRecords }
+   * @param {object} options - { bankId, bankName, userId, seenFiles, skipFiles }
+   * @returns {object} - { operations, processedFiles, totalRecords, processingIssues }
    */
   parseAllFiles(directoryPath, options = {}) {
-    const { bankId, bankName = 'Unknown Bank', seenFiles = [] } = options;
+    const { bankId, bankName = 'Unknown Bank', seenFiles = [], skipFiles = [] } = options;
 
     try {
       // Check if directory exists
@@ -282,21 +337,7 @@ export const BankOperationParser = {
       const files = fs.readdirSync(directoryPath);
       console.log(`[BANK_OPERATIONS] All files in ${directoryPath}: ${files.join(', ')}`);
 
-      const operationFiles = files.filter(f => {
-        if (!f.toLowerCase().endsWith('.csv')) return false;
-
-        // Early-exit pattern matching - check most specific patterns first
-        if (SGMonacoParser.matchesTransactionsPattern(f)) return true;
-        if (CMBMonacoParser.matchesOperationsPattern(f)) return true;
-        if (AndbankOperationParser.matchesPattern(f)) return true;
-        if (CFMOperationParser.matchesPattern(f)) return true;
-        if (CFMFXParser.matchesPattern(f)) return true;
-        if (CFMCashOperationParser.matchesPattern(f)) return true;
-        if (EDRMonacoOperationParser.matchesPattern(f)) return true;  // mvt_XXXXXXXX_YYYYMMDD.csv (EDR Monaco)
-        if (f.includes('DAILY_OPE')) return true;
-
-        return false;
-      });
+      const operationFiles = files.filter(f => this.isOperationFile(f));
 
       console.log(`[BANK_OPERATIONS] Found ${operationFiles.length} operation files in ${path.basename(directoryPath)}`);
 
@@ -306,7 +347,8 @@ export const BankOperationParser = {
       }
 
       // Filter out already-processed files
-      const newFiles = operationFiles.filter(f => !seenFiles.includes(f));
+      // skipFiles (quarantined) stay unseen so they are picked up once released
+      const newFiles = operationFiles.filter(f => !seenFiles.includes(f) && !skipFiles.includes(f));
 
       if (newFiles.length === 0) {
         console.log(`[BANK_OPERATIONS] All ${operationFiles.length} operation files have been processed already`);
@@ -321,6 +363,7 @@ export const BankOperationParser = {
       // Parse each file and aggregate results
       const allOperations = [];
       const processedFiles = [];
+      const processingIssues = [];
 
       for (const filename of newFiles) {
         console.log(`[BANK_OPERATIONS] Parsing file: ${filename}`);
@@ -336,6 +379,12 @@ export const BankOperationParser = {
           console.log(`[BANK_OPERATIONS] No operations in ${filename} (empty file)`);
         }
 
+        if (result.error) {
+          processingIssues.push(new ProcessingIssueCollector(filename).addIssue('BANK_FILE_REJECTED', { error: result.error }).toReport());
+        } else if (result.processingIssues) {
+          processingIssues.push(result.processingIssues);
+        }
+
         // Track as processed even if empty (to avoid re-processing)
         processedFiles.push(filename);
       }
@@ -345,7 +394,8 @@ export const BankOperationParser = {
       return {
         operations: allOperations,
         processedFiles,
-        totalRecords: allOperations.length
+        totalRecords: allOperations.length,
+        processingIssues
       };
 
     } catch (error) {
@@ -358,40 +408,68 @@ export const BankOperationParser = {
    * Parse a single operation file
    * @param {string} filePath - Full path to the file
    * @param {object} options - { bankId, bankName, sourceFile, userId }
-   * @returns {object} - { operations, filename, fileDate, totalRecords }
+   * @returns {object} - { operations, filename, fileDate, totalRecords, processingIssues? }
    */
   parseSingleFile(filePath, options = {}) {
     const { bankId, bankName = 'Unknown Bank', sourceFile } = options;
     const filename = sourceFile || path.basename(filePath);
 
     try {
-      // Extract file date from filename
-      let fileDate;
-      if (SGMonacoParser.matchesTransactionsPattern(filename)) {
-        fileDate = SGMonacoParser.extractFileDate(filename);
-      } else if (AndbankOperationParser.matchesPattern(filename)) {
-        fileDate = AndbankOperationParser.extractFileDate(filename);
-      } else if (CFMOperationParser.matchesPattern(filename)) {
-        fileDate = CFMOperationParser.extractFileDate(filename);
-      } else if (CFMFXParser.matchesPattern(filename)) {
-        fileDate = CFMFXParser.extractFileDate(filename);
-      } else if (CFMCashOperationParser.matchesPattern(filename)) {
-        fileDate = CFMCashOperationParser.extractFileDate(filename);
-      } else if (CMBMonacoParser.matchesOperationsPattern(filename)) {
-        fileDate = CMBMonacoParser.extractFileDate(filename);
-      } else if (EDRMonacoOperationParser.matchesPattern(filename)) {
-        fileDate = EDRMonacoOperationParser.extractFileDate(filename);
-      } else {
-        const dateMatch = filename.match(/\.(\d{8})\./);
-        fileDate = dateMatch
-          ? new Date(
-              parseInt(dateMatch[1].substring(0, 4)),
-              parseInt(dateMatch[1].substring(4, 6)) - 1,
-              parseInt(dateMatch[1].substring(6, 8))
-            )
-          : new Date();
+      // Declarative definitions carry their own date pattern and encoding
+      const declarativeParser = this.findDeclarativeParser(filename);
+      if (declarativeParser) {
+        const fileDate = this.getFileDate(filename);
+        const encoding = declarativeParser.encoding === 'utf-8' ? 'utf8' : declarativeParser.encoding;
+        const fileContent = fs.readFileSync(filePath, encoding || 'utf8');
+        const operations = declarativeParser.parseOperations(fileContent, {
+          bankId,
+          bankName: declarativeParser.bankName || bankName,
+          sourceFile: filename,
+          fileDate,
+          ...options
+        });
+        return { operations, filename, fileDate, totalRecords: operations.length };
+      }
+
+      // SWIFT statements are dated by their content and checked before the bank name fallbacks
+      if (SwiftParser.matchesOperationsPattern(filename)) {
+        const fileContent = fs.readFileSync(filePath, 'utf-8');
+        const fileDate = SwiftParser.findFileDate(filename, filePath) || new Date();
+        const operations = SwiftParser.parseOperations(fileContent, {
+          bankId,
+          bankName,
+          sourceFile: filename,
+          fileDate,
+          ...options
+        });
+        return { operations, filename, fileDate, totalRecords: operations.length };
+      }
+
+      // ISO 20022 statements are validated against the message structure; the issues go back with the result
+      if (ISO20022Parser.matchesOperationsPattern(filename)) {
+        const fileContent = fs.readFileSync(filePath, 'utf-8');
+        const fileDate = ISO20022Parser.findFileDate(filename, filePath) || new Date();
+        const issueCollector = new ProcessingIssueCollector(filename);
+        const operations = ISO20022Parser.parseOperations(fileContent, {
+          bankId,
+          bankName,
+          sourceFile: filename,
+          fileDate,
+          ...options,
+          issueCollector
+        });
+        return {
+          operations,
+          filename,
+          fileDate,
+          totalRecords: operations.length,
+          processingIssues: issueCollector.toReport()
+        };
       }
 
+      // Extract file date from filename
+      const fileDate = this.getFileDate(filename);
+
       // Read file content
       const fileContent = fs.readFileSync(filePath, 'utf-8');
 
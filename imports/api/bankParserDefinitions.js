@@ -0,0 +1,162 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+import { DeclarativeParser, PARSER_FILE_TYPES } from './parsers/declarativeParser.js';
+
+/**
+ * Declarative bank parser definitions
+ * Lets admins onboard a custodian's position / operation files without a code release.
+ * The generic runtime lives in parsers/declarativeParser.js.
+ */
+export const BankParserDefinitionsCollection = new Mongo.Collection('bankParserDefinitions');
+
+/**
+ * Schema for a parser definition (see declarativeParser.js for the full shape)
+ */
+const BankParserDefinitionSchema = {
+  key: String,                 // Unique parser key, e.g. 'ubs-positions'
+  bankId: String,              // Optional reference to bank
+  bankName: String,            // Bank name shown in logs and positions
+  fileType: String,            // 'positions' or 'operations'
+  filename: Object,            // { pattern, flags, dateGroup, dateFormat }
+  format: Object,              // { delimiter, encoding, quoteChar, headerRow, skipFooterLines }
+  numberFormat: Object,        // { decimalSeparator, thousandsSeparator }
+  dateFormat: String,          // e.g. 'DD.MM.YYYY'
+  columnMapping: Object,       // standard field → source column
+  percentagePrice: Object,     // { column, values } - rows priced in % of nominal
+  securityTypeRules: [Object], // { column, operator, value, securityType }
+  defaultSecurityType: String,
+  operationTypeRules: [Object],// { column, operator, value, operationType }
+  defaultOperationType: String,
+
+  // Status
+  isActive: Boolean,
+  lastTestedAt: Date,
+  lastTestResult: Object,      // { filename, recordCount, errors, warnings }
+
+  // Metadata
+  createdAt: Date,
+  createdBy: String,
+  updatedAt: Date,
+  updatedBy: String
+};
+
+// Create indexes on server
+if (Meteor.isServer) {
+  Meteor.startup(async () => {
+    await BankParserDefinitionsCollection.createIndexAsync({ key: 1 }, { unique: true });
+    await BankParserDefinitionsCollection.createIndexAsync({ isActive: 1, fileType: 1 });
+  });
+}
+
+// Fields an admin may edit (everything else is managed by the helpers)
+const EDITABLE_FIELDS = [
+  'key', 'bankId', 'bankName', 'fileType', 'filename', 'format', 'numberFormat', 'dateFormat',
+  'columnMapping', 'percentagePrice', 'securityTypeRules', 'defaultSecurityType',
+  'operationTypeRules', 'defaultOperationType'
+];
+
+const pickEditable = (definition) => {
+  const picked = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (definition[field] !== undefined) picked[field] = definition[field];
+  });
+  return picked;
+};
+
+/**
+ * Helper functions for parser definitions
+ */
+export const BankParserDefinitionHelpers = {
+  /**
+   * Create or update a definition after validation
+   * @returns {Promise<string>} Definition id
+   */
+  async saveDefinition(definition, userId) {
+    const fields = pickEditable(definition);
+    const errors = DeclarativeParser.validateDefinition(fields);
+    if (errors.length > 0) {
+      throw new Meteor.Error('invalid-definition', errors.join('; '));
+    }
+
+    const duplicate = await BankParserDefinitionsCollection.findOneAsync({
+      key: fields.key,
+      _id: { $ne: definition._id || null }
+    });
+    if (duplicate) {
+      throw new Meteor.Error('duplicate-key', `A parser definition with key "${fields.key}" already exists`);
+    }
+
+    const now = new Date();
+
+    if (definition._id) {
+      await BankParserDefinitionsCollection.updateAsync(definition._id, {
+        $set: { ...fields, updatedAt: now, updatedBy: userId }
+      });
+      return definition._id;
+    }
+
+    return await BankParserDefinitionsCollection.insertAsync({
+      ...fields,
+      securityTypeRules: fields.securityTypeRules || [],
+      operationTypeRules: fields.operationTypeRules || [],
+      isActive: false, // Activated explicitly once tested against a sample file
+      lastTestedAt: null,
+      lastTestResult: null,
+      createdAt: now,
+      createdBy: userId,
+      updatedAt: now,
+      updatedBy: userId
+    });
+  },
+
+  async setActive(id, isActive, userId) {
+    return await BankParserDefinitionsCollection.updateAsync(id, {
+      $set: { isActive, updatedAt: new Date(), updatedBy: userId }
+    });
+  },
+
+  async removeDefinition(id) {
+    return await BankParserDefinitionsCollection.removeAsync(id);
+  },
+
+  async recordTestResult(id, filename, result) {
+    return await BankParserDefinitionsCollection.updateAsync(id, {
+      $set: {
+        lastTestedAt: new Date(),
+        lastTestResult: {
+          filename,
+          success: result.success,
+          recordCount: result.recordCount || 0,
+          errors: result.errors || [],
+          warnings: result.warnings || []
+        }
+      }
+    });
+  },
+
+  /**
+   * Build runtime parsers for all active definitions
+   * @returns {Promise<{ positions: Object, operations: Array }>} Position parsers keyed by definition key,
+   *   operation parsers as a list (matched by filename)
+   */
+  async loadActiveParsers() {
+    const definitions = await BankParserDefinitionsCollection.find({ isActive: true }).fetchAsync();
+    const positions = {};
+    const operations = [];
+
+    for (const definition of definitions) {
+      try {
+        const parser = DeclarativeParser.build(definition);
+        if (definition.fileType === PARSER_FILE_TYPES.OPERATIONS) {
+          operations.push(parser);
+        } else {
+          positions[definition.key] = parser;
+        }
+      } catch (error) {
+        console.error(`[PARSER_DEFINITIONS] Skipping invalid definition ${definition.key}: ${error.message}`);
+      }
+    }
+
+    return { positions, operations };
+  }
+};
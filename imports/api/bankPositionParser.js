@@ -6,12 +6,20 @@ import { CFMParser } from './parsers/cfmParser.js';
 import { EDRMonacoParser } from './parsers/edrMonacoParser.js';
 import { CMBMonacoParser } from './parsers/cmbMonacoParser.js';
 import { SGMonacoParser } from './parsers/sgMonacoParser.js';
+import { SwiftParser } from './parsers/swiftParser.js';
+import { ISO20022Parser } from './parsers/iso20022Parser.js';
+import { ProcessingIssueCollector } from './processingIssueCollector.js';
+import { BankParserDefinitionHelpers } from './bankParserDefinitions.js';
 
 /**
  * Bank Position Parser Service
  *
  * Generic service for parsing bank-specific position files
  * and converting them to standardized schema.
+ *
+ * Custodians without a hand-written parser are configured as declarative
+ * definitions in the database (bankParserDefinitions.js); call
+ * loadDeclarativeParsers() before scanning a directory to pick up the latest ones.
  */
 
 export const BankPositionParser = {
@@ -26,9 +34,29 @@ export const BankPositionParser = {
     'cmb-monaco': CMBMonacoParser,
     'societe-generale': SGMonacoParser,
     'sg-monaco': SGMonacoParser,
-    // Add more parsers here:
-    // 'ubs': UBSParser,
-    // 'credit-suisse': CreditSuisseParser,
+    'swift': SwiftParser, // Standard MT535/MT940/MT950 statements from any SWIFT-capable custodian
+    'iso20022': ISO20022Parser // Standard semt.002 / camt.053 XML statements
+  },
+
+  /**
+   * Parsers built from active declarative definitions, keyed by definition key
+   */
+  declarativeParsers: {},
+
+  /**
+   * Reload declarative parsers from the database
+   */
+  async loadDeclarativeParsers() {
+    const { positions } = await BankParserDefinitionHelpers.loadActiveParsers();
+    this.declarativeParsers = positions;
+    return Object.keys(positions).length;
+  },
+
+  /**
+   * Hand-written parsers first, then declarative ones (hand-written win on key clashes)
+   */
+  getAllParsers() {
+    return { ...this.declarativeParsers, ...this.parsers };
   },
 
   /**
@@ -36,7 +64,8 @@ export const BankPositionParser = {
    */
   getParser(bankName) {
     const key = bankName.toLowerCase().replace(/\s+/g, '-');
-    return this.parsers[key];
+    return this.getAllParsers()[key] ||
+      Object.values(this.declarativeParsers).find(p => p.bankName === bankName);
   },
 
   /**
@@ -54,14 +83,14 @@ export const BankPositionParser = {
     const positionFiles = [];
 
     files.forEach(filename => {
-      for (const [bankKey, parser] of Object.entries(this.parsers)) {
+      for (const [bankKey, parser] of Object.entries(this.getAllParsers())) {
         // Check main pattern (securities positions)
         if (parser.matchesPattern(filename)) {
           const filePath = path.join(directoryPath, filename);
           const stats = fs.statSync(filePath);
 
           try {
-            const fileDate = parser.extractFileDate(filename);
+            const fileDate = parser.extractFileDate(filename, filePath);
 
             positionFiles.push({
               filename,
@@ -85,7 +114,7 @@ export const BankPositionParser = {
           const stats = fs.statSync(filePath);
 
           try {
-            const fileDate = parser.extractFileDate(filename);
+            const fileDate = parser.extractFileDate(filename, filePath);
 
             positionFiles.push({
               filename,
@@ -109,7 +138,7 @@ export const BankPositionParser = {
           const stats = fs.statSync(filePath);
 
           try {
-            const fileDate = parser.extractFileDate(filename);
+            const fileDate = parser.extractFileDate(filename, filePath);
 
             positionFiles.push({
               filename,
@@ -133,7 +162,7 @@ export const BankPositionParser = {
           const stats = fs.statSync(filePath);
 
           try {
-            const fileDate = parser.extractFileDate(filename);
+            const fileDate = parser.extractFileDate(filename, filePath);
 
             positionFiles.push({
               filename,
@@ -281,7 +310,7 @@ export const BankPositionParser = {
     if (fxRatesFiles.length > 0) {
       try {
         const fxFile = fxRatesFiles[0];
-        const parser = this.parsers[fxFile.bankParser];
+        const parser = this.getAllParsers()[fxFile.bankParser];
         if (parser && parser.parseFxRates) {
           const fxContent = this.readFile(fxFile.filePath);
           fxRates = parser.parseFxRates(fxContent);
@@ -297,7 +326,7 @@ export const BankPositionParser = {
     if (pricesFiles.length > 0) {
       try {
         const priceFile = pricesFiles[0];
-        const parser = this.parsers[priceFile.bankParser];
+        const parser = this.getAllParsers()[priceFile.bankParser];
         if (parser && parser.parsePrices) {
           const priceContent = this.readFile(priceFile.filePath);
           prices = parser.parsePrices(priceContent);
@@ -310,6 +339,7 @@ export const BankPositionParser = {
 
     // Parse all files and combine positions
     let allPositions = [];
+    const processingIssues = []; // One report per file with issues (rejected files included)
     let primaryFilename = null;
     let primaryFileDate = null;
     let primaryContent = null;
@@ -319,7 +349,7 @@ export const BankPositionParser = {
     for (const file of securitiesFiles) {
       try {
         console.log(`[BANK_PARSER] Parsing securities file for ${targetDate.toISOString().split('T')[0]}: ${file.filename}`);
-        const parser = this.parsers[file.bankParser];
+        const parser = this.getAllParsers()[file.bankParser];
         const result = this.parseFile(file.filePath, {
           ...options,
           parser,
@@ -329,6 +359,7 @@ export const BankPositionParser = {
         });
 
         allPositions = allPositions.concat(result.positions);
+        if (result.processingIssues) processingIssues.push(result.processingIssues);
 
         // Use first securities file as primary
         if (!primaryFilename) {
@@ -339,6 +370,7 @@ export const BankPositionParser = {
         }
       } catch (error) {
         console.error(`[BANK_PARSER] Error parsing securities file ${file.filename}: ${error.message}`);
+        processingIssues.push(new ProcessingIssueCollector(file.filename).addIssue('BANK_FILE_REJECTED', { error: error.message }).toReport());
       }
     }
 
@@ -346,7 +378,7 @@ export const BankPositionParser = {
     for (const file of cashFiles) {
       try {
         console.log(`[BANK_PARSER] Parsing cash/FX file for ${targetDate.toISOString().split('T')[0]}: ${file.filename}`);
-        const parser = this.parsers[file.bankParser];
+        const parser = this.getAllParsers()[file.bankParser];
         const result = this.parseFile(file.filePath, {
           ...options,
           parser,
@@ -355,6 +387,7 @@ export const BankPositionParser = {
         });
 
         allPositions = allPositions.concat(result.positions);
+        if (result.processingIssues) processingIssues.push(result.processingIssues);
 
         // If no securities file, use cash file as primary
         if (!primaryFilename) {
@@ -365,6 +398,7 @@ export const BankPositionParser = {
         }
       } catch (error) {
         console.error(`[BANK_PARSER] Error parsing cash file ${file.filename}: ${error.message}`);
+        processingIssues.push(new ProcessingIssueCollector(file.filename).addIssue('BANK_FILE_REJECTED', { error: error.message }).toReport());
       }
     }
 
@@ -377,15 +411,17 @@ export const BankPositionParser = {
       totalRecords: allPositions.length,
       content: primaryContent,
       parser: primaryParser,
-      filesProcessed: filesForDate.map(f => ({ filename: f.filename, type: f.fileType }))
+      filesProcessed: filesForDate.map(f => ({ filename: f.filename, type: f.fileType })),
+      processingIssues
     };
   },
 
   /**
    * Read file content
+   * @param {string} encoding - Declarative definitions may declare latin1 / utf16le files
    */
-  readFile(filePath) {
-    return fs.readFileSync(filePath, 'utf8');
+  readFile(filePath, encoding = 'utf8') {
+    return fs.readFileSync(filePath, encoding === 'utf-8' ? 'utf8' : encoding);
   },
 
   /**
@@ -407,8 +443,6 @@ export const BankPositionParser = {
 
     console.log(`[BANK_PARSER] Parsing file: ${filePath} (type: ${fileType})`);
 
-    // Read file content
-    const content = this.readFile(filePath);
     const filename = path.basename(filePath);
 
     // Get parser (use provided parser or detect from filename)
@@ -417,7 +451,7 @@ export const BankPositionParser = {
 
     if (!bankParser) {
       // Try to detect parser from filename
-      for (const [bankKey, p] of Object.entries(this.parsers)) {
+      for (const [bankKey, p] of Object.entries(this.getAllParsers())) {
         if (p.matchesPattern(filename)) {
           bankParser = p;
           detectedFileType = 'securities';
@@ -436,6 +470,9 @@ export const BankPositionParser = {
       throw new Error(`No parser found for file: ${filename}`);
     }
 
+    // Read file content
+    const content = this.readFile(filePath, bankParser.encoding);
+
     // Validate file based on type
     const validation = detectedFileType === 'cash' && bankParser.validateCash
       ? bankParser.validateCash(content)
@@ -445,8 +482,11 @@ export const BankPositionParser = {
       throw new Error(`File validation failed: ${validation.error}`);
     }
 
-    // Extract file date
-    const fileDate = bankParser.extractFileDate(filename);
+    // Extract file date (parsers reading the date from the content use the path)
+    const fileDate = bankParser.extractFileDate(filename, filePath);
+
+    // Parsers that validate the message structure report skipped or unknown elements here
+    const issueCollector = new ProcessingIssueCollector(filename);
 
     // Parse file using appropriate method based on type
     const positions = detectedFileType === 'cash' && bankParser.parseCash
@@ -457,7 +497,8 @@ export const BankPositionParser = {
           fileDate,
           userId,
           fxRates, // Pass FX rates for currency conversion
-          prices   // Pass prices (SG Monaco)
+          prices,  // Pass prices (SG Monaco)
+          issueCollector
         })
       : bankParser.parse(content, {
           bankId,
@@ -466,7 +507,8 @@ export const BankPositionParser = {
           fileDate,
           userId,
           fxRates, // Pass FX rates for currency conversion (e.g., CMB Monaco)
-          prices   // Pass prices (SG Monaco)
+          prices,  // Pass prices (SG Monaco)
+          issueCollector
         });
 
     return {
@@ -476,7 +518,8 @@ export const BankPositionParser = {
       fileType: detectedFileType,
       totalRecords: positions.length,
       content, // Include raw content for structure validation
-      parser: bankParser // Include parser for delimiter info
+      parser: bankParser, // Include parser for delimiter info
+      processingIssues: issueCollector.toReport() // null when the file parsed cleanly
     };
   },
 
@@ -507,7 +550,7 @@ export const BankPositionParser = {
 
     if (latestFiles.length === 0) {
       // Provide diagnostic information about why no files matched
-      const registeredParsers = Object.keys(this.parsers);
+      const registeredParsers = Object.keys(this.getAllParsers());
 
       let errorCode, errorMessage;
       if (csvFilesInDir.length === 0) {
@@ -552,7 +595,7 @@ export const BankPositionParser = {
     if (fxRatesFiles.length > 0) {
       try {
         const fxFile = fxRatesFiles[0];
-        const parser = this.parsers[fxFile.bankParser];
+        const parser = this.getAllParsers()[fxFile.bankParser];
         if (parser && parser.parseFxRates) {
           const fxContent = this.readFile(fxFile.filePath);
           fxRates = parser.parseFxRates(fxContent);
@@ -568,7 +611,7 @@ export const BankPositionParser = {
     if (pricesFiles.length > 0) {
       try {
         const priceFile = pricesFiles[0];
-        const parser = this.parsers[priceFile.bankParser];
+        const parser = this.getAllParsers()[priceFile.bankParser];
         if (parser && parser.parsePrices) {
           const priceContent = this.readFile(priceFile.filePath);
           prices = parser.parsePrices(priceContent);
@@ -581,6 +624,7 @@ export const BankPositionParser = {
 
     // Parse all files and combine positions
     let allPositions = [];
+    const processingIssues = []; // One report per file with issues (rejected files included)
     let primaryFilename = null;
     let primaryFileDate = null;
     let primaryContent = null;
@@ -590,7 +634,7 @@ export const BankPositionParser = {
     for (const file of securitiesFiles) {
       try {
         console.log(`[BANK_PARSER] Parsing securities file: ${file.filename}`);
-        const parser = this.parsers[file.bankParser];
+        const parser = this.getAllParsers()[file.bankParser];
         const result = this.parseFile(file.filePath, {
           ...options,
           parser,
@@ -600,6 +644,7 @@ export const BankPositionParser = {
         });
 
         allPositions = allPositions.concat(result.positions);
+        if (result.processingIssues) processingIssues.push(result.processingIssues);
 
         // Use first securities file as primary
         if (!primaryFilename) {
@@ -610,6 +655,7 @@ export const BankPositionParser = {
         }
       } catch (error) {
         console.error(`[BANK_PARSER] Error parsing securities file ${file.filename}: ${error.message}`);
+        processingIssues.push(new ProcessingIssueCollector(file.filename).addIssue('BANK_FILE_REJECTED', { error: error.message }).toReport());
       }
     }
 
@@ -617,7 +663,7 @@ export const BankPositionParser = {
     for (const file of cashFiles) {
       try {
         console.log(`[BANK_PARSER] Parsing cash/FX file: ${file.filename}`);
-        const parser = this.parsers[file.bankParser];
+        const parser = this.getAllParsers()[file.bankParser];
         const result = this.parseFile(file.filePath, {
           ...options,
           parser,
@@ -626,6 +672,7 @@ export const BankPositionParser = {
         });
 
         allPositions = allPositions.concat(result.positions);
+        if (result.processingIssues) processingIssues.push(result.processingIssues);
 
         // If no securities file, use cash file as primary
         if (!primaryFilename) {
@@ -636,6 +683,7 @@ export const BankPositionParser = {
         }
       } catch (error) {
         console.error(`[BANK_PARSER] Error parsing cash file ${file.filename}: ${error.message}`);
+        processingIssues.push(new ProcessingIssueCollector(file.filename).addIssue('BANK_FILE_REJECTED', { error: error.message }).toReport());
       }
     }
 
@@ -656,7 +704,8 @@ export const BankPositionParser = {
         filename: null,
         fileDate: null,
         totalRecords: 0,
-        error: 'Failed to parse any position files - all files returned errors'
+        error: 'Failed to parse any position files - all files returned errors',
+        processingIssues
       };
     }
 
@@ -667,7 +716,8 @@ export const BankPositionParser = {
       totalRecords: allPositions.length,
       content: primaryContent,
       parser: primaryParser,
-      filesProcessed: latestFiles.map(f => ({ filename: f.filename, type: f.fileType }))
+      filesProcessed: latestFiles.map(f => ({ filename: f.filename, type: f.fileType })),
+      processingIssues
     };
   },
 
@@ -675,10 +725,11 @@ export const BankPositionParser = {
    * Get available banks (parsers)
    */
   getAvailableBanks() {
-    return Object.keys(this.parsers).map(key => ({
+    return Object.entries(this.getAllParsers()).map(([key, parser]) => ({
       key,
-      name: this.parsers[key].bankName,
-      pattern: this.parsers[key].filenamePattern.toString()
+      name: parser.bankName,
+      pattern: parser.filenamePattern.toString(),
+      isDeclarative: !!parser.isDeclarative
     }));
   }
 };
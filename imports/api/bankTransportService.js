@@ -0,0 +1,284 @@
+import fs from 'fs';
+import path from 'path';
+import { FTPSService } from './ftpsService.js';
+import { HTTPSPullService } from './httpsPullService.js';
+import { MailboxService } from './mailboxService.js';
+import { BankPositionParser } from './bankPositionParser.js';
+import { BankOperationParser } from './bankOperationParser.js';
+import { decryptAllGpgFiles, isGpgAvailable } from '../utils/gpgUtils.js';
+
+/**
+ * Bank Transport Service
+ *
+ * Common download pipeline for the custodian transports that are not SFTP or
+ * a local folder: FTPS, HTTPS pull, IMAP mailbox and maildir.
+ *
+ * Every transport writes into a staging folder (bankfiles/.staging/<bank>) first.
+ * GPG files are decrypted there, and only complete, decrypted files are renamed
+ * into the bank folder the position/operation processing reads from. Encrypted
+ * files that fail to decrypt stay in staging and are retried on the next run.
+ */
+
+export const BANK_TRANSPORT_TYPES = ['ftps', 'https', 'imap', 'maildir'];
+
+const stripGpgExtension = (filename) => filename.replace(/\.gpg$/i, '');
+
+export const BankTransportService = {
+  /**
+   * True for connection types handled by this service
+   */
+  isTransportType(connectionType) {
+    return BANK_TRANSPORT_TYPES.includes(connectionType);
+  },
+
+  /**
+   * True when the (decrypted) filename matches a position or operation parser pattern.
+   * Call loadParserPatterns() first so that declarative parsers are included.
+   */
+  matchesParserPattern(filename) {
+    const name = stripGpgExtension(filename);
+
+    if (BankOperationParser.isOperationFile(name)) return true;
+
+    return Object.values(BankPositionParser.getAllParsers()).some(parser =>
+      parser.matchesPattern(name) ||
+      (parser.matchesCashPattern && parser.matchesCashPattern(name)) ||
+      (parser.matchesFxRatesPattern && parser.matchesFxRatesPattern(name)) ||
+      (parser.matchesPricesPattern && parser.matchesPricesPattern(name))
+    );
+  },
+
+  /**
+   * Reload declarative parsers so their filename patterns are accepted
+   */
+  async loadParserPatterns() {
+    await BankPositionParser.loadDeclarativeParsers();
+    await BankOperationParser.loadDeclarativeParsers();
+  },
+
+  /**
+   * Filename filter for a connection: its own attachmentPattern (regex) when set,
+   * otherwise any parser pattern
+   */
+  buildFileFilter(connection) {
+    if (connection.attachmentPattern) {
+      const pattern = new RegExp(connection.attachmentPattern, 'i');
+      return (filename) => pattern.test(stripGpgExtension(filename));
+    }
+    return (filename) => this.matchesParserPattern(filename);
+  },
+
+  /**
+   * Transport configuration from a connection document
+   */
+  getConfig(connection) {
+    switch (connection.connectionType) {
+      case 'ftps':
+        return {
+          host: connection.host,
+          port: connection.port,
+          username: connection.username,
+          password: connection.password,
+          ftpsMode: connection.ftpsMode || 'explicit',
+          remotePath: connection.remotePath || '/'
+        };
+      case 'https':
+        return {
+          url: connection.url,
+          authType: connection.authType || 'basic',
+          username: connection.username,
+          password: connection.password,
+          clientCertPath: connection.clientCertPath,
+          clientKeyPath: connection.clientKeyPath,
+          caPath: connection.caPath
+        };
+      case 'imap':
+        return {
+          host: connection.host,
+          port: connection.port || 993,
+          username: connection.username,
+          password: connection.password,
+          mailbox: connection.mailbox || 'INBOX',
+          imapState: connection.imapState || null
+        };
+      case 'maildir':
+        return { maildirPath: connection.maildirPath };
+      default:
+        throw new Error(`Connection type ${connection.connectionType} is not a bank transport`);
+    }
+  },
+
+  /**
+   * Test a transport connection
+   * @returns {Promise<Object>} { fileCount, message, timestamp }
+   */
+  async testConnection(connection) {
+    const config = this.getConfig(connection);
+
+    switch (connection.connectionType) {
+      case 'ftps':
+        return await FTPSService.testConnection(config);
+      case 'https':
+        return await HTTPSPullService.testConnection(config);
+      case 'imap':
+        return await MailboxService.testImapConnection(config);
+      case 'maildir': {
+        const messages = MailboxService.listMaildir(config.maildirPath);
+        return {
+          success: true,
+          message: `Maildir accessible (${messages.length} unread message(s))`,
+          fileCount: messages.length,
+          timestamp: new Date()
+        };
+      }
+    }
+  },
+
+  /**
+   * List remote files (FTPS/HTTPS) or pending messages (IMAP/maildir)
+   */
+  async listFiles(connection, remotePath = null) {
+    const config = this.getConfig(connection);
+
+    switch (connection.connectionType) {
+      case 'ftps':
+        return await FTPSService.listFiles(config, remotePath || config.remotePath);
+      case 'https':
+        return await HTTPSPullService.listFiles(config);
+      case 'imap':
+        return await MailboxService.listImapMessages(config);
+      case 'maildir':
+        return MailboxService.listMaildir(config.maildirPath);
+    }
+  },
+
+  /**
+   * Download new files into the bank folder
+   *
+   * @param {Object} connection - Bank connection document
+   * @param {String} bankFolderPath - Folder the processing step reads from
+   * @param {String} stagingPath - Private folder for in-flight and encrypted files
+   * @returns {Promise<Object>} {
+   *   totalFound, newFiles, skippedFiles, failedFiles,
+   *   decryptedFiles, decryptionErrors, gpgAvailable, connectionUpdates
+   * }
+   */
+  async downloadAll(connection, { bankFolderPath, stagingPath }) {
+    const config = this.getConfig(connection);
+    [bankFolderPath, stagingPath].forEach(folder => {
+      if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
+    });
+
+    await this.loadParserPatterns();
+    const patternFilter = this.buildFileFilter(connection);
+
+    // Files already in the bank folder (or already decrypted there) are not fetched again
+    const existingFiles = new Set(fs.readdirSync(bankFolderPath));
+    const skippedFiles = [];
+    const remoteFilter = (filename) => {
+      if (!patternFilter(filename)) return false;
+      if (existingFiles.has(filename) || existingFiles.has(stripGpgExtension(filename))) {
+        skippedFiles.push(filename);
+        return false;
+      }
+      return true;
+    };
+
+    let totalFound = 0;
+    let failedFiles = [];
+    const connectionUpdates = {};
+
+    switch (connection.connectionType) {
+      case 'ftps': {
+        const result = await FTPSService.downloadAllFiles(config, config.remotePath, stagingPath, remoteFilter);
+        totalFound = result.totalFound;
+        failedFiles = result.errors.map(e => ({ name: e.file, error: e.error }));
+        break;
+      }
+      case 'https': {
+        const files = await HTTPSPullService.listFiles(config);
+        totalFound = files.length;
+        for (const file of files.filter(f => remoteFilter(f.name))) {
+          try {
+            await HTTPSPullService.downloadFile(config, file.url, path.join(stagingPath, file.name));
+            console.log(`[BANK_TRANSPORT] Downloaded: ${file.name}`);
+          } catch (downloadErr) {
+            console.error(`[BANK_TRANSPORT] Failed to download ${file.name}: ${downloadErr.message}`);
+            failedFiles.push({ name: file.name, error: downloadErr.message });
+          }
+        }
+        break;
+      }
+      case 'imap':
+      case 'maildir': {
+        const result = connection.connectionType === 'imap'
+          ? await MailboxService.fetchImapAttachments(config, stagingPath, patternFilter)
+          : await MailboxService.fetchMaildirAttachments(config.maildirPath, stagingPath, patternFilter);
+        totalFound = result.messages.reduce((sum, m) => sum + m.savedFiles.length, 0);
+        failedFiles = result.errors.map(e => ({ name: e.uid ? `UID ${e.uid}` : e.file, error: e.error }));
+        if (result.imapState) {
+          connectionUpdates.imapState = result.imapState;
+        }
+        break;
+      }
+    }
+
+    // Decrypt in staging - encrypted files never reach the bank folder
+    const stagedGpgFiles = fs.readdirSync(stagingPath).filter(f => f.toLowerCase().endsWith('.gpg'));
+    const gpgAvailable = stagedGpgFiles.length > 0 ? isGpgAvailable() : null;
+    const decryptedFiles = [];
+    let decryptionErrors = [];
+
+    if (stagedGpgFiles.length > 0) {
+      if (!gpgAvailable) {
+        console.error(`[BANK_TRANSPORT] GPG not available - ${stagedGpgFiles.length} encrypted file(s) left in staging`);
+        decryptionErrors = stagedGpgFiles.map(f => ({ gpgFile: f, error: 'GPG not available' }));
+      } else {
+        const decryptResult = decryptAllGpgFiles(stagingPath, stagingPath, {
+          preserveStructure: false,
+          overwrite: false
+        });
+
+        [...decryptResult.decrypted, ...decryptResult.skipped].forEach(d => {
+          fs.rmSync(d.inputPath, { force: true });
+          decryptedFiles.push(path.basename(d.outputPath));
+        });
+        decryptionErrors = decryptResult.failed.map(f => ({
+          gpgFile: path.basename(f.inputPath),
+          error: f.error
+        }));
+      }
+    }
+
+    // Promote complete files to the bank folder
+    const newFiles = [];
+    fs.readdirSync(stagingPath)
+      .filter(f => !f.toLowerCase().endsWith('.gpg') && !f.endsWith('.part'))
+      .forEach(filename => {
+        const stagedPath = path.join(stagingPath, filename);
+        if (!fs.statSync(stagedPath).isFile()) return;
+
+        if (existingFiles.has(filename) || fs.existsSync(path.join(bankFolderPath, filename))) {
+          fs.rmSync(stagedPath, { force: true });
+          if (!skippedFiles.includes(filename)) skippedFiles.push(filename);
+          return;
+        }
+
+        fs.renameSync(stagedPath, path.join(bankFolderPath, filename));
+        newFiles.push(filename);
+      });
+
+    console.log(`[BANK_TRANSPORT] ${connection.connectionType} ${connection.connectionName}: ${newFiles.length} new, ${skippedFiles.length} skipped, ${failedFiles.length} failed, ${decryptionErrors.length} decryption error(s)`);
+
+    return {
+      totalFound,
+      newFiles,
+      skippedFiles,
+      failedFiles,
+      decryptedFiles,
+      decryptionErrors,
+      gpgAvailable,
+      connectionUpdates
+    };
+  }
+};
@@ -0,0 +1,411 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+import { AccountProfilesCollection, PROFILE_TEMPLATES } from './accountProfiles.js';
+
+/**
+ * Benchmarks Collection
+ *
+ * Custom benchmark definitions created by admins. A benchmark is a list of
+ * weighted components, each one a MarketDataCache ticker, e.g.
+ * "40% MSCI World / 50% Bloomberg Euro Agg / 10% €STR". Composites are
+ * rebalanced to target weights at every observation date (see
+ * helpers/benchmarkCalculator.js).
+ *
+ * Built-in benchmarks (BUILT_IN_BENCHMARKS) are not stored; they are the
+ * defaults referenced by PROFILE_TEMPLATES. An account is attached to a
+ * benchmark through AccountProfiles.benchmarkId, which may hold either a
+ * built-in key or a Benchmarks _id.
+ */
+export const BenchmarksCollection = new Mongo.Collection('benchmarks');
+
+/**
+ * Schema for a custom benchmark
+ */
+const BenchmarkSchema = {
+  name: String,
+  description: String,
+  components: [Object],      // [{ ticker: 'EUNL.XETRA', label: 'MSCI World', weight: 40, category: 'equities' }]
+                             // category: profile category (cash/bonds/equities/alternative) for attribution
+  isActive: Boolean,
+  createdBy: String,
+  createdAt: Date,
+  updatedBy: String,
+  updatedAt: Date
+};
+
+// Profile categories a component can represent (see aggregateToFourCategories)
+export const BENCHMARK_CATEGORIES = ['cash', 'bonds', 'equities', 'alternative'];
+
+// Currency of the component prices; other reporting currencies convert them
+// (see BenchmarkHelpers.loadReportingPriceHistories)
+export const BENCHMARK_CURRENCY = 'EUR';
+
+// Index proxies (EUR-listed UCITS ETFs so the composite is in EUR, like the TWR)
+export const BENCHMARK_INDEX_PROXIES = {
+  MSCI_WORLD: { ticker: 'EUNL.XETRA', label: 'MSCI World', category: 'equities' },
+  EURO_AGG: { ticker: 'EUNA.XETRA', label: 'Bloomberg Euro Agg', category: 'bonds' },
+  ESTR: { ticker: 'XEON.XETRA', label: '€STR', category: 'cash' }
+};
+
+const { MSCI_WORLD, EURO_AGG, ESTR } = BENCHMARK_INDEX_PROXIES;
+
+export const BUILT_IN_BENCHMARKS = {
+  'composite-security': {
+    name: '80% Euro Agg / 20% €STR',
+    components: [
+      { ...EURO_AGG, weight: 80 },
+      { ...ESTR, weight: 20 }
+    ]
+  },
+  'composite-conservative': {
+    name: '20% MSCI World / 70% Euro Agg / 10% €STR',
+    components: [
+      { ...MSCI_WORLD, weight: 20 },
+      { ...EURO_AGG, weight: 70 },
+      { ...ESTR, weight: 10 }
+    ]
+  },
+  'composite-balanced': {
+    name: '40% MSCI World / 50% Euro Agg / 10% €STR',
+    components: [
+      { ...MSCI_WORLD, weight: 40 },
+      { ...EURO_AGG, weight: 50 },
+      { ...ESTR, weight: 10 }
+    ]
+  },
+  'composite-dynamic': {
+    name: '70% MSCI World / 25% Euro Agg / 5% €STR',
+    components: [
+      { ...MSCI_WORLD, weight: 70 },
+      { ...EURO_AGG, weight: 25 },
+      { ...ESTR, weight: 5 }
+    ]
+  },
+  'msci-world': {
+    name: 'MSCI World',
+    components: [{ ...MSCI_WORLD, weight: 100 }]
+  },
+  'estr': {
+    name: '€STR',
+    components: [{ ...ESTR, weight: 100 }]
+  }
+};
+
+// Used when an account has no profile, or a profile matching no template
+export const DEFAULT_BENCHMARK_ID = 'composite-balanced';
+
+/**
+ * Find the PROFILE_TEMPLATES key a stored profile corresponds to
+ * Matches the stored profileName first, then the allocation limits.
+ */
+const findTemplateKey = (profile) => {
+  if (!profile) return null;
+  const entries = Object.entries(PROFILE_TEMPLATES);
+  const byName = profile.profileName && entries.find(([, tpl]) => tpl.name === profile.profileName);
+  if (byName) return byName[0];
+
+  const byLimits = entries.find(([, tpl]) =>
+    tpl.maxCash === profile.maxCash &&
+    tpl.maxBonds === profile.maxBonds &&
+    tpl.maxEquities === profile.maxEquities &&
+    tpl.maxAlternative === profile.maxAlternative
+  );
+  return byLimits ? byLimits[0] : null;
+};
+
+/**
+ * Get the default benchmark id for an account profile (from PROFILE_TEMPLATES)
+ * @param {Object|null} profile - AccountProfiles document
+ * @returns {string}
+ */
+export const getDefaultBenchmarkId = (profile) => {
+  const templateKey = findTemplateKey(profile);
+  return (templateKey && PROFILE_TEMPLATES[templateKey].benchmarkId) || DEFAULT_BENCHMARK_ID;
+};
+
+if (Meteor.isServer) {
+  BenchmarksCollection.createIndexAsync({ isActive: 1, name: 1 });
+}
+
+/**
+ * Helper functions for benchmarks
+ */
+export const BenchmarkHelpers = {
+  /**
+   * Get a benchmark by id (built-in key or custom document _id)
+   * @returns {Object|null} { id, name, components, isBuiltIn }
+   */
+  async getBenchmark(benchmarkId) {
+    if (!benchmarkId) return null;
+
+    const builtIn = BUILT_IN_BENCHMARKS[benchmarkId];
+    if (builtIn) {
+      return { id: benchmarkId, name: builtIn.name, components: builtIn.components, isBuiltIn: true };
+    }
+
+    const doc = await BenchmarksCollection.findOneAsync({ _id: benchmarkId, isActive: true });
+    if (!doc) return null;
+
+    return { id: doc._id, name: doc.name, components: doc.components || [], isBuiltIn: false };
+  },
+
+  /**
+   * List built-in and active custom benchmarks
+   */
+  async listBenchmarks() {
+    const builtIns = Object.entries(BUILT_IN_BENCHMARKS).map(([id, def]) => ({
+      id,
+      name: def.name,
+      components: def.components,
+      isBuiltIn: true
+    }));
+
+    const custom = await BenchmarksCollection.find(
+      { isActive: true },
+      { sort: { name: 1 } }
+    ).fetchAsync();
+
+    return [
+      ...builtIns,
+      ...custom.map(doc => ({
+        id: doc._id,
+        name: doc.name,
+        description: doc.description,
+        components: doc.components || [],
+        isBuiltIn: false
+      }))
+    ];
+  },
+
+  /**
+   * Resolve the benchmark attached to a bank account
+   * Explicit AccountProfiles.benchmarkId wins; otherwise the profile template default.
+   *
+   * @param {string} bankAccountId
+   * @returns {Object} { benchmark, source: 'account' | 'profile' | 'default' }
+   */
+  async resolveForAccount(bankAccountId) {
+    const profile = bankAccountId
+      ? await AccountProfilesCollection.findOneAsync({ bankAccountId })
+      : null;
+
+    if (profile?.benchmarkId) {
+      const assigned = await this.getBenchmark(profile.benchmarkId);
+      if (assigned) return { benchmark: assigned, source: 'account' };
+      console.warn(`[BENCHMARK] Account ${bankAccountId} references missing benchmark ${profile.benchmarkId}, using profile default`);
+    }
+
+    const defaultId = getDefaultBenchmarkId(profile);
+    return {
+      benchmark: await this.getBenchmark(defaultId),
+      source: profile ? 'profile' : 'default'
+    };
+  },
+
+  /**
+   * Resolve one benchmark for a set of portfolio codes
+   *
+   * A single account (or several sharing a benchmark) gets its own benchmark.
+   * Accounts with different benchmarks get a blended composite whose
+   * component weights are the account benchmarks weighted by each account's
+   * latest snapshot value.
+   *
+   * @param {Array<string>} portfolioCodes - Bank account numbers
+   * @returns {Object|null} { id, name, components, isBuiltIn, source, accounts }
+   */
+  async resolveForPortfolioCodes(portfolioCodes) {
+    if (!portfolioCodes || portfolioCodes.length === 0) return null;
+
+    const { BankAccountsCollection } = await import('./bankAccounts.js');
+    const { PortfolioSnapshotsCollection } = await import('./portfolioSnapshots.js');
+    const { normalizeComponents } = await import('./helpers/benchmarkCalculator.js');
+
+    const accounts = await BankAccountsCollection.find(
+      { accountNumber: { $in: portfolioCodes }, isActive: true },
+      { fields: { _id: 1, accountNumber: 1 } }
+    ).fetchAsync();
+
+    if (accounts.length === 0) return null;
+
+    const resolved = [];
+    for (const account of accounts) {
+      const { benchmark, source } = await this.resolveForAccount(account._id);
+      if (!benchmark) continue;
+
+      const latest = await PortfolioSnapshotsCollection.findOneAsync(
+        { portfolioCode: account.accountNumber },
+        { sort: { snapshotDate: -1 }, fields: { totalAccountValue: 1 } }
+      );
+
+      resolved.push({
+        portfolioCode: account.accountNumber,
+        benchmark,
+        source,
+        value: Math.max(0, latest?.totalAccountValue || 0)
+      });
+    }
+
+    if (resolved.length === 0) return null;
+
+    const accountsSummary = resolved.map(r => ({
+      portfolioCode: r.portfolioCode,
+      benchmarkId: r.benchmark.id,
+      benchmarkName: r.benchmark.name,
+      source: r.source
+    }));
+
+    const distinctIds = new Set(resolved.map(r => r.benchmark.id));
+    if (distinctIds.size === 1) {
+      return { ...resolved[0].benchmark, source: resolved[0].source, accounts: accountsSummary };
+    }
+
+    // Blend: account weight x component weight, merged per ticker
+    const totalValue = resolved.reduce((sum, r) => sum + r.value, 0);
+    const byTicker = {};
+    for (const r of resolved) {
+      const accountWeight = totalValue > 0 ? r.value / totalValue : 1 / resolved.length;
+      for (const component of normalizeComponents(r.benchmark.components)) {
+        if (!byTicker[component.ticker]) {
+          byTicker[component.ticker] = { ticker: component.ticker, label: component.label, category: component.category, weight: 0 };
+        }
+        byTicker[component.ticker].weight += accountWeight * component.weight * 100;
+      }
+    }
+
+    const components = Object.values(byTicker).sort((a, b) => b.weight - a.weight);
+    const name = components.map(c => `${Math.round(c.weight)}% ${c.label}`).join(' / ');
+
+    return {
+      id: 'blended',
+      name: `Blended: ${name}`,
+      components,
+      isBuiltIn: false,
+      source: 'blended',
+      accounts: accountsSummary
+    };
+  },
+
+  /**
+   * Load price histories for benchmark components from MarketDataCache
+   * Tickers not cached, or cached only after fromDate, are fetched first
+   * (MarketDataHelpers.getHistoryCovering).
+   *
+   * @param {Array} components - [{ ticker }]
+   * @param {Date} fromDate - First portfolio date
+   * @returns {Object} { [ticker]: history[] }
+   */
+  async loadPriceHistories(components, fromDate) {
+    const { MarketDataHelpers } = await import('./marketDataCache.js');
+
+    const histories = {};
+    for (const { ticker } of components) {
+      if (histories[ticker]) continue;
+      histories[ticker] = await MarketDataHelpers.getHistoryCovering(ticker, fromDate);
+    }
+
+    return histories;
+  },
+
+  /**
+   * Load price histories converted into the reporting currency
+   * Component prices are in BENCHMARK_CURRENCY and are converted at the rate
+   * of each day, so the benchmark carries the same currency effect as a
+   * translated TWR. Without rate history the prices stay unconverted.
+   *
+   * @param {Array} components - [{ ticker }]
+   * @param {Date} fromDate - First portfolio date
+   * @param {string|null} reportingCurrency - null keeps BENCHMARK_CURRENCY
+   * @returns {Object} { histories: { [ticker]: history[] }, currency } - currency the prices are in
+   */
+  async loadReportingPriceHistories(components, fromDate, reportingCurrency = null) {
+    const histories = await this.loadPriceHistories(components, fromDate);
+    if (!reportingCurrency || reportingCurrency === BENCHMARK_CURRENCY) {
+      return { histories, currency: BENCHMARK_CURRENCY };
+    }
+
+    const { CurrencyCache } = await import('./currencyCache.js');
+    const { buildDatedRatesLookup, convertCurrency } = await import('./helpers/cashCalculator.js');
+    const { convertPriceHistories } = await import('./helpers/benchmarkCalculator.js');
+
+    const historicalRates = await CurrencyCache.getHistoricalRates([reportingCurrency], fromDate);
+    if (!historicalRates[reportingCurrency]?.length) {
+      console.warn(`[BENCHMARK] No ${reportingCurrency} rate history, benchmark left in ${BENCHMARK_CURRENCY}`);
+      return { histories, currency: BENCHMARK_CURRENCY };
+    }
+
+    const ratesOn = buildDatedRatesLookup(historicalRates);
+    return {
+      histories: convertPriceHistories(histories, date =>
+        convertCurrency(1, BENCHMARK_CURRENCY, reportingCurrency, ratesOn(date))
+      ),
+      currency: reportingCurrency
+    };
+  },
+
+  /**
+   * Compare a portfolio TWR series with its benchmark
+   *
+   * @param {Object} params
+   * @param {Array<string>} params.portfolioCodes - Account numbers the TWR covers
+   * @param {Array} params.dailyValues - buildDailyValuesFromSnapshots output
+   * @param {Array} params.twrSeries - calculateDailyTWR output
+   * @param {Object} params.periodStarts - { [periodName]: 'YYYY-MM-DD' } chain-link base per period
+   * @param {string} [params.benchmarkId] - Override the account benchmark
+   * @param {string} [params.reportingCurrency] - Currency of the TWR (default: BENCHMARK_CURRENCY)
+   * @returns {Object|null} { benchmark, currency, periods: { [periodName]: metrics|null },
+   *   series: [{ date, cumulativeReturn }], coverage } or null when no benchmark applies.
+   *   currency is the one the benchmark was computed in; it differs from
+   *   reportingCurrency when no rate history was available.
+   */
+  async calculateRelativePerformance({ portfolioCodes, dailyValues, twrSeries, periodStarts, benchmarkId = null, reportingCurrency = null }) {
+    if (!twrSeries?.length || !dailyValues?.length) return null;
+
+    const benchmark = benchmarkId
+      ? await this.getBenchmark(benchmarkId)
+      : await this.resolveForPortfolioCodes(portfolioCodes);
+
+    if (!benchmark || !benchmark.components?.length) {
+      console.log(`[BENCHMARK] No benchmark resolved for ${portfolioCodes?.join(',') || 'ALL'}`);
+      return null;
+    }
+
+    const { buildCompositeBenchmarkSeries, calculateRelativeMetrics, LOW_COVERAGE_WEIGHT } = await import('./helpers/benchmarkCalculator.js');
+
+    const baseDate = dailyValues[0].date;
+    const dates = [baseDate, ...twrSeries.map(e => e.date)];
+    const { histories, currency } = await this.loadReportingPriceHistories(benchmark.components, new Date(baseDate), reportingCurrency);
+    const series = buildCompositeBenchmarkSeries(benchmark.components, histories, dates);
+
+    if (series.length === 0) return null;
+
+    const fullyCovered = series.filter(e => e.coveredWeight >= 0.999).length;
+    const unpriced = series.filter(e => e.dailyReturn === null).length;
+    const lowCoverage = series.filter(e => e.dailyReturn !== null && e.coveredWeight < LOW_COVERAGE_WEIGHT).length;
+    const minCoveredWeight = Math.min(...series.filter(e => e.dailyReturn !== null).map(e => e.coveredWeight), 1);
+    const missingTickers = benchmark.components
+      .filter(c => !histories[c.ticker] || histories[c.ticker].length === 0)
+      .map(c => c.ticker);
+
+    const periods = {};
+    for (const [periodName, periodStart] of Object.entries(periodStarts)) {
+      periods[periodName] = calculateRelativeMetrics(twrSeries, series, periodStart);
+    }
+
+    console.log(`[BENCHMARK] ${benchmark.name} (${currency}): ${series.length} points, ${fullyCovered} fully covered, ${lowCoverage} low coverage, ${unpriced} unpriced${missingTickers.length ? `, missing ${missingTickers.join(',')}` : ''}`);
+
+    return {
+      benchmark,
+      currency,
+      periods,
+      series: series.map(e => ({ date: e.date, cumulativeReturn: e.cumulativeReturn })),
+      coverage: {
+        dataPoints: series.length,
+        fullyCoveredPoints: fullyCovered,
+        lowCoveragePoints: lowCoverage,
+        unpricedPoints: unpriced,
+        minCoveredWeight,
+        missingTickers
+      }
+    };
+  }
+};
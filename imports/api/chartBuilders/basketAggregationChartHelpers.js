@@ -0,0 +1,74 @@
+import { BasketAggregation, BASKET_AGGREGATION_MODES } from '/imports/utils/basketTypes';
+
+/**
+ * Basket Aggregation Chart Helpers
+ *
+ * Shared by the Orion, Himalaya and Participation Note chart builders to draw the
+ * basket of a product evaluated under a rainbow / worst-N / cliquet aggregation mode
+ * (see evaluation.basketAggregation).
+ */
+export const BasketAggregationChartHelpers = {
+  /**
+   * Build the aggregated basket line from the rebased underlying series
+   *
+   * @param {Array} seriesList - [{ ticker, data: [{ x, y }] }] rebased to 100
+   * @param {Object} basketAggregation - evaluation.basketAggregation
+   * @returns {Object|null} Chart.js dataset
+   */
+  buildDataset(seriesList, basketAggregation) {
+    if (!basketAggregation?.config || seriesList.length === 0) return null;
+
+    const data = BasketAggregation.buildSeries(
+      seriesList,
+      basketAggregation.config,
+      basketAggregation.fixingDates || []
+    );
+    if (data.length === 0) return null;
+
+    return {
+      label: `${basketAggregation.label} Basket`,
+      data,
+      borderColor: '#8b5cf6',
+      backgroundColor: 'transparent',
+      borderWidth: 3,
+      borderDash: [8, 4],
+      fill: false,
+      pointRadius: 0,
+      tension: 0.1,
+      isPercentage: true,
+      order: 0
+    };
+  },
+
+  /**
+   * Vertical markers on the cliquet fixing dates
+   *
+   * @param {Array<string>} labels - Chart date labels (YYYY-MM-DD)
+   * @param {Object} basketAggregation - evaluation.basketAggregation
+   * @returns {Object} Annotations keyed by name
+   */
+  buildFixingAnnotations(labels, basketAggregation) {
+    const annotations = {};
+    if (basketAggregation?.mode !== BASKET_AGGREGATION_MODES.CLIQUET) return annotations;
+
+    (basketAggregation.fixingDates || []).forEach((dateKey, index) => {
+      const labelIndex = labels.indexOf(dateKey);
+      if (labelIndex < 0) return;
+
+      annotations[`cliquetFixing_${index}`] = {
+        type: 'line',
+        xMin: labelIndex,
+        xMax: labelIndex,
+        borderColor: 'rgba(139, 92, 246, 0.4)',
+        borderWidth: 1,
+        borderDash: [4, 4],
+        label: {
+          content: `Fixing ${index + 1}`,
+          display: false
+        }
+      };
+    });
+
+    return annotations;
+  }
+};
@@ -0,0 +1,356 @@
+import { ProductPriceHelpers } from '/imports/api/productPrices';
+import { CreditLinkedNoteEvaluationHelpers } from '/imports/api/evaluators/creditLinkedNoteEvaluationHelpers';
+
+/**
+ * Credit Linked Note Chart Builder
+ *
+ * Generates chart configurations specific to Credit Linked Notes.
+ * Charts include:
+ * - Note price history (ProductPrices, plus the manual price point)
+ * - Projected redemption line, stepping down at each credit event
+ * - Recovery floor (redemption if every reference entity defaults)
+ * - Coupon dates, credit events and maturity markers
+ */
+export const CreditLinkedNoteChartBuilder = {
+  /**
+   * Generate chart data for Credit Linked Note product
+   */
+  async generateChartData(product, evaluation) {
+    const clnStructure = evaluation.clnStructure || {};
+    const entities = evaluation.referenceEntities || [];
+    const creditEvents = evaluation.creditEvents || [];
+
+    console.log('📊 [CLN Chart] Starting chart generation');
+    console.log('📊 [CLN Chart] Reference entities:', entities.length, 'credit events:', creditEvents.length);
+
+    // Generate date labels from trade date to maturity
+    const tradeDate = new Date(product.tradeDate || product.valueDate || product.issueDate);
+    const maturityDate = new Date(product.maturity || product.maturityDate);
+    const today = new Date();
+
+    console.log('📊 [CLN Chart] Dates:', {
+      tradeDate: tradeDate.toISOString().split('T')[0],
+      maturityDate: maturityDate.toISOString().split('T')[0],
+      today: today.toISOString().split('T')[0]
+    });
+
+    // Generate daily date labels
+    const labels = [];
+    const currentDate = new Date(tradeDate);
+    // Extend to maturity to show remaining time on x-axis
+    while (currentDate <= maturityDate) {
+      labels.push(currentDate.toISOString().split('T')[0]);
+      currentDate.setDate(currentDate.getDate() + 1);
+    }
+
+    const datasets = [];
+
+    // Note price history
+    const priceData = await this.generatePriceHistoryData(product, tradeDate, today, evaluation.marketValue);
+    if (priceData.length > 0) {
+      datasets.push({
+        label: 'Note Price',
+        data: priceData,
+        borderColor: '#3b82f6',
+        backgroundColor: 'transparent',
+        borderWidth: 3,
+        fill: false,
+        pointRadius: priceData.length < 30 ? 3 : 0,
+        tension: 0.1,
+        spanGaps: true,
+        isPercentage: true,
+        order: 1
+      });
+    }
+
+    // Projected redemption: par until the first credit event, then stepped down to recovery
+    const redemptionData = labels.map(date => ({
+      x: date,
+      y: entities.length > 0
+        ? entities.reduce((sum, entity) => {
+            const defaulted = entity.isDefaulted && entity.eventDate &&
+              new Date(entity.eventDate).toISOString().split('T')[0] <= date;
+            return sum + entity.weight * (defaulted ? entity.recoveryRate : 100) / 100;
+          }, 0)
+        : 100
+    }));
+
+    datasets.push({
+      label: 'Projected Redemption',
+      data: redemptionData,
+      borderColor: '#10b981',
+      backgroundColor: 'transparent',
+      borderWidth: 2.5,
+      stepped: true,
+      fill: false,
+      pointRadius: 0,
+      isPercentage: true,
+      order: 2
+    });
+
+    // Recovery floor (all entities defaulted)
+    const recoveryFloor = entities.length > 0
+      ? entities.reduce((sum, entity) => sum + entity.weight * entity.recoveryRate / 100, 0)
+      : (clnStructure.recoveryRate ?? 40);
+
+    datasets.push({
+      label: `Recovery Floor (${recoveryFloor.toFixed(1)}%)`,
+      data: labels.map(date => ({ x: date, y: recoveryFloor })),
+      borderColor: '#ef4444',
+      backgroundColor: 'transparent',
+      borderWidth: 2.5,
+      borderDash: [5, 5],
+      fill: false,
+      pointRadius: 0,
+      isPercentage: true,
+      order: 3
+    });
+
+    // Par reference line
+    datasets.push({
+      label: 'Par (100%)',
+      data: labels.map(date => ({ x: date, y: 100 })),
+      borderColor: '#6b7280',
+      backgroundColor: 'transparent',
+      borderWidth: 1.5,
+      borderDash: [8, 4],
+      fill: false,
+      pointRadius: 0,
+      isPercentage: true,
+      order: 4
+    });
+
+    // Build annotations
+    const annotations = {
+      // Trade date vertical line
+      tradeDate: {
+        type: 'line',
+        xMin: 0,
+        xMax: 0,
+        borderColor: '#374151',
+        borderWidth: 2,
+        label: {
+          content: 'Launch',
+          display: true,
+          position: 'start',
+          backgroundColor: '#374151',
+          color: 'white',
+          font: { size: 10, weight: 'bold' }
+        }
+      },
+      // Maturity vertical line
+      maturityDate: {
+        type: 'line',
+        xMin: labels.length - 1,
+        xMax: labels.length - 1,
+        borderColor: '#374151',
+        borderWidth: 2,
+        label: {
+          content: 'Maturity',
+          display: true,
+          position: 'end',
+          backgroundColor: '#374151',
+          color: 'white',
+          font: { size: 10, weight: 'bold' }
+        }
+      }
+    };
+
+    // Coupon payment dates (light markers, no labels to keep the chart readable)
+    const couponObservations = evaluation.observationAnalysis?.observations || [];
+    couponObservations.forEach((obs, index) => {
+      const dateStr = new Date(obs.paymentDate).toISOString().split('T')[0];
+      const labelIndex = labels.indexOf(dateStr);
+      if (labelIndex <= 0 || obs.isFinal) return;
+
+      annotations[`coupon_${index}`] = {
+        type: 'line',
+        xMin: labelIndex,
+        xMax: labelIndex,
+        borderColor: 'rgba(107, 114, 128, 0.35)',
+        borderWidth: 1,
+        borderDash: [2, 4]
+      };
+    });
+
+    // Credit events
+    creditEvents.forEach((event, index) => {
+      const dateStr = new Date(event.eventDate).toISOString().split('T')[0];
+      const labelIndex = labels.indexOf(dateStr);
+      if (labelIndex < 0) return;
+
+      annotations[`creditEvent_${index}`] = {
+        type: 'line',
+        xMin: labelIndex,
+        xMax: labelIndex,
+        borderColor: '#dc2626',
+        borderWidth: 2,
+        label: {
+          content: `${event.entityName}: ${event.eventTypeLabel || event.eventType}`,
+          display: true,
+          position: 'center',
+          backgroundColor: '#dc2626',
+          color: 'white',
+          font: { size: 10, weight: 'bold' }
+        }
+      };
+    });
+
+    // Chart configuration
+    const chartData = {
+      type: 'line',
+      data: {
+        labels,
+        datasets
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          mode: 'index',
+          intersect: false
+        },
+        plugins: {
+          title: {
+            display: true,
+            text: `${product.title || 'Credit Linked Note'} - Price & Credit Evolution`,
+            font: { size: 16, weight: 'bold' },
+            color: '#e5e7eb'
+          },
+          legend: {
+            display: true,
+            position: 'bottom',
+            labels: {
+              usePointStyle: true,
+              padding: 15,
+              font: { size: 11 }
+            }
+          },
+          tooltip: {
+            enabled: true,
+            callbacks: {
+              label: function(context) {
+                let label = context.dataset.label || '';
+                if (label) {
+                  label += ': ';
+                }
+                if (context.parsed.y !== null) {
+                  label += context.parsed.y.toFixed(2) + '%';
+                }
+                return label;
+              }
+            }
+          },
+          annotation: {
+            annotations: annotations
+          }
+        },
+        scales: {
+          x: {
+            type: 'category',
+            title: {
+              display: true,
+              text: 'Date',
+              font: { size: 12, weight: 'bold' }
+            },
+            ticks: {
+              maxRotation: 45,
+              minRotation: 45,
+              autoSkip: true,
+              maxTicksLimit: 12
+            },
+            grid: {
+              display: true,
+              color: 'rgba(209, 213, 219, 0.2)',
+              drawBorder: false
+            }
+          },
+          y: {
+            title: {
+              display: true,
+              text: 'Price (% of notional)',
+              font: { size: 12, weight: 'bold' }
+            },
+            ticks: {
+              callback: function(value) {
+                return value.toFixed(0) + '%';
+              }
+            },
+            grid: {
+              display: true,
+              color: 'rgba(209, 213, 219, 0.2)',
+              drawBorder: false
+            },
+            // Keep the recovery floor visible with some padding
+            suggestedMin: Math.min(recoveryFloor - 10, 30),
+            suggestedMax: 110
+          }
+        }
+      },
+      metadata: {
+        productId: product._id,
+        productTitle: product.title || product.productName || 'Credit Linked Note',
+        chartTitle: `${product.title || 'Credit Linked Note'} - Price & Credit Evolution`,
+        chartType: 'credit_linked_note_performance',
+        tradeDate: tradeDate.toISOString().split('T')[0],
+        maturityDate: maturityDate.toISOString().split('T')[0],
+        evaluationDate: new Date().toISOString(),
+        hasMatured: new Date() >= maturityDate,
+        recoveryFloor,
+        couponRate: clnStructure.couponRate,
+        creditEventCount: creditEvents.length,
+        priceDataPoints: priceData.length,
+        dataPoints: labels.length,
+        generatedAt: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    };
+
+    return chartData;
+  },
+
+  /**
+   * Build note price history as % of notional
+   * ProductPrices provides the bank/issuer quotes; the manual price (if more recent) is appended.
+   */
+  async generatePriceHistoryData(product, startDate, endDate, marketValue) {
+    const points = [];
+
+    if (product.isin) {
+      try {
+        const prices = await ProductPriceHelpers.getPricesInDateRange(product.isin, startDate, endDate).fetchAsync();
+
+        // One point per day: the latest upload wins
+        const byDate = new Map();
+        prices.forEach(p => {
+          const dateStr = new Date(p.priceDate).toISOString().split('T')[0];
+          if (!byDate.has(dateStr)) {
+            byDate.set(dateStr, CreditLinkedNoteEvaluationHelpers.normalizePrice(p.price));
+          }
+        });
+
+        Array.from(byDate.entries())
+          .sort(([a], [b]) => a.localeCompare(b))
+          .forEach(([date, price]) => points.push({ x: date, y: price }));
+
+        console.log(`📊 [CLN Chart] ${points.length} price points from ProductPrices for ${product.isin}`);
+      } catch (error) {
+        console.error(`📊 [CLN Chart] Error fetching price history for ${product.isin}:`, error);
+      }
+    }
+
+    // Manual price point
+    if (marketValue && marketValue.source === 'manual' && marketValue.priceDate) {
+      const dateStr = new Date(marketValue.priceDate).toISOString().split('T')[0];
+      if (!points.some(p => p.x === dateStr)) {
+        // Anchor the line at par on issue so a single manual mark still draws a segment
+        if (points.length === 0) {
+          points.push({ x: startDate.toISOString().split('T')[0], y: 100 });
+        }
+        points.push({ x: dateStr, y: marketValue.price });
+      }
+    }
+
+    return points;
+  }
+};
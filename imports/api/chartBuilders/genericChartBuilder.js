@@ -0,0 +1,403 @@
+import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
+
+/**
+ * Generic Chart Builder
+ *
+ * Generates chart configurations for products evaluated by the GenericEvaluator.
+ * Charts include:
+ * - Rebased performance of each underlying
+ * - Basket reference line (worst-of, best-of or average, as drawn in the payoff)
+ * - One line per barrier found in the payoff structure (stepped when levels vary by observation)
+ * - Observation date markers
+ */
+export const GenericChartBuilder = {
+  /**
+   * Generate chart data for a generic product
+   */
+  async generateChartData(product, evaluation) {
+    if (evaluation.templateType !== 'generic') {
+      return null;
+    }
+
+    const structure = evaluation.genericStructure || {};
+    const underlyingData = evaluation.underlyings || [];
+    const observations = evaluation.observationAnalysis?.observations || [];
+
+    console.log('📊 [Generic Chart] Starting chart generation for', underlyingData.length, 'underlyings');
+
+    const tradeDate = new Date(product.tradeDate || product.valueDate);
+    const maturityDate = new Date(product.maturity || product.maturityDate);
+    const today = new Date();
+
+    // Generate daily date labels from trade date to maturity
+    const labels = [];
+    const currentDate = new Date(tradeDate);
+    while (currentDate <= maturityDate) {
+      labels.push(currentDate.toISOString().split('T')[0]);
+      currentDate.setDate(currentDate.getDate() + 1);
+    }
+
+    const datasets = [];
+    const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+    const allUnderlyingData = [];
+
+    for (let i = 0; i < underlyingData.length; i++) {
+      const underlying = underlyingData[i];
+      const performanceData = await this.generateRebasedStockData(
+        underlying.fullTicker || `${underlying.ticker}.US`,
+        tradeDate,
+        maturityDate,
+        today,
+        underlying.initialPrice
+      );
+
+      allUnderlyingData.push({ ticker: underlying.ticker, data: performanceData });
+
+      datasets.push({
+        label: `${underlying.ticker}`,
+        data: performanceData,
+        borderColor: colors[i % colors.length],
+        backgroundColor: 'transparent',
+        borderWidth: underlyingData.length === 1 ? 3 : 2.5,
+        fill: false,
+        pointRadius: 0,
+        tension: 0.1,
+        isPercentage: true,
+        order: 1
+      });
+    }
+
+    if (allUnderlyingData.length > 1) {
+      datasets.push({
+        label: `${structure.basketTypeLabel || 'Worst-of'} Reference`,
+        data: this.calculateBasketPerformance(allUnderlyingData, structure.basketType),
+        borderColor: '#6b7280',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [8, 4],
+        fill: false,
+        pointRadius: 0,
+        tension: 0.1,
+        isPercentage: true,
+        order: 2
+      });
+    }
+
+    // Barrier lines
+    const barrierColors = {
+      autocall: '#10b981',
+      coupon: '#f59e0b',
+      protection: '#ef4444'
+    };
+    const drawnLevels = new Set();
+
+    for (const barrier of structure.barriers || []) {
+      const steppedLevels = this.buildSteppedLevels(labels, observations, barrier);
+      const key = `${barrier.barrierType}-${steppedLevels ? 'stepped' : barrier.level}`;
+      if (drawnLevels.has(key)) continue;
+      drawnLevels.add(key);
+
+      datasets.push({
+        label: steppedLevels
+          ? `${barrier.label} (${barrier.levelFormatted} stepping)`
+          : `${barrier.label} (${barrier.levelFormatted})`,
+        data: steppedLevels || labels.map(date => ({ x: date, y: barrier.level })),
+        borderColor: barrierColors[barrier.barrierType] || '#a855f7',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [5, 5],
+        stepped: !!steppedLevels,
+        fill: false,
+        pointRadius: 0,
+        isPercentage: true,
+        order: 3
+      });
+    }
+
+    // Strike level line (100% reference)
+    datasets.push({
+      label: 'Strike Level (100%)',
+      data: labels.map(date => ({ x: date, y: 100 })),
+      borderColor: '#6b7280',
+      backgroundColor: 'transparent',
+      borderWidth: 1.5,
+      borderDash: [2, 2],
+      fill: false,
+      pointRadius: 0,
+      isPercentage: true,
+      order: 4
+    });
+
+    // Build annotations
+    const annotations = {
+      tradeDate: {
+        type: 'line',
+        xMin: 0,
+        xMax: 0,
+        borderColor: '#374151',
+        borderWidth: 2,
+        label: {
+          content: 'Launch',
+          display: true,
+          position: 'start',
+          backgroundColor: '#374151',
+          color: 'white',
+          font: { size: 10, weight: 'bold' }
+        }
+      },
+      maturityDate: {
+        type: 'line',
+        xMin: labels.length - 1,
+        xMax: labels.length - 1,
+        borderColor: '#374151',
+        borderWidth: 2,
+        label: {
+          content: 'Maturity',
+          display: true,
+          position: 'end',
+          backgroundColor: '#374151',
+          color: 'white',
+          font: { size: 10, weight: 'bold' }
+        }
+      }
+    };
+
+    observations.forEach((observation, index) => {
+      const position = labels.indexOf(new Date(observation.observationDate).toISOString().split('T')[0]);
+      if (position < 0) return;
+      annotations[`observation_${index}`] = {
+        type: 'line',
+        xMin: position,
+        xMax: position,
+        borderColor: observation.autocalled ? '#10b981' : 'rgba(156, 163, 175, 0.5)',
+        borderWidth: observation.autocalled ? 2 : 1,
+        borderDash: [3, 3]
+      };
+    });
+
+    const minBarrier = Math.min(100, ...(structure.barriers || []).map(b => b.level));
+    const chartTitle = `${product.title || 'Structured Product'} - Performance Evolution`;
+
+    return {
+      type: 'line',
+      data: {
+        labels,
+        datasets
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          mode: 'index',
+          intersect: false
+        },
+        plugins: {
+          title: {
+            display: true,
+            text: chartTitle,
+            font: { size: 16, weight: 'bold' },
+            color: '#e5e7eb'
+          },
+          legend: {
+            display: true,
+            position: 'bottom',
+            labels: {
+              usePointStyle: true,
+              padding: 15,
+              font: { size: 11 }
+            }
+          },
+          tooltip: {
+            enabled: true,
+            callbacks: {
+              label: function(context) {
+                let label = context.dataset.label || '';
+                if (label) {
+                  label += ': ';
+                }
+                if (context.parsed.y !== null) {
+                  label += context.parsed.y.toFixed(2) + '%';
+                }
+                return label;
+              }
+            }
+          },
+          annotation: {
+            annotations: annotations
+          }
+        },
+        scales: {
+          x: {
+            type: 'category',
+            title: {
+              display: true,
+              text: 'Date',
+              font: { size: 12, weight: 'bold' }
+            },
+            ticks: {
+              maxRotation: 45,
+              minRotation: 45,
+              autoSkip: true,
+              maxTicksLimit: 12
+            },
+            grid: {
+              display: true,
+              color: 'rgba(209, 213, 219, 0.2)',
+              drawBorder: false
+            }
+          },
+          y: {
+            title: {
+              display: true,
+              text: 'Performance (%)',
+              font: { size: 12, weight: 'bold' }
+            },
+            ticks: {
+              callback: function(value) {
+                return value.toFixed(0) + '%';
+              }
+            },
+            grid: {
+              display: true,
+              color: 'rgba(209, 213, 219, 0.2)',
+              drawBorder: false
+            },
+            suggestedMin: Math.min(minBarrier - 15, 30)
+          }
+        }
+      },
+      metadata: {
+        productId: product._id,
+        productTitle: product.title || product.productName || 'Structured Product',
+        chartTitle,
+        chartType: 'generic_performance',
+        tradeDate: tradeDate.toISOString().split('T')[0],
+        maturityDate: maturityDate.toISOString().split('T')[0],
+        evaluationDate: new Date().toISOString(),
+        hasMatured: today >= maturityDate,
+        basketType: structure.basketType,
+        barriers: (structure.barriers || []).map(b => ({ label: b.label, level: b.level, type: b.barrierType })),
+        dataPoints: labels.length,
+        underlyingCount: underlyingData.length,
+        generatedAt: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    };
+  },
+
+  /**
+   * Build a stepped barrier line when the level changes between observations
+   * (step-down autocall or scheduled coupon barriers). Returns null for flat barriers.
+   */
+  buildSteppedLevels(labels, observations, barrier) {
+    const field = { autocall: 'autocallLevel', coupon: 'couponBarrier' }[barrier.barrierType];
+    if (!field) return null;
+
+    const points = observations
+      .filter(o => typeof o[field] === 'number' && isFinite(o[field]))
+      .map(o => ({ date: new Date(o.observationDate).toISOString().split('T')[0], level: o[field] }));
+
+    if (points.length === 0 || points.every(p => p.level === barrier.level)) {
+      return null;
+    }
+
+    // Each label carries the level of the next observation to come
+    let pointer = 0;
+    return labels.map(date => {
+      while (pointer < points.length - 1 && date > points[pointer].date) {
+        pointer++;
+      }
+      return { x: date, y: points[pointer].level };
+    });
+  },
+
+  /**
+   * Calculate basket performance (worst-of, best-of or average)
+   */
+  calculateBasketPerformance(allUnderlyingData, basketType = 'worst_of') {
+    const dateMap = new Map();
+
+    for (const underlying of allUnderlyingData) {
+      for (const point of underlying.data) {
+        if (!dateMap.has(point.x)) {
+          dateMap.set(point.x, []);
+        }
+        dateMap.get(point.x).push(point.y);
+      }
+    }
+
+    const basketData = [];
+    for (const date of Array.from(dateMap.keys()).sort()) {
+      const values = dateMap.get(date);
+
+      // Only calculate if we have data for all underlyings
+      if (values.length !== allUnderlyingData.length) continue;
+
+      let y;
+      if (basketType === 'best_of') {
+        y = Math.max(...values);
+      } else if (basketType === 'average_of') {
+        y = values.reduce((sum, v) => sum + v, 0) / values.length;
+      } else {
+        y = Math.min(...values);
+      }
+      basketData.push({ x: date, y });
+    }
+
+    return basketData;
+  },
+
+  /**
+   * Generate rebased stock data (normalized to 100 at trade date)
+   */
+  async generateRebasedStockData(ticker, startDate, endDate, currentDate, strikePrice = null) {
+    try {
+      let cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker: ticker });
+
+      // Fallback: try different exchanges
+      if (!cacheDoc) {
+        const symbol = ticker.split('.')[0];
+        const exchanges = ['US', 'PA', 'DE', 'LSE', 'CO'];
+        for (const exchange of exchanges) {
+          cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker: `${symbol}.${exchange}` });
+          if (cacheDoc) break;
+        }
+      }
+
+      if (!cacheDoc || !cacheDoc.history || cacheDoc.history.length === 0) {
+        console.warn(`📈 Generic Chart: No historical data for ${ticker}`);
+        return [];
+      }
+
+      const history = [...cacheDoc.history].sort((a, b) => new Date(a.date) - new Date(b.date));
+      const toDateStr = (date) => typeof date === 'string' ? date.split('T')[0] : new Date(date).toISOString().split('T')[0];
+      const startDateStr = startDate.toISOString().split('T')[0];
+      const lastDateStr = [endDate, currentDate].sort((a, b) => a - b)[0].toISOString().split('T')[0];
+
+      // Use strike price from evaluator to match table performance
+      let initialPrice = strikePrice;
+      if (!initialPrice) {
+        const firstDay = history.find(day => toDateStr(day.date) >= startDateStr) || history[0];
+        initialPrice = firstDay?.close;
+      }
+
+      if (!initialPrice) {
+        console.warn(`📈 Generic Chart: No initial price found for ${ticker}`);
+        return [];
+      }
+
+      const performanceData = [{ x: startDateStr, y: 100 }];
+      for (const day of history) {
+        const dayDateStr = toDateStr(day.date);
+        if (dayDateStr <= startDateStr) continue;
+        if (dayDateStr > lastDateStr) break;
+        performanceData.push({ x: dayDateStr, y: (day.close / initialPrice) * 100 });
+      }
+
+      return performanceData;
+    } catch (error) {
+      console.error(`📈 Generic Chart: Error generating data for ${ticker}:`, error);
+      return [];
+    }
+  }
+};
@@ -1,4 +1,5 @@
 import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
+import { BasketAggregationChartHelpers } from './basketAggregationChartHelpers';
 
 /**
  * Himalaya Chart Builder
@@ -8,6 +9,8 @@ import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
  * - Performance evolution of all underlyings
  * - Vertical lines at each observation date
  * - Dots showing selected underlying at each observation
+ * - Aggregated basket line for rainbow / worst-N / cliquet modes
+ *   (cliquet fixings are the observation dates already marked)
  */
 export const HimalayaChartBuilder = {
   /**
@@ -45,6 +48,7 @@ export const HimalayaChartBuilder = {
 
       // Create datasets for each underlying
       const datasets = [];
+      const rebasedSeries = [];
 
       // Color palette for underlyings
       const colors = [
@@ -74,6 +78,8 @@ export const HimalayaChartBuilder = {
           underlying  // Pass underlying data for accurate synthetic generation
         );
 
+        rebasedSeries.push({ ticker: underlying.ticker, data: performanceData });
+
         // Find when this underlying was selected (if at all)
         const selectionRecord = selectionHistory.find(s => s.selectedUnderlying === underlying.ticker);
         const selectionDate = selectionRecord ? new Date(selectionRecord.observationDate).toISOString().split('T')[0] : null;
@@ -143,6 +149,10 @@ export const HimalayaChartBuilder = {
         }
       }
 
+      // Aggregated basket line when a basket aggregation mode replaces the best-performer selection
+      const aggregatedDataset = BasketAggregationChartHelpers.buildDataset(rebasedSeries, evaluation.basketAggregation);
+      if (aggregatedDataset) datasets.push(aggregatedDataset);
+
       // Create Chart.js configuration
       const chartConfig = {
         type: 'line',
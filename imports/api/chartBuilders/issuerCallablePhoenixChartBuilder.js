@@ -0,0 +1,423 @@
+import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
+
+/**
+ * Issuer Callable Phoenix Chart Builder
+ *
+ * Generates chart configurations for Issuer Callable Phoenix products.
+ * Charts include:
+ * - Rebased performance of each underlying and the worst-of reference
+ * - Coupon barrier and capital protection barrier lines (no autocall line: calls are discretionary)
+ * - Issuer call date markers, highlighting the call exercised or the next call date
+ */
+export const IssuerCallablePhoenixChartBuilder = {
+  /**
+   * Generate chart data for an Issuer Callable Phoenix product
+   */
+  async generateChartData(product, evaluation) {
+    if (evaluation.templateType !== 'issuer_callable_phoenix') {
+      return null;
+    }
+
+    const structure = evaluation.callableStructure || {};
+    const underlyingData = evaluation.underlyings || [];
+    const observations = evaluation.observationAnalysis?.observations || [];
+    const issuerCall = evaluation.issuerCall || {};
+
+    console.log('📊 [Issuer Callable Chart] Starting chart generation for', underlyingData.length, 'underlyings');
+
+    const tradeDate = new Date(product.tradeDate || product.valueDate);
+    const maturityDate = new Date(product.maturity || product.maturityDate);
+    const today = new Date();
+
+    // Chart ends at the call date once the issuer has redeemed the note
+    const endDate = issuerCall.isCalled && issuerCall.callDate
+      ? new Date(issuerCall.callDate)
+      : maturityDate;
+
+    // Generate daily date labels from trade date to end date
+    const labels = [];
+    const currentDate = new Date(tradeDate);
+    while (currentDate <= endDate) {
+      labels.push(currentDate.toISOString().split('T')[0]);
+      currentDate.setDate(currentDate.getDate() + 1);
+    }
+
+    const datasets = [];
+    const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+    const allUnderlyingData = [];
+
+    for (let i = 0; i < underlyingData.length; i++) {
+      const underlying = underlyingData[i];
+      const performanceData = await this.generateRebasedStockData(
+        underlying.fullTicker || `${underlying.ticker}.US`,
+        tradeDate,
+        endDate,
+        today,
+        underlying.initialPrice
+      );
+
+      allUnderlyingData.push({ ticker: underlying.ticker, data: performanceData });
+
+      datasets.push({
+        label: `${underlying.ticker}`,
+        data: performanceData,
+        borderColor: colors[i % colors.length],
+        backgroundColor: 'transparent',
+        borderWidth: underlyingData.length === 1 ? 3 : 2.5,
+        fill: false,
+        pointRadius: 0,
+        tension: 0.1,
+        isPercentage: true,
+        order: 1
+      });
+    }
+
+    if (allUnderlyingData.length > 1) {
+      datasets.push({
+        label: 'Worst-of Reference',
+        data: this.calculateWorstOfPerformance(allUnderlyingData),
+        borderColor: '#6b7280',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [8, 4],
+        fill: false,
+        pointRadius: 0,
+        tension: 0.1,
+        isPercentage: true,
+        order: 2
+      });
+    }
+
+    // Coupon barrier line (fixed coupons have no barrier)
+    if (structure.couponBarrier && structure.couponBarrier !== structure.protectionBarrier) {
+      datasets.push({
+        label: `Coupon Barrier (${structure.couponBarrierFormatted})`,
+        data: labels.map(date => ({ x: date, y: structure.couponBarrier })),
+        borderColor: '#f59e0b',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [5, 5],
+        fill: false,
+        pointRadius: 0,
+        isPercentage: true,
+        order: 3
+      });
+    }
+
+    if (structure.protectionBarrier) {
+      datasets.push({
+        label: structure.couponBarrier === structure.protectionBarrier
+          ? `Coupon & Protection Barrier (${structure.protectionBarrierFormatted})`
+          : `Protection Barrier (${structure.protectionBarrierFormatted})`,
+        data: labels.map(date => ({ x: date, y: structure.protectionBarrier })),
+        borderColor: '#ef4444',
+        backgroundColor: 'transparent',
+        borderWidth: 2,
+        borderDash: [5, 5],
+        fill: false,
+        pointRadius: 0,
+        isPercentage: true,
+        order: 3
+      });
+    }
+
+    // Strike level line (100% reference)
+    datasets.push({
+      label: 'Strike Level (100%)',
+      data: labels.map(date => ({ x: date, y: 100 })),
+      borderColor: '#6b7280',
+      backgroundColor: 'transparent',
+      borderWidth: 1.5,
+      borderDash: [2, 2],
+      fill: false,
+      pointRadius: 0,
+      isPercentage: true,
+      order: 4
+    });
+
+    // Build annotations
+    const annotations = {
+      tradeDate: {
+        type: 'line',
+        xMin: 0,
+        xMax: 0,
+        borderColor: '#374151',
+        borderWidth: 2,
+        label: {
+          content: 'Launch',
+          display: true,
+          position: 'start',
+          backgroundColor: '#374151',
+          color: 'white',
+          font: { size: 10, weight: 'bold' }
+        }
+      }
+    };
+
+    if (!issuerCall.isCalled) {
+      annotations.maturityDate = {
+        type: 'line',
+        xMin: labels.length - 1,
+        xMax: labels.length - 1,
+        borderColor: '#374151',
+        borderWidth: 2,
+        label: {
+          content: 'Maturity',
+          display: true,
+          position: 'end',
+          backgroundColor: '#374151',
+          color: 'white',
+          font: { size: 10, weight: 'bold' }
+        }
+      };
+    }
+
+    const nextCallDate = issuerCall.nextCall?.date
+      ? new Date(issuerCall.nextCall.date).toISOString().split('T')[0]
+      : null;
+
+    observations.forEach((observation, index) => {
+      const dateStr = new Date(observation.observationDate).toISOString().split('T')[0];
+      const position = labels.indexOf(dateStr);
+      if (position < 0) return;
+
+      if (observation.calledByIssuer) {
+        annotations[`observation_${index}`] = {
+          type: 'line',
+          xMin: position,
+          xMax: position,
+          borderColor: '#10b981',
+          borderWidth: 2,
+          label: {
+            content: 'Issuer Call',
+            display: true,
+            position: 'end',
+            backgroundColor: '#10b981',
+            color: 'white',
+            font: { size: 10, weight: 'bold' }
+          }
+        };
+      } else if (observation.isCallable && dateStr === nextCallDate) {
+        annotations[`observation_${index}`] = {
+          type: 'line',
+          xMin: position,
+          xMax: position,
+          borderColor: '#f59e0b',
+          borderWidth: 2,
+          borderDash: [4, 4],
+          label: {
+            content: 'Next Call Date',
+            display: true,
+            position: 'end',
+            backgroundColor: '#f59e0b',
+            color: 'white',
+            font: { size: 10, weight: 'bold' }
+          }
+        };
+      } else {
+        annotations[`observation_${index}`] = {
+          type: 'line',
+          xMin: position,
+          xMax: position,
+          borderColor: observation.isCallable ? 'rgba(59, 130, 246, 0.5)' : 'rgba(156, 163, 175, 0.5)',
+          borderWidth: 1,
+          borderDash: [3, 3]
+        };
+      }
+    });
+
+    const minBarrier = Math.min(100, structure.protectionBarrier || 100, structure.couponBarrier || 100);
+    const chartTitle = `${product.title || 'Issuer Callable Phoenix'} - Performance Evolution`;
+
+    return {
+      type: 'line',
+      data: {
+        labels,
+        datasets
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          mode: 'index',
+          intersect: false
+        },
+        plugins: {
+          title: {
+            display: true,
+            text: chartTitle,
+            font: { size: 16, weight: 'bold' },
+            color: '#e5e7eb'
+          },
+          legend: {
+            display: true,
+            position: 'bottom',
+            labels: {
+              usePointStyle: true,
+              padding: 15,
+              font: { size: 11 }
+            }
+          },
+          tooltip: {
+            enabled: true,
+            callbacks: {
+              label: function(context) {
+                let label = context.dataset.label || '';
+                if (label) {
+                  label += ': ';
+                }
+                if (context.parsed.y !== null) {
+                  label += context.parsed.y.toFixed(2) + '%';
+                }
+                return label;
+              }
+            }
+          },
+          annotation: {
+            annotations: annotations
+          }
+        },
+        scales: {
+          x: {
+            type: 'category',
+            title: {
+              display: true,
+              text: 'Date',
+              font: { size: 12, weight: 'bold' }
+            },
+            ticks: {
+              maxRotation: 45,
+              minRotation: 45,
+              autoSkip: true,
+              maxTicksLimit: 12
+            },
+            grid: {
+              display: true,
+              color: 'rgba(209, 213, 219, 0.2)',
+              drawBorder: false
+            }
+          },
+          y: {
+            title: {
+              display: true,
+              text: 'Performance (%)',
+              font: { size: 12, weight: 'bold' }
+            },
+            ticks: {
+              callback: function(value) {
+                return value.toFixed(0) + '%';
+              }
+            },
+            grid: {
+              display: true,
+              color: 'rgba(209, 213, 219, 0.2)',
+              drawBorder: false
+            },
+            suggestedMin: Math.min(minBarrier - 15, 30)
+          }
+        }
+      },
+      metadata: {
+        productId: product._id,
+        productTitle: product.title || product.productName || 'Issuer Callable Phoenix',
+        chartTitle,
+        chartType: 'issuer_callable_phoenix_performance',
+        tradeDate: tradeDate.toISOString().split('T')[0],
+        maturityDate: maturityDate.toISOString().split('T')[0],
+        evaluationDate: new Date().toISOString(),
+        hasMatured: today >= maturityDate,
+        isCalled: !!issuerCall.isCalled,
+        callDate: issuerCall.callDate || null,
+        nextCallDate,
+        couponBarrier: structure.couponBarrier,
+        protectionBarrier: structure.protectionBarrier,
+        dataPoints: labels.length,
+        underlyingCount: underlyingData.length,
+        generatedAt: new Date().toISOString(),
+        version: '1.0.0'
+      }
+    };
+  },
+
+  /**
+   * Calculate worst-of performance across underlyings
+   */
+  calculateWorstOfPerformance(allUnderlyingData) {
+    const dateMap = new Map();
+
+    for (const underlying of allUnderlyingData) {
+      for (const point of underlying.data) {
+        if (!dateMap.has(point.x)) {
+          dateMap.set(point.x, []);
+        }
+        dateMap.get(point.x).push(point.y);
+      }
+    }
+
+    const worstOfData = [];
+    for (const date of Array.from(dateMap.keys()).sort()) {
+      const values = dateMap.get(date);
+
+      // Only calculate if we have data for all underlyings
+      if (values.length !== allUnderlyingData.length) continue;
+
+      worstOfData.push({ x: date, y: Math.min(...values) });
+    }
+
+    return worstOfData;
+  },
+
+  /**
+   * Generate rebased stock data (normalized to 100 at trade date)
+   */
+  async generateRebasedStockData(ticker, startDate, endDate, currentDate, strikePrice = null) {
+    try {
+      let cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker: ticker });
+
+      // Fallback: try different exchanges
+      if (!cacheDoc) {
+        const symbol = ticker.split('.')[0];
+        const exchanges = ['US', 'PA', 'DE', 'LSE', 'CO'];
+        for (const exchange of exchanges) {
+          cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker: `${symbol}.${exchange}` });
+          if (cacheDoc) break;
+        }
+      }
+
+      if (!cacheDoc || !cacheDoc.history || cacheDoc.history.length === 0) {
+        console.warn(`📈 Issuer Callable Chart: No historical data for ${ticker}`);
+        return [];
+      }
+
+      const history = [...cacheDoc.history].sort((a, b) => new Date(a.date) - new Date(b.date));
+      const toDateStr = (date) => typeof date === 'string' ? date.split('T')[0] : new Date(date).toISOString().split('T')[0];
+      const startDateStr = startDate.toISOString().split('T')[0];
+      const lastDateStr = [endDate, currentDate].sort((a, b) => a - b)[0].toISOString().split('T')[0];
+
+      // Use strike price from evaluator to match table performance
+      let initialPrice = strikePrice;
+      if (!initialPrice) {
+        const firstDay = history.find(day => toDateStr(day.date) >= startDateStr) || history[0];
+        initialPrice = firstDay?.close;
+      }
+
+      if (!initialPrice) {
+        console.warn(`📈 Issuer Callable Chart: No initial price found for ${ticker}`);
+        return [];
+      }
+
+      const performanceData = [{ x: startDateStr, y: 100 }];
+      for (const day of history) {
+        const dayDateStr = toDateStr(day.date);
+        if (dayDateStr <= startDateStr) continue;
+        if (dayDateStr > lastDateStr) break;
+        performanceData.push({ x: dayDateStr, y: (day.close / initialPrice) * 100 });
+      }
+
+      return performanceData;
+    } catch (error) {
+      console.error(`📈 Issuer Callable Chart: Error generating data for ${ticker}:`, error);
+      return [];
+    }
+  }
+};
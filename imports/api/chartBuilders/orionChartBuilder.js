@@ -1,5 +1,6 @@
 import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
 import { CurrencyNormalization } from '/imports/utils/currencyNormalization';
+import { BasketAggregationChartHelpers } from './basketAggregationChartHelpers';
 
 /**
  * Orion Chart Builder
@@ -8,6 +9,7 @@ import { CurrencyNormalization } from '/imports/utils/currencyNormalization';
  * Charts include:
  * - Individual underlying performances with upper barrier visualization
  * - Barrier hit detection and annotations
+ * - Aggregated basket line for rainbow / worst-N / cliquet modes
  * - 100% reference line (initial level)
  */
 export const OrionChartBuilder = {
@@ -34,6 +36,9 @@ export const OrionChartBuilder = {
 
     const datasets = [];
     const barrierHitPoints = [];
+    const basketAggregation = evaluation.basketAggregation || null;
+    // Considered performance series (capped at the rebate once the upper barrier is hit)
+    const consideredSeries = [];
 
     // Add underlying performance datasets with actual stock data
     if (underlyingData && underlyingData.length > 0) {
@@ -67,6 +72,14 @@ export const OrionChartBuilder = {
           }
         }
 
+        const rebateLevel = 100 + (orionParams.rebate || 0);
+        consideredSeries.push({
+          ticker: underlying.ticker,
+          data: crossingDate
+            ? performanceData.map(point => (point.x > crossingDate ? { x: point.x, y: rebateLevel } : point))
+            : performanceData
+        });
+
         // Split data if crossing occurred to show transparency after barrier hit
         if (crossingDate) {
           const beforeCrossing = [];
@@ -133,6 +146,10 @@ export const OrionChartBuilder = {
       }
     }
 
+    // Aggregated basket line when a basket aggregation mode is configured
+    const aggregatedDataset = BasketAggregationChartHelpers.buildDataset(consideredSeries, basketAggregation);
+    if (aggregatedDataset) datasets.push(aggregatedDataset);
+
     // Add 100% reference line (initial level)
     datasets.push({
       label: '100% (Initial Level)',
@@ -226,6 +243,9 @@ export const OrionChartBuilder = {
       }
     };
 
+    // Cliquet fixing markers
+    Object.assign(annotations, BasketAggregationChartHelpers.buildFixingAnnotations(labels, basketAggregation));
+
     // Add point annotations for barrier hits
     barrierHitPoints.forEach((hitPoint, index) => {
       annotations[`barrier_hit_${index}`] = {
@@ -1,4 +1,5 @@
 import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
+import { BasketAggregationChartHelpers } from './basketAggregationChartHelpers';
 
 /**
  * Participation Note Chart Builder
@@ -49,6 +50,7 @@ export const ParticipationNoteChartBuilder = {
     // Add underlying performance datasets based on reference type
     const referencePerformance = participationParams.referencePerformance || 'worst-of';
     const participationRate = participationParams.participationRate || 100;
+    const basketAggregation = evaluation.basketAggregation || null;
 
     if (underlyingData && underlyingData.length > 0) {
       if (underlyingData.length === 1) {
@@ -96,6 +98,12 @@ export const ParticipationNoteChartBuilder = {
             order: 1
           });
         }
+
+        const aggregatedDataset = BasketAggregationChartHelpers.buildDataset(
+          [{ ticker: underlying.ticker, data: performanceData }],
+          basketAggregation
+        );
+        if (aggregatedDataset) datasets.push(aggregatedDataset);
       } else {
         // Multiple underlyings - show each individual stock performance
         const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
@@ -154,36 +162,42 @@ export const ParticipationNoteChartBuilder = {
           }
         }
 
-        // Calculate and add basket performance based on reference type (as reference line)
-        const basketData = this.calculateBasketPerformance(
-          allUnderlyingData,
-          referencePerformance
-        );
+        // Rainbow / worst-N / cliquet modes replace the reference line with the aggregated basket
+        const aggregatedDataset = BasketAggregationChartHelpers.buildDataset(allUnderlyingData, basketAggregation);
+        if (aggregatedDataset) {
+          datasets.push(aggregatedDataset);
+        } else {
+          // Calculate and add basket performance based on reference type (as reference line)
+          const basketData = this.calculateBasketPerformance(
+            allUnderlyingData,
+            referencePerformance
+          );
 
-        // Determine label based on reference type
-        let basketLabel = 'Basket Reference';
-        if (referencePerformance === 'worst-of') {
-          basketLabel = 'Worst-of Reference';
-        } else if (referencePerformance === 'best-of') {
-          basketLabel = 'Best-of Reference';
-        } else if (referencePerformance === 'average') {
-          basketLabel = 'Average Reference';
-        }
+          // Determine label based on reference type
+          let basketLabel = 'Basket Reference';
+          if (referencePerformance === 'worst-of') {
+            basketLabel = 'Worst-of Reference';
+          } else if (referencePerformance === 'best-of') {
+            basketLabel = 'Best-of Reference';
+          } else if (referencePerformance === 'average') {
+            basketLabel = 'Average Reference';
+          }
 
-        // Add basket line as a subtle dashed reference line
-        datasets.push({
-          label: basketLabel,
-          data: basketData,
-          borderColor: '#6b7280',
-          backgroundColor: 'transparent',
-          borderWidth: 2,
-          borderDash: [8, 4],
-          fill: false,
-          pointRadius: 0,
-          tension: 0.1,
-          isPercentage: true,
-          order: 2
-        });
+          // Add basket line as a subtle dashed reference line
+          datasets.push({
+            label: basketLabel,
+            data: basketData,
+            borderColor: '#6b7280',
+            backgroundColor: 'transparent',
+            borderWidth: 2,
+            borderDash: [8, 4],
+            fill: false,
+            pointRadius: 0,
+            tension: 0.1,
+            isPercentage: true,
+            order: 2
+          });
+        }
       }
     }
 
@@ -238,6 +252,9 @@ export const ParticipationNoteChartBuilder = {
       }
     };
 
+    // Cliquet fixing markers
+    Object.assign(annotations, BasketAggregationChartHelpers.buildFixingAnnotations(labels, basketAggregation));
+
     // Add issuer call date marker if present
     if (issuerCallDate && issuerCallDate > tradeDate && issuerCallDate <= maturityDate) {
       const callDateStr = issuerCallDate.toISOString().split('T')[0];
@@ -1,4 +1,5 @@
 import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
+import { DEFAULT_PROTECTION_BARRIER } from '/imports/api/evaluators/phoenixEvaluationHelpers';
 
 /**
  * Phoenix Chart Builder
@@ -91,55 +92,35 @@ export const PhoenixChartBuilder = {
     }
 
     // Add barrier lines
-    const protectionBarrier = phoenixParams.protectionBarrier || 70;
+    const protectionBarrier = phoenixParams.protectionBarrier || DEFAULT_PROTECTION_BARRIER;
     const couponBarrier = phoenixParams.couponBarrier || protectionBarrier;
 
     // Autocall barrier (step-down or static)
-    if (observationAnalysis && observationAnalysis.observations && observationAnalysis.observations.length > 0) {
-      const observations = observationAnalysis.observations;
-      const callableObservations = observations.filter(obs => obs.isCallable && obs.autocallLevel !== null);
-
-      if (callableObservations.length > 0) {
-        const autocallBarrierData = [];
-
-        observationDates.forEach((obsDateISO, index) => {
-          const matchingObs = callableObservations.find(o =>
-            new Date(o.observationDate).toISOString().split('T')[0] === obsDateISO
-          );
-
-          if (matchingObs) {
-            const autocallLevel = matchingObs.autocallLevel;
-            autocallBarrierData.push({ x: obsDateISO, y: autocallLevel });
-
-            if (index < observationDates.length - 1) {
-              const nextObsDate = new Date(observationDates[index + 1]);
-              const dayBefore = new Date(nextObsDate);
-              dayBefore.setDate(dayBefore.getDate() - 1);
-              autocallBarrierData.push({ x: dayBefore.toISOString().split('T')[0], y: autocallLevel });
-            } else {
-              autocallBarrierData.push({ x: maturityDate.toISOString().split('T')[0], y: autocallLevel });
-            }
-          }
-        });
-
-        if (autocallBarrierData.length > 0) {
-          datasets.push({
-            label: 'Autocall Level (Step-down)',
-            data: autocallBarrierData,
-            borderColor: '#10b981',
-            backgroundColor: 'rgba(16, 185, 129, 0.15)',
-            borderWidth: 2.5,
-            borderDash: [8, 4],
-            fill: 'origin',
-            pointRadius: 0,
-            tension: 0,
-            stepped: 'before',
-            order: 2,
-            _needsGradient: true,
-            _gradientType: 'autocall'
-          });
-        }
-      }
+    const observations = observationAnalysis?.observations || [];
+    const autocallSteps = this.buildSteppedBarrierData(
+      observations.filter(obs => obs.isCallable),
+      'autocallLevel',
+      tradeDate,
+      maturityDate
+    );
+
+    if (autocallSteps) {
+      datasets.push({
+        label: autocallSteps.isStepped
+          ? `Autocall Level (Step-down ${autocallSteps.first}% → ${autocallSteps.last}%)`
+          : `Autocall Level (${autocallSteps.first}%)`,
+        data: autocallSteps.data,
+        borderColor: '#10b981',
+        backgroundColor: 'rgba(16, 185, 129, 0.15)',
+        borderWidth: 2.5,
+        borderDash: [8, 4],
+        fill: 'origin',
+        pointRadius: 0,
+        tension: 0,
+        order: 2,
+        _needsGradient: true,
+        _gradientType: 'autocall'
+      });
     } else {
       const autocallBarrier = phoenixParams.autocallBarrier;
       if (autocallBarrier !== null && autocallBarrier !== undefined) {
@@ -176,8 +157,22 @@ export const PhoenixChartBuilder = {
       _gradientType: 'protection'
     });
 
-    // Coupon barrier (if different)
-    if (couponBarrier !== protectionBarrier) {
+    // Coupon barrier (if different from protection, stepped when it varies per observation)
+    const couponSteps = this.buildSteppedBarrierData(observations, 'couponBarrier', tradeDate, maturityDate);
+    if (couponSteps && couponSteps.isStepped) {
+      datasets.push({
+        label: `Coupon Barrier (Step-down ${couponSteps.first}% → ${couponSteps.last}%)`,
+        data: couponSteps.data,
+        borderColor: '#f59e0b',
+        backgroundColor: 'rgba(245, 158, 11, 0.08)',
+        borderWidth: 2,
+        borderDash: [12, 6],
+        fill: false,
+        pointRadius: 0,
+        tension: 0,
+        order: 4
+      });
+    } else if (couponBarrier !== protectionBarrier) {
       datasets.push({
         label: `Coupon Barrier (${couponBarrier}%)`,
         data: labels.map(date => ({ x: date, y: couponBarrier })),
@@ -651,6 +646,45 @@ export const PhoenixChartBuilder = {
     }
   },
 
+  /**
+   * Build a stepped barrier line from per-observation levels.
+   * Each observation's level applies over the period that ends on that observation,
+   * so the line shows the level the basket has to reach at the next observation.
+   * Returns null when no observation carries the level.
+   */
+  buildSteppedBarrierData(observations, field, tradeDate, maturityDate) {
+    const points = (observations || [])
+      .filter(obs => obs[field] !== null && obs[field] !== undefined && !isNaN(obs[field]))
+      .map(obs => ({ date: new Date(obs.observationDate), level: parseFloat(obs[field]) }))
+      .sort((a, b) => a.date - b.date);
+
+    if (points.length === 0) {
+      return null;
+    }
+
+    const data = [];
+    let periodStart = new Date(tradeDate);
+    points.forEach(point => {
+      data.push({ x: periodStart.toISOString().split('T')[0], y: point.level });
+      data.push({ x: point.date.toISOString().split('T')[0], y: point.level });
+      periodStart = new Date(point.date);
+      periodStart.setDate(periodStart.getDate() + 1);
+    });
+
+    // Extend the last level to maturity (final observation usually precedes settlement)
+    const lastPoint = points[points.length - 1];
+    if (periodStart <= maturityDate) {
+      data.push({ x: maturityDate.toISOString().split('T')[0], y: lastPoint.level });
+    }
+
+    return {
+      data,
+      isStepped: points.some(point => point.level !== points[0].level),
+      first: points[0].level,
+      last: lastPoint.level
+    };
+  },
+
   /**
    * Generate synthetic performance data as fallback
    * Uses actual performance from evaluation to create realistic chart data
@@ -79,6 +79,7 @@ export const ItemTypes = {
   GAIN_LOCK: 'gain_lock',
   
   // Generic memory management
+  MEMORY_COUPON: 'memory_coupon',
   MEMORY_ADD: 'memory_add',
   MEMORY_CHECK: 'memory_check',
   MEMORY_GET: 'memory_get',
@@ -47,6 +47,71 @@ export const OPERATION_TYPES = {
   OTHER: 'OTHER'                       // Unclassified operations
 };
 
+// =============================================================================
+// CORPORATE ACTION TYPES
+// =============================================================================
+// Sub-classification of CORPORATE_ACTION operations and PMSCorporateActions events.
+// operationType stays CORPORATE_ACTION; corporateActionType says which event it was.
+
+export const CORPORATE_ACTION_TYPES = {
+  SPLIT: 'SPLIT',                      // Forward split (more shares, lower price)
+  REVERSE_SPLIT: 'REVERSE_SPLIT',      // Reverse split / consolidation
+  SPIN_OFF: 'SPIN_OFF',                // New security distributed to holders of the parent
+  MERGER: 'MERGER',                    // Absorption with cash and/or stock consideration
+  ISIN_CHANGE: 'ISIN_CHANGE',          // Same security, new ISIN (redenomination, re-domiciliation)
+  SCRIP_DIVIDEND: 'SCRIP_DIVIDEND'     // Dividend paid in new shares
+};
+
+export const CORPORATE_ACTION_TYPE_LABELS = {
+  [CORPORATE_ACTION_TYPES.SPLIT]: 'Split',
+  [CORPORATE_ACTION_TYPES.REVERSE_SPLIT]: 'Reverse Split',
+  [CORPORATE_ACTION_TYPES.SPIN_OFF]: 'Spin-off',
+  [CORPORATE_ACTION_TYPES.MERGER]: 'Merger',
+  [CORPORATE_ACTION_TYPES.ISIN_CHANGE]: 'ISIN Change',
+  [CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND]: 'Scrip Dividend'
+};
+
+/**
+ * Keywords found in bank booking texts (EN / FR / ES / DE).
+ * Checked in order, so the more specific phrases come first.
+ */
+export const CORPORATE_ACTION_KEYWORDS = [
+  ['reverse split', CORPORATE_ACTION_TYPES.REVERSE_SPLIT],
+  ['reverse stock split', CORPORATE_ACTION_TYPES.REVERSE_SPLIT],
+  ['regroupement', CORPORATE_ACTION_TYPES.REVERSE_SPLIT],
+  ['contrasplit', CORPORATE_ACTION_TYPES.REVERSE_SPLIT],
+  ['zusammenlegung', CORPORATE_ACTION_TYPES.REVERSE_SPLIT],
+  ['stock split', CORPORATE_ACTION_TYPES.SPLIT],
+  ['split', CORPORATE_ACTION_TYPES.SPLIT],
+  ['division du nominal', CORPORATE_ACTION_TYPES.SPLIT],
+  ['desdoblamiento', CORPORATE_ACTION_TYPES.SPLIT],
+  ['aktiensplit', CORPORATE_ACTION_TYPES.SPLIT],
+  ['spin-off', CORPORATE_ACTION_TYPES.SPIN_OFF],
+  ['spin off', CORPORATE_ACTION_TYPES.SPIN_OFF],
+  ['spinoff', CORPORATE_ACTION_TYPES.SPIN_OFF],
+  ['demerger', CORPORATE_ACTION_TYPES.SPIN_OFF],
+  ['scission', CORPORATE_ACTION_TYPES.SPIN_OFF],
+  ['abspaltung', CORPORATE_ACTION_TYPES.SPIN_OFF],
+  ['merger', CORPORATE_ACTION_TYPES.MERGER],
+  ['fusion', CORPORATE_ACTION_TYPES.MERGER],
+  ['absorption', CORPORATE_ACTION_TYPES.MERGER],
+  ['takeover', CORPORATE_ACTION_TYPES.MERGER],
+  ['exchange offer', CORPORATE_ACTION_TYPES.MERGER],
+  ['isin change', CORPORATE_ACTION_TYPES.ISIN_CHANGE],
+  ['change of isin', CORPORATE_ACTION_TYPES.ISIN_CHANGE],
+  ['changement de code', CORPORATE_ACTION_TYPES.ISIN_CHANGE],
+  ['changement d\'isin', CORPORATE_ACTION_TYPES.ISIN_CHANGE],
+  ['cambio de isin', CORPORATE_ACTION_TYPES.ISIN_CHANGE],
+  ['scrip', CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND],
+  ['stock dividend', CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND],
+  ['dividend in shares', CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND],
+  ['dividende en actions', CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND],
+  ['paiement du dividende en actions', CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND],
+  ['dividendo flexible', CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND],
+  ['dividendo en acciones', CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND],
+  ['stockdividende', CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND]
+];
+
 // =============================================================================
 // OPERATION TYPE LABELS (UI Display)
 // =============================================================================
@@ -322,6 +387,24 @@ export function normalizeOperationType(type) {
   return OPERATION_TYPES.OTHER;
 }
 
+/**
+ * Detect a corporate action from bank booking texts.
+ *
+ * @param {...string} texts - Type names, labels or booking texts of the operation
+ * @returns {string|null} CORPORATE_ACTION_TYPES value, or null if none matches
+ */
+export function detectCorporateActionType(...texts) {
+  const haystack = texts.filter(Boolean).join(' ').toLowerCase();
+  if (!haystack) return null;
+
+  for (const [keyword, type] of CORPORATE_ACTION_KEYWORDS) {
+    if (haystack.includes(keyword)) {
+      return type;
+    }
+  }
+  return null;
+}
+
 /**
  * Map CMB Monaco operation to standardized type.
  * Uses Order_Type_ID and Meta_Type_ID to determine the operation type.
@@ -329,9 +412,15 @@ export function normalizeOperationType(type) {
  * @param {string} orderTypeId - CMB Order_Type_ID value
  * @param {string} metaTypeId - CMB Meta_Type_ID value (category)
  * @param {number} amount - Transaction amount (for direction detection)
+ * @param {string} bookingText - Internal booking text (for corporate action detection)
  * @returns {string} Normalized OPERATION_TYPES value
  */
-export function mapCMBOperationType(orderTypeId, metaTypeId, amount = 0) {
+export function mapCMBOperationType(orderTypeId, metaTypeId, amount = 0, bookingText = '') {
+  // Corporate actions share generic order types, only the booking text tells them apart
+  if (detectCorporateActionType(bookingText)) {
+    return OPERATION_TYPES.CORPORATE_ACTION;
+  }
+
   // Try direct mapping from Order_Type_ID first
   if (orderTypeId && CMB_OPERATION_TYPE_MAPPING[orderTypeId]) {
     return CMB_OPERATION_TYPE_MAPPING[orderTypeId];
@@ -372,6 +461,11 @@ export function mapCFMOperationType(operationType, direction = '') {
 
   const lower = operationType.toLowerCase().trim();
 
+  // Corporate actions first: 'dividende en actions' must not be read as a cash dividend
+  if (detectCorporateActionType(lower)) {
+    return OPERATION_TYPES.CORPORATE_ACTION;
+  }
+
   // Check direct mapping
   for (const [keyword, type] of Object.entries(CFM_OPERATION_TYPE_MAPPING)) {
     if (lower.includes(keyword)) {
@@ -402,6 +496,10 @@ export function mapAndbankOperationType(transactionTypeCode, movementType = '',
 
   // Try movement type label
   if (movementType) {
+    if (detectCorporateActionType(movementType)) {
+      return OPERATION_TYPES.CORPORATE_ACTION;
+    }
+
     const lower = movementType.toLowerCase().trim();
     for (const [keyword, type] of Object.entries(ANDBANK_OPERATION_TYPE_MAPPING)) {
       if (lower.includes(keyword.toLowerCase())) {
@@ -427,6 +525,11 @@ export function mapJuliusBaerOperationType(operNature, typeName = '', subTypeNam
     return JULIUS_BAER_OPERATION_TYPE_MAPPING[operNature.toUpperCase()];
   }
 
+  // Corporate actions before the generic keywords ('stock dividend' is not a cash dividend)
+  if (detectCorporateActionType(typeName, subTypeName)) {
+    return OPERATION_TYPES.CORPORATE_ACTION;
+  }
+
   // Try TYPE_NAME
   if (typeName) {
     const lower = typeName.toLowerCase().trim();
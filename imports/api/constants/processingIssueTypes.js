@@ -98,6 +98,50 @@ export const PROCESSING_ISSUE_TYPES = {
     severity: 'error',
     category: 'data',
     messageTemplate: 'Missing required field: {field}'
+  },
+
+  // Bank File Import Issues
+  BANK_FILE_REJECTED: {
+    code: 'BANK_FILE_REJECTED',
+    severity: 'error',
+    category: 'bank_file',
+    messageTemplate: 'File rejected: {error}'
+  },
+  ISO20022_UNSUPPORTED_MESSAGE: {
+    code: 'ISO20022_UNSUPPORTED_MESSAGE',
+    severity: 'error',
+    category: 'bank_file',
+    messageTemplate: 'Unsupported ISO 20022 message: {messageType}'
+  },
+  ISO20022_UNTESTED_VERSION: {
+    code: 'ISO20022_UNTESTED_VERSION',
+    severity: 'warning',
+    category: 'bank_file',
+    messageTemplate: 'Message version {version} is outside the supported range ({supported}), parsed as {messageType}'
+  },
+  ISO20022_MISSING_ELEMENT: {
+    code: 'ISO20022_MISSING_ELEMENT',
+    severity: 'error',
+    category: 'bank_file',
+    messageTemplate: 'Missing required element {element} in {path}'
+  },
+  ISO20022_INVALID_VALUE: {
+    code: 'ISO20022_INVALID_VALUE',
+    severity: 'error',
+    category: 'bank_file',
+    messageTemplate: 'Invalid value "{value}" at {path}'
+  },
+  ISO20022_UNRECOGNIZED_ELEMENT: {
+    code: 'ISO20022_UNRECOGNIZED_ELEMENT',
+    severity: 'warning',
+    category: 'bank_file',
+    messageTemplate: 'Unrecognized element {path} ({count}x), ignored'
+  },
+  ISO20022_UNMAPPED_CODE: {
+    code: 'ISO20022_UNMAPPED_CODE',
+    severity: 'warning',
+    category: 'bank_file',
+    messageTemplate: 'Unmapped bank transaction code {code} ({count}x), booked as {operationType}'
   }
 };
 
@@ -243,6 +243,45 @@ export const CurrencyCache = {
     }
   },
 
+  // Current rates for the given currencies, from the EURXXX.FOREX pairs like getHistoricalRates
+  // Returns a rates map { [currency]: multiplier to EUR } for convertCurrency / getCrossRate
+  // (helpers/cashCalculator.js); currencies without a rate are left out of it
+  async getConversionRates(currencies) {
+    const { buildRatesMap } = await import('./helpers/cashCalculator.js');
+    const pairs = [...new Set(currencies.filter(c => c && c !== 'EUR'))].map(currency => `EUR${currency}.FOREX`);
+
+    const entries = [];
+    if (pairs.length > 0) {
+      try {
+        const results = await this.refreshCurrencyRates(pairs);
+        results.rates.forEach((data, pair) => entries.push({ pair, rate: data.rate }));
+      } catch (error) {
+        console.error('CurrencyCache: Error getting conversion rates:', error);
+      }
+    }
+
+    return buildRatesMap(entries);
+  },
+
+  // Daily rates for valuation dates, from the EURXXX.FOREX closes kept in MarketDataCache
+  // (fetched from EOD when missing or stale). The rate cache above only holds current rates.
+  // Returns { [currency]: [{ date: 'YYYY-MM-DD', rate }] } where rate converts currency -> EUR
+  async getHistoricalRates(currencies, fromDate) {
+    const { MarketDataHelpers } = await import('./marketDataCache.js');
+    const historicalRates = {};
+
+    for (const currency of [...new Set(currencies.filter(c => c && c !== 'EUR'))]) {
+      const history = await MarketDataHelpers.getHistoryCovering(`EUR${currency}.FOREX`, fromDate);
+
+      // EURXXX = units of XXX per EUR, so XXX -> EUR = 1 / close
+      historicalRates[currency] = history
+        .filter(point => point.date && point.close > 0)
+        .map(point => ({ date: new Date(point.date).toISOString().split('T')[0], rate: 1 / point.close }));
+    }
+
+    return historicalRates;
+  },
+
   // Clean expired cache entries with improved error handling
   async cleanExpiredCache() {
     let attempts = 0;
@@ -9,7 +9,7 @@ import { Meteor } from 'meteor/meteor';
  *
  * Schema:
  * {
- *   metricType: 'aum_summary',      // Type identifier
+ *   metricType: 'aum_summary',      // Type identifier ('risk_breaches': see below)
  *   scope: 'global',                // 'global' for admin view
  *
  *   // Summary metrics
@@ -28,6 +28,13 @@ import { Meteor } from 'meteor/meteor';
  *   computedAt: Date,
  *   expiresAt: Date                 // TTL index
  * }
+ *
+ * 'risk_breaches' (accounts over their risk limits, see PortfolioRiskHelpers):
+ * {
+ *   breaches: [{ bankAccountId, accountNumber, userId, entityId, metric, label, limit, actual, subject }],
+ *   accountCount: Number,           // Accounts with at least one breach
+ *   snapshotDate, computedAt, expiresAt
+ * }
  */
 export const DashboardMetricsCollection = new Mongo.Collection('dashboardMetrics');
 
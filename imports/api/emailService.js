@@ -512,6 +512,10 @@ Amber Lake Partners Team
                   <td style="padding: 8px; border-bottom: 1px solid #4a4a4a; color: #b0b0b0;">Basket Level:</td>
                   <td style="padding: 8px; border-bottom: 1px solid #4a4a4a; color: #e0e0e0;">${event.data.basketLevelFormatted}</td>
                 </tr>
+                ${event.data.couponBarrierFormatted ? `<tr>
+                  <td style="padding: 8px; border-bottom: 1px solid #4a4a4a; color: #b0b0b0;">Coupon Barrier:</td>
+                  <td style="padding: 8px; border-bottom: 1px solid #4a4a4a; color: #e0e0e0;">${event.data.couponBarrierFormatted}</td>
+                </tr>` : ''}
               </table>
 
               <table width="100%" cellpadding="0" cellspacing="0">
@@ -551,6 +555,7 @@ A coupon payment of ${couponRate} has occurred for ${product.title || product.pr
 Coupon Rate: ${couponRate}
 Observation: ${observationDate}
 Basket Level: ${event.data.basketLevelFormatted}
+${event.data.couponBarrierFormatted ? `Coupon Barrier: ${event.data.couponBarrierFormatted}` : ''}
 
 View product details: ${productUrl}
 
@@ -1298,6 +1303,10 @@ Amber Lake Partners Team
                   <td style="padding: 8px; border-bottom: 1px solid #4a4a4a; color: #b0b0b0;">Basket Level:</td>
                   <td style="padding: 8px; border-bottom: 1px solid #4a4a4a; color: #e0e0e0;">${event.data.basketLevelFormatted}</td>
                 </tr>
+                ${event.data.couponBarrierFormatted ? `<tr>
+                  <td style="padding: 8px; border-bottom: 1px solid #4a4a4a; color: #b0b0b0;">Coupon Barrier:</td>
+                  <td style="padding: 8px; border-bottom: 1px solid #4a4a4a; color: #e0e0e0;">${event.data.couponBarrierFormatted}</td>
+                </tr>` : ''}
               </table>
 
               <div style="margin: 20px 0; padding: 16px; background-color: #1a2a3d; border-left: 4px solid #3b82f6; border-radius: 4px;">
@@ -1344,6 +1353,7 @@ A coupon has been added to memory for future payment for ${product.title || prod
 Coupon Added: ${event.data.couponRateFormatted}
 Total in Memory: ${event.data.totalMemoryCouponsFormatted}
 Basket Level: ${event.data.basketLevelFormatted}
+${event.data.couponBarrierFormatted ? `Coupon Barrier: ${event.data.couponBarrierFormatted}` : ''}
 
 Coupons in memory will be paid when the product meets coupon payment conditions or at maturity.
 
@@ -813,6 +813,29 @@ export const EODApiHelpers = {
     }
   },
 
+  // Resolve an ISIN to an EOD ticker (e.g. "AAPL.US"), preferring the main listing
+  async findTickerByIsin(isin) {
+    if (!isin) return null;
+
+    try {
+      const url = `${EOD_BASE_URL}/search/${encodeURIComponent(isin)}`;
+      const response = await HTTP.get(url, {
+        params: { api_token: EOD_API_TOKEN, limit: 5, fmt: 'json' }
+      });
+      const data = Array.isArray(response.data) ? response.data : [];
+
+      const match = data.find(entry => entry.ISIN === isin && entry.isPrimary)
+        || data.find(entry => entry.ISIN === isin)
+        || null;
+
+      if (!match) return null;
+      return `${match.Code}.${this.normalizeExchangeCode(match.Exchange)}`;
+    } catch (error) {
+      console.warn(`[EOD API] Failed to resolve ticker for ${isin}:`, error.message);
+      return null;
+    }
+  },
+
   // Validate if a security ticker is valid
   async validateTicker(ticker) {
     try {
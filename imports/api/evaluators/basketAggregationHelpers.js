@@ -0,0 +1,194 @@
+import { BasketAggregation, BASKET_AGGREGATION_MODES, BASKET_AGGREGATION_CONFIGS } from '/imports/utils/basketTypes';
+import { getEvaluationDate, getPriceAsOf } from './evaluationDate';
+
+/**
+ * Basket Aggregation Helpers
+ *
+ * Applies the configurable basket aggregation modes of utils/basketTypes.js
+ * (rainbow, average of worst N, cliquet) inside the Orion, Himalaya and
+ * Participation Note evaluators. Products without structureParams.basketAggregation
+ * (or with mode 'standard') keep their template's own rule.
+ */
+
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const formatSignedPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+export const BasketAggregationHelpers = {
+  /**
+   * Normalized aggregation config of a product, or null for the template default
+   */
+  getConfig(product) {
+    const structureParams = product.structureParams || product.structureParameters || {};
+    const structure = product.structure || {};
+    return BasketAggregation.normalizeConfig(structureParams.basketAggregation || structure.basketAggregation);
+  },
+
+  /**
+   * Observation dates used as cliquet fixings, sorted, after the trade date
+   */
+  getFixingDates(product) {
+    const tradeDate = product.tradeDate ? new Date(product.tradeDate) : null;
+    const dates = (product.observationSchedule || [])
+      .map(obs => obs.observationDate || obs.date)
+      .filter(Boolean)
+      .map(date => new Date(date))
+      .filter(date => !isNaN(date.getTime()) && (!tradeDate || date > tradeDate))
+      .sort((a, b) => a - b);
+
+    const seen = new Set();
+    return dates.filter(date => {
+      const key = toDateKey(date);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  },
+
+  /**
+   * Level of an underlying (ratio to initial) at a past fixing date: the recorded
+   * observation price when the evaluator stored one, otherwise the cached close on or before
+   */
+  async getLevelAtDate(underlying, date) {
+    const initialPrice = underlying.initialPrice || underlying.strike;
+    let price = underlying.securityData?.observationPrices?.[toDateKey(date)];
+
+    if (!price) {
+      const historical = await getPriceAsOf(underlying.fullTicker || `${underlying.ticker}.US`, date);
+      price = historical?.price;
+    }
+
+    return initialPrice > 0 && price > 0 ? price / initialPrice : null;
+  },
+
+  /**
+   * Evaluate the basket under the product's aggregation mode.
+   *
+   * @param {Object} product - The product document
+   * @param {Array} underlyings - Evaluated underlyings (ticker, performance, initialPrice, ...)
+   * @param {Object|null} config - Output of getConfig()
+   * @param {Object} options
+   * @param {string} options.performanceField - Underlying field aggregated by rainbow / worst-N
+   *   (Orion passes consideredPerformance so the upper barrier rebate still applies)
+   * @returns {Promise<Object|null>} Display-ready aggregation result, null for the template default
+   */
+  async evaluate(product, underlyings, config, { performanceField = 'performance' } = {}) {
+    if (!config || !underlyings || underlyings.length === 0) return null;
+
+    const fixingDates = this.getFixingDates(product);
+    let result;
+    let runningStartLevels = null;
+
+    if (config.mode === BASKET_AGGREGATION_MODES.CLIQUET) {
+      const now = getEvaluationDate(product);
+      const fixings = [{ date: product.tradeDate, levels: underlyings.map(() => 1), isLocked: true }];
+
+      for (const date of fixingDates.filter(d => d <= now)) {
+        const levels = await Promise.all(underlyings.map(u => this.getLevelAtDate(u, date)));
+        if (levels.some(level => level === null)) {
+          console.warn(`⚠️ [BASKET] Cliquet fixing ${toDateKey(date)} skipped for ${product._id}: missing prices`);
+          continue;
+        }
+        fixings.push({ date, levels, isLocked: true });
+      }
+
+      // Running period from the last fixing to the evaluation date
+      const finalDate = product.finalObservation || product.finalObservationDate || product.maturity || product.maturityDate;
+      if (!finalDate || new Date(finalDate) > now) {
+        fixings.push({
+          date: now,
+          levels: underlyings.map(u => 1 + (u.performance || 0) / 100),
+          isLocked: false
+        });
+      }
+
+      result = BasketAggregation.aggregateCliquet(fixings, config);
+
+      // Levels the running period started from, so the period can be re-priced (stress tests)
+      const lastFixing = fixings[fixings.length - 1];
+      if (!lastFixing.isLocked && fixings.length > 1) {
+        const startFixing = fixings[fixings.length - 2];
+        runningStartLevels = Object.fromEntries(underlyings.map((u, i) => [u.ticker, startFixing.levels[i]]));
+      }
+    } else {
+      result = BasketAggregation.aggregateCrossSection(
+        underlyings.map(u => ({ ticker: u.ticker, performance: u[performanceField] ?? u.performance })),
+        config
+      );
+    }
+
+    if (!result) return null;
+
+    return {
+      mode: config.mode,
+      config,
+      modeLabel: BASKET_AGGREGATION_CONFIGS[config.mode].label,
+      label: BasketAggregation.getLabel(config),
+      description: BasketAggregation.describe(config),
+      performance: result.performance,
+      performanceFormatted: formatSignedPercent(result.performance),
+      fixingDates: fixingDates.map(toDateKey),
+      lockedPerformance: (result.periods || []).filter(p => p.isLocked).reduce((sum, p) => sum + p.lockedReturn, 0),
+      runningStartLevels,
+      components: (result.components || []).map(c => ({
+        ...c,
+        performanceFormatted: formatSignedPercent(c.performance),
+        weightFormatted: `${c.weight.toFixed(1)}%`,
+        contributionFormatted: formatSignedPercent(c.contribution)
+      })),
+      periods: (result.periods || []).map(p => ({
+        ...p,
+        startDateFormatted: formatDate(p.startDate),
+        endDateFormatted: formatDate(p.endDate),
+        basketReturnFormatted: formatSignedPercent(p.basketReturn),
+        lockedReturnFormatted: formatSignedPercent(p.lockedReturn)
+      }))
+    };
+  },
+
+  /**
+   * Re-aggregate a stored evaluate() result for moved underlyings (stress tests, sensitivities).
+   * Cliquet periods already locked are kept; only the running period moves.
+   *
+   * @param {Object} basketAggregation - Stored evaluate() result
+   * @param {Array} underlyings - Underlyings with shifted performance
+   * @returns {number|null} Basket performance in %
+   */
+  recompute(basketAggregation, underlyings, { performanceField = 'performance' } = {}) {
+    if (!basketAggregation?.config) return null;
+    const config = basketAggregation.config;
+
+    if (config.mode === BASKET_AGGREGATION_MODES.CLIQUET) {
+      const startLevels = basketAggregation.runningStartLevels;
+      if (!startLevels) return basketAggregation.performance;
+
+      const returns = underlyings.map(u => {
+        const start = startLevels[u.ticker] || 1;
+        return ((1 + (u.performance || 0) / 100) / start - 1) * 100;
+      });
+      const runningReturn = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+      return basketAggregation.lockedPerformance + BasketAggregation.lockPeriodReturn(runningReturn, config);
+    }
+
+    const result = BasketAggregation.aggregateCrossSection(
+      underlyings.map(u => ({ ticker: u.ticker, performance: u[performanceField] ?? u.performance })),
+      config
+    );
+    return result ? result.performance : null;
+  },
+
+  /**
+   * Append the aggregation label to a generated product name, e.g. "AAPL/MSFT +1 Rainbow 50/30/20 Orion"
+   */
+  decorateProductName(baseName, suffix, config) {
+    const label = BasketAggregation.getLabel(config);
+    if (!label) return `${baseName} ${suffix}`;
+    return `${baseName} ${label} ${suffix}`;
+  }
+};
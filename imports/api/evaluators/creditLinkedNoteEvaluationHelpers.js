@@ -0,0 +1,316 @@
+import { ProductPriceHelpers } from '/imports/api/productPrices';
+import { getEvaluationDate } from './evaluationDate';
+
+/**
+ * Credit Linked Note Evaluation Helpers
+ *
+ * Dedicated helper functions for the Credit Linked Note (CLN) template.
+ *
+ * CLN Structure:
+ * - One or more reference entities, each with a notional weight and a recovery assumption
+ * - Periodic coupon paid on the notional that has not been written down
+ * - Credit events are recorded manually (bankruptcy, failure to pay, restructuring, ...)
+ * - A credit event writes the entity's weight down to its recovery value:
+ *   Redemption = Σ weight × (defaulted ? recovery : 100%)
+ * - Market value comes from ProductPrices (issuer/bank prices) or a manual price
+ */
+export const CreditLinkedNoteEvaluationHelpers = {
+  /**
+   * Credit event types recognised by the template (ISDA credit event families)
+   */
+  CREDIT_EVENT_TYPES: {
+    bankruptcy: 'Bankruptcy',
+    failure_to_pay: 'Failure to Pay',
+    restructuring: 'Restructuring',
+    repudiation_moratorium: 'Repudiation / Moratorium',
+    obligation_acceleration: 'Obligation Acceleration',
+    governmental_intervention: 'Governmental Intervention'
+  },
+
+  /**
+   * Format currency amounts
+   */
+  formatCurrency(amount, currency) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: currency || 'USD',
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+  },
+
+  /**
+   * Format a date as DD/MM/YYYY
+   */
+  formatDate(date) {
+    if (!date) return null;
+    return new Date(date).toLocaleDateString('en-GB', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric'
+    });
+  },
+
+  /**
+   * Extract CLN parameters from product structure
+   */
+  extractParameters(product) {
+    const structureParams = product.structureParams || product.structureParameters || {};
+    const defaultRecoveryRate = structureParams.recoveryRate ?? 40;
+
+    const rawEntities = Array.isArray(structureParams.referenceEntities)
+      ? structureParams.referenceEntities.filter(e => e && e.name)
+      : [];
+
+    // Weights default to an equal split of the notional
+    const totalWeight = rawEntities.reduce((sum, e) => sum + (parseFloat(e.weight) || 0), 0);
+    const referenceEntities = rawEntities.map(entity => ({
+      name: entity.name,
+      identifier: entity.identifier || null,
+      seniority: entity.seniority || 'senior_unsecured',
+      weight: totalWeight > 0
+        ? (parseFloat(entity.weight) || 0) / totalWeight * 100
+        : 100 / rawEntities.length,
+      recoveryRate: entity.recoveryRate !== undefined && entity.recoveryRate !== null && entity.recoveryRate !== ''
+        ? parseFloat(entity.recoveryRate)
+        : defaultRecoveryRate,
+      cdsSpread: entity.cdsSpread !== undefined && entity.cdsSpread !== null && entity.cdsSpread !== ''
+        ? parseFloat(entity.cdsSpread)
+        : null
+    }));
+
+    return {
+      couponRate: parseFloat(structureParams.couponRate) || 0,
+      couponFrequency: structureParams.couponFrequency || 'quarterly',
+      recoveryRate: defaultRecoveryRate,
+      referenceEntities,
+      // Credit events are recorded by admins in structureParameters (see products.recordCreditEvent)
+      creditEvents: product.structureParameters?.creditEvents || structureParams.creditEvents || [],
+      manualPrice: structureParams.manualPrice !== undefined && structureParams.manualPrice !== ''
+        ? parseFloat(structureParams.manualPrice)
+        : null,
+      manualPriceDate: structureParams.manualPriceDate || null
+    };
+  },
+
+  /**
+   * Resolve the status of each reference entity against the recorded credit events
+   *
+   * An entity is defaulted once a credit event dated on or before the evaluation date
+   * exists for it. The auction final price (finalRecoveryRate) overrides the recovery
+   * assumption when it is known.
+   */
+  resolveEntityStatus(referenceEntities, creditEvents, evaluationDate = new Date()) {
+    return referenceEntities.map(entity => {
+      const entityEvents = creditEvents
+        .filter(event => event.entityName === entity.name && new Date(event.eventDate) <= evaluationDate)
+        .sort((a, b) => new Date(a.eventDate) - new Date(b.eventDate));
+
+      const creditEvent = entityEvents[0] || null;
+      const recoveryRate = creditEvent && creditEvent.finalRecoveryRate !== undefined && creditEvent.finalRecoveryRate !== null
+        ? creditEvent.finalRecoveryRate
+        : entity.recoveryRate;
+
+      return {
+        ...entity,
+        weightFormatted: `${entity.weight.toFixed(2)}%`,
+        recoveryRate,
+        recoveryRateFormatted: `${recoveryRate.toFixed(1)}%`,
+        recoveryIsFinal: !!(creditEvent && creditEvent.finalRecoveryRate !== undefined && creditEvent.finalRecoveryRate !== null),
+        cdsSpreadFormatted: entity.cdsSpread !== null ? `${entity.cdsSpread.toFixed(0)} bps` : 'N/A',
+        isDefaulted: !!creditEvent,
+        creditEvent,
+        eventDate: creditEvent?.eventDate || null,
+        eventDateFormatted: creditEvent ? this.formatDate(creditEvent.eventDate) : null,
+        status: creditEvent ? 'defaulted' : 'performing',
+        statusText: creditEvent
+          ? `${this.CREDIT_EVENT_TYPES[creditEvent.eventType] || creditEvent.eventType} (${this.formatDate(creditEvent.eventDate)})`
+          : 'Performing',
+        // Contribution to redemption as % of notional
+        redemptionContribution: entity.weight * (creditEvent ? recoveryRate : 100) / 100
+      };
+    });
+  },
+
+  /**
+   * Fraction of notional still outstanding (not written down) on a given date
+   */
+  getOutstandingFraction(entities, date) {
+    const target = new Date(date);
+    return entities.reduce((sum, entity) => {
+      const defaulted = entity.isDefaulted && new Date(entity.eventDate) <= target;
+      return sum + (defaulted ? 0 : entity.weight / 100);
+    }, 0);
+  },
+
+  /**
+   * Get the coupon schedule, generating one from the coupon frequency if missing
+   */
+  getCouponSchedule(product, params) {
+    if (product.observationSchedule && product.observationSchedule.length > 0) {
+      return product.observationSchedule.map(obs => ({
+        observationDate: obs.observationDate,
+        valueDate: obs.valueDate || obs.paymentDate || obs.observationDate
+      }));
+    }
+
+    const startDate = new Date(product.valueDate || product.issueDate || product.tradeDate);
+    const maturityDate = new Date(product.maturity || product.maturityDate);
+    const intervalMonths = {
+      'monthly': 1,
+      'quarterly': 3,
+      'semi-annual': 6,
+      'annually': 12
+    }[params.couponFrequency] || 3;
+
+    const schedule = [];
+    let currentDate = new Date(startDate);
+    while (currentDate < maturityDate) {
+      currentDate = new Date(currentDate);
+      currentDate.setMonth(currentDate.getMonth() + intervalMonths);
+      if (currentDate > maturityDate) {
+        currentDate = maturityDate;
+      }
+
+      schedule.push({
+        observationDate: currentDate.toISOString(),
+        valueDate: currentDate.toISOString()
+      });
+    }
+
+    console.log(`🏛️ [CLN] Generated ${schedule.length} coupon dates (${params.couponFrequency} frequency)`);
+    return schedule;
+  },
+
+  /**
+   * Latest market price for the note, as % of notional
+   * ProductPrices first (bank/issuer feed), manual price from the structure as fallback.
+   */
+  async getMarketPrice(product, params) {
+    if (product.isin) {
+      const latest = await ProductPriceHelpers.getLatestPrice(product.isin);
+
+      if (latest && latest.price !== undefined && latest.price !== null) {
+        return {
+          price: this.normalizePrice(latest.price),
+          priceDate: latest.priceDate,
+          priceDateFormatted: this.formatDate(latest.priceDate),
+          source: 'product_prices'
+        };
+      }
+    }
+
+    if (params.manualPrice !== null && !isNaN(params.manualPrice)) {
+      return {
+        price: params.manualPrice,
+        priceDate: params.manualPriceDate,
+        priceDateFormatted: this.formatDate(params.manualPriceDate),
+        source: 'manual'
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Prices are often stored as decimals (0.985 = 98.5%)
+   */
+  normalizePrice(price) {
+    const value = parseFloat(price);
+    return value < 5 ? value * 100 : value;
+  },
+
+  /**
+   * Risk-neutral expected redemption from CDS spreads
+   * Survival probability to maturity ≈ exp(-spread / (1 - R) × T) per performing entity.
+   * Returns null if any performing entity has no spread.
+   */
+  calculateExpectedRedemption(entities, maturityDate, evaluationDate = new Date()) {
+    const yearsToMaturity = Math.max(0, (new Date(maturityDate) - evaluationDate) / (365.25 * 24 * 60 * 60 * 1000));
+    const performing = entities.filter(e => !e.isDefaulted);
+
+    if (performing.length === 0 || performing.some(e => e.cdsSpread === null)) {
+      return null;
+    }
+
+    return entities.reduce((sum, entity) => {
+      if (entity.isDefaulted) {
+        return sum + entity.redemptionContribution;
+      }
+      const hazardRate = (entity.cdsSpread / 10000) / (1 - entity.recoveryRate / 100);
+      const survival = Math.exp(-hazardRate * yearsToMaturity);
+      return sum + entity.weight * (survival * 100 + (1 - survival) * entity.recoveryRate) / 100;
+    }, 0);
+  },
+
+  /**
+   * Build product status
+   */
+  buildProductStatus(product, entities) {
+    const now = getEvaluationDate(product);
+    const maturityDate = new Date(product.maturity || product.maturityDate);
+    const hasMatured = now >= maturityDate;
+    const daysToMaturity = Math.ceil((maturityDate - now) / (1000 * 60 * 60 * 24));
+    const defaultedCount = entities.filter(e => e.isDefaulted).length;
+
+    let productStatus = hasMatured ? 'matured' : 'live';
+    if (defaultedCount > 0 && defaultedCount === entities.length && !hasMatured) {
+      productStatus = 'credit_event';
+    }
+
+    return {
+      productStatus,
+      statusDetails: {
+        defaultedCount,
+        performingCount: entities.length - defaultedCount
+      },
+      evaluationDate: now,
+      evaluationDateFormatted: now.toLocaleDateString('en-US', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric'
+      }),
+      daysToMaturity,
+      daysToMaturityText: hasMatured ? 'Matured' : `${daysToMaturity} days`,
+      hasMatured
+    };
+  },
+
+  /**
+   * Build timeline dates
+   */
+  buildTimeline(product) {
+    const formatDate = (date) => {
+      if (!date) return 'N/A';
+      return new Date(date).toLocaleDateString('en-US', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric'
+      });
+    };
+
+    return {
+      tradeDate: product.tradeDate,
+      tradeDateFormatted: formatDate(product.tradeDate),
+      valueDate: product.valueDate || product.issueDate,
+      valueDateFormatted: formatDate(product.valueDate || product.issueDate),
+      maturityDate: product.maturity || product.maturityDate,
+      maturityDateFormatted: formatDate(product.maturity || product.maturityDate)
+    };
+  },
+
+  /**
+   * Generate product name
+   */
+  generateProductName(product, params) {
+    if (params.referenceEntities.length === 0) {
+      return product.title || product.productName || 'Credit Linked Note';
+    }
+
+    if (params.referenceEntities.length === 1) {
+      return `${params.referenceEntities[0].name} CLN ${params.couponRate}%`;
+    }
+
+    return `${params.referenceEntities.length}-Name Basket CLN ${params.couponRate}%`;
+  }
+};
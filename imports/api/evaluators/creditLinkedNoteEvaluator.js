@@ -0,0 +1,236 @@
+import { CreditLinkedNoteEvaluationHelpers } from './creditLinkedNoteEvaluationHelpers';
+import { matchAllScheduledPayments } from '../helpers/paymentMatcher.js';
+import { getEvaluationDate } from './evaluationDate';
+
+/**
+ * Credit Linked Note Evaluator
+ *
+ * Evaluates Credit Linked Notes on one or more reference entities.
+ *
+ * Product Structure:
+ * - Fixed coupon (p.a.) paid on the outstanding notional at each coupon date
+ * - Reference entities carry a weight (share of notional) and a recovery assumption
+ * - Credit events are recorded manually by an admin; once an event has occurred the
+ *   entity's weight stops earning coupon and redeems at its recovery rate
+ * - Redemption = Σ weight × (defaulted ? recovery : 100%)
+ *
+ * Template Type: credit_linked_note
+ */
+export const CreditLinkedNoteEvaluator = {
+  /**
+   * Generate full Credit Linked Note report
+   */
+  async generateReport(product, context) {
+    console.log('🏛️ [CLN] Starting evaluation for product:', product._id);
+
+    const params = CreditLinkedNoteEvaluationHelpers.extractParameters(product);
+    console.log('🏛️ [CLN] Structure parameters:', {
+      couponRate: params.couponRate,
+      couponFrequency: params.couponFrequency,
+      referenceEntities: params.referenceEntities.length,
+      creditEvents: params.creditEvents.length
+    });
+
+    // Reference entity status (performing / defaulted) from recorded credit events
+    const entities = CreditLinkedNoteEvaluationHelpers.resolveEntityStatus(
+      params.referenceEntities,
+      params.creditEvents,
+      getEvaluationDate(product)
+    );
+
+    // Coupon schedule with write-downs applied
+    const observationAnalysis = await this.buildCouponSchedule(product, params, entities);
+
+    // Redemption after credit events
+    const redemption = this.calculateRedemption(product, params, entities);
+    console.log('🏛️ [CLN] Redemption calculation:', redemption.formula);
+
+    // Market value from ProductPrices or manual input
+    const marketPrice = await CreditLinkedNoteEvaluationHelpers.getMarketPrice(product, params);
+
+    const status = CreditLinkedNoteEvaluationHelpers.buildProductStatus(product, entities);
+    const timeline = CreditLinkedNoteEvaluationHelpers.buildTimeline(product);
+    const currency = product.currency || 'USD';
+    const defaultedEntities = entities.filter(e => e.isDefaulted);
+
+    const report = {
+      // Template metadata
+      templateType: 'credit_linked_note',
+      templateVersion: '1.0.0',
+
+      // Current status
+      currentStatus: {
+        productStatus: status.productStatus,
+        statusDetails: status.statusDetails,
+        evaluationDate: status.evaluationDate,
+        evaluationDateFormatted: status.evaluationDateFormatted,
+        daysToMaturity: status.daysToMaturity,
+        daysToMaturityText: status.daysToMaturityText,
+        hasMatured: status.hasMatured
+      },
+
+      // CLN structure
+      clnStructure: {
+        couponRate: params.couponRate,
+        couponRateFormatted: `${params.couponRate.toFixed(2)}%`,
+        couponFrequency: params.couponFrequency,
+        recoveryRate: params.recoveryRate,
+        recoveryRateFormatted: `${params.recoveryRate.toFixed(1)}%`,
+        entityCount: entities.length,
+        defaultedCount: defaultedEntities.length,
+        outstandingNotional: redemption.outstandingNotional,
+        outstandingNotionalFormatted: `${redemption.outstandingNotional.toFixed(2)}%`
+      },
+
+      // Reference entities with credit status
+      referenceEntities: entities,
+
+      // Recorded credit events (including future-dated entries)
+      creditEvents: params.creditEvents
+        .map(event => ({
+          ...event,
+          eventTypeLabel: CreditLinkedNoteEvaluationHelpers.CREDIT_EVENT_TYPES[event.eventType] || event.eventType,
+          eventDateFormatted: CreditLinkedNoteEvaluationHelpers.formatDate(event.eventDate),
+          finalRecoveryRateFormatted: event.finalRecoveryRate !== undefined && event.finalRecoveryRate !== null
+            ? `${event.finalRecoveryRate.toFixed(2)}%`
+            : null
+        }))
+        .sort((a, b) => new Date(a.eventDate) - new Date(b.eventDate)),
+
+      // Coupon schedule
+      observationAnalysis,
+
+      // Redemption calculation
+      redemption,
+
+      // Market value
+      marketValue: marketPrice ? {
+        ...marketPrice,
+        priceFormatted: `${marketPrice.price.toFixed(2)}%`,
+        sourceLabel: marketPrice.source === 'manual' ? 'Manual Price' : 'Product Prices',
+        // Total return since issue, assuming issue at par
+        totalReturn: marketPrice.price - 100 + observationAnalysis.totalCouponsEarned,
+        totalReturnFormatted: `${(marketPrice.price - 100 + observationAnalysis.totalCouponsEarned) >= 0 ? '+' : ''}${(marketPrice.price - 100 + observationAnalysis.totalCouponsEarned).toFixed(2)}%`
+      } : null,
+
+      // Timeline
+      timeline,
+
+      // Product details (pre-formatted)
+      productDetails: {
+        isin: product.isin || 'N/A',
+        name: product.title || product.productName || 'Credit Linked Note',
+        currency,
+        notional: product.notional || 100,
+        notionalFormatted: CreditLinkedNoteEvaluationHelpers.formatCurrency(product.notional || 100, currency)
+      },
+
+      generatedProductName: CreditLinkedNoteEvaluationHelpers.generateProductName(product, params)
+    };
+
+    console.log('🏛️ [CLN] Evaluation complete');
+    return report;
+  },
+
+  /**
+   * Build coupon schedule
+   * Each period pays couponRate × period length on the notional still outstanding at period end.
+   */
+  async buildCouponSchedule(product, params, entities) {
+    const schedule = CreditLinkedNoteEvaluationHelpers.getCouponSchedule(product, params);
+    const today = getEvaluationDate(product);
+    const startDate = new Date(product.valueDate || product.issueDate || product.tradeDate);
+
+    let previousDate = startDate;
+    let totalCouponsEarned = 0;
+
+    const observations = schedule.map((obs, index) => {
+      const paymentDate = new Date(obs.valueDate || obs.observationDate);
+      const periodYears = Math.max(0, (paymentDate - previousDate) / (365.25 * 24 * 60 * 60 * 1000));
+      previousDate = paymentDate;
+
+      const outstandingFraction = CreditLinkedNoteEvaluationHelpers.getOutstandingFraction(entities, paymentDate);
+      const couponAmount = params.couponRate * periodYears * outstandingFraction;
+      const hasOccurred = paymentDate <= today;
+      const isFinal = index === schedule.length - 1;
+
+      if (hasOccurred) {
+        totalCouponsEarned += couponAmount;
+      }
+
+      return {
+        observationDate: obs.observationDate,
+        observationDateFormatted: CreditLinkedNoteEvaluationHelpers.formatDate(obs.observationDate),
+        paymentDate: obs.valueDate || obs.observationDate,
+        paymentDateFormatted: CreditLinkedNoteEvaluationHelpers.formatDate(obs.valueDate || obs.observationDate),
+        outstandingNotional: outstandingFraction * 100,
+        outstandingNotionalFormatted: `${(outstandingFraction * 100).toFixed(2)}%`,
+        couponPaid: hasOccurred ? couponAmount : 0,
+        couponAmount,
+        couponAmountFormatted: `${couponAmount.toFixed(3)}%`,
+        writtenDown: outstandingFraction < 1,
+        hasOccurred,
+        isFinal,
+        status: hasOccurred ? 'completed' : 'upcoming'
+      };
+    });
+
+    // Confirm past coupons (and final redemption) against PMS operations
+    const enhancedObservations = await matchAllScheduledPayments(product, observations);
+    const nextCoupon = enhancedObservations.find(o => !o.hasOccurred) || null;
+
+    return {
+      observations: enhancedObservations,
+      totalObservations: enhancedObservations.length,
+      completedObservations: enhancedObservations.filter(o => o.hasOccurred).length,
+      totalCouponsEarned,
+      totalCouponsEarnedFormatted: `${totalCouponsEarned.toFixed(2)}%`,
+      nextCouponDate: nextCoupon?.paymentDate || null,
+      nextCouponDateFormatted: nextCoupon?.paymentDateFormatted || null,
+      nextCouponAmountFormatted: nextCoupon?.couponAmountFormatted || null
+    };
+  },
+
+  /**
+   * Calculate redemption after credit events
+   */
+  calculateRedemption(product, params, entities) {
+    const capitalComponent = entities.length > 0
+      ? entities.reduce((sum, e) => sum + e.redemptionContribution, 0)
+      : 100;
+
+    const outstandingNotional = entities.length > 0
+      ? entities.filter(e => !e.isDefaulted).reduce((sum, e) => sum + e.weight, 0)
+      : 100;
+
+    const defaulted = entities.filter(e => e.isDefaulted);
+    const formula = defaulted.length === 0
+      ? '100% (no credit event)'
+      : `${outstandingNotional.toFixed(2)}% + ${defaulted
+          .map(e => `${e.weight.toFixed(2)}% × ${e.recoveryRate.toFixed(1)}%`)
+          .join(' + ')}`;
+
+    const expectedRedemption = CreditLinkedNoteEvaluationHelpers.calculateExpectedRedemption(
+      entities,
+      product.maturity || product.maturityDate,
+      getEvaluationDate(product)
+    );
+
+    return {
+      capitalComponent,
+      capitalComponentFormatted: `${capitalComponent.toFixed(2)}%`,
+      totalValue: capitalComponent,
+      totalValueFormatted: `${capitalComponent.toFixed(2)}%`,
+      outstandingNotional,
+      lossAmount: 100 - capitalComponent,
+      lossAmountFormatted: `${(100 - capitalComponent).toFixed(2)}%`,
+      expectedRedemption,
+      expectedRedemptionFormatted: expectedRedemption !== null ? `${expectedRedemption.toFixed(2)}%` : 'N/A',
+      hasCreditEvent: defaulted.length > 0,
+      formula,
+      capitalExplanation: defaulted.length === 0
+        ? 'No credit event recorded: notional redeems at par'
+        : `${defaulted.length} reference entit${defaulted.length > 1 ? 'ies' : 'y'} defaulted: written down to recovery`
+    };
+  }
+};
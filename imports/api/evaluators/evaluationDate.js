@@ -0,0 +1,156 @@
+import { EJSON } from 'meteor/ejson';
+import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
+
+/**
+ * Evaluation Date Module
+ *
+ * Lets every evaluator run "as of" a historical date so compliance can reconstruct
+ * the report a client saw on a given day.
+ *
+ * Design decisions:
+ * - The date travels on the product copy being evaluated (product.asOfDate), like the
+ *   isWhatIf flag used by backtests, so no evaluator signature has to change
+ * - Evaluators ask getEvaluationDate(product) instead of new Date() whenever they
+ *   decide whether an observation is past, a product has matured, etc.
+ * - prepareProductAsOf() pins each underlying's price to the close on or before the
+ *   as-of date; evaluators skip their live price refresh for historical evaluations
+ * - Historical evaluations never touch the database (see templateReports.evaluateAsOf)
+ */
+
+/**
+ * Date the product is evaluated at: product.asOfDate for historical replays, otherwise now
+ *
+ * @param {Object} product - The product being evaluated
+ * @returns {Date}
+ */
+export function getEvaluationDate(product) {
+  if (product?.asOfDate) {
+    const asOf = new Date(product.asOfDate);
+    if (!isNaN(asOf.getTime())) return asOf;
+  }
+  return new Date();
+}
+
+/**
+ * @param {Object} product - The product being evaluated
+ * @returns {boolean} - True when the product is being evaluated as of a past date
+ */
+export function isHistoricalEvaluation(product) {
+  return !!product?.asOfDate;
+}
+
+/**
+ * Return the last close on or before a date from a market data cache document
+ * (history is sorted ascending).
+ *
+ * @param {Object} cacheDoc - MarketDataCacheCollection document
+ * @param {Date} date - Target date
+ * @returns {{ price: number, date: Date }|null}
+ */
+export function priceOnOrBefore(cacheDoc, date) {
+  if (!cacheDoc?.history?.length) return null;
+
+  const target = new Date(date).getTime();
+  for (let i = cacheDoc.history.length - 1; i >= 0; i--) {
+    const entry = cacheDoc.history[i];
+    const entryDate = entry.date instanceof Date ? entry.date : new Date(entry.date);
+    if (entryDate.getTime() <= target && (entry.close || entry.adjustedClose)) {
+      return { price: entry.close || entry.adjustedClose, date: entryDate };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the market data cache document for a ticker, trying the usual exchange
+ * suffixes when the exact ticker is not cached.
+ */
+async function findCacheDoc(fullTicker) {
+  if (!fullTicker) return null;
+
+  let cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker });
+  if (cacheDoc) return cacheDoc;
+
+  const symbol = fullTicker.split('.')[0];
+  for (const exchange of ['US', 'NASDAQ', 'NYSE', 'PA', 'DE', 'LSE', 'CO', 'SW', 'AS', 'MI', 'MC']) {
+    cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker: `${symbol}.${exchange}` });
+    if (cacheDoc) return cacheDoc;
+  }
+  return null;
+}
+
+/**
+ * Get the close on or before a date for a ticker
+ *
+ * @param {string} fullTicker - Full ticker (e.g. "AAPL.US")
+ * @param {Date} date - Target date
+ * @returns {Promise<{ price: number, date: Date }|null>}
+ */
+export async function getPriceAsOf(fullTicker, date) {
+  const cacheDoc = await findCacheDoc(fullTicker);
+  return priceOnOrBefore(cacheDoc, date);
+}
+
+/**
+ * Build a copy of a product as it stood on asOfDate, ready to be passed to any
+ * template evaluator.
+ *
+ * - Sets product.asOfDate (read by getEvaluationDate)
+ * - Derives productStatus from the dates instead of the stored (current) status
+ * - Pins underlying prices to the close on or before asOfDate
+ * - Drops redemption / final observation prices fixed after asOfDate
+ *
+ * @param {Object} product - The product document (left untouched)
+ * @param {Date} asOfDate - Historical evaluation date
+ * @returns {Promise<Object>} - The product copy
+ */
+export async function prepareProductAsOf(product, asOfDate) {
+  const asOf = new Date(asOfDate);
+  if (isNaN(asOf.getTime())) {
+    throw new Error('prepareProductAsOf: invalid asOfDate');
+  }
+
+  const copy = EJSON.clone(product);
+  copy.asOfDate = asOf;
+
+  const maturityDate = product.maturity || product.maturityDate;
+  copy.productStatus = maturityDate && new Date(maturityDate) <= asOf ? 'matured' : 'live';
+  delete copy.statusDetails;
+
+  const isAfterAsOf = (priceInfo) => priceInfo?.date && new Date(priceInfo.date) > asOf;
+
+  // Nested shape: product.underlyings[].securityData
+  for (const underlying of copy.underlyings || []) {
+    if (!underlying.securityData) underlying.securityData = {};
+    const securityData = underlying.securityData;
+    const fullTicker = securityData.ticker || underlying.fullTicker ||
+      (underlying.ticker ? (underlying.ticker.includes('.') ? underlying.ticker : `${underlying.ticker}.US`) : null);
+
+    const historical = await getPriceAsOf(fullTicker, asOf);
+    if (historical) {
+      securityData.price = {
+        price: historical.price,
+        close: historical.price,
+        date: historical.date,
+        source: 'market_data_history',
+        ticker: fullTicker
+      };
+    } else {
+      console.warn(`⚠️ [AsOf] No price on or before ${asOf.toISOString().split('T')[0]} for ${fullTicker}`);
+      delete securityData.price;
+    }
+
+    if (isAfterAsOf(securityData.redemptionPrice)) delete securityData.redemptionPrice;
+    if (isAfterAsOf(securityData.finalObservationPrice)) delete securityData.finalObservationPrice;
+  }
+
+  // Flat shape: product.underlyingAssets[] (Reverse Convertible templates)
+  for (const asset of copy.underlyingAssets || []) {
+    if (asset.redemptionDate && new Date(asset.redemptionDate) > asOf) {
+      delete asset.redemptionPrice;
+      delete asset.redemptionDate;
+    }
+  }
+
+  return copy;
+}
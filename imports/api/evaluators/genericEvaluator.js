@@ -0,0 +1,626 @@
+import { SharedEvaluationHelpers } from './sharedEvaluationHelpers';
+import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
+import { EvaluationContext } from '/imports/api/evaluationContext';
+import { PrimitiveExecutor } from '/imports/api/primitiveExecutor';
+import {
+  translateSection,
+  translateLegacyComponent,
+  MEMORY_COUPON_KEY,
+  SCHEDULED_BARRIER_KEYS,
+  SCHEDULED_COUPON_KEY
+} from '/imports/api/legacyTranslator';
+import { createPrimitive, formatPrimitive } from '/imports/api/mathematicalPrimitives';
+import { ItemTypes } from '/imports/api/componentTypes';
+import { getEvaluationDate } from './evaluationDate';
+
+/**
+ * Generic Evaluator
+ *
+ * Evaluates products whose templateId has no dedicated evaluator by interpreting
+ * the drag-and-drop payoffStructure:
+ * - legacyTranslator turns the life / maturity sections into primitive trees
+ * - PrimitiveExecutor runs them at each observation against an EvaluationContext
+ * - Memory (unpaid coupons), autocall termination and payments carry across observations
+ *
+ * Covers bespoke notes such as range accruals, twin-wins and airbag notes with
+ * step-down autocall, as long as their components have a translator.
+ *
+ * Template Type: generic
+ */
+export const GenericEvaluator = {
+  /**
+   * Generate full generic report
+   */
+  async generateReport(product, context) {
+    console.log('🧩 [Generic] Starting evaluation for product:', product._id);
+
+    const payoffStructure = product.payoffStructure || product.droppedItems || [];
+    if (payoffStructure.length === 0) {
+      console.log('🧩 [Generic] No payoff structure, nothing to interpret');
+      return {
+        templateType: 'unknown',
+        templateVersion: '1.0.0',
+        currentStatus: {
+          productStatus: 'unknown',
+          evaluationDate: getEvaluationDate(product)
+        },
+        message: 'Template not implemented yet'
+      };
+    }
+
+    await SharedEvaluationHelpers.setRedemptionPricesForProduct(product);
+
+    const underlyings = await SharedEvaluationHelpers.extractUnderlyingAssetsData(product);
+    console.log('🧩 [Generic] Underlyings extracted:', underlyings.length);
+
+    // Translate the payoff grid into executable statements
+    const lifeStatements = translateSection(payoffStructure, 'life', product);
+    const maturityStatements = translateSection(payoffStructure, 'maturity', product);
+    console.log(`🧩 [Generic] Translated ${lifeStatements.length} life and ${maturityStatements.length} maturity statements`);
+
+    const structure = this.extractStructure(payoffStructure, product);
+
+    // Price access for the EvaluationContext comes from the cached history
+    const histories = await this.loadHistories(underlyings);
+    const priceService = this.createHistoryPriceService(histories);
+    const evaluationContext = new EvaluationContext(product, priceService, product.tradeDate);
+    const executor = new PrimitiveExecutor(evaluationContext);
+
+    const schedule = this.buildSchedule(product, payoffStructure, lifeStatements.length > 0);
+    const observationAnalysis = await this.runObservations({
+      product,
+      schedule,
+      underlyings,
+      histories,
+      lifeStatements,
+      maturityStatements,
+      structure,
+      evaluationContext,
+      executor
+    });
+
+    const redemption = await this.buildRedemption({
+      product,
+      underlyings,
+      histories,
+      observationAnalysis,
+      maturityStatements,
+      evaluationContext,
+      executor
+    });
+
+    const status = SharedEvaluationHelpers.buildProductStatus(product);
+    let productStatus = status.productStatus;
+    let statusDetails = status.statusDetails;
+    if (observationAnalysis.terminationObservation && !observationAnalysis.terminationObservation.isFinal) {
+      productStatus = 'autocalled';
+      statusDetails = {
+        autocallDate: observationAnalysis.terminationObservation.observationDate,
+        autocallDateFormatted: observationAnalysis.terminationObservation.observationDateFormatted
+      };
+    }
+
+    const currentBasketLevel = await this.evaluateBasketLevel(
+      structure.basketPrimitive,
+      this.currentLevels(underlyings),
+      executor
+    );
+    const currentBasketPerformance = currentBasketLevel !== null ? currentBasketLevel - 100 : null;
+
+    const report = {
+      templateType: 'generic',
+      templateVersion: '1.0.0',
+
+      currentStatus: {
+        productStatus,
+        statusDetails,
+        evaluationDate: status.evaluationDate,
+        evaluationDateFormatted: status.evaluationDateFormatted,
+        daysToMaturity: status.daysToMaturity,
+        daysToMaturityText: status.daysToMaturityText,
+        hasMatured: status.hasMatured || productStatus === 'autocalled'
+      },
+
+      genericStructure: {
+        basketType: structure.basketType,
+        basketTypeLabel: structure.basketTypeLabel,
+        couponRate: structure.couponRate,
+        couponRateFormatted: structure.couponRate !== null ? `${structure.couponRate.toFixed(2)}%` : null,
+        barriers: structure.barriers.map(({ primitive, ...barrier }) => ({
+          ...barrier,
+          levelFormatted: `${barrier.level.toFixed(0)}%`
+        })),
+        componentTypes: structure.componentTypes,
+        unsupportedComponents: structure.unsupportedComponents,
+        rules: {
+          life: lifeStatements.map(statement => formatPrimitive(statement)),
+          maturity: maturityStatements.map(statement => formatPrimitive(statement))
+        }
+      },
+
+      underlyings,
+
+      basketPerformance: {
+        current: currentBasketPerformance,
+        currentFormatted: currentBasketPerformance !== null
+          ? `${currentBasketPerformance >= 0 ? '+' : ''}${currentBasketPerformance.toFixed(2)}%`
+          : 'N/A',
+        isPositive: currentBasketPerformance !== null && currentBasketPerformance >= 0
+      },
+
+      observationAnalysis: {
+        observations: observationAnalysis.observations,
+        totalObservations: observationAnalysis.observations.length,
+        pastObservations: observationAnalysis.observations.filter(o => o.status === 'past').length,
+        nextObservation: observationAnalysis.nextObservation,
+        totalCouponsPaid: observationAnalysis.totalCouponsPaid,
+        totalCouponsPaidFormatted: `${observationAnalysis.totalCouponsPaid.toFixed(2)}%`,
+        memoryBalance: observationAnalysis.memoryBalance,
+        memoryBalanceFormatted: `${observationAnalysis.memoryBalance.toFixed(2)}%`
+      },
+
+      redemption,
+
+      evaluationWarnings: evaluationContext.errors
+        .filter(error => error.category !== 'INIT')
+        .map(error => error.message),
+
+      productDetails: {
+        isin: product.isin || 'N/A',
+        name: product.title || product.productName || 'Structured Product',
+        currency: product.currency || 'USD',
+        notional: product.notional || 100,
+        notionalFormatted: SharedEvaluationHelpers.formatCurrency(
+          product.notional || 100,
+          product.currency || 'USD'
+        )
+      },
+
+      generatedProductName: SharedEvaluationHelpers.generateProductName(product, underlyings, structure)
+    };
+
+    console.log('🧩 [Generic] Evaluation complete:', {
+      status: productStatus,
+      observations: report.observationAnalysis.totalObservations,
+      redemption: redemption?.totalValueFormatted
+    });
+
+    return report;
+  },
+
+  /**
+   * Summarize the payoff structure for display and chart barriers
+   */
+  extractStructure(payoffStructure, product) {
+    const basketItem = payoffStructure.find(item =>
+      item.type === ItemTypes.UNDERLYING || item.type === ItemTypes.BASKET
+    );
+    const assetIds = product.underlyings?.map(u => u.symbol || u.ticker) || ['$ASSETS'];
+    const basketPrimitive = (basketItem && translateLegacyComponent(basketItem, { assetIds }))
+      || createPrimitive('WORST_OF', { assetIds });
+
+    const basketLabels = {
+      worst_of: 'Worst-of',
+      best_of: 'Best-of',
+      average_of: 'Average'
+    };
+
+    const couponItem = payoffStructure.find(item =>
+      item.type === ItemTypes.MEMORY_COUPON || item.type === ItemTypes.COUPON || item.type === ItemTypes.RANGE_ACCRUAL
+    );
+    const couponValue = couponItem ? parseFloat(couponItem.couponRate || couponItem.value || couponItem.defaultValue) : NaN;
+
+    const barriers = payoffStructure
+      .filter(item => item.type === ItemTypes.BARRIER)
+      .map(item => ({
+        id: item.id,
+        label: item.label || 'Barrier',
+        barrierType: item.barrier_type || 'generic',
+        level: parseFloat(item.value || item.defaultValue || '100'),
+        stepDown: !!item.stepDown,
+        stepDownAmount: item.stepDown ? parseFloat(item.stepDownAmount || '0') : 0,
+        section: item.section,
+        primitive: translateLegacyComponent(item, { assetIds })
+      }));
+
+    const translatedTypes = new Set([
+      ItemTypes.LOGIC_OPERATOR,
+      ItemTypes.COMPARISON
+    ]);
+    const unsupportedComponents = payoffStructure
+      .filter(item => !translatedTypes.has(item.type) && !translateLegacyComponent(item, { assetIds }))
+      .map(item => item.label || item.type);
+
+    return {
+      basketPrimitive,
+      basketType: basketPrimitive.primitiveId,
+      basketTypeLabel: basketLabels[basketPrimitive.primitiveId] || 'Worst-of',
+      couponRate: isNaN(couponValue) ? null : couponValue,
+      barriers,
+      componentTypes: [...new Set(payoffStructure.map(item => item.type))],
+      unsupportedComponents: [...new Set(unsupportedComponents)]
+    };
+  },
+
+  /**
+   * Use the product's observation schedule, or derive one from the observation frequency.
+   * Products without life rules (e.g. twin-win) are only observed at final observation.
+   */
+  buildSchedule(product, payoffStructure, hasLifeRules) {
+    const finalDate = new Date(
+      product.finalObservation || product.finalObservationDate || product.maturity || product.maturityDate
+    );
+
+    if (Array.isArray(product.observationSchedule) && product.observationSchedule.length > 0) {
+      return [...product.observationSchedule]
+        .sort((a, b) => new Date(a.observationDate) - new Date(b.observationDate));
+    }
+
+    if (!hasLifeRules) {
+      return [{ observationDate: finalDate.toISOString(), valueDate: finalDate.toISOString() }];
+    }
+
+    const observationItem = payoffStructure.find(item =>
+      item.section === 'life' && (item.type === ItemTypes.OBSERVATION || item.type === ItemTypes.TIMING)
+    );
+    const intervalMonths = {
+      'monthly': 1,
+      'quarterly': 3,
+      'semi-annual': 6,
+      'annually': 12
+    }[observationItem?.frequency] || 3;
+
+    const schedule = [];
+    let currentDate = new Date(product.tradeDate || product.issueDate || product.valueDate);
+    while (currentDate < finalDate) {
+      currentDate = new Date(currentDate);
+      currentDate.setMonth(currentDate.getMonth() + intervalMonths);
+      if (currentDate > finalDate) {
+        currentDate = finalDate;
+      }
+      schedule.push({ observationDate: currentDate.toISOString(), valueDate: currentDate.toISOString() });
+    }
+
+    console.log(`🧩 [Generic] Generated ${schedule.length} observations (every ${intervalMonths} months)`);
+    return schedule;
+  },
+
+  /**
+   * Walk the observation schedule, executing life rules at each past observation and
+   * maturity rules at the final one
+   */
+  async runObservations({ product, schedule, underlyings, histories, lifeStatements, maturityStatements, structure, evaluationContext, executor }) {
+    const today = getEvaluationDate(product);
+    const observations = [];
+    let terminationObservation = null;
+    let nextObservation = null;
+    let totalCouponsPaid = 0;
+    let previousDate = new Date(product.tradeDate || product.issueDate || product.valueDate);
+
+    for (const [index, scheduled] of schedule.entries()) {
+      const observationDate = new Date(scheduled.observationDate);
+      const isFinal = index === schedule.length - 1;
+      const row = {
+        index,
+        observationDate: scheduled.observationDate,
+        observationDateFormatted: this.formatDate(observationDate),
+        valueDate: scheduled.valueDate || scheduled.observationDate,
+        valueDateFormatted: this.formatDate(scheduled.valueDate || scheduled.observationDate),
+        isFinal,
+        isCallable: scheduled.isCallable !== false,
+        status: 'future',
+        payments: [],
+        couponPaid: 0,
+        autocalled: false
+      };
+
+      // Scheduled levels override the drawn barriers through memory
+      evaluationContext.setMemoryValue(
+        SCHEDULED_BARRIER_KEYS.autocall,
+        scheduled.isCallable === false ? Number.POSITIVE_INFINITY : scheduled.autocallLevel
+      );
+      evaluationContext.setMemoryValue(SCHEDULED_BARRIER_KEYS.coupon, scheduled.couponBarrier);
+      evaluationContext.setMemoryValue(SCHEDULED_COUPON_KEY, scheduled.couponRate ?? null);
+
+      // Report the effective barrier levels for this observation
+      const barrierState = executor.createObservationState({ observationIndex: index });
+      for (const barrier of structure.barriers) {
+        if (barrier.barrierType === 'autocall' && row.isCallable) {
+          row.autocallLevel = await executor.execute(barrier.primitive, barrierState);
+        } else if (barrier.barrierType === 'coupon') {
+          row.couponBarrier = await executor.execute(barrier.primitive, barrierState);
+        }
+      }
+      row.autocallLevelFormatted = row.autocallLevel !== undefined && isFinite(row.autocallLevel)
+        ? `${row.autocallLevel.toFixed(0)}%` : '-';
+      row.couponBarrierFormatted = row.couponBarrier !== undefined && row.couponBarrier !== null
+        ? `${row.couponBarrier.toFixed(0)}%` : '-';
+
+      if (terminationObservation) {
+        row.status = 'cancelled';
+        observations.push(row);
+        continue;
+      }
+
+      if (observationDate > today) {
+        if (!nextObservation) {
+          nextObservation = {
+            index,
+            observationDate: row.observationDate,
+            observationDateFormatted: row.observationDateFormatted,
+            daysUntil: Math.ceil((observationDate - today) / (1000 * 60 * 60 * 24)),
+            autocallLevelFormatted: row.autocallLevelFormatted
+          };
+        }
+        observations.push(row);
+        continue;
+      }
+
+      evaluationContext.updateCurrentDate(observationDate);
+      evaluationContext.setCurrentObservation(scheduled);
+
+      const levels = await this.levelsAtDate(underlyings, evaluationContext, observationDate);
+      if (Object.keys(levels).length < underlyings.length) {
+        evaluationContext.recordError('PRICE', `Missing prices on ${row.observationDateFormatted}`);
+        row.status = 'missing_data';
+        observations.push(row);
+        previousDate = observationDate;
+        continue;
+      }
+
+      const state = executor.createObservationState({
+        levels,
+        periodLevels: this.periodLevels(underlyings, histories, previousDate, observationDate),
+        isMaturity: isFinal,
+        observationIndex: index
+      });
+
+      for (const statement of lifeStatements) {
+        if (state.terminated) break;
+        await executor.execute(statement, state);
+      }
+
+      if (isFinal && !state.terminated) {
+        for (const statement of maturityStatements) {
+          if (state.terminated) break;
+          await executor.execute(statement, state);
+        }
+        state.terminated = true;
+      }
+
+      evaluationContext.incrementObservationCount();
+      previousDate = observationDate;
+
+      const basketLevel = await this.evaluateBasketLevel(structure.basketPrimitive, levels, executor);
+      const couponPaid = state.payments
+        .filter(p => p.category === 'coupon')
+        .reduce((sum, p) => sum + p.amount, 0);
+      totalCouponsPaid += couponPaid;
+
+      Object.assign(row, {
+        status: 'past',
+        levels,
+        basketLevel,
+        basketLevelFormatted: basketLevel !== null ? `${basketLevel.toFixed(2)}%` : 'N/A',
+        payments: state.payments.map(p => ({ ...p, amountFormatted: `${p.amount.toFixed(2)}%` })),
+        couponPaid,
+        couponPaidFormatted: `${couponPaid.toFixed(2)}%`,
+        autocalled: state.terminated && !isFinal,
+        memoryBalance: evaluationContext.getMemoryValue(MEMORY_COUPON_KEY) || 0
+      });
+
+      if (state.terminated) {
+        terminationObservation = row;
+      }
+
+      observations.push(row);
+    }
+
+    return {
+      observations,
+      terminationObservation,
+      nextObservation,
+      totalCouponsPaid,
+      memoryBalance: evaluationContext.getMemoryValue(MEMORY_COUPON_KEY) || 0,
+      lastObservationDate: previousDate
+    };
+  },
+
+  /**
+   * Realized redemption for terminated products, indicative maturity value otherwise
+   */
+  async buildRedemption({ product, underlyings, histories, observationAnalysis, maturityStatements, evaluationContext, executor }) {
+    const termination = observationAnalysis.terminationObservation;
+
+    if (termination) {
+      const capital = termination.payments
+        .filter(p => p.category === 'capital')
+        .reduce((sum, p) => sum + p.amount, 0);
+      return this.formatRedemption({
+        type: termination.isFinal ? 'matured' : 'autocalled',
+        capital,
+        coupons: observationAnalysis.totalCouponsPaid,
+        date: termination.valueDate,
+        payments: termination.payments
+      });
+    }
+
+    if (maturityStatements.length === 0) {
+      return null;
+    }
+
+    // What-if: apply maturity rules to today's levels without touching the real memory
+    const memorySnapshot = { ...evaluationContext.memory };
+    const levels = this.currentLevels(underlyings);
+    const state = executor.createObservationState({
+      levels,
+      periodLevels: this.periodLevels(underlyings, histories, observationAnalysis.lastObservationDate, getEvaluationDate(product)),
+      isMaturity: true,
+      observationIndex: evaluationContext.getObservationCount()
+    });
+
+    evaluationContext.updateCurrentDate(getEvaluationDate(product));
+    for (const statement of maturityStatements) {
+      if (state.terminated) break;
+      await executor.execute(statement, state);
+    }
+    evaluationContext.memory = memorySnapshot;
+
+    const capital = state.payments
+      .filter(p => p.category === 'capital')
+      .reduce((sum, p) => sum + p.amount, 0);
+    const maturityCoupons = state.payments
+      .filter(p => p.category === 'coupon')
+      .reduce((sum, p) => sum + p.amount, 0);
+
+    return this.formatRedemption({
+      type: 'indicative',
+      capital,
+      coupons: observationAnalysis.totalCouponsPaid + maturityCoupons,
+      date: product.maturity || product.maturityDate,
+      payments: state.payments.map(p => ({ ...p, amountFormatted: `${p.amount.toFixed(2)}%` }))
+    });
+  },
+
+  formatRedemption({ type, capital, coupons, date, payments }) {
+    const totalValue = capital + coupons;
+    return {
+      type,
+      capital,
+      capitalFormatted: `${capital.toFixed(2)}%`,
+      coupons,
+      couponsFormatted: `${coupons.toFixed(2)}%`,
+      totalValue,
+      totalValueFormatted: `${totalValue.toFixed(2)}%`,
+      date,
+      dateFormatted: date ? this.formatDate(date) : null,
+      payments
+    };
+  },
+
+  /**
+   * Levels (% of strike) of every underlying at a date, through the EvaluationContext
+   */
+  async levelsAtDate(underlyings, evaluationContext, date) {
+    const levels = {};
+    for (const underlying of underlyings) {
+      if (!underlying.initialPrice) continue;
+      const price = await evaluationContext.getUnderlyingPrice(underlying.ticker, date);
+      if (price) {
+        levels[underlying.ticker] = (price / underlying.initialPrice) * 100;
+      }
+    }
+    return levels;
+  },
+
+  /**
+   * Levels at evaluation time, using each underlying's evaluation price
+   */
+  currentLevels(underlyings) {
+    const levels = {};
+    for (const underlying of underlyings) {
+      if (underlying.initialPrice > 0 && underlying.currentPrice) {
+        levels[underlying.ticker] = (underlying.currentPrice / underlying.initialPrice) * 100;
+      }
+    }
+    return levels;
+  },
+
+  /**
+   * Daily levels strictly after fromDate up to toDate, for dates where every underlying traded
+   */
+  periodLevels(underlyings, histories, fromDate, toDate) {
+    const fromStr = new Date(fromDate).toISOString().split('T')[0];
+    const toStr = new Date(toDate).toISOString().split('T')[0];
+    const byDate = new Map();
+
+    for (const underlying of underlyings) {
+      const history = histories[underlying.ticker] || [];
+      if (!underlying.initialPrice) continue;
+      for (const record of history) {
+        if (record.dateStr <= fromStr || record.dateStr > toStr) continue;
+        if (!byDate.has(record.dateStr)) byDate.set(record.dateStr, {});
+        byDate.get(record.dateStr)[underlying.ticker] = (record.close / underlying.initialPrice) * 100;
+      }
+    }
+
+    return [...byDate.keys()]
+      .sort()
+      .map(dateStr => byDate.get(dateStr))
+      .filter(levels => Object.keys(levels).length === underlyings.length);
+  },
+
+  async evaluateBasketLevel(basketPrimitive, levels, executor) {
+    if (Object.keys(levels).length === 0) {
+      return null;
+    }
+    return executor.execute(basketPrimitive, executor.createObservationState({ levels }));
+  },
+
+  /**
+   * Load cached price history for every underlying, keyed by ticker
+   */
+  async loadHistories(underlyings) {
+    const histories = {};
+
+    for (const underlying of underlyings) {
+      const fullTicker = underlying.fullTicker || `${underlying.ticker}.US`;
+      let cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker });
+
+      if (!cacheDoc) {
+        const symbol = fullTicker.split('.')[0];
+        const exchanges = ['US', 'PA', 'DE', 'LSE', 'CO'];
+        for (const exchange of exchanges) {
+          cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker: `${symbol}.${exchange}` });
+          if (cacheDoc) break;
+        }
+      }
+
+      if (!cacheDoc?.history?.length) {
+        console.warn(`🧩 [Generic] No cached history for ${fullTicker}`);
+        histories[underlying.ticker] = [];
+        continue;
+      }
+
+      // Use close (split-adjusted spot), not dividend-adjusted prices
+      histories[underlying.ticker] = cacheDoc.history
+        .map(record => ({
+          dateStr: new Date(record.date).toISOString().split('T')[0],
+          close: record.close || record.adjustedClose
+        }))
+        .filter(record => record.close)
+        .sort((a, b) => a.dateStr.localeCompare(b.dateStr));
+    }
+
+    return histories;
+  },
+
+  /**
+   * PriceService-compatible adapter over the loaded histories (closest prior close)
+   */
+  createHistoryPriceService(histories) {
+    return {
+      async getPrice(ticker, date) {
+        const history = histories[ticker];
+        if (!history || history.length === 0) {
+          return null;
+        }
+        const targetStr = new Date(date).toISOString().split('T')[0];
+        let price = null;
+        for (const record of history) {
+          if (record.dateStr > targetStr) break;
+          price = record.close;
+        }
+        return price;
+      }
+    };
+  },
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  }
+};
@@ -1,6 +1,8 @@
 import { MarketDataHelpers } from '/imports/api/marketDataCache';
 import { EODApiHelpers } from '/imports/api/eodApi';
 import { getSplitAdjustedStrike } from '/imports/api/splitAdjustment';
+import { getEvaluationDate, isHistoricalEvaluation } from './evaluationDate';
+import { BasketAggregationHelpers } from './basketAggregationHelpers';
 
 /**
  * Himalaya Evaluation Helpers
@@ -17,7 +19,7 @@ export const HimalayaEvaluationHelpers = {
       return;
     }
 
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -100,7 +102,7 @@ export const HimalayaEvaluationHelpers = {
    * Get evaluation price for Himalaya products
    */
   getEvaluationPrice(underlying, product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -176,7 +178,8 @@ export const HimalayaEvaluationHelpers = {
           underlying.securityData = {};
         }
 
-        if (!underlying.securityData.price) {
+        // Historical evaluations keep the as-of price pinned by prepareProductAsOf()
+        if (!underlying.securityData.price && !isHistoricalEvaluation(product)) {
           try {
             const fullTicker = underlying.securityData?.ticker || `${underlying.ticker}.US`;
             const cachedPrice = await MarketDataHelpers.getCurrentPrice(fullTicker);
@@ -246,7 +249,7 @@ export const HimalayaEvaluationHelpers = {
    * Build product status for Himalaya products
    */
   buildProductStatus(product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -297,7 +300,7 @@ export const HimalayaEvaluationHelpers = {
    */
   calculateDaysToMaturity(product) {
     const maturityDate = new Date(product.maturity || product.maturityDate);
-    const today = new Date();
+    const today = getEvaluationDate(product);
     const diffTime = maturityDate - today;
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   },
@@ -307,14 +310,14 @@ export const HimalayaEvaluationHelpers = {
    */
   checkIfMatured(product) {
     const maturityDate = new Date(product.maturity || product.maturityDate);
-    return new Date() >= maturityDate;
+    return getEvaluationDate(product) >= maturityDate;
   },
 
   /**
    * Get next observation date for Himalaya products
    */
   getNextObservationDate(product) {
-    const nextDate = new Date();
+    const nextDate = getEvaluationDate(product);
     nextDate.setMonth(nextDate.getMonth() + 3); // Default
     return nextDate;
   },
@@ -331,12 +334,10 @@ export const HimalayaEvaluationHelpers = {
     const tickers = underlyings.map(u => u.ticker);
 
     // Show up to 2 tickers, then add "+N" for remaining
-    if (tickers.length <= 2) {
-      return `${tickers.join('/')} Himalaya`;
-    } else {
-      const firstTwo = tickers.slice(0, 2).join('/');
-      const remainingCount = tickers.length - 2;
-      return `${firstTwo}+${remainingCount} Himalaya`;
-    }
+    const tickerDisplay = tickers.length <= 2
+      ? tickers.join('/')
+      : `${tickers.slice(0, 2).join('/')}+${tickers.length - 2}`;
+
+    return BasketAggregationHelpers.decorateProductName(tickerDisplay, 'Himalaya', params?.basketAggregation);
   }
 };
@@ -1,4 +1,6 @@
 import { HimalayaEvaluationHelpers } from './himalayaEvaluationHelpers';
+import { BasketAggregationHelpers } from './basketAggregationHelpers';
+import { getEvaluationDate } from './evaluationDate';
 
 /**
  * Himalaya Evaluator
@@ -9,6 +11,8 @@ import { HimalayaEvaluationHelpers } from './himalayaEvaluationHelpers';
  * - On each observation date: record best performing underlying, remove from future observations
  * - At final: average all recorded performances = final performance
  * - Payout floored at X% (default 100%)
+ * - Optional basket aggregation mode (rainbow, average of worst N, cliquet) replacing
+ *   the best-performer selection; the floor still applies
  */
 export const HimalayaEvaluator = {
   /**
@@ -33,7 +37,9 @@ export const HimalayaEvaluator = {
     const underlyings = await HimalayaEvaluationHelpers.extractUnderlyingAssetsData(product);
 
     // 4. Calculate Himalaya-specific logic (use enriched underlyings with current prices)
-    const himalayaCalculation = this.calculateHimalayaPerformance(product, params, underlyings);
+    const himalayaCalculation = params.basketAggregation
+      ? await this.calculateAggregatedPerformance(product, params, underlyings)
+      : this.calculateHimalayaPerformance(product, params, underlyings);
 
     // 5. Build product status
     const status = HimalayaEvaluationHelpers.buildProductStatus(product);
@@ -63,6 +69,9 @@ export const HimalayaEvaluator = {
 
       himalayaCalculation: himalayaCalculation,
 
+      // Basket aggregation mode breakdown (null = best-performer selection)
+      basketAggregation: himalayaCalculation.basketAggregation || null,
+
       // Performance and payout (indicative for live products, final for matured)
       averagePerformance: himalayaCalculation.averagePerformance,
       averagePerformanceFormatted: `${himalayaCalculation.averagePerformance >= 0 ? '+' : ''}${himalayaCalculation.averagePerformance.toFixed(2)}%`,
@@ -90,7 +99,8 @@ export const HimalayaEvaluator = {
         valueDate: obs.valueDate,
         observationNumber: obs.observationNumber
       })),
-      observationFrequency: structureParams.observationFrequency || 'custom'
+      observationFrequency: structureParams.observationFrequency || 'custom',
+      basketAggregation: BasketAggregationHelpers.getConfig(product)
     };
   },
 
@@ -111,7 +121,7 @@ export const HimalayaEvaluator = {
     const availableUnderlyings = [...underlyings]; // Clone array
 
     // Process each observation date
-    const now = new Date();
+    const now = getEvaluationDate(product);
     observationDates.forEach((observation, index) => {
       if (availableUnderlyings.length === 0) return;
 
@@ -208,6 +218,28 @@ export const HimalayaEvaluator = {
     };
   },
 
+  /**
+   * Calculate performance under a configured basket aggregation mode.
+   * Returns the same shape as calculateHimalayaPerformance (without a selection history).
+   */
+  async calculateAggregatedPerformance(product, params, underlyings) {
+    const basketAggregation = await BasketAggregationHelpers.evaluate(product, underlyings, params.basketAggregation);
+    const averagePerformance = basketAggregation ? basketAggregation.performance : 0;
+    const flooredPerformance = Math.max(averagePerformance, params.floor - 100);
+
+    console.log(`🏔️ HIMALAYA ${basketAggregation?.label || 'aggregation'}: ${averagePerformance.toFixed(2)}% (floored ${flooredPerformance.toFixed(2)}%)`);
+
+    return {
+      selectionHistory: [],
+      recordedPerformances: [],
+      averagePerformance,
+      flooredPerformance,
+      finalPayout: 100 + flooredPerformance,
+      floorApplied: averagePerformance < (params.floor - 100),
+      basketAggregation
+    };
+  },
+
   /**
    * Calculate performance at a specific observation date
    */
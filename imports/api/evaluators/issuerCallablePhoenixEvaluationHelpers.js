@@ -0,0 +1,370 @@
+import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
+import { PMSOperationsCollection } from '/imports/api/pmsOperations';
+import { matchRedemptionTransaction } from '../helpers/paymentMatcher.js';
+import { PhoenixEvaluationHelpers } from './phoenixEvaluationHelpers';
+import { getEvaluationDate } from './evaluationDate';
+
+// A sale booked within this many points of the call price is read as the issuer's redemption
+const CALL_PRICE_TOLERANCE = 1;
+
+/**
+ * Issuer Callable Phoenix Evaluation Helpers
+ *
+ * Dedicated helper functions for the Issuer Callable Phoenix template.
+ * Pricing, underlying extraction and formatting are shared with the Phoenix family;
+ * call detection and the call schedule are specific to this template.
+ *
+ * Issuer Callable Phoenix Structure:
+ * - Conditional (optionally memory) or fixed coupons on each observation date
+ * - No autocall barrier: the issuer decides on each call date whether to redeem early
+ * - Calls are read from PMS redemption operations (or a manual issuerCallDate override)
+ * - Capital protection barrier observed at maturity if never called
+ */
+export const IssuerCallablePhoenixEvaluationHelpers = {
+  /**
+   * Set redemption prices for matured products
+   */
+  async setRedemptionPricesForProduct(product) {
+    return PhoenixEvaluationHelpers.setRedemptionPricesForProduct(product);
+  },
+
+  /**
+   * Extract underlying assets data (same pricing hierarchy as Phoenix)
+   */
+  async extractUnderlyingAssetsData(product) {
+    return PhoenixEvaluationHelpers.extractUnderlyingAssetsData(product);
+  },
+
+  /**
+   * Capital at maturity for a worst-of level (same geared loss as the Phoenix family)
+   */
+  calculateCapitalAtMaturity(worstLevel, protectionBarrier) {
+    return PhoenixEvaluationHelpers.calculateCapitalAtMaturity(worstLevel, protectionBarrier);
+  },
+
+  /**
+   * Format currency amounts
+   */
+  formatCurrency(amount, currency) {
+    return PhoenixEvaluationHelpers.formatCurrency(amount, currency);
+  },
+
+  /**
+   * Format coupon percentage with the precision of the coupon rate
+   */
+  formatCouponPercentage(amount, couponRate) {
+    return PhoenixEvaluationHelpers.formatCouponPercentage(amount, couponRate);
+  },
+
+  /**
+   * Format a date as DD/MM/YYYY
+   */
+  formatDate(date) {
+    if (!date) return null;
+    return new Date(date).toLocaleDateString('en-GB', {
+      day: '2-digit',
+      month: '2-digit',
+      year: 'numeric'
+    });
+  },
+
+  /**
+   * Extract Issuer Callable Phoenix parameters from product structure
+   */
+  extractParameters(product) {
+    const structureParams = product.structureParams || product.structureParameters || {};
+
+    const protectionBarrier = structureParams.protectionBarrierLevel ||
+                              structureParams.protectionBarrier ||
+                              structureParams.protectionLevel ||
+                              70;
+
+    const couponBarrier = structureParams.couponBarrier ??
+                          structureParams.memoryBarrier ??
+                          protectionBarrier;
+
+    return {
+      couponRate: structureParams.couponRate || 0,
+      couponBarrier,
+      protectionBarrier,
+      memoryCoupon: structureParams.memoryCoupon === true,
+      // Fixed coupons are paid on every observation regardless of the underlyings
+      fixedCoupon: structureParams.fixedCoupon === true || structureParams.guaranteedCoupon === true,
+      callPrice: structureParams.issuerCallPrice || 100,
+      observationFrequency: structureParams.couponFrequency || 'quarterly',
+      nonCallPeriods: structureParams.nonCallPeriods || 0,
+      manualCallDate: structureParams.issuerCallDate || null
+    };
+  },
+
+  /**
+   * Get historical close for a ticker at a date (exact or closest prior since trade date)
+   */
+  async getPriceAtDate(ticker, targetDate, tradeDate) {
+    try {
+      const targetDateStr = new Date(targetDate).toISOString().split('T')[0];
+      const tradeDateStr = new Date(tradeDate).toISOString().split('T')[0];
+
+      let cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker: ticker });
+
+      // Try alternative exchanges if not found
+      if (!cacheDoc) {
+        const symbol = ticker.split('.')[0];
+        const exchanges = ['US', 'PA', 'DE', 'LSE', 'CO'];
+        for (const exchange of exchanges) {
+          cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker: `${symbol}.${exchange}` });
+          if (cacheDoc) break;
+        }
+      }
+
+      if (!cacheDoc || !cacheDoc.history || cacheDoc.history.length === 0) {
+        console.warn(`📞 [Issuer Callable] No historical data for ${ticker}`);
+        return null;
+      }
+
+      const priorRecords = cacheDoc.history.filter(record => {
+        const recordDate = new Date(record.date).toISOString().split('T')[0];
+        return recordDate <= targetDateStr && recordDate >= tradeDateStr;
+      });
+
+      if (priorRecords.length === 0) {
+        return null;
+      }
+
+      // Use close (split-adjusted spot), not the dividend-adjusted close
+      const closest = priorRecords[priorRecords.length - 1];
+      return closest.close || closest.adjustedClose;
+    } catch (error) {
+      console.error(`📞 [Issuer Callable] Error fetching price for ${ticker} at ${targetDate}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Whether a PMS operation can be the issuer's redemption of the note
+   *
+   * A REDEMPTION booking or an operation described as a redemption / call always
+   * qualifies. A plain SELL or negative quantity is usually one client's sale in the
+   * secondary market, so it only qualifies when booked at the call price.
+   *
+   * @param {Object} operation - PMS operation
+   * @param {number} callPrice - Call price in % of nominal
+   * @returns {boolean}
+   */
+  isRedemptionOperation(operation, callPrice = 100) {
+    if (operation.operationType === 'REDEMPTION') {
+      return true;
+    }
+
+    const details = (operation.details || '').toLowerCase();
+    if (details.includes('redemption') || details.includes('early call') || details.includes('issuer call')) {
+      return true;
+    }
+
+    const isDisposal = operation.operationType === 'SELL' || (operation.quantity && operation.quantity < 0);
+    if (!isDisposal || !operation.price) {
+      return false;
+    }
+
+    // Banks book bond prices either as a fraction of nominal (1.00) or in percent (100)
+    const pricePercent = operation.price <= 2 ? operation.price * 100 : operation.price;
+    return Math.abs(pricePercent - callPrice) <= CALL_PRICE_TOLERANCE;
+  },
+
+  /**
+   * Fetch PMS operations for the product ISIN that can be an issuer redemption
+   */
+  async fetchRedemptionOperations(product, callPrice = 100) {
+    if (!product.isin) {
+      return [];
+    }
+
+    const operations = await PMSOperationsCollection.find({
+      isin: { $in: [product.isin, product.isin.toUpperCase(), product.isin.toLowerCase()] },
+      isActive: true
+    }).fetchAsync();
+
+    return operations.filter(op => this.isRedemptionOperation(op, callPrice));
+  },
+
+  /**
+   * Detect whether the issuer has called the product
+   *
+   * The issuer's decision is not observable from market data, so each past call date
+   * is checked against PMS redemption operations. A manual issuerCallDate in the
+   * structure parameters takes precedence (same field as Participation Notes).
+   *
+   * @param {Object} product - The product document
+   * @param {Array} schedule - Observation schedule ({observationDate, valueDate, isCallable})
+   * @param {Object} params - Output of extractParameters()
+   * @returns {Promise<Object>} - { isCalled, callDate, callPaymentDate, callIndex, source, ... }
+   */
+  async detectIssuerCall(product, schedule, params) {
+    const today = getEvaluationDate(product);
+    const notCalled = {
+      isCalled: false,
+      callDate: null,
+      callPaymentDate: null,
+      callIndex: -1,
+      source: null,
+      matchConfidence: null,
+      confirmedRedemption: null
+    };
+
+    // Manual override: call date entered by the user
+    if (params.manualCallDate && new Date(params.manualCallDate) <= today) {
+      const manualDate = new Date(params.manualCallDate).toISOString().split('T')[0];
+      const callIndex = schedule.findIndex(obs =>
+        new Date(obs.valueDate || obs.observationDate).toISOString().split('T')[0] >= manualDate
+      );
+      console.log(`📞 [Issuer Callable] Manual issuer call on ${manualDate}`);
+      return {
+        ...notCalled,
+        isCalled: true,
+        callDate: callIndex >= 0 ? schedule[callIndex].observationDate : params.manualCallDate,
+        callPaymentDate: params.manualCallDate,
+        callIndex,
+        source: 'manual'
+      };
+    }
+
+    const candidates = schedule
+      .map((obs, index) => ({ obs, index }))
+      .filter(({ obs, index }) =>
+        obs.isCallable &&
+        index < schedule.length - 1 &&
+        new Date(obs.valueDate || obs.observationDate) <= today
+      );
+
+    if (candidates.length === 0 || !product.isin) {
+      return notCalled;
+    }
+
+    const redemptionOperations = await this.fetchRedemptionOperations(product, params.callPrice);
+    if (redemptionOperations.length === 0) {
+      return notCalled;
+    }
+
+    for (const { obs, index } of candidates) {
+      // A redemption settles on or after the call date; earlier operations are client trades
+      const callDateKey = new Date(obs.observationDate).toISOString().split('T')[0];
+      const settledAfterCall = redemptionOperations.filter(op => {
+        const settlementDate = op.valueDate || op.operationDate;
+        return settlementDate && new Date(settlementDate).toISOString().split('T')[0] >= callDateKey;
+      });
+      if (settledAfterCall.length === 0) {
+        continue;
+      }
+
+      // matchRedemptionTransaction only looks at early-redemption or final observations
+      const match = matchRedemptionTransaction(product, {
+        ...obs,
+        autocalled: true,
+        paymentDate: obs.valueDate || obs.observationDate
+      }, settledAfterCall);
+
+      if (match.confirmed) {
+        console.log(`📞 [Issuer Callable] Issuer call confirmed by PMS on ${this.formatDate(obs.valueDate || obs.observationDate)} (${match.matchConfidence})`);
+        return {
+          isCalled: true,
+          callDate: obs.observationDate,
+          callPaymentDate: obs.valueDate || obs.observationDate,
+          callIndex: index,
+          source: 'pms',
+          matchConfidence: match.matchConfidence,
+          confirmedRedemption: match.confirmedRedemption
+        };
+      }
+    }
+
+    return notCalled;
+  },
+
+  /**
+   * Find the next call date still open to the issuer
+   */
+  getNextCallDate(observations, callStatus, evaluationDate = new Date()) {
+    if (callStatus.isCalled) {
+      return null;
+    }
+
+    const next = observations.find(o => o.isCallable && !o.isFinal && o.status === 'upcoming');
+    if (!next) {
+      return null;
+    }
+
+    const daysUntil = Math.ceil((new Date(next.observationDate) - evaluationDate) / (1000 * 60 * 60 * 24));
+    return {
+      date: next.observationDate,
+      dateFormatted: next.observationDateFormatted,
+      paymentDate: next.paymentDate,
+      paymentDateFormatted: next.paymentDateFormatted,
+      daysUntil,
+      daysUntilText: `${daysUntil} day${daysUntil === 1 ? '' : 's'}`
+    };
+  },
+
+  /**
+   * Build product status (live / called / matured)
+   */
+  buildProductStatus(product, callStatus) {
+    const status = PhoenixEvaluationHelpers.buildProductStatus(product);
+
+    if (!callStatus.isCalled) {
+      return { ...status, hasBeenCalled: false };
+    }
+
+    return {
+      ...status,
+      productStatus: 'called',
+      statusDetails: {
+        callDate: callStatus.callDate,
+        callDateFormatted: this.formatDate(callStatus.callDate),
+        callPaymentDate: callStatus.callPaymentDate,
+        callPaymentDateFormatted: this.formatDate(callStatus.callPaymentDate),
+        calledBy: 'issuer',
+        source: callStatus.source,
+        redemptionType: 'issuer_call'
+      },
+      hasBeenCalled: true
+    };
+  },
+
+  /**
+   * Build timeline dates, including the next issuer call date
+   */
+  buildTimeline(product, nextCall) {
+    const formatDate = (date) => {
+      if (!date) return 'N/A';
+      return new Date(date).toLocaleDateString('en-US', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric'
+      });
+    };
+
+    return {
+      tradeDate: product.tradeDate || product.valueDate,
+      tradeDateFormatted: formatDate(product.tradeDate || product.valueDate),
+      valueDate: product.valueDate || product.issueDate,
+      valueDateFormatted: formatDate(product.valueDate || product.issueDate),
+      nextCallDate: nextCall?.date || null,
+      nextCallDateFormatted: nextCall ? formatDate(nextCall.date) : null,
+      daysToNextCall: nextCall?.daysUntil ?? null,
+      maturityDate: product.maturity || product.maturityDate,
+      maturityDateFormatted: formatDate(product.maturity || product.maturityDate)
+    };
+  },
+
+  /**
+   * Generate product name
+   */
+  generateProductName(product, underlyings, params) {
+    if (!underlyings || underlyings.length === 0) {
+      return product.title || product.productName || 'Unnamed Issuer Callable Phoenix';
+    }
+
+    const tickers = underlyings.map(u => u.ticker).join('/');
+    return `${tickers} Issuer Callable ${params.fixedCoupon ? 'Fixed Coupon' : 'Phoenix'}`;
+  }
+};
@@ -0,0 +1,335 @@
+import { IssuerCallablePhoenixEvaluationHelpers } from './issuerCallablePhoenixEvaluationHelpers';
+import { matchAllScheduledPayments } from '../helpers/paymentMatcher.js';
+import { getEvaluationDate } from './evaluationDate';
+
+/**
+ * Issuer Callable Phoenix Evaluator
+ *
+ * Evaluates Phoenix notes where early redemption is at the issuer's discretion.
+ *
+ * Product Structure:
+ * - Coupon on each observation: conditional on a coupon barrier (optionally with memory)
+ *   or fixed (paid whatever the underlyings do)
+ * - No autocall barrier: on each call date the issuer may redeem at the call price
+ * - Call events are detected from PMS redemption operations
+ * - At maturity, if never called: 100% above the protection barrier, geared loss below
+ *   (breach × 100/barrier, as calculateIndicativeMaturityValue)
+ *
+ * Template Type: issuer_callable_phoenix
+ */
+export const IssuerCallablePhoenixEvaluator = {
+  /**
+   * Generate full Issuer Callable Phoenix report
+   */
+  async generateReport(product, context) {
+    console.log('📞 [Issuer Callable] Starting evaluation for product:', product._id);
+
+    await IssuerCallablePhoenixEvaluationHelpers.setRedemptionPricesForProduct(product);
+
+    const params = IssuerCallablePhoenixEvaluationHelpers.extractParameters(product);
+    console.log('📞 [Issuer Callable] Structure parameters:', params);
+
+    const underlyings = await IssuerCallablePhoenixEvaluationHelpers.extractUnderlyingAssetsData(product);
+    console.log('📞 [Issuer Callable] Underlyings extracted:', underlyings.length);
+
+    const schedule = this.getSchedule(product, params);
+
+    // Issuer decision comes from PMS, so it has to be known before coupons are counted
+    const callStatus = await IssuerCallablePhoenixEvaluationHelpers.detectIssuerCall(product, schedule, params);
+    console.log('📞 [Issuer Callable] Call status:', {
+      isCalled: callStatus.isCalled,
+      source: callStatus.source,
+      callDate: callStatus.callDate
+    });
+
+    const observationAnalysis = await this.buildObservationSchedule(product, underlyings, params, schedule, callStatus);
+
+    const nextCall = IssuerCallablePhoenixEvaluationHelpers.getNextCallDate(observationAnalysis.observations, callStatus, getEvaluationDate(product));
+    const status = IssuerCallablePhoenixEvaluationHelpers.buildProductStatus(product, callStatus);
+
+    const worstPerformance = underlyings.length > 0
+      ? Math.min(...underlyings.map(u => u.performance || 0))
+      : null;
+
+    const redemption = this.calculateRedemption(product, params, callStatus, status, observationAnalysis, worstPerformance);
+
+    const currency = product.currency || 'USD';
+
+    const report = {
+      // Template metadata
+      templateType: 'issuer_callable_phoenix',
+      templateVersion: '1.0.0',
+
+      // Current status
+      currentStatus: {
+        ...status,
+        nextCallDate: nextCall?.date || null,
+        nextCallDateFormatted: nextCall?.dateFormatted || null
+      },
+
+      // Issuer Callable structure
+      callableStructure: {
+        couponRate: params.couponRate,
+        couponRateFormatted: `${params.couponRate}%`,
+        couponType: params.fixedCoupon ? 'fixed' : (params.memoryCoupon ? 'memory' : 'conditional'),
+        couponBarrier: params.fixedCoupon ? null : params.couponBarrier,
+        couponBarrierFormatted: params.fixedCoupon ? 'N/A' : `${params.couponBarrier}%`,
+        protectionBarrier: params.protectionBarrier,
+        protectionBarrierFormatted: `${params.protectionBarrier}%`,
+        callPrice: params.callPrice,
+        callPriceFormatted: `${params.callPrice.toFixed(2)}%`,
+        observationFrequency: params.observationFrequency,
+        totalCallDates: observationAnalysis.totalCallDates
+      },
+
+      // Issuer call status
+      issuerCall: {
+        isCalled: callStatus.isCalled,
+        source: callStatus.source,
+        sourceLabel: callStatus.source === 'pms'
+          ? 'Confirmed by PMS redemption'
+          : (callStatus.source === 'manual' ? 'Entered manually' : null),
+        matchConfidence: callStatus.matchConfidence,
+        callDate: callStatus.callDate,
+        callDateFormatted: IssuerCallablePhoenixEvaluationHelpers.formatDate(callStatus.callDate),
+        callPaymentDate: callStatus.callPaymentDate,
+        callPaymentDateFormatted: IssuerCallablePhoenixEvaluationHelpers.formatDate(callStatus.callPaymentDate),
+        confirmedRedemption: callStatus.confirmedRedemption,
+        nextCall
+      },
+
+      // Underlying assets
+      underlyings,
+
+      // Basket performance (worst-of)
+      basketPerformance: {
+        current: worstPerformance,
+        currentFormatted: worstPerformance !== null
+          ? `${worstPerformance >= 0 ? '+' : ''}${worstPerformance.toFixed(2)}%`
+          : 'N/A',
+        isPositive: worstPerformance !== null && worstPerformance >= 0,
+        aboveProtection: worstPerformance !== null && worstPerformance >= params.protectionBarrier - 100
+      },
+
+      // Observation / call schedule
+      observationAnalysis,
+
+      // Redemption
+      redemption,
+
+      // Timeline (includes next call date)
+      timeline: IssuerCallablePhoenixEvaluationHelpers.buildTimeline(product, nextCall),
+
+      // Product details (pre-formatted)
+      productDetails: {
+        isin: product.isin || 'N/A',
+        name: product.title || product.productName || 'Issuer Callable Phoenix',
+        currency,
+        notional: product.notional || 100,
+        notionalFormatted: IssuerCallablePhoenixEvaluationHelpers.formatCurrency(product.notional || 100, currency)
+      },
+
+      generatedProductName: IssuerCallablePhoenixEvaluationHelpers.generateProductName(product, underlyings, params)
+    };
+
+    console.log('📞 [Issuer Callable] Evaluation complete');
+    return report;
+  },
+
+  /**
+   * Get the observation schedule, generating one from the coupon frequency if missing
+   * Generated schedules leave the first nonCallPeriods observations non-callable.
+   */
+  getSchedule(product, params) {
+    if (product.observationSchedule && product.observationSchedule.length > 0) {
+      return product.observationSchedule;
+    }
+
+    const tradeDate = new Date(product.tradeDate || product.issueDate || product.valueDate);
+    const maturityDate = new Date(product.maturity || product.maturityDate);
+    const intervalMonths = {
+      'monthly': 1,
+      'quarterly': 3,
+      'semi-annual': 6,
+      'annually': 12
+    }[params.observationFrequency] || 3;
+
+    const schedule = [];
+    let currentDate = new Date(tradeDate);
+    while (currentDate < maturityDate) {
+      currentDate = new Date(currentDate);
+      currentDate.setMonth(currentDate.getMonth() + intervalMonths);
+      if (currentDate > maturityDate) {
+        currentDate = maturityDate;
+      }
+
+      schedule.push({
+        observationDate: currentDate.toISOString(),
+        valueDate: currentDate.toISOString(),
+        isCallable: schedule.length >= params.nonCallPeriods
+      });
+    }
+
+    console.log(`🔧 [Issuer Callable] Generated ${schedule.length} observations (${params.observationFrequency} frequency)`);
+    return schedule;
+  },
+
+  /**
+   * Build observation schedule analysis
+   * Coupons follow Phoenix rules; callable rows are issuer call dates, not barrier tests.
+   */
+  async buildObservationSchedule(product, underlyings, params, schedule, callStatus) {
+    const todayOnly = new Date(getEvaluationDate(product).toDateString());
+    const tradeDate = new Date(product.tradeDate || product.issueDate);
+    const observations = [];
+    let totalCouponsEarned = 0;
+    let memoryBalance = 0;
+
+    for (const [i, obs] of schedule.entries()) {
+      const obsDate = new Date(obs.observationDate);
+      const isPast = new Date(obsDate.toDateString()) < todayOnly;
+      const isFinal = i === schedule.length - 1;
+      const isCallDate = callStatus.isCalled && i === callStatus.callIndex;
+      const isCancelled = callStatus.isCalled && callStatus.callIndex >= 0 && i > callStatus.callIndex;
+
+      // Worst-of level at the observation (past observations only)
+      let basketLevel = null;
+      if (isPast && !isCancelled && underlyings.length > 0) {
+        const performances = await Promise.all(underlyings.map(async (u) => {
+          const price = await IssuerCallablePhoenixEvaluationHelpers.getPriceAtDate(
+            u.fullTicker || `${u.ticker}.US`,
+            obsDate,
+            tradeDate
+          );
+          return price && u.initialPrice ? ((price - u.initialPrice) / u.initialPrice) * 100 : null;
+        }));
+
+        if (performances.every(p => p !== null)) {
+          basketLevel = Math.min(...performances);
+        } else {
+          console.warn(`⚠️ [Issuer Callable] Missing historical prices for observation ${i + 1} on ${obsDate.toISOString().split('T')[0]}`);
+        }
+      }
+
+      const couponBarrier = obs.couponBarrier || params.couponBarrier;
+      const couponRate = obs.couponRate ?? params.couponRate;
+      const aboveCouponBarrier = basketLevel !== null && basketLevel >= couponBarrier - 100;
+
+      let couponPaid = 0;
+      let couponInMemory = 0;
+      if (isPast && !isCancelled) {
+        if (params.fixedCoupon || aboveCouponBarrier) {
+          couponPaid = couponRate + memoryBalance;
+          memoryBalance = 0;
+        } else if (basketLevel !== null && params.memoryCoupon) {
+          couponInMemory = couponRate;
+          memoryBalance += couponRate;
+        }
+      }
+      totalCouponsEarned += couponPaid;
+
+      let observationType = 'Coupon Only';
+      if (isFinal) {
+        observationType = 'Maturity & Coupon';
+      } else if (obs.isCallable) {
+        observationType = 'Issuer Call & Coupon';
+      }
+
+      observations.push({
+        observationDate: obs.observationDate,
+        observationDateFormatted: IssuerCallablePhoenixEvaluationHelpers.formatDate(obs.observationDate),
+        paymentDate: obs.valueDate,
+        paymentDateFormatted: IssuerCallablePhoenixEvaluationHelpers.formatDate(obs.valueDate),
+        observationType,
+        basketLevel,
+        basketLevelFormatted: basketLevel !== null
+          ? `${basketLevel >= 0 ? '+' : ''}${basketLevel.toFixed(2)}%`
+          : (isPast && !isCancelled ? 'N/A (Missing Data)' : '-'),
+        couponBarrier: params.fixedCoupon ? null : couponBarrier,
+        couponBarrierFormatted: params.fixedCoupon ? 'Fixed' : `${couponBarrier}%`,
+        couponRate,
+        couponPaid,
+        couponPaidFormatted: IssuerCallablePhoenixEvaluationHelpers.formatCouponPercentage(couponPaid, params.couponRate),
+        couponInMemory,
+        couponInMemoryFormatted: IssuerCallablePhoenixEvaluationHelpers.formatCouponPercentage(couponInMemory, params.couponRate),
+        isCallable: (obs.isCallable || false) && !isFinal,
+        calledByIssuer: isCallDate,
+        // paymentMatcher treats an early redemption as an autocall
+        autocalled: isCallDate,
+        isFinal,
+        hasOccurred: isPast && !isCancelled,
+        status: isCancelled ? 'cancelled' : (isPast ? 'completed' : 'upcoming')
+      });
+    }
+
+    const activeObservations = observations.filter(o => o.status !== 'cancelled');
+
+    // Match scheduled coupons and the redemption with actual PMS operations
+    const enhancedObservations = await matchAllScheduledPayments(product, activeObservations);
+
+    const callableObservations = observations.filter(o => o.isCallable);
+
+    return {
+      totalObservations: schedule.length,
+      totalCallDates: callableObservations.length,
+      pastCallDates: callableObservations.filter(o => o.status === 'completed').length,
+      observations: enhancedObservations,
+      totalCouponsEarned,
+      totalCouponsEarnedFormatted: IssuerCallablePhoenixEvaluationHelpers.formatCouponPercentage(totalCouponsEarned, params.couponRate),
+      memoryBalance,
+      memoryBalanceFormatted: IssuerCallablePhoenixEvaluationHelpers.formatCouponPercentage(memoryBalance, params.couponRate),
+      remainingObservations: activeObservations.filter(o => o.status === 'upcoming').length,
+      hasMemoryCoupon: params.memoryCoupon,
+      hasFixedCoupon: params.fixedCoupon
+    };
+  },
+
+  /**
+   * Calculate redemption (issuer call, maturity, or indicative if matured today)
+   */
+  calculateRedemption(product, params, callStatus, status, observationAnalysis, worstPerformance) {
+    const currency = product.currency || 'USD';
+    const coupons = observationAnalysis.totalCouponsEarned;
+
+    let type = 'indicative';
+    let capital;
+    let formula;
+    let date = null;
+
+    if (callStatus.isCalled) {
+      type = 'issuer_call';
+      capital = params.callPrice;
+      formula = `Called by issuer at ${params.callPrice.toFixed(2)}%`;
+      date = callStatus.callPaymentDate;
+    } else if (worstPerformance === null) {
+      return null;
+    } else {
+      const worstLevel = 100 + worstPerformance;
+      const aboveProtection = worstLevel >= params.protectionBarrier;
+      capital = IssuerCallablePhoenixEvaluationHelpers.calculateCapitalAtMaturity(worstLevel, params.protectionBarrier);
+      formula = aboveProtection
+        ? `Worst-of above ${params.protectionBarrier}% protection barrier: 100%`
+        : `Worst-of at ${worstLevel.toFixed(2)}% (below ${params.protectionBarrier}% barrier): 100 - ${(params.protectionBarrier - worstLevel).toFixed(2)}% × (100/${params.protectionBarrier}) = ${capital.toFixed(2)}%`;
+
+      if (status.hasMatured) {
+        type = 'matured';
+        date = product.maturity || product.maturityDate;
+      }
+    }
+
+    return {
+      type,
+      date,
+      dateFormatted: IssuerCallablePhoenixEvaluationHelpers.formatDate(date),
+      formula,
+      capital,
+      capitalFormatted: `${capital.toFixed(2)}%`,
+      coupons,
+      couponsFormatted: IssuerCallablePhoenixEvaluationHelpers.formatCouponPercentage(coupons, params.couponRate),
+      totalValue: capital + coupons,
+      totalValueFormatted: `${(capital + coupons).toFixed(2)}%`,
+      amountPer100Formatted: IssuerCallablePhoenixEvaluationHelpers.formatCurrency(capital + coupons, currency),
+      confirmedRedemption: callStatus.confirmedRedemption || null
+    };
+  }
+};
@@ -3,6 +3,8 @@ import { EODApiHelpers } from '/imports/api/eodApi';
 import { CurrencyNormalization } from '/imports/utils/currencyNormalization';
 import { SharedEvaluationHelpers } from './sharedEvaluationHelpers';
 import { getSplitAdjustedStrike } from '/imports/api/splitAdjustment';
+import { getEvaluationDate, isHistoricalEvaluation } from './evaluationDate';
+import { BasketAggregationHelpers } from './basketAggregationHelpers';
 
 /**
  * Orion Memory Evaluation Helpers
@@ -19,7 +21,7 @@ export const OrionEvaluationHelpers = {
       return;
     }
 
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -102,7 +104,7 @@ export const OrionEvaluationHelpers = {
    * Get evaluation price for Orion products
    */
   getEvaluationPrice(underlying, product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -152,7 +154,7 @@ export const OrionEvaluationHelpers = {
 
     try {
       const tradeDate = new Date(product.tradeDate || product.issueDate || product.valueDate);
-      const now = new Date();
+      const now = getEvaluationDate(product);
       const finalObsDate = product.finalObservation || product.finalObservationDate;
       const maturityDate = product.maturity || product.maturityDate;
 
@@ -334,7 +336,9 @@ export const OrionEvaluationHelpers = {
         const today = new Date();
         const todayStr = today.toISOString().split('T')[0];
         const existingPriceDate = existingPrice?.date ? new Date(existingPrice.date).toISOString().split('T')[0] : null;
-        const needsFreshPrice = !existingPrice || !existingPriceDate || existingPriceDate !== todayStr;
+        // Historical evaluations keep the as-of price pinned by prepareProductAsOf()
+        const needsFreshPrice = !isHistoricalEvaluation(product) &&
+          (!existingPrice || !existingPriceDate || existingPriceDate !== todayStr);
 
         // Track the currency for this underlying (default to USD)
         let underlyingCurrency = underlying.securityData?.currency || 'USD';
@@ -446,7 +450,7 @@ export const OrionEvaluationHelpers = {
    * Build product status for Orion products
    */
   buildProductStatus(product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -497,7 +501,7 @@ export const OrionEvaluationHelpers = {
    */
   calculateDaysToMaturity(product) {
     const maturityDate = new Date(product.maturity || product.maturityDate);
-    const today = new Date();
+    const today = getEvaluationDate(product);
     const diffTime = maturityDate - today;
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   },
@@ -507,14 +511,14 @@ export const OrionEvaluationHelpers = {
    */
   checkIfMatured(product) {
     const maturityDate = new Date(product.maturity || product.maturityDate);
-    return new Date() >= maturityDate;
+    return getEvaluationDate(product) >= maturityDate;
   },
 
   /**
    * Get next observation date for Orion products
    */
   getNextObservationDate(product) {
-    const nextDate = new Date();
+    const nextDate = getEvaluationDate(product);
     nextDate.setMonth(nextDate.getMonth() + 3); // Default
     return nextDate;
   },
@@ -537,6 +541,6 @@ export const OrionEvaluationHelpers = {
       tickerDisplay = tickers.join('/');
     }
 
-    return `${tickerDisplay} Orion`;
+    return BasketAggregationHelpers.decorateProductName(tickerDisplay, 'Orion', params?.basketAggregation);
   }
 };
@@ -1,4 +1,6 @@
 import { OrionEvaluationHelpers } from './orionEvaluationHelpers';
+import { BasketAggregationHelpers } from './basketAggregationHelpers';
+import { getEvaluationDate } from './evaluationDate';
 
 /**
  * Orion Memory Evaluator
@@ -9,6 +11,8 @@ import { OrionEvaluationHelpers } from './orionEvaluationHelpers';
  * - Lower barrier protection
  * - Memory coupon structure
  * - Considered performance calculation (capped at rebate if upper barrier hit)
+ * - Optional basket aggregation mode (rainbow, average of worst N, cliquet) replacing
+ *   the equally weighted average of considered performances
  */
 export const OrionEvaluator = {
   /**
@@ -64,8 +68,17 @@ export const OrionEvaluator = {
     }));
 
     // Calculate basket performance using considered values
+    // Configured aggregation modes apply to the considered performances (rebate still caps each underlying)
+    const basketAggregation = await BasketAggregationHelpers.evaluate(
+      product,
+      underlyingsWithBarriers,
+      orionParams.basketAggregation,
+      { performanceField: 'consideredPerformance' }
+    );
     const totalConsideredPerformance = underlyingsWithBarriers.reduce((sum, u) => sum + u.consideredPerformance, 0);
-    const basketConsideredPerformance = totalConsideredPerformance / underlyingsWithBarriers.length;
+    const basketConsideredPerformance = basketAggregation
+      ? basketAggregation.performance
+      : totalConsideredPerformance / underlyingsWithBarriers.length;
     const basketConsideredPerformanceFormatted = `${basketConsideredPerformance >= 0 ? '+' : ''}${basketConsideredPerformance.toFixed(2)}%`;
 
     // Calculate indicative maturity value (what the product would be worth if matured today)
@@ -103,6 +116,9 @@ export const OrionEvaluator = {
       basketConsideredPerformance,
       basketConsideredPerformanceFormatted,
 
+      // Basket aggregation mode breakdown (null = equally weighted average)
+      basketAggregation,
+
       // Basket analysis for charts
       basketAnalysis: {
         protectionBarrier: orionParams.lowerBarrier,
@@ -137,7 +153,8 @@ export const OrionEvaluator = {
       couponRate: structureParams.couponRate ?? structure.couponRate ?? structureParams.rebate ?? 0,
       observationFrequency: scheduleParams.observationFrequency ?? structure.observationFrequency ?? 'quarterly',
       memoryCoupon: structureParams.memoryCoupon !== false,
-      memoryType: structureParams.memoryType ?? 'full'
+      memoryType: structureParams.memoryType ?? 'full',
+      basketAggregation: BasketAggregationHelpers.getConfig(product)
     };
   },
 
@@ -146,7 +163,7 @@ export const OrionEvaluator = {
    * Shows what the product would return if it matured today
    */
   calculateIndicativeMaturityValue(underlyings, orionParams, basketConsideredPerformance, product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = product.maturity || product.maturityDate;
     const finalObsDate = product.finalObservation || product.finalObservationDate;
 
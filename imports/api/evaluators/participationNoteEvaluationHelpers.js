@@ -2,6 +2,7 @@ import { MarketDataHelpers } from '/imports/api/marketDataCache';
 import { EODApiHelpers } from '/imports/api/eodApi';
 import { SharedEvaluationHelpers } from './sharedEvaluationHelpers';
 import { getSplitAdjustedStrike } from '/imports/api/splitAdjustment';
+import { getEvaluationDate, isHistoricalEvaluation } from './evaluationDate';
 
 /**
  * Participation Note Evaluation Helpers
@@ -93,7 +94,7 @@ export const ParticipationNoteEvaluationHelpers = {
       return;
     }
 
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = product.maturity || product.maturityDate;
 
     // Strip time components for date-only comparison
@@ -166,7 +167,7 @@ export const ParticipationNoteEvaluationHelpers = {
    * Get evaluation price for Participation Note products
    */
   getEvaluationPrice(underlying, product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = product.maturity || product.maturityDate;
     const issuerCallDate = product.structureParameters?.issuerCallDate || product.structure?.issuerCallDate;
 
@@ -238,7 +239,7 @@ export const ParticipationNoteEvaluationHelpers = {
     const structureParams = product.structureParams || product.structureParameters || {};
     const structure = product.structure || {};
     const issuerCallDate = structureParams.issuerCallDate || structure.issuerCallDate;
-    const isCalled = issuerCallDate && new Date(issuerCallDate) <= new Date();
+    const isCalled = issuerCallDate && new Date(issuerCallDate) <= getEvaluationDate(product);
 
     // Resolve capital protection. For a Participation Note, the guarantee applies
     // at maturity (and on issuer call) — not only on issuer call. A capital-guaranteed
@@ -302,7 +303,7 @@ export const ParticipationNoteEvaluationHelpers = {
    * Check if issuer has called the product
    */
   checkIssuerCall(product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const issuerCallDate = product.structureParameters?.issuerCallDate || product.structure?.issuerCallDate;
     let issuerCallPrice = product.structureParameters?.issuerCallPrice || product.structure?.issuerCallPrice;
     const issuerCallRebateRaw = product.structureParams?.issuerCallRebate || product.structureParameters?.issuerCallRebate || 0;
@@ -427,7 +428,9 @@ export const ParticipationNoteEvaluationHelpers = {
         const existingPriceDate = existingPrice?.date
           ? new Date(existingPrice.date).toISOString().split('T')[0]
           : null;
-        const needsFreshPrice = !existingPrice || !existingPriceDate || existingPriceDate !== todayStr;
+        // Historical evaluations keep the as-of price pinned by prepareProductAsOf()
+        const needsFreshPrice = !isHistoricalEvaluation(product) &&
+          (!existingPrice || !existingPriceDate || existingPriceDate !== todayStr);
 
         if (needsFreshPrice) {
           const tickerVariants = [];
@@ -519,7 +522,7 @@ export const ParticipationNoteEvaluationHelpers = {
    * Build product status information
    */
   buildProductStatus(product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = product.maturity || product.maturityDate;
     const isMaturityPassed = maturityDate && new Date(maturityDate) <= now;
 
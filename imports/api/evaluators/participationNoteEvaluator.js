@@ -1,4 +1,7 @@
 import { ParticipationNoteEvaluationHelpers } from './participationNoteEvaluationHelpers';
+import { getEvaluationDate } from './evaluationDate';
+import { BasketAggregationHelpers } from './basketAggregationHelpers';
+import { BasketAggregation } from '/imports/utils/basketTypes';
 
 /**
  * Participation Note Evaluator
@@ -35,11 +38,18 @@ export const ParticipationNoteEvaluator = {
     const underlyings = await ParticipationNoteEvaluationHelpers.extractUnderlyingAssetsData(product);
     console.log('📈 [Participation Note] Underlyings extracted:', underlyings.length);
 
-    // Calculate basket performance
-    const basketPerformance = ParticipationNoteEvaluationHelpers.calculateBasketPerformance(
+    // Calculate basket performance (rainbow / worst-N / cliquet modes replace the reference performance)
+    const basketAggregation = await BasketAggregationHelpers.evaluate(
+      product,
       underlyings,
-      participationParams.referencePerformance
+      participationParams.basketAggregation
     );
+    const basketPerformance = basketAggregation
+      ? basketAggregation.performance
+      : ParticipationNoteEvaluationHelpers.calculateBasketPerformance(
+        underlyings,
+        participationParams.referencePerformance
+      );
     console.log('📈 [Participation Note] Basket performance:', basketPerformance);
 
     // Check issuer call status
@@ -96,9 +106,12 @@ export const ParticipationNoteEvaluator = {
         strike: participationParams.strike,
         strikeFormatted: `${participationParams.strike.toFixed(0)}%`,
         referencePerformance: participationParams.referencePerformance,
-        referencePerformanceLabel: this.getReferencePerformanceLabel(participationParams.referencePerformance)
+        referencePerformanceLabel: this.getBasketLabel(participationParams)
       },
 
+      // Basket aggregation mode (null when the reference performance applies)
+      basketAggregation,
+
       // Issuer call information
       issuerCall: {
         hasCallOption: callStatus.hasCallOption,
@@ -226,7 +239,8 @@ export const ParticipationNoteEvaluator = {
     return {
       participationRate,
       strike,
-      referencePerformance
+      referencePerformance,
+      basketAggregation: BasketAggregationHelpers.getConfig(product)
     };
   },
 
@@ -267,6 +281,17 @@ export const ParticipationNoteEvaluator = {
     return labels[referenceType] || 'Worst Performer';
   },
 
+  /**
+   * Label of the basket driving the payoff: the aggregation mode when configured,
+   * otherwise the reference performance
+   */
+  getBasketLabel(params) {
+    if (params.basketAggregation) {
+      return `${BasketAggregation.getLabel(params.basketAggregation)} Basket`;
+    }
+    return this.getReferencePerformanceLabel(params.referencePerformance);
+  },
+
   /**
    * Generate a descriptive product name (concise version)
    */
@@ -276,7 +301,7 @@ export const ParticipationNoteEvaluator = {
     }
 
     const tickers = underlyings.map(u => u.ticker).join('/');
-    return `${tickers} Participation Note`;
+    return BasketAggregationHelpers.decorateProductName(tickers, 'Participation Note', params?.basketAggregation);
   },
 
   /**
@@ -284,7 +309,7 @@ export const ParticipationNoteEvaluator = {
    * Shows what the product would return if it matured today
    */
   calculateIndicativeMaturityValue(underlyings, participationParams, basketPerformance, redemptionCalc, status, product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
 
     // For Participation Notes:
     // Total return = 100% + (basket performance × participation rate / 100), floored
@@ -306,7 +331,9 @@ export const ParticipationNoteEvaluator = {
 
     // Determine which underlying is driving the basket performance
     let drivingUnderlying = null;
-    if (participationParams.referencePerformance === 'worst-of') {
+    if (participationParams.basketAggregation) {
+      drivingUnderlying = null;
+    } else if (participationParams.referencePerformance === 'worst-of') {
       drivingUnderlying = underlyings.find(u => u.performance === worstPerformer);
     } else if (participationParams.referencePerformance === 'best-of') {
       drivingUnderlying = underlyings.find(u => u.performance === bestPerformer);
@@ -331,7 +358,7 @@ export const ParticipationNoteEvaluator = {
 
       // Reference performance type
       referencePerformance: participationParams.referencePerformance,
-      referencePerformanceLabel: this.getReferencePerformanceLabel(participationParams.referencePerformance),
+      referencePerformanceLabel: this.getBasketLabel(participationParams),
 
       // Worst/Best performers
       worstPerformer,
@@ -2,6 +2,7 @@ import { MarketDataHelpers } from '/imports/api/marketDataCache';
 import { EODApiHelpers } from '/imports/api/eodApi';
 import { SharedEvaluationHelpers } from './sharedEvaluationHelpers';
 import { getSplitAdjustedStrike } from '/imports/api/splitAdjustment';
+import { getEvaluationDate, isHistoricalEvaluation } from './evaluationDate';
 
 /**
  * Phoenix Evaluation Helpers
@@ -9,6 +10,10 @@ import { getSplitAdjustedStrike } from '/imports/api/splitAdjustment';
  * Dedicated helper functions for Phoenix Autocallable template evaluation.
  * ISOLATED from other templates to prevent cross-template breaking changes.
  */
+
+// Protection barrier (in %) of a Phoenix that does not define one, for every evaluator, chart and report
+export const DEFAULT_PROTECTION_BARRIER = 70;
+
 export const PhoenixEvaluationHelpers = {
   /**
    * Set redemption prices for redeemed Phoenix products
@@ -18,7 +23,7 @@ export const PhoenixEvaluationHelpers = {
       return;
     }
 
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -101,7 +106,7 @@ export const PhoenixEvaluationHelpers = {
    * Get evaluation price for Phoenix products
    */
   getEvaluationPrice(underlying, product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -180,6 +185,27 @@ export const PhoenixEvaluationHelpers = {
     return amount.toFixed(Math.max(precision, 2)) + '%'; // Minimum 2 decimals
   },
 
+  /**
+   * Resolve the coupon amount for one observation.
+   * An explicit per-observation couponRate from the schedule wins; otherwise snowball
+   * products pay couponRate × period number and fixed products pay couponRate.
+   * @param {Object} observation - Schedule entry (may carry couponRate)
+   * @param {number} periodNumber - 1-based observation number
+   * @param {Object} phoenixParams - Parameters from extractPhoenixParameters
+   * @returns {number} - Coupon amount in % of nominal
+   */
+  getObservationCouponRate(observation, periodNumber, phoenixParams) {
+    if (observation && observation.couponRate != null && observation.couponRate !== '' && !isNaN(observation.couponRate)) {
+      return parseFloat(observation.couponRate);
+    }
+
+    const baseRate = phoenixParams?.couponRate || 0;
+    if (phoenixParams?.couponMode === 'snowball') {
+      return parseFloat((baseRate * periodNumber).toFixed(6));
+    }
+    return baseRate;
+  },
+
   /**
    * Extract underlying assets data for Phoenix products
    */
@@ -207,7 +233,9 @@ export const PhoenixEvaluationHelpers = {
         const today = new Date();
         const todayStr = today.toISOString().split('T')[0];
         const existingPriceDate = existingPrice?.date ? new Date(existingPrice.date).toISOString().split('T')[0] : null;
-        const needsFreshPrice = !existingPrice || !existingPriceDate || existingPriceDate !== todayStr;
+        // Historical evaluations keep the as-of price pinned by prepareProductAsOf()
+        const needsFreshPrice = !isHistoricalEvaluation(product) &&
+          (!existingPrice || !existingPriceDate || existingPriceDate !== todayStr);
 
         if (needsFreshPrice) {
           console.log(`📊 Phoenix: Fetching fresh price for ${underlying.ticker} (existing price date: ${existingPriceDate || 'none'}, today: ${todayStr})`);
@@ -322,7 +350,7 @@ export const PhoenixEvaluationHelpers = {
    * @param {Object} observationAnalysis - Optional observation analysis with autocall detection
    */
   buildProductStatus(product, observationAnalysis = null) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -396,7 +424,7 @@ export const PhoenixEvaluationHelpers = {
    */
   calculateDaysToMaturity(product) {
     const maturityDate = new Date(product.maturity || product.maturityDate);
-    const today = new Date();
+    const today = getEvaluationDate(product);
     const diffTime = maturityDate - today;
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   },
@@ -406,25 +434,37 @@ export const PhoenixEvaluationHelpers = {
    */
   checkIfMatured(product) {
     const maturityDate = new Date(product.maturity || product.maturityDate);
-    return new Date() >= maturityDate;
+    return getEvaluationDate(product) >= maturityDate;
   },
 
   /**
    * Get next observation date for Phoenix products
    */
   getNextObservationDate(product) {
-    const nextDate = new Date();
+    const nextDate = getEvaluationDate(product);
     nextDate.setMonth(nextDate.getMonth() + 3); // Quarterly default
     return nextDate;
   },
 
+  /**
+   * Capital redeemed at maturity for a worst-of level (both in %).
+   * Full capital at or above the protection barrier, geared loss below it:
+   * 100 - (barrier - level) × 100/barrier, e.g. level 49 on a 70 barrier returns 70.
+   */
+  calculateCapitalAtMaturity(worstLevel, protectionBarrier = DEFAULT_PROTECTION_BARRIER) {
+    if (worstLevel >= protectionBarrier) {
+      return 100;
+    }
+    return 100 - (protectionBarrier - worstLevel) * (100 / protectionBarrier);
+  },
+
   /**
    * Calculate indicative maturity value if product were to mature today
    * Shows hypothetical redemption: capital + earned coupons
    * Only for live Phoenix products
    */
   calculateIndicativeMaturityValue(product, underlyings, observationSchedule, phoenixParams, currency = 'USD') {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -446,8 +486,8 @@ export const PhoenixEvaluationHelpers = {
     // Calculate worst-of basket performance (minimum performance among all underlyings)
     const basketPerformance = Math.min(...underlyings.map(u => u.performance || 0));
 
-    // Protection barrier from phoenixParams (default 100% if not set)
-    const protectionBarrier = phoenixParams?.protectionBarrier || 100;
+    // Protection barrier from phoenixParams
+    const protectionBarrier = phoenixParams?.protectionBarrier || DEFAULT_PROTECTION_BARRIER;
 
     // Calculate current basket level (100 + performance)
     // Example: -35% performance means current level is 65% of strike
@@ -472,7 +512,7 @@ export const PhoenixEvaluationHelpers = {
       // Step 2: Apply gearing factor (breach × 100/barrier)
       const gearedLoss = breachAmount * (100 / protectionBarrier);
       // Step 3: Calculate capital return
-      capitalReturn = 100 - gearedLoss;
+      capitalReturn = this.calculateCapitalAtMaturity(currentLevel, protectionBarrier);
       capitalExplanation = `Basket at ${currentLevel.toFixed(2)}% (below ${protectionBarrier}% barrier): breach ${breachAmount.toFixed(2)}% × (100/${protectionBarrier}) = loss ${gearedLoss.toFixed(2)}% → capital ${capitalReturn.toFixed(2)}%`;
     }
 
@@ -1,6 +1,8 @@
-import { PhoenixEvaluationHelpers } from './phoenixEvaluationHelpers';
+import { PhoenixEvaluationHelpers, DEFAULT_PROTECTION_BARRIER } from './phoenixEvaluationHelpers';
+import { PhoenixMonteCarlo } from './phoenixMonteCarlo';
 import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
 import { matchAllScheduledPayments } from '../helpers/paymentMatcher.js';
+import { getEvaluationDate } from './evaluationDate';
 
 /**
  * Phoenix Autocallable Evaluator
@@ -15,8 +17,10 @@ import { matchAllScheduledPayments } from '../helpers/paymentMatcher.js';
 export const PhoenixEvaluator = {
   /**
    * Generate report for Phoenix Autocallable product
+   * context.skipMonteCarlo leaves monteCarloAnalysis null for callers that only
+   * need the deterministic report (backtest replays)
    */
-  async generateReport(product, context) {
+  async generateReport(product, context = {}) {
     // Set redemption prices for redeemed products
     await PhoenixEvaluationHelpers.setRedemptionPricesForProduct(product);
 
@@ -44,6 +48,17 @@ export const PhoenixEvaluator = {
       product.currency || 'USD'
     );
 
+    // Monte Carlo fair value and autocall probabilities (live products only, null otherwise)
+    const monteCarloAnalysis = context.skipMonteCarlo
+      ? null
+      : await PhoenixMonteCarlo.runSimulation(
+        product,
+        underlyingAssets,
+        observationAnalysis,
+        phoenixParams,
+        { valuationDate: getEvaluationDate(product) }
+      );
+
     // Create evaluation results
     const evaluation = {
       // Template identification
@@ -76,6 +91,9 @@ export const PhoenixEvaluator = {
       // Indicative maturity value (hypothetical value if product matured today)
       indicativeMaturityValue,
 
+      // Simulated fair value, per-observation autocall/coupon probabilities, expected life
+      monteCarloAnalysis,
+
       // Product name
       generatedProductName: PhoenixEvaluationHelpers.generateProductName(product, underlyingAssets, phoenixParams),
 
@@ -98,9 +116,10 @@ export const PhoenixEvaluator = {
   extractPhoenixParameters(product) {
     const params = {
       autocallBarrier: 100,     // Default 100% autocall level
-      protectionBarrier: 70,    // Default 70% protection
+      protectionBarrier: DEFAULT_PROTECTION_BARRIER,
       couponBarrier: null,      // Separate coupon barrier (defaults to protectionBarrier if null)
       couponRate: 0,           // Default no coupon
+      couponMode: 'fixed',      // 'fixed' or 'snowball' (coupon grows with the period number)
       observationFrequency: 'quarterly',
       memoryCoupon: false,
       memoryAutocall: false,
@@ -118,7 +137,7 @@ export const PhoenixEvaluator = {
 
         // Look for protection barrier
         if (component.type === 'barrier' && component.barrier_type === 'protection') {
-          params.protectionBarrier = component.barrier_level || 70;
+          params.protectionBarrier = component.barrier_level || DEFAULT_PROTECTION_BARRIER;
         }
 
         // Look for coupon information
@@ -191,6 +210,10 @@ export const PhoenixEvaluator = {
       if (product.structureParams.couponFrequency) {
         params.observationFrequency = product.structureParams.couponFrequency;
       }
+
+      if (product.structureParams.snowballCoupon === true) {
+        params.couponMode = 'snowball';
+      }
     }
 
     return params;
@@ -202,7 +225,7 @@ export const PhoenixEvaluator = {
   enhanceUnderlyingsWithChartData(underlyings, phoenixParams, observationAnalysis) {
     if (!underlyings || underlyings.length === 0) return underlyings;
 
-    const protectionBarrier = phoenixParams.protectionBarrier || 70;
+    const protectionBarrier = phoenixParams.protectionBarrier || DEFAULT_PROTECTION_BARRIER;
 
     // Find worst performing underlying
     const performances = underlyings.map(u => u.performance);
@@ -283,7 +306,7 @@ export const PhoenixEvaluator = {
   buildBasketAnalysis(underlyings, phoenixParams) {
     if (!underlyings || underlyings.length === 0) return null;
 
-    const protectionBarrier = phoenixParams.protectionBarrier || 70;
+    const protectionBarrier = phoenixParams.protectionBarrier || DEFAULT_PROTECTION_BARRIER;
 
     // Count underlyings by barrier status
     const safeCount = underlyings.filter(u => u.barrierStatus === 'safe').length;
@@ -466,7 +489,7 @@ export const PhoenixEvaluator = {
       }
     }
 
-    const today = new Date();
+    const today = getEvaluationDate(product);
     const tradeDate = new Date(product.tradeDate || product.issueDate);
     const observations = [];
     let totalCouponsEarned = 0;
@@ -512,7 +535,7 @@ export const PhoenixEvaluator = {
     // Process each observation
     for (const [i, obs] of schedule.entries()) {
       const obsDate = new Date(obs.observationDate);
-      const today = new Date();
+      const today = getEvaluationDate(product);
       const obsDateOnly = new Date(obsDate.getFullYear(), obsDate.getMonth(), obsDate.getDate());
       const todayOnly = new Date(today.getFullYear(), today.getMonth(), today.getDate());
 
@@ -578,8 +601,11 @@ export const PhoenixEvaluator = {
         : (phoenixParams.autocallBarrier || 100);
       const autocallThreshold = effectiveAutocallLevel - 100;
       // Use per-observation couponBarrier, fall back to global couponBarrier, then protectionBarrier
-      const effectiveCouponBarrier = obs.couponBarrier || phoenixParams.couponBarrier || phoenixParams.protectionBarrier || 70;
+      const effectiveCouponBarrier = obs.couponBarrier || phoenixParams.couponBarrier || phoenixParams.protectionBarrier || DEFAULT_PROTECTION_BARRIER;
       const couponThreshold = effectiveCouponBarrier - 100;
+      // Per-observation coupon amount (explicit schedule value, snowball or fixed rate)
+      const observationCouponRate = PhoenixEvaluationHelpers.getObservationCouponRate(obs, i + 1, phoenixParams);
+      const isSnowballCoupon = phoenixParams.couponMode === 'snowball';
 
       // Memory Autocall: Track per-underlying flags
       // IMPORTANT: Only flag underlyings during CALLABLE observations (not during coupon-only periods)
@@ -648,7 +674,7 @@ export const PhoenixEvaluator = {
       // For guaranteed coupons: pay as long as observation is past and product is alive
       // For regular coupons: require basket to be above coupon barrier
       const baseCouponPaid = isPast && !productCalled && basketLevel !== null && (isGuaranteedCoupon || basketAboveCouponBarrier)
-        ? (phoenixParams.couponRate || 0)
+        ? observationCouponRate
         : 0;
 
       // Check for autocall - logic depends on memory autocall setting
@@ -671,9 +697,10 @@ export const PhoenixEvaluator = {
       // Memory coupon logic
       // Add to memory if: basket BELOW coupon barrier, product has memory feature, it's a past observation, and product hasn't been autocalled
       // Note: Memory coupon only applies if NOT guaranteed coupon (guaranteed coupons are always paid, so no need to store in memory)
-      const memoryCouponAdded = !isGuaranteedCoupon && isPast && !productCalled && !baseCouponPaid && basketLevel !== null && !basketAboveCouponBarrier && (phoenixParams.memoryCoupon || false);
+      // Snowball coupons never go to memory: the growing coupon already catches up on missed periods
+      const memoryCouponAdded = !isGuaranteedCoupon && !isSnowballCoupon && isPast && !productCalled && !baseCouponPaid && basketLevel !== null && !basketAboveCouponBarrier && (phoenixParams.memoryCoupon || false);
       if (memoryCouponAdded) {
-        totalMemoryCoupons += phoenixParams.couponRate || 0;
+        totalMemoryCoupons += observationCouponRate;
       }
 
       // Determine observation type
@@ -685,7 +712,7 @@ export const PhoenixEvaluator = {
 
       // Calculate memory coupon amount for this observation
       // Only show in Memory column if coupon is being STORED (not paid)
-      const couponInMemory = memoryCouponAdded ? (phoenixParams.couponRate || 0) : 0;
+      const couponInMemory = memoryCouponAdded ? observationCouponRate : 0;
 
       // Memory Release Logic:
       // Memory coupons are released (paid out) whenever the basket returns ABOVE the coupon barrier
@@ -733,6 +760,8 @@ export const PhoenixEvaluator = {
         basketAboveBarrier,
         couponPaid,
         couponAmount,
+        couponRate: observationCouponRate,
+        couponRateFormatted: PhoenixEvaluationHelpers.formatCouponPercentage(observationCouponRate, phoenixParams.couponRate),
         couponAmountFormatted: PhoenixEvaluationHelpers.formatCouponPercentage(couponAmount, phoenixParams.couponRate),
         couponPaidFormatted: PhoenixEvaluationHelpers.formatCouponPercentage(couponPaid, phoenixParams.couponRate),
         memoryCouponAdded,
@@ -742,6 +771,8 @@ export const PhoenixEvaluator = {
         productCalled: autocalled, // For redemption detection
         autocallLevel: obs.isCallable ? (obs.autocallLevel || phoenixParams.autocallBarrier) : null,
         autocallLevelFormatted: obs.isCallable ? `${obs.autocallLevel || phoenixParams.autocallBarrier}%` : 'N/A',
+        couponBarrier: effectiveCouponBarrier,
+        couponBarrierFormatted: `${effectiveCouponBarrier}%`,
         isCallable: obs.isCallable || false,
         isFinal: isFinalObservation, // Flag for final/maturity observation
         hasOccurred: isPast && (!productCalled || autocalled),
@@ -764,7 +795,8 @@ export const PhoenixEvaluator = {
       observations,
       phoenixParams,
       totalMemoryCoupons,
-      underlyingAutocallFlags
+      underlyingAutocallFlags,
+      totalCouponsEarned
     );
 
     console.log(`[PHOENIX] Next observation prediction for ${product._id}:`, {
@@ -810,7 +842,7 @@ export const PhoenixEvaluator = {
   /**
    * Calculate prediction for next observation based on current prices
    */
-  async calculateNextObservationPrediction(product, underlyings, observations, phoenixParams, totalMemoryCoupons, underlyingAutocallFlags) {
+  async calculateNextObservationPrediction(product, underlyings, observations, phoenixParams, totalMemoryCoupons, underlyingAutocallFlags, totalCouponsEarned = 0) {
     try {
       console.log(`[PHOENIX PRED] Calculating prediction for product ${product._id}:`, {
         observationCount: observations.length,
@@ -856,12 +888,15 @@ export const PhoenixEvaluator = {
       const currentBasketLevelFormatted = (currentBasketLevel >= 0 ? '+' : '') + currentBasketLevel.toFixed(2) + '%';
 
       // Get thresholds
-      const protectionBarrier = phoenixParams.protectionBarrier || 70;
+      const protectionBarrier = phoenixParams.protectionBarrier || DEFAULT_PROTECTION_BARRIER;
       const autocallBarrier = phoenixParams.autocallBarrier || 100;
-      const couponRate = phoenixParams.couponRate || 0;
+      // Per-observation coupon and coupon barrier (step-down / snowball aware), fall back to global values
+      const couponRate = targetObservation.couponRate != null
+        ? targetObservation.couponRate
+        : (phoenixParams.couponRate || 0);
 
       // Use couponBarrier if defined, otherwise fall back to protectionBarrier
-      const effectiveCouponBarrier = phoenixParams.couponBarrier || protectionBarrier;
+      const effectiveCouponBarrier = targetObservation.couponBarrier || phoenixParams.couponBarrier || protectionBarrier;
       const couponThreshold = effectiveCouponBarrier - 100; // e.g., -30 for 70% barrier
       // Use per-observation autocall level (step-down aware), fall back to global barrier
       const effectiveAutocallLevel = targetObservation.autocallLevel != null
@@ -873,7 +908,7 @@ export const PhoenixEvaluator = {
       const isGuaranteedCoupon = phoenixParams.guaranteedCoupon === true;
 
       // Calculate days until observation
-      const today = new Date();
+      const today = getEvaluationDate(product);
       const obsDate = new Date(targetObservation.observationDate);
       const daysUntil = Math.ceil((obsDate - today) / (1000 * 60 * 60 * 24));
 
@@ -972,7 +1007,7 @@ export const PhoenixEvaluator = {
             prediction.displayText = `${prediction.dateFormatted}; coupon; ${prediction.couponAmountFormatted}`;
             prediction.explanation = `${explanationPrefix}, would receive ${prediction.couponAmountFormatted} coupon.`;
           }
-        } else if (!isGuaranteedCoupon && phoenixParams.memoryCoupon) {
+        } else if (!isGuaranteedCoupon && phoenixParams.memoryCoupon && phoenixParams.couponMode !== 'snowball') {
           // Below coupon barrier, add to memory (only if not guaranteed coupon)
           prediction.memoryWouldBeAdded = true;
           prediction.memoryAmountAdded = couponRate;
@@ -1010,7 +1045,7 @@ export const PhoenixEvaluator = {
         }
       }
       // Memory coupon would be added (non-memory autocall case, only if not guaranteed)
-      else if (!isGuaranteedCoupon && phoenixParams.memoryCoupon) {
+      else if (!isGuaranteedCoupon && phoenixParams.memoryCoupon && phoenixParams.couponMode !== 'snowball') {
         prediction.memoryWouldBeAdded = true;
         prediction.memoryAmountAdded = couponRate;
         prediction.outcomeType = 'memory_added';
@@ -1045,7 +1080,7 @@ export const PhoenixEvaluator = {
           const currentLevel = 100 + currentBasketLevel; // e.g., -40% perf = 60% level
           const breachAmount = protectionBarrier - currentLevel; // e.g., 70 - 60 = 10% breach
           const gearedLoss = breachAmount * (100 / protectionBarrier); // e.g., 10 × (100/70) = 14.29% loss
-          capitalReturn = 100 - gearedLoss; // e.g., 100 - 14.29 = 85.71%
+          capitalReturn = PhoenixEvaluationHelpers.calculateCapitalAtMaturity(currentLevel, protectionBarrier); // e.g., 85.71%
           capitalExplanation = `Basket at ${(currentLevel).toFixed(2)}% (below ${protectionBarrier}% barrier): breach ${breachAmount.toFixed(2)}% × (100/${protectionBarrier}) = loss ${gearedLoss.toFixed(2)}% → capital ${capitalReturn.toFixed(2)}%`;
         }
 
@@ -0,0 +1,632 @@
+import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
+import { PhoenixEvaluationHelpers, DEFAULT_PROTECTION_BARRIER } from './phoenixEvaluationHelpers';
+
+/**
+ * Phoenix Monte Carlo Engine
+ *
+ * Simulates the remaining life of a live Phoenix Autocallable over the observation
+ * schedule produced by PhoenixEvaluator.buildObservationSchedule.
+ *
+ * - Worst-of basket built from extractUnderlyingAssetsData (current level = current / initial)
+ * - Historical volatility and correlation from MarketDataCacheCollection history
+ * - Correlated GBM under a flat risk-free rate, stepping observation to observation
+ * - Honours memory coupon, memory autocall, guaranteed coupon and per-observation
+ *   autocall / coupon levels and coupon amounts (snowball), starting from the memory and flag state observed so far
+ *
+ * Output is expressed in % of notional, like indicativeMaturityValue.
+ * Base-case results are cached per product, valuation day and market-data date,
+ * so re-evaluating a product on the same data does not re-run the paths.
+ */
+
+const DEFAULT_PATHS = 10000;
+const DEFAULT_RISK_FREE_RATE = 0.03;   // Annual, continuously compounded
+const DEFAULT_LOOKBACK_DAYS = 252;     // One year of trading days
+const MIN_RETURNS_FOR_ESTIMATE = 60;   // Below this, use fallback parameters
+const FALLBACK_VOLATILITY = 0.30;
+const FALLBACK_CORRELATION = 0.50;
+const TRADING_DAYS_PER_YEAR = 252;
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+const MAX_CACHED_SIMULATIONS = 500;
+
+// Formatted base-case results keyed by buildCacheKey (insertion order = age)
+const simulationCache = new Map();
+
+const formatPercent = (value, decimals = 2) => `${value.toFixed(decimals)}%`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric'
+});
+
+export const PhoenixMonteCarlo = {
+  /**
+   * Run the simulation for a Phoenix product and return a display-ready result.
+   * Returns null when the product is no longer live or has nothing left to simulate.
+   *
+   * @param {Object} product - The product document
+   * @param {Array} underlyings - Output of PhoenixEvaluationHelpers.extractUnderlyingAssetsData
+   * @param {Object} observationAnalysis - Output of PhoenixEvaluator.buildObservationSchedule
+   * @param {Object} phoenixParams - Output of PhoenixEvaluator.extractPhoenixParameters
+   * @param {Object} options - Optional overrides
+   * @param {number} options.paths - Number of simulated paths
+   * @param {number} options.riskFreeRate - Annual discount / drift rate (decimal)
+   * @param {number} options.lookbackDays - Trading days of history used for estimation
+   * @param {number} options.volatilityShift - Absolute shift added to every volatility (decimal)
+   * @param {Object} options.volatilityShifts - {ticker: absoluteShift} added to one underlying's volatility
+   * @param {number} options.correlationShift - Absolute shift added to every off-diagonal correlation
+   * @param {Object} options.spotShifts - {ticker: relativeShift} applied to current levels
+   * @param {Date} options.valuationDate - Valuation date (defaults to now)
+   */
+  async runSimulation(product, underlyings, observationAnalysis, phoenixParams, options = {}) {
+    try {
+      if (!underlyings || underlyings.length === 0 || !observationAnalysis) {
+        return null;
+      }
+
+      if (observationAnalysis.isEarlyAutocall || observationAnalysis.isMaturedAtFinal) {
+        return null;
+      }
+
+      const valuationDate = options.valuationDate ? new Date(options.valuationDate) : new Date();
+      const futureObservations = (observationAnalysis.observations || [])
+        .filter(obs => obs.status === 'upcoming' && new Date(obs.observationDate) > valuationDate);
+
+      if (futureObservations.length === 0) {
+        return null;
+      }
+
+      const market = await this.estimateMarketParameters(underlyings, {
+        lookbackDays: options.lookbackDays || DEFAULT_LOOKBACK_DAYS,
+        valuationDate
+      });
+
+      const volatilityShifts = options.volatilityShifts || {};
+      const volatilities = market.volatilities.map((v, i) =>
+        Math.max(0.01, v + (options.volatilityShift || 0) + (volatilityShifts[underlyings[i].ticker] || 0))
+      );
+      const correlation = this.shiftCorrelation(market.correlation, options.correlationShift || 0);
+
+      const spotShifts = options.spotShifts || {};
+      const startLevels = underlyings.map(u => {
+        const level = u.initialPrice > 0 ? u.currentPrice / u.initialPrice : 1 + (u.performance || 0) / 100;
+        return level * (1 + (spotShifts[u.ticker] || 0));
+      });
+
+      const simulationInputs = {
+        startLevels,
+        tickers: underlyings.map(u => u.ticker),
+        volatilities,
+        correlation,
+        observations: futureObservations,
+        phoenixParams,
+        initialMemory: observationAnalysis.totalMemoryCoupons || 0,
+        initialFlags: observationAnalysis.underlyingAutocallFlags || {},
+        valuationDate,
+        riskFreeRate: options.riskFreeRate ?? DEFAULT_RISK_FREE_RATE,
+        paths: options.paths || DEFAULT_PATHS,
+        seed: this.seedFromString(String(product._id || product.isin || 'phoenix'))
+      };
+
+      // Bumped runs (sensitivities) are not cached, they are one-off by nature
+      const isBaseCase = !options.volatilityShift && !options.correlationShift &&
+        Object.keys(volatilityShifts).length === 0 && Object.keys(spotShifts).length === 0;
+      const cacheKey = isBaseCase ? this.buildCacheKey(product, market, simulationInputs, options) : null;
+
+      if (cacheKey && simulationCache.has(cacheKey)) {
+        return simulationCache.get(cacheKey);
+      }
+
+      const result = this.simulate(simulationInputs);
+      const formatted = this.formatResult(result, underlyings, market, volatilities, correlation, options, valuationDate);
+
+      if (cacheKey) {
+        simulationCache.set(cacheKey, formatted);
+        if (simulationCache.size > MAX_CACHED_SIMULATIONS) {
+          simulationCache.delete(simulationCache.keys().next().value);
+        }
+      }
+
+      return formatted;
+    } catch (error) {
+      console.error('[PHOENIX MC] ❌ Error running Monte Carlo simulation:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Cache key of a base-case run: product, valuation day, last market-data date and
+   * every simulation input, so a product edit or a new fixing invalidates the entry
+   */
+  buildCacheKey(product, market, inputs, options) {
+    return JSON.stringify({
+      product: String(product._id || product.isin || ''),
+      valuationDay: inputs.valuationDate.toISOString().split('T')[0],
+      marketDataDate: market.toDate,
+      lookbackDays: options.lookbackDays || DEFAULT_LOOKBACK_DAYS,
+      startLevels: inputs.startLevels,
+      volatilities: inputs.volatilities,
+      correlation: inputs.correlation,
+      observations: inputs.observations.map(obs => [
+        obs.observationDate, obs.paymentDate, obs.autocallLevel, obs.couponBarrier, obs.couponRate, !!obs.isCallable
+      ]),
+      phoenixParams: inputs.phoenixParams,
+      initialMemory: inputs.initialMemory,
+      initialFlags: inputs.initialFlags,
+      riskFreeRate: inputs.riskFreeRate,
+      paths: inputs.paths
+    });
+  },
+
+  /**
+   * Drop every cached simulation
+   */
+  clearCache() {
+    simulationCache.clear();
+  },
+
+  /**
+   * Estimate annualised volatilities and the correlation matrix from cached daily closes.
+   * Returns are aligned on common dates so the correlation is computed on the same days.
+   */
+  async estimateMarketParameters(underlyings, { lookbackDays, valuationDate }) {
+    const seriesByTicker = [];
+
+    for (const u of underlyings) {
+      const history = await this.loadHistory(u.fullTicker || `${u.ticker}.US`);
+      const closes = new Map();
+      history
+        .filter(h => new Date(h.date) <= valuationDate)
+        .forEach(h => {
+          const price = h.close || h.adjustedClose;
+          if (price > 0) {
+            closes.set(new Date(h.date).toISOString().split('T')[0], price);
+          }
+        });
+      seriesByTicker.push(closes);
+    }
+
+    // Dates present for every underlying, most recent lookback window only
+    const commonDates = [...seriesByTicker[0].keys()]
+      .filter(date => seriesByTicker.every(series => series.has(date)))
+      .sort()
+      .slice(-(lookbackDays + 1));
+
+    const returns = underlyings.map((u, i) => {
+      const series = seriesByTicker[i];
+      const r = [];
+      for (let d = 1; d < commonDates.length; d++) {
+        r.push(Math.log(series.get(commonDates[d]) / series.get(commonDates[d - 1])));
+      }
+      return r;
+    });
+
+    const observationCount = returns[0]?.length || 0;
+    const usedFallback = observationCount < MIN_RETURNS_FOR_ESTIMATE;
+
+    if (usedFallback) {
+      console.warn(`[PHOENIX MC] ⚠️ Only ${observationCount} aligned returns available, using fallback volatility ${FALLBACK_VOLATILITY} and correlation ${FALLBACK_CORRELATION}`);
+      return {
+        volatilities: underlyings.map(() => FALLBACK_VOLATILITY),
+        correlation: underlyings.map((_, i) => underlyings.map((__, j) => (i === j ? 1 : FALLBACK_CORRELATION))),
+        observationCount,
+        fromDate: commonDates[0] || null,
+        toDate: commonDates[commonDates.length - 1] || null,
+        usedFallback
+      };
+    }
+
+    const means = returns.map(r => r.reduce((a, b) => a + b, 0) / r.length);
+    const covariance = (i, j) => {
+      let sum = 0;
+      for (let k = 0; k < observationCount; k++) {
+        sum += (returns[i][k] - means[i]) * (returns[j][k] - means[j]);
+      }
+      return sum / (observationCount - 1);
+    };
+
+    const dailyStdDevs = returns.map((_, i) => Math.sqrt(covariance(i, i)));
+    const volatilities = dailyStdDevs.map(sd => sd * Math.sqrt(TRADING_DAYS_PER_YEAR));
+    const correlation = returns.map((_, i) => returns.map((__, j) => {
+      if (i === j) return 1;
+      const denom = dailyStdDevs[i] * dailyStdDevs[j];
+      return denom > 0 ? covariance(i, j) / denom : 0;
+    }));
+
+    return {
+      volatilities,
+      correlation,
+      observationCount,
+      fromDate: commonDates[0],
+      toDate: commonDates[commonDates.length - 1],
+      usedFallback
+    };
+  },
+
+  /**
+   * Load cached price history for a ticker, trying common exchange suffixes like getPriceAtDate
+   */
+  async loadHistory(fullTicker) {
+    let cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker }, { fields: { history: 1 } });
+
+    if (!cacheDoc) {
+      const symbol = fullTicker.split('.')[0];
+      for (const exchange of ['US', 'PA', 'DE', 'LSE', 'CO']) {
+        cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker: `${symbol}.${exchange}` }, { fields: { history: 1 } });
+        if (cacheDoc) break;
+      }
+    }
+
+    return cacheDoc?.history || [];
+  },
+
+  /**
+   * Shift off-diagonal correlations, clamped to [-0.99, 0.99]
+   */
+  shiftCorrelation(correlation, shift) {
+    if (!shift) return correlation;
+    return correlation.map((row, i) => row.map((value, j) => (
+      i === j ? 1 : Math.max(-0.99, Math.min(0.99, value + shift))
+    )));
+  },
+
+  /**
+   * Cholesky decomposition (lower triangular). If the matrix is not positive definite
+   * (e.g. after a correlation shift), blend it towards the identity until it is.
+   */
+  choleskyDecompose(matrix) {
+    const n = matrix.length;
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const blend = attempt * 0.1;
+      const m = matrix.map((row, i) => row.map((v, j) => (i === j ? 1 : v * (1 - blend))));
+      const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+      let valid = true;
+
+      for (let i = 0; i < n && valid; i++) {
+        for (let j = 0; j <= i; j++) {
+          let sum = m[i][j];
+          for (let k = 0; k < j; k++) {
+            sum -= lower[i][k] * lower[j][k];
+          }
+          if (i === j) {
+            if (sum <= 0) {
+              valid = false;
+              break;
+            }
+            lower[i][j] = Math.sqrt(sum);
+          } else {
+            lower[i][j] = sum / lower[j][j];
+          }
+        }
+      }
+
+      if (valid) return lower;
+    }
+
+    // Fully uncorrelated as last resort
+    return matrix.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+  },
+
+  /**
+   * Deterministic seed so that re-evaluating the same product gives a stable result
+   */
+  seedFromString(value) {
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  },
+
+  /**
+   * Seeded standard normal generator (mulberry32 + Box-Muller)
+   */
+  createNormalGenerator(seed) {
+    let state = seed >>> 0;
+    const uniform = () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    let spare = null;
+    return () => {
+      if (spare !== null) {
+        const value = spare;
+        spare = null;
+        return value;
+      }
+      let u1 = uniform();
+      while (u1 <= Number.EPSILON) u1 = uniform();
+      const u2 = uniform();
+      const radius = Math.sqrt(-2 * Math.log(u1));
+      spare = radius * Math.sin(2 * Math.PI * u2);
+      return radius * Math.cos(2 * Math.PI * u2);
+    };
+  },
+
+  /**
+   * Core path simulation. All levels are ratios to initial (1.0 = 100%).
+   */
+  simulate({
+    startLevels,
+    tickers,
+    volatilities,
+    correlation,
+    observations,
+    phoenixParams,
+    initialMemory,
+    initialFlags,
+    valuationDate,
+    riskFreeRate,
+    paths,
+    seed
+  }) {
+    const n = startLevels.length;
+    const m = observations.length;
+    const lower = this.choleskyDecompose(correlation);
+    const normal = this.createNormalGenerator(seed);
+
+    const protectionBarrier = phoenixParams.protectionBarrier || DEFAULT_PROTECTION_BARRIER;
+    const isGuaranteedCoupon = phoenixParams.guaranteedCoupon === true;
+    const hasMemoryCoupon = phoenixParams.memoryCoupon === true && phoenixParams.couponMode !== 'snowball';
+    const hasMemoryAutocall = phoenixParams.memoryAutocall === true;
+
+    // Time grid: year fractions from valuation date to each observation, and to each payment
+    const obsTimes = observations.map(obs => Math.max(0, (new Date(obs.observationDate) - valuationDate) / MS_PER_YEAR));
+    const payTimes = observations.map((obs, k) => {
+      const payDate = obs.paymentDate ? new Date(obs.paymentDate) : new Date(obs.observationDate);
+      return Math.max(obsTimes[k], (payDate - valuationDate) / MS_PER_YEAR);
+    });
+    const discountFactors = payTimes.map(t => Math.exp(-riskFreeRate * t));
+
+    const autocallLevels = observations.map(obs => (obs.autocallLevel != null ? obs.autocallLevel : (phoenixParams.autocallBarrier || 100)) / 100);
+    const couponBarriers = observations.map(obs => (obs.couponBarrier || phoenixParams.couponBarrier || protectionBarrier) / 100);
+    const couponAmounts = observations.map(obs => (obs.couponRate != null ? obs.couponRate : (phoenixParams.couponRate || 0)));
+
+    const autocallCounts = new Array(m).fill(0);
+    const couponCounts = new Array(m).fill(0);
+    const memoryAddedCounts = new Array(m).fill(0);
+    const expectedCouponByObs = new Array(m).fill(0);
+
+    let sumPresentValue = 0;
+    let sumPresentValueSq = 0;
+    let sumLife = 0;
+    let sumCoupons = 0;
+    let capitalLossCount = 0;
+    let sumCapitalLoss = 0;
+
+    const drift = volatilities.map(v => (riskFreeRate - 0.5 * v * v));
+    const initiallyFlagged = tickers.map(t => !!initialFlags[t]);
+    const levels = new Array(n);
+    const shocks = new Array(n);
+    const flagged = new Array(n);
+
+    for (let p = 0; p < paths; p++) {
+      for (let i = 0; i < n; i++) {
+        levels[i] = startLevels[i];
+        flagged[i] = initiallyFlagged[i];
+      }
+
+      let memory = initialMemory;
+      let presentValue = 0;
+      let couponsPaid = 0;
+      let lifeYears = obsTimes[m - 1];
+      let previousTime = 0;
+
+      for (let k = 0; k < m; k++) {
+        const dt = obsTimes[k] - previousTime;
+        previousTime = obsTimes[k];
+
+        if (dt > 0) {
+          for (let i = 0; i < n; i++) shocks[i] = normal();
+          for (let i = 0; i < n; i++) {
+            let z = 0;
+            for (let j = 0; j <= i; j++) z += lower[i][j] * shocks[j];
+            levels[i] *= Math.exp(drift[i] * dt + volatilities[i] * Math.sqrt(dt) * z);
+          }
+        }
+
+        let worst = levels[0];
+        for (let i = 1; i < n; i++) {
+          if (levels[i] < worst) worst = levels[i];
+        }
+
+        const obs = observations[k];
+        const isFinal = k === m - 1;
+
+        // Coupon
+        let coupon = 0;
+        if (isGuaranteedCoupon || worst >= couponBarriers[k]) {
+          coupon = couponAmounts[k] + memory;
+          memory = 0;
+          couponCounts[k]++;
+        } else if (hasMemoryCoupon) {
+          memory += couponAmounts[k];
+          memoryAddedCounts[k]++;
+        }
+
+        // Autocall
+        let autocalled = false;
+        if (obs.isCallable && !isFinal) {
+          if (hasMemoryAutocall) {
+            let allFlagged = true;
+            for (let i = 0; i < n; i++) {
+              if (levels[i] >= autocallLevels[k]) flagged[i] = true;
+              if (!flagged[i]) allFlagged = false;
+            }
+            autocalled = allFlagged;
+          } else {
+            autocalled = worst >= autocallLevels[k];
+          }
+        }
+
+        couponsPaid += coupon;
+        expectedCouponByObs[k] += coupon;
+        presentValue += coupon * discountFactors[k];
+
+        if (autocalled) {
+          autocallCounts[k]++;
+          presentValue += 100 * discountFactors[k];
+          lifeYears = obsTimes[k];
+          break;
+        }
+
+        if (isFinal) {
+          // Capital at maturity: geared loss below protection barrier (as in calculateIndicativeMaturityValue).
+          // Outstanding memory was already released by the coupon test above when the
+          // coupon barrier was met; below it the memory is forfeited.
+          const finalLevel = worst * 100;
+          const capital = PhoenixEvaluationHelpers.calculateCapitalAtMaturity(finalLevel, protectionBarrier);
+
+          if (capital < 100) {
+            capitalLossCount++;
+            sumCapitalLoss += 100 - capital;
+          }
+
+          presentValue += capital * discountFactors[k];
+        }
+      }
+
+      sumPresentValue += presentValue;
+      sumPresentValueSq += presentValue * presentValue;
+      sumLife += lifeYears;
+      sumCoupons += couponsPaid;
+    }
+
+    const fairValue = sumPresentValue / paths;
+    const variance = Math.max(0, sumPresentValueSq / paths - fairValue * fairValue);
+
+    let survival = 1;
+    const perObservation = observations.map((obs, k) => {
+      const survivalBefore = survival;
+      const autocallProbability = autocallCounts[k] / paths;
+      survival -= autocallProbability;
+
+      return {
+        observationDate: obs.observationDate,
+        isCallable: !!obs.isCallable,
+        isFinal: k === m - 1,
+        autocallLevel: autocallLevels[k] * 100,
+        couponBarrier: couponBarriers[k] * 100,
+        survivalProbability: survivalBefore,
+        autocallProbability,
+        conditionalAutocallProbability: survivalBefore > 0 ? autocallProbability / survivalBefore : 0,
+        couponProbability: couponCounts[k] / paths,
+        memoryAddedProbability: memoryAddedCounts[k] / paths,
+        expectedCoupon: expectedCouponByObs[k] / paths
+      };
+    });
+
+    const maturityReached = survival;
+
+    return {
+      paths,
+      riskFreeRate,
+      fairValue,
+      standardError: Math.sqrt(variance / paths),
+      expectedLifeYears: sumLife / paths,
+      expectedCoupons: sumCoupons / paths,
+      probabilityOfMaturity: maturityReached,
+      probabilityOfCapitalLoss: capitalLossCount / paths,
+      expectedLossGivenLoss: capitalLossCount > 0 ? sumCapitalLoss / capitalLossCount : 0,
+      perObservation
+    };
+  },
+
+  /**
+   * Build the display object stored in the report (percentages as 0-100 with formatted strings)
+   */
+  formatResult(result, underlyings, market, volatilities, correlation, options, valuationDate) {
+    const next = result.perObservation[0];
+    const nextCallable = result.perObservation.find(o => o.isCallable && !o.isFinal) || null;
+
+    return {
+      fairValue: result.fairValue,
+      fairValueFormatted: formatPercent(result.fairValue),
+      standardError: result.standardError,
+      standardErrorFormatted: formatPercent(result.standardError, 3),
+
+      expectedLifeYears: result.expectedLifeYears,
+      expectedLifeFormatted: `${result.expectedLifeYears.toFixed(2)} years`,
+
+      expectedFutureCoupons: result.expectedCoupons,
+      expectedFutureCouponsFormatted: formatPercent(result.expectedCoupons),
+
+      probabilityOfMaturity: result.probabilityOfMaturity * 100,
+      probabilityOfMaturityFormatted: formatPercent(result.probabilityOfMaturity * 100, 1),
+      probabilityOfCapitalLoss: result.probabilityOfCapitalLoss * 100,
+      probabilityOfCapitalLossFormatted: formatPercent(result.probabilityOfCapitalLoss * 100, 1),
+      expectedLossGivenLoss: result.expectedLossGivenLoss,
+      expectedLossGivenLossFormatted: formatPercent(result.expectedLossGivenLoss),
+
+      nextObservation: next ? {
+        dateFormatted: formatDate(next.observationDate),
+        autocallProbabilityFormatted: formatPercent(next.autocallProbability * 100, 1),
+        couponProbabilityFormatted: formatPercent(next.couponProbability * 100, 1)
+      } : null,
+      nextCallableObservation: nextCallable ? {
+        dateFormatted: formatDate(nextCallable.observationDate),
+        autocallProbability: nextCallable.autocallProbability * 100,
+        autocallProbabilityFormatted: formatPercent(nextCallable.autocallProbability * 100, 1)
+      } : null,
+
+      observations: result.perObservation.map(o => ({
+        ...o,
+        observationDateFormatted: formatDate(o.observationDate),
+        autocallLevelFormatted: o.isCallable && !o.isFinal ? formatPercent(o.autocallLevel, 0) : 'N/A',
+        couponBarrierFormatted: formatPercent(o.couponBarrier, 0),
+        survivalProbability: o.survivalProbability * 100,
+        survivalProbabilityFormatted: formatPercent(o.survivalProbability * 100, 1),
+        autocallProbability: o.autocallProbability * 100,
+        autocallProbabilityFormatted: formatPercent(o.autocallProbability * 100, 1),
+        conditionalAutocallProbability: o.conditionalAutocallProbability * 100,
+        couponProbability: o.couponProbability * 100,
+        couponProbabilityFormatted: formatPercent(o.couponProbability * 100, 1),
+        memoryAddedProbability: o.memoryAddedProbability * 100,
+        expectedCouponFormatted: formatPercent(o.expectedCoupon)
+      })),
+
+      marketInputs: {
+        underlyings: underlyings.map((u, i) => ({
+          ticker: u.ticker,
+          volatility: volatilities[i] * 100,
+          volatilityFormatted: formatPercent(volatilities[i] * 100, 1)
+        })),
+        correlation,
+        averageCorrelation: this.averageOffDiagonal(correlation),
+        historyFrom: market.fromDate,
+        historyTo: market.toDate,
+        returnsUsed: market.observationCount,
+        usedFallback: market.usedFallback
+      },
+
+      assumptions: {
+        paths: result.paths,
+        riskFreeRate: result.riskFreeRate * 100,
+        riskFreeRateFormatted: formatPercent(result.riskFreeRate * 100),
+        lookbackDays: options.lookbackDays || DEFAULT_LOOKBACK_DAYS,
+        model: 'Correlated geometric Brownian motion, no dividends, risk-neutral drift'
+      },
+
+      valuationDate,
+      valuationDateFormatted: formatDate(valuationDate)
+    };
+  },
+
+  averageOffDiagonal(matrix) {
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < matrix.length; i++) {
+      for (let j = i + 1; j < matrix.length; j++) {
+        sum += matrix[i][j];
+        count++;
+      }
+    }
+    return count > 0 ? sum / count : null;
+  }
+};
@@ -0,0 +1,508 @@
+import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
+import { TemplateReportHelpers } from '/imports/api/templateReports';
+
+/**
+ * Product Historical Backtest
+ *
+ * Replays a draft structure (barriers, coupons, observation frequency, basket) over
+ * every historical start date available in MarketDataCacheCollection.
+ *
+ * - Each start date gets a what-if product: same structure, dates shifted so that the
+ *   trade date is the start date, strikes taken from the cached close on that date
+ * - Observation and maturity dates are snapped to the closest prior trading day
+ *   common to all underlyings, so every lookup hits a real close
+ * - The what-if product is run through the template's registered evaluator unchanged;
+ *   since every date is in the past, the evaluator returns the final outcome
+ *
+ * Output is expressed in % of notional, like indicativeMaturityValue.
+ */
+
+export const BACKTEST_SUPPORTED_TEMPLATES = ['phoenix_autocallable', 'reverse_convertible'];
+
+const DEFAULT_LOOKBACK_YEARS = 15;
+const DEFAULT_MAX_SCENARIOS = 180;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_YEAR = 365.25 * MS_PER_DAY;
+
+const toDateStr = (date) => new Date(date).toISOString().split('T')[0];
+const fromDateStr = (dateStr) => new Date(`${dateStr}T00:00:00.000Z`);
+
+const formatPercent = (value, decimals = 2) => `${value.toFixed(decimals)}%`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric'
+});
+
+export const ProductBacktest = {
+  /**
+   * Run the backtest for a draft product and return a display-ready result.
+   *
+   * @param {Object} draft - Draft product (as built by StructuredProductInterface)
+   * @param {Object} options - Optional overrides
+   * @param {number} options.lookbackYears - Years of history to replay
+   * @param {string} options.step - 'monthly' or 'weekly' spacing between start dates
+   * @param {number} options.maxScenarios - Cap on the number of start dates evaluated
+   */
+  async run(draft, options = {}) {
+    const templateId = draft.templateId;
+    if (!BACKTEST_SUPPORTED_TEMPLATES.includes(templateId)) {
+      throw new Error(`Backtest is not available for template ${templateId}`);
+    }
+
+    const layout = this.extractLayout(draft);
+    const evaluator = TemplateReportHelpers.getTemplateReportBuilder(templateId);
+
+    const lookbackYears = options.lookbackYears || DEFAULT_LOOKBACK_YEARS;
+    const lookbackStart = new Date();
+    lookbackStart.setUTCFullYear(lookbackStart.getUTCFullYear() - lookbackYears);
+
+    const market = await this.loadMarketData(layout.underlyings, lookbackStart);
+    const startIndices = this.selectStartDates(market.calendar, layout, {
+      step: options.step || 'monthly',
+      maxScenarios: options.maxScenarios || DEFAULT_MAX_SCENARIOS,
+      lookbackStart
+    });
+
+    if (startIndices.length === 0) {
+      throw new Error(`Not enough common history to replay a ${Math.round(layout.finalOffsetDays / 30)}-month structure`);
+    }
+
+    console.log(`[BACKTEST] ${templateId}: replaying ${startIndices.length} start dates from ${market.calendar[startIndices[0]]} over ${market.calendar.length} common trading days`);
+
+    const scenarios = [];
+    for (const startIndex of startIndices) {
+      const product = this.buildScenarioProduct(draft, layout, market, startIndex);
+
+      try {
+        const report = await evaluator.generateReport(product, {
+          evaluationDate: new Date(),
+          whatIf: true,
+          skipMonteCarlo: true
+        });
+        scenarios.push(this.extractOutcome(templateId, product, report));
+      } catch (error) {
+        console.error(`[BACKTEST] ❌ Scenario starting ${toDateStr(product.tradeDate)} failed:`, error.message);
+      }
+    }
+
+    console.log(`[BACKTEST] ✅ ${scenarios.length}/${startIndices.length} scenarios evaluated`);
+
+    return {
+      templateId,
+      productTitle: draft.title || 'Draft product',
+      underlyings: layout.underlyings.map(u => ({ ticker: u.ticker, fullTicker: u.fullTicker, name: u.name })),
+      structure: {
+        tenorMonths: Math.round(layout.finalOffsetDays / (MS_PER_YEAR / 12 / MS_PER_DAY)),
+        observationCount: layout.observations.length,
+        structureParams: draft.structureParams || {}
+      },
+      settings: {
+        lookbackYears,
+        step: options.step || 'monthly',
+        historyStart: market.calendar[0],
+        historyEnd: market.calendar[market.calendar.length - 1]
+      },
+      summary: this.summarize(scenarios, layout),
+      scenarios,
+      generatedAt: new Date()
+    };
+  },
+
+  /**
+   * Reduce the draft to what is replayed: underlyings, observation offsets from the
+   * trade date, final observation and maturity offsets.
+   */
+  extractLayout(draft) {
+    const tradeDate = draft.tradeDate ? new Date(draft.tradeDate) : null;
+    const maturityDate = draft.maturity || draft.maturityDate ? new Date(draft.maturity || draft.maturityDate) : null;
+
+    if (!tradeDate || isNaN(tradeDate.getTime()) || !maturityDate || isNaN(maturityDate.getTime())) {
+      throw new Error('Draft product needs a trade date and a maturity date');
+    }
+    if (maturityDate <= tradeDate) {
+      throw new Error('Maturity date must be after the trade date');
+    }
+
+    const underlyings = (draft.underlyings || [])
+      .filter(u => u && u.ticker)
+      .map(u => ({
+        ...u,
+        fullTicker: u.securityData?.ticker || u.fullTicker || (u.ticker.includes('.') ? u.ticker : `${u.ticker}.US`)
+      }));
+
+    if (underlyings.length === 0) {
+      throw new Error('Draft product has no underlyings');
+    }
+
+    const dayOffset = (date) => Math.round((new Date(date) - tradeDate) / MS_PER_DAY);
+
+    const observations = (draft.observationSchedule || [])
+      .filter(obs => obs && obs.observationDate)
+      .sort((a, b) => new Date(a.observationDate) - new Date(b.observationDate))
+      .map(obs => ({
+        ...obs,
+        offsetDays: dayOffset(obs.observationDate),
+        paymentLagDays: obs.valueDate ? Math.max(0, dayOffset(obs.valueDate) - dayOffset(obs.observationDate)) : 0
+      }));
+
+    const finalObservationDate = draft.finalObservation || draft.finalObservationDate ||
+      (observations.length > 0 ? observations[observations.length - 1].observationDate : null);
+    const maturityOffsetDays = dayOffset(maturityDate);
+    const finalOffsetDays = finalObservationDate ? dayOffset(finalObservationDate) : maturityOffsetDays;
+
+    return {
+      underlyings,
+      observations,
+      finalOffsetDays,
+      settlementLagDays: Math.max(0, maturityOffsetDays - finalOffsetDays)
+    };
+  },
+
+  /**
+   * Load cached history for every underlying and build the calendar of trading days
+   * on which all of them have a close.
+   */
+  async loadMarketData(underlyings, lookbackStart) {
+    const closesByTicker = {};
+
+    for (const u of underlyings) {
+      const cacheDoc = await MarketDataCacheCollection.findOneAsync(
+        { fullTicker: u.fullTicker },
+        { fields: { history: 1 } }
+      );
+      const closes = new Map();
+      (cacheDoc?.history || []).forEach(h => {
+        const price = h.close || h.adjustedClose;
+        if (price > 0) {
+          closes.set(toDateStr(h.date), price);
+        }
+      });
+
+      if (closes.size === 0) {
+        throw new Error(`No market data history cached for ${u.fullTicker}`);
+      }
+      closesByTicker[u.fullTicker] = closes;
+    }
+
+    // Trading days common to all underlyings, starting a little before the lookback window
+    // so that the first start dates can be snapped
+    const lowerBound = toDateStr(new Date(lookbackStart.getTime() - 10 * MS_PER_DAY));
+    const [first, ...others] = underlyings.map(u => closesByTicker[u.fullTicker]);
+    const calendar = Array.from(first.keys())
+      .filter(dateStr => dateStr >= lowerBound && others.every(closes => closes.has(dateStr)))
+      .sort();
+
+    return { closesByTicker, calendar };
+  },
+
+  /**
+   * Index of the closest trading day on or before a date (-1 if none)
+   */
+  snapToCalendar(calendar, date) {
+    const target = toDateStr(date);
+    let low = 0;
+    let high = calendar.length - 1;
+    let result = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (calendar[mid] <= target) {
+        result = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * First trading day of each month (or week) in the lookback window whose full
+   * life - up to the final observation - is covered by history. Evenly thinned
+   * when there are more than maxScenarios candidates.
+   */
+  selectStartDates(calendar, layout, { step, maxScenarios, lookbackStart }) {
+    if (calendar.length === 0) return [];
+
+    const lastDate = fromDateStr(calendar[calendar.length - 1]);
+    const lookbackStr = toDateStr(lookbackStart);
+    const bucketOf = (dateStr) => {
+      if (step === 'weekly') {
+        const date = fromDateStr(dateStr);
+        return Math.floor((date.getTime() / MS_PER_DAY + 3) / 7);
+      }
+      return dateStr.substring(0, 7);
+    };
+
+    const candidates = [];
+    let previousBucket = null;
+    calendar.forEach((dateStr, index) => {
+      if (dateStr < lookbackStr) return;
+      const bucket = bucketOf(dateStr);
+      if (bucket === previousBucket) return;
+      previousBucket = bucket;
+
+      const finalDate = new Date(fromDateStr(dateStr).getTime() + layout.finalOffsetDays * MS_PER_DAY);
+      if (finalDate <= lastDate) {
+        candidates.push(index);
+      }
+    });
+
+    if (candidates.length <= maxScenarios) {
+      return candidates;
+    }
+
+    const stride = candidates.length / maxScenarios;
+    return Array.from({ length: maxScenarios }, (_, i) => candidates[Math.floor(i * stride)]);
+  },
+
+  /**
+   * Build the what-if product for one start date. It carries both underlying shapes
+   * read by the evaluators (underlyings for Phoenix, underlyingAssets for Reverse
+   * Convertibles) and pre-set redemption prices, so nothing depends on today's market.
+   */
+  buildScenarioProduct(draft, layout, market, startIndex) {
+    const { calendar, closesByTicker } = market;
+    const startStr = calendar[startIndex];
+    const startDate = fromDateStr(startStr);
+    const shift = (offsetDays) => new Date(startDate.getTime() + offsetDays * MS_PER_DAY);
+    const snap = (offsetDays) => {
+      const index = this.snapToCalendar(calendar, shift(offsetDays));
+      return fromDateStr(calendar[Math.max(index, startIndex)]);
+    };
+
+    const observationSchedule = layout.observations.map(obs => {
+      const { offsetDays, paymentLagDays, ...rest } = obs;
+      const observationDate = snap(offsetDays);
+      return {
+        ...rest,
+        observationDate: observationDate.toISOString(),
+        valueDate: new Date(observationDate.getTime() + paymentLagDays * MS_PER_DAY).toISOString()
+      };
+    });
+
+    const finalObservation = observationSchedule.length > 0
+      ? new Date(observationSchedule[observationSchedule.length - 1].observationDate)
+      : snap(layout.finalOffsetDays);
+    // Reverse Convertibles price on the maturity date itself, so keep it on a trading day
+    const maturity = draft.templateId === 'reverse_convertible'
+      ? finalObservation
+      : new Date(finalObservation.getTime() + layout.settlementLagDays * MS_PER_DAY);
+    const finalStr = toDateStr(finalObservation);
+
+    const underlyings = layout.underlyings.map(u => {
+      const closes = closesByTicker[u.fullTicker];
+      const strike = closes.get(startStr);
+      const finalPrice = {
+        price: closes.get(finalStr),
+        date: finalObservation,
+        source: 'backtest'
+      };
+
+      return {
+        ...u,
+        strike,
+        securityData: {
+          ...(u.securityData || {}),
+          ticker: u.fullTicker,
+          tradeDatePrice: { price: strike, close: strike, date: startDate },
+          redemptionPrice: finalPrice,
+          finalObservationPrice: finalPrice
+        }
+      };
+    });
+
+    const structureParams = draft.structureParams || {};
+
+    return {
+      _id: `backtest-${startStr}`,
+      title: draft.title || 'Draft product',
+      templateId: draft.templateId,
+      currency: draft.currency || 'USD',
+      isWhatIf: true,
+      productStatus: 'matured',
+      tradeDate: startDate,
+      valueDate: startDate,
+      finalObservation,
+      finalObservationDate: finalObservation,
+      maturity,
+      maturityDate: maturity,
+      payoffStructure: draft.payoffStructure || [],
+      structureParams,
+      structureParameters: structureParams,
+      observationSchedule,
+      underlyings,
+      underlyingAssets: underlyings.map(u => ({
+        ticker: u.ticker,
+        fullTicker: u.fullTicker,
+        name: u.name,
+        isin: u.isin,
+        currency: u.securityData?.currency || draft.currency,
+        strike: u.strike,
+        initialPrice: u.strike
+      }))
+    };
+  },
+
+  /**
+   * Read the outcome of one scenario from the evaluator report
+   */
+  extractOutcome(templateId, product, report) {
+    const startDate = new Date(product.tradeDate);
+    let capitalReturn;
+    let coupons;
+    let totalValue;
+    let autocallPeriod = null;
+    let redemptionDate = new Date(product.finalObservation);
+    let worstPerformance = null;
+
+    if (templateId === 'reverse_convertible') {
+      const redemption = report.redemption || {};
+      capitalReturn = redemption.capitalComponent ?? 100;
+      coupons = redemption.coupon || 0;
+      totalValue = redemption.totalValue ?? capitalReturn + coupons;
+      worstPerformance = report.basketPerformance?.current ?? null;
+    } else {
+      const observations = report.observationAnalysis?.observations || [];
+      const callIndex = observations.findIndex(obs => obs.autocalled);
+      if (callIndex >= 0 && !observations[callIndex].isFinal) {
+        autocallPeriod = callIndex + 1;
+        redemptionDate = new Date(observations[callIndex].observationDate);
+      }
+
+      const maturityValue = report.indicativeMaturityValue || {};
+      capitalReturn = maturityValue.capitalReturn ?? 100;
+      coupons = (maturityValue.couponsEarned || 0) + (maturityValue.memoryCoupons || 0);
+      totalValue = maturityValue.totalValue ?? capitalReturn + coupons;
+      worstPerformance = autocallPeriod ? null : (maturityValue.basketPerformance ?? null);
+    }
+
+    const durationYears = Math.max((redemptionDate - startDate) / MS_PER_YEAR, 1 / 365);
+    const annualizedReturn = totalValue > 0
+      ? (Math.pow(totalValue / 100, 1 / durationYears) - 1) * 100
+      : -100;
+
+    return {
+      startDate,
+      startDateFormatted: formatDate(startDate),
+      redemptionDate,
+      redemptionDateFormatted: formatDate(redemptionDate),
+      outcome: autocallPeriod ? 'autocall' : (capitalReturn < 100 ? 'capital_loss' : 'maturity'),
+      autocallPeriod,
+      couponsCollected: coupons,
+      capitalReturn,
+      capitalLoss: Math.max(0, 100 - capitalReturn),
+      totalValue,
+      worstPerformance,
+      durationYears,
+      annualizedReturn
+    };
+  },
+
+  /**
+   * Distribution of outcomes across all scenarios
+   */
+  summarize(scenarios, layout) {
+    const count = scenarios.length;
+    if (count === 0) {
+      return null;
+    }
+
+    const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+    const percentile = (values, p) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))];
+    };
+
+    const autocalled = scenarios.filter(s => s.outcome === 'autocall');
+    const losses = scenarios.filter(s => s.outcome === 'capital_loss');
+    const atMaturity = scenarios.filter(s => s.outcome === 'maturity');
+
+    // Redemption distribution: one bucket per observation where an autocall happened, then maturity
+    const periods = new Map();
+    autocalled.forEach(s => periods.set(s.autocallPeriod, (periods.get(s.autocallPeriod) || 0) + 1));
+    const redemptionDistribution = Array.from(periods.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([period, periodCount]) => {
+        const months = layout.observations[period - 1]
+          ? Math.round(layout.observations[period - 1].offsetDays / (MS_PER_YEAR / 12 / MS_PER_DAY))
+          : null;
+        return {
+          key: `autocall_${period}`,
+          label: months !== null ? `Autocall obs. ${period} (${months}m)` : `Autocall obs. ${period}`,
+          count: periodCount,
+          frequency: periodCount / count * 100
+        };
+      });
+
+    if (atMaturity.length > 0) {
+      redemptionDistribution.push({ key: 'maturity', label: 'Maturity - capital returned', count: atMaturity.length, frequency: atMaturity.length / count * 100 });
+    }
+    if (losses.length > 0) {
+      redemptionDistribution.push({ key: 'capital_loss', label: 'Maturity - capital loss', count: losses.length, frequency: losses.length / count * 100 });
+    }
+
+    // Total redemption value in 10% buckets
+    const valueBuckets = new Map();
+    scenarios.forEach(s => {
+      const floor = Math.floor(s.totalValue / 10) * 10;
+      valueBuckets.set(floor, (valueBuckets.get(floor) || 0) + 1);
+    });
+    const valueDistribution = Array.from(valueBuckets.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([floor, bucketCount]) => ({
+        label: `${floor}-${floor + 10}%`,
+        from: floor,
+        count: bucketCount,
+        frequency: bucketCount / count * 100
+      }));
+
+    const couponValues = scenarios.map(s => s.couponsCollected);
+    const totalValues = scenarios.map(s => s.totalValue);
+    const worst = scenarios.reduce((min, s) => (s.totalValue < min.totalValue ? s : min), scenarios[0]);
+    const best = scenarios.reduce((max, s) => (s.totalValue > max.totalValue ? s : max), scenarios[0]);
+
+    const averageCoupons = average(couponValues);
+    const averageLoss = average(losses.map(s => s.capitalLoss));
+    const averageTotalValue = average(totalValues);
+    const averageAnnualizedReturn = average(scenarios.map(s => s.annualizedReturn));
+    const averageDurationYears = average(scenarios.map(s => s.durationYears));
+
+    return {
+      scenarioCount: count,
+      firstStartDateFormatted: scenarios[0].startDateFormatted,
+      lastStartDateFormatted: scenarios[count - 1].startDateFormatted,
+
+      autocallFrequency: autocalled.length / count * 100,
+      autocallFrequencyFormatted: formatPercent(autocalled.length / count * 100, 1),
+      redemptionDistribution,
+
+      averageCoupons,
+      averageCouponsFormatted: formatPercent(averageCoupons),
+      medianCoupons: percentile(couponValues, 0.5),
+      medianCouponsFormatted: formatPercent(percentile(couponValues, 0.5)),
+
+      capitalLossCount: losses.length,
+      capitalLossFrequency: losses.length / count * 100,
+      capitalLossFrequencyFormatted: formatPercent(losses.length / count * 100, 1),
+      averageLoss,
+      averageLossFormatted: losses.length > 0 ? formatPercent(averageLoss) : 'N/A',
+
+      averageTotalValue,
+      averageTotalValueFormatted: formatPercent(averageTotalValue),
+      percentile5TotalValue: percentile(totalValues, 0.05),
+      percentile5TotalValueFormatted: formatPercent(percentile(totalValues, 0.05)),
+      averageAnnualizedReturn,
+      averageAnnualizedReturnFormatted: formatPercent(averageAnnualizedReturn),
+      averageDurationYears,
+      averageDurationYearsFormatted: `${averageDurationYears.toFixed(2)} years`,
+      valueDistribution,
+
+      worstScenario: worst,
+      bestScenario: best
+    };
+  }
+};
@@ -2,6 +2,7 @@ import { MarketDataCacheCollection } from '/imports/api/marketDataCache';
 import { ManualPriceTrackersCollection } from '/imports/api/manualPriceTrackers';
 import { SharedEvaluationHelpers } from './sharedEvaluationHelpers';
 import { getSplitAdjustedStrike } from '/imports/api/splitAdjustment';
+import { getEvaluationDate, isHistoricalEvaluation, priceOnOrBefore } from './evaluationDate';
 
 /**
  * Reverse Convertible Evaluation Helpers
@@ -134,6 +135,27 @@ export const ReverseConvertibleEvaluationHelpers = {
         }
       }
 
+      // Historical evaluation: close on or before the as-of date (or maturity if earlier)
+      if (isHistoricalEvaluation(product)) {
+        const historical = priceOnOrBefore(cacheDoc, pricingDate);
+        if (historical) {
+          return {
+            currentPrice: historical.price,
+            priceDate: historical.date,
+            priceSource: 'historical_as_of',
+            hasCurrentData: true
+          };
+        }
+
+        console.warn(`[Reverse Convertible] No price on or before ${new Date(pricingDate).toISOString().split('T')[0]} for ${fullTicker}`);
+        return {
+          currentPrice: asset.initialPrice || 0,
+          priceDate: null,
+          priceSource: 'initial_fallback_error',
+          hasCurrentData: false
+        };
+      }
+
       if (!cacheDoc || !cacheDoc.currentPrice) {
         // Fallback: check manual price tracker by ISIN
         const isin = asset.isin || asset.securityData?.isin;
@@ -213,7 +235,7 @@ export const ReverseConvertibleEvaluationHelpers = {
    * Determine pricing date (current date for live products, maturity date for matured)
    */
   getPricingDate(product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = product.maturity || product.maturityDate;
 
     if (!maturityDate) return now;
@@ -226,7 +248,7 @@ export const ReverseConvertibleEvaluationHelpers = {
    * Get price level label (Current Level vs Redemption Level)
    */
   getPriceLevelLabel(product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = product.maturity || product.maturityDate;
 
     if (!maturityDate) return 'Current Level';
@@ -352,7 +374,7 @@ export const ReverseConvertibleEvaluationHelpers = {
    * Build product status
    */
   buildProductStatus(product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = new Date(product.maturity || product.maturityDate);
     const hasMatured = now > maturityDate;
 
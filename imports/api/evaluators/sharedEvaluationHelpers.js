@@ -1,6 +1,7 @@
 import { MarketDataHelpers, MarketDataCacheCollection } from '/imports/api/marketDataCache';
 import { EODApiHelpers } from '/imports/api/eodApi';
 import { getSplitAdjustedStrike } from '/imports/api/splitAdjustment';
+import { getEvaluationDate } from './evaluationDate';
 
 /**
  * Shared Evaluation Helpers
@@ -31,7 +32,7 @@ export const SharedEvaluationHelpers = {
       return;
     }
 
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -153,7 +154,7 @@ export const SharedEvaluationHelpers = {
    * Priority: redemption price > final observation price > live price
    */
   getEvaluationPrice(underlying, product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -231,7 +232,7 @@ export const SharedEvaluationHelpers = {
     if (isNaN(start.getTime())) return null;
 
     // End date: evaluation date or now
-    const end = new Date();
+    const end = getEvaluationDate(product);
 
     // Try to find the cache document
     let cacheDoc = await MarketDataCacheCollection.findOneAsync({ fullTicker });
@@ -347,7 +348,7 @@ export const SharedEvaluationHelpers = {
           // Check for stale price data (only if we have a price date)
           if (evaluationPriceInfo.date && evaluationPriceInfo.source === 'live') {
             const priceDate = new Date(evaluationPriceInfo.date);
-            const now = new Date();
+            const now = getEvaluationDate(product);
             const daysSinceUpdate = Math.floor((now - priceDate) / (1000 * 60 * 60 * 24));
 
             if (daysSinceUpdate > STALE_DATA_THRESHOLD_DAYS) {
@@ -438,7 +439,7 @@ export const SharedEvaluationHelpers = {
    */
   buildProductStatus(product, options = {}) {
     const { issueCollector } = options;
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const finalObsDate = product.finalObservation || product.finalObservationDate;
     const maturityDate = product.maturity || product.maturityDate;
 
@@ -499,7 +500,7 @@ export const SharedEvaluationHelpers = {
    */
   calculateDaysToMaturity(product) {
     const maturityDate = new Date(product.maturity || product.maturityDate);
-    const today = new Date();
+    const today = getEvaluationDate(product);
     const diffTime = maturityDate - today;
     return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   },
@@ -509,7 +510,7 @@ export const SharedEvaluationHelpers = {
    */
   checkIfMatured(product) {
     const maturityDate = new Date(product.maturity || product.maturityDate);
-    return new Date() >= maturityDate;
+    return getEvaluationDate(product) >= maturityDate;
   },
 
   /**
@@ -518,7 +519,7 @@ export const SharedEvaluationHelpers = {
   getNextObservationDate(product) {
     // This would be calculated based on observation schedule
     // For now, just return a future date
-    const nextDate = new Date();
+    const nextDate = getEvaluationDate(product);
     nextDate.setMonth(nextDate.getMonth() + 3); // Quarterly
     return nextDate;
   },
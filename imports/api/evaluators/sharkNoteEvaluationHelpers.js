@@ -1,6 +1,7 @@
 import { MarketDataHelpers } from '/imports/api/marketDataCache';
 import { SharedEvaluationHelpers } from './sharedEvaluationHelpers';
 import { getSplitAdjustedStrike } from '/imports/api/splitAdjustment';
+import { getEvaluationDate } from './evaluationDate';
 
 /**
  * Shark Note Evaluation Helpers
@@ -23,7 +24,7 @@ export const SharkNoteEvaluationHelpers = {
       return;
     }
 
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = product.maturity || product.maturityDate;
     const isMaturityPassed = maturityDate && new Date(maturityDate) <= now;
 
@@ -79,7 +80,7 @@ export const SharkNoteEvaluationHelpers = {
    * Get evaluation price for Shark Note products
    */
   getEvaluationPrice(underlying, product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = product.maturity || product.maturityDate;
     const isRedeemed = maturityDate && new Date(maturityDate) <= now;
 
@@ -142,7 +143,7 @@ export const SharkNoteEvaluationHelpers = {
     }
 
     const tradeDate = new Date(product.tradeDate || product.valueDate);
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = new Date(product.maturity || product.maturityDate);
     const endDate = maturityDate < now ? maturityDate : now;
 
@@ -366,7 +367,7 @@ export const SharkNoteEvaluationHelpers = {
    * Build product status information
    */
   buildProductStatus(product) {
-    const now = new Date();
+    const now = getEvaluationDate(product);
     const maturityDate = product.maturity || product.maturityDate;
     const isMaturityPassed = maturityDate && new Date(maturityDate) <= now;
 
@@ -98,6 +98,11 @@ export const EventDetector = {
           data: {
             couponRate: currObs.couponPaid,
             couponRateFormatted: currObs.couponPaidFormatted,
+            // Scheduled coupon for this observation (differs between periods for snowball products)
+            scheduledCouponRate: currObs.couponRate ?? null,
+            scheduledCouponRateFormatted: currObs.couponRateFormatted || null,
+            couponBarrier: currObs.couponBarrier ?? null,
+            couponBarrierFormatted: currObs.couponBarrierFormatted || null,
             observationType: currObs.observationType,
             basketLevel: currObs.basketLevel,
             basketLevelFormatted: currObs.basketLevelFormatted,
@@ -140,6 +145,8 @@ export const EventDetector = {
             basketLevelFormatted: autocallObs.basketLevelFormatted,
             couponPaid: autocallObs.couponPaid,
             couponPaidFormatted: autocallObs.couponPaidFormatted,
+            couponBarrier: autocallObs.couponBarrier ?? null,
+            couponBarrierFormatted: autocallObs.couponBarrierFormatted || null,
             observationIndex: currentObs.observations.indexOf(autocallObs) + 1,
             redemptionDate: autocallObs.paymentDateFormatted || autocallObs.observationDateFormatted,
             hasMemoryAutocall: currentObs.hasMemoryAutocall
@@ -337,8 +344,8 @@ export const EventDetector = {
       const isMemoryAdded = currObs.memoryCouponAdded;
 
       if (!wasMemoryAdded && isMemoryAdded && currObs.hasOccurred) {
-        const phoenixStructure = currentReport?.templateResults?.phoenixStructure;
-        const couponRate = phoenixStructure?.couponRate || 0;
+        // Per-observation coupon (step-down / snowball schedules), stored in memory for this period
+        const couponRate = currObs.couponInMemory || currObs.couponRate || 0;
 
         events.push({
           type: EVENT_TYPES.MEMORY_COUPON_ADDED,
@@ -349,6 +356,8 @@ export const EventDetector = {
             couponRateFormatted: `${couponRate.toFixed(1)}%`,
             basketLevel: currObs.basketLevel,
             basketLevelFormatted: currObs.basketLevelFormatted,
+            couponBarrier: currObs.couponBarrier ?? null,
+            couponBarrierFormatted: currObs.couponBarrierFormatted || null,
             totalMemoryCoupons: currObs.couponInMemory,
             totalMemoryCouponsFormatted: currObs.couponInMemoryFormatted,
             observationIndex: index + 1
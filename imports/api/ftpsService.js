@@ -0,0 +1,306 @@
+import net from 'net';
+import tls from 'tls';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * FTPS Service for custodians that publish files on an FTP server over TLS
+ *
+ * Minimal FTP client on Node's net/tls modules:
+ * - 'explicit' mode: plain connection on port 21 upgraded with AUTH TLS
+ * - 'implicit' mode: TLS from the first byte (usually port 990)
+ * Data connections are passive, protected (PROT P) and reuse the control TLS session,
+ * which most servers require.
+ */
+
+/**
+ * Open an authenticated FTPS control session
+ */
+function openFtpsSession({ host, port, username, password, ftpsMode = 'explicit', timeout = 30000 }) {
+  const controlPort = port || (ftpsMode === 'implicit' ? 990 : 21);
+
+  return new Promise((resolve, reject) => {
+    let socket;
+    let buffer = '';
+    let multilineCode = null;
+    let closed = false;
+    const responses = [];
+    const waiters = [];
+
+    // Multi-line replies ("123-...") end with a line starting "123 "
+    const onData = (chunk) => {
+      buffer += chunk.toString('utf8');
+      let crlf;
+      while ((crlf = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, crlf).replace(/\r$/, '');
+        buffer = buffer.slice(crlf + 1);
+
+        const match = line.match(/^(\d{3})([ -])(.*)$/);
+        if (!match) continue;
+        if (multilineCode && match[1] !== multilineCode) continue;
+
+        if (match[2] === '-') {
+          multilineCode = match[1];
+          continue;
+        }
+        multilineCode = null;
+
+        const response = { code: parseInt(match[1], 10), text: match[3] };
+        if (waiters.length > 0) {
+          waiters.shift().resolve(response);
+        } else {
+          responses.push(response);
+        }
+      }
+    };
+
+    const readResponse = () => {
+      if (responses.length > 0) return Promise.resolve(responses.shift());
+      if (closed) return Promise.reject(new Error('FTPS connection closed'));
+      return new Promise((res, rej) => waiters.push({ resolve: res, reject: rej }));
+    };
+
+    const failAll = (error) => {
+      while (waiters.length > 0) waiters.shift().reject(error);
+    };
+
+    const attach = (s) => {
+      s.setTimeout(timeout);
+      s.on('data', onData);
+      s.on('timeout', () => s.destroy(new Error(`FTPS timeout after ${timeout}ms`)));
+      s.on('error', (err) => {
+        failAll(new Error(`FTPS connection failed: ${err.message}`));
+        reject(new Error(`FTPS connection failed: ${err.message}`));
+      });
+      s.on('close', () => {
+        closed = true;
+        failAll(new Error('FTPS connection closed by server'));
+      });
+    };
+
+    const session = {
+      async send(command, expectedCodes) {
+        socket.write(`${command}\r\n`);
+        const response = await readResponse();
+        if (expectedCodes && !expectedCodes.includes(response.code)) {
+          const shown = command.startsWith('PASS ') ? 'PASS ****' : command;
+          throw new Error(`FTPS ${shown} failed: ${response.code} ${response.text}`);
+        }
+        return response;
+      },
+
+      /**
+       * Run a command that transfers data (LIST/MLSD/NLST/RETR) over a passive data connection
+       * @param {Stream.Writable|null} sink - Stream receiving the data, or null to collect it in a Buffer
+       */
+      async transfer(command, sink = null) {
+        const pasv = await session.send('PASV', [227]);
+        const numbers = pasv.text.match(/(\d+),(\d+),(\d+),(\d+),(\d+),(\d+)/);
+        if (!numbers) {
+          throw new Error(`Unexpected PASV reply: ${pasv.text}`);
+        }
+        // Use the control host rather than the advertised IP (servers behind NAT advertise private addresses)
+        const dataPort = parseInt(numbers[5], 10) * 256 + parseInt(numbers[6], 10);
+
+        const dataSocket = tls.connect({ host, port: dataPort, servername: host, session: socket.getSession() });
+        dataSocket.setTimeout(timeout);
+
+        const chunks = [];
+        const dataDone = new Promise((res, rej) => {
+          dataSocket.on('timeout', () => dataSocket.destroy(new Error(`FTPS data timeout after ${timeout}ms`)));
+          dataSocket.on('error', rej);
+          if (sink) {
+            dataSocket.pipe(sink);
+            sink.on('finish', res);
+            sink.on('error', rej);
+          } else {
+            dataSocket.on('data', chunk => chunks.push(chunk));
+            dataSocket.on('end', res);
+          }
+        });
+
+        let preliminary;
+        try {
+          preliminary = await session.send(command, [125, 150]);
+          await dataDone;
+        } catch (err) {
+          dataDone.catch(() => {});
+          dataSocket.destroy();
+          if (sink) sink.destroy();
+          throw err;
+        }
+        const completion = await readResponse();
+        if (completion.code !== 226 && completion.code !== 250) {
+          throw new Error(`FTPS ${command} failed: ${completion.code} ${completion.text}`);
+        }
+
+        return { preliminary, data: Buffer.concat(chunks) };
+      },
+
+      async quit() {
+        try {
+          await session.send('QUIT');
+        } catch (e) {
+          // Connection may already be gone
+        }
+        socket.end();
+      }
+    };
+
+    const login = async () => {
+      try {
+        await session.send(`USER ${username}`, [230, 331]).then(res =>
+          res.code === 331 ? session.send(`PASS ${password}`, [230, 202]) : res);
+        await session.send('PBSZ 0', [200]);
+        await session.send('PROT P', [200]);
+        await session.send('TYPE I', [200]);
+        console.log(`[FTPS] Logged in to ${host}:${controlPort} as ${username} (${ftpsMode})`);
+        resolve(session);
+      } catch (err) {
+        socket.end();
+        reject(err);
+      }
+    };
+
+    if (ftpsMode === 'implicit') {
+      socket = tls.connect({ host, port: controlPort, servername: host });
+      attach(socket);
+      readResponse().then(greeting => (greeting.code === 220 ? login() : reject(new Error(`FTPS greeting: ${greeting.code} ${greeting.text}`))), reject);
+      return;
+    }
+
+    // Explicit: greet in clear text, then upgrade the same socket
+    const plain = net.connect({ host, port: controlPort });
+    socket = plain;
+    attach(plain);
+
+    readResponse()
+      .then(greeting => {
+        if (greeting.code !== 220) throw new Error(`FTPS greeting: ${greeting.code} ${greeting.text}`);
+        return session.send('AUTH TLS', [234]);
+      })
+      .then(() => {
+        plain.removeListener('data', onData);
+        socket = tls.connect({ socket: plain, servername: host });
+        attach(socket);
+        socket.once('secureConnect', login);
+      })
+      .catch(reject);
+  });
+}
+
+/**
+ * Parse MLSD facts ("type=file;size=123;modify=20260115083000; name")
+ */
+function parseMlsd(text) {
+  return text.split(/\r?\n/).filter(Boolean).map(line => {
+    const spaceIndex = line.indexOf(' ');
+    const facts = {};
+    line.slice(0, spaceIndex).split(';').filter(Boolean).forEach(fact => {
+      const [key, value] = fact.split('=');
+      facts[key.toLowerCase()] = value;
+    });
+    const modify = facts.modify;
+    const type = (facts.type || '').toLowerCase();
+    return {
+      name: line.slice(spaceIndex + 1),
+      isDirectory: type === 'dir' || type === 'cdir' || type === 'pdir',
+      size: facts.size ? parseInt(facts.size, 10) : null,
+      modified: modify
+        ? new Date(Date.UTC(+modify.slice(0, 4), +modify.slice(4, 6) - 1, +modify.slice(6, 8), +modify.slice(8, 10), +modify.slice(10, 12), +modify.slice(12, 14)))
+        : null
+    };
+  }).filter(entry => entry.name && entry.name !== '.' && entry.name !== '..');
+}
+
+/**
+ * List a directory on an open session (MLSD, NLST fallback for older servers)
+ */
+async function listOnSession(session, remotePath) {
+  if (remotePath && remotePath !== '/') {
+    await session.send(`CWD ${remotePath}`, [250]);
+  }
+
+  try {
+    const { data } = await session.transfer('MLSD');
+    return parseMlsd(data.toString('utf8'));
+  } catch (err) {
+    console.warn(`[FTPS] MLSD unavailable (${err.message}), falling back to NLST`);
+    const { data } = await session.transfer('NLST');
+    return data.toString('utf8').split(/\r?\n/).filter(Boolean)
+      .map(name => ({ name: path.posix.basename(name), isDirectory: false, size: null, modified: null }));
+  }
+}
+
+export const FTPSService = {
+  /**
+   * Test FTPS login and directory listing
+   */
+  async testConnection(config) {
+    const session = await openFtpsSession(config);
+    try {
+      const files = await listOnSession(session, config.remotePath);
+      return {
+        success: true,
+        message: 'Connection successful',
+        connected: true,
+        fileCount: files.filter(f => !f.isDirectory).length,
+        timestamp: new Date()
+      };
+    } finally {
+      await session.quit();
+    }
+  },
+
+  /**
+   * List files in the remote directory
+   */
+  async listFiles(config, remotePath = '/') {
+    const session = await openFtpsSession(config);
+    try {
+      return await listOnSession(session, remotePath);
+    } finally {
+      await session.quit();
+    }
+  },
+
+  /**
+   * List and download in a single session. Each file is written to a .part file
+   * and renamed once the transfer completed.
+   *
+   * @param {Function} fileFilter - Optional (filename) => boolean
+   * @returns {Promise<Object>} { downloadedFiles: [], errors: [], totalFound }
+   */
+  async downloadAllFiles(config, remotePath, localBasePath, fileFilter = null) {
+    const session = await openFtpsSession({ timeout: 120000, ...config });
+    const downloadedFiles = [];
+    const errors = [];
+
+    try {
+      const files = (await listOnSession(session, remotePath)).filter(f => !f.isDirectory);
+      const filesToDownload = fileFilter ? files.filter(f => fileFilter(f.name)) : files;
+
+      console.log(`[FTPS] Found ${files.length} files, downloading ${filesToDownload.length}`);
+
+      for (const file of filesToDownload) {
+        const localFile = path.join(localBasePath, path.basename(file.name));
+        const partFile = `${localFile}.part`;
+
+        try {
+          await session.transfer(`RETR ${file.name}`, fs.createWriteStream(partFile));
+          fs.renameSync(partFile, localFile);
+          downloadedFiles.push(file.name);
+          console.log(`[FTPS] Downloaded: ${file.name}`);
+        } catch (downloadErr) {
+          fs.rmSync(partFile, { force: true });
+          console.error(`[FTPS] Failed to download ${file.name}: ${downloadErr.message}`);
+          errors.push({ file: file.name, error: downloadErr.message });
+        }
+      }
+
+      return { downloadedFiles, errors, totalFound: files.length };
+    } finally {
+      await session.quit();
+    }
+  }
+};
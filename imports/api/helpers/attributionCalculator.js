@@ -0,0 +1,299 @@
+/**
+ * Attribution Calculator
+ *
+ * Pure functions explaining a TWR: contribution to return per security and
+ * Brinson-Fachler attribution (allocation vs selection) at the four profile
+ * categories used by aggregateToFourCategories (cash, bonds, equities,
+ * alternative).
+ *
+ * Works on the same steps as calculateDailyTWR. For a step ending on day t:
+ * - security P&L = MV_t - MV_{t-1} - net trade flow on t
+ *   (buys/subscriptions positive, sales/redemptions/income negative)
+ * - security contribution = P&L / (V_start + external flow), the TWR denominator
+ * - whatever the securities do not explain (cash interest, fees, taxes, FX
+ *   on cash) is the "Cash, fees & other" residual and counts as cash
+ * - when accounts are translated into another reporting currency, positions
+ *   are also valued at the previous day's rates: securities keep the P&L at
+ *   constant FX and the translation effect is a separate "Currency
+ *   translation" line (a currency effect in the Brinson totals)
+ *
+ * Daily contributions are linked with the cumulative portfolio return, and
+ * daily Brinson effects with GRAP factors, so period results add up exactly
+ * to the period TWR and the period active return.
+ *
+ * Follows the twrCalculator.js pattern - no DB access, pure computation.
+ */
+
+export const ATTRIBUTION_CATEGORIES = ['cash', 'bonds', 'equities', 'alternative'];
+
+// Key of the residual line in the security contribution list
+export const RESIDUAL_KEY = '__cash_fees_other__';
+
+// Key of the currency translation line in the security contribution list
+export const FX_TRANSLATION_KEY = '__currency_translation__';
+
+const emptyByCategory = () => Object.fromEntries(ATTRIBUTION_CATEGORIES.map(c => [c, 0]));
+
+/**
+ * Daily security contributions over a period
+ *
+ * A position that appears or disappears without a trade flow is treated as
+ * a transfer in kind (no P&L). Days neutralized by calculateDailyTWR (extreme
+ * moves clamped to 0) contribute nothing.
+ *
+ * @param {Object} params
+ * @param {Array} params.twrSeries - calculateDailyTWR output [{ date, dailyReturn, vStart, vEnd, cashFlow }]
+ * @param {Object} params.positions - { 'YYYY-MM-DD': { [securityKey]: marketValue } }, must include the day before each step
+ * @param {Object} params.flows - { 'YYYY-MM-DD': { [securityKey]: signed trade amount } }
+ * @param {Object} params.securities - { [securityKey]: { isin, name, category } }
+ * @param {string} params.baseDate - Last date before the period (first step is the one after it)
+ * @param {Object} [params.constantFxPositions] - Same as positions, valued at the previous day's FX rates
+ * @param {Array} [params.fxSeries] - calculateFxTranslationSeries output [{ date, fxEffect }]
+ * @returns {Object} { steps: [{ date, portfolioReturn, fxReturn, weights, contributions }],
+ *   securities: [{ key, isin, name, category, contribution, pnl, averageWeight }],
+ *   portfolioReturn, fxContribution, clampedDays }
+ */
+export const calculateSecurityContributions = ({
+  twrSeries,
+  positions,
+  flows,
+  securities,
+  baseDate,
+  constantFxPositions = null,
+  fxSeries = null
+}) => {
+  const steps = [];
+  const totals = {};
+  const fxEffectByDate = new Map((fxSeries || []).map(e => [e.date, e.fxEffect]));
+  let linkFactor = 1;
+  let clampedDays = 0;
+  let previousDate = baseDate;
+
+  const totalFor = (key) => {
+    if (!totals[key]) totals[key] = { contribution: 0, pnl: 0, weightSum: 0 };
+    return totals[key];
+  };
+
+  for (const entry of twrSeries) {
+    if (entry.date <= baseDate) continue;
+
+    const startValues = positions[previousDate] || {};
+    const endValues = positions[entry.date] || {};
+    const endValuesAtStartFx = constantFxPositions ? (constantFxPositions[entry.date] || {}) : endValues;
+    const dayFlows = flows[entry.date] || {};
+    previousDate = entry.date;
+
+    const denominator = entry.vStart + entry.cashFlow;
+    const rawReturn = denominator > 0 ? (entry.vEnd - entry.vStart - entry.cashFlow) / denominator : 0;
+    const isNeutralized = denominator <= 0 || Math.abs(rawReturn - entry.dailyReturn) > 1e-9;
+    if (denominator > 0 && isNeutralized) clampedDays++;
+
+    const fxReturn = isNeutralized ? 0 : (fxEffectByDate.get(entry.date) || 0);
+
+    const weights = emptyByCategory();
+    const contributions = emptyByCategory();
+    let explained = 0;
+    let explainedPnl = 0;
+    let investedWeight = 0;
+
+    const keys = new Set([...Object.keys(startValues), ...Object.keys(endValues), ...Object.keys(dayFlows)]);
+    for (const key of keys) {
+      const mvStart = startValues[key] || 0;
+      const mvEnd = endValues[key] || 0;
+      const flow = dayFlows[key] || 0;
+      const category = securities[key]?.category || 'alternative';
+
+      const isTransferInKind = flow === 0 && (mvStart === 0 || mvEnd === 0);
+      const pnl = isTransferInKind ? 0 : (endValuesAtStartFx[key] || 0) - mvStart - flow;
+      const weight = denominator > 0 ? mvStart / denominator : 0;
+      const contribution = isNeutralized ? 0 : pnl / denominator;
+
+      weights[category] += weight;
+      contributions[category] += contribution;
+      investedWeight += weight;
+      explained += contribution;
+
+      const total = totalFor(key);
+      total.contribution += contribution * linkFactor;
+      total.pnl += isNeutralized ? 0 : pnl;
+      total.weightSum += weight;
+      if (!isNeutralized) explainedPnl += pnl;
+    }
+
+    // Currency translation into the reporting currency
+    const fxPnl = fxReturn * denominator;
+    if (fxSeries) {
+      const translation = totalFor(FX_TRANSLATION_KEY);
+      translation.contribution += fxReturn * linkFactor;
+      translation.pnl += fxPnl;
+    }
+
+    // Residual: cash, accrued interest, fees, taxes
+    const residualContribution = isNeutralized ? 0 : entry.dailyReturn - fxReturn - explained;
+    weights.cash += 1 - investedWeight;
+    contributions.cash += residualContribution;
+
+    const residual = totalFor(RESIDUAL_KEY);
+    residual.contribution += residualContribution * linkFactor;
+    residual.pnl += isNeutralized ? 0 : (entry.vEnd - entry.vStart - entry.cashFlow) - fxPnl - explainedPnl;
+    residual.weightSum += denominator > 0 ? 1 - investedWeight : 0;
+
+    steps.push({
+      date: entry.date,
+      portfolioReturn: entry.dailyReturn,
+      fxReturn,
+      weights,
+      contributions
+    });
+
+    linkFactor *= (1 + entry.dailyReturn);
+  }
+
+  const stepCount = steps.length || 1;
+  const securityRows = Object.entries(totals).map(([key, total]) => {
+    if (key === FX_TRANSLATION_KEY) {
+      return {
+        key,
+        isin: null,
+        name: 'Currency translation',
+        category: null,
+        isResidual: true,
+        contribution: total.contribution,
+        pnl: total.pnl,
+        averageWeight: null
+      };
+    }
+    return {
+      key,
+      isin: key === RESIDUAL_KEY ? null : (securities[key]?.isin || null),
+      name: key === RESIDUAL_KEY ? 'Cash, fees & other' : (securities[key]?.name || key),
+      category: key === RESIDUAL_KEY ? 'cash' : (securities[key]?.category || 'alternative'),
+      isResidual: key === RESIDUAL_KEY,
+      contribution: total.contribution,
+      pnl: total.pnl,
+      averageWeight: total.weightSum / stepCount
+    };
+  });
+
+  return {
+    steps,
+    securities: securityRows.sort((a, b) => b.contribution - a.contribution),
+    portfolioReturn: linkFactor - 1,
+    fxContribution: totals[FX_TRANSLATION_KEY]?.contribution ?? null,
+    clampedDays
+  };
+};
+
+/**
+ * Brinson-Fachler attribution per category, linked over the period (GRAP)
+ *
+ * Per step and category c, with portfolio weight w_p, contribution c_p,
+ * benchmark weight w_b, benchmark category return r_b,c and benchmark
+ * return r_b = sum(w_b * r_b,c):
+ *   allocation = (w_p - w_b) * (r_b,c - r_b)
+ *   selection  = c_p - w_p * r_b,c   (selection + interaction)
+ * A category the benchmark does not hold uses r_b,c = r_b (no allocation
+ * effect, its whole return is selection). The currency translation return
+ * of a step (fxReturn, not in the category contributions) is a currency effect.
+ *
+ * Step effects are scaled by prod(1 + R_p) before the step and
+ * prod(1 + R_b) after it, so they sum to (1 + R_p) - (1 + R_b) over the period.
+ * Steps the benchmark could not price (null total) are left out on both sides.
+ *
+ * @param {Array} steps - calculateSecurityContributions().steps
+ * @param {Object} benchmark - buildBenchmarkCategorySeries output { weights, series }
+ * @returns {Object} { categories: [...], totals, portfolioReturn, benchmarkReturn, activeReturn, skippedSteps }
+ *   where totals = { allocationEffect, selectionEffect, currencyEffect, totalEffect }
+ */
+export const calculateBrinsonAttribution = (allSteps, benchmark) => {
+  const benchmarkWeights = { ...emptyByCategory(), ...(benchmark?.weights || {}) };
+  const benchmarkByDate = new Map((benchmark?.series || []).map(b => [b.date, b]));
+  const steps = allSteps.filter(step => benchmarkByDate.get(step.date)?.total !== null);
+
+  const stepEffects = steps.map(step => {
+    const bench = benchmarkByDate.get(step.date);
+    const heldReturns = {};
+    let benchmarkReturn = 0;
+    for (const category of ATTRIBUTION_CATEGORIES) {
+      if (benchmarkWeights[category] > 0) {
+        heldReturns[category] = bench?.byCategory?.[category] ?? bench?.total ?? 0;
+        benchmarkReturn += benchmarkWeights[category] * heldReturns[category];
+      }
+    }
+
+    const effects = {};
+    for (const category of ATTRIBUTION_CATEGORIES) {
+      const categoryReturn = heldReturns[category] ?? benchmarkReturn;
+      const portfolioWeight = step.weights[category];
+      effects[category] = {
+        categoryReturn,
+        allocation: (portfolioWeight - benchmarkWeights[category]) * (categoryReturn - benchmarkReturn),
+        selection: step.contributions[category] - portfolioWeight * categoryReturn
+      };
+    }
+
+    return { step, benchmarkReturn, effects };
+  });
+
+  // GRAP: suffix products of (1 + R_b)
+  const benchmarkAfter = new Array(stepEffects.length).fill(1);
+  for (let i = stepEffects.length - 2; i >= 0; i--) {
+    benchmarkAfter[i] = benchmarkAfter[i + 1] * (1 + stepEffects[i + 1].benchmarkReturn);
+  }
+
+  const rows = Object.fromEntries(ATTRIBUTION_CATEGORIES.map(category => [category, {
+    category,
+    portfolioWeight: 0,
+    benchmarkWeight: benchmarkWeights[category],
+    portfolioContribution: 0,
+    benchmarkReturn: 1,
+    allocationEffect: 0,
+    selectionEffect: 0
+  }]));
+
+  let portfolioFactor = 1;
+  let benchmarkFactor = 1;
+  let currencyEffect = 0;
+
+  stepEffects.forEach(({ step, benchmarkReturn, effects }, i) => {
+    const factor = portfolioFactor * benchmarkAfter[i];
+    currencyEffect += (step.fxReturn || 0) * factor;
+    for (const category of ATTRIBUTION_CATEGORIES) {
+      const row = rows[category];
+      row.portfolioWeight += step.weights[category];
+      row.portfolioContribution += step.contributions[category] * portfolioFactor;
+      row.benchmarkReturn *= (1 + effects[category].categoryReturn);
+      row.allocationEffect += effects[category].allocation * factor;
+      row.selectionEffect += effects[category].selection * factor;
+    }
+    portfolioFactor *= (1 + step.portfolioReturn);
+    benchmarkFactor *= (1 + benchmarkReturn);
+  });
+
+  const stepCount = steps.length || 1;
+  const categories = ATTRIBUTION_CATEGORIES.map(category => {
+    const row = rows[category];
+    return {
+      ...row,
+      portfolioWeight: row.portfolioWeight / stepCount,
+      benchmarkReturn: row.benchmarkWeight > 0 ? row.benchmarkReturn - 1 : null,
+      totalEffect: row.allocationEffect + row.selectionEffect
+    };
+  });
+
+  const totals = categories.reduce((sum, row) => ({
+    allocationEffect: sum.allocationEffect + row.allocationEffect,
+    selectionEffect: sum.selectionEffect + row.selectionEffect,
+    currencyEffect: sum.currencyEffect,
+    totalEffect: sum.totalEffect + row.totalEffect
+  }), { allocationEffect: 0, selectionEffect: 0, currencyEffect, totalEffect: currencyEffect });
+
+  return {
+    categories,
+    totals,
+    portfolioReturn: portfolioFactor - 1,
+    benchmarkReturn: benchmarkFactor - 1,
+    activeReturn: portfolioFactor - benchmarkFactor,
+    skippedSteps: allSteps.length - steps.length
+  };
+};
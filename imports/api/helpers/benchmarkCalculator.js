@@ -0,0 +1,328 @@
+/**
+ * Benchmark Calculator
+ *
+ * Pure functions for building composite benchmark series and comparing
+ * them against a portfolio TWR series (excess return, tracking error,
+ * information ratio).
+ *
+ * Composites are rebalanced to their target weights at every observation
+ * date, so the benchmark daily return is the weighted sum of component
+ * returns between two consecutive portfolio dates. Components without a
+ * price on either date are dropped for that step and the remaining weights
+ * are renormalized. A step where no component is priced has no benchmark
+ * return (null) and is left out of the comparison rather than counted as 0%.
+ *
+ * Follows the twrCalculator.js pattern - no DB access, pure computation.
+ */
+
+// Below this many paired observations, tracking error / IR are not meaningful
+export const MIN_RISK_OBSERVATIONS = 20;
+
+// Steps priced on less than this share of the target weight are reported as low coverage
+export const LOW_COVERAGE_WEIGHT = 0.8;
+
+const toDateKey = (date) => {
+  if (!date) return null;
+  if (typeof date === 'string') return date.split('T')[0];
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Normalize benchmark components so weights sum to 1
+ * Accepts weights in percent (40) or decimals (0.4).
+ *
+ * @param {Array} components - [{ ticker, weight, label, category }]
+ * @returns {Array} [{ ticker, weight, label, category }] with weight as decimal
+ */
+export const normalizeComponents = (components) => {
+  const valid = (components || []).filter(c => c && c.ticker && c.weight > 0);
+  const total = valid.reduce((sum, c) => sum + c.weight, 0);
+  if (total <= 0) return [];
+
+  return valid.map(c => ({
+    ticker: c.ticker,
+    label: c.label || c.ticker,
+    category: c.category || null,
+    weight: c.weight / total
+  }));
+};
+
+/**
+ * Build a sorted price lookup from a MarketDataCache history array
+ * Uses adjustedClose when available so distributions count as return.
+ *
+ * @param {Array} history - [{ date, close, adjustedClose }]
+ * @returns {Array} [{ date: 'YYYY-MM-DD', price }] sorted ascending
+ */
+export const buildPriceLookup = (history) => {
+  return (history || [])
+    .map(h => ({
+      date: toDateKey(h.date),
+      price: h.adjustedClose || h.close
+    }))
+    .filter(p => p.date && p.price > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+/**
+ * Convert price histories into another currency day by day
+ * Points without a rate on their date are dropped.
+ *
+ * @param {Object} priceHistories - { [ticker]: history[] } from MarketDataCache
+ * @param {Function} rateOn - ('YYYY-MM-DD') => multiplier into the target currency, or null
+ * @returns {Object} { [ticker]: history[] } with close and adjustedClose converted
+ */
+export const convertPriceHistories = (priceHistories, rateOn) => {
+  const converted = {};
+  for (const [ticker, history] of Object.entries(priceHistories || {})) {
+    converted[ticker] = (history || []).reduce((points, h) => {
+      const rate = h.date ? rateOn(toDateKey(h.date)) : null;
+      if (rate > 0) {
+        points.push({
+          ...h,
+          close: h.close ? h.close * rate : h.close,
+          adjustedClose: h.adjustedClose ? h.adjustedClose * rate : h.adjustedClose
+        });
+      }
+      return points;
+    }, []);
+  }
+  return converted;
+};
+
+/**
+ * Get the last known price at or before a date (carry forward over holidays)
+ * Advances a cursor so a full series is walked in linear time.
+ *
+ * @param {Array} lookup - Output of buildPriceLookup
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {Object} cursor - { index } mutated between calls
+ * @returns {number|null}
+ */
+const priceAtOrBefore = (lookup, dateKey, cursor) => {
+  while (cursor.index + 1 < lookup.length && lookup[cursor.index + 1].date <= dateKey) {
+    cursor.index++;
+  }
+  if (cursor.index < 0 || lookup[cursor.index].date > dateKey) return null;
+  return lookup[cursor.index].price;
+};
+
+/**
+ * Walk the component price series step by step over the portfolio dates
+ * Calls onStep(date, legReturns) where legReturns[i] is the return of
+ * component i over the step, or null when a price is missing on either side.
+ */
+const walkComponentReturns = (legs, dates, onStep) => {
+  let previousPrices = legs.map(leg => priceAtOrBefore(leg.lookup, dates[0], leg.cursor));
+
+  for (let i = 1; i < dates.length; i++) {
+    const currentPrices = legs.map(leg => priceAtOrBefore(leg.lookup, dates[i], leg.cursor));
+    const legReturns = legs.map((leg, idx) => {
+      const prev = previousPrices[idx];
+      const curr = currentPrices[idx];
+      return prev > 0 && curr > 0 ? curr / prev - 1 : null;
+    });
+    onStep(dates[i], legReturns);
+    previousPrices = currentPrices;
+  }
+};
+
+const buildLegs = (normalized, priceHistories) => normalized.map(c => ({
+  ...c,
+  lookup: buildPriceLookup(priceHistories?.[c.ticker]),
+  cursor: { index: -1 }
+}));
+
+/**
+ * Weighted return over the legs that have a return, renormalized to their weight
+ * @returns {Object} { value, coveredWeight }
+ */
+const weightedLegReturn = (legs, legReturns, filter = () => true) => {
+  let weighted = 0;
+  let covered = 0;
+  legs.forEach((leg, idx) => {
+    if (legReturns[idx] === null || !filter(leg)) return;
+    weighted += leg.weight * legReturns[idx];
+    covered += leg.weight;
+  });
+  return { value: covered > 0 ? weighted / covered : null, coveredWeight: covered };
+};
+
+/**
+ * Build a composite benchmark return series aligned to portfolio dates
+ *
+ * @param {Array} components - [{ ticker, weight, label }] (normalized or not)
+ * @param {Object} priceHistories - { [ticker]: history[] } from MarketDataCache
+ * @param {Array} dates - Sorted 'YYYY-MM-DD' dates; the first one is the base
+ * @returns {Array} [{ date, dailyReturn, cumulativeReturn, coveredWeight }]
+ *   one entry per date after the base; coveredWeight is the share of target
+ *   weight that had prices on both sides of the step (0-1). dailyReturn is
+ *   null when nothing was priced, cumulativeReturn is then carried over.
+ */
+export const buildCompositeBenchmarkSeries = (components, priceHistories, dates) => {
+  const normalized = normalizeComponents(components);
+  if (normalized.length === 0 || !dates || dates.length < 2) return [];
+
+  const legs = buildLegs(normalized, priceHistories);
+  let cumulativeFactor = 1;
+  const series = [];
+
+  walkComponentReturns(legs, dates, (date, legReturns) => {
+    const { value, coveredWeight } = weightedLegReturn(legs, legReturns);
+    if (value !== null) cumulativeFactor *= (1 + value);
+
+    series.push({
+      date,
+      dailyReturn: value,
+      cumulativeReturn: cumulativeFactor - 1,
+      coveredWeight
+    });
+  });
+
+  return series;
+};
+
+/**
+ * Benchmark weights and per-step returns by profile category
+ * (cash / bonds / equities / alternative, see aggregateToFourCategories)
+ *
+ * A category the benchmark holds but cannot price on a step takes the
+ * total benchmark return for that step. When no component is priced the
+ * step has a null total and null category returns. Components without a
+ * category are counted in 'alternative'.
+ *
+ * @param {Array} components - [{ ticker, weight, category }]
+ * @param {Object} priceHistories - { [ticker]: history[] } from MarketDataCache
+ * @param {Array} dates - Sorted 'YYYY-MM-DD' dates; the first one is the base
+ * @returns {Object} { weights: { [category]: weight }, series: [{ date, total, byCategory }] }
+ */
+export const buildBenchmarkCategorySeries = (components, priceHistories, dates) => {
+  const normalized = normalizeComponents(components).map(c => ({
+    ...c,
+    category: c.category || 'alternative'
+  }));
+  if (normalized.length === 0 || !dates || dates.length < 2) return { weights: {}, series: [] };
+
+  const weights = {};
+  normalized.forEach(c => {
+    weights[c.category] = (weights[c.category] || 0) + c.weight;
+  });
+
+  const legs = buildLegs(normalized, priceHistories);
+  const series = [];
+
+  walkComponentReturns(legs, dates, (date, legReturns) => {
+    const total = weightedLegReturn(legs, legReturns).value;
+    const byCategory = {};
+    for (const category of Object.keys(weights)) {
+      const { value } = weightedLegReturn(legs, legReturns, leg => leg.category === category);
+      byCategory[category] = value ?? total;
+    }
+    series.push({ date, total, byCategory });
+  });
+
+  return { weights, series };
+};
+
+/**
+ * Sample standard deviation
+ * @param {Array<number>} values
+ * @returns {number}
+ */
+const sampleStdDev = (values) => {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (values.length - 1);
+  return Math.sqrt(variance);
+};
+
+/**
+ * Compare a portfolio TWR series with a benchmark series over a period
+ *
+ * Returns are chain-linked over the entries strictly after periodStart,
+ * matching how performance.calculateTWR chain-links period TWRs.
+ * Tracking error is the annualized standard deviation of per-step active
+ * returns; the annualization factor is the observed number of steps per
+ * year, so it works for business-day or calendar-day snapshot frequencies.
+ * Information ratio = annualized mean active return / tracking error.
+ * Steps the benchmark could not price (null dailyReturn) are left out on
+ * both sides and counted in skippedSteps.
+ *
+ * @param {Array} twrSeries - calculateDailyTWR output [{ date, dailyReturn }]
+ * @param {Array} benchmarkSeries - buildCompositeBenchmarkSeries output
+ * @param {string|null} periodStart - 'YYYY-MM-DD', or null for the full series
+ * @returns {Object|null} { portfolioReturn, benchmarkReturn, excessReturn,
+ *   trackingError, informationRatio, observations, skippedSteps,
+ *   lowCoverageSteps, minCoveredWeight, startDate, endDate }
+ *   lowCoverageSteps counts the compared steps below LOW_COVERAGE_WEIGHT
+ */
+export const calculateRelativeMetrics = (twrSeries, benchmarkSeries, periodStart = null) => {
+  if (!twrSeries?.length || !benchmarkSeries?.length) return null;
+
+  const benchmarkByDate = new Map(benchmarkSeries.map(b => [b.date, b]));
+
+  let portfolioFactor = 1;
+  let benchmarkFactor = 1;
+  const activeReturns = [];
+  let skippedSteps = 0;
+  let lowCoverageSteps = 0;
+  let minCoveredWeight = 1;
+  let firstDate = null;
+  let lastDate = null;
+
+  for (const entry of twrSeries) {
+    if (periodStart && entry.date <= periodStart) continue;
+    const bench = benchmarkByDate.get(entry.date);
+    if (!bench) continue;
+    if (bench.dailyReturn === null) {
+      skippedSteps++;
+      continue;
+    }
+
+    const coveredWeight = bench.coveredWeight ?? 1;
+    if (coveredWeight < LOW_COVERAGE_WEIGHT) lowCoverageSteps++;
+    minCoveredWeight = Math.min(minCoveredWeight, coveredWeight);
+
+    portfolioFactor *= (1 + entry.dailyReturn);
+    benchmarkFactor *= (1 + bench.dailyReturn);
+    activeReturns.push(entry.dailyReturn - bench.dailyReturn);
+
+    if (!firstDate) firstDate = entry.date;
+    lastDate = entry.date;
+  }
+
+  if (activeReturns.length === 0) return null;
+
+  const portfolioReturn = portfolioFactor - 1;
+  const benchmarkReturn = benchmarkFactor - 1;
+
+  let trackingError = null;
+  let informationRatio = null;
+
+  if (activeReturns.length >= MIN_RISK_OBSERVATIONS) {
+    const spanStart = periodStart || firstDate;
+    const calendarDays = Math.max(1, (new Date(lastDate) - new Date(spanStart)) / (1000 * 60 * 60 * 24));
+    const stepsPerYear = activeReturns.length * 365 / calendarDays;
+
+    trackingError = sampleStdDev(activeReturns) * Math.sqrt(stepsPerYear);
+
+    if (trackingError > 0) {
+      const meanActive = activeReturns.reduce((sum, r) => sum + r, 0) / activeReturns.length;
+      informationRatio = (meanActive * stepsPerYear) / trackingError;
+    }
+  }
+
+  return {
+    portfolioReturn,
+    benchmarkReturn,
+    excessReturn: portfolioReturn - benchmarkReturn,
+    trackingError,
+    informationRatio,
+    observations: activeReturns.length,
+    skippedSteps,
+    lowCoverageSteps,
+    minCoveredWeight,
+    startDate: periodStart || firstDate,
+    endDate: lastDate
+  };
+};
@@ -94,6 +94,48 @@ export const convertToEUR = (value, currency, ratesMap) => {
   return value;
 };
 
+/**
+ * Convert a value between two currencies using the rates map (EUR as pivot)
+ * @param {number} value - The value to convert
+ * @param {string} fromCurrency - The source currency
+ * @param {string} toCurrency - The target currency
+ * @param {Object} ratesMap - Map of currency to EUR conversion rates
+ * @returns {number} - Value in toCurrency
+ */
+export const convertCurrency = (value, fromCurrency, toCurrency, ratesMap) => {
+  if (!value || isNaN(value)) return 0;
+  if (!fromCurrency || !toCurrency || fromCurrency === toCurrency) return value;
+
+  const eurValue = convertToEUR(value, fromCurrency, ratesMap);
+  if (toCurrency === 'EUR') return eurValue;
+
+  const rate = ratesMap[toCurrency];
+  if (rate) {
+    return eurValue / rate;
+  }
+
+  console.warn(`[CashCalculator] No EUR rate found for ${toCurrency}, using EUR value as-is`);
+  return eurValue;
+};
+
+/**
+ * Rate to multiply a value in fromCurrency by to get toCurrency (EUR as pivot)
+ * Unlike convertCurrency, a missing rate is reported rather than ignored.
+ * @param {string} fromCurrency - The source currency
+ * @param {string} toCurrency - The target currency
+ * @param {Object} ratesMap - Map of currency to EUR conversion rates
+ * @returns {number|null} - null when either currency has no rate
+ */
+export const getCrossRate = (fromCurrency, toCurrency, ratesMap) => {
+  if (!fromCurrency || !toCurrency) return null;
+  if (fromCurrency === toCurrency) return 1;
+
+  const fromRate = fromCurrency === 'EUR' ? 1 : ratesMap[fromCurrency];
+  const toRate = toCurrency === 'EUR' ? 1 : ratesMap[toCurrency];
+  if (!fromRate || !toRate) return null;
+  return fromRate / toRate;
+};
+
 /**
  * Build a rates map from currency rate cache entries
  * Handles CurrencyRateCacheCollection format with pairs like "EURUSD.FOREX"
@@ -163,6 +205,50 @@ export const buildRatesMap = (currencyRates) => {
   return ratesMap;
 };
 
+/**
+ * Build a lookup of the rates map valid on a given valuation date
+ * Each currency uses its last historical rate on or before the date (its first
+ * rate for earlier dates); currencies without history keep the fallback rate.
+ *
+ * @param {Object} historicalRates - { [currency]: [{ date: 'YYYY-MM-DD', rate }] } with
+ *   currency -> EUR multipliers (from CurrencyCache.getHistoricalRates)
+ * @param {Object} fallbackRatesMap - Current rates map (buildRatesMap + mergeRatesMaps)
+ * @returns {Function} (date) => rates map in the convertToEUR / convertCurrency format
+ */
+export const buildDatedRatesLookup = (historicalRates, fallbackRatesMap = {}) => {
+  const series = Object.entries(historicalRates || {})
+    .map(([currency, points]) => [currency, [...points].sort((a, b) => a.date.localeCompare(b.date))])
+    .filter(([, points]) => points.length > 0);
+  const cache = new Map();
+
+  return (date) => {
+    const dateKey = (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+    if (cache.has(dateKey)) return cache.get(dateKey);
+
+    const ratesMap = { ...fallbackRatesMap };
+    for (const [currency, points] of series) {
+      // Binary search for the last rate on or before the date
+      let low = 0;
+      let high = points.length - 1;
+      let found = 0;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (points[mid].date <= dateKey) {
+          found = mid;
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+      ratesMap[currency] = points[found].rate;
+    }
+    ratesMap['EUR'] = 1;
+
+    cache.set(dateKey, ratesMap);
+    return ratesMap;
+  };
+};
+
 /**
  * Calculate cash values for a set of holdings
  * Uses dual-path logic:
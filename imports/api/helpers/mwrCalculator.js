@@ -0,0 +1,213 @@
+/**
+ * MWR (Money-Weighted Return) Calculator
+ *
+ * Pure functions for the money-weighted return (XIRR over the external
+ * TRANSFER/PAYMENT flows) and the standard client reporting period table
+ * (MTD, QTD, YTD, 1Y, 3Y annualized, since inception) combining TWR and MWR.
+ *
+ * Cash flows are seen from the investor: the start value and deposits are
+ * negative, withdrawals and the end value are positive. Flows are dated on
+ * the day they are booked, like in calculateDailyTWR.
+ *
+ * Follows the twrCalculator.js pattern - no DB access, pure computation.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+
+const daysBetween = (fromKey, toKey) => Math.round((new Date(toKey) - new Date(fromKey)) / MS_PER_DAY);
+
+/**
+ * Annualized internal rate of return for irregular cash flows (XIRR)
+ * Solves sum(CF_i / (1 + r)^(d_i / 365)) = 0 with Newton-Raphson, falling
+ * back to bisection when Newton does not converge.
+ *
+ * @param {Array} cashFlows - [{ date: 'YYYY-MM-DD' | Date, amount }], investor perspective
+ * @returns {number|null} Annualized rate (decimal), or null when undefined
+ *   (no sign change, or flows spanning less than a day)
+ */
+export const calculateXIRR = (cashFlows) => {
+  const flows = (cashFlows || [])
+    .filter(cf => cf.amount && !isNaN(cf.amount))
+    .map(cf => ({ dateKey: toDateKey(cf.date), amount: cf.amount }))
+    .sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+
+  if (flows.length < 2) return null;
+  if (!flows.some(cf => cf.amount > 0) || !flows.some(cf => cf.amount < 0)) return null;
+
+  const firstDate = flows[0].dateKey;
+  const points = flows.map(cf => ({ years: daysBetween(firstDate, cf.dateKey) / 365, amount: cf.amount }));
+  if (points[points.length - 1].years <= 0) return null;
+
+  const npv = (rate) => points.reduce((sum, p) => sum + p.amount / Math.pow(1 + rate, p.years), 0);
+  const dnpv = (rate) => points.reduce((sum, p) => sum - p.years * p.amount / Math.pow(1 + rate, p.years + 1), 0);
+
+  // Newton-Raphson
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const value = npv(rate);
+    const derivative = dnpv(rate);
+    if (!isFinite(value) || !isFinite(derivative) || derivative === 0) break;
+
+    const next = rate - value / derivative;
+    if (!isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-10) return next;
+    rate = next;
+  }
+
+  // Bisection between -99.99% and +1000%
+  let low = -0.9999;
+  let high = 10;
+  let npvLow = npv(low);
+  if (npvLow * npv(high) > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (Math.abs(npvMid) < 1e-9 || (high - low) / 2 < 1e-10) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+/**
+ * Investor cash flows between a base date and an end date
+ *
+ * @param {Array} dailyValues - Sorted [{ date, totalValueEUR }]
+ * @param {Object} dailyFlows - Map of date -> net external flow (deposits positive)
+ * @param {string} baseDate - Valuation date at the start of the period
+ * @param {string} endDate - Valuation date at the end of the period
+ * @returns {Object} { cashFlows, startValue, endValue, netFlows }
+ */
+export const buildInvestorCashFlows = (dailyValues, dailyFlows, baseDate, endDate) => {
+  const valueByDate = new Map(dailyValues.map(v => [v.date, v.totalValueEUR]));
+  const startValue = valueByDate.get(baseDate) || 0;
+  const endValue = valueByDate.get(endDate) || 0;
+
+  const cashFlows = [{ date: baseDate, amount: -startValue }];
+  let netFlows = 0;
+
+  Object.keys(dailyFlows || {})
+    .filter(date => date > baseDate && date <= endDate)
+    .sort()
+    .forEach(date => {
+      const flow = dailyFlows[date];
+      if (!flow) return;
+      netFlows += flow;
+      cashFlows.push({ date, amount: -flow });
+    });
+
+  cashFlows.push({ date: endDate, amount: endValue });
+
+  return { cashFlows, startValue, endValue, netFlows };
+};
+
+/**
+ * Valuation dates closing the period before each standard reporting period
+ * MTD starts from the previous month end, QTD from the previous quarter end,
+ * YTD from the previous year end; 1Y and 3Y are rolling from the as-of date.
+ *
+ * @param {string} asOfDate - 'YYYY-MM-DD'
+ * @returns {Object} { MTD, QTD, YTD, '1Y', '3Y': 'YYYY-MM-DD' }
+ */
+export const getReportingPeriodBaseDates = (asOfDate) => {
+  const asOf = new Date(`${asOfDate}T00:00:00Z`);
+  const year = asOf.getUTCFullYear();
+  const month = asOf.getUTCMonth();
+  const quarterStartMonth = Math.floor(month / 3) * 3;
+
+  const dayBefore = (y, m) => toDateKey(new Date(Date.UTC(y, m, 1) - MS_PER_DAY));
+  const yearsBack = (n) => toDateKey(new Date(Date.UTC(year - n, month, asOf.getUTCDate())));
+
+  return {
+    MTD: dayBefore(year, month),
+    QTD: dayBefore(year, quarterStartMonth),
+    YTD: dayBefore(year, 0),
+    '1Y': yearsBack(1),
+    '3Y': yearsBack(3)
+  };
+};
+
+export const REPORTING_PERIODS = ['MTD', 'QTD', 'YTD', '1Y', '3Y', 'SI'];
+
+/**
+ * Standard period table with TWR and MWR
+ *
+ * A period needs a valuation on or before its base date, otherwise it is
+ * reported without data (the account is younger than the period). Returns
+ * of periods longer than a year are also given annualized; the 3Y row is
+ * meant to be shown annualized. With an FX translation series, the TWR is
+ * also split into the return at constant FX rates and the FX contribution.
+ *
+ * @param {Object} params
+ * @param {Array} params.dailyValues - buildDailyValuesFromSnapshots output
+ * @param {Array} params.twrSeries - calculateDailyTWR output
+ * @param {Object} params.dailyFlows - buildDailyFlowsFromOperations output
+ * @param {Array} [params.fxSeries] - calculateFxTranslationSeries output
+ * @returns {Object} { asOfDate, inceptionDate, periods: { [period]: row } } where row is
+ *   { hasData, startDate, endDate, days, twr, twrAnnualized, localTwr, fxContribution,
+ *     mwr, mwrAnnualized, startValue, endValue, netFlows, gain }
+ *   (localTwr and fxContribution are null without fxSeries)
+ */
+export const calculatePerformanceTable = ({ dailyValues, twrSeries, dailyFlows, fxSeries = null }) => {
+  if (!dailyValues?.length || !twrSeries?.length) {
+    return { asOfDate: null, inceptionDate: null, periods: {} };
+  }
+
+  const inceptionDate = dailyValues[0].date;
+  const asOfDate = twrSeries[twrSeries.length - 1].date;
+  const cumulativeByDate = new Map([[inceptionDate, 0], ...twrSeries.map(e => [e.date, e.cumulativeTWR])]);
+  const endCumulative = twrSeries[twrSeries.length - 1].cumulativeTWR;
+  const localCumulativeByDate = fxSeries?.length
+    ? new Map([[inceptionDate, 0], ...fxSeries.map(e => [e.date, e.cumulativeLocalTWR])])
+    : null;
+  const localEndCumulative = fxSeries?.length ? fxSeries[fxSeries.length - 1].cumulativeLocalTWR : 0;
+  const baseDates = { ...getReportingPeriodBaseDates(asOfDate), SI: inceptionDate };
+
+  const periods = {};
+  for (const period of REPORTING_PERIODS) {
+    const target = baseDates[period];
+    const base = [...dailyValues].reverse().find(v => v.date <= target)?.date;
+
+    if (!base || base >= asOfDate) {
+      periods[period] = { hasData: false, startDate: target, endDate: asOfDate };
+      continue;
+    }
+
+    const days = daysBetween(base, asOfDate);
+    const twr = (1 + endCumulative) / (1 + cumulativeByDate.get(base)) - 1;
+    const localTwr = localCumulativeByDate
+      ? (1 + localEndCumulative) / (1 + (localCumulativeByDate.get(base) ?? 0)) - 1
+      : null;
+
+    const { cashFlows, startValue, endValue, netFlows } = buildInvestorCashFlows(dailyValues, dailyFlows, base, asOfDate);
+    const irr = calculateXIRR(cashFlows);
+    const mwr = irr !== null ? Math.pow(1 + irr, days / 365) - 1 : null;
+
+    periods[period] = {
+      hasData: true,
+      startDate: base,
+      endDate: asOfDate,
+      days,
+      twr,
+      twrAnnualized: days > 365 ? Math.pow(1 + twr, 365 / days) - 1 : null,
+      localTwr,
+      fxContribution: localTwr !== null ? twr - localTwr : null,
+      mwr,
+      mwrAnnualized: days > 365 ? irr : null,
+      startValue,
+      endValue,
+      netFlows,
+      gain: endValue - startValue - netFlows
+    };
+  }
+
+  return { asOfDate, inceptionDate, periods };
+};
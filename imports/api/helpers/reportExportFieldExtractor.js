@@ -48,6 +48,18 @@ const TEMPLATE_EXTRACTORS = {
     capitalReturnPercent: pickNumber(tr?.redemption?.capitalComponent),
     indicativeMaturityValuePercent: pickNumber(tr?.redemption?.totalValue),
     totalCouponsEarnedPercent: pickNumber(tr?.redemption?.coupon)
+  }),
+  issuer_callable_phoenix: (tr) => ({
+    minGuaranteedPercent: null,
+    capitalReturnPercent: pickNumber(tr?.redemption?.capital),
+    indicativeMaturityValuePercent: pickNumber(tr?.redemption?.totalValue),
+    totalCouponsEarnedPercent: pickNumber(tr?.observationAnalysis?.totalCouponsEarned)
+  }),
+  credit_linked_note: (tr) => ({
+    minGuaranteedPercent: null,
+    capitalReturnPercent: pickNumber(tr?.redemption?.capitalComponent),
+    indicativeMaturityValuePercent: pickNumber(tr?.redemption?.totalValue),
+    totalCouponsEarnedPercent: pickNumber(tr?.observationAnalysis?.totalCouponsEarned)
   })
 };
 
@@ -0,0 +1,419 @@
+/**
+ * Risk Calculator
+ *
+ * Pure functions for portfolio risk metrics:
+ * - realized volatility, max drawdown and Sharpe ratio from the TWR series
+ *   built on the PortfolioSnapshots history
+ * - historical and parametric (normal) Value at Risk at 95% and 99%, either
+ *   on the portfolio's own return history or on a historical simulation of
+ *   the current holdings over their price histories
+ * - issuer / underlying / single-name concentration of the current holdings
+ *
+ * Returns are decimals (0.05 = 5%). VaR and drawdown are reported as
+ * positive loss fractions of the portfolio value. VaR horizon is one
+ * observation step (one business day for daily snapshots / prices).
+ *
+ * Follows the twrCalculator.js pattern - no DB access, pure computation.
+ */
+
+import { buildPriceLookup } from './benchmarkCalculator.js';
+
+// Below this many returns, volatility / VaR are not meaningful
+export const MIN_RISK_OBSERVATIONS = 20;
+
+// A security needs this many prices in the window to be simulated
+export const MIN_PRICE_POINTS = 20;
+
+export const VAR_CONFIDENCE_LEVELS = [0.95, 0.99];
+
+// One-sided standard normal quantiles
+const Z_SCORES = { 0.95: 1.6448536, 0.99: 2.3263479 };
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => {
+  if (!date) return null;
+  if (typeof date === 'string') return date.split('T')[0];
+  return date.toISOString().split('T')[0];
+};
+
+const daysBetween = (fromKey, toKey) => Math.round((new Date(toKey) - new Date(fromKey)) / MS_PER_DAY);
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Sample standard deviation
+ * @returns {number|null} null with fewer than two values
+ */
+export const standardDeviation = (values) => {
+  if (!values || values.length < 2) return null;
+  const avg = mean(values);
+  const variance = values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+};
+
+/**
+ * Number of return observations per year implied by a dated series
+ * Snapshots are not always taken every business day, so volatility is
+ * annualized with the observed frequency rather than a fixed 252.
+ *
+ * @param {string} startDate - Base date of the first return
+ * @param {string} endDate - Date of the last return
+ * @param {number} count - Number of returns
+ * @returns {number}
+ */
+export const observationsPerYear = (startDate, endDate, count) => {
+  const days = daysBetween(startDate, endDate);
+  if (days <= 0 || count <= 0) return 252;
+  return Math.min(365, count / (days / 365.25));
+};
+
+/**
+ * Realized volatility of a return series, annualized
+ *
+ * @param {Array<number>} returns - Step returns
+ * @param {number} [periodsPerYear] - Annualization factor (default 252)
+ * @returns {number|null}
+ */
+export const calculateVolatility = (returns, periodsPerYear = 252) => {
+  const stdev = standardDeviation(returns);
+  return stdev === null ? null : stdev * Math.sqrt(periodsPerYear);
+};
+
+/**
+ * Maximum peak-to-trough decline of a TWR series
+ *
+ * @param {Array} twrSeries - [{ date, cumulativeTWR }] sorted ascending
+ * @param {string} [baseDate] - Date of the index base (value 1 before the first step)
+ * @returns {Object} { maxDrawdown, peakDate, troughDate, recoveryDate, currentDrawdown }
+ *   drawdowns as positive fractions; recoveryDate null while not recovered
+ */
+export const calculateMaxDrawdown = (twrSeries, baseDate = null) => {
+  const empty = { maxDrawdown: 0, peakDate: null, troughDate: null, recoveryDate: null, currentDrawdown: 0 };
+  if (!twrSeries?.length) return empty;
+
+  let peak = { date: baseDate || twrSeries[0].date, value: 1 };
+  let worst = { ...empty };
+  let worstPeakValue = null;
+
+  for (const entry of twrSeries) {
+    const value = 1 + entry.cumulativeTWR;
+    if (value >= peak.value) {
+      if (worstPeakValue !== null && worst.recoveryDate === null && value >= worstPeakValue) {
+        worst.recoveryDate = entry.date;
+      }
+      peak = { date: entry.date, value };
+      continue;
+    }
+
+    const drawdown = 1 - value / peak.value;
+    if (drawdown > worst.maxDrawdown) {
+      worst = { maxDrawdown: drawdown, peakDate: peak.date, troughDate: entry.date, recoveryDate: null };
+      worstPeakValue = peak.value;
+    }
+  }
+
+  const lastValue = 1 + twrSeries[twrSeries.length - 1].cumulativeTWR;
+  return { ...worst, currentDrawdown: Math.max(0, 1 - lastValue / peak.value) };
+};
+
+/**
+ * Sharpe ratio: excess annualized return per unit of annualized volatility
+ *
+ * @returns {number|null}
+ */
+export const calculateSharpeRatio = (annualizedReturn, volatility, riskFreeRate = 0) => {
+  if (annualizedReturn === null || annualizedReturn === undefined || !volatility) return null;
+  return (annualizedReturn - (riskFreeRate || 0)) / volatility;
+};
+
+/**
+ * Historical VaR: loss at the (1 - confidence) empirical quantile of the returns
+ * Uses linear interpolation between the two closest order statistics.
+ *
+ * @param {Array<number>} returns
+ * @param {number} confidence - e.g. 0.95
+ * @returns {number|null} Loss as a positive fraction (0 when the quantile is a gain)
+ */
+export const calculateHistoricalVaR = (returns, confidence) => {
+  if (!returns || returns.length < MIN_RISK_OBSERVATIONS) return null;
+
+  const sorted = [...returns].sort((a, b) => a - b);
+  const position = (1 - confidence) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  const quantile = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+
+  return Math.max(0, -quantile);
+};
+
+/**
+ * Parametric (variance-covariance) VaR assuming normally distributed returns
+ *
+ * @param {Array<number>} returns
+ * @param {number} confidence - 0.95 or 0.99
+ * @returns {number|null} Loss as a positive fraction
+ */
+export const calculateParametricVaR = (returns, confidence) => {
+  if (!returns || returns.length < MIN_RISK_OBSERVATIONS || !Z_SCORES[confidence]) return null;
+  const stdev = standardDeviation(returns);
+  return Math.max(0, Z_SCORES[confidence] * stdev - mean(returns));
+};
+
+/**
+ * Historical and parametric VaR at every VAR_CONFIDENCE_LEVELS level
+ *
+ * @param {Array<number>} returns
+ * @returns {Object} { observations, historical: { 95, 99 }, parametric: { 95, 99 } }
+ */
+export const calculateValueAtRisk = (returns) => {
+  const historical = {};
+  const parametric = {};
+  for (const confidence of VAR_CONFIDENCE_LEVELS) {
+    const key = Math.round(confidence * 100);
+    historical[key] = calculateHistoricalVaR(returns, confidence);
+    parametric[key] = calculateParametricVaR(returns, confidence);
+  }
+  return { observations: returns?.length || 0, historical, parametric };
+};
+
+/**
+ * Portfolio-level risk metrics from a TWR series
+ *
+ * @param {Array} twrSeries - calculateDailyTWR output [{ date, dailyReturn, cumulativeTWR }]
+ * @param {string} baseDate - Valuation date before the first step
+ * @param {Object} [options] - { riskFreeRate } annualized, decimal
+ * @returns {Object|null} { startDate, endDate, observations, periodsPerYear, totalReturn,
+ *   annualizedReturn, volatility, sharpeRatio, riskFreeRate, drawdown, valueAtRisk }
+ *   or null without returns
+ */
+export const calculatePortfolioRisk = (twrSeries, baseDate, { riskFreeRate = 0 } = {}) => {
+  if (!twrSeries?.length) return null;
+
+  const returns = twrSeries.map(e => e.dailyReturn).filter(r => r !== null && isFinite(r));
+  const endDate = twrSeries[twrSeries.length - 1].date;
+  const days = daysBetween(baseDate, endDate);
+  const periodsPerYear = observationsPerYear(baseDate, endDate, returns.length);
+
+  const totalReturn = twrSeries[twrSeries.length - 1].cumulativeTWR;
+  const annualizedReturn = days > 0 ? Math.pow(1 + totalReturn, 365 / days) - 1 : null;
+  const volatility = returns.length >= MIN_RISK_OBSERVATIONS ? calculateVolatility(returns, periodsPerYear) : null;
+
+  return {
+    startDate: baseDate,
+    endDate,
+    observations: returns.length,
+    periodsPerYear,
+    totalReturn,
+    annualizedReturn,
+    volatility,
+    sharpeRatio: calculateSharpeRatio(annualizedReturn, volatility, riskFreeRate),
+    riskFreeRate,
+    drawdown: calculateMaxDrawdown(twrSeries, baseDate),
+    valueAtRisk: calculateValueAtRisk(returns)
+  };
+};
+
+/**
+ * Annualized return of a price series between two dates (e.g. a money market
+ * proxy used as the risk-free rate)
+ *
+ * @param {Array} history - MarketDataCache history [{ date, close, adjustedClose }]
+ * @param {string} startDate
+ * @param {string} endDate
+ * @returns {number|null}
+ */
+export const calculateAnnualizedPriceReturn = (history, startDate, endDate) => {
+  const lookup = buildPriceLookup(history);
+  const start = [...lookup].reverse().find(p => p.date <= startDate);
+  const end = [...lookup].reverse().find(p => p.date <= endDate);
+  if (!start || !end || end.date <= start.date) return null;
+
+  const days = daysBetween(start.date, end.date);
+  return Math.pow(end.price / start.price, 365 / days) - 1;
+};
+
+/**
+ * Historical simulation of the current holdings
+ *
+ * Applies each security's past price returns to today's weights (constant
+ * weights, rebalanced every step) over the union of price dates in the
+ * window. Prices are carried forward over missing dates, so securities with
+ * sparse valuations (structured products) show their move on the day it is
+ * published. Cash and securities without enough prices have no simulated
+ * return; the covered securities are scaled up to the invested weight so
+ * the uncovered part is assumed to behave like the covered one.
+ *
+ * @param {Array} positions - [{ key, weight, isCash }] weights of the total portfolio value
+ * @param {Object} priceHistories - { [key]: [{ date, price }] } sorted ascending
+ * @param {string} startDate - First date of the window
+ * @param {string} endDate - Last date of the window
+ * @returns {Object} { returns: [{ date, return }], coveredWeight, investedWeight, coveredKeys }
+ */
+export const simulateHoldingsReturns = (positions, priceHistories, startDate, endDate) => {
+  const investedWeight = positions.filter(p => !p.isCash).reduce((sum, p) => sum + p.weight, 0);
+
+  const covered = positions
+    .filter(p => !p.isCash && p.weight !== 0)
+    .map(p => ({
+      ...p,
+      prices: (priceHistories[p.key] || []).filter(pt => pt.date >= startDate && pt.date <= endDate && pt.price > 0)
+    }))
+    .filter(p => p.prices.length >= MIN_PRICE_POINTS);
+
+  const coveredWeight = covered.reduce((sum, p) => sum + p.weight, 0);
+  const empty = { returns: [], coveredWeight, investedWeight, coveredKeys: covered.map(p => p.key) };
+  if (covered.length === 0 || coveredWeight <= 0) return empty;
+
+  const scale = investedWeight / coveredWeight;
+  const dates = [...new Set(covered.flatMap(p => p.prices.map(pt => pt.date)))].sort();
+  if (dates.length < 2) return empty;
+
+  const cursors = covered.map(() => ({ index: -1 }));
+  const lastPrices = covered.map(() => null);
+  const returns = [];
+
+  dates.forEach((date, i) => {
+    let portfolioReturn = 0;
+    covered.forEach((position, j) => {
+      const cursor = cursors[j];
+      while (cursor.index + 1 < position.prices.length && position.prices[cursor.index + 1].date <= date) {
+        cursor.index++;
+      }
+      const price = cursor.index >= 0 ? position.prices[cursor.index].price : null;
+      if (price !== null && lastPrices[j] !== null) {
+        portfolioReturn += position.weight * scale * (price / lastPrices[j] - 1);
+      }
+      lastPrices[j] = price;
+    });
+    if (i > 0) returns.push({ date, return: portfolioReturn });
+  });
+
+  return { returns, coveredWeight, investedWeight, coveredKeys: covered.map(p => p.key) };
+};
+
+/**
+ * Convert a MarketDataCache history or ProductPrices list into a price lookup
+ *
+ * @param {Array} history - [{ date, close, adjustedClose }] or [{ priceDate, price }]
+ * @returns {Array} [{ date, price }] sorted ascending
+ */
+export const toPriceSeries = (history) => {
+  if (!history?.length) return [];
+  if (history[0].priceDate !== undefined) {
+    const byDate = new Map();
+    history.forEach(p => {
+      const date = toDateKey(p.priceDate);
+      if (date && p.price > 0) byDate.set(date, p.price);
+    });
+    return [...byDate.entries()].map(([date, price]) => ({ date, price })).sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return buildPriceLookup(history);
+};
+
+/**
+ * Group positions by a key and rank the exposures
+ *
+ * @param {Array} exposures - [{ key, label, value }]
+ * @param {number} totalValue
+ * @param {number} topN
+ * @returns {Object} { largest, top: [{ key, label, value, weight, count }], herfindahl }
+ */
+const rankExposures = (exposures, totalValue, topN) => {
+  const grouped = new Map();
+  exposures.forEach(({ key, label, value }) => {
+    const entry = grouped.get(key) || { key, label, value: 0, count: 0 };
+    entry.value += value;
+    entry.count++;
+    grouped.set(key, entry);
+  });
+
+  const ranked = [...grouped.values()]
+    .map(e => ({ ...e, weight: totalValue > 0 ? e.value / totalValue : 0 }))
+    .sort((a, b) => b.weight - a.weight);
+
+  return {
+    largest: ranked[0] || null,
+    top: ranked.slice(0, topN),
+    herfindahl: ranked.reduce((sum, e) => sum + e.weight ** 2, 0)
+  };
+};
+
+/**
+ * Concentration of the current holdings
+ *
+ * - single name: each security (ISIN) on its own
+ * - issuer: securities grouped by issuer (structured products by their
+ *   issuing bank, other securities by their own name when no issuer is known)
+ * - underlying: look-through exposure, direct holdings of a name plus every
+ *   structured product on it; a product on a basket counts in full against
+ *   each of its underlyings, since worst-of baskets are exposed to each name
+ *
+ * @param {Array} positions - [{ key, name, value, isCash, issuer, underlyings: [{ key, label }] }]
+ * @param {number} totalValue - Total portfolio value (cash included)
+ * @param {Object} [options] - { topN }
+ * @returns {Object} { totalValue, singleName, issuer, underlying } each { largest, top, herfindahl }
+ */
+export const calculateConcentration = (positions, totalValue, { topN = 5 } = {}) => {
+  const invested = positions.filter(p => !p.isCash && p.value > 0);
+
+  const singleName = rankExposures(
+    invested.map(p => ({ key: p.key, label: p.name, value: p.value })),
+    totalValue,
+    topN
+  );
+
+  const issuer = rankExposures(
+    invested.map(p => {
+      const label = p.issuer || p.name;
+      return { key: label.trim().toUpperCase(), label, value: p.value };
+    }),
+    totalValue,
+    topN
+  );
+
+  const underlying = rankExposures(
+    invested.flatMap(p => p.underlyings?.length
+      ? p.underlyings.map(u => ({ key: u.key, label: u.label, value: p.value }))
+      : [{ key: p.underlyingKey || p.key, label: p.name, value: p.value }]),
+    totalValue,
+    topN
+  );
+
+  return { totalValue, singleName, issuer, underlying };
+};
+
+// Limit fields compared against the metrics (limits in percent); concentration
+// limits apply to the largest exposure of that kind
+export const RISK_LIMIT_METRICS = {
+  maxVolatility: { label: 'Volatility', read: (risk) => risk.portfolio?.volatility },
+  maxDrawdown: { label: 'Max drawdown', read: (risk) => risk.portfolio?.drawdown?.maxDrawdown },
+  maxVar95: { label: 'VaR 95% (1 day)', read: (risk) => risk.valueAtRisk?.historical?.[95] },
+  maxVar99: { label: 'VaR 99% (1 day)', read: (risk) => risk.valueAtRisk?.historical?.[99] },
+  maxSingleNameWeight: { label: 'Largest position', concentration: 'singleName' },
+  maxIssuerWeight: { label: 'Largest issuer', concentration: 'issuer' },
+  maxUnderlyingWeight: { label: 'Largest underlying', concentration: 'underlying' }
+};
+
+/**
+ * Compare risk metrics with limits
+ *
+ * @param {Object} risk - { portfolio, valueAtRisk, concentration }
+ * @param {Object} limits - { [RISK_LIMIT_METRICS key]: percent } (null / missing = no limit)
+ * @returns {Array} [{ metric, label, limit, actual, subject }] actual and limit in percent
+ */
+export const checkRiskLimits = (risk, limits) => {
+  const breaches = [];
+  for (const [metric, { label, read, concentration }] of Object.entries(RISK_LIMIT_METRICS)) {
+    const limit = limits?.[metric];
+    const largest = concentration ? risk.concentration?.[concentration]?.largest : null;
+    const value = concentration ? largest?.weight : read(risk);
+    if (limit === null || limit === undefined || value === null || value === undefined) continue;
+
+    const actual = value * 100;
+    if (actual > limit) {
+      breaches.push({ metric, label, limit, actual, subject: largest?.label || null });
+    }
+  }
+  return breaches;
+};
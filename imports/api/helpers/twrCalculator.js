@@ -14,7 +14,7 @@
  */
 
 import { OPERATION_TYPES } from '/imports/api/constants/operationTypes.js';
-import { convertToEUR } from '/imports/api/helpers/cashCalculator.js';
+import { convertCurrency } from '/imports/api/helpers/cashCalculator.js';
 
 // External cash flow operation types that distort performance
 const EXTERNAL_FLOW_TYPES = new Set([
@@ -26,25 +26,30 @@ const EXTERNAL_FLOW_TYPES = new Set([
 
 /**
  * Check if an operation is an external cash flow
+ * Transfers booked by a corporate action (ISIN change, merger, split) are not flows.
  * @param {Object} operation - PMSOperations document
  * @returns {boolean}
  */
 export const isExternalCashFlow = (operation) => {
+  if (operation.corporateActionId) return false;
   return EXTERNAL_FLOW_TYPES.has(operation.operationType);
 };
 
 /**
- * Get signed EUR amount for an external cash flow operation
+ * Get signed amount for an external cash flow operation in a reporting currency
  * Positive = inflow (deposit), Negative = outflow (withdrawal)
  *
- * Uses amountPortfolioCcy if available (already in portfolio currency),
- * otherwise converts netAmount via convertToEUR().
+ * Uses amountPortfolioCcy if available (in the account's reference currency),
+ * otherwise converts netAmount from the operation currency.
  *
  * @param {Object} operation - PMSOperations document
  * @param {Object} ratesMap - Currency conversion rates (from buildRatesMap + mergeRatesMaps)
- * @returns {number} Signed EUR amount
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Reporting currency (default EUR)
+ * @param {string} [options.portfolioCurrency] - Currency of amountPortfolioCcy (default EUR)
+ * @returns {number} Signed amount in the reporting currency
  */
-export const getSignedFlowAmountEUR = (operation, ratesMap) => {
+export const getSignedFlowAmount = (operation, ratesMap, { currency = 'EUR', portfolioCurrency = 'EUR' } = {}) => {
   // Prefer portfolio-currency amount (already in portfolio currency, typically EUR)
   const hasPortfolioCcy = operation.amountPortfolioCcy != null && operation.amountPortfolioCcy !== 0;
   const rawAmount = hasPortfolioCcy
@@ -53,21 +58,34 @@ export const getSignedFlowAmountEUR = (operation, ratesMap) => {
   const absAmount = Math.abs(rawAmount);
 
   // Determine currency for conversion
-  const currency = hasPortfolioCcy
-    ? 'EUR' // amountPortfolioCcy is in portfolio currency (typically EUR)
+  const sourceCurrency = hasPortfolioCcy
+    ? portfolioCurrency
     : (operation.operationCurrency || operation.currency || operation.settlementCurrency || 'EUR');
 
-  const eurAmount = convertToEUR(absAmount, currency, ratesMap);
+  const amount = convertCurrency(absAmount, sourceCurrency, currency, ratesMap);
 
   // Apply sign based on operation type (always use operationType, ignore raw sign)
   const isInflow = operation.operationType === OPERATION_TYPES.TRANSFER_IN ||
                    operation.operationType === OPERATION_TYPES.PAYMENT_IN;
 
-  return isInflow ? eurAmount : -eurAmount;
+  return isInflow ? amount : -amount;
 };
 
+/**
+ * Get signed EUR amount for an external cash flow operation
+ * amountPortfolioCcy is taken as EUR (the historical convention of the TWR).
+ *
+ * @param {Object} operation - PMSOperations document
+ * @param {Object} ratesMap - Currency conversion rates (from buildRatesMap + mergeRatesMaps)
+ * @returns {number} Signed EUR amount
+ */
+export const getSignedFlowAmountEUR = (operation, ratesMap) => getSignedFlowAmount(operation, ratesMap);
+
 /**
  * Build sorted array of daily portfolio values from snapshots
+ * totalValueEUR holds the snapshot totals as stored (EUR unless the caller
+ * converted the snapshots to another reporting currency first).
+ *
  * @param {Array} snapshots - Portfolio snapshot documents (or aggregated snapshots)
  * @returns {Array} Sorted array of { date: 'YYYY-MM-DD', totalValueEUR: number }
  */
@@ -94,10 +112,14 @@ export const buildDailyValuesFromSnapshots = (snapshots) => {
 /**
  * Build map of daily net external flows from operations
  * @param {Array} operations - External cash flow operations
- * @param {Object} ratesMap - Currency conversion rates
- * @returns {Object} Map of 'YYYY-MM-DD' -> net flow in EUR
+ * @param {Object|Function} ratesMap - Currency conversion rates, or a (date) => rates
+ *   lookup (buildDatedRatesLookup) to convert each flow at its operation date
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Reporting currency (default EUR)
+ * @param {Object} [options.portfolioCurrencies] - portfolioCode -> reference currency (default EUR)
+ * @returns {Object} Map of 'YYYY-MM-DD' -> net flow in the reporting currency
  */
-export const buildDailyFlowsFromOperations = (operations, ratesMap) => {
+export const buildDailyFlowsFromOperations = (operations, ratesMap, { currency = 'EUR', portfolioCurrencies = {} } = {}) => {
   const dailyFlows = {};
 
   for (const op of operations) {
@@ -107,8 +129,12 @@ export const buildDailyFlowsFromOperations = (operations, ratesMap) => {
       ? op.operationDate.toISOString().split('T')[0]
       : String(op.operationDate).split('T')[0];
 
-    const signedEUR = getSignedFlowAmountEUR(op, ratesMap);
-    dailyFlows[dateKey] = (dailyFlows[dateKey] || 0) + signedEUR;
+    const rates = typeof ratesMap === 'function' ? ratesMap(dateKey) : ratesMap;
+    const signedAmount = getSignedFlowAmount(op, rates, {
+      currency,
+      portfolioCurrency: portfolioCurrencies[op.portfolioCode] || 'EUR'
+    });
+    dailyFlows[dateKey] = (dailyFlows[dateKey] || 0) + signedAmount;
   }
 
   return dailyFlows;
@@ -185,6 +211,45 @@ export const calculateDailyTWR = (dailyValues, dailyFlows) => {
   return results;
 };
 
+/**
+ * Split a TWR computed in a reporting currency into the return at constant
+ * FX rates and the currency translation (FX) effect
+ *
+ * constantFxValues holds, for each step, the end value converted at the
+ * previous valuation date's rates, so for each day:
+ *   local R_i = (V_end@FX_{i-1} - V_start - CF) / (V_start + CF)
+ *   FX effect_i = R_i - local R_i
+ * Days neutralized by calculateDailyTWR stay neutral in both series.
+ *
+ * @param {Array} twrSeries - calculateDailyTWR output
+ * @param {Object} constantFxValues - Map of date -> end value at the previous date's rates
+ * @returns {Array} Array of { date, localReturn, fxEffect, cumulativeLocalTWR }
+ */
+export const calculateFxTranslationSeries = (twrSeries, constantFxValues) => {
+  const results = [];
+  let cumulativeProduct = 1;
+
+  for (const entry of twrSeries || []) {
+    const denominator = entry.vStart + entry.cashFlow;
+    const rawReturn = denominator > 0 ? (entry.vEnd - entry.vStart - entry.cashFlow) / denominator : 0;
+    const isNeutralized = denominator <= 0 || Math.abs(rawReturn - entry.dailyReturn) > 1e-9;
+
+    const constantFxEnd = constantFxValues?.[entry.date] ?? entry.vEnd;
+    const localReturn = isNeutralized ? 0 : (constantFxEnd - entry.vStart - entry.cashFlow) / denominator;
+
+    cumulativeProduct *= (1 + localReturn);
+
+    results.push({
+      date: entry.date,
+      localReturn,
+      fxEffect: entry.dailyReturn - localReturn,
+      cumulativeLocalTWR: cumulativeProduct - 1
+    });
+  }
+
+  return results;
+};
+
 /**
  * Annualize a TWR return
  * Only meaningful for periods > 365 days
@@ -199,3 +264,20 @@ export const annualizeTWR = (twr, totalDays) => {
   if (totalDays <= 365) return null;
   return Math.pow(1 + twr, 365 / totalDays) - 1;
 };
+
+/**
+ * Start dates of the standard reporting periods
+ * Each period chain-links from the last TWR entry on or before its start date.
+ * ALL has no start date (from the first snapshot).
+ *
+ * @param {Date} now - Reference date
+ * @returns {Object} { '1M', '3M', '6M', 'YTD', '1Y': Date, 'ALL': null }
+ */
+export const getPeriodStartDates = (now) => ({
+  '1M': new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000),
+  '3M': new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000),
+  '6M': new Date(now.getTime() - 180 * 24 * 60 * 60 * 1000),
+  'YTD': new Date(now.getFullYear(), 0, 1),
+  '1Y': new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000),
+  'ALL': null
+});
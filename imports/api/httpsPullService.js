@@ -0,0 +1,231 @@
+import https from 'https';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+/**
+ * HTTPS Pull Service for custodians exposing statement files over HTTPS
+ *
+ * The connection URL points to a directory listing: either a JSON document
+ * (an array of file names or of { name, url, size, modified } objects, optionally
+ * wrapped in { files: [...] }) or an HTML index page whose links are the files.
+ * Authentication is HTTP basic auth and/or a TLS client certificate.
+ */
+
+/**
+ * Read a certificate/key either from a file path or from Meteor settings (SETTINGS:KEY_NAME)
+ */
+function readCredential(credentialPath) {
+  if (!credentialPath) return undefined;
+
+  if (credentialPath.startsWith('SETTINGS:')) {
+    const settingsKeyName = credentialPath.replace('SETTINGS:', '');
+    const { Meteor } = require('meteor/meteor');
+
+    if (!Meteor.settings || !Meteor.settings.private || !Meteor.settings.private[settingsKeyName]) {
+      throw new Error(`Settings key '${settingsKeyName}' not found in Meteor.settings.private`);
+    }
+    return Meteor.settings.private[settingsKeyName];
+  }
+
+  const expandedPath = credentialPath.startsWith('~/')
+    ? path.join(os.homedir(), credentialPath.slice(2))
+    : credentialPath;
+  return fs.readFileSync(expandedPath);
+}
+
+/**
+ * Build https.request options from the connection configuration
+ */
+function buildRequestOptions(config, url) {
+  const {
+    authType = 'basic',
+    username = null,
+    password = null,
+    clientCertPath = null,
+    clientKeyPath = null,
+    caPath = null,
+    timeout = 60000
+  } = config;
+
+  const options = { method: 'GET', timeout, headers: { 'User-Agent': 'Ambervision-BankSync' } };
+
+  if (username && password) {
+    options.headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  if (authType === 'certificate') {
+    if (!clientCertPath || !clientKeyPath) {
+      throw new Error('Certificate authentication requires a client certificate and key');
+    }
+    options.cert = readCredential(clientCertPath);
+    options.key = readCredential(clientKeyPath);
+  }
+
+  if (caPath) {
+    options.ca = readCredential(caPath);
+  }
+
+  if (new URL(url).protocol !== 'https:') {
+    throw new Error(`Only https:// URLs are supported (got ${url})`);
+  }
+
+  return options;
+}
+
+/**
+ * The configuration without basic auth or client certificate, for requests that
+ * leave the host of the connection URL
+ */
+function withoutCredentials(config) {
+  return { ...config, authType: 'none', username: null, password: null, clientCertPath: null, clientKeyPath: null };
+}
+
+const isSameHost = (url, otherUrl) => new URL(url).host === new URL(otherUrl).host;
+
+/**
+ * Issue a GET request and resolve with the response stream (redirects followed)
+ */
+function openGet(config, url, redirectsLeft = 3) {
+  return new Promise((resolve, reject) => {
+    let options;
+    try {
+      options = buildRequestOptions(config, url);
+    } catch (err) {
+      reject(err);
+      return;
+    }
+
+    const req = https.request(url, options, (res) => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location && redirectsLeft > 0) {
+        res.resume();
+        const nextUrl = new URL(res.headers.location, url).toString();
+        // Never forward credentials or the client certificate to another host
+        openGet(isSameHost(nextUrl, url) ? config : withoutCredentials(config), nextUrl, redirectsLeft - 1)
+          .then(resolve, reject);
+        return;
+      }
+
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+        return;
+      }
+
+      resolve(res);
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`HTTPS request timeout after ${options.timeout}ms`));
+    });
+    req.on('error', (err) => reject(new Error(`HTTPS request failed: ${err.message}`)));
+    req.end();
+  });
+}
+
+/**
+ * Read a full response body into a Buffer
+ */
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => resolve(Buffer.concat(chunks)));
+    res.on('error', reject);
+  });
+}
+
+export const HTTPSPullService = {
+  /**
+   * Test the listing endpoint
+   */
+  async testConnection(config) {
+    const files = await this.listFiles(config);
+
+    return {
+      success: true,
+      message: 'Connection successful',
+      connected: true,
+      fileCount: files.length,
+      timestamp: new Date()
+    };
+  },
+
+  /**
+   * List files published at the connection URL
+   * @returns {Promise<Array>} [{ name, url, size, modified, isDirectory }]
+   */
+  async listFiles(config) {
+    const { url } = config;
+    const res = await openGet(config, url);
+    const contentType = res.headers['content-type'] || '';
+    const body = (await readBody(res)).toString('utf8');
+
+    let entries;
+    if (contentType.includes('json') || /^\s*[[{]/.test(body)) {
+      const parsed = JSON.parse(body);
+      const list = Array.isArray(parsed) ? parsed : (parsed.files || parsed.items || []);
+      entries = list.map(item => (typeof item === 'string'
+        ? { name: path.posix.basename(item), href: item }
+        : {
+          name: item.name || item.filename || path.posix.basename(item.url || item.href || ''),
+          href: item.url || item.href || item.name || item.filename,
+          size: item.size ?? null,
+          modified: item.modified || item.lastModified || null
+        }));
+    } else {
+      // HTML index: every link to a file (no query strings, no parent/sub directories)
+      const hrefs = [...body.matchAll(/href\s*=\s*["']([^"'#?]+)["']/gi)].map(m => m[1]);
+      entries = [...new Set(hrefs)]
+        .filter(href => !href.endsWith('/') && !href.startsWith('..'))
+        .map(href => ({ name: decodeURIComponent(path.posix.basename(href)), href }));
+    }
+
+    // Relative links resolve against the listing URL, as a browser would. Files on
+    // another host are left out: they would be fetched with this connection's credentials.
+    const files = entries
+      .filter(entry => entry.name && entry.href)
+      .map(entry => ({ ...entry, url: new URL(entry.href, url).toString() }));
+    const sameHostFiles = files.filter(file => isSameHost(file.url, url));
+
+    if (sameHostFiles.length < files.length) {
+      console.warn(`[HTTPS_PULL] ${url}: ignoring ${files.length - sameHostFiles.length} file(s) on another host`);
+    }
+    console.log(`[HTTPS_PULL] ${url}: ${sameHostFiles.length} file(s) listed`);
+
+    return sameHostFiles.map(file => ({
+      name: path.basename(file.name),
+      url: file.url,
+      size: file.size ?? null,
+      modified: file.modified ? new Date(file.modified) : null,
+      isDirectory: false
+    }));
+  },
+
+  /**
+   * Download one file to disk. Writes to a .part file first and renames on completion,
+   * so a partial download never appears under the final name.
+   */
+  async downloadFile(config, fileUrl, localPath) {
+    if (!isSameHost(fileUrl, config.url)) {
+      throw new Error(`Refusing to download ${fileUrl}: not on the host of ${config.url}`);
+    }
+
+    const res = await openGet(config, fileUrl);
+    const partPath = `${localPath}.part`;
+
+    await new Promise((resolve, reject) => {
+      const out = fs.createWriteStream(partPath);
+      res.pipe(out);
+      res.on('error', reject);
+      out.on('error', reject);
+      out.on('finish', resolve);
+    }).catch((err) => {
+      fs.rmSync(partPath, { force: true });
+      throw new Error(`Download of ${fileUrl} failed: ${err.message}`);
+    });
+
+    fs.renameSync(partPath, localPath);
+    return { localPath, size: fs.statSync(localPath).size };
+  }
+};
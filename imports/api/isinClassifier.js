@@ -121,7 +121,9 @@ export const ISINClassifierHelpers = {
       'participation_note': 'Participation Note',
       'shark_note': 'Shark Note',
       'reverse_convertible': 'Reverse Convertible',
-      'reverse_convertible_bond': 'Reverse Convertible Bond'
+      'reverse_convertible_bond': 'Reverse Convertible Bond',
+      'issuer_callable_phoenix': 'Issuer Callable Phoenix',
+      'credit_linked_note': 'Credit Linked Note'
     };
 
     // Template-based classification for underlying type and protection
@@ -136,6 +138,13 @@ export const ISINClassifierHelpers = {
         capitalGuaranteedPartial: false,
         barrierProtected: true
       },
+      'issuer_callable_phoenix': {
+        underlyingType: 'equity_linked',
+        protectionType: 'capital_protected_conditional',
+        capitalGuaranteed100: false,
+        capitalGuaranteedPartial: false,
+        barrierProtected: true
+      },
       'orion': {
         underlyingType: 'equity_linked',
         protectionType: 'capital_guaranteed_100',
@@ -149,6 +158,14 @@ export const ISINClassifierHelpers = {
         capitalGuaranteed100: true,
         capitalGuaranteedPartial: false,
         barrierProtected: false
+      },
+      // CLN: par at maturity unless a reference entity defaults
+      'credit_linked_note': {
+        underlyingType: 'credit_linked',
+        protectionType: 'other_protection',
+        capitalGuaranteed100: false,
+        capitalGuaranteedPartial: false,
+        barrierProtected: false
       }
     };
 
@@ -43,6 +43,42 @@ export function translatePayoffStructure(payoffStructure) {
   }));
 }
 
+/**
+ * Memory key shared by coupon-storing and coupon-paying components
+ */
+export const MEMORY_COUPON_KEY = 'unpaid_coupons';
+
+/**
+ * Memory keys through which observation schedule levels override drawn barriers
+ */
+export const SCHEDULED_BARRIER_KEYS = {
+  autocall: 'autocall_level',
+  coupon: 'coupon_barrier'
+};
+
+/**
+ * Memory key through which a per-observation coupon amount from the schedule overrides the drawn rate
+ */
+export const SCHEDULED_COUPON_KEY = 'coupon_rate';
+
+/**
+ * Coupon amount for the current observation: the drawn rate, multiplied by the
+ * period number for snowball coupons, unless the schedule sets an explicit amount
+ */
+function couponAmountOf(couponRate, snowball = false) {
+  let amount = createPrimitive('CONSTANT', { value: couponRate });
+  if (snowball) {
+    amount = createPrimitive('MULTIPLY', {
+      a: amount,
+      b: createPrimitive('ADD', {
+        a: createPrimitive('OBSERVATION_COUNT'),
+        b: createPrimitive('CONSTANT', { value: 1 })
+      })
+    });
+  }
+  return createPrimitive('RETRIEVE', { key: SCHEDULED_COUPON_KEY, defaultValue: amount });
+}
+
 /**
  * Component-specific translators
  */
@@ -102,10 +138,34 @@ const componentTranslators = {
     }
   },
   
+  [ItemTypes.UNDERLYING]: (component, context) => {
+    // Underlying cells carry the same basketType semantics as basket cells
+    return componentTranslators[ItemTypes.BASKET](component, context);
+  },
+  
   [ItemTypes.BARRIER]: (component) => {
-    // Barriers just return their value as a constant
+    // Barriers return their value as a constant, optionally stepping down per observation
     const value = parseFloat(component.value || component.defaultValue || '100');
-    return createPrimitive('CONSTANT', { value });
+    const stepDownAmount = parseFloat(component.stepDownAmount || '0');
+    
+    let level = createPrimitive('CONSTANT', { value });
+    if (component.stepDown && stepDownAmount > 0) {
+      level = createPrimitive('SUBTRACT', {
+        a: level,
+        b: createPrimitive('MULTIPLY', {
+          a: createPrimitive('OBSERVATION_COUNT'),
+          b: createPrimitive('CONSTANT', { value: stepDownAmount })
+        })
+      });
+    }
+    
+    // Levels from the product's observation schedule take precedence when present
+    const scheduleKey = SCHEDULED_BARRIER_KEYS[component.barrier_type];
+    if (scheduleKey) {
+      return createPrimitive('RETRIEVE', { key: scheduleKey, defaultValue: level });
+    }
+    
+    return level;
   },
   
   [ItemTypes.COMPARISON]: (component, context) => {
@@ -152,14 +212,16 @@ const componentTranslators = {
     if (label.includes('Return 100%')) {
       return createPrimitive('PAY', {
         amount: createPrimitive('CONSTANT', { value: 100 }),
-        description: 'Principal Return'
+        description: 'Principal Return',
+        category: 'capital'
       });
     }
     
     if (label.includes('Downside')) {
       return createPrimitive('PAY', {
         amount: createPrimitive('WORST_OF', { assetIds: ['$ASSETS'] }),
-        description: 'Downside Exposure'
+        description: 'Downside Exposure',
+        category: 'capital'
       });
     }
     
@@ -175,7 +237,8 @@ const componentTranslators = {
       return compose(
         createPrimitive('PAY', {
           amount: createPrimitive('CONSTANT', { value: 100 }),
-          description: 'Early Redemption'
+          description: 'Early Redemption',
+          category: 'capital'
         }),
         createPrimitive('TERMINATE')
       );
@@ -192,20 +255,150 @@ const componentTranslators = {
   [ItemTypes.COUPON]: (component) => {
     const couponRate = parseFloat(component.value || component.defaultValue || '0');
     return createPrimitive('PAY', {
-      amount: createPrimitive('CONSTANT', { value: couponRate }),
+      amount: couponAmountOf(couponRate, component.snowball),
       description: 'Coupon'
     });
   },
   
-  [ItemTypes.AUTOCALL]: (component) => {
-    const amount = parseFloat(component.value || '100');
-    return compose(
+  [ItemTypes.AUTOCALL]: (component, context = {}) => {
+    const amount = parseFloat(component.basePayment || component.value || '100');
+    const operations = [
       createPrimitive('PAY', {
         amount: createPrimitive('CONSTANT', { value: amount }),
-        description: 'Autocall'
+        description: 'Autocall',
+        category: 'capital'
+      })
+    ];
+    
+    // Phoenix-style autocalls also pay the period coupon and release the memory
+    if (component.includeMemoryCoupons || component.includeMemory) {
+      const couponRate = parseFloat(component.couponRate || context.couponRate || '0');
+      operations.push(
+        createPrimitive('PAY', {
+          amount: createPrimitive('ADD', {
+            a: couponAmountOf(couponRate, component.snowball ?? context.snowballCoupon),
+            b: createPrimitive('RETRIEVE', { key: MEMORY_COUPON_KEY, defaultValue: 0 })
+          }),
+          description: 'Coupon + Memory',
+          category: 'coupon'
+        }),
+        createPrimitive('RESET', { key: MEMORY_COUPON_KEY })
+      );
+    }
+    
+    operations.push(createPrimitive('TERMINATE'));
+    return compose(...operations);
+  },
+  
+  [ItemTypes.RESULT]: (component, context = {}) => {
+    const label = (component.label || '').toLowerCase();
+    const basket = context.basket || createPrimitive('WORST_OF', { assetIds: context.assetIds || ['$ASSETS'] });
+    const isPerformanceLinked = component.exposureType || label.includes('performance') || label.includes('downside');
+    
+    let capital;
+    if (component.exposureType === 'leveraged' || component.exposureType === 'geared' || label.includes('airbag')) {
+      // Geared (airbag) loss: basket level rebased on the protection barrier
+      const gearingStrike = parseFloat(component.gearingStrike || context.protectionLevel || '100');
+      capital = createPrimitive('MULTIPLY', {
+        a: basket,
+        b: createPrimitive('CONSTANT', { value: 100 / gearingStrike })
+      });
+    } else if (isPerformanceLinked) {
+      const multiplier = parseFloat(component.multiplier || '1');
+      capital = createPrimitive('ADD', {
+        a: createPrimitive('CONSTANT', { value: 100 }),
+        b: createPrimitive('MULTIPLY', {
+          a: createPrimitive('SUBTRACT', { a: basket, b: createPrimitive('CONSTANT', { value: 100 }) }),
+          b: createPrimitive('CONSTANT', { value: multiplier })
+        })
+      });
+    } else {
+      capital = createPrimitive('CONSTANT', { value: parseFloat(component.baseReturn || component.value || '100') });
+    }
+    
+    const operations = [
+      createPrimitive('PAY', { amount: capital, description: component.label || 'Redemption', category: 'capital' })
+    ];
+    
+    if (component.includeMemoryCoupons) {
+      operations.push(
+        createPrimitive('PAY', {
+          amount: createPrimitive('RETRIEVE', { key: MEMORY_COUPON_KEY, defaultValue: 0 }),
+          description: 'Memory Coupons',
+          category: 'coupon'
+        }),
+        createPrimitive('RESET', { key: MEMORY_COUPON_KEY })
+      );
+    }
+    
+    return operations.length === 1 ? operations[0] : createPrimitive('SEQUENCE', { operations });
+  },
+  
+  [ItemTypes.PARTICIPATION]: (component, context = {}) => {
+    const basket = context.basket || createPrimitive('WORST_OF', { assetIds: context.assetIds || ['$ASSETS'] });
+    const baseReturn = parseFloat(component.baseReturn || '100');
+    const participationRate = parseFloat(component.participationRate || '100');
+    const strikeLevel = parseFloat(component.strikeLevel || '100');
+    
+    let upside = createPrimitive('MULTIPLY', {
+      a: createPrimitive('MAX', {
+        values: [
+          createPrimitive('SUBTRACT', { a: basket, b: createPrimitive('CONSTANT', { value: strikeLevel }) }),
+          createPrimitive('CONSTANT', { value: 0 })
+        ]
       }),
-      createPrimitive('TERMINATE')
-    );
+      b: createPrimitive('CONSTANT', { value: participationRate / 100 })
+    });
+    if (component.cap) {
+      upside = createPrimitive('CAP', { value: upside, cap: createPrimitive('CONSTANT', { value: parseFloat(component.cap) }) });
+    }
+    
+    return createPrimitive('PAY', {
+      amount: createPrimitive('ADD', { a: createPrimitive('CONSTANT', { value: baseReturn }), b: upside }),
+      description: component.label || 'Participation',
+      category: 'capital'
+    });
+  },
+  
+  [ItemTypes.ABSOLUTE_PERFORMANCE]: (component, context = {}) => {
+    // Twin-win: participation in the absolute value of the basket performance
+    const basket = context.basket || createPrimitive('WORST_OF', { assetIds: context.assetIds || ['$ASSETS'] });
+    const baseReturn = parseFloat(component.baseReturn || '100');
+    const participationRate = parseFloat(component.participationRate || '100');
+    
+    let gain = createPrimitive('MULTIPLY', {
+      a: createPrimitive('ABSOLUTE', {
+        value: createPrimitive('SUBTRACT', { a: basket, b: createPrimitive('CONSTANT', { value: 100 }) })
+      }),
+      b: createPrimitive('CONSTANT', { value: participationRate / 100 })
+    });
+    if (component.cap) {
+      gain = createPrimitive('CAP', { value: gain, cap: createPrimitive('CONSTANT', { value: parseFloat(component.cap) }) });
+    }
+    
+    return createPrimitive('PAY', {
+      amount: createPrimitive('ADD', { a: createPrimitive('CONSTANT', { value: baseReturn }), b: gain }),
+      description: component.label || 'Absolute Performance',
+      category: 'capital'
+    });
+  },
+  
+  [ItemTypes.RANGE_ACCRUAL]: (component, context = {}) => {
+    // Coupon pro-rated by the share of days the basket spent inside the range
+    const couponRate = parseFloat(component.couponRate || component.value || context.couponRate || '0');
+    const lower = parseFloat(component.lowerBarrier || component.lowerBound || '0');
+    const upper = component.upperBarrier || component.upperBound
+      ? parseFloat(component.upperBarrier || component.upperBound)
+      : null;
+    
+    return createPrimitive('PAY', {
+      amount: createPrimitive('MULTIPLY', {
+        a: createPrimitive('CONSTANT', { value: couponRate }),
+        b: createPrimitive('RANGE_FRACTION', { assetIds: context.assetIds || ['$ASSETS'], lower, upper })
+      }),
+      description: 'Range Accrual Coupon',
+      category: 'coupon'
+    });
   },
   
   // ============ MEMORY COMPONENTS ============
@@ -219,6 +412,50 @@ const componentTranslators = {
     });
   },
   
+  [ItemTypes.MEMORY_COUPON]: (component) => {
+    const couponRate = parseFloat(component.couponRate || component.value || component.defaultValue || '0');
+    
+    // Snowball coupons already catch up on missed periods, so nothing is kept in memory
+    if (!component.includeMemory || component.snowball) {
+      return createPrimitive('PAY', {
+        amount: couponAmountOf(couponRate, component.snowball),
+        description: 'Coupon',
+        category: 'coupon'
+      });
+    }
+    
+    return createPrimitive('SEQUENCE', {
+      operations: [
+        createPrimitive('PAY', {
+          amount: createPrimitive('ADD', {
+            a: couponAmountOf(couponRate),
+            b: createPrimitive('RETRIEVE', { key: MEMORY_COUPON_KEY, defaultValue: 0 })
+          }),
+          description: 'Coupon + Memory',
+          category: 'coupon'
+        }),
+        createPrimitive('RESET', { key: MEMORY_COUPON_KEY })
+      ]
+    });
+  },
+  
+  [ItemTypes.MEMORY_ADD]: (component, context = {}) => {
+    // The UI's 'unpaidCoupons' bucket shares the memory key used by coupon payers
+    const key = !component.bucketName || component.bucketName === 'unpaidCoupons'
+      ? MEMORY_COUPON_KEY
+      : component.bucketName;
+    const value = parseFloat(component.valueToStore || component.value || context.couponRate || '0');
+    if (key === MEMORY_COUPON_KEY && context.snowballCoupon) {
+      // Snowball coupons catch up on their own, storing them would pay missed periods twice
+      return createPrimitive('SKIP');
+    }
+    return createPrimitive('ACCUMULATE', {
+      key,
+      value: key === MEMORY_COUPON_KEY
+        ? couponAmountOf(value)
+        : createPrimitive('CONSTANT', { value })
+    });
+  },
   
   // ============ LOGIC OPERATORS ============
   
@@ -376,6 +613,177 @@ export function translateLogicNode(node, productContext = {}) {
   }
 }
 
+/**
+ * Translate one section ('life' or 'maturity') of a drag-and-drop payoff structure
+ * into executable statements.
+ *
+ * Rows are read in rowIndex order. A row opened by IF (or with no operator) starts a
+ * new statement; ELSE IF / ELSE rows are chained onto the previous statement's else
+ * branch. Inside a row, an ELSE operator in the action column splits THEN and ELSE
+ * actions.
+ *
+ * @param {Array} payoffStructure - Flattened droppedItems of the product
+ * @param {string} section - 'life' or 'maturity'
+ * @param {Object} productContext - { underlyings } used to resolve asset ids
+ * @returns {Array} - Statement primitives, executed in order at each observation
+ */
+export function translateSection(payoffStructure, section, productContext = {}) {
+  if (!Array.isArray(payoffStructure)) {
+    return [];
+  }
+  
+  const assetIds = productContext.underlyings?.map(u => u.symbol || u.ticker) || ['$ASSETS'];
+  const couponItem = payoffStructure.find(item =>
+    item.type === ItemTypes.MEMORY_COUPON || item.type === ItemTypes.COUPON
+  );
+  const couponRate = couponItem ? (couponItem.couponRate || couponItem.value || couponItem.defaultValue) : null;
+  const snowballCoupon = couponItem?.snowball === true;
+  
+  const sectionItems = payoffStructure.filter(item => item.section === section);
+  const rowIndexes = [...new Set(sectionItems.map(item => item.rowIndex || 0))].sort((a, b) => a - b);
+  
+  const statements = [];
+  let openIf = null;
+  
+  for (const rowIndex of rowIndexes) {
+    const rowItems = sectionItems
+      .filter(item => (item.rowIndex || 0) === rowIndex)
+      .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+    const inColumn = (column) => rowItems.filter(item => item.column === column);
+    const isOperator = (item) => item.type === ItemTypes.LOGIC_OPERATOR;
+    
+    const rowOperator = (inColumn('condition').find(isOperator)?.label || '').toUpperCase();
+    const conditionItems = inColumn('condition').filter(item => !isOperator(item));
+    
+    // Range accruals are dropped in the timing column but behave as payments
+    const timingItems = inColumn('timing').filter(item => item.type !== ItemTypes.RANGE_ACCRUAL);
+    const thenItems = inColumn('timing').filter(item => item.type === ItemTypes.RANGE_ACCRUAL);
+    const elseItems = [];
+    let inElse = false;
+    for (const item of [...inColumn('action'), ...inColumn('continuation')]) {
+      if (isOperator(item)) {
+        inElse = inElse || (item.label || '').toUpperCase() === 'ELSE';
+        continue;
+      }
+      (inElse ? elseItems : thenItems).push(item);
+    }
+    
+    // Row-level context: the basket and protection barrier drive payoff formulas
+    const basketItem = conditionItems.find(item =>
+      item.type === ItemTypes.UNDERLYING || item.type === ItemTypes.BASKET
+    );
+    const barrierItem = conditionItems.find(item => item.type === ItemTypes.BARRIER);
+    const context = { ...productContext, assetIds, couponRate, snowballCoupon };
+    if (basketItem) {
+      context.basket = translateLegacyComponent(basketItem, context);
+    }
+    if (barrierItem) {
+      context.protectionLevel = parseFloat(barrierItem.value || barrierItem.defaultValue || '100');
+    }
+    
+    const condition = translateCondition(conditionItems, context);
+    const thenBranch = sequenceOf(thenItems, context);
+    const elseBranch = sequenceOf(elseItems, context);
+    
+    let statement = null;
+    if (condition) {
+      statement = createPrimitive('IF', {
+        condition,
+        thenBranch: thenBranch || createPrimitive('CONTINUE'),
+        ...(elseBranch ? { elseBranch } : {})
+      });
+    } else {
+      statement = thenBranch;
+    }
+    
+    if (!statement) {
+      continue;
+    }
+    
+    const chainsOntoPrevious = rowOperator === 'ELSE IF' || rowOperator === 'ELSE';
+    if (chainsOntoPrevious && openIf && !openIf.params.elseBranch) {
+      openIf.params.elseBranch = statement;
+    } else {
+      const timingPrimitives = timingItems
+        .map(item => translateLegacyComponent(item, context))
+        .filter(p => p !== null);
+      const timingCondition = timingPrimitives.length > 0
+        ? timingPrimitives.reduce((acc, prim) => createPrimitive('AND', { a: acc, b: prim }))
+        : null;
+      
+      statements.push(timingCondition
+        ? createPrimitive('IF', { condition: timingCondition, thenBranch: statement })
+        : statement);
+    }
+    
+    openIf = statement.primitiveId === 'if' ? statement : null;
+  }
+  
+  return statements;
+}
+
+/**
+ * Build a condition from a row's condition cells.
+ * Each "operand comparison operand" triple becomes one comparison; triples are AND-ed.
+ */
+function translateCondition(conditionItems, context) {
+  const comparisons = [];
+  let pendingLeft = null;
+  let pendingComparison = null;
+  
+  for (const item of conditionItems) {
+    if (item.type === ItemTypes.COMPARISON) {
+      pendingComparison = item;
+      continue;
+    }
+    
+    const operand = translateLegacyComponent(item, context);
+    if (!operand) {
+      continue;
+    }
+    
+    if (pendingComparison && pendingLeft) {
+      comparisons.push(translateLegacyComponent(pendingComparison, {
+        ...context,
+        leftOperand: pendingLeft,
+        rightOperand: operand
+      }));
+      pendingLeft = null;
+      pendingComparison = null;
+    } else {
+      pendingLeft = operand;
+    }
+  }
+  
+  // A lone operand (e.g. a boolean aggregation) acts as the condition itself
+  if (comparisons.length === 0 && pendingLeft && !pendingComparison) {
+    comparisons.push(pendingLeft);
+  }
+  
+  const valid = comparisons.filter(p => p !== null);
+  if (valid.length === 0) {
+    return null;
+  }
+  return valid.reduce((acc, prim) => createPrimitive('AND', { a: acc, b: prim }));
+}
+
+/**
+ * Translate action cells into a single primitive (SEQUENCE when several)
+ */
+function sequenceOf(items, context) {
+  const primitives = items
+    .map(item => translateLegacyComponent(item, context))
+    .filter(p => p !== null);
+  
+  if (primitives.length === 0) {
+    return null;
+  }
+  if (primitives.length === 1) {
+    return primitives[0];
+  }
+  return createPrimitive('SEQUENCE', { operations: primitives });
+}
+
 /**
  * Example translations for common patterns
  */
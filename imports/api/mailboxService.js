@@ -0,0 +1,400 @@
+import tls from 'tls';
+import fs from 'fs';
+import path from 'path';
+import { simpleParser } from 'mailparser';
+
+/**
+ * Mailbox Service for custodians that send statements as email attachments
+ *
+ * Two sources are supported:
+ * - IMAP over TLS (implicit, port 993), using a minimal client on Node's tls module
+ * - A maildir on the server filesystem (e.g. delivered by the local MTA)
+ *
+ * Messages are parsed with mailparser and only attachments accepted by the
+ * caller's filter are written to disk.
+ */
+
+const IMAP_LITERAL_REGEX = /\{(\d+)\}$/;
+
+/**
+ * Quote a string for use as an IMAP astring
+ */
+function quoteImapString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Open an authenticated IMAP session.
+ * Responses are read as raw buffers so that message literals keep their exact bytes.
+ */
+function openImapSession({ host, port = 993, username, password, timeout = 30000 }) {
+  return new Promise((resolve, reject) => {
+    let buffer = Buffer.alloc(0);
+    let lineStart = 0;
+    let scanOffset = 0;
+    let waiter = null;   // { tag, resolve, reject }
+    let tagCounter = 0;
+    let closed = false;
+
+    const socket = tls.connect({ host, port, servername: host });
+    socket.setTimeout(timeout);
+
+    const fail = (error) => {
+      if (waiter) {
+        const { reject: rejectWaiter } = waiter;
+        waiter = null;
+        rejectWaiter(error);
+      }
+    };
+
+    // Consume complete logical lines (literals included) and settle the pending command
+    const drain = () => {
+      while (waiter) {
+        const crlf = buffer.indexOf('\r\n', scanOffset);
+        if (crlf === -1) return;
+
+        const literalMatch = buffer.slice(scanOffset, crlf).toString('latin1').match(IMAP_LITERAL_REGEX);
+        if (literalMatch) {
+          const literalEnd = crlf + 2 + parseInt(literalMatch[1], 10);
+          if (buffer.length < literalEnd) return;
+          scanOffset = literalEnd;
+          continue;
+        }
+
+        const line = buffer.slice(lineStart, crlf).toString('latin1');
+        const responseEnd = crlf + 2;
+        const isComplete = waiter.tag === null || line.startsWith(`${waiter.tag} `);
+
+        if (isComplete) {
+          const raw = buffer.slice(0, responseEnd);
+          buffer = buffer.slice(responseEnd);
+          lineStart = 0;
+          scanOffset = 0;
+
+          const status = waiter.tag === null
+            ? line.split(' ')[1]
+            : line.slice(waiter.tag.length + 1).split(' ')[0];
+          const { resolve: resolveWaiter, reject: rejectWaiter } = waiter;
+          waiter = null;
+
+          if (status === 'OK' || status === 'PREAUTH') {
+            resolveWaiter({ status, line, raw });
+          } else {
+            rejectWaiter(new Error(`IMAP error: ${line}`));
+          }
+          return;
+        }
+
+        lineStart = responseEnd;
+        scanOffset = responseEnd;
+      }
+    };
+
+    const session = {
+      command(text) {
+        if (closed) {
+          return Promise.reject(new Error('IMAP connection closed'));
+        }
+        return new Promise((res, rej) => {
+          tagCounter += 1;
+          const tag = `A${tagCounter}`;
+          waiter = { tag, resolve: res, reject: rej };
+          socket.write(`${tag} ${text}\r\n`);
+        });
+      },
+
+      async logout() {
+        try {
+          await session.command('LOGOUT');
+        } catch (e) {
+          // Server may close before the tagged response - nothing to do
+        }
+        socket.end();
+      }
+    };
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      drain();
+    });
+
+    socket.on('timeout', () => {
+      socket.destroy(new Error(`IMAP timeout after ${timeout}ms`));
+    });
+
+    socket.on('error', (err) => {
+      fail(new Error(`IMAP connection failed: ${err.message}`));
+      reject(new Error(`IMAP connection failed: ${err.message}`));
+    });
+
+    socket.on('close', () => {
+      closed = true;
+      fail(new Error('IMAP connection closed by server'));
+    });
+
+    // Greeting is an untagged line
+    waiter = {
+      tag: null,
+      resolve: async () => {
+        try {
+          await session.command(`LOGIN ${quoteImapString(username)} ${quoteImapString(password)}`);
+          console.log(`[MAILBOX] IMAP logged in to ${host}:${port} as ${username}`);
+          resolve(session);
+        } catch (err) {
+          socket.end();
+          reject(err);
+        }
+      },
+      reject
+    };
+  });
+}
+
+/**
+ * Extract the first literal that follows a BODY[] item in a FETCH response
+ */
+function extractFetchLiteral(raw) {
+  const text = raw.toString('latin1');
+  const match = text.match(/BODY\[\] \{(\d+)\}\r\n/);
+  if (!match) return null;
+  const start = match.index + match[0].length;
+  return raw.slice(start, start + parseInt(match[1], 10));
+}
+
+export const MailboxService = {
+  /**
+   * Parse a raw RFC 822 message and save matching attachments
+   * @param {Buffer} rawMessage - Full message source
+   * @param {String} targetPath - Directory to write attachments to
+   * @param {Function} fileFilter - (filename) => boolean
+   * @returns {Promise<Object>} { messageId, subject, from, savedFiles: [], ignoredFiles: [] }
+   */
+  async saveAttachments(rawMessage, targetPath, fileFilter = null) {
+    const parsed = await simpleParser(rawMessage);
+    const savedFiles = [];
+    const ignoredFiles = [];
+
+    for (const attachment of parsed.attachments || []) {
+      // Keep only the basename - attachment names come from the sender
+      const filename = attachment.filename ? path.basename(attachment.filename) : null;
+      if (!filename || (fileFilter && !fileFilter(filename))) {
+        ignoredFiles.push(filename || '(unnamed)');
+        continue;
+      }
+
+      fs.writeFileSync(path.join(targetPath, filename), attachment.content);
+      savedFiles.push(filename);
+    }
+
+    return {
+      messageId: parsed.messageId || null,
+      subject: parsed.subject || '',
+      from: parsed.from?.text || '',
+      date: parsed.date || null,
+      savedFiles,
+      ignoredFiles
+    };
+  },
+
+  /**
+   * Test IMAP login and mailbox selection
+   */
+  async testImapConnection(config) {
+    const { host, port = 993, mailbox = 'INBOX' } = config;
+    const session = await openImapSession(config);
+
+    try {
+      const selected = await session.command(`EXAMINE ${quoteImapString(mailbox)}`);
+      const existsMatch = selected.raw.toString('latin1').match(/\* (\d+) EXISTS/);
+
+      return {
+        success: true,
+        message: `Connected to ${host}:${port}, mailbox ${mailbox}`,
+        connected: true,
+        fileCount: existsMatch ? parseInt(existsMatch[1], 10) : 0,
+        timestamp: new Date()
+      };
+    } finally {
+      await session.logout();
+    }
+  },
+
+  /**
+   * List the most recent messages of the mailbox (UID, size, arrival date)
+   */
+  async listImapMessages(config, limit = 50) {
+    const { mailbox = 'INBOX' } = config;
+    const session = await openImapSession(config);
+
+    try {
+      const selected = await session.command(`EXAMINE ${quoteImapString(mailbox)}`);
+      const existsMatch = selected.raw.toString('latin1').match(/\* (\d+) EXISTS/);
+      const total = existsMatch ? parseInt(existsMatch[1], 10) : 0;
+      if (total === 0) return [];
+
+      const first = Math.max(1, total - limit + 1);
+      const fetched = await session.command(`FETCH ${first}:* (UID RFC822.SIZE INTERNALDATE)`);
+
+      return fetched.raw.toString('latin1').split('\r\n')
+        .filter(line => /^\* \d+ FETCH/.test(line))
+        // Item order within a FETCH response is up to the server
+        .map(line => ({
+          uid: line.match(/UID (\d+)/)?.[1],
+          size: line.match(/RFC822\.SIZE (\d+)/)?.[1],
+          internalDate: line.match(/INTERNALDATE "([^"]+)"/)?.[1]
+        }))
+        .filter(item => item.uid)
+        .map(({ uid, size, internalDate }) => ({
+          name: `UID ${uid}`,
+          isDirectory: false,
+          size: size ? parseInt(size, 10) : 0,
+          modified: internalDate ? new Date(internalDate.replace(/^\s*(\d+)-(\w+)-(\d+) /, '$2 $1 $3 ')) : null
+        }))
+        .reverse();
+    } finally {
+      await session.logout();
+    }
+  },
+
+  /**
+   * Fetch messages newer than the last processed UID and save their matching attachments.
+   * Messages are read with BODY.PEEK and flagged \Seen once their attachments are on disk.
+   *
+   * @param {Object} config - { host, port, username, password, mailbox, imapState, lookbackDays }
+   * @param {String} targetPath - Directory to write attachments to
+   * @param {Function} fileFilter - (filename) => boolean
+   * @returns {Promise<Object>} { messages: [], errors: [], imapState }
+   */
+  async fetchImapAttachments(config, targetPath, fileFilter = null) {
+    const { mailbox = 'INBOX', imapState = null, lookbackDays = 7 } = config;
+    const session = await openImapSession({ timeout: 120000, ...config });
+    const messages = [];
+    const errors = [];
+
+    try {
+      const selected = await session.command(`SELECT ${quoteImapString(mailbox)}`);
+      const selectText = selected.raw.toString('latin1');
+      const validityMatch = selectText.match(/\[UIDVALIDITY (\d+)\]/);
+      const uidNextMatch = selectText.match(/\[UIDNEXT (\d+)\]/);
+      const uidValidity = validityMatch ? parseInt(validityMatch[1], 10) : null;
+
+      // Resume from the last UID while the mailbox keeps its UIDVALIDITY,
+      // otherwise fall back to a date window
+      const canResume = imapState && imapState.uidValidity === uidValidity && imapState.lastUid;
+      let searchCriteria;
+      if (canResume) {
+        searchCriteria = `UID ${imapState.lastUid + 1}:*`;
+      } else {
+        const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        searchCriteria = `SINCE ${since.getUTCDate()}-${months[since.getUTCMonth()]}-${since.getUTCFullYear()}`;
+      }
+
+      const search = await session.command(`UID SEARCH ${searchCriteria}`);
+      const searchLine = search.raw.toString('latin1').split('\r\n').find(line => line.startsWith('* SEARCH'));
+      const uids = (searchLine ? searchLine.replace('* SEARCH', '').trim().split(/\s+/) : [])
+        .filter(Boolean)
+        .map(uid => parseInt(uid, 10))
+        // "n:*" always returns the highest UID, even when it is below n
+        .filter(uid => !canResume || uid > imapState.lastUid)
+        .sort((a, b) => a - b);
+
+      console.log(`[MAILBOX] ${mailbox}: ${uids.length} message(s) to inspect (${searchCriteria})`);
+
+      let lastUid = canResume ? imapState.lastUid : 0;
+
+      for (const uid of uids) {
+        try {
+          const fetched = await session.command(`UID FETCH ${uid} BODY.PEEK[]`);
+          const rawMessage = extractFetchLiteral(fetched.raw);
+          if (!rawMessage) {
+            throw new Error('Message body missing from FETCH response');
+          }
+
+          const result = await this.saveAttachments(rawMessage, targetPath, fileFilter);
+          await session.command(`UID STORE ${uid} +FLAGS (\\Seen)`);
+
+          messages.push({ uid, ...result });
+          if (result.savedFiles.length > 0) {
+            console.log(`[MAILBOX] UID ${uid} "${result.subject}": saved ${result.savedFiles.join(', ')}`);
+          }
+        } catch (messageError) {
+          console.error(`[MAILBOX] Failed to process UID ${uid}: ${messageError.message}`);
+          errors.push({ uid, error: messageError.message });
+          // Stop advancing so the failed message is retried on the next run
+          break;
+        }
+        lastUid = uid;
+      }
+
+      // After a date-window scan, resume from the mailbox's UIDNEXT so older mail is not rescanned
+      if (!canResume && errors.length === 0 && uidNextMatch) {
+        lastUid = Math.max(lastUid, parseInt(uidNextMatch[1], 10) - 1);
+      }
+
+      return { messages, errors, imapState: { uidValidity, lastUid } };
+    } finally {
+      await session.logout();
+    }
+  },
+
+  /**
+   * Resolve and check a maildir (must contain new/ and cur/)
+   */
+  resolveMaildir(maildirPath) {
+    const bankfilesRoot = process.env.BANKFILES_PATH || path.join(process.cwd(), 'bankfiles');
+    const resolved = path.isAbsolute(maildirPath) ? maildirPath : path.join(bankfilesRoot, maildirPath);
+
+    if (!fs.existsSync(path.join(resolved, 'new')) || !fs.existsSync(path.join(resolved, 'cur'))) {
+      throw new Error(`Not a maildir (missing new/ or cur/): ${resolved}`);
+    }
+    return resolved;
+  },
+
+  /**
+   * List unprocessed messages in a maildir
+   */
+  listMaildir(maildirPath) {
+    const resolved = this.resolveMaildir(maildirPath);
+    const newDir = path.join(resolved, 'new');
+
+    return fs.readdirSync(newDir)
+      .filter(name => !name.startsWith('.'))
+      .map(name => {
+        const stat = fs.statSync(path.join(newDir, name));
+        return { name, isDirectory: false, size: stat.size, modified: stat.mtime };
+      });
+  },
+
+  /**
+   * Save matching attachments from messages in maildir new/ and move each
+   * processed message to cur/ with the Seen flag (maildir delivery convention)
+   *
+   * @returns {Promise<Object>} { messages: [], errors: [] }
+   */
+  async fetchMaildirAttachments(maildirPath, targetPath, fileFilter = null) {
+    const resolved = this.resolveMaildir(maildirPath);
+    const messages = [];
+    const errors = [];
+
+    for (const entry of this.listMaildir(resolved)) {
+      const messagePath = path.join(resolved, 'new', entry.name);
+
+      try {
+        const result = await this.saveAttachments(fs.readFileSync(messagePath), targetPath, fileFilter);
+        const curName = entry.name.includes(':2,') ? entry.name : `${entry.name}:2,S`;
+        fs.renameSync(messagePath, path.join(resolved, 'cur', curName));
+
+        messages.push({ file: entry.name, ...result });
+        if (result.savedFiles.length > 0) {
+          console.log(`[MAILBOX] ${entry.name} "${result.subject}": saved ${result.savedFiles.join(', ')}`);
+        }
+      } catch (messageError) {
+        console.error(`[MAILBOX] Failed to process ${entry.name}: ${messageError.message}`);
+        errors.push({ file: entry.name, error: messageError.message });
+      }
+    }
+
+    return { messages, errors };
+  }
+};
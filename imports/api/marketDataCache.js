@@ -275,6 +275,41 @@ export const MarketDataHelpers = {
     }
   },
 
+  /**
+   * Get the cached history of a stock from fromDate on
+   * Fetched from EOD first when the cache starts after fromDate or is more
+   * than 3 days old; a failed fetch keeps whatever is cached.
+   *
+   * @param {string} fullTicker - e.g. 'EUNL.XETRA' or 'EURUSD.FOREX'
+   * @param {Date} fromDate - First date the history must cover
+   * @returns {Array} history [{ date, close, adjustedClose, ... }], empty when nothing is cached
+   */
+  async getHistoryCovering(fullTicker, fromDate) {
+    let doc = await MarketDataCacheCollection.findOneAsync(
+      { fullTicker },
+      { fields: { history: 1, firstDate: 1, lastDate: 1 } }
+    );
+
+    const staleBefore = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+    const needsFetch = !doc || !doc.firstDate || doc.firstDate > fromDate || !doc.lastDate || doc.lastDate < staleBefore;
+
+    if (needsFetch) {
+      try {
+        // Only the missing tail when the cache already reaches back far enough
+        const fetchFrom = doc?.firstDate && doc.firstDate <= fromDate && doc.lastDate ? doc.lastDate : fromDate;
+        await this.fetchAndCacheHistoricalData(fullTicker, fetchFrom, null);
+        doc = await MarketDataCacheCollection.findOneAsync(
+          { fullTicker },
+          { fields: { history: 1 } }
+        );
+      } catch (error) {
+        console.error(`[MARKET DATA] Could not refresh ${fullTicker}: ${error.message}`);
+      }
+    }
+
+    return doc?.history || [];
+  },
+
   /**
    * Get cache statistics (updated for new structure)
    */
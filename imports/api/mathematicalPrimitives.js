@@ -505,6 +505,15 @@ export const AggregationPrimitives = {
     description: 'Check if any asset above threshold',
     params: ['assetIds', 'threshold'],
     returns: 'boolean'
+  },
+
+  RANGE_FRACTION: {
+    type: PrimitiveTypes.AGGREGATION,
+    id: 'range_fraction',
+    label: 'Range Fraction',
+    description: 'Fraction of period days where worst asset stays within [lower, upper]',
+    params: ['assetIds', 'lower', 'upper'],
+    returns: 'number'
   }
 };
 
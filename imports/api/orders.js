@@ -570,14 +570,31 @@ export const OrderHelpers = {
       return { valid: false, error: 'Position is not active' };
     }
 
-    if (quantity > holding.quantity) {
+    // Corporate action in force that the bank file does not reflect yet
+    let availableQuantity = holding.quantity;
+    const { PMSCorporateActionHelpers } = await import('./pmsCorporateActions.js');
+    const pendingEvent = await PMSCorporateActionHelpers.getPendingEventForHolding(holding);
+
+    if (pendingEvent) {
+      if (['ISIN_CHANGE', 'MERGER'].includes(pendingEvent.type)) {
+        return {
+          valid: false,
+          error: pendingEvent.newIsin
+            ? `${holding.isin} was replaced by ${pendingEvent.newIsin} (${pendingEvent.type.toLowerCase().replace('_', ' ')}); sell the new line instead`
+            : `${holding.isin} no longer exists after a cash merger`
+        };
+      }
+      availableQuantity = holding.quantity * PMSCorporateActionHelpers.getQuantityFactor(pendingEvent);
+    }
+
+    if (quantity > availableQuantity) {
       return {
         valid: false,
-        error: `Insufficient quantity. Available: ${holding.quantity}, Requested: ${quantity}`
+        error: `Insufficient quantity. Available: ${availableQuantity}, Requested: ${quantity}`
       };
     }
 
-    return { valid: true, availableQuantity: holding.quantity };
+    return { valid: true, availableQuantity };
   },
 
   // Pre-format order details for display (no client-side calculations)
@@ -969,7 +969,8 @@ export const CMBMonacoParser = {
       operationType: mapCMBOperationType(
         row.Order_Type_ID,
         row.Meta_Type_ID,
-        this.parseNumber(row.Net_amount) || this.parseNumber(row.Gross_Amount) || 0
+        this.parseNumber(row.Net_amount) || this.parseNumber(row.Gross_Amount) || 0,
+        row.Internal_Booking_Text
       ),
       operationTypeName: row.Internal_Booking_Text || row.Order_Type || null,
       transactionCategory: row.Meta_Type_ID || null,
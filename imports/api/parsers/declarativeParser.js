@@ -0,0 +1,719 @@
+/**
+ * Declarative Bank File Parser
+ *
+ * Generic runtime that executes parser definitions stored in the database
+ * (see bankParserDefinitions.js) so a new custodian can be onboarded without
+ * a hand-written parser module.
+ *
+ * DeclarativeParser.build(definition) returns an object with the same interface
+ * as the hand-written parsers (bankName, filenamePattern, matchesPattern,
+ * extractFileDate, validate, parse / parseOperations), so BankPositionParser and
+ * BankOperationParser can treat both kinds the same way.
+ *
+ * Definition shape:
+ *   {
+ *     key: 'ubs-positions',
+ *     bankId, bankName: 'UBS',
+ *     fileType: 'positions' | 'operations',
+ *     filename: { pattern: '^UBS_POS_(\\d{8})\\.csv$', flags: 'i', dateGroup: 1, dateFormat: 'YYYYMMDD' },
+ *     format: { delimiter: ';', encoding: 'utf-8', quoteChar: '"', headerRow: 1, skipFooterLines: 0 },
+ *     numberFormat: { decimalSeparator: '.', thousandsSeparator: ',' },
+ *     dateFormat: 'DD.MM.YYYY',
+ *     columnMapping: { portfolioCode: 'ACCOUNT', isin: 'ISIN', quantity: 'QTY', ... },
+ *     percentagePrice: { column: 'PRICE_UNIT', values: ['%'] },
+ *     securityTypeRules: [{ column: 'ASSET_CLASS', operator: 'equals', value: 'EQ', securityType: 'EQUITY' }],
+ *     defaultSecurityType: null,   // null = let SecurityResolver classify by ISIN
+ *     operationTypeRules: [{ column: 'TX_TYPE', operator: 'in', value: 'BUY,ACHAT', operationType: 'BUY' }],
+ *     defaultOperationType: 'OTHER'
+ *   }
+ */
+
+import { SECURITY_TYPES } from '../constants/instrumentTypes';
+import { OPERATION_TYPES } from '../constants/operationTypes';
+
+export const PARSER_FILE_TYPES = {
+  POSITIONS: 'positions',
+  OPERATIONS: 'operations'
+};
+
+export const RULE_OPERATORS = {
+  equals: 'equals',
+  notEquals: 'does not equal',
+  in: 'is one of (comma separated)',
+  contains: 'contains',
+  startsWith: 'starts with',
+  regex: 'matches regex',
+  isEmpty: 'is empty',
+  isNotEmpty: 'is not empty',
+  lessThan: 'is less than',
+  greaterThan: 'is greater than'
+};
+
+export const SUPPORTED_ENCODINGS = ['utf-8', 'latin1', 'utf16le'];
+
+/**
+ * Standard schema fields a definition can map columns to.
+ * type drives the conversion (number / date formats of the definition).
+ */
+export const STANDARD_POSITION_FIELDS = [
+  { key: 'portfolioCode', label: 'Portfolio Code', type: 'string', required: true },
+  { key: 'accountNumber', label: 'Account Number', type: 'string' },
+  { key: 'isin', label: 'ISIN', type: 'string' },
+  { key: 'ticker', label: 'Ticker', type: 'string' },
+  { key: 'securityName', label: 'Security Name', type: 'string' },
+  { key: 'securityTypeCode', label: 'Security Type Code (raw)', type: 'string' },
+  { key: 'quantity', label: 'Quantity / Nominal', type: 'number', required: true },
+  { key: 'currency', label: 'Position Currency', type: 'string' },
+  { key: 'portfolioCurrency', label: 'Portfolio Currency', type: 'string' },
+  { key: 'marketPrice', label: 'Market Price', type: 'number' },
+  { key: 'priceDate', label: 'Price Date', type: 'date' },
+  { key: 'costPrice', label: 'Cost Price', type: 'number' },
+  { key: 'marketValueOriginalCurrency', label: 'Market Value (position ccy)', type: 'number' },
+  { key: 'marketValue', label: 'Market Value (portfolio ccy)', type: 'number' },
+  { key: 'accruedInterest', label: 'Accrued Interest', type: 'number' },
+  { key: 'dataDate', label: 'Data Date', type: 'date' },
+  { key: 'reference', label: 'Deposit / Reference', type: 'string' }
+];
+
+export const STANDARD_OPERATION_FIELDS = [
+  { key: 'portfolioCode', label: 'Portfolio Code', type: 'string', required: true },
+  { key: 'operationCode', label: 'Operation Reference', type: 'string' },
+  { key: 'operationDate', label: 'Operation Date', type: 'date', required: true },
+  { key: 'valueDate', label: 'Value Date', type: 'date' },
+  { key: 'operationTypeCode', label: 'Operation Type (raw)', type: 'string' },
+  { key: 'isin', label: 'ISIN', type: 'string' },
+  { key: 'securityName', label: 'Security Name', type: 'string' },
+  { key: 'quantity', label: 'Quantity', type: 'number' },
+  { key: 'quote', label: 'Price', type: 'number' },
+  { key: 'currency', label: 'Currency', type: 'string' },
+  { key: 'grossAmount', label: 'Gross Amount', type: 'number' },
+  { key: 'netAmount', label: 'Net Amount', type: 'number' },
+  { key: 'totalFees', label: 'Fees', type: 'number' },
+  { key: 'accruedInterest', label: 'Accrued Interest', type: 'number' },
+  { key: 'debitCredit', label: 'Debit / Credit', type: 'string' },
+  { key: 'remark', label: 'Remark', type: 'string' }
+];
+
+export const getStandardFields = (fileType) => (
+  fileType === PARSER_FILE_TYPES.OPERATIONS ? STANDARD_OPERATION_FIELDS : STANDARD_POSITION_FIELDS
+);
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile a date format such as 'DD.MM.YYYY' or 'YYYYMMDD' to a regex.
+ * Only the start of the value is matched, so trailing times are ignored.
+ */
+const compileDateFormat = (format) => {
+  const order = [];
+  let source = '';
+  let i = 0;
+  while (i < format.length) {
+    const rest = format.slice(i);
+    const token = ['YYYY', 'YY', 'MM', 'DD'].find(t => rest.startsWith(t));
+    if (token) {
+      order.push(token);
+      source += token === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+      i += token.length;
+    } else {
+      source += escapeRegex(format[i]);
+      i++;
+    }
+  }
+  return { regex: new RegExp(`^${source}`), order };
+};
+
+export const DeclarativeParser = {
+  /**
+   * Check a definition before saving or running it
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  validateDefinition(definition) {
+    const errors = [];
+    if (!definition) return ['Definition is required'];
+
+    if (!definition.key || !/^[a-z0-9-]+$/.test(definition.key)) {
+      errors.push('Key is required (lowercase letters, digits and dashes)');
+    }
+    if (!definition.bankName) errors.push('Bank name is required');
+    if (!Object.values(PARSER_FILE_TYPES).includes(definition.fileType)) {
+      errors.push(`File type must be one of: ${Object.values(PARSER_FILE_TYPES).join(', ')}`);
+    }
+
+    const filename = definition.filename || {};
+    if (!filename.pattern) {
+      errors.push('Filename pattern is required');
+    } else {
+      try {
+        const regex = new RegExp(filename.pattern, filename.flags || '');
+        const groupCount = new RegExp(`${regex.source}|`).exec('').length - 1;
+        if (filename.dateGroup && filename.dateGroup > groupCount) {
+          errors.push(`Filename date group ${filename.dateGroup} does not exist (pattern has ${groupCount} group(s))`);
+        }
+      } catch (error) {
+        errors.push(`Invalid filename pattern: ${error.message}`);
+      }
+    }
+
+    const format = definition.format || {};
+    if (!format.delimiter) errors.push('Delimiter is required');
+    if (format.encoding && !SUPPORTED_ENCODINGS.includes(format.encoding)) {
+      errors.push(`Encoding must be one of: ${SUPPORTED_ENCODINGS.join(', ')}`);
+    }
+
+    const mapping = definition.columnMapping || {};
+    getStandardFields(definition.fileType)
+      .filter(field => field.required && !mapping[field.key])
+      .forEach(field => errors.push(`Column mapping required for ${field.label}`));
+
+    const validSecurityTypes = Object.values(SECURITY_TYPES);
+    (definition.securityTypeRules || []).forEach((rule, index) => {
+      if (!RULE_OPERATORS[rule.operator]) errors.push(`Security type rule ${index + 1}: unknown operator`);
+      if (!validSecurityTypes.includes(rule.securityType)) errors.push(`Security type rule ${index + 1}: unknown security type`);
+      if (rule.operator === 'regex') {
+        try { new RegExp(rule.value); } catch (error) { errors.push(`Security type rule ${index + 1}: invalid regex`); }
+      }
+    });
+
+    const validOperationTypes = Object.values(OPERATION_TYPES);
+    (definition.operationTypeRules || []).forEach((rule, index) => {
+      if (!RULE_OPERATORS[rule.operator]) errors.push(`Operation type rule ${index + 1}: unknown operator`);
+      if (!validOperationTypes.includes(rule.operationType)) errors.push(`Operation type rule ${index + 1}: unknown operation type`);
+      if (rule.operator === 'regex') {
+        try { new RegExp(rule.value); } catch (error) { errors.push(`Operation type rule ${index + 1}: invalid regex`); }
+      }
+    });
+
+    return errors;
+  },
+
+  /**
+   * Split one delimited line, honouring quoted values ("a;b" stays one value)
+   */
+  splitLine(line, delimiter, quoteChar = '"') {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoteChar && char === quoteChar) {
+        if (inQuotes && line[i + 1] === quoteChar) {
+          current += quoteChar;
+          i++;
+        } else {
+          inQuotes = !inQuotes;
+        }
+      } else if (char === delimiter && !inQuotes) {
+        values.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    values.push(current.trim());
+    return values;
+  },
+
+  /**
+   * Parse delimited content to { headers, rows } using the definition's format
+   */
+  parseRows(content, format = {}) {
+    const delimiter = format.delimiter === '\\t' ? '\t' : (format.delimiter || ';');
+    const quoteChar = format.quoteChar === undefined ? '"' : format.quoteChar;
+    const headerRow = Math.max(1, parseInt(format.headerRow, 10) || 1);
+    const skipFooterLines = Math.max(0, parseInt(format.skipFooterLines, 10) || 0);
+
+    // Strip a UTF-8 byte order mark, then split on any line ending
+    const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+    const usable = skipFooterLines > 0 ? lines.slice(0, -skipFooterLines) : lines;
+
+    if (usable.length < headerRow) {
+      return { headers: [], rows: [] };
+    }
+
+    const headers = this.splitLine(usable[headerRow - 1], delimiter, quoteChar);
+    const rows = [];
+
+    for (let i = headerRow; i < usable.length; i++) {
+      if (!usable[i].trim()) continue;
+      const values = this.splitLine(usable[i], delimiter, quoteChar);
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = values[index] !== undefined ? values[index] : '';
+      });
+      rows.push(row);
+    }
+
+    return { headers, rows };
+  },
+
+  /**
+   * Parse a number using the definition's separators.
+   * Handles parentheses and trailing minus for negatives, currency symbols and percent signs.
+   */
+  parseNumber(value, numberFormat = {}) {
+    if (value === null || value === undefined) return null;
+    let str = String(value).trim();
+    if (str === '') return null;
+
+    const decimalSeparator = numberFormat.decimalSeparator || '.';
+    const thousandsSeparator = numberFormat.thousandsSeparator ?? (decimalSeparator === ',' ? '.' : ',');
+
+    let negative = false;
+    if (/^\(.*\)$/.test(str)) {
+      negative = true;
+      str = str.slice(1, -1);
+    }
+    if (str.endsWith('-')) {
+      negative = true;
+      str = str.slice(0, -1);
+    }
+
+    if (thousandsSeparator) str = str.split(thousandsSeparator).join('');
+    str = str.replace(/[\s'\u00A0]/g, '');
+    if (decimalSeparator !== '.') str = str.replace(decimalSeparator, '.');
+    str = str.replace(/[^0-9.eE+-]/g, '');
+
+    const num = parseFloat(str);
+    if (isNaN(num)) return null;
+    return negative ? -Math.abs(num) : num;
+  },
+
+  /**
+   * Parse a date with a format made of YYYY / YY / MM / DD tokens (or 'ISO')
+   */
+  parseDate(value, format = 'YYYY-MM-DD') {
+    if (value === null || value === undefined) return null;
+    const str = String(value).trim();
+    if (str === '') return null;
+
+    if (!format || format === 'ISO') {
+      const date = new Date(str);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    const { regex, order } = compileDateFormat(format);
+    const match = str.match(regex);
+    if (!match) return null;
+
+    const parts = {};
+    order.forEach((token, index) => {
+      parts[token] = parseInt(match[index + 1], 10);
+    });
+
+    const year = parts.YYYY ?? (parts.YY !== undefined ? 2000 + parts.YY : null);
+    if (year === null || !parts.MM || !parts.DD) return null;
+
+    const date = new Date(year, parts.MM - 1, parts.DD);
+    return isNaN(date.getTime()) || date.getMonth() !== parts.MM - 1 ? null : date;
+  },
+
+  /**
+   * Evaluate one rule condition against a raw row
+   */
+  matchesRule(row, rule, numberFormat) {
+    const raw = row[rule.column];
+    const value = raw === undefined || raw === null ? '' : String(raw).trim();
+    const expected = rule.value === undefined || rule.value === null ? '' : String(rule.value);
+
+    switch (rule.operator) {
+      case 'equals':
+        return value.toLowerCase() === expected.toLowerCase();
+      case 'notEquals':
+        return value.toLowerCase() !== expected.toLowerCase();
+      case 'in':
+        return expected.split(',').map(v => v.trim().toLowerCase()).includes(value.toLowerCase());
+      case 'contains':
+        return value.toLowerCase().includes(expected.toLowerCase());
+      case 'startsWith':
+        return value.toLowerCase().startsWith(expected.toLowerCase());
+      case 'regex':
+        try {
+          return new RegExp(expected, 'i').test(value);
+        } catch (error) {
+          return false;
+        }
+      case 'isEmpty':
+        return value === '';
+      case 'isNotEmpty':
+        return value !== '';
+      case 'lessThan': {
+        const num = this.parseNumber(value, numberFormat);
+        return num !== null && num < parseFloat(expected);
+      }
+      case 'greaterThan': {
+        const num = this.parseNumber(value, numberFormat);
+        return num !== null && num > parseFloat(expected);
+      }
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * First matching rule wins; returns the rule's target value or the default
+   */
+  applyRules(row, rules = [], targetField, defaultValue, numberFormat) {
+    const rule = rules.find(r => this.matchesRule(row, r, numberFormat));
+    return rule ? rule[targetField] : defaultValue;
+  },
+
+  /**
+   * Read the mapped standard fields of a row, converted to their types
+   */
+  extractFields(row, definition) {
+    const mapping = definition.columnMapping || {};
+    const fields = {};
+
+    getStandardFields(definition.fileType).forEach(field => {
+      const column = mapping[field.key];
+      if (!column) {
+        fields[field.key] = null;
+        return;
+      }
+
+      const raw = row[column];
+      if (field.type === 'number') {
+        fields[field.key] = this.parseNumber(raw, definition.numberFormat);
+      } else if (field.type === 'date') {
+        fields[field.key] = this.parseDate(raw, definition.dateFormat);
+      } else {
+        fields[field.key] = raw !== undefined && raw !== '' ? String(raw).trim() : null;
+      }
+    });
+
+    return fields;
+  },
+
+  /**
+   * True when the row's prices are quoted in percent of nominal
+   */
+  isPercentagePriced(row, definition) {
+    const config = definition.percentagePrice;
+    if (!config?.column) return false;
+    const values = (config.values || ['%']).map(v => String(v).trim().toLowerCase());
+    return values.includes(String(row[config.column] || '').trim().toLowerCase());
+  },
+
+  /**
+   * Map a raw row to the standard position schema (same shape as the hand-written parsers)
+   */
+  mapPosition(row, definition, { bankId, bankName, sourceFile, fileDate, userId }) {
+    const fields = this.extractFields(row, definition);
+    const isPercentage = this.isPercentagePriced(row, definition);
+    const normalizePrice = (price) => (price !== null && isPercentage ? price / 100 : price);
+
+    const marketPrice = normalizePrice(fields.marketPrice);
+    const costPrice = normalizePrice(fields.costPrice);
+    const securityType = this.applyRules(
+      row,
+      definition.securityTypeRules,
+      'securityType',
+      definition.defaultSecurityType || null,
+      definition.numberFormat
+    );
+
+    const costBasisOriginalCurrency = fields.quantity && costPrice ? fields.quantity * costPrice : null;
+
+    return {
+      // Source Information
+      bankId,
+      bankName,
+      connectionId: null, // Will be set by caller
+      sourceFile,
+      sourceFilePath: null, // Will be set by caller
+      fileDate,
+      dataDate: fields.dataDate || fileDate,
+      processingDate: new Date(),
+
+      // Account & Portfolio Information
+      portfolioCode: fields.portfolioCode || '',
+      accountNumber: fields.accountNumber || fields.portfolioCode || null,
+      thirdPartyCode: null,
+      originalPortfolioCode: fields.portfolioCode || null,
+
+      // Security Information
+      isin: fields.isin ? fields.isin.toUpperCase() : null,
+      ticker: fields.ticker,
+      securityName: fields.securityName,
+      securityType,
+      securityTypeCode: fields.securityTypeCode,
+      securityTypeDesc: null,
+
+      // Position Data
+      quantity: fields.quantity,
+      marketValue: fields.marketValue ?? fields.marketValueOriginalCurrency,
+      marketValueNoAccruedInterest: null,
+      marketValueOriginalCurrency: fields.marketValueOriginalCurrency,
+      bookValue: null,
+      currency: fields.currency,
+      portfolioCurrency: fields.portfolioCurrency,
+
+      // Pricing Information
+      priceType: isPercentage ? 'percentage' : 'absolute',
+      marketPrice,
+      priceDate: fields.priceDate,
+      priceCurrency: fields.currency,
+      costPrice,
+
+      // Cost Basis (portfolio currency conversion is left to the FX step downstream)
+      costBasisOriginalCurrency,
+      costBasisPortfolioCurrency: null,
+      unrealizedPnL: null,
+      unrealizedPnLPercent: null,
+
+      bankSpecificData: {
+        parserDefinitionId: definition._id || null,
+        parserDefinitionKey: definition.key,
+        rawSecurityTypeCode: fields.securityTypeCode,
+        reference: fields.reference,
+        accruedInterest: fields.accruedInterest,
+        rawRow: row
+      },
+
+      // Metadata
+      userId,
+      isActive: true,
+      version: 1,
+      bankFxRates: {}
+    };
+  },
+
+  /**
+   * Map a raw row to the standard operation schema
+   */
+  mapOperation(row, definition, { bankId, bankName, sourceFile, fileDate, userId }) {
+    const fields = this.extractFields(row, definition);
+    const operationType = this.applyRules(
+      row,
+      definition.operationTypeRules,
+      'operationType',
+      definition.defaultOperationType || OPERATION_TYPES.OTHER,
+      definition.numberFormat
+    );
+
+    return {
+      // Source Information
+      bankId,
+      bankName,
+      connectionId: null,
+      sourceFile,
+      fileDate,
+      processingDate: new Date(),
+
+      // Operation Identifiers
+      operationId: fields.operationCode,
+      operationCode: fields.operationCode,
+      externalReference: fields.operationCode,
+
+      // Account Information
+      portfolioCode: fields.portfolioCode || '',
+
+      // Security Information
+      isin: fields.isin ? fields.isin.toUpperCase() : null,
+      instrumentCode: fields.isin ? fields.isin.toUpperCase() : null,
+      securityName: fields.securityName,
+
+      // Transaction Details
+      operationType,
+      operationTypeName: fields.operationTypeCode,
+      originalOperationType: fields.operationTypeCode,
+      debitCredit: fields.debitCredit,
+
+      // Dates - operationDate is REQUIRED
+      operationDate: fields.operationDate || fields.valueDate || fileDate,
+      valueDate: fields.valueDate,
+
+      // Amounts
+      quantity: fields.quantity,
+      quote: fields.quote,
+      currency: fields.currency,
+      grossAmount: fields.grossAmount,
+      netAmount: fields.netAmount,
+      totalFees: fields.totalFees,
+      accruedInterest: fields.accruedInterest,
+
+      remark: fields.remark,
+
+      bankSpecificData: {
+        parserDefinitionId: definition._id || null,
+        parserDefinitionKey: definition.key,
+        rawRow: row
+      },
+
+      // Metadata
+      userId,
+      isProcessed: false,
+      createdAt: new Date()
+    };
+  },
+
+  /**
+   * Build a parser object from a definition.
+   * Positions parsers expose parse(); operations parsers expose parseOperations().
+   */
+  build(definition) {
+    const runtime = this;
+    const filenameConfig = definition.filename || {};
+    const filenamePattern = new RegExp(filenameConfig.pattern, filenameConfig.flags || '');
+    const format = definition.format || {};
+    const delimiter = format.delimiter === '\\t' ? '\t' : (format.delimiter || ';');
+    const requiredColumns = getStandardFields(definition.fileType)
+      .filter(field => field.required)
+      .map(field => definition.columnMapping?.[field.key])
+      .filter(Boolean);
+    const logTag = `[DECLARATIVE_PARSER:${definition.key}]`;
+
+    const parser = {
+      bankName: definition.bankName,
+      bankId: definition.bankId || null,
+      definitionId: definition._id || null,
+      definitionKey: definition.key,
+      fileType: definition.fileType,
+      isDeclarative: true,
+      filenamePattern,
+      delimiter,
+      encoding: format.encoding || 'utf-8',
+
+      matchesPattern(filename) {
+        return filenamePattern.test(filename);
+      },
+
+      extractFileDate(filename) {
+        const match = filename.match(filenamePattern);
+        if (!match) {
+          throw new Error(`Filename does not match ${definition.bankName} pattern: ${filename}`);
+        }
+
+        const dateStr = filenameConfig.dateGroup ? match[filenameConfig.dateGroup] : null;
+        const fileDate = dateStr ? runtime.parseDate(dateStr, filenameConfig.dateFormat || 'YYYYMMDD') : null;
+        if (!fileDate) {
+          throw new Error(`Could not extract date from filename: ${filename}`);
+        }
+        return fileDate;
+      },
+
+      validate(content) {
+        const { headers, rows } = runtime.parseRows(content, format);
+        if (headers.length === 0 || rows.length === 0) {
+          return { valid: false, error: 'File is empty or has no data rows' };
+        }
+
+        const missingHeaders = requiredColumns.filter(column => !headers.includes(column));
+        if (missingHeaders.length > 0) {
+          return { valid: false, error: `Missing required headers: ${missingHeaders.join(', ')}` };
+        }
+
+        return { valid: true };
+      },
+
+      parse(content, options) {
+        console.log(`${logTag} Parsing ${definition.fileType} file: ${options.sourceFile}`);
+        const { rows } = runtime.parseRows(content, format);
+
+        const records = definition.fileType === PARSER_FILE_TYPES.OPERATIONS
+          ? rows
+            .filter(row => row[definition.columnMapping.portfolioCode])
+            .map(row => runtime.mapOperation(row, definition, options))
+          : rows
+            .filter(row => row[definition.columnMapping.portfolioCode])
+            .map(row => runtime.mapPosition(row, definition, options));
+
+        console.log(`${logTag} Mapped ${records.length} records (${rows.length - records.length} skipped - no portfolio code)`);
+        return records;
+      }
+    };
+
+    if (definition.fileType === PARSER_FILE_TYPES.OPERATIONS) {
+      parser.parseOperations = parser.parse;
+    }
+
+    return parser;
+  },
+
+  /**
+   * Run a definition against a sample file for the admin screen
+   *
+   * @param {Object} definition - Parser definition (saved or draft)
+   * @param {Object} sample - { filename, content }
+   * @returns {Object} Test report: errors, filename match, headers, preview, unmatched values
+   */
+  test(definition, { filename, content }) {
+    const errors = this.validateDefinition(definition);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const parser = this.build(definition);
+    const report = {
+      success: true,
+      errors: [],
+      warnings: [],
+      filenameMatches: filename ? parser.matchesPattern(filename) : null,
+      fileDate: null,
+      headers: [],
+      rowCount: 0,
+      recordCount: 0,
+      preview: [],
+      unmatchedTypeValues: []
+    };
+
+    if (filename && report.filenameMatches) {
+      try {
+        report.fileDate = parser.extractFileDate(filename);
+      } catch (error) {
+        report.warnings.push(error.message);
+      }
+    } else if (filename) {
+      report.warnings.push(`Filename "${filename}" does not match the pattern`);
+    }
+
+    const { headers, rows } = this.parseRows(content || '', definition.format);
+    report.headers = headers;
+    report.rowCount = rows.length;
+
+    const validation = parser.validate(content || '');
+    if (!validation.valid) {
+      report.success = false;
+      report.errors.push(validation.error);
+      return report;
+    }
+
+    const unknownColumns = Object.entries(definition.columnMapping || {})
+      .filter(([, column]) => column && !headers.includes(column))
+      .map(([field, column]) => `${field} → ${column}`);
+    if (unknownColumns.length > 0) {
+      report.warnings.push(`Mapped columns not found in file: ${unknownColumns.join(', ')}`);
+    }
+
+    const records = parser.parse(content, {
+      bankId: definition.bankId || null,
+      bankName: definition.bankName,
+      sourceFile: filename || 'sample',
+      fileDate: report.fileDate || new Date(),
+      userId: null
+    });
+    report.recordCount = records.length;
+    report.preview = records.slice(0, 20).map(({ bankSpecificData, ...record }) => record);
+
+    // Raw type values no rule matched, so the admin can extend the rules
+    const isOperations = definition.fileType === PARSER_FILE_TYPES.OPERATIONS;
+    const rules = isOperations ? definition.operationTypeRules : definition.securityTypeRules;
+    const typeColumn = isOperations
+      ? definition.columnMapping?.operationTypeCode
+      : definition.columnMapping?.securityTypeCode;
+    if (typeColumn) {
+      const unmatched = new Set();
+      rows.forEach(row => {
+        if (!(rules || []).some(rule => this.matchesRule(row, rule, definition.numberFormat)) && row[typeColumn]) {
+          unmatched.add(row[typeColumn]);
+        }
+      });
+      report.unmatchedTypeValues = Array.from(unmatched).slice(0, 50);
+    }
+
+    return report;
+  }
+};
@@ -10,7 +10,7 @@
  * First row contains column headers, data starts from row 2
  */
 
-import { OPERATION_TYPES } from '../constants/operationTypes';
+import { OPERATION_TYPES, detectCorporateActionType } from '../constants/operationTypes';
 
 export const EDRMonacoOperationParser = {
   /**
@@ -259,6 +259,11 @@ export const EDRMonacoOperationParser = {
     // Check labels for keywords
     const allLabels = `${label1} ${label3} ${description}`;
 
+    // Corporate actions first ('dividende en actions' is not a cash dividend)
+    if (detectCorporateActionType(allLabels)) {
+      return OPERATION_TYPES.CORPORATE_ACTION;
+    }
+
     if (allLabels.includes('coupon') || allLabels.includes('cps')) {
       return OPERATION_TYPES.COUPON;
     }
@@ -0,0 +1,1083 @@
+/**
+ * ISO 20022 XML Statement Parser
+ *
+ * Parses standard ISO 20022 statements and maps them to the same standardized
+ * schemas as the CSV parsers:
+ * - camt.053 Bank-to-Customer Statement       → cash operations (PMSOperations, via OPERATION_TYPES)
+ *                                                and cash positions (closing booked balance)
+ * - semt.002 Securities Balance Custody Report → securities positions (PMSHoldings)
+ *
+ * Filename format: any .xml file whose name carries the message identifier
+ * Examples: camt053_12345_20261017.xml, 20261017.camt.053.001.08.xml, SEMT002-20261016.xml
+ *
+ * Every document is checked against the expected message structure: unknown
+ * message types, missing required elements, unrecognized elements and unmapped
+ * bank transaction codes are reported to the ProcessingIssueCollector passed in
+ * the parse options (issueCollector), so the import log shows what was skipped.
+ */
+
+import fs from 'fs';
+import { SECURITY_TYPES } from '../constants/instrumentTypes';
+import { OPERATION_TYPES } from '../constants/operationTypes';
+import { ProcessingIssueCollector } from '../processingIssueCollector.js';
+import { SwiftParser } from './swiftParser.js';
+
+/**
+ * Supported messages and the version range they were built against
+ */
+const MESSAGE_DEFINITIONS = {
+  'camt.053': { rootElement: 'BkToCstmrStmt', minVersion: 2, maxVersion: 13 },
+  'semt.002': { rootElement: 'SctiesBalCtdyRpt', minVersion: 3, maxVersion: 11 }
+};
+
+/**
+ * Expected children of the elements the parser reads. Children not listed here are
+ * reported as unrecognized; elements without an entry are not inspected.
+ */
+const CAMT053_STRUCTURE = {
+  BkToCstmrStmt: ['GrpHdr', 'Stmt', 'SplmtryData'],
+  GrpHdr: ['MsgId', 'CreDtTm', 'MsgRcpt', 'MsgPgntn', 'OrgnlBizQry', 'AddtlInf'],
+  Stmt: [
+    'Id', 'StmtPgntn', 'ElctrncSeqNb', 'RptgSeq', 'LglSeqNb', 'CreDtTm', 'FrToDt', 'CpyDplctInd',
+    'RptgSrc', 'Acct', 'RltdAcct', 'Intrst', 'Bal', 'TxsSummry', 'Ntry', 'AddtlStmtInf'
+  ],
+  Acct: ['Id', 'Tp', 'Ccy', 'Nm', 'Prxy', 'Ownr', 'Svcr'],
+  Bal: ['Tp', 'CdtLine', 'Amt', 'CdtDbtInd', 'Dt', 'Avlbty'],
+  Ntry: [
+    'NtryRef', 'Amt', 'CdtDbtInd', 'RvslInd', 'Sts', 'BookgDt', 'ValDt', 'AcctSvcrRef', 'Avlbty',
+    'BkTxCd', 'ComssnWvrInd', 'AddtlInfInd', 'AmtDtls', 'Chrgs', 'TechInptChanl', 'Intrst',
+    'CardTx', 'NtryDtls', 'AddtlNtryInf'
+  ],
+  NtryDtls: ['Btch', 'TxDtls'],
+  TxDtls: [
+    'Refs', 'Amt', 'CdtDbtInd', 'AmtDtls', 'Avlbty', 'BkTxCd', 'Chrgs', 'Intrst', 'RltdPties',
+    'RltdAgts', 'LclInstrm', 'Purp', 'RltdRmtInf', 'RmtInf', 'RltdDts', 'RltdPric', 'RltdQties',
+    'FinInstrmId', 'Tax', 'RtrInf', 'CorpActn', 'SfkpgAcct', 'CshDpst', 'CardTx', 'AddtlTxInf',
+    'SplmtryData'
+  ],
+  BkTxCd: ['Domn', 'Prtry'],
+  Domn: ['Cd', 'Fmly'],
+  Fmly: ['Cd', 'SubFmlyCd']
+};
+
+const BALANCE_FOR_ACCOUNT_ELEMENTS = [
+  'FinInstrmId', 'FinInstrmAttrbts', 'AggtBal', 'AvlblBal', 'NotAvlblBal', 'SfkpgPlc',
+  'CorpActnOptnTp', 'PricDtls', 'FrgnXchgDtls', 'DaysAcrd', 'AcctBaseCcyAmts', 'InstrmCcyAmts',
+  'AltrnRptgCcyAmts', 'QtyBrkdwn', 'BalBrkdwn', 'AddtlBalBrkdwn', 'BalAtSfkpgPlc',
+  'HldgAddtlDtls', 'SplmtryData'
+];
+
+const HOLDING_AMOUNT_ELEMENTS = ['HldgVal', 'PrvsHldgVal', 'BookVal', 'ElgblCollVal', 'UrlsdGnLoss', 'AcrdIntrstAmt'];
+
+const SEMT002_STRUCTURE = {
+  SctiesBalCtdyRpt: [
+    'Pgntn', 'StmtGnlDtls', 'AcctOwnr', 'AcctSvcr', 'SfkpgAcct', 'IntrmyInf', 'BalForAcct',
+    'SubAcctDtls', 'AcctBaseCcyTtlAmts', 'SplmtryData'
+  ],
+  StmtGnlDtls: [
+    'RptNb', 'QryRef', 'StmtId', 'StmtDtTm', 'Frqcy', 'UpdTp', 'StmtBsis', 'ActvtyInd',
+    'AudtdInd', 'SubAcctInd', 'TaxLotInd'
+  ],
+  SubAcctDtls: ['SfkpgAcct', 'ActvtyInd', 'BalForSubAcct', 'SplmtryData'],
+  BalForAcct: BALANCE_FOR_ACCOUNT_ELEMENTS,
+  BalForSubAcct: BALANCE_FOR_ACCOUNT_ELEMENTS,
+  FinInstrmId: ['ISIN', 'OthrId', 'Desc'],
+  PricDtls: ['Tp', 'Val', 'ValTp', 'SrcOfPric', 'QtnDt', 'PricDtTm'],
+  AcctBaseCcyAmts: HOLDING_AMOUNT_ELEMENTS,
+  InstrmCcyAmts: HOLDING_AMOUNT_ELEMENTS,
+  AltrnRptgCcyAmts: HOLDING_AMOUNT_ELEMENTS
+};
+
+/**
+ * Bank transaction sub-family codes (ISO external code list) with a direct operation type
+ */
+const SUB_FAMILY_TYPES = {
+  CHRG: OPERATION_TYPES.FEE,
+  FEES: OPERATION_TYPES.FEE,
+  COMM: OPERATION_TYPES.FEE,
+  COMI: OPERATION_TYPES.FEE,
+  CUST: OPERATION_TYPES.FEE,
+  TAXE: OPERATION_TYPES.TAX,
+  WITH: OPERATION_TYPES.TAX,
+  NWHT: OPERATION_TYPES.TAX,
+  DVCA: OPERATION_TYPES.DIVIDEND,
+  DIVI: OPERATION_TYPES.DIVIDEND,
+  REDM: OPERATION_TYPES.REDEMPTION,
+  PRED: OPERATION_TYPES.REDEMPTION,
+  PCAL: OPERATION_TYPES.REDEMPTION,
+  MCAL: OPERATION_TYPES.REDEMPTION,
+  SPOT: OPERATION_TYPES.FX_TRADE,
+  FWDS: OPERATION_TYPES.FX_TRADE,
+  SWAP: OPERATION_TYPES.FX_TRADE,
+  POSD: OPERATION_TYPES.CARD_PAYMENT,
+  POSC: OPERATION_TYPES.CARD_PAYMENT,
+  CWDL: OPERATION_TYPES.CARD_PAYMENT
+};
+
+/**
+ * Family codes mapped by direction: [credit type, debit type]
+ */
+const FAMILY_TYPES = {
+  RCDT: [OPERATION_TYPES.TRANSFER_IN, OPERATION_TYPES.TRANSFER_OUT],
+  ICDT: [OPERATION_TYPES.TRANSFER_IN, OPERATION_TYPES.TRANSFER_OUT],
+  RRCT: [OPERATION_TYPES.TRANSFER_IN, OPERATION_TYPES.TRANSFER_OUT],
+  IRCT: [OPERATION_TYPES.TRANSFER_IN, OPERATION_TYPES.TRANSFER_OUT],
+  RDDT: [OPERATION_TYPES.PAYMENT_IN, OPERATION_TYPES.PAYMENT_OUT],
+  IDDT: [OPERATION_TYPES.PAYMENT_IN, OPERATION_TYPES.PAYMENT_OUT],
+  RCHQ: [OPERATION_TYPES.PAYMENT_IN, OPERATION_TYPES.PAYMENT_OUT],
+  ICHQ: [OPERATION_TYPES.PAYMENT_IN, OPERATION_TYPES.PAYMENT_OUT],
+  CNTR: [OPERATION_TYPES.PAYMENT_IN, OPERATION_TYPES.PAYMENT_OUT],
+  MCOP: [OPERATION_TYPES.PAYMENT_IN, OPERATION_TYPES.PAYMENT_OUT],
+  MDOP: [OPERATION_TYPES.PAYMENT_IN, OPERATION_TYPES.PAYMENT_OUT],
+  CCRD: [OPERATION_TYPES.CARD_PAYMENT, OPERATION_TYPES.CARD_PAYMENT],
+  MCRD: [OPERATION_TYPES.CARD_PAYMENT, OPERATION_TYPES.CARD_PAYMENT],
+  // Cash leg of a securities settlement: the trade itself is booked from the custody statements
+  SETT: [OPERATION_TYPES.OTHER, OPERATION_TYPES.OTHER],
+  CORP: [OPERATION_TYPES.CORPORATE_ACTION, OPERATION_TYPES.CORPORATE_ACTION]
+};
+
+/**
+ * Decode the five predefined XML entities and numeric character references
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' }[entity];
+  });
+}
+
+/**
+ * Minimal XML reader for ISO 20022 documents (no DTDs, no mixed content).
+ * Namespace prefixes are dropped from element names; xmlns attributes are kept.
+ *
+ * @returns {Object} Root node { name, attributes, children, text }
+ */
+function readXml(xml) {
+  const tokenPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const stack = [{ name: '#document', attributes: {}, children: [], text: '' }];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tokenPattern.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    current.text += decodeEntities(xml.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      current.text += match[1];
+      continue;
+    }
+    if (!match[3]) continue; // Comment, processing instruction or doctype
+
+    const name = match[3].includes(':') ? match[3].split(':').pop() : match[3];
+
+    if (match[2] === '/') {
+      if (stack.length < 2 || current.name !== name) {
+        throw new Error(`Malformed XML: unexpected </${match[3]}> (open element: ${current.name})`);
+      }
+      current.text = current.text.trim();
+      stack.pop();
+      continue;
+    }
+
+    const attributes = {};
+    for (const attr of match[4].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attributes[attr[1]] = decodeEntities(attr[2] ?? attr[3]);
+    }
+
+    const node = { name, attributes, children: [], text: '' };
+    current.children.push(node);
+    if (match[5] !== '/') {
+      stack.push(node);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  }
+
+  const root = stack[0].children[0];
+  if (!root) {
+    throw new Error('Malformed XML: no root element');
+  }
+  return root;
+}
+
+/**
+ * Child elements by slash-separated path ("Acct/Id/IBAN"); the last step may match several
+ */
+function findAll(node, path) {
+  let nodes = node ? [node] : [];
+  path.split('/').forEach(step => {
+    nodes = nodes.flatMap(n => n.children.filter(child => child.name === step));
+  });
+  return nodes;
+}
+
+function find(node, path) {
+  return findAll(node, path)[0] || null;
+}
+
+function textAt(node, path) {
+  const found = find(node, path);
+  return found && found.text !== '' ? found.text : null;
+}
+
+/**
+ * First node named `name` anywhere below `node` (depth first)
+ */
+function findDeep(node, name) {
+  if (!node) return null;
+  for (const child of node.children) {
+    if (child.name === name) return child;
+    const nested = findDeep(child, name);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+export const ISO20022Parser = {
+  /**
+   * Bank identifier (the actual custodian name comes from the bank connection)
+   */
+  bankName: 'ISO 20022',
+
+  /**
+   * Filename pattern for ISO 20022 statement files (message identifier in the name)
+   */
+  filenamePattern: /(camt[._-]?053|semt[._-]?002).*\.xml$/i,
+
+  /**
+   * Message identifier announced by the filename ('camt.053' / 'semt.002'), if any
+   */
+  getFilenameMessageType(filename) {
+    const match = filename.match(this.filenamePattern);
+    if (!match) return null;
+    return match[1].toLowerCase().startsWith('camt') ? 'camt.053' : 'semt.002';
+  },
+
+  /**
+   * Securities position files: semt.002 custody statements
+   */
+  matchesPattern(filename) {
+    return this.getFilenameMessageType(filename) === 'semt.002';
+  },
+
+  /**
+   * Cash position files: camt.053 statements (closing booked balances)
+   */
+  matchesCashPattern(filename) {
+    return this.getFilenameMessageType(filename) === 'camt.053';
+  },
+
+  /**
+   * Operation files: camt.053 statements
+   */
+  matchesOperationsPattern(filename) {
+    return this.getFilenameMessageType(filename) === 'camt.053';
+  },
+
+  /**
+   * Statement date of the file, or null when neither the content nor the filename has one
+   * @param {string} filePath - Optional full path; the statement date in the document wins
+   */
+  findFileDate(filename, filePath = null) {
+    if (filePath) {
+      try {
+        const statementDate = this.extractStatementDate(fs.readFileSync(filePath, 'utf8'));
+        if (statementDate) return statementDate;
+      } catch (error) {
+        console.warn(`[ISO20022_PARSER] Could not read statement date from ${filename}: ${error.message}`);
+      }
+    }
+
+    const match = filename.match(/(20\d{2})-?(\d{2})-?(\d{2})/);
+    if (!match) return null;
+
+    return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  },
+
+  /**
+   * Extract date for file grouping
+   */
+  extractFileDate(filename, filePath = null) {
+    const fileDate = this.findFileDate(filename, filePath);
+    if (!fileDate) {
+      throw new Error(`No statement date found for ISO 20022 file: ${filename}`);
+    }
+    return fileDate;
+  },
+
+  /**
+   * Statement date from the document: semt.002 statement date, camt.053 closing balance date
+   */
+  extractStatementDate(content) {
+    const document = this.readDocument(content);
+    if (!document.messageType) return null;
+
+    if (document.messageType === 'semt.002') {
+      return this.parseDate(find(document.message, 'StmtGnlDtls/StmtDtTm'));
+    }
+
+    const dates = findAll(document.message, 'Stmt').map(statement => {
+      const closing = this.findBalance(statement, 'CLBD');
+      return (closing && this.parseDate(find(closing, 'Dt'))) ||
+        this.parseDate(find(statement, 'FrToDt'), 'ToDtTm') ||
+        this.parseDate(find(statement, 'CreDtTm'));
+    }).filter(Boolean);
+
+    if (dates.length === 0) return this.parseDate(find(document.message, 'GrpHdr/CreDtTm'));
+    return dates.reduce((latest, date) => (date > latest ? date : latest));
+  },
+
+  /**
+   * Parse XML content and identify the message from the Document namespace
+   * @returns {Object} { root, message, messageType, version, namespace }
+   */
+  readDocument(content) {
+    const root = readXml(String(content || '').replace(/^\uFEFF/, ''));
+    const namespace = root.attributes.xmlns ||
+      Object.entries(root.attributes).find(([key]) => key.startsWith('xmlns:'))?.[1] || '';
+    const namespaceMatch = namespace.match(/([a-z]{4})\.(\d{3})\.(\d{3})\.(\d{2})$/);
+
+    let messageType = namespaceMatch ? `${namespaceMatch[1]}.${namespaceMatch[2]}` : null;
+    const version = namespaceMatch ? parseInt(namespaceMatch[4]) : null;
+
+    // Without a namespace, recognise the message from its root element
+    const message = root.name === 'Document' ? root.children[0] || null : root;
+    if (!messageType && message) {
+      messageType = Object.keys(MESSAGE_DEFINITIONS).find(type => MESSAGE_DEFINITIONS[type].rootElement === message.name) || null;
+    }
+
+    return { root, message, messageType, version, namespace };
+  },
+
+  /**
+   * Parse an ISO decimal ("1234.56")
+   */
+  parseNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const num = parseFloat(String(value).trim());
+    return isNaN(num) ? null : num;
+  },
+
+  /**
+   * Parse a date choice node (<Dt> or <DtTm>, or a node holding an ISO date directly)
+   * @param {string} childName - Optional child to read instead of the node itself (e.g. 'ToDtTm')
+   */
+  parseDate(node, childName = null) {
+    const target = childName ? find(node, childName) : node;
+    if (!target) return null;
+
+    const raw = target.children.length > 0
+      ? (textAt(target, 'Dt') || textAt(target, 'DtTm'))
+      : target.text;
+    const match = String(raw || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+
+    return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  },
+
+  /**
+   * Read an amount element <Amt Ccy="EUR">1.00</Amt>, signed by a sibling CdtDbtInd / Sgn when present
+   */
+  readAmount(node, amountPath = 'Amt') {
+    const amountNode = find(node, amountPath);
+    if (!amountNode) return null;
+
+    const amount = this.parseNumber(amountNode.text);
+    if (amount === null) return null;
+
+    const isNegative = textAt(node, 'CdtDbtInd') === 'DBIT' || textAt(node, 'Sgn') === 'false';
+    return { currency: amountNode.attributes.Ccy || null, amount: isNegative ? -amount : amount };
+  },
+
+  /**
+   * Account identification: IBAN or proprietary identifier
+   */
+  readAccountId(accountNode) {
+    return textAt(accountNode, 'Id/IBAN') || textAt(accountNode, 'Id/Othr/Id') || textAt(accountNode, 'Id') || null;
+  },
+
+  /**
+   * Balance of a statement by type code (OPBD, CLBD, CLAV...)
+   */
+  findBalance(statement, typeCode) {
+    return findAll(statement, 'Bal').find(balance =>
+      (textAt(balance, 'Tp/CdOrPrtry/Cd') || textAt(balance, 'Tp/Cd')) === typeCode) || null;
+  },
+
+  /**
+   * Signed amount of a statement balance, or null when the statement does not report it
+   */
+  readBalanceAmount(statement, typeCode) {
+    const balance = this.findBalance(statement, typeCode);
+    return balance ? (this.readAmount(balance)?.amount ?? null) : null;
+  },
+
+  /**
+   * Report elements not in the expected structure (counted per path)
+   */
+  checkStructure(node, structure, path, unrecognized) {
+    const expected = structure[node.name];
+    if (!expected) return;
+
+    node.children.forEach(child => {
+      const childPath = `${path}/${child.name}`;
+      if (!expected.includes(child.name)) {
+        unrecognized.set(childPath, (unrecognized.get(childPath) || 0) + 1);
+        return;
+      }
+      this.checkStructure(child, structure, childPath, unrecognized);
+    });
+  },
+
+  /**
+   * Validate the document against the expected message structure
+   *
+   * @param {Object} document - From readDocument()
+   * @param {ProcessingIssueCollector} issueCollector - Receives the issues
+   * @returns {boolean} True when the document can be mapped
+   */
+  validateDocument(document, issueCollector) {
+    const { messageType, version, message } = document;
+    const definition = MESSAGE_DEFINITIONS[messageType];
+
+    if (!definition) {
+      issueCollector.addIssue('ISO20022_UNSUPPORTED_MESSAGE', { messageType: messageType || document.root.name });
+      return false;
+    }
+    if (!message || message.name !== definition.rootElement) {
+      issueCollector.addIssue('ISO20022_MISSING_ELEMENT', { element: definition.rootElement, path: 'Document', context: { path: 'Document' } });
+      return false;
+    }
+    if (version !== null && (version < definition.minVersion || version > definition.maxVersion)) {
+      issueCollector.addIssue('ISO20022_UNTESTED_VERSION', {
+        version: `${messageType}.001.${String(version).padStart(2, '0')}`,
+        supported: `.${String(definition.minVersion).padStart(2, '0')} to .${String(definition.maxVersion).padStart(2, '0')}`,
+        messageType
+      });
+    }
+
+    const required = messageType === 'camt.053'
+      ? ['GrpHdr/MsgId', 'GrpHdr/CreDtTm', 'Stmt']
+      : ['StmtGnlDtls/StmtDtTm', 'SfkpgAcct/Id'];
+    const missing = required.filter(path => !find(message, path));
+    missing.forEach(path => {
+      issueCollector.addIssue('ISO20022_MISSING_ELEMENT', { element: path, path: message.name, context: { path: message.name } });
+    });
+
+    const unrecognized = new Map();
+    this.checkStructure(message, messageType === 'camt.053' ? CAMT053_STRUCTURE : SEMT002_STRUCTURE, message.name, unrecognized);
+    unrecognized.forEach((count, path) => {
+      issueCollector.addIssue('ISO20022_UNRECOGNIZED_ELEMENT', { path, count, context: { path } });
+    });
+
+    return missing.length === 0;
+  },
+
+  /**
+   * Read and validate a document, recording issues; null when it cannot be mapped
+   */
+  loadDocument(content, issueCollector, expectedType) {
+    let document;
+    try {
+      document = this.readDocument(content);
+    } catch (error) {
+      issueCollector.addIssue('BANK_FILE_REJECTED', { error: error.message });
+      return null;
+    }
+
+    if (!this.validateDocument(document, issueCollector)) return null;
+
+    if (document.messageType !== expectedType) {
+      console.log(`[ISO20022_PARSER] ${document.messageType} document has no ${expectedType === 'semt.002' ? 'holdings' : 'cash statement'} to map`);
+      return null;
+    }
+    return document;
+  },
+
+  /**
+   * Map a CFI code to security type (same classification as the SWIFT parser)
+   */
+  mapCfiToSecurityType(cfi) {
+    return SwiftParser.mapCfiToSecurityType(cfi);
+  },
+
+  /**
+   * Quantity of a balance: units, face amount or amortised value (SHOR positions negative)
+   */
+  readQuantity(balanceNode) {
+    if (!balanceNode) return null;
+    for (const [element, quantityType] of [['Unit', 'UNIT'], ['FaceAmt', 'FAMT'], ['AmtsdVal', 'AMOR']]) {
+      const node = findDeep(balanceNode, element);
+      const quantity = node ? this.parseNumber(node.text) : null;
+      if (quantity !== null) {
+        const isShort = textAt(balanceNode, 'ShrtLngPos') === 'SHOR' || textAt(balanceNode, 'ShrtLngInd') === 'SHOR';
+        return { quantity: isShort ? -quantity : quantity, quantityType };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Market price of a holding: MRKT (or first) PricDtls, rate = percentage, amount = absolute
+   */
+  readPrice(holding) {
+    const prices = findAll(holding, 'PricDtls');
+    const priceNode = prices.find(p => (textAt(p, 'Tp/Cd') || textAt(p, 'Tp/Prtry/Id')) === 'MRKT') || prices[0];
+    if (!priceNode) return null;
+
+    const rate = textAt(priceNode, 'Val/Rate');
+    const amountNode = find(priceNode, 'Val/Amt');
+    const priceDate = this.parseDate(find(priceNode, 'QtnDt')) || this.parseDate(find(priceNode, 'PricDtTm'));
+
+    if (rate !== null) {
+      return { isPercentage: true, price: this.parseNumber(rate), currency: null, priceDate };
+    }
+    if (amountNode) {
+      return { isPercentage: false, price: this.parseNumber(amountNode.text), currency: amountNode.attributes.Ccy || null, priceDate };
+    }
+    return null;
+  },
+
+  /**
+   * Map a semt.002 BalForAcct / BalForSubAcct entry to the standard position schema
+   */
+  mapHolding(holding, account, context) {
+    const { bankId, bankName, sourceFile, fileDate, userId, statementDate, statementId } = context;
+
+    const isin = textAt(holding, 'FinInstrmId/ISIN');
+    const otherId = textAt(holding, 'FinInstrmId/OthrId/Id');
+    const cfi = textAt(holding, 'FinInstrmAttrbts/ClssfctnTp/ClssfctnFinInstrm') || textAt(holding, 'FinInstrmAttrbts/ClssfctnTp/AltrnClssfctn/Id');
+    const quantityInfo = this.readQuantity(find(holding, 'AggtBal'));
+    const priceInfo = this.readPrice(holding);
+
+    const baseValue = this.readHoldingAmount(holding, 'AcctBaseCcyAmts/HldgVal');
+    const instrumentValue = this.readHoldingAmount(holding, 'InstrmCcyAmts/HldgVal');
+    const baseAccrued = this.readHoldingAmount(holding, 'AcctBaseCcyAmts/AcrdIntrstAmt');
+    const baseBook = this.readHoldingAmount(holding, 'AcctBaseCcyAmts/BookVal');
+    const instrumentBook = this.readHoldingAmount(holding, 'InstrmCcyAmts/BookVal');
+
+    // Exchange rate "1 UnitCcy = XchgRate QtdCcy", stored in divide format (base = amount / rate)
+    const fxNode = find(holding, 'FrgnXchgDtls');
+    const fxRate = fxNode ? this.parseNumber(textAt(fxNode, 'XchgRate')) : null;
+
+    const quantity = quantityInfo ? quantityInfo.quantity : null;
+    const marketPrice = priceInfo?.price !== null && priceInfo?.price !== undefined
+      ? (priceInfo.isPercentage ? priceInfo.price / 100 : priceInfo.price)
+      : null;
+    const currency = instrumentValue?.currency || priceInfo?.currency || textAt(holding, 'FinInstrmAttrbts/DnmtnCcy') || baseValue?.currency || null;
+    const portfolioCurrency = baseValue?.currency || currency;
+
+    let marketValueOriginalCurrency = instrumentValue ? instrumentValue.amount : null;
+    if (marketValueOriginalCurrency === null && quantity !== null && marketPrice !== null) {
+      marketValueOriginalCurrency = quantity * marketPrice;
+    }
+
+    let bankFxRates = {};
+    if (fxRate && currency && currency !== portfolioCurrency) {
+      const unitCurrency = textAt(fxNode, 'UnitCcy');
+      const quotedCurrency = textAt(fxNode, 'QtdCcy');
+      if (unitCurrency === currency && quotedCurrency === portfolioCurrency) bankFxRates = { [currency]: 1 / fxRate };
+      if (unitCurrency === portfolioCurrency && quotedCurrency === currency) bankFxRates = { [currency]: fxRate };
+    }
+
+    const marketValue = baseValue
+      ? baseValue.amount
+      : (bankFxRates[currency] && marketValueOriginalCurrency !== null
+        ? marketValueOriginalCurrency / bankFxRates[currency]
+        : marketValueOriginalCurrency);
+
+    const costBasisPortfolioCurrency = baseBook ? baseBook.amount : null;
+    const costBasisOriginalCurrency = instrumentBook ? instrumentBook.amount : null;
+    const unrealizedPnL = marketValue !== null && costBasisPortfolioCurrency !== null ? marketValue - costBasisPortfolioCurrency : null;
+
+    return {
+      // Source Information
+      bankId,
+      bankName,
+      connectionId: null, // Will be set by caller
+      sourceFile,
+      sourceFilePath: null, // Will be set by caller
+      fileDate,
+      dataDate: statementDate || fileDate,
+      processingDate: new Date(),
+
+      // Account & Portfolio Information
+      portfolioCode: account || '',
+      accountNumber: account || null,
+      thirdPartyCode: null,
+
+      // Security Information
+      isin: isin || null,
+      ticker: null,
+      securityName: textAt(holding, 'FinInstrmId/Desc') || otherId || null,
+      securityType: this.mapCfiToSecurityType(cfi),
+      securityTypeCode: cfi || null,
+      securityTypeDesc: null,
+
+      // Position Data
+      quantity,
+      marketValue,
+      marketValueNoAccruedInterest: marketValue !== null && baseAccrued ? marketValue - baseAccrued.amount : null,
+      marketValueOriginalCurrency,
+      bookValue: costBasisOriginalCurrency,
+      currency,
+      portfolioCurrency,
+
+      // Pricing Information
+      priceType: priceInfo?.isPercentage ? 'percentage' : 'absolute',
+      marketPrice,
+      priceDate: priceInfo?.priceDate || null,
+      priceCurrency: priceInfo?.currency || currency,
+
+      // Cost Price Information
+      costPrice: costBasisOriginalCurrency !== null && quantity ? costBasisOriginalCurrency / quantity : null,
+
+      // Cost Basis Calculations
+      costBasisOriginalCurrency,
+      costBasisPortfolioCurrency,
+
+      // Performance Metrics
+      unrealizedPnL,
+      unrealizedPnLPercent: unrealizedPnL !== null && costBasisPortfolioCurrency
+        ? (unrealizedPnL / Math.abs(costBasisPortfolioCurrency)) * 100
+        : null,
+
+      // Bank-Specific Fields
+      bankSpecificData: {
+        messageType: 'semt.002',
+        statementId,
+        otherInstrumentId: otherId || null,
+        quantityType: quantityInfo?.quantityType || null,
+        availableQuantity: this.readQuantity(find(holding, 'AvlblBal'))?.quantity ?? null,
+        accruedInterest: baseAccrued ? { currency: baseAccrued.currency, amount: baseAccrued.amount } : null,
+        exchangeRate: fxRate
+      },
+
+      // Metadata
+      userId,
+      isActive: true,
+      version: 1,
+
+      // Bank-provided FX rates (divide format: portfolio value = amount / rate)
+      bankFxRates
+    };
+  },
+
+  /**
+   * Read a signed amount container (<HldgVal><Amt Ccy="EUR">1</Amt><Sgn>true</Sgn></HldgVal>)
+   */
+  readHoldingAmount(holding, path) {
+    const node = find(holding, path);
+    return node ? this.readAmount(node) : null;
+  },
+
+  /**
+   * Map a camt.053 closing booked balance to a CASH position
+   */
+  mapCashBalance(statement, balance, context) {
+    const { bankId, bankName, sourceFile, fileDate, userId } = context;
+    const { currency, amount } = this.readAmount(balance);
+    const balanceDate = this.parseDate(find(balance, 'Dt'));
+    const account = this.readAccountId(find(statement, 'Acct'));
+
+    return {
+      // Source Information
+      bankId,
+      bankName,
+      connectionId: null, // Will be set by caller
+      sourceFile,
+      sourceFilePath: null, // Will be set by caller
+      fileDate,
+      dataDate: balanceDate || fileDate,
+      processingDate: new Date(),
+
+      // Account & Portfolio Information
+      portfolioCode: account || '',
+      accountNumber: account,
+      thirdPartyCode: null,
+
+      // Security Information
+      isin: null,
+      ticker: null,
+      securityName: `Cash ${currency}`,
+      securityType: SECURITY_TYPES.CASH,
+      securityTypeCode: null,
+      securityTypeDesc: null,
+
+      // Position Data
+      quantity: amount,
+      marketValue: amount,
+      marketValueNoAccruedInterest: amount,
+      marketValueOriginalCurrency: amount,
+      bookValue: null,
+      currency,
+      portfolioCurrency: currency, // camt.053 balances carry no base currency; converted downstream
+
+      // Pricing Information
+      priceType: 'absolute',
+      marketPrice: 1,
+      priceDate: balanceDate,
+      priceCurrency: currency,
+      costPrice: null,
+
+      // Cost Basis Calculations
+      costBasisOriginalCurrency: null,
+      costBasisPortfolioCurrency: null,
+      unrealizedPnL: null,
+      unrealizedPnLPercent: null,
+
+      // Bank-Specific Fields
+      bankSpecificData: {
+        messageType: 'camt.053',
+        statementId: textAt(statement, 'Id'),
+        electronicSequenceNumber: textAt(statement, 'ElctrncSeqNb'),
+        openingBalance: this.readBalanceAmount(statement, 'OPBD'),
+        availableBalance: this.readBalanceAmount(statement, 'CLAV')
+      },
+
+      // Metadata
+      userId,
+      isActive: true,
+      version: 1,
+      bankFxRates: {}
+    };
+  },
+
+  /**
+   * Parse position file: semt.002 holdings, or camt.053 closing balances
+   * Returns array of standardized position objects
+   */
+  parse(content, { bankId, bankName, sourceFile, fileDate, userId, issueCollector = null }) {
+    console.log(`[ISO20022_PARSER] Parsing ISO 20022 file: ${sourceFile}`);
+    const issues = issueCollector || new ProcessingIssueCollector(sourceFile);
+
+    let document;
+    try {
+      document = this.readDocument(content);
+    } catch (error) {
+      issues.addIssue('BANK_FILE_REJECTED', { error: error.message });
+      return [];
+    }
+    if (!this.validateDocument(document, issues)) {
+      console.warn(issues.toLogString());
+      return [];
+    }
+
+    const positions = document.messageType === 'semt.002'
+      ? this.parseHoldings(document, { bankId, bankName, sourceFile, fileDate, userId }, issues)
+      : this.parseClosingBalances(document, { bankId, bankName, sourceFile, fileDate, userId }, issues);
+
+    if (issues.hasIssues()) {
+      console.warn(issues.toLogString());
+    }
+    console.log(`[ISO20022_PARSER] ${document.messageType} → ${positions.length} positions`);
+
+    return positions;
+  },
+
+  /**
+   * Parse cash position file (camt.053 named files go through the same mapping)
+   */
+  parseCash(content, options) {
+    return this.parse(content, options);
+  },
+
+  /**
+   * semt.002 holdings of the main and sub safekeeping accounts
+   */
+  parseHoldings(document, options, issues) {
+    const message = document.message;
+    const context = {
+      ...options,
+      statementDate: this.parseDate(find(message, 'StmtGnlDtls/StmtDtTm')),
+      statementId: textAt(message, 'StmtGnlDtls/StmtId')
+    };
+    const mainAccount = textAt(message, 'SfkpgAcct/Id');
+
+    const entries = [
+      ...findAll(message, 'BalForAcct').map(holding => ({ holding, account: mainAccount, path: `${message.name}/BalForAcct` })),
+      ...findAll(message, 'SubAcctDtls').flatMap(sub => {
+        const subAccount = textAt(sub, 'SfkpgAcct/Id') || mainAccount;
+        return findAll(sub, 'BalForSubAcct').map(holding => ({ holding, account: subAccount, path: `${message.name}/SubAcctDtls/BalForSubAcct` }));
+      })
+    ];
+
+    const positions = [];
+    entries.forEach(({ holding, account, path }) => {
+      if (!find(holding, 'FinInstrmId')) {
+        issues.addIssue('ISO20022_MISSING_ELEMENT', { element: 'FinInstrmId', path, context: { path } });
+        return;
+      }
+      if (!find(holding, 'AggtBal')) {
+        issues.addIssue('ISO20022_MISSING_ELEMENT', { element: 'AggtBal', path, context: { path } });
+        return;
+      }
+      positions.push(this.mapHolding(holding, account, context));
+    });
+
+    return positions;
+  },
+
+  /**
+   * camt.053 closing booked balance of every statement
+   */
+  parseClosingBalances(document, options, issues) {
+    const positions = [];
+    findAll(document.message, 'Stmt').forEach(statement => {
+      const statementPath = `Stmt ${textAt(statement, 'Id') || ''}`.trim();
+      const closing = this.findBalance(statement, 'CLBD');
+      if (!closing) {
+        issues.addIssue('ISO20022_MISSING_ELEMENT', { element: 'Bal (CLBD)', path: statementPath, context: { path: statementPath } });
+        return;
+      }
+      if (!this.readAmount(closing)) {
+        issues.addIssue('ISO20022_INVALID_VALUE', { value: textAt(closing, 'Amt') || '', path: `${statementPath} Bal/Amt`, context: { path: statementPath } });
+        return;
+      }
+      positions.push(this.mapCashBalance(statement, closing, options));
+    });
+    return positions;
+  },
+
+  /**
+   * Map a camt.053 entry to standardized operation type from its bank transaction code
+   * (domain / family / sub-family, or a proprietary SWIFT-style code) and narrative
+   *
+   * @returns {Object} { operationType, mapped } - mapped is false when only the direction decided
+   */
+  mapOperationType(entry, isCredit, narrative) {
+    const domain = textAt(entry, 'BkTxCd/Domn/Cd');
+    const family = textAt(entry, 'BkTxCd/Domn/Fmly/Cd');
+    const subFamily = textAt(entry, 'BkTxCd/Domn/Fmly/SubFmlyCd');
+    const proprietary = textAt(entry, 'BkTxCd/Prtry/Cd');
+    const text = String(narrative || '').toUpperCase();
+
+    // Income and charges are identified by sub-family in every domain
+    if (subFamily === 'INTR') {
+      return { operationType: domain === 'SECU' ? OPERATION_TYPES.COUPON : OPERATION_TYPES.INTEREST, mapped: true };
+    }
+    if (subFamily && SUB_FAMILY_TYPES[subFamily]) {
+      return { operationType: SUB_FAMILY_TYPES[subFamily], mapped: true };
+    }
+    if (domain === 'FORX') {
+      return { operationType: OPERATION_TYPES.FX_TRADE, mapped: true };
+    }
+    if (family && FAMILY_TYPES[family]) {
+      const [creditType, debitType] = FAMILY_TYPES[family];
+      return { operationType: isCredit ? creditType : debitType, mapped: true };
+    }
+
+    // Proprietary SWIFT transaction type codes (NTRF, NDIV, NCHG...) follow the MT940 mapping
+    if (proprietary && /^[NSF][A-Z0-9]{3}$/.test(proprietary)) {
+      return {
+        operationType: SwiftParser.mapCashOperationType({
+          transactionTypeCode: proprietary,
+          narrative,
+          debitCredit: isCredit ? 'CREDIT' : 'DEBIT'
+        }),
+        mapped: true
+      };
+    }
+
+    if (text.includes('DIVIDEND')) return { operationType: OPERATION_TYPES.DIVIDEND, mapped: false };
+    if (text.includes('COUPON')) return { operationType: OPERATION_TYPES.COUPON, mapped: false };
+    return { operationType: isCredit ? OPERATION_TYPES.PAYMENT_IN : OPERATION_TYPES.PAYMENT_OUT, mapped: false };
+  },
+
+  /**
+   * Map a camt.053 entry (Ntry) to the standard operation schema
+   */
+  mapEntry(entry, statement, context, index, operationType) {
+    const { bankId, bankName, sourceFile, fileDate, userId } = context;
+    const { currency, amount } = this.readAmount(entry);
+    const transaction = find(entry, 'NtryDtls/TxDtls');
+    const debitCredit = amount < 0 ? 'DEBIT' : 'CREDIT';
+    const absoluteAmount = Math.abs(amount);
+    const account = this.readAccountId(find(statement, 'Acct'));
+    const bookingDate = this.parseDate(find(entry, 'BookgDt'));
+    const valueDate = this.parseDate(find(entry, 'ValDt'));
+    const operationDate = bookingDate || valueDate || fileDate;
+    const isin = textAt(transaction, 'FinInstrmId/ISIN');
+
+    const reference = textAt(entry, 'AcctSvcrRef') || textAt(entry, 'NtryRef') ||
+      textAt(transaction, 'Refs/AcctSvcrRef') || textAt(transaction, 'Refs/TxId') ||
+      textAt(transaction, 'Refs/EndToEndId');
+    const endToEndId = textAt(transaction, 'Refs/EndToEndId');
+    const bankTransactionCode = [
+      textAt(entry, 'BkTxCd/Domn/Cd'),
+      textAt(entry, 'BkTxCd/Domn/Fmly/Cd'),
+      textAt(entry, 'BkTxCd/Domn/Fmly/SubFmlyCd')
+    ].filter(Boolean).join('/') || textAt(entry, 'BkTxCd/Prtry/Cd');
+
+    return {
+      // Bank and portfolio identifiers
+      bankId,
+      bankName,
+      portfolioCode: account || '',
+      accountNumber: account,
+      portfolioCurrency: textAt(statement, 'Acct/Ccy') || currency,
+      userId,
+
+      // Dates
+      operationDate, // Required field for PMSOperations
+      transactionDate: operationDate,
+      valueDate,
+      fileDate,
+
+      // Instrument details (income on a security carries its ISIN)
+      isin: isin || null,
+      instrumentName: isin ? (textAt(transaction, 'FinInstrmId/Desc') || isin) : `Cash ${currency}`,
+      securityCurrency: currency,
+      securityType: isin ? null : 'CASH',
+
+      // Operation details
+      operationType,
+      operationCategory: 'CASH',
+      // Servicer reference identifies the booking; entries without one fall back to their position in the statement
+      operationCode: reference || `${textAt(statement, 'Id') || 'CAMT053'}-${index + 1}`, // For unique key generation
+      instrumentCode: isin || null,
+      transactionRef: reference,
+      transactionTypeCode: bankTransactionCode,
+      debitCredit,
+      reversalCode: textAt(entry, 'RvslInd') === 'true' ? 'R' : null,
+      text: context.narrative,
+
+      // Financial details
+      quantity: amount,
+      amount,
+      grossAmount: absoluteAmount,
+      netAmount: absoluteAmount,
+      totalFees: 0,
+
+      // Metadata
+      sourceFile,
+      importedAt: new Date(),
+      isActive: true,
+
+      // Store original bank-specific data
+      bankSpecificData: {
+        messageType: 'camt.053',
+        debitCredit,
+        statementId: textAt(statement, 'Id'),
+        entryReference: textAt(entry, 'NtryRef'),
+        accountServicerReference: textAt(entry, 'AcctSvcrRef'),
+        endToEndId: endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : null,
+        bankTransactionCode,
+        transactionCount: findAll(entry, 'NtryDtls/TxDtls').length
+      }
+    };
+  },
+
+  /**
+   * Parse camt.053 entries into operations
+   * Returns array of standardized operation objects
+   */
+  parseOperations(content, { bankId, bankName, sourceFile, fileDate, userId, issueCollector = null }) {
+    console.log(`[ISO20022_PARSER] Parsing ISO 20022 operations file: ${sourceFile}`);
+    const issues = issueCollector || new ProcessingIssueCollector(sourceFile);
+
+    const document = this.loadDocument(content, issues, 'camt.053');
+    if (!document) {
+      if (issues.hasIssues()) console.warn(issues.toLogString());
+      return [];
+    }
+
+    const operations = [];
+    const unmappedCodes = new Map();
+    let pendingEntries = 0;
+
+    findAll(document.message, 'Stmt').forEach(statement => {
+      const statementPath = `Stmt ${textAt(statement, 'Id') || ''}`.trim();
+      if (!find(statement, 'Acct')) {
+        issues.addIssue('ISO20022_MISSING_ELEMENT', { element: 'Acct', path: statementPath, context: { path: statementPath } });
+        return;
+      }
+
+      findAll(statement, 'Ntry').forEach((entry, index) => {
+        const entryPath = `${statementPath} Ntry #${index + 1}`;
+
+        // Only booked entries are operations (Sts is a code from camt.053.001.08 on)
+        const status = textAt(entry, 'Sts/Cd') || textAt(entry, 'Sts');
+        if (status && status !== 'BOOK') {
+          pendingEntries++;
+          return;
+        }
+
+        const amount = this.readAmount(entry);
+        if (!amount || !textAt(entry, 'CdtDbtInd')) {
+          issues.addIssue('ISO20022_MISSING_ELEMENT', { element: 'Amt / CdtDbtInd', path: entryPath, context: { path: entryPath } });
+          return;
+        }
+        if (!find(entry, 'BookgDt') && !find(entry, 'ValDt')) {
+          issues.addIssue('ISO20022_MISSING_ELEMENT', { element: 'BookgDt / ValDt', path: entryPath, context: { path: entryPath } });
+          return;
+        }
+
+        const transaction = find(entry, 'NtryDtls/TxDtls');
+        const narrative = [
+          textAt(entry, 'AddtlNtryInf'),
+          ...findAll(transaction, 'RmtInf/Ustrd').map(node => node.text),
+          textAt(transaction, 'AddtlTxInf')
+        ].filter(Boolean).join(' ') || null;
+
+        const { operationType, mapped } = this.mapOperationType(entry, amount.amount >= 0, narrative);
+        if (!mapped) {
+          const code = [
+            textAt(entry, 'BkTxCd/Domn/Cd'),
+            textAt(entry, 'BkTxCd/Domn/Fmly/Cd'),
+            textAt(entry, 'BkTxCd/Domn/Fmly/SubFmlyCd')
+          ].filter(Boolean).join('/') || textAt(entry, 'BkTxCd/Prtry/Cd') || '(none)';
+          const key = `${code}|${operationType}`;
+          unmappedCodes.set(key, { code, operationType, count: (unmappedCodes.get(key)?.count || 0) + 1 });
+        }
+
+        operations.push(this.mapEntry(entry, statement, { bankId, bankName, sourceFile, fileDate, userId, narrative }, index, operationType));
+      });
+    });
+
+    unmappedCodes.forEach(({ code, operationType, count }) => {
+      issues.addIssue('ISO20022_UNMAPPED_CODE', { code, count, operationType, context: { path: 'Ntry/BkTxCd' } });
+    });
+
+    if (pendingEntries > 0) {
+      console.log(`[ISO20022_PARSER] Skipped ${pendingEntries} non-booked entries (pending / information)`);
+    }
+    if (issues.hasIssues()) {
+      console.warn(issues.toLogString());
+    }
+    console.log(`[ISO20022_PARSER] camt.053 → ${operations.length} operations`);
+
+    return operations;
+  },
+
+  /**
+   * Validate file before parsing: well-formed XML, supported message, required header elements
+   */
+  validate(content) {
+    if (!content || !content.trim()) {
+      return { valid: false, error: 'File is empty' };
+    }
+
+    const issues = new ProcessingIssueCollector('validation');
+    let document;
+    try {
+      document = this.readDocument(content);
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+
+    if (!this.validateDocument(document, issues)) {
+      return {
+        valid: false,
+        error: issues.getIssuesBySeverity('error').map(issue => issue.message).join('; ')
+      };
+    }
+
+    return { valid: true };
+  }
+};
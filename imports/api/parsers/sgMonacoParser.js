@@ -14,7 +14,7 @@
  */
 
 import { SECURITY_TYPES } from '../constants/instrumentTypes.js';
-import { OPERATION_TYPES } from '../constants/operationTypes.js';
+import { OPERATION_TYPES, detectCorporateActionType } from '../constants/operationTypes.js';
 
 export const SGMonacoParser = {
   /**
@@ -773,6 +773,11 @@ export const SGMonacoParser = {
     const nature = String(opeNature || '').toLowerCase();   // income, sell, buy
     const remarks = String(opeRemarks || '').toUpperCase();
 
+    // Corporate actions are booked with generic natures, only the remarks tell them apart
+    if (detectCorporateActionType(remarks)) {
+      return OPERATION_TYPES.CORPORATE_ACTION;
+    }
+
     // Coupon payments - OPE_NATURE=Income + OPE_TYPE contains CPS
     if (nature === 'income' && (typeCode.includes('CPS') || remarks.includes('COUPON'))) {
       return OPERATION_TYPES.COUPON;
@@ -0,0 +1,1049 @@
+/**
+ * SWIFT FIN Statement Parser
+ *
+ * Parses standard SWIFT statements sent by custodians instead of proprietary CSV
+ * exports, and maps them to the same standardized schemas as the CSV parsers:
+ * - MT535 Statement of Holdings       → securities positions (PMSHoldings)
+ * - MT536 Statement of Transactions   → securities operations (PMSOperations)
+ * - MT940 Customer Statement and
+ *   MT950 Statement Message           → cash positions (closing balance) and
+ *                                       cash operations (statement lines)
+ *
+ * A file may hold one or several messages, with or without the FIN envelope
+ * ({1:...}{2:O535...}{4:...-}{5:...}). Bare text blocks are separated by a "-" or "$" line.
+ *
+ * Filename format: *.fin, *.swi, *.swift, *.sta, *.mt535/.mt536/.mt940/.mt950,
+ * or a .txt/.dat file whose name carries the message type
+ * Examples: 20261017_statements.fin, MT535_12345_20261017.txt, MT940-EUR.sta
+ *
+ * The statement date inside the messages is used as the file date; a YYYYMMDD
+ * in the filename is the fallback when the file cannot be read.
+ * Numbers use the SWIFT decimal comma ("1234,56"); "N" flags a negative amount.
+ */
+
+import fs from 'fs';
+import { SECURITY_TYPES } from '../constants/instrumentTypes';
+import { OPERATION_TYPES, detectCorporateActionType } from '../constants/operationTypes';
+
+const SUPPORTED_MESSAGE_TYPES = ['535', '536', '940', '950'];
+
+export const SwiftParser = {
+  /**
+   * Bank identifier (the actual custodian name comes from the bank connection)
+   */
+  bankName: 'SWIFT',
+
+  /**
+   * Filename pattern for SWIFT statement files
+   */
+  filenamePattern: /(\.(fin|swi|swift|sta|mt535|mt536|mt940|mt950)$)|(MT(535|536|940|950).*\.(txt|dat)$)/i,
+
+  /**
+   * Message type announced by the filename (e.g. MT940_... or .mt535), if any
+   */
+  getFilenameMessageType(filename) {
+    const match = filename.match(/MT(535|536|940|950)/i);
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Securities position files: any SWIFT file except those named as transaction or cash statements
+   */
+  matchesPattern(filename) {
+    if (!this.filenamePattern.test(filename)) return false;
+    return !['536', '940', '950'].includes(this.getFilenameMessageType(filename));
+  },
+
+  /**
+   * Cash position files: files named as MT940/MT950 statements
+   */
+  matchesCashPattern(filename) {
+    if (!this.filenamePattern.test(filename)) return false;
+    return ['940', '950'].includes(this.getFilenameMessageType(filename));
+  },
+
+  /**
+   * Operation files: any SWIFT file except those named as holdings statements
+   */
+  matchesOperationsPattern(filename) {
+    if (!this.filenamePattern.test(filename)) return false;
+    return this.getFilenameMessageType(filename) !== '535';
+  },
+
+  /**
+   * Statement date of the file, or null when neither the content nor the filename has one
+   * @param {string} filePath - Optional full path; the statement date in the messages wins
+   */
+  findFileDate(filename, filePath = null) {
+    if (filePath) {
+      try {
+        const statementDate = this.extractStatementDate(fs.readFileSync(filePath, 'utf8'));
+        if (statementDate) return statementDate;
+      } catch (error) {
+        console.warn(`[SWIFT_PARSER] Could not read statement date from ${filename}: ${error.message}`);
+      }
+    }
+
+    const match = filename.match(/(20\d{2})-?(\d{2})-?(\d{2})/);
+    if (!match) return null;
+
+    return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  },
+
+  /**
+   * Extract date for file grouping
+   */
+  extractFileDate(filename, filePath = null) {
+    const fileDate = this.findFileDate(filename, filePath);
+    if (!fileDate) {
+      throw new Error(`No statement date found for SWIFT file: ${filename}`);
+    }
+    return fileDate;
+  },
+
+  /**
+   * Latest statement date across the messages of a file
+   */
+  extractStatementDate(content) {
+    const dates = this.splitMessages(content).map(message => {
+      if (message.type === '535') return this.readHoldingsStatement(message).statementDate;
+      if (message.type === '536') return this.readTransactionsStatement(message).statementDate;
+      return this.readCashStatement(message).closing?.date || null;
+    }).filter(Boolean);
+
+    if (dates.length === 0) return null;
+    return dates.reduce((latest, date) => (date > latest ? date : latest));
+  },
+
+  /**
+   * Parse SWIFT decimal ("1234,56", "100,") to number
+   */
+  parseNumber(value, negative = false) {
+    if (value === undefined || value === null || value === '') return null;
+    const num = parseFloat(String(value).trim().replace(',', '.'));
+    if (isNaN(num)) return null;
+    return negative ? -num : num;
+  },
+
+  /**
+   * Parse YYYYMMDD to Date
+   */
+  parseDate(value) {
+    const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return null;
+    return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  },
+
+  /**
+   * Parse YYMMDD (MT940/950 dates) to Date
+   */
+  parseShortDate(value) {
+    const match = String(value || '').match(/^(\d{2})(\d{2})(\d{2})$/);
+    if (!match) return null;
+    const year = parseInt(match[1]);
+    return new Date(year < 80 ? 2000 + year : 1900 + year, parseInt(match[2]) - 1, parseInt(match[3]));
+  },
+
+  /**
+   * Split file content into messages: [{ type, fields: [{ tag, value }] }]
+   */
+  splitMessages(content) {
+    const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const messages = [];
+
+    if (text.includes('{4:')) {
+      // FIN envelope: the message type is in the application header ({2:I535... / {2:O535...)
+      text.split(/(?=\{1:)/).forEach(envelope => {
+        const body = envelope.match(/\{4:\n?([\s\S]*?)\n?-\}/);
+        if (!body) return;
+        const header = envelope.match(/\{2:[IO](\d{3})/);
+        const fields = this.parseFields(body[1]);
+        messages.push({ type: header ? header[1] : this.detectMessageType(fields), fields });
+      });
+    } else {
+      // Bare text blocks, one message per "-" or "$" separated block
+      text.split(/^[-$]\s*$/m).forEach(block => {
+        const fields = this.parseFields(block);
+        if (fields.length > 0) {
+          messages.push({ type: this.detectMessageType(fields), fields });
+        }
+      });
+    }
+
+    return messages.filter(message => SUPPORTED_MESSAGE_TYPES.includes(message.type));
+  },
+
+  /**
+   * Split a text block into tagged fields; lines without a tag continue the previous field
+   */
+  parseFields(block) {
+    const fields = [];
+    block.split('\n').forEach(rawLine => {
+      const line = rawLine.replace(/\s+$/, '');
+      const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+      if (match) {
+        fields.push({ tag: match[1], value: match[2] });
+      } else if (fields.length > 0 && line) {
+        fields[fields.length - 1].value += `\n${line}`;
+      }
+    });
+    return fields;
+  },
+
+  /**
+   * Message type from the fields, for messages delivered without the FIN envelope
+   */
+  detectMessageType(fields) {
+    const tags = new Set(fields.map(f => f.tag));
+    const sequences = new Set(fields.filter(f => f.tag === '16R').map(f => f.value.trim()));
+
+    if (sequences.has('GENL')) {
+      return sequences.has('TRAN') || tags.has('69A') || tags.has('69B') ? '536' : '535';
+    }
+    if (tags.has('60F') || tags.has('60M') || tags.has('62F') || tags.has('62M')) {
+      return tags.has('86') ? '940' : '950';
+    }
+    return null;
+  },
+
+  /**
+   * Split a generic field value ":QUAL//DATA" or ":QUAL/ISSUER/DATA"
+   */
+  parseQualified(value) {
+    const match = value.match(/^:([A-Z0-9]{4})\/([A-Z0-9]*)\/([\s\S]*)$/);
+    return match
+      ? { qualifier: match[1], issuer: match[2] || null, data: match[3].trim() }
+      : { qualifier: null, issuer: null, data: value.trim() };
+  },
+
+  /**
+   * Parse an amount field ":19A::HOLD//[N]USD1234,56"
+   */
+  parseAmount(data) {
+    const match = String(data || '').match(/^(N)?([A-Z]{3})([\d,]+)$/);
+    return match ? { currency: match[2], amount: this.parseNumber(match[3], !!match[1]) } : null;
+  },
+
+  /**
+   * Parse a quantity field ":93B::AGGR//UNIT/[N]100," (UNIT, FAMT = face amount, AMOR)
+   */
+  parseQuantity(data) {
+    const match = String(data || '').match(/^([A-Z]{4})\/(N)?([\d,]+)$/);
+    return match ? { quantityType: match[1], quantity: this.parseNumber(match[3], !!match[2]) } : null;
+  },
+
+  /**
+   * Parse a price field: 90A "PRCT/101,25" (percentage) or 90B "ACTU/USD150,25" (amount)
+   */
+  parsePrice(tag, data) {
+    if (tag === '90A') {
+      const match = String(data || '').match(/^([A-Z]{4})\/(N)?([\d,]+)$/);
+      return match ? { priceCode: match[1], currency: null, price: this.parseNumber(match[3], !!match[2]) } : null;
+    }
+    const match = String(data || '').match(/^([A-Z]{4})\/([A-Z]{3})([\d,]+)$/);
+    return match ? { priceCode: match[1], currency: match[2], price: this.parseNumber(match[3]) } : null;
+  },
+
+  /**
+   * Parse the financial instrument field ":35B:ISIN XS0123456789\nDESCRIPTION"
+   */
+  parseInstrument(value) {
+    const lines = value.split('\n').map(l => l.trim()).filter(Boolean);
+    const isinMatch = (lines[0] || '').match(/^ISIN\s+([A-Z]{2}[A-Z0-9]{9}\d)/);
+    if (isinMatch) {
+      return { isin: isinMatch[1], localCode: null, name: lines.slice(1).join(' ') || null };
+    }
+    const localCode = lines[0] && lines[0].startsWith('/') ? lines.shift() : null;
+    return { isin: null, localCode, name: lines.join(' ') || null };
+  },
+
+  /**
+   * Map a CFI code (ISO 10962, ":12C::CLAS//ESVUFR") to security type.
+   * Returns null when unknown so the SecurityResolver classifies the ISIN later.
+   */
+  mapCfiToSecurityType(cfi) {
+    const code = String(cfi || '').toUpperCase();
+    if (code.length < 2) return null;
+
+    switch (code[0]) {
+      case 'E':
+        return SECURITY_TYPES.EQUITY;
+      case 'D':
+        if (code[1] === 'S' || code[1] === 'E') return SECURITY_TYPES.STRUCTURED_PRODUCT;
+        if (code[1] === 'Y') return SECURITY_TYPES.MONEY_MARKET;
+        return SECURITY_TYPES.BOND;
+      case 'C':
+        return code[1] === 'E' ? SECURITY_TYPES.ETF : SECURITY_TYPES.FUND;
+      case 'O':
+        return SECURITY_TYPES.OPTION;
+      case 'F':
+        return SECURITY_TYPES.FUTURE;
+      case 'R':
+        return code[1] === 'W' ? SECURITY_TYPES.WARRANT : null;
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Walk 16R/16S sequences and call visit(field, sequencePath) for every other field
+   */
+  walkSequences(fields, { onStart = () => {}, onEnd = () => {}, visit }) {
+    const path = [];
+    fields.forEach(field => {
+      if (field.tag === '16R') {
+        path.push(field.value.trim());
+        onStart(field.value.trim(), path);
+      } else if (field.tag === '16S') {
+        onEnd(path.pop(), path);
+      } else {
+        visit(field, path);
+      }
+    });
+  },
+
+  /**
+   * Read an MT535 message: statement header plus one entry per FIN (holding) sequence
+   */
+  readHoldingsStatement(message) {
+    const statement = { messageType: '535', reference: null, statementDate: null, totalCurrency: null, holdings: [] };
+    let account = null;
+    let holding = null;
+
+    this.walkSequences(message.fields, {
+      onStart: (name) => {
+        if (name === 'FIN') {
+          holding = { account, instrument: null, cfi: null, values: {} };
+        }
+      },
+      onEnd: (name) => {
+        if (name === 'FIN' && holding) {
+          statement.holdings.push(holding);
+          holding = null;
+        }
+      },
+      visit: ({ tag, value }, path) => {
+        const { qualifier, data } = this.parseQualified(value);
+
+        if (!holding) {
+          if (tag === '20C' && qualifier === 'SEME') statement.reference = data;
+          if ((tag === '98A' || tag === '98C') && qualifier === 'STAT') statement.statementDate = this.parseDate(data);
+          if ((tag === '98A' || tag === '98C') && qualifier === 'PREP' && !statement.statementDate) statement.statementDate = this.parseDate(data);
+          if (tag === '97A' && qualifier === 'SAFE') account = data;
+          if (tag === '19A' && qualifier === 'TOHO') statement.totalCurrency = this.parseAmount(data)?.currency || statement.totalCurrency;
+          return;
+        }
+
+        // Sub-balances repeat quantities and values per status (available, blocked...)
+        if (path.includes('SUBBAL')) return;
+
+        if (tag === '35B') holding.instrument = this.parseInstrument(value);
+        else if ((tag === '12C' || tag === '12A') && qualifier === 'CLAS') holding.cfi = data.split('/').pop();
+        else if (qualifier) {
+          const key = `${tag}:${qualifier}`;
+          if (!(key in holding.values)) holding.values[key] = data;
+        }
+      }
+    });
+
+    return statement;
+  },
+
+  /**
+   * Read an MT536 message: one entry per TRAN sequence, with its FIN instrument
+   */
+  readTransactionsStatement(message) {
+    const statement = { messageType: '536', reference: null, statementDate: null, periodStart: null, transactions: [] };
+    let account = null;
+    let instrument = null;
+    let transaction = null;
+
+    this.walkSequences(message.fields, {
+      onStart: (name) => {
+        if (name === 'FIN') instrument = null;
+        if (name === 'TRAN') {
+          transaction = { account, instrument, values: {}, references: {}, narrative: [] };
+        }
+      },
+      onEnd: (name) => {
+        if (name === 'TRAN' && transaction) {
+          statement.transactions.push(transaction);
+          transaction = null;
+        }
+      },
+      visit: ({ tag, value }) => {
+        const { qualifier, data } = this.parseQualified(value);
+
+        if (!transaction) {
+          if (tag === '20C' && qualifier === 'SEME') statement.reference = data;
+          if (tag === '97A' && qualifier === 'SAFE') account = data;
+          if (tag === '35B') instrument = this.parseInstrument(value);
+          if ((tag === '69A' || tag === '69B') && qualifier === 'STAT') {
+            // Statement period "20261001/20261017" (69B adds times)
+            const [from, to] = data.split('/');
+            statement.periodStart = this.parseDate(from);
+            statement.statementDate = this.parseDate(to);
+          }
+          if ((tag === '98A' || tag === '98C') && qualifier === 'STAT' && !statement.statementDate) statement.statementDate = this.parseDate(data);
+          return;
+        }
+
+        if (tag === '20C') transaction.references[qualifier] = data;
+        else if (tag === '13A' && qualifier === 'LINK') transaction.linkedMessageType = data.replace(/\D/g, '') || null;
+        else if (tag === '70E' || tag === '70D') transaction.narrative.push(data.replace(/\n/g, ' '));
+        else if (qualifier) {
+          const key = `${tag}:${qualifier}`;
+          if (!(key in transaction.values)) transaction.values[key] = data;
+        }
+      }
+    });
+
+    return statement;
+  },
+
+  /**
+   * Parse a balance field ":62F:C261017EUR1234,56"
+   */
+  parseBalance(value) {
+    const match = String(value || '').trim().match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)$/);
+    if (!match) return null;
+    return {
+      date: this.parseShortDate(match[2]),
+      currency: match[3],
+      amount: this.parseNumber(match[4], match[1] === 'D')
+    };
+  },
+
+  /**
+   * Parse a statement line ":61:2610171017D1500,00NTRFPAYREF//BANKREF\nsupplementary"
+   */
+  parseStatementLine(value) {
+    const [firstLine, ...rest] = value.split('\n');
+    const match = firstLine.match(/^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?([\d,]+)([NSF][A-Z0-9]{3})(.*)$/);
+    if (!match) return null;
+
+    const valueDate = this.parseShortDate(match[1]);
+    let entryDate = null;
+    if (match[2] && valueDate) {
+      // Entry date has no year: take the value date's year, adjusted across a year end
+      entryDate = new Date(valueDate.getFullYear(), parseInt(match[2].substring(0, 2)) - 1, parseInt(match[2].substring(2, 4)));
+      const daysApart = (entryDate - valueDate) / 86400000;
+      if (daysApart > 180) entryDate.setFullYear(entryDate.getFullYear() - 1);
+      if (daysApart < -180) entryDate.setFullYear(entryDate.getFullYear() + 1);
+    }
+
+    const [customerReference, bankReference] = match[7].split('//');
+    const mark = match[3];
+
+    return {
+      valueDate,
+      entryDate,
+      mark,
+      isReversal: mark.startsWith('R'),
+      // A reversed credit is booked as a debit and vice versa
+      debitCredit: mark === 'C' || mark === 'RD' ? 'CREDIT' : 'DEBIT',
+      fundsCode: match[4] || null,
+      amount: this.parseNumber(match[5]),
+      transactionTypeCode: match[6],
+      customerReference: customerReference && customerReference !== 'NONREF' ? customerReference.trim() : null,
+      bankReference: bankReference ? bankReference.trim() : null,
+      supplementaryDetails: rest.join(' ').trim() || null
+    };
+  },
+
+  /**
+   * Read an MT940/MT950 message: account, balances and statement lines (with :86: narrative)
+   */
+  readCashStatement(message) {
+    const statement = {
+      messageType: message.type,
+      reference: null,
+      account: null,
+      statementNumber: null,
+      opening: null,
+      closing: null,
+      available: null,
+      lines: []
+    };
+
+    message.fields.forEach(({ tag, value }) => {
+      switch (tag) {
+        case '20':
+          statement.reference = value.trim();
+          break;
+        case '25':
+        case '25P':
+          statement.account = value.split('\n')[0].trim();
+          break;
+        case '28C':
+          statement.statementNumber = value.trim();
+          break;
+        case '60F':
+        case '60M':
+          statement.opening = this.parseBalance(value);
+          break;
+        case '62F':
+        case '62M':
+          statement.closing = { ...this.parseBalance(value), final: tag === '62F' };
+          break;
+        case '64':
+          statement.available = this.parseBalance(value);
+          break;
+        case '61': {
+          const line = this.parseStatementLine(value);
+          if (line) statement.lines.push({ ...line, narrative: null });
+          break;
+        }
+        case '86':
+          // Narrative of the preceding statement line (940 only)
+          if (statement.lines.length > 0) {
+            statement.lines[statement.lines.length - 1].narrative = value.replace(/\n/g, ' ').trim();
+          }
+          break;
+      }
+    });
+
+    return statement;
+  },
+
+  /**
+   * Account identification without the leading BIC ("BANKCHZZXXX/12345-001" → "12345-001")
+   */
+  normalizeAccount(account) {
+    if (!account) return '';
+    const parts = account.split('/').filter(Boolean);
+    return parts.length > 1 ? parts[parts.length - 1] : account.replace(/^\//, '');
+  },
+
+  /**
+   * Statement base currency and bank FX rates (divide format: base = amount / rate)
+   * from the totals and the ":92B::EXCH//USD/EUR/0,92" fields of MT535 messages
+   */
+  collectFxContext(holdingStatements) {
+    const baseCurrency = holdingStatements.map(s => s.totalCurrency).find(Boolean) || null;
+    const fxRates = {};
+
+    if (baseCurrency) {
+      holdingStatements.forEach(statement => statement.holdings.forEach(holding => {
+        const exch = (holding.values['92B:EXCH'] || '').match(/^([A-Z]{3})\/([A-Z]{3})\/([\d,]+)$/);
+        if (!exch) return;
+        const rate = this.parseNumber(exch[3]);
+        if (!rate) return;
+        // "USD/EUR/0,92": 1 USD = 0.92 EUR, so EUR = USD / (1 / 0.92)
+        if (exch[2] === baseCurrency && exch[1] !== baseCurrency) fxRates[exch[1]] = 1 / rate;
+        if (exch[1] === baseCurrency && exch[2] !== baseCurrency) fxRates[exch[2]] = rate;
+      }));
+    }
+
+    return { baseCurrency, fxRates };
+  },
+
+  /**
+   * Convert an amount to the statement base currency; null when no rate is known
+   */
+  toBaseCurrency(amount, currency, { baseCurrency, fxRates }) {
+    if (amount === null || amount === undefined) return null;
+    if (!baseCurrency || currency === baseCurrency) return amount;
+    const rate = fxRates[currency];
+    return rate ? amount / rate : null;
+  },
+
+  /**
+   * Map an MT535 holding to the standard position schema
+   */
+  mapHolding(holding, statement, context) {
+    const { bankId, bankName, sourceFile, fileDate, userId } = context;
+    const v = holding.values;
+
+    const quantityInfo = this.parseQuantity(v['93B:AGGR']) || this.parseQuantity(v['93C:AGGR']);
+    const priceInfo = v['90A:MRKT'] ? this.parsePrice('90A', v['90A:MRKT'])
+      : v['90B:MRKT'] ? this.parsePrice('90B', v['90B:MRKT'])
+        : v['90A:INDC'] ? this.parsePrice('90A', v['90A:INDC'])
+          : v['90B:INDC'] ? this.parsePrice('90B', v['90B:INDC'])
+            : null;
+    const holdingValue = this.parseAmount(v['19A:HOLD']);
+    const accruedInterest = this.parseAmount(v['19A:ACRU']);
+    const bookValue = this.parseAmount(v['19A:BOOK']);
+
+    const quantity = quantityInfo ? quantityInfo.quantity : null;
+    const isPercentage = priceInfo?.priceCode === 'PRCT';
+    const marketPrice = priceInfo ? (isPercentage ? priceInfo.price / 100 : priceInfo.price) : null;
+    const currency = holdingValue?.currency || priceInfo?.currency || v['11A:DENO'] || context.baseCurrency || null;
+
+    const marketValueOriginalCurrency = holdingValue
+      ? holdingValue.amount
+      : (quantity !== null && marketPrice !== null ? quantity * marketPrice : null);
+    const convertedValue = this.toBaseCurrency(marketValueOriginalCurrency, currency, context);
+    const isConverted = convertedValue !== null;
+    const portfolioCurrency = isConverted ? (context.baseCurrency || currency) : currency;
+    const marketValue = isConverted ? convertedValue : marketValueOriginalCurrency;
+    const accruedPortfolio = accruedInterest
+      ? (isConverted ? this.toBaseCurrency(accruedInterest.amount, accruedInterest.currency, context) : accruedInterest.amount)
+      : null;
+
+    const costBasisOriginalCurrency = bookValue && bookValue.currency === currency ? bookValue.amount : null;
+    const costBasisPortfolioCurrency = bookValue ? this.toBaseCurrency(bookValue.amount, bookValue.currency, context) : null;
+    const costPrice = costBasisOriginalCurrency !== null && quantity ? costBasisOriginalCurrency / quantity : null;
+    const unrealizedPnL = marketValue !== null && costBasisPortfolioCurrency !== null && isConverted
+      ? marketValue - costBasisPortfolioCurrency
+      : null;
+
+    const instrument = holding.instrument || {};
+    const cashLike = !instrument.isin && /^(CASH|LIQUIDITY)/i.test(instrument.name || '');
+    const portfolioCode = this.normalizeAccount(holding.account);
+
+    return {
+      // Source Information
+      bankId,
+      bankName,
+      connectionId: null, // Will be set by caller
+      sourceFile,
+      sourceFilePath: null, // Will be set by caller
+      fileDate,
+      dataDate: statement.statementDate || fileDate,
+      processingDate: new Date(),
+
+      // Account & Portfolio Information
+      portfolioCode,
+      accountNumber: holding.account || null,
+      thirdPartyCode: null,
+
+      // Security Information
+      isin: instrument.isin || null,
+      ticker: null,
+      securityName: instrument.name || instrument.localCode || null,
+      securityType: cashLike ? SECURITY_TYPES.CASH : this.mapCfiToSecurityType(holding.cfi),
+      securityTypeCode: holding.cfi || null,
+      securityTypeDesc: null,
+
+      // Position Data
+      quantity,
+      marketValue,
+      marketValueNoAccruedInterest: marketValue !== null && accruedPortfolio !== null ? marketValue - accruedPortfolio : null,
+      marketValueOriginalCurrency,
+      bookValue: bookValue ? bookValue.amount : null,
+      currency,
+      portfolioCurrency,
+
+      // Pricing Information
+      priceType: isPercentage ? 'percentage' : 'absolute',
+      marketPrice,
+      priceDate: this.parseDate(v['98A:PRIC'] || v['98C:PRIC']),
+      priceCurrency: priceInfo?.currency || currency,
+
+      // Cost Price Information
+      costPrice,
+
+      // Cost Basis Calculations
+      costBasisOriginalCurrency,
+      costBasisPortfolioCurrency,
+
+      // Performance Metrics
+      unrealizedPnL,
+      unrealizedPnLPercent: unrealizedPnL !== null && costBasisPortfolioCurrency
+        ? (unrealizedPnL / Math.abs(costBasisPortfolioCurrency)) * 100
+        : null,
+
+      // Bank-Specific Fields
+      bankSpecificData: {
+        messageType: '535',
+        statementReference: statement.reference,
+        localCode: instrument.localCode || null,
+        quantityType: quantityInfo?.quantityType || null,
+        priceCode: priceInfo?.priceCode || null,
+        accruedInterest: accruedInterest ? { currency: accruedInterest.currency, amount: accruedInterest.amount } : null,
+        exchangeRate: v['92B:EXCH'] || null
+      },
+
+      // Metadata
+      userId,
+      isActive: true,
+      version: 1,
+
+      // Bank-provided FX rates (divide format: portfolio value = amount / rate)
+      bankFxRates: currency && context.fxRates[currency] ? { [currency]: context.fxRates[currency] } : {}
+    };
+  },
+
+  /**
+   * Latest closing balance per account and currency across MT940/MT950 statements
+   * (paginated statements carry intermediate 62M balances, the last page the final 62F)
+   */
+  latestClosingBalances(cashStatements) {
+    const latest = new Map();
+    cashStatements.forEach(statement => {
+      if (!statement.closing || statement.closing.amount === null) return;
+      const key = `${statement.account}|${statement.closing.currency}`;
+      const previous = latest.get(key);
+      if (!previous || statement.closing.date >= previous.closing.date) {
+        latest.set(key, statement);
+      }
+    });
+    return Array.from(latest.values());
+  },
+
+  /**
+   * Map an MT940/MT950 closing balance to a CASH position
+   */
+  mapCashBalance(statement, context) {
+    const { bankId, bankName, sourceFile, fileDate, userId } = context;
+    const { currency, amount, date } = statement.closing;
+
+    const convertedValue = this.toBaseCurrency(amount, currency, context);
+    const isConverted = convertedValue !== null;
+
+    return {
+      // Source Information
+      bankId,
+      bankName,
+      connectionId: null, // Will be set by caller
+      sourceFile,
+      sourceFilePath: null, // Will be set by caller
+      fileDate,
+      dataDate: date || fileDate,
+      processingDate: new Date(),
+
+      // Account & Portfolio Information
+      portfolioCode: this.normalizeAccount(statement.account),
+      accountNumber: statement.account || null,
+      thirdPartyCode: null,
+
+      // Security Information
+      isin: null,
+      ticker: null,
+      securityName: `Cash ${currency}`,
+      securityType: SECURITY_TYPES.CASH,
+      securityTypeCode: null,
+      securityTypeDesc: null,
+
+      // Position Data
+      quantity: amount,
+      marketValue: isConverted ? convertedValue : amount,
+      marketValueNoAccruedInterest: isConverted ? convertedValue : amount,
+      marketValueOriginalCurrency: amount,
+      bookValue: null,
+      currency,
+      portfolioCurrency: isConverted ? (context.baseCurrency || currency) : currency,
+
+      // Pricing Information
+      priceType: 'absolute',
+      marketPrice: 1,
+      priceDate: date,
+      priceCurrency: currency,
+      costPrice: null,
+
+      // Cost Basis Calculations
+      costBasisOriginalCurrency: null,
+      costBasisPortfolioCurrency: null,
+      unrealizedPnL: null,
+      unrealizedPnLPercent: null,
+
+      // Bank-Specific Fields
+      bankSpecificData: {
+        messageType: statement.messageType,
+        statementReference: statement.reference,
+        statementNumber: statement.statementNumber,
+        finalBalance: statement.closing.final,
+        openingBalance: statement.opening?.amount ?? null,
+        availableBalance: statement.available?.amount ?? null
+      },
+
+      // Metadata
+      userId,
+      isActive: true,
+      version: 1,
+
+      // Bank-provided FX rates (divide format: portfolio value = amount / rate)
+      bankFxRates: context.fxRates[currency] ? { [currency]: context.fxRates[currency] } : {}
+    };
+  },
+
+  /**
+   * Parse position file: MT535 holdings plus MT940/MT950 closing balances
+   * Returns array of standardized position objects
+   */
+  parse(content, { bankId, bankName, sourceFile, fileDate, userId }) {
+    console.log(`[SWIFT_PARSER] Parsing SWIFT file: ${sourceFile}`);
+
+    const messages = this.splitMessages(content);
+    const holdingStatements = messages.filter(m => m.type === '535').map(m => this.readHoldingsStatement(m));
+    const cashStatements = messages.filter(m => m.type === '940' || m.type === '950').map(m => this.readCashStatement(m));
+    const context = { bankId, bankName, sourceFile, fileDate, userId, ...this.collectFxContext(holdingStatements) };
+
+    const positions = [
+      ...holdingStatements.flatMap(statement =>
+        statement.holdings
+          .filter(holding => holding.instrument)
+          .map(holding => this.mapHolding(holding, statement, context))),
+      ...this.latestClosingBalances(cashStatements).map(statement => this.mapCashBalance(statement, context))
+    ];
+
+    const unconverted = positions.filter(p => context.baseCurrency && p.portfolioCurrency !== context.baseCurrency);
+    if (unconverted.length > 0) {
+      console.warn(`[SWIFT_PARSER] ${unconverted.length} position(s) kept in their own currency (no ${context.baseCurrency} exchange rate in the statement)`);
+    }
+
+    console.log(`[SWIFT_PARSER] ${messages.length} message(s): ${holdingStatements.length} MT535, ${cashStatements.length} MT940/950 → ${positions.length} positions`);
+
+    return positions;
+  },
+
+  /**
+   * Parse cash position file (MT940/MT950 named files go through the same mapping)
+   */
+  parseCash(content, options) {
+    return this.parse(content, options);
+  },
+
+  /**
+   * Map an MT536 transaction to standardized operation type
+   * Movement (RECE/DELI) and payment (APMT/FREE) come from 22H, or from the linked MT54x type
+   */
+  mapSecuritiesOperationType(transaction) {
+    const v = transaction.values;
+    const linkedMovement = { '540': ['RECE', 'FREE'], '541': ['RECE', 'APMT'], '542': ['DELI', 'FREE'], '543': ['DELI', 'APMT'] }[transaction.linkedMessageType] || [];
+    const movement = v['22H:REDE'] || linkedMovement[0] || null;
+    const payment = v['22H:PAYM'] || linkedMovement[1] || null;
+    const indicator = v['22F:TRAN'] || null;
+
+    if (indicator === 'CORP') {
+      if (detectCorporateActionType(...transaction.narrative)) return OPERATION_TYPES.CORPORATE_ACTION;
+      if (movement === 'DELI' && payment === 'APMT') return OPERATION_TYPES.REDEMPTION;
+      return OPERATION_TYPES.CORPORATE_ACTION;
+    }
+
+    if (movement === 'RECE') return payment === 'APMT' ? OPERATION_TYPES.BUY : OPERATION_TYPES.TRANSFER_IN;
+    if (movement === 'DELI') return payment === 'APMT' ? OPERATION_TYPES.SELL : OPERATION_TYPES.TRANSFER_OUT;
+
+    return OPERATION_TYPES.OTHER;
+  },
+
+  /**
+   * Map an MT536 transaction to the standard operation schema
+   */
+  mapTransaction(transaction, statement, context, index) {
+    const { bankId, bankName, sourceFile, fileDate, userId } = context;
+    const v = transaction.values;
+
+    const quantityInfo = this.parseQuantity(v['36B:PSTA']);
+    const postingAmount = this.parseAmount(v['19A:PSTA']);
+    const priceInfo = v['90A:DEAL'] ? this.parsePrice('90A', v['90A:DEAL'])
+      : v['90B:DEAL'] ? this.parsePrice('90B', v['90B:DEAL'])
+        : null;
+    const tradeDate = this.parseDate(v['98A:TRAD'] || v['98C:TRAD']);
+    const settlementDate = this.parseDate(v['98A:ESET'] || v['98C:ESET'] || v['98A:SETT'] || v['98C:SETT']);
+    const operationType = this.mapSecuritiesOperationType(transaction);
+
+    const instrument = transaction.instrument || {};
+    const refs = transaction.references;
+    const reference = refs.RELA || refs.ACOW || refs.CORP || refs.PREV || refs.ASRF || null;
+    const portfolioCode = this.normalizeAccount(transaction.account);
+    const isin = instrument.isin || null;
+    const operationDate = tradeDate || settlementDate || statement.statementDate || fileDate;
+
+    // Receipts and security sales bring cash in; the statement itself is in securities terms
+    const debitCredit = [OPERATION_TYPES.SELL, OPERATION_TYPES.REDEMPTION, OPERATION_TYPES.TRANSFER_IN].includes(operationType)
+      ? 'CREDIT'
+      : 'DEBIT';
+    const amount = postingAmount ? Math.abs(postingAmount.amount) : null;
+    const price = priceInfo ? (priceInfo.priceCode === 'PRCT' ? priceInfo.price / 100 : priceInfo.price) : null;
+
+    return {
+      // Bank and portfolio identifiers
+      bankId,
+      bankName,
+      portfolioCode,
+      accountNumber: transaction.account || null,
+      portfolioCurrency: postingAmount?.currency || priceInfo?.currency || null,
+      userId,
+
+      // Dates
+      operationDate, // Required field for PMSOperations
+      transactionDate: tradeDate,
+      valueDate: settlementDate,
+      fileDate,
+
+      // Instrument details
+      isin,
+      instrumentName: instrument.name || instrument.localCode || null,
+      securityCurrency: priceInfo?.currency || postingAmount?.currency || null,
+
+      // Operation details
+      operationType,
+      operationCategory: 'SECURITIES',
+      // Statement references identify the settlement; fall back to the position in the statement
+      operationCode: reference || `${statement.reference || 'MT536'}-${index + 1}`, // For unique key generation
+      instrumentCode: isin || instrument.localCode || null, // For unique key generation
+      transactionRef: reference,
+      transactionTypeCode: v['22F:TRAN'] || null,
+      debitCredit,
+
+      // Financial details
+      quantity: quantityInfo ? Math.abs(quantityInfo.quantity) : null,
+      price,
+      grossAmount: amount,
+      netAmount: amount,
+      totalFees: 0,
+      remark: transaction.narrative.join(' ') || null,
+
+      // Metadata
+      sourceFile,
+      importedAt: new Date(),
+      isActive: true,
+
+      // Store original bank-specific data
+      bankSpecificData: {
+        messageType: '536',
+        debitCredit,
+        statementReference: statement.reference,
+        references: refs,
+        linkedMessageType: transaction.linkedMessageType || null,
+        movement: v['22H:REDE'] || null,
+        payment: v['22H:PAYM'] || null,
+        quantityType: quantityInfo?.quantityType || null,
+        isReversal: quantityInfo ? quantityInfo.quantity < 0 : false
+      }
+    };
+  },
+
+  /**
+   * Map an MT940/MT950 statement line to standardized operation type
+   * Uses the SWIFT transaction type code (NTRF, NINT, NDIV, NCHG...) and the :86: narrative
+   */
+  mapCashOperationType(line) {
+    const code = (line.transactionTypeCode || '').substring(1).toUpperCase();
+    const text = `${line.narrative || ''} ${line.supplementaryDetails || ''}`.toUpperCase();
+    const isCredit = line.debitCredit === 'CREDIT';
+
+    if (code === 'INT') return OPERATION_TYPES.INTEREST;
+    if (text.includes('WITHHOLDING') || /\bTAX\b/.test(text)) return OPERATION_TYPES.TAX;
+    if (code === 'DIV' || text.includes('DIVIDEND')) return OPERATION_TYPES.DIVIDEND;
+    if (text.includes('COUPON')) return OPERATION_TYPES.COUPON;
+    if (text.includes('INTEREST')) return OPERATION_TYPES.INTEREST;
+    if (['CHG', 'COM', 'BRF'].includes(code) || /\b(FEES?|CHARGES?|COMMISSION)\b/.test(text)) return OPERATION_TYPES.FEE;
+    if (code === 'FEX') return OPERATION_TYPES.FX_TRADE;
+    // Cash leg of a securities settlement: the trade itself comes from MT536
+    if (code === 'SEC') return OPERATION_TYPES.OTHER;
+    if (text.includes('CARD')) return OPERATION_TYPES.CARD_PAYMENT;
+    if (code === 'TRF' || text.includes('TRANSFER')) return isCredit ? OPERATION_TYPES.TRANSFER_IN : OPERATION_TYPES.TRANSFER_OUT;
+
+    return isCredit ? OPERATION_TYPES.PAYMENT_IN : OPERATION_TYPES.PAYMENT_OUT;
+  },
+
+  /**
+   * Map an MT940/MT950 statement line to the standard operation schema
+   */
+  mapStatementLine(line, statement, context, index) {
+    const { bankId, bankName, sourceFile, fileDate, userId } = context;
+    const currency = statement.closing?.currency || statement.opening?.currency || null;
+    const signedAmount = line.debitCredit === 'DEBIT' ? -line.amount : line.amount;
+    const operationDate = line.entryDate || line.valueDate || fileDate;
+    const portfolioCode = this.normalizeAccount(statement.account);
+
+    return {
+      // Bank and portfolio identifiers
+      bankId,
+      bankName,
+      portfolioCode,
+      accountNumber: statement.account || null,
+      portfolioCurrency: currency,
+      userId,
+
+      // Dates
+      operationDate, // Required field for PMSOperations
+      transactionDate: operationDate,
+      valueDate: line.valueDate,
+      fileDate,
+
+      // Instrument details (Cash operations don't have securities)
+      isin: null,
+      instrumentName: `Cash ${currency}`,
+      securityCurrency: currency,
+      securityType: 'CASH',
+
+      // Operation details
+      operationType: this.mapCashOperationType(line),
+      operationCategory: 'CASH',
+      // Bank reference identifies the booking; "NONREF" lines fall back to their position in the statement
+      operationCode: line.bankReference || line.customerReference ||
+        `${statement.reference || statement.messageType}-${statement.statementNumber || ''}-${index + 1}`, // For unique key generation
+      instrumentCode: null,
+      transactionRef: line.bankReference || line.customerReference,
+      transactionTypeCode: line.transactionTypeCode,
+      debitCredit: line.debitCredit,
+      reversalCode: line.isReversal ? line.mark : null,
+      text: line.narrative || line.supplementaryDetails,
+
+      // Financial details
+      quantity: signedAmount,
+      amount: signedAmount,
+      grossAmount: line.amount,
+      netAmount: line.amount,
+      totalFees: 0,
+
+      // Metadata
+      sourceFile,
+      importedAt: new Date(),
+      isActive: true,
+
+      // Store original bank-specific data
+      bankSpecificData: {
+        messageType: statement.messageType,
+        debitCredit: line.debitCredit,
+        statementReference: statement.reference,
+        statementNumber: statement.statementNumber,
+        customerReference: line.customerReference,
+        bankReference: line.bankReference,
+        fundsCode: line.fundsCode,
+        supplementaryDetails: line.supplementaryDetails,
+        narrative: line.narrative
+      }
+    };
+  },
+
+  /**
+   * Parse operations: MT536 transactions plus MT940/MT950 statement lines
+   * Returns array of standardized operation objects
+   */
+  parseOperations(content, { bankId, bankName, sourceFile, fileDate, userId }) {
+    console.log(`[SWIFT_PARSER] Parsing SWIFT operations file: ${sourceFile}`);
+
+    const context = { bankId, bankName, sourceFile, fileDate, userId };
+    const messages = this.splitMessages(content);
+    const operations = [];
+
+    messages.forEach(message => {
+      if (message.type === '536') {
+        const statement = this.readTransactionsStatement(message);
+        statement.transactions.forEach((transaction, index) => {
+          operations.push(this.mapTransaction(transaction, statement, context, index));
+        });
+      } else if (message.type === '940' || message.type === '950') {
+        const statement = this.readCashStatement(message);
+        statement.lines
+          .filter(line => line.amount !== null)
+          .forEach((line, index) => operations.push(this.mapStatementLine(line, statement, context, index)));
+      }
+    });
+
+    console.log(`[SWIFT_PARSER] ${messages.length} message(s) → ${operations.length} operations`);
+
+    return operations;
+  },
+
+  /**
+   * Validate file before parsing
+   */
+  validate(content) {
+    if (!content || !content.trim()) {
+      return { valid: false, error: 'File is empty' };
+    }
+
+    const messages = this.splitMessages(content);
+    if (messages.length === 0) {
+      return { valid: false, error: 'No MT535, MT536, MT940 or MT950 message found' };
+    }
+
+    return { valid: true };
+  }
+};
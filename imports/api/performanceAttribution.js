@@ -0,0 +1,311 @@
+import { PMSHoldingsCollection } from './pmsHoldings.js';
+import { PMSOperationsCollection } from './pmsOperations.js';
+import { SecuritiesMetadataCollection } from './securitiesMetadata.js';
+import { PortfolioSnapshotHelpers, isCashHolding, classifyHoldingCategory } from './portfolioSnapshots.js';
+import { aggregateToFourCategories } from './accountProfiles.js';
+import { OPERATION_TYPES } from './constants/operationTypes.js';
+
+/**
+ * Performance Attribution
+ *
+ * Explains the TWR of a set of portfolios over a reporting period:
+ * - contribution to return per security, from the daily PMSHoldings
+ *   versions behind the PortfolioSnapshots and the PMSOperations trades
+ * - Brinson-Fachler allocation / selection effects per profile category
+ *   (cash, bonds, equities, alternative) against the accounts' benchmark
+ * - in a reporting currency other than the account currencies, the
+ *   currency translation effect as a separate line
+ *
+ * Calculations live in helpers/attributionCalculator.js; this module only
+ * loads and shapes the data.
+ */
+
+// Trades moving money into a position (positive flow) or out of it (negative flow)
+const INTO_POSITION_TYPES = new Set([
+  OPERATION_TYPES.BUY,
+  OPERATION_TYPES.SUBSCRIPTION,
+  OPERATION_TYPES.TRANSFER_IN
+]);
+const OUT_OF_POSITION_TYPES = new Set([
+  OPERATION_TYPES.SELL,
+  OPERATION_TYPES.REDEMPTION,
+  OPERATION_TYPES.DIVIDEND,
+  OPERATION_TYPES.COUPON,
+  OPERATION_TYPES.TRANSFER_OUT
+]);
+
+const toDateKey = (date) => (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+
+const nextDayStart = (dateKey) => {
+  const day = new Date(`${dateKey}T00:00:00Z`);
+  return new Date(day.getTime() + 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Map a granular assetClassBreakdown key to its profile category
+ */
+const toProfileCategory = (categoryKey) => {
+  const split = aggregateToFourCategories({ [categoryKey]: 1 }, 1);
+  return Object.keys(split).find(category => split[category] > 0) || 'alternative';
+};
+
+export const PerformanceAttributionHelpers = {
+  /**
+   * Daily investment positions (cash excluded) from the PMSHoldings versions
+   * Same rules as PMSHoldingsHelpers.getHoldingsAsOf: latest version on or
+   * before each day, sold positions count as zero from their sale date,
+   * deactivated duplicates are ignored. Values are summed per ISIN across
+   * portfolios.
+   *
+   * With a translating fx context, values are converted into the reporting
+   * currency at each date's rates, and constantFxPositions holds the same
+   * positions at the previous date's rates.
+   *
+   * @param {Array<string>} portfolioCodes
+   * @param {Array<string>} dates - Sorted 'YYYY-MM-DD' dates
+   * @param {Object} [fx] - { reportingCurrency, portfolioCurrencies, ratesOn, hasTranslation } from calculateTWRSeries
+   * @returns {Object} { positions: { [date]: { [key]: marketValue } }, constantFxPositions,
+   *   securities: { [key]: { isin, name, category } } } - constantFxPositions is null without translation
+   */
+  async loadDailyPositions(portfolioCodes, dates, fx = null) {
+    const { convertCurrency } = await import('./helpers/cashCalculator.js');
+    const translate = !!(fx?.hasTranslation && fx.reportingCurrency);
+    const lastDayEnd = nextDayStart(dates[dates.length - 1]);
+
+    const versions = await PMSHoldingsCollection.find(
+      { portfolioCode: { $in: portfolioCodes }, snapshotDate: { $lt: lastDayEnd } },
+      {
+        sort: { snapshotDate: 1, version: 1 },
+        fields: {
+          uniqueKey: 1, portfolioCode: 1, isin: 1, securityName: 1, securityType: 1, assetClass: 1,
+          bankSpecificData: 1, marketValue: 1, snapshotDate: 1, isActive: 1
+        }
+      }
+    ).fetchAsync();
+
+    const soldRecords = await PMSHoldingsCollection.find(
+      { portfolioCode: { $in: portfolioCodes }, soldAt: { $exists: true, $ne: null } },
+      { fields: { uniqueKey: 1, soldAt: 1 } }
+    ).fetchAsync();
+    const soldAtByKey = new Map(soldRecords.map(r => [r.uniqueKey, r.soldAt]));
+
+    const isins = [...new Set(versions.map(v => v.isin).filter(Boolean))];
+    const metadataRecords = isins.length > 0
+      ? await SecuritiesMetadataCollection.find({ isin: { $in: isins } }).fetchAsync()
+      : [];
+    const metadataByIsin = new Map(metadataRecords.map(m => [m.isin, m]));
+
+    const securities = {};
+    const positions = {};
+    const constantFxPositions = translate ? {} : null;
+    const current = new Map();
+    let cursor = 0;
+
+    dates.forEach((date, i) => {
+      const dayEnd = nextDayStart(date);
+      while (cursor < versions.length && versions[cursor].snapshotDate < dayEnd) {
+        current.set(versions[cursor].uniqueKey, versions[cursor]);
+        cursor++;
+      }
+
+      const dayRates = translate ? fx.ratesOn(date) : null;
+      const previousRates = translate ? fx.ratesOn(dates[i - 1] || date) : null;
+      const dayPositions = {};
+      const dayConstantFx = {};
+      for (const [uniqueKey, holding] of current) {
+        const soldAt = soldAtByKey.get(uniqueKey);
+        if (holding.isActive === false && !soldAt) continue;
+        if (soldAt && soldAt < dayEnd) continue;
+        if (isCashHolding(holding)) continue;
+
+        const key = holding.isin || uniqueKey;
+        if (!securities[key]) {
+          const categoryKey = classifyHoldingCategory(holding, holding.isin ? metadataByIsin.get(holding.isin) : null);
+          securities[key] = {
+            isin: holding.isin || null,
+            name: holding.securityName || holding.isin || 'Unknown',
+            category: toProfileCategory(categoryKey)
+          };
+        }
+        const marketValue = holding.marketValue || 0;
+        if (translate) {
+          const from = fx.portfolioCurrencies[holding.portfolioCode] || 'EUR';
+          dayPositions[key] = (dayPositions[key] || 0) + convertCurrency(marketValue, from, fx.reportingCurrency, dayRates);
+          dayConstantFx[key] = (dayConstantFx[key] || 0) + convertCurrency(marketValue, from, fx.reportingCurrency, previousRates);
+        } else {
+          dayPositions[key] = (dayPositions[key] || 0) + marketValue;
+        }
+      }
+      positions[date] = dayPositions;
+      if (translate) constantFxPositions[date] = dayConstantFx;
+    });
+
+    return { positions, constantFxPositions, securities };
+  },
+
+  /**
+   * Net trade flows per security, booked on the first portfolio date on or after the trade
+   *
+   * @param {Array<string>} portfolioCodes
+   * @param {Array<string>} dates - Sorted 'YYYY-MM-DD' dates; the first one is the base
+   * @param {Object|Function} ratesMap - From calculateTWRSeries (ratesOn for dated rates)
+   * @param {Object} [options] - { currency, portfolioCurrencies } when reporting in another currency
+   * @returns {Object} { [date]: { [isin]: signed amount } }
+   */
+  async loadSecurityFlows(portfolioCodes, dates, ratesMap, { currency = null, portfolioCurrencies = {} } = {}) {
+    const { getSignedFlowAmount } = await import('./helpers/twrCalculator.js');
+
+    const operations = await PMSOperationsCollection.find({
+      portfolioCode: { $in: portfolioCodes },
+      isin: { $exists: true, $nin: [null, ''] },
+      operationType: { $in: [...INTO_POSITION_TYPES, ...OUT_OF_POSITION_TYPES] },
+      operationDate: { $gte: nextDayStart(dates[0]), $lt: nextDayStart(dates[dates.length - 1]) }
+    }, { sort: { operationDate: 1 } }).fetchAsync();
+
+    const flows = {};
+    let cursor = 1;
+    for (const op of operations) {
+      // Corporate action legs (splits, ISIN changes) move value between lines, not money
+      if (op.corporateActionId) continue;
+
+      const opDate = toDateKey(op.operationDate);
+      while (cursor < dates.length - 1 && dates[cursor] < opDate) cursor++;
+      const bookingDate = dates[cursor];
+
+      const rates = typeof ratesMap === 'function' ? ratesMap(opDate) : ratesMap;
+      const amount = Math.abs(currency
+        ? getSignedFlowAmount(op, rates, { currency, portfolioCurrency: portfolioCurrencies[op.portfolioCode] || 'EUR' })
+        : getSignedFlowAmount(op, rates));
+      const signed = INTO_POSITION_TYPES.has(op.operationType) ? amount : -amount;
+
+      if (!flows[bookingDate]) flows[bookingDate] = {};
+      flows[bookingDate][op.isin] = (flows[bookingDate][op.isin] || 0) + signed;
+    }
+
+    return flows;
+  },
+
+  /**
+   * Attribution report for a reporting period
+   *
+   * @param {Object} params
+   * @param {Array<string>|null} params.portfolioCodes - Account numbers (null = all portfolios, not supported)
+   * @param {string} [params.period] - '1M' | '3M' | '6M' | 'YTD' | '1Y' | 'ALL'
+   * @param {Date} [params.now] - Reference date for the period
+   * @param {string} [params.benchmarkId] - Override the account benchmark
+   * @param {string} [params.reportingCurrency] - Report in this currency (null = historical EUR convention)
+   * @returns {Object} { hasData, period, currency, startDate, endDate, portfolioReturn,
+   *   fxContribution, securities, attribution, benchmark, metadata }
+   */
+  async calculateAttribution({ portfolioCodes, period = 'YTD', now = new Date(), benchmarkId = null, reportingCurrency = null }) {
+    const emptyResponse = (reason) => ({
+      hasData: false,
+      period,
+      currency: reportingCurrency,
+      reason,
+      metadata: { calculatedAt: new Date() }
+    });
+
+    if (!portfolioCodes) {
+      return emptyResponse('Select a client or an account to see the attribution');
+    }
+    if (portfolioCodes.length === 0) {
+      return emptyResponse('No accounts found');
+    }
+
+    const { getPeriodStartDates } = await import('./helpers/twrCalculator.js');
+    const { calculateSecurityContributions, calculateBrinsonAttribution } = await import('./helpers/attributionCalculator.js');
+
+    const { dailyValues, twrSeries, ratesOn, portfolioCurrencies, fxSeries } = await PortfolioSnapshotHelpers.calculateTWRSeries({
+      portfolioCodes,
+      endDate: now,
+      reportingCurrency
+    });
+
+    if (twrSeries.length === 0) {
+      return emptyResponse('Not enough snapshots for this period');
+    }
+
+    // Chain-link base: last snapshot date on or before the period start (same as the TWR periods)
+    const periodStart = getPeriodStartDates(now)[period];
+    const periodStartStr = periodStart ? toDateKey(periodStart) : dailyValues[0].date;
+    const allDates = dailyValues.map(v => v.date);
+    const baseDate = [...allDates].reverse().find(d => d <= periodStartStr) || allDates[0];
+    const periodSeries = twrSeries.filter(e => e.date > baseDate);
+
+    if (periodSeries.length === 0) {
+      return emptyResponse('Not enough snapshots for this period');
+    }
+
+    const dates = [baseDate, ...periodSeries.map(e => e.date)];
+    const fx = {
+      reportingCurrency,
+      portfolioCurrencies,
+      ratesOn,
+      hasTranslation: !!fxSeries
+    };
+    const { positions, constantFxPositions, securities } = await this.loadDailyPositions(portfolioCodes, dates, fx);
+    const flows = await this.loadSecurityFlows(portfolioCodes, dates, ratesOn, reportingCurrency
+      ? { currency: reportingCurrency, portfolioCurrencies }
+      : {});
+
+    const contributions = calculateSecurityContributions({
+      twrSeries: periodSeries,
+      positions,
+      flows,
+      securities,
+      baseDate,
+      constantFxPositions,
+      fxSeries
+    });
+
+    // Brinson needs the benchmark split by category
+    let attribution = null;
+    let benchmark = null;
+    let benchmarkCurrency = null;
+    try {
+      const { BenchmarkHelpers } = await import('./benchmarks.js');
+      const { buildBenchmarkCategorySeries } = await import('./helpers/benchmarkCalculator.js');
+
+      benchmark = benchmarkId
+        ? await BenchmarkHelpers.getBenchmark(benchmarkId)
+        : await BenchmarkHelpers.resolveForPortfolioCodes(portfolioCodes);
+
+      if (benchmark?.components?.length) {
+        const { histories, currency } = await BenchmarkHelpers.loadReportingPriceHistories(
+          benchmark.components,
+          new Date(baseDate),
+          reportingCurrency
+        );
+        benchmarkCurrency = currency;
+        const categorySeries = buildBenchmarkCategorySeries(benchmark.components, histories, dates);
+        if (categorySeries.series.length > 0) {
+          attribution = calculateBrinsonAttribution(contributions.steps, categorySeries);
+        }
+      }
+    } catch (error) {
+      console.error(`[ATTRIBUTION] Benchmark attribution failed: ${error.message}`);
+    }
+
+    const securityCount = contributions.securities.filter(s => !s.isResidual).length;
+    console.log(`[ATTRIBUTION] ${portfolioCodes.join(',')} ${period}: ${periodSeries.length} steps, ${securityCount} securities, TWR ${(contributions.portfolioReturn * 100).toFixed(2)}%${attribution ? `, active ${(attribution.activeReturn * 100).toFixed(2)}%` : ''}`);
+
+    return {
+      hasData: true,
+      period,
+      currency: reportingCurrency,
+      startDate: baseDate,
+      endDate: periodSeries[periodSeries.length - 1].date,
+      portfolioReturn: contributions.portfolioReturn,
+      fxContribution: contributions.fxContribution,
+      securities: contributions.securities,
+      attribution,
+      benchmark: benchmark ? { id: benchmark.id, name: benchmark.name, currency: benchmarkCurrency } : null,
+      metadata: {
+        calculatedAt: new Date(),
+        dataPoints: periodSeries.length,
+        clampedDays: contributions.clampedDays
+      }
+    };
+  }
+};
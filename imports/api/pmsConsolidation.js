@@ -0,0 +1,381 @@
+import { Random } from 'meteor/random';
+import { PMSHoldingsCollection } from './pmsHoldings.js';
+import { BankAccountsCollection } from './bankAccounts.js';
+import { ClientEntitiesCollection } from './clientEntities.js';
+import { UsersCollection } from './users.js';
+import { CurrencyCache } from './currencyCache.js';
+import { getCrossRate } from './helpers/cashCalculator.js';
+import { yieldToEventLoop } from '../utils/asyncHelpers.js';
+
+/**
+ * PMS Multi-Custodian Consolidation
+ *
+ * Merges the latest holdings of a client entity across all its banks into one
+ * holding per security (ISIN, else ticker/name), stored with portfolioCode='CONSOLIDATED'.
+ * Every custodian keeps its own line with the price, price date and FX rate it used,
+ * so differences between banks remain visible. The consolidated value applies one
+ * CurrencyCache rate to each custodian's value in the security currency and is
+ * expressed in the entity's reference currency.
+ *
+ * Holdings not yet linked to an entity are consolidated per userId.
+ *
+ * Fields added to consolidated holdings:
+ * {
+ *   consolidationScope: String,          // 'entity:<entityId>' or 'user:<userId>'
+ *   referenceCurrency: String,           // marketValue, costBasisPortfolioCurrency, unrealizedPnL are in it
+ *   custodianCount: Number,
+ *   custodianLines: [{
+ *     bankId, bankName, portfolioCode, quantity,
+ *     marketPrice, priceType, priceDate,
+ *     portfolioCurrency,
+ *     marketValueOriginalCurrency,       // Bank value in security currency
+ *     marketValuePortfolioCurrency,      // Bank value in the account's currency
+ *     impliedFxRate,                     // Security ccy -> account ccy, as applied by the bank
+ *     fxRateToReference,                 // Bank rate carried through to the reference currency
+ *     marketValueReferenceCurrency,      // Value used in the consolidation
+ *     costBasisReferenceCurrency         // null when the bank reported no cost
+ *   }],
+ *   priceDispersion: { basis, min, max, spreadPercent } | null,  // basis: 'marketPrice' or 'unitValue'
+ *   fxDispersion: { min, max, spreadPercent } | null,
+ *   hasPriceDiscrepancy: Boolean,
+ *   hasFxDiscrepancy: Boolean,
+ *   hasPartialCostBasis: Boolean,        // Some custodians reported no cost; unrealizedPnL covers the others
+ *   missingFxRates: [String]             // Currencies valued at the bank's figure for lack of a rate
+ * }
+ */
+
+// Spread between the highest and lowest custodian price (or FX rate) above which a position is flagged
+export const PRICE_DISCREPANCY_THRESHOLD_PERCENT = 1;
+export const FX_DISCREPANCY_THRESHOLD_PERCENT = 0.5;
+
+export const CONSOLIDATED_PORTFOLIO_CODE = 'CONSOLIDATED';
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const toDateKey = (date) => (date instanceof Date ? date.toISOString().split('T')[0] : String(date).split('T')[0]);
+
+/**
+ * Key used to merge the same security held at several custodians.
+ * Term deposits are kept apart per maturity.
+ */
+const getConsolidationKey = (holding) => {
+  let key = holding.isin || holding.ticker || holding.securityName;
+  if (!key) return null;
+  const endDate = holding.bankSpecificData?.instrumentDates?.endDate;
+  if (holding.securityType === 'TERM_DEPOSIT' && endDate) {
+    key = `${key}_${toDateKey(endDate)}`;
+  }
+  return key;
+};
+
+/**
+ * Highest/lowest spread of a set of positive values, in percent of the lowest
+ */
+const getDispersion = (values) => {
+  const valid = values.filter(v => Number.isFinite(v) && v > 0);
+  if (valid.length < 2) return null;
+  const min = Math.min(...valid);
+  const max = Math.max(...valid);
+  return { min, max, spreadPercent: round(((max - min) / min) * 100, 4) };
+};
+
+/**
+ * Most frequent non-empty value of a list
+ */
+const mostCommon = (values) => {
+  const counts = values.filter(Boolean).reduce((acc, v) => {
+    acc[v] = (acc[v] || 0) + 1;
+    return acc;
+  }, {});
+  const keys = Object.keys(counts);
+  return keys.length > 0 ? keys.reduce((a, b) => (counts[a] >= counts[b] ? a : b)) : null;
+};
+
+export const PMSConsolidationHelpers = {
+  /**
+   * Reference currency of a consolidation scope: the entity's (or legacy user's)
+   * referenceCurrency, else the most common account currency, else the holdings' one
+   */
+  async resolveReferenceCurrency({ entityId, userId, holdings }) {
+    if (entityId) {
+      const entity = await ClientEntitiesCollection.findOneAsync(entityId, { fields: { referenceCurrency: 1 } });
+      if (entity?.referenceCurrency) return entity.referenceCurrency;
+    } else if (userId) {
+      const user = await UsersCollection.findOneAsync(userId, { fields: { 'profile.referenceCurrency': 1 } });
+      if (user?.profile?.referenceCurrency) return user.profile.referenceCurrency;
+    }
+
+    const accounts = await BankAccountsCollection.find(
+      entityId ? { entityId, isActive: true } : { userId, isActive: true },
+      { fields: { referenceCurrency: 1 } }
+    ).fetchAsync();
+
+    return mostCommon(accounts.map(a => a.referenceCurrency))
+      || mostCommon(holdings.map(h => h.portfolioCurrency))
+      || 'EUR';
+  },
+
+  /**
+   * Merge holdings of one scope into consolidated positions (not persisted)
+   *
+   * @param {Array} holdings - Latest active holdings of the scope (no CONSOLIDATED ones)
+   * @param {Object} options - { referenceCurrency, ratesMap, consolidationScope, snapshotDate }
+   *   ratesMap: currency -> EUR multipliers (CurrencyCache.getConversionRates)
+   * @returns {Array} Consolidated holding documents
+   */
+  buildConsolidatedPositions(holdings, { referenceCurrency, ratesMap, consolidationScope, snapshotDate }) {
+    const groups = new Map();
+    holdings.forEach(holding => {
+      const key = getConsolidationKey(holding);
+      if (!key) return; // Skip positions without identifier
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(holding);
+    });
+
+    const now = new Date();
+    const positions = [];
+
+    groups.forEach((group, key) => {
+      const first = group[0];
+      const missingFxRates = new Set();
+
+      const convert = (amount, fromCurrency) => {
+        if (!amount) return 0;
+        const rate = getCrossRate(fromCurrency, referenceCurrency, ratesMap);
+        if (rate === null) {
+          missingFxRates.add(fromCurrency);
+          return null;
+        }
+        return amount * rate;
+      };
+
+      const custodianLines = group.map(holding => {
+        const portfolioCurrency = holding.portfolioCurrency || referenceCurrency;
+        const valueOriginal = holding.marketValueOriginalCurrency;
+        const valuePortfolio = holding.marketValue || 0;
+
+        // One market rate for every custodian; fall back to the bank's own conversion
+        let valueReference = holding.currency && valueOriginal != null ? convert(valueOriginal, holding.currency) : null;
+        if (valueReference === null) {
+          valueReference = convert(valuePortfolio, portfolioCurrency);
+        }
+        if (valueReference === null) {
+          valueReference = valuePortfolio;
+        }
+
+        // Cost in the reference currency, null when the bank reported none
+        let cost = holding.costBasisPortfolioCurrency != null ? convert(holding.costBasisPortfolioCurrency, portfolioCurrency) : null;
+        if (cost === null && holding.costBasisOriginalCurrency != null && holding.currency) {
+          cost = convert(holding.costBasisOriginalCurrency, holding.currency);
+        }
+
+        const impliedFxRate = valueOriginal && valuePortfolio ? valuePortfolio / valueOriginal : null;
+        const portfolioToReference = getCrossRate(portfolioCurrency, referenceCurrency, ratesMap);
+
+        return {
+          bankId: holding.bankId,
+          bankName: holding.bankName || null,
+          portfolioCode: holding.portfolioCode,
+          quantity: holding.quantity || 0,
+          marketPrice: holding.marketPrice ?? null,
+          priceType: holding.priceType || 'absolute',
+          priceDate: holding.priceDate || null,
+          portfolioCurrency,
+          marketValueOriginalCurrency: valueOriginal ?? null,
+          marketValuePortfolioCurrency: valuePortfolio,
+          impliedFxRate,
+          fxRateToReference: impliedFxRate !== null && portfolioToReference !== null ? impliedFxRate * portfolioToReference : null,
+          marketValueReferenceCurrency: round(valueReference),
+          costBasisReferenceCurrency: cost !== null ? round(cost) : null
+        };
+      });
+
+      // Unrealized P&L compares cost and value of the lines with a cost only, so a custodian
+      // without cost basis is left out of both sides instead of counting as pure gain.
+      // Positions without any cost (cash, some transfers) carry no P&L.
+      const costedLines = custodianLines.filter(line => line.costBasisReferenceCurrency !== null);
+      const hasCost = costedLines.length > 0;
+      const hasPartialCostBasis = hasCost && costedLines.length < custodianLines.length;
+      const costReference = costedLines.reduce((sum, line) => sum + line.costBasisReferenceCurrency, 0);
+      const costedMarketValue = costedLines.reduce((sum, line) => sum + line.marketValueReferenceCurrency, 0);
+      const marketValue = custodianLines.reduce((sum, line) => sum + line.marketValueReferenceCurrency, 0);
+      const bookValue = group.reduce((sum, holding) =>
+        sum + (convert(holding.bookValue || 0, holding.portfolioCurrency || referenceCurrency) || 0), 0);
+
+      // Price and FX dispersion only make sense for securities held at more than one custodian
+      const pricedLines = custodianLines.filter(line => line.quantity);
+      let priceDispersion = null;
+      let fxDispersion = null;
+      if (first.isin && first.securityType !== 'CASH' && pricedLines.length > 1) {
+        const samePriceType = pricedLines.every(line => line.priceType === pricedLines[0].priceType && line.marketPrice > 0);
+        priceDispersion = samePriceType
+          ? getDispersion(pricedLines.map(line => line.marketPrice))
+          : getDispersion(pricedLines.map(line => line.marketValueOriginalCurrency / line.quantity));
+        if (priceDispersion) {
+          priceDispersion.basis = samePriceType ? 'marketPrice' : 'unitValue';
+        }
+
+        if (first.currency && first.currency !== referenceCurrency) {
+          fxDispersion = getDispersion(pricedLines.map(line => line.fxRateToReference));
+        }
+      }
+
+      const position = {
+        ...first,
+        _id: Random.id(),
+        portfolioCode: CONSOLIDATED_PORTFOLIO_CODE,
+        accountNumber: CONSOLIDATED_PORTFOLIO_CODE,
+        originalPortfolioCode: CONSOLIDATED_PORTFOLIO_CODE,
+        uniqueKey: `${CONSOLIDATED_PORTFOLIO_CODE}_${consolidationScope}_${key}`,
+        consolidationScope,
+        referenceCurrency,
+        portfolioCurrency: referenceCurrency,
+        quantity: group.reduce((sum, holding) => sum + (holding.quantity || 0), 0),
+        marketValue: round(marketValue),
+        marketValuePortfolioCurrency: round(marketValue),
+        marketValueRefCcy: round(marketValue),
+        marketValueOriginalCurrency: group.reduce((sum, holding) => sum + (holding.marketValueOriginalCurrency || 0), 0),
+        bookValue: round(bookValue),
+        costBasisOriginalCurrency: group.reduce((sum, holding) => sum + (holding.costBasisOriginalCurrency || 0), 0),
+        costBasisPortfolioCurrency: round(costReference),
+        unrealizedPnL: hasCost ? round(costedMarketValue - costReference) : 0,
+        unrealizedPnLPercent: costReference ? ((costedMarketValue - costReference) / Math.abs(costReference)) * 100 : 0,
+        hasPartialCostBasis,
+        sourceAccounts: group.map(holding => holding.portfolioCode),
+        custodianCount: new Set(group.map(holding => holding.bankId)).size,
+        custodianLines,
+        priceDispersion,
+        fxDispersion,
+        hasPriceDiscrepancy: !!priceDispersion && priceDispersion.spreadPercent > PRICE_DISCREPANCY_THRESHOLD_PERCENT,
+        hasFxDiscrepancy: !!fxDispersion && fxDispersion.spreadPercent > FX_DISCREPANCY_THRESHOLD_PERCENT,
+        missingFxRates: [...missingFxRates],
+        snapshotDate,
+        isLatest: true,
+        isActive: true,
+        processedAt: now,
+        createdAt: now,
+        updatedAt: now
+      };
+      delete position.bankFxRates;
+      delete position.replacedAt;
+
+      positions.push(position);
+    });
+
+    return positions;
+  },
+
+  /**
+   * Rebuild the consolidated holdings of one entity (or one legacy user)
+   */
+  async consolidateScope({ entityId = null, userId = null }) {
+    const holdingsQuery = {
+      isLatest: true,
+      isActive: { $ne: false },
+      portfolioCode: { $ne: CONSOLIDATED_PORTFOLIO_CODE }
+    };
+    if (entityId) {
+      holdingsQuery.entityId = entityId;
+    } else {
+      holdingsQuery.userId = userId;
+      holdingsQuery.entityId = null;
+    }
+
+    const holdings = await PMSHoldingsCollection.find(holdingsQuery).fetchAsync();
+    if (holdings.length === 0) return { positions: 0 };
+
+    const consolidationScope = entityId ? `entity:${entityId}` : `user:${userId}`;
+    const referenceCurrency = await this.resolveReferenceCurrency({ entityId, userId, holdings });
+
+    const currencies = new Set([referenceCurrency]);
+    holdings.forEach(holding => {
+      if (holding.currency) currencies.add(holding.currency);
+      if (holding.portfolioCurrency) currencies.add(holding.portfolioCurrency);
+    });
+    const ratesMap = await CurrencyCache.getConversionRates([...currencies]);
+
+    // Most recent snapshotDate among all holdings
+    const snapshotDate = holdings.reduce((latest, holding) =>
+      (!latest || (holding.snapshotDate && holding.snapshotDate > latest) ? holding.snapshotDate : latest), null);
+
+    const positions = this.buildConsolidatedPositions(holdings, {
+      referenceCurrency,
+      ratesMap,
+      consolidationScope,
+      snapshotDate
+    });
+
+    // Supersede the previous consolidation of this scope (including the former per-user ones)
+    const previousQuery = { portfolioCode: CONSOLIDATED_PORTFOLIO_CODE, isLatest: true };
+    if (entityId) {
+      previousQuery.entityId = entityId;
+    } else {
+      previousQuery.userId = userId;
+      previousQuery.entityId = null;
+    }
+    await PMSHoldingsCollection.updateAsync(
+      previousQuery,
+      { $set: { isLatest: false, replacedAt: new Date() } },
+      { multi: true }
+    );
+
+    if (positions.length > 0) {
+      await PMSHoldingsCollection.rawCollection().bulkWrite(
+        positions.map(position => ({ insertOne: { document: position } })),
+        { ordered: false }
+      );
+    }
+
+    const flagged = positions.filter(p => p.hasPriceDiscrepancy || p.hasFxDiscrepancy).length;
+    if (flagged > 0) {
+      console.log(`[CONSOLIDATION] ${consolidationScope}: ${flagged} position(s) with custodian price/FX discrepancies`);
+    }
+
+    return {
+      positions: positions.length,
+      multiCustodian: positions.filter(p => p.custodianCount > 1).length,
+      flagged
+    };
+  },
+
+  /**
+   * Rebuild consolidated holdings for every entity, then for holdings not linked to an entity
+   */
+  async consolidateAll() {
+    const baseQuery = {
+      isLatest: true,
+      isActive: { $ne: false },
+      portfolioCode: { $ne: CONSOLIDATED_PORTFOLIO_CODE }
+    };
+
+    const entityIds = (await PMSHoldingsCollection.rawCollection().distinct('entityId', baseQuery)).filter(Boolean);
+    const userIds = (await PMSHoldingsCollection.rawCollection().distinct('userId', { ...baseQuery, entityId: null })).filter(Boolean);
+    const scopes = [
+      ...entityIds.map(entityId => ({ entityId })),
+      ...userIds.map(userId => ({ userId }))
+    ];
+
+    console.log(`[CONSOLIDATION] Consolidating ${entityIds.length} entities and ${userIds.length} unlinked users`);
+
+    const totals = { scopes: 0, holdingsCreated: 0, multiCustodian: 0, flagged: 0, failed: 0 };
+    for (let i = 0; i < scopes.length; i++) {
+      await yieldToEventLoop(i, 5);
+      try {
+        const result = await this.consolidateScope(scopes[i]);
+        totals.scopes++;
+        totals.holdingsCreated += result.positions;
+        totals.multiCustodian += result.multiCustodian || 0;
+        totals.flagged += result.flagged || 0;
+      } catch (error) {
+        totals.failed++;
+        console.error(`[CONSOLIDATION] Failed for ${JSON.stringify(scopes[i])}: ${error.message}`);
+      }
+    }
+
+    return totals;
+  }
+};
+
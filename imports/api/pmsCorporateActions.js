@@ -0,0 +1,900 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
+import { PMSHoldingsCollection, PMSHoldingsHelpers } from './pmsHoldings.js';
+import { PMSOperationsCollection } from './pmsOperations.js';
+import { SecuritiesMetadataCollection } from './securitiesMetadata.js';
+import { EODApiHelpers } from './eodApi.js';
+import { OPERATION_TYPES, CORPORATE_ACTION_TYPES } from './constants/operationTypes.js';
+import { SECURITY_TYPES } from './constants/instrumentTypes.js';
+
+/**
+ * PMS Corporate Actions Collection
+ *
+ * One document per event on a security (split, reverse split, spin-off, merger,
+ * ISIN change, scrip dividend). Events are detected from bank operations and EOD
+ * split data, or entered by an admin. Applying an event:
+ * - stamps the pre-event PMSHoldings versions with the quantity factor, so quantity
+ *   history can be compared across the event (adjustedQuantity)
+ * - records the post-event lines per portfolio with the cost basis carried over,
+ *   which bank processing uses to correct the cost basis the bank reports
+ * - links the bank operations that booked it, so TWR does not read them as flows
+ *
+ * Bank data is never overwritten: the bank's own figures are kept under
+ * corporateActionAdjustment on any holding whose cost basis was corrected.
+ */
+export const PMSCorporateActionsCollection = new Mongo.Collection('pmsCorporateActions');
+
+export const CORPORATE_ACTION_STATUS = {
+  DETECTED: 'detected',   // Waiting for missing terms or admin review
+  APPLIED: 'applied',
+  IGNORED: 'ignored'
+};
+
+export const CORPORATE_ACTION_SOURCES = {
+  BANK_OPERATION: 'bank_operation',
+  EOD: 'eod',
+  MANUAL: 'manual'
+};
+
+export const MERGER_ELECTIONS = {
+  STOCK: 'STOCK',
+  CASH: 'CASH',
+  MIXED: 'MIXED'   // stockFraction of the holding exchanged for stock, the rest paid in cash
+};
+
+/**
+ * Schema for a corporate action event
+ */
+const CorporateActionSchema = {
+  type: String,              // CORPORATE_ACTION_TYPES value
+  isin: String,              // Security the event applies to
+  securityName: String,
+  newIsin: String,           // Successor (ISIN change, merger) or distributed security (spin-off)
+  newSecurityName: String,
+  effectiveDate: Date,       // First day the bank reports post-event positions
+  ratio: Number,             // New units per old unit (2 for a 2:1 split, 0.1 for 1:10 reverse,
+                             // 0.02 for a 2% scrip, child units per parent unit for a spin-off)
+  election: String,          // MERGER_ELECTIONS value (mergers only)
+  stockFraction: Number,     // Share of the holding exchanged for stock (MIXED elections)
+  cashPerShare: Number,      // Cash paid per old unit on the cash leg (mergers)
+  cashCurrency: String,
+  costAllocation: Number,    // Share of the parent's cost moving to the spun-off security
+
+  // Optional scope: an election is a per-portfolio decision
+  bankId: String,
+  portfolioCode: String,
+
+  source: String,            // CORPORATE_ACTION_SOURCES value
+  status: String,            // CORPORATE_ACTION_STATUS value
+  operationIds: [String],    // Bank operations that booked the event
+  adjustments: [Object],     // Per portfolio: pre-event position and post-event lines
+  notes: String,
+
+  detectedAt: Date,
+  appliedAt: Date,
+  appliedBy: String,
+  createdAt: Date,
+  updatedAt: Date
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bank operations within this many days of the effective date are linked to the event
+const OPERATION_LINK_DAYS = 5;
+
+// A post-event position still carries the event's cost basis while its quantity is unchanged
+const QUANTITY_TOLERANCE = 0.0001;
+
+// The bank's cost basis is kept when it is within this distance of the carried one
+const COST_BASIS_TOLERANCE = 0.01;
+
+// Only listed securities have EOD split data
+const EOD_SECURITY_TYPES = [SECURITY_TYPES.EQUITY, SECURITY_TYPES.ETF];
+const EOD_TICKER_RECHECK_DAYS = 30;
+
+const QUANTITY_FACTOR_TYPES = new Set([
+  CORPORATE_ACTION_TYPES.SPLIT,
+  CORPORATE_ACTION_TYPES.REVERSE_SPLIT,
+  CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND,
+  CORPORATE_ACTION_TYPES.ISIN_CHANGE,
+  CORPORATE_ACTION_TYPES.MERGER
+]);
+
+// Events after which the original ISIN no longer exists
+const RETIRING_TYPES = new Set([
+  CORPORATE_ACTION_TYPES.ISIN_CHANGE,
+  CORPORATE_ACTION_TYPES.MERGER
+]);
+
+const toDayStart = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const toDateKey = (date) => toDayStart(date).toISOString().split('T')[0];
+
+const isPositive = (value) => typeof value === 'number' && value > 0;
+
+const scaleCost = (value, factor) => (value == null ? null : value * factor);
+
+/**
+ * Signed quantity a bank operation moved, whatever sign convention the bank uses
+ */
+const getSignedQuantity = (operation) => {
+  const quantity = operation.quantity || 0;
+  if (operation.operationType === OPERATION_TYPES.TRANSFER_OUT) return -Math.abs(quantity);
+  if (operation.operationType === OPERATION_TYPES.TRANSFER_IN) return Math.abs(quantity);
+  return quantity;
+};
+
+// Resolved ISIN → EOD ticker, for ISINs without a securities metadata record
+const eodTickerCache = new Map();
+
+export const PMSCorporateActionHelpers = {
+  /**
+   * Whether an event has every term needed to apply it
+   */
+  isComplete(event) {
+    switch (event.type) {
+      case CORPORATE_ACTION_TYPES.SPLIT:
+      case CORPORATE_ACTION_TYPES.REVERSE_SPLIT:
+      case CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND:
+        return isPositive(event.ratio);
+      case CORPORATE_ACTION_TYPES.ISIN_CHANGE:
+        return !!event.newIsin && isPositive(event.ratio);
+      case CORPORATE_ACTION_TYPES.SPIN_OFF:
+        return !!event.newIsin && isPositive(event.ratio) &&
+          typeof event.costAllocation === 'number' && event.costAllocation >= 0 && event.costAllocation <= 1;
+      case CORPORATE_ACTION_TYPES.MERGER: {
+        const election = event.election || MERGER_ELECTIONS.STOCK;
+        const stockOk = election === MERGER_ELECTIONS.CASH || (!!event.newIsin && isPositive(event.ratio));
+        const cashOk = election === MERGER_ELECTIONS.STOCK || isPositive(event.cashPerShare);
+        const fractionOk = election !== MERGER_ELECTIONS.MIXED ||
+          (typeof event.stockFraction === 'number' && event.stockFraction > 0 && event.stockFraction < 1);
+        return stockOk && cashOk && fractionOk;
+      }
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Units of the resulting security per pre-event unit (used to restate quantity history)
+   */
+  getQuantityFactor(event) {
+    switch (event.type) {
+      case CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND:
+        return 1 + event.ratio;
+      case CORPORATE_ACTION_TYPES.MERGER:
+        return (event.ratio || 0) * this.getStockFraction(event);
+      case CORPORATE_ACTION_TYPES.SPIN_OFF:
+        return 1;
+      default:
+        return event.ratio;
+    }
+  },
+
+  getStockFraction(event) {
+    const election = event.election || MERGER_ELECTIONS.STOCK;
+    if (election === MERGER_ELECTIONS.CASH) return 0;
+    if (election === MERGER_ELECTIONS.MIXED) return event.stockFraction;
+    return 1;
+  },
+
+  /**
+   * Post-event lines for one pre-event position.
+   * Cost basis is carried over in total; only a merger's cash leg realizes part of it.
+   *
+   * @param {Object} event - Corporate action event
+   * @param {Object} pre - { quantity, costBasisOriginalCurrency, costBasisPortfolioCurrency }
+   * @returns {{ lines: Array, cashProceeds: number, realizedCostBasisOriginalCurrency: number|null, realizedCostBasisPortfolioCurrency: number|null }}
+   */
+  getPostEventLines(event, pre) {
+    const line = (isin, role, quantityFactor, costFactor) => ({
+      isin,
+      role,
+      quantity: pre.quantity * quantityFactor,
+      costBasisOriginalCurrency: scaleCost(pre.costBasisOriginalCurrency, costFactor),
+      costBasisPortfolioCurrency: scaleCost(pre.costBasisPortfolioCurrency, costFactor)
+    });
+
+    const result = {
+      lines: [],
+      cashProceeds: 0,
+      realizedCostBasisOriginalCurrency: null,
+      realizedCostBasisPortfolioCurrency: null
+    };
+
+    switch (event.type) {
+      case CORPORATE_ACTION_TYPES.SPLIT:
+      case CORPORATE_ACTION_TYPES.REVERSE_SPLIT:
+      case CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND:
+        result.lines.push(line(event.isin, 'continuing', this.getQuantityFactor(event), 1));
+        break;
+
+      case CORPORATE_ACTION_TYPES.ISIN_CHANGE:
+        result.lines.push(line(event.newIsin, 'successor', event.ratio, 1));
+        break;
+
+      case CORPORATE_ACTION_TYPES.SPIN_OFF:
+        result.lines.push(line(event.isin, 'continuing', 1, 1 - event.costAllocation));
+        result.lines.push(line(event.newIsin, 'distributed', event.ratio, event.costAllocation));
+        break;
+
+      case CORPORATE_ACTION_TYPES.MERGER: {
+        const stockFraction = this.getStockFraction(event);
+        if (stockFraction > 0) {
+          result.lines.push(line(event.newIsin, 'successor', event.ratio * stockFraction, stockFraction));
+        }
+        if (stockFraction < 1) {
+          result.cashProceeds = pre.quantity * (1 - stockFraction) * (event.cashPerShare || 0);
+          result.realizedCostBasisOriginalCurrency = scaleCost(pre.costBasisOriginalCurrency, 1 - stockFraction);
+          result.realizedCostBasisPortfolioCurrency = scaleCost(pre.costBasisPortfolioCurrency, 1 - stockFraction);
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    return result;
+  },
+
+  /**
+   * Create an event, or merge into the one already recorded for the same security and day
+   */
+  async recordEvent(data) {
+    check(data.type, String);
+    check(data.isin, String);
+    check(data.effectiveDate, Date);
+
+    const effectiveDate = toDayStart(data.effectiveDate);
+    const now = new Date();
+
+    const existing = await PMSCorporateActionsCollection.findOneAsync({
+      type: data.type,
+      isin: data.isin,
+      effectiveDate,
+      bankId: data.bankId || null,
+      portfolioCode: data.portfolioCode || null
+    });
+
+    if (existing) {
+      // Only fill in terms that are still missing, an admin may have corrected the others
+      const $set = { updatedAt: now };
+      ['ratio', 'newIsin', 'newSecurityName', 'securityName', 'cashPerShare', 'cashCurrency'].forEach(field => {
+        if (existing[field] == null && data[field] != null) $set[field] = data[field];
+      });
+      await PMSCorporateActionsCollection.updateAsync(existing._id, {
+        $set,
+        $addToSet: { operationIds: { $each: data.operationIds || [] } }
+      });
+      return { _id: existing._id, isNew: false };
+    }
+
+    const eventId = await PMSCorporateActionsCollection.insertAsync({
+      type: data.type,
+      isin: data.isin,
+      securityName: data.securityName || null,
+      newIsin: data.newIsin || null,
+      newSecurityName: data.newSecurityName || null,
+      effectiveDate,
+      ratio: data.ratio ?? null,
+      election: data.election || null,
+      stockFraction: data.stockFraction ?? null,
+      cashPerShare: data.cashPerShare ?? null,
+      cashCurrency: data.cashCurrency || null,
+      costAllocation: data.costAllocation ?? null,
+      bankId: data.bankId || null,
+      portfolioCode: data.portfolioCode || null,
+      source: data.source || CORPORATE_ACTION_SOURCES.MANUAL,
+      status: CORPORATE_ACTION_STATUS.DETECTED,
+      operationIds: data.operationIds || [],
+      adjustments: [],
+      notes: data.notes || null,
+      detectedAt: now,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    console.log(`[CORPORATE_ACTIONS] Recorded ${data.type} on ${data.isin} effective ${toDateKey(effectiveDate)} (${data.source})`);
+    return { _id: eventId, isNew: true };
+  },
+
+  /**
+   * Apply an event: restate quantity history, carry cost basis and link operations
+   */
+  async applyEvent(eventId, userId = 'system') {
+    const event = await PMSCorporateActionsCollection.findOneAsync(eventId);
+    if (!event) {
+      throw new Meteor.Error('not-found', 'Corporate action not found');
+    }
+    if (event.status === CORPORATE_ACTION_STATUS.APPLIED) {
+      return { applied: false, reason: 'already-applied' };
+    }
+    if (!this.isComplete(event)) {
+      throw new Meteor.Error('incomplete', 'Corporate action is missing terms (ratio, new ISIN, election...)');
+    }
+
+    const effectiveDate = toDayStart(event.effectiveDate);
+
+    // Positions at the close of the day before the event, summed per portfolio
+    const preHoldings = await PMSHoldingsHelpers.getHoldingsAsOf({
+      date: new Date(effectiveDate.getTime() - DAY_MS),
+      isin: event.isin,
+      bankId: event.bankId,
+      portfolioCode: event.portfolioCode
+    });
+
+    const byPortfolio = new Map();
+    for (const holding of preHoldings) {
+      const key = `${holding.bankId}|${holding.portfolioCode}`;
+      if (!byPortfolio.has(key)) {
+        byPortfolio.set(key, {
+          bankId: holding.bankId,
+          portfolioCode: holding.portfolioCode,
+          quantity: 0,
+          costBasisOriginalCurrency: null,
+          costBasisPortfolioCurrency: null
+        });
+      }
+      const pre = byPortfolio.get(key);
+      pre.quantity += holding.quantity || 0;
+      if (holding.costBasisOriginalCurrency != null) {
+        pre.costBasisOriginalCurrency = (pre.costBasisOriginalCurrency || 0) + holding.costBasisOriginalCurrency;
+      }
+      if (holding.costBasisPortfolioCurrency != null) {
+        pre.costBasisPortfolioCurrency = (pre.costBasisPortfolioCurrency || 0) + holding.costBasisPortfolioCurrency;
+      }
+    }
+
+    const adjustments = Array.from(byPortfolio.values())
+      .filter(pre => pre.quantity !== 0)
+      .map(pre => ({
+        bankId: pre.bankId,
+        portfolioCode: pre.portfolioCode,
+        preQuantity: pre.quantity,
+        preCostBasisOriginalCurrency: pre.costBasisOriginalCurrency,
+        preCostBasisPortfolioCurrency: pre.costBasisPortfolioCurrency,
+        ...this.getPostEventLines(event, pre)
+      }));
+
+    // Restate quantity history of the pre-event versions in the event's units
+    let restatedRecords = 0;
+    if (QUANTITY_FACTOR_TYPES.has(event.type) && adjustments.length > 0) {
+      const factor = this.getQuantityFactor(event);
+      const result = await PMSHoldingsCollection.rawCollection().updateMany(
+        {
+          isin: event.isin,
+          snapshotDate: { $lt: effectiveDate },
+          corporateActionIds: { $ne: event._id },
+          $or: adjustments.map(a => ({ bankId: a.bankId, portfolioCode: a.portfolioCode }))
+        },
+        [
+          {
+            $set: {
+              corporateActionFactor: { $multiply: [{ $ifNull: ['$corporateActionFactor', 1] }, factor] },
+              corporateActionIds: { $concatArrays: [{ $ifNull: ['$corporateActionIds', []] }, [event._id]] },
+              ...(RETIRING_TYPES.has(event.type) ? { successorIsin: event.newIsin || null } : {})
+            }
+          },
+          { $set: { adjustedQuantity: { $multiply: ['$quantity', '$corporateActionFactor'] } } }
+        ]
+      );
+      restatedRecords = result.modifiedCount || 0;
+    }
+
+    // Link the bank operations that booked the event
+    const linkedOperations = await this.linkOperations(event, adjustments);
+
+    const now = new Date();
+    await PMSCorporateActionsCollection.updateAsync(event._id, {
+      $set: {
+        status: CORPORATE_ACTION_STATUS.APPLIED,
+        adjustments,
+        appliedAt: now,
+        appliedBy: userId,
+        updatedAt: now
+      }
+    });
+
+    // Positions the bank already reported after the event get their cost basis corrected now;
+    // later files are corrected during processing (see adjustPosition)
+    const index = await this.loadCostBasisIndex();
+    let correctedHoldings = 0;
+    for (const adjustment of adjustments) {
+      for (const line of adjustment.lines) {
+        const holdings = await PMSHoldingsCollection.find({
+          bankId: adjustment.bankId,
+          portfolioCode: adjustment.portfolioCode,
+          isin: line.isin,
+          isLatest: true,
+          isActive: { $ne: false },
+          snapshotDate: { $gte: effectiveDate }
+        }).fetchAsync();
+
+        for (const holding of holdings) {
+          const adjusted = this.adjustPosition({ ...holding }, index);
+          if (adjusted.corporateActionAdjustment?.eventId === event._id) {
+            const { _id, ...fields } = adjusted;
+            await PMSHoldingsCollection.updateAsync(_id, { $set: fields });
+            correctedHoldings++;
+          }
+        }
+      }
+    }
+
+    console.log(`[CORPORATE_ACTIONS] Applied ${event.type} on ${event.isin}: ${adjustments.length} portfolios, ${restatedRecords} records restated, ${linkedOperations} operations linked, ${correctedHoldings} holdings corrected`);
+
+    return {
+      applied: true,
+      portfolios: adjustments.length,
+      restatedRecords,
+      linkedOperations,
+      correctedHoldings
+    };
+  },
+
+  /**
+   * Undo an applied event. The event goes back to detected so its terms can be fixed.
+   */
+  async revertEvent(eventId) {
+    const event = await PMSCorporateActionsCollection.findOneAsync(eventId);
+    if (!event) {
+      throw new Meteor.Error('not-found', 'Corporate action not found');
+    }
+    if (event.status !== CORPORATE_ACTION_STATUS.APPLIED) {
+      return { reverted: false };
+    }
+
+    if (QUANTITY_FACTOR_TYPES.has(event.type)) {
+      const factor = this.getQuantityFactor(event);
+      await PMSHoldingsCollection.rawCollection().updateMany(
+        { corporateActionIds: event._id },
+        [
+          {
+            $set: {
+              corporateActionFactor: { $divide: ['$corporateActionFactor', factor] },
+              corporateActionIds: {
+                $filter: { input: '$corporateActionIds', cond: { $ne: ['$$this', event._id] } }
+              }
+            }
+          },
+          { $set: { adjustedQuantity: { $multiply: ['$quantity', '$corporateActionFactor'] } } }
+        ]
+      );
+    }
+
+    // Put back the bank's own cost basis
+    const corrected = await PMSHoldingsCollection.find({
+      'corporateActionAdjustment.eventId': event._id
+    }).fetchAsync();
+    for (const holding of corrected) {
+      const bank = holding.corporateActionAdjustment;
+      await PMSHoldingsCollection.updateAsync(holding._id, {
+        $set: {
+          costBasisOriginalCurrency: bank.costBasisOriginalCurrency,
+          costBasisPortfolioCurrency: bank.costBasisPortfolioCurrency,
+          costPrice: bank.costPrice,
+          unrealizedPnL: bank.unrealizedPnL,
+          unrealizedPnLPercent: bank.unrealizedPnLPercent
+        },
+        $unset: { corporateActionAdjustment: '' }
+      });
+    }
+
+    await PMSOperationsCollection.updateAsync(
+      { corporateActionId: event._id },
+      { $unset: { corporateActionId: '' } },
+      { multi: true }
+    );
+
+    await PMSCorporateActionsCollection.updateAsync(event._id, {
+      $set: { status: CORPORATE_ACTION_STATUS.DETECTED, adjustments: [], updatedAt: new Date() },
+      $unset: { appliedAt: '', appliedBy: '' }
+    });
+
+    console.log(`[CORPORATE_ACTIONS] Reverted ${event.type} on ${event.isin}`);
+    return { reverted: true, restoredHoldings: corrected.length };
+  },
+
+  /**
+   * Mark the bank operations around the effective date that booked the event.
+   * Transfers count only when they carry no cash, so real client transfers stay flows.
+   */
+  async linkOperations(event, adjustments) {
+    if (adjustments.length === 0 && (event.operationIds || []).length === 0) return 0;
+
+    const effectiveDate = toDayStart(event.effectiveDate);
+    const isins = [event.isin, event.newIsin].filter(Boolean);
+
+    const candidates = adjustments.length > 0
+      ? await PMSOperationsCollection.find({
+        isin: { $in: isins },
+        operationDate: {
+          $gte: new Date(effectiveDate.getTime() - OPERATION_LINK_DAYS * DAY_MS),
+          $lt: new Date(effectiveDate.getTime() + (OPERATION_LINK_DAYS + 1) * DAY_MS)
+        },
+        operationType: {
+          $in: [OPERATION_TYPES.CORPORATE_ACTION, OPERATION_TYPES.TRANSFER_IN, OPERATION_TYPES.TRANSFER_OUT, OPERATION_TYPES.DIVIDEND]
+        },
+        $or: adjustments.map(a => ({ bankId: a.bankId, portfolioCode: a.portfolioCode }))
+      }).fetchAsync()
+      : [];
+
+    const ids = new Set(event.operationIds || []);
+    for (const operation of candidates) {
+      const isBooking = operation.operationType === OPERATION_TYPES.CORPORATE_ACTION ||
+        operation.corporateActionType === event.type ||
+        (operation.operationType !== OPERATION_TYPES.DIVIDEND && !operation.netAmount);
+      if (isBooking) ids.add(operation._id);
+    }
+
+    if (ids.size === 0) return 0;
+
+    await PMSOperationsCollection.updateAsync(
+      { _id: { $in: Array.from(ids) } },
+      { $set: { corporateActionId: event._id, updatedAt: new Date() } },
+      { multi: true }
+    );
+    return ids.size;
+  },
+
+  /**
+   * In-memory index of the post-event lines of applied events, for bank processing.
+   * Key: bankId|portfolioCode|isin → lines sorted latest event first
+   */
+  async loadCostBasisIndex() {
+    const events = await PMSCorporateActionsCollection.find(
+      { status: CORPORATE_ACTION_STATUS.APPLIED },
+      { fields: { type: 1, effectiveDate: 1, adjustments: 1 }, sort: { effectiveDate: -1 } }
+    ).fetchAsync();
+
+    const index = new Map();
+    for (const event of events) {
+      for (const adjustment of event.adjustments || []) {
+        for (const line of adjustment.lines || []) {
+          const key = `${adjustment.bankId}|${adjustment.portfolioCode}|${line.isin}`;
+          if (!index.has(key)) index.set(key, []);
+          index.get(key).push({ eventId: event._id, type: event.type, effectiveDate: event.effectiveDate, ...line });
+        }
+      }
+    }
+    return index;
+  },
+
+  /**
+   * Correct the cost basis of a parsed position after a corporate action.
+   * Banks often report the pre-event cost price against the new quantity, or book a
+   * successor line at market value. While the quantity is still the post-event one
+   * (no trades since), the cost basis carried through the event wins.
+   *
+   * @param {Object} position - Parsed position (mutated and returned)
+   * @param {Map} index - From loadCostBasisIndex()
+   * @returns {Object} position
+   */
+  adjustPosition(position, index) {
+    if (!position.isin || !index || index.size === 0) return position;
+
+    const lines = index.get(`${position.bankId}|${position.portfolioCode}|${position.isin}`);
+    if (!lines) return position;
+
+    const positionDate = toDayStart(position.dataDate || position.snapshotDate || position.fileDate);
+    const line = lines.find(l => positionDate >= toDayStart(l.effectiveDate));
+    if (!line || line.costBasisOriginalCurrency == null) return position;
+
+    const tolerance = Math.max(QUANTITY_TOLERANCE, Math.abs(line.quantity) * QUANTITY_TOLERANCE);
+    if (Math.abs((position.quantity || 0) - line.quantity) > tolerance) return position;
+
+    const bankCost = position.costBasisOriginalCurrency;
+    const carriedCost = line.costBasisOriginalCurrency;
+    if (bankCost != null && carriedCost !== 0 && Math.abs(bankCost - carriedCost) / Math.abs(carriedCost) <= COST_BASIS_TOLERANCE) {
+      return position;
+    }
+
+    position.corporateActionAdjustment = {
+      eventId: line.eventId,
+      type: line.type,
+      costBasisOriginalCurrency: position.costBasisOriginalCurrency ?? null,
+      costBasisPortfolioCurrency: position.costBasisPortfolioCurrency ?? null,
+      costPrice: position.costPrice ?? null,
+      unrealizedPnL: position.unrealizedPnL ?? null,
+      unrealizedPnLPercent: position.unrealizedPnLPercent ?? null
+    };
+
+    position.costBasisOriginalCurrency = carriedCost;
+    if (line.costBasisPortfolioCurrency != null) {
+      position.costBasisPortfolioCurrency = line.costBasisPortfolioCurrency;
+    }
+    // Percentage-priced instruments keep the bank's price convention
+    if (position.priceType !== 'percentage' && position.quantity) {
+      position.costPrice = carriedCost / position.quantity;
+    }
+    if (position.marketValue != null && position.costBasisPortfolioCurrency) {
+      position.unrealizedPnL = position.marketValue - position.costBasisPortfolioCurrency;
+      position.unrealizedPnLPercent = (position.unrealizedPnL / position.costBasisPortfolioCurrency) * 100;
+    }
+
+    return position;
+  },
+
+  /**
+   * Applied event the bank has not reflected yet for a holding (effective after the
+   * holding's snapshot, but already in force). Used by order checks.
+   */
+  async getPendingEventForHolding(holding) {
+    if (!holding?.isin) return null;
+
+    const today = toDayStart(new Date());
+    const events = await PMSCorporateActionsCollection.find({
+      isin: holding.isin,
+      status: CORPORATE_ACTION_STATUS.APPLIED,
+      effectiveDate: { $gt: toDayStart(holding.snapshotDate || holding.fileDate), $lte: today },
+      'adjustments.portfolioCode': holding.portfolioCode
+    }, { sort: { effectiveDate: 1 } }).fetchAsync();
+
+    return events.find(e => (e.adjustments || []).some(a =>
+      a.bankId === holding.bankId && a.portfolioCode === holding.portfolioCode
+    )) || null;
+  },
+
+  /**
+   * Restate positions across the events effective in (fromDate, toDate], e.g. to roll
+   * yesterday's holdings forward in reconciliation. Returns new holding objects;
+   * consolidated copies are dropped, they are rebuilt from the bank lines.
+   */
+  async rollForwardHoldings(holdings, { fromDate, toDate, bankId }) {
+    const events = await PMSCorporateActionsCollection.find({
+      status: CORPORATE_ACTION_STATUS.APPLIED,
+      effectiveDate: { $gt: toDayStart(fromDate), $lte: toDayStart(toDate) },
+      'adjustments.bankId': bankId
+    }, { sort: { effectiveDate: 1 } }).fetchAsync();
+
+    let result = holdings
+      .filter(h => h.portfolioCode !== 'CONSOLIDATED')
+      .map(h => ({ ...h }));
+    for (const event of events) {
+      const next = [];
+      const scope = new Set((event.adjustments || []).map(a => `${a.bankId}|${a.portfolioCode}`));
+      for (const holding of result) {
+        if (holding.isin !== event.isin || !scope.has(`${holding.bankId}|${holding.portfolioCode}`)) {
+          next.push(holding);
+          continue;
+        }
+        const { lines } = this.getPostEventLines(event, holding);
+        lines.forEach(line => next.push({
+          ...holding,
+          isin: line.isin,
+          quantity: line.quantity,
+          securityName: line.isin === holding.isin ? holding.securityName : (event.newSecurityName || holding.securityName)
+        }));
+      }
+      result = next;
+    }
+    return { holdings: result, events };
+  },
+
+  /**
+   * Record events booked by bank operations. Operations carry corporateActionType
+   * (set in PMSOperationsHelpers.upsertOperation); terms are derived where possible.
+   */
+  async detectFromOperations({ bankId, since }) {
+    check(bankId, String);
+
+    const operations = await PMSOperationsCollection.find({
+      bankId,
+      corporateActionType: { $exists: true, $ne: null },
+      corporateActionId: { $exists: false },
+      isin: { $ne: null },
+      ...(since ? { operationDate: { $gte: since } } : {})
+    }).fetchAsync();
+
+    if (operations.length === 0) return { detected: 0, applied: 0 };
+
+    // One event per type, security and day. Incoming lines on another ISIN in the same
+    // portfolio and day are the successor / distributed security.
+    const groups = new Map();
+    for (const operation of operations) {
+      const key = `${operation.corporateActionType}|${toDateKey(operation.operationDate)}|${operation.portfolioCode}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(operation);
+    }
+
+    let detected = 0;
+    let applied = 0;
+    const seen = new Set();
+
+    for (const group of groups.values()) {
+      const type = group[0].corporateActionType;
+      const effectiveDate = toDayStart(group[0].operationDate);
+      const portfolioCode = group[0].portfolioCode;
+
+      const outgoing = group.filter(op => getSignedQuantity(op) < 0);
+      const incoming = group.filter(op => getSignedQuantity(op) > 0);
+
+      let isin;
+      let newIsin = null;
+      let newSecurityName = null;
+      let ratio = null;
+
+      if (type === CORPORATE_ACTION_TYPES.ISIN_CHANGE || type === CORPORATE_ACTION_TYPES.MERGER) {
+        const old = outgoing[0];
+        const successor = incoming.find(op => op.isin !== old?.isin);
+        if (!old) continue;
+        isin = old.isin;
+        if (successor) {
+          newIsin = successor.isin;
+          newSecurityName = successor.securityName || successor.instrumentName || null;
+          ratio = Math.abs(getSignedQuantity(successor)) / Math.abs(getSignedQuantity(old));
+        }
+      } else if (type === CORPORATE_ACTION_TYPES.SPIN_OFF) {
+        // The parent rarely moves; the distributed line is the incoming one
+        const child = incoming[0];
+        if (!child) continue;
+        const parent = group.find(op => op.isin !== child.isin);
+        isin = parent?.isin || null;
+        newIsin = child.isin;
+        newSecurityName = child.securityName || child.instrumentName || null;
+        if (!isin) continue;
+      } else {
+        // Split, reverse split, scrip: the bank books the quantity delta (or out + in)
+        isin = group[0].isin;
+        const delta = group.filter(op => op.isin === isin).reduce((sum, op) => sum + getSignedQuantity(op), 0);
+        const [pre] = await PMSHoldingsHelpers.getHoldingsAsOf({
+          date: new Date(effectiveDate.getTime() - DAY_MS),
+          bankId,
+          portfolioCode,
+          isin
+        });
+        if (pre?.quantity) {
+          const factor = (pre.quantity + delta) / pre.quantity;
+          if (factor > 0) {
+            ratio = type === CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND ? factor - 1 : factor;
+          }
+        }
+      }
+
+      const eventKey = `${type}|${isin}|${toDateKey(effectiveDate)}`;
+      const { _id, isNew } = await this.recordEvent({
+        type,
+        isin,
+        securityName: group[0].securityName || group[0].instrumentName || null,
+        newIsin,
+        newSecurityName,
+        effectiveDate,
+        ratio: ratio && isFinite(ratio) ? Math.round(ratio * 1e6) / 1e6 : null,
+        source: CORPORATE_ACTION_SOURCES.BANK_OPERATION,
+        operationIds: group.map(op => op._id)
+      });
+
+      if (isNew && !seen.has(eventKey)) detected++;
+      seen.add(eventKey);
+
+      const event = await PMSCorporateActionsCollection.findOneAsync(_id);
+      if (event.status === CORPORATE_ACTION_STATUS.DETECTED && this.isComplete(event)) {
+        await this.applyEvent(_id);
+        applied++;
+      } else if (event.status === CORPORATE_ACTION_STATUS.APPLIED) {
+        await this.linkOperations(event, event.adjustments || []);
+      }
+    }
+
+    console.log(`[CORPORATE_ACTIONS] Bank ${bankId}: ${detected} new events from ${operations.length} operations, ${applied} applied`);
+    return { detected, applied };
+  },
+
+  /**
+   * Resolve the EOD ticker of an ISIN, caching it on the securities metadata
+   */
+  async resolveEodTicker(isin) {
+    const metadata = await SecuritiesMetadataCollection.findOneAsync(
+      { isin },
+      { fields: { eodTicker: 1, eodTickerCheckedAt: 1 } }
+    );
+
+    if (metadata?.eodTicker) return metadata.eodTicker;
+    if (eodTickerCache.has(isin)) return eodTickerCache.get(isin);
+
+    const recheckAfter = new Date(Date.now() - EOD_TICKER_RECHECK_DAYS * DAY_MS);
+    if (metadata?.eodTickerCheckedAt && metadata.eodTickerCheckedAt > recheckAfter) return null;
+
+    const ticker = await EODApiHelpers.findTickerByIsin(isin);
+    eodTickerCache.set(isin, ticker);
+
+    if (metadata) {
+      await SecuritiesMetadataCollection.updateAsync(metadata._id, {
+        $set: { eodTicker: ticker, eodTickerCheckedAt: new Date() }
+      });
+    }
+    return ticker;
+  },
+
+  /**
+   * Record and apply splits reported by EOD for listed securities currently held
+   */
+  async detectFromEod({ lookbackDays = 30 } = {}) {
+    const isins = await PMSHoldingsCollection.rawCollection().distinct('isin', {
+      isLatest: true,
+      isActive: { $ne: false },
+      securityType: { $in: EOD_SECURITY_TYPES },
+      isin: { $nin: [null, ''] }
+    });
+
+    const from = new Date(Date.now() - lookbackDays * DAY_MS);
+    const to = new Date();
+    let detected = 0;
+    let applied = 0;
+    let unresolved = 0;
+
+    console.log(`[CORPORATE_ACTIONS] Checking EOD splits for ${isins.length} listed securities since ${toDateKey(from)}`);
+
+    for (const isin of isins) {
+      const ticker = await this.resolveEodTicker(isin);
+      if (!ticker) {
+        unresolved++;
+        continue;
+      }
+
+      const splits = await EODApiHelpers.getStockSplits(ticker, from, to);
+      for (const split of splits) {
+        if (!isPositive(split.ratio) || split.ratio === 1) continue;
+
+        const type = split.ratio > 1 ? CORPORATE_ACTION_TYPES.SPLIT : CORPORATE_ACTION_TYPES.REVERSE_SPLIT;
+        const effectiveDate = toDayStart(split.date);
+
+        // The bank may already have booked it a day or two apart
+        const nearby = await PMSCorporateActionsCollection.findOneAsync({
+          isin,
+          type,
+          effectiveDate: {
+            $gte: new Date(effectiveDate.getTime() - 3 * DAY_MS),
+            $lte: new Date(effectiveDate.getTime() + 3 * DAY_MS)
+          }
+        });
+
+        const { _id, isNew } = nearby
+          ? { _id: nearby._id, isNew: false }
+          : await this.recordEvent({
+            type,
+            isin,
+            effectiveDate,
+            ratio: split.ratio,
+            source: CORPORATE_ACTION_SOURCES.EOD,
+            notes: `EOD ${ticker} ${split.splitString}`
+          });
+
+        if (nearby && nearby.ratio == null) {
+          await PMSCorporateActionsCollection.updateAsync(_id, { $set: { ratio: split.ratio, updatedAt: new Date() } });
+        }
+        if (isNew) detected++;
+
+        const event = await PMSCorporateActionsCollection.findOneAsync(_id);
+        if (event.status === CORPORATE_ACTION_STATUS.DETECTED && this.isComplete(event)) {
+          await this.applyEvent(_id);
+          applied++;
+        }
+      }
+    }
+
+    console.log(`[CORPORATE_ACTIONS] EOD: ${detected} new splits, ${applied} applied, ${unresolved} ISINs without ticker`);
+    return { checked: isins.length, detected, applied, unresolved };
+  }
+};
+
+// Create indexes on server startup
+if (Meteor.isServer) {
+  Meteor.startup(async () => {
+    try {
+      await PMSCorporateActionsCollection.createIndexAsync({ isin: 1, effectiveDate: -1 });
+      await PMSCorporateActionsCollection.createIndexAsync({ status: 1, effectiveDate: -1 });
+      await PMSCorporateActionsCollection.createIndexAsync({ newIsin: 1 });
+      await PMSOperationsCollection.createIndexAsync({ corporateActionId: 1 }, { sparse: true });
+      await PMSHoldingsCollection.createIndexAsync({ corporateActionIds: 1 }, { sparse: true });
+      console.log('[CORPORATE_ACTIONS] Indexes created successfully');
+    } catch (error) {
+      console.log('[CORPORATE_ACTIONS] Skipping index creation (might already exist)');
+    }
+  });
+}
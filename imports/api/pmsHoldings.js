@@ -437,6 +437,64 @@ export const PMSHoldingsHelpers = {
     return await PMSHoldingsCollection.find(query).fetchAsync();
   },
 
+  /**
+   * Holdings as they stood at the end of a day: for each uniqueKey the latest version
+   * with snapshotDate on or before that day. Positions marked sold on or before the
+   * day count as zero; keys deactivated by the duplicate cleanups are ignored.
+   * bankId, portfolioCode and isin narrow the scope (all optional). Consolidated
+   * copies are left out unless CONSOLIDATED is asked for explicitly.
+   */
+  async getHoldingsAsOf({ date, bankId, portfolioCode, isin }) {
+    const dayStart = new Date(date);
+    const dayEnd = new Date(Date.UTC(dayStart.getUTCFullYear(), dayStart.getUTCMonth(), dayStart.getUTCDate() + 1));
+
+    const scope = {};
+    if (bankId) scope.bankId = bankId;
+    scope.portfolioCode = portfolioCode || { $ne: 'CONSOLIDATED' };
+    if (isin) scope.isin = isin;
+
+    const grouped = await PMSHoldingsCollection.rawCollection().aggregate([
+      { $match: { ...scope, snapshotDate: { $lt: dayEnd } } },
+      { $sort: { uniqueKey: 1, snapshotDate: -1, version: -1 } },
+      {
+        $group: {
+          _id: '$uniqueKey',
+          holdingId: { $first: '$_id' },
+          bankId: { $first: '$bankId' },
+          bankName: { $first: '$bankName' },
+          portfolioCode: { $first: '$portfolioCode' },
+          isin: { $first: '$isin' },
+          securityName: { $first: '$securityName' },
+          securityType: { $first: '$securityType' },
+          currency: { $first: '$currency' },
+          quantity: { $first: '$quantity' },
+          marketValue: { $first: '$marketValue' },
+          marketValueOriginalCurrency: { $first: '$marketValueOriginalCurrency' },
+          costBasisOriginalCurrency: { $first: '$costBasisOriginalCurrency' },
+          costBasisPortfolioCurrency: { $first: '$costBasisPortfolioCurrency' },
+          snapshotDate: { $first: '$snapshotDate' },
+          isActive: { $first: '$isActive' }
+        }
+      }
+    ], { allowDiskUse: true }).toArray();
+
+    // Sold positions flag only their latest record, older versions are just inactive
+    const soldRecords = await PMSHoldingsCollection.find(
+      { ...scope, soldAt: { $exists: true, $ne: null } },
+      { fields: { uniqueKey: 1, soldAt: 1 } }
+    ).fetchAsync();
+    const soldAtByKey = new Map(soldRecords.map(r => [r.uniqueKey, r.soldAt]));
+
+    const holdings = [];
+    for (const holding of grouped) {
+      const soldAt = soldAtByKey.get(holding._id);
+      if (holding.isActive === false && !soldAt) continue;
+      if (soldAt && soldAt < dayEnd) continue;
+      holdings.push({ ...holding, uniqueKey: holding._id });
+    }
+    return holdings;
+  },
+
   /**
    * Get holdings summary by security
    */
@@ -1302,6 +1360,13 @@ if (Meteor.isServer) {
         isActive: 1
       });
 
+      // Index for superseding an entity's consolidated holdings
+      await PMSHoldingsCollection.createIndexAsync({
+        portfolioCode: 1,
+        entityId: 1,
+        isLatest: 1
+      });
+
       // Index on file date for sorting
       await PMSHoldingsCollection.createIndexAsync({ fileDate: -1 });
 
@@ -1,6 +1,7 @@
 import { Mongo } from 'meteor/mongo';
 import { check } from 'meteor/check';
 import crypto from 'crypto';
+import { OPERATION_TYPES, detectCorporateActionType } from './constants/operationTypes.js';
 
 export const PMSOperationsCollection = new Mongo.Collection('pmsOperations');
 
@@ -11,8 +12,34 @@ export const PMSOperationsCollection = new Mongo.Collection('pmsOperations');
  * All bank-specific formats are converted to this unified schema.
  */
 
+// Operation types a corporate action can be booked as, depending on the bank
+const CORPORATE_ACTION_CARRIER_TYPES = new Set([
+  OPERATION_TYPES.CORPORATE_ACTION,
+  OPERATION_TYPES.TRANSFER_IN,
+  OPERATION_TYPES.TRANSFER_OUT,
+  OPERATION_TYPES.DIVIDEND,
+  OPERATION_TYPES.OTHER
+]);
+
 // Helper functions for PMS Operations management
 export const PMSOperationsHelpers = {
+  /**
+   * Which corporate action an operation belongs to, from its booking texts
+   * Returns a CORPORATE_ACTION_TYPES value or null
+   */
+  detectCorporateActionType(operationData) {
+    if (!CORPORATE_ACTION_CARRIER_TYPES.has(operationData.operationType)) return null;
+
+    return detectCorporateActionType(
+      operationData.operationTypeName,
+      operationData.operationSubType,
+      operationData.description,
+      operationData.transactionLabel,
+      operationData.operationLabel1,
+      operationData.operationLabel3
+    );
+  },
+
   /**
    * Generate unique key for deduplication
    * Hash of: bankId + portfolioCode + operationCode + operationDate + instrumentCode
@@ -40,6 +67,11 @@ export const PMSOperationsHelpers = {
 
     const now = new Date();
 
+    const corporateActionType = this.detectCorporateActionType(operationData);
+    if (corporateActionType) {
+      operationData.corporateActionType = corporateActionType;
+    }
+
     // Check if record exists
     const existing = await PMSOperationsCollection.findOneAsync({ uniqueKey });
 
@@ -0,0 +1,500 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
+import { PMSHoldingsCollection, PMSHoldingsHelpers } from './pmsHoldings.js';
+import { PMSOperationsCollection } from './pmsOperations.js';
+import { PMSCorporateActionHelpers } from './pmsCorporateActions.js';
+import { OPERATION_TYPES } from './constants/operationTypes.js';
+
+/**
+ * PMS Reconciliations Collection
+ *
+ * One record per bank / portfolioCode / day. Yesterday's positions are rolled
+ * forward with the operations booked since, then compared with today's positions.
+ * A break means the position file and the operation file disagree: usually a
+ * missing or duplicated operation, which would otherwise distort TWR.
+ */
+export const PMSReconciliationsCollection = new Mongo.Collection('pmsReconciliations');
+
+export const RECONCILIATION_STATUS = {
+  MATCHED: 'matched',
+  BREAKS: 'breaks',
+  NO_BASELINE: 'no_baseline'   // No earlier position file to roll forward from
+};
+
+export const BREAK_DIAGNOSIS = {
+  MISSING_OPERATION: 'missing_operation',     // Position moved but no operation was booked
+  DUPLICATE_OPERATION: 'duplicate_operation', // Same operation booked twice under different codes
+  BOOKED_LATER: 'booked_later',               // Operation dated after the position date
+  NOT_YET_SETTLED: 'not_yet_settled',         // Operation value date after the position date
+  UNEXPLAINED: 'unexplained'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Differences below these are rounding noise
+const QUANTITY_TOLERANCE = 0.0001;
+const CASH_TOLERANCE = 1;
+
+// How far ahead to look for operations booked after the position date
+const LOOKAHEAD_DAYS = 5;
+
+// Quantity direction per operation type (CORPORATE_ACTION uses the reported sign)
+const QUANTITY_SIGNS = {
+  [OPERATION_TYPES.BUY]: 1,
+  [OPERATION_TYPES.SUBSCRIPTION]: 1,
+  [OPERATION_TYPES.TRANSFER_IN]: 1,
+  [OPERATION_TYPES.SELL]: -1,
+  [OPERATION_TYPES.REDEMPTION]: -1,
+  [OPERATION_TYPES.TRANSFER_OUT]: -1
+};
+
+// Cash direction per operation type. Banks disagree on whether netAmount is signed,
+// so the type decides; types with no fixed direction keep the reported sign.
+const CASH_SIGNS = {
+  [OPERATION_TYPES.SELL]: 1,
+  [OPERATION_TYPES.REDEMPTION]: 1,
+  [OPERATION_TYPES.DIVIDEND]: 1,
+  [OPERATION_TYPES.COUPON]: 1,
+  [OPERATION_TYPES.PAYMENT_IN]: 1,
+  [OPERATION_TYPES.TRANSFER_IN]: 1,
+  [OPERATION_TYPES.BUY]: -1,
+  [OPERATION_TYPES.SUBSCRIPTION]: -1,
+  [OPERATION_TYPES.FEE]: -1,
+  [OPERATION_TYPES.TAX]: -1,
+  [OPERATION_TYPES.PAYMENT_OUT]: -1,
+  [OPERATION_TYPES.TRANSFER_OUT]: -1,
+  [OPERATION_TYPES.CARD_PAYMENT]: -1
+};
+
+const toDayStart = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const round = (value, decimals = 4) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round((value || 0) * factor) / factor;
+};
+
+const isCashHolding = (holding) =>
+  !holding.isin && (holding.securityType === 'CASH' || !holding.securityType);
+
+const getCashAmount = (holding) =>
+  holding.marketValueOriginalCurrency ?? holding.quantity ?? holding.marketValue ?? 0;
+
+const getCashCurrency = (operation) => operation.netCurrency || operation.currency || null;
+
+/**
+ * Signed quantity an operation adds to its security position
+ */
+const getQuantityEffect = (operation) => {
+  if (!operation.isin) return 0;
+  // Booked by a corporate action: already restated in the rolled-forward positions
+  if (operation.corporateActionId) return 0;
+  const quantity = operation.quantity || 0;
+  if (operation.operationType === OPERATION_TYPES.CORPORATE_ACTION) return quantity;
+  const sign = QUANTITY_SIGNS[operation.operationType];
+  return sign ? sign * Math.abs(quantity) : 0;
+};
+
+/**
+ * Signed amount an operation adds to its cash account
+ */
+const getCashEffect = (operation) => {
+  const amount = operation.netAmount ?? operation.grossAmount;
+  if (amount == null) return 0;
+
+  // Security deliveries have no cash leg
+  const isDelivery = operation.isin &&
+    (operation.operationType === OPERATION_TYPES.TRANSFER_IN || operation.operationType === OPERATION_TYPES.TRANSFER_OUT);
+  if (isDelivery) return 0;
+
+  const sign = CASH_SIGNS[operation.operationType];
+  return sign ? sign * Math.abs(amount) : amount;
+};
+
+/**
+ * Operations with the same economics booked under different operation codes
+ */
+const getOperationSignature = (operation) => [
+  operation.portfolioCode,
+  operation.isin || getCashCurrency(operation),
+  operation.operationType,
+  Math.abs(operation.quantity || 0),
+  Math.abs(operation.netAmount ?? operation.grossAmount ?? 0)
+].join('|');
+
+const summarizeOperation = (operation, effect) => ({
+  operationId: operation._id,
+  operationCode: operation.operationCode,
+  operationType: operation.operationType,
+  operationDate: operation.operationDate,
+  valueDate: operation.valueDate || null,
+  quantity: operation.quantity ?? null,
+  netAmount: operation.netAmount ?? null,
+  effect: round(effect)
+});
+
+export const PMSReconciliationHelpers = {
+  /**
+   * Most recent day with position data for a bank on or before (or strictly before) a date
+   */
+  async getPositionDate(bankId, { before, onOrBefore } = {}) {
+    const query = { bankId };
+    if (before) query.snapshotDate = { $lt: toDayStart(before) };
+    if (onOrBefore) query.snapshotDate = { $lt: new Date(toDayStart(onOrBefore).getTime() + DAY_MS) };
+
+    const latest = await PMSHoldingsCollection.findOneAsync(query, {
+      sort: { snapshotDate: -1 },
+      fields: { snapshotDate: 1 }
+    });
+    return latest ? toDayStart(latest.snapshotDate) : null;
+  },
+
+  /**
+   * Diagnose a break from the operations around it.
+   * diff is actual minus expected; effectOf maps an operation to its signed effect.
+   */
+  diagnoseBreak({ diff, windowOperations, laterOperations, duplicateSignatures, dayEnd, effectOf, tolerance }) {
+    const matches = (value, target) => Math.abs(value - target) < tolerance;
+
+    if (windowOperations.length === 0 && laterOperations.length === 0) {
+      return BREAK_DIAGNOSIS.MISSING_OPERATION;
+    }
+
+    // Counted twice in the roll-forward but only once by the bank
+    const duplicate = windowOperations.find(op =>
+      duplicateSignatures.has(getOperationSignature(op)) && matches(effectOf(op), -diff)
+    );
+    if (duplicate) return BREAK_DIAGNOSIS.DUPLICATE_OPERATION;
+
+    // The position already reflects an operation dated after the position date
+    if (laterOperations.some(op => matches(effectOf(op), diff))) {
+      return BREAK_DIAGNOSIS.BOOKED_LATER;
+    }
+
+    // The operation is booked but the custodian only moves the position at value date
+    const unsettled = windowOperations.find(op =>
+      op.valueDate && new Date(op.valueDate) >= dayEnd && matches(effectOf(op), -diff)
+    );
+    if (unsettled) return BREAK_DIAGNOSIS.NOT_YET_SETTLED;
+
+    return windowOperations.length === 0
+      ? BREAK_DIAGNOSIS.MISSING_OPERATION
+      : BREAK_DIAGNOSIS.UNEXPLAINED;
+  },
+
+  /**
+   * Compare one portfolio's roll-forward with its actual positions
+   */
+  reconcilePortfolio({ previousHoldings, currentHoldings, operations, laterOperations, duplicateSignatures, dayEnd }) {
+    const breaks = [];
+
+    // ---- Securities, by ISIN ----
+    const securities = new Map();
+    const getSecurity = (isin) => {
+      if (!securities.has(isin)) {
+        securities.set(isin, {
+          isin,
+          securityName: null,
+          currency: null,
+          previousQuantity: 0,
+          actualQuantity: 0,
+          unitValue: 0,
+          operations: [],
+          laterOperations: []
+        });
+      }
+      return securities.get(isin);
+    };
+
+    const addHolding = (holding, field) => {
+      const security = getSecurity(holding.isin);
+      security[field] += holding.quantity || 0;
+      security.securityName = security.securityName || holding.securityName;
+      security.currency = security.currency || holding.currency;
+      const value = holding.marketValueOriginalCurrency ?? holding.marketValue;
+      if (!security.unitValue && holding.quantity && value) {
+        security.unitValue = value / holding.quantity;
+      }
+    };
+
+    previousHoldings.filter(h => h.isin).forEach(h => addHolding(h, 'previousQuantity'));
+    currentHoldings.filter(h => h.isin).forEach(h => addHolding(h, 'actualQuantity'));
+
+    operations.filter(op => getQuantityEffect(op) !== 0).forEach(op => {
+      getSecurity(op.isin).operations.push(op);
+    });
+    laterOperations.filter(op => getQuantityEffect(op) !== 0).forEach(op => {
+      if (securities.has(op.isin)) securities.get(op.isin).laterOperations.push(op);
+    });
+
+    for (const security of securities.values()) {
+      const operationsQuantity = security.operations.reduce((sum, op) => sum + getQuantityEffect(op), 0);
+      const expectedQuantity = security.previousQuantity + operationsQuantity;
+      const quantityDiff = security.actualQuantity - expectedQuantity;
+
+      if (Math.abs(quantityDiff) < QUANTITY_TOLERANCE) continue;
+
+      breaks.push({
+        kind: 'security',
+        isin: security.isin,
+        securityName: security.securityName || security.operations[0]?.instrumentName || null,
+        currency: security.currency,
+        previousQuantity: round(security.previousQuantity),
+        operationsQuantity: round(operationsQuantity),
+        expectedQuantity: round(expectedQuantity),
+        actualQuantity: round(security.actualQuantity),
+        quantityDiff: round(quantityDiff),
+        cashDiff: round(quantityDiff * security.unitValue, 2),
+        diagnosis: this.diagnoseBreak({
+          diff: quantityDiff,
+          windowOperations: security.operations,
+          laterOperations: security.laterOperations,
+          duplicateSignatures,
+          dayEnd,
+          effectOf: getQuantityEffect,
+          tolerance: QUANTITY_TOLERANCE
+        }),
+        operations: security.operations.map(op => summarizeOperation(op, getQuantityEffect(op)))
+      });
+    }
+
+    // ---- Cash, by currency ----
+    const cash = new Map();
+    const getCash = (currency) => {
+      if (!cash.has(currency)) {
+        cash.set(currency, { currency, previousBalance: 0, actualBalance: 0, operations: [], laterOperations: [] });
+      }
+      return cash.get(currency);
+    };
+
+    previousHoldings.filter(isCashHolding).forEach(h => { getCash(h.currency).previousBalance += getCashAmount(h); });
+    currentHoldings.filter(isCashHolding).forEach(h => { getCash(h.currency).actualBalance += getCashAmount(h); });
+
+    // Only currencies the bank reports a cash account for can be checked
+    operations.filter(op => getCashEffect(op) !== 0 && cash.has(getCashCurrency(op))).forEach(op => {
+      getCash(getCashCurrency(op)).operations.push(op);
+    });
+    laterOperations.filter(op => getCashEffect(op) !== 0 && cash.has(getCashCurrency(op))).forEach(op => {
+      getCash(getCashCurrency(op)).laterOperations.push(op);
+    });
+
+    for (const account of cash.values()) {
+      const operationsAmount = account.operations.reduce((sum, op) => sum + getCashEffect(op), 0);
+      const expectedBalance = account.previousBalance + operationsAmount;
+      const cashDiff = account.actualBalance - expectedBalance;
+
+      if (Math.abs(cashDiff) < CASH_TOLERANCE) continue;
+
+      breaks.push({
+        kind: 'cash',
+        isin: null,
+        securityName: `Cash ${account.currency}`,
+        currency: account.currency,
+        previousQuantity: round(account.previousBalance, 2),
+        operationsQuantity: round(operationsAmount, 2),
+        expectedQuantity: round(expectedBalance, 2),
+        actualQuantity: round(account.actualBalance, 2),
+        quantityDiff: null,
+        cashDiff: round(cashDiff, 2),
+        diagnosis: this.diagnoseBreak({
+          diff: cashDiff,
+          windowOperations: account.operations,
+          laterOperations: account.laterOperations,
+          duplicateSignatures,
+          dayEnd,
+          effectOf: getCashEffect,
+          tolerance: CASH_TOLERANCE
+        }),
+        operations: account.operations.map(op => summarizeOperation(op, getCashEffect(op)))
+      });
+    }
+
+    return {
+      breaks,
+      securitiesChecked: securities.size,
+      cashAccountsChecked: cash.size
+    };
+  },
+
+  /**
+   * Reconcile every portfolio of a bank for one position date and persist the results.
+   * Defaults to the bank's latest position date.
+   */
+  async reconcileBank({ bankId, date, userId = 'system' }) {
+    check(bankId, String);
+
+    const reconciliationDate = date
+      ? await this.getPositionDate(bankId, { onOrBefore: date })
+      : await this.getPositionDate(bankId);
+
+    if (!reconciliationDate) {
+      console.log(`[RECONCILIATION] No positions for bank ${bankId}, skipping`);
+      return { bankId, reconciliationDate: null, portfolios: 0, portfoliosWithBreaks: 0, breaks: 0 };
+    }
+
+    const dayEnd = new Date(reconciliationDate.getTime() + DAY_MS);
+    const previousDate = await this.getPositionDate(bankId, { before: reconciliationDate });
+    const windowStart = previousDate ? new Date(previousDate.getTime() + DAY_MS) : reconciliationDate;
+
+    console.log(`[RECONCILIATION] Bank ${bankId}: ${previousDate?.toISOString().split('T')[0] || 'none'} → ${reconciliationDate.toISOString().split('T')[0]}`);
+
+    const [bankPreviousHoldings, currentHoldings, operations, laterOperations] = await Promise.all([
+      previousDate ? PMSHoldingsHelpers.getHoldingsAsOf({ bankId, date: previousDate }) : [],
+      PMSHoldingsHelpers.getHoldingsAsOf({ bankId, date: reconciliationDate }),
+      PMSOperationsCollection.find({
+        bankId,
+        isActive: { $ne: false },
+        operationDate: { $gte: windowStart, $lt: dayEnd }
+      }).fetchAsync(),
+      PMSOperationsCollection.find({
+        bankId,
+        isActive: { $ne: false },
+        operationDate: { $gte: dayEnd, $lt: new Date(dayEnd.getTime() + LOOKAHEAD_DAYS * DAY_MS) }
+      }).fetchAsync()
+    ]);
+
+    // Restate yesterday's positions across corporate actions effective in the window
+    const { holdings: previousHoldings } = previousDate
+      ? await PMSCorporateActionHelpers.rollForwardHoldings(bankPreviousHoldings, {
+        fromDate: previousDate,
+        toDate: reconciliationDate,
+        bankId
+      })
+      : { holdings: [] };
+
+    // Signatures seen more than once in the window
+    const signatureCounts = new Map();
+    operations.forEach(op => {
+      const signature = getOperationSignature(op);
+      signatureCounts.set(signature, (signatureCounts.get(signature) || 0) + 1);
+    });
+    const duplicateSignatures = new Set(
+      Array.from(signatureCounts.entries()).filter(([, count]) => count > 1).map(([signature]) => signature)
+    );
+
+    const byPortfolio = (items) => items.reduce((map, item) => {
+      if (!item.portfolioCode) return map;
+      if (!map.has(item.portfolioCode)) map.set(item.portfolioCode, []);
+      map.get(item.portfolioCode).push(item);
+      return map;
+    }, new Map());
+
+    const previousByPortfolio = byPortfolio(previousHoldings);
+    const currentByPortfolio = byPortfolio(currentHoldings);
+    const operationsByPortfolio = byPortfolio(operations);
+    const laterByPortfolio = byPortfolio(laterOperations);
+
+    // Portfolios that hold nothing on either day and had no operations are skipped
+    const portfolioCodes = new Set([
+      ...previousByPortfolio.keys(),
+      ...currentByPortfolio.keys(),
+      ...operationsByPortfolio.keys()
+    ]);
+
+    const bankName = currentHoldings[0]?.bankName || previousHoldings[0]?.bankName || null;
+    const now = new Date();
+    let portfoliosWithBreaks = 0;
+    let totalBreaks = 0;
+
+    for (const portfolioCode of portfolioCodes) {
+      const previous = previousByPortfolio.get(portfolioCode) || [];
+      const hasBaseline = previous.length > 0;
+
+      const result = hasBaseline
+        ? this.reconcilePortfolio({
+          previousHoldings: previous,
+          currentHoldings: currentByPortfolio.get(portfolioCode) || [],
+          operations: operationsByPortfolio.get(portfolioCode) || [],
+          laterOperations: laterByPortfolio.get(portfolioCode) || [],
+          duplicateSignatures,
+          dayEnd
+        })
+        : { breaks: [], securitiesChecked: 0, cashAccountsChecked: 0 };
+
+      const status = !hasBaseline
+        ? RECONCILIATION_STATUS.NO_BASELINE
+        : result.breaks.length > 0 ? RECONCILIATION_STATUS.BREAKS : RECONCILIATION_STATUS.MATCHED;
+
+      if (result.breaks.length > 0) {
+        portfoliosWithBreaks++;
+        totalBreaks += result.breaks.length;
+      }
+
+      await PMSReconciliationsCollection.upsertAsync(
+        { bankId, portfolioCode, reconciliationDate },
+        {
+          $set: {
+            bankName,
+            previousDate,
+            status,
+            breaks: result.breaks,
+            breakCount: result.breaks.length,
+            securitiesChecked: result.securitiesChecked,
+            cashAccountsChecked: result.cashAccountsChecked,
+            operationCount: (operationsByPortfolio.get(portfolioCode) || []).length,
+            runBy: userId,
+            updatedAt: now
+          },
+          $setOnInsert: { createdAt: now }
+        }
+      );
+    }
+
+    console.log(`[RECONCILIATION] Bank ${bankName || bankId}: ${portfolioCodes.size} portfolios, ${portfoliosWithBreaks} with breaks (${totalBreaks} breaks)`);
+
+    return {
+      bankId,
+      bankName,
+      reconciliationDate,
+      previousDate,
+      portfolios: portfolioCodes.size,
+      portfoliosWithBreaks,
+      breaks: totalBreaks
+    };
+  },
+
+  /**
+   * Stored results for a day (defaults to the most recent reconciliation)
+   */
+  async getReconciliations({ date, bankId, onlyBreaks = false } = {}) {
+    let reconciliationDate = date ? toDayStart(date) : null;
+
+    if (!reconciliationDate) {
+      const latest = await PMSReconciliationsCollection.findOneAsync(
+        bankId ? { bankId } : {},
+        { sort: { reconciliationDate: -1 }, fields: { reconciliationDate: 1 } }
+      );
+      if (!latest) return { reconciliationDate: null, records: [] };
+      reconciliationDate = latest.reconciliationDate;
+    }
+
+    const query = { reconciliationDate };
+    if (bankId) query.bankId = bankId;
+    if (onlyBreaks) query.status = RECONCILIATION_STATUS.BREAKS;
+
+    const records = await PMSReconciliationsCollection.find(query, {
+      sort: { breakCount: -1, bankName: 1, portfolioCode: 1 }
+    }).fetchAsync();
+
+    return { reconciliationDate, records };
+  }
+};
+
+// Create indexes on server startup
+if (Meteor.isServer) {
+  Meteor.startup(async () => {
+    try {
+      await PMSReconciliationsCollection.createIndexAsync(
+        { bankId: 1, portfolioCode: 1, reconciliationDate: 1 },
+        { unique: true }
+      );
+      await PMSReconciliationsCollection.createIndexAsync({ reconciliationDate: -1, status: 1 });
+      console.log('[RECONCILIATION] Indexes created successfully');
+    } catch (error) {
+      console.log('[RECONCILIATION] Skipping index creation (might already exist)');
+    }
+  });
+}
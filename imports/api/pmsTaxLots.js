@@ -0,0 +1,891 @@
+import { Mongo } from 'meteor/mongo';
+import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
+import { Random } from 'meteor/random';
+import { PMSHoldingsCollection } from './pmsHoldings.js';
+import { PMSOperationsCollection } from './pmsOperations.js';
+import { BankAccountsCollection } from './bankAccounts.js';
+import { PMSCorporateActionsCollection, PMSCorporateActionHelpers, CORPORATE_ACTION_STATUS } from './pmsCorporateActions.js';
+import { OPERATION_TYPES } from './constants/operationTypes.js';
+
+/**
+ * PMS Tax Lots
+ *
+ * Internal cost basis ledger rebuilt from PMSOperations, independent of the cost price
+ * each custodian reports. Lots are opened by purchases and incoming transfers, consumed
+ * by sales (FIFO or weighted average, set per bank account) and carried with their
+ * original acquisition date and cost when a position moves between two custodians of
+ * the same client entity. Applied corporate actions restate the lots.
+ *
+ * The ledger is rebuilt per client entity (so transfers between its accounts can be
+ * paired) and replaces the previous lots and realized gains of that scope.
+ * All amounts are in the security's trading currency.
+ */
+export const PMSTaxLotsCollection = new Mongo.Collection('pmsTaxLots');
+export const PMSRealizedGainsCollection = new Mongo.Collection('pmsRealizedGains');
+
+export const COST_BASIS_METHODS = {
+  FIFO: 'FIFO',
+  WEIGHTED_AVERAGE: 'WEIGHTED_AVERAGE'
+};
+
+export const LOT_SOURCES = {
+  PURCHASE: 'purchase',
+  TRANSFER: 'transfer',                  // Carried from another account of the same client
+  TRANSFER_IN: 'transfer_in',            // Delivered from outside, cost from the bank
+  CORPORATE_ACTION: 'corporate_action',  // Successor or distributed security
+  OPENING_BALANCE: 'opening_balance'     // Held before the operation history starts
+};
+
+// Where a lot's cost comes from; anything but operation/ledger is an estimate
+export const COST_SOURCES = {
+  OPERATION: 'operation',
+  BANK: 'bank',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Schema for a tax lot
+ */
+const TaxLotSchema = {
+  scopeKey: String,            // entity:<entityId> or portfolio:<bankId>|<portfolioCode>
+  entityId: String,
+  userId: String,
+  bankId: String,
+  portfolioCode: String,
+  accountNumber: String,
+  isin: String,
+  securityName: String,
+  currency: String,
+  method: String,              // COST_BASIS_METHODS value
+  lotId: String,
+  acquisitionDate: Date,
+  originalQuantity: Number,
+  quantity: Number,            // Remaining
+  cost: Number,                // Remaining cost, trading currency
+  source: String,              // LOT_SOURCES value
+  costSource: String,          // COST_SOURCES value
+  sourceOperationId: String,
+  transferredFrom: Object,     // { bankId, portfolioCode } for carried lots
+  isOpen: Boolean,
+  closedAt: Date,
+  closeReason: String,         // 'sale', 'transfer_out', 'corporate_action'
+  rebuiltAt: Date
+};
+
+/**
+ * Schema for a realized gain (one per disposal)
+ */
+const RealizedGainSchema = {
+  scopeKey: String,
+  entityId: String,
+  userId: String,
+  bankId: String,
+  portfolioCode: String,
+  accountNumber: String,
+  isin: String,
+  securityName: String,
+  currency: String,
+  method: String,
+  disposalType: String,        // SELL, REDEMPTION or CORPORATE_ACTION (merger cash leg)
+  operationId: String,
+  corporateActionId: String,
+  disposalDate: Date,
+  taxYear: Number,
+  quantity: Number,
+  proceeds: Number,            // Net of fees
+  costBasis: Number,
+  realizedPnL: Number,
+  realizedPnLPercent: Number,
+  firstAcquisitionDate: Date,
+  holdingDays: Number,         // Quantity-weighted
+  lots: [Object],              // { lotId, acquisitionDate, quantity, cost }
+  hasEstimatedCost: Boolean,   // Some consumed lots have a bank or unknown cost
+  rebuiltAt: Date
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QUANTITY_TOLERANCE = 0.0001;
+
+// A transfer out and a transfer in of the same security this close are one move
+const TRANSFER_MATCH_DAYS = 10;
+
+const INFLOW_TYPES = new Set([OPERATION_TYPES.BUY, OPERATION_TYPES.SUBSCRIPTION]);
+const OUTFLOW_TYPES = new Set([OPERATION_TYPES.SELL, OPERATION_TYPES.REDEMPTION]);
+const LEDGER_TYPES = [
+  OPERATION_TYPES.BUY,
+  OPERATION_TYPES.SUBSCRIPTION,
+  OPERATION_TYPES.SELL,
+  OPERATION_TYPES.REDEMPTION,
+  OPERATION_TYPES.TRANSFER_IN,
+  OPERATION_TYPES.TRANSFER_OUT
+];
+
+const toNumber = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+const abs = (value) => Math.abs(toNumber(value) || 0);
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const toAccountNumber = (portfolioCode) => (portfolioCode || '').split('-')[0];
+const positionKey = (bankId, portfolioCode, isin) => `${bankId}|${portfolioCode}|${isin}`;
+
+/**
+ * Quantity, money amount and fees of a trade, whatever fields the bank filled.
+ * Buys cost gross + fees, sales return gross - fees; the net amount is used when
+ * the bank gives no gross amount.
+ */
+const getTradeAmounts = (operation) => {
+  const quantity = abs(operation.quantity);
+  const gross = abs(operation.grossAmount);
+  const fees = abs(operation.totalFees ?? (typeof operation.fees === 'number' ? operation.fees : 0));
+  const net = abs(operation.netAmount);
+  const price = abs(operation.price ?? operation.quote ?? operation.securityPrice);
+  const isInflow = INFLOW_TYPES.has(operation.operationType) || operation.operationType === OPERATION_TYPES.TRANSFER_IN;
+
+  let amount = null;
+  if (gross > 0) {
+    amount = isInflow ? gross + fees : Math.max(gross - fees, 0);
+  } else if (net > 0) {
+    amount = net;
+  } else if (price > 0) {
+    amount = quantity * price;
+  }
+
+  return { quantity, amount, fees };
+};
+
+const getOperationCurrency = (operation) =>
+  operation.currency || operation.securityCurrency || operation.positionCurrency || operation.netCurrency || null;
+
+/**
+ * Replays operations into lots. One instance per rebuild scope.
+ */
+class TaxLotLedger {
+  constructor({ scopeKey, methodsByAccount, rebuiltAt }) {
+    this.scopeKey = scopeKey;
+    this.methodsByAccount = methodsByAccount;
+    this.rebuiltAt = rebuiltAt;
+    this.positions = new Map();
+    this.closedLots = [];
+    this.gains = [];
+    this.lotCounter = 0;
+    this.bankCostCache = new Map();
+  }
+
+  getPosition({ bankId, portfolioCode, isin, securityName, currency, entityId, userId }) {
+    const key = positionKey(bankId, portfolioCode, isin);
+    if (!this.positions.has(key)) {
+      const accountNumber = toAccountNumber(portfolioCode);
+      this.positions.set(key, {
+        bankId,
+        portfolioCode,
+        accountNumber,
+        isin,
+        securityName: securityName || null,
+        currency: currency || null,
+        entityId: entityId || null,
+        userId: userId || null,
+        method: this.methodsByAccount.get(`${bankId}|${accountNumber}`) || COST_BASIS_METHODS.FIFO,
+        lots: []
+      });
+    }
+    const position = this.positions.get(key);
+    position.securityName = position.securityName || securityName || null;
+    position.currency = position.currency || currency || null;
+    position.entityId = position.entityId || entityId || null;
+    position.userId = position.userId || userId || null;
+    return position;
+  }
+
+  getQuantity(position) {
+    return position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  }
+
+  addLot(position, { acquisitionDate, quantity, cost, source, costSource, sourceOperationId = null, transferredFrom = null }) {
+    if (quantity <= QUANTITY_TOLERANCE) return;
+
+    // Weighted average keeps a single pooled lot per position
+    if (position.method === COST_BASIS_METHODS.WEIGHTED_AVERAGE && position.lots.length > 0) {
+      const pool = position.lots[0];
+      pool.quantity += quantity;
+      pool.originalQuantity += quantity;
+      pool.cost += cost;
+      if (costSource !== COST_SOURCES.OPERATION) pool.costSource = costSource;
+      return;
+    }
+
+    this.lotCounter += 1;
+    position.lots.push({
+      lotId: `${this.scopeKey}:${this.lotCounter}`,
+      acquisitionDate,
+      originalQuantity: quantity,
+      quantity,
+      cost,
+      source,
+      costSource,
+      sourceOperationId,
+      transferredFrom
+    });
+  }
+
+  /**
+   * Cost per unit the bank reported for a position, at or before (or after) a date
+   */
+  async getBankUnitCost(position, date, { after = false } = {}) {
+    const cacheKey = `${positionKey(position.bankId, position.portfolioCode, position.isin)}|${date.getTime()}|${after}`;
+    if (this.bankCostCache.has(cacheKey)) return this.bankCostCache.get(cacheKey);
+
+    const holding = await PMSHoldingsCollection.findOneAsync(
+      {
+        bankId: position.bankId,
+        portfolioCode: position.portfolioCode,
+        isin: position.isin,
+        quantity: { $gt: 0 },
+        costBasisOriginalCurrency: { $gt: 0 },
+        snapshotDate: after ? { $gte: date } : { $lte: date }
+      },
+      {
+        sort: { snapshotDate: after ? 1 : -1 },
+        fields: { quantity: 1, costBasisOriginalCurrency: 1 }
+      }
+    );
+
+    const unitCost = holding ? holding.costBasisOriginalCurrency / holding.quantity : null;
+    this.bankCostCache.set(cacheKey, unitCost);
+    return unitCost;
+  }
+
+  /**
+   * Take a quantity out of a position. A shortfall (shares held before the operation
+   * history starts) is covered by an opening lot at the bank's cost.
+   */
+  async consume(position, quantity, date, closeReason) {
+    const available = this.getQuantity(position);
+    if (available < quantity - QUANTITY_TOLERANCE) {
+      const shortfall = quantity - available;
+      const unitCost = await this.getBankUnitCost(position, new Date(date.getTime() - DAY_MS))
+        ?? await this.getBankUnitCost(position, date, { after: true });
+      this.addLot(position, {
+        acquisitionDate: null,
+        quantity: shortfall,
+        cost: unitCost != null ? unitCost * shortfall : 0,
+        source: LOT_SOURCES.OPENING_BALANCE,
+        costSource: unitCost != null ? COST_SOURCES.BANK : COST_SOURCES.UNKNOWN
+      });
+      // Opening lots are the oldest
+      if (position.method === COST_BASIS_METHODS.FIFO) {
+        position.lots.unshift(position.lots.pop());
+      }
+    }
+
+    const pieces = [];
+    let remaining = quantity;
+    while (remaining > QUANTITY_TOLERANCE && position.lots.length > 0) {
+      const lot = position.lots[0];
+      const taken = Math.min(lot.quantity, remaining);
+      const cost = lot.quantity > 0 ? lot.cost * (taken / lot.quantity) : 0;
+
+      pieces.push({
+        lotId: lot.lotId,
+        acquisitionDate: lot.acquisitionDate,
+        quantity: taken,
+        cost,
+        source: lot.source,
+        costSource: lot.costSource
+      });
+
+      lot.quantity -= taken;
+      lot.cost -= cost;
+      remaining -= taken;
+
+      if (lot.quantity <= QUANTITY_TOLERANCE) {
+        position.lots.shift();
+        this.closedLots.push({ ...lot, quantity: 0, cost: 0, position, closedAt: date, closeReason });
+      }
+    }
+    return pieces;
+  }
+
+  recordGain(position, { disposalType, operationId = null, corporateActionId = null, date, quantity, proceeds, pieces }) {
+    const costBasis = pieces.reduce((sum, p) => sum + p.cost, 0);
+    const realizedPnL = proceeds - costBasis;
+    const datedPieces = pieces.filter(p => p.acquisitionDate);
+    const datedQuantity = datedPieces.reduce((sum, p) => sum + p.quantity, 0);
+
+    this.gains.push({
+      position,
+      disposalType,
+      operationId,
+      corporateActionId,
+      disposalDate: date,
+      taxYear: date.getUTCFullYear(),
+      quantity,
+      proceeds: round(proceeds),
+      costBasis: round(costBasis),
+      realizedPnL: round(realizedPnL),
+      realizedPnLPercent: costBasis > 0 ? round((realizedPnL / costBasis) * 100) : null,
+      firstAcquisitionDate: datedPieces.length > 0
+        ? new Date(Math.min(...datedPieces.map(p => p.acquisitionDate.getTime())))
+        : null,
+      holdingDays: datedQuantity > 0
+        ? Math.round(datedPieces.reduce((sum, p) => sum + p.quantity * (date - p.acquisitionDate) / DAY_MS, 0) / datedQuantity)
+        : null,
+      lots: pieces.map(({ lotId, acquisitionDate, quantity: q, cost }) => ({ lotId, acquisitionDate, quantity: q, cost: round(cost) })),
+      hasEstimatedCost: pieces.some(p => p.costSource !== COST_SOURCES.OPERATION)
+    });
+  }
+
+  positionFor(operation) {
+    return this.getPosition({
+      bankId: operation.bankId,
+      portfolioCode: operation.portfolioCode,
+      isin: operation.isin,
+      securityName: operation.securityName || operation.instrumentName,
+      currency: getOperationCurrency(operation),
+      entityId: operation.entityId,
+      userId: operation.userId
+    });
+  }
+
+  async applyPurchase(operation) {
+    const position = this.positionFor(operation);
+    const { quantity, amount } = getTradeAmounts(operation);
+    this.addLot(position, {
+      acquisitionDate: operation.operationDate,
+      quantity,
+      cost: amount ?? 0,
+      source: LOT_SOURCES.PURCHASE,
+      costSource: amount != null ? COST_SOURCES.OPERATION : COST_SOURCES.UNKNOWN,
+      sourceOperationId: operation._id
+    });
+  }
+
+  async applySale(operation) {
+    const position = this.positionFor(operation);
+    const { quantity, amount } = getTradeAmounts(operation);
+    const pieces = await this.consume(position, quantity, operation.operationDate, 'sale');
+    this.recordGain(position, {
+      disposalType: operation.operationType,
+      operationId: operation._id,
+      date: operation.operationDate,
+      quantity,
+      proceeds: amount ?? 0,
+      pieces
+    });
+  }
+
+  /**
+   * Delivery from outside the client's accounts: cost from the transfer amount when
+   * the bank gives one, otherwise from the bank's cost price once the position appears
+   */
+  async applyTransferIn(operation) {
+    const position = this.positionFor(operation);
+    const { quantity, amount } = getTradeAmounts(operation);
+
+    let cost = amount;
+    let costSource = COST_SOURCES.OPERATION;
+    if (!cost) {
+      const unitCost = await this.getBankUnitCost(position, operation.operationDate, { after: true });
+      cost = unitCost != null ? unitCost * quantity : 0;
+      costSource = unitCost != null ? COST_SOURCES.BANK : COST_SOURCES.UNKNOWN;
+    }
+
+    this.addLot(position, {
+      acquisitionDate: operation.operationDate,
+      quantity,
+      cost,
+      source: LOT_SOURCES.TRANSFER_IN,
+      costSource,
+      sourceOperationId: operation._id
+    });
+  }
+
+  async applyTransferOut(operation) {
+    const position = this.positionFor(operation);
+    await this.consume(position, abs(operation.quantity), operation.operationDate, 'transfer_out');
+  }
+
+  /**
+   * Move between two accounts of the client: lots keep acquisition date and cost
+   */
+  async applyPairedTransfer(outOperation, inOperation) {
+    const source = this.positionFor(outOperation);
+    const target = this.positionFor(inOperation);
+    const date = outOperation.operationDate < inOperation.operationDate ? outOperation.operationDate : inOperation.operationDate;
+    const pieces = await this.consume(source, abs(outOperation.quantity), date, 'transfer_out');
+
+    // Quantities may differ marginally between the two bookings
+    const outQuantity = pieces.reduce((sum, p) => sum + p.quantity, 0);
+    const scale = outQuantity > 0 ? abs(inOperation.quantity) / outQuantity : 1;
+
+    for (const piece of pieces) {
+      this.addLot(target, {
+        acquisitionDate: piece.acquisitionDate,
+        quantity: piece.quantity * scale,
+        cost: piece.cost,
+        source: LOT_SOURCES.TRANSFER,
+        costSource: piece.costSource,
+        sourceOperationId: inOperation._id,
+        transferredFrom: { bankId: source.bankId, portfolioCode: source.portfolioCode }
+      });
+    }
+  }
+
+  /**
+   * Restate the lots of every position the event covered
+   */
+  async applyCorporateAction(event) {
+    for (const adjustment of event.adjustments || []) {
+      const position = this.positions.get(positionKey(adjustment.bankId, adjustment.portfolioCode, event.isin));
+      if (!position || position.lots.length === 0) continue;
+
+      const lots = position.lots;
+      position.lots = [];
+      let cashProceeds = 0;
+      const realizedPieces = [];
+      let disposedQuantity = 0;
+
+      for (const lot of lots) {
+        const { lines, cashProceeds: lotCash, realizedCostBasisOriginalCurrency } = PMSCorporateActionHelpers.getPostEventLines(
+          event,
+          { quantity: lot.quantity, costBasisOriginalCurrency: lot.cost, costBasisPortfolioCurrency: null }
+        );
+
+        for (const line of lines) {
+          if (line.isin === event.isin) {
+            position.lots.push({ ...lot, quantity: line.quantity, cost: line.costBasisOriginalCurrency });
+          } else {
+            const target = this.getPosition({
+              bankId: position.bankId,
+              portfolioCode: position.portfolioCode,
+              isin: line.isin,
+              securityName: event.newSecurityName,
+              currency: position.currency,
+              entityId: position.entityId,
+              userId: position.userId
+            });
+            this.addLot(target, {
+              acquisitionDate: lot.acquisitionDate,
+              quantity: line.quantity,
+              cost: line.costBasisOriginalCurrency,
+              source: LOT_SOURCES.CORPORATE_ACTION,
+              costSource: lot.costSource,
+              sourceOperationId: lot.sourceOperationId
+            });
+          }
+        }
+
+        if (!lines.some(line => line.isin === event.isin)) {
+          this.closedLots.push({ ...lot, quantity: 0, cost: 0, position, closedAt: event.effectiveDate, closeReason: 'corporate_action' });
+        }
+
+        if (lotCash > 0) {
+          cashProceeds += lotCash;
+          const stockFraction = PMSCorporateActionHelpers.getStockFraction(event);
+          disposedQuantity += lot.quantity * (1 - stockFraction);
+          realizedPieces.push({
+            lotId: lot.lotId,
+            acquisitionDate: lot.acquisitionDate,
+            quantity: lot.quantity * (1 - stockFraction),
+            cost: realizedCostBasisOriginalCurrency || 0,
+            costSource: lot.costSource
+          });
+        }
+      }
+
+      if (realizedPieces.length > 0) {
+        this.recordGain(position, {
+          disposalType: OPERATION_TYPES.CORPORATE_ACTION,
+          corporateActionId: event._id,
+          date: event.effectiveDate,
+          quantity: disposedQuantity,
+          proceeds: cashProceeds,
+          pieces: realizedPieces
+        });
+      }
+    }
+  }
+
+  /**
+   * Positions the bank reports beyond what the operations explain get an opening lot
+   */
+  addOpeningBalances(holdings, firstSnapshotByKey) {
+    for (const holding of holdings) {
+      const position = this.getPosition({
+        bankId: holding.bankId,
+        portfolioCode: holding.portfolioCode,
+        isin: holding.isin,
+        securityName: holding.securityName,
+        currency: holding.currency,
+        entityId: holding.entityId,
+        userId: holding.userId
+      });
+      const missing = (holding.quantity || 0) - this.getQuantity(position);
+      if (missing <= QUANTITY_TOLERANCE) continue;
+
+      const hasBankCost = holding.costBasisOriginalCurrency != null && holding.quantity > 0;
+      this.addLot(position, {
+        acquisitionDate: firstSnapshotByKey.get(holding.uniqueKey) || null,
+        quantity: missing,
+        cost: hasBankCost ? holding.costBasisOriginalCurrency * (missing / holding.quantity) : 0,
+        source: LOT_SOURCES.OPENING_BALANCE,
+        costSource: hasBankCost ? COST_SOURCES.BANK : COST_SOURCES.UNKNOWN
+      });
+    }
+  }
+
+  toDocuments() {
+    const describe = (position) => ({
+      scopeKey: this.scopeKey,
+      entityId: position.entityId,
+      userId: position.userId,
+      bankId: position.bankId,
+      portfolioCode: position.portfolioCode,
+      accountNumber: position.accountNumber,
+      isin: position.isin,
+      securityName: position.securityName,
+      currency: position.currency,
+      method: position.method,
+      rebuiltAt: this.rebuiltAt
+    });
+
+    const lots = [];
+    for (const position of this.positions.values()) {
+      for (const lot of position.lots) {
+        lots.push({ ...describe(position), ...lot, cost: round(lot.cost, 4), isOpen: true });
+      }
+    }
+    for (const { position, ...lot } of this.closedLots) {
+      lots.push({ ...describe(position), ...lot, isOpen: false });
+    }
+
+    const gains = this.gains.map(({ position, ...gain }) => ({ ...describe(position), ...gain }));
+    return { lots, gains };
+  }
+}
+
+/**
+ * Pair each transfer out with the closest transfer in of the same security into
+ * another account of the scope
+ */
+const pairTransfers = (operations) => {
+  const outs = operations.filter(op => op.operationType === OPERATION_TYPES.TRANSFER_OUT);
+  const ins = operations.filter(op => op.operationType === OPERATION_TYPES.TRANSFER_IN);
+  const pairs = new Map();
+  const usedIns = new Set();
+
+  for (const out of outs) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const incoming of ins) {
+      if (usedIns.has(incoming._id) || incoming.isin !== out.isin) continue;
+      if (incoming.bankId === out.bankId && incoming.portfolioCode === out.portfolioCode) continue;
+
+      const distance = Math.abs(incoming.operationDate - out.operationDate);
+      const quantityGap = Math.abs(abs(incoming.quantity) - abs(out.quantity));
+      if (distance > TRANSFER_MATCH_DAYS * DAY_MS) continue;
+      if (quantityGap > Math.max(QUANTITY_TOLERANCE, abs(out.quantity) * 0.001)) continue;
+
+      if (distance < bestDistance) {
+        best = incoming;
+        bestDistance = distance;
+      }
+    }
+    if (best) {
+      usedIns.add(best._id);
+      pairs.set(out._id, best);
+    }
+  }
+  return { pairs, pairedInIds: usedIns };
+};
+
+export const PMSTaxLotHelpers = {
+  /**
+   * Rebuild lots and realized gains for a client entity, or for one portfolio that
+   * is not linked to an entity
+   */
+  async rebuild({ entityId, bankId, portfolioCode }) {
+    const rebuiltAt = new Date();
+    const scopeKey = entityId ? `entity:${entityId}` : `portfolio:${bankId}|${portfolioCode}`;
+    const scope = entityId ? { entityId } : { bankId, portfolioCode };
+
+    const accounts = await BankAccountsCollection.find(
+      entityId ? { entityId } : { bankId, accountNumber: toAccountNumber(portfolioCode) },
+      { fields: { bankId: 1, accountNumber: 1, costBasisMethod: 1 } }
+    ).fetchAsync();
+    const methodsByAccount = new Map(
+      accounts.filter(a => a.costBasisMethod).map(a => [`${a.bankId}|${a.accountNumber}`, a.costBasisMethod])
+    );
+
+    const operations = await PMSOperationsCollection.find({
+      ...scope,
+      isActive: { $ne: false },
+      isin: { $nin: [null, ''] },
+      operationType: { $in: LEDGER_TYPES },
+      quantity: { $nin: [null, 0] },
+      corporateActionId: { $exists: false }
+    }, { sort: { operationDate: 1, inputDate: 1 } }).fetchAsync();
+
+    // Consolidated copies repeat the bank lines and would open their lots a second time
+    const holdings = await PMSHoldingsCollection.find({
+      portfolioCode: { $ne: 'CONSOLIDATED' },
+      ...scope,
+      isLatest: true,
+      isActive: { $ne: false },
+      isin: { $nin: [null, ''] },
+      securityType: { $ne: 'CASH' }
+    }).fetchAsync();
+
+    const portfolioKeys = new Set([
+      ...operations.map(op => `${op.bankId}|${op.portfolioCode}`),
+      ...holdings.map(h => `${h.bankId}|${h.portfolioCode}`)
+    ]);
+
+    const events = portfolioKeys.size > 0
+      ? (await PMSCorporateActionsCollection.find({
+        status: CORPORATE_ACTION_STATUS.APPLIED
+      }, { sort: { effectiveDate: 1 } }).fetchAsync())
+        .filter(event => (event.adjustments || []).some(a => portfolioKeys.has(`${a.bankId}|${a.portfolioCode}`)))
+      : [];
+
+    const { pairs, pairedInIds } = pairTransfers(operations);
+
+    // Timeline: corporate actions first on their day, then deliveries, then disposals
+    const timeline = [
+      ...events.map(event => ({ date: event.effectiveDate, order: 0, event })),
+      ...operations
+        .filter(op => !pairedInIds.has(op._id))
+        .map(op => {
+          const paired = pairs.get(op._id);
+          const date = paired && paired.operationDate < op.operationDate ? paired.operationDate : op.operationDate;
+          const isOutflow = OUTFLOW_TYPES.has(op.operationType) || (op.operationType === OPERATION_TYPES.TRANSFER_OUT && !paired);
+          return { date, order: isOutflow ? 2 : 1, operation: op, paired };
+        })
+    ].sort((a, b) => (a.date - b.date) || (a.order - b.order));
+
+    const ledger = new TaxLotLedger({ scopeKey, methodsByAccount, rebuiltAt });
+
+    for (const item of timeline) {
+      if (item.event) {
+        await ledger.applyCorporateAction(item.event);
+        continue;
+      }
+
+      const { operation, paired } = item;
+      const type = operation.operationType;
+      if (paired) {
+        await ledger.applyPairedTransfer(operation, paired);
+      } else if (INFLOW_TYPES.has(type)) {
+        await ledger.applyPurchase(operation);
+      } else if (OUTFLOW_TYPES.has(type)) {
+        await ledger.applySale(operation);
+      } else if (type === OPERATION_TYPES.TRANSFER_IN) {
+        await ledger.applyTransferIn(operation);
+      } else if (type === OPERATION_TYPES.TRANSFER_OUT) {
+        await ledger.applyTransferOut(operation);
+      }
+    }
+
+    // Opening lots for what the bank holds beyond the operation history
+    const firstSnapshots = holdings.length > 0
+      ? await PMSHoldingsCollection.rawCollection().aggregate([
+        { $match: { uniqueKey: { $in: holdings.map(h => h.uniqueKey) } } },
+        { $group: { _id: '$uniqueKey', firstSnapshotDate: { $min: '$snapshotDate' } } }
+      ]).toArray()
+      : [];
+    ledger.addOpeningBalances(holdings, new Map(firstSnapshots.map(s => [s._id, s.firstSnapshotDate])));
+
+    const { lots, gains } = ledger.toDocuments();
+
+    await PMSTaxLotsCollection.removeAsync({ scopeKey });
+    await PMSRealizedGainsCollection.removeAsync({ scopeKey });
+    if (lots.length > 0) {
+      await PMSTaxLotsCollection.rawCollection().insertMany(lots.map(lot => ({ _id: Random.id(), ...lot })));
+    }
+    if (gains.length > 0) {
+      await PMSRealizedGainsCollection.rawCollection().insertMany(gains.map(gain => ({ _id: Random.id(), ...gain })));
+    }
+
+    const updatedHoldings = await this.stampHoldings(holdings, ledger);
+
+    console.log(`[TAX_LOTS] Rebuilt ${scopeKey}: ${operations.length} operations, ${events.length} corporate actions, ${lots.filter(l => l.isOpen).length} open lots, ${gains.length} disposals`);
+
+    return {
+      scopeKey,
+      operations: operations.length,
+      corporateActions: events.length,
+      openLots: lots.filter(l => l.isOpen).length,
+      disposals: gains.length,
+      updatedHoldings
+    };
+  },
+
+  /**
+   * Write ledger cost and unrealized P&L on the current holdings (bank figures untouched)
+   */
+  async stampHoldings(holdings, ledger) {
+    let updated = 0;
+    for (const holding of holdings) {
+      const position = ledger.positions.get(positionKey(holding.bankId, holding.portfolioCode, holding.isin));
+      if (!position) continue;
+
+      const quantity = ledger.getQuantity(position);
+      const cost = position.lots.reduce((sum, lot) => sum + lot.cost, 0);
+      const marketValue = holding.marketValueOriginalCurrency;
+      const quantityMatches = Math.abs(quantity - (holding.quantity || 0)) <= Math.max(QUANTITY_TOLERANCE, Math.abs(holding.quantity || 0) * QUANTITY_TOLERANCE);
+
+      // Several holdings can share a position (same ISIN in two currencies), cost is split by quantity
+      const share = quantity > 0 ? Math.min((holding.quantity || 0) / quantity, 1) : 0;
+      const ledgerCost = cost * share;
+      const unrealized = marketValue != null ? marketValue - ledgerCost : null;
+
+      await PMSHoldingsCollection.updateAsync(holding._id, {
+        $set: {
+          ledgerCostMethod: position.method,
+          ledgerCostBasisOriginalCurrency: round(ledgerCost),
+          ledgerUnrealizedPnLOriginalCurrency: unrealized != null ? round(unrealized) : null,
+          ledgerUnrealizedPnLPercent: unrealized != null && ledgerCost > 0 ? round((unrealized / ledgerCost) * 100) : null,
+          ledgerQuantityMatches: quantityMatches,
+          ledgerHasEstimatedCost: position.lots.some(lot => lot.costSource !== COST_SOURCES.OPERATION),
+          ledgerUpdatedAt: ledger.rebuiltAt
+        }
+      });
+      updated++;
+    }
+    return updated;
+  },
+
+  /**
+   * Rebuild every scope with operations or holdings at a bank
+   */
+  async rebuildForBank(bankId) {
+    check(bankId, String);
+
+    const entityIds = (await Promise.all([
+      PMSOperationsCollection.rawCollection().distinct('entityId', { bankId }),
+      PMSHoldingsCollection.rawCollection().distinct('entityId', { bankId, isLatest: true })
+    ])).flat().filter(Boolean);
+
+    const orphanPortfolios = await PMSHoldingsCollection.rawCollection().distinct('portfolioCode', {
+      bankId,
+      isLatest: true,
+      entityId: { $in: [null] },
+      portfolioCode: { $ne: 'CONSOLIDATED' }
+    });
+
+    const results = [];
+    for (const entityId of new Set(entityIds)) {
+      try {
+        results.push(await this.rebuild({ entityId }));
+      } catch (error) {
+        console.error(`[TAX_LOTS] Rebuild failed for entity ${entityId}: ${error.message}`);
+        results.push({ scopeKey: `entity:${entityId}`, error: error.message });
+      }
+    }
+    for (const portfolioCode of orphanPortfolios) {
+      try {
+        results.push(await this.rebuild({ bankId, portfolioCode }));
+      } catch (error) {
+        console.error(`[TAX_LOTS] Rebuild failed for ${bankId}/${portfolioCode}: ${error.message}`);
+        results.push({ scopeKey: `portfolio:${bankId}|${portfolioCode}`, error: error.message });
+      }
+    }
+    return results;
+  },
+
+  /**
+   * Realized gains for a set of accounts and tax year, with totals per currency
+   * (per client entity and overall). accounts: [{ bankId, accountNumber }], null for all.
+   */
+  async getRealizedGainsReport({ accounts, taxYear }) {
+    const scope = accounts
+      ? { $or: accounts.map(a => ({ bankId: a.bankId, accountNumber: a.accountNumber })) }
+      : {};
+
+    if (accounts && accounts.length === 0) {
+      return { taxYear, availableYears: [], entities: [], totals: {}, unrealizedTotals: {} };
+    }
+
+    const availableYears = (await PMSRealizedGainsCollection.rawCollection().distinct('taxYear', scope)).sort((a, b) => b - a);
+    const year = taxYear || availableYears[0] || new Date().getUTCFullYear();
+
+    const gains = await PMSRealizedGainsCollection.find(
+      { ...scope, taxYear: year },
+      { sort: { disposalDate: 1 } }
+    ).fetchAsync();
+
+    const addToTotals = (totals, gain) => {
+      const currency = gain.currency || 'N/A';
+      if (!totals[currency]) {
+        totals[currency] = { proceeds: 0, costBasis: 0, realizedPnL: 0, gains: 0, losses: 0, disposals: 0 };
+      }
+      const t = totals[currency];
+      t.proceeds += gain.proceeds;
+      t.costBasis += gain.costBasis;
+      t.realizedPnL += gain.realizedPnL;
+      if (gain.realizedPnL >= 0) t.gains += gain.realizedPnL;
+      else t.losses += gain.realizedPnL;
+      t.disposals += 1;
+    };
+
+    const byEntity = new Map();
+    const totals = {};
+    for (const gain of gains) {
+      const key = gain.entityId || gain.userId || `${gain.bankId}|${gain.portfolioCode}`;
+      if (!byEntity.has(key)) {
+        byEntity.set(key, { entityId: gain.entityId || null, userId: gain.userId || null, totals: {}, disposals: [] });
+      }
+      const entity = byEntity.get(key);
+      entity.disposals.push(gain);
+      addToTotals(entity.totals, gain);
+      addToTotals(totals, gain);
+    }
+
+    // Unrealized P&L on current holdings, on the same ledger cost basis
+    const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const holdingScope = accounts
+      ? { $or: accounts.map(a => ({ bankId: a.bankId, portfolioCode: { $regex: `^${escape(a.accountNumber)}(-.*)?$` } })) }
+      : { portfolioCode: { $ne: 'CONSOLIDATED' } };
+    const holdings = await PMSHoldingsCollection.find(
+      { ...holdingScope, isLatest: true, isActive: { $ne: false }, ledgerUpdatedAt: { $exists: true } },
+      { fields: { currency: 1, marketValueOriginalCurrency: 1, ledgerCostBasisOriginalCurrency: 1, ledgerUnrealizedPnLOriginalCurrency: 1, ledgerQuantityMatches: 1 } }
+    ).fetchAsync();
+
+    const unrealizedTotals = {};
+    for (const holding of holdings) {
+      if (holding.ledgerUnrealizedPnLOriginalCurrency == null) continue;
+      const currency = holding.currency || 'N/A';
+      if (!unrealizedTotals[currency]) {
+        unrealizedTotals[currency] = { marketValue: 0, costBasis: 0, unrealizedPnL: 0, positions: 0, mismatchedPositions: 0 };
+      }
+      const t = unrealizedTotals[currency];
+      t.marketValue += holding.marketValueOriginalCurrency || 0;
+      t.costBasis += holding.ledgerCostBasisOriginalCurrency || 0;
+      t.unrealizedPnL += holding.ledgerUnrealizedPnLOriginalCurrency;
+      t.positions += 1;
+      if (holding.ledgerQuantityMatches === false) t.mismatchedPositions += 1;
+    }
+
+    return {
+      taxYear: year,
+      availableYears,
+      entities: Array.from(byEntity.values()),
+      totals,
+      unrealizedTotals
+    };
+  }
+};
+
+// Create indexes on server startup
+if (Meteor.isServer) {
+  Meteor.startup(async () => {
+    try {
+      await PMSTaxLotsCollection.createIndexAsync({ scopeKey: 1 });
+      await PMSTaxLotsCollection.createIndexAsync({ bankId: 1, portfolioCode: 1, isin: 1, isOpen: 1 });
+      await PMSRealizedGainsCollection.createIndexAsync({ scopeKey: 1 });
+      await PMSRealizedGainsCollection.createIndexAsync({ bankId: 1, accountNumber: 1, taxYear: 1 });
+      await PMSRealizedGainsCollection.createIndexAsync({ entityId: 1, taxYear: 1 });
+      console.log('[TAX_LOTS] Indexes created successfully');
+    } catch (error) {
+      console.log('[TAX_LOTS] Skipping index creation (might already exist)');
+    }
+  });
+}
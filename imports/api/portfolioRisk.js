@@ -0,0 +1,393 @@
+import { PMSHoldingsCollection } from './pmsHoldings.js';
+import { SecuritiesMetadataCollection } from './securitiesMetadata.js';
+import { ProductsCollection } from './products.js';
+import { ProductPricesCollection } from './productPrices.js';
+import { BankAccountsCollection } from './bankAccounts.js';
+import { AccountProfilesCollection, getRiskLimits } from './accountProfiles.js';
+import { PortfolioSnapshotHelpers, isCashHolding } from './portfolioSnapshots.js';
+import { SECURITY_TYPES } from './constants/instrumentTypes.js';
+
+/**
+ * Portfolio Risk
+ *
+ * Risk metrics of a set of portfolios over a reporting period:
+ * - realized volatility, max drawdown and Sharpe ratio from the TWR series
+ *   of the PortfolioSnapshots history (risk-free rate: the €STR proxy of
+ *   the built-in benchmarks over the same period)
+ * - historical and parametric 95% / 99% VaR from a historical simulation
+ *   of the current holdings over their price histories (MarketDataCache
+ *   for listed securities, ProductPrices for structured products), or from
+ *   the portfolio's own returns when too few holdings have prices
+ * - issuer / underlying / single-name concentration of the current holdings
+ * - for a single account, breaches of the account's risk limits
+ *   (AccountProfiles.riskLimits over DEFAULT_RISK_LIMITS)
+ *
+ * Calculations live in helpers/riskCalculator.js; this module only loads
+ * and shapes the data.
+ */
+
+// Securities priced from MarketDataCache through their EOD ticker
+const LISTED_SECURITY_TYPES = [SECURITY_TYPES.EQUITY, SECURITY_TYPES.ETF];
+
+// Holdings simulation is used for VaR when it covers at least this share of the invested value
+const MIN_SIMULATION_COVERAGE = 0.5;
+
+const toDateKey = (date) => (date instanceof Date ? date.toISOString() : String(date)).split('T')[0];
+
+/**
+ * Look-through key of a structured product underlying
+ * Prefers the EOD ticker of a held security with the same ISIN so that
+ * direct holdings and products on the same name are grouped together.
+ */
+const underlyingKey = (underlying, eodTickerByIsin) => {
+  if (underlying.isin && eodTickerByIsin.has(underlying.isin)) {
+    return eodTickerByIsin.get(underlying.isin).toUpperCase();
+  }
+  const identifier = underlying.fullTicker || underlying.ticker || underlying.symbol || underlying.isin || underlying.name;
+  return identifier ? String(identifier).toUpperCase() : null;
+};
+
+export const PortfolioRiskHelpers = {
+  /**
+   * Current positions of the portfolios, valued in the reporting currency
+   * Positions are summed per ISIN across portfolios; structured products
+   * carry the issuer and underlyings of the matching Products document.
+   *
+   * @param {Array<string>} portfolioCodes
+   * @param {Object} [fx] - { reportingCurrency, portfolioCurrencies, ratesMap } from calculateTWRSeries
+   * @returns {Object} { positions: [{ key, isin, name, securityType, value, isCash, eodTicker,
+   *   issuer, underlyings, underlyingKey }], totalValue, asOfDate }
+   */
+  async loadCurrentHoldings(portfolioCodes, fx = null) {
+    const { convertCurrency } = await import('./helpers/cashCalculator.js');
+    const translate = !!(fx?.reportingCurrency && fx.ratesMap);
+
+    const holdings = await PMSHoldingsCollection.find(
+      { portfolioCode: { $in: portfolioCodes }, isLatest: true, isActive: { $ne: false } },
+      {
+        fields: {
+          uniqueKey: 1, portfolioCode: 1, isin: 1, securityName: 1, securityType: 1,
+          marketValue: 1, snapshotDate: 1
+        }
+      }
+    ).fetchAsync();
+
+    const isins = [...new Set(holdings.map(h => h.isin).filter(Boolean))];
+    const metadataRecords = isins.length > 0
+      ? await SecuritiesMetadataCollection.find({ isin: { $in: isins } }, { fields: { isin: 1, eodTicker: 1 } }).fetchAsync()
+      : [];
+    const eodTickerByIsin = new Map(metadataRecords.filter(m => m.eodTicker).map(m => [m.isin, m.eodTicker]));
+
+    const products = isins.length > 0
+      ? await ProductsCollection.find({ isin: { $in: isins } }, { fields: { isin: 1, issuer: 1, underlyings: 1 } }).fetchAsync()
+      : [];
+    const productByIsin = new Map(products.map(p => [p.isin, p]));
+
+    const byKey = new Map();
+    let totalValue = 0;
+    let asOfDate = null;
+
+    for (const holding of holdings) {
+      const marketValue = holding.marketValue || 0;
+      const value = translate
+        ? convertCurrency(marketValue, fx.portfolioCurrencies?.[holding.portfolioCode] || 'EUR', fx.reportingCurrency, fx.ratesMap)
+        : marketValue;
+      totalValue += value;
+
+      const snapshotDate = holding.snapshotDate ? toDateKey(holding.snapshotDate) : null;
+      if (snapshotDate && (!asOfDate || snapshotDate > asOfDate)) asOfDate = snapshotDate;
+
+      const isCash = isCashHolding(holding);
+      const key = !isCash && holding.isin ? holding.isin : holding.uniqueKey;
+      const existing = byKey.get(key);
+      if (existing) {
+        existing.value += value;
+        continue;
+      }
+
+      const product = holding.isin ? productByIsin.get(holding.isin) : null;
+      const eodTicker = holding.isin ? eodTickerByIsin.get(holding.isin) || null : null;
+      byKey.set(key, {
+        key,
+        isin: holding.isin || null,
+        name: holding.securityName || holding.isin || 'Unknown',
+        securityType: holding.securityType || null,
+        value,
+        isCash,
+        eodTicker,
+        issuer: product?.issuer || null,
+        underlyings: (product?.underlyings || [])
+          .map(u => ({ key: underlyingKey(u, eodTickerByIsin), label: u.name || u.companyName || u.ticker || u.isin }))
+          .filter(u => u.key),
+        underlyingKey: eodTicker ? eodTicker.toUpperCase() : key
+      });
+    }
+
+    return { positions: [...byKey.values()], totalValue, asOfDate };
+  },
+
+  /**
+   * Price histories of the positions since fromDate
+   * Listed equities / ETFs come from MarketDataCache (EOD ticker resolved
+   * from the ISIN and refreshed when stale, like benchmark components);
+   * other securities from the uploaded ProductPrices.
+   *
+   * @param {Array} positions - loadCurrentHoldings positions
+   * @param {Date} fromDate
+   * @returns {Object} { histories: { [key]: [{ date, price }] }, sources: { [key]: 'market' | 'product' } }
+   */
+  async loadPriceHistories(positions, fromDate) {
+    const { BenchmarkHelpers } = await import('./benchmarks.js');
+    const { PMSCorporateActionHelpers } = await import('./pmsCorporateActions.js');
+    const { toPriceSeries, MIN_PRICE_POINTS } = await import('./helpers/riskCalculator.js');
+
+    const securities = positions.filter(p => !p.isCash && p.isin);
+    const histories = {};
+    const sources = {};
+
+    const tickerByKey = new Map();
+    for (const position of securities) {
+      let ticker = position.eodTicker;
+      if (!ticker && LISTED_SECURITY_TYPES.includes(position.securityType)) {
+        try {
+          ticker = await PMSCorporateActionHelpers.resolveEodTicker(position.isin);
+        } catch (error) {
+          console.error(`[RISK] Could not resolve EOD ticker for ${position.isin}: ${error.message}`);
+        }
+      }
+      if (ticker) tickerByKey.set(position.key, ticker);
+    }
+
+    if (tickerByKey.size > 0) {
+      const marketHistories = await BenchmarkHelpers.loadPriceHistories(
+        [...new Set(tickerByKey.values())].map(ticker => ({ ticker })),
+        fromDate
+      );
+      for (const [key, ticker] of tickerByKey) {
+        const series = toPriceSeries(marketHistories[ticker]);
+        if (series.length >= MIN_PRICE_POINTS) {
+          histories[key] = series;
+          sources[key] = 'market';
+        }
+      }
+    }
+
+    const unpriced = securities.filter(p => !histories[p.key]);
+    if (unpriced.length > 0) {
+      const prices = await ProductPricesCollection.find(
+        {
+          isin: { $in: unpriced.map(p => p.isin.toUpperCase()) },
+          priceDate: { $gte: fromDate },
+          isActive: true
+        },
+        { fields: { isin: 1, price: 1, priceDate: 1 } }
+      ).fetchAsync();
+
+      const pricesByIsin = new Map();
+      prices.forEach(p => {
+        if (!pricesByIsin.has(p.isin)) pricesByIsin.set(p.isin, []);
+        pricesByIsin.get(p.isin).push(p);
+      });
+
+      for (const position of unpriced) {
+        const series = toPriceSeries(pricesByIsin.get(position.isin.toUpperCase()));
+        if (series.length > 0) {
+          histories[position.key] = series;
+          sources[position.key] = 'product';
+        }
+      }
+    }
+
+    return { histories, sources };
+  },
+
+  /**
+   * Annualized risk-free rate over a period, from the €STR benchmark proxy
+   * @returns {number} 0 when the proxy has no prices for the period
+   */
+  async loadRiskFreeRate(startDate, endDate) {
+    try {
+      const { BenchmarkHelpers, BENCHMARK_INDEX_PROXIES } = await import('./benchmarks.js');
+      const { calculateAnnualizedPriceReturn } = await import('./helpers/riskCalculator.js');
+
+      const proxy = BENCHMARK_INDEX_PROXIES.ESTR;
+      const histories = await BenchmarkHelpers.loadPriceHistories([proxy], new Date(startDate));
+      return calculateAnnualizedPriceReturn(histories[proxy.ticker], startDate, endDate) ?? 0;
+    } catch (error) {
+      console.error(`[RISK] Risk-free rate unavailable: ${error.message}`);
+      return 0;
+    }
+  },
+
+  /**
+   * Calculate risk metrics for a set of portfolios
+   *
+   * @param {Object} params
+   * @param {Array<string>|null} params.portfolioCodes - Account numbers (null = all clients, not supported)
+   * @param {string} [params.period] - Window of the return history ('6M', 'YTD', '1Y', 'ALL', ...)
+   * @param {Date} [params.now]
+   * @param {string} [params.reportingCurrency] - Currency of the returns and amounts
+   * @param {boolean} [params.simulateHoldings] - Run the holdings historical simulation for VaR
+   *   (false skips the price history loading and uses the portfolio returns)
+   * @returns {Object} { hasData, period, currency, startDate, endDate, totalValue, portfolio,
+   *   valueAtRisk, concentration, limits, breaches, metadata } - limits / breaches only for a single account
+   */
+  async calculateRisk({ portfolioCodes, period = '1Y', now = new Date(), reportingCurrency = null, simulateHoldings = true }) {
+    const emptyResponse = (reason) => ({
+      hasData: false,
+      period,
+      currency: reportingCurrency,
+      reason,
+      metadata: { calculatedAt: new Date() }
+    });
+
+    if (!portfolioCodes) {
+      return emptyResponse('Select a client or an account to see the risk metrics');
+    }
+    if (portfolioCodes.length === 0) {
+      return emptyResponse('No accounts found');
+    }
+
+    const { getPeriodStartDates } = await import('./helpers/twrCalculator.js');
+    const {
+      calculatePortfolioRisk,
+      calculateValueAtRisk,
+      simulateHoldingsReturns,
+      calculateConcentration,
+      checkRiskLimits,
+      MIN_RISK_OBSERVATIONS
+    } = await import('./helpers/riskCalculator.js');
+
+    const { dailyValues, twrSeries, ratesMap, portfolioCurrencies } = await PortfolioSnapshotHelpers.calculateTWRSeries({
+      portfolioCodes,
+      endDate: now,
+      reportingCurrency
+    });
+
+    if (twrSeries.length === 0) {
+      return emptyResponse('Not enough snapshots for this period');
+    }
+
+    // Same chain-link base as the TWR periods, series rebased to it
+    const periodStart = getPeriodStartDates(now)[period];
+    const periodStartStr = periodStart ? toDateKey(periodStart) : dailyValues[0].date;
+    const allDates = dailyValues.map(v => v.date);
+    const baseDate = [...allDates].reverse().find(d => d <= periodStartStr) || allDates[0];
+    const baseCumulative = twrSeries.find(e => e.date === baseDate)?.cumulativeTWR || 0;
+    const periodSeries = twrSeries
+      .filter(e => e.date > baseDate)
+      .map(e => ({ ...e, cumulativeTWR: (1 + e.cumulativeTWR) / (1 + baseCumulative) - 1 }));
+
+    if (periodSeries.length === 0) {
+      return emptyResponse('Not enough snapshots for this period');
+    }
+
+    const endDate = periodSeries[periodSeries.length - 1].date;
+    const riskFreeRate = await this.loadRiskFreeRate(baseDate, endDate);
+    const portfolio = calculatePortfolioRisk(periodSeries, baseDate, { riskFreeRate });
+
+    const { positions, totalValue, asOfDate } = await this.loadCurrentHoldings(portfolioCodes, {
+      reportingCurrency,
+      portfolioCurrencies,
+      ratesMap
+    });
+    const concentration = calculateConcentration(positions, totalValue);
+
+    // VaR on today's holdings when their price histories cover enough of the portfolio
+    let valueAtRisk = { ...portfolio.valueAtRisk, basis: 'portfolio', coverage: null };
+    if (simulateHoldings && totalValue > 0) {
+      const { histories, sources } = await this.loadPriceHistories(positions, new Date(baseDate));
+      const weighted = positions.map(p => ({ ...p, weight: p.value / totalValue }));
+      const simulation = simulateHoldingsReturns(weighted, histories, baseDate, toDateKey(now));
+      const coverage = simulation.investedWeight > 0 ? simulation.coveredWeight / simulation.investedWeight : 0;
+
+      if (coverage >= MIN_SIMULATION_COVERAGE && simulation.returns.length >= MIN_RISK_OBSERVATIONS) {
+        valueAtRisk = {
+          ...calculateValueAtRisk(simulation.returns.map(r => r.return)),
+          basis: 'holdings',
+          coverage,
+          marketPriced: simulation.coveredKeys.filter(key => sources[key] === 'market').length,
+          productPriced: simulation.coveredKeys.filter(key => sources[key] === 'product').length
+        };
+      } else {
+        valueAtRisk.coverage = coverage;
+      }
+    }
+
+    // Breaches against the account's limits (limits are per account)
+    let limits = null;
+    let breaches = null;
+    if (portfolioCodes.length === 1) {
+      const account = await BankAccountsCollection.findOneAsync(
+        { accountNumber: portfolioCodes[0], isActive: true },
+        { fields: { _id: 1 } }
+      );
+      const profile = account ? await AccountProfilesCollection.findOneAsync({ bankAccountId: account._id }) : null;
+      limits = getRiskLimits(profile);
+      breaches = checkRiskLimits({ portfolio, valueAtRisk, concentration }, limits);
+    }
+
+    console.log(`[RISK] ${portfolioCodes.join(',')} ${period}: ${portfolio.observations} returns, vol ${portfolio.volatility !== null ? (portfolio.volatility * 100).toFixed(2) + '%' : 'n/a'}, max DD ${(portfolio.drawdown.maxDrawdown * 100).toFixed(2)}%, VaR basis ${valueAtRisk.basis}${breaches?.length ? `, ${breaches.length} breaches` : ''}`);
+
+    return {
+      hasData: true,
+      period,
+      currency: reportingCurrency,
+      startDate: baseDate,
+      endDate,
+      holdingsDate: asOfDate,
+      totalValue,
+      portfolio,
+      valueAtRisk,
+      concentration,
+      limits,
+      breaches,
+      metadata: {
+        calculatedAt: new Date(),
+        dataPoints: periodSeries.length,
+        positionCount: positions.filter(p => !p.isCash).length
+      }
+    };
+  },
+
+  /**
+   * Check every account against its risk limits
+   * One calculation per account, in the account's reference currency.
+   *
+   * @param {Object} [params]
+   * @param {Array} [params.bankAccounts] - BankAccounts documents (default: all active accounts)
+   * @param {boolean} [params.simulateHoldings] - See calculateRisk
+   * @returns {Array} [{ bankAccountId, accountNumber, userId, entityId, metric, label, limit, actual, subject }]
+   */
+  async computeRiskBreaches({ bankAccounts = null, now = new Date(), simulateHoldings = true } = {}) {
+    const accounts = bankAccounts || await BankAccountsCollection.find(
+      { isActive: true },
+      { fields: { accountNumber: 1, referenceCurrency: 1, userId: 1, entityId: 1 } }
+    ).fetchAsync();
+
+    const breaches = [];
+    for (const account of accounts) {
+      if (!account.accountNumber) continue;
+      try {
+        const risk = await this.calculateRisk({
+          portfolioCodes: [account.accountNumber],
+          now,
+          reportingCurrency: account.referenceCurrency || 'EUR',
+          simulateHoldings
+        });
+        (risk.breaches || []).forEach(breach => breaches.push({
+          bankAccountId: account._id,
+          accountNumber: account.accountNumber,
+          userId: account.userId || null,
+          entityId: account.entityId || null,
+          ...breach
+        }));
+      } catch (error) {
+        console.error(`[RISK] Limit check failed for ${account.accountNumber}: ${error.message}`);
+      }
+    }
+
+    console.log(`[RISK] Checked ${accounts.length} accounts against risk limits: ${breaches.length} breaches`);
+    return breaches;
+  }
+};
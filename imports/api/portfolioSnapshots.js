@@ -111,10 +111,292 @@ if (Meteor.isServer) {
   });
 }
 
+/**
+ * Whether a position counts as cash in snapshots (cashBalance, 'cash' breakdown)
+ * @param {Object} h - Holding (position object or PMSHoldings document)
+ * @returns {boolean}
+ */
+export function isCashHolding(h) {
+  const type = String(h.securityType || '').trim().toUpperCase();
+  const name = (h.securityName || '').toLowerCase();
+  return type === 'CASH' || type === '4' || name.includes('cash') || name.includes('money market');
+}
+
+/**
+ * Granular asset class key of an investment holding (keys of assetClassBreakdown)
+ * Uses SecuritiesMetadata first, then the holding's own enrichment, then
+ * securityType / name heuristics.
+ *
+ * @param {Object} h - Holding (position object or PMSHoldings document)
+ * @param {Object} [metadata] - SecuritiesMetadata record for the holding's ISIN
+ * @returns {string} e.g. 'equity_direct_equity', 'structured_product_capital_guaranteed', 'other'
+ */
+export function classifyHoldingCategory(h, metadata = null) {
+  let assetClass = 'other'; // Default to 'other' (standardized value)
+  let subClass = null;
+  let underlyingType = null;
+  let protectionType = null;
+
+  // First, try to get asset class and sub-class from metadata
+  if (metadata?.assetClass) {
+    assetClass = metadata.assetClass;
+    subClass = metadata.assetSubClass;
+    underlyingType = metadata.structuredProductUnderlyingType;
+    protectionType = metadata.structuredProductProtectionType;
+  }
+
+  // If no metadata, try the holding's own assetClass (from Ambervision enrichment)
+  if (assetClass === 'other' && h.assetClass) {
+    assetClass = h.assetClass;
+    // Also try to get sub-class info from bankSpecificData
+    if (h.bankSpecificData) {
+      underlyingType = h.bankSpecificData.structuredProductUnderlyingType || underlyingType;
+      protectionType = h.bankSpecificData.structuredProductProtectionType || protectionType;
+    }
+  }
+
+  // If still 'other', fall back to heuristic detection using standardized values
+  if (assetClass === 'other') {
+    const type = String(h.securityType || '').trim().toLowerCase();
+    const name = (h.securityName || '').toLowerCase();
+
+    // STRUCTURED PRODUCTS - Check FIRST (before equity/bonds since some have misleading types)
+    // Type 19 is Julius Baer's code for structured products/certificates
+    const isStructuredByType = type === 'certificate' || type === 'structured' || type === '19';
+    const isStructuredByIssuer = name.includes('sg issuer') || name.includes('julius baer express') ||
+        name.includes('bnp paribas iss') || name.includes('raiffeisen ch') ||
+        name.includes('banque intern') || name.includes('credit suisse ag') ||
+        name.includes('credit agricole') || name.includes('citigroup') ||
+        name.includes('ubs ag') || name.includes('vontobel');
+    const isStructuredByName = name.includes('autocallable') || name.includes('phoenix') ||
+        name.includes('orion') || name.includes('himalaya') || name.includes('reverse convertible') ||
+        name.includes('bar.cap') || name.includes('barrier') || name.includes('express') ||
+        name.includes('cap.prot') || name.includes('capital prot') ||
+        (name.includes('cert') && !name.includes('certificate of deposit'));
+
+    if (isStructuredByType || isStructuredByIssuer || isStructuredByName) {
+      assetClass = 'structured_product';
+      if (name.includes('capital guaranteed') || name.includes('cap.prot') ||
+          name.includes('capital protection') || name.includes('100%')) {
+        protectionType = 'capital_guaranteed_100';
+      } else if (name.includes('bar.cap') || name.includes('barrier')) {
+        protectionType = 'capital_protected_conditional';
+      }
+    } else if (type === '13' || name.includes('private equity') || name.includes('schroders capital') ||
+        name.includes('kkr') || name.includes('blackstone')) {
+      assetClass = 'private_equity';
+    } else if (type === 'money_market_fund' || (name.includes('money market') && name.includes('fund'))) {
+      assetClass = 'monetary_products';
+    } else if (type === 'fund' || type === 'etf' || name.includes('sicav') || name.includes('ucits')) {
+      assetClass = 'fund';
+    } else if (type === '1' || type === 'equity' || type === 'stock') {
+      assetClass = 'equity';
+      if (name.includes('fund') || name.includes('etf')) {
+        subClass = 'equity_fund';
+      } else {
+        subClass = 'direct_equity';
+      }
+    } else if (type === '2' || type === 'bond' || name.includes('treasury')) {
+      assetClass = 'fixed_income';
+      if (name.includes('fund')) {
+        subClass = 'fixed_income_fund';
+      } else {
+        subClass = 'direct_bond';
+      }
+    } else if (type === 'cash') {
+      assetClass = 'cash';
+    } else if (type === 'term_deposit' || name.includes('term deposit') || name.includes('time deposit') || name.includes('fixed deposit')) {
+      assetClass = 'time_deposit';
+    } else if (name.includes('gold') || name.includes('commodity') || name.includes('metal')) {
+      assetClass = 'commodities';
+    }
+  }
+
+  // Build granular category key
+  let categoryKey = assetClass;
+
+  if (assetClass === 'structured_product') {
+    // Prioritize protection type (capital guaranteed is most important)
+    if (protectionType === 'capital_guaranteed_100') {
+      categoryKey = 'structured_product_capital_guaranteed';
+    } else if (protectionType === 'capital_guaranteed_partial') {
+      categoryKey = 'structured_product_partial_guarantee';
+    } else if (protectionType === 'capital_protected_conditional') {
+      categoryKey = 'structured_product_barrier_protected';
+    } else if (underlyingType) {
+      // If no specific protection, use underlying type
+      categoryKey = `structured_product_${underlyingType}`;
+    }
+    // Otherwise just 'structured_product'
+  } else if (assetClass === 'equity' && subClass) {
+    categoryKey = `equity_${subClass}`;
+  } else if (assetClass === 'fixed_income' && subClass) {
+    categoryKey = `fixed_income_${subClass}`;
+  }
+  // For cash, commodities, monetary_products, other: use base class as key
+
+  return categoryKey;
+}
+
+// Snapshot amounts (in the account's reference currency) converted when reporting in another currency
+const SNAPSHOT_AMOUNT_FIELDS = [
+  'totalAccountValue',
+  'cashBalance',
+  'totalMarketValue',
+  'totalCostBasis',
+  'totalCapitalInvested',
+  'unrealizedPnL'
+];
+
+/**
+ * Multiply the amounts of a snapshot (totals and assetClassBreakdown) by an FX rate, in place
+ * @param {Object} snapshot - PortfolioSnapshots document
+ * @param {number} rate - Account currency -> reporting currency multiplier
+ */
+function applySnapshotFxRate(snapshot, rate) {
+  for (const field of SNAPSHOT_AMOUNT_FIELDS) {
+    if (typeof snapshot[field] === 'number') snapshot[field] *= rate;
+  }
+  if (snapshot.assetClassBreakdown) {
+    snapshot.assetClassBreakdown = Object.fromEntries(
+      Object.entries(snapshot.assetClassBreakdown).map(([key, value]) => [key, (value || 0) * rate])
+    );
+  }
+}
+
 /**
  * Helper functions for portfolio snapshots
  */
 export const PortfolioSnapshotHelpers = {
+  /**
+   * FX context to report portfolios in a reporting currency
+   * Each account is converted from its BankAccounts referenceCurrency with the
+   * CurrencyCache rates of the valuation date (EOD FOREX history); currencies
+   * without history fall back to the current rates merged with the banks' own
+   * rates from recent holdings.
+   *
+   * @param {Object} params
+   * @param {Array<string>|null} params.portfolioCodes - Account numbers, or null for all accounts
+   * @param {string} [params.reportingCurrency] - null keeps the amounts as stored
+   * @param {Date} [params.fromDate] - First valuation date to convert
+   * @returns {Object} { reportingCurrency, portfolioCurrencies, ratesMap, ratesOn, hasTranslation }
+   *   ratesOn(date) returns the rates map valid on that date
+   */
+  async loadReportingFx({ portfolioCodes, reportingCurrency = null, fromDate = null }) {
+    const { CurrencyRateCacheCollection, CurrencyCache } = await import('./currencyCache.js');
+    const { PMSHoldingsCollection } = await import('./pmsHoldings.js');
+    const { BankAccountsCollection } = await import('./bankAccounts.js');
+    const { buildRatesMap, extractBankFxRates, mergeRatesMaps, buildDatedRatesLookup } = await import('./helpers/cashCalculator.js');
+
+    const codesFilter = portfolioCodes
+      ? (portfolioCodes.length === 1 ? portfolioCodes[0] : { $in: portfolioCodes })
+      : null;
+
+    const currencyRates = await CurrencyRateCacheCollection.find({}).fetchAsync();
+    const recentHoldings = await PMSHoldingsCollection.find(codesFilter ? { portfolioCode: codesFilter } : {}, {
+      limit: 100,
+      sort: { updatedAt: -1 }
+    }).fetchAsync();
+    const ratesMap = mergeRatesMaps(buildRatesMap(currencyRates), extractBankFxRates(recentHoldings));
+
+    if (!reportingCurrency) {
+      return { reportingCurrency: null, portfolioCurrencies: {}, ratesMap, ratesOn: () => ratesMap, hasTranslation: false };
+    }
+
+    // Reference currency per account: an active account wins over a closed one
+    // with the same number, and accounts without a BankAccounts record are in EUR
+    const portfolioCurrencies = Object.fromEntries((portfolioCodes || []).map(code => [code, 'EUR']));
+    const accounts = await BankAccountsCollection.find(
+      codesFilter ? { accountNumber: codesFilter } : {},
+      { fields: { accountNumber: 1, referenceCurrency: 1, isActive: 1 } }
+    ).fetchAsync();
+    accounts
+      .sort((a, b) => Number(a.isActive !== false) - Number(b.isActive !== false))
+      .forEach(a => { portfolioCurrencies[a.accountNumber] = a.referenceCurrency || 'EUR'; });
+
+    const currencies = [...new Set(Object.values(portfolioCurrencies))];
+    const hasTranslation = currencies.some(c => c !== reportingCurrency);
+
+    // Dated rates are only needed when some account is not in the reporting currency
+    let ratesOn = () => ratesMap;
+    if (hasTranslation) {
+      const historyStart = fromDate || new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+      const historicalRates = await CurrencyCache.getHistoricalRates([...currencies, reportingCurrency], historyStart);
+      ratesOn = buildDatedRatesLookup(historicalRates, ratesMap);
+    }
+
+    return { reportingCurrency, portfolioCurrencies, ratesMap, ratesOn, hasTranslation };
+  },
+
+  /**
+   * Convert snapshots from their account currency into the reporting currency, in place
+   * Amounts are converted at the rates of each snapshot's date.
+   *
+   * @param {Array} snapshots - PortfolioSnapshots documents
+   * @param {string|null} reportingCurrency - null keeps the amounts as stored
+   * @param {Object} [fx] - loadReportingFx output, loaded for the snapshots' accounts when omitted
+   * @returns {Array} The same snapshots
+   */
+  async convertSnapshotsToCurrency(snapshots, reportingCurrency, fx = null) {
+    if (!reportingCurrency || !snapshots?.length) return snapshots;
+
+    if (!fx) {
+      fx = await this.loadReportingFx({
+        portfolioCodes: [...new Set(snapshots.map(s => s.portfolioCode).filter(Boolean))],
+        reportingCurrency,
+        fromDate: snapshots.reduce((min, s) => (s.snapshotDate < min ? s.snapshotDate : min), snapshots[0].snapshotDate)
+      });
+    }
+    if (!fx.hasTranslation) return snapshots;
+
+    const { convertCurrency } = await import('./helpers/cashCalculator.js');
+
+    for (const snap of snapshots) {
+      const from = fx.portfolioCurrencies[snap.portfolioCode] || 'EUR';
+      if (from === fx.reportingCurrency) continue;
+      applySnapshotFxRate(snap, convertCurrency(1, from, fx.reportingCurrency, fx.ratesOn(snap.snapshotDate)));
+    }
+
+    return snapshots;
+  },
+
+  /**
+   * Default reporting currency of a perimeter
+   * A single account reports in its own currency; several accounts report in
+   * their client entity's referenceCurrency (the viewed entity, or the only
+   * entity owning them), else in their common currency, else in EUR.
+   *
+   * @param {Object} params
+   * @param {Array<string>|null} params.portfolioCodes - Account numbers (null = all accounts)
+   * @param {Object} [params.viewAsFilter] - { type, id } of the current view
+   * @returns {string} ISO currency code
+   */
+  async resolveReportingCurrency({ portfolioCodes, viewAsFilter = null }) {
+    if (!portfolioCodes?.length) return 'EUR';
+
+    const { BankAccountsCollection } = await import('./bankAccounts.js');
+    const { ClientEntitiesCollection } = await import('./clientEntities.js');
+
+    const accounts = await BankAccountsCollection.find(
+      { accountNumber: { $in: portfolioCodes } },
+      { fields: { referenceCurrency: 1, entityId: 1 } }
+    ).fetchAsync();
+    const currencies = [...new Set(accounts.map(a => a.referenceCurrency || 'EUR'))];
+
+    if (portfolioCodes.length === 1 && currencies.length === 1) return currencies[0];
+
+    const entityIds = [...new Set(accounts.map(a => a.entityId).filter(Boolean))];
+    const entityId = viewAsFilter?.type === 'entity' || viewAsFilter?.type === 'client'
+      ? viewAsFilter.id
+      : (entityIds.length === 1 ? entityIds[0] : null);
+    if (entityId) {
+      const entity = await ClientEntitiesCollection.findOneAsync(entityId, { fields: { referenceCurrency: 1 } });
+      if (entity?.referenceCurrency) return entity.referenceCurrency;
+    }
+
+    return currencies.length === 1 ? currencies[0] : 'EUR';
+  },
+
   /**
    * Calculate total capital invested from cash flow operations
    * Sums deposits (CREDIT) minus withdrawals (DEBIT) up to a specific date
@@ -211,17 +493,8 @@ export const PortfolioSnapshotHelpers = {
     transferOpsCache = null  // Pre-fetched transfer operations for capital invested calculation
   }) {
     // Separate cash positions from investment holdings
-    const cashHoldings = holdings.filter(h => {
-      const type = String(h.securityType || '').trim().toUpperCase();
-      const name = (h.securityName || '').toLowerCase();
-      return type === 'CASH' || type === '4' || name.includes('cash') || name.includes('money market');
-    });
-
-    const investmentHoldings = holdings.filter(h => {
-      const type = String(h.securityType || '').trim().toUpperCase();
-      const name = (h.securityName || '').toLowerCase();
-      return !(type === 'CASH' || type === '4' || name.includes('cash') || name.includes('money market'));
-    });
+    const cashHoldings = holdings.filter(h => isCashHolding(h));
+    const investmentHoldings = holdings.filter(h => !isCashHolding(h));
 
     // Calculate cash balance
     const cashBalance = cashHoldings.reduce((sum, h) => sum + (h.marketValue || 0), 0);
@@ -279,111 +552,7 @@ export const PortfolioSnapshotHelpers = {
 
     // Process only investment holdings (cash is already handled above)
     investmentHoldings.forEach(h => {
-      let assetClass = 'other'; // Default to 'other' (standardized value)
-      let subClass = null;
-      let underlyingType = null;
-      let protectionType = null;
-
-      // First, try to get asset class and sub-class from metadata
-      if (h.isin && metadataMap[h.isin]) {
-        const metadata = metadataMap[h.isin];
-        if (metadata.assetClass) {
-          assetClass = metadata.assetClass;
-          subClass = metadata.assetSubClass;
-          underlyingType = metadata.structuredProductUnderlyingType;
-          protectionType = metadata.structuredProductProtectionType;
-        }
-      }
-
-      // If no metadata, try the holding's own assetClass (from Ambervision enrichment)
-      if (assetClass === 'other' && h.assetClass) {
-        assetClass = h.assetClass;
-        // Also try to get sub-class info from bankSpecificData
-        if (h.bankSpecificData) {
-          underlyingType = h.bankSpecificData.structuredProductUnderlyingType || underlyingType;
-          protectionType = h.bankSpecificData.structuredProductProtectionType || protectionType;
-        }
-      }
-
-      // If still 'other', fall back to heuristic detection using standardized values
-      if (assetClass === 'other') {
-        const type = String(h.securityType || '').trim().toLowerCase();
-        const name = (h.securityName || '').toLowerCase();
-
-        // STRUCTURED PRODUCTS - Check FIRST (before equity/bonds since some have misleading types)
-        // Type 19 is Julius Baer's code for structured products/certificates
-        const isStructuredByType = type === 'certificate' || type === 'structured' || type === '19';
-        const isStructuredByIssuer = name.includes('sg issuer') || name.includes('julius baer express') ||
-            name.includes('bnp paribas iss') || name.includes('raiffeisen ch') ||
-            name.includes('banque intern') || name.includes('credit suisse ag') ||
-            name.includes('credit agricole') || name.includes('citigroup') ||
-            name.includes('ubs ag') || name.includes('vontobel');
-        const isStructuredByName = name.includes('autocallable') || name.includes('phoenix') ||
-            name.includes('orion') || name.includes('himalaya') || name.includes('reverse convertible') ||
-            name.includes('bar.cap') || name.includes('barrier') || name.includes('express') ||
-            name.includes('cap.prot') || name.includes('capital prot') ||
-            (name.includes('cert') && !name.includes('certificate of deposit'));
-
-        if (isStructuredByType || isStructuredByIssuer || isStructuredByName) {
-          assetClass = 'structured_product';
-          if (name.includes('capital guaranteed') || name.includes('cap.prot') ||
-              name.includes('capital protection') || name.includes('100%')) {
-            protectionType = 'capital_guaranteed_100';
-          } else if (name.includes('bar.cap') || name.includes('barrier')) {
-            protectionType = 'capital_protected_conditional';
-          }
-        } else if (type === '13' || name.includes('private equity') || name.includes('schroders capital') ||
-            name.includes('kkr') || name.includes('blackstone')) {
-          assetClass = 'private_equity';
-        } else if (type === 'money_market_fund' || (name.includes('money market') && name.includes('fund'))) {
-          assetClass = 'monetary_products';
-        } else if (type === 'fund' || type === 'etf' || name.includes('sicav') || name.includes('ucits')) {
-          assetClass = 'fund';
-        } else if (type === '1' || type === 'equity' || type === 'stock') {
-          assetClass = 'equity';
-          if (name.includes('fund') || name.includes('etf')) {
-            subClass = 'equity_fund';
-          } else {
-            subClass = 'direct_equity';
-          }
-        } else if (type === '2' || type === 'bond' || name.includes('treasury')) {
-          assetClass = 'fixed_income';
-          if (name.includes('fund')) {
-            subClass = 'fixed_income_fund';
-          } else {
-            subClass = 'direct_bond';
-          }
-        } else if (type === 'cash') {
-          assetClass = 'cash';
-        } else if (type === 'term_deposit' || name.includes('term deposit') || name.includes('time deposit') || name.includes('fixed deposit')) {
-          assetClass = 'time_deposit';
-        } else if (name.includes('gold') || name.includes('commodity') || name.includes('metal')) {
-          assetClass = 'commodities';
-        }
-      }
-
-      // Build granular category key
-      let categoryKey = assetClass;
-
-      if (assetClass === 'structured_product') {
-        // Prioritize protection type (capital guaranteed is most important)
-        if (protectionType === 'capital_guaranteed_100') {
-          categoryKey = 'structured_product_capital_guaranteed';
-        } else if (protectionType === 'capital_guaranteed_partial') {
-          categoryKey = 'structured_product_partial_guarantee';
-        } else if (protectionType === 'capital_protected_conditional') {
-          categoryKey = 'structured_product_barrier_protected';
-        } else if (underlyingType) {
-          // If no specific protection, use underlying type
-          categoryKey = `structured_product_${underlyingType}`;
-        }
-        // Otherwise just 'structured_product'
-      } else if (assetClass === 'equity' && subClass) {
-        categoryKey = `equity_${subClass}`;
-      } else if (assetClass === 'fixed_income' && subClass) {
-        categoryKey = `fixed_income_${subClass}`;
-      }
-      // For cash, commodities, monetary_products, other: use base class as key
+      const categoryKey = classifyHoldingCategory(h, h.isin ? metadataMap[h.isin] : null);
 
       assetClassBreakdown[categoryKey] = (assetClassBreakdown[categoryKey] || 0) + (h.marketValue || 0);
     });
@@ -470,8 +639,9 @@ export const PortfolioSnapshotHelpers = {
 
   /**
    * Get portfolio snapshots for a date range
+   * reportingCurrency converts the amounts from the account currency (see convertSnapshotsToCurrency).
    */
-  async getSnapshots({ userId, portfolioCode = null, startDate, endDate }) {
+  async getSnapshots({ userId, portfolioCode = null, startDate, endDate, reportingCurrency = null }) {
     // Support both userId and entityId for entity-based architecture
     const query = { $or: [{ userId }, { entityId: userId }] };
 
@@ -489,14 +659,15 @@ export const PortfolioSnapshotHelpers = {
       sort: { snapshotDate: 1 }
     }).fetchAsync();
 
-    return filterSnapshotsByBankStartDate(snapshots);
+    return this.convertSnapshotsToCurrency(filterSnapshotsByBankStartDate(snapshots), reportingCurrency);
   },
 
   /**
    * Get aggregated snapshots for a specific user across all their portfolios
-   * Groups snapshots by date and sums values (prevents zigzag chart when user has multiple accounts)
+   * Groups snapshots by date and sums values (prevents zigzag chart when user has multiple accounts).
+   * With a reportingCurrency, each account is converted before summing.
    */
-  async getAggregatedSnapshotsForUser({ userId, startDate, endDate }) {
+  async getAggregatedSnapshotsForUser({ userId, startDate, endDate, reportingCurrency = null }) {
     const query = { $or: [{ userId }, { entityId: userId }], portfolioCode: { $ne: 'CONSOLIDATED' } };
 
     if (startDate || endDate) {
@@ -511,7 +682,7 @@ export const PortfolioSnapshotHelpers = {
     }).fetchAsync();
 
     // Filter out snapshots from banks with known bad historical data
-    const snapshots = filterSnapshotsByBankStartDate(rawSnapshots);
+    const snapshots = await this.convertSnapshotsToCurrency(filterSnapshotsByBankStartDate(rawSnapshots), reportingCurrency);
 
     // Group by date and sum values
     const dateMap = {};
@@ -547,8 +718,8 @@ export const PortfolioSnapshotHelpers = {
    * Calculate performance for a user across all portfolios (aggregated by date)
    * Prevents incorrect calculations when user has multiple accounts
    */
-  async calculatePerformanceForUser({ userId, startDate, endDate }) {
-    const snapshots = await this.getAggregatedSnapshotsForUser({ userId, startDate, endDate });
+  async calculatePerformanceForUser({ userId, startDate, endDate, reportingCurrency = null }) {
+    const snapshots = await this.getAggregatedSnapshotsForUser({ userId, startDate, endDate, reportingCurrency });
 
     if (snapshots.length === 0) {
       return null;
@@ -591,9 +762,10 @@ export const PortfolioSnapshotHelpers = {
 
   /**
    * Get aggregated asset allocation for a user across all portfolios
-   * Merges assetClassBreakdown from all portfolios for the target date
+   * Merges assetClassBreakdown from all portfolios for the target date,
+   * converted into reportingCurrency first when given
    */
-  async getAggregatedAssetAllocationForUser({ userId, targetDate }) {
+  async getAggregatedAssetAllocationForUser({ userId, targetDate, reportingCurrency = null }) {
     // Get all snapshots for this user up to target date (exclude CONSOLIDATED to avoid double-counting)
     const snapshots = await PortfolioSnapshotsCollection.find({
       userId,
@@ -611,9 +783,9 @@ export const PortfolioSnapshotHelpers = {
     const latestDate = snapshots[0].snapshotDate.toISOString().split('T')[0];
 
     // Get all snapshots for that date (one per portfolio)
-    const latestSnapshots = snapshots.filter(s =>
+    const latestSnapshots = await this.convertSnapshotsToCurrency(snapshots.filter(s =>
       s.snapshotDate.toISOString().split('T')[0] === latestDate
-    );
+    ), reportingCurrency);
 
     // Merge asset class breakdowns
     const mergedBreakdown = {};
@@ -637,9 +809,10 @@ export const PortfolioSnapshotHelpers = {
 
   /**
    * Get aggregated snapshots across ALL clients (for admin "all clients" view)
-   * Groups snapshots by date and sums values across all portfolios
+   * Groups snapshots by date and sums values across all portfolios,
+   * each converted into reportingCurrency first when given
    */
-  async getAggregatedSnapshots({ startDate, endDate }) {
+  async getAggregatedSnapshots({ startDate, endDate, reportingCurrency = null }) {
     const query = { portfolioCode: { $ne: 'CONSOLIDATED' } };
 
     if (startDate || endDate) {
@@ -658,7 +831,7 @@ export const PortfolioSnapshotHelpers = {
     console.log(`[SNAPSHOTS] getAggregatedSnapshots found ${rawSnapshots.length} raw snapshots`);
 
     // Filter out snapshots from banks with known bad historical data
-    const snapshots = filterSnapshotsByBankStartDate(rawSnapshots);
+    const snapshots = await this.convertSnapshotsToCurrency(filterSnapshotsByBankStartDate(rawSnapshots), reportingCurrency);
 
     // Group by date and sum values (skip weekends - banks don't report on weekends)
     const dateMap = {};
@@ -699,8 +872,8 @@ export const PortfolioSnapshotHelpers = {
   /**
    * Calculate performance metrics for a date range
    */
-  async calculatePerformance({ userId, portfolioCode = null, startDate, endDate }) {
-    const snapshots = await this.getSnapshots({ userId, portfolioCode, startDate, endDate });
+  async calculatePerformance({ userId, portfolioCode = null, startDate, endDate, reportingCurrency = null }) {
+    const snapshots = await this.getSnapshots({ userId, portfolioCode, startDate, endDate, reportingCurrency });
 
     if (snapshots.length === 0) {
       return null;
@@ -746,8 +919,8 @@ export const PortfolioSnapshotHelpers = {
   /**
    * Calculate aggregated performance metrics across ALL clients (for admin view)
    */
-  async calculateAggregatedPerformance({ startDate, endDate }) {
-    const snapshots = await this.getAggregatedSnapshots({ startDate, endDate });
+  async calculateAggregatedPerformance({ startDate, endDate, reportingCurrency = null }) {
+    const snapshots = await this.getAggregatedSnapshots({ startDate, endDate, reportingCurrency });
 
     if (snapshots.length === 0) {
       return null;
@@ -788,5 +961,476 @@ export const PortfolioSnapshotHelpers = {
       snapshots,
       dataPoints: snapshots.length
     };
+  },
+
+  /**
+   * Build the daily TWR series for a set of portfolios
+   * Snapshots are summed per date across portfolios; external flows
+   * (transfers/payments) are neutralized, see helpers/twrCalculator.js.
+   *
+   * With a reporting currency, each account is converted from its reference
+   * currency at the rates of each valuation date (flows at the rates of their
+   * operation date), and the series is split into the return at constant FX
+   * rates and the currency translation effect (fxSeries, portfolio scopes only).
+   *
+   * @param {Object} params
+   * @param {Array<string>|null} params.portfolioCodes - Account numbers, or null for all portfolios (admin view)
+   * @param {Date} params.endDate - Last snapshot date to include
+   * @param {string} [params.reportingCurrency] - Currency to report in (default: amounts as stored, taken as EUR)
+   * @returns {Object} { dailyValues, twrSeries, dailyFlows, externalFlowCount, ratesMap, ratesOn,
+   *   portfolioCurrencies, currency, fxSeries } - fxSeries is null when no account needs translating
+   */
+  async calculateTWRSeries({ portfolioCodes, endDate, reportingCurrency = null }) {
+    const empty = {
+      dailyValues: [],
+      twrSeries: [],
+      dailyFlows: {},
+      externalFlowCount: 0,
+      ratesMap: {},
+      ratesOn: () => ({}),
+      portfolioCurrencies: {},
+      currency: reportingCurrency,
+      fxSeries: null
+    };
+
+    const { convertCurrency } = await import('./helpers/cashCalculator.js');
+
+    const codesFilter = portfolioCodes
+      ? (portfolioCodes.length === 1 ? portfolioCodes[0] : { $in: portfolioCodes })
+      : null;
+    const toDateKey = (date) => date.toISOString().split('T')[0];
+
+    // 1. Snapshots in the reporting currency, aggregated by date when several portfolios are involved
+    let snapshots;
+    let fx = null;
+    let constantFxValues = null;
+    if (!portfolioCodes) {
+      snapshots = await this.getAggregatedSnapshots({ startDate: null, endDate, reportingCurrency });
+    } else if (portfolioCodes.length > 0) {
+      const snapshotQuery = { portfolioCode: codesFilter };
+      if (endDate) snapshotQuery.snapshotDate = { $lte: endDate };
+
+      console.log(`[TWR] Snapshot query: ${JSON.stringify(snapshotQuery)}`);
+
+      const rawSnapshots = await PortfolioSnapshotsCollection.find(snapshotQuery, {
+        sort: { snapshotDate: 1 }
+      }).fetchAsync();
+
+      console.log(`[TWR] Found ${rawSnapshots.length} raw snapshots`);
+
+      // 2. FX rates per valuation date
+      fx = await this.loadReportingFx({
+        portfolioCodes,
+        reportingCurrency,
+        fromDate: rawSnapshots[0]?.snapshotDate || null
+      });
+
+      if (fx.hasTranslation) {
+        // End values at the previous valuation date's rates, for the FX translation split
+        const dates = [...new Set(rawSnapshots.map(s => toDateKey(s.snapshotDate)))].sort();
+        const previousDates = new Map(dates.map((d, i) => [d, dates[i - 1] || d]));
+        constantFxValues = {};
+        for (const snap of rawSnapshots) {
+          const dateKey = toDateKey(snap.snapshotDate);
+          const from = fx.portfolioCurrencies[snap.portfolioCode] || 'EUR';
+          const value = convertCurrency(snap.totalAccountValue || 0, from, reportingCurrency, fx.ratesOn(previousDates.get(dateKey)));
+          constantFxValues[dateKey] = (constantFxValues[dateKey] || 0) + value;
+        }
+
+        await this.convertSnapshotsToCurrency(rawSnapshots, reportingCurrency, fx);
+      }
+
+      if (portfolioCodes.length > 1 && rawSnapshots.length > 0) {
+        const byDate = {};
+        for (const snap of rawSnapshots) {
+          const dateKey = toDateKey(snap.snapshotDate);
+          if (!byDate[dateKey]) {
+            byDate[dateKey] = { ...snap, _aggregated: true };
+          } else {
+            byDate[dateKey].totalAccountValue = (byDate[dateKey].totalAccountValue || 0) + (snap.totalAccountValue || 0);
+            byDate[dateKey].cashBalance = (byDate[dateKey].cashBalance || 0) + (snap.cashBalance || 0);
+            byDate[dateKey].totalMarketValue = (byDate[dateKey].totalMarketValue || 0) + (snap.totalMarketValue || 0);
+          }
+        }
+        snapshots = Object.values(byDate);
+      } else {
+        snapshots = rawSnapshots;
+      }
+    } else {
+      snapshots = [];
+    }
+
+    if (!snapshots || snapshots.length < 2) {
+      console.log(`[TWR] Insufficient snapshots (${snapshots?.length || 0}), need at least 2`);
+      return empty;
+    }
+
+    if (!fx) {
+      fx = await this.loadReportingFx({ portfolioCodes, reportingCurrency, fromDate: snapshots[0].snapshotDate });
+    }
+
+    // 3. External cash flow operations
+    const { OPERATION_TYPES } = await import('./constants/operationTypes.js');
+
+    const opsQuery = {
+      operationType: {
+        $in: [
+          OPERATION_TYPES.TRANSFER_IN,
+          OPERATION_TYPES.TRANSFER_OUT,
+          OPERATION_TYPES.PAYMENT_IN,
+          OPERATION_TYPES.PAYMENT_OUT
+        ]
+      }
+    };
+    if (codesFilter) opsQuery.portfolioCode = codesFilter;
+
+    const operations = await PMSOperationsCollection.find(opsQuery, {
+      sort: { operationDate: 1 }
+    }).fetchAsync();
+
+    console.log(`[TWR] Found ${snapshots.length} snapshots, ${operations.length} external flows`);
+
+    // 4. Daily TWR
+    const {
+      buildDailyValuesFromSnapshots,
+      buildDailyFlowsFromOperations,
+      calculateDailyTWR,
+      calculateFxTranslationSeries
+    } = await import('./helpers/twrCalculator.js');
+
+    const dailyValues = buildDailyValuesFromSnapshots(snapshots);
+    const dailyFlows = buildDailyFlowsFromOperations(operations, fx.ratesOn, reportingCurrency
+      ? { currency: reportingCurrency, portfolioCurrencies: fx.portfolioCurrencies }
+      : {});
+    const twrSeries = calculateDailyTWR(dailyValues, dailyFlows);
+    const fxSeries = constantFxValues ? calculateFxTranslationSeries(twrSeries, constantFxValues) : null;
+
+    return {
+      dailyValues,
+      twrSeries,
+      dailyFlows,
+      externalFlowCount: operations.length,
+      ratesMap: fx.ratesMap,
+      ratesOn: fx.ratesOn,
+      portfolioCurrencies: fx.portfolioCurrencies,
+      currency: reportingCurrency,
+      fxSeries
+    };
+  },
+
+  /**
+   * Calculate the TWR report shown on the PMS Performance tab and in the PMS PDF
+   *
+   * Returns pre-formatted data for all periods (1M, 3M, 6M, YTD, 1Y, ALL)
+   * plus chart data rebased to 100. When the accounts have a benchmark (see
+   * benchmarks.js), each period also carries the benchmark return, excess
+   * return, tracking error and information ratio, and the chart gets a
+   * benchmark dataset. When some account is not in the reporting currency,
+   * each period also splits the TWR into the return at constant FX rates
+   * (localReturn) and the currency translation effect (fxContribution).
+   *
+   * @param {Object} params
+   * @param {Array<string>|null} params.portfolioCodes - Account numbers, or null for all portfolios
+   * @param {Date} [params.now] - Reference date for the periods
+   * @param {string} [params.benchmarkId] - Override the account benchmark
+   * @param {string} [params.reportingCurrency] - Currency to report in (default: amounts as stored)
+   */
+  async calculateTWRReport({ portfolioCodes, now = new Date(), benchmarkId = null, reportingCurrency = null }) {
+    const emptyResponse = {
+      hasData: false,
+      currency: reportingCurrency,
+      periods: {},
+      chartData: { labels: [], datasets: [] },
+      metadata: { calculatedAt: new Date() }
+    };
+
+    // 1-4. Snapshots, FX rates, external flows and daily TWR
+    const { dailyValues, twrSeries, externalFlowCount, fxSeries } = await this.calculateTWRSeries({
+      portfolioCodes,
+      endDate: now,
+      reportingCurrency
+    });
+
+    if (twrSeries.length === 0) {
+      console.log(`[TWR] No TWR data points generated`);
+      return emptyResponse;
+    }
+
+    const { annualizeTWR, getPeriodStartDates } = await import('./helpers/twrCalculator.js');
+    const { BenchmarkHelpers } = await import('./benchmarks.js');
+
+    // 5. Calculate period TWRs
+    const lastEntry = twrSeries[twrSeries.length - 1];
+    const firstDate = new Date(dailyValues[0].date);
+    const lastDate = new Date(lastEntry.date);
+    const totalDays = Math.ceil((lastDate - firstDate) / (1000 * 60 * 60 * 24));
+
+    const periodDefs = getPeriodStartDates(now);
+
+    const formatTWR = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+
+    const periods = {};
+    const periodStarts = {};
+
+    // Cumulative return at constant FX rates by date, for the FX contribution per period
+    const localCumulativeByDate = fxSeries
+      ? new Map([[dailyValues[0].date, 0], ...fxSeries.map(e => [e.date, e.cumulativeLocalTWR])])
+      : null;
+    const localEndCumulative = fxSeries?.length ? fxSeries[fxSeries.length - 1].cumulativeLocalTWR : 0;
+
+    const splitFx = (twr, baseDate) => {
+      if (!localCumulativeByDate) return {};
+      const localReturn = (1 + localEndCumulative) / (1 + (localCumulativeByDate.get(baseDate) ?? 0)) - 1;
+      const fxContribution = twr - localReturn;
+      return {
+        localReturn,
+        localReturnFormatted: formatTWR(localReturn),
+        fxContribution,
+        fxContributionFormatted: formatTWR(fxContribution)
+      };
+    };
+
+    for (const [periodName, periodStart] of Object.entries(periodDefs)) {
+      // ALL period: use total cumulative TWR
+      if (periodName === 'ALL') {
+        periodStarts.ALL = dailyValues[0].date;
+        const twr = lastEntry.cumulativeTWR;
+        const annualized = annualizeTWR(twr, totalDays);
+
+        periods.ALL = {
+          hasData: true,
+          twr,
+          twrFormatted: formatTWR(twr),
+          startDate: dailyValues[0].date,
+          endDate: lastEntry.date,
+          dataPoints: twrSeries.length,
+          isAnnualized: annualized !== null,
+          twrAnnualized: annualized,
+          twrAnnualizedFormatted: annualized !== null
+            ? `${formatTWR(annualized).replace('%', '% (ann.)')}`
+            : null,
+          ...splitFx(twr, dailyValues[0].date)
+        };
+        continue;
+      }
+
+      const periodStartStr = periodStart.toISOString().split('T')[0];
+
+      // Find the TWR entry closest to (but not after) the period start
+      let startTWR = 0; // Default: reference point at the very beginning
+      let baseDate = dailyValues[0].date;
+
+      // Look for an entry at or before the period start date
+      for (let i = twrSeries.length - 1; i >= 0; i--) {
+        if (twrSeries[i].date <= periodStartStr) {
+          startTWR = twrSeries[i].cumulativeTWR;
+          baseDate = twrSeries[i].date;
+          break;
+        }
+      }
+
+      // Check if we have any data in this period range
+      const dataPointsInPeriod = twrSeries.filter(e => e.date >= periodStartStr).length;
+
+      if (dataPointsInPeriod === 0) {
+        periods[periodName] = {
+          hasData: false,
+          twr: 0,
+          twrFormatted: 'N/A',
+          startDate: periodStartStr,
+          endDate: lastEntry.date,
+          dataPoints: 0
+        };
+        continue;
+      }
+
+      periodStarts[periodName] = periodStartStr;
+
+      // Chain-link: period TWR = (1 + endTWR) / (1 + startTWR) - 1
+      const endTWR = lastEntry.cumulativeTWR;
+      const periodTWR = (1 + endTWR) / (1 + startTWR) - 1;
+
+      periods[periodName] = {
+        hasData: true,
+        twr: periodTWR,
+        twrFormatted: formatTWR(periodTWR),
+        startDate: periodStartStr,
+        endDate: lastEntry.date,
+        dataPoints: dataPointsInPeriod,
+        ...splitFx(periodTWR, baseDate)
+      };
+    }
+
+    // 6. Benchmark-relative metrics (excess return, tracking error, information ratio)
+    let relative = null;
+    try {
+      relative = await BenchmarkHelpers.calculateRelativePerformance({
+        portfolioCodes,
+        dailyValues,
+        twrSeries,
+        periodStarts,
+        benchmarkId,
+        reportingCurrency
+      });
+    } catch (error) {
+      console.error(`[TWR] Benchmark comparison failed: ${error.message}`);
+    }
+
+    if (relative) {
+      for (const [periodName, metrics] of Object.entries(relative.periods)) {
+        if (!metrics || !periods[periodName]?.hasData) continue;
+        Object.assign(periods[periodName], {
+          benchmarkReturn: metrics.benchmarkReturn,
+          benchmarkReturnFormatted: formatTWR(metrics.benchmarkReturn),
+          excessReturn: metrics.excessReturn,
+          excessReturnFormatted: formatTWR(metrics.excessReturn),
+          trackingError: metrics.trackingError,
+          trackingErrorFormatted: metrics.trackingError !== null ? `${(metrics.trackingError * 100).toFixed(2)}%` : null,
+          informationRatio: metrics.informationRatio,
+          informationRatioFormatted: metrics.informationRatio !== null ? metrics.informationRatio.toFixed(2) : null,
+          benchmarkSkippedSteps: metrics.skippedSteps,
+          benchmarkLowCoverageSteps: metrics.lowCoverageSteps,
+          benchmarkMinCoveredWeight: metrics.minCoveredWeight
+        });
+      }
+    }
+
+    // 7. Build chart data (rebased to 100 from inception)
+    const chartLabels = [dailyValues[0].date, ...twrSeries.map(r => r.date)];
+    const chartValues = [100, ...twrSeries.map(r => 100 * (1 + r.cumulativeTWR))];
+
+    const chartData = {
+      labels: chartLabels,
+      datasets: [{
+        label: 'TWR Performance',
+        data: chartValues,
+        borderColor: '#10b981',
+        backgroundColor: 'rgba(16, 185, 129, 0.1)',
+        fill: true,
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.1
+      }]
+    };
+
+    if (relative) {
+      chartData.datasets.push({
+        label: relative.benchmark.name,
+        data: [100, ...relative.series.map(r => 100 * (1 + r.cumulativeReturn))],
+        borderColor: '#6366f1',
+        backgroundColor: 'transparent',
+        fill: false,
+        borderWidth: 2,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        tension: 0.1
+      });
+    }
+
+    console.log(`[TWR] Complete: ${twrSeries.length} data points, ALL TWR: ${formatTWR(lastEntry.cumulativeTWR)}, ${externalFlowCount} external flows`);
+
+    return {
+      hasData: true,
+      currency: reportingCurrency,
+      periods,
+      chartData,
+      benchmark: relative
+        ? {
+            id: relative.benchmark.id,
+            name: relative.benchmark.name,
+            components: relative.benchmark.components,
+            source: benchmarkId ? 'override' : relative.benchmark.source,
+            accounts: relative.benchmark.accounts || [],
+            currency: relative.currency,
+            coverage: relative.coverage
+          }
+        : null,
+      metadata: {
+        calculatedAt: new Date(),
+        totalDays,
+        firstSnapshotDate: dailyValues[0].date,
+        lastSnapshotDate: lastEntry.date,
+        externalFlowCount,
+        hasFxTranslation: !!fxSeries
+      }
+    };
+  },
+
+  /**
+   * Standard period table (MTD, QTD, YTD, 1Y, 3Y annualized, since inception)
+   * with TWR and money-weighted return (XIRR), per portfolio in its reference
+   * currency and aggregated per ClientEntity in the entity's reference currency,
+   * or everything in one reporting currency when given
+   *
+   * @param {Object} params
+   * @param {Array<string>|null} params.portfolioCodes - Account numbers (null = all portfolios, not supported)
+   * @param {Date} [params.now] - Last snapshot date to include
+   * @param {string} [params.reportingCurrency] - Override the accounts' and entities' reference currencies
+   * @returns {Object} { hasData, entities: [{ entityId, name, currency, portfolioCodes, table }],
+   *   portfolios: [{ portfolioCode, name, currency, entityId, table }] }
+   */
+  async calculatePerformanceTables({ portfolioCodes, now = new Date(), reportingCurrency = null }) {
+    if (!portfolioCodes) {
+      return { hasData: false, reason: 'Select a client or an account to see the period returns', entities: [], portfolios: [] };
+    }
+
+    const { BankAccountsCollection } = await import('./bankAccounts.js');
+    const { ClientEntitiesCollection, ClientEntityHelpers } = await import('./clientEntities.js');
+    const { calculatePerformanceTable } = await import('./helpers/mwrCalculator.js');
+
+    const accounts = await BankAccountsCollection.find(
+      { accountNumber: { $in: portfolioCodes }, isActive: true },
+      { fields: { accountNumber: 1, name: 1, referenceCurrency: 1, entityId: 1 } }
+    ).fetchAsync();
+
+    const buildTable = async (codes, currency) => {
+      const series = await this.calculateTWRSeries({ portfolioCodes: codes, endDate: now, reportingCurrency: currency });
+      return series.twrSeries.length > 0 ? calculatePerformanceTable(series) : null;
+    };
+
+    const portfolios = [];
+    for (const account of accounts) {
+      const currency = reportingCurrency || account.referenceCurrency || 'EUR';
+      portfolios.push({
+        portfolioCode: account.accountNumber,
+        name: account.name || account.accountNumber,
+        currency,
+        entityId: account.entityId || null,
+        table: await buildTable([account.accountNumber], currency)
+      });
+    }
+
+    const entityIds = [...new Set(accounts.map(a => a.entityId).filter(Boolean))];
+    const entityDocs = entityIds.length > 0
+      ? await ClientEntitiesCollection.find({ _id: { $in: entityIds } }).fetchAsync()
+      : [];
+
+    const entities = [];
+    for (const entity of entityDocs) {
+      const currency = reportingCurrency || entity.referenceCurrency || 'EUR';
+      const entityPortfolios = portfolios.filter(p => p.entityId === entity._id);
+      const codes = entityPortfolios.map(p => p.portfolioCode);
+
+      // A single account in the entity's currency is its own aggregate
+      const table = entityPortfolios.length === 1 && entityPortfolios[0].currency === currency
+        ? entityPortfolios[0].table
+        : await buildTable(codes, currency);
+
+      entities.push({
+        entityId: entity._id,
+        name: ClientEntityHelpers.getEntityDisplayName(entity),
+        currency,
+        portfolioCodes: codes,
+        table
+      });
+    }
+
+    console.log(`[PERFORMANCE] Period tables: ${portfolios.length} portfolios, ${entities.length} entities`);
+
+    return {
+      hasData: portfolios.some(p => p.table) || entities.some(e => e.table),
+      entities,
+      portfolios
+    };
   }
 };
@@ -0,0 +1,333 @@
+/**
+ * PrimitiveExecutor - Runs mathematical primitive trees against an EvaluationContext
+ *
+ * Primitive trees are produced by legacyTranslator.js from the drag-and-drop
+ * payoff structure. The executor evaluates one observation at a time:
+ * - Asset levels are supplied per observation as % of strike (100 = initial)
+ * - Memory and events live in the EvaluationContext so they persist across observations
+ * - Payments and termination are collected on the observation state
+ */
+export class PrimitiveExecutor {
+  constructor(context) {
+    this.context = context;
+  }
+
+  /**
+   * Create the per-observation state consumed by execute()
+   * @param {Object} options - { levels, periodLevels, isMaturity, observationIndex }
+   * @returns {Object} - Observation state
+   */
+  createObservationState({ levels = {}, periodLevels = [], isMaturity = false, observationIndex = 0 } = {}) {
+    return {
+      levels,
+      periodLevels,
+      isMaturity,
+      observationIndex,
+      payments: [],
+      terminated: false
+    };
+  }
+
+  /**
+   * Execute a primitive, composition or literal
+   * @param {Object|number|boolean} node - Primitive tree node
+   * @param {Object} state - Observation state from createObservationState()
+   * @returns {Promise<any>} - Value of the node
+   */
+  async execute(node, state) {
+    if (node === null || node === undefined) {
+      return null;
+    }
+
+    if (typeof node !== 'object') {
+      return node;
+    }
+
+    if (node.type === 'composition') {
+      let result = null;
+      for (const primitive of node.primitives || []) {
+        if (state.terminated) break;
+        result = await this.execute(primitive, state);
+      }
+      return result;
+    }
+
+    if (node.type !== 'primitive') {
+      return node;
+    }
+
+    const params = node.params || {};
+    const value = (param) => this.execute(param, state);
+
+    switch (node.primitiveId) {
+      // ============ DATA ACCESS ============
+      case 'constant':
+        return params.value;
+
+      case 'current_price':
+        return this.resolveLevels(params.assetId ? [params.assetId] : ['$ASSETS'], state)[0] ?? null;
+
+      case 'initial_price':
+        return 100;
+
+      case 'performance': {
+        const levels = this.resolveLevels(params.assetId ? [params.assetId] : ['$ASSETS'], state);
+        return levels.length > 0 ? Math.min(...levels) - 100 : null;
+      }
+
+      case 'current_date':
+        return this.context.currentDate;
+
+      case 'observation_count':
+        return state.observationIndex;
+
+      case 'days_elapsed': {
+        const tradeDate = new Date(this.context.product.tradeDate);
+        return Math.floor((this.context.currentDate - tradeDate) / (1000 * 60 * 60 * 24));
+      }
+
+      // ============ MATH ============
+      case 'add':
+        return (await value(params.a)) + (await value(params.b));
+
+      case 'subtract':
+        return (await value(params.a)) - (await value(params.b));
+
+      case 'multiply':
+        return (await value(params.a)) * (await value(params.b));
+
+      case 'divide': {
+        const divisor = await value(params.b);
+        return divisor === 0 ? null : (await value(params.a)) / divisor;
+      }
+
+      case 'power':
+        return Math.pow(await value(params.base), await value(params.exponent));
+
+      case 'absolute':
+        return Math.abs(await value(params.value));
+
+      case 'min':
+        return Math.min(...(await this.executeAll(params.values, state)));
+
+      case 'max':
+        return Math.max(...(await this.executeAll(params.values, state)));
+
+      case 'average': {
+        const values = await this.executeAll(params.values, state);
+        return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+      }
+
+      case 'cap':
+        return Math.min(await value(params.value), await value(params.cap));
+
+      case 'floor':
+        return Math.max(await value(params.value), await value(params.floor));
+
+      case 'clamp':
+        return Math.min(Math.max(await value(params.value), await value(params.min)), await value(params.max));
+
+      // ============ COMPARISON ============
+      case 'greater_than':
+        return (await value(params.a)) > (await value(params.b));
+
+      case 'greater_or_equal':
+        return (await value(params.a)) >= (await value(params.b));
+
+      case 'less_than':
+        return (await value(params.a)) < (await value(params.b));
+
+      case 'less_or_equal':
+        return (await value(params.a)) <= (await value(params.b));
+
+      case 'equal':
+        return (await value(params.a)) === (await value(params.b));
+
+      case 'not_equal':
+        return (await value(params.a)) !== (await value(params.b));
+
+      case 'between': {
+        const v = await value(params.value);
+        return v >= (await value(params.lower)) && v <= (await value(params.upper));
+      }
+
+      case 'and':
+        return !!(await value(params.a)) && !!(await value(params.b));
+
+      case 'or':
+        return !!(await value(params.a)) || !!(await value(params.b));
+
+      case 'not':
+        return !(await value(params.a));
+
+      // ============ MEMORY ============
+      case 'store':
+        this.context.setMemoryValue(params.key, await value(params.value));
+        return null;
+
+      case 'retrieve': {
+        const stored = this.context.getMemoryValue(params.key);
+        return stored === undefined || stored === null ? value(params.defaultValue) : stored;
+      }
+
+      case 'accumulate': {
+        const current = this.context.getMemoryValue(params.key) || 0;
+        const addition = await value(params.value);
+        this.context.setMemoryValue(params.key, current + addition);
+        this.context.recordEvent({ type: 'memory_accumulated', key: params.key, amount: addition });
+        return null;
+      }
+
+      case 'increment':
+        this.context.setMemoryValue(params.key, (this.context.getMemoryValue(params.key) || 0) + 1);
+        return null;
+
+      case 'reset':
+        this.context.setMemoryValue(params.key, 0);
+        return null;
+
+      case 'exists':
+        return this.context.getMemoryValue(params.key) !== undefined;
+
+      // ============ CONTROL FLOW ============
+      case 'if': {
+        const condition = await value(params.condition);
+        if (condition) {
+          return value(params.thenBranch);
+        }
+        return params.elseBranch ? value(params.elseBranch) : null;
+      }
+
+      case 'sequence': {
+        let result = null;
+        for (const operation of params.operations || []) {
+          if (state.terminated) break;
+          result = await this.execute(operation, state);
+        }
+        return result;
+      }
+
+      case 'terminate':
+        state.terminated = true;
+        this.context.recordEvent({ type: 'terminated', description: 'Product terminated' });
+        return null;
+
+      case 'continue':
+      case 'skip':
+        return null;
+
+      // ============ ACTIONS ============
+      case 'pay': {
+        const amount = await value(params.amount);
+        if (amount === null || isNaN(amount)) {
+          this.context.recordError('PAY', `Could not resolve amount for ${params.description || 'payment'}`);
+          return null;
+        }
+        const payment = {
+          amount,
+          description: params.description || 'Payment',
+          category: params.category || 'coupon'
+        };
+        state.payments.push(payment);
+        this.context.recordEvent({ type: 'payment', ...payment });
+        return amount;
+      }
+
+      case 'event':
+        this.context.recordEvent({ type: params.type, description: params.description });
+        return null;
+
+      // ============ AGGREGATION ============
+      case 'worst_of': {
+        const levels = this.resolveLevels(params.assetIds, state);
+        return levels.length > 0 ? Math.min(...levels) : null;
+      }
+
+      case 'best_of': {
+        const levels = this.resolveLevels(params.assetIds, state);
+        return levels.length > 0 ? Math.max(...levels) : null;
+      }
+
+      case 'average_of': {
+        const levels = this.resolveLevels(params.assetIds, state);
+        return levels.length > 0 ? levels.reduce((sum, l) => sum + l, 0) / levels.length : null;
+      }
+
+      case 'count_above': {
+        const threshold = await value(params.threshold);
+        return this.resolveLevels(params.assetIds, state).filter(l => l >= threshold).length;
+      }
+
+      case 'all_above': {
+        const threshold = await value(params.threshold);
+        const levels = this.resolveLevels(params.assetIds, state);
+        return levels.length > 0 && levels.every(l => l >= threshold);
+      }
+
+      case 'any_above': {
+        const threshold = await value(params.threshold);
+        return this.resolveLevels(params.assetIds, state).some(l => l >= threshold);
+      }
+
+      case 'range_fraction': {
+        const days = state.periodLevels || [];
+        if (days.length === 0) {
+          return 0;
+        }
+        const lower = params.lower ?? -Infinity;
+        const upper = params.upper ?? Infinity;
+        const inRange = days.filter(dayLevels => {
+          const levels = this.resolveLevels(params.assetIds, { levels: dayLevels });
+          if (levels.length === 0) return false;
+          const worst = Math.min(...levels);
+          return worst >= lower && worst <= upper;
+        }).length;
+        return inRange / days.length;
+      }
+
+      // ============ TIME ============
+      case 'is_observation_date':
+        return true;
+
+      case 'is_maturity':
+        return state.isMaturity;
+
+      case 'days_to_maturity':
+        return this.context.getDaysToMaturity();
+
+      case 'date_after':
+        return this.context.currentDate > new Date(params.date);
+
+      case 'date_before':
+        return this.context.currentDate < new Date(params.date);
+
+      default:
+        this.context.recordError('EXECUTOR', `Unsupported primitive: ${node.primitiveId}`);
+        return null;
+    }
+  }
+
+  /**
+   * Execute a list of nodes and return their values
+   */
+  async executeAll(nodes, state) {
+    const values = [];
+    for (const node of nodes || []) {
+      values.push(await this.execute(node, state));
+    }
+    return values.filter(v => v !== null && !isNaN(v));
+  }
+
+  /**
+   * Resolve asset ids to levels; '$ASSETS' expands to every asset with a level
+   */
+  resolveLevels(assetIds, state) {
+    const ids = !assetIds || assetIds.includes('$ASSETS')
+      ? Object.keys(state.levels || {})
+      : assetIds;
+
+    return ids
+      .map(id => state.levels?.[id])
+      .filter(level => level !== null && level !== undefined && !isNaN(level));
+  }
+}
@@ -2,7 +2,8 @@
  * Processing Issue Collector
  *
  * Collects and manages processing issues during product evaluation.
- * Used throughout the evaluation pipeline to track warnings and errors.
+ * Used throughout the evaluation pipeline to track warnings and errors,
+ * and by the bank file parsers (keyed by filename instead of product ID).
  */
 
 import { createProcessingIssue, PROCESSING_ISSUE_TYPES } from './constants/processingIssueTypes.js';
@@ -182,6 +183,31 @@ export class ProcessingIssueCollector {
     return this;
   }
 
+  /**
+   * Compact report that can be stored (bank file imports keep it in the connection logs)
+   *
+   * @returns {Object|null} - { source, processingStatus, errorCount, warningCount, issues } or null without issues
+   */
+  toReport() {
+    if (!this.hasIssues()) {
+      return null;
+    }
+
+    const summary = this.getSummary();
+    return {
+      source: this.productId,
+      processingStatus: summary.processingStatus,
+      errorCount: summary.errorCount,
+      warningCount: summary.warningCount,
+      issues: this.issues.map(({ type, severity, message, context }) => ({
+        type,
+        severity,
+        message,
+        path: context?.path || null
+      }))
+    };
+  }
+
   /**
    * Create a log-friendly representation of issues
    *
@@ -1,6 +1,7 @@
 import { Mongo } from 'meteor/mongo';
 import { Meteor } from 'meteor/meteor';
-import { check } from 'meteor/check';
+import { check, Match } from 'meteor/check';
+import { Random } from 'meteor/random';
 import fs from 'fs';
 import path from 'path';
 
@@ -29,6 +30,20 @@ export const ProductsCollection = new Mongo.Collection('products');
 // }
 
 if (Meteor.isServer) {
+  /**
+   * Regenerate the report of a credit linked note after its credit events changed.
+   * The event is already saved, so a failed evaluation is logged rather than thrown.
+   */
+  const reevaluateCreditLinkedNote = async (productId, sessionId) => {
+    try {
+      const product = await ProductsCollection.findOneAsync(productId);
+      return await Meteor.callAsync('templateReports.create', product, sessionId);
+    } catch (error) {
+      console.error(`🏦 Re-evaluation after credit event change failed for product ${productId}:`, error.message);
+      return null;
+    }
+  };
+
   Meteor.methods({
     /**
      * Set or unset issuer call for a participation note
@@ -110,6 +125,117 @@ if (Meteor.isServer) {
       return { success: true, updated: result };
     },
 
+    /**
+     * Record a credit event on a reference entity of a credit linked note
+     * Admin/SuperAdmin only
+     */
+    async 'products.recordCreditEvent'(productId, eventData, sessionId) {
+      check(productId, String);
+      check(eventData, {
+        entityName: String,
+        eventType: String,
+        eventDate: String,
+        finalRecoveryRate: Match.Maybe(Number),
+        notes: Match.Maybe(String)
+      });
+      check(sessionId, String);
+
+      const user = await Meteor.callAsync('auth.getCurrentUser', sessionId);
+      if (!user) {
+        throw new Meteor.Error('not-authorized', 'You must be logged in');
+      }
+
+      if (user.role !== 'admin' && user.role !== 'superadmin') {
+        throw new Meteor.Error('not-authorized', 'Only admins and superadmins can record credit events');
+      }
+
+      const product = await ProductsCollection.findOneAsync(productId);
+      if (!product) {
+        throw new Meteor.Error('not-found', 'Product not found');
+      }
+
+      if (product.templateId !== 'credit_linked_note') {
+        throw new Meteor.Error('invalid-product', 'Credit events can only be recorded on credit linked notes');
+      }
+
+      // The entity must be one of the note's reference entities
+      const structure = product.structureParams || product.structureParameters || {};
+      const entityNames = (structure.referenceEntities || []).map(e => e.name);
+      if (!entityNames.includes(eventData.entityName)) {
+        throw new Meteor.Error('invalid-entity', `${eventData.entityName} is not a reference entity of this product`);
+      }
+
+      const existingEvents = product.structureParameters?.creditEvents || [];
+      if (existingEvents.some(e => e.entityName === eventData.entityName)) {
+        throw new Meteor.Error('duplicate-event', `A credit event is already recorded for ${eventData.entityName}`);
+      }
+
+      if (isNaN(new Date(eventData.eventDate).getTime())) {
+        throw new Meteor.Error('invalid-date', 'Invalid credit event date');
+      }
+
+      if (eventData.finalRecoveryRate !== undefined && eventData.finalRecoveryRate !== null &&
+          (isNaN(eventData.finalRecoveryRate) || eventData.finalRecoveryRate < 0 || eventData.finalRecoveryRate > 100)) {
+        throw new Meteor.Error('invalid-recovery', 'Final recovery rate must be between 0 and 100');
+      }
+
+      const creditEvent = {
+        _id: Random.id(),
+        entityName: eventData.entityName,
+        eventType: eventData.eventType,
+        eventDate: eventData.eventDate,
+        finalRecoveryRate: eventData.finalRecoveryRate ?? null,
+        notes: eventData.notes || null,
+        recordedBy: user.email,
+        recordedAt: new Date()
+      };
+
+      await ProductsCollection.updateAsync(productId, {
+        $push: { 'structureParameters.creditEvents': creditEvent }
+      });
+
+      console.log(`🏦 Credit event recorded for product ${productId} by ${user.email}:`, creditEvent);
+
+      // Re-evaluate so the report subscription picks up the written-down notional
+      const reportId = await reevaluateCreditLinkedNote(productId, sessionId);
+
+      return { success: true, creditEvent, reportId };
+    },
+
+    /**
+     * Remove a recorded credit event from a credit linked note
+     * Admin/SuperAdmin only
+     */
+    async 'products.removeCreditEvent'(productId, creditEventId, sessionId) {
+      check(productId, String);
+      check(creditEventId, String);
+      check(sessionId, String);
+
+      const user = await Meteor.callAsync('auth.getCurrentUser', sessionId);
+      if (!user) {
+        throw new Meteor.Error('not-authorized', 'You must be logged in');
+      }
+
+      if (user.role !== 'admin' && user.role !== 'superadmin') {
+        throw new Meteor.Error('not-authorized', 'Only admins and superadmins can remove credit events');
+      }
+
+      const product = await ProductsCollection.findOneAsync(productId);
+      if (!product) {
+        throw new Meteor.Error('not-found', 'Product not found');
+      }
+
+      const result = await ProductsCollection.updateAsync(productId, {
+        $pull: { 'structureParameters.creditEvents': { _id: creditEventId } }
+      });
+
+      console.log(`🏦 Credit event ${creditEventId} removed from product ${productId} by ${user.email}`);
+
+      const reportId = await reevaluateCreditLinkedNote(productId, sessionId);
+
+      return { success: true, removed: result > 0, reportId };
+    },
+
     /**
      * Upload term sheet PDF for a product
      * Admin/SuperAdmin only
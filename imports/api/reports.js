@@ -4,6 +4,7 @@ import { check } from 'meteor/check';
 import { MarketDataCacheCollection, MarketDataHelpers } from './marketDataCache';
 import { ProductsCollection } from './products';
 import { HimalayaEvaluator } from './evaluators/himalayaEvaluator';
+import { DEFAULT_PROTECTION_BARRIER } from './evaluators/phoenixEvaluationHelpers';
 
 /**
  * Reports Collection
@@ -1033,7 +1034,7 @@ if (Meteor.isServer) {
     
     
     // Get capital protection barrier and calculate leverage factor
-    const capitalProtectionBarrier = phoenixParams.protectionBarrier || 70; // Default 70%
+    const capitalProtectionBarrier = phoenixParams.protectionBarrier || DEFAULT_PROTECTION_BARRIER;
     const leverageFactor = 100 / capitalProtectionBarrier; // 1 / (barrier as decimal)
     
     
@@ -1199,7 +1200,7 @@ if (Meteor.isServer) {
       new Date().getFullYear() + 1;
     
     const couponRate = phoenixParams.couponRate || 0;
-    const protectionLevel = phoenixParams.protectionBarrier || 70;
+    const protectionLevel = phoenixParams.protectionBarrier || DEFAULT_PROTECTION_BARRIER;
     
     // Create descriptive name
     let productName = `${templateName} ${underlyingTickers}`;
@@ -2059,7 +2060,7 @@ async function generatePhoenixChartData(product, evaluationResults, phoenixParam
   }
   
   // Add barrier lines
-  const protectionBarrier = phoenixParams.protectionBarrier || 70;
+  const protectionBarrier = phoenixParams.protectionBarrier || DEFAULT_PROTECTION_BARRIER;
   const couponBarrier = phoenixParams.couponBarrier || protectionBarrier;
   
   // Create step-wise autocall barrier from observation schedule
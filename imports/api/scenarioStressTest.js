@@ -0,0 +1,483 @@
+import { ProductsCollection } from './products.js';
+import { TemplateReportsCollection } from './templateReports.js';
+import { PMSHoldingsCollection } from './pmsHoldings.js';
+import { SecuritiesMetadataCollection, SECTORS } from './securitiesMetadata.js';
+import { UsersCollection } from './users.js';
+import { PhoenixEvaluationHelpers } from './evaluators/phoenixEvaluationHelpers.js';
+import { ReverseConvertibleEvaluationHelpers } from './evaluators/reverseConvertibleEvaluationHelpers.js';
+import { ParticipationNoteEvaluationHelpers } from './evaluators/participationNoteEvaluationHelpers.js';
+import { BasketAggregationHelpers } from './evaluators/basketAggregationHelpers.js';
+
+/**
+ * Scenario Stress Test
+ *
+ * Applies deterministic spot shocks to the underlyings of every live product and
+ * re-prices each product with its template's own redemption logic. The baseline is
+ * the latest stored template report, so the stressed figures differ from what the
+ * product page shows only by the shock itself.
+ *
+ * Shock definition (all values in %):
+ *   {
+ *     global: -20,                          // every equity underlying
+ *     sectors: { technology: -30 },         // GICS sector from securitiesMetadata
+ *     tickers: { 'AAPL.US': -10 }           // individual underlying (ticker or full ticker)
+ *   }
+ * The most specific shock wins: ticker > sector > global.
+ *
+ * Client P&L impact = PMS holding nominal × (stressed value - baseline value) / 100,
+ * expressed in the product currency.
+ */
+
+export const STRESS_SUPPORTED_TEMPLATES = [
+  'phoenix_autocallable',
+  'reverse_convertible',
+  'participation_note'
+];
+
+export const STRESS_PRESETS = [
+  { id: 'equities_down_20', label: '-20% all equities', shocks: { global: -20 } },
+  { id: 'tech_down_30', label: '-30% technology', shocks: { sectors: { technology: -30 } } },
+  { id: 'equities_down_10', label: '-10% all equities', shocks: { global: -10 } },
+  { id: 'equity_crash_40', label: '-40% equity crash', shocks: { global: -40 } },
+  { id: 'equities_up_10', label: '+10% all equities', shocks: { global: 10 } }
+];
+
+const LIVE_STATUSES = ['live', 'Live', 'active', 'Active'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const formatSignedPercent = (value) => (
+  value === null || value === undefined || isNaN(value)
+    ? 'N/A'
+    : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`
+);
+
+export const ScenarioStressTest = {
+  /**
+   * Clean up a shock definition coming from the client. Shocks are clamped to
+   * [-100%, +200%] so a typo cannot produce negative spots.
+   */
+  normalizeShocks(shocks = {}) {
+    const clamp = (value) => Math.min(Math.max(Number(value), -100), 200);
+    const isValid = (value) => value !== null && value !== '' && !isNaN(Number(value));
+
+    const normalized = {
+      global: isValid(shocks.global) ? clamp(shocks.global) : 0,
+      sectors: {},
+      tickers: {}
+    };
+
+    Object.entries(shocks.sectors || {}).forEach(([sector, value]) => {
+      if (sector && isValid(value)) normalized.sectors[sector] = clamp(value);
+    });
+
+    Object.entries(shocks.tickers || {}).forEach(([ticker, value]) => {
+      if (ticker && isValid(value)) normalized.tickers[ticker.trim().toUpperCase()] = clamp(value);
+    });
+
+    return normalized;
+  },
+
+  /**
+   * Human readable description of a shock definition (used in the UI and PDF)
+   */
+  describeShocks(shocks) {
+    const parts = [];
+    if (shocks.global) parts.push(`${formatSignedPercent(shocks.global)} all equities`);
+
+    Object.entries(shocks.sectors || {}).forEach(([sector, value]) => {
+      const label = SECTORS.find(s => s.value === sector)?.label || sector;
+      parts.push(`${formatSignedPercent(value)} ${label}`);
+    });
+
+    Object.entries(shocks.tickers || {}).forEach(([ticker, value]) => {
+      parts.push(`${formatSignedPercent(value)} ${ticker}`);
+    });
+
+    return parts.length > 0 ? parts.join(', ') : 'No shock';
+  },
+
+  /**
+   * Resolve the shock applying to one underlying
+   * @returns {{ shock: number, source: 'ticker'|'sector'|'global'|'none', sector: string|null }}
+   */
+  resolveShock(underlying, shocks, sectorByIsin) {
+    const tickers = [underlying.fullTicker, underlying.ticker]
+      .filter(Boolean)
+      .map(t => String(t).toUpperCase());
+    const sector = underlying.sector || (underlying.isin ? sectorByIsin[underlying.isin] : null) || null;
+
+    for (const ticker of tickers) {
+      if (shocks.tickers[ticker] !== undefined) {
+        return { shock: shocks.tickers[ticker], source: 'ticker', sector };
+      }
+      // Allow "AAPL" to match "AAPL.US"
+      const base = ticker.split('.')[0];
+      if (shocks.tickers[base] !== undefined) {
+        return { shock: shocks.tickers[base], source: 'ticker', sector };
+      }
+    }
+
+    if (sector && shocks.sectors[sector] !== undefined) {
+      return { shock: shocks.sectors[sector], source: 'sector', sector };
+    }
+
+    if (shocks.global) {
+      return { shock: shocks.global, source: 'global', sector };
+    }
+
+    return { shock: 0, source: 'none', sector };
+  },
+
+  /**
+   * Apply shocks to report underlyings (copies - the report is left untouched)
+   */
+  stressUnderlyings(underlyings, shocks, sectorByIsin) {
+    return (underlyings || []).map(u => {
+      const { shock, source, sector } = this.resolveShock(u, shocks, sectorByIsin);
+      const initialPrice = u.initialPrice || 0;
+      const currentPrice = u.currentPrice || 0;
+      const stressedPrice = currentPrice * (1 + shock / 100);
+      const performance = initialPrice > 0
+        ? ((stressedPrice - initialPrice) / initialPrice) * 100
+        : (u.performance || 0);
+
+      return {
+        ...u,
+        sector,
+        shock,
+        shockSource: source,
+        baselinePrice: currentPrice,
+        baselinePerformance: u.performance || 0,
+        currentPrice: stressedPrice,
+        performance
+      };
+    });
+  },
+
+  /**
+   * Re-price a product from a set of underlyings using the template's redemption logic.
+   * Returns null when the template is not supported.
+   *
+   * @returns {{ totalValue: number, capitalReturn: number, basketPerformance: number, barrierBreached: boolean }|null}
+   */
+  revalue(templateId, product, report, underlyings) {
+    if (!underlyings || underlyings.length === 0) return null;
+
+    switch (templateId) {
+      case 'phoenix_autocallable': {
+        const phoenixParams = report.phoenixStructure || {};
+        const result = PhoenixEvaluationHelpers.calculateIndicativeMaturityValue(
+          product,
+          underlyings,
+          report.observationAnalysis,
+          phoenixParams,
+          product.currency || 'USD'
+        );
+        if (!result) return null;
+        return {
+          totalValue: result.totalValue,
+          capitalReturn: result.capitalReturn,
+          basketPerformance: result.basketPerformance,
+          barrierBreached: result.capitalReturn < 100
+        };
+      }
+
+      case 'reverse_convertible': {
+        const structure = report.reverseConvertibleStructure || {};
+        const basketPerformance = ReverseConvertibleEvaluationHelpers.calculateBasketPerformance(underlyings) || 0;
+        const result = ReverseConvertibleEvaluationHelpers.calculateRedemption(
+          product,
+          basketPerformance,
+          structure.capitalProtectionBarrier ?? 100,
+          structure.couponRate || 0,
+          structure.gearingFactor || 1
+        );
+        return {
+          totalValue: result.totalValue,
+          capitalReturn: result.capitalComponent,
+          basketPerformance,
+          barrierBreached: result.barrierBreached
+        };
+      }
+
+      case 'participation_note': {
+        const structure = report.participationStructure || {};
+        const basketPerformance = (report.basketAggregation
+          ? BasketAggregationHelpers.recompute(report.basketAggregation, underlyings)
+          : ParticipationNoteEvaluationHelpers.calculateBasketPerformance(
+            underlyings,
+            structure.referencePerformance || 'worst-of'
+          )) || 0;
+        const result = ParticipationNoteEvaluationHelpers.calculateRedemption(
+          product,
+          basketPerformance,
+          structure.participationRate || 100
+        );
+        return {
+          totalValue: result.redemption,
+          capitalReturn: result.redemption,
+          basketPerformance,
+          barrierBreached: false
+        };
+      }
+
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Products whose payoff is already fixed (autocalled, called by the issuer,
+   * matured) are insensitive to spot shocks
+   */
+  isPayoffLocked(templateId, report) {
+    const status = report.currentStatus || {};
+    if (status.hasMatured || status.isCalled) return true;
+    if (templateId === 'phoenix_autocallable') {
+      return !!report.observationAnalysis?.isEarlyAutocall;
+    }
+    return false;
+  },
+
+  async loadLiveProducts() {
+    return ProductsCollection.find({
+      $or: [
+        { status: { $in: LIVE_STATUSES } },
+        { productStatus: { $in: LIVE_STATUSES } }
+      ]
+    }).fetchAsync();
+  },
+
+  /**
+   * Latest template report per product (templateReports.create keeps one, but be defensive)
+   * @returns {Promise<Object>} productId -> report
+   */
+  async loadLatestReports(productIds) {
+    const reports = await TemplateReportsCollection.find(
+      { productId: { $in: productIds } },
+      { sort: { createdAt: -1 } }
+    ).fetchAsync();
+
+    const reportByProduct = {};
+    reports.forEach(r => {
+      if (!reportByProduct[r.productId]) reportByProduct[r.productId] = r;
+    });
+    return reportByProduct;
+  },
+
+  async loadSectorMap(isins) {
+    const uniqueIsins = [...new Set(isins.filter(Boolean))];
+    if (uniqueIsins.length === 0) return {};
+
+    const metadata = await SecuritiesMetadataCollection.find(
+      { isin: { $in: uniqueIsins } },
+      { fields: { isin: 1, sector: 1 } }
+    ).fetchAsync();
+
+    return metadata.reduce((map, doc) => {
+      if (doc.sector) map[doc.isin] = doc.sector;
+      return map;
+    }, {});
+  },
+
+  /**
+   * Run a stress scenario across all live products.
+   *
+   * @param {Object} rawShocks - Shock definition (see module doc)
+   * @param {Object} options
+   * @param {Array<string>|null} options.clientIds - Restrict client aggregation to these users (null = all)
+   * @returns {Promise<Object>} Scenario result with per-product and per-client impact
+   */
+  async run(rawShocks, { clientIds = null } = {}) {
+    const shocks = this.normalizeShocks(rawShocks);
+    const startTime = Date.now();
+    console.log(`[STRESS] Running scenario: ${this.describeShocks(shocks)}`);
+
+    const products = await this.loadLiveProducts();
+    const reportByProduct = await this.loadLatestReports(products.map(p => p._id));
+
+    const allIsins = [];
+    Object.values(reportByProduct).forEach(r => (r.templateResults?.underlyings || []).forEach(u => allIsins.push(u.isin)));
+    const sectorByIsin = await this.loadSectorMap(allIsins);
+
+    const productResults = [];
+    const skipped = [];
+
+    for (const product of products) {
+      const report = reportByProduct[product._id];
+      const templateId = report?.templateId || product.templateId || product.template;
+      const title = product.title || product.productName || product.isin || product._id;
+
+      if (!STRESS_SUPPORTED_TEMPLATES.includes(templateId)) {
+        skipped.push({ productId: product._id, isin: product.isin, title, templateId, reason: 'Template not supported' });
+        continue;
+      }
+
+      const results = report?.templateResults;
+      if (!results || !Array.isArray(results.underlyings) || results.underlyings.length === 0) {
+        skipped.push({ productId: product._id, isin: product.isin, title, templateId, reason: 'No evaluation report available' });
+        continue;
+      }
+
+      const baseline = this.revalue(templateId, product, results, results.underlyings);
+      if (!baseline) {
+        skipped.push({ productId: product._id, isin: product.isin, title, templateId, reason: 'Could not compute baseline value' });
+        continue;
+      }
+
+      const payoffLocked = this.isPayoffLocked(templateId, results);
+      const stressedUnderlyings = this.stressUnderlyings(results.underlyings, shocks, sectorByIsin);
+      const stressed = payoffLocked
+        ? baseline
+        : (this.revalue(templateId, product, results, stressedUnderlyings) || baseline);
+
+      const impact = stressed.totalValue - baseline.totalValue;
+
+      productResults.push({
+        productId: product._id,
+        isin: product.isin,
+        title,
+        templateId,
+        currency: product.currency || 'USD',
+        payoffLocked,
+        underlyings: stressedUnderlyings.map(u => ({
+          ticker: u.ticker,
+          fullTicker: u.fullTicker,
+          name: u.name,
+          sector: u.sector,
+          shock: u.shock,
+          shockSource: u.shockSource,
+          baselinePerformance: round2(u.baselinePerformance),
+          stressedPerformance: round2(u.performance)
+        })),
+        baseline: {
+          totalValue: round2(baseline.totalValue),
+          capitalReturn: round2(baseline.capitalReturn),
+          basketPerformance: round2(baseline.basketPerformance),
+          barrierBreached: baseline.barrierBreached
+        },
+        stressed: {
+          totalValue: round2(stressed.totalValue),
+          capitalReturn: round2(stressed.capitalReturn),
+          basketPerformance: round2(stressed.basketPerformance),
+          barrierBreached: stressed.barrierBreached
+        },
+        impact: round2(impact),
+        impactFormatted: formatSignedPercent(impact),
+        newlyBreached: !baseline.barrierBreached && stressed.barrierBreached
+      });
+    }
+
+    const clients = await this.aggregateByClient(productResults, clientIds);
+
+    productResults.sort((a, b) => a.impact - b.impact);
+
+    const unclassified = [...new Set(productResults.flatMap(p =>
+      p.underlyings.filter(u => !u.sector && u.shockSource !== 'ticker').map(u => u.fullTicker || u.ticker)
+    ))];
+
+    const durationMs = Date.now() - startTime;
+    console.log(`[STRESS] ✅ ${productResults.length} products stressed, ${skipped.length} skipped, ${clients.length} clients impacted (${durationMs}ms)`);
+
+    return {
+      generatedAt: new Date(),
+      shocks,
+      scenarioLabel: this.describeShocks(shocks),
+      products: productResults,
+      skipped,
+      clients,
+      unclassifiedUnderlyings: unclassified,
+      summary: {
+        productCount: productResults.length,
+        skippedCount: skipped.length,
+        newlyBreachedCount: productResults.filter(p => p.newlyBreached).length,
+        clientCount: clients.length,
+        totalImpactByCurrency: clients.reduce((totals, c) => {
+          Object.entries(c.impactByCurrency).forEach(([currency, amount]) => {
+            totals[currency] = round2((totals[currency] || 0) + amount);
+          });
+          return totals;
+        }, {})
+      }
+    };
+  },
+
+  /**
+   * Aggregate the P&L impact per client from PMS holdings of the stressed products
+   */
+  async aggregateByClient(productResults, clientIds = null) {
+    const resultByIsin = {};
+    productResults.forEach(p => {
+      if (p.isin) resultByIsin[p.isin] = p;
+    });
+
+    const isins = Object.keys(resultByIsin);
+    if (isins.length === 0) return [];
+
+    // Consolidated copies repeat the bank lines of the same client
+    const holdingsQuery = {
+      isin: { $in: isins },
+      portfolioCode: { $ne: 'CONSOLIDATED' },
+      isLatest: true,
+      isActive: true
+    };
+    if (Array.isArray(clientIds)) {
+      holdingsQuery.userId = { $in: clientIds };
+    }
+
+    const holdings = await PMSHoldingsCollection.find(holdingsQuery, {
+      fields: { isin: 1, quantity: 1, userId: 1, portfolioCode: 1, currency: 1 }
+    }).fetchAsync();
+
+    const byClient = {};
+    for (const holding of holdings) {
+      const product = resultByIsin[holding.isin];
+      const nominal = holding.quantity || 0;
+      if (!product || !holding.userId || nominal === 0) continue;
+
+      if (!byClient[holding.userId]) {
+        byClient[holding.userId] = { userId: holding.userId, positions: [], impactByCurrency: {} };
+      }
+
+      const client = byClient[holding.userId];
+      const currency = product.currency;
+      const pnlImpact = nominal * product.impact / 100;
+
+      client.impactByCurrency[currency] = round2((client.impactByCurrency[currency] || 0) + pnlImpact);
+      client.positions.push({
+        isin: holding.isin,
+        title: product.title,
+        portfolioCode: holding.portfolioCode,
+        nominal,
+        currency,
+        baselineValue: round2(nominal * product.baseline.totalValue / 100),
+        stressedValue: round2(nominal * product.stressed.totalValue / 100),
+        pnlImpact: round2(pnlImpact),
+        newlyBreached: product.newlyBreached
+      });
+    }
+
+    const users = await UsersCollection.find(
+      { _id: { $in: Object.keys(byClient) } },
+      { fields: { email: 1, username: 1, profile: 1 } }
+    ).fetchAsync();
+    const userById = Object.fromEntries(users.map(u => [u._id, u]));
+
+    return Object.values(byClient)
+      .map(client => {
+        const user = userById[client.userId];
+        const name = user
+          ? (`${user.profile?.firstName || ''} ${user.profile?.lastName || ''}`.trim() || user.email || user.username)
+          : client.userId;
+        client.positions.sort((a, b) => a.pnlImpact - b.pnlImpact);
+        return {
+          ...client,
+          clientName: name,
+          // Sort key only - amounts in different currencies are not converted
+          totalImpact: Object.values(client.impactByCurrency).reduce((sum, v) => sum + v, 0)
+        };
+      })
+      .sort((a, b) => a.totalImpact - b.totalImpact);
+  }
+};
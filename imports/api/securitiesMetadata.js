@@ -60,6 +60,7 @@ export const STRUCTURED_PRODUCT_TYPES = [
   { value: 'reverse_convertible', label: 'Reverse Convertible' },
   { value: 'reverse_convertible_bond', label: 'Reverse Convertible Bond' },
   { value: 'shark_note', label: 'Shark Note' },
+  { value: 'credit_linked_note', label: 'Credit Linked Note' },
   { value: 'autocallable', label: 'Autocallable' },
   { value: 'bonus_certificate', label: 'Bonus Certificate' },
   { value: 'discount_certificate', label: 'Discount Certificate' },
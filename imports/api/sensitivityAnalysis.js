@@ -0,0 +1,404 @@
+import { PMSHoldingsCollection } from './pmsHoldings.js';
+import { CurrencyRateCacheCollection } from './currencyCache.js';
+import { buildRatesMap, convertToEUR } from './helpers/cashCalculator.js';
+import { ScenarioStressTest, STRESS_SUPPORTED_TEMPLATES } from './scenarioStressTest.js';
+import { PhoenixMonteCarlo } from './evaluators/phoenixMonteCarlo.js';
+import { getProtectionBarrierLevel } from './underlyingsAnalysis.js';
+
+/**
+ * Sensitivity Analysis (Greeks)
+ *
+ * Bump-and-revalue sensitivities of the live structured product book, per product
+ * and aggregated per underlying. Each product is re-priced from its latest stored
+ * template report:
+ * - Phoenix: PhoenixMonteCarlo fair value (same seed for every bump, so the
+ *   differences are not drowned in simulation noise)
+ * - Reverse Convertible / Participation Note: intrinsic redemption value
+ *   (ScenarioStressTest.revalue) - no volatility model, so no vega / correlation
+ *
+ * Units (product value V in % of notional, spot bumps in % of current spot):
+ *   delta       = (V(S+h) - V(S-h)) / 2h          % of notional per 1% spot move
+ *   gamma       = (V(S+h) - 2V + V(S-h)) / h²      change in delta per 1% spot move
+ *   vega        = V(σ+1pt) - V                     % of notional per volatility point
+ *   correlation = V(ρ+0.10) - V                    % of notional per +10 correlation points
+ *
+ * Cash figures multiply by the nominal held in PMS holdings, converted to EUR:
+ *   deltaEur = delta × nominal (equity-equivalent exposure)
+ *   gammaEur = gamma × nominal (change of deltaEur for a 1% spot move)
+ *   vegaEur / correlationEur = P&L of the bump
+ */
+
+export const SENSITIVITY_BUMPS = {
+  spot: 1,            // % of current spot
+  volatility: 1,      // volatility points
+  correlation: 0.10   // absolute shift of every pairwise correlation
+};
+
+const SENSITIVITY_PATHS = 4000;       // Per revaluation - a Phoenix with n underlyings costs 3n + 2 runs
+const GAMMA_HOT_SPOT_BAND = 10;       // Points between the underlying and its barrier
+
+const round2 = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+const round0 = (value) => (value === null || value === undefined ? null : Math.round(value));
+
+const underlyingKey = (u) => String(u.fullTicker || u.ticker || u.name || '').toUpperCase();
+
+export const SensitivityAnalysis = {
+  /**
+   * Capital protection barrier (% of initial) read from the evaluated structure,
+   * falling back to the product definition used by the underlyings analysis
+   */
+  getBarrierLevel(templateId, product, results) {
+    if (templateId === 'phoenix_autocallable' && results.phoenixStructure?.protectionBarrier) {
+      return results.phoenixStructure.protectionBarrier;
+    }
+    if (templateId === 'reverse_convertible' && results.reverseConvertibleStructure?.capitalProtectionBarrier) {
+      return results.reverseConvertibleStructure.capitalProtectionBarrier;
+    }
+    if (templateId === 'participation_note') {
+      return null;
+    }
+    return getProtectionBarrierLevel(product);
+  },
+
+  /**
+   * Build a revaluation function for a product.
+   * price({ spot: {key: %}, volatility: {ticker: pts}, correlation: shift }) -> value in % of notional
+   *
+   * @returns {Promise<{ method: string, supportsVolatility: boolean, baseValue: number, price: Function }|null>}
+   */
+  async createPricer(templateId, product, results) {
+    const underlyings = results.underlyings;
+
+    if (templateId === 'phoenix_autocallable' && results.observationAnalysis && results.phoenixStructure) {
+      const simulate = async ({ spot = {}, volatility = {}, correlation = 0 } = {}) => {
+        const spotShifts = {};
+        const volatilityShifts = {};
+        underlyings.forEach(u => {
+          const key = underlyingKey(u);
+          if (spot[key]) spotShifts[u.ticker] = spot[key] / 100;
+          if (volatility[key]) volatilityShifts[u.ticker] = volatility[key] / 100;
+        });
+
+        const result = await PhoenixMonteCarlo.runSimulation(
+          product,
+          underlyings,
+          results.observationAnalysis,
+          results.phoenixStructure,
+          { paths: SENSITIVITY_PATHS, spotShifts, volatilityShifts, correlationShift: correlation }
+        );
+        return result ? result.fairValue : null;
+      };
+
+      const baseValue = await simulate();
+      if (baseValue !== null) {
+        return { method: 'monte_carlo', supportsVolatility: true, baseValue, price: simulate };
+      }
+    }
+
+    const intrinsic = async ({ spot = {} } = {}) => {
+      const shocks = { global: 0, sectors: {}, tickers: spot };
+      const bumped = ScenarioStressTest.stressUnderlyings(underlyings, shocks, {});
+      return ScenarioStressTest.revalue(templateId, product, results, bumped)?.totalValue ?? null;
+    };
+
+    const baseValue = await intrinsic();
+    if (baseValue === null) return null;
+    return { method: 'intrinsic', supportsVolatility: false, baseValue, price: intrinsic };
+  },
+
+  /**
+   * Bump-and-revalue sensitivities of one product (all in % of notional)
+   * Returns null when the product cannot be priced.
+   */
+  async computeProductSensitivities(product, report) {
+    const templateId = report.templateId;
+    const results = report.templateResults;
+    const payoffLocked = ScenarioStressTest.isPayoffLocked(templateId, results);
+    const barrierLevel = this.getBarrierLevel(templateId, product, results);
+    const h = SENSITIVITY_BUMPS.spot;
+
+    const describeUnderlying = (u) => {
+      const distanceToBarrier = barrierLevel != null && u.initialPrice > 0
+        ? (u.performance || 0) - (barrierLevel - 100)
+        : null;
+      return {
+        key: underlyingKey(u),
+        ticker: u.ticker,
+        fullTicker: u.fullTicker,
+        name: u.name || u.ticker,
+        performance: round2(u.performance || 0),
+        distanceToBarrier: round2(distanceToBarrier),
+        isGammaHotSpot: !payoffLocked && distanceToBarrier !== null && Math.abs(distanceToBarrier) <= GAMMA_HOT_SPOT_BAND
+      };
+    };
+
+    // Fixed payoff (autocalled, called, matured): nothing moves any more
+    if (payoffLocked) {
+      return {
+        method: 'locked',
+        payoffLocked,
+        barrierLevel,
+        value: null,
+        correlation: null,
+        underlyings: results.underlyings.map(u => ({ ...describeUnderlying(u), delta: 0, gamma: 0, vega: null }))
+      };
+    }
+
+    const pricer = await this.createPricer(templateId, product, results);
+    if (!pricer) return null;
+
+    const { baseValue, price, supportsVolatility } = pricer;
+    const underlyingRows = [];
+
+    for (const u of results.underlyings) {
+      const row = describeUnderlying(u);
+      const up = await price({ spot: { [row.key]: h } });
+      const down = await price({ spot: { [row.key]: -h } });
+
+      row.delta = up !== null && down !== null ? round2((up - down) / (2 * h)) : null;
+      row.gamma = up !== null && down !== null ? round2((up - 2 * baseValue + down) / (h * h)) : null;
+
+      if (supportsVolatility) {
+        const bumped = await price({ volatility: { [row.key]: SENSITIVITY_BUMPS.volatility } });
+        row.vega = bumped !== null ? round2(bumped - baseValue) : null;
+      } else {
+        row.vega = null;
+      }
+
+      underlyingRows.push(row);
+    }
+
+    let correlation = null;
+    if (supportsVolatility && results.underlyings.length > 1) {
+      const bumped = await price({ correlation: SENSITIVITY_BUMPS.correlation });
+      correlation = bumped !== null ? round2(bumped - baseValue) : null;
+    }
+
+    return {
+      method: pricer.method,
+      payoffLocked,
+      barrierLevel,
+      value: round2(baseValue),
+      correlation,
+      underlyings: underlyingRows
+    };
+  },
+
+  /**
+   * Nominal held per ISIN from the latest PMS holdings (consolidated copies of the
+   * bank lines are not counted a second time)
+   * @returns {Promise<Object>} isin -> { nominal, clientIds: Set }
+   */
+  async loadPositions(isins, clientIds = null) {
+    if (isins.length === 0) return {};
+
+    const query = {
+      isin: { $in: isins },
+      portfolioCode: { $ne: 'CONSOLIDATED' },
+      isLatest: true,
+      isActive: true
+    };
+    if (Array.isArray(clientIds)) {
+      query.userId = { $in: clientIds };
+    }
+
+    const holdings = await PMSHoldingsCollection.find(query, {
+      fields: { isin: 1, quantity: 1, userId: 1 }
+    }).fetchAsync();
+
+    const positions = {};
+    holdings.forEach(h => {
+      if (!h.quantity) return;
+      if (!positions[h.isin]) positions[h.isin] = { nominal: 0, clientIds: new Set() };
+      positions[h.isin].nominal += h.quantity;
+      if (h.userId) positions[h.isin].clientIds.add(h.userId);
+    });
+    return positions;
+  },
+
+  /**
+   * Compute the sensitivity report across all live products.
+   *
+   * @param {Object} options
+   * @param {Array<string>|null} options.clientIds - Restrict positions to these clients (null = whole book).
+   *   When restricted, products nobody in scope holds are left out.
+   * @returns {Promise<Object>} Per-product, per-underlying and hot-spot sensitivities
+   */
+  async run({ clientIds = null } = {}) {
+    const startTime = Date.now();
+    console.log('[SENSITIVITY] Computing book sensitivities...');
+
+    const products = await ScenarioStressTest.loadLiveProducts();
+    const reportByProduct = await ScenarioStressTest.loadLatestReports(products.map(p => p._id));
+    const positions = await this.loadPositions(products.map(p => p.isin).filter(Boolean), clientIds);
+
+    const currencyRates = await CurrencyRateCacheCollection.find({}).fetchAsync();
+    const ratesMap = buildRatesMap(currencyRates);
+
+    const productResults = [];
+    const skipped = [];
+
+    for (const product of products) {
+      const report = reportByProduct[product._id];
+      const templateId = report?.templateId || product.templateId || product.template;
+      const title = product.title || product.productName || product.isin || product._id;
+      const position = positions[product.isin];
+
+      if (Array.isArray(clientIds) && !position) continue;
+
+      if (!STRESS_SUPPORTED_TEMPLATES.includes(templateId)) {
+        skipped.push({ productId: product._id, isin: product.isin, title, templateId, reason: 'Template not supported' });
+        continue;
+      }
+
+      if (!Array.isArray(report?.templateResults?.underlyings) || report.templateResults.underlyings.length === 0) {
+        skipped.push({ productId: product._id, isin: product.isin, title, templateId, reason: 'No evaluation report available' });
+        continue;
+      }
+
+      const sensitivities = await this.computeProductSensitivities(product, report);
+      if (!sensitivities) {
+        skipped.push({ productId: product._id, isin: product.isin, title, templateId, reason: 'Could not revalue product' });
+        continue;
+      }
+
+      const currency = product.currency || 'USD';
+      const nominal = position?.nominal || 0;
+      const nominalEur = convertToEUR(nominal, currency, ratesMap);
+      const toCash = (value, scale = 1) => (value === null ? null : round0(value * nominalEur / scale));
+
+      const underlyings = sensitivities.underlyings.map(u => ({
+        ...u,
+        deltaEur: toCash(u.delta),
+        gammaEur: toCash(u.gamma),
+        vegaEur: toCash(u.vega, 100)
+      }));
+
+      productResults.push({
+        productId: product._id,
+        isin: product.isin,
+        title,
+        templateId,
+        currency,
+        method: sensitivities.method,
+        payoffLocked: sensitivities.payoffLocked,
+        barrierLevel: sensitivities.barrierLevel,
+        value: sensitivities.value,
+        nominal,
+        nominalEur: round0(nominalEur),
+        clientCount: position ? position.clientIds.size : 0,
+        underlyings,
+        deltaEur: round0(underlyings.reduce((sum, u) => sum + (u.deltaEur || 0), 0)),
+        vega: underlyings.some(u => u.vega !== null)
+          ? round2(underlyings.reduce((sum, u) => sum + (u.vega || 0), 0))
+          : null,
+        vegaEur: underlyings.some(u => u.vegaEur !== null)
+          ? round0(underlyings.reduce((sum, u) => sum + (u.vegaEur || 0), 0))
+          : null,
+        correlation: sensitivities.correlation,
+        correlationEur: toCash(sensitivities.correlation, 100),
+        hasGammaHotSpot: underlyings.some(u => u.isGammaHotSpot)
+      });
+    }
+
+    const byUnderlying = this.aggregateByUnderlying(productResults);
+
+    const hotSpots = productResults
+      .flatMap(p => p.underlyings
+        .filter(u => u.isGammaHotSpot)
+        .map(u => ({
+          productId: p.productId,
+          isin: p.isin,
+          title: p.title,
+          templateId: p.templateId,
+          barrierLevel: p.barrierLevel,
+          nominalEur: p.nominalEur,
+          ticker: u.ticker,
+          name: u.name,
+          performance: u.performance,
+          distanceToBarrier: u.distanceToBarrier,
+          gamma: u.gamma,
+          gammaEur: u.gammaEur
+        })))
+      .sort((a, b) => Math.abs(b.gammaEur || 0) - Math.abs(a.gammaEur || 0));
+
+    productResults.sort((a, b) => Math.abs(b.deltaEur || 0) - Math.abs(a.deltaEur || 0));
+
+    const sumOf = (items, field) => round0(items.reduce((sum, item) => sum + (item[field] || 0), 0));
+    const durationMs = Date.now() - startTime;
+    console.log(`[SENSITIVITY] ✅ ${productResults.length} products, ${byUnderlying.length} underlyings, ${hotSpots.length} gamma hot-spots (${durationMs}ms)`);
+
+    return {
+      generatedAt: new Date(),
+      bumps: SENSITIVITY_BUMPS,
+      hotSpotBand: GAMMA_HOT_SPOT_BAND,
+      monteCarloPaths: SENSITIVITY_PATHS,
+      products: productResults,
+      underlyings: byUnderlying,
+      hotSpots,
+      skipped,
+      summary: {
+        productCount: productResults.length,
+        skippedCount: skipped.length,
+        underlyingCount: byUnderlying.length,
+        hotSpotCount: hotSpots.length,
+        nominalEur: sumOf(productResults, 'nominalEur'),
+        deltaEur: sumOf(productResults, 'deltaEur'),
+        gammaEur: sumOf(byUnderlying, 'gammaEur'),
+        vegaEur: sumOf(productResults, 'vegaEur'),
+        correlationEur: sumOf(productResults, 'correlationEur')
+      },
+      durationMs
+    };
+  },
+
+  /**
+   * Sum the cash sensitivities of every product-underlying row per underlying,
+   * largest absolute delta first
+   */
+  aggregateByUnderlying(productResults) {
+    const byKey = {};
+
+    productResults.forEach(p => {
+      p.underlyings.forEach(u => {
+        if (!byKey[u.key]) {
+          byKey[u.key] = {
+            key: u.key,
+            ticker: u.ticker,
+            fullTicker: u.fullTicker,
+            name: u.name,
+            productCount: 0,
+            nominalEur: 0,
+            deltaEur: 0,
+            gammaEur: 0,
+            vegaEur: 0,
+            hotSpotCount: 0,
+            closestDistanceToBarrier: null
+          };
+        }
+
+        const entry = byKey[u.key];
+        entry.productCount++;
+        entry.nominalEur += p.nominalEur || 0;
+        entry.deltaEur += u.deltaEur || 0;
+        entry.gammaEur += u.gammaEur || 0;
+        entry.vegaEur += u.vegaEur || 0;
+        if (u.isGammaHotSpot) entry.hotSpotCount++;
+        if (u.distanceToBarrier !== null &&
+            (entry.closestDistanceToBarrier === null || u.distanceToBarrier < entry.closestDistanceToBarrier)) {
+          entry.closestDistanceToBarrier = u.distanceToBarrier;
+        }
+      });
+    });
+
+    return Object.values(byKey)
+      .map(entry => ({
+        ...entry,
+        nominalEur: round0(entry.nominalEur),
+        deltaEur: round0(entry.deltaEur),
+        gammaEur: round0(entry.gammaEur),
+        vegaEur: round0(entry.vegaEur)
+      }))
+      .sort((a, b) => Math.abs(b.deltaEur) - Math.abs(a.deltaEur));
+  }
+};
@@ -64,6 +64,12 @@ export async function getSplitAdjustedStrike(underlying, product) {
     return { adjustedStrike: rawStrike, factor: 1.0, splits: [] };
   }
 
+  // What-if products (historical backtests) take their strikes from the market data
+  // cache closes, which are already on the same basis as the observation prices
+  if (product?.isWhatIf) {
+    return { adjustedStrike: rawStrike, factor: 1.0, splits: [] };
+  }
+
   try {
     // Determine full ticker
     const fullTicker = underlying.securityData?.ticker
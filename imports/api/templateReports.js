@@ -11,6 +11,9 @@ import { SharkNoteEvaluator } from '/imports/api/evaluators/sharkNoteEvaluator';
 import { ParticipationNoteEvaluator } from '/imports/api/evaluators/participationNoteEvaluator';
 import { ReverseConvertibleEvaluator } from '/imports/api/evaluators/reverseConvertibleEvaluator';
 import { ReverseConvertibleBondEvaluator } from '/imports/api/evaluators/reverseConvertibleBondEvaluator';
+import { IssuerCallablePhoenixEvaluator } from '/imports/api/evaluators/issuerCallablePhoenixEvaluator';
+import { CreditLinkedNoteEvaluator } from '/imports/api/evaluators/creditLinkedNoteEvaluator';
+import { GenericEvaluator } from '/imports/api/evaluators/genericEvaluator';
 import { PhoenixChartBuilder } from '/imports/api/chartBuilders/phoenixChartBuilder';
 import { OrionChartBuilder } from '/imports/api/chartBuilders/orionChartBuilder';
 import { HimalayaChartBuilder } from '/imports/api/chartBuilders/himalayaChartBuilder';
@@ -18,9 +21,13 @@ import { SharkNoteChartBuilder } from '/imports/api/chartBuilders/sharkNoteChart
 import { ParticipationNoteChartBuilder } from '/imports/api/chartBuilders/participationNoteChartBuilder';
 import { ReverseConvertibleChartBuilder } from '/imports/api/chartBuilders/reverseConvertibleChartBuilder';
 import { ReverseConvertibleBondChartBuilder } from '/imports/api/chartBuilders/reverseConvertibleBondChartBuilder';
+import { IssuerCallablePhoenixChartBuilder } from '/imports/api/chartBuilders/issuerCallablePhoenixChartBuilder';
+import { CreditLinkedNoteChartBuilder } from '/imports/api/chartBuilders/creditLinkedNoteChartBuilder';
+import { GenericChartBuilder } from '/imports/api/chartBuilders/genericChartBuilder';
 import { ProcessingIssueCollector } from '/imports/api/processingIssueCollector';
 import { MarketDataHelpers } from '/imports/api/marketDataCache';
 import { extractExportFields } from '/imports/api/helpers/reportExportFieldExtractor';
+import { prepareProductAsOf } from '/imports/api/evaluators/evaluationDate';
 
 /**
  * Template-based Reports Collection
@@ -393,6 +400,100 @@ if (Meteor.isServer) {
       return reportId;
     },
 
+    /**
+     * Evaluate a product as of a past date and return the report directly.
+     * Does NOT persist — the live report, product status and chart data are left
+     * untouched. Used to reconstruct what a client saw on a given day.
+     *
+     * @param {String} productId - Product to evaluate
+     * @param {String} sessionId - Session of the requesting user
+     * @param {Date} asOfDate - Historical evaluation date
+     * @returns {Object} - Report document (same shape as templateReports.create) with isHistorical: true
+     */
+    async 'templateReports.evaluateAsOf'(productId, sessionId, asOfDate) {
+      check(productId, String);
+      check(sessionId, String);
+      check(asOfDate, Date);
+      this.unblock();
+
+      const user = await validateSessionAndGetUser(sessionId);
+
+      if (asOfDate.getTime() > Date.now()) {
+        throw new Meteor.Error('invalid-date', 'asOfDate cannot be in the future');
+      }
+
+      const productData = await ProductsCollection.findOneAsync(productId);
+      if (!productData) {
+        throw new Meteor.Error('not-found', 'Product not found');
+      }
+
+      const tradeDate = productData.tradeDate ? new Date(productData.tradeDate) : null;
+      if (tradeDate && asOfDate < tradeDate) {
+        throw new Meteor.Error('invalid-date', 'asOfDate is before the product trade date');
+      }
+
+      const templateId = detectTemplateId(productData);
+      const reportBuilder = TemplateReportHelpers.getTemplateReportBuilder(templateId);
+      const asOfLabel = asOfDate.toISOString().split('T')[0];
+      console.log(`[templateReports.evaluateAsOf] Evaluating ${productId} (${templateId}) as of ${asOfLabel}`);
+
+      const productAsOf = await prepareProductAsOf(productData, asOfDate);
+
+      // HIMALAYA-SPECIFIC: same ticker normalization as templateReports.create
+      if (templateId === 'himalaya' && productAsOf.underlyings) {
+        for (const underlying of productAsOf.underlyings) {
+          if (underlying.ticker && !underlying.ticker.includes('.')) {
+            underlying.ticker = `${underlying.ticker}.US`;
+            if (!underlying.securityData) underlying.securityData = {};
+            underlying.securityData.ticker = underlying.ticker;
+          }
+        }
+      }
+
+      const templateResults = await reportBuilder.generateReport(productAsOf, {
+        evaluationDate: asOfDate,
+        evaluatedBy: user._id
+      });
+
+      // Chart data is stored per product and always reflects the latest evaluation
+      templateResults.chartData = {
+        available: false,
+        reason: 'Charts are not generated for historical evaluations'
+      };
+
+      return {
+        productId: productData._id,
+        productIsin: productData.isin,
+        productName: productData.title || productData.productName || 'Unknown Product',
+        templateId,
+
+        evaluationDate: asOfDate,
+        evaluationDateFormatted: asOfDate.toLocaleDateString('en-US', {
+          month: 'short',
+          day: 'numeric',
+          year: 'numeric'
+        }),
+        evaluatedBy: user._id,
+        isHistorical: true,
+        asOfDate,
+
+        templateResults,
+
+        staticData: {
+          isin: productData.isin,
+          name: productData.title || productData.productName || 'Unknown Product',
+          currency: productData.currency || 'USD',
+          tradeDate,
+          maturityDate: productData.maturity || productData.maturityDate ?
+            new Date(productData.maturity || productData.maturityDate) : null,
+          notional: productData.notional || 100
+        },
+
+        createdAt: new Date(),
+        version: '1.0.0'
+      };
+    },
+
     /**
      * Generate a new template report and process events/notifications
      * This is the main method called by cron jobs and manual re-evaluation
@@ -733,9 +834,29 @@ const TEMPLATE_REGISTRY = {
     chartBuilder: ReverseConvertibleBondChartBuilder,
     uiComponent: 'ReverseConvertibleBondReport'
   },
+  issuer_callable_phoenix: {
+    evaluator: IssuerCallablePhoenixEvaluator,
+    chartBuilder: IssuerCallablePhoenixChartBuilder,
+    uiComponent: 'IssuerCallablePhoenixReport'
+  },
+  credit_linked_note: {
+    evaluator: CreditLinkedNoteEvaluator,
+    chartBuilder: CreditLinkedNoteChartBuilder,
+    uiComponent: 'CreditLinkedNoteReport'
+  },
   // Future templates can be added here
 };
 
+/**
+ * Fallback for unknown or unimplemented templates:
+ * interprets the product's drag-and-drop payoffStructure
+ */
+const GENERIC_TEMPLATE = {
+  evaluator: GenericEvaluator,
+  chartBuilder: GenericChartBuilder,
+  uiComponent: 'GenericReport'
+};
+
 /**
  * Template Report Helpers
  */
@@ -744,42 +865,24 @@ export const TemplateReportHelpers = {
    * Get template-specific report generator
    */
   getTemplateReportBuilder(templateId) {
-    const template = TEMPLATE_REGISTRY[templateId];
-    return template ? template.evaluator : DefaultReportBuilder;
+    const template = TEMPLATE_REGISTRY[templateId] || GENERIC_TEMPLATE;
+    return template.evaluator;
   },
 
   /**
    * Get template-specific chart builder
    */
   getTemplateChartBuilder(templateId) {
-    const template = TEMPLATE_REGISTRY[templateId];
-    return template ? template.chartBuilder : null;
+    const template = TEMPLATE_REGISTRY[templateId] || GENERIC_TEMPLATE;
+    return template.chartBuilder;
   },
 
   /**
    * Get template UI component name
    */
   getTemplateUIComponent(templateId) {
-    const template = TEMPLATE_REGISTRY[templateId];
-    return template ? template.uiComponent : 'DefaultReport';
-  }
-};
-
-/**
- * Default Report Builder
- * Fallback for unknown or unimplemented templates
- */
-const DefaultReportBuilder = {
-  async generateReport(product, context) {
-    return {
-      templateType: 'unknown',
-      templateVersion: '1.0.0',
-      currentStatus: {
-        productStatus: 'unknown',
-        evaluationDate: new Date()
-      },
-      message: 'Template not implemented yet'
-    };
+    const template = TEMPLATE_REGISTRY[templateId] || GENERIC_TEMPLATE;
+    return template.uiComponent;
   }
 };
  
@@ -376,6 +376,28 @@ export const BUILT_IN_TEMPLATES = [
     createdAt: new Date(),
     updatedAt: new Date(),
     droppedItems: []
+  },
+  {
+    _id: "issuer_callable_phoenix",
+    name: "Issuer Callable Phoenix",
+    icon: "📞",
+    category: "yield_enhancement",
+    description: "Phoenix without autocall barrier: the issuer may redeem at the call price on each call date. Conditional (memory) or fixed coupons. Capital protection barrier at maturity if never called.",
+    isBuiltIn: true,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    droppedItems: []
+  },
+  {
+    _id: "credit_linked_note",
+    name: "Credit Linked Note",
+    icon: "🏛️",
+    category: "credit",
+    description: "Periodic coupon linked to the credit of one or more reference entities. A credit event writes the entity's share of notional down to its recovery rate; no credit event means redemption at par.",
+    isBuiltIn: true,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    droppedItems: []
   }
 ];
 
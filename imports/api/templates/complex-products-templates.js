@@ -3,6 +3,7 @@
 
 import { 
   memoryAutocallPhoenixTemplate,
+  stepDownSnowballPhoenixTemplate,
   memoryLockExtensionTemplate,
   americanBarrierExtensionTemplate,
   firstMonthEnhancementTemplate,
@@ -22,6 +23,7 @@ import {
 export const COMPLEX_PRODUCT_TEMPLATES = [
   // Memory Autocall Phoenix family
   memoryAutocallPhoenixTemplate,
+  stepDownSnowballPhoenixTemplate,
   memoryLockExtensionTemplate,
   americanBarrierExtensionTemplate,
   firstMonthEnhancementTemplate,
@@ -80,7 +82,8 @@ export const COMPLEX_PRODUCT_CATEGORIES = {
     name: 'Autocallable',
     description: 'Memory autocall products with observation dates',
     templates: [
-      'Memory Autocall Phoenix - Base'
+      'Memory Autocall Phoenix - Base',
+      'Step-down Snowball Phoenix'
     ]
   },
   EXTENSIONS: {
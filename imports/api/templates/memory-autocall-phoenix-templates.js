@@ -18,7 +18,9 @@ export const memoryAutocallPhoenixTemplate = {
     protectionBarrier: 65,
     couponRate: 8.0,
     observationFrequency: "quarterly", // monthly, quarterly, semi-annual, annual
-    stepDownAmount: 5 // Autocall level steps down by 5% each observation
+    stepDownAmount: 5, // Autocall level steps down by 5% each observation
+    couponBarrierStepDown: 0, // Coupon barrier stays flat
+    couponMode: "fixed" // fixed or snowball
   },
   
   droppedItems: [
@@ -311,6 +313,285 @@ This is the base Memory Autocall Phoenix template with core features:
 `
 };
 
+// Step-down Snowball Phoenix Template
+export const stepDownSnowballPhoenixTemplate = {
+  name: "Step-down Snowball Phoenix",
+  description: "Autocall and coupon barriers stepping down each observation, with a snowball coupon growing with the period number",
+  category: "Autocallable",
+  tags: ["step-down", "snowball", "autocall", "phoenix", "observation", "protection"],
+  createdAt: new Date(),
+  updatedAt: new Date(),
+  version: 1,
+  isPublic: true,
+
+  defaultParameters: {
+    initialAutocallLevel: 100,
+    couponBarrier: 80,
+    protectionBarrier: 60,
+    couponRate: 2.0,
+    observationFrequency: "quarterly",
+    stepDownAmount: 5, // Autocall level steps down by 5% each observation
+    couponBarrierStepDown: 2.5, // Coupon barrier steps down by 2.5% each observation
+    couponMode: "snowball" // Observation n pays n × couponRate
+  },
+
+  droppedItems: [
+    // ========== OBSERVATION DATES - Periodic Monitoring ==========
+    {
+      id: 'sdsp-obs-timing',
+      type: 'observation',
+      label: 'Observation Date',
+      frequency: 'quarterly',
+      section: 'life',
+      column: 'timing',
+      rowIndex: 0,
+      sortOrder: 0
+    },
+
+    // Autocall Check - IF underlying >= stepped autocall level
+    {
+      id: 'sdsp-obs-if-autocall',
+      type: 'logic_operator',
+      label: 'IF',
+      section: 'life',
+      column: 'condition',
+      rowIndex: 0,
+      sortOrder: 0
+    },
+    {
+      id: 'sdsp-obs-underlying',
+      type: 'underlying',
+      label: 'Underlying',
+      basketType: 'worst_of',
+      section: 'life',
+      column: 'condition',
+      rowIndex: 0,
+      sortOrder: 1
+    },
+    {
+      id: 'sdsp-obs-autocall-comparison',
+      type: 'comparison',
+      label: 'At or Above',
+      operator: '>=',
+      section: 'life',
+      column: 'condition',
+      rowIndex: 0,
+      sortOrder: 2
+    },
+    {
+      id: 'sdsp-obs-autocall-barrier',
+      type: 'barrier',
+      label: 'Autocall Level',
+      barrier_type: 'autocall',
+      defaultValue: '100',
+      stepDown: true,
+      stepDownAmount: '5',
+      section: 'life',
+      column: 'condition',
+      rowIndex: 0,
+      sortOrder: 3
+    },
+
+    // THEN Early Redemption + Snowball Coupon
+    {
+      id: 'sdsp-obs-then',
+      type: 'logic_operator',
+      label: 'THEN',
+      section: 'life',
+      column: 'action',
+      rowIndex: 0,
+      sortOrder: 0
+    },
+    {
+      id: 'sdsp-obs-autocall-action',
+      type: 'autocall',
+      label: 'Early Redemption + Snowball Coupon',
+      basePayment: '100',
+      includeMemoryCoupons: true,
+      snowball: true,
+      section: 'life',
+      column: 'action',
+      rowIndex: 0,
+      sortOrder: 1
+    },
+
+    // ELSE IF stepped coupon barrier check
+    {
+      id: 'sdsp-obs-else-if',
+      type: 'logic_operator',
+      label: 'ELSE IF',
+      section: 'life',
+      column: 'condition',
+      rowIndex: 1,
+      sortOrder: 0
+    },
+    {
+      id: 'sdsp-obs-underlying-coupon',
+      type: 'underlying',
+      label: 'Underlying',
+      basketType: 'worst_of',
+      section: 'life',
+      column: 'condition',
+      rowIndex: 1,
+      sortOrder: 1
+    },
+    {
+      id: 'sdsp-obs-coupon-comparison',
+      type: 'comparison',
+      label: 'At or Above',
+      operator: '>=',
+      section: 'life',
+      column: 'condition',
+      rowIndex: 1,
+      sortOrder: 2
+    },
+    {
+      id: 'sdsp-obs-coupon-barrier',
+      type: 'barrier',
+      label: 'Coupon Barrier',
+      barrier_type: 'coupon',
+      defaultValue: '80',
+      stepDown: true,
+      stepDownAmount: '2.5',
+      section: 'life',
+      column: 'condition',
+      rowIndex: 1,
+      sortOrder: 3
+    },
+
+    // THEN Pay Snowball Coupon (no memory: the coupon grows instead)
+    {
+      id: 'sdsp-obs-coupon-then',
+      type: 'logic_operator',
+      label: 'THEN',
+      section: 'life',
+      column: 'action',
+      rowIndex: 1,
+      sortOrder: 0
+    },
+    {
+      id: 'sdsp-obs-coupon-payment',
+      type: 'memory_coupon',
+      label: 'Pay Snowball Coupon',
+      couponRate: '2.0',
+      snowball: true,
+      section: 'life',
+      column: 'action',
+      rowIndex: 1,
+      sortOrder: 1
+    },
+
+    // ========== MATURITY SECTION ==========
+    {
+      id: 'sdsp-mat-timing',
+      type: 'timing',
+      label: 'At Maturity',
+      section: 'maturity',
+      column: 'timing',
+      rowIndex: 0,
+      sortOrder: 0
+    },
+    {
+      id: 'sdsp-mat-if-protection',
+      type: 'logic_operator',
+      label: 'IF',
+      section: 'maturity',
+      column: 'condition',
+      rowIndex: 0,
+      sortOrder: 0
+    },
+    {
+      id: 'sdsp-mat-underlying',
+      type: 'underlying',
+      label: 'Underlying',
+      basketType: 'worst_of',
+      section: 'maturity',
+      column: 'condition',
+      rowIndex: 0,
+      sortOrder: 1
+    },
+    {
+      id: 'sdsp-mat-protection-comparison',
+      type: 'comparison',
+      label: 'At or Above',
+      operator: '>=',
+      section: 'maturity',
+      column: 'condition',
+      rowIndex: 0,
+      sortOrder: 2
+    },
+    {
+      id: 'sdsp-mat-protection-barrier',
+      type: 'barrier',
+      label: 'Protection Barrier',
+      barrier_type: 'protection',
+      defaultValue: '60',
+      section: 'maturity',
+      column: 'condition',
+      rowIndex: 0,
+      sortOrder: 3
+    },
+    {
+      id: 'sdsp-mat-protection-then',
+      type: 'logic_operator',
+      label: 'THEN',
+      section: 'maturity',
+      column: 'action',
+      rowIndex: 0,
+      sortOrder: 0
+    },
+    {
+      id: 'sdsp-mat-protected-return',
+      type: 'result',
+      label: '100% Capital',
+      baseReturn: '100',
+      section: 'maturity',
+      column: 'action',
+      rowIndex: 0,
+      sortOrder: 1
+    },
+    {
+      id: 'sdsp-mat-else',
+      type: 'logic_operator',
+      label: 'ELSE',
+      section: 'maturity',
+      column: 'action',
+      rowIndex: 0,
+      sortOrder: 2
+    },
+    {
+      id: 'sdsp-mat-downside',
+      type: 'result',
+      label: 'Underlying Performance',
+      exposureType: 'direct',
+      multiplier: '1.0',
+      section: 'maturity',
+      column: 'action',
+      rowIndex: 0,
+      sortOrder: 3
+    }
+  ],
+
+  instructions: `
+Phoenix variant with stepping barriers and a snowball coupon:
+
+**Key Features:**
+- Autocall level starts at 100% and steps down by 5% each observation
+- Coupon barrier starts at 80% and steps down by 2.5% each observation
+- Snowball coupon: observation n pays n × 2% (missed periods are caught up, no separate memory)
+- Capital protection at maturity (60% barrier)
+
+**Observation Logic:**
+1. IF underlying ≥ autocall level(n) → Early redemption + n × coupon
+2. ELSE IF underlying ≥ coupon barrier(n) → Pay n × coupon
+3. ELSE → Continue
+
+**Schedule:**
+Levels and coupon amounts follow the product's observation schedule when set
+(Schedule tab: per-row autocall level, coupon barrier and coupon override).
+`
+};
+
 // Memory Lock Extension Template
 export const memoryLockExtensionTemplate = {
   name: "Memory Lock Extension",
@@ -737,6 +1018,7 @@ Final coupon payment can "jump" to underlying performance if it's higher than th
 export const insertMemoryAutocallPhoenixTemplates = async (TemplatesCollection) => {
   const templates = [
     memoryAutocallPhoenixTemplate,
+    stepDownSnowballPhoenixTemplate,
     memoryLockExtensionTemplate, 
     americanBarrierExtensionTemplate,
     firstMonthEnhancementTemplate,
@@ -30,6 +30,23 @@ function priceAsOf(marketDataDoc, asOfDate) {
   return { price: 0, lastUpdate: null };
 }
 
+/**
+ * Capital protection barrier level (% of initial) from the product structure,
+ * or null when the product has none.
+ */
+export function getProtectionBarrierLevel(product) {
+  if (product.structureParams?.protectionBarrierLevel) {
+    return product.structureParams.protectionBarrierLevel;
+  }
+  if (product.structureParams?.protectionBarrier) {
+    return product.structureParams.protectionBarrier;
+  }
+  const protectionBarrier = (product.structure?.maturity || product.payoffStructure || []).find(
+    item => item.type === 'barrier' && item.barrier_type === 'protection'
+  );
+  return protectionBarrier ? (protectionBarrier.barrier_level || protectionBarrier.level || null) : null;
+}
+
 function isProductLiveAsOf(product, asOfDate) {
   const trade = product.tradeDate ? new Date(product.tradeDate) : null;
   const finalObs = (product.finalObservation || product.finalObservationDate)
@@ -188,19 +205,7 @@ export async function buildUnderlyingsAnalysis(asOfDate = null) {
                            item => item.type === 'barrier' && item.barrier_type === 'protection'
                          );
 
-    let protectionBarrierLevel = null;
-    if (product.structureParams?.protectionBarrierLevel) {
-      protectionBarrierLevel = product.structureParams.protectionBarrierLevel;
-    } else if (product.structureParams?.protectionBarrier) {
-      protectionBarrierLevel = product.structureParams.protectionBarrier;
-    } else {
-      const protectionBarrier = (product.structure?.maturity || product.payoffStructure || []).find(
-        item => item.type === 'barrier' && item.barrier_type === 'protection'
-      );
-      if (protectionBarrier) {
-        protectionBarrierLevel = protectionBarrier.barrier_level || protectionBarrier.level;
-      }
-    }
+    const protectionBarrierLevel = getProtectionBarrierLevel(product);
 
     const productNotional = nominalByProduct[product._id] || 0;
     let bubbleSize = 8;
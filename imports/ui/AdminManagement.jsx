@@ -14,6 +14,8 @@ import CronJobsDashboard from './CronJobsDashboard.jsx';
 import NotificationsPage from './NotificationsPage.jsx';
 import ServerLogsViewer from './ServerLogsViewer.jsx';
 import ManualPriceTracker from './ManualPriceTracker.jsx';
+import BankParserDefinitionsManager from './BankParserDefinitionsManager.jsx';
+import BankFileQuarantine from './BankFileQuarantine.jsx';
 
 // ── User Accesses Panel (moved from Contacts) ──
 const USER_SUB_TABS = { ALL: 'all', STAFF: 'staff', CLIENTS: 'clients', INTRODUCERS: 'introducers' };
@@ -320,6 +322,18 @@ const AdminManagement = React.memo(({ user, currentSection, onEditProduct }) =>
       icon: '🔍',
       requiredRole: 'admin'
     },
+    {
+      id: 'parsers',
+      label: 'Parser Definitions',
+      icon: '🧩',
+      requiredRole: 'admin'
+    },
+    {
+      id: 'quarantine',
+      label: 'File Quarantine',
+      icon: '🚧',
+      requiredRole: 'admin'
+    },
     {
       id: 'users',
       label: 'User Accesses',
@@ -353,6 +367,10 @@ const AdminManagement = React.memo(({ user, currentSection, onEditProduct }) =>
         return <ServerLogsViewer key="logs" sessionId={localStorage.getItem('sessionId')} />;
       case 'priceTracker':
         return <ManualPriceTracker key="priceTracker" user={user} />;
+      case 'parsers':
+        return <BankParserDefinitionsManager key="parsers" user={user} />;
+      case 'quarantine':
+        return <BankFileQuarantine key="quarantine" user={user} />;
       case 'users':
         return <UserAccessesPanel key="users" currentUser={user} />;
       default:
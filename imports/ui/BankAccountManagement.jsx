@@ -137,7 +137,8 @@ const BankAccountManagement = ({ user }) => {
     setEditingAccount(account._id);
     setEditFormData({
       referenceCurrency: account.referenceCurrency,
-      authorizedOverdraft: account.authorizedOverdraft || ''
+      authorizedOverdraft: account.authorizedOverdraft || '',
+      costBasisMethod: account.costBasisMethod || 'FIFO'
     });
   };
 
@@ -155,7 +156,8 @@ const BankAccountManagement = ({ user }) => {
       accountId,
       updates: {
         referenceCurrency: editFormData.referenceCurrency,
-        authorizedOverdraft: overdraftValue
+        authorizedOverdraft: overdraftValue,
+        costBasisMethod: editFormData.costBasisMethod
       },
       sessionId
     }, (err) => {
@@ -616,6 +618,40 @@ const BankAccountManagement = ({ user }) => {
                           Authorized overdraft in {editFormData.referenceCurrency}. Leave empty for no credit line.
                         </div>
                       </div>
+                      <div>
+                        <label style={{
+                          display: 'block',
+                          marginBottom: '8px',
+                          fontSize: '0.875rem',
+                          fontWeight: '600',
+                          color: 'var(--text-primary)'
+                        }}>
+                          Cost Basis Method
+                        </label>
+                        <select
+                          value={editFormData.costBasisMethod}
+                          onChange={(e) => setEditFormData({ ...editFormData, costBasisMethod: e.target.value })}
+                          style={{
+                            width: '100%',
+                            padding: '10px 14px',
+                            border: '2px solid var(--border-color)',
+                            borderRadius: '6px',
+                            fontSize: '0.95rem',
+                            background: 'var(--bg-secondary)',
+                            color: 'var(--text-primary)'
+                          }}
+                        >
+                          <option value="FIFO">FIFO</option>
+                          <option value="WEIGHTED_AVERAGE">Weighted average</option>
+                        </select>
+                        <div style={{
+                          fontSize: '0.75rem',
+                          color: 'var(--text-muted)',
+                          marginTop: '4px'
+                        }}>
+                          Used for realized gains and the internal cost basis. Applies from the next ledger rebuild.
+                        </div>
+                      </div>
                     </div>
                     <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
                       <button
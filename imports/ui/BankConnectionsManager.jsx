@@ -26,6 +26,21 @@ const labelStyle = {
   fontWeight: '500'
 };
 
+const CONNECTION_TYPE_LABELS = {
+  sftp: 'SFTP',
+  local: 'Local folder',
+  ftps: 'FTPS',
+  https: 'HTTPS pull',
+  imap: 'IMAP mailbox',
+  maildir: 'Maildir'
+};
+
+const DEFAULT_PORTS = {
+  sftp: 22,
+  ftps: 21,
+  imap: 993
+};
+
 const BankConnectionsManager = ({ user }) => {
   // Get sessionId from localStorage (where it's stored after login)
   const [sessionId, setSessionId] = useState(null);
@@ -70,7 +85,15 @@ const BankConnectionsManager = ({ user }) => {
     privateKeyPath: '',
     remotePath: '/',
     keySource: 'settings', // 'file' or 'settings'
-    localFolderName: ''    // For 'local' type: folder name relative to bankfiles/
+    localFolderName: '',   // For 'local' type: folder name relative to bankfiles/
+    ftpsMode: 'explicit',  // For 'ftps' type
+    url: '',               // For 'https' type
+    authType: 'basic',     // For 'https' type: 'basic' or 'certificate'
+    clientCertPath: '',
+    clientKeyPath: '',
+    mailbox: 'INBOX',      // For 'imap' type
+    maildirPath: '',       // For 'maildir' type
+    attachmentPattern: ''  // For ftps/https/imap/maildir: optional filename regex
   });
 
   // Dialog hook
@@ -128,7 +151,10 @@ const BankConnectionsManager = ({ user }) => {
   const handleInputChange = (field, value) => {
     setNewConnection(prev => ({
       ...prev,
-      [field]: value
+      [field]: value,
+      // Switching type or FTPS mode resets the port to its default
+      ...(field === 'connectionType' ? { port: DEFAULT_PORTS[value] || '' } : {}),
+      ...(field === 'ftpsMode' ? { port: value === 'implicit' ? 990 : 21 } : {})
     }));
   };
 
@@ -161,6 +187,29 @@ const BankConnectionsManager = ({ user }) => {
         showError('Please provide a folder name for local connection');
         return;
       }
+    } else if (newConnection.connectionType === 'ftps' || newConnection.connectionType === 'imap') {
+      if (!newConnection.host || !newConnection.username || !newConnection.password) {
+        showError('Please fill in Host, Username and Password');
+        return;
+      }
+    } else if (newConnection.connectionType === 'https') {
+      if (!newConnection.url) {
+        showError('Please provide the HTTPS listing URL');
+        return;
+      }
+      if (newConnection.authType === 'certificate' && (!newConnection.clientCertPath || !newConnection.clientKeyPath)) {
+        showError('Please provide the client certificate and key');
+        return;
+      }
+      if (newConnection.authType === 'basic' && (!newConnection.username || !newConnection.password)) {
+        showError('Please fill in Username and Password');
+        return;
+      }
+    } else if (newConnection.connectionType === 'maildir') {
+      if (!newConnection.maildirPath) {
+        showError('Please provide the maildir path');
+        return;
+      }
     }
 
     setIsCreating(true);
@@ -185,6 +234,32 @@ const BankConnectionsManager = ({ user }) => {
       } else if (newConnection.connectionType === 'local') {
         // Local folder-specific fields
         connectionData.localFolderName = newConnection.localFolderName;
+      } else if (newConnection.connectionType === 'ftps') {
+        connectionData.host = newConnection.host;
+        connectionData.port = parseInt(newConnection.port) || null;
+        connectionData.username = newConnection.username;
+        connectionData.password = newConnection.password;
+        connectionData.ftpsMode = newConnection.ftpsMode;
+        connectionData.remotePath = newConnection.remotePath || '/';
+      } else if (newConnection.connectionType === 'imap') {
+        connectionData.host = newConnection.host;
+        connectionData.port = parseInt(newConnection.port) || null;
+        connectionData.username = newConnection.username;
+        connectionData.password = newConnection.password;
+        connectionData.mailbox = newConnection.mailbox || 'INBOX';
+      } else if (newConnection.connectionType === 'https') {
+        connectionData.url = newConnection.url;
+        connectionData.authType = newConnection.authType;
+        connectionData.username = newConnection.username || null;
+        connectionData.password = newConnection.password || null;
+        connectionData.clientCertPath = newConnection.authType === 'certificate' ? newConnection.clientCertPath : null;
+        connectionData.clientKeyPath = newConnection.authType === 'certificate' ? newConnection.clientKeyPath : null;
+      } else if (newConnection.connectionType === 'maildir') {
+        connectionData.maildirPath = newConnection.maildirPath;
+      }
+
+      if (['ftps', 'https', 'imap', 'maildir'].includes(newConnection.connectionType)) {
+        connectionData.attachmentPattern = newConnection.attachmentPattern || null;
       }
 
       // Debug logging
@@ -196,7 +271,7 @@ const BankConnectionsManager = ({ user }) => {
 
       const result = await Meteor.callAsync('bankConnections.create', connectionData);
 
-      showSuccess(`${newConnection.connectionType === 'local' ? 'Local folder' : 'SFTP'} connection created successfully`);
+      showSuccess(`${CONNECTION_TYPE_LABELS[newConnection.connectionType]} connection created successfully`);
 
       // Reset form
       setNewConnection({
@@ -210,7 +285,15 @@ const BankConnectionsManager = ({ user }) => {
         privateKeyPath: '',
         remotePath: '/',
         keySource: 'settings',
-        localFolderName: ''
+        localFolderName: '',
+        ftpsMode: 'explicit',
+        url: '',
+        authType: 'basic',
+        clientCertPath: '',
+        clientKeyPath: '',
+        mailbox: 'INBOX',
+        maildirPath: '',
+        attachmentPattern: ''
       });
 
     } catch (error) {
@@ -636,6 +719,10 @@ const BankConnectionsManager = ({ user }) => {
             <select value={newConnection.connectionType} onChange={(e) => handleInputChange('connectionType', e.target.value)} style={inputStyle}>
               <option value="sftp">SFTP (Download from server)</option>
               <option value="local">Local Folder (Bank uploads files)</option>
+              <option value="ftps">FTPS (Download from FTP server over TLS)</option>
+              <option value="https">HTTPS Pull (Download from web endpoint)</option>
+              <option value="imap">IMAP Mailbox (Email attachments)</option>
+              <option value="maildir">Maildir (Email attachments on this server)</option>
             </select>
           </div>
 
@@ -760,6 +847,134 @@ const BankConnectionsManager = ({ user }) => {
               </small>
             </div>
           )}
+
+          {/* FTPS and IMAP: server, credentials */}
+          {(newConnection.connectionType === 'ftps' || newConnection.connectionType === 'imap') && (
+            <>
+              <div>
+                <label style={labelStyle}>Host *</label>
+                <input type="text" value={newConnection.host} onChange={(e) => handleInputChange('host', e.target.value)}
+                  placeholder={newConnection.connectionType === 'imap' ? 'e.g., imap.mailprovider.com' : 'e.g., ftps.bank.com'} style={inputStyle} />
+              </div>
+
+              <div>
+                <label style={labelStyle}>Port</label>
+                <input type="number" value={newConnection.port} onChange={(e) => handleInputChange('port', e.target.value)}
+                  style={inputStyle} />
+              </div>
+
+              <div>
+                <label style={labelStyle}>Username *</label>
+                <input type="text" value={newConnection.username} onChange={(e) => handleInputChange('username', e.target.value)}
+                  placeholder={newConnection.connectionType === 'imap' ? 'Mailbox login' : 'FTPS username'} style={inputStyle} />
+              </div>
+
+              <div>
+                <label style={labelStyle}>Password *</label>
+                <input type="password" value={newConnection.password} onChange={(e) => handleInputChange('password', e.target.value)}
+                  style={inputStyle} />
+              </div>
+
+              {newConnection.connectionType === 'ftps' ? (
+                <>
+                  <div>
+                    <label style={labelStyle}>TLS Mode</label>
+                    <select value={newConnection.ftpsMode} onChange={(e) => handleInputChange('ftpsMode', e.target.value)} style={inputStyle}>
+                      <option value="explicit">Explicit (AUTH TLS, port 21)</option>
+                      <option value="implicit">Implicit (port 990)</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label style={labelStyle}>Remote Path</label>
+                    <input type="text" value={newConnection.remotePath} onChange={(e) => handleInputChange('remotePath', e.target.value)}
+                      placeholder="Default: /" style={inputStyle} />
+                  </div>
+                </>
+              ) : (
+                <div>
+                  <label style={labelStyle}>Mailbox Folder</label>
+                  <input type="text" value={newConnection.mailbox} onChange={(e) => handleInputChange('mailbox', e.target.value)}
+                    placeholder="Default: INBOX" style={inputStyle} />
+                </div>
+              )}
+            </>
+          )}
+
+          {/* HTTPS pull: listing URL and authentication */}
+          {newConnection.connectionType === 'https' && (
+            <>
+              <div style={{ gridColumn: '1 / -1' }}>
+                <label style={labelStyle}>Listing URL *</label>
+                <input type="text" value={newConnection.url} onChange={(e) => handleInputChange('url', e.target.value)}
+                  placeholder="e.g., https://files.bank.com/statements/" style={inputStyle} />
+                <small style={{ display: 'block', marginTop: '0.25rem', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                  JSON file list or HTML index page. Each listed file is downloaded once.
+                </small>
+              </div>
+
+              <div>
+                <label style={labelStyle}>Authentication</label>
+                <select value={newConnection.authType} onChange={(e) => handleInputChange('authType', e.target.value)} style={inputStyle}>
+                  <option value="basic">Basic (username / password)</option>
+                  <option value="certificate">Client certificate</option>
+                </select>
+              </div>
+
+              <div>
+                <label style={labelStyle}>Username{newConnection.authType === 'basic' ? ' *' : ''}</label>
+                <input type="text" value={newConnection.username} onChange={(e) => handleInputChange('username', e.target.value)}
+                  style={inputStyle} />
+              </div>
+
+              <div>
+                <label style={labelStyle}>Password{newConnection.authType === 'basic' ? ' *' : ''}</label>
+                <input type="password" value={newConnection.password} onChange={(e) => handleInputChange('password', e.target.value)}
+                  style={inputStyle} />
+              </div>
+
+              {newConnection.authType === 'certificate' && (
+                <>
+                  <div>
+                    <label style={labelStyle}>Client Certificate *</label>
+                    <input type="text" value={newConnection.clientCertPath} onChange={(e) => handleInputChange('clientCertPath', e.target.value)}
+                      placeholder="File path or SETTINGS:KEY_NAME" style={inputStyle} />
+                  </div>
+
+                  <div>
+                    <label style={labelStyle}>Client Key *</label>
+                    <input type="text" value={newConnection.clientKeyPath} onChange={(e) => handleInputChange('clientKeyPath', e.target.value)}
+                      placeholder="File path or SETTINGS:KEY_NAME" style={inputStyle} />
+                  </div>
+                </>
+              )}
+            </>
+          )}
+
+          {/* Maildir: folder delivered by the local mail server */}
+          {newConnection.connectionType === 'maildir' && (
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>Maildir Path *</label>
+              <input type="text" value={newConnection.maildirPath} onChange={(e) => handleInputChange('maildirPath', e.target.value)}
+                placeholder="e.g., /var/mail/statements/Maildir" style={inputStyle} />
+              <small style={{ display: 'block', marginTop: '0.25rem', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                Absolute path, or relative to <code style={{ background: 'var(--bg-tertiary)', padding: '2px 6px', borderRadius: '4px' }}>bankfiles/</code>.
+                Processed messages are moved from new/ to cur/.
+              </small>
+            </div>
+          )}
+
+          {['ftps', 'https', 'imap', 'maildir'].includes(newConnection.connectionType) && (
+            <div style={{ gridColumn: '1 / -1' }}>
+              <label style={labelStyle}>File Name Pattern</label>
+              <input type="text" value={newConnection.attachmentPattern} onChange={(e) => handleInputChange('attachmentPattern', e.target.value)}
+                placeholder="Optional regular expression, e.g. ^POS_\d{8}\.csv$" style={inputStyle} />
+              <small style={{ display: 'block', marginTop: '0.25rem', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+                Leave blank to accept any file matching a bank parser. Files are saved to bankfiles/&lt;bank name&gt;;
+                .gpg files are decrypted before they are made available for processing.
+              </small>
+            </div>
+          )}
         </div>
 
         <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', marginTop: '1rem' }}>
@@ -947,12 +1162,25 @@ const BankConnectionsManager = ({ user }) => {
 
                       <div style={{ fontSize: '13px', color: 'var(--text-secondary)', marginBottom: '0.5rem' }}>
                         <strong>Bank:</strong> {bank?.name || 'Unknown'}
-                        {connection.connectionType === 'sftp' ? (
+                        {['sftp', 'ftps', 'imap'].includes(connection.connectionType) && (
                           <>
                             {' '}• <strong>Host:</strong> {connection.host}:{connection.port}
                             {' '}• <strong>User:</strong> {connection.username}
+                            {connection.connectionType === 'imap' && <>{' '}• <strong>Mailbox:</strong> {connection.mailbox}</>}
+                          </>
+                        )}
+                        {connection.connectionType === 'https' && (
+                          <>
+                            {' '}• <strong>URL:</strong> {connection.url}
+                            {' '}• <strong>Auth:</strong> {connection.authType === 'certificate' ? 'client certificate' : 'basic'}
                           </>
-                        ) : (
+                        )}
+                        {connection.connectionType === 'maildir' && (
+                          <>
+                            {' '}• <strong>Maildir:</strong> {connection.maildirPath}
+                          </>
+                        )}
+                        {connection.connectionType === 'local' && (
                           <>
                             {' '}• <strong>Folder:</strong> bankfiles/{connection.localFolderName}
                           </>
@@ -1023,8 +1251,8 @@ const BankConnectionsManager = ({ user }) => {
                         {isListing && isSelected ? '⏳ Listing...' : '📁 Files'}
                       </button>
 
-                      {/* Download All button - only show for SFTP connections */}
-                      {connection.connectionType === 'sftp' && (
+                      {/* Download All button - not shown for local folders (nothing to download) */}
+                      {connection.connectionType !== 'local' && (
                         <button onClick={() => handleDownloadAllFiles(connection)} disabled={isDownloadingAll || connection.status !== 'connected'} style={{
                           padding: '8px 14px',
                           background: connection.status === 'connected' ? 'var(--success-color)' : 'var(--text-muted)',
@@ -1357,7 +1585,7 @@ const BankConnectionsManager = ({ user }) => {
                     )}
 
                     {/* File details from metadata */}
-                    {log.metadata && (log.action === 'download_all' || log.action === 'process_positions') && (
+                    {log.metadata && (log.action === 'download_all' || log.action === 'process_positions' || log.action === 'file_issues') && (
                       <div style={{
                         marginTop: '8px',
                         padding: '10px',
@@ -1457,6 +1685,31 @@ const BankConnectionsManager = ({ user }) => {
                             )}
                           </div>
                         )}
+
+                        {/* Parser issues per file */}
+                        {log.action === 'file_issues' && (
+                          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+                            <div style={{ color: 'var(--text-muted)', fontWeight: '600', marginBottom: '4px' }}>
+                              ⚠ Processing Issues
+                            </div>
+                            {(log.metadata.files || []).map(file => (
+                              <div key={file.source}>
+                                <span style={{ color: 'var(--text-primary)', fontFamily: 'monospace' }}>{file.source}</span>
+                                <span style={{ color: 'var(--text-muted)', marginLeft: '8px' }}>
+                                  ({file.errorCount} error(s), {file.warningCount} warning(s))
+                                </span>
+                                {file.issues.map((issue, index) => (
+                                  <div key={index} style={{
+                                    marginLeft: '12px',
+                                    color: issue.severity === 'error' ? 'var(--danger-color)' : '#ffc107'
+                                  }}>
+                                    {issue.severity === 'error' ? '✗' : '⚠'} {issue.message}
+                                  </div>
+                                ))}
+                              </div>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     )}
                   </div>
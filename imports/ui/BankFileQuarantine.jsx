@@ -0,0 +1,298 @@
+import React, { useState } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+import { BankFileStructuresCollection, STRUCTURE_STATUS } from '../api/bankFileStructures.js';
+
+const buttonStyle = {
+  padding: '6px 14px',
+  borderRadius: '6px',
+  border: '1px solid var(--border-color)',
+  background: 'var(--bg-secondary)',
+  color: 'var(--text-primary)',
+  cursor: 'pointer',
+  fontSize: '0.85rem'
+};
+
+const chipStyle = (color) => ({
+  display: 'inline-block',
+  padding: '2px 8px',
+  margin: '2px 4px 2px 0',
+  borderRadius: '10px',
+  fontSize: '0.75rem',
+  fontFamily: 'monospace',
+  background: `${color}20`,
+  color
+});
+
+const describeDelimiter = (delimiter) => (delimiter === '\t' ? 'tab' : `"${delimiter}"`);
+
+export default function BankFileQuarantine({ user }) {
+  const sessionId = localStorage.getItem('sessionId');
+
+  const [busyId, setBusyId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [toast, setToast] = useState(null); // { type: 'success'|'error', message }
+
+  const { quarantined, resolved, isLoading } = useTracker(() => {
+    const handle = Meteor.subscribe('bankFileQuarantine', sessionId);
+    return {
+      quarantined: BankFileStructuresCollection.find(
+        { status: STRUCTURE_STATUS.QUARANTINED },
+        { sort: { quarantinedAt: -1 } }
+      ).fetch(),
+      resolved: BankFileStructuresCollection.find(
+        { resolvedAt: { $exists: true }, status: STRUCTURE_STATUS.ACCEPTED },
+        { sort: { resolvedAt: -1 } }
+      ).fetch(),
+      isLoading: !handle.ready()
+    };
+  }, [sessionId]);
+
+  // Toast notification helpers
+  const showSuccess = (message) => {
+    setToast({ type: 'success', message });
+    setTimeout(() => setToast(null), 4000);
+  };
+
+  const showError = (message) => {
+    setToast({ type: 'error', message });
+    setTimeout(() => setToast(null), 6000);
+  };
+
+  const reportResult = (record, result) => {
+    if (result.quarantined) {
+      showError(`${record.filename} still differs from the accepted structure${result.message ? `: ${result.message}` : ''}`);
+    } else {
+      showSuccess(`${record.filename} imported`);
+    }
+  };
+
+  const handleAccept = async (record) => {
+    if (!confirm(`Accept the new structure of ${record.filename} as the baseline for ${record.bankName} ${record.fileType} files and import it?`)) return;
+
+    setBusyId(record._id);
+    try {
+      const result = await Meteor.callAsync('bankFileStructures.accept', { id: record._id, reprocess: true, sessionId });
+      reportResult(record, result);
+    } catch (error) {
+      showError(error.reason || error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReprocess = async (record) => {
+    setBusyId(record._id);
+    try {
+      const result = await Meteor.callAsync('bankFileStructures.reprocess', { id: record._id, sessionId });
+      reportResult(record, result);
+    } catch (error) {
+      showError(error.reason || error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDate = (date, withTime = false) => {
+    if (!date) return '-';
+    return new Date(date).toLocaleString('en-GB', {
+      day: '2-digit', month: 'short', year: 'numeric',
+      ...(withTime ? { hour: '2-digit', minute: '2-digit' } : {})
+    });
+  };
+
+  const renderDiff = (diff) => {
+    if (!diff) return null;
+    return (
+      <div style={{ display: 'grid', gap: '0.5rem', fontSize: '0.85rem' }}>
+        {diff.added?.length > 0 && (
+          <div>
+            <span style={{ color: 'var(--text-secondary)', marginRight: '0.5rem' }}>Added:</span>
+            {diff.added.map(h => <span key={h} style={chipStyle('#10b981')}>+ {h}</span>)}
+          </div>
+        )}
+        {diff.removed?.length > 0 && (
+          <div>
+            <span style={{ color: 'var(--text-secondary)', marginRight: '0.5rem' }}>Removed:</span>
+            {diff.removed.map(h => <span key={h} style={chipStyle('#ef4444')}>− {h}</span>)}
+          </div>
+        )}
+        {diff.renamed?.length > 0 && (
+          <div>
+            <span style={{ color: 'var(--text-secondary)', marginRight: '0.5rem' }}>Renamed:</span>
+            {diff.renamed.map(r => (
+              <span key={r.from} style={chipStyle('#f59e0b')}>#{r.position} {r.from} → {r.to}</span>
+            ))}
+          </div>
+        )}
+        {diff.reordered && (
+          <div style={{ color: '#f59e0b' }}>Column order changed</div>
+        )}
+        {diff.delimiterChanged && (
+          <div>
+            <span style={{ color: 'var(--text-secondary)', marginRight: '0.5rem' }}>Delimiter:</span>
+            <span style={chipStyle('#f59e0b')}>
+              {describeDelimiter(diff.delimiterChanged.from)} → {describeDelimiter(diff.delimiterChanged.to)}
+            </span>
+          </div>
+        )}
+        {diff.dateFormatChanges?.length > 0 && (
+          <div>
+            <span style={{ color: 'var(--text-secondary)', marginRight: '0.5rem' }}>Date formats:</span>
+            {diff.dateFormatChanges.map(change => (
+              <span key={change.column} style={chipStyle('#f59e0b')}>
+                {change.column}: {change.from} → {change.to}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-secondary)' }}>
+        Loading quarantined files...
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {/* Toast */}
+      {toast && (
+        <div style={{
+          padding: '10px 16px',
+          marginBottom: '1rem',
+          borderRadius: '6px',
+          fontSize: '0.85rem',
+          background: toast.type === 'success' ? '#065f4620' : '#ef444420',
+          color: toast.type === 'success' ? '#10b981' : '#ef4444',
+          border: `1px solid ${toast.type === 'success' ? '#10b981' : '#ef4444'}`,
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}>
+          <span>{toast.message}</span>
+          <button onClick={() => setToast(null)} style={{
+            background: 'none', border: 'none', color: 'inherit',
+            cursor: 'pointer', fontSize: '1rem', padding: '0 4px'
+          }}>x</button>
+        </div>
+      )}
+
+      <h3 style={{ margin: '0 0 0.5rem 0', color: 'var(--text-primary)', fontSize: '1.1rem' }}>
+        File Quarantine
+        <span style={{ color: 'var(--text-secondary)', fontWeight: 400, fontSize: '0.85rem', marginLeft: '0.5rem' }}>
+          ({quarantined.length} files held)
+        </span>
+      </h3>
+      <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', margin: '0 0 1rem 0' }}>
+        Bank files whose columns, delimiter or date formats differ from the last accepted file of the same kind
+        are held here instead of being imported. Accept the new structure once the parser handles it, or reprocess
+        after the bank re-delivers a corrected file.
+      </p>
+
+      {quarantined.length === 0 ? (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-secondary)' }}>
+          ✓ No files in quarantine.
+        </div>
+      ) : (
+        quarantined.map(record => (
+          <div key={record._id} style={{
+            background: 'var(--bg-tertiary)',
+            borderRadius: '8px',
+            padding: '1rem',
+            marginBottom: '0.75rem',
+            border: '1px solid #ef4444'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem', flexWrap: 'wrap' }}>
+              <div>
+                <div style={{ fontWeight: 600, color: 'var(--text-primary)' }}>
+                  {record.bankName} · <span style={{ fontFamily: 'monospace' }}>{record.filename}</span>
+                </div>
+                <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '2px' }}>
+                  {record.fileType} · file date {formatDate(record.fileDate)} · quarantined {formatDate(record.quarantinedAt, true)}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button
+                  onClick={() => setExpandedId(expandedId === record._id ? null : record._id)}
+                  style={buttonStyle}
+                >
+                  {expandedId === record._id ? 'Hide columns' : 'Show columns'}
+                </button>
+                <button
+                  onClick={() => handleReprocess(record)}
+                  disabled={busyId === record._id}
+                  style={{ ...buttonStyle, opacity: busyId === record._id ? 0.5 : 1 }}
+                >
+                  Reprocess
+                </button>
+                <button
+                  onClick={() => handleAccept(record)}
+                  disabled={busyId === record._id}
+                  style={{
+                    ...buttonStyle,
+                    border: 'none',
+                    background: 'var(--accent-color)',
+                    color: '#fff',
+                    opacity: busyId === record._id ? 0.5 : 1
+                  }}
+                >
+                  {busyId === record._id ? 'Working...' : 'Accept new structure'}
+                </button>
+              </div>
+            </div>
+
+            <div style={{ marginTop: '0.75rem' }}>
+              {renderDiff(record.diff)}
+            </div>
+
+            {expandedId === record._id && (
+              <div style={{ marginTop: '0.75rem', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                <div style={{ marginBottom: '0.25rem' }}>
+                  {record.structure?.headerCount} columns, delimiter {describeDelimiter(record.structure?.delimiter)}:
+                </div>
+                <div style={{ fontFamily: 'monospace', wordBreak: 'break-word', color: 'var(--text-primary)' }}>
+                  {(record.structure?.headers || []).join(' | ')}
+                </div>
+              </div>
+            )}
+          </div>
+        ))
+      )}
+
+      {resolved.length > 0 && (
+        <>
+          <h4 style={{ margin: '1.5rem 0 0.5rem 0', color: 'var(--text-primary)', fontSize: '0.95rem' }}>
+            Recently accepted structures
+          </h4>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+                {['Bank', 'File', 'Type', 'Changes', 'Accepted'].map(h => (
+                  <th key={h} style={{ padding: '8px 10px', textAlign: 'left', color: 'var(--text-secondary)', fontWeight: 600 }}>
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {resolved.map(record => (
+                <tr key={record._id} style={{ borderBottom: '1px solid var(--border-color)' }}>
+                  <td style={{ padding: '8px 10px', color: 'var(--text-primary)' }}>{record.bankName}</td>
+                  <td style={{ padding: '8px 10px', color: 'var(--text-primary)', fontFamily: 'monospace' }}>{record.filename}</td>
+                  <td style={{ padding: '8px 10px', color: 'var(--text-secondary)' }}>{record.fileType}</td>
+                  <td style={{ padding: '8px 10px', color: 'var(--text-secondary)' }}>{(record.warnings || []).join('; ')}</td>
+                  <td style={{ padding: '8px 10px', color: 'var(--text-secondary)' }}>{formatDate(record.resolvedAt, true)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
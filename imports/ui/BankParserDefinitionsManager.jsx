@@ -0,0 +1,842 @@
+import React, { useState, useMemo } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTracker } from 'meteor/react-meteor-data';
+import { BankParserDefinitionsCollection } from '../api/bankParserDefinitions.js';
+import { BanksCollection } from '../api/banks.js';
+import {
+  DeclarativeParser,
+  PARSER_FILE_TYPES,
+  RULE_OPERATORS,
+  SUPPORTED_ENCODINGS,
+  getStandardFields
+} from '../api/parsers/declarativeParser.js';
+import { SECURITY_TYPES } from '../api/constants/instrumentTypes';
+import { OPERATION_TYPES } from '../api/constants/operationTypes';
+
+const EMPTY_DEFINITION = {
+  key: '',
+  bankName: '',
+  fileType: PARSER_FILE_TYPES.POSITIONS,
+  filename: { pattern: '', flags: 'i', dateGroup: 1, dateFormat: 'YYYYMMDD' },
+  format: { delimiter: ';', encoding: 'utf-8', quoteChar: '"', headerRow: 1, skipFooterLines: 0 },
+  numberFormat: { decimalSeparator: '.', thousandsSeparator: '' },
+  dateFormat: 'DD.MM.YYYY',
+  columnMapping: {},
+  percentagePrice: { column: '', values: ['%'] },
+  securityTypeRules: [],
+  defaultSecurityType: '',
+  operationTypeRules: [],
+  defaultOperationType: 'OTHER'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '8px 10px',
+  borderRadius: '6px',
+  border: '1px solid var(--border-color)',
+  background: 'var(--bg-primary)',
+  color: 'var(--text-primary)',
+  fontSize: '0.85rem',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  fontSize: '0.8rem',
+  color: 'var(--text-secondary)',
+  marginBottom: '4px'
+};
+
+const sectionStyle = {
+  background: 'var(--bg-tertiary)',
+  borderRadius: '8px',
+  padding: '1rem',
+  marginBottom: '1rem',
+  border: '1px solid var(--border-color)'
+};
+
+const sectionTitleStyle = {
+  margin: '0 0 0.75rem 0',
+  color: 'var(--text-primary)',
+  fontSize: '0.95rem'
+};
+
+const buttonStyle = {
+  padding: '6px 14px',
+  borderRadius: '6px',
+  border: '1px solid var(--border-color)',
+  background: 'var(--bg-secondary)',
+  color: 'var(--text-primary)',
+  cursor: 'pointer',
+  fontSize: '0.85rem'
+};
+
+const primaryButtonStyle = {
+  ...buttonStyle,
+  border: 'none',
+  background: 'var(--accent-color)',
+  color: '#fff'
+};
+
+const cellStyle = {
+  padding: '8px 10px',
+  borderBottom: '1px solid var(--border-color)',
+  color: 'var(--text-primary)'
+};
+
+export default function BankParserDefinitionsManager({ user }) {
+  const sessionId = localStorage.getItem('sessionId');
+
+  const [draft, setDraft] = useState(null); // Definition being edited (null = list view)
+  const [sample, setSample] = useState(null); // { filename, content }
+  const [testResult, setTestResult] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [toast, setToast] = useState(null); // { type: 'success'|'error', message }
+
+  const { definitions, banks, isLoading } = useTracker(() => {
+    const handle = Meteor.subscribe('bankParserDefinitions', sessionId);
+    const banksHandle = Meteor.subscribe('banks');
+    return {
+      definitions: BankParserDefinitionsCollection.find({}, { sort: { bankName: 1, key: 1 } }).fetch(),
+      banks: BanksCollection.find({}, { sort: { name: 1 } }).fetch(),
+      isLoading: !handle.ready() || !banksHandle.ready()
+    };
+  }, [sessionId]);
+
+  // Toast notification helpers
+  const showSuccess = (message) => {
+    setToast({ type: 'success', message });
+    setTimeout(() => setToast(null), 4000);
+  };
+
+  const showError = (message) => {
+    setToast({ type: 'error', message });
+    setTimeout(() => setToast(null), 6000);
+  };
+
+  const isOperations = draft?.fileType === PARSER_FILE_TYPES.OPERATIONS;
+  const standardFields = draft ? getStandardFields(draft.fileType) : [];
+
+  // Headers of the sample file under the current format settings (for column suggestions)
+  const sampleHeaders = useMemo(() => {
+    if (!draft || !sample?.content) return [];
+    try {
+      return DeclarativeParser.parseRows(sample.content, draft.format).headers;
+    } catch (error) {
+      return [];
+    }
+  }, [sample, draft?.format]);
+
+  const validationErrors = useMemo(
+    () => (draft ? DeclarativeParser.validateDefinition(draft) : []),
+    [draft]
+  );
+
+  // Draft update helpers
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const updateNested = (field, key, value) => setDraft(prev => ({ ...prev, [field]: { ...prev[field], [key]: value } }));
+  const updateMapping = (fieldKey, column) => updateNested('columnMapping', fieldKey, column || undefined);
+
+  const rulesField = isOperations ? 'operationTypeRules' : 'securityTypeRules';
+  const typeField = isOperations ? 'operationType' : 'securityType';
+  const typeOptions = Object.values(isOperations ? OPERATION_TYPES : SECURITY_TYPES);
+
+  const addRule = () => {
+    const typeColumn = draft.columnMapping[isOperations ? 'operationTypeCode' : 'securityTypeCode'] || '';
+    updateDraft(rulesField, [
+      ...(draft[rulesField] || []),
+      { column: typeColumn, operator: 'equals', value: '', [typeField]: typeOptions[0] }
+    ]);
+  };
+
+  const updateRule = (index, key, value) => {
+    updateDraft(rulesField, draft[rulesField].map((rule, i) => (i === index ? { ...rule, [key]: value } : rule)));
+  };
+
+  const removeRule = (index) => {
+    updateDraft(rulesField, draft[rulesField].filter((_, i) => i !== index));
+  };
+
+  // Add a rule for a raw type value the last test could not classify
+  const addRuleForValue = (value) => {
+    const typeColumn = draft.columnMapping[isOperations ? 'operationTypeCode' : 'securityTypeCode'] || '';
+    updateDraft(rulesField, [
+      ...(draft[rulesField] || []),
+      { column: typeColumn, operator: 'equals', value, [typeField]: typeOptions[0] }
+    ]);
+  };
+
+  const startNew = () => {
+    setDraft(JSON.parse(JSON.stringify(EMPTY_DEFINITION)));
+    setSample(null);
+    setTestResult(null);
+  };
+
+  const startEdit = (definition) => {
+    setDraft({ ...JSON.parse(JSON.stringify(EMPTY_DEFINITION)), ...definition });
+    setSample(null);
+    setTestResult(null);
+  };
+
+  const closeEditor = () => {
+    setDraft(null);
+    setSample(null);
+    setTestResult(null);
+  };
+
+  // Load sample file (read in the browser, sent as text to the test method)
+  const handleSampleUpload = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setSample({ filename: file.name, content: reader.result });
+      setTestResult(null);
+    };
+    reader.onerror = () => showError(`Could not read ${file.name}`);
+    const browserEncodings = { 'utf-8': 'UTF-8', latin1: 'ISO-8859-1', utf16le: 'UTF-16LE' };
+    reader.readAsText(file, browserEncodings[draft.format.encoding] || 'UTF-8');
+  };
+
+  const handleTest = async () => {
+    if (!sample) {
+      showError('Upload a sample file first');
+      return;
+    }
+
+    setIsTesting(true);
+    try {
+      const result = await Meteor.callAsync('bankParserDefinitions.test', {
+        definition: draft,
+        definitionId: draft._id || null,
+        filename: sample.filename,
+        content: sample.content,
+        sessionId
+      });
+      setTestResult(result);
+      if (result.success) {
+        showSuccess(`Parsed ${result.recordCount} records from ${sample.filename}`);
+      } else {
+        showError('Test failed, see errors below');
+      }
+    } catch (error) {
+      showError(error.reason || error.message);
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const result = await Meteor.callAsync('bankParserDefinitions.save', { definition: draft, sessionId });
+      setDraft(prev => ({ ...prev, _id: result.id }));
+      showSuccess(`Saved parser definition: ${draft.key}`);
+
+      // Store the test result against the saved definition so it can be activated
+      if (sample && testResult?.success && !draft._id) {
+        await Meteor.callAsync('bankParserDefinitions.test', {
+          definition: draft,
+          definitionId: result.id,
+          filename: sample.filename,
+          content: sample.content,
+          sessionId
+        });
+      }
+    } catch (error) {
+      showError(error.reason || error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (definition) => {
+    try {
+      await Meteor.callAsync('bankParserDefinitions.setActive', {
+        id: definition._id,
+        isActive: !definition.isActive,
+        sessionId
+      });
+      showSuccess(`${definition.key} ${definition.isActive ? 'deactivated' : 'activated'}`);
+    } catch (error) {
+      showError(error.reason || error.message);
+    }
+  };
+
+  const handleRemove = async (definition) => {
+    if (!confirm(`Delete parser definition "${definition.key}"?`)) return;
+    try {
+      await Meteor.callAsync('bankParserDefinitions.remove', { id: definition._id, sessionId });
+      showSuccess(`Deleted parser definition: ${definition.key}`);
+      if (draft?._id === definition._id) closeEditor();
+    } catch (error) {
+      showError(error.reason || error.message);
+    }
+  };
+
+  const formatDate = (date) => {
+    if (!date) return '-';
+    return new Date(date).toLocaleString('en-GB', {
+      day: '2-digit', month: 'short', year: 'numeric',
+      hour: '2-digit', minute: '2-digit'
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-secondary)' }}>
+        Loading parser definitions...
+      </div>
+    );
+  }
+
+  const renderToast = () => toast && (
+    <div style={{
+      padding: '10px 16px',
+      marginBottom: '1rem',
+      borderRadius: '6px',
+      fontSize: '0.85rem',
+      background: toast.type === 'success' ? '#065f4620' : '#ef444420',
+      color: toast.type === 'success' ? '#10b981' : '#ef4444',
+      border: `1px solid ${toast.type === 'success' ? '#10b981' : '#ef4444'}`,
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center'
+    }}>
+      <span>{toast.message}</span>
+      <button onClick={() => setToast(null)} style={{
+        background: 'none', border: 'none', color: 'inherit',
+        cursor: 'pointer', fontSize: '1rem', padding: '0 4px'
+      }}>x</button>
+    </div>
+  );
+
+  // Column picker: free text with the sample headers as suggestions
+  const renderColumnInput = (value, onChange, listId) => (
+    <>
+      <input
+        type="text"
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        list={listId}
+        placeholder={sampleHeaders.length > 0 ? 'Select or type column' : 'Column header'}
+        style={inputStyle}
+      />
+      <datalist id={listId}>
+        {sampleHeaders.map(header => <option key={header} value={header} />)}
+      </datalist>
+    </>
+  );
+
+  // ---------- List view ----------
+  if (!draft) {
+    return (
+      <div>
+        {renderToast()}
+
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '1rem',
+          flexWrap: 'wrap',
+          gap: '0.5rem'
+        }}>
+          <h3 style={{ margin: 0, color: 'var(--text-primary)', fontSize: '1.1rem' }}>
+            Bank Parser Definitions
+            <span style={{ color: 'var(--text-secondary)', fontWeight: 400, fontSize: '0.85rem', marginLeft: '0.5rem' }}>
+              ({definitions.length} definitions)
+            </span>
+          </h3>
+          <button onClick={startNew} style={primaryButtonStyle}>+ New Definition</button>
+        </div>
+
+        <p style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', margin: '0 0 1rem 0' }}>
+          Map a custodian's position or operation file to the standard schema without a code release.
+          Active definitions are picked up by the bank file processing on its next run.
+        </p>
+
+        {definitions.length === 0 ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-secondary)' }}>
+            No parser definitions yet. Create one above.
+          </div>
+        ) : (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+                  {['Key', 'Bank', 'File Type', 'Filename Pattern', 'Last Test', 'Status', 'Actions'].map(h => (
+                    <th key={h} style={{ padding: '8px 10px', textAlign: 'left', color: 'var(--text-secondary)', fontWeight: 600 }}>
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {definitions.map(definition => (
+                  <tr key={definition._id}>
+                    <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{definition.key}</td>
+                    <td style={cellStyle}>{definition.bankName}</td>
+                    <td style={cellStyle}>{definition.fileType}</td>
+                    <td style={{ ...cellStyle, fontFamily: 'monospace', fontSize: '0.8rem' }}>{definition.filename?.pattern}</td>
+                    <td style={cellStyle}>
+                      {definition.lastTestResult ? (
+                        <span style={{ color: definition.lastTestResult.success ? '#10b981' : '#ef4444' }}>
+                          {definition.lastTestResult.success ? '✓' : '✗'} {definition.lastTestResult.recordCount} records
+                          <span style={{ color: 'var(--text-secondary)', marginLeft: '0.5rem' }}>
+                            {formatDate(definition.lastTestedAt)}
+                          </span>
+                        </span>
+                      ) : (
+                        <span style={{ color: 'var(--text-secondary)' }}>Never tested</span>
+                      )}
+                    </td>
+                    <td style={cellStyle}>
+                      <span style={{
+                        display: 'inline-block',
+                        padding: '2px 8px',
+                        borderRadius: '10px',
+                        fontSize: '0.75rem',
+                        background: definition.isActive ? '#10b98120' : '#6b728020',
+                        color: definition.isActive ? '#10b981' : '#6b7280'
+                      }}>
+                        {definition.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td style={cellStyle}>
+                      <div style={{ display: 'flex', gap: '0.4rem' }}>
+                        <button onClick={() => startEdit(definition)} style={buttonStyle}>Edit</button>
+                        <button onClick={() => handleToggleActive(definition)} style={buttonStyle}>
+                          {definition.isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                        <button onClick={() => handleRemove(definition)} style={{ ...buttonStyle, color: '#ef4444' }}>
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // ---------- Editor view ----------
+  return (
+    <div>
+      {renderToast()}
+
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '1rem',
+        gap: '0.5rem'
+      }}>
+        <h3 style={{ margin: 0, color: 'var(--text-primary)', fontSize: '1.1rem' }}>
+          {draft._id ? `Edit Parser: ${draft.key}` : 'New Parser Definition'}
+        </h3>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button onClick={closeEditor} style={buttonStyle}>Back to list</button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving || validationErrors.length > 0}
+            style={{
+              ...primaryButtonStyle,
+              cursor: isSaving || validationErrors.length > 0 ? 'not-allowed' : 'pointer',
+              opacity: isSaving || validationErrors.length > 0 ? 0.5 : 1
+            }}
+          >
+            {isSaving ? 'Saving...' : 'Save Definition'}
+          </button>
+        </div>
+      </div>
+
+      {/* General */}
+      <div style={sectionStyle}>
+        <h4 style={sectionTitleStyle}>General</h4>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '0.75rem' }}>
+          <div>
+            <label style={labelStyle}>Key</label>
+            <input
+              type="text"
+              value={draft.key}
+              onChange={(e) => updateDraft('key', e.target.value.toLowerCase())}
+              placeholder="ubs-positions"
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Bank</label>
+            <select
+              value={draft.bankId || ''}
+              onChange={(e) => {
+                const bank = banks.find(b => b._id === e.target.value);
+                setDraft(prev => ({ ...prev, bankId: e.target.value || undefined, bankName: bank?.name || prev.bankName }));
+              }}
+              style={inputStyle}
+            >
+              <option value="">-- Select bank --</option>
+              {banks.map(bank => <option key={bank._id} value={bank._id}>{bank.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Bank Name</label>
+            <input
+              type="text"
+              value={draft.bankName}
+              onChange={(e) => updateDraft('bankName', e.target.value)}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>File Type</label>
+            <select
+              value={draft.fileType}
+              onChange={(e) => updateDraft('fileType', e.target.value)}
+              style={inputStyle}
+            >
+              <option value={PARSER_FILE_TYPES.POSITIONS}>Positions</option>
+              <option value={PARSER_FILE_TYPES.OPERATIONS}>Operations</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      {/* File format */}
+      <div style={sectionStyle}>
+        <h4 style={sectionTitleStyle}>File Format</h4>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '0.75rem' }}>
+          <div style={{ gridColumn: 'span 2' }}>
+            <label style={labelStyle}>Filename Pattern (regex)</label>
+            <input
+              type="text"
+              value={draft.filename.pattern}
+              onChange={(e) => updateNested('filename', 'pattern', e.target.value)}
+              placeholder="^UBS_POS_(\d{8})\.csv$"
+              style={{ ...inputStyle, fontFamily: 'monospace' }}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Date Capture Group</label>
+            <input
+              type="number"
+              min="0"
+              value={draft.filename.dateGroup ?? ''}
+              onChange={(e) => updateNested('filename', 'dateGroup', e.target.value === '' ? null : parseInt(e.target.value, 10))}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Filename Date Format</label>
+            <input
+              type="text"
+              value={draft.filename.dateFormat || ''}
+              onChange={(e) => updateNested('filename', 'dateFormat', e.target.value)}
+              placeholder="YYYYMMDD"
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Delimiter</label>
+            <select
+              value={draft.format.delimiter}
+              onChange={(e) => updateNested('format', 'delimiter', e.target.value)}
+              style={inputStyle}
+            >
+              <option value=";">Semicolon (;)</option>
+              <option value=",">Comma (,)</option>
+              <option value="\t">Tab</option>
+              <option value="|">Pipe (|)</option>
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Encoding</label>
+            <select
+              value={draft.format.encoding}
+              onChange={(e) => updateNested('format', 'encoding', e.target.value)}
+              style={inputStyle}
+            >
+              {SUPPORTED_ENCODINGS.map(encoding => <option key={encoding} value={encoding}>{encoding}</option>)}
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Header Row</label>
+            <input
+              type="number"
+              min="1"
+              value={draft.format.headerRow}
+              onChange={(e) => updateNested('format', 'headerRow', parseInt(e.target.value, 10) || 1)}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Footer Lines to Skip</label>
+            <input
+              type="number"
+              min="0"
+              value={draft.format.skipFooterLines}
+              onChange={(e) => updateNested('format', 'skipFooterLines', parseInt(e.target.value, 10) || 0)}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Decimal Separator</label>
+            <select
+              value={draft.numberFormat.decimalSeparator}
+              onChange={(e) => updateNested('numberFormat', 'decimalSeparator', e.target.value)}
+              style={inputStyle}
+            >
+              <option value=".">Dot (1234.56)</option>
+              <option value=",">Comma (1234,56)</option>
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Thousands Separator</label>
+            <select
+              value={draft.numberFormat.thousandsSeparator}
+              onChange={(e) => updateNested('numberFormat', 'thousandsSeparator', e.target.value)}
+              style={inputStyle}
+            >
+              <option value="">None</option>
+              <option value=",">Comma</option>
+              <option value=".">Dot</option>
+              <option value="'">Apostrophe</option>
+              <option value=" ">Space</option>
+            </select>
+          </div>
+          <div>
+            <label style={labelStyle}>Date Format</label>
+            <input
+              type="text"
+              value={draft.dateFormat}
+              onChange={(e) => updateDraft('dateFormat', e.target.value)}
+              placeholder="DD.MM.YYYY or ISO"
+              style={inputStyle}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Sample file */}
+      <div style={sectionStyle}>
+        <h4 style={sectionTitleStyle}>Sample File</h4>
+        <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', flexWrap: 'wrap' }}>
+          <input type="file" onChange={handleSampleUpload} style={{ fontSize: '0.85rem', color: 'var(--text-primary)' }} />
+          {sample && (
+            <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+              {sample.filename} · {sampleHeaders.length} columns detected
+            </span>
+          )}
+          <button
+            onClick={handleTest}
+            disabled={!sample || isTesting}
+            style={{
+              ...primaryButtonStyle,
+              cursor: !sample || isTesting ? 'not-allowed' : 'pointer',
+              opacity: !sample || isTesting ? 0.5 : 1
+            }}
+          >
+            {isTesting ? 'Testing...' : 'Test Definition'}
+          </button>
+        </div>
+      </div>
+
+      {/* Column mapping */}
+      <div style={sectionStyle}>
+        <h4 style={sectionTitleStyle}>Column Mapping</h4>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+          <thead>
+            <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+              <th style={{ padding: '8px 10px', textAlign: 'left', color: 'var(--text-secondary)', width: '40%' }}>Standard Field</th>
+              <th style={{ padding: '8px 10px', textAlign: 'left', color: 'var(--text-secondary)' }}>Source Column</th>
+            </tr>
+          </thead>
+          <tbody>
+            {standardFields.map(field => (
+              <tr key={field.key}>
+                <td style={cellStyle}>
+                  {field.label}
+                  {field.required && <span style={{ color: '#ef4444', marginLeft: '4px' }}>*</span>}
+                  <span style={{ color: 'var(--text-secondary)', fontSize: '0.75rem', marginLeft: '0.5rem' }}>{field.type}</span>
+                </td>
+                <td style={cellStyle}>
+                  {renderColumnInput(draft.columnMapping[field.key], (value) => updateMapping(field.key, value), `mapping-${field.key}`)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {!isOperations && (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '0.75rem', marginTop: '0.75rem' }}>
+            <div>
+              <label style={labelStyle}>Price in % Column</label>
+              {renderColumnInput(
+                draft.percentagePrice?.column,
+                (value) => updateNested('percentagePrice', 'column', value),
+                'percentage-column'
+              )}
+            </div>
+            <div>
+              <label style={labelStyle}>Values meaning "% of nominal" (comma separated)</label>
+              <input
+                type="text"
+                value={(draft.percentagePrice?.values || []).join(',')}
+                onChange={(e) => updateNested('percentagePrice', 'values', e.target.value.split(',').map(v => v.trim()).filter(Boolean))}
+                placeholder="%,PCT"
+                style={inputStyle}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Type rules */}
+      <div style={sectionStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.75rem' }}>
+          <h4 style={{ ...sectionTitleStyle, margin: 0 }}>
+            {isOperations ? 'Operation Type Rules' : 'Security Type Rules'}
+          </h4>
+          <button onClick={addRule} style={buttonStyle}>+ Add Rule</button>
+        </div>
+        <p style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', margin: '0 0 0.75rem 0' }}>
+          Rules are evaluated top to bottom; the first match wins.
+        </p>
+
+        {(draft[rulesField] || []).map((rule, index) => (
+          <div key={index} style={{ display: 'grid', gridTemplateColumns: '2fr 1.5fr 2fr 1.5fr auto', gap: '0.5rem', marginBottom: '0.5rem' }}>
+            {renderColumnInput(rule.column, (value) => updateRule(index, 'column', value), `rule-column-${index}`)}
+            <select value={rule.operator} onChange={(e) => updateRule(index, 'operator', e.target.value)} style={inputStyle}>
+              {Object.entries(RULE_OPERATORS).map(([operator, label]) => (
+                <option key={operator} value={operator}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={rule.value || ''}
+              onChange={(e) => updateRule(index, 'value', e.target.value)}
+              disabled={rule.operator === 'isEmpty' || rule.operator === 'isNotEmpty'}
+              placeholder="Value"
+              style={inputStyle}
+            />
+            <select value={rule[typeField]} onChange={(e) => updateRule(index, typeField, e.target.value)} style={inputStyle}>
+              {typeOptions.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+            <button onClick={() => removeRule(index)} style={{ ...buttonStyle, color: '#ef4444' }}>x</button>
+          </div>
+        ))}
+
+        <div style={{ maxWidth: '300px', marginTop: '0.75rem' }}>
+          <label style={labelStyle}>Default when no rule matches</label>
+          <select
+            value={(isOperations ? draft.defaultOperationType : draft.defaultSecurityType) || ''}
+            onChange={(e) => updateDraft(isOperations ? 'defaultOperationType' : 'defaultSecurityType', e.target.value)}
+            style={inputStyle}
+          >
+            {!isOperations && <option value="">Classify by ISIN</option>}
+            {typeOptions.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {/* Validation */}
+      {validationErrors.length > 0 && (
+        <div style={{ ...sectionStyle, borderColor: '#f59e0b' }}>
+          <h4 style={{ ...sectionTitleStyle, color: '#f59e0b' }}>Incomplete Definition</h4>
+          <ul style={{ margin: 0, paddingLeft: '1.25rem', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+            {validationErrors.map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {/* Test result */}
+      {testResult && (
+        <div style={{ ...sectionStyle, borderColor: testResult.success ? '#10b981' : '#ef4444' }}>
+          <h4 style={sectionTitleStyle}>
+            Test Result: {testResult.success ? `✓ ${testResult.recordCount} records from ${testResult.rowCount} rows` : '✗ Failed'}
+          </h4>
+
+          <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)', marginBottom: '0.75rem' }}>
+            Filename match: {testResult.filenameMatches ? 'yes' : 'no'}
+            {testResult.fileDate && ` · File date: ${new Date(testResult.fileDate).toLocaleDateString('en-GB')}`}
+          </div>
+
+          {testResult.errors?.length > 0 && (
+            <ul style={{ margin: '0 0 0.75rem 0', paddingLeft: '1.25rem', fontSize: '0.85rem', color: '#ef4444' }}>
+              {testResult.errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+
+          {testResult.warnings?.length > 0 && (
+            <ul style={{ margin: '0 0 0.75rem 0', paddingLeft: '1.25rem', fontSize: '0.85rem', color: '#f59e0b' }}>
+              {testResult.warnings.map(warning => <li key={warning}>{warning}</li>)}
+            </ul>
+          )}
+
+          {testResult.unmatchedTypeValues?.length > 0 && (
+            <div style={{ marginBottom: '0.75rem' }}>
+              <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginBottom: '0.4rem' }}>
+                Type values not matched by any rule (click to add a rule):
+              </div>
+              <div style={{ display: 'flex', gap: '0.4rem', flexWrap: 'wrap' }}>
+                {testResult.unmatchedTypeValues.map(value => (
+                  <button key={value} onClick={() => addRuleForValue(value)} style={{ ...buttonStyle, padding: '2px 8px', fontSize: '0.8rem' }}>
+                    + {value}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {testResult.preview?.length > 0 && (
+            <div style={{ overflowX: 'auto', maxHeight: '400px' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem' }}>
+                <thead>
+                  <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+                    {standardFields
+                      .filter(field => draft.columnMapping[field.key])
+                      .map(field => (
+                        <th key={field.key} style={{ padding: '6px 8px', textAlign: 'left', color: 'var(--text-secondary)', whiteSpace: 'nowrap' }}>
+                          {field.label}
+                        </th>
+                      ))}
+                    <th style={{ padding: '6px 8px', textAlign: 'left', color: 'var(--text-secondary)' }}>
+                      {isOperations ? 'Operation Type' : 'Security Type'}
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {testResult.preview.map((record, index) => (
+                    <tr key={index}>
+                      {standardFields
+                        .filter(field => draft.columnMapping[field.key])
+                        .map(field => {
+                          const value = record[field.key] ?? record[field.key === 'quote' ? 'price' : field.key];
+                          return (
+                            <td key={field.key} style={{ ...cellStyle, padding: '6px 8px', whiteSpace: 'nowrap' }}>
+                              {value instanceof Date || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value))
+                                ? new Date(value).toLocaleDateString('en-GB')
+                                : value === null || value === undefined ? '-' : String(value)}
+                            </td>
+                          );
+                        })}
+                      <td style={{ ...cellStyle, padding: '6px 8px' }}>
+                        {isOperations ? record.operationType : (record.securityType || 'by ISIN')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -8,7 +8,14 @@ const PMSAdminTools = () => {
   const [loading, setLoading] = useState(false);
   const [unmappedData, setUnmappedData] = useState(null);
   const [migrationResult, setMigrationResult] = useState(null);
-  const [activeTab, setActiveTab] = useState('unmapped'); // 'unmapped' or 'migration'
+  const [activeTab, setActiveTab] = useState('unmapped'); // 'unmapped', 'migration', 'reconciliation' or 'corporateActions'
+  const [reconciliationDate, setReconciliationDate] = useState('');
+  const [reconciliationData, setReconciliationData] = useState(null);
+  const [showMatched, setShowMatched] = useState(false);
+  const [expandedReconciliation, setExpandedReconciliation] = useState(null);
+  const [corporateActions, setCorporateActions] = useState(null);
+  const [corporateActionStatus, setCorporateActionStatus] = useState('');
+  const [corporateActionForm, setCorporateActionForm] = useState(null); // { eventId?, ...terms } while editing
 
   const sessionId = typeof window !== 'undefined' ? localStorage.getItem('sessionId') : null;
 
@@ -127,6 +134,182 @@ Check browser console for sample records.`;
     }
   };
 
+  const handleLoadReconciliations = async (date = reconciliationDate) => {
+    setLoading(true);
+    try {
+      const result = await Meteor.callAsync('pms.getReconciliations', {
+        date: date || null,
+        onlyBreaks: false,
+        sessionId
+      });
+      setReconciliationData(result);
+      if (!date && result.reconciliationDate) {
+        setReconciliationDate(new Date(result.reconciliationDate).toISOString().split('T')[0]);
+      }
+    } catch (error) {
+      console.error('Error loading reconciliations:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRunReconciliation = async () => {
+    setLoading(true);
+    try {
+      const result = await Meteor.callAsync('pms.runReconciliation', {
+        date: reconciliationDate || null,
+        sessionId
+      });
+      const failed = result.banks.filter(b => b.error);
+      if (failed.length > 0) {
+        alert(`Reconciliation failed for ${failed.length} bank(s): ${failed.map(b => b.error).join('; ')}`);
+      }
+      // Banks may have different latest position dates, show the one we asked for (or the latest run)
+      await handleLoadReconciliations(reconciliationDate);
+    } catch (error) {
+      console.error('Error running reconciliation:', error);
+      alert(`Reconciliation failed: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLoadCorporateActions = async (status = corporateActionStatus) => {
+    setLoading(true);
+    try {
+      const result = await Meteor.callAsync('corporateActions.list', {
+        status: status || null,
+        limit: 200,
+        sessionId
+      });
+      setCorporateActions(result);
+    } catch (error) {
+      console.error('Error loading corporate actions:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCorporateAction = async (method, eventId, confirmMessage) => {
+    if (confirmMessage && !confirm(confirmMessage)) return;
+
+    setLoading(true);
+    try {
+      await Meteor.callAsync(method, { eventId, sessionId });
+      await handleLoadCorporateActions();
+    } catch (error) {
+      console.error(`Error in ${method}:`, error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveCorporateAction = async () => {
+    const { eventId, ...form } = corporateActionForm;
+    const toNumber = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+
+    setLoading(true);
+    try {
+      await Meteor.callAsync('corporateActions.save', {
+        eventId: eventId || null,
+        event: {
+          ...form,
+          ratio: toNumber(form.ratio),
+          stockFraction: toNumber(form.stockFraction),
+          cashPerShare: toNumber(form.cashPerShare),
+          costAllocation: toNumber(form.costAllocation)
+        },
+        sessionId
+      });
+      setCorporateActionForm(null);
+      await handleLoadCorporateActions();
+    } catch (error) {
+      console.error('Error saving corporate action:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDetectSplits = async () => {
+    setLoading(true);
+    try {
+      const result = await Meteor.callAsync('corporateActions.detectFromEod', { lookbackDays: 30, sessionId });
+      alert(`Checked ${result.checked} securities: ${result.detected} new splits, ${result.applied} applied` +
+        (result.unresolved > 0 ? ` (${result.unresolved} without EOD ticker)` : ''));
+      await handleLoadCorporateActions();
+    } catch (error) {
+      console.error('Error detecting splits:', error);
+      alert(`Error: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatNumber = (value, decimals = 2) => {
+    if (value === null || value === undefined) return '-';
+    return value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: decimals });
+  };
+
+  const DIAGNOSIS_LABELS = {
+    missing_operation: { label: 'Missing operation', color: '#ef4444' },
+    duplicate_operation: { label: 'Duplicate operation', color: '#ef4444' },
+    booked_later: { label: 'Booked later', color: '#f59e0b' },
+    not_yet_settled: { label: 'Not yet settled', color: '#f59e0b' },
+    unexplained: { label: 'Unexplained', color: '#8b5cf6' }
+  };
+
+  const CORPORATE_ACTION_LABELS = {
+    SPLIT: 'Split',
+    REVERSE_SPLIT: 'Reverse split',
+    SPIN_OFF: 'Spin-off',
+    MERGER: 'Merger',
+    ISIN_CHANGE: 'ISIN change',
+    SCRIP_DIVIDEND: 'Scrip dividend'
+  };
+
+  const CORPORATE_ACTION_STATUS_COLORS = {
+    detected: '#f59e0b',
+    applied: '#10b981',
+    ignored: '#6b7280'
+  };
+
+  const inputStyle = {
+    padding: '0.6rem 0.75rem',
+    background: 'var(--bg-secondary)',
+    color: 'var(--text-primary)',
+    border: '1px solid var(--border-color)',
+    borderRadius: '8px',
+    width: '100%',
+    boxSizing: 'border-box'
+  };
+
+  const smallButtonStyle = (color) => ({
+    padding: '0.35rem 0.75rem',
+    background: color,
+    color: '#fff',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: loading ? 'not-allowed' : 'pointer',
+    fontSize: '0.8rem',
+    opacity: loading ? 0.6 : 1
+  });
+
+  // One-line summary of an event's terms
+  const describeTerms = (event) => {
+    const parts = [];
+    if (event.ratio != null) parts.push(`ratio ${formatNumber(event.ratio, 6)}`);
+    if (event.newIsin) parts.push(`→ ${event.newIsin}`);
+    if (event.election) parts.push(event.election.toLowerCase());
+    if (event.stockFraction != null) parts.push(`${formatNumber(event.stockFraction * 100)}% stock`);
+    if (event.cashPerShare != null) parts.push(`${formatNumber(event.cashPerShare, 4)} ${event.cashCurrency || ''} cash/share`);
+    if (event.costAllocation != null) parts.push(`${formatNumber(event.costAllocation * 100)}% cost to new line`);
+    return parts.join(' · ') || '-';
+  };
+
   return (
     <div style={{ padding: '2rem', maxWidth: '1400px', margin: '0 auto' }}>
       <h1 style={{ marginBottom: '2rem', color: 'var(--text-primary)' }}>
@@ -165,6 +348,42 @@ Check browser console for sample records.`;
         >
           Data Migration
         </button>
+        <button
+          onClick={() => {
+            setActiveTab('reconciliation');
+            if (!reconciliationData) handleLoadReconciliations();
+          }}
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: activeTab === 'reconciliation' ? 'var(--accent-color)' : 'var(--bg-secondary)',
+            color: activeTab === 'reconciliation' ? '#fff' : 'var(--text-primary)',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontWeight: '500',
+            transition: 'all 0.2s ease'
+          }}
+        >
+          Reconciliation
+        </button>
+        <button
+          onClick={() => {
+            setActiveTab('corporateActions');
+            if (!corporateActions) handleLoadCorporateActions();
+          }}
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: activeTab === 'corporateActions' ? 'var(--accent-color)' : 'var(--bg-secondary)',
+            color: activeTab === 'corporateActions' ? '#fff' : 'var(--text-primary)',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontWeight: '500',
+            transition: 'all 0.2s ease'
+          }}
+        >
+          Corporate Actions
+        </button>
       </div>
 
       {/* Unmapped Codes Tab */}
@@ -546,6 +765,575 @@ Check browser console for sample records.`;
           </div>
         </LiquidGlassCard>
       )}
+      {/* Reconciliation Tab */}
+      {activeTab === 'reconciliation' && (
+        <LiquidGlassCard>
+          <div style={{ padding: '1.5rem' }}>
+            <h2 style={{ marginBottom: '1rem', color: 'var(--text-primary)' }}>
+              Position vs Operations Reconciliation
+            </h2>
+            <p style={{ color: 'var(--text-secondary)', marginBottom: '1.5rem' }}>
+              For each portfolio, the previous position file is rolled forward with the operations booked since
+              and compared with the positions of the selected day. Breaks usually mean a missing or duplicated
+              operation and should be cleared before they distort performance figures.
+            </p>
+
+            <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1.5rem' }}>
+              <input
+                type="date"
+                value={reconciliationDate}
+                onChange={(e) => setReconciliationDate(e.target.value)}
+                style={{
+                  padding: '0.7rem 0.75rem',
+                  background: 'var(--bg-secondary)',
+                  color: 'var(--text-primary)',
+                  border: '1px solid var(--border-color)',
+                  borderRadius: '8px'
+                }}
+              />
+              <button
+                onClick={() => handleLoadReconciliations()}
+                disabled={loading}
+                style={{
+                  padding: '0.75rem 1.5rem',
+                  background: 'var(--bg-secondary)',
+                  color: 'var(--text-primary)',
+                  border: '1px solid var(--border-color)',
+                  borderRadius: '8px',
+                  cursor: loading ? 'not-allowed' : 'pointer',
+                  fontWeight: '500',
+                  opacity: loading ? 0.6 : 1
+                }}
+              >
+                Load Results
+              </button>
+              <button
+                onClick={handleRunReconciliation}
+                disabled={loading}
+                style={{
+                  padding: '0.75rem 1.5rem',
+                  background: 'var(--accent-color)',
+                  color: '#fff',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: loading ? 'not-allowed' : 'pointer',
+                  fontWeight: '500',
+                  opacity: loading ? 0.6 : 1
+                }}
+              >
+                {loading ? 'Running...' : 'Run Reconciliation'}
+              </button>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: 'var(--text-secondary)', fontSize: '0.875rem' }}>
+                <input
+                  type="checkbox"
+                  checked={showMatched}
+                  onChange={(e) => setShowMatched(e.target.checked)}
+                />
+                Show matched portfolios
+              </label>
+            </div>
+
+            {reconciliationData && !reconciliationData.reconciliationDate && (
+              <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-secondary)' }}>
+                No reconciliation has been run yet.
+              </div>
+            )}
+
+            {reconciliationData?.reconciliationDate && (() => {
+              const records = reconciliationData.records;
+              const withBreaks = records.filter(r => r.status === 'breaks');
+              const noBaseline = records.filter(r => r.status === 'no_baseline');
+              const visible = showMatched ? records : withBreaks;
+
+              return (
+                <div>
+                  <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+                    gap: '1rem',
+                    marginBottom: '2rem'
+                  }}>
+                    {[
+                      { label: 'Portfolios Reconciled', value: records.length, color: 'var(--text-primary)' },
+                      { label: 'Portfolios With Breaks', value: withBreaks.length, color: withBreaks.length > 0 ? '#ef4444' : '#10b981' },
+                      { label: 'Total Breaks', value: withBreaks.reduce((sum, r) => sum + r.breakCount, 0), color: withBreaks.length > 0 ? '#ef4444' : '#10b981' },
+                      { label: 'No Previous Positions', value: noBaseline.length, color: 'var(--text-secondary)' }
+                    ].map(card => (
+                      <div key={card.label} style={{
+                        padding: '1.5rem',
+                        background: 'var(--bg-tertiary)',
+                        borderRadius: '8px',
+                        border: '1px solid var(--border-color)'
+                      }}>
+                        <div style={{ fontSize: '2rem', color: card.color, marginBottom: '0.5rem' }}>
+                          {card.value}
+                        </div>
+                        <div style={{ color: 'var(--text-secondary)', fontSize: '0.875rem' }}>
+                          {card.label}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+
+                  <div style={{ color: 'var(--text-secondary)', fontSize: '0.875rem', marginBottom: '1rem' }}>
+                    Positions of {new Date(reconciliationData.reconciliationDate).toLocaleDateString('en-GB')}
+                  </div>
+
+                  {visible.length === 0 ? (
+                    <div style={{
+                      padding: '3rem',
+                      textAlign: 'center',
+                      background: 'rgba(16, 185, 129, 0.1)',
+                      borderRadius: '8px',
+                      border: '2px solid rgba(16, 185, 129, 0.3)'
+                    }}>
+                      <div style={{ fontSize: '3rem', marginBottom: '1rem' }}>✅</div>
+                      <div style={{ color: '#10b981', fontSize: '1.25rem', fontWeight: '500' }}>
+                        Positions and operations agree for every portfolio
+                      </div>
+                    </div>
+                  ) : (
+                    visible.map(record => (
+                      <div key={record._id} style={{
+                        background: 'var(--bg-tertiary)',
+                        borderRadius: '8px',
+                        padding: '1rem',
+                        marginBottom: '1rem',
+                        border: `1px solid ${record.status === 'breaks' ? 'rgba(239, 68, 68, 0.4)' : 'var(--border-color)'}`
+                      }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: record.breakCount > 0 ? '1rem' : 0 }}>
+                          <div>
+                            <span style={{ color: 'var(--accent-color)', fontFamily: 'monospace', fontWeight: '600' }}>
+                              {record.portfolioCode}
+                            </span>
+                            <span style={{ color: 'var(--text-secondary)', marginLeft: '0.75rem', fontSize: '0.875rem' }}>
+                              {record.bankName || record.bankId}
+                              {record.previousDate && ` · from ${new Date(record.previousDate).toLocaleDateString('en-GB')}`}
+                              {` · ${record.operationCount} operations`}
+                            </span>
+                          </div>
+                          <span style={{
+                            padding: '2px 10px',
+                            borderRadius: '10px',
+                            fontSize: '0.75rem',
+                            fontWeight: '600',
+                            background: record.status === 'breaks' ? 'rgba(239, 68, 68, 0.15)' : record.status === 'matched' ? 'rgba(16, 185, 129, 0.15)' : 'var(--bg-secondary)',
+                            color: record.status === 'breaks' ? '#ef4444' : record.status === 'matched' ? '#10b981' : 'var(--text-secondary)'
+                          }}>
+                            {record.status === 'breaks' ? `${record.breakCount} breaks` : record.status === 'matched' ? 'Matched' : 'No previous positions'}
+                          </span>
+                        </div>
+
+                        {record.breakCount > 0 && (
+                          <div style={{ overflowX: 'auto' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                              <thead>
+                                <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+                                  {['Security', 'Previous', 'Operations', 'Expected', 'Actual', 'Qty Diff', 'Cash Diff', 'Diagnosis'].map((h, i) => (
+                                    <th key={h} style={{ padding: '0.5rem 0.75rem', textAlign: i === 0 || i === 7 ? 'left' : 'right', color: 'var(--text-muted)' }}>
+                                      {h}
+                                    </th>
+                                  ))}
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {record.breaks.map((item, idx) => {
+                                  const rowKey = `${record._id}-${idx}`;
+                                  const diagnosis = DIAGNOSIS_LABELS[item.diagnosis] || DIAGNOSIS_LABELS.unexplained;
+                                  return (
+                                    <React.Fragment key={rowKey}>
+                                      <tr
+                                        onClick={() => setExpandedReconciliation(expandedReconciliation === rowKey ? null : rowKey)}
+                                        style={{ borderBottom: '1px solid var(--border-color)', cursor: 'pointer' }}
+                                      >
+                                        <td style={{ padding: '0.5rem 0.75rem', color: 'var(--text-primary)' }}>
+                                          <div>{item.securityName || item.isin}</div>
+                                          <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', fontFamily: 'monospace' }}>
+                                            {item.kind === 'cash' ? item.currency : `${item.isin} · ${item.currency || ''}`}
+                                          </div>
+                                        </td>
+                                        <td style={{ padding: '0.5rem 0.75rem', textAlign: 'right', color: 'var(--text-secondary)' }}>{formatNumber(item.previousQuantity)}</td>
+                                        <td style={{ padding: '0.5rem 0.75rem', textAlign: 'right', color: 'var(--text-secondary)' }}>{formatNumber(item.operationsQuantity)}</td>
+                                        <td style={{ padding: '0.5rem 0.75rem', textAlign: 'right', color: 'var(--text-primary)' }}>{formatNumber(item.expectedQuantity)}</td>
+                                        <td style={{ padding: '0.5rem 0.75rem', textAlign: 'right', color: 'var(--text-primary)' }}>{formatNumber(item.actualQuantity)}</td>
+                                        <td style={{ padding: '0.5rem 0.75rem', textAlign: 'right', color: '#ef4444', fontWeight: '600' }}>{formatNumber(item.quantityDiff, 4)}</td>
+                                        <td style={{ padding: '0.5rem 0.75rem', textAlign: 'right', color: '#ef4444' }}>{formatNumber(item.cashDiff)}</td>
+                                        <td style={{ padding: '0.5rem 0.75rem', color: diagnosis.color, fontWeight: '500' }}>{diagnosis.label}</td>
+                                      </tr>
+                                      {expandedReconciliation === rowKey && (
+                                        <tr>
+                                          <td colSpan={8} style={{ padding: '0.5rem 0.75rem 1rem 1.5rem', background: 'var(--bg-secondary)' }}>
+                                            {item.operations.length === 0 ? (
+                                              <span style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>No operations booked in the period.</span>
+                                            ) : (
+                                              item.operations.map(op => (
+                                                <div key={op.operationId} style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', padding: '2px 0' }}>
+                                                  {new Date(op.operationDate).toLocaleDateString('en-GB')} · {op.operationType} ·{' '}
+                                                  <span style={{ fontFamily: 'monospace' }}>{op.operationCode}</span> ·{' '}
+                                                  effect <span style={{ color: 'var(--text-primary)' }}>{formatNumber(op.effect, 4)}</span>
+                                                  {op.valueDate && ` · value ${new Date(op.valueDate).toLocaleDateString('en-GB')}`}
+                                                </div>
+                                              ))
+                                            )}
+                                          </td>
+                                        </tr>
+                                      )}
+                                    </React.Fragment>
+                                  );
+                                })}
+                              </tbody>
+                            </table>
+                          </div>
+                        )}
+                      </div>
+                    ))
+                  )}
+                </div>
+              );
+            })()}
+          </div>
+        </LiquidGlassCard>
+      )}
+      {/* Corporate Actions Tab */}
+      {activeTab === 'corporateActions' && (
+        <LiquidGlassCard>
+          <div style={{ padding: '1.5rem' }}>
+            <h2 style={{ marginBottom: '1rem', color: 'var(--text-primary)' }}>
+              Corporate Actions
+            </h2>
+            <p style={{ color: 'var(--text-secondary)', marginBottom: '1.5rem' }}>
+              Splits, spin-offs, mergers, ISIN changes and scrip dividends detected from bank operations and EOD,
+              or entered by hand. Applying an event restates quantity history, carries the cost basis to the new
+              lines and keeps the bank transfers that booked it out of performance flows. Events with missing terms
+              stay detected until completed.
+            </p>
+
+            <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '1.5rem' }}>
+              <select
+                value={corporateActionStatus}
+                onChange={(e) => {
+                  setCorporateActionStatus(e.target.value);
+                  handleLoadCorporateActions(e.target.value);
+                }}
+                style={{ ...inputStyle, width: 'auto' }}
+              >
+                <option value="">All statuses</option>
+                <option value="detected">Detected</option>
+                <option value="applied">Applied</option>
+                <option value="ignored">Ignored</option>
+              </select>
+              <button
+                onClick={() => setCorporateActionForm({ type: 'SPLIT', isin: '', effectiveDate: '' })}
+                disabled={loading}
+                style={{
+                  padding: '0.75rem 1.5rem',
+                  background: 'var(--bg-secondary)',
+                  color: 'var(--text-primary)',
+                  border: '1px solid var(--border-color)',
+                  borderRadius: '8px',
+                  cursor: loading ? 'not-allowed' : 'pointer',
+                  fontWeight: '500',
+                  opacity: loading ? 0.6 : 1
+                }}
+              >
+                + New Event
+              </button>
+              <button
+                onClick={handleDetectSplits}
+                disabled={loading}
+                style={{
+                  padding: '0.75rem 1.5rem',
+                  background: 'var(--accent-color)',
+                  color: '#fff',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: loading ? 'not-allowed' : 'pointer',
+                  fontWeight: '500',
+                  opacity: loading ? 0.6 : 1
+                }}
+              >
+                {loading ? 'Working...' : 'Detect Splits (EOD)'}
+              </button>
+            </div>
+
+            {corporateActionForm && (
+              <div style={{
+                padding: '1rem',
+                marginBottom: '1.5rem',
+                background: 'var(--bg-secondary)',
+                border: '1px solid var(--border-color)',
+                borderRadius: '8px'
+              }}>
+                <h3 style={{ margin: '0 0 1rem 0', color: 'var(--text-primary)', fontSize: '1rem' }}>
+                  {corporateActionForm.eventId ? 'Edit terms' : 'New corporate action'}
+                </h3>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '1rem' }}>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    Type
+                    <select
+                      value={corporateActionForm.type}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, type: e.target.value })}
+                      disabled={!!corporateActionForm.eventId}
+                      style={inputStyle}
+                    >
+                      {Object.entries(CORPORATE_ACTION_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    ISIN
+                    <input
+                      type="text"
+                      value={corporateActionForm.isin ?? ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, isin: e.target.value })}
+                      placeholder="CH0012005267"
+                      disabled={!!corporateActionForm.eventId}
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    Effective date
+                    <input
+                      type="date"
+                      value={corporateActionForm.effectiveDate ?? ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, effectiveDate: e.target.value })}
+                      placeholder=""
+                      disabled={!!corporateActionForm.eventId}
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    Ratio (new units per old)
+                    <input
+                      type="number"
+                      value={corporateActionForm.ratio ?? ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, ratio: e.target.value })}
+                      placeholder="2 for a 2:1 split"
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    New ISIN
+                    <input
+                      type="text"
+                      value={corporateActionForm.newIsin ?? ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, newIsin: e.target.value })}
+                      placeholder="Successor or spun-off security"
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    New security name
+                    <input
+                      type="text"
+                      value={corporateActionForm.newSecurityName ?? ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, newSecurityName: e.target.value })}
+                      placeholder=""
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    Merger election
+                    <select
+                      value={corporateActionForm.election || ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, election: e.target.value })}
+                      style={inputStyle}
+                    >
+                      <option value="">-</option>
+                      <option value="STOCK">Stock</option>
+                      <option value="CASH">Cash</option>
+                      <option value="MIXED">Mixed</option>
+                    </select>
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    Stock fraction (mixed, 0-1)
+                    <input
+                      type="number"
+                      value={corporateActionForm.stockFraction ?? ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, stockFraction: e.target.value })}
+                      placeholder="0.6"
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    Cash per share
+                    <input
+                      type="number"
+                      value={corporateActionForm.cashPerShare ?? ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, cashPerShare: e.target.value })}
+                      placeholder=""
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    Cash currency
+                    <input
+                      type="text"
+                      value={corporateActionForm.cashCurrency ?? ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, cashCurrency: e.target.value })}
+                      placeholder="USD"
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    Cost to new line (spin-off, 0-1)
+                    <input
+                      type="number"
+                      value={corporateActionForm.costAllocation ?? ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, costAllocation: e.target.value })}
+                      placeholder="0.15"
+                      style={inputStyle}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', flexDirection: 'column', gap: '0.35rem', color: 'var(--text-secondary)', fontSize: '0.8rem' }}>
+                    Notes
+                    <input
+                      type="text"
+                      value={corporateActionForm.notes ?? ''}
+                      onChange={(e) => setCorporateActionForm({ ...corporateActionForm, notes: e.target.value })}
+                      placeholder=""
+                      style={inputStyle}
+                    />
+                  </label>
+                </div>
+                <div style={{ display: 'flex', gap: '0.75rem', marginTop: '1rem' }}>
+                  <button onClick={handleSaveCorporateAction} disabled={loading} style={smallButtonStyle('var(--accent-color)')}>
+                    Save
+                  </button>
+                  <button onClick={() => setCorporateActionForm(null)} disabled={loading} style={smallButtonStyle('#6b7280')}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {corporateActions && corporateActions.length === 0 && (
+              <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-secondary)' }}>
+                No corporate actions recorded.
+              </div>
+            )}
+
+            {corporateActions && corporateActions.length > 0 && (
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                  <thead>
+                    <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+                      <th style={{ padding: '0.75rem', textAlign: 'left', color: 'var(--text-primary)' }}>Effective</th>
+                      <th style={{ padding: '0.75rem', textAlign: 'left', color: 'var(--text-primary)' }}>Type</th>
+                      <th style={{ padding: '0.75rem', textAlign: 'left', color: 'var(--text-primary)' }}>Security</th>
+                      <th style={{ padding: '0.75rem', textAlign: 'left', color: 'var(--text-primary)' }}>Terms</th>
+                      <th style={{ padding: '0.75rem', textAlign: 'left', color: 'var(--text-primary)' }}>Source</th>
+                      <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-primary)' }}>Portfolios</th>
+                      <th style={{ padding: '0.75rem', textAlign: 'left', color: 'var(--text-primary)' }}>Status</th>
+                      <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-primary)' }}>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {corporateActions.map(event => (
+                      <tr key={event._id} style={{ borderBottom: '1px solid var(--border-color)' }}>
+                        <td style={{ padding: '0.75rem', color: 'var(--text-secondary)' }}>
+                          {new Date(event.effectiveDate).toLocaleDateString('en-GB')}
+                        </td>
+                        <td style={{ padding: '0.75rem', color: 'var(--text-primary)' }}>
+                          {CORPORATE_ACTION_LABELS[event.type] || event.type}
+                        </td>
+                        <td style={{ padding: '0.75rem', color: 'var(--text-primary)' }}>
+                          <div style={{ fontFamily: 'monospace' }}>{event.isin}</div>
+                          {event.securityName && (
+                            <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>{event.securityName}</div>
+                          )}
+                          {event.portfolioCode && (
+                            <div style={{ color: 'var(--text-secondary)', fontSize: '0.8rem' }}>Only {event.portfolioCode}</div>
+                          )}
+                        </td>
+                        <td style={{ padding: '0.75rem', color: 'var(--text-secondary)' }}>{describeTerms(event)}</td>
+                        <td style={{ padding: '0.75rem', color: 'var(--text-secondary)' }}>
+                          {event.source?.replace('_', ' ')}
+                          {event.operationIds?.length > 0 && ` (${event.operationIds.length} ops)`}
+                        </td>
+                        <td style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-primary)' }}>
+                          {event.status === 'applied' ? event.adjustments?.length || 0 : '-'}
+                        </td>
+                        <td style={{ padding: '0.75rem' }}>
+                          <span style={{
+                            padding: '0.2rem 0.6rem',
+                            borderRadius: '12px',
+                            fontSize: '0.75rem',
+                            fontWeight: '600',
+                            color: '#fff',
+                            background: CORPORATE_ACTION_STATUS_COLORS[event.status] || '#6b7280'
+                          }}>
+                            {event.status}
+                          </span>
+                        </td>
+                        <td style={{ padding: '0.75rem', textAlign: 'right', whiteSpace: 'nowrap' }}>
+                          <div style={{ display: 'inline-flex', gap: '0.5rem' }}>
+                            {event.status !== 'applied' && (
+                              <button
+                                onClick={() => setCorporateActionForm({
+                                  eventId: event._id,
+                                  type: event.type,
+                                  isin: event.isin,
+                                  effectiveDate: new Date(event.effectiveDate).toISOString().split('T')[0],
+                                  ratio: event.ratio ?? '',
+                                  newIsin: event.newIsin || '',
+                                  newSecurityName: event.newSecurityName || '',
+                                  election: event.election || '',
+                                  stockFraction: event.stockFraction ?? '',
+                                  cashPerShare: event.cashPerShare ?? '',
+                                  cashCurrency: event.cashCurrency || '',
+                                  costAllocation: event.costAllocation ?? '',
+                                  notes: event.notes || ''
+                                })}
+                                disabled={loading}
+                                style={smallButtonStyle('#6b7280')}
+                              >
+                                Edit
+                              </button>
+                            )}
+                            {event.status === 'detected' && (
+                              <button
+                                onClick={() => handleCorporateAction('corporateActions.apply', event._id)}
+                                disabled={loading}
+                                style={smallButtonStyle('#10b981')}
+                              >
+                                Apply
+                              </button>
+                            )}
+                            {event.status === 'detected' && (
+                              <button
+                                onClick={() => handleCorporateAction('corporateActions.ignore', event._id)}
+                                disabled={loading}
+                                style={smallButtonStyle('#6b7280')}
+                              >
+                                Ignore
+                              </button>
+                            )}
+                            {event.status === 'applied' && (
+                              <button
+                                onClick={() => handleCorporateAction(
+                                  'corporateActions.revert',
+                                  event._id,
+                                  'Revert this corporate action? Restated quantities and corrected cost basis will be restored to the bank values.'
+                                )}
+                                disabled={loading}
+                                style={smallButtonStyle('#ef4444')}
+                              >
+                                Revert
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </LiquidGlassCard>
+      )}
     </div>
   );
 };
@@ -32,6 +32,10 @@ import OrderModal from './components/OrderModal.jsx';
 import SecurityClassificationModal from './components/SecurityClassificationModal.jsx';
 import PortfolioReviewsList from './components/PortfolioReviewsList.jsx';
 import PortfolioReviewModal from './components/PortfolioReviewModal.jsx';
+import RealizedGainsReport from './components/RealizedGainsReport.jsx';
+import PerformanceAttributionPanel from './components/PerformanceAttributionPanel.jsx';
+import PeriodReturnsPanel from './components/PeriodReturnsPanel.jsx';
+import RiskMetricsPanel from './components/RiskMetricsPanel.jsx';
 import { DataFreshnessPanel } from './components/DataFreshnessIndicator.jsx';
 import { checkDataFreshness } from '/imports/api/helpers/dataFreshness.js';
 import HoldingPriceChart from './components/HoldingPriceChart.jsx';
@@ -160,7 +164,9 @@ const getProductTypeIcon = (templateId) => {
     'shark_note': '🦈',
     'participation_note': '📈',
     'reverse_convertible': '🔄',
-    'reverse_convertible_bond': '📜'
+    'reverse_convertible_bond': '📜',
+    'issuer_callable_phoenix': '📞',
+    'credit_linked_note': '🏛️'
   };
 
   return iconMap[templateId] || '📊';
@@ -434,6 +440,8 @@ const PortfolioManagementSystem = ({ user }) => {
   const [chartLoading, setChartLoading] = useState(false);
   const [lastFetchedRange, setLastFetchedRange] = useState(null);
   const [twrData, setTwrData] = useState(null);
+  // Currency the performance tab reports in (null = the perimeter's own currency)
+  const [reportingCurrency, setReportingCurrency] = useState(null);
   const [assetAllocation, setAssetAllocation] = useState(null);
   const [structuredProductHierarchy, setStructuredProductHierarchy] = useState({
     hasData: false,
@@ -751,7 +759,15 @@ const PortfolioManagementSystem = ({ user }) => {
         isLinked: isLinked,
         linkingStatus: linkingStatus,
         linkedProductId: holding.linkedProductId,
-        linkedAllocationId: holding.linkedAllocationId
+        linkedAllocationId: holding.linkedAllocationId,
+        // Multi-custodian breakdown (consolidated holdings only)
+        referenceCurrency: holding.referenceCurrency || null,
+        custodianLines: holding.custodianLines || null,
+        priceDispersion: holding.priceDispersion || null,
+        fxDispersion: holding.fxDispersion || null,
+        hasPriceDiscrepancy: !!holding.hasPriceDiscrepancy,
+        hasFxDiscrepancy: !!holding.hasFxDiscrepancy,
+        hasPartialCostBasis: !!holding.hasPartialCostBasis
       };
     });
 
@@ -1299,6 +1315,12 @@ const PortfolioManagementSystem = ({ user }) => {
     return null;
   };
 
+  // Reference currency of the consolidated holdings, when they all share one
+  const consolidatedReferenceCurrencies = activeAccountTab === 'consolidated'
+    ? [...new Set(filteredHoldings.map(p => p.referenceCurrency).filter(Boolean))]
+    : [];
+  const consolidatedReferenceCurrency = consolidatedReferenceCurrencies.length === 1 ? consolidatedReferenceCurrencies[0] : null;
+
   // Determine portfolio currency - Priority order:
   // 1. Selected account tab's referenceCurrency (when specific account selected)
   // 2. Client's profile.referenceCurrency (when client selected via viewAs)
@@ -1311,6 +1333,9 @@ const PortfolioManagementSystem = ({ user }) => {
     if (selectedAccount && selectedAccount.referenceCurrency) {
       portfolioCurrency = selectedAccount.referenceCurrency;
     }
+  } else if (consolidatedReferenceCurrency) {
+    // Consolidated holdings are valued in the entity's reference currency on the server
+    portfolioCurrency = consolidatedReferenceCurrency;
   } else if (viewAsFilter && (viewAsFilter.type === 'client' || viewAsFilter.type === 'entity')) {
     // Priority 2: Entity/Client's referenceCurrency
     const clientCurrency = viewAsFilter.data?.referenceCurrency || viewAsFilter.data?.profile?.referenceCurrency;
@@ -1416,7 +1441,8 @@ const PortfolioManagementSystem = ({ user }) => {
   const calculatePositionsTotals = (positions) => {
     const marketValue = positions.reduce((sum, p) => sum + p.marketValue, 0);
     const costBasis = positions.reduce((sum, p) => sum + p.costBasis, 0);
-    const gainLoss = marketValue - costBasis;
+    // Consolidated positions with partial cost basis only count P&L on their costed custodians
+    const gainLoss = positions.reduce((sum, p) => sum + (p.hasPartialCostBasis ? p.gainLoss : p.marketValue - p.costBasis), 0);
     const gainLossPercent = costBasis > 0 ? (gainLoss / costBasis) * 100 : 0;
     const percentage = totalPortfolioValue > 0 ? (marketValue / totalPortfolioValue) * 100 : 0;
 
@@ -1593,7 +1619,9 @@ const PortfolioManagementSystem = ({ user }) => {
       shark_note: 'Shark Note',
       participation_note: 'Participation Note',
       reverse_convertible: 'Reverse Convertible',
-      reverse_convertible_bond: 'Reverse Convertible Bond'
+      reverse_convertible_bond: 'Reverse Convertible Bond',
+      issuer_callable_phoenix: 'Issuer Callable Phoenix',
+      credit_linked_note: 'Credit Linked Note'
     };
 
     const titleCase = (s) => s.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
@@ -1667,7 +1695,7 @@ const PortfolioManagementSystem = ({ user }) => {
     setChartData(null);
     setLastFetchedRange(null);
     setTwrData(null);
-  }, [viewAsFilter, activeAccountTab]);
+  }, [viewAsFilter, activeAccountTab, reportingCurrency]);
 
   // Reset account tab when viewAsFilter changes
   // If viewAsFilter has selectedAccountId, auto-select that specific account tab
@@ -1744,7 +1772,8 @@ const PortfolioManagementSystem = ({ user }) => {
           const result = await Meteor.callAsync('performance.calculateTWR', {
             sessionId,
             viewAsFilter,
-            portfolioCode
+            portfolioCode,
+            reportingCurrency
           });
           console.log('[PMS] calculateTWR SUCCESS', { hasData: result?.hasData, periods: result?.periods ? Object.keys(result.periods) : [] });
 
@@ -1762,7 +1791,7 @@ const PortfolioManagementSystem = ({ user }) => {
 
       fetchTWRData();
     }
-  }, [activeTab, twrData, performanceLoading, viewAsFilter, activeAccountTab, accountTabs]);
+  }, [activeTab, twrData, performanceLoading, viewAsFilter, activeAccountTab, accountTabs, reportingCurrency]);
 
   // Fetch chart data when Performance tab is active and time range changes
   React.useEffect(() => {
@@ -1801,7 +1830,8 @@ const PortfolioManagementSystem = ({ user }) => {
             startDate,
             endDate,
             viewAsFilter,
-            portfolioCode
+            portfolioCode,
+            reportingCurrency
           });
           console.log('[PMS] getChartData result:', { hasData: chart?.hasData, snapshotCount: chart?.snapshots?.length || 0 });
 
@@ -1817,7 +1847,7 @@ const PortfolioManagementSystem = ({ user }) => {
 
       fetchChartData();
     }
-  }, [activeTab, selectedTimeRange, lastFetchedRange, chartLoading, viewAsFilter, activeAccountTab, accountTabs]);
+  }, [activeTab, selectedTimeRange, lastFetchedRange, chartLoading, viewAsFilter, activeAccountTab, accountTabs, reportingCurrency]);
 
   // Subscribe to available snapshot dates from PMSHoldings
   const { snapshotDates } = useTracker(() => {
@@ -1854,7 +1884,8 @@ const PortfolioManagementSystem = ({ user }) => {
     { id: 'transactions', label: 'Transactions', icon: '💱' },
     { id: 'performance', label: 'Performance', icon: '📈' },
     { id: 'alerts', label: 'Alerts', icon: '⚠️' },
-    { id: 'reviews', label: 'Reviews', icon: '📋' }
+    { id: 'reviews', label: 'Reviews', icon: '📋' },
+    { id: 'taxes', label: 'Realized Gains', icon: '🧾' }
   ];
 
   const handleSort = (field) => {
@@ -1994,6 +2025,21 @@ const PortfolioManagementSystem = ({ user }) => {
     );
   };
 
+  const renderTaxesSection = () => {
+    const selectedTab = activeAccountTab !== 'consolidated'
+      ? accountTabs.find(tab => tab.id === activeAccountTab)
+      : null;
+
+    return (
+      <div style={{ padding: '1rem 0' }}>
+        <RealizedGainsReport
+          viewAsFilter={viewAsFilter}
+          portfolioCode={selectedTab?.accountNumber || null}
+        />
+      </div>
+    );
+  };
+
   const renderPositionsSection = () => {
     // Loading state
     if (isLoading) {
@@ -2661,6 +2707,59 @@ const PortfolioManagementSystem = ({ user }) => {
                                 ⚠️
                               </span>
                             )}
+                            {position.custodianLines?.length > 1 && (
+                              <span
+                                title={`Held at ${position.custodianLines.map(line => line.bankName || line.portfolioCode).join(', ')}`}
+                                style={{
+                                  fontFamily: 'inherit',
+                                  fontSize: '0.65rem',
+                                  fontWeight: '600',
+                                  color: '#3b82f6',
+                                  background: 'rgba(59, 130, 246, 0.12)',
+                                  padding: '1px 5px',
+                                  borderRadius: '3px'
+                                }}
+                              >
+                                {position.custodianLines.length} custodians
+                              </span>
+                            )}
+                            {(position.hasPriceDiscrepancy || position.hasFxDiscrepancy) && (
+                              <span
+                                title={[
+                                  position.hasPriceDiscrepancy && `Custodian prices differ by ${position.priceDispersion.spreadPercent.toFixed(2)}%`,
+                                  position.hasFxDiscrepancy && `Custodian FX rates differ by ${position.fxDispersion.spreadPercent.toFixed(2)}%`
+                                ].filter(Boolean).join(' • ')}
+                                style={{
+                                  fontFamily: 'inherit',
+                                  fontSize: '0.65rem',
+                                  fontWeight: '600',
+                                  color: '#f59e0b',
+                                  background: 'rgba(245, 158, 11, 0.15)',
+                                  padding: '1px 5px',
+                                  borderRadius: '3px',
+                                  cursor: 'help'
+                                }}
+                              >
+                                {position.hasPriceDiscrepancy ? 'Price gap' : 'FX gap'}
+                              </span>
+                            )}
+                            {position.hasPartialCostBasis && (
+                              <span
+                                title={`No cost basis from ${position.custodianLines.filter(line => line.costBasisReferenceCurrency === null).map(line => line.bankName || line.portfolioCode).join(', ')} - P&L covers the other custodians only`}
+                                style={{
+                                  fontFamily: 'inherit',
+                                  fontSize: '0.65rem',
+                                  fontWeight: '600',
+                                  color: '#f59e0b',
+                                  background: 'rgba(245, 158, 11, 0.15)',
+                                  padding: '1px 5px',
+                                  borderRadius: '3px',
+                                  cursor: 'help'
+                                }}
+                              >
+                                Partial cost
+                              </span>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -2901,6 +3000,64 @@ const PortfolioManagementSystem = ({ user }) => {
                       )}
                     </div>
                   )}
+
+                  {/* Custodian breakdown for securities held at several banks */}
+                  {isPositionExpanded && position.custodianLines?.length > 1 && (
+                    <div style={{
+                      padding: '0.5rem 1rem 0.75rem 2rem',
+                      background: theme === 'light' ? 'rgba(0,0,0,0.02)' : 'rgba(255,255,255,0.02)',
+                      borderBottom: isLast ? 'none' : '1px solid var(--border-color)',
+                      overflowX: 'auto'
+                    }}>
+                      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem', fontVariantNumeric: 'tabular-nums' }}>
+                        <thead>
+                          <tr style={{ color: 'var(--text-muted)', textAlign: 'right' }}>
+                            <th style={{ padding: '0.3rem 0.5rem', textAlign: 'left', fontWeight: '500' }}>Custodian</th>
+                            <th style={{ padding: '0.3rem 0.5rem', fontWeight: '500' }}>Qty</th>
+                            <th style={{ padding: '0.3rem 0.5rem', fontWeight: '500' }}>Price</th>
+                            <th style={{ padding: '0.3rem 0.5rem', fontWeight: '500' }}>Price Date</th>
+                            <th style={{ padding: '0.3rem 0.5rem', fontWeight: '500' }}>Bank FX</th>
+                            <th style={{ padding: '0.3rem 0.5rem', fontWeight: '500' }}>Value ({portfolioCurrency})</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {position.custodianLines.map(line => (
+                            <tr key={`${line.bankId}_${line.portfolioCode}`} style={{ color: 'var(--text-secondary)', textAlign: 'right' }}>
+                              <td style={{ padding: '0.3rem 0.5rem', textAlign: 'left' }}>
+                                {line.bankName || 'N/A'} <span style={{ color: 'var(--text-muted)' }}>{line.portfolioCode}</span>
+                              </td>
+                              <td style={{ padding: '0.3rem 0.5rem' }}>{line.quantity.toLocaleString()}</td>
+                              <td style={{ padding: '0.3rem 0.5rem' }}>{formatPrice(line.marketPrice || 0, position.currency, line.priceType)}</td>
+                              <td style={{ padding: '0.3rem 0.5rem' }}>
+                                {line.priceDate ? new Date(line.priceDate).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : '-'}
+                              </td>
+                              <td style={{ padding: '0.3rem 0.5rem' }}>
+                                {line.fxRateToReference && position.currency !== portfolioCurrency ? line.fxRateToReference.toFixed(4) : '-'}
+                              </td>
+                              <td style={{ padding: '0.3rem 0.5rem' }}>{formatCurrency(line.marketValueReferenceCurrency, portfolioCurrency)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {(position.priceDispersion || position.fxDispersion) && (
+                        <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: '0.35rem' }}>
+                          {position.priceDispersion && (
+                            <span style={{ color: position.hasPriceDiscrepancy ? '#f59e0b' : 'inherit' }}>
+                              Price spread {position.priceDispersion.spreadPercent.toFixed(2)}%
+                              {position.priceDispersion.basis === 'unitValue' ? ' (value per unit)' : ''}
+                            </span>
+                          )}
+                          {position.priceDispersion && position.fxDispersion && ' • '}
+                          {position.fxDispersion && (
+                            <span style={{ color: position.hasFxDiscrepancy ? '#f59e0b' : 'inherit' }}>
+                              FX spread {position.fxDispersion.spreadPercent.toFixed(2)}%
+                            </span>
+                          )}
+                          {' • '}Consolidated value uses one market FX rate for all custodians
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
               );
             };
@@ -3345,8 +3502,28 @@ const PortfolioManagementSystem = ({ user }) => {
       return period.twr >= 0 ? '#10b981' : '#ef4444';
     };
 
+    const hasFxTranslation = !!twrData?.metadata?.hasFxTranslation;
+
     return (
     <div style={{ padding: '1rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+        <label style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>Reporting currency</label>
+        <select
+          value={reportingCurrency || ''}
+          onChange={(e) => setReportingCurrency(e.target.value || null)}
+          style={{
+            padding: '0.4rem 0.6rem',
+            background: 'var(--bg-secondary)',
+            color: 'var(--text-primary)',
+            border: '1px solid var(--border-color)',
+            borderRadius: '6px',
+            fontSize: '0.75rem'
+          }}
+        >
+          <option value="">Default{twrData?.currency && !reportingCurrency ? ` (${twrData.currency})` : ''}</option>
+          {['EUR', 'USD', 'CHF', 'GBP', 'JPY', 'CAD', 'AUD', 'ILS'].map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+      </div>
       <div style={{
         display: 'grid',
         gridTemplateColumns: 'repeat(auto-fit, minmax(min(130px, 100%), 1fr))',
@@ -3386,6 +3563,26 @@ const PortfolioManagementSystem = ({ user }) => {
                     {period.twrAnnualizedFormatted}
                   </div>
                 )}
+                {period?.hasData && period?.excessReturnFormatted && (
+                  <div style={{
+                    fontSize: '0.7rem',
+                    color: period.excessReturn >= 0 ? '#10b981' : '#ef4444',
+                    marginTop: '0.25rem'
+                  }}
+                    title={`Benchmark: ${period.benchmarkReturnFormatted}`}
+                  >
+                    {period.excessReturnFormatted} vs benchmark
+                  </div>
+                )}
+                {period?.hasData && period?.fxContributionFormatted && (
+                  <div style={{
+                    fontSize: '0.7rem',
+                    color: 'var(--text-muted)',
+                    marginTop: '0.25rem'
+                  }}>
+                    {period.fxContributionFormatted} FX
+                  </div>
+                )}
               </div>
             </LiquidGlassCard>
           );
@@ -3478,17 +3675,23 @@ const PortfolioManagementSystem = ({ user }) => {
             }
 
             const filteredLabels = twrChart.labels.slice(startIdx);
-            const filteredData = twrChart.datasets[0].data.slice(startIdx);
+
+            // Rebase every dataset (portfolio and benchmark) to 100 at the range start
+            const filteredDatasets = twrChart.datasets.map(dataset => {
+              const sliced = dataset.data.slice(startIdx);
+              const base = sliced[0];
+              return {
+                ...dataset,
+                data: selectedTimeRange !== 'ALL' && base ? sliced.map(v => (v / base) * 100) : sliced
+              };
+            });
 
             return (
               <div style={{ height: '300px' }}>
                 <Line
                   data={{
                     labels: filteredLabels,
-                    datasets: [{
-                      ...twrChart.datasets[0],
-                      data: filteredData
-                    }]
+                    datasets: filteredDatasets
                   }}
                   options={{
                     responsive: true,
@@ -3621,7 +3824,7 @@ const PortfolioManagementSystem = ({ user }) => {
                           let label = context.dataset.label || '';
                           if (label) label += ': ';
                           if (context.parsed.y !== null) {
-                            label += formatCurrency(context.parsed.y, portfolioCurrency);
+                            label += formatCurrency(context.parsed.y, chartData.currency || portfolioCurrency);
                           }
                           return label;
                         }
@@ -3648,7 +3851,7 @@ const PortfolioManagementSystem = ({ user }) => {
                       ticks: {
                         color: theme === 'light' ? '#6b7280' : '#9ca3af',
                         callback: function(value) {
-                          return formatCurrency(value, portfolioCurrency);
+                          return formatCurrency(value, chartData.currency || portfolioCurrency);
                         }
                       }
                     }
@@ -4099,6 +4302,20 @@ const PortfolioManagementSystem = ({ user }) => {
                     <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-muted)', fontWeight: '600' }}>End Date</th>
                     <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-muted)', fontWeight: '600' }}>Data Points</th>
                     <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-muted)', fontWeight: '600' }}>TWR</th>
+                    {hasFxTranslation && (
+                      <>
+                        <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-muted)', fontWeight: '600' }}>Local Return</th>
+                        <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-muted)', fontWeight: '600' }}>FX Contribution</th>
+                      </>
+                    )}
+                    {twrData.benchmark && (
+                      <>
+                        <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-muted)', fontWeight: '600' }}>Benchmark</th>
+                        <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-muted)', fontWeight: '600' }}>Excess</th>
+                        <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-muted)', fontWeight: '600' }}>Tracking Error</th>
+                        <th style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-muted)', fontWeight: '600' }}>Info. Ratio</th>
+                      </>
+                    )}
                   </tr>
                 </thead>
                 <tbody>
@@ -4143,6 +4360,41 @@ const PortfolioManagementSystem = ({ user }) => {
                             </div>
                           )}
                         </td>
+                        {hasFxTranslation && (
+                          <>
+                            <td style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-secondary)' }}>
+                              {period.localReturnFormatted || '—'}
+                            </td>
+                            <td style={{
+                              padding: '0.75rem',
+                              textAlign: 'right',
+                              color: period.fxContribution == null ? 'var(--text-muted)' : period.fxContribution >= 0 ? '#10b981' : '#ef4444'
+                            }}>
+                              {period.fxContributionFormatted || '—'}
+                            </td>
+                          </>
+                        )}
+                        {twrData.benchmark && (
+                          <>
+                            <td style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-secondary)' }}>
+                              {period.benchmarkReturnFormatted || 'N/A'}
+                            </td>
+                            <td style={{
+                              padding: '0.75rem',
+                              textAlign: 'right',
+                              fontWeight: '600',
+                              color: period.excessReturn == null ? 'var(--text-muted)' : period.excessReturn >= 0 ? '#10b981' : '#ef4444'
+                            }}>
+                              {period.excessReturnFormatted || 'N/A'}
+                            </td>
+                            <td style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-secondary)' }}>
+                              {period.trackingErrorFormatted || '—'}
+                            </td>
+                            <td style={{ padding: '0.75rem', textAlign: 'right', color: 'var(--text-secondary)' }}>
+                              {period.informationRatioFormatted || '—'}
+                            </td>
+                          </>
+                        )}
                       </tr>
                     );
                   })}
@@ -4151,6 +4403,20 @@ const PortfolioManagementSystem = ({ user }) => {
               {twrData.metadata && (
                 <div style={{ marginTop: '0.75rem', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
                   Data from {twrData.metadata.firstSnapshotDate} to {twrData.metadata.lastSnapshotDate} | {twrData.metadata.externalFlowCount} external flows detected
+                  {twrData.currency && ` | in ${twrData.currency}`}
+                  {hasFxTranslation && ' | local return at constant FX rates; FX contribution is the translation of the account currencies into the reporting currency'}
+                </div>
+              )}
+              {twrData.benchmark && (
+                <div style={{ marginTop: '0.25rem', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+                  Benchmark: {twrData.benchmark.name}
+                  {twrData.benchmark.source === 'blended' && ' (value-weighted across account benchmarks)'}
+                  {twrData.benchmark.source === 'profile' && ' (investment profile default)'}
+                  {' | '}daily rebalanced; tracking error and information ratio annualized, shown from 20 observations
+                  {twrData.benchmark.coverage?.missingTickers?.length > 0 && ` | no market data for ${twrData.benchmark.coverage.missingTickers.join(', ')}`}
+                  {twrData.benchmark.coverage?.unpricedPoints > 0 && ` | ${twrData.benchmark.coverage.unpricedPoints} unpriced days left out`}
+                  {twrData.benchmark.coverage?.lowCoveragePoints > 0 && ` | ${twrData.benchmark.coverage.lowCoveragePoints} days priced on less than 80% of the weight (lowest ${Math.round(twrData.benchmark.coverage.minCoveredWeight * 100)}%)`}
+                  {twrData.benchmark.currency && twrData.currency && twrData.benchmark.currency !== twrData.currency && ` | benchmark in ${twrData.benchmark.currency}, no ${twrData.currency} rate history`}
                 </div>
               )}
             </div>
@@ -4166,6 +4432,51 @@ const PortfolioManagementSystem = ({ user }) => {
           )}
         </div>
       </LiquidGlassCard>
+
+      {/* Period Returns (MTD / QTD / YTD / 1Y / 3Y / since inception, TWR and MWR) */}
+      <LiquidGlassCard style={{
+        marginTop: '1rem',
+        background: theme === 'light' ? '#6b7280' : '#0f172a',
+        backdropFilter: 'none'
+      }}>
+        <PeriodReturnsPanel
+          viewAsFilter={viewAsFilter}
+          reportingCurrency={reportingCurrency}
+          portfolioCode={activeAccountTab !== 'consolidated'
+            ? (accountTabs.find(tab => tab.id === activeAccountTab)?.accountNumber || null)
+            : null}
+        />
+      </LiquidGlassCard>
+
+      {/* Performance Attribution (Brinson by asset class + contribution by security) */}
+      <LiquidGlassCard style={{
+        marginTop: '1rem',
+        background: theme === 'light' ? '#6b7280' : '#0f172a',
+        backdropFilter: 'none'
+      }}>
+        <PerformanceAttributionPanel
+          viewAsFilter={viewAsFilter}
+          reportingCurrency={reportingCurrency}
+          portfolioCode={activeAccountTab !== 'consolidated'
+            ? (accountTabs.find(tab => tab.id === activeAccountTab)?.accountNumber || null)
+            : null}
+        />
+      </LiquidGlassCard>
+
+      {/* Risk metrics (volatility, drawdown, Sharpe, VaR, concentration) */}
+      <LiquidGlassCard style={{
+        marginTop: '1rem',
+        background: theme === 'light' ? '#6b7280' : '#0f172a',
+        backdropFilter: 'none'
+      }}>
+        <RiskMetricsPanel
+          viewAsFilter={viewAsFilter}
+          reportingCurrency={reportingCurrency}
+          portfolioCode={activeAccountTab !== 'consolidated'
+            ? (accountTabs.find(tab => tab.id === activeAccountTab)?.accountNumber || null)
+            : null}
+        />
+      </LiquidGlassCard>
     </div>
     );
   };
@@ -4624,7 +4935,8 @@ const PortfolioManagementSystem = ({ user }) => {
               title="Report PDF"
               options={{
                 viewAsFilter: viewAsFilter ? JSON.stringify(viewAsFilter) : null,
-                accountFilter: activeAccountTab
+                accountFilter: activeAccountTab,
+                reportingCurrency
               }}
               style={{
                 padding: '0.5rem 0.75rem',
@@ -5269,6 +5581,7 @@ const PortfolioManagementSystem = ({ user }) => {
           {activeTab === 'performance' && renderPerformanceSection()}
           {activeTab === 'alerts' && renderAlertsSection()}
           {activeTab === 'reviews' && renderReviewsSection()}
+          {activeTab === 'taxes' && renderTaxesSection()}
         </div>
       </LiquidGlassCard>
 
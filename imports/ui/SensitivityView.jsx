@@ -0,0 +1,399 @@
+import React, { useState } from 'react';
+import { Meteor } from 'meteor/meteor';
+
+const TEMPLATE_LABELS = {
+  phoenix_autocallable: 'Phoenix',
+  reverse_convertible: 'Reverse Convertible',
+  participation_note: 'Participation Note'
+};
+
+const METHOD_LABELS = {
+  monte_carlo: 'Monte Carlo',
+  intrinsic: 'Intrinsic',
+  locked: 'Payoff fixed'
+};
+
+const formatEur = (value) => {
+  if (value === null || value === undefined || isNaN(value)) return '-';
+  const formatted = Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: 0 });
+  return `${value < 0 ? '-' : ''}EUR ${formatted}`;
+};
+
+const formatSigned = (value, decimals = 2, suffix = '') => {
+  if (value === null || value === undefined || isNaN(value)) return '-';
+  return `${value >= 0 ? '+' : ''}${Number(value).toFixed(decimals)}${suffix}`;
+};
+
+const valueColor = (value) => (
+  value === null || value === undefined || value === 0
+    ? 'var(--text-primary)'
+    : value < 0 ? '#ef4444' : '#10b981'
+);
+
+const distanceColor = (distance) => {
+  if (distance === null || distance === undefined) return 'var(--text-secondary)';
+  if (distance < 0) return '#ef4444';
+  if (distance < 10) return '#f97316';
+  return '#10b981';
+};
+
+const cardStyle = {
+  background: 'var(--bg-secondary)',
+  borderRadius: '12px',
+  padding: '1.5rem',
+  border: '1px solid var(--border-color)',
+  marginBottom: '2rem'
+};
+
+const thStyle = {
+  padding: '0.75rem',
+  textAlign: 'left',
+  fontSize: '0.75rem',
+  fontWeight: '600',
+  color: 'var(--text-secondary)',
+  textTransform: 'uppercase',
+  letterSpacing: '0.05em',
+  borderBottom: '1px solid var(--border-color)',
+  whiteSpace: 'nowrap'
+};
+
+const tdStyle = {
+  padding: '0.75rem',
+  fontSize: '0.875rem',
+  color: 'var(--text-primary)',
+  borderBottom: '1px solid var(--border-color)'
+};
+
+const numTh = { ...thStyle, textAlign: 'right' };
+const numTd = { ...tdStyle, textAlign: 'right', whiteSpace: 'nowrap', fontVariantNumeric: 'tabular-nums' };
+
+/**
+ * SensitivityView Component
+ * Greeks of the live structured product book (bump-and-revalue on the template
+ * evaluators), aggregated per underlying, with gamma hot-spots near barriers.
+ * Shown as a tab of the Underlyings section for staff users.
+ */
+const SensitivityView = ({ onNavigateToReport }) => {
+  const [result, setResult] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [expandedProductId, setExpandedProductId] = useState(null);
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError(null);
+    try {
+      const sessionId = localStorage.getItem('sessionId');
+      const data = await Meteor.callAsync('sensitivity.run', { sessionId });
+      setResult(data);
+    } catch (err) {
+      console.error('Error computing sensitivities:', err);
+      setError(err.reason || err.message || 'Failed to compute sensitivities');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const openReport = (productId) => {
+    if (onNavigateToReport) onNavigateToReport({ _id: productId });
+  };
+
+  const summary = result?.summary || {};
+
+  const tiles = result ? [
+    { label: 'Equity delta', value: formatEur(summary.deltaEur), color: valueColor(summary.deltaEur), hint: 'Equity-equivalent exposure of the book' },
+    { label: 'Gamma (1% move)', value: formatEur(summary.gammaEur), color: valueColor(summary.gammaEur), hint: 'Change in delta for a 1% move of every underlying' },
+    { label: 'Vega (+1 vol pt)', value: formatEur(summary.vegaEur), color: valueColor(summary.vegaEur), hint: 'P&L of a one point rise in every volatility' },
+    { label: `Correlation (+${Math.round((result.bumps?.correlation || 0) * 100)} pts)`, value: formatEur(summary.correlationEur), color: valueColor(summary.correlationEur), hint: 'P&L of a rise in every pairwise correlation' },
+    { label: 'Gamma hot-spots', value: summary.hotSpotCount || 0, color: summary.hotSpotCount > 0 ? '#f97316' : 'var(--text-primary)', hint: `Underlyings within ${result.hotSpotBand} points of a barrier` }
+  ] : [];
+
+  return (
+    <div>
+      {/* Header */}
+      <div style={{
+        ...cardStyle,
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '1rem',
+        flexWrap: 'wrap'
+      }}>
+        <div>
+          <h2 style={{ margin: '0 0 0.25rem 0', fontSize: '1.4rem', color: 'var(--text-primary)' }}>
+            Book Sensitivities
+          </h2>
+          <p style={{ margin: 0, fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+            Delta, gamma, vega and correlation of live products, weighted by PMS positions and expressed in EUR
+            {result && <span> • Computed {new Date(result.generatedAt).toLocaleString()} in {(result.durationMs / 1000).toFixed(1)}s</span>}
+          </p>
+        </div>
+        <button
+          onClick={handleRun}
+          disabled={isRunning}
+          style={{
+            padding: '0.75rem 1.5rem',
+            background: isRunning ? 'var(--bg-tertiary)' : 'linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)',
+            color: '#fff',
+            border: 'none',
+            borderRadius: '10px',
+            fontSize: '0.95rem',
+            fontWeight: '600',
+            cursor: isRunning ? 'not-allowed' : 'pointer',
+            opacity: isRunning ? 0.6 : 1
+          }}
+        >
+          {isRunning ? 'Computing...' : (result ? '↻ Recompute' : '📐 Compute Sensitivities')}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{
+          background: '#fef2f2',
+          border: '1px solid #fecaca',
+          borderRadius: '12px',
+          padding: '1rem',
+          marginBottom: '2rem',
+          color: '#991b1b'
+        }}>
+          Error: {error}
+        </div>
+      )}
+
+      {!result && !isRunning && !error && (
+        <div style={{ ...cardStyle, textAlign: 'center', color: 'var(--text-secondary)' }}>
+          Sensitivities are computed on demand by re-pricing every live product with bumped inputs.
+          This can take a minute on a large book.
+        </div>
+      )}
+
+      {isRunning && !result && (
+        <div style={{ ...cardStyle, textAlign: 'center', color: 'var(--text-secondary)' }}>
+          Re-pricing live products...
+        </div>
+      )}
+
+      {result && (
+        <>
+          {/* Summary tiles */}
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+            gap: '1rem',
+            marginBottom: '2rem'
+          }}>
+            {tiles.map(tile => (
+              <div key={tile.label} title={tile.hint} style={{
+                background: 'var(--bg-secondary)',
+                borderRadius: '12px',
+                padding: '1.5rem',
+                border: '1px solid var(--border-color)'
+              }}>
+                <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '0.5rem' }}>
+                  {tile.label}
+                </div>
+                <div style={{ fontSize: '1.5rem', fontWeight: '700', color: tile.color }}>
+                  {tile.value}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Per underlying */}
+          <div style={cardStyle}>
+            <h3 style={{ margin: '0 0 1rem 0', color: 'var(--text-primary)' }}>Risk by Underlying</h3>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>Underlying</th>
+                    <th style={numTh}>Products</th>
+                    <th style={numTh}>Nominal exposed</th>
+                    <th style={numTh}>Delta</th>
+                    <th style={numTh}>Gamma</th>
+                    <th style={numTh}>Vega</th>
+                    <th style={numTh}>Closest barrier</th>
+                    <th style={numTh}>Hot-spots</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.underlyings.map(u => (
+                    <tr key={u.key}>
+                      <td style={tdStyle}>
+                        <div style={{ fontWeight: '600' }}>{u.ticker}</div>
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>{u.name}</div>
+                      </td>
+                      <td style={numTd}>{u.productCount}</td>
+                      <td style={numTd}>{formatEur(u.nominalEur)}</td>
+                      <td style={{ ...numTd, color: valueColor(u.deltaEur), fontWeight: '600' }}>{formatEur(u.deltaEur)}</td>
+                      <td style={{ ...numTd, color: valueColor(u.gammaEur) }}>{formatEur(u.gammaEur)}</td>
+                      <td style={{ ...numTd, color: valueColor(u.vegaEur) }}>{formatEur(u.vegaEur)}</td>
+                      <td style={{ ...numTd, color: distanceColor(u.closestDistanceToBarrier) }}>
+                        {formatSigned(u.closestDistanceToBarrier, 1, '%')}
+                      </td>
+                      <td style={{ ...numTd, color: u.hotSpotCount > 0 ? '#f97316' : 'var(--text-secondary)', fontWeight: u.hotSpotCount > 0 ? '700' : '400' }}>
+                        {u.hotSpotCount}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Gamma hot-spots */}
+          {result.hotSpots.length > 0 && (
+            <div style={{ ...cardStyle, borderLeft: '4px solid #f97316' }}>
+              <h3 style={{ margin: '0 0 0.25rem 0', color: 'var(--text-primary)' }}>🔥 Gamma Hot-Spots</h3>
+              <p style={{ margin: '0 0 1rem 0', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+                Underlyings trading within {result.hotSpotBand} points of a capital protection barrier, where delta changes fastest.
+              </p>
+              <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      <th style={thStyle}>Product</th>
+                      <th style={thStyle}>Underlying</th>
+                      <th style={numTh}>Performance</th>
+                      <th style={numTh}>Barrier</th>
+                      <th style={numTh}>Distance</th>
+                      <th style={numTh}>Gamma (% / 1%)</th>
+                      <th style={numTh}>Gamma</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.hotSpots.map(h => (
+                      <tr key={`${h.productId}-${h.ticker}`} onClick={() => openReport(h.productId)} style={{ cursor: 'pointer' }}>
+                        <td style={tdStyle}>
+                          <div style={{ fontWeight: '600' }}>{h.title}</div>
+                          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>{h.isin}</div>
+                        </td>
+                        <td style={tdStyle}>{h.ticker}</td>
+                        <td style={{ ...numTd, color: valueColor(h.performance) }}>{formatSigned(h.performance, 2, '%')}</td>
+                        <td style={numTd}>{h.barrierLevel != null ? `${h.barrierLevel}%` : '-'}</td>
+                        <td style={{ ...numTd, color: distanceColor(h.distanceToBarrier), fontWeight: '600' }}>{formatSigned(h.distanceToBarrier, 1, '%')}</td>
+                        <td style={numTd}>{formatSigned(h.gamma)}</td>
+                        <td style={{ ...numTd, color: valueColor(h.gammaEur) }}>{formatEur(h.gammaEur)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Per product */}
+          <div style={cardStyle}>
+            <h3 style={{ margin: '0 0 1rem 0', color: 'var(--text-primary)' }}>Sensitivities by Product</h3>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>Product</th>
+                    <th style={thStyle}>Type</th>
+                    <th style={thStyle}>Pricing</th>
+                    <th style={numTh}>Value</th>
+                    <th style={numTh}>Nominal</th>
+                    <th style={numTh}>Delta</th>
+                    <th style={numTh}>Vega (% / pt)</th>
+                    <th style={numTh}>Vega</th>
+                    <th style={numTh}>Correlation</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.products.map(p => (
+                    <React.Fragment key={p.productId}>
+                      <tr
+                        onClick={() => setExpandedProductId(expandedProductId === p.productId ? null : p.productId)}
+                        style={{ cursor: 'pointer', background: expandedProductId === p.productId ? 'var(--bg-tertiary)' : 'transparent' }}
+                      >
+                        <td style={tdStyle}>
+                          <div style={{ fontWeight: '600' }}>
+                            {expandedProductId === p.productId ? '▾' : '▸'} {p.title}
+                            {p.hasGammaHotSpot && <span title="Gamma hot-spot" style={{ marginLeft: '0.4rem' }}>🔥</span>}
+                          </div>
+                          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>{p.isin}</div>
+                        </td>
+                        <td style={tdStyle}>{TEMPLATE_LABELS[p.templateId] || p.templateId}</td>
+                        <td style={{ ...tdStyle, color: 'var(--text-secondary)' }}>{METHOD_LABELS[p.method] || p.method}</td>
+                        <td style={numTd}>{p.value != null ? `${p.value.toFixed(2)}%` : '-'}</td>
+                        <td style={numTd}>{formatEur(p.nominalEur)}</td>
+                        <td style={{ ...numTd, color: valueColor(p.deltaEur), fontWeight: '600' }}>{formatEur(p.deltaEur)}</td>
+                        <td style={numTd}>{formatSigned(p.vega)}</td>
+                        <td style={{ ...numTd, color: valueColor(p.vegaEur) }}>{formatEur(p.vegaEur)}</td>
+                        <td style={{ ...numTd, color: valueColor(p.correlationEur) }}>{formatEur(p.correlationEur)}</td>
+                      </tr>
+                      {expandedProductId === p.productId && (
+                        <tr>
+                          <td colSpan={9} style={{ ...tdStyle, background: 'var(--bg-primary)', padding: '1rem 1.5rem' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                              <thead>
+                                <tr>
+                                  <th style={thStyle}>Underlying</th>
+                                  <th style={numTh}>Performance</th>
+                                  <th style={numTh}>Distance to barrier</th>
+                                  <th style={numTh}>Delta (% / 1%)</th>
+                                  <th style={numTh}>Gamma (% / 1%)</th>
+                                  <th style={numTh}>Vega (% / pt)</th>
+                                  <th style={numTh}>Delta</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {p.underlyings.map(u => (
+                                  <tr key={u.key}>
+                                    <td style={tdStyle}>{u.ticker}{u.isGammaHotSpot && ' 🔥'}</td>
+                                    <td style={{ ...numTd, color: valueColor(u.performance) }}>{formatSigned(u.performance, 2, '%')}</td>
+                                    <td style={{ ...numTd, color: distanceColor(u.distanceToBarrier) }}>{formatSigned(u.distanceToBarrier, 1, '%')}</td>
+                                    <td style={numTd}>{formatSigned(u.delta)}</td>
+                                    <td style={numTd}>{formatSigned(u.gamma)}</td>
+                                    <td style={numTd}>{formatSigned(u.vega)}</td>
+                                    <td style={{ ...numTd, color: valueColor(u.deltaEur) }}>{formatEur(u.deltaEur)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                            <button
+                              onClick={() => openReport(p.productId)}
+                              style={{
+                                marginTop: '0.75rem',
+                                background: 'none',
+                                border: '1px solid var(--border-color)',
+                                borderRadius: '6px',
+                                color: 'var(--accent-color)',
+                                padding: '0.35rem 0.75rem',
+                                fontSize: '0.8rem',
+                                cursor: 'pointer'
+                              }}
+                            >
+                              Open product report →
+                            </button>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {result.skipped.length > 0 && (
+            <div style={{ ...cardStyle, fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+              <strong>Not included ({result.skipped.length}):</strong>{' '}
+              {result.skipped.map(s => `${s.title} (${s.reason})`).join(' • ')}
+            </div>
+          )}
+
+          <p style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', margin: 0 }}>
+            Bump-and-revalue from the latest stored evaluations: spot ±{result.bumps.spot}%, volatility +{result.bumps.volatility} pt,
+            correlation +{Math.round(result.bumps.correlation * 100)} pts. Phoenix products are re-priced with the Monte Carlo engine
+            ({result.monteCarloPaths.toLocaleString()} paths, fixed seed); Reverse Convertibles and Participation Notes use their
+            intrinsic redemption value and carry no vega or correlation sensitivity. Nominals come from the latest PMS holdings.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SensitivityView;
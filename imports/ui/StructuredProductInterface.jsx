@@ -23,6 +23,8 @@ import ProductDetailsCard from './components/structured-product/product-details/
 import StructureModule from './components/StructureModule.jsx';
 import ScheduleBuilder from './components/ScheduleBuilder.jsx';
 import SummaryModule from './components/SummaryModule.jsx';
+import BacktestModule from './components/BacktestModule.jsx';
+import { BACKTEST_SUPPORTED_TEMPLATES } from '/imports/api/evaluators/productBacktest.js';
 import DraggableItem from './components/structured-product/drag-drop/DraggableItem.jsx';
 import DroppedItem from './components/structured-product/drag-drop/DroppedItem.jsx';
 import { ItemTypes } from './components/structured-product/ItemTypes.js';
@@ -1059,6 +1061,26 @@ const StructuredProductInterface = ({
           denomination: 1000,
           barrierType: 'european'
         };
+      case 'issuer_callable_phoenix':
+        return {
+          couponRate: 6.0,
+          couponBarrier: 70,
+          protectionBarrierLevel: 60,
+          memoryCoupon: true,
+          fixedCoupon: false,
+          issuerCallPrice: 100,
+          couponFrequency: 'quarterly',
+          referencePerformance: 'worst-of'
+        };
+      case 'credit_linked_note':
+        return {
+          couponRate: 5.0,
+          couponFrequency: 'quarterly',
+          recoveryRate: 40,
+          referenceEntities: [],
+          manualPrice: '',
+          manualPriceDate: ''
+        };
       default:
         return {
           couponRate: 8.5,
@@ -1084,7 +1106,8 @@ const StructuredProductInterface = ({
     coolOffPeriods: 0,
     stepDownValue: -5,
     initialAutocallLevel: 100,
-    initialCouponBarrier: 70
+    initialCouponBarrier: 70,
+    couponBarrierStepValue: 0
   });
 
   // Template state
@@ -1867,8 +1890,15 @@ const StructuredProductInterface = ({
       const templateId = selectedTemplateId || productDetails.template || productDetails.templateId;
       const isOrion = templateId && templateId.toLowerCase().includes('orion');
 
-      // 1. Add underlyings
-      if (underlyings && underlyings.length > 0) {
+      // 1. Add underlyings (reference entities for credit linked notes)
+      if (templateId === 'credit_linked_note') {
+        const names = (structureParams.referenceEntities || []).map(e => e.name).filter(Boolean);
+        if (names.length === 1) {
+          parts.push(names[0]);
+        } else if (names.length > 1) {
+          parts.push(`${names.length}-Name Basket`);
+        }
+      } else if (underlyings && underlyings.length > 0) {
         const symbols = underlyings.map(u => u.symbol || u.ticker).filter(Boolean);
         if (symbols.length > 0) {
           // Special handling for Orion: always show first 2 + remaining count
@@ -1911,7 +1941,7 @@ const StructuredProductInterface = ({
       console.error('Error generating product title:', error);
       return 'New Structured Product';
     }
-  }, [underlyings, selectedTemplateId, productDetails]);
+  }, [underlyings, selectedTemplateId, productDetails, structureParams]);
 
   // Auto-update title when key fields change (for both new and editing products)
   useEffect(() => {
@@ -2169,6 +2199,7 @@ const StructuredProductInterface = ({
             selectedTemplateId={selectedTemplateId}
             underlyings={underlyings}
             existingSchedule={observationSchedule}
+            structureParams={structureParams}
           />
         );
 
@@ -2187,6 +2218,20 @@ const StructuredProductInterface = ({
           />
         );
 
+      case 'backtest':
+        return (
+          <BacktestModule
+            selectedTemplateId={selectedTemplateId}
+            productDetails={productDetails}
+            underlyings={underlyings}
+            observationSchedule={observationSchedule}
+            structureParams={structureParams}
+            maturityDate={maturityDate}
+            finalObservationDate={finalObservationDate}
+            productTitle={generateProductTitle()}
+          />
+        );
+
       default:
         return (
           <div>
@@ -2248,12 +2293,22 @@ const StructuredProductInterface = ({
               { id: 'structure', label: 'Structure', icon: '🏗️' },
               { id: 'underlyings', label: 'Underlyings', icon: '📈' },
               { id: 'schedule', label: 'Schedule', icon: '📅' },
-              { id: 'summary', label: 'Summary', icon: '📊' }
+              { id: 'summary', label: 'Summary', icon: '📊' },
+              { id: 'backtest', label: 'Backtest', icon: '🕰️' }
             ].filter(tab => {
               // Hide schedule tab for templates that don't need custom observation schedules
               // Orion Memory: only has start and final date
               // Reverse Convertible Bond: uses fixed maturity date
-              if (tab.id === 'schedule' && (selectedTemplateId === 'reverse_convertible_bond' || selectedTemplateId === 'orion_memory')) {
+              // Credit Linked Note: coupon dates generated from the coupon frequency
+              if (tab.id === 'schedule' && (selectedTemplateId === 'reverse_convertible_bond' || selectedTemplateId === 'orion_memory' || selectedTemplateId === 'credit_linked_note')) {
+                return false;
+              }
+              // Credit Linked Note: reference entities are entered in the structure tab
+              if (tab.id === 'underlyings' && selectedTemplateId === 'credit_linked_note') {
+                return false;
+              }
+              // Historical backtest: only templates ProductBacktest knows how to replay
+              if (tab.id === 'backtest' && !BACKTEST_SUPPORTED_TEMPLATES.includes(selectedTemplateId)) {
                 return false;
               }
               return true;
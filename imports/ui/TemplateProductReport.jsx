@@ -19,6 +19,9 @@ import SharkNoteReport from './templates/SharkNoteReport.jsx';
 import ParticipationNoteReport from './templates/ParticipationNoteReport.jsx';
 import ReverseConvertibleReport from './templates/ReverseConvertibleReport.jsx';
 import ReverseConvertibleBondReport from './templates/ReverseConvertibleBondReport.jsx';
+import IssuerCallablePhoenixReport from './templates/IssuerCallablePhoenixReport.jsx';
+import CreditLinkedNoteReport from './templates/CreditLinkedNoteReport.jsx';
+import GenericReport from './templates/GenericReport.jsx';
 import ProductCommentaryCard from './components/ProductCommentaryCard.jsx';
 import PriceSparkline from './components/PriceSparkline.jsx';
 import TermSheetManager from './components/TermSheetManager.jsx';
@@ -203,6 +206,12 @@ const TemplateProductReport = ({ productId, user, onNavigateBack, onEditProduct,
   const [showAllocationDetails, setShowAllocationDetails] = useState(false);
   const [showLinkedHoldingsDetails, setShowLinkedHoldingsDetails] = useState(false);
 
+  // Historical replay: YYYY-MM-DD ('' = latest stored evaluation)
+  const [asOfDateStr, setAsOfDateStr] = useState('');
+  const [historicalReport, setHistoricalReport] = useState(null);
+  const [isLoadingHistorical, setIsLoadingHistorical] = useState(false);
+  const [historicalError, setHistoricalError] = useState(null);
+
   // Cache for product data to prevent "not found" errors during re-renders (e.g., window resize)
   const productCache = useRef(null);
 
@@ -283,7 +292,7 @@ const TemplateProductReport = ({ productId, user, onNavigateBack, onEditProduct,
   }, [isPDFMode]);
 
   // Subscribe to product, reports, allocations, users and bank accounts
-  const { product, latestReport, allocations, allocationsSummary, allocationDetails, productPrice, notePriceSparkline, issuerDoc, linkedHoldings, isDataReady } = useTracker(() => {
+  const { product, latestReport: liveReport, allocations, allocationsSummary, allocationDetails, productPrice, notePriceSparkline, issuerDoc, linkedHoldings, isDataReady } = useTracker(() => {
     // Use state-tracked sessionId to ensure reactivity when it changes (e.g., PDF auth completes)
     const sessionId = currentSessionId;
     console.log('[TemplateProductReport] useTracker running with sessionId:', sessionId ? `${sessionId.substring(0, 20)}...` : 'null', 'isPDFMode:', isPDFMode, 'pdfAuthValidated:', pdfAuthState.validated);
@@ -534,6 +543,10 @@ const TemplateProductReport = ({ productId, user, onNavigateBack, onEditProduct,
     };
   }, [productId, currentSessionId, isPDFMode, pdfAuthState.validated]);
 
+  // Historical evaluation replaces the stored report while a date is selected
+  const isHistoricalView = !!asOfDateStr && !!historicalReport;
+  const latestReport = isHistoricalView ? historicalReport : liveReport;
+
   // ❌ REMOVED - All formatting calculations moved to processor
   // Report components must only display pre-computed values
 
@@ -577,6 +590,31 @@ const TemplateProductReport = ({ productId, user, onNavigateBack, onEditProduct,
     }
   };
 
+  // Re-run the evaluation as the product stood at the end of the selected day (nothing is stored)
+  const handleAsOfDateChange = async (dateStr) => {
+    setAsOfDateStr(dateStr);
+    setHistoricalError(null);
+    setHistoricalReport(null);
+    if (!dateStr) return;
+
+    setIsLoadingHistorical(true);
+    try {
+      const sessionId = localStorage.getItem('sessionId');
+      if (!sessionId) {
+        throw new Error('No session found');
+      }
+
+      const asOfDate = new Date(`${dateStr}T23:59:59.999`);
+      const report = await Meteor.callAsync('templateReports.evaluateAsOf', productId, sessionId, asOfDate);
+      setHistoricalReport(report);
+    } catch (error) {
+      console.error('TemplateProductReport: Historical evaluation failed:', error);
+      setHistoricalError(error.reason || error.message || 'Failed to evaluate product as of this date');
+    } finally {
+      setIsLoadingHistorical(false);
+    }
+  };
+
   // Use cached product if current product is undefined (during re-renders like window resize)
   const displayProduct = product || productCache.current;
 
@@ -659,6 +697,8 @@ const TemplateProductReport = ({ productId, user, onNavigateBack, onEditProduct,
               case 'participation_note': return 'participation.gif';
               case 'reverse_convertible': return 'phoenix.gif';
               case 'reverse_convertible_bond': return 'phoenix.gif';
+              case 'issuer_callable_phoenix': return 'phoenix.gif';
+              case 'credit_linked_note': return 'phoenix.gif';
               default: return 'phoenix.gif';
             }
           })()}')`,
@@ -813,6 +853,54 @@ const TemplateProductReport = ({ productId, user, onNavigateBack, onEditProduct,
             {/* Right: Action Buttons */}
             {!isPDFMode && (
               <div className="no-print" style={{ display: 'flex', flexDirection: 'row', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', justifyContent: 'flex-end' }}>
+          {/* As-of date picker - replays the evaluation at a past date */}
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.4rem',
+            height: '44px',
+            padding: '0 0.6rem',
+            borderRadius: '8px',
+            border: `1px solid ${asOfDateStr ? '#8b5cf6' : 'var(--border-color)'}`,
+            background: 'var(--bg-secondary)'
+          }}
+            title="Evaluate the product as it stood on a past date"
+          >
+            <span style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', whiteSpace: 'nowrap' }}>
+              {isLoadingHistorical ? '⏳ As of' : '🕰️ As of'}
+            </span>
+            <input
+              type="date"
+              value={asOfDateStr}
+              max={new Date().toISOString().split('T')[0]}
+              onChange={(e) => handleAsOfDateChange(e.target.value)}
+              disabled={isLoadingHistorical}
+              style={{
+                border: 'none',
+                background: 'transparent',
+                color: 'var(--text-primary)',
+                fontSize: '0.85rem',
+                colorScheme: 'light dark'
+              }}
+            />
+            {asOfDateStr && (
+              <button
+                onClick={() => handleAsOfDateChange('')}
+                style={{
+                  background: 'none',
+                  border: 'none',
+                  color: 'var(--accent-color)',
+                  fontSize: '0.8rem',
+                  cursor: 'pointer',
+                  padding: 0
+                }}
+                title="Back to the latest evaluation"
+              >
+                Today
+              </button>
+            )}
+          </div>
+
           <button
             onClick={handleEvaluateProduct}
             disabled={isEvaluating}
@@ -1690,6 +1778,19 @@ const TemplateProductReport = ({ productId, user, onNavigateBack, onEditProduct,
       )}
 
 
+      {historicalError && (
+        <div style={{
+          background: 'linear-gradient(135deg, #fee2e2 0%, #fecaca 100%)',
+          border: '1px solid #f87171',
+          borderRadius: '8px',
+          padding: '1rem',
+          marginBottom: '2rem',
+          color: '#dc2626'
+        }}>
+          <strong>Historical Evaluation Error:</strong> {historicalError}
+        </div>
+      )}
+
       {/* Latest Evaluation Results */}
       {latestReport ? (
         <div style={{
@@ -1707,10 +1808,10 @@ const TemplateProductReport = ({ productId, user, onNavigateBack, onEditProduct,
             alignItems: 'center',
             gap: '0.5rem'
           }}>
-            📊 Latest Evaluation
+            {isHistoricalView ? '🕰️ Historical Evaluation' : '📊 Latest Evaluation'}
             <span style={{
               fontSize: '0.8rem',
-              background: 'var(--success-color)',
+              background: isHistoricalView ? '#8b5cf6' : 'var(--success-color)',
               color: 'white',
               padding: '4px 8px',
               borderRadius: '4px',
@@ -1720,6 +1821,16 @@ const TemplateProductReport = ({ productId, user, onNavigateBack, onEditProduct,
             </span>
           </h2>
 
+          {isHistoricalView && (
+            <div style={{
+              margin: '-0.75rem 0 1.5rem 0',
+              fontSize: '0.85rem',
+              color: 'var(--text-secondary)'
+            }}>
+              Replayed with prices and observation outcomes known on that date. Not saved. Price charts still show the latest data.
+            </div>
+          )}
+
           <div id="product-report-content">
             {/* Processing Issues Alert */}
             <ProcessingIssuesAlert product={displayProduct} />
@@ -1802,7 +1913,9 @@ const getTemplateName = (templateId) => {
     'participation_note': 'Participation Note',
     'reverse_convertible': 'Reverse Convertible',
     'reverse_convertible_bond': 'Reverse Convertible Bond',
-    'unknown_template': 'Unknown Template',
+    'issuer_callable_phoenix': 'Issuer Callable Phoenix',
+    'credit_linked_note': 'Credit Linked Note',
+    'unknown_template': 'Custom Payoff',
     'unknown': 'Unknown'
   };
 
@@ -1819,7 +1932,9 @@ const getTemplateIcon = (templateId) => {
     'participation_note': '📈',
     'reverse_convertible': '🔄',
     'reverse_convertible_bond': '📜',
-    'unknown_template': '📄',
+    'issuer_callable_phoenix': '📞',
+    'credit_linked_note': '🏛️',
+    'unknown_template': '🧩',
     'unknown': '📄'
   };
 
@@ -1857,7 +1972,20 @@ const renderTemplateResults = (results, templateId, productId, product, user) =>
     return <ReverseConvertibleBondReport results={results} productId={productId} />;
   }
 
-  // Default generic display for unknown templates
+  if (templateId === 'issuer_callable_phoenix' && results.templateType === 'issuer_callable_phoenix') {
+    return <IssuerCallablePhoenixReport results={results} productId={productId} />;
+  }
+
+  if (templateId === 'credit_linked_note' && results.templateType === 'credit_linked_note') {
+    return <CreditLinkedNoteReport results={results} productId={productId} product={product} user={user} />;
+  }
+
+  // Products without a dedicated template, interpreted from their payoff structure
+  if (results.templateType === 'generic') {
+    return <GenericReport results={results} productId={productId} />;
+  }
+
+  // Default raw display when the payoff structure could not be interpreted
   return (
     <div style={{
       marginTop: '1rem',
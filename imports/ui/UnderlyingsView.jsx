@@ -9,6 +9,8 @@ import { useTheme } from './ThemeContext.jsx';
 import { useViewAs } from './ViewAsContext.jsx';
 import { Bubble } from 'react-chartjs-2';
 import RiskReportModal from './components/RiskReportModal.jsx';
+import StressTestModal from './components/StressTestModal.jsx';
+import SensitivityView from './SensitivityView.jsx';
 import {
   Chart as ChartJS,
   LinearScale,
@@ -47,6 +49,12 @@ const UnderlyingsView = ({ user, onNavigateToReport }) => {
   const [reportLanguage, setReportLanguage] = useState('en'); // 'en' or 'fr'
   const [showLanguageSelector, setShowLanguageSelector] = useState(false);
 
+  // Stress test state
+  const [isStressTestOpen, setIsStressTestOpen] = useState(false);
+
+  // 'underlyings' | 'sensitivities' (staff only)
+  const [activeTab, setActiveTab] = useState('underlyings');
+
   // Subscribe to the pre-computed analysis
   const isLoading = useSubscribe('phoenixUnderlyingsAnalysis');
 
@@ -497,6 +505,62 @@ const UnderlyingsView = ({ user, onNavigateToReport }) => {
     };
   }, [bubbleChartData, isDarkMode, onNavigateToReport]);
 
+  const tabs = [
+    { id: 'underlyings', label: 'Underlyings', icon: '📊' },
+    { id: 'sensitivities', label: 'Sensitivities', icon: '📐' }
+  ];
+
+  const renderTabBar = () => (user?.role !== 'client' ? (
+    <div style={{
+      display: 'flex',
+      gap: '0.5rem',
+      marginBottom: '1.5rem',
+      padding: '0.5rem',
+      background: 'var(--bg-secondary)',
+      border: '1px solid var(--border-color)',
+      borderRadius: '12px',
+      width: 'fit-content'
+    }}>
+      {tabs.map(tab => (
+        <button
+          key={tab.id}
+          onClick={() => setActiveTab(tab.id)}
+          style={{
+            padding: '0.6rem 1rem',
+            background: activeTab === tab.id
+              ? 'linear-gradient(135deg, var(--accent-color) 0%, #4da6ff 100%)'
+              : 'transparent',
+            color: activeTab === tab.id ? 'white' : 'var(--text-secondary)',
+            border: 'none',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontWeight: '600',
+            fontSize: '0.85rem',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.4rem'
+          }}
+        >
+          <span>{tab.icon}</span>
+          <span>{tab.label}</span>
+        </button>
+      ))}
+    </div>
+  ) : null);
+
+  if (activeTab === 'sensitivities') {
+    return (
+      <div style={{
+        padding: '2rem',
+        background: 'var(--bg-primary)',
+        minHeight: '100vh'
+      }}>
+        {renderTabBar()}
+        <SensitivityView onNavigateToReport={onNavigateToReport} />
+      </div>
+    );
+  }
+
   if (isLoading() || (asOfDateStr && isLoadingHistorical && !historicalAnalysis)) {
     return (
       <div style={{
@@ -517,6 +581,8 @@ const UnderlyingsView = ({ user, onNavigateToReport }) => {
       background: 'var(--bg-primary)',
       minHeight: '100vh'
     }}>
+      {renderTabBar()}
+
       {/* Header */}
       <div style={{
         background: 'linear-gradient(135deg, var(--bg-secondary) 0%, var(--bg-tertiary) 100%)',
@@ -645,6 +711,28 @@ const UnderlyingsView = ({ user, onNavigateToReport }) => {
           >
             <span>⚠️</span> Generate Risk Report
           </button>
+          {user?.role !== 'client' && (
+            <button
+              onClick={() => setIsStressTestOpen(true)}
+              style={{
+                padding: '0.75rem 1.5rem',
+                background: 'linear-gradient(135deg, #8b5cf6 0%, #7c3aed 100%)',
+                color: '#fff',
+                border: 'none',
+                borderRadius: '10px',
+                fontSize: '0.95rem',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem'
+              }}
+              title="Shock underlying spots and measure the impact on live products and client positions"
+            >
+              <span>🧪</span> Stress Test
+            </button>
+          )}
         </div>
       </div>
 
@@ -1514,6 +1602,10 @@ const UnderlyingsView = ({ user, onNavigateToReport }) => {
           }
         />
       )}
+
+      {isStressTestOpen && (
+        <StressTestModal onClose={() => setIsStressTestOpen(false)} />
+      )}
     </div>
   );
 };
@@ -6,7 +6,8 @@ import { ClientEntitiesCollection, ClientEntityHelpers, ENTITY_TYPES, ENTITY_STA
 import { UserEntityAccessCollection, ACCESS_LEVELS } from '../api/userEntityAccess.js';
 import { BankAccountsCollection } from '../api/bankAccounts.js';
 import { BanksCollection } from '../api/banks.js';
-import { AccountProfilesCollection, PROFILE_TEMPLATES, aggregateToFourCategories } from '../api/accountProfiles.js';
+import { AccountProfilesCollection, PROFILE_TEMPLATES, DEFAULT_RISK_LIMITS, aggregateToFourCategories } from '../api/accountProfiles.js';
+import { getDefaultBenchmarkId } from '../api/benchmarks.js';
 import { PortfolioSnapshotsCollection } from '../api/portfolioSnapshots.js';
 import LiquidGlassCard from './components/LiquidGlassCard.jsx';
 import ClientDocumentManager from './components/ClientDocumentManager.jsx';
@@ -18,6 +19,17 @@ import { useTheme } from './ThemeContext.jsx';
 const AUTHORIZED_EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const E164_PHONE_REGEX = /^\+[1-9]\d{1,14}$/;
 
+// Account risk limits editable in the investment profile (keys of DEFAULT_RISK_LIMITS)
+const RISK_LIMIT_LABELS = {
+  maxVolatility: 'Volatility',
+  maxDrawdown: 'Max drawdown',
+  maxVar95: 'VaR 95% (1d)',
+  maxVar99: 'VaR 99% (1d)',
+  maxSingleNameWeight: 'Single name',
+  maxIssuerWeight: 'Issuer',
+  maxUnderlyingWeight: 'Underlying'
+};
+
 // Map bank names to their logo files in public/images/logos_banks/
 const getBankLogoPath = (bankName) => {
   if (!bankName) return null;
@@ -149,8 +161,11 @@ export default function UserDetailsScreen({ userId, entityId = null, onBack, emb
     maxBonds: 0,
     maxEquities: 0,
     maxAlternative: 0,
-    isProfessionalInvestor: false
+    isProfessionalInvestor: false,
+    benchmarkId: '',
+    riskLimits: {}
   });
+  const [benchmarks, setBenchmarks] = useState([]);
 
   // Tab navigation state
   const [activeTab, setActiveTab] = useState('info');
@@ -282,6 +297,14 @@ export default function UserDetailsScreen({ userId, entityId = null, onBack, emb
     }
   }, [user, entity]);
 
+  // Load benchmark choices for the per-account investment profile
+  useEffect(() => {
+    if (!sessionId) return;
+    Meteor.callAsync('benchmarks.list', { sessionId })
+      .then(list => setBenchmarks(list || []))
+      .catch(error => console.error('Error loading benchmarks:', error));
+  }, [sessionId]);
+
   // Fetch RM's clients when viewing an RM profile
   useEffect(() => {
     if (user && user.role === USER_ROLES.RELATIONSHIP_MANAGER) {
@@ -649,7 +672,9 @@ export default function UserDetailsScreen({ userId, entityId = null, onBack, emb
       maxBonds: existingProfile?.maxBonds || 0,
       maxEquities: existingProfile?.maxEquities || 0,
       maxAlternative: existingProfile?.maxAlternative || 0,
-      isProfessionalInvestor: existingProfile?.isProfessionalInvestor || false
+      isProfessionalInvestor: existingProfile?.isProfessionalInvestor || false,
+      benchmarkId: existingProfile?.benchmarkId || '',
+      riskLimits: existingProfile?.riskLimits || {}
     });
     setEditingAccountProfile(accountId);
   };
@@ -673,6 +698,19 @@ export default function UserDetailsScreen({ userId, entityId = null, onBack, emb
     }));
   };
 
+  // Empty input = back to the default limit
+  const handleRiskLimitChange = (field, value) => {
+    setAccountProfileDraft(prev => {
+      const riskLimits = { ...prev.riskLimits };
+      if (value === '') {
+        delete riskLimits[field];
+      } else {
+        riskLimits[field] = Math.max(0, Math.min(100, parseFloat(value) || 0));
+      }
+      return { ...prev, riskLimits };
+    });
+  };
+
   const applyTemplate = (templateKey) => {
     const template = PROFILE_TEMPLATES[templateKey];
     if (template) {
@@ -712,6 +750,12 @@ export default function UserDetailsScreen({ userId, entityId = null, onBack, emb
     return null;
   };
 
+  // Explicit account benchmark, else the profile template default
+  const getBenchmarkName = (profile) => {
+    const benchmarkId = profile?.benchmarkId || getDefaultBenchmarkId(profile);
+    return benchmarks.find(b => b.id === benchmarkId)?.name || null;
+  };
+
   const getSnapshotForAccount = (account) => {
     // Get the bank name for matching
     const bank = banks?.find(b => b._id === account.bankId);
@@ -3310,6 +3354,28 @@ export default function UserDetailsScreen({ userId, entityId = null, onBack, emb
                                               </div>
                                             </div>
                                           ))}
+                                          <div style={{ gridColumn: '1 / -1' }}>
+                                            <label style={{ display: 'block', fontSize: '0.68rem', fontWeight: '600', color: 'var(--text-muted)', textTransform: 'uppercase', marginBottom: '3px' }}>Benchmark</label>
+                                            <select value={accountProfileDraft.benchmarkId || ''} onChange={e => setAccountProfileDraft(prev => ({...prev, benchmarkId: e.target.value}))} style={{ width: '100%', padding: '7px', border: '1px solid var(--border-color)', borderRadius: '6px', background: 'var(--bg-primary)', color: 'var(--text-primary)', fontSize: '0.82rem', cursor: 'pointer' }}>
+                                              <option value="">Profile default ({getBenchmarkName({ ...accountProfileDraft, benchmarkId: null }) || '—'})</option>
+                                              {benchmarks.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+                                            </select>
+                                          </div>
+                                          <div style={{ gridColumn: '1 / -1' }}>
+                                            <label style={{ display: 'block', fontSize: '0.68rem', fontWeight: '600', color: 'var(--text-muted)', textTransform: 'uppercase', marginBottom: '3px' }}>Risk Limits (blank = default)</label>
+                                            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+                                              {Object.entries(RISK_LIMIT_LABELS).map(([field, label]) => (
+                                                <div key={field} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '4px' }}>
+                                                  <span style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>{label}</span>
+                                                  <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                                                    <input type="number" min="0" max="100" step="0.5" value={accountProfileDraft.riskLimits?.[field] ?? ''} placeholder={String(DEFAULT_RISK_LIMITS[field])} onChange={e => handleRiskLimitChange(field, e.target.value)}
+                                                      style={{ width: '60px', padding: '5px', border: '1px solid var(--border-color)', borderRadius: '6px', background: 'var(--bg-primary)', color: 'var(--text-primary)', fontSize: '0.78rem', textAlign: 'center' }} />
+                                                    <span style={{ fontSize: '0.78rem', color: 'var(--text-muted)' }}>%</span>
+                                                  </div>
+                                                </div>
+                                              ))}
+                                            </div>
+                                          </div>
                                           <div style={{ gridColumn: '1 / -1', display: 'flex', alignItems: 'center', gap: '6px' }}>
                                             <input type="checkbox" checked={accountProfileDraft.isProfessionalInvestor || false} onChange={e => setAccountProfileDraft(prev => ({...prev, isProfessionalInvestor: e.target.checked}))} />
                                             <span style={{ fontSize: '0.82rem', color: 'var(--text-secondary)' }}>Professional Investor</span>
@@ -3323,6 +3389,7 @@ export default function UserDetailsScreen({ userId, entityId = null, onBack, emb
                                           <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '8px' }}>
                                             {profile.profileName && <span style={{ padding: '3px 8px', borderRadius: '5px', fontSize: '0.75rem', fontWeight: '600', background: 'rgba(16, 185, 129, 0.1)', color: '#10b981' }}>{profile.profileName}</span>}
                                             {profile.isProfessionalInvestor && <span style={{ padding: '3px 8px', borderRadius: '5px', fontSize: '0.75rem', fontWeight: '600', background: 'rgba(139, 92, 246, 0.1)', color: '#8b5cf6' }}>Professional</span>}
+                                            {getBenchmarkName(profile) && <span title={profile.benchmarkId ? 'Account benchmark' : 'Profile default benchmark'} style={{ padding: '3px 8px', borderRadius: '5px', fontSize: '0.75rem', fontWeight: '600', background: 'rgba(99, 102, 241, 0.1)', color: '#6366f1' }}>vs {getBenchmarkName(profile)}</span>}
                                           </div>
                                           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '6px' }}>
                                             {[{label:'Cash', val: profile.maxCash}, {label:'Bonds', val: profile.maxBonds}, {label:'Equities', val: profile.maxEquities}, {label:'Alt.', val: profile.maxAlternative}].map(c => (
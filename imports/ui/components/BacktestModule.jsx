@@ -0,0 +1,358 @@
+import React, { useState } from 'react';
+import { Meteor } from 'meteor/meteor';
+
+/**
+ * Historical backtest of the draft product
+ *
+ * Sends the current draft (structure, schedule, underlyings) to products.runBacktest,
+ * which replays it over every start date in the market data history, and shows the
+ * distribution of outcomes. The result can be exported to PDF.
+ */
+const BacktestModule = ({
+  selectedTemplateId,
+  productDetails,
+  underlyings,
+  observationSchedule,
+  structureParams,
+  maturityDate,
+  finalObservationDate,
+  productTitle
+}) => {
+  const [lookbackYears, setLookbackYears] = useState(15);
+  const [step, setStep] = useState('monthly');
+  const [isRunning, setIsRunning] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [backtest, setBacktest] = useState(null);
+  const [error, setError] = useState(null);
+
+  const getSessionId = () => localStorage.getItem('sessionId');
+
+  const tradeDate = productDetails?.tradeDate;
+  const maturity = maturityDate || productDetails?.maturity || productDetails?.maturityDate;
+  const missing = [];
+  if (!tradeDate) missing.push('trade date');
+  if (!maturity) missing.push('maturity date');
+  if (!underlyings || underlyings.length === 0) missing.push('underlyings');
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError(null);
+
+    try {
+      const draftProduct = {
+        title: productTitle,
+        templateId: selectedTemplateId,
+        currency: productDetails?.currency || 'USD',
+        tradeDate,
+        maturity,
+        finalObservation: finalObservationDate || null,
+        underlyings,
+        observationSchedule: observationSchedule || [],
+        structureParams: structureParams || {}
+      };
+
+      const result = await Meteor.callAsync('products.runBacktest', {
+        sessionId: getSessionId(),
+        draftProduct,
+        options: { lookbackYears: parseInt(lookbackYears, 10), step }
+      });
+      setBacktest(result);
+    } catch (err) {
+      console.error('Error running backtest:', err);
+      setError(err.reason || err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleExportPdf = async () => {
+    if (!backtest) return;
+    setIsExporting(true);
+
+    try {
+      const result = await Meteor.callAsync('products.exportBacktestPdf', {
+        sessionId: getSessionId(),
+        backtest
+      });
+
+      // Convert base64 to blob and download
+      const byteCharacters = atob(result.pdfData);
+      const byteNumbers = new Array(byteCharacters.length);
+      for (let i = 0; i < byteCharacters.length; i++) {
+        byteNumbers[i] = byteCharacters.charCodeAt(i);
+      }
+      const byteArray = new Uint8Array(byteNumbers);
+      const blob = new Blob([byteArray], { type: 'application/pdf' });
+
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = result.filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting backtest PDF:', err);
+      setError('Failed to generate PDF: ' + (err.reason || err.message));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const summary = backtest?.summary;
+
+  const cardStyle = {
+    background: 'var(--bg-secondary)',
+    border: '1px solid var(--border-color)',
+    borderRadius: '12px',
+    padding: '1.5rem',
+    marginBottom: '1.5rem'
+  };
+
+  const tileStyle = {
+    flex: '1 1 180px',
+    background: 'var(--bg-primary)',
+    border: '1px solid var(--border-color)',
+    borderRadius: '8px',
+    padding: '1rem'
+  };
+
+  const tileLabelStyle = {
+    fontSize: '0.75rem',
+    color: 'var(--text-secondary)',
+    textTransform: 'uppercase',
+    letterSpacing: '0.05em',
+    marginBottom: '0.25rem'
+  };
+
+  const tileValueStyle = {
+    fontSize: '1.4rem',
+    fontWeight: '700',
+    color: 'var(--text-primary)'
+  };
+
+  const renderDistribution = (title, items) => (
+    <div style={cardStyle}>
+      <h3 style={{ margin: '0 0 1rem 0', color: 'var(--text-primary)', fontSize: '1.1rem' }}>{title}</h3>
+      {items.map(item => (
+        <div key={item.key || item.label} style={{
+          display: 'grid',
+          gridTemplateColumns: '220px 1fr 110px',
+          alignItems: 'center',
+          gap: '1rem',
+          padding: '0.4rem 0'
+        }}>
+          <span style={{ color: 'var(--text-primary)', fontSize: '0.9rem' }}>{item.label}</span>
+          <div style={{ background: 'var(--bg-tertiary)', borderRadius: '4px', height: '12px', overflow: 'hidden' }}>
+            <div style={{
+              width: `${Math.min(100, item.frequency)}%`,
+              height: '100%',
+              background: item.key === 'capital_loss' || item.from < 100 ? '#ef4444' : 'var(--accent-color)'
+            }} />
+          </div>
+          <span style={{ color: 'var(--text-secondary)', fontSize: '0.85rem', textAlign: 'right' }}>
+            {item.frequency.toFixed(1)}% ({item.count})
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1200px', margin: '0 auto' }}>
+      <div style={cardStyle}>
+        <h2 style={{ margin: '0 0 0.5rem 0', color: 'var(--text-primary)', fontSize: '1.4rem' }}>
+          🕰️ Historical Backtest
+        </h2>
+        <p style={{ margin: '0 0 1.25rem 0', color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+          Replays this structure with its trade date moved to every historical start date, strikes fixed at that day's close.
+        </p>
+
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+          <label style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+            Lookback (years)
+            <input
+              type="number"
+              min="1"
+              max="30"
+              value={lookbackYears}
+              onChange={(e) => setLookbackYears(e.target.value)}
+              style={{
+                padding: '0.5rem',
+                width: '110px',
+                background: 'var(--bg-primary)',
+                color: 'var(--text-primary)',
+                border: '1px solid var(--border-color)',
+                borderRadius: '6px'
+              }}
+            />
+          </label>
+
+          <label style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+            Start dates
+            <select
+              value={step}
+              onChange={(e) => setStep(e.target.value)}
+              style={{
+                padding: '0.5rem',
+                background: 'var(--bg-primary)',
+                color: 'var(--text-primary)',
+                border: '1px solid var(--border-color)',
+                borderRadius: '6px'
+              }}
+            >
+              <option value="monthly">Monthly</option>
+              <option value="weekly">Weekly</option>
+            </select>
+          </label>
+
+          <button
+            onClick={handleRun}
+            disabled={isRunning || missing.length > 0}
+            style={{
+              padding: '0.6rem 1.5rem',
+              background: isRunning || missing.length > 0 ? 'var(--bg-tertiary)' : 'var(--accent-color)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              fontWeight: '600',
+              cursor: isRunning || missing.length > 0 ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {isRunning ? '⏳ Running backtest...' : '▶️ Run Backtest'}
+          </button>
+
+          {backtest && (
+            <button
+              onClick={handleExportPdf}
+              disabled={isExporting}
+              style={{
+                padding: '0.6rem 1.5rem',
+                background: 'transparent',
+                color: 'var(--text-primary)',
+                border: '1px solid var(--border-color)',
+                borderRadius: '6px',
+                fontWeight: '600',
+                cursor: isExporting ? 'wait' : 'pointer'
+              }}
+            >
+              {isExporting ? '⏳ Generating PDF...' : '📄 Export PDF'}
+            </button>
+          )}
+        </div>
+
+        {missing.length > 0 && (
+          <div style={{ marginTop: '1rem', color: '#f59e0b', fontSize: '0.85rem' }}>
+            ⚠️ Missing {missing.join(', ')} - complete the draft before running a backtest.
+          </div>
+        )}
+
+        {error && (
+          <div style={{
+            marginTop: '1rem',
+            padding: '0.75rem 1rem',
+            background: 'rgba(239, 68, 68, 0.1)',
+            border: '1px solid #ef4444',
+            borderRadius: '6px',
+            color: '#ef4444',
+            fontSize: '0.9rem'
+          }}>
+            ❌ {error}
+          </div>
+        )}
+      </div>
+
+      {summary && (
+        <>
+          <div style={{ ...cardStyle, display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+            <div style={{ width: '100%', color: 'var(--text-secondary)', fontSize: '0.85rem' }}>
+              {summary.scenarioCount} scenarios, start dates {summary.firstStartDateFormatted} to {summary.lastStartDateFormatted}
+            </div>
+            <div style={tileStyle}>
+              <div style={tileLabelStyle}>Autocall frequency</div>
+              <div style={tileValueStyle}>{summary.autocallFrequencyFormatted}</div>
+            </div>
+            <div style={tileStyle}>
+              <div style={tileLabelStyle}>Average coupons</div>
+              <div style={tileValueStyle}>{summary.averageCouponsFormatted}</div>
+            </div>
+            <div style={tileStyle}>
+              <div style={tileLabelStyle}>Capital loss frequency</div>
+              <div style={{ ...tileValueStyle, color: summary.capitalLossCount > 0 ? '#ef4444' : '#10b981' }}>
+                {summary.capitalLossFrequencyFormatted}
+              </div>
+            </div>
+            <div style={tileStyle}>
+              <div style={tileLabelStyle}>Average loss (when loss)</div>
+              <div style={tileValueStyle}>{summary.averageLossFormatted}</div>
+            </div>
+            <div style={tileStyle}>
+              <div style={tileLabelStyle}>Average redemption</div>
+              <div style={tileValueStyle}>{summary.averageTotalValueFormatted}</div>
+            </div>
+            <div style={tileStyle}>
+              <div style={tileLabelStyle}>5th percentile</div>
+              <div style={tileValueStyle}>{summary.percentile5TotalValueFormatted}</div>
+            </div>
+            <div style={tileStyle}>
+              <div style={tileLabelStyle}>Avg. annualised return</div>
+              <div style={tileValueStyle}>{summary.averageAnnualizedReturnFormatted}</div>
+            </div>
+            <div style={tileStyle}>
+              <div style={tileLabelStyle}>Average life</div>
+              <div style={tileValueStyle}>{summary.averageDurationYearsFormatted}</div>
+            </div>
+          </div>
+
+          {renderDistribution('Redemption Distribution', summary.redemptionDistribution)}
+          {renderDistribution('Total Redemption Value (capital + coupons)', summary.valueDistribution)}
+
+          <div style={cardStyle}>
+            <h3 style={{ margin: '0 0 1rem 0', color: 'var(--text-primary)', fontSize: '1.1rem' }}>Scenarios</h3>
+            <div style={{ maxHeight: '420px', overflowY: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                <thead>
+                  <tr style={{ color: 'var(--text-secondary)', textAlign: 'left' }}>
+                    <th style={{ padding: '0.5rem' }}>Start</th>
+                    <th style={{ padding: '0.5rem' }}>Redemption</th>
+                    <th style={{ padding: '0.5rem' }}>Outcome</th>
+                    <th style={{ padding: '0.5rem', textAlign: 'right' }}>Coupons</th>
+                    <th style={{ padding: '0.5rem', textAlign: 'right' }}>Capital</th>
+                    <th style={{ padding: '0.5rem', textAlign: 'right' }}>Total</th>
+                    <th style={{ padding: '0.5rem', textAlign: 'right' }}>Annualised</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {backtest.scenarios.map(scenario => (
+                    <tr
+                      key={scenario.startDateFormatted}
+                      style={{
+                        borderTop: '1px solid var(--border-color)',
+                        color: scenario.outcome === 'capital_loss' ? '#ef4444' : 'var(--text-primary)'
+                      }}
+                    >
+                      <td style={{ padding: '0.5rem' }}>{scenario.startDateFormatted}</td>
+                      <td style={{ padding: '0.5rem' }}>{scenario.redemptionDateFormatted}</td>
+                      <td style={{ padding: '0.5rem' }}>
+                        {scenario.outcome === 'autocall'
+                          ? `Autocall obs. ${scenario.autocallPeriod}`
+                          : scenario.outcome === 'capital_loss' ? 'Maturity - loss' : 'Maturity'}
+                      </td>
+                      <td style={{ padding: '0.5rem', textAlign: 'right' }}>{scenario.couponsCollected.toFixed(2)}%</td>
+                      <td style={{ padding: '0.5rem', textAlign: 'right' }}>{scenario.capitalReturn.toFixed(2)}%</td>
+                      <td style={{ padding: '0.5rem', textAlign: 'right' }}>{scenario.totalValue.toFixed(2)}%</td>
+                      <td style={{ padding: '0.5rem', textAlign: 'right' }}>{scenario.annualizedReturn.toFixed(2)}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BacktestModule;
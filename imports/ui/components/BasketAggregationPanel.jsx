@@ -0,0 +1,134 @@
+import React from 'react';
+import { BASKET_AGGREGATION_CONFIGS, BASKET_AGGREGATION_MODES } from '/imports/utils/basketTypes';
+
+/**
+ * Basket Aggregation Panel
+ *
+ * Breakdown of a basket evaluated under a rainbow / worst-N / cliquet mode
+ * (results.basketAggregation), shared by the Orion, Himalaya and Participation Note reports.
+ */
+const BasketAggregationPanel = ({ basketAggregation }) => {
+  if (!basketAggregation) return null;
+
+  const isCliquet = basketAggregation.mode === BASKET_AGGREGATION_MODES.CLIQUET;
+  const icon = BASKET_AGGREGATION_CONFIGS[basketAggregation.mode]?.icon || '🧺';
+
+  const headerCellStyle = {
+    padding: '0.5rem 0.75rem',
+    textAlign: 'left',
+    fontSize: '0.75rem',
+    fontWeight: '600',
+    color: 'var(--text-secondary)',
+    textTransform: 'uppercase',
+    borderBottom: '1px solid var(--border-color)'
+  };
+
+  const cellStyle = {
+    padding: '0.5rem 0.75rem',
+    fontSize: '0.875rem',
+    color: 'var(--text-primary)',
+    borderBottom: '1px solid var(--border-color)'
+  };
+
+  const valueColor = (value) => (value >= 0 ? 'var(--success-color)' : 'var(--danger-color)');
+
+  return (
+    <div style={{
+      background: 'var(--bg-secondary)',
+      padding: '1.5rem',
+      borderRadius: '6px',
+      marginBottom: '1.5rem'
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'flex-start',
+        marginBottom: '1rem',
+        gap: '1rem'
+      }}>
+        <div>
+          <h4 style={{ margin: '0 0 0.25rem 0', fontSize: '1rem', color: 'var(--text-primary)' }}>
+            {icon} {basketAggregation.label} Basket
+          </h4>
+          <div style={{ fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+            {basketAggregation.description}
+          </div>
+        </div>
+        <div style={{ textAlign: 'right' }}>
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>Basket Performance</div>
+          <div style={{
+            fontSize: '1.5rem',
+            fontWeight: '700',
+            color: valueColor(basketAggregation.performance)
+          }}>
+            {basketAggregation.performanceFormatted}
+          </div>
+        </div>
+      </div>
+
+      {!isCliquet && basketAggregation.components?.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={headerCellStyle}>Rank</th>
+              <th style={headerCellStyle}>Underlying</th>
+              <th style={{ ...headerCellStyle, textAlign: 'right' }}>Performance</th>
+              <th style={{ ...headerCellStyle, textAlign: 'right' }}>Weight</th>
+              <th style={{ ...headerCellStyle, textAlign: 'right' }}>Contribution</th>
+            </tr>
+          </thead>
+          <tbody>
+            {basketAggregation.components.map(component => (
+              <tr key={component.ticker} style={{ opacity: component.included ? 1 : 0.45 }}>
+                <td style={cellStyle}>#{component.rank}</td>
+                <td style={{ ...cellStyle, fontWeight: '600' }}>{component.ticker}</td>
+                <td style={{ ...cellStyle, textAlign: 'right', color: valueColor(component.performance) }}>
+                  {component.performanceFormatted}
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>{component.weightFormatted}</td>
+                <td style={{ ...cellStyle, textAlign: 'right', fontWeight: '600' }}>
+                  {component.contributionFormatted}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {isCliquet && basketAggregation.periods?.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={headerCellStyle}>Period</th>
+              <th style={headerCellStyle}>From</th>
+              <th style={headerCellStyle}>To</th>
+              <th style={{ ...headerCellStyle, textAlign: 'right' }}>Basket Return</th>
+              <th style={{ ...headerCellStyle, textAlign: 'right' }}>Locked Return</th>
+              <th style={headerCellStyle}>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {basketAggregation.periods.map((period, index) => (
+              <tr key={index}>
+                <td style={cellStyle}>{index + 1}</td>
+                <td style={cellStyle}>{period.startDateFormatted}</td>
+                <td style={cellStyle}>{period.endDateFormatted}</td>
+                <td style={{ ...cellStyle, textAlign: 'right', color: valueColor(period.basketReturn) }}>
+                  {period.basketReturnFormatted}
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right', fontWeight: '600', color: valueColor(period.lockedReturn) }}>
+                  {period.lockedReturnFormatted}
+                </td>
+                <td style={{ ...cellStyle, color: 'var(--text-secondary)' }}>
+                  {period.isLocked ? '🔒 Locked' : '⏳ Running'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default BasketAggregationPanel;
@@ -0,0 +1,281 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Meteor } from 'meteor/meteor';
+
+const formatPercent = (value, digits = 2) => {
+  if (value === null || value === undefined) return '—';
+  return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(digits)}%`;
+};
+
+const formatWeight = (value) => {
+  if (value === null || value === undefined) return '—';
+  return `${(value * 100).toFixed(1)}%`;
+};
+
+const formatAmount = (value) => {
+  if (value === null || value === undefined) return '-';
+  return value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+};
+
+const effectColor = (value) => {
+  if (value === null || value === undefined || Math.abs(value) < 0.00005) return 'var(--text-secondary)';
+  return value >= 0 ? '#10b981' : '#ef4444';
+};
+
+const CATEGORY_LABELS = {
+  cash: 'Cash / Short Term',
+  bonds: 'Bonds',
+  equities: 'Equities',
+  alternative: 'Alternative'
+};
+
+const PERIOD_OPTIONS = [
+  { value: '1M', label: '1 Month' },
+  { value: '3M', label: '3 Months' },
+  { value: '6M', label: '6 Months' },
+  { value: 'YTD', label: 'Year to Date' },
+  { value: '1Y', label: '1 Year' },
+  { value: 'ALL', label: 'Since Inception' }
+];
+
+const TOP_CONTRIBUTORS = 5;
+
+const thStyle = (align = 'right') => ({
+  padding: '0.6rem',
+  textAlign: align,
+  color: 'var(--text-muted)',
+  fontWeight: '600'
+});
+
+const tdStyle = (align = 'right') => ({
+  padding: '0.6rem',
+  textAlign: align,
+  color: 'var(--text-secondary)'
+});
+
+/**
+ * Performance attribution for the selected perimeter: Brinson allocation /
+ * selection effects per profile category against the benchmark, and the
+ * securities that added or cost the most return over the period. In a
+ * reporting currency other than the accounts', currency translation is a
+ * separate effect.
+ */
+const PerformanceAttributionPanel = ({ viewAsFilter, portfolioCode, reportingCurrency = null }) => {
+  const [report, setReport] = useState(null);
+  const [period, setPeriod] = useState('YTD');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async (selectedPeriod) => {
+    const sessionId = localStorage.getItem('sessionId');
+    if (!sessionId) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await Meteor.callAsync('performance.calculateAttribution', {
+        sessionId,
+        viewAsFilter,
+        portfolioCode,
+        period: selectedPeriod,
+        reportingCurrency
+      });
+      setReport(result);
+    } catch (err) {
+      console.error('[PerformanceAttribution] Error loading attribution:', err);
+      setError(err.reason || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [viewAsFilter?.id, portfolioCode, reportingCurrency]);
+
+  useEffect(() => {
+    fetchReport(period);
+  }, [fetchReport, period]);
+
+  const renderBrinsonTable = (attribution) => (
+    <div style={{ overflowX: 'auto', WebkitOverflowScrolling: 'touch', marginBottom: '1.25rem' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem' }}>
+        <thead>
+          <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+            <th style={thStyle('left')}>Asset Class</th>
+            <th style={thStyle()}>Avg. Weight</th>
+            <th style={thStyle()}>Benchmark Weight</th>
+            <th style={thStyle()}>Contribution</th>
+            <th style={thStyle()}>Benchmark Return</th>
+            <th style={thStyle()}>Allocation</th>
+            <th style={thStyle()}>Selection</th>
+            <th style={thStyle()}>Total Effect</th>
+          </tr>
+        </thead>
+        <tbody>
+          {attribution.categories
+            .filter(row => row.portfolioWeight > 0.0005 || row.benchmarkWeight > 0 || Math.abs(row.portfolioContribution) > 0.00005)
+            .map(row => (
+              <tr key={row.category} style={{ borderBottom: '1px solid var(--border-color)' }}>
+                <td style={{ ...tdStyle('left'), fontWeight: '600', color: 'var(--text-primary)' }}>
+                  {CATEGORY_LABELS[row.category] || row.category}
+                </td>
+                <td style={tdStyle()}>{formatWeight(row.portfolioWeight)}</td>
+                <td style={tdStyle()}>{formatWeight(row.benchmarkWeight)}</td>
+                <td style={{ ...tdStyle(), color: effectColor(row.portfolioContribution) }}>{formatPercent(row.portfolioContribution)}</td>
+                <td style={tdStyle()}>{formatPercent(row.benchmarkReturn)}</td>
+                <td style={{ ...tdStyle(), color: effectColor(row.allocationEffect) }}>{formatPercent(row.allocationEffect)}</td>
+                <td style={{ ...tdStyle(), color: effectColor(row.selectionEffect) }}>{formatPercent(row.selectionEffect)}</td>
+                <td style={{ ...tdStyle(), fontWeight: '600', color: effectColor(row.totalEffect) }}>{formatPercent(row.totalEffect)}</td>
+              </tr>
+            ))}
+          {report.fxContribution != null && (
+            <tr style={{ borderBottom: '1px solid var(--border-color)' }}>
+              <td style={{ ...tdStyle('left'), fontWeight: '600', color: 'var(--text-primary)' }}>Currency Translation</td>
+              <td style={tdStyle()}>—</td>
+              <td style={tdStyle()}>—</td>
+              <td style={{ ...tdStyle(), color: effectColor(report.fxContribution) }}>{formatPercent(report.fxContribution)}</td>
+              <td style={tdStyle()}>—</td>
+              <td style={tdStyle()}>—</td>
+              <td style={tdStyle()}>—</td>
+              <td style={{ ...tdStyle(), fontWeight: '600', color: effectColor(attribution.totals.currencyEffect) }}>{formatPercent(attribution.totals.currencyEffect)}</td>
+            </tr>
+          )}
+          <tr style={{ borderTop: '2px solid var(--border-color)' }}>
+            <td style={{ ...tdStyle('left'), fontWeight: '700', color: 'var(--text-primary)' }}>Total</td>
+            <td style={tdStyle()}>100.0%</td>
+            <td style={tdStyle()}>100.0%</td>
+            <td style={{ ...tdStyle(), fontWeight: '700', color: effectColor(attribution.portfolioReturn) }}>{formatPercent(attribution.portfolioReturn)}</td>
+            <td style={{ ...tdStyle(), fontWeight: '700' }}>{formatPercent(attribution.benchmarkReturn)}</td>
+            <td style={{ ...tdStyle(), fontWeight: '700', color: effectColor(attribution.totals.allocationEffect) }}>{formatPercent(attribution.totals.allocationEffect)}</td>
+            <td style={{ ...tdStyle(), fontWeight: '700', color: effectColor(attribution.totals.selectionEffect) }}>{formatPercent(attribution.totals.selectionEffect)}</td>
+            <td style={{ ...tdStyle(), fontWeight: '700', color: effectColor(attribution.totals.totalEffect) }}>{formatPercent(attribution.totals.totalEffect)}</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderContributorTable = (title, rows) => (
+    <div style={{ flex: '1 1 320px', minWidth: 0 }}>
+      <h4 style={{ margin: '0 0 0.5rem 0', fontSize: '0.9rem', fontWeight: '500', color: 'var(--text-primary)' }}>
+        {title}
+      </h4>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem' }}>
+        <thead>
+          <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+            <th style={thStyle('left')}>Security</th>
+            <th style={thStyle()}>Avg. Weight</th>
+            <th style={thStyle()}>P&L{report?.currency ? ` (${report.currency})` : ''}</th>
+            <th style={thStyle()}>Contribution</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key} style={{ borderBottom: '1px solid var(--border-color)' }}>
+              <td style={{ ...tdStyle('left'), color: 'var(--text-primary)' }}>
+                {row.name}
+                <div style={{ fontSize: '0.65rem', color: 'var(--text-muted)' }}>
+                  {row.isin ? `${row.isin} · ` : ''}{row.category ? (CATEGORY_LABELS[row.category] || row.category) : 'Reporting currency'}
+                </div>
+              </td>
+              <td style={tdStyle()}>{formatWeight(row.averageWeight)}</td>
+              <td style={{ ...tdStyle(), color: effectColor(row.pnl) }}>{formatAmount(row.pnl)}</td>
+              <td style={{ ...tdStyle(), fontWeight: '600', color: effectColor(row.contribution) }}>{formatPercent(row.contribution)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderBody = () => {
+    if (loading && !report) {
+      return (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+          Calculating attribution...
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div style={{ padding: '2rem', textAlign: 'center', color: '#ef4444', fontSize: '0.875rem' }}>
+          {error}
+        </div>
+      );
+    }
+
+    if (!report?.hasData) {
+      return (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+          {report?.reason || 'No attribution data available'}
+        </div>
+      );
+    }
+
+    const ranked = report.securities.filter(row => Math.abs(row.contribution) > 0.000005);
+    const contributors = ranked.filter(row => row.contribution > 0).slice(0, TOP_CONTRIBUTORS);
+    const detractors = ranked.filter(row => row.contribution < 0).slice(-TOP_CONTRIBUTORS).reverse();
+
+    return (
+      <>
+        <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', marginBottom: '1rem', fontSize: '0.85rem', color: 'var(--text-secondary)' }}>
+          <span>TWR <strong style={{ color: effectColor(report.portfolioReturn) }}>{formatPercent(report.portfolioReturn)}</strong></span>
+          {report.fxContribution != null && (
+            <span>of which FX <strong style={{ color: effectColor(report.fxContribution) }}>{formatPercent(report.fxContribution)}</strong></span>
+          )}
+          {report.attribution && (
+            <>
+              <span>{report.benchmark?.name || 'Benchmark'} <strong>{formatPercent(report.attribution.benchmarkReturn)}</strong></span>
+              <span>Active <strong style={{ color: effectColor(report.attribution.activeReturn) }}>{formatPercent(report.attribution.activeReturn)}</strong></span>
+            </>
+          )}
+        </div>
+
+        {report.attribution ? renderBrinsonTable(report.attribution) : (
+          <div style={{ marginBottom: '1rem', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+            No benchmark data for this perimeter, allocation and selection effects are not available.
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap' }}>
+          {renderContributorTable('Top Contributors', contributors)}
+          {renderContributorTable('Top Detractors', detractors)}
+        </div>
+
+        <div style={{ marginTop: '0.75rem', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+          {report.startDate} to {report.endDate} | {report.metadata.dataPoints} data points
+          {' | '}Brinson-Fachler, daily effects linked so they add up to the active return; selection includes interaction.
+          {' '}Cash, fees and other non-security P&L are counted in Cash / Short Term.
+          {report.fxContribution != null && ` Securities are measured at constant FX; translating the accounts into ${report.currency} is the currency effect.`}
+          {report.metadata.clampedDays > 0 && ` | ${report.metadata.clampedDays} day(s) with unexplained value jumps excluded`}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div style={{ padding: '1rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap', gap: '0.75rem' }}>
+        <h3 style={{ margin: 0, fontSize: '1.1rem', fontWeight: '400', color: 'var(--text-primary)' }}>
+          Performance Attribution
+        </h3>
+        <select
+          value={period}
+          onChange={(e) => setPeriod(e.target.value)}
+          disabled={loading}
+          style={{
+            padding: '0.5rem 0.75rem',
+            background: 'var(--bg-secondary)',
+            color: 'var(--text-primary)',
+            border: '1px solid var(--border-color)',
+            borderRadius: '8px'
+          }}
+        >
+          {PERIOD_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      {renderBody()}
+    </div>
+  );
+};
+
+export default PerformanceAttributionPanel;
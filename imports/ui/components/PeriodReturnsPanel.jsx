@@ -0,0 +1,242 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Meteor } from 'meteor/meteor';
+
+const formatPercent = (value) => {
+  if (value === null || value === undefined) return '—';
+  return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+};
+
+const formatAmount = (value, currency) => {
+  if (value === null || value === undefined) return '-';
+  const formatted = value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+  return currency ? `${currency} ${formatted}` : formatted;
+};
+
+const returnColor = (value) => {
+  if (value === null || value === undefined) return 'var(--text-muted)';
+  return value >= 0 ? '#10b981' : '#ef4444';
+};
+
+const PERIOD_LABELS = {
+  MTD: 'Month to Date',
+  QTD: 'Quarter to Date',
+  YTD: 'Year to Date',
+  '1Y': '1 Year',
+  '3Y': '3 Years (ann.)',
+  SI: 'Since Inception'
+};
+
+// Rows shown annualized instead of cumulative
+const ANNUALIZED_PERIODS = new Set(['3Y']);
+
+const thStyle = (align = 'right') => ({
+  padding: '0.6rem',
+  textAlign: align,
+  color: 'var(--text-muted)',
+  fontWeight: '600'
+});
+
+const tdStyle = (align = 'right') => ({
+  padding: '0.6rem',
+  textAlign: align,
+  color: 'var(--text-secondary)'
+});
+
+/**
+ * Standard period returns (MTD, QTD, YTD, 1Y, 3Y annualized, since inception):
+ * time-weighted and money-weighted, per client entity in its reference
+ * currency and per account in the account currency, or all in reportingCurrency
+ * (then with the FX contribution of each account's translation)
+ */
+const PeriodReturnsPanel = ({ viewAsFilter, portfolioCode, reportingCurrency = null }) => {
+  const [report, setReport] = useState(null);
+  const [selectedScope, setSelectedScope] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    const sessionId = localStorage.getItem('sessionId');
+    if (!sessionId) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await Meteor.callAsync('performance.getPeriodReturns', {
+        sessionId,
+        viewAsFilter,
+        portfolioCode,
+        reportingCurrency
+      });
+      setReport(result);
+      setSelectedScope(null);
+    } catch (err) {
+      console.error('[PeriodReturns] Error loading period returns:', err);
+      setError(err.reason || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [viewAsFilter?.id, portfolioCode, reportingCurrency]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  // Entities first (aggregated), then individual accounts
+  const scopes = report?.hasData
+    ? [
+        ...report.entities.filter(e => e.table).map(e => ({
+          key: `entity:${e.entityId}`,
+          label: `${e.name} (${e.currency})${e.portfolioCodes.length > 1 ? ` · ${e.portfolioCodes.length} accounts` : ''}`,
+          currency: e.currency,
+          table: e.table
+        })),
+        ...report.portfolios.filter(p => p.table).map(p => ({
+          key: `account:${p.portfolioCode}`,
+          label: `Account ${p.name} (${p.currency})`,
+          currency: p.currency,
+          table: p.table
+        }))
+      ]
+    : [];
+  const scope = scopes.find(s => s.key === selectedScope) || scopes[0];
+
+  const renderTable = ({ table, currency }) => {
+    const hasFx = Object.values(table.periods).some(row => row.fxContribution != null);
+
+    return (
+      <div style={{ overflowX: 'auto', WebkitOverflowScrolling: 'touch' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem' }}>
+          <thead>
+            <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+              <th style={thStyle('left')}>Period</th>
+              <th style={thStyle()}>From</th>
+              <th style={thStyle()}>TWR</th>
+              {hasFx && <th style={thStyle()}>of which FX</th>}
+              <th style={thStyle()}>MWR (IRR)</th>
+              <th style={thStyle()}>Net Flows</th>
+              <th style={thStyle()}>Gain</th>
+            </tr>
+          </thead>
+          <tbody>
+            {['MTD', 'QTD', 'YTD', '1Y', '3Y', 'SI'].map(periodKey => {
+              const row = table.periods[periodKey];
+              if (!row) return null;
+              const annualized = ANNUALIZED_PERIODS.has(periodKey);
+              const twr = annualized ? row.twrAnnualized : row.twr;
+              const mwr = annualized ? row.mwrAnnualized : row.mwr;
+
+              return (
+                <tr key={periodKey} style={{ borderBottom: '1px solid var(--border-color)' }}>
+                  <td style={{ ...tdStyle('left'), fontWeight: '600', color: 'var(--text-primary)' }}>
+                    {PERIOD_LABELS[periodKey]}
+                  </td>
+                  {row.hasData ? (
+                    <>
+                      <td style={tdStyle()}>{row.startDate}</td>
+                      <td style={{ ...tdStyle(), fontWeight: '700', color: returnColor(twr) }}>
+                        {formatPercent(twr)}
+                        {periodKey === 'SI' && row.twrAnnualized !== null && (
+                          <div style={{ fontSize: '0.7rem', fontWeight: '400', color: 'var(--text-muted)' }}>
+                            {formatPercent(row.twrAnnualized)} (ann.)
+                          </div>
+                        )}
+                      </td>
+                      {hasFx && (
+                        <td style={{ ...tdStyle(), color: returnColor(row.fxContribution) }}>
+                          {formatPercent(row.fxContribution)}
+                        </td>
+                      )}
+                      <td style={{ ...tdStyle(), fontWeight: '600', color: returnColor(mwr) }}>
+                        {formatPercent(mwr)}
+                        {periodKey === 'SI' && row.mwrAnnualized !== null && (
+                          <div style={{ fontSize: '0.7rem', fontWeight: '400', color: 'var(--text-muted)' }}>
+                            {formatPercent(row.mwrAnnualized)} (ann.)
+                          </div>
+                        )}
+                      </td>
+                      <td style={tdStyle()}>{formatAmount(row.netFlows, currency)}</td>
+                      <td style={{ ...tdStyle(), color: returnColor(row.gain) }}>{formatAmount(row.gain, currency)}</td>
+                    </>
+                  ) : (
+                    <td colSpan={hasFx ? 6 : 5} style={{ ...tdStyle(), color: 'var(--text-muted)' }}>
+                      History starts after {row.startDate}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  const renderBody = () => {
+    if (loading && !report) {
+      return (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+          Calculating period returns...
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div style={{ padding: '2rem', textAlign: 'center', color: '#ef4444', fontSize: '0.875rem' }}>
+          {error}
+        </div>
+      );
+    }
+
+    if (!scope) {
+      return (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+          {report?.reason || 'No period return data available'}
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {renderTable(scope)}
+        <div style={{ marginTop: '0.75rem', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+          As of {scope.table.asOfDate} | since inception from {scope.table.inceptionDate}
+          {' | '}TWR neutralizes deposits and withdrawals; MWR is the internal rate of return of the account including their timing.
+          {' '}Amounts in {scope.currency}.
+          {Object.values(scope.table.periods).some(row => row.fxContribution != null) &&
+            ' FX is the part of the TWR due to translating the account currencies into this currency.'}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div style={{ padding: '1rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap', gap: '0.75rem' }}>
+        <h3 style={{ margin: 0, fontSize: '1.1rem', fontWeight: '400', color: 'var(--text-primary)' }}>
+          Period Returns
+        </h3>
+        {scopes.length > 1 && (
+          <select
+            value={scope?.key || ''}
+            onChange={(e) => setSelectedScope(e.target.value)}
+            style={{
+              padding: '0.5rem 0.75rem',
+              background: 'var(--bg-secondary)',
+              color: 'var(--text-primary)',
+              border: '1px solid var(--border-color)',
+              borderRadius: '8px'
+            }}
+          >
+            {scopes.map(option => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      {renderBody()}
+    </div>
+  );
+};
+
+export default PeriodReturnsPanel;
@@ -1,6 +1,10 @@
 import React, { useMemo } from 'react';
+import RiskMetricsPanel from './RiskMetricsPanel.jsx';
+
+const PortfolioSummary = ({ portfolio, holdings, portfolioCode = null, viewAsFilter = null, reportingCurrency = null }) => {
+  // Risk metrics need an account (portfolio code) or a client scope
+  const riskPortfolioCode = portfolioCode || portfolio?.portfolioCode || portfolio?.accountNumber || null;
 
-const PortfolioSummary = ({ portfolio, holdings }) => {
   // Calculate portfolio metrics from holdings
   const portfolioMetrics = useMemo(() => {
     if (!holdings || holdings.length === 0) {
@@ -324,6 +328,22 @@ const PortfolioSummary = ({ portfolio, holdings }) => {
         </div>
       )}
 
+      {/* Risk Metrics */}
+      {(riskPortfolioCode || viewAsFilter) && (
+        <div style={{
+          backgroundColor: 'var(--bg-primary)',
+          borderRadius: '8px',
+          border: '1px solid var(--border-color)',
+          marginTop: '1.5rem'
+        }}>
+          <RiskMetricsPanel
+            portfolioCode={riskPortfolioCode}
+            viewAsFilter={viewAsFilter}
+            reportingCurrency={reportingCurrency}
+          />
+        </div>
+      )}
+
       {/* Empty State */}
       {portfolioMetrics.holdingsCount === 0 && (
         <div style={{
@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Meteor } from 'meteor/meteor';
+
+const formatAmount = (value, currency) => {
+  if (value === null || value === undefined) return '-';
+  const formatted = value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return currency ? `${currency} ${formatted}` : formatted;
+};
+
+const formatQuantity = (value) => {
+  if (value === null || value === undefined) return '-';
+  return value.toLocaleString('en-US', { maximumFractionDigits: 4 });
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB') : '-');
+
+const pnlColor = (value) => (value >= 0 ? '#10b981' : '#ef4444');
+
+const DISPOSAL_LABELS = {
+  SELL: 'Sale',
+  REDEMPTION: 'Redemption',
+  CORPORATE_ACTION: 'Merger (cash)'
+};
+
+const METHOD_LABELS = {
+  FIFO: 'FIFO',
+  WEIGHTED_AVERAGE: 'Wtd. avg.'
+};
+
+/**
+ * Realized gains per client and tax year from the internal tax-lot ledger,
+ * with the unrealized P&L of current holdings on the same cost basis
+ */
+const RealizedGainsReport = ({ viewAsFilter, portfolioCode }) => {
+  const [report, setReport] = useState(null);
+  const [taxYear, setTaxYear] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedDisposal, setExpandedDisposal] = useState(null);
+
+  const fetchReport = useCallback(async (year) => {
+    const sessionId = localStorage.getItem('sessionId');
+    if (!sessionId) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await Meteor.callAsync('taxLots.getRealizedGainsReport', {
+        sessionId,
+        viewAsFilter,
+        portfolioCode,
+        taxYear: year
+      });
+      setReport(result);
+      setTaxYear(result.taxYear);
+    } catch (err) {
+      console.error('[RealizedGainsReport] Error loading report:', err);
+      setError(err.reason || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [viewAsFilter?.id, portfolioCode]);
+
+  useEffect(() => {
+    fetchReport(null);
+  }, [fetchReport]);
+
+  const renderTotals = (totals, title) => (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: '1rem', marginBottom: '1rem' }}>
+      {Object.entries(totals).map(([currency, t]) => (
+        <div key={currency} style={{
+          padding: '1rem',
+          background: 'var(--bg-secondary)',
+          border: '1px solid var(--border-color)',
+          borderRadius: '8px'
+        }}>
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', textTransform: 'uppercase', marginBottom: '0.5rem' }}>
+            {title} · {currency}
+          </div>
+          <div style={{ fontSize: '1.25rem', fontWeight: '700', color: pnlColor(t.realizedPnL ?? t.unrealizedPnL) }}>
+            {formatAmount(t.realizedPnL ?? t.unrealizedPnL, currency)}
+          </div>
+          <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '0.35rem' }}>
+            {t.realizedPnL !== undefined ? (
+              <>
+                {t.disposals} disposals · gains {formatAmount(t.gains)} · losses {formatAmount(t.losses)}
+              </>
+            ) : (
+              <>
+                {t.positions} positions · cost {formatAmount(t.costBasis)}
+                {t.mismatchedPositions > 0 && ` · ${t.mismatchedPositions} not matching bank quantity`}
+              </>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+  if (loading && !report) {
+    return (
+      <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-muted)' }}>
+        Loading realized gains...
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div style={{ padding: '2rem', textAlign: 'center', color: '#ef4444' }}>
+        {error}
+      </div>
+    );
+  }
+
+  const years = report?.availableYears?.length > 0 ? report.availableYears : [taxYear];
+
+  return (
+    <div style={{ padding: '0 1.25rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap', gap: '0.75rem' }}>
+        <h3 style={{ margin: 0, fontSize: '1.1rem', fontWeight: '600', color: 'var(--text-primary)' }}>
+          Realized Gains
+        </h3>
+        <select
+          value={taxYear || ''}
+          onChange={(e) => fetchReport(parseInt(e.target.value, 10))}
+          disabled={loading}
+          style={{
+            padding: '0.5rem 0.75rem',
+            background: 'var(--bg-secondary)',
+            color: 'var(--text-primary)',
+            border: '1px solid var(--border-color)',
+            borderRadius: '8px'
+          }}
+        >
+          {years.map(year => (
+            <option key={year} value={year}>Tax year {year}</option>
+          ))}
+        </select>
+      </div>
+
+      <p style={{ margin: '0 0 1rem 0', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+        Cost basis from the internal tax-lot ledger (FIFO or weighted average per account), in the security's currency.
+        Lots moved between custodians keep their original cost and date. Rows marked * use the bank's cost price
+        for shares held before the operation history starts.
+      </p>
+
+      {Object.keys(report.totals).length > 0 && renderTotals(report.totals, `Realized ${report.taxYear}`)}
+      {Object.keys(report.unrealizedTotals || {}).length > 0 && renderTotals(report.unrealizedTotals, 'Unrealized (ledger)')}
+
+      {report.entities.length === 0 && (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-secondary)' }}>
+          No disposals in {report.taxYear}.
+        </div>
+      )}
+
+      {report.entities.map(entity => (
+        <div key={entity.entityId || entity.userId || entity.entityName} style={{ marginBottom: '1.5rem' }}>
+          {report.entities.length > 1 && (
+            <h4 style={{ margin: '1rem 0 0.5rem 0', color: 'var(--text-primary)' }}>
+              {entity.entityName}
+              <span style={{ fontWeight: '400', fontSize: '0.85rem', color: 'var(--text-muted)', marginLeft: '0.5rem' }}>
+                {Object.entries(entity.totals).map(([currency, t]) => formatAmount(t.realizedPnL, currency)).join(' · ')}
+              </span>
+            </h4>
+          )}
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+                  <th style={{ padding: '0.6rem', textAlign: 'left', color: 'var(--text-primary)' }}>Date</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'left', color: 'var(--text-primary)' }}>Security</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'left', color: 'var(--text-primary)' }}>Account</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'left', color: 'var(--text-primary)' }}>Type</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'right', color: 'var(--text-primary)' }}>Quantity</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'right', color: 'var(--text-primary)' }}>Proceeds</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'right', color: 'var(--text-primary)' }}>Cost</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'right', color: 'var(--text-primary)' }}>Realized P&L</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'right', color: 'var(--text-primary)' }}>Held</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entity.disposals.map(disposal => (
+                  <React.Fragment key={disposal._id}>
+                    <tr
+                      onClick={() => setExpandedDisposal(expandedDisposal === disposal._id ? null : disposal._id)}
+                      style={{ borderBottom: '1px solid var(--border-color)', cursor: 'pointer' }}
+                    >
+                      <td style={{ padding: '0.6rem', color: 'var(--text-secondary)' }}>{formatDate(disposal.disposalDate)}</td>
+                      <td style={{ padding: '0.6rem', color: 'var(--text-primary)' }}>
+                        <div>{disposal.securityName || disposal.isin}</div>
+                        <div style={{ fontFamily: 'monospace', fontSize: '0.75rem', color: 'var(--text-muted)' }}>{disposal.isin}</div>
+                      </td>
+                      <td style={{ padding: '0.6rem', color: 'var(--text-secondary)' }}>
+                        {disposal.portfolioCode}
+                        <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>{METHOD_LABELS[disposal.method] || disposal.method}</div>
+                      </td>
+                      <td style={{ padding: '0.6rem', color: 'var(--text-secondary)' }}>
+                        {DISPOSAL_LABELS[disposal.disposalType] || disposal.disposalType}
+                      </td>
+                      <td style={{ padding: '0.6rem', textAlign: 'right', color: 'var(--text-primary)' }}>{formatQuantity(disposal.quantity)}</td>
+                      <td style={{ padding: '0.6rem', textAlign: 'right', color: 'var(--text-primary)' }}>{formatAmount(disposal.proceeds, disposal.currency)}</td>
+                      <td style={{ padding: '0.6rem', textAlign: 'right', color: 'var(--text-primary)' }}>
+                        {formatAmount(disposal.costBasis, disposal.currency)}{disposal.hasEstimatedCost ? ' *' : ''}
+                      </td>
+                      <td style={{ padding: '0.6rem', textAlign: 'right', fontWeight: '600', color: pnlColor(disposal.realizedPnL) }}>
+                        {disposal.realizedPnL >= 0 ? '+' : ''}{formatAmount(disposal.realizedPnL, disposal.currency)}
+                        {disposal.realizedPnLPercent !== null && (
+                          <div style={{ fontSize: '0.75rem', fontWeight: '400' }}>
+                            {disposal.realizedPnLPercent >= 0 ? '+' : ''}{disposal.realizedPnLPercent.toFixed(2)}%
+                          </div>
+                        )}
+                      </td>
+                      <td style={{ padding: '0.6rem', textAlign: 'right', color: 'var(--text-secondary)' }}>
+                        {disposal.holdingDays !== null ? `${disposal.holdingDays} d` : '-'}
+                      </td>
+                    </tr>
+                    {expandedDisposal === disposal._id && (
+                      <tr style={{ background: 'var(--bg-secondary)' }}>
+                        <td colSpan={9} style={{ padding: '0.75rem 1.5rem', fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                          {disposal.lots.map(lot => (
+                            <div key={lot.lotId} style={{ padding: '0.2rem 0' }}>
+                              Lot acquired {lot.acquisitionDate ? formatDate(lot.acquisitionDate) : 'before history'} ·{' '}
+                              {formatQuantity(lot.quantity)} units · cost {formatAmount(lot.cost, disposal.currency)}
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RealizedGainsReport;
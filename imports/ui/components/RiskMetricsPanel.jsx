@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Meteor } from 'meteor/meteor';
+
+const formatPercent = (value, digits = 2) => {
+  if (value === null || value === undefined) return '—';
+  return `${(value * 100).toFixed(digits)}%`;
+};
+
+const formatAmount = (value, currency) => {
+  if (value === null || value === undefined) return '-';
+  const formatted = value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+  return currency ? `${currency} ${formatted}` : formatted;
+};
+
+const formatRatio = (value) => {
+  if (value === null || value === undefined) return '—';
+  return value.toFixed(2);
+};
+
+const PERIOD_OPTIONS = [
+  { value: '6M', label: '6 Months' },
+  { value: 'YTD', label: 'Year to Date' },
+  { value: '1Y', label: '1 Year' },
+  { value: 'ALL', label: 'Since Inception' }
+];
+
+const CONCENTRATION_LABELS = {
+  singleName: 'Single Name',
+  issuer: 'Issuer',
+  underlying: 'Underlying'
+};
+
+// Limit field checked against each metric (see DEFAULT_RISK_LIMITS)
+const LIMIT_FIELDS = {
+  volatility: 'maxVolatility',
+  maxDrawdown: 'maxDrawdown',
+  var95: 'maxVar95',
+  var99: 'maxVar99',
+  singleName: 'maxSingleNameWeight',
+  issuer: 'maxIssuerWeight',
+  underlying: 'maxUnderlyingWeight'
+};
+
+const thStyle = (align = 'right') => ({
+  padding: '0.6rem',
+  textAlign: align,
+  color: 'var(--text-muted)',
+  fontWeight: '600'
+});
+
+const tdStyle = (align = 'right') => ({
+  padding: '0.6rem',
+  textAlign: align,
+  color: 'var(--text-secondary)'
+});
+
+/**
+ * Risk metrics for the selected perimeter: realized volatility, max
+ * drawdown and Sharpe ratio from the portfolio history, 1-day historical
+ * and parametric VaR, and issuer / underlying / single-name concentration
+ * of the current holdings. For a single account, metrics over the
+ * account's risk limits are flagged.
+ */
+const RiskMetricsPanel = ({ viewAsFilter, portfolioCode, reportingCurrency = null }) => {
+  const [report, setReport] = useState(null);
+  const [period, setPeriod] = useState('1Y');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async (selectedPeriod) => {
+    const sessionId = localStorage.getItem('sessionId');
+    if (!sessionId) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await Meteor.callAsync('performance.getRiskMetrics', {
+        sessionId,
+        viewAsFilter,
+        portfolioCode,
+        period: selectedPeriod,
+        reportingCurrency
+      });
+      setReport(result);
+    } catch (err) {
+      console.error('[RiskMetrics] Error loading risk metrics:', err);
+      setError(err.reason || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [viewAsFilter?.id, portfolioCode, reportingCurrency]);
+
+  useEffect(() => {
+    fetchReport(period);
+  }, [fetchReport, period]);
+
+  // Limit in percent when the metric (a decimal) is over it
+  const breachedLimit = (key, value) => {
+    const limit = report?.limits?.[LIMIT_FIELDS[key]];
+    if (limit === null || limit === undefined || value === null || value === undefined) return null;
+    return value * 100 > limit ? limit : null;
+  };
+
+  const renderMetricCard = (key, label, value, detail, formatter = formatPercent) => {
+    const limit = breachedLimit(key, value);
+    return (
+      <div key={key} style={{
+        padding: '0.75rem 1rem',
+        background: 'var(--bg-primary)',
+        borderRadius: '8px',
+        border: `1px solid ${limit !== null ? '#f59e0b' : 'var(--border-color)'}`
+      }}>
+        <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)', textTransform: 'uppercase', marginBottom: '0.25rem' }}>{label}</div>
+        <div style={{ fontSize: '1.25rem', fontWeight: '700', color: limit !== null ? '#f59e0b' : 'var(--text-primary)' }}>
+          {formatter(value)}
+        </div>
+        {detail && <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: '0.2rem' }}>{detail}</div>}
+        {limit !== null && <div style={{ fontSize: '0.7rem', color: '#f59e0b', marginTop: '0.2rem' }}>Over limit ({limit}%)</div>}
+      </div>
+    );
+  };
+
+  const renderVarTable = (valueAtRisk, totalValue, currency) => (
+    <div style={{ overflowX: 'auto', WebkitOverflowScrolling: 'touch', flex: '1 1 280px' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem' }}>
+        <thead>
+          <tr style={{ borderBottom: '2px solid var(--border-color)' }}>
+            <th style={thStyle('left')}>VaR (1 day)</th>
+            <th style={thStyle()}>Historical</th>
+            <th style={thStyle()}>Parametric</th>
+            <th style={thStyle()}>Amount (hist.)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {[95, 99].map(level => {
+            const historical = valueAtRisk.historical[level];
+            const limit = breachedLimit(`var${level}`, historical);
+            return (
+              <tr key={level} style={{ borderBottom: '1px solid var(--border-color)' }}>
+                <td style={{ ...tdStyle('left'), fontWeight: '600', color: 'var(--text-primary)' }}>{level}%</td>
+                <td style={{ ...tdStyle(), fontWeight: '600', color: limit !== null ? '#f59e0b' : 'var(--text-secondary)' }}>
+                  {formatPercent(historical)}
+                </td>
+                <td style={tdStyle()}>{formatPercent(valueAtRisk.parametric[level])}</td>
+                <td style={tdStyle()}>{historical !== null ? formatAmount(historical * totalValue, currency) : '—'}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderConcentrationTable = (key, concentration) => {
+    const limit = breachedLimit(key, concentration.largest?.weight);
+    return (
+      <div key={key} style={{ flex: '1 1 240px', minWidth: 0 }}>
+        <div style={{ fontSize: '0.8rem', fontWeight: '600', color: limit !== null ? '#f59e0b' : 'var(--text-primary)', marginBottom: '0.4rem' }}>
+          {CONCENTRATION_LABELS[key]}
+          {limit !== null && ` · over ${limit}% limit`}
+        </div>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.75rem' }}>
+          <tbody>
+            {concentration.top.length === 0 ? (
+              <tr><td style={{ ...tdStyle('left'), color: 'var(--text-muted)' }}>No positions</td></tr>
+            ) : concentration.top.map(row => (
+              <tr key={row.key} style={{ borderBottom: '1px solid var(--border-color)' }}>
+                <td style={{ ...tdStyle('left'), color: 'var(--text-primary)', maxWidth: '180px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={row.label}>
+                  {row.label}
+                  {row.count > 1 && <span style={{ color: 'var(--text-muted)' }}> ({row.count})</span>}
+                </td>
+                <td style={{ ...tdStyle(), fontWeight: '600' }}>{formatPercent(row.weight, 1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  const renderBody = () => {
+    if (loading && !report) {
+      return (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+          Calculating risk metrics...
+        </div>
+      );
+    }
+
+    if (error) {
+      return (
+        <div style={{ padding: '2rem', textAlign: 'center', color: '#ef4444', fontSize: '0.875rem' }}>
+          {error}
+        </div>
+      );
+    }
+
+    if (!report?.hasData) {
+      return (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-muted)', fontSize: '0.875rem' }}>
+          {report?.reason || 'No risk data available'}
+        </div>
+      );
+    }
+
+    const { portfolio, valueAtRisk, concentration, currency } = report;
+    const { drawdown } = portfolio;
+
+    return (
+      <>
+        {report.breaches?.length > 0 && (
+          <div style={{
+            marginBottom: '1rem',
+            padding: '0.6rem 0.9rem',
+            background: 'rgba(245, 158, 11, 0.15)',
+            borderLeft: '3px solid #f59e0b',
+            borderRadius: '8px',
+            fontSize: '0.8rem',
+            color: 'var(--text-primary)'
+          }}>
+            {report.breaches.length} risk limit{report.breaches.length > 1 ? 's' : ''} breached:
+            {' '}{report.breaches.map(b => `${b.label} ${b.actual.toFixed(1)}% (limit ${b.limit}%)`).join(', ')}
+          </div>
+        )}
+
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '0.75rem', marginBottom: '1.25rem' }}>
+          {renderMetricCard('volatility', 'Volatility (ann.)', portfolio.volatility, `${portfolio.observations} returns`)}
+          {renderMetricCard('maxDrawdown', 'Max Drawdown', drawdown.maxDrawdown,
+            drawdown.peakDate ? `${drawdown.peakDate} → ${drawdown.troughDate}${drawdown.recoveryDate ? '' : ' (not recovered)'}` : null)}
+          {renderMetricCard('currentDrawdown', 'Current Drawdown', drawdown.currentDrawdown, null)}
+          {renderMetricCard('sharpe', 'Sharpe Ratio', portfolio.sharpeRatio,
+            `Return ${formatPercent(portfolio.annualizedReturn)} ann. | risk-free ${formatPercent(portfolio.riskFreeRate)}`, formatRatio)}
+        </div>
+
+        <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', marginBottom: '1.25rem' }}>
+          {renderVarTable(valueAtRisk, report.totalValue, currency)}
+        </div>
+
+        <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap' }}>
+          {['singleName', 'issuer', 'underlying'].map(key => renderConcentrationTable(key, concentration[key]))}
+        </div>
+
+        <div style={{ marginTop: '0.75rem', fontSize: '0.7rem', color: 'var(--text-muted)' }}>
+          {report.startDate} to {report.endDate} | holdings as of {report.holdingsDate || report.endDate} | {formatAmount(report.totalValue, currency)}
+          {' | '}Volatility, drawdown and Sharpe from the time-weighted returns; risk-free rate from the €STR proxy.
+          {valueAtRisk.basis === 'holdings'
+            ? ` VaR simulates the current holdings over their price history (${formatPercent(valueAtRisk.coverage, 0)} of invested value priced).`
+            : ' VaR from the portfolio\'s own daily returns.'}
+          {' '}Underlying exposure counts each structured product in full against every underlying.
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div style={{ padding: '1rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap', gap: '0.75rem' }}>
+        <h3 style={{ margin: 0, fontSize: '1.1rem', fontWeight: '400', color: 'var(--text-primary)' }}>
+          Risk Metrics
+        </h3>
+        <select
+          value={period}
+          onChange={(e) => setPeriod(e.target.value)}
+          disabled={loading}
+          style={{
+            padding: '0.5rem 0.75rem',
+            background: 'var(--bg-secondary)',
+            color: 'var(--text-primary)',
+            border: '1px solid var(--border-color)',
+            borderRadius: '8px'
+          }}
+        >
+          {PERIOD_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+      {renderBody()}
+    </div>
+  );
+};
+
+export default RiskMetricsPanel;
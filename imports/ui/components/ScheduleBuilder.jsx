@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { formatDateToISO, formatDateToDDMMYYYY, isWeekend, isMarketHoliday, getNextTradingDay } from '/imports/utils/dateUtils.js';
 
-const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onConfigChange, selectedTemplateId, underlyings, existingSchedule }) => {
+const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onConfigChange, selectedTemplateId, underlyings, existingSchedule, structureParams }) => {
   const [schedule, setSchedule] = useState(existingSchedule || []);
   const [stepDownInput, setStepDownInput] = useState('');
   const [hasLoadedExistingSchedule, setHasLoadedExistingSchedule] = useState(false);
@@ -9,6 +9,11 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
 
   // Check if this is a participation note
   const isParticipationNote = selectedTemplateId === 'participation_note';
+  // Issuer callable products have call dates but no autocall barrier
+  const isIssuerCallable = selectedTemplateId === 'issuer_callable_phoenix';
+  const hasAutocallLevel = !isParticipationNote && !isIssuerCallable;
+  // Per-observation coupon amounts (fixed or snowball) only apply to Phoenix products
+  const hasCouponSchedule = selectedTemplateId === 'phoenix_autocallable';
 
   // Use props for configuration, fallback to defaults if not provided
   const frequency = scheduleConfig?.frequency || 'quarterly';
@@ -16,6 +21,14 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
   const stepDownValue = scheduleConfig?.stepDownValue ?? -5;
   const initialAutocallLevel = scheduleConfig?.initialAutocallLevel ?? 100;
   const initialCouponBarrier = scheduleConfig?.initialCouponBarrier ?? 70;
+  const couponBarrierStepValue = scheduleConfig?.couponBarrierStepValue ?? 0;
+
+  // Coupon paid at a given period when the row has no explicit override
+  const baseCouponRate = parseFloat(structureParams?.couponRate) || 0;
+  const isSnowballCoupon = structureParams?.snowballCoupon === true;
+  const getDefaultCouponRate = (periodIndex) => (
+    isSnowballCoupon ? parseFloat((baseCouponRate * periodIndex).toFixed(6)) : baseCouponRate
+  );
 
   // Initialize local input state from prop
   useEffect(() => {
@@ -53,7 +66,7 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
       // User has changed a configuration value, enable regeneration
       setAllowRegeneration(true);
     }
-  }, [frequency, coolOffPeriods, stepDownValue, initialAutocallLevel, initialCouponBarrier]);
+  }, [frequency, coolOffPeriods, stepDownValue, initialAutocallLevel, initialCouponBarrier, couponBarrierStepValue]);
 
   // Calculate delay days from setup tab (difference between trade date and value date)
   const getDelayDays = () => {
@@ -149,8 +162,8 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
       const isCallable = index >= coolOffPeriods;
       // Calculate autocall level: N/A for non-call periods, start at initial level for first callable period
       let autocallLevel;
-      if (!isCallable) {
-        autocallLevel = null; // N/A for non-call periods
+      if (!isCallable || !hasAutocallLevel) {
+        autocallLevel = null; // N/A for non-call periods and issuer-callable products
       } else {
         // For callable periods, start at initial level and apply step-down from first callable period
         const callablePeriodIndex = index - coolOffPeriods;
@@ -171,7 +184,8 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
         valueDate: formatDateToISO(generateValueDate(obsDate)),
         autocallLevel: autocallLevel,
         isCallable: isCallable,
-        couponBarrier: initialCouponBarrier,
+        couponBarrier: initialCouponBarrier + (couponBarrierStepValue * index),
+        couponRate: null, // null = derived from structure coupon rate (fixed or snowball)
         periodIndex: index + 1,
         rebateAmount: rebateAmountValue  // Preserve term sheet data or default to 0
       };
@@ -190,6 +204,7 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
     stepDownValue,
     initialAutocallLevel,
     initialCouponBarrier,
+    couponBarrierStepValue,
     allowRegeneration  // Include this so schedule regenerates when user changes config
   ]);
 
@@ -547,7 +562,7 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
           </div>
 
           {/* Initial Autocall Level */}
-          {!isParticipationNote && (
+          {hasAutocallLevel && (
             <div>
               <label style={{
                 display: 'block',
@@ -571,7 +586,7 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
           )}
 
           {/* Step-down Value */}
-          {!isParticipationNote && (
+          {hasAutocallLevel && (
             <div>
               <label style={{
                 display: 'block',
@@ -641,6 +656,33 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
               />
             </div>
           )}
+
+          {/* Coupon Barrier Step */}
+          {!isParticipationNote && (
+            <div>
+              <label style={{
+                display: 'block',
+                marginBottom: '0.5rem',
+                fontWeight: '600',
+                color: 'var(--text-primary)',
+                fontSize: '0.9rem'
+              }}>
+                Coupon Barrier Step (%)
+              </label>
+              <input
+                type="number"
+                min="-20"
+                max="20"
+                step="0.5"
+                value={couponBarrierStepValue}
+                onChange={(e) => onConfigChange && onConfigChange('couponBarrierStepValue', parseFloat(e.target.value) || 0)}
+                style={{...inputStyle, width: '80px', textAlign: 'right'}}
+              />
+              <small style={{ color: 'var(--text-muted)', fontSize: '0.8rem', marginTop: '4px', display: 'block' }}>
+                Applied each period, 0 keeps the barrier flat
+              </small>
+            </div>
+          )}
         </div>
 
       </div>
@@ -686,14 +728,14 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
                       Rebate (%)
                     </th>
                   )}
-                  {!isParticipationNote && (
+                  {hasAutocallLevel && (
                     <th style={{ padding: '12px', textAlign: 'center', fontWeight: '600', color: 'var(--text-primary)', borderBottom: '1px solid var(--border-color)' }}>
                       Autocall Level (%)
                     </th>
                   )}
                   {!isParticipationNote && (
                     <th style={{ padding: '12px', textAlign: 'center', fontWeight: '600', color: 'var(--text-primary)', borderBottom: '1px solid var(--border-color)' }}>
-                      Callable
+                      {isIssuerCallable ? 'Issuer Call Date' : 'Callable'}
                     </th>
                   )}
                   {!isParticipationNote && (
@@ -701,6 +743,11 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
                       Coupon Barrier (%)
                     </th>
                   )}
+                  {hasCouponSchedule && (
+                    <th style={{ padding: '12px', textAlign: 'center', fontWeight: '600', color: 'var(--text-primary)', borderBottom: '1px solid var(--border-color)' }}>
+                      {isSnowballCoupon ? 'Coupon (%) ❄️' : 'Coupon (%)'}
+                    </th>
+                  )}
                   <th style={{ padding: '12px', textAlign: 'center', fontWeight: '600', color: 'var(--text-primary)', borderBottom: '1px solid var(--border-color)' }}>
                     Actions
                   </th>
@@ -758,7 +805,7 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
                         />
                       </td>
                     )}
-                    {!isParticipationNote && (
+                    {hasAutocallLevel && (
                       <td style={{ padding: '12px', textAlign: 'center' }}>
                         {item.isCallable ? (
                           <input
@@ -830,6 +877,26 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
                         />
                       </td>
                     )}
+                    {hasCouponSchedule && (
+                      <td style={{ padding: '12px', textAlign: 'center' }}>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={item.couponRate ?? ''}
+                          placeholder={String(getDefaultCouponRate(item.periodIndex))}
+                          onChange={(e) => updateScheduleItem(item.id, 'couponRate', e.target.value === '' ? null : parseFloat(e.target.value))}
+                          title="Leave empty to use the structure coupon rate"
+                          style={{
+                            ...inputStyle,
+                            fontSize: '0.85rem',
+                            padding: '4px 6px',
+                            width: '80px',
+                            textAlign: 'center'
+                          }}
+                        />
+                      </td>
+                    )}
                     <td style={{ padding: '12px', textAlign: 'center' }}>
                       <button
                         onClick={() => deleteScheduleRow(item.id)}
@@ -926,9 +993,12 @@ const ScheduleBuilder = ({ productDetails, scheduleConfig, onUpdateSchedule, onC
                   id: `period_${schedule.length}`,
                   observationDate: formatDateToISO(newObsDate),
                   valueDate: formatDateToISO(generateValueDate(newObsDate)),
-                  autocallLevel: initialAutocallLevel,
+                  autocallLevel: hasAutocallLevel ? initialAutocallLevel : null,
                   isCallable: true,
-                  couponBarrier: initialCouponBarrier,
+                  couponBarrier: lastObs?.couponBarrier != null
+                    ? lastObs.couponBarrier + couponBarrierStepValue
+                    : initialCouponBarrier,
+                  couponRate: null,
                   periodIndex: schedule.length + 1,
                   rebateAmount: isParticipationNote ? 0 : null
                 };
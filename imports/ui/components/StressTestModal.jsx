@@ -0,0 +1,538 @@
+import React, { useState } from 'react';
+import { Meteor } from 'meteor/meteor';
+import { useTheme } from '../ThemeContext.jsx';
+import { SECTORS } from '/imports/api/securitiesMetadata';
+import { STRESS_PRESETS } from '/imports/api/scenarioStressTest';
+
+const CLASSIFIED_SECTORS = SECTORS.filter(s => s.value);
+
+const formatSignedPercent = (value) => (
+  value === null || value === undefined || isNaN(value)
+    ? 'N/A'
+    : `${value >= 0 ? '+' : ''}${Number(value).toFixed(2)}%`
+);
+
+const formatAmount = (value, currency) => {
+  const formatted = Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: 0 });
+  return `${value < 0 ? '-' : '+'}${currency} ${formatted}`;
+};
+
+/**
+ * StressTestModal Component
+ * Lets an RM apply deterministic spot shocks (global, per sector, per ticker) to every
+ * live product and review the impact per product and per client before a meeting.
+ */
+const StressTestModal = ({ onClose }) => {
+  const { isDarkMode } = useTheme();
+  const [globalShock, setGlobalShock] = useState('');
+  const [sectorShocks, setSectorShocks] = useState({});
+  const [tickerShocks, setTickerShocks] = useState([]);
+  const [activePreset, setActivePreset] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [expandedClientId, setExpandedClientId] = useState(null);
+
+  const getSessionId = () => localStorage.getItem('sessionId');
+
+  const applyPreset = (preset) => {
+    setActivePreset(preset.id);
+    setGlobalShock(preset.shocks.global !== undefined ? String(preset.shocks.global) : '');
+    setSectorShocks(Object.fromEntries(
+      Object.entries(preset.shocks.sectors || {}).map(([sector, value]) => [sector, String(value)])
+    ));
+    setTickerShocks([]);
+  };
+
+  const buildShocks = () => {
+    const shocks = { sectors: {}, tickers: {} };
+    if (globalShock !== '') shocks.global = parseFloat(globalShock);
+
+    Object.entries(sectorShocks).forEach(([sector, value]) => {
+      if (value !== '' && !isNaN(parseFloat(value))) shocks.sectors[sector] = parseFloat(value);
+    });
+
+    tickerShocks.forEach(({ ticker, value }) => {
+      if (ticker.trim() && value !== '' && !isNaN(parseFloat(value))) {
+        shocks.tickers[ticker.trim().toUpperCase()] = parseFloat(value);
+      }
+    });
+
+    return shocks;
+  };
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError(null);
+
+    try {
+      const scenario = await Meteor.callAsync('stressTest.run', {
+        sessionId: getSessionId(),
+        shocks: buildShocks()
+      });
+      setResult(scenario);
+      setExpandedClientId(null);
+    } catch (err) {
+      console.error('Error running stress test:', err);
+      setError(err.reason || err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleExportPdf = async () => {
+    if (!result) return;
+    setIsExporting(true);
+
+    try {
+      const pdf = await Meteor.callAsync('stressTest.exportPdf', {
+        sessionId: getSessionId(),
+        result
+      });
+
+      // Convert base64 to blob and download
+      const byteCharacters = atob(pdf.pdfData);
+      const byteNumbers = new Array(byteCharacters.length);
+      for (let i = 0; i < byteCharacters.length; i++) {
+        byteNumbers[i] = byteCharacters.charCodeAt(i);
+      }
+      const byteArray = new Uint8Array(byteNumbers);
+      const blob = new Blob([byteArray], { type: 'application/pdf' });
+
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = pdf.filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting stress test PDF:', err);
+      setError('Failed to generate PDF: ' + (err.reason || err.message));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const borderColor = isDarkMode ? '#374151' : '#e5e7eb';
+
+  const inputStyle = {
+    width: '80px',
+    padding: '0.4rem 0.5rem',
+    background: 'var(--bg-primary)',
+    border: '1px solid var(--border-color)',
+    borderRadius: '6px',
+    color: 'var(--text-primary)',
+    fontSize: '0.85rem'
+  };
+
+  const sectionStyle = {
+    background: 'var(--bg-secondary)',
+    border: '1px solid var(--border-color)',
+    borderRadius: '12px',
+    padding: '1.25rem',
+    marginBottom: '1.25rem'
+  };
+
+  const tileStyle = {
+    flex: '1 1 160px',
+    background: 'var(--bg-primary)',
+    border: '1px solid var(--border-color)',
+    borderRadius: '8px',
+    padding: '0.85rem'
+  };
+
+  const thStyle = {
+    padding: '0.5rem',
+    textAlign: 'left',
+    fontSize: '0.75rem',
+    fontWeight: '600',
+    color: 'var(--text-secondary)',
+    textTransform: 'uppercase',
+    borderBottom: '1px solid var(--border-color)'
+  };
+
+  const tdStyle = {
+    padding: '0.5rem',
+    fontSize: '0.85rem',
+    color: 'var(--text-primary)',
+    borderBottom: '1px solid var(--border-color)'
+  };
+
+  const impactColor = (value) => (value < 0 ? '#ef4444' : value > 0 ? '#10b981' : 'var(--text-secondary)');
+
+  const summary = result?.summary;
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.75)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+        backdropFilter: 'blur(4px)'
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          background: isDarkMode ? '#1f2937' : '#ffffff',
+          borderRadius: '16px',
+          maxWidth: '1200px',
+          width: '95%',
+          maxHeight: '95vh',
+          display: 'flex',
+          flexDirection: 'column',
+          boxShadow: '0 25px 50px -12px rgba(0, 0, 0, 0.5)'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{
+          padding: '1.5rem',
+          borderBottom: `1px solid ${borderColor}`,
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}>
+          <div>
+            <h2 style={{ margin: 0, fontSize: '1.5rem', fontWeight: '700', color: 'var(--text-primary)' }}>
+              🧪 Scenario Stress Test
+            </h2>
+            <p style={{ margin: '0.25rem 0 0 0', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+              Shock the current spots of all live products and measure the impact on redemption values and client positions
+            </p>
+          </div>
+          <div style={{ display: 'flex', gap: '0.75rem' }}>
+            <button
+              onClick={handleExportPdf}
+              disabled={!result || isExporting}
+              style={{
+                padding: '0.6rem 1.2rem',
+                background: (!result || isExporting) ? 'var(--bg-tertiary)' : 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)',
+                color: '#fff',
+                border: 'none',
+                borderRadius: '8px',
+                fontWeight: '600',
+                cursor: (!result || isExporting) ? 'not-allowed' : 'pointer',
+                opacity: (!result || isExporting) ? 0.6 : 1
+              }}
+            >
+              {isExporting ? 'Exporting...' : '📄 Export PDF'}
+            </button>
+            <button
+              onClick={onClose}
+              style={{
+                padding: '0.6rem 1rem',
+                background: 'transparent',
+                color: 'var(--text-secondary)',
+                border: '1px solid var(--border-color)',
+                borderRadius: '8px',
+                cursor: 'pointer'
+              }}
+            >
+              ✕
+            </button>
+          </div>
+        </div>
+
+        <div style={{ padding: '1.5rem', overflowY: 'auto' }}>
+          {/* Scenario definition */}
+          <div style={sectionStyle}>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '1rem' }}>
+              {STRESS_PRESETS.map(preset => (
+                <button
+                  key={preset.id}
+                  onClick={() => applyPreset(preset)}
+                  style={{
+                    padding: '0.4rem 0.9rem',
+                    background: activePreset === preset.id ? '#3b82f6' : 'var(--bg-primary)',
+                    color: activePreset === preset.id ? '#fff' : 'var(--text-primary)',
+                    border: '1px solid var(--border-color)',
+                    borderRadius: '999px',
+                    fontSize: '0.85rem',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', marginBottom: '1rem' }}>
+              <label style={{ fontWeight: '600', color: 'var(--text-primary)', fontSize: '0.9rem' }}>
+                All equities (%)
+              </label>
+              <input
+                type="number"
+                value={globalShock}
+                onChange={(e) => { setGlobalShock(e.target.value); setActivePreset(null); }}
+                placeholder="0"
+                style={inputStyle}
+              />
+            </div>
+
+            <div style={{ fontWeight: '600', color: 'var(--text-primary)', fontSize: '0.9rem', marginBottom: '0.5rem' }}>
+              Sector shocks (%) <span style={{ fontWeight: '400', color: 'var(--text-secondary)' }}>— override the global shock</span>
+            </div>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))',
+              gap: '0.5rem',
+              marginBottom: '1rem'
+            }}>
+              {CLASSIFIED_SECTORS.map(sector => (
+                <div key={sector.value} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '0.5rem' }}>
+                  <span style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>{sector.label}</span>
+                  <input
+                    type="number"
+                    value={sectorShocks[sector.value] ?? ''}
+                    onChange={(e) => {
+                      setSectorShocks({ ...sectorShocks, [sector.value]: e.target.value });
+                      setActivePreset(null);
+                    }}
+                    style={inputStyle}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div style={{ fontWeight: '600', color: 'var(--text-primary)', fontSize: '0.9rem', marginBottom: '0.5rem' }}>
+              Custom per-ticker moves (%) <span style={{ fontWeight: '400', color: 'var(--text-secondary)' }}>— override sector and global shocks</span>
+            </div>
+            {tickerShocks.map((row, index) => (
+              <div key={index} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                <input
+                  type="text"
+                  value={row.ticker}
+                  placeholder="AAPL.US"
+                  onChange={(e) => {
+                    const next = [...tickerShocks];
+                    next[index] = { ...row, ticker: e.target.value };
+                    setTickerShocks(next);
+                  }}
+                  style={{ ...inputStyle, width: '140px' }}
+                />
+                <input
+                  type="number"
+                  value={row.value}
+                  onChange={(e) => {
+                    const next = [...tickerShocks];
+                    next[index] = { ...row, value: e.target.value };
+                    setTickerShocks(next);
+                  }}
+                  style={inputStyle}
+                />
+                <button
+                  onClick={() => setTickerShocks(tickerShocks.filter((_, i) => i !== index))}
+                  style={{
+                    background: 'transparent',
+                    border: '1px solid var(--border-color)',
+                    borderRadius: '6px',
+                    color: 'var(--text-secondary)',
+                    cursor: 'pointer',
+                    padding: '0 0.6rem'
+                  }}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '0.5rem' }}>
+              <button
+                onClick={() => { setTickerShocks([...tickerShocks, { ticker: '', value: '' }]); setActivePreset(null); }}
+                style={{
+                  background: 'transparent',
+                  border: '1px dashed var(--border-color)',
+                  borderRadius: '6px',
+                  color: 'var(--text-secondary)',
+                  cursor: 'pointer',
+                  padding: '0.4rem 0.8rem',
+                  fontSize: '0.85rem'
+                }}
+              >
+                + Add ticker
+              </button>
+              <button
+                onClick={handleRun}
+                disabled={isRunning}
+                style={{
+                  padding: '0.7rem 1.5rem',
+                  background: isRunning ? 'var(--bg-tertiary)' : 'linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)',
+                  color: '#fff',
+                  border: 'none',
+                  borderRadius: '10px',
+                  fontWeight: '600',
+                  cursor: isRunning ? 'not-allowed' : 'pointer',
+                  opacity: isRunning ? 0.6 : 1
+                }}
+              >
+                {isRunning ? 'Running...' : '▶ Run Stress Test'}
+              </button>
+            </div>
+          </div>
+
+          {error && (
+            <div style={{
+              background: '#fef2f2',
+              border: '1px solid #fecaca',
+              borderRadius: '12px',
+              padding: '1rem',
+              marginBottom: '1.25rem',
+              color: '#991b1b'
+            }}>
+              Error: {error}
+            </div>
+          )}
+
+          {result && (
+            <>
+              <div style={{ fontSize: '0.9rem', color: 'var(--text-secondary)', marginBottom: '0.75rem' }}>
+                Scenario: <strong style={{ color: 'var(--text-primary)' }}>{result.scenarioLabel}</strong>
+              </div>
+
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', marginBottom: '1.25rem' }}>
+                <div style={tileStyle}>
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>Products stressed</div>
+                  <div style={{ fontSize: '1.5rem', fontWeight: '700', color: 'var(--text-primary)' }}>{summary.productCount}</div>
+                </div>
+                <div style={tileStyle}>
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>New barrier breaches</div>
+                  <div style={{ fontSize: '1.5rem', fontWeight: '700', color: summary.newlyBreachedCount > 0 ? '#ef4444' : 'var(--text-primary)' }}>
+                    {summary.newlyBreachedCount}
+                  </div>
+                </div>
+                <div style={tileStyle}>
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>Clients impacted</div>
+                  <div style={{ fontSize: '1.5rem', fontWeight: '700', color: 'var(--text-primary)' }}>{summary.clientCount}</div>
+                </div>
+                <div style={tileStyle}>
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>Total P&L impact</div>
+                  {Object.entries(summary.totalImpactByCurrency).length === 0 ? (
+                    <div style={{ fontSize: '1.5rem', fontWeight: '700', color: 'var(--text-primary)' }}>-</div>
+                  ) : Object.entries(summary.totalImpactByCurrency).map(([currency, value]) => (
+                    <div key={currency} style={{ fontSize: '1.1rem', fontWeight: '700', color: impactColor(value) }}>
+                      {formatAmount(value, currency)}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {result.unclassifiedUnderlyings.length > 0 && (
+                <div style={{
+                  fontSize: '0.8rem',
+                  color: 'var(--text-secondary)',
+                  marginBottom: '1rem'
+                }}>
+                  ⚠️ No sector classification for {result.unclassifiedUnderlyings.join(', ')} — only global or ticker shocks apply to them.
+                </div>
+              )}
+
+              {/* Per-client impact */}
+              <div style={sectionStyle}>
+                <h3 style={{ margin: '0 0 0.75rem 0', fontSize: '1.1rem', color: 'var(--text-primary)' }}>Client Impact</h3>
+                {result.clients.length === 0 ? (
+                  <div style={{ fontSize: '0.85rem', color: 'var(--text-secondary)' }}>No client holds the stressed products.</div>
+                ) : (
+                  <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                    <thead>
+                      <tr>
+                        <th style={thStyle}>Client</th>
+                        <th style={thStyle}>Positions</th>
+                        <th style={{ ...thStyle, textAlign: 'right' }}>P&L impact</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.clients.map(client => (
+                        <React.Fragment key={client.userId}>
+                          <tr
+                            onClick={() => setExpandedClientId(expandedClientId === client.userId ? null : client.userId)}
+                            style={{ cursor: 'pointer' }}
+                          >
+                            <td style={tdStyle}>{expandedClientId === client.userId ? '▾' : '▸'} {client.clientName}</td>
+                            <td style={tdStyle}>{client.positions.length}</td>
+                            <td style={{ ...tdStyle, textAlign: 'right', fontWeight: '600' }}>
+                              {Object.entries(client.impactByCurrency).map(([currency, value]) => (
+                                <div key={currency} style={{ color: impactColor(value) }}>{formatAmount(value, currency)}</div>
+                              ))}
+                            </td>
+                          </tr>
+                          {expandedClientId === client.userId && client.positions.map((position, index) => (
+                            <tr key={`${client.userId}-${index}`} style={{ background: 'var(--bg-primary)' }}>
+                              <td style={{ ...tdStyle, paddingLeft: '1.75rem' }}>
+                                {position.title}
+                                <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>{position.isin} · {position.portfolioCode}</div>
+                              </td>
+                              <td style={tdStyle}>{position.currency} {Number(position.nominal).toLocaleString('en-US')}</td>
+                              <td style={{ ...tdStyle, textAlign: 'right', color: impactColor(position.pnlImpact) }}>
+                                {formatAmount(position.pnlImpact, position.currency)}
+                              </td>
+                            </tr>
+                          ))}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+
+              {/* Per-product impact */}
+              <div style={sectionStyle}>
+                <h3 style={{ margin: '0 0 0.75rem 0', fontSize: '1.1rem', color: 'var(--text-primary)' }}>Product Impact</h3>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      <th style={thStyle}>Product</th>
+                      <th style={thStyle}>Underlyings (shock)</th>
+                      <th style={{ ...thStyle, textAlign: 'right' }}>Current</th>
+                      <th style={{ ...thStyle, textAlign: 'right' }}>Stressed</th>
+                      <th style={{ ...thStyle, textAlign: 'right' }}>Impact</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.products.map(product => (
+                      <tr key={product.productId}>
+                        <td style={tdStyle}>
+                          {product.title}
+                          <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+                            {product.isin}
+                            {product.payoffLocked && ' · payoff fixed'}
+                            {product.newlyBreached && <span style={{ color: '#ef4444' }}> · barrier breached</span>}
+                          </div>
+                        </td>
+                        <td style={{ ...tdStyle, fontSize: '0.8rem' }}>
+                          {product.underlyings.map(u => `${u.ticker} ${formatSignedPercent(u.shock)}`).join(', ')}
+                        </td>
+                        <td style={{ ...tdStyle, textAlign: 'right' }}>{product.baseline.totalValue.toFixed(2)}%</td>
+                        <td style={{ ...tdStyle, textAlign: 'right' }}>{product.stressed.totalValue.toFixed(2)}%</td>
+                        <td style={{ ...tdStyle, textAlign: 'right', fontWeight: '600', color: impactColor(product.impact) }}>
+                          {product.impactFormatted}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {result.skipped.length > 0 && (
+                <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)' }}>
+                  {result.skipped.length} live product(s) not stressed: {result.skipped.map(s => `${s.title} (${s.reason.toLowerCase()})`).join('; ')}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StressTestModal;
@@ -1,5 +1,11 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { BUILT_IN_TEMPLATES } from '/imports/api/templates';
+import {
+  BASKET_AGGREGATION_MODES,
+  BASKET_AGGREGATION_CONFIGS,
+  DEFAULT_RAINBOW_WEIGHTS,
+  BasketAggregation
+} from '/imports/utils/basketTypes';
 
 // Structure Module Component - Configuration parameters for selected templates
 const StructureModule = ({ selectedTemplateId, structureParams, onParamChange }) => {
@@ -98,6 +104,134 @@ const StructureModule = ({ selectedTemplateId, structureParams, onParamChange })
       e.target.style.boxShadow = 'none';
     };
 
+    // Basket aggregation mode shared by Orion, Himalaya and Participation Note
+    const renderBasketAggregationSection = () => {
+      const aggregation = structureParams?.basketAggregation || { mode: BASKET_AGGREGATION_MODES.STANDARD };
+      const mode = aggregation.mode || BASKET_AGGREGATION_MODES.STANDARD;
+      const normalized = BasketAggregation.normalizeConfig(aggregation);
+
+      const updateAggregation = (changes) => {
+        onParamChange && onParamChange('basketAggregation', { ...aggregation, ...changes });
+      };
+
+      const parseOptional = (value) => (value === '' ? null : parseFloat(value));
+
+      return (
+        <div style={{
+          background: 'var(--bg-tertiary)',
+          border: '1px solid var(--border-color)',
+          borderRadius: '8px',
+          padding: '1.5rem',
+          marginTop: '1.5rem'
+        }}>
+          <h5 style={{
+            margin: '0 0 1rem 0',
+            color: 'var(--text-primary)',
+            fontSize: '1rem',
+            fontWeight: '600'
+          }}>
+            🧺 Basket Aggregation
+          </h5>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: '1fr 1fr 1fr',
+            gap: '1.5rem'
+          }}>
+            <div style={fieldContainerStyle}>
+              <label style={labelStyle}>Mode</label>
+              <select
+                value={mode}
+                style={selectInputStyle}
+                onFocus={handleInputFocus}
+                onBlur={handleInputBlur}
+                onChange={(e) => updateAggregation({ mode: e.target.value })}
+              >
+                {Object.values(BASKET_AGGREGATION_MODES).map(value => (
+                  <option key={value} value={value}>
+                    {BASKET_AGGREGATION_CONFIGS[value].icon} {BASKET_AGGREGATION_CONFIGS[value].label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {mode === BASKET_AGGREGATION_MODES.RAINBOW && (
+              <div style={fieldContainerStyle}>
+                <label style={labelStyle}>Rank Weights (%, best first)</label>
+                <input
+                  type="text"
+                  defaultValue={(aggregation.rainbowWeights || DEFAULT_RAINBOW_WEIGHTS).join('/')}
+                  placeholder="50/30/20"
+                  style={numberInputStyle}
+                  onFocus={handleInputFocus}
+                  onBlur={(e) => {
+                    handleInputBlur(e);
+                    const weights = BasketAggregation.normalizeConfig({ mode, rainbowWeights: e.target.value }).rainbowWeights;
+                    e.target.value = weights.join('/');
+                    updateAggregation({ rainbowWeights: weights });
+                  }}
+                />
+              </div>
+            )}
+
+            {mode === BASKET_AGGREGATION_MODES.AVERAGE_OF_WORST_N && (
+              <div style={fieldContainerStyle}>
+                <label style={labelStyle}>Number of Worst (N)</label>
+                <input
+                  type="number"
+                  value={aggregation.worstCount || 2}
+                  min="1"
+                  max="10"
+                  step="1"
+                  style={numberInputStyle}
+                  onFocus={handleInputFocus}
+                  onBlur={handleInputBlur}
+                  onChange={(e) => updateAggregation({ worstCount: parseInt(e.target.value) || 1 })}
+                />
+              </div>
+            )}
+
+            {mode === BASKET_AGGREGATION_MODES.CLIQUET && (
+              <>
+                <div style={fieldContainerStyle}>
+                  <label style={labelStyle}>Local Cap (% per period)</label>
+                  <input
+                    type="number"
+                    value={aggregation.localCap ?? ''}
+                    placeholder="None"
+                    step="0.5"
+                    style={numberInputStyle}
+                    onFocus={handleInputFocus}
+                    onBlur={handleInputBlur}
+                    onChange={(e) => updateAggregation({ localCap: parseOptional(e.target.value) })}
+                  />
+                </div>
+                <div style={fieldContainerStyle}>
+                  <label style={labelStyle}>Local Floor (% per period)</label>
+                  <input
+                    type="number"
+                    value={aggregation.localFloor ?? ''}
+                    placeholder="None"
+                    step="0.5"
+                    style={numberInputStyle}
+                    onFocus={handleInputFocus}
+                    onBlur={handleInputBlur}
+                    onChange={(e) => updateAggregation({ localFloor: parseOptional(e.target.value) })}
+                  />
+                </div>
+              </>
+            )}
+          </div>
+
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '8px' }}>
+            {BASKET_AGGREGATION_CONFIGS[mode]?.description}
+            {normalized && ` — product name label: "${BasketAggregation.getLabel(normalized)}"`}
+            {mode === BASKET_AGGREGATION_MODES.CLIQUET && ' Fixings are the observation schedule dates.'}
+          </div>
+        </div>
+      );
+    };
+
     switch (selectedTemplateId) {
       case 'phoenix_autocallable':
         return (
@@ -343,6 +477,45 @@ const StructureModule = ({ selectedTemplateId, structureParams, onParamChange })
                       </span>
                     </div>
                   </label>
+
+                  <label style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.75rem',
+                    cursor: 'pointer',
+                    padding: '0.5rem',
+                    borderRadius: '6px',
+                    background: 'var(--bg-primary)',
+                    transition: 'background-color 0.2s ease'
+                  }}>
+                    <input
+                      type="checkbox"
+                      checked={structureParams?.snowballCoupon === true}
+                      style={{
+                        width: '18px',
+                        height: '18px',
+                        accentColor: 'var(--accent-color)'
+                      }}
+                      onChange={(e) => onParamChange && onParamChange('snowballCoupon', e.target.checked)}
+                    />
+                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem' }}>
+                      <span style={{
+                        fontSize: '0.9rem',
+                        color: 'var(--text-primary)',
+                        fontWeight: '500'
+                      }}>
+                        ❄️ Snowball Coupon - Grows with the period number
+                      </span>
+                      <span style={{
+                        fontSize: '0.75rem',
+                        color: 'var(--text-muted)',
+                        fontWeight: '400',
+                        fontStyle: 'italic'
+                      }}>
+                        Observation n pays n × coupon rate; per-period amounts can be overridden in the schedule
+                      </span>
+                    </div>
+                  </label>
                 </div>
               </div>
             </div>
@@ -422,6 +595,8 @@ const StructureModule = ({ selectedTemplateId, structureParams, onParamChange })
                   </div>
                 </div>
               </div>
+
+              {renderBasketAggregationSection()}
             </div>
           </div>
         );
@@ -479,8 +654,13 @@ const StructureModule = ({ selectedTemplateId, structureParams, onParamChange })
                     <li>At maturity, all recorded performances are averaged</li>
                     <li>The floor ensures the final payout is at least {structureParams?.floor || 100}%</li>
                   </ul>
+                  <div style={{ marginTop: '0.5rem' }}>
+                    A basket aggregation mode below replaces the best-performer selection.
+                  </div>
                 </div>
               </div>
+
+              {renderBasketAggregationSection()}
             </div>
           </div>
         );
@@ -827,6 +1007,8 @@ const StructureModule = ({ selectedTemplateId, structureParams, onParamChange })
                   )}
                 </ul>
               </div>
+
+              {renderBasketAggregationSection()}
             </div>
           </div>
         );
@@ -1347,6 +1529,414 @@ const StructureModule = ({ selectedTemplateId, structureParams, onParamChange })
           </div>
         );
 
+      case 'issuer_callable_phoenix':
+        return (
+          <div>
+            <div style={commonStyle}>
+              <h4 style={{
+                margin: '0 0 20px 0',
+                color: 'var(--text-secondary)',
+                fontSize: '1.1rem',
+                fontWeight: '600',
+                borderBottom: '2px solid var(--accent-color)',
+                paddingBottom: '8px'
+              }}>📞 Issuer Callable Phoenix Configuration</h4>
+
+              {/* Essential Parameters */}
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: '1fr 1fr',
+                gap: '1.5rem',
+                marginBottom: '2rem'
+              }}>
+                {[
+                  { key: 'couponRate', label: 'Coupon Rate (% per period)', fallback: 6.0, help: 'Paid on each observation date' },
+                  { key: 'couponBarrier', label: 'Coupon Barrier (%)', fallback: 70, help: 'Worst-of level required for the coupon (ignored for fixed coupons)' },
+                  { key: 'protectionBarrierLevel', label: 'Capital Protection Barrier (%)', fallback: 60, help: 'Observed at maturity if the note was never called' },
+                  { key: 'issuerCallPrice', label: 'Call Price (%)', fallback: 100, help: 'Redemption price paid when the issuer calls the note' }
+                ].map(field => (
+                  <div key={field.key} style={fieldContainerStyle}>
+                    <label style={labelStyle}>{field.label}</label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      defaultValue={structureParams?.[field.key] !== undefined ? structureParams[field.key] : field.fallback}
+                      style={numberInputStyle}
+                      onFocus={handleInputFocus}
+                      onBlur={(e) => {
+                        handleInputBlur(e);
+                        const value = e.target.value.replace(',', '.');
+                        const numValue = parseFloat(value);
+                        if (!isNaN(numValue)) {
+                          onParamChange && onParamChange(field.key, numValue);
+                        } else {
+                          e.target.value = structureParams?.[field.key] !== undefined ? structureParams[field.key] : field.fallback;
+                        }
+                      }}
+                    />
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '4px' }}>
+                      {field.help}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {/* Features Section */}
+              <div style={{
+                background: 'var(--bg-tertiary)',
+                border: '1px solid var(--border-color)',
+                borderRadius: '8px',
+                padding: '1.5rem',
+                marginBottom: '1rem'
+              }}>
+                <h5 style={{
+                  margin: '0 0 1rem 0',
+                  color: 'var(--text-primary)',
+                  fontSize: '1rem',
+                  fontWeight: '600'
+                }}>
+                  Available Features
+                </h5>
+
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: '1fr',
+                  gap: '1rem'
+                }}>
+                  {[
+                    { key: 'memoryCoupon', label: 'Memory Coupon - Accumulates unpaid coupons', disabled: structureParams?.fixedCoupon === true },
+                    { key: 'fixedCoupon', label: 'Fixed Coupon - Paid on every observation, no coupon barrier', disabled: false }
+                  ].map(feature => (
+                    <label key={feature.key} style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '0.75rem',
+                      cursor: feature.disabled ? 'not-allowed' : 'pointer',
+                      padding: '0.5rem',
+                      borderRadius: '6px',
+                      background: 'var(--bg-primary)',
+                      opacity: feature.disabled ? 0.5 : 1,
+                      transition: 'background-color 0.2s ease'
+                    }}>
+                      <input
+                        type="checkbox"
+                        checked={structureParams?.[feature.key] === true}
+                        disabled={feature.disabled}
+                        style={{
+                          width: '18px',
+                          height: '18px',
+                          accentColor: 'var(--accent-color)'
+                        }}
+                        onChange={(e) => onParamChange && onParamChange(feature.key, e.target.checked)}
+                      />
+                      <span style={{
+                        fontSize: '0.9rem',
+                        color: 'var(--text-primary)',
+                        fontWeight: '500'
+                      }}>
+                        {feature.label}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div style={{
+                padding: '1rem',
+                background: 'var(--bg-tertiary)',
+                borderRadius: '8px',
+                fontSize: '0.85rem',
+                color: 'var(--text-secondary)',
+                lineHeight: '1.5'
+              }}>
+                <div style={{ fontWeight: '600', marginBottom: '0.5rem', color: 'var(--text-primary)' }}>
+                  ℹ️ How Issuer Callable Phoenix Works:
+                </div>
+                <ul style={{ margin: '0', paddingLeft: '1.5rem' }}>
+                  <li><strong>No Autocall Barrier:</strong> On each call date (callable rows of the schedule) the issuer decides whether to redeem at {structureParams?.issuerCallPrice || 100}%</li>
+                  <li><strong>Coupon:</strong> {structureParams?.couponRate || 6.0}% per period {structureParams?.fixedCoupon ? 'paid unconditionally' : `if the worst-of is at or above ${structureParams?.couponBarrier || 70}%`}</li>
+                  <li><strong>At Maturity (not called):</strong> 100% above the {structureParams?.protectionBarrierLevel || 60}% protection barrier, worst-of performance below</li>
+                  <li><strong>Call Detection:</strong> Calls are confirmed from PMS redemption operations on the call dates</li>
+                </ul>
+              </div>
+            </div>
+          </div>
+        );
+
+      case 'credit_linked_note': {
+        const referenceEntities = structureParams?.referenceEntities || [];
+        const updateEntity = (index, key, value) => {
+          const updated = referenceEntities.map((entity, i) => (i === index ? { ...entity, [key]: value } : entity));
+          onParamChange && onParamChange('referenceEntities', updated);
+        };
+        const parseOptionalNumber = (value) => {
+          const numValue = parseFloat(String(value).replace(',', '.'));
+          return isNaN(numValue) ? '' : numValue;
+        };
+
+        return (
+          <div>
+            <div style={commonStyle}>
+              <h4 style={{
+                margin: '0 0 20px 0',
+                color: 'var(--text-secondary)',
+                fontSize: '1.1rem',
+                fontWeight: '600',
+                borderBottom: '2px solid var(--accent-color)',
+                paddingBottom: '8px'
+              }}>🏛️ Credit Linked Note Configuration</h4>
+
+              {/* Essential Parameters */}
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: '1fr 1fr',
+                gap: '1.5rem',
+                marginBottom: '2rem'
+              }}>
+                {[
+                  { key: 'couponRate', label: 'Coupon Rate (% p.a.)', fallback: 5.0, help: 'Paid on the notional not written down by a credit event' },
+                  { key: 'recoveryRate', label: 'Default Recovery Rate (%)', fallback: 40, help: 'Used for reference entities without their own recovery assumption' }
+                ].map(field => (
+                  <div key={field.key} style={fieldContainerStyle}>
+                    <label style={labelStyle}>{field.label}</label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      defaultValue={structureParams?.[field.key] !== undefined ? structureParams[field.key] : field.fallback}
+                      style={numberInputStyle}
+                      onFocus={handleInputFocus}
+                      onBlur={(e) => {
+                        handleInputBlur(e);
+                        const value = e.target.value.replace(',', '.');
+                        const numValue = parseFloat(value);
+                        if (!isNaN(numValue)) {
+                          onParamChange && onParamChange(field.key, numValue);
+                        } else {
+                          e.target.value = structureParams?.[field.key] !== undefined ? structureParams[field.key] : field.fallback;
+                        }
+                      }}
+                    />
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '4px' }}>
+                      {field.help}
+                    </div>
+                  </div>
+                ))}
+
+                <div style={fieldContainerStyle}>
+                  <label style={labelStyle}>Coupon Frequency</label>
+                  <select
+                    value={structureParams?.couponFrequency || 'quarterly'}
+                    onChange={(e) => onParamChange && onParamChange('couponFrequency', e.target.value)}
+                    style={selectInputStyle}
+                  >
+                    <option value="monthly">Monthly</option>
+                    <option value="quarterly">Quarterly</option>
+                    <option value="semi-annual">Semi-Annual</option>
+                    <option value="annually">Annually</option>
+                  </select>
+                </div>
+              </div>
+
+              {/* Reference Entities */}
+              <div style={{
+                background: 'var(--bg-tertiary)',
+                border: '1px solid var(--border-color)',
+                borderRadius: '8px',
+                padding: '1.5rem',
+                marginBottom: '1rem'
+              }}>
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  marginBottom: '1rem'
+                }}>
+                  <h5 style={{
+                    margin: 0,
+                    color: 'var(--text-primary)',
+                    fontSize: '1rem',
+                    fontWeight: '600'
+                  }}>
+                    Reference Entities
+                  </h5>
+                  <button
+                    type="button"
+                    onClick={() => onParamChange && onParamChange('referenceEntities', [
+                      ...referenceEntities,
+                      { name: '', identifier: '', weight: '', recoveryRate: '', cdsSpread: '', seniority: 'senior_unsecured' }
+                    ])}
+                    style={{
+                      padding: '6px 14px',
+                      background: 'var(--accent-color)',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '6px',
+                      cursor: 'pointer',
+                      fontSize: '0.85rem',
+                      fontWeight: '600'
+                    }}
+                  >
+                    + Add Entity
+                  </button>
+                </div>
+
+                {referenceEntities.length === 0 ? (
+                  <div style={{ fontSize: '0.85rem', color: 'var(--text-muted)', padding: '0.5rem' }}>
+                    No reference entity yet. Add the issuer(s) whose credit the note is linked to.
+                  </div>
+                ) : (
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+                    <div style={{
+                      display: 'grid',
+                      gridTemplateColumns: '2fr 1.5fr 0.8fr 0.8fr 0.8fr 1.3fr 40px',
+                      gap: '0.5rem',
+                      fontSize: '0.75rem',
+                      fontWeight: '600',
+                      color: 'var(--text-muted)'
+                    }}>
+                      <span>Name</span>
+                      <span>Identifier (LEI / RED / ISIN)</span>
+                      <span>Weight (%)</span>
+                      <span>Recovery (%)</span>
+                      <span>CDS (bps)</span>
+                      <span>Seniority</span>
+                      <span></span>
+                    </div>
+                    {referenceEntities.map((entity, index) => (
+                      // Remount rows when the list length changes so uncontrolled inputs pick up shifted values
+                      <div key={`${index}-${referenceEntities.length}`} style={{
+                        display: 'grid',
+                        gridTemplateColumns: '2fr 1.5fr 0.8fr 0.8fr 0.8fr 1.3fr 40px',
+                        gap: '0.5rem',
+                        alignItems: 'center'
+                      }}>
+                        <input
+                          type="text"
+                          value={entity.name || ''}
+                          placeholder="e.g. Deutsche Bank AG"
+                          style={inputStyle}
+                          onFocus={handleInputFocus}
+                          onBlur={handleInputBlur}
+                          onChange={(e) => updateEntity(index, 'name', e.target.value)}
+                        />
+                        <input
+                          type="text"
+                          value={entity.identifier || ''}
+                          style={inputStyle}
+                          onFocus={handleInputFocus}
+                          onBlur={handleInputBlur}
+                          onChange={(e) => updateEntity(index, 'identifier', e.target.value)}
+                        />
+                        {['weight', 'recoveryRate', 'cdsSpread'].map(key => (
+                          <input
+                            key={key}
+                            type="text"
+                            inputMode="decimal"
+                            defaultValue={entity[key] ?? ''}
+                            placeholder={key === 'recoveryRate' ? String(structureParams?.recoveryRate ?? 40) : ''}
+                            style={inputStyle}
+                            onFocus={handleInputFocus}
+                            onBlur={(e) => {
+                              handleInputBlur(e);
+                              updateEntity(index, key, parseOptionalNumber(e.target.value));
+                            }}
+                          />
+                        ))}
+                        <select
+                          value={entity.seniority || 'senior_unsecured'}
+                          onChange={(e) => updateEntity(index, 'seniority', e.target.value)}
+                          style={{ ...selectStyle, width: '100%' }}
+                        >
+                          <option value="senior_unsecured">Senior Unsecured</option>
+                          <option value="senior_preferred">Senior Preferred</option>
+                          <option value="senior_non_preferred">Senior Non-Preferred</option>
+                          <option value="subordinated">Subordinated</option>
+                        </select>
+                        <button
+                          type="button"
+                          title="Remove entity"
+                          onClick={() => onParamChange && onParamChange(
+                            'referenceEntities',
+                            referenceEntities.filter((_, i) => i !== index)
+                          )}
+                          style={{
+                            height: '40px',
+                            background: 'transparent',
+                            color: '#ef4444',
+                            border: '1px solid var(--border-color)',
+                            borderRadius: '6px',
+                            cursor: 'pointer'
+                          }}
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    ))}
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                      Weights are normalised to 100% of notional (equal split if left empty). Leave recovery empty to use the default rate.
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Manual Market Price */}
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: '1fr 1fr',
+                gap: '1.5rem',
+                marginBottom: '1rem'
+              }}>
+                <div style={fieldContainerStyle}>
+                  <label style={labelStyle}>Manual Price (% of notional)</label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    defaultValue={structureParams?.manualPrice ?? ''}
+                    style={numberInputStyle}
+                    onFocus={handleInputFocus}
+                    onBlur={(e) => {
+                      handleInputBlur(e);
+                      onParamChange && onParamChange('manualPrice', parseOptionalNumber(e.target.value));
+                    }}
+                  />
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '4px' }}>
+                    Used when no price is available in Product Prices for this ISIN
+                  </div>
+                </div>
+                <div style={fieldContainerStyle}>
+                  <label style={labelStyle}>Manual Price Date</label>
+                  <input
+                    type="date"
+                    value={structureParams?.manualPriceDate || ''}
+                    style={selectInputStyle}
+                    onChange={(e) => onParamChange && onParamChange('manualPriceDate', e.target.value)}
+                  />
+                </div>
+              </div>
+
+              <div style={{
+                padding: '1rem',
+                background: 'var(--bg-tertiary)',
+                borderRadius: '8px',
+                fontSize: '0.85rem',
+                color: 'var(--text-secondary)',
+                lineHeight: '1.5'
+              }}>
+                <div style={{ fontWeight: '600', marginBottom: '0.5rem', color: 'var(--text-primary)' }}>
+                  ℹ️ How Credit Linked Notes Work:
+                </div>
+                <ul style={{ margin: '0', paddingLeft: '1.5rem' }}>
+                  <li><strong>Coupon:</strong> {structureParams?.couponRate || 5.0}% p.a. paid {structureParams?.couponFrequency || 'quarterly'} on the notional still outstanding</li>
+                  <li><strong>No Credit Event:</strong> 100% redemption at maturity</li>
+                  <li><strong>Credit Event:</strong> The entity's share of notional stops earning coupon and redeems at its recovery rate (auction price once known)</li>
+                  <li><strong>Credit Events:</strong> Recorded by an admin from the product report</li>
+                </ul>
+              </div>
+            </div>
+          </div>
+        );
+      }
+
       case 'shark_note':
         return (
           <div>
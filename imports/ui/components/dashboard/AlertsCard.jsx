@@ -73,6 +73,13 @@ const AlertsCard = ({ alerts, onAlertClick }) => {
             <path d="M16 3.13a4 4 0 0 1 0 7.75" />
           </svg>
         );
+      case 'risk_breach':
+        return (
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <polyline points="23 18 13.5 8.5 8.5 13.5 1 6" />
+            <polyline points="17 18 23 18 23 12" />
+          </svg>
+        );
       case 'unknown_products':
         return (
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -0,0 +1,770 @@
+import React, { useState } from 'react';
+import { Meteor } from 'meteor/meteor';
+import StructuredProductChart from '../components/StructuredProductChart.jsx';
+import { USER_ROLES } from '/imports/api/users';
+import { useDialog } from '../useDialog';
+import Dialog from '../Dialog.jsx';
+
+/**
+ * Credit Linked Note Report Component
+ *
+ * Displays evaluation results for Credit Linked Notes: reference entity status,
+ * recorded credit events, coupon schedule on the outstanding notional,
+ * redemption after write-downs and market value.
+ * Admins can record or remove credit events from this screen.
+ *
+ * CSS Styling Reference: IssuerCallablePhoenixReport.jsx
+ */
+const CreditLinkedNoteReport = ({ results, productId, product, user }) => {
+  // State for admin credit event management
+  const [isRecording, setIsRecording] = useState(false);
+  const [entityName, setEntityName] = useState('');
+  const [eventType, setEventType] = useState('bankruptcy');
+  const [eventDate, setEventDate] = useState('');
+  const [finalRecoveryRate, setFinalRecoveryRate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState('');
+
+  // Dialog for confirmation
+  const { dialogState, hideDialog, showConfirm } = useDialog();
+
+  // Check if user is admin or superadmin
+  const isAdmin = user && (user.role === USER_ROLES.ADMIN || user.role === USER_ROLES.SUPERADMIN);
+
+  if (!results) {
+    return (
+      <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-muted)' }}>
+        No report data available
+      </div>
+    );
+  }
+
+  const structure = results.clnStructure || {};
+  const status = results.currentStatus || {};
+  const timeline = results.timeline || {};
+  const entities = results.referenceEntities || [];
+  const creditEvents = results.creditEvents || [];
+  const observationAnalysis = results.observationAnalysis || {};
+  const observations = observationAnalysis.observations || [];
+  const redemption = results.redemption || {};
+  const marketValue = results.marketValue;
+
+  const eventTypeLabels = {
+    bankruptcy: 'Bankruptcy',
+    failure_to_pay: 'Failure to Pay',
+    restructuring: 'Restructuring',
+    repudiation_moratorium: 'Repudiation / Moratorium',
+    obligation_acceleration: 'Obligation Acceleration',
+    governmental_intervention: 'Governmental Intervention'
+  };
+
+  const seniorityLabels = {
+    senior_unsecured: 'Senior Unsecured',
+    senior_preferred: 'Senior Preferred',
+    senior_non_preferred: 'Senior Non-Preferred',
+    subordinated: 'Subordinated'
+  };
+
+  // Entities without a recorded event are the only valid targets
+  const recordedEntityNames = creditEvents.map(e => e.entityName);
+  const availableEntities = entities.filter(e => !recordedEntityNames.includes(e.name));
+
+  const resetForm = () => {
+    setEntityName('');
+    setEventType('bankruptcy');
+    setEventDate('');
+    setFinalRecoveryRate('');
+    setNotes('');
+    setIsRecording(false);
+  };
+
+  const callWithSession = async (method, ...args) => {
+    // Get sessionId from localStorage for authentication
+    const sessionId = localStorage.getItem('sessionId');
+    if (!sessionId) {
+      throw new Error('Not logged in - please refresh the page');
+    }
+    return Meteor.callAsync(method, productId, ...args, sessionId);
+  };
+
+  // Handler for recording a credit event (with confirmation)
+  const handleRecordEvent = async () => {
+    if (!entityName || !eventDate) {
+      setSaveMessage('✗ Error: Reference entity and event date are required');
+      return;
+    }
+
+    const formattedDate = new Date(eventDate).toLocaleDateString('en-US', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric'
+    });
+
+    const confirmed = await showConfirm(
+      `Record a ${eventTypeLabels[eventType]} credit event for ${entityName} on ${formattedDate}?\n\nThe entity's share of notional will be written down to its recovery rate${finalRecoveryRate ? ` (${finalRecoveryRate}%)` : ''}.`,
+      null,
+      'Confirm Credit Event'
+    );
+    if (!confirmed) return;
+
+    setIsSaving(true);
+    setSaveMessage('');
+    try {
+      const result = await callWithSession('products.recordCreditEvent', {
+        entityName,
+        eventType,
+        eventDate,
+        finalRecoveryRate: finalRecoveryRate !== '' ? parseFloat(finalRecoveryRate.replace(',', '.')) : null,
+        notes: notes || null
+      });
+
+      // The method re-evaluates the product; the report subscription shows the new evaluation
+      setSaveMessage(result.reportId
+        ? '✓ Credit event recorded and report updated'
+        : '✓ Credit event recorded - re-evaluate the product to update the report');
+      resetForm();
+    } catch (error) {
+      setSaveMessage(`✗ Error: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Handler for removing a recorded credit event (with confirmation)
+  const handleRemoveEvent = async (event) => {
+    const confirmed = await showConfirm(
+      `Remove the ${event.eventTypeLabel} credit event recorded for ${event.entityName}?\n\nThe entity will be treated as performing again.`,
+      null,
+      'Confirm Removal'
+    );
+    if (!confirmed) return;
+
+    setIsSaving(true);
+    setSaveMessage('');
+    try {
+      const result = await callWithSession('products.removeCreditEvent', event._id);
+      setSaveMessage(result.reportId
+        ? '✓ Credit event removed and report updated'
+        : '✓ Credit event removed - re-evaluate the product to update the report');
+    } catch (error) {
+      setSaveMessage(`✗ Error: ${error.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const cardStyle = {
+    background: 'rgba(255, 255, 255, 0.15)',
+    padding: '1.25rem',
+    borderRadius: '6px',
+    border: '1px solid rgba(255, 255, 255, 0.2)'
+  };
+
+  const cardLabelStyle = {
+    fontSize: '0.7rem',
+    color: 'rgba(255, 255, 255, 0.85)',
+    textTransform: 'uppercase',
+    marginBottom: '0.75rem',
+    fontWeight: '700',
+    letterSpacing: '0.5px'
+  };
+
+  const cardValueStyle = {
+    fontSize: '1.8rem',
+    fontWeight: '700',
+    color: 'white',
+    marginBottom: '0.5rem',
+    fontFamily: 'monospace'
+  };
+
+  const sectionStyle = {
+    background: 'var(--bg-secondary)',
+    padding: '1.5rem',
+    borderRadius: '6px',
+    marginBottom: '1.5rem'
+  };
+
+  const sectionTitleStyle = {
+    margin: '0 0 1rem 0',
+    fontSize: '1rem',
+    color: 'var(--text-primary)',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.5rem'
+  };
+
+  const headerCellStyle = {
+    padding: '0.6rem',
+    textAlign: 'left',
+    fontSize: '0.7rem',
+    color: 'var(--text-secondary)',
+    textTransform: 'uppercase',
+    fontWeight: '600',
+    borderBottom: '1px solid var(--border-color)'
+  };
+
+  const cellStyle = {
+    padding: '0.6rem',
+    fontSize: '0.85rem',
+    borderBottom: '1px solid var(--border-color)',
+    fontFamily: 'monospace'
+  };
+
+  const inputStyle = {
+    padding: '0.6rem',
+    border: '1px solid var(--border-color)',
+    borderRadius: '6px',
+    background: 'var(--bg-secondary)',
+    color: 'var(--text-primary)',
+    fontSize: '0.9rem',
+    width: '100%',
+    boxSizing: 'border-box'
+  };
+
+  const formLabelStyle = {
+    display: 'block',
+    fontSize: '0.8rem',
+    fontWeight: '600',
+    color: 'var(--text-secondary)',
+    marginBottom: '0.35rem'
+  };
+
+  const hasCreditEvent = redemption.hasCreditEvent;
+
+  return (
+    <div style={{
+      marginTop: '1rem',
+      padding: '1rem',
+      background: 'var(--bg-primary)',
+      borderRadius: '6px'
+    }}>
+      <div style={{
+        fontSize: '0.9rem',
+        fontWeight: '600',
+        color: 'var(--text-primary)',
+        marginBottom: '1rem',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        🏛️ Credit Linked Note Evaluation Results
+      </div>
+
+      {/* Product Structure Summary */}
+      <div style={{
+        background: hasCreditEvent
+          ? 'linear-gradient(135deg, #991b1b 0%, #7f1d1d 100%)'
+          : 'linear-gradient(135deg, #1e40af 0%, #1e3a8a 100%)',
+        padding: '1.5rem',
+        borderRadius: '8px',
+        marginBottom: '1.5rem',
+        border: hasCreditEvent ? '2px solid #ef4444' : '2px solid #3b82f6',
+        boxShadow: hasCreditEvent ? '0 8px 24px rgba(239, 68, 68, 0.3)' : '0 8px 24px rgba(59, 130, 246, 0.3)'
+      }}>
+        <h4 style={{
+          margin: '0 0 1rem 0',
+          fontSize: '1.1rem',
+          color: 'white',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          fontWeight: '700'
+        }}>
+          📋 Product Structure
+        </h4>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+          gap: '1rem'
+        }}>
+          <div style={cardStyle}>
+            <div style={cardLabelStyle}>💵 Coupon</div>
+            <div style={{ ...cardValueStyle, color: '#10b981' }}>{structure.couponRateFormatted}</div>
+            <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.75)' }}>
+              p.a. • {structure.couponFrequency} on outstanding notional
+            </div>
+          </div>
+
+          <div style={cardStyle}>
+            <div style={cardLabelStyle}>🏛️ Reference Entities</div>
+            <div style={cardValueStyle}>{structure.entityCount}</div>
+            <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.75)' }}>
+              {structure.defaultedCount > 0
+                ? `${structure.defaultedCount} with credit event`
+                : 'No credit event'}
+            </div>
+          </div>
+
+          <div style={cardStyle}>
+            <div style={cardLabelStyle}>📉 Outstanding Notional</div>
+            <div style={cardValueStyle}>{structure.outstandingNotionalFormatted}</div>
+            <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.75)' }}>
+              Default recovery {structure.recoveryRateFormatted}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Timeline */}
+      <div style={sectionStyle}>
+        <h4 style={sectionTitleStyle}>🗓️ Timeline</h4>
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(3, 1fr)',
+          gap: '1rem'
+        }}>
+          {[
+            { label: 'Trade Date', date: timeline.tradeDateFormatted },
+            {
+              label: 'Next Coupon',
+              date: observationAnalysis.nextCouponDateFormatted || 'None',
+              sub: observationAnalysis.nextCouponAmountFormatted
+            },
+            { label: 'Maturity', date: timeline.maturityDateFormatted, sub: status.daysToMaturityText }
+          ].map(milestone => (
+            <div key={milestone.label} style={{
+              background: 'var(--bg-primary)',
+              border: '1px solid var(--border-color)',
+              padding: '0.85rem',
+              borderRadius: '6px',
+              textAlign: 'center'
+            }}>
+              <div style={{
+                fontSize: '0.7rem',
+                color: 'var(--text-secondary)',
+                textTransform: 'uppercase',
+                marginBottom: '0.5rem',
+                fontWeight: '600',
+                letterSpacing: '0.5px'
+              }}>
+                {milestone.label}
+              </div>
+              <div style={{
+                fontSize: '1.05rem',
+                fontWeight: '700',
+                color: 'var(--text-secondary)',
+                fontFamily: 'monospace'
+              }}>
+                {milestone.date}
+              </div>
+              {milestone.sub && (
+                <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: '0.35rem' }}>
+                  {milestone.sub}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Redemption & Market Value */}
+      <div style={sectionStyle}>
+        <h4 style={sectionTitleStyle}>
+          {status.hasMatured ? '🏁 Final Redemption' : '🔮 Redemption at Maturity'}
+          <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', fontWeight: '400' }}>
+            ({redemption.capitalExplanation})
+          </span>
+        </h4>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+          gap: '1rem'
+        }}>
+          {[
+            { label: 'Redemption', value: redemption.totalValueFormatted, highlight: true },
+            { label: 'Credit Loss', value: redemption.lossAmountFormatted, negative: redemption.lossAmount > 0 },
+            { label: 'Coupons Earned', value: observationAnalysis.totalCouponsEarnedFormatted },
+            { label: 'CDS-Implied Redemption', value: redemption.expectedRedemptionFormatted },
+            {
+              label: marketValue ? `Market Price (${marketValue.sourceLabel})` : 'Market Price',
+              value: marketValue ? marketValue.priceFormatted : 'N/A',
+              sub: marketValue?.priceDateFormatted
+            }
+          ].map(tile => (
+            <div key={tile.label} style={{
+              background: tile.highlight ? 'rgba(16, 185, 129, 0.1)' : 'var(--bg-primary)',
+              border: tile.highlight ? '1px solid rgba(16, 185, 129, 0.3)' : 'none',
+              padding: '0.85rem',
+              borderRadius: '6px',
+              textAlign: 'center'
+            }}>
+              <div style={{
+                fontSize: '0.7rem',
+                color: 'var(--text-secondary)',
+                textTransform: 'uppercase',
+                marginBottom: '0.5rem',
+                fontWeight: '600',
+                letterSpacing: '0.5px'
+              }}>
+                {tile.label}
+              </div>
+              <div style={{
+                fontSize: '1.2rem',
+                fontWeight: '700',
+                color: tile.highlight ? '#10b981' : (tile.negative ? '#ef4444' : 'var(--text-primary)'),
+                fontFamily: 'monospace'
+              }}>
+                {tile.value}
+              </div>
+              {tile.sub && (
+                <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: '0.35rem' }}>
+                  {tile.sub}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.75rem' }}>
+          {redemption.formula}
+          {marketValue && ` • Total return since issue: ${marketValue.totalReturnFormatted}`}
+        </div>
+      </div>
+
+      {/* Reference Entities */}
+      {entities.length > 0 && (
+        <div style={{ ...sectionStyle, overflowX: 'auto' }}>
+          <h4 style={sectionTitleStyle}>🏛️ Reference Entities</h4>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={headerCellStyle}>Entity</th>
+                <th style={headerCellStyle}>Seniority</th>
+                <th style={headerCellStyle}>Weight</th>
+                <th style={headerCellStyle}>Recovery</th>
+                <th style={headerCellStyle}>CDS</th>
+                <th style={headerCellStyle}>Status</th>
+                <th style={headerCellStyle}>Redemption</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entities.map(entity => (
+                <tr key={entity.name} style={{
+                  background: entity.isDefaulted ? 'rgba(239, 68, 68, 0.08)' : 'transparent'
+                }}>
+                  <td style={{ ...cellStyle, fontFamily: 'inherit' }}>
+                    <div style={{ fontWeight: '600', color: 'var(--text-primary)' }}>{entity.name}</div>
+                    {entity.identifier && (
+                      <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>{entity.identifier}</div>
+                    )}
+                  </td>
+                  <td style={{ ...cellStyle, fontFamily: 'inherit' }}>{seniorityLabels[entity.seniority] || entity.seniority}</td>
+                  <td style={cellStyle}>{entity.weightFormatted}</td>
+                  <td style={cellStyle}>
+                    {entity.recoveryRateFormatted}
+                    {entity.recoveryIsFinal && (
+                      <span title="Auction final price" style={{ marginLeft: '0.35rem' }}>✓</span>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{entity.cdsSpreadFormatted}</td>
+                  <td style={{
+                    ...cellStyle,
+                    fontFamily: 'inherit',
+                    color: entity.isDefaulted ? '#ef4444' : '#10b981',
+                    fontWeight: '600'
+                  }}>
+                    {entity.isDefaulted ? `⚠️ ${entity.statusText}` : '✅ Performing'}
+                  </td>
+                  <td style={cellStyle}>{entity.redemptionContribution.toFixed(2)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Credit Events */}
+      {creditEvents.length > 0 && (
+        <div style={sectionStyle}>
+          <h4 style={sectionTitleStyle}>⚠️ Credit Events</h4>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+            {creditEvents.map(event => (
+              <div key={event._id || `${event.entityName}-${event.eventDate}`} style={{
+                background: 'var(--bg-primary)',
+                border: '1px solid rgba(239, 68, 68, 0.3)',
+                borderLeft: '4px solid #ef4444',
+                padding: '0.85rem 1rem',
+                borderRadius: '6px',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '1rem'
+              }}>
+                <div>
+                  <div style={{ fontWeight: '600', color: 'var(--text-primary)', fontSize: '0.9rem' }}>
+                    {event.entityName} — {event.eventTypeLabel}
+                  </div>
+                  <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.25rem' }}>
+                    {event.eventDateFormatted}
+                    {event.finalRecoveryRateFormatted && ` • Final recovery ${event.finalRecoveryRateFormatted}`}
+                    {event.recordedBy && ` • Recorded by ${event.recordedBy}`}
+                  </div>
+                  {event.notes && (
+                    <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '0.35rem' }}>
+                      {event.notes}
+                    </div>
+                  )}
+                </div>
+                {isAdmin && event._id && (
+                  <button
+                    onClick={() => handleRemoveEvent(event)}
+                    disabled={isSaving}
+                    style={{
+                      padding: '0.4rem 0.8rem',
+                      background: 'transparent',
+                      color: '#ef4444',
+                      border: '1px solid #ef4444',
+                      borderRadius: '6px',
+                      fontSize: '0.8rem',
+                      cursor: isSaving ? 'not-allowed' : 'pointer'
+                    }}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Coupon Schedule */}
+      {observations.length > 0 && (
+        <div style={{ ...sectionStyle, overflowX: 'auto' }}>
+          <h4 style={sectionTitleStyle}>
+            📅 Coupon Schedule
+            <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', fontWeight: '400' }}>
+              Coupons earned: {observationAnalysis.totalCouponsEarnedFormatted}
+            </span>
+          </h4>
+
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={headerCellStyle}>Payment Date</th>
+                <th style={headerCellStyle}>Outstanding Notional</th>
+                <th style={headerCellStyle}>Coupon</th>
+                <th style={headerCellStyle}>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {observations.map((observation, index) => (
+                <tr key={observation.paymentDate || index} style={{
+                  color: observation.status === 'upcoming' ? 'var(--text-muted)' : 'var(--text-primary)',
+                  background: observation.writtenDown ? 'rgba(239, 68, 68, 0.05)' : 'transparent'
+                }}>
+                  <td style={cellStyle}>{observation.paymentDateFormatted}</td>
+                  <td style={cellStyle}>{observation.outstandingNotionalFormatted}</td>
+                  <td style={cellStyle}>
+                    {observation.couponAmountFormatted}
+                    {observation.paymentConfirmed && (
+                      <span title="Confirmed by PMS operation" style={{ marginLeft: '0.35rem' }}>✓</span>
+                    )}
+                  </td>
+                  <td style={{ ...cellStyle, fontFamily: 'inherit' }}>
+                    {observation.status === 'upcoming' ? 'Upcoming'
+                      : observation.isFinal ? '🏁 Matured'
+                      : observation.isPastDue ? '⏳ Not confirmed'
+                      : '✅ Paid'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Performance Chart */}
+      {productId && (
+        <div style={sectionStyle}>
+          <h4 style={sectionTitleStyle}>
+            📈 Price & Credit Evolution
+          </h4>
+          <StructuredProductChart productId={productId} height="450px" />
+        </div>
+      )}
+
+      {/* Admin Only: Credit Event Management */}
+      {isAdmin && (
+        <div style={{
+          background: 'var(--bg-secondary)',
+          padding: '1.5rem',
+          borderRadius: '6px',
+          marginTop: '1.5rem',
+          marginBottom: '1.5rem',
+          border: '2px dashed rgba(99, 102, 241, 0.3)'
+        }}>
+          <h4 style={{
+            margin: '0 0 1rem 0',
+            fontSize: '1rem',
+            color: 'var(--text-primary)',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            🔧 Admin: Record Credit Event
+            <span style={{
+              fontSize: '0.7rem',
+              padding: '4px 8px',
+              background: 'rgba(99, 102, 241, 0.2)',
+              borderRadius: '4px',
+              color: '#6366f1',
+              fontWeight: '600'
+            }}>
+              ADMIN ONLY
+            </span>
+          </h4>
+
+          {!isRecording ? (
+            <button
+              onClick={() => setIsRecording(true)}
+              disabled={availableEntities.length === 0}
+              style={{
+                padding: '0.75rem 1.5rem',
+                background: 'linear-gradient(135deg, #6366f1 0%, #4f46e5 100%)',
+                color: 'white',
+                border: 'none',
+                borderRadius: '6px',
+                fontSize: '0.9rem',
+                fontWeight: '600',
+                cursor: availableEntities.length === 0 ? 'not-allowed' : 'pointer',
+                opacity: availableEntities.length === 0 ? 0.5 : 1,
+                boxShadow: '0 4px 12px rgba(99, 102, 241, 0.3)'
+              }}
+            >
+              ➕ Record Credit Event
+            </button>
+          ) : (
+            <div style={{
+              padding: '1.5rem',
+              background: 'var(--bg-primary)',
+              borderRadius: '8px',
+              border: '1px solid var(--border-color)'
+            }}>
+              <div style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+                gap: '1rem',
+                marginBottom: '1rem'
+              }}>
+                <div>
+                  <label style={formLabelStyle}>Reference Entity</label>
+                  <select value={entityName} onChange={(e) => setEntityName(e.target.value)} style={inputStyle}>
+                    <option value="">Select...</option>
+                    {availableEntities.map(entity => (
+                      <option key={entity.name} value={entity.name}>{entity.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label style={formLabelStyle}>Event Type</label>
+                  <select value={eventType} onChange={(e) => setEventType(e.target.value)} style={inputStyle}>
+                    {Object.entries(eventTypeLabels).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label style={formLabelStyle}>Event Date</label>
+                  <input type="date" value={eventDate} onChange={(e) => setEventDate(e.target.value)} style={inputStyle} />
+                </div>
+                <div>
+                  <label style={formLabelStyle}>Final Recovery (%) — optional</label>
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    value={finalRecoveryRate}
+                    placeholder="Auction final price"
+                    onChange={(e) => setFinalRecoveryRate(e.target.value)}
+                    style={inputStyle}
+                  />
+                </div>
+              </div>
+
+              <div style={{ marginBottom: '1rem' }}>
+                <label style={formLabelStyle}>Notes</label>
+                <input
+                  type="text"
+                  value={notes}
+                  placeholder="e.g. ISDA DC determination reference"
+                  onChange={(e) => setNotes(e.target.value)}
+                  style={inputStyle}
+                />
+              </div>
+
+              <div style={{ display: 'flex', gap: '0.75rem' }}>
+                <button
+                  onClick={handleRecordEvent}
+                  disabled={isSaving}
+                  style={{
+                    padding: '0.75rem 1.5rem',
+                    background: '#ef4444',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '6px',
+                    fontSize: '0.9rem',
+                    fontWeight: '600',
+                    cursor: isSaving ? 'not-allowed' : 'pointer',
+                    opacity: isSaving ? 0.6 : 1
+                  }}
+                >
+                  {isSaving ? 'Saving...' : 'Record Event'}
+                </button>
+                <button
+                  onClick={resetForm}
+                  disabled={isSaving}
+                  style={{
+                    padding: '0.75rem 1.5rem',
+                    background: 'var(--bg-secondary)',
+                    color: 'var(--text-primary)',
+                    border: '1px solid var(--border-color)',
+                    borderRadius: '6px',
+                    fontSize: '0.9rem',
+                    fontWeight: '600',
+                    cursor: 'pointer'
+                  }}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
+
+          {saveMessage && (
+            <div style={{
+              marginTop: '1rem',
+              padding: '0.75rem',
+              borderRadius: '6px',
+              fontSize: '0.85rem',
+              background: saveMessage.startsWith('✓') ? 'rgba(16, 185, 129, 0.1)' : 'rgba(239, 68, 68, 0.1)',
+              color: saveMessage.startsWith('✓') ? '#10b981' : '#ef4444'
+            }}>
+              {saveMessage}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Confirmation Dialog */}
+      <Dialog
+        isOpen={dialogState.isOpen}
+        onClose={hideDialog}
+        title={dialogState.title}
+        message={dialogState.message}
+        type={dialogState.type}
+        onConfirm={dialogState.onConfirm}
+        onCancel={dialogState.onCancel}
+        confirmText={dialogState.confirmText}
+        cancelText={dialogState.cancelText}
+        showCancel={dialogState.showCancel}
+      >
+        {dialogState.children}
+      </Dialog>
+    </div>
+  );
+};
+
+export default CreditLinkedNoteReport;
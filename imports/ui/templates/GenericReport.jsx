@@ -0,0 +1,449 @@
+import React from 'react';
+import StructuredProductChart from '../components/StructuredProductChart.jsx';
+import CopyableISIN from '../components/CopyableISIN.jsx';
+import PriceSparkline from '../components/PriceSparkline.jsx';
+
+/**
+ * Generic Report Component
+ *
+ * Displays evaluation results for products without a dedicated template
+ * (range accruals, twin-wins, airbag notes...). Everything shown comes from the
+ * GenericEvaluator's interpretation of the drag-and-drop payoff structure.
+ *
+ * CSS Styling Reference: PhoenixReport.jsx
+ */
+const GenericReport = ({ results, productId }) => {
+  const structure = results.genericStructure || {};
+  const status = results.currentStatus || {};
+  const underlyings = results.underlyings || [];
+  const basketPerformance = results.basketPerformance || {};
+  const observationAnalysis = results.observationAnalysis || {};
+  const observations = observationAnalysis.observations || [];
+  const redemption = results.redemption;
+  const warnings = results.evaluationWarnings || [];
+
+  const redemptionTitles = {
+    autocalled: '🎯 Early Redemption',
+    matured: '🏁 Final Redemption',
+    indicative: '🔮 Indicative Value at Maturity'
+  };
+
+  const statusColors = {
+    past: 'var(--text-primary)',
+    future: 'var(--text-muted)',
+    cancelled: 'var(--text-muted)',
+    missing_data: '#f59e0b'
+  };
+
+  const cardStyle = {
+    background: 'rgba(255, 255, 255, 0.15)',
+    padding: '1.25rem',
+    borderRadius: '6px',
+    border: '1px solid rgba(255, 255, 255, 0.2)'
+  };
+
+  const cardLabelStyle = {
+    fontSize: '0.7rem',
+    color: 'rgba(255, 255, 255, 0.85)',
+    textTransform: 'uppercase',
+    marginBottom: '0.75rem',
+    fontWeight: '700',
+    letterSpacing: '0.5px'
+  };
+
+  const cardValueStyle = {
+    fontSize: '1.8rem',
+    fontWeight: '700',
+    color: 'white',
+    marginBottom: '0.5rem',
+    fontFamily: 'monospace'
+  };
+
+  const headerCellStyle = {
+    padding: '0.6rem',
+    textAlign: 'left',
+    fontSize: '0.7rem',
+    color: 'var(--text-secondary)',
+    textTransform: 'uppercase',
+    fontWeight: '600',
+    borderBottom: '1px solid var(--border-color)'
+  };
+
+  const cellStyle = {
+    padding: '0.6rem',
+    fontSize: '0.85rem',
+    borderBottom: '1px solid var(--border-color)',
+    fontFamily: 'monospace'
+  };
+
+  return (
+    <div style={{
+      marginTop: '1rem',
+      padding: '1rem',
+      background: 'var(--bg-primary)',
+      borderRadius: '6px'
+    }}>
+      <div style={{
+        fontSize: '0.9rem',
+        fontWeight: '600',
+        color: 'var(--text-primary)',
+        marginBottom: '1rem',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        🧩 Payoff Structure Evaluation Results
+      </div>
+
+      {/* Product Structure Summary */}
+      <div style={{
+        background: 'linear-gradient(135deg, #0f766e 0%, #115e59 100%)',
+        padding: '1.5rem',
+        borderRadius: '8px',
+        marginBottom: '1.5rem',
+        border: '2px solid #14b8a6',
+        boxShadow: '0 8px 24px rgba(20, 184, 166, 0.3)'
+      }}>
+        <h4 style={{
+          margin: '0 0 1rem 0',
+          fontSize: '1.1rem',
+          color: 'white',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          fontWeight: '700'
+        }}>
+          📋 Product Structure
+        </h4>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+          gap: '1rem'
+        }}>
+          <div style={cardStyle}>
+            <div style={cardLabelStyle}>🧺 Basket</div>
+            <div style={cardValueStyle}>{structure.basketTypeLabel || 'Worst-of'}</div>
+            <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.75)' }}>
+              Current: {basketPerformance.currentFormatted}
+            </div>
+          </div>
+
+          {structure.couponRateFormatted && (
+            <div style={cardStyle}>
+              <div style={cardLabelStyle}>💵 Coupon</div>
+              <div style={{ ...cardValueStyle, color: '#10b981' }}>{structure.couponRateFormatted}</div>
+              <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.75)' }}>
+                Paid so far: {observationAnalysis.totalCouponsPaidFormatted}
+              </div>
+            </div>
+          )}
+
+          {(structure.barriers || []).map((barrier, index) => (
+            <div key={barrier.id || index} style={cardStyle}>
+              <div style={cardLabelStyle}>🛡️ {barrier.label}</div>
+              <div style={cardValueStyle}>{barrier.levelFormatted}</div>
+              <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.75)' }}>
+                {barrier.stepDown
+                  ? `Steps down ${barrier.stepDownAmount}% per observation`
+                  : `${barrier.section === 'maturity' ? 'Observed at maturity' : 'Observed during life'}`}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Redemption */}
+      {redemption && (
+        <div style={{
+          background: 'var(--bg-secondary)',
+          padding: '1.5rem',
+          borderRadius: '6px',
+          marginBottom: '1.5rem'
+        }}>
+          <h4 style={{
+            margin: '0 0 1rem 0',
+            fontSize: '1rem',
+            color: 'var(--text-primary)',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            {redemptionTitles[redemption.type] || '💰 Redemption'}
+            {redemption.dateFormatted && (
+              <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', fontWeight: '400' }}>
+                ({redemption.dateFormatted})
+              </span>
+            )}
+          </h4>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+            gap: '1rem'
+          }}>
+            {[
+              { label: 'Capital', value: redemption.capitalFormatted },
+              { label: 'Coupons', value: redemption.couponsFormatted },
+              { label: 'Total', value: redemption.totalValueFormatted, highlight: true }
+            ].map(tile => (
+              <div key={tile.label} style={{
+                background: tile.highlight ? 'rgba(16, 185, 129, 0.1)' : 'var(--bg-primary)',
+                border: tile.highlight ? '1px solid rgba(16, 185, 129, 0.3)' : 'none',
+                padding: '0.85rem',
+                borderRadius: '6px',
+                textAlign: 'center'
+              }}>
+                <div style={{
+                  fontSize: '0.7rem',
+                  color: 'var(--text-secondary)',
+                  textTransform: 'uppercase',
+                  marginBottom: '0.5rem',
+                  fontWeight: '600',
+                  letterSpacing: '0.5px'
+                }}>
+                  {tile.label}
+                </div>
+                <div style={{
+                  fontSize: '1.2rem',
+                  fontWeight: '700',
+                  color: tile.highlight ? '#10b981' : 'var(--text-primary)',
+                  fontFamily: 'monospace'
+                }}>
+                  {tile.value}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {redemption.type === 'indicative' && (
+            <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.75rem' }}>
+              Maturity rules applied to today's levels, including coupons already paid. Not a price.
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Underlying Assets */}
+      {underlyings.length > 0 && (
+        <div style={{
+          background: 'var(--bg-secondary)',
+          padding: '1.5rem',
+          borderRadius: '6px',
+          marginBottom: '1.5rem'
+        }}>
+          <h4 style={{
+            margin: '0 0 1rem 0',
+            fontSize: '1rem',
+            color: 'var(--text-primary)',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            📊 Underlying Assets Performance
+          </h4>
+
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={headerCellStyle}>Underlying</th>
+                <th style={headerCellStyle}>Initial Level</th>
+                <th style={headerCellStyle}>Current Level</th>
+                <th style={headerCellStyle}>Performance</th>
+                <th style={headerCellStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {underlyings.map((underlying, index) => (
+                <tr key={underlying.ticker || index}>
+                  <td style={{ ...cellStyle, color: 'var(--text-primary)' }}>
+                    <div style={{ fontWeight: '700' }}>{underlying.ticker}</div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', fontFamily: 'inherit' }}>
+                      {underlying.name}
+                      {underlying.isin && (
+                        <> • <CopyableISIN isin={underlying.isin} prefix="ISIN: " /></>
+                      )}
+                    </div>
+                  </td>
+                  <td style={{ ...cellStyle, color: 'var(--text-primary)' }}>{underlying.initialPriceFormatted}</td>
+                  <td style={{ ...cellStyle, color: 'var(--text-primary)' }}>
+                    {underlying.currentPriceFormatted}
+                    {underlying.priceDateFormatted && (
+                      <div style={{ fontSize: '0.65rem', color: 'var(--text-muted)' }}>{underlying.priceDateFormatted}</div>
+                    )}
+                  </td>
+                  <td style={{ ...cellStyle, color: underlying.isPositive ? '#10b981' : '#ef4444', fontWeight: '700' }}>
+                    {underlying.performanceFormatted}
+                  </td>
+                  <td style={cellStyle}>
+                    {underlying.sparklineData?.hasData && (
+                      <PriceSparkline
+                        sparklineData={underlying.sparklineData}
+                        ticker={underlying.ticker}
+                        initialPrice={underlying.initialPrice}
+                        currency={underlying.currency}
+                        isPositive={underlying.isPositive}
+                      />
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Observation Schedule */}
+      {observations.length > 0 && (
+        <div style={{
+          background: 'var(--bg-secondary)',
+          padding: '1.5rem',
+          borderRadius: '6px',
+          marginBottom: '1.5rem',
+          overflowX: 'auto'
+        }}>
+          <h4 style={{
+            margin: '0 0 1rem 0',
+            fontSize: '1rem',
+            color: 'var(--text-primary)',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            📅 Observation Schedule
+            <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', fontWeight: '400' }}>
+              {observationAnalysis.pastObservations}/{observationAnalysis.totalObservations} observed
+              {observationAnalysis.memoryBalance > 0 && ` • Memory: ${observationAnalysis.memoryBalanceFormatted}`}
+            </span>
+          </h4>
+
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={headerCellStyle}>Observation</th>
+                <th style={headerCellStyle}>Autocall Level</th>
+                <th style={headerCellStyle}>Coupon Barrier</th>
+                <th style={headerCellStyle}>{structure.basketTypeLabel || 'Basket'} Level</th>
+                <th style={headerCellStyle}>Payments</th>
+                <th style={headerCellStyle}>Outcome</th>
+              </tr>
+            </thead>
+            <tbody>
+              {observations.map(observation => (
+                <tr key={observation.index} style={{
+                  color: statusColors[observation.status],
+                  background: observation.autocalled ? 'rgba(16, 185, 129, 0.08)' : 'transparent'
+                }}>
+                  <td style={cellStyle}>
+                    {observation.observationDateFormatted}
+                    {observation.isFinal && (
+                      <span style={{ fontSize: '0.7rem', marginLeft: '0.35rem', color: 'var(--text-muted)' }}>(final)</span>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{observation.autocallLevelFormatted}</td>
+                  <td style={cellStyle}>{observation.couponBarrierFormatted}</td>
+                  <td style={cellStyle}>{observation.basketLevelFormatted || '-'}</td>
+                  <td style={cellStyle}>
+                    {observation.payments.length > 0
+                      ? observation.payments.map((payment, index) => (
+                          <div key={index}>{payment.amountFormatted} <span style={{ fontSize: '0.7rem', color: 'var(--text-muted)' }}>{payment.description}</span></div>
+                        ))
+                      : '-'}
+                  </td>
+                  <td style={{ ...cellStyle, fontFamily: 'inherit' }}>
+                    {observation.status === 'future' && 'Upcoming'}
+                    {observation.status === 'cancelled' && 'Not observed (redeemed)'}
+                    {observation.status === 'missing_data' && '⚠️ Missing prices'}
+                    {observation.status === 'past' && (
+                      observation.autocalled ? '🎯 Autocalled'
+                        : observation.isFinal ? '🏁 Matured'
+                        : observation.couponPaid > 0 ? '✅ Coupon paid'
+                        : observation.memoryBalance > 0 ? '💾 Coupon memorised'
+                        : '—'
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {observationAnalysis.nextObservation && (
+            <div style={{ fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '0.75rem' }}>
+              Next observation: {observationAnalysis.nextObservation.observationDateFormatted} (in {observationAnalysis.nextObservation.daysUntil} days)
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Performance Chart */}
+      {productId && (
+        <div style={{
+          background: 'var(--bg-secondary)',
+          padding: '1.5rem',
+          borderRadius: '6px',
+          marginBottom: '1.5rem'
+        }}>
+          <h4 style={{
+            margin: '0 0 1rem 0',
+            fontSize: '1rem',
+            color: 'var(--text-primary)',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            📈 Performance Evolution
+          </h4>
+          <StructuredProductChart productId={productId} height="450px" />
+        </div>
+      )}
+
+      {/* Interpreted rules and warnings */}
+      <details style={{
+        background: 'var(--bg-secondary)',
+        padding: '1rem 1.5rem',
+        borderRadius: '6px',
+        color: 'var(--text-secondary)',
+        fontSize: '0.8rem'
+      }}>
+        <summary style={{ cursor: 'pointer', fontWeight: '600' }}>
+          🔍 Interpreted payoff rules
+          {(warnings.length > 0 || structure.unsupportedComponents?.length > 0) && ' ⚠️'}
+        </summary>
+
+        {['life', 'maturity'].map(section => (
+          (structure.rules?.[section] || []).length > 0 && (
+            <div key={section} style={{ marginTop: '0.75rem' }}>
+              <div style={{ textTransform: 'uppercase', fontSize: '0.7rem', marginBottom: '0.35rem' }}>
+                {section === 'life' ? 'During life' : 'At maturity'}
+              </div>
+              {structure.rules[section].map((rule, index) => (
+                <pre key={index} style={{
+                  margin: '0 0 0.5rem 0',
+                  whiteSpace: 'pre-wrap',
+                  fontSize: '0.75rem',
+                  color: 'var(--text-primary)'
+                }}>
+                  {rule}
+                </pre>
+              ))}
+            </div>
+          )
+        ))}
+
+        {structure.unsupportedComponents?.length > 0 && (
+          <div style={{ marginTop: '0.75rem', color: '#f59e0b' }}>
+            Components not interpreted: {structure.unsupportedComponents.join(', ')}
+          </div>
+        )}
+
+        {warnings.length > 0 && (
+          <ul style={{ marginTop: '0.75rem', color: '#f59e0b', paddingLeft: '1.25rem' }}>
+            {warnings.map((warning, index) => <li key={index}>{warning}</li>)}
+          </ul>
+        )}
+      </details>
+    </div>
+  );
+};
+
+export default GenericReport;
@@ -1,5 +1,6 @@
 import React from 'react';
 import StructuredProductChart from '../components/StructuredProductChart.jsx';
+import BasketAggregationPanel from '../components/BasketAggregationPanel.jsx';
 import UnderlyingNews from '../components/UnderlyingNews.jsx';
 import { getTranslation, t } from '../../utils/reportTranslations';
 
@@ -527,6 +528,9 @@ const HimalayaReport = ({ results, productId, product }) => {
         </div>
       </div>
 
+      {/* Basket aggregation breakdown (rainbow / worst-N / cliquet) */}
+      <BasketAggregationPanel basketAggregation={results.basketAggregation} />
+
       {/* Performance Chart */}
       <div style={{
         background: 'var(--bg-secondary)',
@@ -0,0 +1,438 @@
+import React from 'react';
+import StructuredProductChart from '../components/StructuredProductChart.jsx';
+import CopyableISIN from '../components/CopyableISIN.jsx';
+import PriceSparkline from '../components/PriceSparkline.jsx';
+
+/**
+ * Issuer Callable Phoenix Report Component
+ *
+ * Displays evaluation results for Phoenix notes callable at the issuer's discretion:
+ * call status (from PMS redemptions), timeline with the next call date,
+ * coupon / call schedule and redemption.
+ *
+ * CSS Styling Reference: PhoenixReport.jsx
+ */
+const IssuerCallablePhoenixReport = ({ results, productId }) => {
+  const structure = results.callableStructure || {};
+  const status = results.currentStatus || {};
+  const issuerCall = results.issuerCall || {};
+  const timeline = results.timeline || {};
+  const underlyings = results.underlyings || [];
+  const basketPerformance = results.basketPerformance || {};
+  const observationAnalysis = results.observationAnalysis || {};
+  const observations = observationAnalysis.observations || [];
+  const redemption = results.redemption;
+
+  const redemptionTitles = {
+    issuer_call: '📞 Issuer Call Redemption',
+    matured: '🏁 Final Redemption',
+    indicative: '🔮 Indicative Value at Maturity'
+  };
+
+  const couponTypeLabels = {
+    fixed: 'Fixed',
+    memory: 'Conditional with memory',
+    conditional: 'Conditional'
+  };
+
+  const cardStyle = {
+    background: 'rgba(255, 255, 255, 0.15)',
+    padding: '1.25rem',
+    borderRadius: '6px',
+    border: '1px solid rgba(255, 255, 255, 0.2)'
+  };
+
+  const cardLabelStyle = {
+    fontSize: '0.7rem',
+    color: 'rgba(255, 255, 255, 0.85)',
+    textTransform: 'uppercase',
+    marginBottom: '0.75rem',
+    fontWeight: '700',
+    letterSpacing: '0.5px'
+  };
+
+  const cardValueStyle = {
+    fontSize: '1.8rem',
+    fontWeight: '700',
+    color: 'white',
+    marginBottom: '0.5rem',
+    fontFamily: 'monospace'
+  };
+
+  const sectionStyle = {
+    background: 'var(--bg-secondary)',
+    padding: '1.5rem',
+    borderRadius: '6px',
+    marginBottom: '1.5rem'
+  };
+
+  const sectionTitleStyle = {
+    margin: '0 0 1rem 0',
+    fontSize: '1rem',
+    color: 'var(--text-primary)',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.5rem'
+  };
+
+  const headerCellStyle = {
+    padding: '0.6rem',
+    textAlign: 'left',
+    fontSize: '0.7rem',
+    color: 'var(--text-secondary)',
+    textTransform: 'uppercase',
+    fontWeight: '600',
+    borderBottom: '1px solid var(--border-color)'
+  };
+
+  const cellStyle = {
+    padding: '0.6rem',
+    fontSize: '0.85rem',
+    borderBottom: '1px solid var(--border-color)',
+    fontFamily: 'monospace'
+  };
+
+  // Timeline milestones: launch → next call (or call exercised) → maturity
+  const milestones = [
+    { label: 'Trade Date', date: timeline.tradeDateFormatted, color: 'var(--text-secondary)' },
+    issuerCall.isCalled
+      ? { label: '📞 Called by Issuer', date: issuerCall.callPaymentDateFormatted, color: '#10b981', highlight: true }
+      : timeline.nextCallDateFormatted
+        ? {
+            label: '📞 Next Call Date',
+            date: timeline.nextCallDateFormatted,
+            sub: timeline.daysToNextCall !== null ? `in ${timeline.daysToNextCall} days` : null,
+            color: '#f59e0b',
+            highlight: true
+          }
+        : { label: '📞 Next Call Date', date: 'No call date left', color: 'var(--text-muted)' },
+    {
+      label: 'Maturity',
+      date: timeline.maturityDateFormatted,
+      sub: !issuerCall.isCalled ? status.daysToMaturityText : null,
+      color: issuerCall.isCalled ? 'var(--text-muted)' : 'var(--text-secondary)'
+    }
+  ];
+
+  return (
+    <div style={{
+      marginTop: '1rem',
+      padding: '1rem',
+      background: 'var(--bg-primary)',
+      borderRadius: '6px'
+    }}>
+      <div style={{
+        fontSize: '0.9rem',
+        fontWeight: '600',
+        color: 'var(--text-primary)',
+        marginBottom: '1rem',
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem'
+      }}>
+        📞 Issuer Callable Phoenix Evaluation Results
+      </div>
+
+      {/* Product Structure Summary */}
+      <div style={{
+        background: 'linear-gradient(135deg, #1e40af 0%, #1e3a8a 100%)',
+        padding: '1.5rem',
+        borderRadius: '8px',
+        marginBottom: '1.5rem',
+        border: '2px solid #3b82f6',
+        boxShadow: '0 8px 24px rgba(59, 130, 246, 0.3)'
+      }}>
+        <h4 style={{
+          margin: '0 0 1rem 0',
+          fontSize: '1.1rem',
+          color: 'white',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '0.5rem',
+          fontWeight: '700'
+        }}>
+          📋 Product Structure
+        </h4>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+          gap: '1rem'
+        }}>
+          <div style={cardStyle}>
+            <div style={cardLabelStyle}>💵 Coupon</div>
+            <div style={{ ...cardValueStyle, color: '#10b981' }}>{structure.couponRateFormatted}</div>
+            <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.75)' }}>
+              {couponTypeLabels[structure.couponType]}
+              {structure.couponType !== 'fixed' && ` • Barrier ${structure.couponBarrierFormatted}`}
+            </div>
+          </div>
+
+          <div style={cardStyle}>
+            <div style={cardLabelStyle}>📞 Call Price</div>
+            <div style={cardValueStyle}>{structure.callPriceFormatted}</div>
+            <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.75)' }}>
+              {structure.totalCallDates} call date{structure.totalCallDates === 1 ? '' : 's'} at issuer's discretion
+            </div>
+          </div>
+
+          <div style={cardStyle}>
+            <div style={cardLabelStyle}>🛡️ Protection Barrier</div>
+            <div style={cardValueStyle}>{structure.protectionBarrierFormatted}</div>
+            <div style={{ fontSize: '0.7rem', color: 'rgba(255, 255, 255, 0.75)' }}>
+              Worst-of today: {basketPerformance.currentFormatted}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Timeline */}
+      <div style={sectionStyle}>
+        <h4 style={sectionTitleStyle}>
+          🗓️ Timeline
+          {issuerCall.isCalled && issuerCall.sourceLabel && (
+            <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', fontWeight: '400' }}>
+              ({issuerCall.sourceLabel}{issuerCall.matchConfidence ? `, ${issuerCall.matchConfidence} confidence` : ''})
+            </span>
+          )}
+        </h4>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(3, 1fr)',
+          gap: '1rem'
+        }}>
+          {milestones.map(milestone => (
+            <div key={milestone.label} style={{
+              background: milestone.highlight ? 'rgba(245, 158, 11, 0.08)' : 'var(--bg-primary)',
+              border: milestone.highlight ? `1px solid ${milestone.color}` : '1px solid var(--border-color)',
+              padding: '0.85rem',
+              borderRadius: '6px',
+              textAlign: 'center'
+            }}>
+              <div style={{
+                fontSize: '0.7rem',
+                color: 'var(--text-secondary)',
+                textTransform: 'uppercase',
+                marginBottom: '0.5rem',
+                fontWeight: '600',
+                letterSpacing: '0.5px'
+              }}>
+                {milestone.label}
+              </div>
+              <div style={{
+                fontSize: '1.05rem',
+                fontWeight: '700',
+                color: milestone.color,
+                fontFamily: 'monospace'
+              }}>
+                {milestone.date}
+              </div>
+              {milestone.sub && (
+                <div style={{ fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: '0.35rem' }}>
+                  {milestone.sub}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Redemption */}
+      {redemption && (
+        <div style={sectionStyle}>
+          <h4 style={sectionTitleStyle}>
+            {redemptionTitles[redemption.type] || '💰 Redemption'}
+            {redemption.dateFormatted && (
+              <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', fontWeight: '400' }}>
+                ({redemption.dateFormatted})
+              </span>
+            )}
+          </h4>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+            gap: '1rem'
+          }}>
+            {[
+              { label: 'Capital', value: redemption.capitalFormatted },
+              { label: 'Coupons', value: redemption.couponsFormatted },
+              { label: 'Total', value: redemption.totalValueFormatted, highlight: true }
+            ].map(tile => (
+              <div key={tile.label} style={{
+                background: tile.highlight ? 'rgba(16, 185, 129, 0.1)' : 'var(--bg-primary)',
+                border: tile.highlight ? '1px solid rgba(16, 185, 129, 0.3)' : 'none',
+                padding: '0.85rem',
+                borderRadius: '6px',
+                textAlign: 'center'
+              }}>
+                <div style={{
+                  fontSize: '0.7rem',
+                  color: 'var(--text-secondary)',
+                  textTransform: 'uppercase',
+                  marginBottom: '0.5rem',
+                  fontWeight: '600',
+                  letterSpacing: '0.5px'
+                }}>
+                  {tile.label}
+                </div>
+                <div style={{
+                  fontSize: '1.2rem',
+                  fontWeight: '700',
+                  color: tile.highlight ? '#10b981' : 'var(--text-primary)',
+                  fontFamily: 'monospace'
+                }}>
+                  {tile.value}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginTop: '0.75rem' }}>
+            {redemption.formula}
+            {redemption.type === 'indicative' && ' • Maturity rules applied to today\'s levels, assuming no issuer call. Not a price.'}
+          </div>
+        </div>
+      )}
+
+      {/* Underlying Assets */}
+      {underlyings.length > 0 && (
+        <div style={sectionStyle}>
+          <h4 style={sectionTitleStyle}>
+            📊 Underlying Assets Performance
+          </h4>
+
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={headerCellStyle}>Underlying</th>
+                <th style={headerCellStyle}>Initial Level</th>
+                <th style={headerCellStyle}>Current Level</th>
+                <th style={headerCellStyle}>Performance</th>
+                <th style={headerCellStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {underlyings.map((underlying, index) => (
+                <tr key={underlying.ticker || index}>
+                  <td style={{ ...cellStyle, color: 'var(--text-primary)' }}>
+                    <div style={{ fontWeight: '700' }}>{underlying.ticker}</div>
+                    <div style={{ fontSize: '0.75rem', color: 'var(--text-muted)', fontFamily: 'inherit' }}>
+                      {underlying.name}
+                      {underlying.isin && (
+                        <> • <CopyableISIN isin={underlying.isin} prefix="ISIN: " /></>
+                      )}
+                    </div>
+                  </td>
+                  <td style={{ ...cellStyle, color: 'var(--text-primary)' }}>{underlying.initialPriceFormatted}</td>
+                  <td style={{ ...cellStyle, color: 'var(--text-primary)' }}>
+                    {underlying.currentPriceFormatted}
+                    {underlying.priceDateFormatted && (
+                      <div style={{ fontSize: '0.65rem', color: 'var(--text-muted)' }}>{underlying.priceDateFormatted}</div>
+                    )}
+                  </td>
+                  <td style={{ ...cellStyle, color: underlying.isPositive ? '#10b981' : '#ef4444', fontWeight: '700' }}>
+                    {underlying.performanceFormatted}
+                  </td>
+                  <td style={cellStyle}>
+                    {underlying.sparklineData?.hasData && (
+                      <PriceSparkline
+                        sparklineData={underlying.sparklineData}
+                        ticker={underlying.ticker}
+                        initialPrice={underlying.initialPrice}
+                        currency={underlying.currency}
+                        isPositive={underlying.isPositive}
+                      />
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Coupon & Call Schedule */}
+      {observations.length > 0 && (
+        <div style={{ ...sectionStyle, overflowX: 'auto' }}>
+          <h4 style={sectionTitleStyle}>
+            📅 Coupon & Call Schedule
+            <span style={{ fontSize: '0.8rem', color: 'var(--text-muted)', fontWeight: '400' }}>
+              Coupons earned: {observationAnalysis.totalCouponsEarnedFormatted}
+              {observationAnalysis.memoryBalance > 0 && ` • Memory: ${observationAnalysis.memoryBalanceFormatted}`}
+            </span>
+          </h4>
+
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={headerCellStyle}>Observation</th>
+                <th style={headerCellStyle}>Payment</th>
+                <th style={headerCellStyle}>Type</th>
+                <th style={headerCellStyle}>Coupon Barrier</th>
+                <th style={headerCellStyle}>Worst-of</th>
+                <th style={headerCellStyle}>Coupon</th>
+                <th style={headerCellStyle}>Outcome</th>
+              </tr>
+            </thead>
+            <tbody>
+              {observations.map((observation, index) => {
+                const isNextCall = !issuerCall.isCalled && observation.isCallable &&
+                  observation.observationDate === issuerCall.nextCall?.date;
+                return (
+                  <tr key={observation.observationDate || index} style={{
+                    color: observation.status === 'upcoming' ? 'var(--text-muted)' : 'var(--text-primary)',
+                    background: observation.calledByIssuer
+                      ? 'rgba(16, 185, 129, 0.08)'
+                      : (isNextCall ? 'rgba(245, 158, 11, 0.08)' : 'transparent')
+                  }}>
+                    <td style={cellStyle}>{observation.observationDateFormatted}</td>
+                    <td style={cellStyle}>{observation.paymentDateFormatted || '-'}</td>
+                    <td style={{ ...cellStyle, fontFamily: 'inherit' }}>
+                      {observation.observationType}
+                      {isNextCall && (
+                        <span style={{ fontSize: '0.7rem', marginLeft: '0.35rem', color: '#f59e0b' }}>(next call)</span>
+                      )}
+                    </td>
+                    <td style={cellStyle}>{observation.couponBarrierFormatted}</td>
+                    <td style={cellStyle}>{observation.basketLevelFormatted}</td>
+                    <td style={cellStyle}>
+                      {observation.couponPaid > 0 ? observation.couponPaidFormatted : '-'}
+                      {observation.paymentConfirmed && (
+                        <span title="Confirmed by PMS operation" style={{ marginLeft: '0.35rem' }}>✓</span>
+                      )}
+                    </td>
+                    <td style={{ ...cellStyle, fontFamily: 'inherit' }}>
+                      {observation.status === 'upcoming' && 'Upcoming'}
+                      {observation.status === 'completed' && (
+                        observation.calledByIssuer ? '📞 Called by issuer'
+                          : observation.isFinal ? '🏁 Matured'
+                          : observation.couponPaid > 0 ? '✅ Coupon paid'
+                          : observation.couponInMemory > 0 ? '💾 Coupon memorised'
+                          : observation.isCallable ? 'Not called'
+                          : '—'
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Performance Chart */}
+      {productId && (
+        <div style={sectionStyle}>
+          <h4 style={sectionTitleStyle}>
+            📈 Performance Evolution
+          </h4>
+          <StructuredProductChart productId={productId} height="450px" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IssuerCallablePhoenixReport;
@@ -1,5 +1,6 @@
 import React from 'react';
 import StructuredProductChart from '../components/StructuredProductChart.jsx';
+import BasketAggregationPanel from '../components/BasketAggregationPanel.jsx';
 import UnderlyingNews from '../components/UnderlyingNews.jsx';
 import PriceSparkline from '../components/PriceSparkline.jsx';
 import { getTranslation, t } from '../../utils/reportTranslations';
@@ -636,6 +637,9 @@ const OrionReport = ({ results, productId, product }) => {
         </div>
       )}
 
+      {/* Basket aggregation breakdown (rainbow / worst-N / cliquet) */}
+      <BasketAggregationPanel basketAggregation={results.basketAggregation} />
+
       {/* Chart */}
       <StructuredProductChart productId={productId} height="900px" />
 
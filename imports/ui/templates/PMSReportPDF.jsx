@@ -1,10 +1,14 @@
 import React, { useEffect, useState, useMemo } from 'react';
 import { Meteor } from 'meteor/meteor';
 import { useTracker } from 'meteor/react-meteor-data';
-import { Doughnut } from 'react-chartjs-2';
+import { Doughnut, Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
   ArcElement,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
   Tooltip,
   Legend
 } from 'chart.js';
@@ -17,7 +21,7 @@ import { SecuritiesMetadataCollection, getAssetClassLabel } from '../../api/secu
 import HoldingPriceChart from '../components/HoldingPriceChart.jsx';
 
 // Register Chart.js components
-ChartJS.register(ArcElement, Tooltip, Legend);
+ChartJS.register(ArcElement, CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
 
 /**
  * PMS Report PDF Template
@@ -27,6 +31,7 @@ ChartJS.register(ArcElement, Tooltip, Legend);
  * - All positions grouped by asset class
  * - Asset allocation with doughnut chart
  * - Performance metrics (all periods)
+ * - TWR vs benchmark (excess return, tracking error, information ratio)
  * - Current year transactions
  *
  * Styling follows documented standards for consistency.
@@ -44,6 +49,24 @@ const ASSET_CLASS_COLORS = {
   other: '#94a3b8'
 };
 
+// Standard reporting periods of the period returns table
+const PERIOD_RETURN_LABELS = {
+  MTD: 'Month to Date',
+  QTD: 'Quarter to Date',
+  YTD: 'Year to Date',
+  '1Y': '1 Year',
+  '3Y': '3 Years (ann.)',
+  SI: 'Since Inception'
+};
+
+// Profile categories used by the performance attribution
+const ATTRIBUTION_CATEGORY_LABELS = {
+  cash: 'Cash / Short Term',
+  bonds: 'Bonds',
+  equities: 'Equities',
+  alternative: 'Alternative'
+};
+
 // Helper functions
 const getCurrencySymbol = (currencyCode) => {
   const symbols = {
@@ -108,7 +131,9 @@ const getProductTypeIcon = (templateId) => {
     'shark_note': '🦈',
     'participation_note': '📈',
     'reverse_convertible': '🔄',
-    'reverse_convertible_bond': '🔄'
+    'reverse_convertible_bond': '🔄',
+    'issuer_callable_phoenix': '📞',
+    'credit_linked_note': '🏛️'
   };
 
   return iconMap[templateId] || '📊';
@@ -120,6 +145,14 @@ const PMSReportPDF = () => {
   const [isReady, setIsReady] = useState(false);
   const [performanceData, setPerformanceData] = useState(null);
   const [performanceLoading, setPerformanceLoading] = useState(true);
+  const [twrData, setTwrData] = useState(null);
+  const [twrLoading, setTwrLoading] = useState(true);
+  const [attributionData, setAttributionData] = useState(null);
+  const [attributionLoading, setAttributionLoading] = useState(true);
+  const [periodReturns, setPeriodReturns] = useState(null);
+  const [periodReturnsLoading, setPeriodReturnsLoading] = useState(true);
+  const [riskData, setRiskData] = useState(null);
+  const [riskLoading, setRiskLoading] = useState(true);
 
   // PDF mode detection and authentication
   const [pdfAuthState, setPdfAuthState] = useState({ validated: false, error: null });
@@ -132,6 +165,8 @@ const PMSReportPDF = () => {
   const pdfToken = urlParams?.get('pdfToken');
   const pdfUserId = urlParams?.get('userId');
   const accountFilter = urlParams?.get('account') || 'all';
+  // Currency of the performance sections (null = the perimeter's own currency)
+  const reportingCurrency = urlParams?.get('reportingCurrency') || null;
 
   // Parse viewAsFilter from URL if present (used for client/account filtering)
   const viewAsFilterParam = urlParams?.get('viewAsFilter');
@@ -293,7 +328,7 @@ const PMSReportPDF = () => {
 
       if (isPDFMode && pdfAuthState.validated && pdfUserId) {
         // Use PDF-specific method with viewAsFilter for proper perimeter
-        Meteor.callAsync('pms.getPerformanceForPdf', { userId: pdfUserId, pdfToken, viewAsFilter })
+        Meteor.callAsync('pms.getPerformanceForPdf', { userId: pdfUserId, pdfToken, viewAsFilter, reportingCurrency })
           .then(result => {
             if (result) {
               setPerformanceData(result);
@@ -306,7 +341,7 @@ const PMSReportPDF = () => {
           });
       } else {
         // Use regular session-based method
-        Meteor.call('performance.getPeriods', { sessionId: currentSessionId }, (error, result) => {
+        Meteor.call('performance.getPeriods', { sessionId: currentSessionId, reportingCurrency }, (error, result) => {
           if (!error && result) {
             setPerformanceData(result);
           }
@@ -316,14 +351,92 @@ const PMSReportPDF = () => {
     }
   }, [isLoading, holdings.length, currentSessionId, isPDFMode, pdfAuthState.validated, pdfUserId, pdfToken, viewAsFilter]);
 
+  // Fetch TWR and benchmark-relative performance
+  useEffect(() => {
+    if (!isLoading && holdings.length > 0) {
+      setTwrLoading(true);
+
+      const request = isPDFMode && pdfAuthState.validated && pdfUserId
+        ? Meteor.callAsync('pms.getTWRForPdf', { userId: pdfUserId, pdfToken, viewAsFilter, reportingCurrency })
+        : Meteor.callAsync('performance.calculateTWR', { sessionId: currentSessionId, viewAsFilter, reportingCurrency });
+
+      request
+        .then(result => setTwrData(result?.hasData ? result : null))
+        .catch(err => console.error('[PMSReportPDF] Error fetching TWR:', err))
+        .finally(() => setTwrLoading(false));
+    }
+  }, [isLoading, holdings.length, currentSessionId, isPDFMode, pdfAuthState.validated, pdfUserId, pdfToken, viewAsFilter]);
+
+  // Fetch the MTD / QTD / YTD / 1Y / 3Y / since inception table
+  useEffect(() => {
+    if (!isLoading && holdings.length > 0) {
+      setPeriodReturnsLoading(true);
+
+      const request = isPDFMode && pdfAuthState.validated && pdfUserId
+        ? Meteor.callAsync('pms.getPeriodReturnsForPdf', { userId: pdfUserId, pdfToken, viewAsFilter, reportingCurrency })
+        : Meteor.callAsync('performance.getPeriodReturns', { sessionId: currentSessionId, viewAsFilter, reportingCurrency });
+
+      request
+        .then(result => setPeriodReturns(result?.hasData ? result : null))
+        .catch(err => console.error('[PMSReportPDF] Error fetching period returns:', err))
+        .finally(() => setPeriodReturnsLoading(false));
+    }
+  }, [isLoading, holdings.length, currentSessionId, isPDFMode, pdfAuthState.validated, pdfUserId, pdfToken, viewAsFilter]);
+
+  // Fetch YTD performance attribution
+  useEffect(() => {
+    if (!isLoading && holdings.length > 0) {
+      setAttributionLoading(true);
+
+      const request = isPDFMode && pdfAuthState.validated && pdfUserId
+        ? Meteor.callAsync('pms.getAttributionForPdf', { userId: pdfUserId, pdfToken, viewAsFilter, period: 'YTD', reportingCurrency })
+        : Meteor.callAsync('performance.calculateAttribution', { sessionId: currentSessionId, viewAsFilter, period: 'YTD', reportingCurrency });
+
+      request
+        .then(result => setAttributionData(result?.hasData ? result : null))
+        .catch(err => console.error('[PMSReportPDF] Error fetching attribution:', err))
+        .finally(() => setAttributionLoading(false));
+    }
+  }, [isLoading, holdings.length, currentSessionId, isPDFMode, pdfAuthState.validated, pdfUserId, pdfToken, viewAsFilter]);
+
+  // Fetch 1-year risk metrics
+  useEffect(() => {
+    if (!isLoading && holdings.length > 0) {
+      setRiskLoading(true);
+
+      const request = isPDFMode && pdfAuthState.validated && pdfUserId
+        ? Meteor.callAsync('pms.getRiskForPdf', { userId: pdfUserId, pdfToken, viewAsFilter, period: '1Y', reportingCurrency })
+        : Meteor.callAsync('performance.getRiskMetrics', { sessionId: currentSessionId, viewAsFilter, period: '1Y', reportingCurrency });
+
+      request
+        .then(result => setRiskData(result?.hasData ? result : null))
+        .catch(err => console.error('[PMSReportPDF] Error fetching risk metrics:', err))
+        .finally(() => setRiskLoading(false));
+    }
+  }, [isLoading, holdings.length, currentSessionId, isPDFMode, pdfAuthState.validated, pdfUserId, pdfToken, viewAsFilter]);
+
   // Filter holdings and operations by account
+  // The whole-client report uses the consolidated holdings (one line per security across
+  // custodians, valued in the client's reference currency) when they cover a single client
   const filteredHoldings = useMemo(() => {
-    if (accountFilter === 'all') return holdings;
+    const accountHoldings = holdings.filter(h => h.portfolioCode !== 'CONSOLIDATED');
+    if (accountFilter === 'all') {
+      const consolidatedHoldings = holdings.filter(h => h.portfolioCode === 'CONSOLIDATED');
+      const scopes = new Set(consolidatedHoldings.map(h => h.consolidationScope));
+      return consolidatedHoldings.length > 0 && scopes.size === 1 ? consolidatedHoldings : accountHoldings;
+    }
     const account = bankAccounts.find(acc => acc._id === accountFilter);
-    if (!account) return holdings;
-    return holdings.filter(h => h.portfolioCode === account.accountNumber && h.bankName === account.bankId);
+    if (!account) return accountHoldings;
+    return accountHoldings.filter(h => h.portfolioCode === account.accountNumber && h.bankName === account.bankId);
   }, [holdings, bankAccounts, accountFilter]);
 
+  // Securities held at more than one custodian, with their price/FX dispersion
+  const multiCustodianHoldings = useMemo(() => {
+    return filteredHoldings
+      .filter(h => h.custodianLines?.length > 1)
+      .sort((a, b) => (b.marketValue || 0) - (a.marketValue || 0));
+  }, [filteredHoldings]);
+
   // Filter operations to current year only
   const currentYearOperations = useMemo(() => {
     const currentYear = new Date().getFullYear();
@@ -466,7 +579,7 @@ const PMSReportPDF = () => {
 
   // Signal PDF readiness
   useEffect(() => {
-    if (!isLoading && enrichedHoldings.length > 0 && !performanceLoading) {
+    if (!isLoading && enrichedHoldings.length > 0 && !performanceLoading && !twrLoading && !attributionLoading && !periodReturnsLoading && !riskLoading) {
       setTimeout(() => {
         setIsReady(true);
         if (typeof document !== 'undefined') {
@@ -474,7 +587,7 @@ const PMSReportPDF = () => {
         }
       }, 2000);
     }
-  }, [isLoading, enrichedHoldings.length, performanceLoading]);
+  }, [isLoading, enrichedHoldings.length, performanceLoading, twrLoading, attributionLoading, periodReturnsLoading, riskLoading]);
 
   // Debug logging
   console.log('[PMSReportPDF] State:', {
@@ -787,6 +900,88 @@ const PMSReportPDF = () => {
           })}
         </div>
 
+        {/* Multi-Custodian Section */}
+        {multiCustodianHoldings.length > 0 && (
+          <div style={{...styles.section, pageBreakBefore: 'always'}} className="pms-pdf-section">
+            <h2 style={styles.sectionTitle}>Positions Held at Several Custodians</h2>
+            <p style={{ fontSize: '0.75rem', color: '#64748b', margin: '0 0 1rem 0' }}>
+              Consolidated values apply one market FX rate to each custodian's valuation, in {portfolioCurrency}.
+              Price and FX spreads compare the figures reported by each bank.
+            </p>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={{...styles.th, width: '34%'}}>Security / Custodian</th>
+                  <th style={{...styles.th, textAlign: 'right', width: '14%'}}>Qty</th>
+                  <th style={{...styles.th, textAlign: 'right', width: '14%'}}>Price</th>
+                  <th style={{...styles.th, textAlign: 'right', width: '14%'}}>Price Date</th>
+                  <th style={{...styles.th, textAlign: 'right', width: '24%'}}>Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {multiCustodianHoldings.map(holding => {
+                  const isPercentagePrice = holding.priceType === 'percentage';
+                  const flagged = holding.hasPriceDiscrepancy || holding.hasFxDiscrepancy;
+
+                  return (
+                    <React.Fragment key={holding._id}>
+                      <tr style={styles.subtotalRow}>
+                        <td style={{...styles.td, fontWeight: '600'}}>
+                          {holding.securityName || holding.ticker || '-'}
+                          <div style={{ fontSize: '0.7rem', color: '#64748b', fontFamily: 'monospace', fontWeight: '400' }}>
+                            {holding.isin || '-'}
+                            {holding.priceDispersion && ` • price spread ${holding.priceDispersion.spreadPercent.toFixed(2)}%`}
+                            {holding.fxDispersion && ` • FX spread ${holding.fxDispersion.spreadPercent.toFixed(2)}%`}
+                          </div>
+                          {flagged && (
+                            <div style={{ fontSize: '0.7rem', color: '#b45309', fontWeight: '600' }}>
+                              ⚠ Custodian {holding.hasPriceDiscrepancy ? 'prices' : 'FX rates'} differ beyond tolerance
+                            </div>
+                          )}
+                          {holding.hasPartialCostBasis && (
+                            <div style={{ fontSize: '0.7rem', color: '#b45309', fontWeight: '600' }}>
+                              ⚠ Partial cost basis: P&L covers only the custodians that reported a cost
+                            </div>
+                          )}
+                        </td>
+                        <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontWeight: '600'}}>
+                          {formatNumber(holding.quantity, 0)}
+                        </td>
+                        <td style={styles.td} />
+                        <td style={styles.td} />
+                        <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontWeight: '600'}}>
+                          {formatCurrency(holding.marketValue, portfolioCurrency)}
+                        </td>
+                      </tr>
+                      {holding.custodianLines.map(line => (
+                        <tr key={`${holding._id}_${line.bankId}_${line.portfolioCode}`}>
+                          <td style={{...styles.td, paddingLeft: '1.5rem', fontSize: '0.8rem', color: '#475569'}}>
+                            {line.bankName || '-'} <span style={{ color: '#94a3b8' }}>{line.portfolioCode}</span>
+                          </td>
+                          <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontSize: '0.8rem', color: '#64748b'}}>
+                            {formatNumber(line.quantity, 0)}
+                          </td>
+                          <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontSize: '0.8rem', color: '#64748b'}}>
+                            {line.marketPrice == null ? '-' : isPercentagePrice
+                              ? formatPercent(line.marketPrice * 100, false)
+                              : formatNumber(line.marketPrice, 2)}
+                          </td>
+                          <td style={{...styles.td, textAlign: 'right', fontSize: '0.8rem', color: '#64748b'}}>
+                            {line.priceDate ? formatDate(line.priceDate) : '-'}
+                          </td>
+                          <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontSize: '0.8rem', color: '#64748b'}}>
+                            {formatCurrency(line.marketValueReferenceCurrency, portfolioCurrency)}
+                          </td>
+                        </tr>
+                      ))}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Asset Allocation Section */}
         <div style={{...styles.section, pageBreakBefore: 'always'}} className="pms-pdf-section">
           <h2 style={styles.sectionTitle}>Asset Allocation</h2>
@@ -867,10 +1062,10 @@ const PMSReportPDF = () => {
                     <tr key={period}>
                       <td style={{...styles.td, fontWeight: '600'}}>{period === 'ALL' ? 'Since Inception' : period}</td>
                       <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
-                        {formatCurrency(data.startValue, portfolioCurrency)}
+                        {formatCurrency(data.startValue, performanceData.currency || portfolioCurrency)}
                       </td>
                       <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
-                        {formatCurrency(data.endValue, portfolioCurrency)}
+                        {formatCurrency(data.endValue, performanceData.currency || portfolioCurrency)}
                       </td>
                       <td style={{
                         ...styles.td,
@@ -878,7 +1073,7 @@ const PMSReportPDF = () => {
                         fontFamily: 'monospace',
                         color: (data.change || 0) >= 0 ? '#047857' : '#b91c1c'
                       }}>
-                        {formatCurrency(data.change, portfolioCurrency)}
+                        {formatCurrency(data.change, performanceData.currency || portfolioCurrency)}
                       </td>
                       <td style={{...styles.td, textAlign: 'right'}}>
                         <span style={{
@@ -900,6 +1095,383 @@ const PMSReportPDF = () => {
           </div>
         )}
 
+        {/* Benchmark-Relative Performance Section */}
+        {twrData?.benchmark && (
+          <div style={styles.section} className="pms-pdf-section">
+            <h2 style={styles.sectionTitle}>Performance vs Benchmark</h2>
+            <div style={{ fontSize: '0.8rem', color: '#64748b', marginBottom: '0.75rem' }}>
+              Benchmark: <strong style={{ color: '#1e293b' }}>{twrData.benchmark.name}</strong>
+              {' — '}time-weighted return, net of fees; benchmark rebalanced daily
+            </div>
+            <div style={{ height: '260px', marginBottom: '1rem' }}>
+              <Line
+                data={twrData.chartData}
+                options={{
+                  responsive: true,
+                  maintainAspectRatio: false,
+                  animation: false,
+                  plugins: {
+                    legend: { display: true, position: 'top', labels: { font: { size: 11 } } }
+                  },
+                  scales: {
+                    x: { ticks: { maxTicksLimit: 8, font: { size: 10 } } },
+                    y: { ticks: { font: { size: 10 }, callback: value => value.toFixed(0) } }
+                  }
+                }}
+              />
+            </div>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Period</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Portfolio TWR</th>
+                  {twrData.metadata?.hasFxTranslation && <th style={{...styles.th, textAlign: 'right'}}>of which FX</th>}
+                  <th style={{...styles.th, textAlign: 'right'}}>Benchmark</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Excess</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Tracking Error</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Info. Ratio</th>
+                </tr>
+              </thead>
+              <tbody>
+                {['1M', '3M', '6M', 'YTD', '1Y', 'ALL'].map(period => {
+                  const data = twrData.periods?.[period];
+                  if (!data?.hasData) return null;
+                  return (
+                    <tr key={period}>
+                      <td style={{...styles.td, fontWeight: '600'}}>{period === 'ALL' ? 'Since Inception' : period}</td>
+                      <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{data.twrFormatted}</td>
+                      {twrData.metadata?.hasFxTranslation && (
+                        <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{data.fxContributionFormatted || '-'}</td>
+                      )}
+                      <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{data.benchmarkReturnFormatted || '-'}</td>
+                      <td style={{...styles.td, textAlign: 'right'}}>
+                        {data.excessReturnFormatted ? (
+                          <span style={{
+                            padding: '2px 8px',
+                            borderRadius: '4px',
+                            fontSize: '0.8rem',
+                            fontWeight: '600',
+                            background: data.excessReturn >= 0 ? '#d1fae5' : '#fee2e2',
+                            color: data.excessReturn >= 0 ? '#047857' : '#b91c1c'
+                          }}>
+                            {data.excessReturnFormatted}
+                          </span>
+                        ) : '-'}
+                      </td>
+                      <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{data.trackingErrorFormatted || '-'}</td>
+                      <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{data.informationRatioFormatted || '-'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div style={{ fontSize: '0.7rem', color: '#94a3b8', marginTop: '0.5rem' }}>
+              Tracking error and information ratio are annualized and shown for periods with at least 20 observations.
+              {twrData.metadata?.hasFxTranslation && ` Returns in ${twrData.currency}; FX is the effect of translating the account currencies into ${twrData.currency}.`}
+            </div>
+          </div>
+        )}
+
+        {/* Period Returns Section - TWR and MWR per entity / account */}
+        {periodReturns && (
+          <div style={styles.section} className="pms-pdf-section">
+            <h2 style={styles.sectionTitle}>Period Returns</h2>
+            {[
+              ...periodReturns.entities.filter(e => e.table).map(e => ({ key: e.entityId, title: e.name, currency: e.currency, table: e.table })),
+              ...(periodReturns.portfolios.length > 1
+                ? periodReturns.portfolios.filter(p => p.table).map(p => ({ key: p.portfolioCode, title: `Account ${p.name}`, currency: p.currency, table: p.table }))
+                : [])
+            ].map(scope => ({
+              ...scope,
+              hasFx: Object.values(scope.table.periods).some(row => row.fxContribution != null)
+            })).map(scope => (
+              <div key={scope.key} style={{ marginBottom: '1rem' }}>
+                <div style={{ fontSize: '0.85rem', fontWeight: '600', color: '#1e293b', marginBottom: '0.4rem' }}>
+                  {scope.title} <span style={{ fontWeight: '400', color: '#64748b' }}>({scope.currency}, as of {scope.table.asOfDate})</span>
+                </div>
+                <table style={styles.table}>
+                  <thead>
+                    <tr>
+                      <th style={styles.th}>Period</th>
+                      <th style={{...styles.th, textAlign: 'right'}}>From</th>
+                      <th style={{...styles.th, textAlign: 'right'}}>TWR</th>
+                      {scope.hasFx && <th style={{...styles.th, textAlign: 'right'}}>of which FX</th>}
+                      <th style={{...styles.th, textAlign: 'right'}}>MWR (IRR)</th>
+                      <th style={{...styles.th, textAlign: 'right'}}>Net Flows</th>
+                      <th style={{...styles.th, textAlign: 'right'}}>Gain</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {['MTD', 'QTD', 'YTD', '1Y', '3Y', 'SI'].map(period => {
+                      const row = scope.table.periods[period];
+                      if (!row?.hasData) return null;
+                      const twr = period === '3Y' ? row.twrAnnualized : row.twr;
+                      const mwr = period === '3Y' ? row.mwrAnnualized : row.mwr;
+                      return (
+                        <tr key={period}>
+                          <td style={{...styles.td, fontWeight: '600'}}>{PERIOD_RETURN_LABELS[period]}</td>
+                          <td style={{...styles.td, textAlign: 'right'}}>{formatDate(row.startDate)}</td>
+                          <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                            {twr != null ? formatPercent(twr * 100) : '-'}
+                            {period === 'SI' && row.twrAnnualized != null && ` (${formatPercent(row.twrAnnualized * 100)} ann.)`}
+                          </td>
+                          {scope.hasFx && (
+                            <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                              {row.fxContribution != null ? formatPercent(row.fxContribution * 100) : '-'}
+                            </td>
+                          )}
+                          <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                            {mwr != null ? formatPercent(mwr * 100) : '-'}
+                            {period === 'SI' && row.mwrAnnualized != null && ` (${formatPercent(row.mwrAnnualized * 100)} ann.)`}
+                          </td>
+                          <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{formatNumber(row.netFlows, 0)}</td>
+                          <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{formatNumber(row.gain, 0)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+            <div style={{ fontSize: '0.7rem', color: '#94a3b8', marginTop: '0.25rem' }}>
+              TWR: time-weighted return, neutral to deposits and withdrawals. MWR: money-weighted return (internal rate of return), reflecting the timing of deposits and withdrawals.
+              Periods longer than the account history are omitted; 3 years is annualized.
+            </div>
+          </div>
+        )}
+
+        {/* Performance Attribution Section - Year to Date */}
+        {attributionData && (
+          <div style={styles.section} className="pms-pdf-section">
+            <h2 style={styles.sectionTitle}>Performance Attribution - Year to Date</h2>
+            <div style={{ fontSize: '0.8rem', color: '#64748b', marginBottom: '0.75rem' }}>
+              {attributionData.startDate} to {attributionData.endDate}
+              {' — '}TWR <strong style={{ color: '#1e293b' }}>{formatPercent(attributionData.portfolioReturn * 100)}</strong>
+              {attributionData.fxContribution != null && ` (of which FX ${formatPercent(attributionData.fxContribution * 100)})`}
+              {attributionData.attribution && (
+                <>
+                  {' vs '}{attributionData.benchmark?.name || 'benchmark'}{' '}
+                  <strong style={{ color: '#1e293b' }}>{formatPercent(attributionData.attribution.benchmarkReturn * 100)}</strong>
+                  {' (active '}{formatPercent(attributionData.attribution.activeReturn * 100)}{')'}
+                </>
+              )}
+            </div>
+
+            {attributionData.attribution && (
+              <table style={{...styles.table, marginBottom: '1rem'}}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Asset Class</th>
+                    <th style={{...styles.th, textAlign: 'right'}}>Avg. Weight</th>
+                    <th style={{...styles.th, textAlign: 'right'}}>Bench. Weight</th>
+                    <th style={{...styles.th, textAlign: 'right'}}>Contribution</th>
+                    <th style={{...styles.th, textAlign: 'right'}}>Allocation</th>
+                    <th style={{...styles.th, textAlign: 'right'}}>Selection</th>
+                    <th style={{...styles.th, textAlign: 'right'}}>Total Effect</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {attributionData.attribution.categories
+                    .filter(row => row.portfolioWeight > 0.0005 || row.benchmarkWeight > 0 || Math.abs(row.portfolioContribution) > 0.00005)
+                    .map(row => (
+                      <tr key={row.category}>
+                        <td style={{...styles.td, fontWeight: '600'}}>{ATTRIBUTION_CATEGORY_LABELS[row.category] || row.category}</td>
+                        <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{(row.portfolioWeight * 100).toFixed(1)}%</td>
+                        <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{(row.benchmarkWeight * 100).toFixed(1)}%</td>
+                        <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{formatPercent(row.portfolioContribution * 100)}</td>
+                        <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{formatPercent(row.allocationEffect * 100)}</td>
+                        <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{formatPercent(row.selectionEffect * 100)}</td>
+                        <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontWeight: '600'}}>{formatPercent(row.totalEffect * 100)}</td>
+                      </tr>
+                    ))}
+                  {attributionData.fxContribution != null && (
+                    <tr>
+                      <td style={{...styles.td, fontWeight: '600'}}>Currency Translation</td>
+                      <td style={styles.td}></td>
+                      <td style={styles.td}></td>
+                      <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>{formatPercent(attributionData.fxContribution * 100)}</td>
+                      <td style={styles.td}></td>
+                      <td style={styles.td}></td>
+                      <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontWeight: '600'}}>{formatPercent(attributionData.attribution.totals.currencyEffect * 100)}</td>
+                    </tr>
+                  )}
+                  <tr style={styles.subtotalRow}>
+                    <td style={{...styles.td, fontWeight: '700'}}>Total</td>
+                    <td style={styles.td}></td>
+                    <td style={styles.td}></td>
+                    <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontWeight: '700'}}>{formatPercent(attributionData.attribution.portfolioReturn * 100)}</td>
+                    <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontWeight: '700'}}>{formatPercent(attributionData.attribution.totals.allocationEffect * 100)}</td>
+                    <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontWeight: '700'}}>{formatPercent(attributionData.attribution.totals.selectionEffect * 100)}</td>
+                    <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontWeight: '700'}}>{formatPercent(attributionData.attribution.totals.totalEffect * 100)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            )}
+
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Security</th>
+                  <th style={styles.th}>Asset Class</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Avg. Weight</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>P&L{attributionData.currency ? ` (${attributionData.currency})` : ''}</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Contribution</th>
+                </tr>
+              </thead>
+              <tbody>
+                {attributionData.securities
+                  .filter(row => Math.abs(row.contribution) > 0.000005)
+                  .slice(0, 15)
+                  .map(row => (
+                    <tr key={row.key}>
+                      <td style={styles.td}>
+                        {row.name}
+                        {row.isin && <div style={{ fontSize: '0.7rem', color: '#94a3b8' }}>{row.isin}</div>}
+                      </td>
+                      <td style={styles.td}>{row.category ? (ATTRIBUTION_CATEGORY_LABELS[row.category] || row.category) : '-'}</td>
+                      <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                        {row.averageWeight != null ? `${(row.averageWeight * 100).toFixed(1)}%` : '-'}
+                      </td>
+                      <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                        {row.pnl.toLocaleString('en-US', { maximumFractionDigits: 0 })}
+                      </td>
+                      <td style={{
+                        ...styles.td,
+                        textAlign: 'right',
+                        fontFamily: 'monospace',
+                        fontWeight: '600',
+                        color: row.contribution >= 0 ? '#047857' : '#b91c1c'
+                      }}>
+                        {formatPercent(row.contribution * 100)}
+                      </td>
+                    </tr>
+                  ))}
+              </tbody>
+            </table>
+            <div style={{ fontSize: '0.7rem', color: '#94a3b8', marginTop: '0.5rem' }}>
+              Brinson-Fachler attribution against the benchmark's asset classes; daily effects are linked so they add up to the active return, selection includes interaction.
+              Securities ranked by contribution to return (largest 15 shown); cash, fees and other non-security P&L are reported on their own line.
+              {attributionData.fxContribution != null && ` Securities are measured at constant FX; translating the accounts into ${attributionData.currency} is the currency translation line.`}
+            </div>
+          </div>
+        )}
+
+        {/* Risk Metrics Section - 1 Year */}
+        {riskData && (
+          <div style={styles.section} className="pms-pdf-section">
+            <h2 style={styles.sectionTitle}>Risk Metrics - 1 Year</h2>
+            <div style={{ fontSize: '0.8rem', color: '#64748b', marginBottom: '0.75rem' }}>
+              {riskData.startDate} to {riskData.endDate}
+              {' — '}{riskData.portfolio.observations} daily returns, holdings as of {riskData.holdingsDate || riskData.endDate}
+              {riskData.currency && ` (${riskData.currency} ${formatNumber(riskData.totalValue, 0)})`}
+            </div>
+
+            {riskData.breaches?.length > 0 && (
+              <div style={{ fontSize: '0.8rem', color: '#b45309', marginBottom: '0.75rem' }}>
+                Limits breached: {riskData.breaches.map(b => `${b.label} ${b.actual.toFixed(1)}% (limit ${b.limit}%)`).join(', ')}
+              </div>
+            )}
+
+            <table style={{...styles.table, marginBottom: '1rem'}}>
+              <thead>
+                <tr>
+                  <th style={{...styles.th, textAlign: 'right'}}>Volatility (ann.)</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Max Drawdown</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Current Drawdown</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Return (ann.)</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Sharpe Ratio</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                    {riskData.portfolio.volatility != null ? formatPercent(riskData.portfolio.volatility * 100, false) : '-'}
+                  </td>
+                  <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                    {formatPercent(-riskData.portfolio.drawdown.maxDrawdown * 100, false)}
+                    {riskData.portfolio.drawdown.peakDate && (
+                      <div style={{ fontSize: '0.7rem', color: '#94a3b8' }}>
+                        {riskData.portfolio.drawdown.peakDate} to {riskData.portfolio.drawdown.troughDate}
+                      </div>
+                    )}
+                  </td>
+                  <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                    {formatPercent(-riskData.portfolio.drawdown.currentDrawdown * 100, false)}
+                  </td>
+                  <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                    {riskData.portfolio.annualizedReturn != null ? formatPercent(riskData.portfolio.annualizedReturn * 100) : '-'}
+                  </td>
+                  <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                    {formatNumber(riskData.portfolio.sharpeRatio)}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+
+            <table style={{...styles.table, marginBottom: '1rem'}}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Value at Risk (1 day)</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Historical</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Parametric</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Amount (historical){riskData.currency ? ` (${riskData.currency})` : ''}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[95, 99].map(level => (
+                  <tr key={level}>
+                    <td style={styles.td}>{level}%</td>
+                    <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                      {riskData.valueAtRisk.historical[level] != null ? formatPercent(riskData.valueAtRisk.historical[level] * 100, false) : '-'}
+                    </td>
+                    <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                      {riskData.valueAtRisk.parametric[level] != null ? formatPercent(riskData.valueAtRisk.parametric[level] * 100, false) : '-'}
+                    </td>
+                    <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace'}}>
+                      {riskData.valueAtRisk.historical[level] != null
+                        ? formatNumber(riskData.valueAtRisk.historical[level] * riskData.totalValue, 0)
+                        : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Concentration</th>
+                  <th style={styles.th}>Largest Exposures</th>
+                  <th style={{...styles.th, textAlign: 'right'}}>Largest</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[['singleName', 'Single Name'], ['issuer', 'Issuer'], ['underlying', 'Underlying']].map(([key, label]) => {
+                  const concentration = riskData.concentration[key];
+                  return (
+                    <tr key={key}>
+                      <td style={styles.td}>{label}</td>
+                      <td style={styles.td}>
+                        {concentration.top.map(row => `${row.label} ${(row.weight * 100).toFixed(1)}%`).join(', ') || '-'}
+                      </td>
+                      <td style={{...styles.td, textAlign: 'right', fontFamily: 'monospace', fontWeight: '600'}}>
+                        {concentration.largest ? `${(concentration.largest.weight * 100).toFixed(1)}%` : '-'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div style={{ fontSize: '0.7rem', color: '#94a3b8', marginTop: '0.5rem' }}>
+              Volatility, drawdown and Sharpe ratio from the time-weighted daily returns; risk-free rate {formatPercent(riskData.portfolio.riskFreeRate * 100, false)} (€STR).
+              {riskData.valueAtRisk.basis === 'holdings'
+                ? ` VaR from a historical simulation of the current holdings over their price history (${(riskData.valueAtRisk.coverage * 100).toFixed(0)}% of invested value priced).`
+                : ' VaR from the portfolio\'s own daily returns.'}
+              {' '}Weights are shares of the total portfolio value; underlying exposure counts each structured product in full against every underlying.
+            </div>
+          </div>
+        )}
+
         {/* Transactions Section - Current Year */}
         <div style={{...styles.section, pageBreakBefore: 'always'}} className="pms-pdf-section pms-pdf-transactions">
           <h2 style={styles.sectionTitle}>
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Meteor } from 'meteor/meteor';
 import StructuredProductChart from '../components/StructuredProductChart.jsx';
+import BasketAggregationPanel from '../components/BasketAggregationPanel.jsx';
 import UnderlyingNews from '../components/UnderlyingNews.jsx';
 import PriceSparkline from '../components/PriceSparkline.jsx';
 import { USER_ROLES } from '/imports/api/users';
@@ -815,6 +816,9 @@ const ParticipationNoteReport = ({ results, productId, product, user }) => {
         </div>
       )}
 
+      {/* Basket aggregation breakdown (rainbow / worst-N / cliquet) */}
+      <BasketAggregationPanel basketAggregation={results.basketAggregation} />
+
       {/* Chart */}
       <StructuredProductChart productId={productId} height="900px" />
 
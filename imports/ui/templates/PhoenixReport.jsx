@@ -1081,6 +1081,157 @@ const PhoenixReport = ({ results, productId }) => {
         );
       })()}
 
+      {/* Monte Carlo Valuation - live products only */}
+      {results.monteCarloAnalysis && (() => {
+        const mc = results.monteCarloAnalysis;
+        const statTile = (label, value, caption, color = 'var(--text-primary)') => (
+          <div style={{
+            background: 'var(--bg-secondary)',
+            padding: '1.25rem',
+            borderRadius: '6px',
+            border: '1px solid var(--border-color)'
+          }}>
+            <div style={{
+              fontSize: '0.7rem',
+              color: 'var(--text-secondary)',
+              textTransform: 'uppercase',
+              marginBottom: '0.75rem',
+              fontWeight: '700',
+              letterSpacing: '0.5px'
+            }}>
+              {label}
+            </div>
+            <div style={{
+              fontSize: '1.8rem',
+              fontWeight: '700',
+              color,
+              marginBottom: '0.5rem',
+              fontFamily: 'monospace'
+            }}>
+              {value}
+            </div>
+            <div style={{
+              fontSize: '0.7rem',
+              color: 'var(--text-muted)',
+              lineHeight: '1.4'
+            }}>
+              {caption}
+            </div>
+          </div>
+        );
+
+        return (
+        <div className="pdf-card" style={{
+          background: 'var(--bg-primary)',
+          border: '1px solid var(--border-color)',
+          borderRadius: '12px',
+          padding: '1.5rem',
+          marginBottom: '1.5rem'
+        }}>
+          <h4 style={{
+            margin: '0 0 1rem 0',
+            fontSize: '1rem',
+            color: 'var(--text-primary)',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.5rem'
+          }}>
+            🎲 {tr.monteCarloValuation}
+            <span style={{
+              fontSize: '0.75rem',
+              background: 'rgba(99, 102, 241, 0.2)',
+              color: '#6366f1',
+              padding: '4px 8px',
+              borderRadius: '4px',
+              fontWeight: '600'
+            }}>
+              {tr.simulated}
+            </span>
+          </h4>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: isMobile ? '1fr' : (isTablet ? 'repeat(2, 1fr)' : 'repeat(auto-fit, minmax(180px, 1fr))'),
+            gap: '1rem',
+            marginBottom: '1.5rem'
+          }}>
+            {statTile(`💎 ${tr.fairValue}`, mc.fairValueFormatted, `± ${mc.standardErrorFormatted} (${tr.standardError})`, '#6366f1')}
+            {mc.nextCallableObservation && statTile(
+              `🎯 ${tr.nextAutocallProbability}`,
+              mc.nextCallableObservation.autocallProbabilityFormatted,
+              mc.nextCallableObservation.dateFormatted,
+              '#10b981'
+            )}
+            {statTile(`⏳ ${tr.expectedLife}`, mc.expectedLifeFormatted, `${tr.probabilityOfReachingMaturity}: ${mc.probabilityOfMaturityFormatted}`)}
+            {statTile(
+              `⚠️ ${tr.probabilityOfCapitalLoss}`,
+              mc.probabilityOfCapitalLossFormatted,
+              `${tr.averageLossWhenLoss}: ${mc.expectedLossGivenLossFormatted}`,
+              mc.probabilityOfCapitalLoss > 0 ? '#ef4444' : 'var(--text-primary)'
+            )}
+          </div>
+
+          {/* Per-observation probabilities */}
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.8rem', minWidth: '560px' }}>
+              <thead>
+                <tr style={{ background: 'var(--bg-tertiary)', color: 'var(--text-secondary)', textAlign: 'left' }}>
+                  <th style={{ padding: '0.6rem' }}>{tr.obsDate}</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'right' }}>{tr.trigger}</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'right' }}>{tr.stillAlive}</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'right' }}>{tr.autocallProbability}</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'right' }}>{tr.couponProbability}</th>
+                  <th style={{ padding: '0.6rem', textAlign: 'right' }}>{tr.expectedCoupon}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {mc.observations.map((obs, index) => (
+                  <tr key={index} style={{ borderBottom: '1px solid var(--border-color)', color: 'var(--text-primary)' }}>
+                    <td style={{ padding: '0.6rem' }}>{obs.observationDateFormatted}{obs.isFinal ? ` (${tr.finalRedemption})` : ''}</td>
+                    <td style={{ padding: '0.6rem', textAlign: 'right', fontFamily: 'monospace' }}>{obs.autocallLevelFormatted}</td>
+                    <td style={{ padding: '0.6rem', textAlign: 'right', fontFamily: 'monospace' }}>{obs.survivalProbabilityFormatted}</td>
+                    <td style={{ padding: '0.6rem', textAlign: 'right', fontFamily: 'monospace', color: obs.autocallProbability > 0 ? '#10b981' : 'var(--text-muted)' }}>
+                      {obs.isCallable && !obs.isFinal ? obs.autocallProbabilityFormatted : 'N/A'}
+                    </td>
+                    <td style={{ padding: '0.6rem', textAlign: 'right', fontFamily: 'monospace' }}>{obs.couponProbabilityFormatted}</td>
+                    <td style={{ padding: '0.6rem', textAlign: 'right', fontFamily: 'monospace' }}>{obs.expectedCouponFormatted}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Model inputs and disclaimer */}
+          <div style={{
+            marginTop: '1rem',
+            padding: '0.85rem 1rem',
+            background: 'var(--bg-tertiary)',
+            borderRadius: '6px',
+            border: '1px solid var(--border-color)',
+            fontSize: '0.75rem',
+            color: 'var(--text-secondary)',
+            lineHeight: '1.5'
+          }}>
+            <div>
+              <strong>{tr.volatility}:</strong> {mc.marketInputs.underlyings.map(u => `${u.ticker} ${u.volatilityFormatted}`).join(' | ')}
+              {mc.marketInputs.averageCorrelation !== null && (
+                <span style={{ marginLeft: '0.5rem' }}>
+                  <strong>{tr.averageCorrelation}:</strong> {mc.marketInputs.averageCorrelation.toFixed(2)}
+                </span>
+              )}
+            </div>
+            <div>
+              {mc.assumptions.paths.toLocaleString('en-US')} {tr.paths} | {tr.riskFreeRate}: {mc.assumptions.riskFreeRateFormatted}
+              {mc.marketInputs.usedFallback && ` | ⚠️ ${tr.insufficientHistoryFallback}`}
+            </div>
+            <div style={{ fontStyle: 'italic', marginTop: '0.5rem' }}>
+              {tr.monteCarloDisclaimer}
+            </div>
+          </div>
+        </div>
+        );
+      })()}
+
       {/* Observation Schedule */}
       {results.observationAnalysis && results.observationAnalysis.observations && results.observationAnalysis.observations.length > 0 && (
         <div className="pdf-card pdf-page-break-before observation-schedule-section" style={{
@@ -1646,6 +1797,10 @@ const PhoenixReport = ({ results, productId }) => {
                     const isFutureRow = !obs.hasOccurred;
                     const isFinalObservation = index === finalIndex;
 
+                    // Step-down coupon barriers and snowball / scheduled coupons vary per observation
+                    const hasSteppedCouponBarrier = results.observationAnalysis.observations.some(o => o.couponBarrier !== obs.couponBarrier);
+                    const hasScheduledCoupon = obs.couponRate != null && obs.couponRate !== results.phoenixStructure?.couponRate;
+
                     // Find the last observation that has occurred
                     const lastOccurredIndex = results.observationAnalysis.observations.reduce((lastIdx, observation, idx) => {
                       return observation.hasOccurred ? idx : lastIdx;
@@ -1925,6 +2080,16 @@ const PhoenixReport = ({ results, productId }) => {
                         fontWeight: '700'
                       }}>
                         {obs.autocallLevelFormatted}
+                        {hasSteppedCouponBarrier && obs.couponBarrierFormatted && (
+                          <div style={{
+                            fontSize: '0.7rem',
+                            fontWeight: '500',
+                            color: isRedemptionRow ? 'rgba(255, 255, 255, 0.8)' : '#94a3b8',
+                            marginTop: '2px'
+                          }}>
+                            💵 {obs.couponBarrierFormatted}
+                          </div>
+                        )}
                       </div>
 
                       {/* Product Called - Enhanced Visual */}
@@ -1993,6 +2158,14 @@ const PhoenixReport = ({ results, productId }) => {
                           }}>
                             {obs.couponPaidFormatted}
                           </span>
+                        ) : isFutureRow && hasScheduledCoupon ? (
+                          <span style={{
+                            color: '#94a3b8',
+                            fontWeight: '500',
+                            fontStyle: 'italic'
+                          }}>
+                            {obs.couponRateFormatted}
+                          </span>
                         ) : (
                           <span style={{
                             color: isRedemptionRow ? 'rgba(255, 255, 255, 0.5)' : '#e2e8f0',
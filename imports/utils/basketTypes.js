@@ -146,4 +146,231 @@ export const BasketHelpers = {
       calculationMethod: basket.calculationMethod
     };
   }
-};
\ No newline at end of file
+};
+
+// Basket aggregation modes shared by the Orion, Himalaya and Participation Note evaluators.
+// Stored on the product as structureParams.basketAggregation:
+//   { mode, rainbowWeights: [50, 30, 20], worstCount: 2, localCap: 5, localFloor: -5 }
+// 'standard' (or no config) keeps each template's own basket rule.
+export const BASKET_AGGREGATION_MODES = {
+  STANDARD: 'standard',
+  RAINBOW: 'rainbow',
+  AVERAGE_OF_WORST_N: 'average_of_worst_n',
+  CLIQUET: 'cliquet'
+};
+
+export const BASKET_AGGREGATION_CONFIGS = {
+  [BASKET_AGGREGATION_MODES.STANDARD]: {
+    label: 'Template Default',
+    description: 'Use the basket rule of the product template',
+    icon: '⚙️'
+  },
+  [BASKET_AGGREGATION_MODES.RAINBOW]: {
+    label: 'Rainbow',
+    description: 'Performances ranked best to worst and weighted by rank (e.g. 50/30/20)',
+    icon: '🌈'
+  },
+  [BASKET_AGGREGATION_MODES.AVERAGE_OF_WORST_N]: {
+    label: 'Average of Worst N',
+    description: 'Equally weighted average of the N worst performances',
+    icon: '📉'
+  },
+  [BASKET_AGGREGATION_MODES.CLIQUET]: {
+    label: 'Cliquet',
+    description: 'Basket return locked at each observation date, optionally capped and floored per period, then summed',
+    icon: '🔒'
+  }
+};
+
+export const DEFAULT_RAINBOW_WEIGHTS = [50, 30, 20];
+
+const toNumberOrNull = (value) => (
+  value === null || value === undefined || value === '' || isNaN(Number(value)) ? null : Number(value)
+);
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Pure basket aggregation maths (no data access) - used by the evaluators and the chart builders
+export const BasketAggregation = {
+  // Clean up a stored configuration. Returns null for the template default.
+  normalizeConfig: (raw) => {
+    if (!raw || !raw.mode || raw.mode === BASKET_AGGREGATION_MODES.STANDARD || !BASKET_AGGREGATION_CONFIGS[raw.mode]) {
+      return null;
+    }
+
+    const rawWeights = Array.isArray(raw.rainbowWeights)
+      ? raw.rainbowWeights
+      : String(raw.rainbowWeights || '').split(/[\/,\s]+/);
+    const rainbowWeights = rawWeights.filter(w => w !== '').map(Number).filter(w => !isNaN(w) && w >= 0);
+
+    return {
+      mode: raw.mode,
+      rainbowWeights: rainbowWeights.some(w => w > 0) ? rainbowWeights : DEFAULT_RAINBOW_WEIGHTS,
+      worstCount: Math.max(1, parseInt(raw.worstCount, 10) || 2),
+      localCap: toNumberOrNull(raw.localCap),
+      localFloor: toNumberOrNull(raw.localFloor)
+    };
+  },
+
+  // Rank weights (best performer first) for `count` underlyings, rescaled to total 100%
+  getRankWeights: (config, count) => {
+    const weights = Array.from({ length: count }, (_, i) => config.rainbowWeights[i] || 0);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return total > 0 ? weights.map(w => (w / total) * 100) : weights.map(() => 100 / count);
+  },
+
+  // Rainbow / average-of-worst-N over [{ ticker, performance }] (performances in %)
+  aggregateCrossSection: (items, config) => {
+    const valid = items.filter(item => typeof item.performance === 'number' && !isNaN(item.performance));
+    if (valid.length === 0) return null;
+
+    let ranked;
+    let weights;
+    if (config.mode === BASKET_AGGREGATION_MODES.RAINBOW) {
+      ranked = [...valid].sort((a, b) => b.performance - a.performance);
+      weights = BasketAggregation.getRankWeights(config, ranked.length);
+    } else if (config.mode === BASKET_AGGREGATION_MODES.AVERAGE_OF_WORST_N) {
+      ranked = [...valid].sort((a, b) => a.performance - b.performance);
+      const n = Math.min(config.worstCount, ranked.length);
+      weights = ranked.map((_, i) => (i < n ? 100 / n : 0));
+    } else {
+      ranked = valid;
+      weights = valid.map(() => 100 / valid.length);
+    }
+
+    const components = ranked.map((item, i) => ({
+      ticker: item.ticker,
+      performance: item.performance,
+      rank: i + 1,
+      weight: weights[i],
+      contribution: item.performance * weights[i] / 100,
+      included: weights[i] > 0
+    }));
+
+    return {
+      performance: components.reduce((sum, c) => sum + c.contribution, 0),
+      components
+    };
+  },
+
+  // Period return kept by a cliquet, after the local cap / floor
+  lockPeriodReturn: (periodReturn, config) => {
+    let locked = periodReturn;
+    if (config.localCap !== null && config.localCap !== undefined) locked = Math.min(locked, config.localCap);
+    if (config.localFloor !== null && config.localFloor !== undefined) locked = Math.max(locked, config.localFloor);
+    return locked;
+  },
+
+  // Cliquet over consecutive fixings [{ date, levels: [ratio to initial per underlying], isLocked }].
+  // The first fixing is the initial one (all levels 1). Each period's equally weighted basket
+  // return is capped / floored and the locked returns are summed.
+  aggregateCliquet: (fixings, config) => {
+    const periods = [];
+    for (let k = 1; k < fixings.length; k++) {
+      const start = fixings[k - 1];
+      const end = fixings[k];
+      const returns = end.levels.map((level, i) => (start.levels[i] > 0 ? (level / start.levels[i] - 1) * 100 : 0));
+      const basketReturn = average(returns);
+      periods.push({
+        startDate: start.date,
+        endDate: end.date,
+        basketReturn,
+        lockedReturn: BasketAggregation.lockPeriodReturn(basketReturn, config),
+        isLocked: end.isLocked
+      });
+    }
+
+    return {
+      performance: periods.reduce((sum, p) => sum + p.lockedReturn, 0),
+      periods
+    };
+  },
+
+  // Short label used in product names and chart legends, e.g. "Rainbow 50/30/20"
+  getLabel: (config) => {
+    if (!config) return null;
+    switch (config.mode) {
+      case BASKET_AGGREGATION_MODES.RAINBOW:
+        return `Rainbow ${config.rainbowWeights.join('/')}`;
+      case BASKET_AGGREGATION_MODES.AVERAGE_OF_WORST_N:
+        return `Avg Worst-${config.worstCount}`;
+      case BASKET_AGGREGATION_MODES.CLIQUET:
+        return config.localCap !== null && config.localCap !== undefined
+          ? `Cliquet ${config.localCap}% Cap`
+          : 'Cliquet';
+      default:
+        return null;
+    }
+  },
+
+  // One-sentence description for reports
+  describe: (config) => {
+    if (!config) return null;
+    switch (config.mode) {
+      case BASKET_AGGREGATION_MODES.RAINBOW:
+        return `Performances are ranked best to worst and weighted ${config.rainbowWeights.map(w => `${w}%`).join(' / ')} by rank.`;
+      case BASKET_AGGREGATION_MODES.AVERAGE_OF_WORST_N:
+        return `Basket performance is the average of the ${config.worstCount} worst performing underlyings.`;
+      case BASKET_AGGREGATION_MODES.CLIQUET: {
+        const bounds = [];
+        if (config.localCap !== null && config.localCap !== undefined) bounds.push(`capped at ${config.localCap}%`);
+        if (config.localFloor !== null && config.localFloor !== undefined) bounds.push(`floored at ${config.localFloor}%`);
+        return `The equally weighted basket return is locked at each observation date${bounds.length ? ` (${bounds.join(', ')} per period)` : ''} and the locked returns are added up.`;
+      }
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Daily basket level series (100 = initial) for the chart builders.
+   * @param {Array<{ data: Array<{x: string, y: number}> }>} seriesList - Underlying levels rebased to 100
+   * @param {Object} config - Normalized aggregation config
+   * @param {Array<string>} fixingDates - YYYY-MM-DD observation dates (cliquet only)
+   */
+  buildSeries: (seriesList, config, fixingDates = []) => {
+    if (!config || seriesList.length === 0) return [];
+
+    const dateMap = new Map();
+    seriesList.forEach((series, index) => {
+      (series.data || []).forEach(point => {
+        if (!dateMap.has(point.x)) dateMap.set(point.x, new Array(seriesList.length).fill(null));
+        dateMap.get(point.x)[index] = point.y;
+      });
+    });
+
+    const dates = Array.from(dateMap.keys())
+      .filter(date => dateMap.get(date).every(v => v !== null))
+      .sort();
+
+    if (config.mode !== BASKET_AGGREGATION_MODES.CLIQUET) {
+      return dates.map(date => {
+        const items = dateMap.get(date).map(level => ({ performance: level - 100 }));
+        return { x: date, y: 100 + BasketAggregation.aggregateCrossSection(items, config).performance };
+      });
+    }
+
+    const fixings = [...fixingDates].sort();
+    let fixingIndex = 0;
+    let lastFixingLevels = seriesList.map(() => 100);
+    let lockedTotal = 0;
+
+    return dates.map(date => {
+      const levels = dateMap.get(date);
+      const running = BasketAggregation.lockPeriodReturn(
+        average(levels.map((level, i) => (lastFixingLevels[i] > 0 ? (level / lastFixingLevels[i] - 1) * 100 : 0))),
+        config
+      );
+      const point = { x: date, y: 100 + lockedTotal + running };
+
+      // Lock the period on (or on the first data point after) each fixing date
+      if (fixingIndex < fixings.length && date >= fixings[fixingIndex]) {
+        lockedTotal += running;
+        lastFixingLevels = levels;
+        while (fixingIndex < fixings.length && date >= fixings[fixingIndex]) fixingIndex++;
+      }
+
+      return point;
+    });
+  }
+};
@@ -105,6 +105,27 @@ export const translations = {
     accumulatedInMemory: 'Accumulated in memory',
     forfeitedBelowBarrier: 'Forfeited (below barrier)',
 
+    // Monte Carlo valuation
+    monteCarloValuation: 'Monte Carlo Valuation',
+    simulated: 'Simulated',
+    fairValue: 'Fair Value',
+    standardError: 'standard error',
+    nextAutocallProbability: 'Next Autocall Probability',
+    expectedLife: 'Expected Life',
+    probabilityOfReachingMaturity: 'Probability of reaching maturity',
+    probabilityOfCapitalLoss: 'Probability of Capital Loss',
+    averageLossWhenLoss: 'Average loss when a loss occurs',
+    stillAlive: 'Still Alive',
+    autocallProbability: 'Autocall Probability',
+    couponProbability: 'Coupon Probability',
+    expectedCoupon: 'Expected Coupon',
+    volatility: 'Volatility',
+    averageCorrelation: 'Average correlation',
+    paths: 'paths',
+    riskFreeRate: 'Risk-free rate',
+    insufficientHistoryFallback: 'Insufficient price history, default volatility and correlation used',
+    monteCarloDisclaimer: 'Simulated values are model estimates based on historical volatility and correlation. They are not a price quote and do not include issuer credit risk, dividends or bid/offer spreads.',
+
     // Phoenix specific
     phoenixEvaluationResults: 'Phoenix Evaluation Results',
     observationFrequency: 'Observation Frequency',
@@ -383,6 +404,27 @@ export const translations = {
     accumulatedInMemory: 'Accumulé en mémoire',
     forfeitedBelowBarrier: 'Perdu (sous la barrière)',
 
+    // Monte Carlo valuation
+    monteCarloValuation: 'Valorisation Monte Carlo',
+    simulated: 'Simulé',
+    fairValue: 'Juste Valeur',
+    standardError: 'erreur type',
+    nextAutocallProbability: 'Probabilité du Prochain Autocall',
+    expectedLife: 'Durée de Vie Espérée',
+    probabilityOfReachingMaturity: 'Probabilité d\'atteindre la maturité',
+    probabilityOfCapitalLoss: 'Probabilité de Perte en Capital',
+    averageLossWhenLoss: 'Perte moyenne en cas de perte',
+    stillAlive: 'Encore Vivant',
+    autocallProbability: 'Probabilité d\'Autocall',
+    couponProbability: 'Probabilité de Coupon',
+    expectedCoupon: 'Coupon Espéré',
+    volatility: 'Volatilité',
+    averageCorrelation: 'Corrélation moyenne',
+    paths: 'trajectoires',
+    riskFreeRate: 'Taux sans risque',
+    insufficientHistoryFallback: 'Historique de prix insuffisant, volatilité et corrélation par défaut utilisées',
+    monteCarloDisclaimer: 'Les valeurs simulées sont des estimations de modèle basées sur la volatilité et la corrélation historiques. Elles ne constituent pas une cotation et n\'incluent ni le risque de crédit de l\'émetteur, ni les dividendes, ni les écarts achat/vente.',
+
     // Phoenix specific
     phoenixEvaluationResults: 'Résultats d\'Évaluation Phoenix',
     observationFrequency: 'Fréquence d\'Observation',
@@ -21,6 +21,9 @@ import { yieldToEventLoop } from '/imports/utils/asyncHelpers.js';
 import { ManualPriceTrackersCollection, ManualPriceTrackerHelpers } from '/imports/api/manualPriceTrackers.js';
 import { BankAccountsCollection } from '/imports/api/bankAccounts.js';
 import { scrapePrice } from '/imports/api/priceScraperService.js';
+import { PMSConsolidationHelpers } from '/imports/api/pmsConsolidation.js';
+import { PortfolioRiskHelpers } from '/imports/api/portfolioRisk.js';
+import { runOutsideMethodInvocation } from '../helpers/sessionAuth.js';
 
 /**
  * Cron Jobs Configuration
@@ -278,6 +281,17 @@ async function marketDataRefreshJob() {
     const tickersFailed = result.summary?.errors || 0;
     const dataPointsFetched = result.summary?.cached || 0;
 
+    // Record splits EOD reports on held listed securities (applied to PMS holdings)
+    try {
+      const splitResult = await Meteor.callAsync('corporateActions.detectFromEod', { sessionId: 'system-cron' });
+      if (splitResult.detected > 0) {
+        console.log(`[CRON] Corporate actions: ${splitResult.detected} new splits, ${splitResult.applied} applied`);
+      }
+    } catch (splitError) {
+      // Don't fail the market data refresh if split detection fails
+      console.error(`[CRON] Split detection error: ${splitError.message}`);
+    }
+
     // Log completion with detailed stats
     await CronJobLogHelpers.completeJob(logId, {
       tickersProcessed,
@@ -538,134 +552,25 @@ async function productRevaluationJob(options = {}) {
 }
 
 /**
- * Create consolidated holdings for all users
- * Merges holdings with same ISIN across all accounts for each user
+ * Create consolidated holdings for all client entities
+ * Merges holdings with same ISIN across all banks of each entity, valued in its reference currency
  * Stored with portfolioCode='CONSOLIDATED' for easy filtering in UI
  */
 async function createConsolidatedHoldings() {
   console.log('[CRON] Creating consolidated holdings...');
 
   try {
-    // Get all unique userIds that have latest active holdings (excluding existing CONSOLIDATED)
-    const usersWithHoldings = await PMSHoldingsCollection.rawCollection().distinct('userId', {
-      isLatest: true,
-      isActive: { $ne: false },
-      portfolioCode: { $ne: 'CONSOLIDATED' }
-    });
-
-    console.log(`[CRON] Found ${usersWithHoldings.length} users with holdings to consolidate`);
-
-    let totalConsolidated = 0;
-
-    for (let i = 0; i < usersWithHoldings.length; i++) {
-      await yieldToEventLoop(i, 5);
-      const userId = usersWithHoldings[i];
-      if (!userId) continue;
-
-      // Get all latest active holdings for this user (excluding CONSOLIDATED)
-      // Must filter isActive to exclude sold/transferred positions that still have isLatest=true
-      const holdings = await PMSHoldingsCollection.find({
-        userId,
-        isLatest: true,
-        isActive: { $ne: false },
-        portfolioCode: { $ne: 'CONSOLIDATED' }
-      }).fetchAsync();
-
-      if (holdings.length === 0) continue;
-
-      // Find the most recent snapshotDate among all holdings
-      const latestSnapshotDate = holdings.reduce((latest, h) => {
-        if (!latest || (h.snapshotDate && h.snapshotDate > latest)) {
-          return h.snapshotDate;
-        }
-        return latest;
-      }, null);
-
-      // Group by ISIN/ticker (merge same securities across accounts)
-      const consolidated = {};
-
-      holdings.forEach(pos => {
-        // Key by ISIN if available, otherwise ticker, otherwise securityName
-        // For term deposits, append endDate to differentiate deposits with same name but different maturities
-        let key = pos.isin || pos.ticker || pos.securityName;
-        if (!key) return; // Skip positions without identifier
-        if (pos.securityType === 'TERM_DEPOSIT' && pos.bankSpecificData?.instrumentDates?.endDate) {
-          const endDate = pos.bankSpecificData.instrumentDates.endDate;
-          const endDateStr = endDate instanceof Date ? endDate.toISOString().split('T')[0] : String(endDate).split('T')[0];
-          key = `${key}_${endDateStr}`;
-        }
-
-        if (!consolidated[key]) {
-          // First occurrence - clone the position as base
-          consolidated[key] = {
-            ...pos,
-            _id: undefined, // Will be generated on insert
-            portfolioCode: 'CONSOLIDATED',
-            accountNumber: 'CONSOLIDATED',
-            originalPortfolioCode: 'CONSOLIDATED',
-            quantity: 0,
-            marketValue: 0,
-            marketValueOriginalCurrency: 0,
-            bookValue: 0,
-            costBasisOriginalCurrency: 0,
-            costBasisPortfolioCurrency: 0,
-            unrealizedPnL: 0,
-            sourceAccounts: [],
-            snapshotDate: latestSnapshotDate,
-            processedAt: new Date(),
-            createdAt: new Date(),
-            updatedAt: new Date()
-          };
-        }
-
-        // Accumulate values
-        consolidated[key].quantity += pos.quantity || 0;
-        consolidated[key].marketValue += pos.marketValue || 0;
-        consolidated[key].marketValueOriginalCurrency += pos.marketValueOriginalCurrency || 0;
-        consolidated[key].bookValue += pos.bookValue || 0;
-        consolidated[key].costBasisOriginalCurrency += pos.costBasisOriginalCurrency || 0;
-        consolidated[key].costBasisPortfolioCurrency += pos.costBasisPortfolioCurrency || 0;
-        consolidated[key].unrealizedPnL += pos.unrealizedPnL || 0;
-        consolidated[key].sourceAccounts.push(pos.portfolioCode);
-      });
-
-      // Calculate unrealizedPnLPercent for consolidated positions
-      Object.values(consolidated).forEach(pos => {
-        if (pos.costBasisPortfolioCurrency && pos.costBasisPortfolioCurrency !== 0) {
-          pos.unrealizedPnLPercent = ((pos.marketValue - pos.costBasisPortfolioCurrency) / Math.abs(pos.costBasisPortfolioCurrency)) * 100;
-        } else {
-          pos.unrealizedPnLPercent = 0;
-        }
-      });
-
-      // Mark existing CONSOLIDATED holdings as not latest
-      await PMSHoldingsCollection.updateAsync(
-        { userId, portfolioCode: 'CONSOLIDATED', isLatest: true },
-        { $set: { isLatest: false, replacedAt: new Date() } },
-        { multi: true }
-      );
-
-      // Insert new consolidated holdings via bulkWrite for efficiency
-      const consolidatedPositions = Object.values(consolidated);
-      if (consolidatedPositions.length > 0) {
-        const bulkOps = consolidatedPositions.map(pos => {
-          let posKey = pos.isin || pos.ticker || pos.securityName;
-          if (pos.securityType === 'TERM_DEPOSIT' && pos.bankSpecificData?.instrumentDates?.endDate) {
-            const endDate = pos.bankSpecificData.instrumentDates.endDate;
-            const endDateStr = endDate instanceof Date ? endDate.toISOString().split('T')[0] : String(endDate).split('T')[0];
-            posKey = `${posKey}_${endDateStr}`;
-          }
-          pos.uniqueKey = `CONSOLIDATED_${userId}_${posKey}`;
-          return { insertOne: { document: pos } };
-        });
-        await PMSHoldingsCollection.rawCollection().bulkWrite(bulkOps, { ordered: false });
-      }
-
-      totalConsolidated += consolidatedPositions.length;
-    }
+    const result = await PMSConsolidationHelpers.consolidateAll();
 
-    console.log(`[CRON] Created ${totalConsolidated} consolidated holdings for ${usersWithHoldings.length} users`);
-    return { success: true, usersProcessed: usersWithHoldings.length, holdingsCreated: totalConsolidated };
+    console.log(`[CRON] Created ${result.holdingsCreated} consolidated holdings for ${result.scopes} clients (${result.multiCustodian} held at several custodians, ${result.flagged} with price/FX discrepancies)`);
+    return {
+      success: result.failed === 0,
+      usersProcessed: result.scopes,
+      holdingsCreated: result.holdingsCreated,
+      multiCustodianPositions: result.multiCustodian,
+      flaggedPositions: result.flagged,
+      failed: result.failed
+    };
 
   } catch (error) {
     console.error('[CRON] Error creating consolidated holdings:', error.message);
@@ -794,6 +699,7 @@ async function bankFileSyncJob(triggerSource = 'cron', options = {}) {
           connectionFileDetails.positionsProcessed = posCount;
           connectionFileDetails.operationsFile = processResult.operations?.filename || null;
           connectionFileDetails.operationsProcessed = opCount;
+          connectionFileDetails.quarantinedFiles = processResult.operations?.quarantinedFiles || [];
           connectionFileDetails.success = true;
 
           // Check data freshness for this connection
@@ -841,9 +747,45 @@ async function bankFileSyncJob(triggerSource = 'cron', options = {}) {
           console.error(`[CRON] Snapshot regeneration error for ${connection.connectionName}: ${snapshotError.message}`);
         }
 
+        // Step 5: Reconcile the latest positions against the operations booked since the previous file
+        try {
+          const reconciliation = await Meteor.callAsync('pms.runReconciliation', {
+            bankId: connection.bankId,
+            sessionId: 'system-cron'
+          });
+
+          connectionFileDetails.reconciliationBreaks = reconciliation.totalBreaks;
+          results.reconciliationBreaks = (results.reconciliationBreaks || 0) + reconciliation.totalBreaks;
+          if (reconciliation.totalBreaks > 0) {
+            console.log(`[CRON] ⚠ ${connection.connectionName}: ${reconciliation.totalBreaks} reconciliation breaks in ${reconciliation.portfoliosWithBreaks} portfolios`);
+          }
+        } catch (reconciliationError) {
+          // Don't fail the whole job if reconciliation fails
+          console.error(`[CRON] Reconciliation error for ${connection.connectionName}: ${reconciliationError.message}`);
+        }
+
+        // Step 6: Rebuild the tax-lot ledger (realized gains, internal cost basis) for this bank's clients
+        try {
+          const ledger = await Meteor.callAsync('taxLots.rebuild', {
+            bankId: connection.bankId,
+            sessionId: 'system-cron'
+          });
+          if (ledger.failed > 0) {
+            console.log(`[CRON] ⚠ ${connection.connectionName}: tax-lot rebuild failed for ${ledger.failed} of ${ledger.scopes} clients`);
+          }
+        } catch (ledgerError) {
+          // Don't fail the whole job if the ledger rebuild fails
+          console.error(`[CRON] Tax-lot rebuild error for ${connection.connectionName}: ${ledgerError.message}`);
+        }
+
       } catch (error) {
         results.connectionsFailed++;
         connectionFileDetails.error = error.message;
+        // Format drift: the file is held for admin review in File Quarantine
+        if (error.error === 'file-quarantined') {
+          connectionFileDetails.quarantined = true;
+          results.filesQuarantined = (results.filesQuarantined || 0) + 1;
+        }
         results.errors.push({
           connectionId: connection._id,
           connectionName: connection.connectionName,
@@ -873,7 +815,7 @@ async function bankFileSyncJob(triggerSource = 'cron', options = {}) {
     const staleWarning = results.connectionsWithStaleData > 0 ? ` (${results.connectionsWithStaleData} with stale data)` : '';
     console.log(`[CRON] Bank File Sync completed: ${results.connectionsSucceeded}/${results.connectionsProcessed} fresh${staleWarning}`);
 
-    // Create consolidated holdings for all users (merge same securities across accounts)
+    // Create consolidated holdings per client entity (merge same securities across custodians)
     try {
       const consolidationResult = await createConsolidatedHoldings();
       results.consolidation = consolidationResult;
@@ -1158,6 +1100,14 @@ async function cmbFileSyncJob(triggerSource = 'cron') {
       results.dashboardMetrics = { success: false, error: metricsError.message };
     }
 
+    // Then check every account against its risk limits for the RM dashboard alerts
+    try {
+      results.riskBreaches = await computeRiskBreachMetrics();
+    } catch (riskError) {
+      console.error('[CRON-CMB] Failed to compute risk breaches:', riskError.message);
+      results.riskBreaches = { success: false, error: riskError.message };
+    }
+
     return { success: true, ...results };
 
   } catch (error) {
@@ -1465,6 +1415,32 @@ async function computeDashboardMetrics() {
   }
 }
 
+/**
+ * Check all active accounts against their risk limits (volatility, drawdown,
+ * VaR, concentration) and cache the breaches for the RM dashboard alerts
+ */
+async function computeRiskBreachMetrics() {
+  console.log('[CRON] Computing risk limit breaches...');
+
+  try {
+    const breaches = await PortfolioRiskHelpers.computeRiskBreaches();
+    const accountCount = new Set(breaches.map(b => b.bankAccountId)).size;
+
+    await DashboardMetricsHelpers.saveMetrics({
+      metricType: 'risk_breaches',
+      scope: 'global',
+      breaches,
+      accountCount,
+      snapshotDate: new Date()
+    });
+
+    return { success: true, breachCount: breaches.length, accountCount };
+  } catch (error) {
+    console.error('[CRON] Error computing risk breaches:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * JOB 7: Settlement Check
  * Runs daily at 09:30 CET Mon-Fri (after bank file syncs)
@@ -1776,7 +1752,8 @@ if (Meteor.isServer) {
       console.log(`[MANUAL] Market Data Refresh triggered by ${currentUser.email}`);
 
       try {
-        const result = await marketDataRefreshJob();
+        // Run as the scheduler does, so its 'system-cron' calls are not tied to this client
+        const result = await runOutsideMethodInvocation(() => marketDataRefreshJob());
         return { success: true, result };
       } catch (error) {
         throw new Meteor.Error('job-execution-failed', error.message);
@@ -1852,7 +1829,7 @@ if (Meteor.isServer) {
       console.log(`[MANUAL] Bank File Sync triggered by ${currentUser.email}${forceReprocess ? ' (FORCE REPROCESS)' : ''}`);
 
       try {
-        const result = await bankFileSyncJob('manual', { forceReprocess });
+        const result = await runOutsideMethodInvocation(() => bankFileSyncJob('manual', { forceReprocess }));
         return { success: true, result };
       } catch (error) {
         throw new Meteor.Error('job-execution-failed', error.message);
@@ -1861,7 +1838,7 @@ if (Meteor.isServer) {
 
     /**
      * Manually trigger dashboard metrics computation
-     * Pre-computes AUM metrics for fast dashboard loading
+     * Pre-computes AUM metrics and risk limit breaches for fast dashboard loading
      */
     async 'cronJobs.triggerDashboardMetrics'(sessionId) {
       check(sessionId, String);
@@ -1877,7 +1854,8 @@ if (Meteor.isServer) {
 
       try {
         const result = await computeDashboardMetrics();
-        return { success: true, result };
+        const riskBreaches = await computeRiskBreachMetrics();
+        return { success: true, result, riskBreaches };
       } catch (error) {
         throw new Meteor.Error('job-execution-failed', error.message);
       }
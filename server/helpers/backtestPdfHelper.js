@@ -0,0 +1,229 @@
+import { generatePDFFromHTML } from './pdfHelper';
+
+/**
+ * Render a product backtest (ProductBacktest.run output) into a PDF.
+ * Returns { pdfData: base64 }.
+ */
+export async function generateBacktestPdf(backtest) {
+  if (!backtest || !backtest.summary) throw new Error('generateBacktestPdf: missing backtest summary');
+
+  const html = renderBacktestHtml(backtest);
+  return generatePDFFromHTML(html, {
+    format: 'A4',
+    marginTop: '16mm',
+    marginBottom: '16mm',
+    marginLeft: '14mm',
+    marginRight: '14mm'
+  });
+}
+
+// ---------- HTML rendering ---------------------------------------------------
+
+function escape(s) {
+  if (s == null) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(d) {
+  if (!d) return '';
+  const date = d instanceof Date ? d : new Date(d);
+  if (isNaN(date.getTime())) return '';
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${date.getFullYear()}`;
+}
+
+function pct(value, decimals = 2) {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  return `${Number(value).toFixed(decimals)}%`;
+}
+
+function distributionRows(items) {
+  return items.map(item => `
+    <tr>
+      <td>${escape(item.label)}</td>
+      <td class="num">${item.count}</td>
+      <td class="num">${pct(item.frequency, 1)}</td>
+      <td><div class="bar" style="width: ${Math.max(1, Math.round(item.frequency * 2))}px"></div></td>
+    </tr>`).join('');
+}
+
+const TEMPLATE_LABELS = {
+  phoenix_autocallable: 'Phoenix Autocallable',
+  reverse_convertible: 'Reverse Convertible'
+};
+
+function renderBacktestHtml(backtest) {
+  const summary = backtest.summary;
+  const params = backtest.structure?.structureParams || {};
+  const underlyings = (backtest.underlyings || []).map(u => u.name ? `${u.name} (${u.ticker})` : u.ticker).join(', ');
+
+  const structureRows = [
+    ['Template', TEMPLATE_LABELS[backtest.templateId] || backtest.templateId],
+    ['Underlyings', underlyings],
+    ['Tenor', `${backtest.structure?.tenorMonths || '-'} months`],
+    ['Observations', backtest.structure?.observationCount || 'Generated from frequency'],
+    ['Coupon', params.couponRate !== undefined ? pct(params.couponRate) : null],
+    ['Autocall level', params.autocallBarrierLevel !== undefined ? pct(params.autocallBarrierLevel, 0) : null],
+    ['Protection barrier', (params.protectionBarrierLevel ?? params.capitalProtectionBarrier) !== undefined
+      ? pct(params.protectionBarrierLevel ?? params.capitalProtectionBarrier, 0)
+      : null],
+    ['Coupon barrier', params.couponBarrier !== undefined ? pct(params.couponBarrier, 0) : null],
+    ['Memory coupon', params.memoryCoupon !== undefined ? (params.memoryCoupon ? 'Yes' : 'No') : null]
+  ].filter(([, value]) => value !== null && value !== undefined);
+
+  const scenarioRows = (backtest.scenarios || []).map(s => `
+    <tr class="${s.outcome === 'capital_loss' ? 'loss' : ''}">
+      <td>${escape(formatDate(s.startDate))}</td>
+      <td>${escape(formatDate(s.redemptionDate))}</td>
+      <td>${s.outcome === 'autocall' ? `Autocall obs. ${s.autocallPeriod}` : (s.outcome === 'capital_loss' ? 'Maturity - loss' : 'Maturity')}</td>
+      <td class="num">${pct(s.couponsCollected)}</td>
+      <td class="num">${pct(s.capitalReturn)}</td>
+      <td class="num">${pct(s.totalValue)}</td>
+      <td class="num">${pct(s.annualizedReturn)}</td>
+    </tr>`).join('');
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Historical Backtest</title>
+<style>
+  /* Amberlake Partners brand: amber gradient #b65f23 → #c76d2f, accent #DD772A, dark #1A2B40 */
+  * { box-sizing: border-box; }
+  body {
+    font-family: 'Helvetica Neue', Arial, sans-serif;
+    font-size: 9.5pt;
+    color: #1f2937;
+    margin: 0;
+    line-height: 1.4;
+  }
+  .brand-bar {
+    background: linear-gradient(135deg, #b65f23 0%, #c76d2f 100%);
+    color: #ffffff;
+    padding: 14px 18px;
+    margin-bottom: 16px;
+    border-radius: 6px;
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+  }
+  .brand-bar .logo { height: 28px; filter: brightness(0) invert(1); }
+  .brand-bar .titles { text-align: right; }
+  .brand-bar h1 { margin: 0; font-size: 14pt; font-weight: 600; }
+  .brand-bar .subtitle { margin-top: 2px; font-size: 9pt; opacity: 0.9; }
+  .disclaimer {
+    font-size: 8.5pt;
+    color: #475569;
+    background: #faf3ec;
+    padding: 8px 12px;
+    border-left: 4px solid #DD772A;
+    margin-bottom: 16px;
+  }
+  .section { margin-bottom: 16px; page-break-inside: avoid; }
+  .section h2 {
+    font-size: 11pt;
+    color: #1A2B40;
+    margin: 0 0 8px 0;
+    padding-bottom: 4px;
+    border-bottom: 2px solid #DD772A;
+    font-weight: 600;
+  }
+  .tiles { display: flex; gap: 10px; flex-wrap: wrap; }
+  .tile {
+    flex: 1 1 0;
+    min-width: 110px;
+    padding: 10px 12px;
+    background: #faf3ec;
+    border-radius: 4px;
+  }
+  .tile .label { font-size: 8pt; color: #64748b; text-transform: uppercase; letter-spacing: 0.4px; }
+  .tile .value { font-size: 14pt; font-weight: 700; color: #1A2B40; margin-top: 2px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 5px 8px; border-bottom: 1px solid #e2e8f0; text-align: left; }
+  th { background: #faf3ec; color: #1A2B40; font-weight: 600; font-size: 8.5pt; }
+  td.num, th.num { text-align: right; }
+  tr.loss td { color: #b91c1c; }
+  .bar { height: 8px; background: #DD772A; border-radius: 2px; }
+  .scenarios { page-break-inside: auto; }
+  .scenarios tr { page-break-inside: avoid; }
+  .footer-brand {
+    margin-top: 20px; padding-top: 10px; border-top: 1px solid #e2e8f0;
+    font-size: 8pt; color: #b65f23; text-align: center; letter-spacing: 1px; font-weight: 600;
+  }
+</style>
+</head>
+<body>
+  <div class="brand-bar">
+    <img class="logo" src="https://amberlakepartners.com/assets/logos/horizontal_logo2.png" alt="Amberlake Partners" />
+    <div class="titles">
+      <h1>Historical Backtest - ${escape(backtest.productTitle)}</h1>
+      <div class="subtitle">${summary.scenarioCount} start dates from ${escape(summary.firstStartDateFormatted)} to ${escape(summary.lastStartDateFormatted)} · generated ${escape(formatDate(backtest.generatedAt))}</div>
+    </div>
+  </div>
+
+  <div class="disclaimer">
+    Past performance is not a reliable indicator of future results. Each scenario replays the structure
+    with its trade date moved to a historical start date and strikes set to the closing prices on that date.
+    Issuer credit risk, fees and dividends are not taken into account.
+  </div>
+
+  <div class="section">
+    <h2>Structure</h2>
+    <table>
+      ${structureRows.map(([label, value]) => `<tr><td>${escape(label)}</td><td>${escape(value)}</td></tr>`).join('')}
+    </table>
+  </div>
+
+  <div class="section">
+    <h2>Key Figures</h2>
+    <div class="tiles">
+      <div class="tile"><div class="label">Autocall frequency</div><div class="value">${escape(summary.autocallFrequencyFormatted)}</div></div>
+      <div class="tile"><div class="label">Average coupons</div><div class="value">${escape(summary.averageCouponsFormatted)}</div></div>
+      <div class="tile"><div class="label">Capital loss frequency</div><div class="value">${escape(summary.capitalLossFrequencyFormatted)}</div></div>
+      <div class="tile"><div class="label">Average loss (when loss)</div><div class="value">${escape(summary.averageLossFormatted)}</div></div>
+    </div>
+    <div class="tiles" style="margin-top: 10px;">
+      <div class="tile"><div class="label">Average redemption</div><div class="value">${escape(summary.averageTotalValueFormatted)}</div></div>
+      <div class="tile"><div class="label">5th percentile</div><div class="value">${escape(summary.percentile5TotalValueFormatted)}</div></div>
+      <div class="tile"><div class="label">Avg. annualised return</div><div class="value">${escape(summary.averageAnnualizedReturnFormatted)}</div></div>
+      <div class="tile"><div class="label">Average life</div><div class="value">${escape(summary.averageDurationYearsFormatted)}</div></div>
+    </div>
+  </div>
+
+  <div class="section">
+    <h2>Redemption Distribution</h2>
+    <table>
+      <tr><th>Outcome</th><th class="num">Scenarios</th><th class="num">Frequency</th><th></th></tr>
+      ${distributionRows(summary.redemptionDistribution || [])}
+    </table>
+  </div>
+
+  <div class="section">
+    <h2>Total Redemption Value Distribution</h2>
+    <table>
+      <tr><th>Redemption (capital + coupons)</th><th class="num">Scenarios</th><th class="num">Frequency</th><th></th></tr>
+      ${distributionRows(summary.valueDistribution || [])}
+    </table>
+  </div>
+
+  <div class="section scenarios">
+    <h2>Scenarios</h2>
+    <table>
+      <tr>
+        <th>Start</th><th>Redemption</th><th>Outcome</th>
+        <th class="num">Coupons</th><th class="num">Capital</th><th class="num">Total</th><th class="num">Annualised</th>
+      </tr>
+      ${scenarioRows}
+    </table>
+  </div>
+
+  <div class="footer-brand">AMBERLAKE PARTNERS</div>
+</body>
+</html>`;
+}
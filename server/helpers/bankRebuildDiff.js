@@ -0,0 +1,192 @@
+import { BankPositionParser } from '../../imports/api/bankPositionParser.js';
+import { PMSHoldingsCollection } from '../../imports/api/pmsHoldings.js';
+import { PMSOperationsHelpers, PMSOperationsCollection } from '../../imports/api/pmsOperations.js';
+import { getEntityIdFromMap } from '../../imports/utils/entityResolver.js';
+
+/**
+ * Dry-run diff of a bank file rebuild
+ *
+ * Compares what the current parsers read from the raw files with the holdings and
+ * operations stored from them, without writing anything.
+ */
+
+export const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Mongo condition matching any of the given days (YYYY-MM-DD)
+ */
+export function daysCondition(field, dateKeys) {
+  return {
+    $or: dateKeys.map(key => {
+      const start = new Date(`${key}T00:00:00.000Z`);
+      return { [field]: { $gte: start, $lt: new Date(start.getTime() + 24 * 60 * 60 * 1000) } };
+    })
+  };
+}
+
+const isEqual = (a, b, tolerance) => {
+  if (a == null || b == null) return a == b;
+  return Math.abs(a - b) < tolerance;
+};
+
+/**
+ * Position identity for the diff. uniqueKey is not used: it depends on the classification
+ * applied while saving, which a dry run does not perform.
+ */
+const positionKey = (position) =>
+  `${position.portfolioCode}|${position.isin || position.securityName || ''}|${position.currency || ''}`;
+
+/**
+ * Sum quantities and values per position identity
+ */
+function aggregatePositions(positions) {
+  const byKey = new Map();
+  positions.forEach(position => {
+    const key = positionKey(position);
+    const entry = byKey.get(key) || {
+      portfolioCode: position.portfolioCode,
+      isin: position.isin || null,
+      securityName: position.securityName || null,
+      currency: position.currency || null,
+      quantity: 0,
+      marketValue: 0
+    };
+    entry.quantity += position.quantity || 0;
+    entry.marketValue += position.marketValue || 0;
+    byKey.set(key, entry);
+  });
+  return byKey;
+}
+
+/**
+ * Compare the current parser output for one date with the stored holdings of that date
+ */
+export async function diffPositionDate({ connection, bank, bankFolderPath, date, portfolioEntityMap }) {
+  const dateKey = toDateKey(date);
+  const parseResult = BankPositionParser.parseFilesForDate(bankFolderPath, date, {
+    bankId: connection.bankId,
+    bankName: bank.name,
+    userId: null
+  });
+
+  const unmappedPortfolioCodes = new Set();
+  const parsed = (parseResult.positions || []).filter(position => {
+    const mapping = getEntityIdFromMap(position.portfolioCode, portfolioEntityMap);
+    if (!mapping.entityId && !mapping.userId) {
+      unmappedPortfolioCodes.add(position.portfolioCode);
+      return false;
+    }
+    return true;
+  });
+
+  // Latest version per uniqueKey for the day, as the reports read it
+  const stored = await PMSHoldingsCollection.find({
+    bankId: connection.bankId,
+    ...daysCondition('fileDate', [dateKey])
+  }).fetchAsync();
+  const storedByUniqueKey = new Map();
+  stored.forEach(holding => {
+    const existing = storedByUniqueKey.get(holding.uniqueKey);
+    if (!existing || (holding.version || 0) > (existing.version || 0)) {
+      storedByUniqueKey.set(holding.uniqueKey, holding);
+    }
+  });
+
+  const before = aggregatePositions([...storedByUniqueKey.values()]);
+  const after = aggregatePositions(parsed);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  after.forEach((entry, key) => {
+    const previous = before.get(key);
+    if (!previous) {
+      added.push({ date: dateKey, ...entry });
+    } else if (!isEqual(previous.quantity, entry.quantity, 0.0001) || !isEqual(previous.marketValue, entry.marketValue, 0.01)) {
+      changed.push({
+        date: dateKey,
+        portfolioCode: entry.portfolioCode,
+        isin: entry.isin,
+        securityName: entry.securityName,
+        currency: entry.currency,
+        before: { quantity: previous.quantity, marketValue: previous.marketValue },
+        after: { quantity: entry.quantity, marketValue: entry.marketValue }
+      });
+    } else {
+      unchanged++;
+    }
+  });
+  before.forEach((entry, key) => {
+    if (!after.has(key)) removed.push({ date: dateKey, ...entry });
+  });
+
+  return {
+    date: dateKey,
+    files: (parseResult.filesProcessed || []).map(f => f.filename),
+    error: parseResult.error || null,
+    storedCount: storedByUniqueKey.size,
+    parsedCount: parsed.length,
+    added,
+    removed,
+    changed,
+    unchanged,
+    unmappedPortfolioCodes: [...unmappedPortfolioCodes],
+    processingIssues: parseResult.processingIssues || []
+  };
+}
+
+/**
+ * Compare parsed operations with the operations stored from the same files
+ */
+export async function diffOperations({ connection, operationFiles, operations }) {
+  const stored = await PMSOperationsCollection.find({
+    bankId: connection.bankId,
+    sourceFile: { $in: operationFiles.map(f => f.filename) }
+  }).fetchAsync();
+  const storedByKey = new Map(stored.map(operation => [operation.uniqueKey, operation]));
+
+  const describe = (operation) => ({
+    date: operation.operationDate ? toDateKey(operation.operationDate) : null,
+    portfolioCode: operation.portfolioCode,
+    operationType: operation.operationType,
+    isin: operation.isin || null,
+    quantity: operation.quantity ?? null,
+    netAmount: operation.netAmount ?? null,
+    sourceFile: operation.sourceFile
+  });
+
+  const added = [];
+  const changed = [];
+  const seenKeys = new Set();
+  let unchanged = 0;
+
+  operations.forEach(operation => {
+    const uniqueKey = PMSOperationsHelpers.generateUniqueKey({
+      bankId: operation.bankId,
+      portfolioCode: operation.portfolioCode,
+      operationCode: operation.operationCode || 'UNKNOWN',
+      operationDate: operation.operationDate,
+      instrumentCode: operation.instrumentCode || 'CASH'
+    });
+    seenKeys.add(uniqueKey);
+
+    const previous = storedByKey.get(uniqueKey);
+    if (!previous) {
+      added.push(describe(operation));
+    } else if (
+      previous.operationType !== operation.operationType ||
+      !isEqual(previous.quantity, operation.quantity, 0.0001) ||
+      !isEqual(previous.netAmount, operation.netAmount, 0.01)
+    ) {
+      changed.push({ ...describe(operation), before: describe(previous) });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const removed = stored.filter(operation => !seenKeys.has(operation.uniqueKey)).map(describe);
+
+  return { storedCount: stored.length, parsedCount: operations.length, added, removed, changed, unchanged };
+}
@@ -0,0 +1,73 @@
+import { Meteor } from 'meteor/meteor';
+import { DDP } from 'meteor/ddp-client';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection } from '../../imports/api/users.js';
+
+/**
+ * Shared Session Authorization Helper
+ *
+ * Admin checks for server methods that admins call from the client and the
+ * cron jobs call from the server with the 'system-cron' sessionId.
+ */
+
+// User the cron jobs act as
+const CRON_USER = { _id: 'system', username: 'system-cron', role: 'superadmin' };
+
+/**
+ * Validate session and ensure user is admin
+ * @param {String} sessionId - Client session ID
+ * @returns {Object} The admin user
+ */
+export async function validateAdminSession(sessionId) {
+  if (!sessionId) {
+    throw new Meteor.Error('not-authorized', 'Session required');
+  }
+
+  const session = await SessionsCollection.findOneAsync({
+    sessionId,
+    isActive: true
+  });
+
+  if (!session) {
+    throw new Meteor.Error('not-authorized', 'Invalid session');
+  }
+
+  const user = await UsersCollection.findOneAsync(session.userId);
+
+  if (!user) {
+    throw new Meteor.Error('not-authorized', 'User not found');
+  }
+
+  if (user.role !== 'admin' && user.role !== 'superadmin') {
+    throw new Meteor.Error('not-authorized', 'Admin access required');
+  }
+
+  return user;
+}
+
+/**
+ * Admin session, or the cron job calling from the server. The 'system-cron'
+ * sessionId is only honoured without a client connection, so it cannot be
+ * forged over DDP.
+ * @param {Object|null} connection - this.connection of the method invocation
+ * @param {String} sessionId - Client session ID or 'system-cron'
+ * @returns {Object} The admin user, or the cron user
+ */
+export async function validateAdminOrCronSession(connection, sessionId) {
+  if (connection === null && sessionId === 'system-cron') {
+    return CRON_USER;
+  }
+
+  return validateAdminSession(sessionId);
+}
+
+/**
+ * Run a cron job from a method (manual trigger) the way the scheduler runs it.
+ * Methods called from inside a method inherit its client connection; outside
+ * of it the methods the job calls with 'system-cron' see no connection.
+ * @param {Function} job - Async job function
+ * @returns {Promise} The job result
+ */
+export function runOutsideMethodInvocation(job) {
+  return DDP._CurrentMethodInvocation.withValue(null, job);
+}
@@ -0,0 +1,239 @@
+import { generatePDFFromHTML } from './pdfHelper';
+
+/**
+ * Render a scenario stress test (ScenarioStressTest.run output) into a PDF.
+ * Returns { pdfData: base64 }.
+ */
+export async function generateStressTestPdf(result) {
+  if (!result || !Array.isArray(result.products)) throw new Error('generateStressTestPdf: missing stress test result');
+
+  const html = renderStressTestHtml(result);
+  return generatePDFFromHTML(html, {
+    format: 'A4',
+    marginTop: '16mm',
+    marginBottom: '16mm',
+    marginLeft: '14mm',
+    marginRight: '14mm'
+  });
+}
+
+// ---------- HTML rendering ---------------------------------------------------
+
+function escape(s) {
+  if (s == null) return '';
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(d) {
+  if (!d) return '';
+  const date = d instanceof Date ? d : new Date(d);
+  if (isNaN(date.getTime())) return '';
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  return `${day}/${month}/${date.getFullYear()}`;
+}
+
+function pct(value, decimals = 2) {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  return `${Number(value).toFixed(decimals)}%`;
+}
+
+function signedPct(value) {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  return `${value >= 0 ? '+' : ''}${Number(value).toFixed(2)}%`;
+}
+
+function amount(value, currency) {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+  const formatted = Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: 0 });
+  return `${value < 0 ? '-' : '+'}${currency} ${formatted}`;
+}
+
+function impactByCurrency(map) {
+  const entries = Object.entries(map || {});
+  if (entries.length === 0) return '-';
+  return entries.map(([currency, value]) => amount(value, currency)).join('<br/>');
+}
+
+const TEMPLATE_LABELS = {
+  phoenix_autocallable: 'Phoenix',
+  reverse_convertible: 'Reverse Convertible',
+  participation_note: 'Participation Note'
+};
+
+function renderStressTestHtml(result) {
+  const summary = result.summary || {};
+
+  const productRows = result.products.map(p => `
+    <tr>
+      <td>${escape(p.title)}<div class="sub">${escape(p.isin || '')}</div></td>
+      <td>${escape(TEMPLATE_LABELS[p.templateId] || p.templateId)}</td>
+      <td>${escape(p.underlyings.map(u => `${u.ticker} ${signedPct(u.shock)}`).join(', '))}</td>
+      <td class="num">${pct(p.baseline.totalValue)}</td>
+      <td class="num">${pct(p.stressed.totalValue)}</td>
+      <td class="num${p.impact < 0 ? ' neg' : ''}">${signedPct(p.impact)}</td>
+      <td>${p.payoffLocked ? 'Payoff fixed' : (p.newlyBreached ? 'Barrier breached' : '')}</td>
+    </tr>`).join('');
+
+  const clientSections = (result.clients || []).map(c => `
+    <div class="client">
+      <h3>${escape(c.clientName)} <span class="client-total">${impactByCurrency(c.impactByCurrency)}</span></h3>
+      <table>
+        <tr>
+          <th>Product</th><th>Portfolio</th><th class="num">Nominal</th>
+          <th class="num">Current value</th><th class="num">Stressed value</th><th class="num">P&amp;L impact</th>
+        </tr>
+        ${c.positions.map(pos => `
+        <tr>
+          <td>${escape(pos.title)}<div class="sub">${escape(pos.isin)}</div></td>
+          <td>${escape(pos.portfolioCode || '')}</td>
+          <td class="num">${escape(pos.currency)} ${Number(pos.nominal).toLocaleString('en-US')}</td>
+          <td class="num">${Number(pos.baselineValue).toLocaleString('en-US', { maximumFractionDigits: 0 })}</td>
+          <td class="num">${Number(pos.stressedValue).toLocaleString('en-US', { maximumFractionDigits: 0 })}</td>
+          <td class="num${pos.pnlImpact < 0 ? ' neg' : ''}">${amount(pos.pnlImpact, pos.currency)}</td>
+        </tr>`).join('')}
+      </table>
+    </div>`).join('');
+
+  const skippedRows = (result.skipped || []).map(s => `
+    <tr><td>${escape(s.title)}</td><td>${escape(s.isin || '')}</td><td>${escape(s.templateId || '')}</td><td>${escape(s.reason)}</td></tr>`).join('');
+
+  const totalImpact = Object.entries(summary.totalImpactByCurrency || {})
+    .map(([currency, value]) => amount(value, currency))
+    .join(' · ') || '-';
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Scenario Stress Test</title>
+<style>
+  /* Amberlake Partners brand: amber gradient #b65f23 → #c76d2f, accent #DD772A, dark #1A2B40 */
+  * { box-sizing: border-box; }
+  body {
+    font-family: 'Helvetica Neue', Arial, sans-serif;
+    font-size: 9.5pt;
+    color: #1f2937;
+    margin: 0;
+    line-height: 1.4;
+  }
+  .brand-bar {
+    background: linear-gradient(135deg, #b65f23 0%, #c76d2f 100%);
+    color: #ffffff;
+    padding: 14px 18px;
+    margin-bottom: 16px;
+    border-radius: 6px;
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+  }
+  .brand-bar .logo { height: 28px; filter: brightness(0) invert(1); }
+  .brand-bar .titles { text-align: right; }
+  .brand-bar h1 { margin: 0; font-size: 14pt; font-weight: 600; }
+  .brand-bar .subtitle { margin-top: 2px; font-size: 9pt; opacity: 0.9; }
+  .disclaimer {
+    font-size: 8.5pt;
+    color: #475569;
+    background: #faf3ec;
+    padding: 8px 12px;
+    border-left: 4px solid #DD772A;
+    margin-bottom: 16px;
+  }
+  .section { margin-bottom: 16px; }
+  .section h2 {
+    font-size: 11pt;
+    color: #1A2B40;
+    margin: 0 0 8px 0;
+    padding-bottom: 4px;
+    border-bottom: 2px solid #DD772A;
+    font-weight: 600;
+  }
+  .tiles { display: flex; gap: 10px; flex-wrap: wrap; }
+  .tile {
+    flex: 1 1 0;
+    min-width: 110px;
+    padding: 10px 12px;
+    background: #faf3ec;
+    border-radius: 4px;
+  }
+  .tile .label { font-size: 8pt; color: #64748b; text-transform: uppercase; letter-spacing: 0.4px; }
+  .tile .value { font-size: 14pt; font-weight: 700; color: #1A2B40; margin-top: 2px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 5px 8px; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: top; }
+  th { background: #faf3ec; color: #1A2B40; font-weight: 600; font-size: 8.5pt; }
+  td.num, th.num { text-align: right; white-space: nowrap; }
+  tr { page-break-inside: avoid; }
+  td.neg { color: #b91c1c; }
+  .sub { font-size: 7.5pt; color: #64748b; }
+  .client { margin-bottom: 12px; page-break-inside: avoid; }
+  .client h3 { font-size: 10pt; color: #1A2B40; margin: 0 0 4px 0; display: flex; justify-content: space-between; }
+  .client-total { font-weight: 700; }
+  .footer-brand {
+    margin-top: 20px; padding-top: 10px; border-top: 1px solid #e2e8f0;
+    font-size: 8pt; color: #b65f23; text-align: center; letter-spacing: 1px; font-weight: 600;
+  }
+</style>
+</head>
+<body>
+  <div class="brand-bar">
+    <img class="logo" src="https://amberlakepartners.com/assets/logos/horizontal_logo2.png" alt="Amberlake Partners" />
+    <div class="titles">
+      <h1>Scenario Stress Test</h1>
+      <div class="subtitle">${escape(result.scenarioLabel)} · generated ${escape(formatDate(result.generatedAt))}</div>
+    </div>
+  </div>
+
+  <div class="disclaimer">
+    Indicative figures. Each live product is re-priced with its redemption formula after applying the
+    scenario shock to the current spot of its underlyings, all other parameters unchanged. Values are
+    expressed as if the product matured at the stressed levels; time value, volatility, issuer credit risk
+    and currency effects are not taken into account.
+  </div>
+
+  <div class="section">
+    <h2>Summary</h2>
+    <div class="tiles">
+      <div class="tile"><div class="label">Products stressed</div><div class="value">${summary.productCount || 0}</div></div>
+      <div class="tile"><div class="label">New barrier breaches</div><div class="value">${summary.newlyBreachedCount || 0}</div></div>
+      <div class="tile"><div class="label">Clients impacted</div><div class="value">${summary.clientCount || 0}</div></div>
+    </div>
+    <div class="tiles" style="margin-top: 10px;">
+      <div class="tile"><div class="label">Total P&amp;L impact</div><div class="value">${totalImpact}</div></div>
+    </div>
+  </div>
+
+  <div class="section">
+    <h2>Product Impact</h2>
+    <table>
+      <tr>
+        <th>Product</th><th>Type</th><th>Shocks applied</th>
+        <th class="num">Current</th><th class="num">Stressed</th><th class="num">Impact</th><th></th>
+      </tr>
+      ${productRows}
+    </table>
+  </div>
+
+  ${clientSections ? `
+  <div class="section">
+    <h2>Client Impact</h2>
+    ${clientSections}
+  </div>` : ''}
+
+  ${skippedRows ? `
+  <div class="section">
+    <h2>Products Not Stressed</h2>
+    <table>
+      <tr><th>Product</th><th>ISIN</th><th>Template</th><th>Reason</th></tr>
+      ${skippedRows}
+    </table>
+  </div>` : ''}
+
+  <div class="footer-brand">AMBERLAKE PARTNERS</div>
+</body>
+</html>`;
+}
@@ -101,6 +101,16 @@ import './methods/manualPriceTrackerMethods';
 import './methods/clientEntityMethods';
 import './methods/mcpTokenMethods';
 import './methods/oauthMethods';
+import './methods/backtestMethods';
+import './methods/stressTestMethods';
+import './methods/sensitivityMethods';
+import './methods/bankParserDefinitionMethods';
+import './methods/bankFileStructureMethods';
+import './methods/pmsReconciliationMethods';
+import './methods/corporateActionMethods';
+import './methods/taxLotMethods';
+import './methods/bankRebuildMethods';
+import './methods/benchmarkMethods';
 import '/imports/api/meetingReports'; // Client meeting reports — collection + methods
 import './publications/meetingReports';
 import './mcp/mcpHttpHandler'; // MCP Streamable HTTP endpoint at /mcp (also mounts OAuth endpoints)
@@ -110,6 +120,8 @@ import './publications/bankConnections';
 import './publications/securitiesMetadata';
 import './publications/accountProfiles';
 import './publications/manualPriceTrackers';
+import './publications/bankParserDefinitions';
+import './publications/bankFileQuarantine';
 import './publications/clientEntities';
 import './publications/userEntityAccess';
 import './publications'; // Import all publications from index.js
@@ -1116,11 +1128,16 @@ Meteor.methods({
     }
   },
 
-  // Evaluate product using generic rule engine
-  async 'products.evaluate'(productId) {
+  // Evaluate product using generic rule engine (optionally as of a past date)
+  async 'products.evaluate'(productId, asOfDate = null) {
     check(productId, String);
+    check(asOfDate, Match.Maybe(Date));
+
+    if (asOfDate && asOfDate.getTime() > Date.now()) {
+      throw new Meteor.Error('invalid-date', 'asOfDate cannot be in the future');
+    }
     
-    console.log('products.evaluate: Starting evaluation for product:', productId);
+    console.log('products.evaluate: Starting evaluation for product:', productId, asOfDate ? `as of ${asOfDate.toISOString().split('T')[0]}` : '');
     
     try {
       // Get the product
@@ -1141,7 +1158,7 @@ Meteor.methods({
       
       return new Promise((resolve, reject) => {
         // Execute the generic rule engine directly with product ID as argument
-        const child = spawn('node', [ruleEnginePath, productId, new Date().toISOString()], {
+        const child = spawn('node', [ruleEnginePath, productId, (asOfDate || new Date()).toISOString()], {
           cwd: process.cwd(),
           stdio: ['pipe', 'pipe', 'pipe']
         });
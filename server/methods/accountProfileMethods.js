@@ -1,15 +1,21 @@
 import { Meteor } from 'meteor/meteor';
 import { check, Match } from 'meteor/check';
-import { AccountProfilesCollection } from '../../imports/api/accountProfiles.js';
+import { AccountProfilesCollection, DEFAULT_RISK_LIMITS } from '../../imports/api/accountProfiles.js';
 import { SessionsCollection } from '../../imports/api/sessions.js';
 import { UsersCollection, USER_ROLES } from '../../imports/api/users.js';
 import { BankAccountsCollection } from '../../imports/api/bankAccounts.js';
+import { BenchmarkHelpers } from '../../imports/api/benchmarks.js';
+
+// Each risk limit is a percentage, or null to disable the check
+const RiskLimitsPattern = Object.fromEntries(
+  Object.keys(DEFAULT_RISK_LIMITS).map(key => [key, Match.Optional(Match.OneOf(Number, null))])
+);
 
 Meteor.methods({
   /**
    * Upsert (create or update) an account profile
    * @param {String} bankAccountId - The bank account ID
-   * @param {Object} profile - The profile data (maxCash, maxBonds, maxEquities, maxAlternative)
+   * @param {Object} profile - The profile data (maxCash, maxBonds, maxEquities, maxAlternative, benchmarkId, riskLimits)
    * @param {String} sessionId - The session ID for authorization
    */
   async 'accountProfiles.upsert'(bankAccountId, profile, sessionId) {
@@ -20,7 +26,9 @@ Meteor.methods({
       maxBonds: Match.Integer,
       maxEquities: Match.Integer,
       maxAlternative: Match.Integer,
-      isProfessionalInvestor: Match.Maybe(Boolean)
+      isProfessionalInvestor: Match.Maybe(Boolean),
+      benchmarkId: Match.Maybe(String),
+      riskLimits: Match.Maybe(RiskLimitsPattern)
     });
     check(sessionId, String);
 
@@ -75,12 +83,21 @@ Meteor.methods({
     }
 
     // Validate percentages are between 0 and 100
-    for (const [key, value] of Object.entries(profile)) {
+    for (const [key, value] of Object.entries({ ...profile, ...(profile.riskLimits || {}) })) {
       if (value < 0 || value > 100) {
         throw new Meteor.Error('invalid-value', `${key} must be between 0 and 100`);
       }
     }
 
+    // Empty benchmark = follow the profile template default
+    if (profile.benchmarkId) {
+      if (!(await BenchmarkHelpers.getBenchmark(profile.benchmarkId))) {
+        throw new Meteor.Error('invalid-value', `Unknown benchmark ${profile.benchmarkId}`);
+      }
+    } else {
+      profile.benchmarkId = null;
+    }
+
     // Upsert the profile
     const result = await AccountProfilesCollection.upsertAsync(
       { bankAccountId },
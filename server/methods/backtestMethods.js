@@ -0,0 +1,114 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection, USER_ROLES } from '../../imports/api/users.js';
+import { MarketDataHelpers } from '../../imports/api/marketDataCache.js';
+import { ProductBacktest, BACKTEST_SUPPORTED_TEMPLATES } from '../../imports/api/evaluators/productBacktest.js';
+import { generateBacktestPdf } from '../helpers/backtestPdfHelper.js';
+
+/**
+ * Validate session and get user (staff only - backtests are used to prepare proposals)
+ */
+async function validateSession(sessionId) {
+  if (!sessionId) {
+    throw new Meteor.Error('not-authorized', 'Session required');
+  }
+
+  const session = await SessionsCollection.findOneAsync({
+    sessionId,
+    isActive: true
+  });
+
+  if (!session) {
+    throw new Meteor.Error('not-authorized', 'Invalid session');
+  }
+
+  const user = await UsersCollection.findOneAsync(session.userId);
+
+  if (!user) {
+    throw new Meteor.Error('not-authorized', 'User not found');
+  }
+
+  if (user.role === USER_ROLES.CLIENT) {
+    throw new Meteor.Error('not-authorized', 'Backtests are not available for client accounts');
+  }
+
+  return user;
+}
+
+Meteor.methods({
+  /**
+   * Replay a draft product over historical start dates and return the outcome distribution
+   */
+  async 'products.runBacktest'({ sessionId, draftProduct, options = {} }) {
+    check(sessionId, String);
+    check(draftProduct, Object);
+    check(options, {
+      lookbackYears: Match.Optional(Match.Integer),
+      step: Match.Optional(Match.OneOf('monthly', 'weekly')),
+      maxScenarios: Match.Optional(Match.Integer)
+    });
+    this.unblock();
+
+    const user = await validateSession(sessionId);
+
+    if (!BACKTEST_SUPPORTED_TEMPLATES.includes(draftProduct.templateId)) {
+      throw new Meteor.Error('invalid-template', 'Backtests are available for Phoenix Autocallable and Reverse Convertible products');
+    }
+
+    const lookbackYears = Math.min(Math.max(options.lookbackYears || 15, 1), 30);
+    console.log(`[BACKTEST] ${user.username} running ${draftProduct.templateId} backtest over ${lookbackYears} years`);
+
+    // Make sure the cache holds the full lookback window for every underlying
+    const fromDate = new Date();
+    fromDate.setFullYear(fromDate.getFullYear() - lookbackYears);
+    fromDate.setDate(fromDate.getDate() - 30);
+
+    const tickers = (draftProduct.underlyings || [])
+      .filter(u => u && u.ticker)
+      .map(u => u.securityData?.ticker || u.fullTicker || (u.ticker.includes('.') ? u.ticker : `${u.ticker}.US`));
+
+    for (const ticker of tickers) {
+      try {
+        await MarketDataHelpers.fetchAndCacheHistoricalData(ticker, fromDate, new Date());
+      } catch (error) {
+        console.warn(`⚠️ [BACKTEST] Could not refresh history for ${ticker}:`, error.message);
+      }
+    }
+
+    try {
+      return await ProductBacktest.run(draftProduct, {
+        ...options,
+        lookbackYears,
+        maxScenarios: options.maxScenarios ? Math.min(options.maxScenarios, 500) : undefined
+      });
+    } catch (error) {
+      console.error('[BACKTEST] ❌ Backtest failed:', error);
+      throw new Meteor.Error('backtest-failed', error.message);
+    }
+  },
+
+  /**
+   * Export a backtest result (as returned by products.runBacktest) to PDF
+   */
+  async 'products.exportBacktestPdf'({ sessionId, backtest }) {
+    check(sessionId, String);
+    check(backtest, Object);
+    this.unblock();
+
+    await validateSession(sessionId);
+
+    try {
+      const { pdfData } = await generateBacktestPdf(backtest);
+      const safeTitle = String(backtest.productTitle || 'product').replace(/[^a-zA-Z0-9_-]+/g, '_').substring(0, 60);
+
+      return {
+        pdfData,
+        filename: `Backtest_${safeTitle}_${new Date().toISOString().split('T')[0]}.pdf`
+      };
+    } catch (error) {
+      console.error('[BACKTEST] ❌ PDF export failed:', error);
+      throw new Meteor.Error('pdf-generation-failed', error.message);
+    }
+  }
+});
@@ -3,13 +3,13 @@ import { check, Match } from 'meteor/check';
 import { BankConnectionsCollection, BankConnectionHelpers } from '../../imports/api/bankConnections.js';
 import { BankConnectionLogHelpers } from '../../imports/api/bankConnectionLogs.js';
 import { BanksCollection } from '../../imports/api/banks.js';
-import { SessionsCollection } from '../../imports/api/sessions.js';
-import { UsersCollection } from '../../imports/api/users.js';
 import { SFTPService } from '../../imports/api/sftpService.js';
+import { BankTransportService } from '../../imports/api/bankTransportService.js';
 import { isSGZipFile, extractSGZipFile, findNewSGZipFiles } from '../../imports/utils/zipUtils.js';
 import { decryptAllGpgFiles, isGpgAvailable } from '../../imports/utils/gpgUtils.js';
 import fs from 'fs';
 import path from 'path';
+import { validateAdminOrCronSession } from '../helpers/sessionAuth.js';
 
 /**
  * Get the most recent file modification date from a folder
@@ -34,47 +34,15 @@ function getLatestFileModificationDate(folderPath) {
   return latestDate;
 }
 
-/**
- * Validate session and ensure user is admin
- */
-async function validateAdminSession(sessionId) {
-  // Allow system-cron bypass for CRON jobs
-  if (sessionId === 'system-cron' || sessionId === 'system') {
-    return { _id: 'system', username: 'system-cron', role: 'superadmin' };
-  }
-
-  if (!sessionId) {
-    throw new Meteor.Error('not-authorized', 'Session required');
-  }
-
-  const session = await SessionsCollection.findOneAsync({
-    sessionId,
-    isActive: true
-  });
-
-  if (!session) {
-    throw new Meteor.Error('not-authorized', 'Invalid session');
-  }
-
-  const user = await UsersCollection.findOneAsync(session.userId);
-
-  if (!user) {
-    throw new Meteor.Error('not-authorized', 'User not found');
-  }
-
-  if (user.role !== 'admin' && user.role !== 'superadmin') {
-    throw new Meteor.Error('not-authorized', 'Admin access required');
-  }
-
-  return user;
-}
-
 Meteor.methods({
   /**
    * Create a new bank connection
-   * Supports 'sftp' and 'local' connection types
+   * Supports 'sftp', 'local', 'ftps', 'https', 'imap' and 'maildir' connection types
    */
-  async 'bankConnections.create'({ bankId, connectionName, connectionType, host, port, username, password, privateKeyPath, remotePath, localFolderName, sessionId }) {
+  async 'bankConnections.create'({
+    bankId, connectionName, connectionType, host, port, username, password, privateKeyPath, remotePath, localFolderName,
+    ftpsMode, url, authType, clientCertPath, clientKeyPath, caPath, mailbox, maildirPath, attachmentPattern, sessionId
+  }) {
     // Validate required fields (common to all types)
     check(bankId, String);
     check(connectionName, String);
@@ -91,12 +59,48 @@ Meteor.methods({
       check(privateKeyPath, Match.OneOf(String, null, undefined));
     } else if (connectionType === 'local') {
       check(localFolderName, String);
+    } else if (connectionType === 'ftps' || connectionType === 'imap') {
+      check(host, String);
+      check(username, String);
+      check(password, String);
+      check(port, Match.OneOf(Number, undefined, null));
+      check(remotePath, Match.OneOf(String, undefined, null));
+      check(ftpsMode, Match.OneOf('explicit', 'implicit', undefined, null));
+      check(mailbox, Match.OneOf(String, undefined, null));
+    } else if (connectionType === 'https') {
+      check(url, String);
+      check(authType, Match.OneOf('basic', 'certificate', undefined, null));
+      check(username, Match.OneOf(String, undefined, null));
+      check(password, Match.OneOf(String, undefined, null));
+      check(clientCertPath, Match.OneOf(String, undefined, null));
+      check(clientKeyPath, Match.OneOf(String, undefined, null));
+      check(caPath, Match.OneOf(String, undefined, null));
+      if (!url.startsWith('https://')) {
+        throw new Meteor.Error('invalid-url', 'HTTPS pull connections require an https:// URL');
+      }
+      if (authType === 'certificate' && (!clientCertPath || !clientKeyPath)) {
+        throw new Meteor.Error('missing-certificate', 'Certificate authentication requires a client certificate and key');
+      }
+      if (authType !== 'certificate' && (!username || !password)) {
+        throw new Meteor.Error('missing-credentials', 'Basic authentication requires a username and password');
+      }
+    } else if (connectionType === 'maildir') {
+      check(maildirPath, String);
     } else {
       throw new Meteor.Error('invalid-type', `Invalid connection type: ${connectionType}`);
     }
 
+    check(attachmentPattern, Match.OneOf(String, undefined, null));
+    if (attachmentPattern) {
+      try {
+        new RegExp(attachmentPattern);
+      } catch (e) {
+        throw new Meteor.Error('invalid-pattern', `Invalid attachment pattern: ${e.message}`);
+      }
+    }
+
     // Validate admin access
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     // Verify bank exists
     const bank = await BanksCollection.findOneAsync(bankId);
@@ -104,20 +108,34 @@ Meteor.methods({
       throw new Meteor.Error('not-found', 'Bank not found');
     }
 
+    const usesHost = ['sftp', 'ftps', 'imap'].includes(connectionType);
+    const defaultPorts = { sftp: 22, imap: 993, ftps: ftpsMode === 'implicit' ? 990 : 21 };
+    const isTransport = BankTransportService.isTransportType(connectionType);
+
     // Create connection with type-specific fields
     const connectionId = await BankConnectionHelpers.createConnection({
       bankId,
       connectionName,
       connectionType,
-      // SFTP fields (null for local type)
-      host: connectionType === 'sftp' ? host : null,
-      port: connectionType === 'sftp' ? (port || 22) : 22,
-      username: connectionType === 'sftp' ? username : null,
-      password: connectionType === 'sftp' ? password : null,
+      // Server fields (SFTP, FTPS, IMAP)
+      host: usesHost ? host : null,
+      port: usesHost ? (port || defaultPorts[connectionType]) : 22,
+      username: usesHost || connectionType === 'https' ? (username || null) : null,
+      password: usesHost || connectionType === 'https' ? (password || null) : null,
       privateKeyPath: connectionType === 'sftp' ? privateKeyPath : null,
-      remotePath: connectionType === 'sftp' ? (remotePath || '/') : '/',
-      // Local folder field (null for sftp type)
+      remotePath: connectionType === 'sftp' || connectionType === 'ftps' ? (remotePath || '/') : '/',
+      // Local folder field (null for other types)
       localFolderName: connectionType === 'local' ? localFolderName : null,
+      // FTPS / HTTPS pull / mailbox fields
+      ftpsMode: connectionType === 'ftps' ? (ftpsMode || 'explicit') : null,
+      url: connectionType === 'https' ? url : null,
+      authType: connectionType === 'https' ? (authType || 'basic') : null,
+      clientCertPath: connectionType === 'https' ? (clientCertPath || null) : null,
+      clientKeyPath: connectionType === 'https' ? (clientKeyPath || null) : null,
+      caPath: connectionType === 'https' ? (caPath || null) : null,
+      mailbox: connectionType === 'imap' ? (mailbox || 'INBOX') : null,
+      maildirPath: connectionType === 'maildir' ? maildirPath : null,
+      attachmentPattern: isTransport ? (attachmentPattern || null) : null,
       userId: user._id
     });
 
@@ -146,7 +164,7 @@ Meteor.methods({
     check(sessionId, String);
 
     // Validate admin access
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     // Verify connection exists
     const connection = await BankConnectionHelpers.getConnection(connectionId);
@@ -180,7 +198,7 @@ Meteor.methods({
     check(sessionId, String);
 
     // Validate admin access
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     // Verify connection exists
     const connection = await BankConnectionHelpers.getConnection(connectionId);
@@ -206,14 +224,14 @@ Meteor.methods({
   },
 
   /**
-   * Test SFTP connection
+   * Test a bank connection (SFTP, local folder, FTPS, HTTPS pull, IMAP or maildir)
    */
   async 'bankConnections.test'({ connectionId, sessionId }) {
     check(connectionId, String);
     check(sessionId, String);
 
     // Validate admin access
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     // Get connection details
     const connection = await BankConnectionHelpers.getConnection(connectionId);
@@ -270,6 +288,8 @@ Meteor.methods({
           folderPath,
           timestamp: new Date()
         };
+      } else if (BankTransportService.isTransportType(connection.connectionType)) {
+        result = await BankTransportService.testConnection(connection);
       } else {
         throw new Meteor.Error('not-implemented', `Connection type ${connection.connectionType} not yet supported`);
       }
@@ -287,7 +307,7 @@ Meteor.methods({
         connectionName: connection.connectionName,
         action: 'test',
         status: 'success',
-        message: connection.connectionType === 'local' ? `Local folder accessible (${result.folderPath})` : 'Connection test successful',
+        message: connection.connectionType === 'local' ? `Local folder accessible (${result.folderPath})` : (result.message || 'Connection test successful'),
         metadata: { fileCount: result.fileCount },
         userId: user._id
       });
@@ -336,7 +356,7 @@ Meteor.methods({
     check(sessionId, String);
 
     // Validate admin access
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     // Get connection details
     const connection = await BankConnectionHelpers.getConnection(connectionId);
@@ -383,6 +403,15 @@ Meteor.methods({
             modified: stat.mtime
           };
         });
+      } else if (BankTransportService.isTransportType(connection.connectionType)) {
+        // Remote files (FTPS/HTTPS) or pending messages (IMAP/maildir)
+        files = await BankTransportService.listFiles(connection, remotePath);
+        actualPath = {
+          ftps: remotePath || connection.remotePath,
+          https: connection.url,
+          imap: connection.mailbox,
+          maildir: connection.maildirPath
+        }[connection.connectionType];
       } else {
         throw new Meteor.Error('not-implemented', `Connection type ${connection.connectionType} not supported`);
       }
@@ -434,7 +463,7 @@ Meteor.methods({
     check(sessionId, String);
 
     // Validate admin access
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     // Get connection first (outside try block to avoid undefined reference in catch)
     const connection = await BankConnectionsCollection.findOneAsync(connectionId);
@@ -478,6 +507,10 @@ Meteor.methods({
         };
       }
 
+      if (BankTransportService.isTransportType(connection.connectionType)) {
+        throw new Error(`Single-file download is not available for ${connection.connectionType} connections - use Download All`);
+      }
+
       // Download file using SFTP service (to buffer in memory)
       const fileBuffer = await SFTPService.downloadFileToBuffer({
         host: connection.host,
@@ -527,6 +560,7 @@ Meteor.methods({
   /**
    * Download all files from SFTP server to local bankfiles folder
    * For local connections, this simply lists existing files (no download needed)
+   * FTPS, HTTPS pull, IMAP and maildir connections go through BankTransportService
    */
   async 'bankConnections.downloadAllFiles'({ connectionId, sessionId }) {
     check(connectionId, String);
@@ -534,7 +568,7 @@ Meteor.methods({
     this.unblock();
 
     // Validate admin access
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     // Get connection first
     const connection = await BankConnectionsCollection.findOneAsync(connectionId);
@@ -807,6 +841,95 @@ Meteor.methods({
       };
     }
 
+    // FTPS, HTTPS pull, IMAP and maildir connections - staged download into the bank folder
+    if (BankTransportService.isTransportType(connection.connectionType)) {
+      await BankConnectionLogHelpers.logConnectionAttempt({
+        connectionId,
+        bankId: connection.bankId,
+        connectionName: connection.connectionName,
+        action: 'download_all',
+        status: 'started',
+        message: `${connection.connectionType} download started by ${user.username}`,
+        userId: user._id
+      });
+
+      try {
+        // Same folder naming as SFTP, so processing picks the files up unchanged
+        const sanitizedBankName = bank.name
+          .toLowerCase()
+          .replace(/[^a-z0-9]/g, '-')
+          .replace(/-+/g, '-')
+          .replace(/^-|-$/g, '');
+        const bankfilesRoot = process.env.BANKFILES_PATH || path.join(process.cwd(), 'bankfiles');
+        const bankFolderPath = path.join(bankfilesRoot, sanitizedBankName);
+        const stagingPath = path.join(bankfilesRoot, '.staging', sanitizedBankName);
+
+        const result = await BankTransportService.downloadAll(connection, { bankFolderPath, stagingPath });
+
+        if (Object.keys(result.connectionUpdates).length > 0) {
+          await BankConnectionsCollection.updateAsync(connectionId, {
+            $set: { ...result.connectionUpdates, updatedAt: new Date() }
+          });
+        }
+
+        const hasErrors = result.failedFiles.length > 0 || result.decryptionErrors.length > 0;
+
+        await BankConnectionLogHelpers.logConnectionAttempt({
+          connectionId,
+          bankId: connection.bankId,
+          connectionName: connection.connectionName,
+          action: 'download_all',
+          status: hasErrors ? 'partial' : 'success',
+          message: `Downloaded ${result.newFiles.length} new files, skipped ${result.skippedFiles.length} existing`,
+          metadata: {
+            totalFiles: result.totalFound,
+            newFilesCount: result.newFiles.length,
+            newFiles: result.newFiles,
+            skippedFilesCount: result.skippedFiles.length,
+            skippedFiles: result.skippedFiles,
+            failedFilesCount: result.failedFiles.length,
+            failedFiles: result.failedFiles,
+            decryptedFiles: result.decryptedFiles.length,
+            decryptionErrors: result.decryptionErrors,
+            gpgAvailable: result.gpgAvailable,
+            bankFolderPath,
+            stagingPath
+          },
+          userId: user._id
+        });
+
+        if (result.newFiles.length > 0) {
+          await BankConnectionHelpers.updateActivityTimestamps(connectionId, { downloadedAt: new Date() });
+        }
+
+        return {
+          success: true,
+          totalFiles: result.totalFound,
+          newFiles: result.newFiles,
+          skippedFiles: result.skippedFiles,
+          failedFiles: result.failedFiles,
+          decryptedFiles: result.decryptedFiles,
+          decryptionErrors: result.decryptionErrors,
+          bankFolderPath: sanitizedBankName
+        };
+
+      } catch (error) {
+        console.error(`[BANK_CONNECTIONS] ${connection.connectionType} download failed: ${error.message}`);
+
+        await BankConnectionLogHelpers.logConnectionAttempt({
+          connectionId,
+          bankId: connection.bankId,
+          connectionName: connection.connectionName,
+          action: 'download_all',
+          status: 'failed',
+          error: error.message,
+          userId: user._id
+        });
+
+        throw new Meteor.Error('download-all-failed', error.message);
+      }
+    }
+
     // SFTP connection - proceed with download
     // Log download start
     await BankConnectionLogHelpers.logConnectionAttempt({
@@ -1036,7 +1159,7 @@ Meteor.methods({
     check(sessionId, String);
 
     // Validate admin access
-    await validateAdminSession(sessionId);
+    await validateAdminOrCronSession(this.connection, sessionId);
 
     if (connectionId) {
       return await BankConnectionLogHelpers.getConnectionLogs(connectionId, limit || 50);
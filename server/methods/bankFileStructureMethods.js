@@ -0,0 +1,131 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { BankFileStructuresCollection, BankFileStructureHelpers, STRUCTURE_STATUS } from '../../imports/api/bankFileStructures.js';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection } from '../../imports/api/users.js';
+
+/**
+ * Validate session and ensure user is admin
+ */
+async function validateAdminSession(sessionId) {
+  if (!sessionId) {
+    throw new Meteor.Error('not-authorized', 'Session required');
+  }
+
+  const session = await SessionsCollection.findOneAsync({
+    sessionId,
+    isActive: true
+  });
+
+  if (!session) {
+    throw new Meteor.Error('not-authorized', 'Invalid session');
+  }
+
+  const user = await UsersCollection.findOneAsync(session.userId);
+
+  if (!user) {
+    throw new Meteor.Error('not-authorized', 'User not found');
+  }
+
+  if (user.role !== 'admin' && user.role !== 'superadmin') {
+    throw new Meteor.Error('not-authorized', 'Admin access required');
+  }
+
+  return user;
+}
+
+async function getQuarantinedRecord(id) {
+  const record = await BankFileStructuresCollection.findOneAsync(id);
+  if (!record) {
+    throw new Meteor.Error('not-found', 'File structure record not found');
+  }
+  if (record.status !== STRUCTURE_STATUS.QUARANTINED) {
+    throw new Meteor.Error('not-quarantined', `${record.filename} is not in quarantine`);
+  }
+  if (!record.connectionId) {
+    throw new Meteor.Error('no-connection', `${record.filename} has no bank connection to reprocess from`);
+  }
+  return record;
+}
+
+/**
+ * Run the normal import for a released file. Positions are re-imported for their
+ * file date; operation files are picked up by processLatest since they were never marked seen.
+ */
+async function reprocessFile(record, sessionId) {
+  try {
+    if (record.fileType === 'operations') {
+      const result = await Meteor.callAsync('bankPositions.processLatest', {
+        connectionId: record.connectionId,
+        sessionId
+      });
+      const stillQuarantined = (result.operations?.quarantinedFiles || []).includes(record.filename);
+      return {
+        success: !stillQuarantined,
+        quarantined: stillQuarantined,
+        operations: result.operations
+      };
+    }
+
+    const result = await Meteor.callAsync('bankPositions.processDate', {
+      connectionId: record.connectionId,
+      targetDate: record.fileDate.toISOString(),
+      sessionId
+    });
+    return { success: true, quarantined: false, positions: result };
+  } catch (error) {
+    if (error.error === 'file-quarantined') {
+      return { success: false, quarantined: true, message: error.reason };
+    }
+    throw error;
+  }
+}
+
+Meteor.methods({
+  /**
+   * Accept the structure of a quarantined file as the new baseline, then import it
+   */
+  async 'bankFileStructures.accept'({ id, reprocess = true, sessionId }) {
+    check(id, String);
+    check(reprocess, Match.Maybe(Boolean));
+    check(sessionId, String);
+
+    const user = await validateAdminSession(sessionId);
+    const record = await getQuarantinedRecord(id);
+
+    console.log(`[FILE_STRUCTURE] ${user.username} accepted new structure of ${record.bankName} ${record.filename}`);
+
+    try {
+      await BankFileStructureHelpers.acceptStructure(id, user._id);
+      if (!reprocess) {
+        return { success: true };
+      }
+      return await reprocessFile(record, sessionId);
+    } catch (error) {
+      console.error(`[FILE_STRUCTURE] Error accepting structure: ${error.message}`);
+      throw new Meteor.Error('accept-failed', error.reason || error.message);
+    }
+  },
+
+  /**
+   * Check a quarantined file again against the current baseline and import it if it now matches
+   * (e.g. after the bank re-delivered a corrected file or a parser definition was updated)
+   */
+  async 'bankFileStructures.reprocess'({ id, sessionId }) {
+    check(id, String);
+    check(sessionId, String);
+
+    const user = await validateAdminSession(sessionId);
+    const record = await getQuarantinedRecord(id);
+
+    console.log(`[FILE_STRUCTURE] ${user.username} reprocessing ${record.bankName} ${record.filename}`);
+
+    try {
+      await BankFileStructureHelpers.releaseForReprocess(id);
+      return await reprocessFile(record, sessionId);
+    } catch (error) {
+      console.error(`[FILE_STRUCTURE] Error reprocessing file: ${error.message}`);
+      throw new Meteor.Error('reprocess-failed', error.reason || error.message);
+    }
+  }
+});
@@ -0,0 +1,155 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { BankParserDefinitionsCollection, BankParserDefinitionHelpers } from '../../imports/api/bankParserDefinitions.js';
+import { DeclarativeParser } from '../../imports/api/parsers/declarativeParser.js';
+import { BankPositionParser } from '../../imports/api/bankPositionParser.js';
+import { BankOperationParser } from '../../imports/api/bankOperationParser.js';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection } from '../../imports/api/users.js';
+
+// Sample files are pasted into the method call, keep them reasonable
+const MAX_SAMPLE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Validate session and ensure user is admin
+ */
+async function validateAdminSession(sessionId) {
+  if (!sessionId) {
+    throw new Meteor.Error('not-authorized', 'Session required');
+  }
+
+  const session = await SessionsCollection.findOneAsync({
+    sessionId,
+    isActive: true
+  });
+
+  if (!session) {
+    throw new Meteor.Error('not-authorized', 'Invalid session');
+  }
+
+  const user = await UsersCollection.findOneAsync(session.userId);
+
+  if (!user) {
+    throw new Meteor.Error('not-authorized', 'User not found');
+  }
+
+  if (user.role !== 'admin' && user.role !== 'superadmin') {
+    throw new Meteor.Error('not-authorized', 'Admin access required');
+  }
+
+  return user;
+}
+
+/**
+ * Refresh the in-memory parser registries after a definition changed
+ */
+async function reloadDeclarativeParsers() {
+  const positionCount = await BankPositionParser.loadDeclarativeParsers();
+  const operationCount = await BankOperationParser.loadDeclarativeParsers();
+  console.log(`[PARSER_DEFINITIONS] Reloaded ${positionCount} position and ${operationCount} operation parsers`);
+}
+
+Meteor.methods({
+  /**
+   * Create or update a parser definition
+   */
+  async 'bankParserDefinitions.save'({ definition, sessionId }) {
+    check(definition, Object);
+    check(sessionId, String);
+
+    const user = await validateAdminSession(sessionId);
+
+    console.log(`[PARSER_DEFINITIONS] Saving definition: ${definition.key}`);
+
+    try {
+      const id = await BankParserDefinitionHelpers.saveDefinition(definition, user._id);
+      await reloadDeclarativeParsers();
+      return { success: true, id };
+    } catch (error) {
+      console.error(`[PARSER_DEFINITIONS] Error saving definition: ${error.message}`);
+      if (error instanceof Meteor.Error) throw error;
+      throw new Meteor.Error('save-failed', error.message);
+    }
+  },
+
+  /**
+   * Activate or deactivate a definition
+   */
+  async 'bankParserDefinitions.setActive'({ id, isActive, sessionId }) {
+    check(id, String);
+    check(isActive, Boolean);
+    check(sessionId, String);
+
+    const user = await validateAdminSession(sessionId);
+
+    const definition = await BankParserDefinitionsCollection.findOneAsync(id);
+    if (!definition) {
+      throw new Meteor.Error('not-found', 'Parser definition not found');
+    }
+
+    if (isActive && !definition.lastTestResult?.success) {
+      throw new Meteor.Error('not-tested', 'Test the definition against a sample file before activating it');
+    }
+
+    try {
+      await BankParserDefinitionHelpers.setActive(id, isActive, user._id);
+      await reloadDeclarativeParsers();
+      console.log(`[PARSER_DEFINITIONS] ${isActive ? 'Activated' : 'Deactivated'} ${definition.key}`);
+      return { success: true };
+    } catch (error) {
+      console.error(`[PARSER_DEFINITIONS] Error updating status: ${error.message}`);
+      throw new Meteor.Error('update-failed', error.message);
+    }
+  },
+
+  /**
+   * Delete a definition
+   */
+  async 'bankParserDefinitions.remove'({ id, sessionId }) {
+    check(id, String);
+    check(sessionId, String);
+
+    await validateAdminSession(sessionId);
+
+    try {
+      await BankParserDefinitionHelpers.removeDefinition(id);
+      await reloadDeclarativeParsers();
+      return { success: true };
+    } catch (error) {
+      console.error(`[PARSER_DEFINITIONS] Error removing definition: ${error.message}`);
+      throw new Meteor.Error('remove-failed', error.message);
+    }
+  },
+
+  /**
+   * Run a definition (saved or still being edited) against a sample file.
+   * When definitionId is given the result is stored on the definition.
+   */
+  async 'bankParserDefinitions.test'({ definition, definitionId, filename, content, sessionId }) {
+    check(definition, Object);
+    check(definitionId, Match.Maybe(String));
+    check(filename, String);
+    check(content, String);
+    check(sessionId, String);
+
+    await validateAdminSession(sessionId);
+
+    if (content.length > MAX_SAMPLE_SIZE) {
+      throw new Meteor.Error('file-too-large', 'Sample file exceeds 5 MB');
+    }
+
+    try {
+      const result = DeclarativeParser.test(definition, { filename, content });
+      console.log(`[PARSER_DEFINITIONS] Test of ${definition.key || 'draft'} on ${filename}: ${result.recordCount || 0} records, ${(result.errors || []).length} errors`);
+
+      if (definitionId) {
+        await BankParserDefinitionHelpers.recordTestResult(definitionId, filename, result);
+      }
+
+      return result;
+    } catch (error) {
+      console.error(`[PARSER_DEFINITIONS] Error testing definition: ${error.message}`);
+      throw new Meteor.Error('test-failed', error.message);
+    }
+  }
+});
@@ -15,6 +15,7 @@ import { BankFileStructureHelpers } from '../../imports/api/bankFileStructures.j
 import { NotificationHelpers } from '../../imports/api/notifications.js';
 import { AccountProfilesCollection, aggregateToFourCategories } from '../../imports/api/accountProfiles.js';
 import { SecuritiesMetadataCollection } from '../../imports/api/securitiesMetadata.js';
+import { PMSCorporateActionHelpers } from '../../imports/api/pmsCorporateActions.js';
 import { CurrencyRateCacheCollection } from '../../imports/api/currencyCache.js';
 import { checkNegativeCash, buildRatesMap } from '../../imports/api/helpers/cashCalculator.js';
 import { SecurityResolver } from '../../imports/api/helpers/securityResolver.js';
@@ -23,6 +24,7 @@ import { findNewSGZipFiles, extractSGZipFile } from '../../imports/utils/zipUtil
 import { decryptAllGpgFiles, isGpgAvailable } from '../../imports/utils/gpgUtils.js';
 import { yieldToEventLoop } from '../../imports/utils/asyncHelpers.js';
 import { buildPortfolioEntityMap, getEntityIdFromMap } from '../../imports/utils/entityResolver.js';
+import { validateAdminOrCronSession } from '../helpers/sessionAuth.js';
 import path from 'path';
 import fs from 'fs';
 
@@ -101,38 +103,139 @@ async function getCachedEnrichment(isin, enrichmentCache) {
 }
 
 /**
- * Validate session and ensure user is admin
+ * Alert admins that a bank file was quarantined because its format drifted
  */
-async function validateAdminSession(sessionId) {
-  // Allow system-cron bypass for CRON jobs
-  if (sessionId === 'system-cron' || sessionId === 'system') {
-    return { _id: 'system', username: 'system-cron', role: 'superadmin' };
-  }
+async function notifyQuarantine({ connection, bank, fileType, filename, guard, userId }) {
+  await BankConnectionLogHelpers.logConnectionAttempt({
+    connectionId: connection._id,
+    bankId: connection.bankId,
+    connectionName: connection.connectionName,
+    action: 'file_quarantined',
+    status: 'failed',
+    message: `${filename} quarantined: ${guard.warnings.join('; ')}`,
+    metadata: { fileType, filename, structureId: guard.recordId },
+    userId
+  });
 
-  if (!sessionId) {
-    throw new Meteor.Error('not-authorized', 'Session required');
-  }
+  const adminUsers = await UsersCollection.find({
+    role: { $in: ['admin', 'superadmin'] }
+  }).fetchAsync();
 
-  const session = await SessionsCollection.findOneAsync({
-    sessionId,
-    isActive: true
+  await NotificationHelpers.createForMultipleUsers({
+    userIds: adminUsers.map(admin => admin._id),
+    type: 'error',
+    title: 'Bank File Quarantined',
+    message: `${bank.name}: ${filename} was not imported because its format differs from ${guard.baselineFile}.\n\nChanges detected:\n${guard.warnings.map(w => `• ${w}`).join('\n')}\n\nReview it under Administration → File Quarantine.`,
+    metadata: {
+      bankId: connection.bankId,
+      bankName: bank.name,
+      connectionId: connection._id,
+      fileType,
+      structureId: guard.recordId,
+      currentFile: filename,
+      previousFile: guard.baselineFile,
+      warnings: guard.warnings,
+      diff: guard.diff,
+      currentHeaders: guard.currentHeaders,
+      previousHeaders: guard.previousHeaders
+    },
+    eventType: 'bank_file_quarantined'
   });
+}
 
-  if (!session) {
-    throw new Meteor.Error('not-authorized', 'Invalid session');
-  }
+/**
+ * Compare a position file with the last accepted structure; throws when it is quarantined
+ * so nothing from it reaches PMSHoldings
+ */
+async function guardPositionFile({ connection, bank, filename, fileDate, content, parser, userId }) {
+  if (!content || !parser) return;
+
+  const guard = await BankFileStructureHelpers.guardFile({
+    bankId: connection.bankId,
+    bankName: bank.name,
+    connectionId: connection._id,
+    fileType: 'positions',
+    filename,
+    fileDate,
+    content,
+    delimiter: parser.delimiter || (parser.filenamePattern ? ';' : ','), // Julius Baer uses semicolon
+    userId
+  });
 
-  const user = await UsersCollection.findOneAsync(session.userId);
+  if (!guard.quarantined) return;
 
-  if (!user) {
-    throw new Meteor.Error('not-authorized', 'User not found');
+  if (guard.isNew) {
+    await notifyQuarantine({ connection, bank, fileType: 'positions', filename, guard, userId });
   }
 
-  if (user.role !== 'admin' && user.role !== 'superadmin') {
-    throw new Meteor.Error('not-authorized', 'Admin access required');
+  throw new Meteor.Error(
+    'file-quarantined',
+    `${filename} quarantined (format changed): ${guard.warnings.join('; ')}`
+  );
+}
+
+/**
+ * Check every unseen operation file for format drift before parsing
+ * @returns {Promise<Array<string>>} Filenames held in quarantine (skipped by the parser)
+ */
+async function guardOperationFiles({ bankFolderPath, connection, bank, seenFiles, userId }) {
+  const quarantined = [];
+  const candidates = fs.readdirSync(bankFolderPath)
+    .filter(f => !seenFiles.includes(f) && BankOperationParser.isOperationFile(f));
+
+  for (const filename of candidates) {
+    try {
+      const declarativeParser = BankOperationParser.findDeclarativeParser(filename);
+      const content = BankPositionParser.readFile(path.join(bankFolderPath, filename), declarativeParser?.encoding);
+
+      const guard = await BankFileStructureHelpers.guardFile({
+        bankId: connection.bankId,
+        bankName: bank.name,
+        connectionId: connection._id,
+        fileType: 'operations',
+        filename,
+        fileDate: BankOperationParser.getFileDate(filename, path.join(bankFolderPath, filename)),
+        content,
+        delimiter: declarativeParser?.delimiter || ';',
+        userId
+      });
+
+      if (guard.quarantined) {
+        quarantined.push(filename);
+        if (guard.isNew) {
+          await notifyQuarantine({ connection, bank, fileType: 'operations', filename, guard, userId });
+        }
+      }
+    } catch (error) {
+      // Don't fail processing if structure check fails
+      console.error(`[FILE_STRUCTURE] Error checking ${filename}: ${error.message}`);
+    }
   }
 
-  return user;
+  return quarantined;
+}
+
+/**
+ * Record the processing issues reported by the file parsers (rejected files, unrecognized
+ * elements, unmapped codes) in the connection log, one entry per processing run
+ */
+async function logFileProcessingIssues({ connection, fileType, reports, userId }) {
+  const fileReports = (reports || []).filter(Boolean);
+  if (fileReports.length === 0) return;
+
+  const errorCount = fileReports.reduce((sum, report) => sum + report.errorCount, 0);
+  const warningCount = fileReports.reduce((sum, report) => sum + report.warningCount, 0);
+
+  await BankConnectionLogHelpers.logConnectionAttempt({
+    connectionId: connection._id,
+    bankId: connection.bankId,
+    connectionName: connection.connectionName,
+    action: 'file_issues',
+    status: errorCount > 0 ? 'failed' : 'warning',
+    message: `${fileType === 'operations' ? 'Operation' : 'Position'} files: ${errorCount} error(s), ${warningCount} warning(s) in ${fileReports.length} file(s)`,
+    metadata: { fileType, files: fileReports },
+    userId
+  });
 }
 
 /**
@@ -205,7 +308,7 @@ Meteor.methods({
     this.unblock();
 
     // Validate admin access
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     // Get connection
     const connection = await BankConnectionsCollection.findOneAsync(connectionId);
@@ -458,6 +561,10 @@ Meteor.methods({
         throw new Meteor.Error('directory-not-found', `Bank files directory not found: ${bankFolderPath}`);
       }
 
+      // Pick up admin-defined parsers before scanning the directory
+      await BankPositionParser.loadDeclarativeParsers();
+      await BankOperationParser.loadDeclarativeParsers();
+
       // Parse latest file (without userId - will be matched later)
       const parseResult = BankPositionParser.parseLatestFile(bankFolderPath, {
         bankId: connection.bankId,
@@ -465,6 +572,8 @@ Meteor.methods({
         userId: null  // Will be matched to bank accounts
       });
 
+      await logFileProcessingIssues({ connection, fileType: 'positions', reports: parseResult.processingIssues, userId: user._id });
+
       if (parseResult.error) {
         throw new Meteor.Error('no-files', parseResult.error);
       }
@@ -473,6 +582,9 @@ Meteor.methods({
 
       console.log(`[BANK_POSITIONS] Parsed ${totalRecords} positions from ${filename}`);
 
+      // Hold the file back if its format drifted from the last accepted structure
+      await guardPositionFile({ connection, bank, filename, fileDate, content, parser, userId: user._id });
+
       // Force reprocess: Delete existing records for this date before inserting new ones
       if (forceReprocess && fileDate) {
         console.log(`[BANK_POSITIONS] Force reprocess enabled - deleting existing records for ${fileDate.toISOString().split('T')[0]}`);
@@ -483,63 +595,6 @@ Meteor.methods({
         console.log(`[BANK_POSITIONS] Force reprocess: Deleted ${deleteResult} records for bankId=${connection.bankId}, date=${fileDate.toISOString().split('T')[0]}`);
       }
 
-      // Check for CSV structure changes
-      if (content && parser) {
-        try {
-          // Extract current file structure
-          const delimiter = parser.filenamePattern ? ';' : ','; // Julius Baer uses semicolon
-          const currentStructure = BankFileStructureHelpers.extractStructure(content, delimiter);
-
-          if (currentStructure) {
-            // Check for structure changes compared to previous file
-            const structureChange = await BankFileStructureHelpers.checkStructureChange({
-              bankId: connection.bankId,
-              fileType: 'positions',
-              currentStructure,
-              currentFileDate: fileDate
-            });
-
-            if (structureChange) {
-              // Create warning notification for admins
-              console.warn(`[FILE_STRUCTURE] ${structureChange.message}`);
-              console.warn(`[FILE_STRUCTURE] Warnings: ${structureChange.warnings.join(', ')}`);
-
-              await NotificationHelpers.create({
-                userId: user._id,
-                type: 'warning',
-                title: 'Bank File Structure Changed',
-                message: `${bank.name}: ${structureChange.message}\n\nChanges detected:\n${structureChange.warnings.map(w => `• ${w}`).join('\n')}`,
-                metadata: {
-                  bankId: connection.bankId,
-                  bankName: bank.name,
-                  fileType: 'positions',
-                  currentFile: filename,
-                  previousFile: structureChange.previousFile,
-                  warnings: structureChange.warnings,
-                  currentHeaders: structureChange.currentHeaders,
-                  previousHeaders: structureChange.previousHeaders
-                }
-              });
-            }
-
-            // Record current file structure for future comparisons
-            await BankFileStructureHelpers.recordStructure({
-              bankId: connection.bankId,
-              bankName: bank.name,
-              fileType: 'positions',
-              filename,
-              fileDate,
-              csvContent: content,
-              delimiter,
-              userId: user._id
-            });
-          }
-        } catch (structureError) {
-          console.error(`[FILE_STRUCTURE] Error checking structure: ${structureError.message}`);
-          // Don't fail processing if structure check fails
-        }
-      }
-
       // Save positions to database with automatic account matching
       let newRecords = 0;
       let updatedRecords = 0;
@@ -569,6 +624,9 @@ Meteor.methods({
       // Avoids redundant lookups when same ISIN appears multiple times in file
       const enrichmentCache = new Map();
 
+      // Cost basis carried through applied corporate actions (banks often report the pre-event cost)
+      const corporateActionIndex = await PMSCorporateActionHelpers.loadCostBasisIndex();
+
       for (let i = 0; i < positions.length; i++) {
         await yieldToEventLoop(i, 25);
         const position = positions[i];
@@ -795,6 +853,8 @@ Meteor.methods({
             }
           }
 
+          PMSCorporateActionHelpers.adjustPosition(position, corporateActionIndex);
+
           // Upsert position
           const result = await PMSHoldingsHelpers.upsertHolding(position);
 
@@ -1420,13 +1480,23 @@ Meteor.methods({
         // Use parseAllFiles to process ALL operation files (not just latest)
         // This is important for transaction files which are incremental
         const seenOperationFiles = connection.seenOperationFiles || [];
+        const quarantinedOperationFiles = await guardOperationFiles({
+          bankFolderPath,
+          connection,
+          bank,
+          seenFiles: seenOperationFiles,
+          userId: user._id
+        });
         const operationsParseResult = BankOperationParser.parseAllFiles(bankFolderPath, {
           bankId: connection.bankId,
           bankName: bank.name,
           userId: null,  // Will be matched to bank accounts
-          seenFiles: seenOperationFiles
+          seenFiles: seenOperationFiles,
+          skipFiles: quarantinedOperationFiles
         });
 
+        await logFileProcessingIssues({ connection, fileType: 'operations', reports: operationsParseResult.processingIssues, userId: user._id });
+
         if (operationsParseResult.error) {
           console.warn(`[BANK_OPERATIONS] Parse error: ${operationsParseResult.error}`);
         }
@@ -1491,7 +1561,8 @@ Meteor.methods({
             skippedRecords: opSkipped,
             unmappedOperations: opUnmapped,
             unmappedPortfolioCodes: opUnmapped > 0 ? Array.from(opUnmappedPortfolioCodes) : undefined,
-            processedFiles: processedFiles
+            processedFiles: processedFiles,
+            quarantinedFiles: quarantinedOperationFiles.length > 0 ? quarantinedOperationFiles : undefined
           };
 
           // Update connection to track processed operation files
@@ -1514,6 +1585,14 @@ Meteor.methods({
             `${opNew} new, ${opUpdated} updated, ${opSkipped} skipped`
           );
 
+          // Record corporate actions booked in this file (splits, ISIN changes, mergers...)
+          try {
+            const caResult = await PMSCorporateActionHelpers.detectFromOperations({ bankId: connection.bankId });
+            operationsResult.corporateActions = caResult;
+          } catch (caError) {
+            console.error(`[BANK_OPERATIONS] Corporate action detection failed: ${caError.message}`);
+          }
+
           // Log operations processing success
           const opLogMessage = opUnmapped > 0
             ? `Processed ${operations.length} operations: ${opNew} new, ${opUpdated} updated, ${opUnmapped} skipped (unmapped)`
@@ -1633,7 +1712,7 @@ Meteor.methods({
     check(sessionId, String);
 
     // Validate admin access
-    await validateAdminSession(sessionId);
+    await validateAdminOrCronSession(this.connection, sessionId);
 
     // Get connection and bank
     const connection = await BankConnectionsCollection.findOneAsync(connectionId);
@@ -1656,6 +1735,7 @@ Meteor.methods({
     const bankFolderPath = path.join(process.cwd(), 'bankfiles', sanitizedBankName);
 
     // Find all position files
+    await BankPositionParser.loadDeclarativeParsers();
     const files = BankPositionParser.findPositionFiles(bankFolderPath);
 
     return {
@@ -1678,7 +1758,7 @@ Meteor.methods({
     check(sessionId, String);
 
     // Validate admin access
-    await validateAdminSession(sessionId);
+    await validateAdminOrCronSession(this.connection, sessionId);
 
     const summary = await PMSHoldingsHelpers.getHoldingsSummary(portfolioCode);
 
@@ -1699,7 +1779,7 @@ Meteor.methods({
     check(sessionId, String);
 
     // Validate admin access
-    await validateAdminSession(sessionId);
+    await validateAdminOrCronSession(this.connection, sessionId);
 
     const holdings = await PMSHoldingsHelpers.getLatestHoldings(portfolioCode, bankId);
 
@@ -1720,7 +1800,7 @@ Meteor.methods({
     check(sessionId, String);
     this.unblock();
 
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     const connection = await BankConnectionsCollection.findOneAsync(connectionId);
     if (!connection) {
@@ -1758,6 +1838,7 @@ Meteor.methods({
     }
 
     // Get all available file dates from the directory
+    await BankPositionParser.loadDeclarativeParsers();
     const availableDates = BankPositionParser.getAvailableFileDates(bankFolderPath);
 
     if (availableDates.length === 0) {
@@ -1806,7 +1887,7 @@ Meteor.methods({
     check(sessionId, String);
     this.unblock();
 
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     const connection = await BankConnectionsCollection.findOneAsync(connectionId);
     if (!connection) {
@@ -1863,20 +1944,27 @@ Meteor.methods({
       }
 
       // Parse files for the specific date using the new method
+      await BankPositionParser.loadDeclarativeParsers();
+      await BankOperationParser.loadDeclarativeParsers();
       const parseResult = BankPositionParser.parseFilesForDate(bankFolderPath, dateToProcess, {
         bankId: connection.bankId,
         bankName: bank.name,
         userId: null
       });
 
+      await logFileProcessingIssues({ connection, fileType: 'positions', reports: parseResult.processingIssues, userId: user._id });
+
       if (parseResult.error) {
         throw new Meteor.Error('no-files', parseResult.error);
       }
 
-      const { positions, filename, fileDate, totalRecords } = parseResult;
+      const { positions, filename, fileDate, totalRecords, content, parser } = parseResult;
 
       console.log(`[BANK_POSITIONS] Parsed ${totalRecords} positions for ${dateStr} from ${filename}`);
 
+      // Hold the file back if its format drifted from the last accepted structure
+      await guardPositionFile({ connection, bank, filename, fileDate, content, parser, userId: user._id });
+
       // Process positions (same logic as processLatest)
       let newRecords = 0;
       let updatedRecords = 0;
@@ -1891,6 +1979,9 @@ Meteor.methods({
       // In-memory cache for enrichment during this file's processing
       const enrichmentCache = new Map();
 
+      // Cost basis carried through applied corporate actions
+      const corporateActionIndex = await PMSCorporateActionHelpers.loadCostBasisIndex();
+
       // Build portfolio → entity/user map (single DB query)
       const portfolioEntityMap = await buildPortfolioEntityMap(connection.bankId);
       console.log(`[BANK_POSITIONS] Built portfolio map with ${portfolioEntityMap.size} accounts for historical processing`);
@@ -1999,6 +2090,8 @@ Meteor.methods({
             }
           }
 
+          PMSCorporateActionHelpers.adjustPosition(position, corporateActionIndex);
+
           // Upsert position
           const result = await PMSHoldingsHelpers.upsertHolding(position);
 
@@ -2134,6 +2227,10 @@ Meteor.methods({
         userId: user._id
       });
 
+      // Keep specific codes (e.g. file-quarantined) for callers
+      if (error.error) {
+        throw error;
+      }
       throw new Meteor.Error('processing-failed', error.message);
     }
   },
@@ -2148,7 +2245,7 @@ Meteor.methods({
     check(maxDates, Match.Optional(Number));
     this.unblock();
 
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     // Get missing dates
     const { missingDates, connectionName } = await Meteor.callAsync('bankPositions.getMissingDates', {
@@ -2224,7 +2321,7 @@ Meteor.methods({
     check(sessionId, String);
 
     // Validate admin access
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     console.log(`[BANK_POSITIONS_TEST] Testing Julius Baer position processing`);
 
@@ -2694,7 +2791,7 @@ Meteor.methods({
     check(sessionId, String);
     this.unblock();
 
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     const connection = await BankConnectionsCollection.findOneAsync(connectionId);
     if (!connection) {
@@ -2790,7 +2887,7 @@ Meteor.methods({
     check(maxDates, Match.Maybe(Number));
     this.unblock();
 
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     const connection = await BankConnectionsCollection.findOneAsync(connectionId);
     if (!connection) {
@@ -3333,7 +3430,7 @@ Meteor.methods({
     check(sessionId, String);
     check(isin, Match.Maybe(String));
 
-    const user = await validateAdminSession(sessionId);
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
 
     const { ProductPriceHelpers } = await import('../../imports/api/productPrices.js');
     const { ProductsCollection } = await import('../../imports/api/products.js');
@@ -0,0 +1,477 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { BankConnectionsCollection } from '../../imports/api/bankConnections.js';
+import { BankConnectionLogHelpers } from '../../imports/api/bankConnectionLogs.js';
+import { BanksCollection } from '../../imports/api/banks.js';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection } from '../../imports/api/users.js';
+import { PMSHoldingsHelpers, PMSHoldingsCollection } from '../../imports/api/pmsHoldings.js';
+import { PMSOperationsHelpers, PMSOperationsCollection } from '../../imports/api/pmsOperations.js';
+import { PortfolioSnapshotsCollection } from '../../imports/api/portfolioSnapshots.js';
+import { PMSCorporateActionHelpers } from '../../imports/api/pmsCorporateActions.js';
+import { PMSTaxLotHelpers } from '../../imports/api/pmsTaxLots.js';
+import { BankPositionParser } from '../../imports/api/bankPositionParser.js';
+import { BankOperationParser } from '../../imports/api/bankOperationParser.js';
+import { BankFileStructureHelpers } from '../../imports/api/bankFileStructures.js';
+import { yieldToEventLoop } from '../../imports/utils/asyncHelpers.js';
+import { buildPortfolioEntityMap, getEntityIdFromMap } from '../../imports/utils/entityResolver.js';
+import { toDateKey, daysCondition, diffPositionDate, diffOperations } from '../helpers/bankRebuildDiff.js';
+import path from 'path';
+import fs from 'fs';
+
+/**
+ * Bank file replay / point-in-time rebuild
+ *
+ * Replaces the one-off cleanup migrations written after a parser fix: for one bank
+ * connection and date range, the derived PMSHoldings, PMSOperations and PortfolioSnapshots
+ * are wiped and the archived raw files are reprocessed in chronological order with the
+ * current parser code.
+ *
+ * Only dates that still have raw files in the bank folder are wiped; stored data for dates
+ * without files is reported and left untouched. Run with dryRun (the default) first to see
+ * which holdings and operations would change.
+ */
+
+// Detail rows returned per category (counts always cover everything)
+const MAX_DIFF_DETAILS = 200;
+
+/**
+ * Validate session and get user
+ */
+async function validateSession(sessionId) {
+  if (!sessionId) {
+    throw new Meteor.Error('not-authorized', 'Session required');
+  }
+
+  const session = await SessionsCollection.findOneAsync({
+    sessionId,
+    isActive: true
+  });
+
+  if (!session) {
+    throw new Meteor.Error('not-authorized', 'Invalid session');
+  }
+
+  const user = await UsersCollection.findOneAsync(session.userId);
+
+  if (!user) {
+    throw new Meteor.Error('not-authorized', 'User not found');
+  }
+
+  return user;
+}
+
+/**
+ * Validate session and ensure user is admin (dry runs)
+ */
+async function validateAdminSession(sessionId) {
+  const user = await validateSession(sessionId);
+
+  if (user.role !== 'admin' && user.role !== 'superadmin') {
+    throw new Meteor.Error('not-authorized', 'Admin access required');
+  }
+
+  return user;
+}
+
+/**
+ * Validate session and ensure user is superadmin (committing a rebuild deletes data)
+ */
+async function validateSuperadminSession(sessionId) {
+  const user = await validateAdminSession(sessionId);
+
+  if (user.role !== 'superadmin') {
+    throw new Meteor.Error('not-authorized', 'Superadmin access required to commit a rebuild');
+  }
+
+  return user;
+}
+
+/**
+ * Folder holding the raw files of a connection (same resolution as position processing)
+ */
+function resolveBankFolderPath(connection, bank) {
+  const bankfilesRoot = process.env.BANKFILES_PATH || path.join(process.cwd(), 'bankfiles');
+
+  if (connection.connectionType === 'local' && connection.localFolderName) {
+    // Societe Generale: files are processed from the decrypted folder
+    const isSocieteGenerale = bank.name?.toLowerCase().includes('société générale') ||
+                               bank.name?.toLowerCase().includes('societe generale') ||
+                               bank.name?.toLowerCase().includes('sg monaco') ||
+                               connection.localFolderName?.includes('sg/');
+
+    if (isSocieteGenerale) {
+      return path.join(bankfilesRoot, path.dirname(connection.localFolderName), 'decrypted');
+    }
+    return path.join(bankfilesRoot, connection.localFolderName);
+  }
+
+  const sanitizedBankName = bank.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+  return path.join(bankfilesRoot, sanitizedBankName);
+}
+
+/**
+ * Files to replay and stored data in the range
+ * @returns {Promise<Object>} { positionDates, operationFiles, datesWithoutFiles, quarantinedFiles }
+ */
+async function buildRebuildPlan({ connection, bankFolderPath, fromKey, toKey }) {
+  const inRange = (key) => key >= fromKey && key <= toKey;
+
+  const positionDates = BankPositionParser.getAvailableFileDates(bankFolderPath)
+    .filter(date => inRange(toDateKey(date)));
+
+  const quarantinedOperationFiles = await BankFileStructureHelpers.getQuarantinedFilenames(connection.bankId, 'operations');
+  const operationFiles = fs.readdirSync(bankFolderPath)
+    .filter(filename => BankOperationParser.isOperationFile(filename) && !quarantinedOperationFiles.includes(filename))
+    .map(filename => ({
+      filename,
+      fileDate: BankOperationParser.getFileDate(filename, path.join(bankFolderPath, filename))
+    }))
+    .filter(file => inRange(toDateKey(file.fileDate)))
+    .sort((a, b) => a.fileDate - b.fileDate || a.filename.localeCompare(b.filename));
+
+  // Stored holdings for dates whose raw files are gone cannot be rebuilt - they are kept
+  const storedFileDates = await PMSHoldingsCollection.rawCollection().distinct('fileDate', {
+    bankId: connection.bankId,
+    fileDate: { $gte: new Date(`${fromKey}T00:00:00.000Z`), $lt: new Date(new Date(`${toKey}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000) }
+  });
+  const positionDateKeys = new Set(positionDates.map(toDateKey));
+  const datesWithoutFiles = [...new Set(storedFileDates.map(toDateKey))]
+    .filter(key => !positionDateKeys.has(key))
+    .sort();
+
+  return {
+    positionDates,
+    operationFiles,
+    datesWithoutFiles,
+    quarantinedFiles: quarantinedOperationFiles.length > 0 ? quarantinedOperationFiles : undefined
+  };
+}
+
+/**
+ * Parse operation files with the current parsers and map them to accounts (as processing does)
+ */
+function parseOperationFiles({ connection, bank, bankFolderPath, operationFiles, portfolioEntityMap }) {
+  const operations = [];
+  const fileErrors = [];
+  const unmappedPortfolioCodes = new Set();
+
+  operationFiles.forEach(({ filename }) => {
+    const result = BankOperationParser.parseSingleFile(path.join(bankFolderPath, filename), {
+      bankId: connection.bankId,
+      bankName: bank.name,
+      userId: null,
+      sourceFile: filename
+    });
+
+    if (result.error) {
+      fileErrors.push({ filename, error: result.error });
+      return;
+    }
+
+    (result.operations || []).forEach(operation => {
+      const mapping = getEntityIdFromMap(operation.portfolioCode, portfolioEntityMap);
+      if (!mapping.entityId && !mapping.userId) {
+        unmappedPortfolioCodes.add(operation.portfolioCode);
+        return;
+      }
+      if (mapping.entityId) operation.entityId = mapping.entityId;
+      if (mapping.userId) operation.userId = mapping.userId;
+      operation.connectionId = connection._id;
+      operation.sourceFilePath = path.join(bankFolderPath, operation.sourceFile || filename);
+      operations.push(operation);
+    });
+  });
+
+  return { operations, fileErrors, unmappedPortfolioCodes: [...unmappedPortfolioCodes] };
+}
+
+Meteor.methods({
+  /**
+   * Rebuild PMS state for a bank connection and date range from the archived raw files
+   *
+   * dryRun (default) only reports the differences between the stored data and what the
+   * current parsers produce. With dryRun false the holdings, snapshots and operations of the
+   * replayed files are deleted and reprocessed: operations first (snapshots read transfers),
+   * then positions date by date through bankPositions.processDate.
+   *
+   * @param {String} fromDate - First file date (YYYY-MM-DD), inclusive
+   * @param {String} toDate - Last file date (YYYY-MM-DD), inclusive
+   */
+  async 'bankRebuild.run'({ connectionId, fromDate, toDate, dryRun = true, sessionId }) {
+    check(connectionId, String);
+    check(fromDate, String);
+    check(toDate, String);
+    check(dryRun, Match.Optional(Boolean));
+    check(sessionId, String);
+    this.unblock();
+
+    const user = dryRun ? await validateAdminSession(sessionId) : await validateSuperadminSession(sessionId);
+
+    const fromKey = toDateKey(fromDate);
+    const toKey = toDateKey(toDate);
+    if (fromKey > toKey) {
+      throw new Meteor.Error('invalid-range', `fromDate ${fromKey} is after toDate ${toKey}`);
+    }
+
+    const connection = await BankConnectionsCollection.findOneAsync(connectionId);
+    if (!connection) {
+      throw new Meteor.Error('not-found', 'Connection not found');
+    }
+
+    const bank = await BanksCollection.findOneAsync(connection.bankId);
+    if (!bank) {
+      throw new Meteor.Error('not-found', 'Bank not found');
+    }
+
+    const bankFolderPath = resolveBankFolderPath(connection, bank);
+    if (!fs.existsSync(bankFolderPath)) {
+      throw new Meteor.Error('directory-not-found', `Bank files directory not found: ${bankFolderPath}`);
+    }
+
+    console.log(`[BANK_REBUILD] ${dryRun ? 'Dry run' : 'Rebuild'} ${fromKey} → ${toKey} for ${connection.connectionName} by ${user.username}`);
+
+    await BankPositionParser.loadDeclarativeParsers();
+    await BankOperationParser.loadDeclarativeParsers();
+
+    const plan = await buildRebuildPlan({ connection, bankFolderPath, fromKey, toKey });
+    const positionDateKeys = plan.positionDates.map(toDateKey);
+
+    console.log(`[BANK_REBUILD] ${plan.positionDates.length} position dates, ${plan.operationFiles.length} operation files, ${plan.datesWithoutFiles.length} stored dates without files (kept)`);
+
+    // Diff: current parser output vs stored data
+    const portfolioEntityMap = await buildPortfolioEntityMap(connection.bankId);
+
+    const positionDiffs = [];
+    for (let i = 0; i < plan.positionDates.length; i++) {
+      await yieldToEventLoop(i, 1);
+      positionDiffs.push(await diffPositionDate({
+        connection,
+        bank,
+        bankFolderPath,
+        date: plan.positionDates[i],
+        portfolioEntityMap
+      }));
+    }
+
+    const parsedOperations = parseOperationFiles({
+      connection,
+      bank,
+      bankFolderPath,
+      operationFiles: plan.operationFiles,
+      portfolioEntityMap
+    });
+    const operationsDiff = await diffOperations({
+      connection,
+      operationFiles: plan.operationFiles,
+      operations: parsedOperations.operations
+    });
+
+    const snapshotCount = positionDateKeys.length > 0
+      ? await PortfolioSnapshotsCollection.find({ bankId: connection.bankId, ...daysCondition('snapshotDate', positionDateKeys) }).countAsync()
+      : 0;
+
+    const flatten = (category) => positionDiffs.flatMap(d => d[category]);
+    const diff = {
+      holdings: {
+        added: flatten('added').length,
+        removed: flatten('removed').length,
+        changed: flatten('changed').length,
+        unchanged: positionDiffs.reduce((sum, d) => sum + d.unchanged, 0),
+        addedDetails: flatten('added').slice(0, MAX_DIFF_DETAILS),
+        removedDetails: flatten('removed').slice(0, MAX_DIFF_DETAILS),
+        changedDetails: flatten('changed').slice(0, MAX_DIFF_DETAILS),
+        dates: positionDiffs.map(d => ({
+          date: d.date,
+          files: d.files,
+          error: d.error,
+          storedCount: d.storedCount,
+          parsedCount: d.parsedCount,
+          added: d.added.length,
+          removed: d.removed.length,
+          changed: d.changed.length,
+          unmappedPortfolioCodes: d.unmappedPortfolioCodes.length > 0 ? d.unmappedPortfolioCodes : undefined
+        }))
+      },
+      operations: {
+        files: plan.operationFiles.map(f => f.filename),
+        fileErrors: parsedOperations.fileErrors,
+        storedCount: operationsDiff.storedCount,
+        parsedCount: operationsDiff.parsedCount,
+        added: operationsDiff.added.length,
+        removed: operationsDiff.removed.length,
+        changed: operationsDiff.changed.length,
+        unchanged: operationsDiff.unchanged,
+        addedDetails: operationsDiff.added.slice(0, MAX_DIFF_DETAILS),
+        removedDetails: operationsDiff.removed.slice(0, MAX_DIFF_DETAILS),
+        changedDetails: operationsDiff.changed.slice(0, MAX_DIFF_DETAILS),
+        unmappedPortfolioCodes: parsedOperations.unmappedPortfolioCodes
+      },
+      snapshots: { toRebuild: snapshotCount },
+      datesWithoutFiles: plan.datesWithoutFiles,
+      quarantinedOperationFiles: plan.quarantinedFiles,
+      processingIssues: positionDiffs.flatMap(d => d.processingIssues)
+    };
+
+    console.log(
+      `[BANK_REBUILD] Holdings: ${diff.holdings.added} added, ${diff.holdings.removed} removed, ${diff.holdings.changed} changed, ${diff.holdings.unchanged} unchanged. ` +
+      `Operations: ${diff.operations.added} added, ${diff.operations.removed} removed, ${diff.operations.changed} changed`
+    );
+
+    if (dryRun) {
+      return { success: true, dryRun, connectionId, fromDate: fromKey, toDate: toKey, diff };
+    }
+
+    await BankConnectionLogHelpers.logConnectionAttempt({
+      connectionId,
+      bankId: connection.bankId,
+      connectionName: connection.connectionName,
+      action: 'rebuild',
+      status: 'started',
+      message: `Rebuild ${fromKey} → ${toKey} started by ${user.username}`,
+      metadata: { fromDate: fromKey, toDate: toKey, positionDates: positionDateKeys.length, operationFiles: plan.operationFiles.length },
+      userId: user._id
+    });
+
+    try {
+      // Product links live on the holdings; keep them across the rebuild by uniqueKey
+      const linkedHoldings = positionDateKeys.length > 0
+        ? await PMSHoldingsCollection.find(
+          { bankId: connection.bankId, linkedProductId: { $ne: null }, ...daysCondition('fileDate', positionDateKeys) },
+          { fields: { uniqueKey: 1, linkedProductId: 1, linkedAllocationId: 1, linkingStatus: 1, linkedAt: 1, linkedBy: 1 } }
+        ).fetchAsync()
+        : [];
+      const linksByUniqueKey = new Map(linkedHoldings.map(({ _id, uniqueKey, ...link }) => [uniqueKey, link]));
+
+      // Wipe derived data of the replayed files
+      let removedHoldings = 0;
+      let removedSnapshots = 0;
+      if (positionDateKeys.length > 0) {
+        removedHoldings = await PMSHoldingsCollection.removeAsync({ bankId: connection.bankId, ...daysCondition('fileDate', positionDateKeys) });
+        removedSnapshots = await PortfolioSnapshotsCollection.removeAsync({ bankId: connection.bankId, ...daysCondition('snapshotDate', positionDateKeys) });
+      }
+      const removedOperations = plan.operationFiles.length > 0
+        ? await PMSOperationsCollection.removeAsync({ bankId: connection.bankId, sourceFile: { $in: plan.operationFiles.map(f => f.filename) } })
+        : 0;
+
+      console.log(`[BANK_REBUILD] Removed ${removedHoldings} holdings, ${removedSnapshots} snapshots, ${removedOperations} operations`);
+
+      // Versions before the range become latest again, so replayed holdings inherit from them
+      await PMSHoldingsHelpers.fixIsLatestFlags({ bankId: connection.bankId, dryRun: false });
+
+      // Operations first: snapshots count the transfers booked up to their date
+      let operationsSaved = 0;
+      const operationErrors = [];
+      for (let i = 0; i < parsedOperations.operations.length; i++) {
+        await yieldToEventLoop(i, 50);
+        const operation = parsedOperations.operations[i];
+        try {
+          await PMSOperationsHelpers.upsertOperation(operation);
+          operationsSaved++;
+        } catch (error) {
+          operationErrors.push({ sourceFile: operation.sourceFile, portfolioCode: operation.portfolioCode, error: error.message });
+        }
+      }
+
+      try {
+        await PMSCorporateActionHelpers.detectFromOperations({ bankId: connection.bankId });
+      } catch (caError) {
+        console.error(`[BANK_REBUILD] Corporate action detection failed: ${caError.message}`);
+      }
+
+      // Positions date by date, oldest first, with the regular processing
+      const dateResults = [];
+      for (let i = 0; i < plan.positionDates.length; i++) {
+        await yieldToEventLoop(i, 1);
+        const dateKey = positionDateKeys[i];
+        try {
+          const result = await Meteor.callAsync('bankPositions.processDate', {
+            connectionId,
+            targetDate: plan.positionDates[i].toISOString(),
+            sessionId
+          });
+          dateResults.push({ date: dateKey, success: true, totalRecords: result.totalRecords, skippedRecords: result.skippedRecords });
+        } catch (error) {
+          console.error(`[BANK_REBUILD] Failed to process ${dateKey}: ${error.message}`);
+          dateResults.push({ date: dateKey, success: false, error: error.message });
+        }
+      }
+
+      // Holdings after the range keep their latest flag; restore it across the whole bank
+      await PMSHoldingsHelpers.fixIsLatestFlags({ bankId: connection.bankId, dryRun: false });
+
+      let restoredLinks = 0;
+      for (const [uniqueKey, link] of linksByUniqueKey) {
+        restoredLinks += await PMSHoldingsCollection.updateAsync(
+          { bankId: connection.bankId, uniqueKey, linkedProductId: null },
+          { $set: link },
+          { multi: true }
+        );
+      }
+
+      // Lots are replayed from operations and holdings
+      let taxLotsRebuilt = false;
+      try {
+        await PMSTaxLotHelpers.rebuildForBank(connection.bankId);
+        taxLotsRebuilt = true;
+      } catch (lotError) {
+        console.error(`[BANK_REBUILD] Tax lot rebuild failed: ${lotError.message}`);
+      }
+
+      const failedDates = dateResults.filter(r => !r.success);
+      const summary = {
+        removedHoldings,
+        removedSnapshots,
+        removedOperations,
+        operationsSaved,
+        operationErrors: operationErrors.slice(0, MAX_DIFF_DETAILS),
+        datesProcessed: dateResults.length - failedDates.length,
+        failedDates,
+        restoredLinks,
+        taxLotsRebuilt
+      };
+
+      await BankConnectionLogHelpers.logConnectionAttempt({
+        connectionId,
+        bankId: connection.bankId,
+        connectionName: connection.connectionName,
+        action: 'rebuild',
+        status: failedDates.length > 0 || operationErrors.length > 0 ? 'warning' : 'success',
+        message: `Rebuild ${fromKey} → ${toKey}: ${summary.datesProcessed} dates, ${operationsSaved} operations replayed` +
+          (failedDates.length > 0 ? `, ${failedDates.length} dates failed` : ''),
+        metadata: {
+          fromDate: fromKey,
+          toDate: toKey,
+          ...summary,
+          holdingsDiff: { added: diff.holdings.added, removed: diff.holdings.removed, changed: diff.holdings.changed },
+          operationsDiff: { added: diff.operations.added, removed: diff.operations.removed, changed: diff.operations.changed }
+        },
+        userId: user._id
+      });
+
+      console.log(`[BANK_REBUILD] Complete: ${summary.datesProcessed}/${dateResults.length} dates, ${operationsSaved} operations, ${restoredLinks} links restored`);
+
+      return { success: true, dryRun, connectionId, fromDate: fromKey, toDate: toKey, diff, ...summary, dateResults };
+
+    } catch (error) {
+      console.error(`[BANK_REBUILD] Rebuild failed: ${error.message}`);
+
+      await BankConnectionLogHelpers.logConnectionAttempt({
+        connectionId,
+        bankId: connection.bankId,
+        connectionName: connection.connectionName,
+        action: 'rebuild',
+        status: 'failed',
+        error: error.message,
+        metadata: { fromDate: fromKey, toDate: toKey },
+        userId: user._id
+      });
+
+      throw new Meteor.Error('rebuild-failed', error.message);
+    }
+  }
+});
@@ -0,0 +1,186 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { BenchmarksCollection, BenchmarkHelpers, BUILT_IN_BENCHMARKS, BENCHMARK_CATEGORIES } from '../../imports/api/benchmarks.js';
+import { AccountProfilesCollection } from '../../imports/api/accountProfiles.js';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection } from '../../imports/api/users.js';
+
+/**
+ * Validate session and get user
+ */
+async function validateSession(sessionId) {
+  if (!sessionId) {
+    throw new Meteor.Error('not-authorized', 'Session required');
+  }
+
+  const session = await SessionsCollection.findOneAsync({
+    sessionId,
+    isActive: true
+  });
+
+  if (!session) {
+    throw new Meteor.Error('not-authorized', 'Invalid session');
+  }
+
+  const user = await UsersCollection.findOneAsync(session.userId);
+
+  if (!user) {
+    throw new Meteor.Error('not-authorized', 'User not found');
+  }
+
+  return user;
+}
+
+/**
+ * Validate session and ensure user is admin
+ */
+async function validateAdminSession(sessionId) {
+  const user = await validateSession(sessionId);
+
+  if (user.role !== 'admin' && user.role !== 'superadmin') {
+    throw new Meteor.Error('not-authorized', 'Admin access required');
+  }
+
+  return user;
+}
+
+const ComponentPattern = {
+  ticker: String,
+  label: Match.Maybe(String),
+  weight: Number,
+  category: Match.Maybe(Match.Where(value => BENCHMARK_CATEGORIES.includes(value)))
+};
+
+/**
+ * Validate composite components: known ticker format, positive weights summing to 100
+ */
+function validateComponents(components) {
+  if (!components || components.length === 0) {
+    throw new Meteor.Error('invalid-benchmark', 'A benchmark needs at least one component');
+  }
+
+  const tickers = new Set();
+  for (const component of components) {
+    const [symbol, exchange] = component.ticker.split('.');
+    if (!symbol || !exchange) {
+      throw new Meteor.Error('invalid-benchmark', `Ticker ${component.ticker} must be SYMBOL.EXCHANGE (e.g. EUNL.XETRA)`);
+    }
+    if (!(component.weight > 0)) {
+      throw new Meteor.Error('invalid-benchmark', `Weight for ${component.ticker} must be positive`);
+    }
+    if (tickers.has(component.ticker)) {
+      throw new Meteor.Error('invalid-benchmark', `Ticker ${component.ticker} is listed twice`);
+    }
+    tickers.add(component.ticker);
+  }
+
+  const total = components.reduce((sum, c) => sum + c.weight, 0);
+  if (Math.abs(total - 100) > 0.01) {
+    throw new Meteor.Error('invalid-benchmark', `Component weights must sum to 100% (got ${total}%)`);
+  }
+}
+
+Meteor.methods({
+  /**
+   * List built-in and custom benchmarks
+   */
+  async 'benchmarks.list'({ sessionId }) {
+    check(sessionId, String);
+    await validateSession(sessionId);
+
+    return BenchmarkHelpers.listBenchmarks();
+  },
+
+  /**
+   * Create or update a custom composite benchmark
+   * @param {Object} params
+   * @param {string} [params.benchmarkId] - Existing custom benchmark to update
+   * @param {string} params.name
+   * @param {Array} params.components - [{ ticker, label, weight, category }] weights in percent
+   */
+  async 'benchmarks.upsert'({ sessionId, benchmarkId = null, name, description = null, components }) {
+    check(sessionId, String);
+    check(benchmarkId, Match.Maybe(String));
+    check(name, String);
+    check(description, Match.Maybe(String));
+    check(components, [ComponentPattern]);
+
+    const user = await validateAdminSession(sessionId);
+
+    if (!name.trim()) {
+      throw new Meteor.Error('invalid-benchmark', 'Benchmark name is required');
+    }
+    if (benchmarkId && BUILT_IN_BENCHMARKS[benchmarkId]) {
+      throw new Meteor.Error('invalid-benchmark', 'Built-in benchmarks cannot be modified');
+    }
+
+    const normalized = components.map(c => ({
+      ticker: c.ticker.trim().toUpperCase(),
+      label: c.label?.trim() || c.ticker.trim().toUpperCase(),
+      weight: c.weight,
+      category: c.category || null
+    }));
+    validateComponents(normalized);
+
+    const now = new Date();
+
+    if (benchmarkId) {
+      const updated = await BenchmarksCollection.updateAsync(
+        { _id: benchmarkId, isActive: true },
+        {
+          $set: {
+            name: name.trim(),
+            description,
+            components: normalized,
+            updatedBy: user._id,
+            updatedAt: now
+          }
+        }
+      );
+      if (!updated) {
+        throw new Meteor.Error('not-found', 'Benchmark not found');
+      }
+      console.log(`[BENCHMARK] Updated ${benchmarkId} (${name}) by ${user.username}`);
+      return benchmarkId;
+    }
+
+    const newId = await BenchmarksCollection.insertAsync({
+      name: name.trim(),
+      description,
+      components: normalized,
+      isActive: true,
+      createdBy: user._id,
+      createdAt: now,
+      updatedBy: user._id,
+      updatedAt: now
+    });
+
+    console.log(`[BENCHMARK] Created ${newId} (${name}) by ${user.username}`);
+    return newId;
+  },
+
+  /**
+   * Deactivate a custom benchmark
+   * Accounts still pointing to it fall back to their profile default.
+   */
+  async 'benchmarks.remove'({ sessionId, benchmarkId }) {
+    check(sessionId, String);
+    check(benchmarkId, String);
+
+    const user = await validateAdminSession(sessionId);
+
+    if (BUILT_IN_BENCHMARKS[benchmarkId]) {
+      throw new Meteor.Error('invalid-benchmark', 'Built-in benchmarks cannot be removed');
+    }
+
+    await BenchmarksCollection.updateAsync(
+      { _id: benchmarkId },
+      { $set: { isActive: false, updatedBy: user._id, updatedAt: new Date() } }
+    );
+
+    const assignedCount = await AccountProfilesCollection.find({ benchmarkId }).countAsync();
+    console.log(`[BENCHMARK] Removed ${benchmarkId} by ${user.username}, ${assignedCount} account(s) fall back to profile default`);
+
+    return { assignedCount };
+  }
+});
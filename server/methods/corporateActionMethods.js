@@ -0,0 +1,154 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import {
+  PMSCorporateActionsCollection,
+  PMSCorporateActionHelpers,
+  CORPORATE_ACTION_STATUS,
+  CORPORATE_ACTION_SOURCES,
+  MERGER_ELECTIONS
+} from '../../imports/api/pmsCorporateActions.js';
+import { CORPORATE_ACTION_TYPES } from '../../imports/api/constants/operationTypes.js';
+import { validateAdminSession, validateAdminOrCronSession } from '../helpers/sessionAuth.js';
+
+// Terms an admin may set or correct on an event
+const EDITABLE_FIELDS = [
+  'securityName', 'newIsin', 'newSecurityName', 'ratio', 'election', 'stockFraction',
+  'cashPerShare', 'cashCurrency', 'costAllocation', 'notes'
+];
+
+Meteor.methods({
+  /**
+   * Corporate action events, most recent first
+   */
+  async 'corporateActions.list'({ status, isin, limit = 200, sessionId }) {
+    check(status, Match.Maybe(String));
+    check(isin, Match.Maybe(String));
+    check(limit, Number);
+    check(sessionId, String);
+
+    await validateAdminSession(sessionId);
+
+    const query = {};
+    if (status) query.status = status;
+    if (isin) query.$or = [{ isin }, { newIsin: isin }];
+
+    return await PMSCorporateActionsCollection.find(query, {
+      sort: { effectiveDate: -1, createdAt: -1 },
+      limit
+    }).fetchAsync();
+  },
+
+  /**
+   * Create an event by hand, or correct the terms of a detected one.
+   * Applied events must be reverted before their terms can change.
+   */
+  async 'corporateActions.save'({ eventId, event, sessionId }) {
+    check(eventId, Match.Maybe(String));
+    check(event, Object);
+    check(sessionId, String);
+
+    const user = await validateAdminSession(sessionId);
+
+    if (event.type && !Object.values(CORPORATE_ACTION_TYPES).includes(event.type)) {
+      throw new Meteor.Error('invalid-type', `Unknown corporate action type: ${event.type}`);
+    }
+    if (event.election && !Object.values(MERGER_ELECTIONS).includes(event.election)) {
+      throw new Meteor.Error('invalid-election', `Unknown merger election: ${event.election}`);
+    }
+
+    const terms = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (event[field] === undefined) return;
+      terms[field] = event[field] === '' ? null : event[field];
+    });
+
+    if (eventId) {
+      const existing = await PMSCorporateActionsCollection.findOneAsync(eventId);
+      if (!existing) {
+        throw new Meteor.Error('not-found', 'Corporate action not found');
+      }
+      if (existing.status === CORPORATE_ACTION_STATUS.APPLIED) {
+        throw new Meteor.Error('already-applied', 'Revert the corporate action before changing its terms');
+      }
+
+      await PMSCorporateActionsCollection.updateAsync(eventId, {
+        $set: { ...terms, updatedAt: new Date(), updatedBy: user._id }
+      });
+      console.log(`[CORPORATE_ACTIONS] ${user.username} updated ${existing.type} on ${existing.isin}`);
+      return { success: true, eventId };
+    }
+
+    check(event.type, String);
+    check(event.isin, String);
+    check(event.effectiveDate, String);
+
+    const { _id } = await PMSCorporateActionHelpers.recordEvent({
+      ...terms,
+      type: event.type,
+      isin: event.isin.trim().toUpperCase(),
+      effectiveDate: new Date(event.effectiveDate),
+      bankId: event.bankId || null,
+      portfolioCode: event.portfolioCode || null,
+      source: CORPORATE_ACTION_SOURCES.MANUAL
+    });
+
+    console.log(`[CORPORATE_ACTIONS] ${user.username} entered ${event.type} on ${event.isin}`);
+    return { success: true, eventId: _id };
+  },
+
+  async 'corporateActions.apply'({ eventId, sessionId }) {
+    check(eventId, String);
+    check(sessionId, String);
+
+    const user = await validateAdminSession(sessionId);
+    return await PMSCorporateActionHelpers.applyEvent(eventId, user._id);
+  },
+
+  async 'corporateActions.revert'({ eventId, sessionId }) {
+    check(eventId, String);
+    check(sessionId, String);
+
+    await validateAdminSession(sessionId);
+    return await PMSCorporateActionHelpers.revertEvent(eventId);
+  },
+
+  /**
+   * Dismiss a detected event (e.g. a bank label wrongly read as a corporate action)
+   */
+  async 'corporateActions.ignore'({ eventId, sessionId }) {
+    check(eventId, String);
+    check(sessionId, String);
+
+    const user = await validateAdminSession(sessionId);
+
+    const event = await PMSCorporateActionsCollection.findOneAsync(eventId);
+    if (!event) {
+      throw new Meteor.Error('not-found', 'Corporate action not found');
+    }
+    if (event.status === CORPORATE_ACTION_STATUS.APPLIED) {
+      throw new Meteor.Error('already-applied', 'Revert the corporate action before ignoring it');
+    }
+
+    await PMSCorporateActionsCollection.updateAsync(eventId, {
+      $set: { status: CORPORATE_ACTION_STATUS.IGNORED, updatedAt: new Date(), updatedBy: user._id }
+    });
+    return { success: true };
+  },
+
+  /**
+   * Check EOD for splits on held listed securities
+   */
+  async 'corporateActions.detectFromEod'({ lookbackDays = 30, sessionId }) {
+    check(lookbackDays, Number);
+    check(sessionId, String);
+
+    await validateAdminOrCronSession(this.connection, sessionId);
+
+    try {
+      return await PMSCorporateActionHelpers.detectFromEod({ lookbackDays });
+    } catch (error) {
+      console.error(`[CORPORATE_ACTIONS] EOD detection failed: ${error.message}`);
+      throw new Meteor.Error('detection-failed', error.message);
+    }
+  }
+});
@@ -302,7 +302,8 @@ Meteor.methods({
           // Also pass viewAsFilter from options if present
           const viewAsFilterParam = options.viewAsFilter ? `&viewAsFilter=${encodeURIComponent(options.viewAsFilter)}` : '';
           const accountFilterParam = options.accountFilter ? `&account=${encodeURIComponent(options.accountFilter)}` : '';
-          reportUrl = `${baseUrl}pdf/pms/${reportId}?pdfToken=${tempToken}&userId=${userId}&lang=${lang}${viewAsFilterParam}${accountFilterParam}`;
+          const currencyParam = options.reportingCurrency ? `&reportingCurrency=${encodeURIComponent(options.reportingCurrency)}` : '';
+          reportUrl = `${baseUrl}pdf/pms/${reportId}?pdfToken=${tempToken}&userId=${userId}&lang=${lang}${viewAsFilterParam}${accountFilterParam}${currencyParam}`;
           console.log('[PDF] Using PMS Portfolio Report template for account:', reportId, 'viewAsFilter:', options.viewAsFilter ? 'present' : 'none');
           break;
         case 'risk-analysis':
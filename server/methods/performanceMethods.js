@@ -5,6 +5,9 @@ import { UsersCollection } from '../../imports/api/users.js';
 import { PortfolioSnapshotHelpers } from '../../imports/api/portfolioSnapshots.js';
 import { getAssetClassLabel, getGranularCategoryLabel } from '../../imports/api/securitiesMetadata.js';
 
+// ISO 4217 reporting currency (EUR, USD, CHF...)
+const ReportingCurrency = Match.Maybe(Match.Where(value => typeof value === 'string' && /^[A-Z]{3}$/.test(value)));
+
 /**
  * Validate session and get user
  */
@@ -31,6 +34,57 @@ async function validateSession(sessionId) {
   return user;
 }
 
+/**
+ * Resolve the portfolio codes a performance view covers
+ * Returns null for admins without a view-as filter (all clients).
+ */
+async function resolveTargetPortfolioCodes(user, portfolioCode, viewAsFilter) {
+  const isAdminAllClients = (user.role === 'admin' || user.role === 'superadmin') && !viewAsFilter;
+
+  // Resolve target portfolio codes — account-centric approach (no userId dependency)
+  const { BankAccountsCollection } = await import('../../imports/api/bankAccounts.js');
+  const { ClientEntitiesCollection } = await import('../../imports/api/clientEntities.js');
+
+  let targetPortfolioCodes = portfolioCode ? [portfolioCode] : null;
+
+  if (viewAsFilter && (user.role === 'admin' || user.role === 'superadmin' || user.role === 'rm' || user.role === 'assistant')) {
+    if (viewAsFilter.type === 'entity') {
+      // Get all account numbers where entity is owner OR beneficial owner
+      const entityAccounts = await BankAccountsCollection.find(
+        { $or: [{ entityId: viewAsFilter.id }, { beneficialOwnerIds: viewAsFilter.id }, { beneficialOwnerId: viewAsFilter.id }], isActive: true },
+        { fields: { accountNumber: 1 } }
+      ).fetchAsync();
+      if (!portfolioCode) {
+        targetPortfolioCodes = entityAccounts.map(a => a.accountNumber);
+      }
+    } else if (viewAsFilter.type === 'client') {
+      // Get all account numbers for this user
+      if (!portfolioCode) {
+        const clientAccounts = await BankAccountsCollection.find(
+          { $or: [{ userId: viewAsFilter.id }, { entityId: viewAsFilter.id }], isActive: true },
+          { fields: { accountNumber: 1 } }
+        ).fetchAsync();
+        targetPortfolioCodes = clientAccounts.map(a => a.accountNumber);
+      }
+    } else if (viewAsFilter.type === 'account') {
+      const bankAccount = await BankAccountsCollection.findOneAsync(viewAsFilter.id);
+      if (bankAccount) {
+        targetPortfolioCodes = [bankAccount.accountNumber];
+      }
+    }
+  } else if (!isAdminAllClients && !portfolioCode) {
+    // Current user's own accounts (client or RM viewing own)
+    const entity = await ClientEntitiesCollection.findOneAsync({ migratedFromUserId: user._id, isActive: true });
+    const accountQuery = entity
+      ? { $or: [{ entityId: entity._id }, { userId: user._id }], isActive: true }
+      : { userId: user._id, isActive: true };
+    const ownAccounts = await BankAccountsCollection.find(accountQuery, { fields: { accountNumber: 1 } }).fetchAsync();
+    targetPortfolioCodes = ownAccounts.map(a => a.accountNumber);
+  }
+
+  return isAdminAllClients ? null : (targetPortfolioCodes || []);
+}
+
 Meteor.methods({
   /**
    * Get portfolio performance for a date range
@@ -72,10 +126,12 @@ Meteor.methods({
 
   /**
    * Get performance for predefined periods (1M, 3M, YTD, 1Y, All Time)
+   * Amounts are converted into reportingCurrency when given.
    */
-  async 'performance.getPeriods'({ sessionId, portfolioCode = null, viewAsFilter = null }) {
+  async 'performance.getPeriods'({ sessionId, portfolioCode = null, viewAsFilter = null, reportingCurrency = null }) {
     check(sessionId, String);
     check(portfolioCode, Match.OneOf(String, null, undefined));
+    check(reportingCurrency, ReportingCurrency);
     check(viewAsFilter, Match.OneOf(Match.ObjectIncluding({
       type: String,
       id: String
@@ -137,7 +193,8 @@ Meteor.methods({
           // Use aggregated performance for admin "all clients" view
           performance = await PortfolioSnapshotHelpers.calculateAggregatedPerformance({
             startDate,
-            endDate: now
+            endDate: now,
+            reportingCurrency
           });
         } else if (targetPortfolioCode) {
           // Specific portfolio
@@ -145,14 +202,16 @@ Meteor.methods({
             userId: targetUserId,
             portfolioCode: targetPortfolioCode,
             startDate,
-            endDate: now
+            endDate: now,
+            reportingCurrency
           });
         } else {
           // All portfolios - use aggregated calculation to prevent incorrect returns
           performance = await PortfolioSnapshotHelpers.calculatePerformanceForUser({
             userId: targetUserId,
             startDate,
-            endDate: now
+            endDate: now,
+            reportingCurrency
           });
         }
 
@@ -183,15 +242,18 @@ Meteor.methods({
       }
     }
 
-    return results;
+    return { ...results, currency: reportingCurrency };
   },
 
   /**
    * Get portfolio value chart data
+   * Values are in reportingCurrency, by default the currency of the viewed
+   * perimeter (see PortfolioSnapshotHelpers.resolveReportingCurrency).
    */
-  async 'performance.getChartData'({ sessionId, portfolioCode = null, startDate = null, endDate = null, viewAsFilter = null }) {
+  async 'performance.getChartData'({ sessionId, portfolioCode = null, startDate = null, endDate = null, viewAsFilter = null, reportingCurrency = null }) {
     check(sessionId, String);
     check(portfolioCode, Match.OneOf(String, null, undefined));
+    check(reportingCurrency, ReportingCurrency);
     check(startDate, Match.OneOf(String, Date, null, undefined));
     check(endDate, Match.OneOf(String, Date, null, undefined));
     check(viewAsFilter, Match.OneOf(Match.ObjectIncluding({
@@ -208,13 +270,15 @@ Meteor.methods({
     const end = endDate ? new Date(endDate) : null;
 
     let snapshots;
+    let currency = reportingCurrency;
 
     // Admin/SuperAdmin without filter = aggregate ALL clients
     if ((user.role === 'admin' || user.role === 'superadmin') && !viewAsFilter) {
       console.log(`[PERFORMANCE] Admin view: aggregating all clients`);
       snapshots = await PortfolioSnapshotHelpers.getAggregatedSnapshots({
         startDate: start,
-        endDate: end
+        endDate: end,
+        reportingCurrency
       });
     } else {
       // Account-centric approach: resolve portfolio codes from accounts
@@ -271,6 +335,12 @@ Meteor.methods({
 
         const rawSnapshots = await PortfolioSnapshotsCollection.find(snapshotQuery, { sort: { snapshotDate: 1 } }).fetchAsync();
 
+        currency = reportingCurrency || await PortfolioSnapshotHelpers.resolveReportingCurrency({
+          portfolioCodes: targetPortfolioCodes,
+          viewAsFilter
+        });
+        await PortfolioSnapshotHelpers.convertSnapshotsToCurrency(rawSnapshots, currency);
+
         if (targetPortfolioCodes.length > 1 && rawSnapshots.length > 0) {
           const byDate = {};
           for (const snap of rawSnapshots) {
@@ -341,6 +411,7 @@ Meteor.methods({
 
     return {
       hasData: true,
+      currency,
       labels,
       datasets: [
         {
@@ -365,11 +436,13 @@ Meteor.methods({
 
   /**
    * Get asset allocation over time
+   * Values are converted into reportingCurrency when given.
    */
-  async 'performance.getAssetAllocation'({ sessionId, portfolioCode = null, date = null, viewAsFilter = null }) {
+  async 'performance.getAssetAllocation'({ sessionId, portfolioCode = null, date = null, viewAsFilter = null, reportingCurrency = null }) {
     check(sessionId, String);
     check(portfolioCode, Match.OneOf(String, null, undefined));
     check(date, Match.OneOf(String, Date, null, undefined));
+    check(reportingCurrency, ReportingCurrency);
     check(viewAsFilter, Match.OneOf(Match.ObjectIncluding({
       type: String,
       id: String
@@ -407,7 +480,8 @@ Meteor.methods({
         userId: targetUserId,
         portfolioCode: targetPortfolioCode,
         startDate: null,
-        endDate: targetDate
+        endDate: targetDate,
+        reportingCurrency
       });
       if (snapshots.length === 0) {
         return { hasData: false, assetClasses: [] };
@@ -417,7 +491,8 @@ Meteor.methods({
       // All portfolios - aggregate asset allocation across all accounts
       latestSnapshot = await PortfolioSnapshotHelpers.getAggregatedAssetAllocationForUser({
         userId: targetUserId,
-        targetDate
+        targetDate,
+        reportingCurrency
       });
       if (!latestSnapshot) {
         return { hasData: false, assetClasses: [] };
@@ -438,6 +513,7 @@ Meteor.methods({
 
     return {
       hasData: true,
+      currency: reportingCurrency,
       assetClasses,
       totalValue: latestSnapshot.totalAccountValue,
       snapshotDate: latestSnapshot.snapshotDate
@@ -495,11 +571,17 @@ Meteor.methods({
    * by chain-linking daily sub-period returns.
    *
    * Returns pre-formatted data for all periods (1M, 3M, 6M, YTD, 1Y, ALL)
-   * plus chart data rebased to 100.
+   * plus chart data rebased to 100, with benchmark-relative metrics when the
+   * accounts have a benchmark (see PortfolioSnapshotHelpers.calculateTWRReport).
+   * benchmarkId overrides the account benchmark. Returns are computed in
+   * reportingCurrency (default: the perimeter's currency) with the currency
+   * translation effect reported separately.
    */
-  async 'performance.calculateTWR'({ sessionId, portfolioCode = null, viewAsFilter = null }) {
+  async 'performance.calculateTWR'({ sessionId, portfolioCode = null, viewAsFilter = null, benchmarkId = null, reportingCurrency = null }) {
     check(sessionId, String);
     check(portfolioCode, Match.OneOf(String, null, undefined));
+    check(benchmarkId, Match.OneOf(String, null, undefined));
+    check(reportingCurrency, ReportingCurrency);
     check(viewAsFilter, Match.OneOf(Match.ObjectIncluding({
       type: String,
       id: String
@@ -508,290 +590,126 @@ Meteor.methods({
     const user = await validateSession(sessionId);
 
     const now = new Date();
-    const isAdminAllClients = (user.role === 'admin' || user.role === 'superadmin') && !viewAsFilter;
-
-    // Resolve target portfolio codes — account-centric approach (no userId dependency)
-    const { BankAccountsCollection } = await import('../../imports/api/bankAccounts.js');
-    const { ClientEntitiesCollection } = await import('../../imports/api/clientEntities.js');
-    const { PortfolioSnapshotsCollection } = await import('../../imports/api/portfolioSnapshots.js');
-
-    let targetPortfolioCodes = portfolioCode ? [portfolioCode] : null;
-
-    if (viewAsFilter && (user.role === 'admin' || user.role === 'superadmin' || user.role === 'rm' || user.role === 'assistant')) {
-      if (viewAsFilter.type === 'entity') {
-        // Get all account numbers where entity is owner OR beneficial owner
-        const entityAccounts = await BankAccountsCollection.find(
-          { $or: [{ entityId: viewAsFilter.id }, { beneficialOwnerIds: viewAsFilter.id }, { beneficialOwnerId: viewAsFilter.id }], isActive: true },
-          { fields: { accountNumber: 1 } }
-        ).fetchAsync();
-        if (!portfolioCode) {
-          targetPortfolioCodes = entityAccounts.map(a => a.accountNumber);
-        }
-      } else if (viewAsFilter.type === 'client') {
-        // Get all account numbers for this user
-        if (!portfolioCode) {
-          const clientAccounts = await BankAccountsCollection.find(
-            { $or: [{ userId: viewAsFilter.id }, { entityId: viewAsFilter.id }], isActive: true },
-            { fields: { accountNumber: 1 } }
-          ).fetchAsync();
-          targetPortfolioCodes = clientAccounts.map(a => a.accountNumber);
-        }
-      } else if (viewAsFilter.type === 'account') {
-        const bankAccount = await BankAccountsCollection.findOneAsync(viewAsFilter.id);
-        if (bankAccount) {
-          targetPortfolioCodes = [bankAccount.accountNumber];
-        }
-      }
-    } else if (!isAdminAllClients && !portfolioCode) {
-      // Current user's own accounts (client or RM viewing own)
-      const entity = await ClientEntitiesCollection.findOneAsync({ migratedFromUserId: user._id, isActive: true });
-      const accountQuery = entity
-        ? { $or: [{ entityId: entity._id }, { userId: user._id }], isActive: true }
-        : { userId: user._id, isActive: true };
-      const ownAccounts = await BankAccountsCollection.find(accountQuery, { fields: { accountNumber: 1 } }).fetchAsync();
-      targetPortfolioCodes = ownAccounts.map(a => a.accountNumber);
-    }
+    const portfolioCodes = await resolveTargetPortfolioCodes(user, portfolioCode, viewAsFilter);
 
-    console.log(`[TWR] Calculating for user: ${user.username}, portfolioCodes: ${targetPortfolioCodes?.join(',') || 'ALL'}, adminAll: ${isAdminAllClients}`);
-
-    // 1. Fetch snapshots by portfolio codes (account-centric)
-    let snapshots;
-    if (isAdminAllClients) {
-      snapshots = await PortfolioSnapshotHelpers.getAggregatedSnapshots({
-        startDate: null,
-        endDate: now
-      });
-    } else if (targetPortfolioCodes && targetPortfolioCodes.length > 0) {
-      const snapshotQuery = {};
-      if (targetPortfolioCodes.length === 1) {
-        snapshotQuery.portfolioCode = targetPortfolioCodes[0];
-      } else {
-        snapshotQuery.portfolioCode = { $in: targetPortfolioCodes };
-      }
-      if (now) snapshotQuery.snapshotDate = { $lte: now };
-
-      console.log(`[TWR] Snapshot query: ${JSON.stringify(snapshotQuery)}`);
-
-      const rawSnapshots = await PortfolioSnapshotsCollection.find(snapshotQuery, {
-        sort: { snapshotDate: 1 }
-      }).fetchAsync();
-
-      console.log(`[TWR] Found ${rawSnapshots.length} raw snapshots`);
-
-      // Aggregate by date if multiple accounts
-      if (targetPortfolioCodes.length > 1 && rawSnapshots.length > 0) {
-        const byDate = {};
-        for (const snap of rawSnapshots) {
-          const dateKey = snap.snapshotDate.toISOString().split('T')[0];
-          if (!byDate[dateKey]) {
-            byDate[dateKey] = { ...snap, _aggregated: true };
-          } else {
-            byDate[dateKey].totalAccountValue = (byDate[dateKey].totalAccountValue || 0) + (snap.totalAccountValue || 0);
-            byDate[dateKey].cashBalance = (byDate[dateKey].cashBalance || 0) + (snap.cashBalance || 0);
-            byDate[dateKey].totalMarketValue = (byDate[dateKey].totalMarketValue || 0) + (snap.totalMarketValue || 0);
-          }
-        }
-        snapshots = Object.values(byDate);
-      } else {
-        snapshots = rawSnapshots;
-      }
-    } else {
-      snapshots = [];
-    }
-
-    const emptyResponse = {
-      hasData: false,
-      periods: {},
-      chartData: { labels: [], datasets: [] },
-      metadata: { calculatedAt: new Date() }
-    };
-
-    if (!snapshots || snapshots.length < 2) {
-      console.log(`[TWR] Insufficient snapshots (${snapshots?.length || 0}), need at least 2`);
-      return emptyResponse;
-    }
-
-    // 2. Fetch external cash flow operations
-    const { PMSOperationsCollection } = await import('../../imports/api/pmsOperations.js');
-    const { OPERATION_TYPES } = await import('../../imports/api/constants/operationTypes.js');
-
-    const externalFlowTypes = [
-      OPERATION_TYPES.TRANSFER_IN,
-      OPERATION_TYPES.TRANSFER_OUT,
-      OPERATION_TYPES.PAYMENT_IN,
-      OPERATION_TYPES.PAYMENT_OUT
-    ];
-
-    const opsQuery = {
-      operationType: { $in: externalFlowTypes }
-    };
-
-    if (!isAdminAllClients && targetPortfolioCodes && targetPortfolioCodes.length > 0) {
-      opsQuery.portfolioCode = targetPortfolioCodes.length === 1
-        ? targetPortfolioCodes[0]
-        : { $in: targetPortfolioCodes };
-    }
+    const currency = reportingCurrency || (portfolioCodes
+      ? await PortfolioSnapshotHelpers.resolveReportingCurrency({ portfolioCodes, viewAsFilter })
+      : null);
 
-    const operations = await PMSOperationsCollection.find(opsQuery, {
-      sort: { operationDate: 1 }
-    }).fetchAsync();
+    console.log(`[TWR] Calculating for user: ${user.username}, portfolioCodes: ${portfolioCodes?.join(',') || 'ALL'}, currency: ${currency || 'EUR'}`);
 
-    console.log(`[TWR] Found ${snapshots.length} snapshots, ${operations.length} external flows`);
-
-    // 3. Build FX rates map
-    const { CurrencyRateCacheCollection } = await import('../../imports/api/currencyCache.js');
-    const { buildRatesMap, extractBankFxRates, mergeRatesMaps } = await import('../../imports/api/helpers/cashCalculator.js');
+    return PortfolioSnapshotHelpers.calculateTWRReport({
+      portfolioCodes,
+      now,
+      benchmarkId,
+      reportingCurrency: currency
+    });
+  },
 
-    const currencyRates = await CurrencyRateCacheCollection.find({}).fetchAsync();
-    const eodRatesMap = buildRatesMap(currencyRates);
+  /**
+   * Standard period table: MTD, QTD, YTD, 1Y, 3Y annualized and since inception
+   *
+   * TWR and money-weighted return (XIRR over transfers/payments) per
+   * portfolio in its reference currency, and aggregated per client entity in
+   * the entity's reference currency (see PortfolioSnapshotHelpers.calculatePerformanceTables).
+   * reportingCurrency puts every table in that currency, with the FX contribution.
+   */
+  async 'performance.getPeriodReturns'({ sessionId, portfolioCode = null, viewAsFilter = null, reportingCurrency = null }) {
+    check(sessionId, String);
+    check(portfolioCode, Match.OneOf(String, null, undefined));
+    check(reportingCurrency, ReportingCurrency);
+    check(viewAsFilter, Match.OneOf(Match.ObjectIncluding({
+      type: String,
+      id: String
+    }), null, undefined));
 
-    // Get bank FX rates from recent holdings
-    const { PMSHoldingsCollection } = await import('../../imports/api/pmsHoldings.js');
-    const holdingsQuery = {};
-    if (!isAdminAllClients && targetPortfolioCodes && targetPortfolioCodes.length > 0) {
-      holdingsQuery.portfolioCode = targetPortfolioCodes.length === 1
-        ? targetPortfolioCodes[0]
-        : { $in: targetPortfolioCodes };
-    }
-    const recentHoldings = await PMSHoldingsCollection.find(holdingsQuery, {
-      limit: 100,
-      sort: { updatedAt: -1 }
-    }).fetchAsync();
-
-    const bankRates = extractBankFxRates(recentHoldings);
-    const ratesMap = mergeRatesMaps(eodRatesMap, bankRates);
-
-    // 4. Calculate TWR
-    const {
-      buildDailyValuesFromSnapshots,
-      buildDailyFlowsFromOperations,
-      calculateDailyTWR,
-      annualizeTWR
-    } = await import('../../imports/api/helpers/twrCalculator.js');
-
-    const dailyValues = buildDailyValuesFromSnapshots(snapshots);
-    const dailyFlows = buildDailyFlowsFromOperations(operations, ratesMap);
-    const twrSeries = calculateDailyTWR(dailyValues, dailyFlows);
-
-    if (twrSeries.length === 0) {
-      console.log(`[TWR] No TWR data points generated`);
-      return emptyResponse;
-    }
+    const user = await validateSession(sessionId);
+    const portfolioCodes = await resolveTargetPortfolioCodes(user, portfolioCode, viewAsFilter);
 
-    // 5. Calculate period TWRs
-    const lastEntry = twrSeries[twrSeries.length - 1];
-    const firstDate = new Date(dailyValues[0].date);
-    const lastDate = new Date(lastEntry.date);
-    const totalDays = Math.ceil((lastDate - firstDate) / (1000 * 60 * 60 * 24));
+    console.log(`[PERFORMANCE] Period returns for user: ${user.username}, portfolioCodes: ${portfolioCodes?.join(',') || 'ALL'}`);
 
-    const periodDefs = {
-      '1M': new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000),
-      '3M': new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000),
-      '6M': new Date(now.getTime() - 180 * 24 * 60 * 60 * 1000),
-      'YTD': new Date(now.getFullYear(), 0, 1),
-      '1Y': new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000),
-      'ALL': null
-    };
+    return PortfolioSnapshotHelpers.calculatePerformanceTables({
+      portfolioCodes,
+      now: new Date(),
+      reportingCurrency
+    });
+  },
 
-    const formatTWR = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
-
-    const periods = {};
-
-    for (const [periodName, periodStart] of Object.entries(periodDefs)) {
-      // ALL period: use total cumulative TWR
-      if (periodName === 'ALL') {
-        const twr = lastEntry.cumulativeTWR;
-        const annualized = annualizeTWR(twr, totalDays);
-
-        periods.ALL = {
-          hasData: true,
-          twr,
-          twrFormatted: formatTWR(twr),
-          startDate: dailyValues[0].date,
-          endDate: lastEntry.date,
-          dataPoints: twrSeries.length,
-          isAnnualized: annualized !== null,
-          twrAnnualized: annualized,
-          twrAnnualizedFormatted: annualized !== null
-            ? `${formatTWR(annualized).replace('%', '% (ann.)')}`
-            : null
-        };
-        continue;
-      }
+  /**
+   * Performance attribution over a reporting period
+   *
+   * Contribution to return per security and Brinson allocation / selection
+   * effects per profile category against the accounts' benchmark
+   * (see PerformanceAttributionHelpers.calculateAttribution).
+   * Needs a client or account scope: the all-clients admin view has no data.
+   * In reportingCurrency (default: the perimeter's currency), currency
+   * translation is a separate line.
+   */
+  async 'performance.calculateAttribution'({ sessionId, portfolioCode = null, viewAsFilter = null, period = 'YTD', benchmarkId = null, reportingCurrency = null }) {
+    check(sessionId, String);
+    check(portfolioCode, Match.OneOf(String, null, undefined));
+    check(period, Match.Where(value => ['1M', '3M', '6M', 'YTD', '1Y', 'ALL'].includes(value)));
+    check(benchmarkId, Match.OneOf(String, null, undefined));
+    check(reportingCurrency, ReportingCurrency);
+    check(viewAsFilter, Match.OneOf(Match.ObjectIncluding({
+      type: String,
+      id: String
+    }), null, undefined));
 
-      const periodStartStr = periodStart.toISOString().split('T')[0];
+    const user = await validateSession(sessionId);
+    const portfolioCodes = await resolveTargetPortfolioCodes(user, portfolioCode, viewAsFilter);
 
-      // Find the TWR entry closest to (but not after) the period start
-      let startTWR = 0; // Default: reference point at the very beginning
+    console.log(`[ATTRIBUTION] Calculating ${period} for user: ${user.username}, portfolioCodes: ${portfolioCodes?.join(',') || 'ALL'}`);
 
-      // Look for an entry at or before the period start date
-      for (let i = twrSeries.length - 1; i >= 0; i--) {
-        if (twrSeries[i].date <= periodStartStr) {
-          startTWR = twrSeries[i].cumulativeTWR;
-          break;
-        }
-      }
+    const currency = reportingCurrency || (portfolioCodes?.length
+      ? await PortfolioSnapshotHelpers.resolveReportingCurrency({ portfolioCodes, viewAsFilter })
+      : null);
 
-      // Check if we have any data in this period range
-      const dataPointsInPeriod = twrSeries.filter(e => e.date >= periodStartStr).length;
+    const { PerformanceAttributionHelpers } = await import('../../imports/api/performanceAttribution.js');
+    return PerformanceAttributionHelpers.calculateAttribution({
+      portfolioCodes,
+      period,
+      now: new Date(),
+      benchmarkId,
+      reportingCurrency: currency
+    });
+  },
 
-      if (dataPointsInPeriod === 0) {
-        periods[periodName] = {
-          hasData: false,
-          twr: 0,
-          twrFormatted: 'N/A',
-          startDate: periodStartStr,
-          endDate: lastEntry.date,
-          dataPoints: 0
-        };
-        continue;
-      }
+  /**
+   * Risk metrics over a reporting period
+   *
+   * Realized volatility, max drawdown and Sharpe ratio from the TWR series,
+   * historical and parametric 95%/99% VaR, and issuer / underlying /
+   * single-name concentration of the current holdings, with the breaches of
+   * the account's risk limits for a single account
+   * (see PortfolioRiskHelpers.calculateRisk).
+   * Needs a client or account scope: the all-clients admin view has no data.
+   */
+  async 'performance.getRiskMetrics'({ sessionId, portfolioCode = null, viewAsFilter = null, period = '1Y', reportingCurrency = null }) {
+    check(sessionId, String);
+    check(portfolioCode, Match.OneOf(String, null, undefined));
+    check(period, Match.Where(value => ['6M', 'YTD', '1Y', 'ALL'].includes(value)));
+    check(reportingCurrency, ReportingCurrency);
+    check(viewAsFilter, Match.OneOf(Match.ObjectIncluding({
+      type: String,
+      id: String
+    }), null, undefined));
 
-      // Chain-link: period TWR = (1 + endTWR) / (1 + startTWR) - 1
-      const endTWR = lastEntry.cumulativeTWR;
-      const periodTWR = (1 + endTWR) / (1 + startTWR) - 1;
-
-      periods[periodName] = {
-        hasData: true,
-        twr: periodTWR,
-        twrFormatted: formatTWR(periodTWR),
-        startDate: periodStartStr,
-        endDate: lastEntry.date,
-        dataPoints: dataPointsInPeriod
-      };
-    }
+    const user = await validateSession(sessionId);
+    const portfolioCodes = await resolveTargetPortfolioCodes(user, portfolioCode, viewAsFilter);
 
-    // 6. Build chart data (rebased to 100 from inception)
-    const chartLabels = [dailyValues[0].date, ...twrSeries.map(r => r.date)];
-    const chartValues = [100, ...twrSeries.map(r => 100 * (1 + r.cumulativeTWR))];
-
-    const chartData = {
-      labels: chartLabels,
-      datasets: [{
-        label: 'TWR Performance',
-        data: chartValues,
-        borderColor: '#10b981',
-        backgroundColor: 'rgba(16, 185, 129, 0.1)',
-        fill: true,
-        borderWidth: 2,
-        pointRadius: 0,
-        tension: 0.1
-      }]
-    };
+    console.log(`[RISK] Calculating ${period} for user: ${user.username}, portfolioCodes: ${portfolioCodes?.join(',') || 'ALL'}`);
 
-    console.log(`[TWR] Complete: ${twrSeries.length} data points, ALL TWR: ${formatTWR(lastEntry.cumulativeTWR)}, ${operations.length} external flows`);
+    const currency = reportingCurrency || (portfolioCodes?.length
+      ? await PortfolioSnapshotHelpers.resolveReportingCurrency({ portfolioCodes, viewAsFilter })
+      : null);
 
-    return {
-      hasData: true,
-      periods,
-      chartData,
-      metadata: {
-        calculatedAt: new Date(),
-        totalDays,
-        firstSnapshotDate: dailyValues[0].date,
-        lastSnapshotDate: lastEntry.date,
-        externalFlowCount: operations.length
-      }
-    };
+    const { PortfolioRiskHelpers } = await import('../../imports/api/portfolioRisk.js');
+    return PortfolioRiskHelpers.calculateRisk({
+      portfolioCodes,
+      period,
+      now: new Date(),
+      reportingCurrency: currency
+    });
   }
 });
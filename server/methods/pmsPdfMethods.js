@@ -41,6 +41,59 @@ async function validatePdfToken(userId, pdfToken) {
   return user;
 }
 
+/**
+ * Resolve the account numbers a PDF report covers (null = all portfolios)
+ */
+async function resolvePdfPortfolioCodes(currentUser, viewAsFilter) {
+  const isAdmin = currentUser.role === USER_ROLES.ADMIN || currentUser.role === USER_ROLES.SUPERADMIN;
+  let accountQuery = null;
+
+  if (viewAsFilter && isAdmin) {
+    if (viewAsFilter.type === 'client') {
+      accountQuery = { $or: [{ userId: viewAsFilter.id }, { entityId: viewAsFilter.id }] };
+    } else if (viewAsFilter.type === 'entity') {
+      accountQuery = { $or: [{ entityId: viewAsFilter.id }, { beneficialOwnerIds: viewAsFilter.id }] };
+    } else if (viewAsFilter.type === 'account') {
+      accountQuery = { _id: viewAsFilter.id };
+    }
+  } else if (isAdmin) {
+    // All portfolios
+  } else if (currentUser.role === USER_ROLES.RELATIONSHIP_MANAGER) {
+    const assignedClients = await UsersCollection.find({
+      relationshipManagerId: currentUser._id
+    }).fetchAsync();
+    const clientIds = assignedClients.map(c => c._id);
+    clientIds.push(currentUser._id);
+    accountQuery = { userId: { $in: clientIds } };
+  } else {
+    accountQuery = { userId: currentUser._id };
+  }
+
+  let portfolioCodes = null;
+  if (accountQuery) {
+    const accounts = await BankAccountsCollection.find(
+      { ...accountQuery, isActive: true },
+      { fields: { accountNumber: 1 } }
+    ).fetchAsync();
+    portfolioCodes = accounts.map(a => a.accountNumber);
+  }
+
+  return portfolioCodes;
+}
+
+// ISO 4217 reporting currency (EUR, USD, CHF...)
+const ReportingCurrency = Match.Maybe(Match.Where(value => typeof value === 'string' && /^[A-Z]{3}$/.test(value)));
+
+/**
+ * Reporting currency of a PDF report: the requested one, else the perimeter's
+ * (null for all portfolios, which keeps the EUR convention)
+ */
+async function resolvePdfReportingCurrency(portfolioCodes, viewAsFilter, reportingCurrency) {
+  if (reportingCurrency) return reportingCurrency;
+  if (!portfolioCodes?.length) return null;
+  return PortfolioSnapshotHelpers.resolveReportingCurrency({ portfolioCodes, viewAsFilter });
+}
+
 Meteor.methods({
   /**
    * Get PMS holdings for PDF generation
@@ -237,9 +290,10 @@ Meteor.methods({
   /**
    * Get performance periods for PDF generation
    */
-  async 'pms.getPerformanceForPdf'({ userId, pdfToken, viewAsFilter }) {
+  async 'pms.getPerformanceForPdf'({ userId, pdfToken, viewAsFilter, reportingCurrency = null }) {
     check(userId, String);
     check(pdfToken, String);
+    check(reportingCurrency, ReportingCurrency);
     check(viewAsFilter, Match.Maybe(Match.ObjectIncluding({
       type: String,
       id: String
@@ -286,7 +340,8 @@ Meteor.methods({
           userId: targetUserId,
           portfolioCode: targetPortfolioCode,
           startDate,
-          endDate: now
+          endDate: now,
+          reportingCurrency
         });
 
         if (performance) {
@@ -323,7 +378,121 @@ Meteor.methods({
     }
 
     console.log('[PMS_PDF] Performance data calculated');
-    return results;
+    return { ...results, currency: reportingCurrency };
+  },
+
+  /**
+   * Get TWR and benchmark-relative performance for PDF generation
+   * Same report as performance.calculateTWR, perimeter resolved like the holdings.
+   */
+  async 'pms.getTWRForPdf'({ userId, pdfToken, viewAsFilter, reportingCurrency = null }) {
+    check(userId, String);
+    check(pdfToken, String);
+    check(reportingCurrency, ReportingCurrency);
+    check(viewAsFilter, Match.Maybe(Match.ObjectIncluding({
+      type: String,
+      id: String
+    })));
+
+    console.log('[PMS_PDF] Fetching TWR data for PDF');
+
+    // Validate PDF token
+    const currentUser = await validatePdfToken(userId, pdfToken);
+    const portfolioCodes = await resolvePdfPortfolioCodes(currentUser, viewAsFilter);
+
+    const report = await PortfolioSnapshotHelpers.calculateTWRReport({
+      portfolioCodes,
+      reportingCurrency: await resolvePdfReportingCurrency(portfolioCodes, viewAsFilter, reportingCurrency)
+    });
+
+    console.log('[PMS_PDF] TWR data calculated, benchmark:', report.benchmark?.name || 'none');
+    return report;
+  },
+
+  /**
+   * Get the MTD / QTD / YTD / 1Y / 3Y / since inception period table for PDF generation
+   * Same report as performance.getPeriodReturns, perimeter resolved like the holdings.
+   */
+  async 'pms.getPeriodReturnsForPdf'({ userId, pdfToken, viewAsFilter, reportingCurrency = null }) {
+    check(userId, String);
+    check(pdfToken, String);
+    check(reportingCurrency, ReportingCurrency);
+    check(viewAsFilter, Match.Maybe(Match.ObjectIncluding({
+      type: String,
+      id: String
+    })));
+
+    console.log('[PMS_PDF] Fetching period returns for PDF');
+
+    // Validate PDF token
+    const currentUser = await validatePdfToken(userId, pdfToken);
+    const portfolioCodes = await resolvePdfPortfolioCodes(currentUser, viewAsFilter);
+
+    const report = await PortfolioSnapshotHelpers.calculatePerformanceTables({ portfolioCodes, reportingCurrency });
+
+    console.log(`[PMS_PDF] Period returns calculated: ${report.entities.length} entities, ${report.portfolios.length} portfolios`);
+    return report;
+  },
+
+  /**
+   * Get YTD performance attribution for PDF generation
+   * Same report as performance.calculateAttribution, perimeter resolved like the holdings.
+   */
+  async 'pms.getAttributionForPdf'({ userId, pdfToken, viewAsFilter, period = 'YTD', reportingCurrency = null }) {
+    check(userId, String);
+    check(pdfToken, String);
+    check(reportingCurrency, ReportingCurrency);
+    check(period, Match.Where(value => ['1M', '3M', '6M', 'YTD', '1Y', 'ALL'].includes(value)));
+    check(viewAsFilter, Match.Maybe(Match.ObjectIncluding({
+      type: String,
+      id: String
+    })));
+
+    console.log('[PMS_PDF] Fetching attribution data for PDF');
+
+    // Validate PDF token
+    const currentUser = await validatePdfToken(userId, pdfToken);
+    const portfolioCodes = await resolvePdfPortfolioCodes(currentUser, viewAsFilter);
+
+    const { PerformanceAttributionHelpers } = await import('../../imports/api/performanceAttribution.js');
+    const report = await PerformanceAttributionHelpers.calculateAttribution({
+      portfolioCodes,
+      period,
+      reportingCurrency: await resolvePdfReportingCurrency(portfolioCodes, viewAsFilter, reportingCurrency)
+    });
+
+    console.log(`[PMS_PDF] Attribution data calculated, hasData: ${report.hasData}`);
+    return report;
+  },
+
+  /**
+   * Get risk metrics for PDF (volatility, drawdown, Sharpe, VaR, concentration)
+   */
+  async 'pms.getRiskForPdf'({ userId, pdfToken, viewAsFilter, period = '1Y', reportingCurrency = null }) {
+    check(userId, String);
+    check(pdfToken, String);
+    check(reportingCurrency, ReportingCurrency);
+    check(period, Match.Where(value => ['6M', 'YTD', '1Y', 'ALL'].includes(value)));
+    check(viewAsFilter, Match.Maybe(Match.ObjectIncluding({
+      type: String,
+      id: String
+    })));
+
+    console.log('[PMS_PDF] Fetching risk data for PDF');
+
+    // Validate PDF token
+    const currentUser = await validatePdfToken(userId, pdfToken);
+    const portfolioCodes = await resolvePdfPortfolioCodes(currentUser, viewAsFilter);
+
+    const { PortfolioRiskHelpers } = await import('../../imports/api/portfolioRisk.js');
+    const report = await PortfolioRiskHelpers.calculateRisk({
+      portfolioCodes,
+      period,
+      reportingCurrency: await resolvePdfReportingCurrency(portfolioCodes, viewAsFilter, reportingCurrency)
+    });
+
+    console.log(`[PMS_PDF] Risk data calculated, hasData: ${report.hasData}`);
+    return report;
   }
 });
 
@@ -0,0 +1,70 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { PMSReconciliationHelpers } from '../../imports/api/pmsReconciliations.js';
+import { PMSHoldingsCollection } from '../../imports/api/pmsHoldings.js';
+import { validateAdminSession, validateAdminOrCronSession } from '../helpers/sessionAuth.js';
+
+Meteor.methods({
+  /**
+   * Reconcile positions against operations for one bank, or every bank with current holdings.
+   * date (YYYY-MM-DD) defaults to each bank's latest position date.
+   */
+  async 'pms.runReconciliation'({ bankId, date, sessionId }) {
+    check(bankId, Match.Maybe(String));
+    check(date, Match.Maybe(String));
+    check(sessionId, String);
+
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
+
+    const bankIds = bankId
+      ? [bankId]
+      : await PMSHoldingsCollection.rawCollection().distinct('bankId', { isLatest: true });
+
+    console.log(`[RECONCILIATION] Running for ${bankIds.length} bank(s)${date ? ` as of ${date}` : ''}`);
+
+    const banks = [];
+    for (const id of bankIds) {
+      try {
+        banks.push(await PMSReconciliationHelpers.reconcileBank({
+          bankId: id,
+          date: date ? new Date(date) : null,
+          userId: user._id
+        }));
+      } catch (error) {
+        console.error(`[RECONCILIATION] Failed for bank ${id}: ${error.message}`);
+        banks.push({ bankId: id, error: error.message });
+      }
+    }
+
+    return {
+      success: true,
+      banks,
+      totalPortfolios: banks.reduce((sum, b) => sum + (b.portfolios || 0), 0),
+      portfoliosWithBreaks: banks.reduce((sum, b) => sum + (b.portfoliosWithBreaks || 0), 0),
+      totalBreaks: banks.reduce((sum, b) => sum + (b.breaks || 0), 0)
+    };
+  },
+
+  /**
+   * Stored reconciliation results for a day (defaults to the latest run)
+   */
+  async 'pms.getReconciliations'({ date, bankId, onlyBreaks = false, sessionId }) {
+    check(date, Match.Maybe(String));
+    check(bankId, Match.Maybe(String));
+    check(onlyBreaks, Boolean);
+    check(sessionId, String);
+
+    await validateAdminSession(sessionId);
+
+    try {
+      return await PMSReconciliationHelpers.getReconciliations({
+        date: date ? new Date(date) : null,
+        bankId,
+        onlyBreaks
+      });
+    } catch (error) {
+      console.error(`[RECONCILIATION] Failed to load results: ${error.message}`);
+      throw new Meteor.Error('query-failed', error.message);
+    }
+  }
+});
@@ -16,13 +16,22 @@ import { NotificationsCollection } from '../../imports/api/notifications.js';
 import { MarketDataCacheCollection } from '../../imports/api/marketDataCache.js';
 import { SecuritiesMetadataCollection } from '../../imports/api/securitiesMetadata.js';
 import { CurrencyRateCacheCollection, CurrencyCache } from '../../imports/api/currencyCache.js';
-import { calculateCashForHoldings } from '../../imports/api/helpers/cashCalculator.js';
+import {
+  calculateCashForHoldings,
+  convertCurrency,
+  buildDatedRatesLookup,
+  buildRatesMap as buildCurrencyRatesMap
+} from '../../imports/api/helpers/cashCalculator.js';
 import { DashboardMetricsHelpers } from '../../imports/api/dashboardMetrics.js';
+import { PortfolioRiskHelpers } from '../../imports/api/portfolioRisk.js';
 import { ClientEntitiesCollection } from '../../imports/api/clientEntities.js';
 import { UserEntityAccessHelpers } from '../../imports/api/userEntityAccess.js';
 import { getFilteredEntityIds, buildEntityOrUserFilter } from '../../imports/utils/entityResolver.js';
 import { INVESTMENT_QUOTES } from '../quotesData.js';
 
+// Without the daily risk_breaches cache, risk limits are checked live only for small scopes
+const RISK_ON_DEMAND_MAX_ACCOUNTS = 25;
+
 // Database collections for quotes system
 const DailyQuoteCacheCollection = new Mongo.Collection('dailyQuoteCache');
 const QuotesCollection = new Mongo.Collection('quotes');
@@ -289,7 +298,7 @@ function convertFromEUR(amountEUR, toCurrency, ratesMap) {
 Meteor.methods({
   /**
    * Get alerts for RM Dashboard
-   * Includes: barrier breaches, barrier warnings, profile breaches, unknown products
+   * Includes: barrier breaches, barrier warnings, profile breaches, risk limit breaches, unknown products
    * @param {String} sessionId - User session ID
    * @param {Object} viewAsFilter - Optional filter to view specific client/account
    */
@@ -437,6 +446,45 @@ Meteor.methods({
         }
       }
 
+      // 5. Risk limit breaches (volatility, drawdown, VaR, concentration)
+      // From the daily cron cache, else checked live on portfolio returns (no holdings price loading)
+      const riskAccounts = await BankAccountsCollection.find(
+        { userId: { $in: clientIds }, isActive: true },
+        { fields: { accountNumber: 1, referenceCurrency: 1, userId: 1, entityId: 1 } }
+      ).fetchAsync();
+
+      const cachedRisk = await DashboardMetricsHelpers.getMetrics('global', 'risk_breaches');
+      let riskBreaches = [];
+      if (cachedRisk) {
+        const riskAccountIds = new Set(riskAccounts.map(a => a._id));
+        riskBreaches = (cachedRisk.breaches || []).filter(b => riskAccountIds.has(b.bankAccountId));
+      } else if (riskAccounts.length <= RISK_ON_DEMAND_MAX_ACCOUNTS) {
+        riskBreaches = await PortfolioRiskHelpers.computeRiskBreaches({ bankAccounts: riskAccounts, simulateHoldings: false });
+      } else {
+        console.log(`[RM Dashboard] Risk breaches not cached yet, skipping live check of ${riskAccounts.length} accounts`);
+      }
+
+      const clientsById = new Map(clients.map(c => [c._id, c]));
+      for (const breach of riskBreaches) {
+        const client = clientsById.get(breach.userId);
+        const clientName = client
+          ? `${client.profile?.firstName || ''} ${client.profile?.lastName || ''}`.trim() || client.email
+          : breach.accountNumber;
+
+        alerts.push({
+          type: 'risk_breach',
+          severity: 'warning',
+          clientId: breach.userId,
+          clientName,
+          accountNumber: breach.accountNumber,
+          metric: breach.metric,
+          limit: breach.limit,
+          actual: breach.actual,
+          message: `${clientName} (${breach.accountNumber}): ${breach.label} at ${breach.actual.toFixed(1)}% (limit: ${breach.limit}%)${breach.subject ? ` - ${breach.subject}` : ''}`,
+          createdAt: cachedRisk?.computedAt || new Date()
+        });
+      }
+
       // 6. Count unknown/unlinked structured products
       const unknownProducts = await PMSHoldingsCollection.find({
         userId: { $in: clientIds },
@@ -1014,14 +1062,23 @@ Meteor.methods({
         });
       }
 
+      // Convert from EUR to target currency if needed: past days at the rates
+      // of their valuation date (EOD FOREX history), today at the current rate
+      let toTargetCurrency = (s) => s.totalAccountValue;
+      if (targetCurrency !== 'EUR') {
+        const historicalRates = await CurrencyCache.getHistoricalRates([targetCurrency], startDate);
+        const ratesOn = buildDatedRatesLookup(historicalRates, buildCurrencyRatesMap(currencyRates));
+        toTargetCurrency = (s) => {
+          const dateKey = s.date.toISOString().split('T')[0];
+          return dateKey === todayKey
+            ? convertFromEUR(s.totalAccountValue, targetCurrency, ratesMap)
+            : convertCurrency(s.totalAccountValue, 'EUR', targetCurrency, ratesOn(dateKey));
+        };
+      }
+
       // Format for chart
       const labels = aggregatedSnapshots.map(s => s.date.toISOString().split('T')[0]);
-      const values = aggregatedSnapshots.map(s => {
-        // Convert from EUR to target currency if needed
-        return targetCurrency === 'EUR'
-          ? s.totalAccountValue
-          : convertFromEUR(s.totalAccountValue, targetCurrency, ratesMap);
-      });
+      const values = aggregatedSnapshots.map(toTargetCurrency);
 
       return {
         hasData: true,
@@ -1029,9 +1086,7 @@ Meteor.methods({
         values,
         snapshots: aggregatedSnapshots.map(s => ({
           date: s.date,
-          value: targetCurrency === 'EUR'
-            ? s.totalAccountValue
-            : convertFromEUR(s.totalAccountValue, targetCurrency, ratesMap),
+          value: toTargetCurrency(s),
           portfolioCount: s.portfolioCount
         }))
       };
@@ -1471,7 +1526,7 @@ Meteor.methods({
   },
 
   /**
-   * Get breach status for all clients
+   * Get breach status for all clients (allocation profile or risk limits)
    * Returns a map of clientId -> true (has breach) / false (no breach)
    * Used by ClientsSection to show warning indicators
    */
@@ -1483,13 +1538,18 @@ Meteor.methods({
 
     const breachStatus = {};
 
+    // Accounts breaching their risk limits (daily cron cache only)
+    const cachedRisk = await DashboardMetricsHelpers.getMetrics('global', 'risk_breaches');
+    const riskBreachUserIds = new Set((cachedRisk?.breaches || []).map(b => b.userId).filter(Boolean));
+
     // Get all banks for name matching
     const allBanks = await BanksCollection.find({}).fetchAsync();
     const bankMap = {};
     allBanks.forEach(b => { bankMap[b._id] = b; });
 
     for (const client of clients) {
-      breachStatus[client._id] = false;
+      breachStatus[client._id] = riskBreachUserIds.has(client._id);
+      if (breachStatus[client._id]) continue;
 
       // Get client's bank accounts
       const bankAccounts = await BankAccountsCollection.find({ userId: client._id }).fetchAsync();
@@ -0,0 +1,77 @@
+import { Meteor } from 'meteor/meteor';
+import { check } from 'meteor/check';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection, USER_ROLES, UserHelpers } from '../../imports/api/users.js';
+import { SensitivityAnalysis } from '../../imports/api/sensitivityAnalysis.js';
+
+/**
+ * Validate session and get user (staff only - sensitivities are a book risk view)
+ */
+async function validateSession(sessionId) {
+  if (!sessionId) {
+    throw new Meteor.Error('not-authorized', 'Session required');
+  }
+
+  const session = await SessionsCollection.findOneAsync({
+    sessionId,
+    isActive: true
+  });
+
+  if (!session) {
+    throw new Meteor.Error('not-authorized', 'Invalid session');
+  }
+
+  const user = await UsersCollection.findOneAsync(session.userId);
+
+  if (!user) {
+    throw new Meteor.Error('not-authorized', 'User not found');
+  }
+
+  if (user.role === USER_ROLES.CLIENT) {
+    throw new Meteor.Error('not-authorized', 'Sensitivity reports are not available for client accounts');
+  }
+
+  return user;
+}
+
+/**
+ * Client IDs whose positions the user may see (null = all clients)
+ */
+async function getVisibleClientIds(user) {
+  if (user.role === USER_ROLES.ADMIN ||
+      user.role === USER_ROLES.SUPERADMIN ||
+      user.role === USER_ROLES.COMPLIANCE) {
+    return null;
+  }
+
+  const rmIds = UserHelpers.getEffectiveRmIds(user);
+  const clients = await UsersCollection.find(
+    { role: USER_ROLES.CLIENT, relationshipManagerId: { $in: rmIds } },
+    { fields: { _id: 1 } }
+  ).fetchAsync();
+
+  return clients.map(c => c._id);
+}
+
+Meteor.methods({
+  /**
+   * Bump-and-revalue sensitivities (delta, gamma, vega, correlation) of the live book,
+   * per product and per underlying. Computed on demand, not persisted.
+   */
+  async 'sensitivity.run'({ sessionId }) {
+    check(sessionId, String);
+    this.unblock();
+
+    const user = await validateSession(sessionId);
+    const clientIds = await getVisibleClientIds(user);
+
+    console.log(`[SENSITIVITY] ${user.username || user.email} computing sensitivity report`);
+
+    try {
+      return await SensitivityAnalysis.run({ clientIds });
+    } catch (error) {
+      console.error('[SENSITIVITY] ❌ Sensitivity report failed:', error);
+      throw new Meteor.Error('sensitivity-failed', error.message);
+    }
+  }
+});
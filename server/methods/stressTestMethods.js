@@ -0,0 +1,106 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection, USER_ROLES, UserHelpers } from '../../imports/api/users.js';
+import { ScenarioStressTest } from '../../imports/api/scenarioStressTest.js';
+import { generateStressTestPdf } from '../helpers/stressTestPdfHelper.js';
+
+/**
+ * Validate session and get user (staff only - stress tests are prepared for client meetings)
+ */
+async function validateSession(sessionId) {
+  if (!sessionId) {
+    throw new Meteor.Error('not-authorized', 'Session required');
+  }
+
+  const session = await SessionsCollection.findOneAsync({
+    sessionId,
+    isActive: true
+  });
+
+  if (!session) {
+    throw new Meteor.Error('not-authorized', 'Invalid session');
+  }
+
+  const user = await UsersCollection.findOneAsync(session.userId);
+
+  if (!user) {
+    throw new Meteor.Error('not-authorized', 'User not found');
+  }
+
+  if (user.role === USER_ROLES.CLIENT) {
+    throw new Meteor.Error('not-authorized', 'Stress tests are not available for client accounts');
+  }
+
+  return user;
+}
+
+/**
+ * Client IDs whose positions the user may see (null = all clients)
+ */
+async function getVisibleClientIds(user) {
+  if (user.role === USER_ROLES.ADMIN ||
+      user.role === USER_ROLES.SUPERADMIN ||
+      user.role === USER_ROLES.COMPLIANCE) {
+    return null;
+  }
+
+  const rmIds = UserHelpers.getEffectiveRmIds(user);
+  const clients = await UsersCollection.find(
+    { role: USER_ROLES.CLIENT, relationshipManagerId: { $in: rmIds } },
+    { fields: { _id: 1 } }
+  ).fetchAsync();
+
+  return clients.map(c => c._id);
+}
+
+const ShockPattern = {
+  global: Match.Optional(Match.OneOf(Number, null)),
+  sectors: Match.Optional(Match.ObjectIncluding({})),
+  tickers: Match.Optional(Match.ObjectIncluding({}))
+};
+
+Meteor.methods({
+  /**
+   * Apply a spot shock scenario to all live products and return per-product and per-client impact
+   */
+  async 'stressTest.run'({ sessionId, shocks }) {
+    check(sessionId, String);
+    check(shocks, ShockPattern);
+    this.unblock();
+
+    const user = await validateSession(sessionId);
+    const clientIds = await getVisibleClientIds(user);
+
+    console.log(`[STRESS] ${user.username || user.email} running stress test`);
+
+    try {
+      return await ScenarioStressTest.run(shocks, { clientIds });
+    } catch (error) {
+      console.error('[STRESS] ❌ Stress test failed:', error);
+      throw new Meteor.Error('stress-test-failed', error.message);
+    }
+  },
+
+  /**
+   * Export a stress test result (as returned by stressTest.run) to PDF
+   */
+  async 'stressTest.exportPdf'({ sessionId, result }) {
+    check(sessionId, String);
+    check(result, Object);
+    this.unblock();
+
+    await validateSession(sessionId);
+
+    try {
+      const { pdfData } = await generateStressTestPdf(result);
+      return {
+        pdfData,
+        filename: `Stress_Test_${new Date().toISOString().split('T')[0]}.pdf`
+      };
+    } catch (error) {
+      console.error('[STRESS] ❌ PDF export failed:', error);
+      throw new Meteor.Error('pdf-generation-failed', error.message);
+    }
+  }
+});
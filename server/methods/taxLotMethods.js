@@ -0,0 +1,160 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { PMSTaxLotHelpers } from '../../imports/api/pmsTaxLots.js';
+import { PMSOperationsCollection } from '../../imports/api/pmsOperations.js';
+import { BankAccountsCollection } from '../../imports/api/bankAccounts.js';
+import { ClientEntitiesCollection, ClientEntityHelpers } from '../../imports/api/clientEntities.js';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection } from '../../imports/api/users.js';
+import { validateAdminOrCronSession } from '../helpers/sessionAuth.js';
+
+/**
+ * Validate session and get user
+ */
+async function validateSession(sessionId) {
+  if (!sessionId) {
+    throw new Meteor.Error('not-authorized', 'Session required');
+  }
+
+  const session = await SessionsCollection.findOneAsync({
+    sessionId,
+    isActive: true
+  });
+
+  if (!session) {
+    throw new Meteor.Error('not-authorized', 'Invalid session');
+  }
+
+  const user = await UsersCollection.findOneAsync(session.userId);
+
+  if (!user) {
+    throw new Meteor.Error('not-authorized', 'User not found');
+  }
+
+  return user;
+}
+
+/**
+ * Bank accounts visible to the user for the current view, or null for all accounts
+ * (admin without view-as filter). Same resolution as the TWR calculation.
+ */
+async function resolveAccounts(user, viewAsFilter, portfolioCode) {
+  const isStaff = ['admin', 'superadmin', 'rm', 'assistant'].includes(user.role);
+  const isAdminAllClients = (user.role === 'admin' || user.role === 'superadmin') && !viewAsFilter;
+  const fields = { fields: { bankId: 1, accountNumber: 1, entityId: 1 } };
+
+  let accounts;
+  if (viewAsFilter && isStaff) {
+    if (viewAsFilter.type === 'entity') {
+      accounts = await BankAccountsCollection.find(
+        { $or: [{ entityId: viewAsFilter.id }, { beneficialOwnerIds: viewAsFilter.id }], isActive: true },
+        fields
+      ).fetchAsync();
+    } else if (viewAsFilter.type === 'client') {
+      accounts = await BankAccountsCollection.find(
+        { $or: [{ userId: viewAsFilter.id }, { entityId: viewAsFilter.id }], isActive: true },
+        fields
+      ).fetchAsync();
+    } else if (viewAsFilter.type === 'account') {
+      const account = await BankAccountsCollection.findOneAsync(viewAsFilter.id, fields);
+      accounts = account ? [account] : [];
+    } else {
+      accounts = [];
+    }
+  } else if (isAdminAllClients) {
+    accounts = null;
+  } else {
+    // Current user's own accounts
+    const entity = await ClientEntitiesCollection.findOneAsync({ migratedFromUserId: user._id, isActive: true });
+    const accountQuery = entity
+      ? { $or: [{ entityId: entity._id }, { userId: user._id }], isActive: true }
+      : { userId: user._id, isActive: true };
+    accounts = await BankAccountsCollection.find(accountQuery, fields).fetchAsync();
+  }
+
+  if (portfolioCode) {
+    const accountNumber = portfolioCode.split('-')[0];
+    if (accounts === null) {
+      accounts = await BankAccountsCollection.find({ accountNumber, isActive: true }, fields).fetchAsync();
+    } else {
+      accounts = accounts.filter(a => a.accountNumber === accountNumber);
+    }
+  }
+
+  return accounts;
+}
+
+Meteor.methods({
+  /**
+   * Realized gains per client for a tax year (defaults to the latest year with disposals),
+   * plus unrealized P&L on the ledger cost basis
+   */
+  async 'taxLots.getRealizedGainsReport'({ sessionId, viewAsFilter = null, portfolioCode = null, taxYear = null }) {
+    check(sessionId, String);
+    check(viewAsFilter, Match.OneOf(Match.ObjectIncluding({
+      type: String,
+      id: String
+    }), null, undefined));
+    check(portfolioCode, Match.OneOf(String, null, undefined));
+    check(taxYear, Match.OneOf(Number, null, undefined));
+
+    const user = await validateSession(sessionId);
+    const accounts = await resolveAccounts(user, viewAsFilter, portfolioCode);
+
+    const report = await PMSTaxLotHelpers.getRealizedGainsReport({
+      accounts: accounts ? accounts.map(a => ({ bankId: a.bankId, accountNumber: a.accountNumber })) : null,
+      taxYear
+    });
+
+    // Label each client block
+    const entityIds = report.entities.map(e => e.entityId).filter(Boolean);
+    const entities = entityIds.length > 0
+      ? await ClientEntitiesCollection.find(
+        { _id: { $in: entityIds } },
+        { fields: { type: 1, profile: 1, referenceCurrency: 1 } }
+      ).fetchAsync()
+      : [];
+    const entitiesById = new Map(entities.map(e => [e._id, e]));
+
+    report.entities.forEach(block => {
+      const entity = entitiesById.get(block.entityId);
+      block.entityName = entity
+        ? ClientEntityHelpers.getEntityDisplayName(entity)
+        : block.disposals[0]?.portfolioCode || 'Unassigned';
+      block.referenceCurrency = entity?.referenceCurrency || null;
+    });
+
+    return report;
+  },
+
+  /**
+   * Rebuild the ledger for a bank, a client entity or every scope with operations
+   */
+  async 'taxLots.rebuild'({ sessionId, bankId = null, entityId = null }) {
+    check(sessionId, String);
+    check(bankId, Match.OneOf(String, null, undefined));
+    check(entityId, Match.OneOf(String, null, undefined));
+
+    const user = await validateAdminOrCronSession(this.connection, sessionId);
+    console.log(`[TAX_LOTS] Rebuild requested by ${user.username}: ${entityId ? `entity ${entityId}` : bankId ? `bank ${bankId}` : 'all banks'}`);
+
+    let results;
+    if (entityId) {
+      results = [await PMSTaxLotHelpers.rebuild({ entityId })];
+    } else {
+      const bankIds = bankId ? [bankId] : await PMSOperationsCollection.rawCollection().distinct('bankId');
+      results = [];
+      for (const id of bankIds) {
+        results.push(...await PMSTaxLotHelpers.rebuildForBank(id));
+      }
+    }
+
+    return {
+      success: true,
+      scopes: results.length,
+      failed: results.filter(r => r.error).length,
+      disposals: results.reduce((sum, r) => sum + (r.disposals || 0), 0),
+      openLots: results.reduce((sum, r) => sum + (r.openLots || 0), 0)
+    };
+  }
+});
@@ -0,0 +1,46 @@
+import { Meteor } from 'meteor/meteor';
+import { BankFileStructuresCollection, STRUCTURE_STATUS } from '../../imports/api/bankFileStructures.js';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection } from '../../imports/api/users.js';
+
+// Resolved files stay visible for a while so admins can see what was accepted
+const RESOLVED_HISTORY_DAYS = 30;
+
+Meteor.publish('bankFileQuarantine', async function (sessionId) {
+  if (!sessionId || typeof sessionId !== 'string') {
+    return this.ready();
+  }
+
+  try {
+    const session = await SessionsCollection.findOneAsync({
+      sessionId,
+      isActive: true
+    });
+
+    if (!session) {
+      return this.ready();
+    }
+
+    const user = await UsersCollection.findOneAsync(session.userId);
+
+    if (!user || (user.role !== 'admin' && user.role !== 'superadmin')) {
+      return this.ready();
+    }
+
+    const resolvedSince = new Date(Date.now() - RESOLVED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    return BankFileStructuresCollection.find({
+      $or: [
+        { status: STRUCTURE_STATUS.QUARANTINED },
+        { resolvedAt: { $gte: resolvedSince } }
+      ]
+    }, {
+      // First data row holds client positions, not needed to review a format change
+      fields: { 'structure.firstDataRow': 0 },
+      sort: { quarantinedAt: -1 }
+    });
+  } catch (error) {
+    console.error('[bankFileQuarantine] Publication error:', error.message);
+    return this.ready();
+  }
+});
@@ -0,0 +1,34 @@
+import { Meteor } from 'meteor/meteor';
+import { BankParserDefinitionsCollection } from '../../imports/api/bankParserDefinitions.js';
+import { SessionsCollection } from '../../imports/api/sessions.js';
+import { UsersCollection } from '../../imports/api/users.js';
+
+Meteor.publish('bankParserDefinitions', async function (sessionId) {
+  if (!sessionId || typeof sessionId !== 'string') {
+    return this.ready();
+  }
+
+  try {
+    const session = await SessionsCollection.findOneAsync({
+      sessionId,
+      isActive: true
+    });
+
+    if (!session) {
+      return this.ready();
+    }
+
+    const user = await UsersCollection.findOneAsync(session.userId);
+
+    if (!user || (user.role !== 'admin' && user.role !== 'superadmin')) {
+      return this.ready();
+    }
+
+    return BankParserDefinitionsCollection.find({}, {
+      sort: { bankName: 1, key: 1 }
+    });
+  } catch (error) {
+    console.error('[bankParserDefinitions] Publication error:', error.message);
+    return this.ready();
+  }
+});
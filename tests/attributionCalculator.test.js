@@ -0,0 +1,255 @@
+/**
+ * Attribution Calculator Test Suite
+ *
+ * Contribution to return per security (with the cash / fees residual and the
+ * currency translation line) and GRAP-linked Brinson-Fachler effects per
+ * category, on a two-day portfolio against a 50/50 equity / bond benchmark,
+ * and the trade flows PerformanceAttributionHelpers reads from PMSOperations.
+ */
+
+import assert from 'assert';
+import {
+  calculateSecurityContributions,
+  calculateBrinsonAttribution,
+  RESIDUAL_KEY,
+  FX_TRANSLATION_KEY
+} from '../imports/api/helpers/attributionCalculator';
+import { calculateDailyTWR } from '../imports/api/helpers/twrCalculator';
+import { PerformanceAttributionHelpers } from '../imports/api/performanceAttribution';
+import { PMSOperationsCollection } from '../imports/api/pmsOperations';
+import { OPERATION_TYPES } from '../imports/api/constants/operationTypes';
+
+const close = (actual, expected, tolerance = 1e-12) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const securities = {
+  EQ1: { isin: 'US0378331005', name: 'Apple', category: 'equities' },
+  BD1: { isin: 'DE0001102580', name: 'Bund 2032', category: 'bonds' },
+  BD2: { isin: 'FR0013508470', name: 'OAT 2030', category: 'bonds' }
+};
+
+// 100 of cash earns 1 on the 4th and buys 100 of BD2 on the 5th
+const positions = {
+  '2025-03-03': { EQ1: 600, BD1: 300 },
+  '2025-03-04': { EQ1: 660, BD1: 303 },
+  '2025-03-05': { EQ1: 627, BD1: 303, BD2: 101 }
+};
+const flows = { '2025-03-05': { BD2: 100 } };
+const dailyValues = [
+  { date: '2025-03-03', totalValueEUR: 1000 },
+  { date: '2025-03-04', totalValueEUR: 1064 },
+  { date: '2025-03-05', totalValueEUR: 1032 }
+];
+
+const benchmark = {
+  weights: { equities: 0.5, bonds: 0.5 },
+  series: [
+    { date: '2025-03-04', total: 0.04, byCategory: { equities: 0.08, bonds: 0 } },
+    { date: '2025-03-05', total: -0.015, byCategory: { equities: -0.04, bonds: 0.01 } }
+  ]
+};
+
+const contributeAll = () => calculateSecurityContributions({
+  twrSeries: calculateDailyTWR(dailyValues, {}),
+  positions,
+  flows,
+  securities,
+  baseDate: '2025-03-03'
+});
+
+describe('Attribution calculator', function () {
+  describe('calculateSecurityContributions', function () {
+    it('links security contributions to the period TWR', function () {
+      const result = contributeAll();
+      const byKey = Object.fromEntries(result.securities.map(s => [s.key, s]));
+
+      close(result.portfolioReturn, 0.032);
+      // EQ1: +60 on 1'000, then -33 on 1'064 scaled by 1.064
+      close(byKey.EQ1.contribution, 0.027);
+      close(byKey.BD1.contribution, 0.003);
+      // BD2 bought at 100, worth 101: only the price move counts
+      close(byKey.BD2.contribution, 0.001);
+      close(byKey[RESIDUAL_KEY].contribution, 0.001);
+      close(result.securities.reduce((sum, s) => sum + s.contribution, 0), result.portfolioReturn);
+
+      assert.deepStrictEqual(result.securities.map(s => [s.key, s.pnl]).sort(), [
+        ['BD1', 3], ['BD2', 1], ['EQ1', 27], [RESIDUAL_KEY, 1]
+      ]);
+      assert.strictEqual(result.securities[0].key, 'EQ1');
+      assert.strictEqual(byKey.EQ1.isin, 'US0378331005');
+      assert.strictEqual(byKey[RESIDUAL_KEY].category, 'cash');
+      close(byKey.EQ1.averageWeight, (0.6 + 660 / 1064) / 2);
+      assert.strictEqual(result.fxContribution, null);
+      assert.strictEqual(result.clampedDays, 0);
+    });
+
+    it('gives the uninvested weight and the residual to cash', function () {
+      const [first, second] = contributeAll().steps;
+
+      Object.entries({ cash: 0.1, bonds: 0.3, equities: 0.6, alternative: 0 })
+        .forEach(([category, weight]) => close(first.weights[category], weight));
+      close(first.contributions.equities, 0.06);
+      close(first.contributions.bonds, 0.003);
+      close(first.contributions.cash, 0.001);
+      close(second.weights.cash, 101 / 1064);
+      close(second.contributions.bonds, 1 / 1064);
+      close(second.contributions.cash, 0);
+    });
+
+    it('moves the translation effect to its own line at constant FX', function () {
+      // One USD fund reported in EUR: +5% in USD, +10% in EUR
+      const result = calculateSecurityContributions({
+        twrSeries: calculateDailyTWR([
+          { date: '2025-03-03', totalValueEUR: 1000 },
+          { date: '2025-03-04', totalValueEUR: 1100 }
+        ], {}),
+        positions: { '2025-03-03': { EQ1: 1000 }, '2025-03-04': { EQ1: 1100 } },
+        constantFxPositions: { '2025-03-04': { EQ1: 1050 } },
+        fxSeries: [{ date: '2025-03-04', fxEffect: 0.05 }],
+        flows: {},
+        securities,
+        baseDate: '2025-03-03'
+      });
+      const byKey = Object.fromEntries(result.securities.map(s => [s.key, s]));
+
+      close(byKey.EQ1.contribution, 0.05);
+      assert.strictEqual(byKey.EQ1.pnl, 50);
+      close(byKey[FX_TRANSLATION_KEY].contribution, 0.05);
+      close(byKey[FX_TRANSLATION_KEY].pnl, 50);
+      close(byKey[RESIDUAL_KEY].contribution, 0);
+      close(result.fxContribution, 0.05);
+      close(result.steps[0].fxReturn, 0.05);
+    });
+
+    it('explains nothing on a day clamped by calculateDailyTWR', function () {
+      const result = calculateSecurityContributions({
+        twrSeries: calculateDailyTWR([
+          { date: '2025-03-03', totalValueEUR: 1000 },
+          { date: '2025-03-04', totalValueEUR: 1500 }
+        ], {}),
+        positions: { '2025-03-03': { EQ1: 1000 }, '2025-03-04': { EQ1: 1500 } },
+        flows: {},
+        securities,
+        baseDate: '2025-03-03'
+      });
+
+      assert.strictEqual(result.clampedDays, 1);
+      assert.strictEqual(result.portfolioReturn, 0);
+      result.securities.forEach(s => assert.strictEqual(s.contribution, 0));
+    });
+  });
+
+  describe('calculateBrinsonAttribution', function () {
+    it('splits the active return into allocation and selection per category', function () {
+      const result = calculateBrinsonAttribution(contributeAll().steps, benchmark);
+      const byCategory = Object.fromEntries(result.categories.map(c => [c.category, c]));
+
+      close(result.portfolioReturn, 0.032);
+      close(result.benchmarkReturn, 1.04 * 0.985 - 1);
+      close(result.activeReturn, 0.0076);
+
+      // Day 1 effects scaled by the benchmark's day 2 (0.985), day 2 by the portfolio's day 1 (1.064)
+      close(byCategory.equities.allocationEffect, 0.00074);
+      close(byCategory.equities.selectionEffect, 0.00522);
+      close(byCategory.bonds.allocationEffect, 0.002155);
+      close(byCategory.bonds.selectionEffect, 0.000925);
+      // Cash is not in the benchmark: no allocation, its return against the benchmark is selection
+      assert.strictEqual(byCategory.cash.allocationEffect, 0);
+      close(byCategory.cash.selectionEffect, -0.00144);
+
+      close(result.totals.allocationEffect, 0.002895);
+      close(result.totals.selectionEffect, 0.004705);
+      assert.strictEqual(result.totals.currencyEffect, 0);
+      close(result.totals.totalEffect, result.activeReturn);
+    });
+
+    it('reports the benchmark category returns and average weights', function () {
+      const { categories } = calculateBrinsonAttribution(contributeAll().steps, benchmark);
+      const byCategory = Object.fromEntries(categories.map(c => [c.category, c]));
+
+      close(byCategory.equities.benchmarkReturn, 1.08 * 0.96 - 1);
+      close(byCategory.bonds.benchmarkReturn, 0.01);
+      assert.strictEqual(byCategory.cash.benchmarkReturn, null);
+      assert.strictEqual(byCategory.alternative.benchmarkWeight, 0);
+      close(byCategory.equities.portfolioWeight, (0.6 + 660 / 1064) / 2);
+      close(byCategory.bonds.portfolioContribution, 0.004);
+    });
+
+    it('links the translation return as a currency effect', function () {
+      const steps = [{
+        date: '2025-03-04',
+        portfolioReturn: 0.1,
+        fxReturn: 0.05,
+        weights: { cash: 0, bonds: 0, equities: 1, alternative: 0 },
+        contributions: { cash: 0, bonds: 0, equities: 0.05, alternative: 0 }
+      }];
+
+      const result = calculateBrinsonAttribution(steps, { weights: { equities: 1 }, series: [{ date: '2025-03-04', total: 0.03 }] });
+
+      close(result.totals.currencyEffect, 0.05);
+      close(result.totals.selectionEffect, 0.02);
+      close(result.totals.totalEffect, result.activeReturn);
+    });
+
+    it('leaves out the steps the benchmark could not price', function () {
+      const unpriced = {
+        ...benchmark,
+        series: benchmark.series.map((entry, i) => (i === 0 ? { date: entry.date, total: null, byCategory: {} } : entry))
+      };
+
+      const result = calculateBrinsonAttribution(contributeAll().steps, unpriced);
+
+      assert.strictEqual(result.skippedSteps, 1);
+      close(result.portfolioReturn, 1032 / 1064 - 1);
+      close(result.benchmarkReturn, -0.015);
+      close(result.totals.totalEffect, result.activeReturn);
+    });
+  });
+
+  describe('PerformanceAttributionHelpers.loadSecurityFlows', function () {
+    const originalFind = PMSOperationsCollection.find;
+    let query;
+
+    const operation = (operationType, isin, date, fields) => ({
+      portfolioCode: 'A-100',
+      operationType,
+      isin,
+      operationDate: new Date(`${date}T00:00:00Z`),
+      ...fields
+    });
+
+    beforeEach(function () {
+      PMSOperationsCollection.find = (selector) => {
+        query = selector;
+        return {
+          fetchAsync: async () => [
+            operation(OPERATION_TYPES.BUY, 'US0378331005', '2025-03-04', { amountPortfolioCcy: -1000 }),
+            operation(OPERATION_TYPES.DIVIDEND, 'US0378331005', '2025-03-08', { netAmount: 25, currency: 'USD' }),
+            operation(OPERATION_TYPES.SELL, 'DE0001102580', '2025-03-09', { amountPortfolioCcy: 400 }),
+            operation(OPERATION_TYPES.TRANSFER_IN, 'FR0013508470', '2025-03-10', { amountPortfolioCcy: 300, corporateActionId: 'ca1' })
+          ]
+        };
+      };
+    });
+
+    afterEach(function () {
+      PMSOperationsCollection.find = originalFind;
+    });
+
+    it('books signed trades on the next portfolio date and skips corporate action legs', async function () {
+      const dates = ['2025-03-03', '2025-03-05', '2025-03-07', '2025-03-10'];
+      const flows = await PerformanceAttributionHelpers.loadSecurityFlows(['A-100'], dates, { EUR: 1, USD: 0.8 });
+
+      // Trades after the base date and up to the last date
+      assert.deepStrictEqual(query.operationDate, {
+        $gte: new Date('2025-03-04T00:00:00Z'),
+        $lt: new Date('2025-03-11T00:00:00Z')
+      });
+      // Buys go into the position, weekend income and sales come out of it
+      assert.deepStrictEqual(flows, {
+        '2025-03-05': { US0378331005: 1000 },
+        '2025-03-10': { US0378331005: -20, DE0001102580: -400 }
+      });
+    });
+  });
+});
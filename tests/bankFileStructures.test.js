@@ -0,0 +1,180 @@
+/**
+ * Bank File Structure Drift Test Suite
+ *
+ * Structure extraction (delimiter, date formats), the column diff against the
+ * last accepted file and the quarantine decision of guardFile, with the
+ * structures collection kept in memory.
+ */
+
+import assert from 'assert';
+import {
+  BankFileStructuresCollection,
+  BankFileStructureHelpers,
+  STRUCTURE_STATUS
+} from '../imports/api/bankFileStructures';
+
+const baselineFile = [
+  'ACCOUNT;ISIN;QTY;PRICE;TRADE_DATE',
+  '12345;CH0012032048;100;245.60;14.03.2025',
+  '12345;US0378331005;10;170.00;13.03.2025'
+].join('\n');
+
+// Minimal query matcher for the fields guardFile filters on
+const matches = (doc, query) => Object.entries(query).every(([key, expected]) => (
+  expected && typeof expected === 'object' && '$ne' in expected ? doc[key] !== expected.$ne : doc[key] === expected
+));
+
+describe('BankFileStructureHelpers', function () {
+  describe('extractStructure', function () {
+    it('detects the delimiter and per-column date formats', function () {
+      const structure = BankFileStructureHelpers.extractStructure(baselineFile);
+
+      assert.deepStrictEqual(structure.headers, ['ACCOUNT', 'ISIN', 'QTY', 'PRICE', 'TRADE_DATE']);
+      assert.strictEqual(structure.headerCount, 5);
+      assert.strictEqual(structure.delimiter, ';');
+      assert.deepStrictEqual(structure.dateFormats, { TRADE_DATE: 'DD.MM.YYYY' });
+      assert.strictEqual(structure.firstDataRow.ISIN, 'CH0012032048');
+    });
+
+    it('prefers a definite slash format over ambiguous samples', function () {
+      const structure = BankFileStructureHelpers.extractStructure('A,DATE\n1,03/04/2025\n2,03/25/2025\n');
+
+      assert.strictEqual(structure.delimiter, ',');
+      assert.deepStrictEqual(structure.dateFormats, { DATE: 'MM/DD/YYYY' });
+    });
+
+    it('skips SWIFT, XML and header-only files', function () {
+      assert.strictEqual(BankFileStructureHelpers.extractStructure('{1:F01BANKCHZZAXXX0000000000}{4:\n:20:REF\n-}'), null);
+      assert.strictEqual(BankFileStructureHelpers.extractStructure('<?xml version="1.0"?>\n<Document/>'), null);
+      assert.strictEqual(BankFileStructureHelpers.extractStructure('A;B;C'), null);
+    });
+  });
+
+  describe('diffStructures', function () {
+    const baseline = BankFileStructureHelpers.extractStructure(baselineFile);
+    const diffWith = (content) => BankFileStructureHelpers.diffStructures(baseline, BankFileStructureHelpers.extractStructure(content));
+
+    it('finds no change for the same layout with new data', function () {
+      const diff = diffWith('ACCOUNT;ISIN;QTY;PRICE;TRADE_DATE\n99999;XS1234567890;5;99.5;17.03.2025');
+      assert.strictEqual(diff.hasChanges, false);
+    });
+
+    it('reports renamed, added and removed columns', function () {
+      const diff = diffWith('ACCOUNT;ISIN_CODE;QTY;TRADE_DATE;CCY\n1;X;1;14.03.2025;CHF');
+
+      assert.deepStrictEqual(diff.renamed, [{ from: 'ISIN', to: 'ISIN_CODE', position: 2 }]);
+      assert.deepStrictEqual(diff.added, ['CCY']);
+      assert.deepStrictEqual(diff.removed, ['PRICE']);
+      assert.strictEqual(diff.reordered, false);
+      assert.deepStrictEqual(BankFileStructureHelpers.describeDiff(diff), [
+        'New columns: CCY',
+        'Removed columns: PRICE',
+        'Renamed column 2: "ISIN" → "ISIN_CODE"'
+      ]);
+    });
+
+    it('reports reordering, a delimiter switch and a date format change', function () {
+      const diff = diffWith('ISIN,ACCOUNT,QTY,PRICE,TRADE_DATE\nCH0012032048,12345,100,245.60,2025-03-14');
+
+      assert.strictEqual(diff.reordered, true);
+      assert.deepStrictEqual(diff.delimiterChanged, { from: ';', to: ',' });
+      assert.deepStrictEqual(diff.dateFormatChanges, [{ column: 'TRADE_DATE', from: 'DD.MM.YYYY', to: 'YYYY-MM-DD' }]);
+      assert.deepStrictEqual(BankFileStructureHelpers.describeDiff(diff), [
+        'Column order changed',
+        'Delimiter changed: ";" → ","',
+        'Date format of TRADE_DATE changed: DD.MM.YYYY → YYYY-MM-DD'
+      ]);
+    });
+
+    it('treats ambiguous slash dates as compatible with either order', function () {
+      const previous = BankFileStructureHelpers.extractStructure('A;D\n1;25/03/2025');
+      const current = BankFileStructureHelpers.extractStructure('A;D\n1;03/04/2025');
+      assert.strictEqual(BankFileStructureHelpers.diffStructures(previous, current).hasChanges, false);
+    });
+  });
+
+  describe('guardFile', function () {
+    const original = {
+      findOneAsync: BankFileStructuresCollection.findOneAsync,
+      insertAsync: BankFileStructuresCollection.insertAsync,
+      updateAsync: BankFileStructuresCollection.updateAsync
+    };
+    let records;
+
+    const guard = (filename, content, fileDate) => BankFileStructureHelpers.guardFile({
+      bankId: 'bank-1',
+      bankName: 'Test Bank',
+      connectionId: 'conn-1',
+      fileType: 'positions',
+      filename,
+      fileDate,
+      content,
+      delimiter: ';',
+      userId: 'system'
+    });
+
+    beforeEach(function () {
+      records = [];
+      BankFileStructuresCollection.findOneAsync = async (query, options = {}) => {
+        const found = records.filter(doc => matches(doc, query));
+        if (options.sort?.fileDate) found.sort((a, b) => b.fileDate - a.fileDate);
+        return found[0];
+      };
+      BankFileStructuresCollection.insertAsync = async (doc) => {
+        const _id = `s${records.length + 1}`;
+        records.push({ ...doc, _id });
+        return _id;
+      };
+      BankFileStructuresCollection.updateAsync = async (id, { $set }) => {
+        Object.assign(records.find(doc => doc._id === id), $set);
+        return 1;
+      };
+    });
+
+    afterEach(function () {
+      Object.assign(BankFileStructuresCollection, original);
+    });
+
+    it('accepts the first file of a kind as the baseline', async function () {
+      const result = await guard('TB_POS_20250314.csv', baselineFile, new Date('2025-03-14'));
+
+      assert.strictEqual(result.quarantined, false);
+      assert.strictEqual(records[0].status, STRUCTURE_STATUS.ACCEPTED);
+      assert.strictEqual(records[0].fileTemplate, 'TB_POS_#.csv');
+    });
+
+    it('quarantines a drifted file once and keeps the decision on re-runs', async function () {
+      await guard('TB_POS_20250314.csv', baselineFile, new Date('2025-03-14'));
+      const drifted = baselineFile.replace('QTY', 'NOMINAL');
+
+      const first = await guard('TB_POS_20250317.csv', drifted, new Date('2025-03-17'));
+      assert.strictEqual(first.quarantined, true);
+      assert.strictEqual(first.isNew, true);
+      assert.strictEqual(first.baselineFile, 'TB_POS_20250314.csv');
+      assert.deepStrictEqual(first.warnings, ['Renamed column 3: "QTY" → "NOMINAL"']);
+
+      const again = await guard('TB_POS_20250317.csv', drifted, new Date('2025-03-17'));
+      assert.strictEqual(again.quarantined, true);
+      assert.strictEqual(again.isNew, false);
+      assert.strictEqual(records.length, 2);
+    });
+
+    it('compares against the accepted structure once an admin accepts the drift', async function () {
+      await guard('TB_POS_20250314.csv', baselineFile, new Date('2025-03-14'));
+      const drifted = baselineFile.replace('QTY', 'NOMINAL');
+      const { recordId } = await guard('TB_POS_20250317.csv', drifted, new Date('2025-03-17'));
+      await BankFileStructureHelpers.acceptStructure(recordId, 'admin');
+
+      const next = await guard('TB_POS_20250318.csv', drifted, new Date('2025-03-18'));
+      assert.strictEqual(next.quarantined, false);
+      assert.strictEqual(records[2].baselineId, recordId);
+    });
+
+    it('does not compare files of a different template', async function () {
+      await guard('TB_POS_20250314.csv', baselineFile, new Date('2025-03-14'));
+      const result = await guard('TB_POS_EXTRA_20250314.csv', 'A;B\n1;2', new Date('2025-03-14'));
+
+      assert.strictEqual(result.quarantined, false);
+    });
+  });
+});
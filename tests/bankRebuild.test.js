@@ -0,0 +1,195 @@
+/**
+ * Bank Rebuild Test Suite
+ *
+ * Known-answer tests for the dry-run diff of a bank file rebuild: parsed positions
+ * against the latest stored holding versions of the day, and parsed operations
+ * against the operations stored from the same files, within the quantity and
+ * value tolerances.
+ */
+
+import assert from 'assert';
+import { toDateKey, daysCondition, diffPositionDate, diffOperations } from '../server/helpers/bankRebuildDiff';
+import { BankPositionParser } from '../imports/api/bankPositionParser';
+import { PMSHoldingsCollection } from '../imports/api/pmsHoldings';
+import { PMSOperationsHelpers, PMSOperationsCollection } from '../imports/api/pmsOperations';
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+const connection = { _id: 'conn-1', bankId: 'bank-1' };
+const bank = { name: 'Test Bank' };
+
+// Portfolio codes are mapped without their suffix; P9 has no account
+const portfolioEntityMap = new Map([['P1', { entityId: 'entity-1', userId: null }]]);
+
+describe('Bank rebuild dry run', function () {
+  const originalParseFilesForDate = BankPositionParser.parseFilesForDate;
+  const originalHoldingsFind = PMSHoldingsCollection.find;
+  const originalOperationsFind = PMSOperationsCollection.find;
+  let queries;
+
+  const storeFind = (collection, documents) => {
+    collection.find = (selector) => {
+      queries.push(selector);
+      return { fetchAsync: async () => documents };
+    };
+  };
+
+  beforeEach(function () {
+    queries = [];
+  });
+
+  afterEach(function () {
+    BankPositionParser.parseFilesForDate = originalParseFilesForDate;
+    PMSHoldingsCollection.find = originalHoldingsFind;
+    PMSOperationsCollection.find = originalOperationsFind;
+  });
+
+  describe('daysCondition', function () {
+    it('matches each whole UTC day', function () {
+      assert.deepStrictEqual(daysCondition('fileDate', ['2024-03-08', '2024-03-11']), {
+        $or: [
+          { fileDate: { $gte: day('2024-03-08'), $lt: day('2024-03-09') } },
+          { fileDate: { $gte: day('2024-03-11'), $lt: day('2024-03-12') } }
+        ]
+      });
+      assert.strictEqual(toDateKey('2024-03-08T23:30:00.000Z'), '2024-03-08');
+    });
+  });
+
+  describe('diffPositionDate', function () {
+    const holding = (uniqueKey, version, isin, quantity, marketValue, currency = 'EUR') =>
+      ({ uniqueKey, version, portfolioCode: 'P1-001', isin, currency, quantity, marketValue });
+
+    beforeEach(function () {
+      storeFind(PMSHoldingsCollection, [
+        holding('h-1', 1, 'ISIN1', 10, 1000),
+        holding('h-1', 2, 'ISIN1', 12, 1200),
+        holding('h-2', 1, 'ISIN2', 5, 500, 'USD'),
+        holding('h-3', 1, 'ISIN3', 7, 700)
+      ]);
+      BankPositionParser.parseFilesForDate = () => ({
+        filesProcessed: [{ filename: 'positions_20240308.csv' }],
+        positions: [
+          { portfolioCode: 'P1-001', isin: 'ISIN1', currency: 'EUR', quantity: 12, marketValue: 1250 },
+          { portfolioCode: 'P1-001', isin: 'ISIN3', currency: 'EUR', quantity: 7.00001, marketValue: 700.004 },
+          { portfolioCode: 'P1-001', isin: 'ISIN4', currency: 'EUR', quantity: 1, marketValue: 100 },
+          { portfolioCode: 'P1-001', isin: 'ISIN4', currency: 'EUR', quantity: 2, marketValue: 200 },
+          { portfolioCode: 'P9-001', isin: 'ISIN5', currency: 'EUR', quantity: 1, marketValue: 50 }
+        ]
+      });
+    });
+
+    it('reports added, removed and changed positions against the latest stored versions', async function () {
+      const diff = await diffPositionDate({ connection, bank, bankFolderPath: '/bankfiles/test', date: day('2024-03-08'), portfolioEntityMap });
+
+      assert.strictEqual(diff.date, '2024-03-08');
+      assert.deepStrictEqual(diff.files, ['positions_20240308.csv']);
+      assert.strictEqual(diff.storedCount, 3);
+      assert.strictEqual(diff.parsedCount, 4);
+      // Version 2 of h-1 holds 12: only the value moved
+      assert.deepStrictEqual(diff.changed, [{
+        date: '2024-03-08',
+        portfolioCode: 'P1-001',
+        isin: 'ISIN1',
+        securityName: null,
+        currency: 'EUR',
+        before: { quantity: 12, marketValue: 1200 },
+        after: { quantity: 12, marketValue: 1250 }
+      }]);
+      // Two lots of the same line are compared as one position
+      assert.deepStrictEqual(diff.added.map(p => [p.isin, p.quantity, p.marketValue]), [['ISIN4', 3, 300]]);
+      assert.deepStrictEqual(diff.removed.map(p => [p.isin, p.currency, p.quantity]), [['ISIN2', 'USD', 5]]);
+      // ISIN3 moved within the tolerances
+      assert.strictEqual(diff.unchanged, 1);
+      assert.deepStrictEqual(diff.unmappedPortfolioCodes, ['P9-001']);
+    });
+
+    it('keeps differences within the tolerances unchanged', async function () {
+      BankPositionParser.parseFilesForDate = () => ({
+        positions: [
+          { portfolioCode: 'P1-001', isin: 'ISIN1', currency: 'EUR', quantity: 12.00009, marketValue: 1200.009 },
+          { portfolioCode: 'P1-001', isin: 'ISIN2', currency: 'USD', quantity: 5, marketValue: 500 },
+          { portfolioCode: 'P1-001', isin: 'ISIN3', currency: 'EUR', quantity: 7, marketValue: 700 }
+        ]
+      });
+
+      const diff = await diffPositionDate({ connection, bank, bankFolderPath: '/bankfiles/test', date: day('2024-03-08'), portfolioEntityMap });
+
+      assert.strictEqual(diff.unchanged, 3);
+      assert.deepStrictEqual([diff.added, diff.removed, diff.changed], [[], [], []]);
+      assert.deepStrictEqual(queries, [{ bankId: 'bank-1', ...daysCondition('fileDate', ['2024-03-08']) }]);
+    });
+  });
+
+  describe('diffOperations', function () {
+    const operation = (operationCode, fields) => ({
+      bankId: 'bank-1',
+      portfolioCode: 'P1',
+      operationCode,
+      operationDate: day('2024-03-08'),
+      instrumentCode: 'ISIN1',
+      isin: 'ISIN1',
+      operationType: 'BUY',
+      quantity: 10,
+      netAmount: -1000,
+      sourceFile: 'operations_20240308.csv',
+      ...fields
+    });
+    const stored = (parsed, fields) => ({
+      ...parsed,
+      uniqueKey: PMSOperationsHelpers.generateUniqueKey({ ...parsed, instrumentCode: parsed.instrumentCode || 'CASH' }),
+      ...fields
+    });
+
+    it('matches operations by unique key and compares type, quantity and amount', async function () {
+      const same = operation('OP-1');
+      const rounded = operation('OP-2', { netAmount: -500.004 });
+      const repriced = operation('OP-3', { netAmount: -1010 });
+      const retyped = operation('OP-4', { operationType: 'SELL' });
+      const added = operation('OP-5');
+      storeFind(PMSOperationsCollection, [
+        stored(same),
+        stored(rounded, { netAmount: -500 }),
+        stored(repriced, { netAmount: -1000 }),
+        stored(retyped, { operationType: 'BUY' }),
+        stored(operation('OP-6'))
+      ]);
+
+      const diff = await diffOperations({
+        connection,
+        operationFiles: [{ filename: 'operations_20240308.csv' }],
+        operations: [same, rounded, repriced, retyped, added]
+      });
+
+      assert.deepStrictEqual(queries, [{ bankId: 'bank-1', sourceFile: { $in: ['operations_20240308.csv'] } }]);
+      assert.strictEqual(diff.storedCount, 5);
+      assert.strictEqual(diff.parsedCount, 5);
+      assert.strictEqual(diff.unchanged, 2);
+      assert.deepStrictEqual(diff.changed.map(o => [o.operationType, o.netAmount, o.before.operationType, o.before.netAmount]), [
+        ['BUY', -1010, 'BUY', -1000],
+        ['SELL', -1000, 'BUY', -1000]
+      ]);
+      assert.deepStrictEqual(diff.added, [{
+        date: '2024-03-08',
+        portfolioCode: 'P1',
+        operationType: 'BUY',
+        isin: 'ISIN1',
+        quantity: 10,
+        netAmount: -1000,
+        sourceFile: 'operations_20240308.csv'
+      }]);
+      assert.strictEqual(diff.removed.length, 1);
+    });
+
+    it('keys cash operations without an instrument code', async function () {
+      const cash = operation(undefined, { instrumentCode: undefined, isin: undefined, operationType: 'FEE', quantity: undefined, netAmount: -25 });
+      storeFind(PMSOperationsCollection, [stored({ ...cash, operationCode: 'UNKNOWN' })]);
+
+      const diff = await diffOperations({ connection, operationFiles: [{ filename: 'operations_20240308.csv' }], operations: [cash] });
+
+      // ISIN3 moved within the tolerances
+      assert.strictEqual(diff.unchanged, 1);
+      assert.deepStrictEqual([diff.added, diff.removed, diff.changed], [[], [], []]);
+    });
+  });
+});
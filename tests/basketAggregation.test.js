@@ -0,0 +1,240 @@
+/**
+ * Basket Aggregation Test Suite
+ *
+ * Known-answer tests for the basket modes shared by the Orion, Himalaya and
+ * Participation Note evaluators: rainbow rank weights, average of the worst N,
+ * cliquet periods locked at each observation with local cap and floor, the
+ * chart series, and the evaluator-side fixings, re-pricing and product names.
+ */
+
+import assert from 'assert';
+import { BasketAggregation, BASKET_AGGREGATION_MODES } from '../imports/utils/basketTypes';
+import { BasketAggregationHelpers } from '../imports/api/evaluators/basketAggregationHelpers';
+import { MarketDataCacheCollection } from '../imports/api/marketDataCache';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const rainbow = BasketAggregation.normalizeConfig({ mode: BASKET_AGGREGATION_MODES.RAINBOW, rainbowWeights: [50, 30, 20] });
+const worstTwo = BasketAggregation.normalizeConfig({ mode: BASKET_AGGREGATION_MODES.AVERAGE_OF_WORST_N, worstCount: 2 });
+const cliquet = BasketAggregation.normalizeConfig({ mode: BASKET_AGGREGATION_MODES.CLIQUET, localCap: 4, localFloor: -5 });
+
+const basket = [
+  { ticker: 'AAA', performance: 10 },
+  { ticker: 'BBB', performance: -20 },
+  { ticker: 'CCC', performance: 4 }
+];
+
+describe('Basket aggregation', function () {
+  describe('normalizeConfig', function () {
+    it('keeps the template default for standard or unknown modes', function () {
+      assert.strictEqual(BasketAggregation.normalizeConfig(null), null);
+      assert.strictEqual(BasketAggregation.normalizeConfig({ mode: 'standard' }), null);
+      assert.strictEqual(BasketAggregation.normalizeConfig({ mode: 'lookback' }), null);
+    });
+
+    it('parses weights, worst count and period bounds from form input', function () {
+      assert.deepStrictEqual(BasketAggregation.normalizeConfig({
+        mode: BASKET_AGGREGATION_MODES.CLIQUET,
+        rainbowWeights: '40/40, 20',
+        worstCount: '3',
+        localCap: '5',
+        localFloor: ''
+      }), {
+        mode: BASKET_AGGREGATION_MODES.CLIQUET,
+        rainbowWeights: [40, 40, 20],
+        worstCount: 3,
+        localCap: 5,
+        localFloor: null
+      });
+    });
+
+    it('falls back to 50/30/20 and a worst count of 2', function () {
+      const config = BasketAggregation.normalizeConfig({ mode: BASKET_AGGREGATION_MODES.RAINBOW, rainbowWeights: [0, 0], worstCount: 'two' });
+
+      assert.deepStrictEqual(config.rainbowWeights, [50, 30, 20]);
+      assert.strictEqual(config.worstCount, 2);
+    });
+  });
+
+  describe('aggregateCrossSection', function () {
+    it('weights the ranked performances 50/30/20, best first', function () {
+      const result = BasketAggregation.aggregateCrossSection(basket, rainbow);
+
+      close(result.performance, 10 * 0.5 + 4 * 0.3 - 20 * 0.2);
+      assert.deepStrictEqual(result.components.map(c => [c.ticker, c.rank, c.weight]), [['AAA', 1, 50], ['CCC', 2, 30], ['BBB', 3, 20]]);
+    });
+
+    it('rescales the rank weights to the number of underlyings', function () {
+      const result = BasketAggregation.aggregateCrossSection(basket.slice(0, 2), rainbow);
+
+      assert.deepStrictEqual(result.components.map(c => c.weight), [62.5, 37.5]);
+      close(result.performance, 10 * 0.625 - 20 * 0.375);
+    });
+
+    it('averages the N worst performances and leaves the rest out', function () {
+      const result = BasketAggregation.aggregateCrossSection(basket, worstTwo);
+
+      close(result.performance, -8);
+      assert.deepStrictEqual(result.components.map(c => [c.ticker, c.included]), [['BBB', true], ['CCC', true], ['AAA', false]]);
+    });
+
+    it('averages everything when N exceeds the basket', function () {
+      const worstFive = BasketAggregation.normalizeConfig({ mode: BASKET_AGGREGATION_MODES.AVERAGE_OF_WORST_N, worstCount: 5 });
+
+      close(BasketAggregation.aggregateCrossSection(basket, worstFive).performance, -2);
+    });
+
+    it('ignores underlyings without a performance', function () {
+      assert.strictEqual(BasketAggregation.aggregateCrossSection([{ ticker: 'AAA', performance: null }], rainbow), null);
+      close(BasketAggregation.aggregateCrossSection([...basket, { ticker: 'DDD', performance: NaN }], worstTwo).performance, -8);
+    });
+  });
+
+  describe('aggregateCliquet', function () {
+    it('sums the period returns after the local cap and floor', function () {
+      const result = BasketAggregation.aggregateCliquet([
+        { date: '2024-01-02', levels: [1, 1], isLocked: true },
+        { date: '2024-04-02', levels: [1.1, 1], isLocked: true },
+        { date: '2024-07-02', levels: [0.99, 0.9], isLocked: true },
+        { date: '2024-10-01', levels: [1.089, 0.99], isLocked: false }
+      ], cliquet);
+
+      // +5% capped at 4, -10% floored at -5, +10% capped at 4
+      assert.deepStrictEqual(result.periods.map(p => p.lockedReturn), [4, -5, 4]);
+      close(result.periods[0].basketReturn, 5);
+      close(result.periods[1].basketReturn, -10);
+      close(result.performance, 3);
+      assert.deepStrictEqual(result.periods.map(p => p.isLocked), [true, true, false]);
+    });
+  });
+
+  describe('labels', function () {
+    it('names each mode for product names and legends', function () {
+      assert.strictEqual(BasketAggregation.getLabel(rainbow), 'Rainbow 50/30/20');
+      assert.strictEqual(BasketAggregation.getLabel(worstTwo), 'Avg Worst-2');
+      assert.strictEqual(BasketAggregation.getLabel(cliquet), 'Cliquet 4% Cap');
+      assert.strictEqual(BasketAggregation.getLabel({ ...cliquet, localCap: null }), 'Cliquet');
+      assert.strictEqual(BasketAggregation.getLabel(null), null);
+    });
+
+    it('adds the label to generated product names', function () {
+      assert.strictEqual(BasketAggregationHelpers.decorateProductName('AAA/BBB', 'Orion', rainbow), 'AAA/BBB Rainbow 50/30/20 Orion');
+      assert.strictEqual(BasketAggregationHelpers.decorateProductName('AAA/BBB', 'Orion', null), 'AAA/BBB Orion');
+    });
+
+    it('describes the cliquet bounds', function () {
+      assert.strictEqual(
+        BasketAggregation.describe(cliquet),
+        'The equally weighted basket return is locked at each observation date (capped at 4%, floored at -5% per period) and the locked returns are added up.'
+      );
+    });
+  });
+
+  describe('buildSeries', function () {
+    const seriesList = [
+      { data: [{ x: '2024-01-02', y: 100 }, { x: '2024-01-03', y: 110 }, { x: '2024-01-04', y: 121 }, { x: '2024-01-05', y: 130 }] },
+      { data: [{ x: '2024-01-02', y: 100 }, { x: '2024-01-03', y: 100 }, { x: '2024-01-04', y: 100 }] }
+    ];
+
+    it('aggregates the rebased levels on the days all underlyings traded', function () {
+      const series = BasketAggregation.buildSeries(seriesList, rainbow);
+
+      assert.deepStrictEqual(series.map(p => p.x), ['2024-01-02', '2024-01-03', '2024-01-04']);
+      close(series[1].y, 100 + 10 * 0.625);
+    });
+
+    it('locks the cliquet on each fixing date', function () {
+      const series = BasketAggregation.buildSeries(seriesList, cliquet, ['2024-01-03']);
+
+      // Running +5% capped at 4 and locked on the 3rd, then +5% from there capped again
+      assert.deepStrictEqual(series.map(p => p.y), [100, 104, 108]);
+    });
+
+    it('has no series for the template default', function () {
+      assert.deepStrictEqual(BasketAggregation.buildSeries(seriesList, null), []);
+    });
+  });
+
+  describe('BasketAggregationHelpers', function () {
+    const originalFindOne = MarketDataCacheCollection.findOneAsync;
+
+    // Fixings on the 2nd of April and July (listed twice), the 2025 one is after the evaluation date
+    const buildProduct = () => ({
+      _id: 'cliquet-test',
+      tradeDate: new Date('2024-01-02T00:00:00Z'),
+      finalObservation: new Date('2025-01-02T00:00:00Z'),
+      asOfDate: new Date('2024-10-01T00:00:00Z'),
+      structureParams: { basketAggregation: { mode: 'cliquet', localCap: '4', localFloor: '-5' } },
+      observationSchedule: ['2024-04-02', '2024-07-02', '2024-07-02', '2025-01-02']
+        .map(date => ({ observationDate: new Date(`${date}T00:00:00Z`) }))
+    });
+    const underlying = (ticker, performance, observationPrices) => ({
+      ticker,
+      initialPrice: 100,
+      performance,
+      securityData: { observationPrices }
+    });
+
+    beforeEach(function () {
+      MarketDataCacheCollection.findOneAsync = async () => null;
+    });
+
+    afterEach(function () {
+      MarketDataCacheCollection.findOneAsync = originalFindOne;
+    });
+
+    it('reads the config from structureParams', function () {
+      assert.deepStrictEqual(BasketAggregationHelpers.getConfig(buildProduct()), cliquet);
+      assert.strictEqual(BasketAggregationHelpers.getConfig({ structureParams: {} }), null);
+    });
+
+    it('locks the past fixings and runs the current period to the evaluation date', async function () {
+      const product = buildProduct();
+      const underlyings = [
+        underlying('AAA', 8.9, { '2024-04-02': 110, '2024-07-02': 99 }),
+        underlying('BBB', -1, { '2024-04-02': 100, '2024-07-02': 90 })
+      ];
+
+      const result = await BasketAggregationHelpers.evaluate(product, underlyings, BasketAggregationHelpers.getConfig(product));
+
+      assert.deepStrictEqual(result.fixingDates, ['2024-04-02', '2024-07-02', '2025-01-02']);
+      assert.deepStrictEqual(result.periods.map(p => p.lockedReturn), [4, -5, 4]);
+      close(result.performance, 3);
+      assert.strictEqual(result.lockedPerformance, -1);
+      assert.deepStrictEqual(result.runningStartLevels, { AAA: 0.99, BBB: 0.9 });
+      assert.strictEqual(result.label, 'Cliquet 4% Cap');
+
+      // Stress: only the running period moves, here back to its start
+      close(BasketAggregationHelpers.recompute(result, [{ ticker: 'AAA', performance: -1 }, { ticker: 'BBB', performance: -10 }]), -1);
+    });
+
+    it('skips a fixing without prices', async function () {
+      const product = buildProduct();
+      const underlyings = [
+        underlying('AAA', 8.9, { '2024-04-02': 110, '2024-07-02': 99 }),
+        underlying('BBB', -1, { '2024-07-02': 90 })
+      ];
+
+      const result = await BasketAggregationHelpers.evaluate(product, underlyings, BasketAggregationHelpers.getConfig(product));
+
+      // -5.5% to July floored at -5, then +10% capped at 4
+      assert.deepStrictEqual(result.periods.map(p => p.lockedReturn), [-5, 4]);
+      close(result.performance, -1);
+    });
+
+    it('aggregates the performance field the evaluator asks for', async function () {
+      const underlyings = [
+        { ticker: 'AAA', performance: 30, consideredPerformance: 10 },
+        { ticker: 'BBB', performance: -20 },
+        { ticker: 'CCC', performance: 4 }
+      ];
+
+      const result = await BasketAggregationHelpers.evaluate({}, underlyings, rainbow, { performanceField: 'consideredPerformance' });
+
+      close(result.performance, 2.2);
+      assert.strictEqual(result.performanceFormatted, '+2.20%');
+      close(BasketAggregationHelpers.recompute(result, underlyings.map(u => ({ ...u, consideredPerformance: 0, performance: 0 })), { performanceField: 'consideredPerformance' }), 0);
+    });
+  });
+});
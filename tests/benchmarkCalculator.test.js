@@ -0,0 +1,313 @@
+/**
+ * Benchmark Calculator Test Suite
+ *
+ * Composite benchmark returns (weights renormalized over the priced legs,
+ * prices carried over holidays), the per-category split used by the
+ * attribution, and the excess return, tracking error and information ratio
+ * against a portfolio TWR series. Unpriced steps are left out rather than
+ * counted as 0%, and the EUR component prices follow the reporting currency.
+ * Prices and FX rates share one cached-history loader.
+ */
+
+import assert from 'assert';
+import {
+  normalizeComponents,
+  buildCompositeBenchmarkSeries,
+  buildBenchmarkCategorySeries,
+  calculateRelativeMetrics,
+  convertPriceHistories,
+  MIN_RISK_OBSERVATIONS
+} from '../imports/api/helpers/benchmarkCalculator';
+import { BenchmarkHelpers } from '../imports/api/benchmarks';
+import { CurrencyCache } from '../imports/api/currencyCache';
+import { MarketDataCacheCollection, MarketDataHelpers } from '../imports/api/marketDataCache';
+
+const close = (actual, expected, tolerance = 1e-12) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const DATES = ['2025-03-10', '2025-03-11', '2025-03-12', '2025-03-13'];
+
+// Equity leg priced every day but the 13th (holiday), bond leg from the 11th only
+const priceHistories = {
+  'URTH.US': [
+    { date: new Date('2025-03-10T00:00:00Z'), close: 99, adjustedClose: 100 },
+    { date: new Date('2025-03-11T00:00:00Z'), close: 109, adjustedClose: 110 },
+    { date: '2025-03-12', close: 99 }
+  ],
+  'AGG.US': [
+    { date: '2025-03-11', close: 50 },
+    { date: '2025-03-12', close: 55 },
+    { date: '2025-03-13', close: 57.75 }
+  ]
+};
+
+const components = [
+  { ticker: 'URTH.US', weight: 60, category: 'equities' },
+  { ticker: 'AGG.US', weight: 40, category: 'bonds' }
+];
+
+describe('Benchmark calculator', function () {
+  describe('normalizeComponents', function () {
+    it('scales weights to one and drops empty legs', function () {
+      const normalized = normalizeComponents([
+        { ticker: 'URTH.US', weight: 40, label: 'MSCI World' },
+        { ticker: 'AGG.US', weight: 50 },
+        { ticker: 'ESTR', weight: 10 },
+        { ticker: 'NONE.US', weight: 0 }
+      ]);
+
+      assert.deepStrictEqual(normalized.map(c => [c.ticker, c.label, c.weight]), [
+        ['URTH.US', 'MSCI World', 0.4],
+        ['AGG.US', 'AGG.US', 0.5],
+        ['ESTR', 'ESTR', 0.1]
+      ]);
+      assert.deepStrictEqual(normalizeComponents([{ ticker: 'X', weight: 0 }]), []);
+    });
+  });
+
+  describe('buildCompositeBenchmarkSeries', function () {
+    it('rebalances to the priced legs at every step', function () {
+      const series = buildCompositeBenchmarkSeries(components, priceHistories, DATES);
+
+      assert.deepStrictEqual(series.map(s => s.date), DATES.slice(1));
+      // Only the equity leg has a price on both sides: its adjusted return alone
+      close(series[0].dailyReturn, 0.1);
+      close(series[0].coveredWeight, 0.6);
+      // 60% x -10% + 40% x +10%
+      close(series[1].dailyReturn, -0.02);
+      close(series[1].coveredWeight, 1);
+      // Equity price carried over the holiday: 40% x +5%
+      close(series[2].dailyReturn, 0.02);
+      close(series[2].cumulativeReturn, 1.1 * 0.98 * 1.02 - 1);
+    });
+
+    it('has no return on a step nothing is priced', function () {
+      // Neither leg has a price on the 10th
+      const late = {
+        'URTH.US': [{ date: '2025-03-11', close: 100 }, { date: '2025-03-12', close: 110 }],
+        'AGG.US': [{ date: '2025-03-12', close: 50 }, { date: '2025-03-13', close: 51 }]
+      };
+
+      const series = buildCompositeBenchmarkSeries(components, late, DATES);
+
+      assert.strictEqual(series[0].dailyReturn, null);
+      assert.strictEqual(series[0].coveredWeight, 0);
+      assert.strictEqual(series[0].cumulativeReturn, 0);
+      close(series[1].dailyReturn, 0.1);
+      // 60% x 0% (carried) + 40% x +2%
+      close(series[2].dailyReturn, 0.008);
+      close(series[2].cumulativeReturn, 1.1 * 1.008 - 1);
+    });
+
+    it('needs components and two dates', function () {
+      assert.deepStrictEqual(buildCompositeBenchmarkSeries([], priceHistories, DATES), []);
+      assert.deepStrictEqual(buildCompositeBenchmarkSeries(components, priceHistories, DATES.slice(0, 1)), []);
+    });
+  });
+
+  describe('buildBenchmarkCategorySeries', function () {
+    it('gives an unpriced category the total benchmark return', function () {
+      const { weights, series } = buildBenchmarkCategorySeries(components, priceHistories, DATES);
+
+      assert.deepStrictEqual(weights, { equities: 0.6, bonds: 0.4 });
+      close(series[0].byCategory.equities, 0.1);
+      close(series[0].byCategory.bonds, 0.1);
+      close(series[1].byCategory.equities, -0.1);
+      close(series[1].byCategory.bonds, 0.1);
+      close(series[1].total, -0.02);
+    });
+
+    it('has no total or category returns on a step nothing is priced', function () {
+      const { series } = buildBenchmarkCategorySeries(components, { 'URTH.US': [{ date: '2025-03-11', close: 100 }] }, DATES);
+
+      assert.deepStrictEqual(series[0], { date: '2025-03-11', total: null, byCategory: { equities: null, bonds: null } });
+      assert.deepStrictEqual(series[1], { date: '2025-03-12', total: 0, byCategory: { equities: 0, bonds: 0 } });
+    });
+  });
+
+  describe('calculateRelativeMetrics', function () {
+    // 20 steps after the period start, the last one 73 days later (100 steps a year).
+    // Benchmark +0.05% a step; portfolio alternately 0.20% and 0% ahead of it.
+    const dates = [
+      ...Array.from({ length: 19 }, (_, i) => `2025-01-${String(i + 2).padStart(2, '0')}`),
+      '2025-03-15'
+    ];
+    const benchmarkSeries = dates.map(date => ({ date, dailyReturn: 0.0005 }));
+    const twrSeries = [
+      { date: '2025-01-01', dailyReturn: 0.5 },
+      ...dates.map((date, i) => ({ date, dailyReturn: i % 2 === 0 ? 0.0025 : 0.0005 })),
+      { date: '2025-03-16', dailyReturn: 0.5 }
+    ];
+
+    it('annualizes tracking error and information ratio over the observed steps', function () {
+      const metrics = calculateRelativeMetrics(twrSeries, benchmarkSeries, '2025-01-01');
+
+      assert.strictEqual(metrics.observations, MIN_RISK_OBSERVATIONS);
+      assert.strictEqual(metrics.startDate, '2025-01-01');
+      assert.strictEqual(metrics.endDate, '2025-03-15');
+      close(metrics.portfolioReturn, Math.pow(1.0025, 10) * Math.pow(1.0005, 10) - 1);
+      close(metrics.benchmarkReturn, Math.pow(1.0005, 20) - 1);
+      close(metrics.excessReturn, metrics.portfolioReturn - metrics.benchmarkReturn);
+      // Active returns: mean 0.1%, sample deviation 0.1% x sqrt(20/19), x sqrt(100) a year
+      close(metrics.trackingError, 0.010259783520851542);
+      close(metrics.informationRatio, 9.746794344808963, 1e-9);
+    });
+
+    it('reports returns without risk figures below the minimum observations', function () {
+      const metrics = calculateRelativeMetrics(twrSeries, benchmarkSeries, '2025-01-10');
+
+      assert.strictEqual(metrics.observations, 11);
+      close(metrics.portfolioReturn, Math.pow(1.0025, 5) * Math.pow(1.0005, 6) - 1);
+      assert.strictEqual(metrics.trackingError, null);
+      assert.strictEqual(metrics.informationRatio, null);
+    });
+
+    it('leaves unpriced steps out on both sides and reports low coverage', function () {
+      const partial = benchmarkSeries.map((entry, i) => ({
+        ...entry,
+        dailyReturn: i < 2 ? null : entry.dailyReturn,
+        coveredWeight: i < 2 ? 0 : (i === 5 ? 0.4 : 1)
+      }));
+
+      const metrics = calculateRelativeMetrics(twrSeries, partial, '2025-01-01');
+
+      assert.strictEqual(metrics.observations, 18);
+      assert.strictEqual(metrics.skippedSteps, 2);
+      assert.strictEqual(metrics.lowCoverageSteps, 1);
+      assert.strictEqual(metrics.minCoveredWeight, 0.4);
+      // The portfolio's first two steps (+0.25%, +0.05%) are not compared
+      close(metrics.portfolioReturn, Math.pow(1.0025, 9) * Math.pow(1.0005, 9) - 1);
+      close(metrics.benchmarkReturn, Math.pow(1.0005, 18) - 1);
+      assert.strictEqual(metrics.trackingError, null);
+    });
+
+    it('has no metrics without overlapping dates', function () {
+      assert.strictEqual(calculateRelativeMetrics(twrSeries, [{ date: '2024-12-31', dailyReturn: 0.01 }]), null);
+      assert.strictEqual(calculateRelativeMetrics([], benchmarkSeries), null);
+    });
+  });
+
+  describe('convertPriceHistories', function () {
+    it('converts each price at the rate of its day and drops days without a rate', function () {
+      const rates = { '2025-03-10': 1.25, '2025-03-11': 1.5 };
+
+      const converted = convertPriceHistories(priceHistories, date => rates[date] ?? null);
+
+      assert.deepStrictEqual(converted['URTH.US'].map(h => [h.close, h.adjustedClose]), [[123.75, 125], [163.5, 165]]);
+      assert.deepStrictEqual(converted['AGG.US'].map(h => h.close), [75]);
+    });
+  });
+
+  describe('BenchmarkHelpers.loadReportingPriceHistories', function () {
+    const original = {
+      loadPriceHistories: BenchmarkHelpers.loadPriceHistories,
+      getHistoricalRates: CurrencyCache.getHistoricalRates
+    };
+    let historicalRates;
+
+    beforeEach(function () {
+      BenchmarkHelpers.loadPriceHistories = async () => ({
+        'EUNL.XETRA': [{ date: '2025-03-10', close: 100 }, { date: '2025-03-11', close: 100 }]
+      });
+      // 1 USD = 0.9 EUR, then 0.8 EUR
+      historicalRates = { USD: [{ date: '2025-03-10', rate: 0.9 }, { date: '2025-03-11', rate: 0.8 }] };
+      CurrencyCache.getHistoricalRates = async (currencies) =>
+        Object.fromEntries(currencies.map(c => [c, historicalRates[c] || []]));
+    });
+
+    afterEach(function () {
+      BenchmarkHelpers.loadPriceHistories = original.loadPriceHistories;
+      CurrencyCache.getHistoricalRates = original.getHistoricalRates;
+    });
+
+    const components = [{ ticker: 'EUNL.XETRA', weight: 100 }];
+
+    it('gives the EUR proxies the currency return of a USD report', async function () {
+      const { histories, currency } = await BenchmarkHelpers.loadReportingPriceHistories(components, new Date('2025-03-10'), 'USD');
+
+      assert.strictEqual(currency, 'USD');
+      close(histories['EUNL.XETRA'][0].close, 100 / 0.9);
+      close(histories['EUNL.XETRA'][1].close, 125);
+      // A flat EUR price is +12.5% in USD when the euro strengthens
+      const [step] = buildCompositeBenchmarkSeries(components, histories, ['2025-03-10', '2025-03-11']);
+      close(step.dailyReturn, 0.9 / 0.8 - 1);
+    });
+
+    it('keeps the prices in EUR for EUR reports and says so without rate history', async function () {
+      assert.strictEqual((await BenchmarkHelpers.loadReportingPriceHistories(components, new Date('2025-03-10'))).currency, 'EUR');
+
+      const { histories, currency } = await BenchmarkHelpers.loadReportingPriceHistories(components, new Date('2025-03-10'), 'CHF');
+
+      assert.strictEqual(currency, 'EUR');
+      assert.strictEqual(histories['EUNL.XETRA'][1].close, 100);
+    });
+  });
+
+  describe('MarketDataHelpers.getHistoryCovering', function () {
+    const original = {
+      findOneAsync: MarketDataCacheCollection.findOneAsync,
+      fetch: MarketDataHelpers.fetchAndCacheHistoricalData
+    };
+    const DAY = 24 * 60 * 60 * 1000;
+    let doc;
+    let fetches;
+
+    beforeEach(function () {
+      fetches = [];
+      MarketDataCacheCollection.findOneAsync = async () => doc;
+      MarketDataHelpers.fetchAndCacheHistoricalData = async (ticker, fromDate) => {
+        fetches.push([ticker, fromDate]);
+        doc = { history: [{ date: fromDate, close: 1.1 }] };
+      };
+    });
+
+    afterEach(function () {
+      MarketDataCacheCollection.findOneAsync = original.findOneAsync;
+      MarketDataHelpers.fetchAndCacheHistoricalData = original.fetch;
+    });
+
+    it('uses a fresh cache that reaches back far enough', async function () {
+      const fromDate = new Date(Date.now() - 30 * DAY);
+      doc = { firstDate: new Date(fromDate - DAY), lastDate: new Date(), history: [{ date: fromDate, close: 1.08 }] };
+
+      const history = await MarketDataHelpers.getHistoryCovering('EURUSD.FOREX', fromDate);
+
+      assert.deepStrictEqual(history, doc.history);
+      assert.deepStrictEqual(fetches, []);
+    });
+
+    it('fetches the missing tail of a stale cache and the whole range of a late one', async function () {
+      const fromDate = new Date(Date.now() - 30 * DAY);
+      const lastDate = new Date(Date.now() - 5 * DAY);
+      doc = { firstDate: new Date(fromDate - DAY), lastDate, history: [] };
+      await MarketDataHelpers.getHistoryCovering('EURUSD.FOREX', fromDate);
+
+      doc = { firstDate: new Date(fromDate.getTime() + DAY), lastDate: new Date(), history: [] };
+      const history = await MarketDataHelpers.getHistoryCovering('EUNL.XETRA', fromDate);
+
+      assert.deepStrictEqual(fetches, [['EURUSD.FOREX', lastDate], ['EUNL.XETRA', fromDate]]);
+      assert.deepStrictEqual(history, [{ date: fromDate, close: 1.1 }]);
+    });
+  });
+
+  describe('CurrencyCache.getHistoricalRates', function () {
+    const originalCovering = MarketDataHelpers.getHistoryCovering;
+
+    afterEach(function () {
+      MarketDataHelpers.getHistoryCovering = originalCovering;
+    });
+
+    it('reads the EURXXX closes as currency to EUR multipliers', async function () {
+      const tickers = [];
+      MarketDataHelpers.getHistoryCovering = async (ticker) => {
+        tickers.push(ticker);
+        return [{ date: new Date('2025-03-10T00:00:00Z'), close: 1.25 }, { date: new Date('2025-03-11T00:00:00Z'), close: 0 }];
+      };
+
+      const rates = await CurrencyCache.getHistoricalRates(['USD', 'EUR', 'USD'], new Date('2025-03-01'));
+
+      assert.deepStrictEqual(tickers, ['EURUSD.FOREX']);
+      assert.deepStrictEqual(rates, { USD: [{ date: '2025-03-10', rate: 0.8 }] });
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Credit Linked Note Test Suite
+ *
+ * Known-answer tests for credit events: entity weights, write-down to recovery,
+ * coupons on the outstanding notional and the CDS-implied expected redemption.
+ */
+
+import assert from 'assert';
+import { CreditLinkedNoteEvaluationHelpers } from '../imports/api/evaluators/creditLinkedNoteEvaluationHelpers';
+import { CreditLinkedNoteEvaluator } from '../imports/api/evaluators/creditLinkedNoteEvaluator';
+import { PMSOperationsCollection } from '../imports/api/pmsOperations';
+import { PMSHoldingsCollection } from '../imports/api/pmsHoldings';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const buildProduct = (creditEvents = []) => ({
+  _id: 'cln-test',
+  isin: 'XS0000000002',
+  valueDate: new Date('2024-01-01'),
+  maturity: new Date('2025-01-01'),
+  asOfDate: new Date('2024-12-15'),
+  structureParams: {
+    couponRate: 5,
+    couponFrequency: 'semi-annual',
+    recoveryRate: 40,
+    referenceEntities: [
+      { name: 'Alpha Corp', weight: 50 },
+      { name: 'Beta SA', weight: 30, recoveryRate: 25 },
+      { name: 'Gamma AG', weight: 20 }
+    ]
+  },
+  structureParameters: { creditEvents }
+});
+
+const resolve = (product) => {
+  const params = CreditLinkedNoteEvaluationHelpers.extractParameters(product);
+  const entities = CreditLinkedNoteEvaluationHelpers.resolveEntityStatus(params.referenceEntities, params.creditEvents, new Date(product.asOfDate));
+  return { params, entities };
+};
+
+describe('Credit Linked Note', function () {
+  describe('extractParameters', function () {
+    it('normalises weights to 100 and applies the default recovery rate', function () {
+      const product = buildProduct();
+      product.structureParams.referenceEntities = [{ name: 'A', weight: 2 }, { name: 'B', weight: 6 }];
+      const { referenceEntities } = CreditLinkedNoteEvaluationHelpers.extractParameters(product);
+
+      assert.strictEqual(referenceEntities[0].weight, 25);
+      assert.strictEqual(referenceEntities[1].weight, 75);
+      assert.strictEqual(referenceEntities[0].recoveryRate, 40);
+    });
+
+    it('splits the notional equally when no weight is given', function () {
+      const product = buildProduct();
+      product.structureParams.referenceEntities = [{ name: 'A' }, { name: 'B' }, { name: 'C' }, { name: 'D' }];
+      const { referenceEntities } = CreditLinkedNoteEvaluationHelpers.extractParameters(product);
+
+      assert.deepStrictEqual(referenceEntities.map(e => e.weight), [25, 25, 25, 25]);
+    });
+  });
+
+  describe('resolveEntityStatus', function () {
+    it('writes a defaulted entity down to its recovery assumption', function () {
+      const { entities } = resolve(buildProduct([
+        { _id: 'e1', entityName: 'Beta SA', eventType: 'bankruptcy', eventDate: '2024-09-01' }
+      ]));
+
+      const beta = entities.find(e => e.name === 'Beta SA');
+      assert.strictEqual(beta.isDefaulted, true);
+      assert.strictEqual(beta.recoveryRate, 25);
+      assert.strictEqual(beta.recoveryIsFinal, false);
+      close(beta.redemptionContribution, 7.5);
+      assert.strictEqual(entities.find(e => e.name === 'Alpha Corp').isDefaulted, false);
+    });
+
+    it('uses the auction final price once known', function () {
+      const { entities } = resolve(buildProduct([
+        { _id: 'e1', entityName: 'Alpha Corp', eventType: 'failure_to_pay', eventDate: '2024-09-01', finalRecoveryRate: 12.5 }
+      ]));
+
+      const alpha = entities.find(e => e.name === 'Alpha Corp');
+      assert.strictEqual(alpha.recoveryRate, 12.5);
+      assert.strictEqual(alpha.recoveryIsFinal, true);
+      close(alpha.redemptionContribution, 6.25);
+    });
+
+    it('ignores events dated after the evaluation date', function () {
+      const { entities } = resolve(buildProduct([
+        { _id: 'e1', entityName: 'Alpha Corp', eventType: 'bankruptcy', eventDate: '2024-12-20' }
+      ]));
+
+      assert.strictEqual(entities.every(e => !e.isDefaulted), true);
+    });
+  });
+
+  describe('calculateRedemption', function () {
+    it('redeems at par without a credit event', function () {
+      const product = buildProduct();
+      const { params, entities } = resolve(product);
+      const redemption = CreditLinkedNoteEvaluator.calculateRedemption(product, params, entities);
+
+      close(redemption.totalValue, 100);
+      assert.strictEqual(redemption.hasCreditEvent, false);
+    });
+
+    it('adds performing notional and recovered notional', function () {
+      // 50 + 20 performing, Beta 30 × 25% = 7.5 → 77.5
+      const product = buildProduct([
+        { _id: 'e1', entityName: 'Beta SA', eventType: 'bankruptcy', eventDate: '2024-09-01' }
+      ]);
+      const { params, entities } = resolve(product);
+      const redemption = CreditLinkedNoteEvaluator.calculateRedemption(product, params, entities);
+
+      close(redemption.totalValue, 77.5);
+      close(redemption.lossAmount, 22.5);
+      close(redemption.outstandingNotional, 70);
+      assert.strictEqual(redemption.formula, '70.00% + 30.00% × 25.0%');
+    });
+  });
+
+  describe('calculateExpectedRedemption', function () {
+    it('discounts each performing entity by its CDS-implied survival', function () {
+      // One entity, 100 bps, 40% recovery, 1 year: hazard 0.01/0.6, survival e^-h
+      const entities = [{ weight: 100, recoveryRate: 40, cdsSpread: 100, isDefaulted: false }];
+      const valuation = new Date('2024-01-01T00:00:00Z');
+      const oneYearLater = new Date(valuation.getTime() + 365.25 * 24 * 60 * 60 * 1000);
+      const expected = CreditLinkedNoteEvaluationHelpers.calculateExpectedRedemption(entities, oneYearLater, valuation);
+      const survival = Math.exp(-(0.01 / 0.6));
+      close(expected, survival * 100 + (1 - survival) * 40);
+    });
+
+    it('returns null when a performing entity has no spread', function () {
+      const entities = [{ weight: 100, recoveryRate: 40, cdsSpread: null, isDefaulted: false }];
+      assert.strictEqual(CreditLinkedNoteEvaluationHelpers.calculateExpectedRedemption(entities, new Date('2025-01-01')), null);
+    });
+  });
+
+  describe('buildCouponSchedule', function () {
+    const originalOperationsFind = PMSOperationsCollection.find;
+    const originalHoldingsFind = PMSHoldingsCollection.find;
+
+    beforeEach(function () {
+      const empty = () => ({ fetchAsync: async () => [], countAsync: async () => 0 });
+      PMSOperationsCollection.find = empty;
+      PMSHoldingsCollection.find = empty;
+    });
+
+    afterEach(function () {
+      PMSOperationsCollection.find = originalOperationsFind;
+      PMSHoldingsCollection.find = originalHoldingsFind;
+    });
+
+    it('pays the coupon on the notional outstanding at period end', async function () {
+      const product = buildProduct([
+        { _id: 'e1', entityName: 'Alpha Corp', eventType: 'bankruptcy', eventDate: '2024-09-01' }
+      ]);
+      product.asOfDate = new Date('2025-01-15');
+      product.observationSchedule = [
+        { observationDate: '2024-07-01', valueDate: '2024-07-01' },
+        { observationDate: '2025-01-01', valueDate: '2025-01-01' }
+      ];
+      const { params, entities } = resolve(product);
+      const schedule = await CreditLinkedNoteEvaluator.buildCouponSchedule(product, params, entities);
+      const [first, second] = schedule.observations;
+
+      const yearFraction = (from, to) => (new Date(to) - new Date(from)) / (365.25 * 24 * 60 * 60 * 1000);
+      assert.strictEqual(first.outstandingNotional, 100);
+      close(first.couponAmount, 5 * yearFraction('2024-01-01', '2024-07-01'));
+      assert.strictEqual(second.outstandingNotional, 50);
+      assert.strictEqual(second.writtenDown, true);
+      close(second.couponAmount, 5 * yearFraction('2024-07-01', '2025-01-01') * 0.5);
+      close(schedule.totalCouponsEarned, first.couponAmount + second.couponAmount);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Declarative Parser Test Suite
+ *
+ * A complete positions and operations definition run against small sample
+ * files: number and date formats, quoting, percentage prices, type rules and
+ * definition validation.
+ */
+
+import assert from 'assert';
+import { DeclarativeParser } from '../imports/api/parsers/declarativeParser';
+
+const positionsDefinition = {
+  key: 'test-positions',
+  bankName: 'Test Bank',
+  fileType: 'positions',
+  filename: { pattern: '^TB_POS_(\\d{8})\\.csv$', flags: 'i', dateGroup: 1, dateFormat: 'YYYYMMDD' },
+  format: { delimiter: ';', quoteChar: '"', headerRow: 2, skipFooterLines: 1 },
+  numberFormat: { decimalSeparator: ',', thousandsSeparator: '.' },
+  dateFormat: 'DD.MM.YYYY',
+  columnMapping: {
+    portfolioCode: 'ACCOUNT',
+    isin: 'ISIN',
+    securityName: 'NAME',
+    securityTypeCode: 'CLASS',
+    quantity: 'QTY',
+    currency: 'CCY',
+    marketPrice: 'PRICE',
+    costPrice: 'COST',
+    marketValueOriginalCurrency: 'VALUE',
+    priceDate: 'PRICE_DATE'
+  },
+  percentagePrice: { column: 'UNIT', values: ['%', 'PCT'] },
+  securityTypeRules: [
+    { column: 'CLASS', operator: 'equals', value: 'EQ', securityType: 'EQUITY' },
+    { column: 'CLASS', operator: 'in', value: 'BD, FRN', securityType: 'BOND' }
+  ],
+  defaultSecurityType: null
+};
+
+const positionsFile = [
+  '\uFEFFTest Bank positions export',
+  'ACCOUNT;ISIN;NAME;CLASS;QTY;CCY;PRICE;UNIT;COST;VALUE;PRICE_DATE',
+  '12345;ch0012032048;"Roche; Genuss";EQ;1.250;CHF;245,60;;200,00;307.000,00;14.03.2025',
+  '12345;XS1234567890;Note 2030;FRN;100.000;EUR;98,50;%;100,00;98.500,00;14.03.2025',
+  ';US0378331005;No account;EQ;10;USD;170,00;;;1.700,00;14.03.2025',
+  '',
+  'TOTAL;;;;;;;;;407.200,00;'
+].join('\r\n');
+
+const operationsDefinition = {
+  key: 'test-operations',
+  bankName: 'Test Bank',
+  fileType: 'operations',
+  filename: { pattern: '^TB_OPS_(\\d{4}-\\d{2}-\\d{2})\\.txt$', dateGroup: 1, dateFormat: 'YYYY-MM-DD' },
+  format: { delimiter: '\\t' },
+  dateFormat: 'YYYYMMDD',
+  columnMapping: {
+    portfolioCode: 'Portfolio',
+    operationCode: 'Ref',
+    operationDate: 'TradeDate',
+    valueDate: 'ValueDate',
+    operationTypeCode: 'Type',
+    isin: 'ISIN',
+    quantity: 'Qty',
+    quote: 'Price',
+    currency: 'Ccy',
+    netAmount: 'Net'
+  },
+  operationTypeRules: [
+    { column: 'Type', operator: 'in', value: 'BUY,ACHAT', operationType: 'BUY' },
+    { column: 'Type', operator: 'startsWith', value: 'DIV', operationType: 'DIVIDEND' }
+  ],
+  defaultOperationType: 'OTHER'
+};
+
+const operationsFile = [
+  'Portfolio\tRef\tTradeDate\tValueDate\tType\tISIN\tQty\tPrice\tCcy\tNet',
+  'P-1\tT001\t20250310\t20250312\tachat\tch0012032048\t100\t245.5\tCHF\t(24,550.00)',
+  'P-1\tT002\t20250311\t\tDIV-CASH\tCH0012032048\t\t\tCHF\t1,250.00',
+  'P-1\tT003\t20250311\t20250311\tFEE\t\t\t\tCHF\t35.00-'
+].join('\n');
+
+const options = {
+  bankId: 'bank-1',
+  bankName: 'Test Bank',
+  sourceFile: 'sample',
+  fileDate: new Date(2025, 2, 14),
+  userId: 'user-1'
+};
+
+// Drop run-dependent and raw fields so records compare against a golden value
+const stable = ({ processingDate, createdAt, bankSpecificData, ...record }) => record;
+
+describe('DeclarativeParser', function () {
+  describe('parseNumber', function () {
+    it('honours the configured separators and negative notations', function () {
+      const european = { decimalSeparator: ',', thousandsSeparator: '.' };
+      assert.strictEqual(DeclarativeParser.parseNumber('1.234.567,89', european), 1234567.89);
+      assert.strictEqual(DeclarativeParser.parseNumber('(1.000,50)', european), -1000.5);
+      assert.strictEqual(DeclarativeParser.parseNumber('250,00-', european), -250);
+      assert.strictEqual(DeclarativeParser.parseNumber("1'250.5", { decimalSeparator: '.', thousandsSeparator: '' }), 1250.5);
+      assert.strictEqual(DeclarativeParser.parseNumber('CHF 12,5 %', european), 12.5);
+      assert.strictEqual(DeclarativeParser.parseNumber('', european), null);
+      assert.strictEqual(DeclarativeParser.parseNumber('n/a', european), null);
+    });
+  });
+
+  describe('parseDate', function () {
+    it('parses token formats and rejects impossible dates', function () {
+      assert.deepStrictEqual(DeclarativeParser.parseDate('14.03.2025', 'DD.MM.YYYY'), new Date(2025, 2, 14));
+      assert.deepStrictEqual(DeclarativeParser.parseDate('20250314', 'YYYYMMDD'), new Date(2025, 2, 14));
+      assert.deepStrictEqual(DeclarativeParser.parseDate('3/14/25 10:30', 'MM/DD/YY'), new Date(2025, 2, 14));
+      assert.strictEqual(DeclarativeParser.parseDate('31.02.2025', 'DD.MM.YYYY'), null);
+      assert.strictEqual(DeclarativeParser.parseDate('2025-03-14', 'DD.MM.YYYY'), null);
+    });
+  });
+
+  describe('splitLine', function () {
+    it('keeps quoted delimiters and unescapes doubled quotes', function () {
+      assert.deepStrictEqual(
+        DeclarativeParser.splitLine('a;"b;c";"say ""hi""";', ';'),
+        ['a', 'b;c', 'say "hi"', '']
+      );
+    });
+  });
+
+  describe('matchesRule', function () {
+    const row = { TYPE: ' Buy ', AMOUNT: '1.500,00' };
+    const numberFormat = { decimalSeparator: ',' };
+
+    it('evaluates each operator case-insensitively', function () {
+      const matches = (operator, value, column = 'TYPE') =>
+        DeclarativeParser.matchesRule(row, { column, operator, value }, numberFormat);
+
+      assert.strictEqual(matches('equals', 'BUY'), true);
+      assert.strictEqual(matches('notEquals', 'BUY'), false);
+      assert.strictEqual(matches('in', 'sell, buy'), true);
+      assert.strictEqual(matches('contains', 'u'), true);
+      assert.strictEqual(matches('startsWith', 'bu'), true);
+      assert.strictEqual(matches('regex', '^b.y$'), true);
+      assert.strictEqual(matches('regex', '('), false);
+      assert.strictEqual(matches('isEmpty', null, 'MISSING'), true);
+      assert.strictEqual(matches('greaterThan', '1000', 'AMOUNT'), true);
+      assert.strictEqual(matches('lessThan', '1000', 'AMOUNT'), false);
+      assert.strictEqual(matches('unknown', 'BUY'), false);
+    });
+  });
+
+  describe('validateDefinition', function () {
+    it('accepts the sample definitions', function () {
+      assert.deepStrictEqual(DeclarativeParser.validateDefinition(positionsDefinition), []);
+      assert.deepStrictEqual(DeclarativeParser.validateDefinition(operationsDefinition), []);
+    });
+
+    it('reports every problem of a broken definition', function () {
+      const errors = DeclarativeParser.validateDefinition({
+        key: 'Bad Key',
+        fileType: 'operations',
+        filename: { pattern: '^X_(\\d+)$', dateGroup: 2 },
+        format: { encoding: 'ebcdic' },
+        columnMapping: { portfolioCode: 'P' },
+        operationTypeRules: [{ column: 'T', operator: 'like', value: 'x', operationType: 'SWAP' }]
+      });
+
+      assert.deepStrictEqual(errors, [
+        'Key is required (lowercase letters, digits and dashes)',
+        'Bank name is required',
+        'Filename date group 2 does not exist (pattern has 1 group(s))',
+        'Delimiter is required',
+        'Encoding must be one of: utf-8, latin1, utf16le',
+        'Column mapping required for Operation Date',
+        'Operation type rule 1: unknown operator',
+        'Operation type rule 1: unknown operation type'
+      ]);
+    });
+  });
+
+  describe('positions definition', function () {
+    const parser = DeclarativeParser.build(positionsDefinition);
+
+    it('matches the filename and extracts the file date', function () {
+      assert.strictEqual(parser.matchesPattern('tb_pos_20250314.CSV'), true);
+      assert.strictEqual(parser.matchesPattern('TB_OPS_20250314.csv'), false);
+      assert.deepStrictEqual(parser.extractFileDate('TB_POS_20250314.csv'), new Date(2025, 2, 14));
+      assert.throws(() => parser.extractFileDate('TB_POS_20251399.csv'), /Could not extract date/);
+    });
+
+    it('validates the header row below the title line', function () {
+      assert.deepStrictEqual(parser.validate(positionsFile), { valid: true });
+      assert.deepStrictEqual(parser.validate('Title\nACCOUNT;ISIN\n1;X\nTOTAL'), { valid: false, error: 'Missing required headers: QTY' });
+      assert.deepStrictEqual(parser.validate(''), { valid: false, error: 'File is empty or has no data rows' });
+    });
+
+    it('maps the sample file to the golden positions', function () {
+      const records = parser.parse(positionsFile, options).map(stable);
+
+      assert.strictEqual(records.length, 2);
+      assert.deepStrictEqual(records[0], {
+        bankId: 'bank-1',
+        bankName: 'Test Bank',
+        connectionId: null,
+        sourceFile: 'sample',
+        sourceFilePath: null,
+        fileDate: options.fileDate,
+        dataDate: options.fileDate,
+        portfolioCode: '12345',
+        accountNumber: '12345',
+        thirdPartyCode: null,
+        originalPortfolioCode: '12345',
+        isin: 'CH0012032048',
+        ticker: null,
+        securityName: 'Roche; Genuss',
+        securityType: 'EQUITY',
+        securityTypeCode: 'EQ',
+        securityTypeDesc: null,
+        quantity: 1250,
+        marketValue: 307000,
+        marketValueNoAccruedInterest: null,
+        marketValueOriginalCurrency: 307000,
+        bookValue: null,
+        currency: 'CHF',
+        portfolioCurrency: null,
+        priceType: 'absolute',
+        marketPrice: 245.6,
+        priceDate: new Date(2025, 2, 14),
+        priceCurrency: 'CHF',
+        costPrice: 200,
+        costBasisOriginalCurrency: 250000,
+        costBasisPortfolioCurrency: null,
+        unrealizedPnL: null,
+        unrealizedPnLPercent: null,
+        userId: 'user-1',
+        isActive: true,
+        version: 1,
+        bankFxRates: {}
+      });
+
+      const [, note] = records;
+      assert.strictEqual(note.securityType, 'BOND');
+      assert.strictEqual(note.priceType, 'percentage');
+      assert.strictEqual(note.marketPrice, 0.985);
+      assert.strictEqual(note.costPrice, 1);
+      assert.strictEqual(note.costBasisOriginalCurrency, 100000);
+    });
+
+    it('reports the parsed file on the admin test screen', function () {
+      const report = DeclarativeParser.test(positionsDefinition, { filename: 'TB_POS_20250314.csv', content: positionsFile });
+
+      assert.strictEqual(report.success, true);
+      assert.deepStrictEqual(report.fileDate, new Date(2025, 2, 14));
+      assert.strictEqual(report.rowCount, 3);
+      assert.strictEqual(report.recordCount, 2);
+      assert.deepStrictEqual(report.unmatchedTypeValues, []);
+      assert.deepStrictEqual(report.warnings, []);
+    });
+  });
+
+  describe('operations definition', function () {
+    const parser = DeclarativeParser.build(operationsDefinition);
+
+    it('exposes parseOperations and a tab delimiter', function () {
+      assert.strictEqual(parser.delimiter, '\t');
+      assert.strictEqual(typeof parser.parseOperations, 'function');
+      assert.deepStrictEqual(parser.extractFileDate('TB_OPS_2025-03-14.txt'), new Date(2025, 2, 14));
+    });
+
+    it('maps the sample file to the golden operations', function () {
+      const records = parser.parseOperations(operationsFile, options).map(stable);
+
+      assert.deepStrictEqual(records.map(r => [r.operationCode, r.operationType, r.isin, r.quantity, r.quote, r.netAmount]), [
+        ['T001', 'BUY', 'CH0012032048', 100, 245.5, -24550],
+        ['T002', 'DIVIDEND', 'CH0012032048', null, null, 1250],
+        ['T003', 'OTHER', null, null, null, -35]
+      ]);
+      assert.deepStrictEqual(records[0].operationDate, new Date(2025, 2, 10));
+      assert.deepStrictEqual(records[0].valueDate, new Date(2025, 2, 12));
+      assert.strictEqual(records[1].valueDate, null);
+      assert.strictEqual(records[0].originalOperationType, 'achat');
+      assert.strictEqual(records[0].isProcessed, false);
+    });
+
+    it('lists raw type values no rule matched', function () {
+      const report = DeclarativeParser.test(operationsDefinition, { filename: 'other.txt', content: operationsFile });
+
+      assert.deepStrictEqual(report.unmatchedTypeValues, ['FEE']);
+      assert.deepStrictEqual(report.warnings, ['Filename "other.txt" does not match the pattern']);
+    });
+  });
+});
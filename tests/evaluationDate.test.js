@@ -0,0 +1,166 @@
+/**
+ * Evaluation Date Test Suite
+ *
+ * Known-answer tests for as-of evaluation: the date evaluators read, the close
+ * picked on or before a date, and the product copy prepareProductAsOf hands to
+ * the evaluators (pinned prices, status from the dates, later fixings dropped).
+ */
+
+import assert from 'assert';
+import {
+  getEvaluationDate,
+  isHistoricalEvaluation,
+  priceOnOrBefore,
+  prepareProductAsOf
+} from '../imports/api/evaluators/evaluationDate';
+import { MarketDataCacheCollection } from '../imports/api/marketDataCache';
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+// Friday close, then nothing over the weekend; the 2024-03-13 row has no price
+const history = [
+  { date: day('2024-03-07'), close: 100 },
+  { date: day('2024-03-08'), close: 104 },
+  { date: day('2024-03-11'), close: 98 },
+  { date: day('2024-03-12'), adjustedClose: 97 },
+  { date: day('2024-03-13'), close: null }
+];
+
+const cache = {
+  'AAPL.US': { fullTicker: 'AAPL.US', history },
+  'SAN.PA': { fullTicker: 'SAN.PA', history: [{ date: '2024-03-08T00:00:00.000Z', close: 90 }] }
+};
+
+const buildProduct = () => ({
+  _id: 'asof-test',
+  maturity: day('2025-03-10'),
+  productStatus: 'autocalled',
+  statusDetails: { autocallDate: day('2024-09-10') },
+  underlyings: [
+    {
+      ticker: 'AAPL',
+      securityData: {
+        ticker: 'AAPL.US',
+        price: { price: 180, date: day('2024-10-01') },
+        redemptionPrice: { price: 170, date: day('2024-09-10') },
+        finalObservationPrice: { price: 95, date: day('2024-03-01') }
+      }
+    },
+    { ticker: 'SAN' },
+    { ticker: 'XYZ.US', securityData: { price: { price: 10, date: day('2024-10-01') } } }
+  ],
+  underlyingAssets: [
+    { ticker: 'AAPL', redemptionPrice: 170, redemptionDate: day('2024-09-10') },
+    { ticker: 'SAN', redemptionPrice: 88, redemptionDate: day('2024-03-01') }
+  ]
+});
+
+describe('Evaluation date', function () {
+  describe('getEvaluationDate', function () {
+    it('uses the as-of date of a historical evaluation', function () {
+      const product = { asOfDate: '2024-03-11T00:00:00.000Z' };
+
+      assert.strictEqual(getEvaluationDate(product).toISOString(), '2024-03-11T00:00:00.000Z');
+      assert.strictEqual(isHistoricalEvaluation(product), true);
+    });
+
+    it('falls back to now without a usable as-of date', function () {
+      const before = Date.now();
+      const evaluated = [getEvaluationDate({}), getEvaluationDate({ asOfDate: 'not a date' }), getEvaluationDate(null)];
+
+      evaluated.forEach(date => assert.ok(date.getTime() >= before && date.getTime() <= Date.now()));
+      assert.strictEqual(isHistoricalEvaluation({}), false);
+    });
+  });
+
+  describe('priceOnOrBefore', function () {
+    it('takes the close of the date itself', function () {
+      const result = priceOnOrBefore({ history }, day('2024-03-11'));
+
+      assert.strictEqual(result.price, 98);
+      assert.strictEqual(result.date.toISOString(), '2024-03-11T00:00:00.000Z');
+    });
+
+    it('takes the previous close over a weekend', function () {
+      const result = priceOnOrBefore({ history }, new Date('2024-03-10T18:00:00Z'));
+
+      assert.strictEqual(result.price, 104);
+      assert.strictEqual(result.date.toISOString(), '2024-03-08T00:00:00.000Z');
+    });
+
+    it('uses the adjusted close and skips rows without a price', function () {
+      assert.strictEqual(priceOnOrBefore({ history }, day('2024-03-12')).price, 97);
+      assert.strictEqual(priceOnOrBefore({ history }, day('2024-03-20')).price, 97);
+    });
+
+    it('finds nothing before the history starts', function () {
+      assert.strictEqual(priceOnOrBefore({ history }, day('2024-03-06')), null);
+      assert.strictEqual(priceOnOrBefore({ history: [] }, day('2024-03-11')), null);
+      assert.strictEqual(priceOnOrBefore(null, day('2024-03-11')), null);
+    });
+  });
+
+  describe('prepareProductAsOf', function () {
+    const originalFindOne = MarketDataCacheCollection.findOneAsync;
+
+    beforeEach(function () {
+      MarketDataCacheCollection.findOneAsync = async ({ fullTicker }) => cache[fullTicker] || null;
+    });
+
+    afterEach(function () {
+      MarketDataCacheCollection.findOneAsync = originalFindOne;
+    });
+
+    it('pins each underlying to its close on or before the date', async function () {
+      const copy = await prepareProductAsOf(buildProduct(), new Date('2024-03-10T12:00:00Z'));
+      const [aapl, san, xyz] = copy.underlyings;
+
+      assert.strictEqual(copy.asOfDate.toISOString(), '2024-03-10T12:00:00.000Z');
+      assert.deepStrictEqual(aapl.securityData.price, {
+        price: 104,
+        close: 104,
+        date: day('2024-03-08'),
+        source: 'market_data_history',
+        ticker: 'AAPL.US'
+      });
+      // SAN.US is not cached: found on the Paris listing
+      assert.strictEqual(san.securityData.price.price, 90);
+      // No history at all: the live price must not leak into the replay
+      assert.strictEqual(xyz.securityData.price, undefined);
+    });
+
+    it('derives the status from the dates and drops later fixings', async function () {
+      const copy = await prepareProductAsOf(buildProduct(), day('2024-03-10'));
+      const { securityData } = copy.underlyings[0];
+
+      assert.strictEqual(copy.productStatus, 'live');
+      assert.strictEqual(copy.statusDetails, undefined);
+      assert.strictEqual(securityData.redemptionPrice, undefined);
+      assert.strictEqual(securityData.finalObservationPrice.price, 95);
+      assert.strictEqual(copy.underlyingAssets[0].redemptionPrice, undefined);
+      assert.strictEqual(copy.underlyingAssets[0].redemptionDate, undefined);
+      assert.strictEqual(copy.underlyingAssets[1].redemptionPrice, 88);
+    });
+
+    it('marks the product matured from its maturity date on', async function () {
+      const copy = await prepareProductAsOf(buildProduct(), day('2025-03-10'));
+
+      assert.strictEqual(copy.productStatus, 'matured');
+      assert.strictEqual(copy.underlyings[0].securityData.redemptionPrice.price, 170);
+    });
+
+    it('leaves the stored product untouched', async function () {
+      const product = buildProduct();
+      await prepareProductAsOf(product, day('2024-03-10'));
+
+      assert.strictEqual(product.asOfDate, undefined);
+      assert.strictEqual(product.productStatus, 'autocalled');
+      assert.strictEqual(product.underlyings[0].securityData.price.price, 180);
+      assert.strictEqual(product.underlyingAssets[0].redemptionPrice, 170);
+    });
+
+    it('rejects an invalid date', async function () {
+      await assert.rejects(prepareProductAsOf(buildProduct(), 'not a date'), /invalid asOfDate/);
+    });
+  });
+});
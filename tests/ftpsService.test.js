@@ -0,0 +1,203 @@
+/**
+ * FTPS Service Test Suite
+ *
+ * The FTP client replayed against recorded server transcripts: multi-line
+ * replies, the explicit AUTH TLS upgrade and implicit TLS, passive data
+ * connections to the control host, MLSD parsing with the NLST fallback and
+ * downloads through .part files.
+ */
+
+import assert from 'assert';
+import net from 'net';
+import tls from 'tls';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FTPSService } from '../imports/api/ftpsService';
+import { ScriptedSocket } from './helpers/scriptedSocket';
+
+const HOST = 'ftp.bank.example';
+
+const LOGIN = [
+  { client: 'USER bank-user', server: '331 Password required for bank-user\r\n' },
+  // A reply line of another code inside a multi-line reply is text, not a reply
+  { client: 'PASS secret', server: '230-Welcome back\r\n 230 indented text\r\n220 quoted banner\r\n230-Last login 2025-03-13\r\n230 Logged in\r\n' },
+  { client: 'PBSZ 0', server: '200 PBSZ=0\r\n' },
+  { client: 'PROT P', server: '200 Protection level set to P\r\n' },
+  { client: 'TYPE I', server: '200 Type set to I\r\n' }
+];
+
+const MLSD_LISTING = [
+  'type=cdir;modify=20250314060000; .',
+  'type=pdir;modify=20250301000000; ..',
+  'type=file;size=1200;modify=20250314060512; MT940_20250314.txt',
+  'type=dir;modify=20250301000000; archive',
+  'Type=File;Size=35;Modify=20250314061000; Daily Positions.csv',
+  ''
+].join('\r\n');
+
+describe('FTPS service', function () {
+  const original = { netConnect: net.connect, tlsConnect: tls.connect };
+  let control;
+  let dataSockets;
+  let connections;
+
+  const config = (fields = {}) => ({ host: HOST, username: 'bank-user', password: 'secret', ...fields });
+
+  beforeEach(function () {
+    connections = [];
+    dataSockets = [];
+    net.connect = (options) => {
+      connections.push({ via: 'net', host: options.host, port: options.port });
+      return control;
+    };
+    tls.connect = (options) => {
+      // AUTH TLS upgrades the control socket in place
+      if (options.socket) {
+        connections.push({ via: 'upgrade', servername: options.servername });
+        setImmediate(() => options.socket.emit('secureConnect'));
+        return options.socket;
+      }
+      connections.push({ via: 'tls', host: options.host, port: options.port, session: options.session ? 'reused' : null });
+      return options.session ? dataSockets.shift() : control;
+    };
+  });
+
+  afterEach(function () {
+    net.connect = original.netConnect;
+    tls.connect = original.tlsConnect;
+  });
+
+  describe('listFiles', function () {
+    it('upgrades an explicit session and parses the MLSD facts', async function () {
+      control = new ScriptedSocket({
+        greeting: '220-Bank file gateway\r\n220-Authorized use only\r\n220 Ready\r\n',
+        steps: [
+          { client: 'AUTH TLS', server: '234 AUTH TLS successful\r\n' },
+          ...LOGIN,
+          { client: 'CWD /out', server: '250 CWD command successful\r\n' },
+          // Behind NAT the server advertises a private address
+          { client: 'PASV', server: '227 Entering Passive Mode (10,0,0,5,195,80).\r\n' },
+          { client: 'MLSD', server: '150 Opening BINARY mode data connection for MLSD\r\n226 Transfer complete\r\n' },
+          { client: 'QUIT', server: '221 Goodbye\r\n' }
+        ]
+      });
+      dataSockets = [new ScriptedSocket({ data: MLSD_LISTING })];
+
+      const files = await FTPSService.listFiles(config(), '/out');
+
+      assert.deepStrictEqual(files, [
+        { name: 'MT940_20250314.txt', isDirectory: false, size: 1200, modified: new Date('2025-03-14T06:05:12Z') },
+        { name: 'archive', isDirectory: true, size: null, modified: new Date('2025-03-01T00:00:00Z') },
+        { name: 'Daily Positions.csv', isDirectory: false, size: 35, modified: new Date('2025-03-14T06:10:00Z') }
+      ]);
+      // The data connection goes to the control host on port 195 x 256 + 80, on the control TLS session
+      assert.deepStrictEqual(connections, [
+        { via: 'net', host: HOST, port: 21 },
+        { via: 'upgrade', servername: HOST },
+        { via: 'tls', host: HOST, port: 50000, session: 'reused' }
+      ]);
+      assert.strictEqual(control.steps.length, 0);
+    });
+
+    it('falls back to NLST on an implicit session without MLSD', async function () {
+      control = new ScriptedSocket({
+        greeting: '220 Ready\r\n',
+        steps: [
+          { client: 'USER bank-user', server: '230 Logged in without password\r\n' },
+          ...LOGIN.slice(2),
+          { client: 'PASV', server: '227 Entering Passive Mode (10,0,0,5,195,81)\r\n' },
+          { client: 'MLSD', server: '500 MLSD not understood\r\n' },
+          { client: 'PASV', server: '227 Entering Passive Mode (10,0,0,5,195,82)\r\n' },
+          { client: 'NLST', server: '125 Data connection already open\r\n250 Closing data connection\r\n' },
+          { client: 'QUIT', server: '221 Goodbye\r\n' }
+        ]
+      });
+      dataSockets = [new ScriptedSocket({ data: null }), new ScriptedSocket({ data: 'out/positions.csv\r\nout/MT940.txt\r\n' })];
+
+      const files = await FTPSService.listFiles(config({ ftpsMode: 'implicit' }));
+
+      assert.deepStrictEqual(files.map(f => f.name), ['positions.csv', 'MT940.txt']);
+      assert.deepStrictEqual(connections.map(c => [c.via, c.port]), [['tls', 990], ['tls', 50001], ['tls', 50002]]);
+      assert.strictEqual(control.steps.length, 0);
+    });
+
+    it('fails the pending and later commands once the server closes the connection', async function () {
+      control = new ScriptedSocket({
+        greeting: '220 Ready\r\n',
+        steps: [
+          { client: 'AUTH TLS', server: '234 AUTH TLS successful\r\n' },
+          ...LOGIN,
+          { client: 'CWD /out', server: '250 OK\r\n' },
+          { client: 'PASV', server: '227 Entering Passive Mode (10,0,0,5,195,80)\r\n' },
+          { client: 'MLSD' }
+        ]
+      });
+      dataSockets = [new ScriptedSocket({ data: null }), new ScriptedSocket({ data: null })];
+      setTimeout(() => control.destroy(), 20);
+
+      // MLSD and the NLST fallback fail, QUIT does not wait for a reply that never comes
+      await assert.rejects(FTPSService.listFiles(config(), '/out'), /FTPS connection closed/);
+    });
+
+    it('rejects with the reply of a failed login without showing the password', async function () {
+      control = new ScriptedSocket({
+        greeting: '220 Ready\r\n',
+        steps: [
+          { client: 'AUTH TLS', server: '234 AUTH TLS successful\r\n' },
+          LOGIN[0],
+          { client: 'PASS secret', server: '530-Login incorrect.\r\n530 Try again later\r\n' }
+        ]
+      });
+
+      await assert.rejects(FTPSService.listFiles(config()), { message: 'FTPS PASS **** failed: 530 Try again later' });
+    });
+  });
+
+  describe('downloadAllFiles', function () {
+    let tmpDir;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ftps-test-'));
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('downloads each matching file in one session and reports failed transfers', async function () {
+      control = new ScriptedSocket({
+        greeting: '220 Ready\r\n',
+        steps: [
+          { client: 'AUTH TLS', server: '234 AUTH TLS successful\r\n' },
+          ...LOGIN,
+          { client: 'CWD /out', server: '250 OK\r\n' },
+          { client: 'PASV', server: '227 Entering Passive Mode (10,0,0,5,195,80)\r\n' },
+          { client: 'MLSD', server: '150 Opening data connection\r\n226 Transfer complete\r\n' },
+          { client: 'PASV', server: '227 Entering Passive Mode (10,0,0,5,195,81)\r\n' },
+          { client: 'RETR MT940_20250314.txt', server: '550 File unavailable\r\n' },
+          { client: 'PASV', server: '227 Entering Passive Mode (10,0,0,5,195,82)\r\n' },
+          { client: 'RETR Daily Positions.csv', server: '150 Opening data connection\r\n226 Transfer complete\r\n' },
+          { client: 'QUIT', server: '221 Goodbye\r\n' }
+        ]
+      });
+      dataSockets = [
+        new ScriptedSocket({ data: MLSD_LISTING }),
+        new ScriptedSocket({ data: null }),
+        new ScriptedSocket({ data: 'isin;quantity\r\nCH0012032048;100\r\n' })
+      ];
+
+      const result = await FTPSService.downloadAllFiles(config(), '/out', tmpDir, name => !name.startsWith('archive'));
+
+      assert.deepStrictEqual(result, {
+        downloadedFiles: ['Daily Positions.csv'],
+        errors: [{ file: 'MT940_20250314.txt', error: 'FTPS RETR MT940_20250314.txt failed: 550 File unavailable' }],
+        totalFound: 2
+      });
+      assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'Daily Positions.csv'), 'utf8'), 'isin;quantity\r\nCH0012032048;100\r\n');
+      assert.strictEqual(fs.existsSync(path.join(tmpDir, 'Daily Positions.csv.part')), false);
+      assert.strictEqual(fs.existsSync(path.join(tmpDir, 'MT940_20250314.txt')), false);
+      assert.strictEqual(control.steps.length, 0);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Generic Evaluator Test Suite
+ *
+ * Known-answer tests for a drag-and-drop memory Phoenix with a step-down
+ * autocall, interpreted through legacyTranslator and PrimitiveExecutor: coupons
+ * paid or stored at each observation, memory released on the next coupon,
+ * autocall on the stepped-down level, and the indicative maturity redemption.
+ */
+
+import assert from 'assert';
+import { GenericEvaluator } from '../imports/api/evaluators/genericEvaluator';
+import { MarketDataCacheCollection } from '../imports/api/marketDataCache';
+import { EODApiHelpers } from '../imports/api/eodApi';
+import { clearSplitCache } from '../imports/api/splitAdjustment';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const OBSERVATION_DATES = ['2024-04-01', '2024-07-01', '2024-10-01', '2025-01-02'];
+
+// Drag-and-drop cell: the section, row and column it was dropped in
+const cell = (section, rowIndex, column, sortOrder, fields) => ({
+  id: `${section}-${rowIndex}-${column}-${sortOrder}`,
+  section,
+  rowIndex,
+  column,
+  sortOrder,
+  ...fields
+});
+
+const worstOfAtOrAbove = (section, rowIndex, barrier) => [
+  cell(section, rowIndex, 'condition', 1, { type: 'underlying', label: 'Underlying', basketType: 'worst_of' }),
+  cell(section, rowIndex, 'condition', 2, { type: 'comparison', label: 'At or Above', operator: '>=' }),
+  cell(section, rowIndex, 'condition', 3, { type: 'barrier', ...barrier })
+];
+
+// Autocall from 100% stepping down 5% per observation, 2% memory coupon above 70%, 60% protection
+const payoffStructure = [
+  cell('life', 0, 'condition', 0, { type: 'logic_operator', label: 'IF' }),
+  ...worstOfAtOrAbove('life', 0, { label: 'Autocall Level', barrier_type: 'autocall', defaultValue: '100', stepDown: true, stepDownAmount: '5' }),
+  cell('life', 0, 'action', 1, { type: 'autocall', label: 'Early Redemption + Memory Coupons', basePayment: '100', includeMemoryCoupons: true }),
+
+  cell('life', 1, 'condition', 0, { type: 'logic_operator', label: 'ELSE IF' }),
+  ...worstOfAtOrAbove('life', 1, { label: 'Coupon Barrier', barrier_type: 'coupon', defaultValue: '70' }),
+  cell('life', 1, 'action', 1, { type: 'memory_coupon', label: 'Memory Coupon', couponRate: '2', includeMemory: true }),
+
+  cell('life', 2, 'condition', 0, { type: 'logic_operator', label: 'ELSE' }),
+  cell('life', 2, 'action', 1, { type: 'memory_add', label: 'Store Coupon', bucketName: 'unpaidCoupons' }),
+
+  cell('maturity', 0, 'condition', 0, { type: 'logic_operator', label: 'IF' }),
+  ...worstOfAtOrAbove('maturity', 0, { label: 'Protection Barrier', barrier_type: 'protection', defaultValue: '60' }),
+  cell('maturity', 0, 'action', 1, { type: 'result', label: 'Capital Return', value: '100' }),
+
+  cell('maturity', 1, 'condition', 0, { type: 'logic_operator', label: 'ELSE' }),
+  cell('maturity', 1, 'action', 1, { type: 'result', label: 'Downside Performance' })
+];
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+// Closes of both underlyings (strikes 100) on each observation date
+const buildHistories = (closes) => {
+  const histories = { 'AAA.US': [{ date: day('2024-01-02'), close: 100 }], 'BBB.US': [{ date: day('2024-01-02'), close: 100 }] };
+  closes.forEach(([aaa, bbb], i) => {
+    histories['AAA.US'].push({ date: day(OBSERVATION_DATES[i]), close: aaa });
+    histories['BBB.US'].push({ date: day(OBSERVATION_DATES[i]), close: bbb });
+  });
+  return histories;
+};
+
+const underlying = (ticker, price) => ({
+  ticker,
+  name: ticker,
+  strike: 100,
+  securityData: { ticker: `${ticker}.US`, price: { price, date: day('2024-11-14') } }
+});
+
+const buildProduct = (currentPrices) => ({
+  _id: 'generic-test',
+  templateId: 'bespoke_memory_phoenix',
+  isin: 'XS0000000042',
+  currency: 'EUR',
+  tradeDate: day('2024-01-02'),
+  finalObservation: day('2025-01-02'),
+  maturity: day('2025-01-09'),
+  asOfDate: day('2024-11-15'),
+  underlyings: [underlying('AAA', currentPrices[0]), underlying('BBB', currentPrices[1])],
+  observationSchedule: OBSERVATION_DATES.map(date => ({ observationDate: `${date}T00:00:00.000Z` })),
+  payoffStructure
+});
+
+describe('Generic evaluator', function () {
+  const originalFindOne = MarketDataCacheCollection.findOneAsync;
+  const originalGetStockSplits = EODApiHelpers.getStockSplits;
+  let histories;
+
+  beforeEach(function () {
+    clearSplitCache();
+    EODApiHelpers.getStockSplits = async () => [];
+    MarketDataCacheCollection.findOneAsync = async ({ fullTicker }) =>
+      (histories[fullTicker] ? { fullTicker, history: histories[fullTicker] } : null);
+  });
+
+  afterEach(function () {
+    MarketDataCacheCollection.findOneAsync = originalFindOne;
+    EODApiHelpers.getStockSplits = originalGetStockSplits;
+  });
+
+  describe('generateReport', function () {
+    it('pays, stores and releases memory coupons until maturity', async function () {
+      // Worst-of 80 (coupon), 65 (stored), 85 (coupon + memory); 75 today
+      histories = buildHistories([[95, 80], [90, 65], [105, 85]]);
+      const report = await GenericEvaluator.generateReport(buildProduct([110, 75]), {});
+      const { observations } = report.observationAnalysis;
+
+      assert.strictEqual(report.templateType, 'generic');
+      assert.strictEqual(report.currentStatus.productStatus, 'live');
+      assert.deepStrictEqual(report.genericStructure.unsupportedComponents, []);
+      assert.deepStrictEqual(observations.map(o => o.status), ['past', 'past', 'past', 'future']);
+      assert.deepStrictEqual(observations.slice(0, 3).map(o => o.basketLevel), [80, 65, 85]);
+      assert.deepStrictEqual(observations.slice(0, 3).map(o => o.couponPaid), [2, 0, 4]);
+      assert.deepStrictEqual(observations.slice(0, 3).map(o => o.memoryBalance), [0, 2, 0]);
+      assert.deepStrictEqual(observations.slice(0, 3).map(o => o.autocallLevel), [100, 95, 90]);
+      assert.strictEqual(report.observationAnalysis.totalCouponsPaid, 6);
+      assert.strictEqual(report.observationAnalysis.memoryBalance, 0);
+      assert.strictEqual(report.observationAnalysis.nextObservation.index, 3);
+      assert.strictEqual(report.observationAnalysis.nextObservation.daysUntil, 48);
+
+      // Indicative: worst-of 75 is above the 60% protection
+      close(report.basketPerformance.current, -25);
+      assert.strictEqual(report.redemption.type, 'indicative');
+      assert.strictEqual(report.redemption.capital, 100);
+      assert.strictEqual(report.redemption.coupons, 6);
+      assert.strictEqual(report.redemption.totalValueFormatted, '106.00%');
+    });
+
+    it('autocalls on the stepped-down level and cancels the rest', async function () {
+      // Worst-of 92 is below 100 but above the 90% level of the third observation
+      histories = buildHistories([[95, 80], [90, 65], [105, 92]]);
+      const report = await GenericEvaluator.generateReport(buildProduct([110, 95]), {});
+      const { observations } = report.observationAnalysis;
+
+      assert.strictEqual(report.currentStatus.productStatus, 'autocalled');
+      assert.deepStrictEqual(observations.map(o => o.status), ['past', 'past', 'past', 'cancelled']);
+      assert.strictEqual(observations[2].autocalled, true);
+      assert.strictEqual(observations[2].couponPaid, 4);
+      assert.strictEqual(report.observationAnalysis.nextObservation, null);
+      assert.strictEqual(report.redemption.type, 'autocalled');
+      assert.strictEqual(report.redemption.capital, 100);
+      assert.strictEqual(report.redemption.coupons, 6);
+    });
+
+    it('redeems below the protection at the worst performance', async function () {
+      histories = buildHistories([[95, 80], [90, 65], [105, 85]]);
+      const report = await GenericEvaluator.generateReport(buildProduct([110, 50]), {});
+
+      assert.strictEqual(report.redemption.capital, 50);
+      assert.strictEqual(report.redemption.totalValue, 56);
+    });
+
+    it('marks observations without prices instead of evaluating them', async function () {
+      histories = buildHistories([[95, 80]]);
+      histories['BBB.US'] = [];
+      const report = await GenericEvaluator.generateReport(buildProduct([110, 75]), {});
+      const { observations } = report.observationAnalysis;
+
+      assert.deepStrictEqual(observations.slice(0, 3).map(o => o.status), ['missing_data', 'missing_data', 'missing_data']);
+      assert.strictEqual(report.observationAnalysis.totalCouponsPaid, 0);
+      assert.ok(report.evaluationWarnings.some(message => message.includes('Missing prices')));
+    });
+
+    it('falls back to the placeholder report without a payoff structure', async function () {
+      const report = await GenericEvaluator.generateReport({ ...buildProduct([110, 75]), payoffStructure: [] }, {});
+
+      assert.strictEqual(report.templateType, 'unknown');
+      assert.strictEqual(report.message, 'Template not implemented yet');
+    });
+  });
+
+  describe('buildSchedule', function () {
+    it('derives quarterly observations up to the final observation', function () {
+      const product = { tradeDate: '2024-01-15T12:00:00.000Z', finalObservation: '2024-12-01T12:00:00.000Z' };
+      const schedule = GenericEvaluator.buildSchedule(product, [{ section: 'life', type: 'observation', frequency: 'quarterly' }], true);
+
+      assert.deepStrictEqual(schedule.map(o => o.observationDate.slice(0, 10)), ['2024-04-15', '2024-07-15', '2024-10-15', '2024-12-01']);
+    });
+
+    it('observes only at the end without life rules', function () {
+      const product = { tradeDate: '2024-01-15T12:00:00.000Z', finalObservation: '2024-12-01T12:00:00.000Z' };
+
+      assert.deepStrictEqual(GenericEvaluator.buildSchedule(product, [], false), [
+        { observationDate: '2024-12-01T12:00:00.000Z', valueDate: '2024-12-01T12:00:00.000Z' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { Duplex } from 'stream';
+
+/**
+ * Socket replaying a recorded server transcript, for the FTPS and IMAP clients
+ *
+ * Each step pairs the line the client must send (string or RegExp) with the
+ * server's reply. Replies are pushed in small chunks so that line, multi-line
+ * reply and literal buffering are exercised across packet boundaries. Any
+ * other command destroys the socket with an error naming it.
+ *
+ * A data socket has no steps: it sends `data` and ends (data: null stays idle
+ * until the client destroys it).
+ */
+export class ScriptedSocket extends Duplex {
+  constructor({ greeting = null, steps = [], data, chunkSize = 7 } = {}) {
+    super();
+    this.steps = [...steps];
+    this.chunkSize = chunkSize;
+    this.received = [];
+    this.pending = '';
+
+    if (greeting) this.reply(greeting);
+    if (data !== undefined && data !== null) this.reply(data, { end: true });
+  }
+
+  reply(text, { end = false } = {}) {
+    const bytes = Buffer.isBuffer(text) ? text : Buffer.from(text, 'latin1');
+    setImmediate(() => {
+      for (let offset = 0; offset < bytes.length; offset += this.chunkSize) {
+        this.push(bytes.slice(offset, offset + this.chunkSize));
+      }
+      if (end) this.push(null);
+    });
+  }
+
+  _read() {}
+
+  _write(chunk, encoding, callback) {
+    this.pending += chunk.toString('latin1');
+    let crlf;
+    while ((crlf = this.pending.indexOf('\r\n')) !== -1) {
+      const line = this.pending.slice(0, crlf);
+      this.pending = this.pending.slice(crlf + 2);
+      this.received.push(line);
+
+      const step = this.steps.shift();
+      const expected = step?.client;
+      const matches = expected instanceof RegExp ? expected.test(line) : expected === line;
+      if (!matches) {
+        this.destroy(new Error(`Unexpected command "${line}" (expected ${expected || 'nothing'})`));
+        break;
+      }
+      if (step.server) this.reply(step.server);
+    }
+    callback();
+  }
+
+  setTimeout() {
+    return this;
+  }
+
+  getSession() {
+    return Buffer.from('tls-session');
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * HTTPS Pull Service Test Suite
+ *
+ * JSON and HTML directory listings resolved against the listing URL, and the
+ * basic auth and client certificate kept to the host of the connection:
+ * listed files and redirects on another host never receive them.
+ */
+
+import assert from 'assert';
+import https from 'https';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { HTTPSPullService } from '../imports/api/httpsPullService';
+
+const LISTING_URL = 'https://files.bank.example/statements/';
+
+describe('HTTPS pull service', function () {
+  const originalRequest = https.request;
+  let responses;
+  let requests;
+  let tmpDir;
+  let config;
+
+  before(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'https-pull-test-'));
+    fs.writeFileSync(path.join(tmpDir, 'client.crt'), 'CERT');
+    fs.writeFileSync(path.join(tmpDir, 'client.key'), 'KEY');
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(function () {
+    responses = {};
+    requests = [];
+    config = {
+      url: LISTING_URL,
+      authType: 'certificate',
+      username: 'bank-user',
+      password: 'secret',
+      clientCertPath: path.join(tmpDir, 'client.crt'),
+      clientKeyPath: path.join(tmpDir, 'client.key')
+    };
+
+    // Answer from the responses table: { statusCode, headers, body } per URL
+    https.request = (url, options, callback) => {
+      requests.push({ url: url.toString(), options });
+      const req = new EventEmitter();
+      req.end = () => {
+        const response = responses[url.toString()] || { statusCode: 404 };
+        const res = Readable.from([Buffer.from(response.body || '')]);
+        res.statusCode = response.statusCode || 200;
+        res.headers = response.headers || {};
+        process.nextTick(() => callback(res));
+      };
+      req.destroy = (err) => req.emit('error', err);
+      return req;
+    };
+  });
+
+  afterEach(function () {
+    https.request = originalRequest;
+  });
+
+  describe('listFiles', function () {
+    it('resolves JSON entries against the listing URL and skips other hosts', async function () {
+      responses[LISTING_URL] = {
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({
+          files: [
+            'MT940_20250314.txt',
+            { name: 'positions.csv', url: '/exports/positions.csv', size: 1200, modified: '2025-03-14T06:00:00Z' },
+            { name: 'leak.csv', url: 'https://attacker.example/collect.csv' },
+            '//attacker.example/protocol-relative.csv'
+          ]
+        })
+      };
+
+      const files = await HTTPSPullService.listFiles(config);
+
+      assert.deepStrictEqual(files, [
+        { name: 'MT940_20250314.txt', url: 'https://files.bank.example/statements/MT940_20250314.txt', size: null, modified: null, isDirectory: false },
+        { name: 'positions.csv', url: 'https://files.bank.example/exports/positions.csv', size: 1200, modified: new Date('2025-03-14T06:00:00Z'), isDirectory: false }
+      ]);
+      assert.strictEqual(requests.length, 1);
+    });
+
+    it('reads the file links of an HTML index', async function () {
+      responses[LISTING_URL] = {
+        headers: { 'content-type': 'text/html' },
+        body: `<a href="../">Parent</a><a href="archive/">archive</a>
+          <a href="Daily%20Positions.csv">Daily Positions.csv</a>
+          <a href='https://files.bank.example/statements/camt053.xml'>camt053.xml</a>
+          <a href="https://cdn.example/camt053.xml">mirror</a>`
+      };
+
+      const files = await HTTPSPullService.listFiles(config);
+
+      assert.deepStrictEqual(files.map(f => [f.name, f.url]), [
+        ['Daily Positions.csv', 'https://files.bank.example/statements/Daily%20Positions.csv'],
+        ['camt053.xml', 'https://files.bank.example/statements/camt053.xml']
+      ]);
+    });
+
+    it('sends basic auth and the client certificate to the listing host', async function () {
+      responses[LISTING_URL] = { body: '[]' };
+
+      await HTTPSPullService.listFiles(config);
+
+      const { options } = requests[0];
+      assert.strictEqual(options.headers.Authorization, `Basic ${Buffer.from('bank-user:secret').toString('base64')}`);
+      assert.strictEqual(options.cert.toString(), 'CERT');
+      assert.strictEqual(options.key.toString(), 'KEY');
+    });
+  });
+
+  describe('redirects', function () {
+    it('keeps the credentials on a redirect within the host', async function () {
+      responses[LISTING_URL] = { statusCode: 302, headers: { location: '/v2/statements/' } };
+      responses['https://files.bank.example/v2/statements/'] = { body: '[]' };
+
+      await HTTPSPullService.listFiles(config);
+
+      assert.strictEqual(requests.length, 2);
+      assert.ok(requests[1].options.headers.Authorization);
+      assert.strictEqual(requests[1].options.cert.toString(), 'CERT');
+    });
+
+    it('drops basic auth and the client certificate on a redirect to another host', async function () {
+      responses[LISTING_URL] = { statusCode: 302, headers: { location: 'https://storage.example/signed/statements/' } };
+      responses['https://storage.example/signed/statements/'] = { body: '[]' };
+
+      await HTTPSPullService.listFiles(config);
+
+      const { url, options } = requests[1];
+      assert.strictEqual(url, 'https://storage.example/signed/statements/');
+      assert.strictEqual(options.headers.Authorization, undefined);
+      assert.strictEqual(options.cert, undefined);
+      assert.strictEqual(options.key, undefined);
+    });
+  });
+
+  describe('downloadFile', function () {
+    it('writes the file and refuses a URL on another host', async function () {
+      const fileUrl = 'https://files.bank.example/statements/MT940_20250314.txt';
+      responses[fileUrl] = { body: ':20:STATEMENT' };
+      const localPath = path.join(tmpDir, 'MT940_20250314.txt');
+
+      const result = await HTTPSPullService.downloadFile(config, fileUrl, localPath);
+
+      assert.deepStrictEqual(result, { localPath, size: 13 });
+      assert.strictEqual(fs.readFileSync(localPath, 'utf8'), ':20:STATEMENT');
+      assert.strictEqual(fs.existsSync(`${localPath}.part`), false);
+
+      await assert.rejects(
+        HTTPSPullService.downloadFile(config, 'https://attacker.example/collect.csv', path.join(tmpDir, 'collect.csv')),
+        /not on the host/
+      );
+      assert.strictEqual(requests.length, 1);
+    });
+  });
+});
@@ -0,0 +1,379 @@
+/**
+ * ISO 20022 Parser Test Suite
+ *
+ * Golden camt.053 and semt.002 documents mapped to the standard operation and
+ * position schemas, with the structure issues reported to the collector:
+ * missing and unrecognized elements, unmapped transaction codes and versions.
+ */
+
+import assert from 'assert';
+import { ISO20022Parser } from '../imports/api/parsers/iso20022Parser';
+import { ProcessingIssueCollector } from '../imports/api/processingIssueCollector';
+import { SECURITY_TYPES } from '../imports/api/constants/instrumentTypes';
+import { OPERATION_TYPES } from '../imports/api/constants/operationTypes';
+
+const FILE_DATE = new Date(2025, 2, 14);
+
+const options = (issueCollector) => ({
+  bankId: 'bank-1',
+  bankName: 'Test Bank',
+  sourceFile: 'camt053_12345_20250314.xml',
+  fileDate: FILE_DATE,
+  userId: 'system',
+  issueCollector
+});
+
+const entry = ({ amount, indicator, status = 'BOOK', code, reference, details = '' }) => `
+      <Ntry>
+        ${reference ? `<AcctSvcrRef>${reference}</AcctSvcrRef>` : ''}
+        <Amt Ccy="EUR">${amount}</Amt>
+        <CdtDbtInd>${indicator}</CdtDbtInd>
+        <Sts><Cd>${status}</Cd></Sts>
+        <BookgDt><Dt>2025-03-14</Dt></BookgDt>
+        <ValDt><Dt>2025-03-14</Dt></ValDt>
+        <BkTxCd>${code}</BkTxCd>
+        ${details}
+      </Ntry>`;
+
+const domain = (cd, family, subFamily) => `<Domn><Cd>${cd}</Cd><Fmly><Cd>${family}</Cd><SubFmlyCd>${subFamily}</SubFmlyCd></Fmly></Domn>`;
+
+const entries = [
+  entry({
+    amount: '1500.00',
+    indicator: 'CRDT',
+    code: domain('PMNT', 'RCDT', 'ESCT'),
+    reference: 'SVC-001',
+    details: `<NtryDtls><TxDtls>
+          <Refs><EndToEndId>E2E-42</EndToEndId></Refs>
+          <RmtInf><Ustrd>Invoice 42</Ustrd><Ustrd>Q1 &amp; Q2</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>`
+  }),
+  entry({
+    amount: '320.00',
+    indicator: 'CRDT',
+    code: domain('SECU', 'CUST', 'DVCA'),
+    reference: 'SVC-002',
+    details: `<NtryDtls><TxDtls>
+          <Refs><EndToEndId>NOTPROVIDED</EndToEndId></Refs>
+          <FinInstrmId><ISIN>CH0012032048</ISIN><Desc>ROCHE HOLDING</Desc></FinInstrmId>
+        </TxDtls></NtryDtls>`
+  }),
+  entry({ amount: '25.00', indicator: 'DBIT', code: domain('ACMT', 'MDOP', 'CHRG'), reference: 'SVC-003' }),
+  entry({ amount: '100.00', indicator: 'CRDT', code: '<Prtry><Cd>XYZ9</Cd></Prtry>' }),
+  entry({ amount: '999.00', indicator: 'DBIT', status: 'PDNG', code: domain('PMNT', 'ICDT', 'ESCT'), reference: 'SVC-005' })
+].join('');
+
+// Opening 10'000 + 1'500 + 320 - 25 + 100 = closing 11'895; the pending entry is not booked yet
+const camt053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.08">
+  <BkToCstmrStmt>
+    <GrpHdr>
+      <MsgId>MSG-20250314</MsgId>
+      <CreDtTm>2025-03-14T18:00:00</CreDtTm>
+    </GrpHdr>
+    <Stmt>
+      <Id>STMT-0314</Id>
+      <ElctrncSeqNb>52</ElctrncSeqNb>
+      <CreDtTm>2025-03-14T18:00:00</CreDtTm>
+      <Acct>
+        <Id><IBAN>CH9300762011623852957</IBAN></Id>
+        <Ccy>EUR</Ccy>
+      </Acct>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="EUR">10000.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Dt><Dt>2025-03-13</Dt></Dt>
+      </Bal>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="EUR">11895.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Dt><Dt>2025-03-14</Dt></Dt>
+      </Bal>
+      <Bal>
+        <Tp><CdOrPrtry><Cd>CLAV</Cd></CdOrPrtry></Tp>
+        <Amt Ccy="EUR">11795.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Dt><Dt>2025-03-14</Dt></Dt>
+      </Bal>
+      <StmtNote>Not part of the message</StmtNote>
+      ${entries}
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+const amount = (element, currency, value) => `<${element}><Amt Ccy="${currency}">${value}</Amt><Sgn>true</Sgn></${element}>`;
+
+// A USD equity in the CHF base account, a EUR bond on a sub-account and a holding without balance
+const semt002 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:semt.002.001.10">
+  <SctiesBalCtdyRpt>
+    <Pgntn><PgNb>1</PgNb><LastPgInd>true</LastPgInd></Pgntn>
+    <StmtGnlDtls>
+      <StmtId>SEMT-0314</StmtId>
+      <StmtDtTm><Dt>2025-03-14</Dt></StmtDtTm>
+      <UpdTp><Cd>COMP</Cd></UpdTp>
+      <ActvtyInd>true</ActvtyInd>
+    </StmtGnlDtls>
+    <SfkpgAcct><Id>12345-001</Id></SfkpgAcct>
+    <BalForAcct>
+      <FinInstrmId><ISIN>US0378331005</ISIN><Desc>APPLE INC</Desc></FinInstrmId>
+      <FinInstrmAttrbts><ClssfctnTp><ClssfctnFinInstrm>ESVUFR</ClssfctnFinInstrm></ClssfctnTp></FinInstrmAttrbts>
+      <AggtBal><Qty><Qty><Qty><Unit>100</Unit></Qty></Qty></Qty><ShrtLngPos>LONG</ShrtLngPos></AggtBal>
+      <AvlblBal><Qty><Unit>80</Unit></Qty></AvlblBal>
+      <PricDtls>
+        <Tp><Cd>MRKT</Cd></Tp>
+        <Val><Amt Ccy="USD">220</Amt></Val>
+        <QtnDt><Dt>2025-03-13</Dt></QtnDt>
+      </PricDtls>
+      <FrgnXchgDtls><UnitCcy>USD</UnitCcy><QtdCcy>CHF</QtdCcy><XchgRate>0.8</XchgRate></FrgnXchgDtls>
+      <AcctBaseCcyAmts>
+        ${amount('HldgVal', 'CHF', '17600')}
+        ${amount('BookVal', 'CHF', '12000')}
+      </AcctBaseCcyAmts>
+      <InstrmCcyAmts>
+        ${amount('HldgVal', 'USD', '22000')}
+        ${amount('BookVal', 'USD', '15000')}
+      </InstrmCcyAmts>
+    </BalForAcct>
+    <BalForAcct>
+      <FinInstrmId><ISIN>DE0001102580</ISIN><Desc>BUND 0 2032</Desc></FinInstrmId>
+    </BalForAcct>
+    <SubAcctDtls>
+      <SfkpgAcct><Id>12345-002</Id></SfkpgAcct>
+      <ActvtyInd>true</ActvtyInd>
+      <BalForSubAcct>
+        <FinInstrmId><ISIN>XS0123456789</ISIN><Desc>EIB 1.5 2030</Desc></FinInstrmId>
+        <FinInstrmAttrbts><ClssfctnTp><ClssfctnFinInstrm>DBFTFR</ClssfctnFinInstrm></ClssfctnTp><DnmtnCcy>EUR</DnmtnCcy></FinInstrmAttrbts>
+        <AggtBal><Qty><Qty><Qty><FaceAmt>50000</FaceAmt></Qty></Qty></Qty></AggtBal>
+        <PricDtls><Tp><Cd>MRKT</Cd></Tp><Val><Rate>101.25</Rate></Val></PricDtls>
+      </BalForSubAcct>
+    </SubAcctDtls>
+  </SctiesBalCtdyRpt>
+</Document>`;
+
+const issueTypes = (collector) => collector.getIssues().map(issue => [issue.type, issue.message]);
+
+const withoutProcessingDate = ({ processingDate, ...record }) => record;
+const withoutImportedAt = ({ importedAt, ...record }) => record;
+
+describe('ISO20022Parser', function () {
+  describe('document recognition', function () {
+    it('routes files by the message identifier in the name', function () {
+      assert.strictEqual(ISO20022Parser.matchesPattern('SEMT002-20250314.xml'), true);
+      assert.strictEqual(ISO20022Parser.matchesPattern('camt053_12345_20250314.xml'), false);
+      assert.strictEqual(ISO20022Parser.matchesCashPattern('20250314.camt.053.001.08.xml'), true);
+      assert.strictEqual(ISO20022Parser.matchesOperationsPattern('camt053_12345_20250314.xml'), true);
+      assert.strictEqual(ISO20022Parser.matchesOperationsPattern('camt052_12345_20250314.xml'), false);
+    });
+
+    it('reads the message type and version from the namespace', function () {
+      const document = ISO20022Parser.readDocument(semt002);
+
+      assert.strictEqual(document.messageType, 'semt.002');
+      assert.strictEqual(document.version, 10);
+      assert.strictEqual(document.message.name, 'SctiesBalCtdyRpt');
+      assert.strictEqual(ISO20022Parser.readDocument('<BkToCstmrStmt><GrpHdr/></BkToCstmrStmt>').messageType, 'camt.053');
+    });
+
+    it('takes the statement date from the closing balance or the statement', function () {
+      assert.deepStrictEqual(ISO20022Parser.extractStatementDate(camt053), FILE_DATE);
+      assert.deepStrictEqual(ISO20022Parser.extractStatementDate(semt002), FILE_DATE);
+    });
+
+    it('rejects malformed, unsupported and incomplete documents', function () {
+      assert.deepStrictEqual(ISO20022Parser.validate('<Document><BkToCstmrStmt></Document>'), {
+        valid: false,
+        error: 'Malformed XML: unexpected </Document> (open element: BkToCstmrStmt)'
+      });
+      assert.deepStrictEqual(ISO20022Parser.validate('<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.09"><CstmrCdtTrfInitn/></Document>'), {
+        valid: false,
+        error: 'Unsupported ISO 20022 message: pain.001'
+      });
+      assert.deepStrictEqual(ISO20022Parser.validate('<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.08"><BkToCstmrStmt><GrpHdr><MsgId>1</MsgId></GrpHdr></BkToCstmrStmt></Document>'), {
+        valid: false,
+        error: 'Missing required element GrpHdr/CreDtTm in BkToCstmrStmt; Missing required element Stmt in BkToCstmrStmt'
+      });
+      assert.deepStrictEqual(ISO20022Parser.validate(camt053), { valid: true });
+    });
+
+    it('parses a version outside the tested range with a warning', function () {
+      const collector = new ProcessingIssueCollector('test');
+      const positions = ISO20022Parser.parse(camt053.replace('camt.053.001.08', 'camt.053.001.14'), options(collector));
+
+      assert.strictEqual(positions.length, 1);
+      assert.deepStrictEqual(issueTypes(collector)[0], [
+        'ISO20022_UNTESTED_VERSION',
+        'Message version camt.053.001.14 is outside the supported range (.02 to .13), parsed as camt.053'
+      ]);
+    });
+  });
+
+  describe('camt.053 operations', function () {
+    const collector = new ProcessingIssueCollector('test');
+    const operations = ISO20022Parser.parseOperations(camt053, options(collector));
+
+    it('maps a booked transfer to the golden operation', function () {
+      assert.strictEqual(operations.length, 4);
+      assert.deepStrictEqual(withoutImportedAt(operations[0]), {
+        bankId: 'bank-1',
+        bankName: 'Test Bank',
+        portfolioCode: 'CH9300762011623852957',
+        accountNumber: 'CH9300762011623852957',
+        portfolioCurrency: 'EUR',
+        userId: 'system',
+        operationDate: FILE_DATE,
+        transactionDate: FILE_DATE,
+        valueDate: FILE_DATE,
+        fileDate: FILE_DATE,
+        isin: null,
+        instrumentName: 'Cash EUR',
+        securityCurrency: 'EUR',
+        securityType: 'CASH',
+        operationType: OPERATION_TYPES.TRANSFER_IN,
+        operationCategory: 'CASH',
+        operationCode: 'SVC-001',
+        instrumentCode: null,
+        transactionRef: 'SVC-001',
+        transactionTypeCode: 'PMNT/RCDT/ESCT',
+        debitCredit: 'CREDIT',
+        reversalCode: null,
+        text: 'Invoice 42 Q1 & Q2',
+        quantity: 1500,
+        amount: 1500,
+        grossAmount: 1500,
+        netAmount: 1500,
+        totalFees: 0,
+        sourceFile: 'camt053_12345_20250314.xml',
+        isActive: true,
+        bankSpecificData: {
+          messageType: 'camt.053',
+          debitCredit: 'CREDIT',
+          statementId: 'STMT-0314',
+          entryReference: null,
+          accountServicerReference: 'SVC-001',
+          endToEndId: 'E2E-42',
+          bankTransactionCode: 'PMNT/RCDT/ESCT',
+          transactionCount: 1
+        }
+      });
+    });
+
+    it('maps income, charges and unknown codes and skips pending entries', function () {
+      assert.deepStrictEqual(operations.map(op => [op.operationType, op.amount, op.operationCode, op.isin]), [
+        [OPERATION_TYPES.TRANSFER_IN, 1500, 'SVC-001', null],
+        [OPERATION_TYPES.DIVIDEND, 320, 'SVC-002', 'CH0012032048'],
+        [OPERATION_TYPES.FEE, -25, 'SVC-003', null],
+        [OPERATION_TYPES.PAYMENT_IN, 100, 'STMT-0314-4', null]
+      ]);
+      assert.strictEqual(operations[1].instrumentName, 'ROCHE HOLDING');
+      assert.strictEqual(operations[1].securityType, null);
+      assert.strictEqual(operations[1].bankSpecificData.endToEndId, null);
+    });
+
+    it('reports unrecognized elements and unmapped codes', function () {
+      assert.deepStrictEqual(issueTypes(collector), [
+        ['ISO20022_UNRECOGNIZED_ELEMENT', 'Unrecognized element BkToCstmrStmt/Stmt/StmtNote (1x), ignored'],
+        ['ISO20022_UNMAPPED_CODE', `Unmapped bank transaction code XYZ9 (1x), booked as ${OPERATION_TYPES.PAYMENT_IN}`]
+      ]);
+    });
+
+    it('maps the closing booked balance to a cash position', function () {
+      const [cash] = ISO20022Parser.parseCash(camt053, options(new ProcessingIssueCollector('test')));
+
+      assert.strictEqual(cash.securityType, SECURITY_TYPES.CASH);
+      assert.strictEqual(cash.portfolioCode, 'CH9300762011623852957');
+      assert.strictEqual(cash.quantity, 11895);
+      assert.strictEqual(cash.portfolioCurrency, 'EUR');
+      assert.deepStrictEqual(cash.dataDate, FILE_DATE);
+      assert.deepStrictEqual(cash.bankSpecificData, {
+        messageType: 'camt.053',
+        statementId: 'STMT-0314',
+        electronicSequenceNumber: '52',
+        openingBalance: 10000,
+        availableBalance: 11795
+      });
+    });
+  });
+
+  describe('semt.002 positions', function () {
+    const collector = new ProcessingIssueCollector('test');
+    const positions = ISO20022Parser.parse(semt002, { ...options(collector), sourceFile: 'SEMT002-20250314.xml' });
+
+    it('maps a foreign holding to the golden position', function () {
+      assert.strictEqual(positions.length, 2);
+      assert.deepStrictEqual(withoutProcessingDate(positions[0]), {
+        bankId: 'bank-1',
+        bankName: 'Test Bank',
+        connectionId: null,
+        sourceFile: 'SEMT002-20250314.xml',
+        sourceFilePath: null,
+        fileDate: FILE_DATE,
+        dataDate: FILE_DATE,
+        portfolioCode: '12345-001',
+        accountNumber: '12345-001',
+        thirdPartyCode: null,
+        isin: 'US0378331005',
+        ticker: null,
+        securityName: 'APPLE INC',
+        securityType: SECURITY_TYPES.EQUITY,
+        securityTypeCode: 'ESVUFR',
+        securityTypeDesc: null,
+        quantity: 100,
+        marketValue: 17600,
+        marketValueNoAccruedInterest: null,
+        marketValueOriginalCurrency: 22000,
+        bookValue: 15000,
+        currency: 'USD',
+        portfolioCurrency: 'CHF',
+        priceType: 'absolute',
+        marketPrice: 220,
+        priceDate: new Date(2025, 2, 13),
+        priceCurrency: 'USD',
+        costPrice: 150,
+        costBasisOriginalCurrency: 15000,
+        costBasisPortfolioCurrency: 12000,
+        unrealizedPnL: 5600,
+        unrealizedPnLPercent: (5600 / 12000) * 100,
+        bankSpecificData: {
+          messageType: 'semt.002',
+          statementId: 'SEMT-0314',
+          otherInstrumentId: null,
+          quantityType: 'UNIT',
+          availableQuantity: 80,
+          accruedInterest: null,
+          exchangeRate: 0.8
+        },
+        userId: 'system',
+        isActive: true,
+        version: 1,
+        bankFxRates: { USD: 1.25 }
+      });
+    });
+
+    it('maps a sub-account bond at a percentage of its face amount', function () {
+      const bond = positions[1];
+
+      assert.strictEqual(bond.portfolioCode, '12345-002');
+      assert.strictEqual(bond.securityType, SECURITY_TYPES.BOND);
+      assert.strictEqual(bond.quantity, 50000);
+      assert.strictEqual(bond.priceType, 'percentage');
+      assert.strictEqual(bond.marketPrice, 1.0125);
+      assert.strictEqual(bond.marketValueOriginalCurrency, 50625);
+      assert.strictEqual(bond.marketValue, 50625);
+      assert.strictEqual(bond.currency, 'EUR');
+      assert.strictEqual(bond.bankSpecificData.quantityType, 'FAMT');
+    });
+
+    it('reports a holding without balance instead of importing it', function () {
+      assert.deepStrictEqual(issueTypes(collector), [
+        ['ISO20022_MISSING_ELEMENT', 'Missing required element AggtBal in SctiesBalCtdyRpt/BalForAcct']
+      ]);
+    });
+
+    it('has no cash statement to map as operations', function () {
+      assert.deepStrictEqual(ISO20022Parser.parseOperations(semt002, options(new ProcessingIssueCollector('test'))), []);
+    });
+  });
+});
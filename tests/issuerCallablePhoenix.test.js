@@ -0,0 +1,170 @@
+/**
+ * Issuer Callable Phoenix Test Suite
+ *
+ * Issuer call detection from PMS operations (client sales must not read as a
+ * call) and the maturity payout shared with the Phoenix family.
+ */
+
+import assert from 'assert';
+import { IssuerCallablePhoenixEvaluationHelpers } from '../imports/api/evaluators/issuerCallablePhoenixEvaluationHelpers';
+import { IssuerCallablePhoenixEvaluator } from '../imports/api/evaluators/issuerCallablePhoenixEvaluator';
+import { PhoenixEvaluationHelpers } from '../imports/api/evaluators/phoenixEvaluationHelpers';
+import { PMSOperationsCollection } from '../imports/api/pmsOperations';
+
+const ISIN = 'XS0000000001';
+
+const product = {
+  _id: 'icp-test',
+  isin: ISIN,
+  asOfDate: new Date('2025-03-01'),
+  structureParams: { couponRate: 2, protectionBarrierLevel: 70, issuerCallPrice: 100 }
+};
+
+const schedule = [
+  { observationDate: new Date('2024-07-01'), valueDate: new Date('2024-07-08'), isCallable: true },
+  { observationDate: new Date('2025-01-02'), valueDate: new Date('2025-01-09'), isCallable: true },
+  { observationDate: new Date('2025-07-01'), valueDate: new Date('2025-07-08'), isCallable: true },
+  { observationDate: new Date('2026-01-02'), valueDate: new Date('2026-01-09'), isCallable: false }
+];
+
+const operation = (fields) => ({ isin: ISIN, isActive: true, ...fields });
+
+describe('Issuer Callable Phoenix', function () {
+  describe('isRedemptionOperation', function () {
+    const isRedemption = (op) => IssuerCallablePhoenixEvaluationHelpers.isRedemptionOperation(op, 100);
+
+    it('accepts REDEMPTION bookings and operations described as a redemption', function () {
+      assert.strictEqual(isRedemption({ operationType: 'REDEMPTION', quantity: 100000 }), true);
+      assert.strictEqual(isRedemption({ operationType: 'OTHER', details: 'Early redemption by issuer' }), true);
+      assert.strictEqual(isRedemption({ operationType: 'SELL', details: 'ISSUER CALL 100%' }), true);
+    });
+
+    it('accepts a sale only when booked at the call price', function () {
+      assert.strictEqual(isRedemption({ operationType: 'SELL', quantity: -100000, price: 1.0 }), true);
+      assert.strictEqual(isRedemption({ operationType: 'SELL', quantity: -100000, price: 100.4 }), true);
+      assert.strictEqual(isRedemption({ operationType: 'SELL', quantity: -100000, price: 0.972 }), false);
+      assert.strictEqual(isRedemption({ operationType: 'SELL', quantity: -100000, price: 96.5 }), false);
+      assert.strictEqual(isRedemption({ operationType: 'SELL', quantity: -100000 }), false);
+    });
+
+    it('rejects purchases at par', function () {
+      assert.strictEqual(isRedemption({ operationType: 'BUY', quantity: 100000, price: 100 }), false);
+    });
+
+    it('compares against a non-par call price', function () {
+      const op = { operationType: 'SELL', quantity: -100000, price: 1.02 };
+      assert.strictEqual(IssuerCallablePhoenixEvaluationHelpers.isRedemptionOperation(op, 102), true);
+      assert.strictEqual(IssuerCallablePhoenixEvaluationHelpers.isRedemptionOperation(op, 100), false);
+    });
+  });
+
+  describe('detectIssuerCall', function () {
+    const originalFind = PMSOperationsCollection.find;
+    let operations;
+
+    beforeEach(function () {
+      operations = [];
+      PMSOperationsCollection.find = () => ({ fetchAsync: async () => operations });
+    });
+
+    afterEach(function () {
+      PMSOperationsCollection.find = originalFind;
+    });
+
+    const detect = () => {
+      const params = IssuerCallablePhoenixEvaluationHelpers.extractParameters(product);
+      return IssuerCallablePhoenixEvaluationHelpers.detectIssuerCall(product, schedule, params);
+    };
+
+    it('ignores a client sale in the week before a call date', async function () {
+      // Would have scored 50 (date) + 15 (SELL) + 10 (negative quantity) = confirmed
+      operations = [operation({
+        operationType: 'SELL',
+        quantity: -50000,
+        price: 0.981,
+        operationDate: new Date('2024-12-27'),
+        valueDate: new Date('2025-01-03')
+      })];
+
+      const result = await detect();
+      assert.strictEqual(result.isCalled, false);
+    });
+
+    it('ignores a redemption-priced sale settling before the call date', async function () {
+      operations = [operation({
+        operationType: 'SELL',
+        quantity: -50000,
+        price: 1.0,
+        operationDate: new Date('2024-12-27'),
+        valueDate: new Date('2024-12-31')
+      })];
+
+      const result = await detect();
+      assert.strictEqual(result.isCalled, false);
+    });
+
+    it('detects the call from a REDEMPTION settling on the payment date', async function () {
+      operations = [operation({
+        operationType: 'REDEMPTION',
+        quantity: 50000,
+        price: 1.0,
+        operationDate: new Date('2025-01-09'),
+        valueDate: new Date('2025-01-09')
+      })];
+
+      const result = await detect();
+      assert.strictEqual(result.isCalled, true);
+      assert.strictEqual(result.source, 'pms');
+      assert.strictEqual(result.callIndex, 1);
+      assert.deepStrictEqual(result.callDate, schedule[1].observationDate);
+    });
+
+    it('lets a manual call date take precedence', async function () {
+      const manual = { ...product, structureParams: { ...product.structureParams, issuerCallDate: new Date('2024-07-08') } };
+      const params = IssuerCallablePhoenixEvaluationHelpers.extractParameters(manual);
+      const result = await IssuerCallablePhoenixEvaluationHelpers.detectIssuerCall(manual, schedule, params);
+
+      assert.strictEqual(result.isCalled, true);
+      assert.strictEqual(result.source, 'manual');
+      assert.strictEqual(result.callIndex, 0);
+    });
+  });
+
+  describe('calculateRedemption', function () {
+    const params = IssuerCallablePhoenixEvaluationHelpers.extractParameters(product);
+    const notCalled = { isCalled: false };
+    const status = { hasMatured: true };
+    const observationAnalysis = { totalCouponsEarned: 4 };
+
+    it('pays full capital at or above the protection barrier', function () {
+      const redemption = IssuerCallablePhoenixEvaluator.calculateRedemption(product, params, notCalled, status, observationAnalysis, -30);
+      assert.strictEqual(redemption.capital, 100);
+      assert.strictEqual(redemption.totalValue, 104);
+    });
+
+    it('applies the geared loss below the protection barrier', function () {
+      // Worst-of at 49% on a 70% barrier: 100 - 21 × 100/70 = 70
+      const redemption = IssuerCallablePhoenixEvaluator.calculateRedemption(product, params, notCalled, status, observationAnalysis, -51);
+      assert.ok(Math.abs(redemption.capital - 70) < 1e-9);
+      assert.strictEqual(redemption.type, 'matured');
+    });
+
+    it('agrees with the Phoenix indicative maturity value', function () {
+      const phoenix = PhoenixEvaluationHelpers.calculateIndicativeMaturityValue(
+        { ...product, finalObservation: new Date('2025-01-02') },
+        [{ ticker: 'AAA', performance: -42 }],
+        { totalCouponsEarned: 0, totalMemoryCoupons: 0 },
+        { protectionBarrier: 70, couponRate: 2 }
+      );
+      const redemption = IssuerCallablePhoenixEvaluator.calculateRedemption(product, params, notCalled, status, observationAnalysis, -42);
+      assert.ok(Math.abs(redemption.capital - phoenix.capitalReturn) < 1e-9);
+    });
+
+    it('redeems at the call price once called', function () {
+      const called = { isCalled: true, callPaymentDate: new Date('2025-01-09') };
+      const redemption = IssuerCallablePhoenixEvaluator.calculateRedemption(product, params, called, status, observationAnalysis, -60);
+      assert.strictEqual(redemption.capital, 100);
+      assert.strictEqual(redemption.type, 'issuer_call');
+    });
+  });
+});
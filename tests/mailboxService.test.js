@@ -0,0 +1,221 @@
+/**
+ * Mailbox Service Test Suite
+ *
+ * The IMAP client replayed against recorded server transcripts: LOGIN quoting,
+ * FETCH literals split across packets and holding lines that look like
+ * protocol, attachment filtering, and the { uidValidity, lastUid } state the
+ * bank connection persists between runs (resume, UIDVALIDITY reset, retry
+ * after a failed message).
+ */
+
+import assert from 'assert';
+import tls from 'tls';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MailboxService } from '../imports/api/mailboxService';
+import { ScriptedSocket } from './helpers/scriptedSocket';
+
+const HOST = 'imap.bank.example';
+const CSV = 'isin;quantity\r\nCH0012032048;100\r\n';
+
+// Lines inside the literal that a line-based reader would take for a tagged reply or another literal
+const message = (subject, tag) => [
+  'From: Custody Desk <custody@bank.example>',
+  'To: ops@example.com',
+  `Subject: ${subject}`,
+  `Message-ID: <${tag}@bank.example>`,
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/plain',
+  '',
+  `${tag} OK this line only looks like a tagged reply`,
+  'Total {3}',
+  '--b1',
+  'Content-Type: text/csv; name="positions.csv"',
+  'Content-Disposition: attachment; filename="positions.csv"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from(CSV).toString('base64'),
+  '--b1',
+  'Content-Type: image/png',
+  'Content-Disposition: attachment; filename="logo.png"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  'iVBORw0KGgo=',
+  '--b1--',
+  ''
+].join('\r\n');
+
+const fetchReply = (sequence, uid, tag, body) =>
+  `* ${sequence} FETCH (UID ${uid} BODY[] {${Buffer.byteLength(body, 'latin1')}}\r\n${body})\r\n${tag} OK FETCH completed\r\n`;
+
+const LOGIN = {
+  client: 'A1 LOGIN "ops@example.com" "p\\"a\\\\ss"',
+  server: '* CAPABILITY IMAP4rev1 UIDPLUS\r\nA1 OK LOGIN completed\r\n'
+};
+
+const select = (tag, uidValidity, uidNext) => ({
+  client: `${tag} SELECT "INBOX"`,
+  server: `* 3 EXISTS\r\n* OK [UIDVALIDITY ${uidValidity}] UIDs valid\r\n* OK [UIDNEXT ${uidNext}] Predicted next UID\r\n${tag} OK [READ-WRITE] SELECT completed\r\n`
+});
+
+const logout = (tag) => ({ client: `${tag} LOGOUT`, server: `* BYE Logging out\r\n${tag} OK LOGOUT completed\r\n` });
+
+describe('Mailbox service', function () {
+  const originalConnect = tls.connect;
+  let control;
+  let tmpDir;
+
+  // The password holds a quote and a backslash to check the astring quoting
+  const config = (fields = {}) => ({ host: HOST, username: 'ops@example.com', password: 'p"a\\ss', ...fields });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailbox-test-'));
+    tls.connect = () => control;
+  });
+
+  afterEach(function () {
+    tls.connect = originalConnect;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('fetchImapAttachments', function () {
+    it('saves matching attachments from a date window and resumes after UIDNEXT', async function () {
+      control = new ScriptedSocket({
+        greeting: '* OK IMAP4rev1 server ready\r\n',
+        steps: [
+          LOGIN,
+          select('A2', 1700000000, 45),
+          { client: /^A3 UID SEARCH SINCE \d{1,2}-[A-Z][a-z]{2}-\d{4}$/, server: '* SEARCH 42 41\r\nA3 OK SEARCH completed\r\n' },
+          { client: 'A4 UID FETCH 41 BODY.PEEK[]', server: fetchReply(1, 41, 'A4', message('Positions 13.03.2025', 'A4')) },
+          { client: 'A5 UID STORE 41 +FLAGS (\\Seen)', server: '* 1 FETCH (FLAGS (\\Seen) UID 41)\r\nA5 OK STORE completed\r\n' },
+          { client: 'A6 UID FETCH 42 BODY.PEEK[]', server: fetchReply(2, 42, 'A6', message('Positions 14.03.2025', 'A6')) },
+          { client: 'A7 UID STORE 42 +FLAGS (\\Seen)', server: 'A7 OK STORE completed\r\n' },
+          logout('A8')
+        ]
+      });
+
+      const result = await MailboxService.fetchImapAttachments(config(), tmpDir, name => name.endsWith('.csv'));
+
+      assert.deepStrictEqual(result.messages.map(m => [m.uid, m.subject, m.messageId, m.savedFiles, m.ignoredFiles]), [
+        [41, 'Positions 13.03.2025', '<A4@bank.example>', ['positions.csv'], ['logo.png']],
+        [42, 'Positions 14.03.2025', '<A6@bank.example>', ['positions.csv'], ['logo.png']]
+      ]);
+      assert.deepStrictEqual(result.errors, []);
+      assert.strictEqual(fs.readFileSync(path.join(tmpDir, 'positions.csv'), 'utf8'), CSV);
+      assert.deepStrictEqual(fs.readdirSync(tmpDir), ['positions.csv']);
+      // UIDNEXT 45: messages 43 and 44 fell outside the window and are not rescanned
+      assert.deepStrictEqual(result.imapState, { uidValidity: 1700000000, lastUid: 44 });
+      assert.strictEqual(control.steps.length, 0);
+    });
+
+    it('continues from the persisted state and ignores the highest UID of an empty range', async function () {
+      control = new ScriptedSocket({
+        greeting: '* OK IMAP4rev1 server ready\r\n',
+        steps: [
+          LOGIN,
+          select('A2', 1700000000, 45),
+          // "45:*" with nothing new still returns the highest UID
+          { client: 'A3 UID SEARCH UID 45:*', server: '* SEARCH 44\r\nA3 OK SEARCH completed\r\n' },
+          logout('A4')
+        ]
+      });
+
+      const result = await MailboxService.fetchImapAttachments(
+        config({ imapState: { uidValidity: 1700000000, lastUid: 44 } }),
+        tmpDir
+      );
+
+      assert.deepStrictEqual(result.messages, []);
+      assert.deepStrictEqual(result.imapState, { uidValidity: 1700000000, lastUid: 44 });
+      assert.strictEqual(control.steps.length, 0);
+    });
+
+    it('scans the date window again when UIDVALIDITY changed', async function () {
+      control = new ScriptedSocket({
+        greeting: '* OK IMAP4rev1 server ready\r\n',
+        steps: [
+          LOGIN,
+          select('A2', 1800000000, 3),
+          { client: /^A3 UID SEARCH SINCE /, server: '* SEARCH\r\nA3 OK SEARCH completed\r\n' },
+          logout('A4')
+        ]
+      });
+
+      const result = await MailboxService.fetchImapAttachments(
+        config({ imapState: { uidValidity: 1700000000, lastUid: 44 } }),
+        tmpDir
+      );
+
+      assert.deepStrictEqual(result.imapState, { uidValidity: 1800000000, lastUid: 2 });
+      assert.strictEqual(control.steps.length, 0);
+    });
+
+    it('stops at a failed message so that it is retried on the next run', async function () {
+      control = new ScriptedSocket({
+        greeting: '* OK IMAP4rev1 server ready\r\n',
+        steps: [
+          LOGIN,
+          select('A2', 1700000000, 48),
+          { client: 'A3 UID SEARCH UID 45:*', server: '* SEARCH 45 46 47\r\nA3 OK SEARCH completed\r\n' },
+          { client: 'A4 UID FETCH 45 BODY.PEEK[]', server: fetchReply(4, 45, 'A4', message('Positions 17.03.2025', 'A4')) },
+          { client: 'A5 UID STORE 45 +FLAGS (\\Seen)', server: 'A5 OK STORE completed\r\n' },
+          { client: 'A6 UID FETCH 46 BODY.PEEK[]', server: 'A6 NO [UNAVAILABLE] Message temporarily unavailable\r\n' },
+          logout('A7')
+        ]
+      });
+
+      const result = await MailboxService.fetchImapAttachments(
+        config({ imapState: { uidValidity: 1700000000, lastUid: 44 } }),
+        tmpDir,
+        name => name.endsWith('.csv')
+      );
+
+      assert.deepStrictEqual(result.messages.map(m => m.uid), [45]);
+      assert.deepStrictEqual(result.errors, [{ uid: 46, error: 'IMAP error: A6 NO [UNAVAILABLE] Message temporarily unavailable' }]);
+      assert.deepStrictEqual(result.imapState, { uidValidity: 1700000000, lastUid: 45 });
+      assert.strictEqual(control.steps.length, 0);
+    });
+  });
+
+  describe('listImapMessages', function () {
+    it('reads UID, size and arrival date whatever the item order', async function () {
+      control = new ScriptedSocket({
+        greeting: '* OK IMAP4rev1 server ready\r\n',
+        steps: [
+          LOGIN,
+          { client: 'A2 EXAMINE "INBOX"', server: '* 3 EXISTS\r\n* OK [UIDVALIDITY 1700000000] UIDs valid\r\nA2 OK [READ-ONLY] EXAMINE completed\r\n' },
+          {
+            client: 'A3 FETCH 2:* (UID RFC822.SIZE INTERNALDATE)',
+            server: [
+              '* 2 FETCH (UID 43 RFC822.SIZE 2048 INTERNALDATE "13-Mar-2025 07:15:00 +0000")',
+              '* 3 FETCH (INTERNALDATE " 4-Mar-2025 07:16:00 +0100" RFC822.SIZE 4096 UID 44)',
+              'A3 OK FETCH completed',
+              ''
+            ].join('\r\n')
+          },
+          logout('A4')
+        ]
+      });
+
+      const messages = await MailboxService.listImapMessages(config(), 2);
+
+      assert.deepStrictEqual(messages, [
+        { name: 'UID 44', isDirectory: false, size: 4096, modified: new Date('2025-03-04T06:16:00Z') },
+        { name: 'UID 43', isDirectory: false, size: 2048, modified: new Date('2025-03-13T07:15:00Z') }
+      ]);
+    });
+
+    it('rejects a refused login', async function () {
+      control = new ScriptedSocket({
+        greeting: '* OK IMAP4rev1 server ready\r\n',
+        steps: [{ client: LOGIN.client, server: 'A1 NO [AUTHENTICATIONFAILED] Invalid credentials\r\n' }]
+      });
+
+      await assert.rejects(MailboxService.listImapMessages(config()), { message: 'IMAP error: A1 NO [AUTHENTICATIONFAILED] Invalid credentials' });
+    });
+  });
+});
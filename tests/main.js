@@ -18,3 +18,36 @@ describe("meteor-app", function () {
     });
   }
 });
+
+// Unit suites for the evaluators and PMS helpers, which run on the server
+if (Meteor.isServer) {
+  require("./phoenixMonteCarlo.test.js");
+  require("./phoenixSnowball.test.js");
+  require("./issuerCallablePhoenix.test.js");
+  require("./creditLinkedNote.test.js");
+  require("./declarativeParser.test.js");
+  require("./bankFileStructures.test.js");
+  require("./pmsReconciliation.test.js");
+  require("./pmsCorporateActions.test.js");
+  require("./pmsTaxLots.test.js");
+  require("./pmsConsolidation.test.js");
+  require("./swiftParser.test.js");
+  require("./iso20022Parser.test.js");
+  require("./benchmarkCalculator.test.js");
+  require("./portfolioSnapshots.test.js");
+  require("./twrCalculator.test.js");
+  require("./attributionCalculator.test.js");
+  require("./mwrCalculator.test.js");
+  require("./riskCalculator.test.js");
+  require("./scenarioStressTest.test.js");
+  require("./sensitivityAnalysis.test.js");
+  require("./httpsPullService.test.js");
+  require("./ftpsService.test.js");
+  require("./mailboxService.test.js");
+  require("./sessionAuth.test.js");
+  require("./evaluationDate.test.js");
+  require("./genericEvaluator.test.js");
+  require("./productBacktest.test.js");
+  require("./basketAggregation.test.js");
+  require("./bankRebuild.test.js");
+}
@@ -0,0 +1,199 @@
+/**
+ * MWR Calculator Test Suite
+ *
+ * XIRR against known answers (including the reference example of the
+ * spreadsheet XIRR function), investor cash flows, reporting period base
+ * dates and the MTD / QTD / YTD / 1Y / 3Y / since-inception table.
+ */
+
+import assert from 'assert';
+import {
+  calculateXIRR,
+  buildInvestorCashFlows,
+  getReportingPeriodBaseDates,
+  calculatePerformanceTable
+} from '../imports/api/helpers/mwrCalculator';
+import { calculateDailyTWR } from '../imports/api/helpers/twrCalculator';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+// Net present value of investor flows at an annual rate, on an actual/365 basis
+const npv = (cashFlows, rate) => cashFlows.reduce((sum, cf) =>
+  sum + cf.amount / Math.pow(1 + rate, (new Date(cf.date) - new Date(cashFlows[0].date)) / (365 * 24 * 60 * 60 * 1000)), 0);
+
+// +10% to the end of 2024, +5% in Q1, 500 deposited on April 30 then +2%, +1% in May
+const dailyValues = [
+  { date: '2021-12-31', totalValueEUR: 1000 },
+  { date: '2024-12-31', totalValueEUR: 1100 },
+  { date: '2025-03-31', totalValueEUR: 1155 },
+  { date: '2025-04-30', totalValueEUR: 1688.1 },
+  { date: '2025-05-15', totalValueEUR: 1704.981 }
+];
+const dailyFlows = { '2025-04-30': 500 };
+
+describe('MWR calculator', function () {
+  describe('calculateXIRR', function () {
+    it('matches the spreadsheet XIRR reference example', function () {
+      const rate = calculateXIRR([
+        { date: '2008-01-01', amount: -10000 },
+        { date: '2008-03-01', amount: 2750 },
+        { date: '2008-10-30', amount: 4250 },
+        { date: '2009-02-15', amount: 3250 },
+        { date: '2009-04-01', amount: 2750 }
+      ]);
+
+      // Published rounded to nine decimals
+      close(rate, 0.373362535, 1e-8);
+    });
+
+    it('annualizes over actual days on a 365-day year', function () {
+      close(calculateXIRR([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: 1100 }]), 0.1);
+      // 731 days across the 2024 leap year
+      close(calculateXIRR([
+        { date: new Date('2023-01-01T00:00:00Z'), amount: -1000 },
+        { date: new Date('2025-01-01T00:00:00Z'), amount: 1210 }
+      ]), Math.pow(1.21, 365 / 731) - 1);
+    });
+
+    it('falls back to bisection for near-total losses', function () {
+      close(calculateXIRR([{ date: '2024-01-01', amount: -1000 }, { date: '2024-12-31', amount: 1 }]), -0.999, 1e-8);
+    });
+
+    it('has no rate without a sign change or a day between the flows', function () {
+      assert.strictEqual(calculateXIRR([{ date: '2024-01-01', amount: -1000 }, { date: '2024-06-30', amount: -500 }]), null);
+      assert.strictEqual(calculateXIRR([{ date: '2024-01-01', amount: -1000 }, { date: '2024-01-01', amount: 1100 }]), null);
+      assert.strictEqual(calculateXIRR([{ date: '2024-01-01', amount: -1000 }, { date: '2024-06-30', amount: 0 }]), null);
+      assert.strictEqual(calculateXIRR(null), null);
+    });
+  });
+
+  describe('buildInvestorCashFlows', function () {
+    it('signs flows from the investor side within the period', function () {
+      const result = buildInvestorCashFlows(dailyValues, { '2025-03-31': -200, ...dailyFlows }, '2025-03-31', '2025-05-15');
+
+      // The withdrawal on the base date belongs to the previous period
+      assert.deepStrictEqual(result.cashFlows, [
+        { date: '2025-03-31', amount: -1155 },
+        { date: '2025-04-30', amount: -500 },
+        { date: '2025-05-15', amount: 1704.981 }
+      ]);
+      assert.strictEqual(result.startValue, 1155);
+      assert.strictEqual(result.endValue, 1704.981);
+      assert.strictEqual(result.netFlows, 500);
+    });
+  });
+
+  describe('getReportingPeriodBaseDates', function () {
+    it('closes MTD, QTD and YTD on the previous month, quarter and year end', function () {
+      assert.deepStrictEqual(getReportingPeriodBaseDates('2025-05-15'), {
+        MTD: '2025-04-30',
+        QTD: '2025-03-31',
+        YTD: '2024-12-31',
+        '1Y': '2024-05-15',
+        '3Y': '2022-05-15'
+      });
+    });
+
+    it('rolls a leap day back into March', function () {
+      const baseDates = getReportingPeriodBaseDates('2024-02-29');
+
+      assert.strictEqual(baseDates.MTD, '2024-01-31');
+      assert.strictEqual(baseDates.QTD, '2023-12-31');
+      assert.strictEqual(baseDates['1Y'], '2023-03-01');
+    });
+  });
+
+  describe('calculatePerformanceTable', function () {
+    const table = () => calculatePerformanceTable({
+      dailyValues,
+      twrSeries: calculateDailyTWR(dailyValues, dailyFlows),
+      dailyFlows
+    });
+
+    it('chain-links the TWR from the last valuation on or before each base date', function () {
+      const { asOfDate, inceptionDate, periods } = table();
+
+      assert.strictEqual(asOfDate, '2025-05-15');
+      assert.strictEqual(inceptionDate, '2021-12-31');
+      close(periods.MTD.twr, 0.01);
+      close(periods.QTD.twr, 1.02 * 1.01 - 1);
+      close(periods.YTD.twr, 1.05 * 1.02 * 1.01 - 1);
+      assert.deepStrictEqual(
+        ['MTD', 'QTD', 'YTD', '1Y', '3Y', 'SI'].map(p => periods[p].startDate),
+        ['2025-04-30', '2025-03-31', '2024-12-31', '2021-12-31', '2021-12-31', '2021-12-31']
+      );
+      close(periods.SI.twr, 1.1 * 1.05 * 1.02 * 1.01 - 1);
+      assert.strictEqual(periods.SI.days, 1231);
+      close(periods.SI.twrAnnualized, Math.pow(1.1 * 1.05 * 1.02 * 1.01, 365 / 1231) - 1);
+      assert.strictEqual(periods.YTD.twrAnnualized, null);
+      assert.strictEqual(periods.SI.localTwr, null);
+      assert.strictEqual(periods.SI.fxContribution, null);
+    });
+
+    it('solves the MWR from the investor flows of each period', function () {
+      const { periods } = table();
+
+      // Without flows inside the period MWR and TWR agree
+      close(periods.MTD.mwr, 0.01);
+      assert.strictEqual(periods.MTD.mwrAnnualized, null);
+
+      // Otherwise the period rate solves the XIRR of the investor flows
+      const qtdFlows = [
+        { date: '2025-03-31', amount: -1155 },
+        { date: '2025-04-30', amount: -500 },
+        { date: '2025-05-15', amount: 1704.981 }
+      ];
+      close(npv(qtdFlows, Math.pow(1 + periods.QTD.mwr, 365 / periods.QTD.days) - 1), 0, 1e-6);
+      close(periods.QTD.gain, 49.981);
+      assert.strictEqual(periods.QTD.netFlows, 500);
+
+      const siFlows = [
+        { date: '2021-12-31', amount: -1000 },
+        { date: '2025-04-30', amount: -500 },
+        { date: '2025-05-15', amount: 1704.981 }
+      ];
+      close(npv(siFlows, periods.SI.mwrAnnualized), 0, 1e-6);
+      close(periods.SI.mwr, Math.pow(1 + periods.SI.mwrAnnualized, 1231 / 365) - 1);
+    });
+
+    it('leaves out periods older than the account', function () {
+      const recent = dailyValues.slice(2);
+      const { periods } = calculatePerformanceTable({
+        dailyValues: recent,
+        twrSeries: calculateDailyTWR(recent, dailyFlows),
+        dailyFlows
+      });
+
+      assert.deepStrictEqual(periods.YTD, { hasData: false, startDate: '2024-12-31', endDate: '2025-05-15' });
+      assert.strictEqual(periods['1Y'].hasData, false);
+      assert.strictEqual(periods.QTD.hasData, true);
+      assert.strictEqual(periods.SI.startDate, '2025-03-31');
+    });
+
+    it('splits the TWR into local return and FX contribution', function () {
+      const { periods } = calculatePerformanceTable({
+        dailyValues: dailyValues.slice(2),
+        twrSeries: calculateDailyTWR(dailyValues.slice(2), dailyFlows),
+        dailyFlows,
+        fxSeries: [
+          { date: '2025-04-30', cumulativeLocalTWR: 0.03 },
+          { date: '2025-05-15', cumulativeLocalTWR: 1.03 * 1.005 - 1 }
+        ]
+      });
+
+      close(periods.MTD.localTwr, 0.005);
+      close(periods.MTD.fxContribution, 0.005);
+      close(periods.SI.localTwr, 1.03 * 1.005 - 1);
+      close(periods.SI.fxContribution, 1.02 * 1.01 - 1.03 * 1.005);
+    });
+
+    it('is empty without a TWR series', function () {
+      assert.deepStrictEqual(calculatePerformanceTable({ dailyValues, twrSeries: [], dailyFlows }), {
+        asOfDate: null,
+        inceptionDate: null,
+        periods: {}
+      });
+    });
+  });
+});
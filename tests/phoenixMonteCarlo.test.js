@@ -0,0 +1,237 @@
+/**
+ * Phoenix Monte Carlo Test Suite
+ *
+ * Known-answer tests for the path simulation: deterministic (zero volatility)
+ * payoffs, the maturity memory / protection rules shared with
+ * calculateIndicativeMaturityValue, a closed-form check and the result cache.
+ */
+
+import assert from 'assert';
+import { PhoenixMonteCarlo } from '../imports/api/evaluators/phoenixMonteCarlo';
+import { PhoenixEvaluationHelpers, DEFAULT_PROTECTION_BARRIER } from '../imports/api/evaluators/phoenixEvaluationHelpers';
+import { PhoenixEvaluator } from '../imports/api/evaluators/phoenixEvaluator';
+
+const VALUATION_DATE = new Date('2025-01-01T00:00:00Z');
+
+const observation = (date, overrides = {}) => ({
+  observationDate: new Date(date),
+  paymentDate: new Date(date),
+  isCallable: false,
+  status: 'upcoming',
+  ...overrides
+});
+
+// Single-underlying run; volatility 0 makes every path identical
+const simulateFlat = ({ level, phoenixParams, observations, initialMemory = 0, volatility = 0, paths = 200 }) =>
+  PhoenixMonteCarlo.simulate({
+    startLevels: [level],
+    tickers: ['AAA'],
+    volatilities: [volatility],
+    correlation: [[1]],
+    observations,
+    phoenixParams,
+    initialMemory,
+    initialFlags: {},
+    valuationDate: VALUATION_DATE,
+    riskFreeRate: 0,
+    paths,
+    seed: 42
+  });
+
+// Standard normal CDF (Abramowitz-Stegun 7.1.26, |error| < 1.5e-7)
+const normalCdf = (x) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+describe('PhoenixMonteCarlo', function () {
+  describe('simulate (zero volatility)', function () {
+    const finalOnly = [observation('2026-01-01')];
+
+    it('forfeits outstanding memory at maturity below the coupon barrier', function () {
+      const result = simulateFlat({
+        level: 0.65,
+        phoenixParams: { protectionBarrier: 60, couponBarrier: 70, couponRate: 2, memoryCoupon: true },
+        observations: finalOnly,
+        initialMemory: 5
+      });
+
+      assert.strictEqual(result.fairValue, 100);
+      assert.strictEqual(result.expectedCoupons, 0);
+      assert.strictEqual(result.perObservation[0].couponProbability, 0);
+      assert.strictEqual(result.perObservation[0].memoryAddedProbability, 1);
+    });
+
+    it('releases outstanding memory with the final coupon above the coupon barrier', function () {
+      const result = simulateFlat({
+        level: 0.8,
+        phoenixParams: { protectionBarrier: 60, couponBarrier: 70, couponRate: 2, memoryCoupon: true },
+        observations: finalOnly,
+        initialMemory: 4
+      });
+
+      assert.strictEqual(result.fairValue, 106);
+      assert.strictEqual(result.expectedCoupons, 6);
+      assert.strictEqual(result.perObservation[0].couponProbability, 1);
+    });
+
+    it('applies the geared loss below the protection barrier', function () {
+      const result = simulateFlat({
+        level: 0.49,
+        phoenixParams: { protectionBarrier: 70, couponBarrier: 70, couponRate: 2 },
+        observations: finalOnly
+      });
+
+      // 100 - (70 - 49) × 100/70 = 70
+      assert.ok(Math.abs(result.fairValue - 70) < 1e-9);
+      assert.strictEqual(result.probabilityOfCapitalLoss, 1);
+      assert.ok(Math.abs(result.expectedLossGivenLoss - 30) < 1e-9);
+    });
+
+    it('uses the shared default protection barrier when none is set', function () {
+      const result = simulateFlat({
+        level: 0.56,
+        phoenixParams: { couponBarrier: 60, couponRate: 0 },
+        observations: finalOnly
+      });
+
+      assert.strictEqual(DEFAULT_PROTECTION_BARRIER, 70);
+      assert.strictEqual(PhoenixEvaluator.extractPhoenixParameters({}).protectionBarrier, DEFAULT_PROTECTION_BARRIER);
+      // 100 - (70 - 56) × 100/70 = 80
+      assert.ok(Math.abs(result.fairValue - 80) < 1e-9);
+      assert.ok(Math.abs(result.fairValue - PhoenixEvaluationHelpers.calculateCapitalAtMaturity(56)) < 1e-9);
+    });
+
+    it('autocalls on the first callable observation at or above the autocall level', function () {
+      const result = simulateFlat({
+        level: 1.1,
+        phoenixParams: { protectionBarrier: 60, couponBarrier: 70, couponRate: 2.5, autocallBarrier: 100 },
+        observations: [
+          observation('2025-07-01', { isCallable: true }),
+          observation('2026-01-01')
+        ]
+      });
+
+      assert.strictEqual(result.fairValue, 102.5);
+      assert.strictEqual(result.perObservation[0].autocallProbability, 1);
+      assert.strictEqual(result.perObservation[1].survivalProbability, 0);
+      assert.strictEqual(result.probabilityOfMaturity, 0);
+      assert.ok(Math.abs(result.expectedLifeYears - 181 / 365) < 1e-9);
+    });
+
+    it('honours per-observation autocall levels (step-down)', function () {
+      const result = simulateFlat({
+        level: 0.92,
+        phoenixParams: { protectionBarrier: 60, couponRate: 0, autocallBarrier: 100 },
+        observations: [
+          observation('2025-04-01', { isCallable: true, autocallLevel: 95 }),
+          observation('2025-07-01', { isCallable: true, autocallLevel: 90 }),
+          observation('2026-01-01')
+        ]
+      });
+
+      assert.strictEqual(result.perObservation[0].autocallProbability, 0);
+      assert.strictEqual(result.perObservation[1].autocallProbability, 1);
+    });
+  });
+
+  describe('simulate (stochastic)', function () {
+    it('matches the closed form of a capped single-underlying payoff', function () {
+      // Protection 100 without coupons pays 100 × min(S_T, 1):
+      // E[min(S, K)] = S - Call(S, K); at S = K = 1, r = 0, σ = 0.2, T = 1 the call is N(0.1) - N(-0.1)
+      const sigma = 0.2;
+      const result = simulateFlat({
+        level: 1,
+        volatility: sigma,
+        phoenixParams: { protectionBarrier: 100, couponBarrier: 100, couponRate: 0 },
+        observations: [observation('2026-01-01')],
+        paths: 20000
+      });
+
+      const years = 365 / 365;
+      const call = normalCdf(sigma * Math.sqrt(years) / 2) - normalCdf(-sigma * Math.sqrt(years) / 2);
+      const expected = 100 * (1 - call);
+
+      assert.ok(Math.abs(expected - 92.0344) < 1e-3);
+      assert.ok(
+        Math.abs(result.fairValue - expected) < 4 * result.standardError,
+        `fair value ${result.fairValue} vs closed form ${expected} (se ${result.standardError})`
+      );
+    });
+
+    it('is reproducible for a given seed', function () {
+      const params = {
+        level: 0.9,
+        volatility: 0.25,
+        phoenixParams: { protectionBarrier: 60, couponBarrier: 70, couponRate: 2, memoryCoupon: true },
+        observations: [observation('2025-07-01', { isCallable: true }), observation('2026-01-01')]
+      };
+      assert.strictEqual(simulateFlat(params).fairValue, simulateFlat(params).fairValue);
+    });
+  });
+
+  describe('choleskyDecompose', function () {
+    it('decomposes a 2x2 correlation matrix', function () {
+      const lower = PhoenixMonteCarlo.choleskyDecompose([[1, 0.5], [0.5, 1]]);
+      assert.strictEqual(lower[0][0], 1);
+      assert.strictEqual(lower[0][1], 0);
+      assert.strictEqual(lower[1][0], 0.5);
+      assert.ok(Math.abs(lower[1][1] - Math.sqrt(0.75)) < 1e-12);
+    });
+  });
+
+  describe('runSimulation cache', function () {
+    const originalLoadHistory = PhoenixMonteCarlo.loadHistory;
+
+    // 100 business-day-like closes ending the day before valuation
+    const syntheticHistory = () => Array.from({ length: 100 }, (_, i) => ({
+      date: new Date(VALUATION_DATE.getTime() - (100 - i) * 24 * 60 * 60 * 1000),
+      close: 100 * (1 + 0.01 * Math.sin(i))
+    }));
+
+    const product = { _id: 'mc-cache-test' };
+    const underlyings = [{ ticker: 'AAA', fullTicker: 'AAA.US', initialPrice: 100, currentPrice: 95 }];
+    const observationAnalysis = { observations: [observation('2026-01-01')], totalMemoryCoupons: 0 };
+    const phoenixParams = { protectionBarrier: 70, couponBarrier: 70, couponRate: 2 };
+
+    beforeEach(function () {
+      PhoenixMonteCarlo.clearCache();
+      PhoenixMonteCarlo.loadHistory = async () => syntheticHistory();
+    });
+
+    afterEach(function () {
+      PhoenixMonteCarlo.loadHistory = originalLoadHistory;
+      PhoenixMonteCarlo.clearCache();
+    });
+
+    it('reuses the base case for the same product, day and market data', async function () {
+      const options = { valuationDate: VALUATION_DATE, paths: 500 };
+      const first = await PhoenixMonteCarlo.runSimulation(product, underlyings, observationAnalysis, phoenixParams, options);
+      const second = await PhoenixMonteCarlo.runSimulation(product, underlyings, observationAnalysis, phoenixParams, options);
+
+      assert.ok(first);
+      assert.strictEqual(second, first);
+    });
+
+    it('does not reuse a result after the inputs change', async function () {
+      const options = { valuationDate: VALUATION_DATE, paths: 500 };
+      const first = await PhoenixMonteCarlo.runSimulation(product, underlyings, observationAnalysis, phoenixParams, options);
+      const moved = [{ ...underlyings[0], currentPrice: 80 }];
+      const second = await PhoenixMonteCarlo.runSimulation(product, moved, observationAnalysis, phoenixParams, options);
+
+      assert.notStrictEqual(second, first);
+      assert.ok(second.fairValue < first.fairValue);
+    });
+
+    it('never caches bumped runs', async function () {
+      const options = { valuationDate: VALUATION_DATE, paths: 500, spotShifts: { AAA: -0.1 } };
+      const first = await PhoenixMonteCarlo.runSimulation(product, underlyings, observationAnalysis, phoenixParams, options);
+      const second = await PhoenixMonteCarlo.runSimulation(product, underlyings, observationAnalysis, phoenixParams, options);
+
+      assert.notStrictEqual(second, first);
+      assert.strictEqual(second.fairValue, first.fairValue);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Phoenix Step-Down / Snowball Test Suite
+ *
+ * Known-answer observation schedules: snowball coupons (rate × period number,
+ * never stored in memory), explicit schedule amounts and step-down autocall
+ * and coupon barriers, and the final redemption prediction. Observation
+ * prices come from a fixture instead of the market data cache.
+ */
+
+import assert from 'assert';
+import { PhoenixEvaluator } from '../imports/api/evaluators/phoenixEvaluator';
+import { PhoenixEvaluationHelpers } from '../imports/api/evaluators/phoenixEvaluationHelpers';
+
+const STRIKE = 100;
+
+// Worst-of level (in % of strike) on each observation date
+const buildProduct = ({ structureParams, schedule }) => ({
+  _id: 'snowball-test',
+  tradeDate: new Date('2024-01-02'),
+  asOfDate: new Date('2024-11-15'),
+  finalObservation: new Date('2025-01-02'),
+  maturity: new Date('2025-01-09'),
+  structureParams,
+  observationSchedule: schedule.map(obs => ({
+    paymentDate: obs.observationDate,
+    isCallable: false,
+    ...obs
+  }))
+});
+
+const underlyings = [{ ticker: 'AAA', fullTicker: 'AAA.US', initialPrice: STRIKE }];
+
+describe('Phoenix snowball and step-down schedules', function () {
+  const originalGetPriceAtDate = PhoenixEvaluator.getPriceAtDate;
+  let levels;
+
+  beforeEach(function () {
+    levels = {};
+    PhoenixEvaluator.getPriceAtDate = async (ticker, targetDate) => {
+      const key = new Date(targetDate).toISOString().split('T')[0];
+      return key in levels ? levels[key] : STRIKE;
+    };
+  });
+
+  afterEach(function () {
+    PhoenixEvaluator.getPriceAtDate = originalGetPriceAtDate;
+  });
+
+  describe('getObservationCouponRate', function () {
+    it('multiplies the rate by the period number for snowball coupons', function () {
+      const params = { couponRate: 1.25, couponMode: 'snowball' };
+      assert.strictEqual(PhoenixEvaluationHelpers.getObservationCouponRate({}, 1, params), 1.25);
+      assert.strictEqual(PhoenixEvaluationHelpers.getObservationCouponRate({}, 3, params), 3.75);
+      assert.strictEqual(PhoenixEvaluationHelpers.getObservationCouponRate({}, 7, { couponRate: 0.1, couponMode: 'snowball' }), 0.7);
+    });
+
+    it('pays the flat rate for fixed coupons', function () {
+      assert.strictEqual(PhoenixEvaluationHelpers.getObservationCouponRate({}, 4, { couponRate: 2, couponMode: 'fixed' }), 2);
+    });
+
+    it('lets an explicit schedule amount win', function () {
+      const params = { couponRate: 2, couponMode: 'snowball' };
+      assert.strictEqual(PhoenixEvaluationHelpers.getObservationCouponRate({ couponRate: 5.5 }, 2, params), 5.5);
+      assert.strictEqual(PhoenixEvaluationHelpers.getObservationCouponRate({ couponRate: '3' }, 2, params), 3);
+      assert.strictEqual(PhoenixEvaluationHelpers.getObservationCouponRate({ couponRate: '' }, 2, params), 4);
+    });
+  });
+
+  describe('extractPhoenixParameters', function () {
+    it('switches to snowball mode from structureParams', function () {
+      assert.strictEqual(PhoenixEvaluator.extractPhoenixParameters({ structureParams: { snowballCoupon: true } }).couponMode, 'snowball');
+      assert.strictEqual(PhoenixEvaluator.extractPhoenixParameters({ structureParams: {} }).couponMode, 'fixed');
+    });
+  });
+
+  describe('buildObservationSchedule', function () {
+    it('pays growing coupons and never stores snowball coupons in memory', async function () {
+      const product = buildProduct({
+        structureParams: { couponRate: 2, couponBarrier: 70, protectionBarrierLevel: 60, memoryCoupon: true, snowballCoupon: true },
+        schedule: [
+          { observationDate: '2024-04-02' },
+          { observationDate: '2024-07-02' },
+          { observationDate: '2024-10-02' },
+          { observationDate: '2025-01-02' }
+        ]
+      });
+      levels = { '2024-04-02': 80, '2024-07-02': 60, '2024-10-02': 75 };
+
+      const params = PhoenixEvaluator.extractPhoenixParameters(product);
+      const analysis = await PhoenixEvaluator.buildObservationSchedule(product, underlyings, params);
+      const [q1, q2, q3, q4] = analysis.observations;
+
+      assert.strictEqual(q1.couponRate, 2);
+      assert.strictEqual(q1.couponPaid, 2);
+      assert.strictEqual(q2.couponRate, 4);
+      assert.strictEqual(q2.couponPaid, 0);
+      assert.strictEqual(q2.memoryCouponAdded, false);
+      assert.strictEqual(q3.couponRate, 6);
+      assert.strictEqual(q3.couponPaid, 6);
+      assert.strictEqual(q4.couponRate, 8);
+      assert.strictEqual(analysis.totalCouponsEarned, 8);
+      assert.strictEqual(analysis.totalMemoryCoupons, 0);
+    });
+
+    it('stores and releases fixed memory coupons for comparison', async function () {
+      const product = buildProduct({
+        structureParams: { couponRate: 2, couponBarrier: 70, protectionBarrierLevel: 60, memoryCoupon: true },
+        schedule: [
+          { observationDate: '2024-04-02' },
+          { observationDate: '2024-07-02' },
+          { observationDate: '2024-10-02' },
+          { observationDate: '2025-01-02' }
+        ]
+      });
+      levels = { '2024-04-02': 80, '2024-07-02': 60, '2024-10-02': 75 };
+
+      const params = PhoenixEvaluator.extractPhoenixParameters(product);
+      const analysis = await PhoenixEvaluator.buildObservationSchedule(product, underlyings, params);
+
+      assert.strictEqual(analysis.observations[1].memoryCouponAdded, true);
+      assert.strictEqual(analysis.totalCouponsEarned, 6);
+      assert.strictEqual(analysis.totalMemoryCoupons, 0);
+    });
+
+    it('uses per-observation coupon barriers and autocall levels (step-down)', async function () {
+      const product = buildProduct({
+        structureParams: { couponRate: 2, couponBarrier: 70, protectionBarrierLevel: 60, autocallBarrierLevel: 100 },
+        schedule: [
+          { observationDate: '2024-04-02', isCallable: true, autocallLevel: 100, couponBarrier: 85 },
+          { observationDate: '2024-07-02', isCallable: true, autocallLevel: 95, couponBarrier: 80 },
+          { observationDate: '2024-10-02', isCallable: true, autocallLevel: 90 },
+          { observationDate: '2025-01-02' }
+        ]
+      });
+      // Q1: 82 is under the 85 coupon barrier; Q2: 96 is over the stepped-down 95 autocall level
+      levels = { '2024-04-02': 82, '2024-07-02': 96 };
+
+      const params = PhoenixEvaluator.extractPhoenixParameters(product);
+      const analysis = await PhoenixEvaluator.buildObservationSchedule(product, underlyings, params);
+      const [q1, q2] = analysis.observations;
+
+      assert.strictEqual(q1.couponBarrier, 85);
+      assert.strictEqual(q1.couponPaid, 0);
+      assert.strictEqual(q1.autocalled, false);
+      assert.strictEqual(q2.couponBarrier, 80);
+      assert.strictEqual(q2.couponPaid, 2);
+      assert.strictEqual(q2.autocalled, true);
+      assert.strictEqual(analysis.isEarlyAutocall, true);
+      assert.strictEqual(analysis.totalCouponsEarned, 2);
+    });
+
+    it('predicts the final redemption from the coupons earned and the geared capital', async function () {
+      const product = buildProduct({
+        structureParams: { couponRate: 2, couponBarrier: 70, protectionBarrierLevel: 60 },
+        schedule: [
+          { observationDate: '2024-04-02' },
+          { observationDate: '2024-07-02' },
+          { observationDate: '2024-10-02' },
+          { observationDate: '2025-01-02', isFinal: true }
+        ]
+      });
+      levels = { '2024-04-02': 80, '2024-07-02': 60, '2024-10-02': 75 };
+
+      const params = PhoenixEvaluator.extractPhoenixParameters(product);
+      const analysis = await PhoenixEvaluator.buildObservationSchedule(product, [{ ...underlyings[0], performance: -46 }], params);
+      const prediction = analysis.nextObservationPrediction;
+
+      // 54% against a 60% barrier: 100 - 6 × 100/60 = 90, plus the 4% of coupons already paid
+      assert.strictEqual(prediction.isFinalObservation, true);
+      assert.strictEqual(prediction.couponsEarned, 4);
+      assert.ok(Math.abs(prediction.capitalReturn - 90) < 1e-9);
+      assert.ok(Math.abs(prediction.redemptionAmount - 94) < 1e-9);
+    });
+  });
+});
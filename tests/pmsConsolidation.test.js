@@ -0,0 +1,132 @@
+/**
+ * Multi-Custodian Consolidation Test Suite
+ *
+ * One position per security across custodians: values at one market FX rate,
+ * unrealized P&L over the custodians that reported a cost, and price / FX
+ * dispersion flags. The rates come from the same EURXXX pairs as the
+ * reporting-currency history.
+ */
+
+import assert from 'assert';
+import { PMSConsolidationHelpers, CONSOLIDATED_PORTFOLIO_CODE } from '../imports/api/pmsConsolidation';
+import { CurrencyCache } from '../imports/api/currencyCache';
+
+const ISIN = 'US0378331005';
+
+// 1 EUR = 1.10 USD, 1 USD = 0.90 CHF (currency -> EUR multipliers)
+const ratesMap = { EUR: 1, USD: 1 / 1.1, CHF: 1 / (0.9 * 1.1) };
+
+const holding = (fields) => ({
+  isin: ISIN,
+  securityName: 'Apple',
+  securityType: 'EQUITY',
+  currency: 'USD',
+  priceType: 'absolute',
+  ...fields
+});
+
+const consolidate = (holdings) => PMSConsolidationHelpers.buildConsolidatedPositions(holdings, {
+  referenceCurrency: 'EUR',
+  ratesMap,
+  consolidationScope: 'entity:e1',
+  snapshotDate: new Date('2025-03-14T00:00:00Z')
+});
+
+describe('PMS consolidation', function () {
+  it('values every custodian at the same market rate', function () {
+    const [position] = consolidate([
+      holding({ bankId: 'b1', bankName: 'Bank One', portfolioCode: 'A', portfolioCurrency: 'EUR', quantity: 10, marketPrice: 220, marketValueOriginalCurrency: 2200, marketValue: 2000, costBasisPortfolioCurrency: 1500 }),
+      holding({ bankId: 'b2', bankName: 'Bank Two', portfolioCode: 'B', portfolioCurrency: 'USD', quantity: 5, marketPrice: 220, marketValueOriginalCurrency: 1100, marketValue: 1100, costBasisOriginalCurrency: 880 })
+    ]);
+
+    assert.strictEqual(position.portfolioCode, CONSOLIDATED_PORTFOLIO_CODE);
+    assert.strictEqual(position.quantity, 15);
+    assert.strictEqual(position.marketValue, 3000);
+    // 1'500 EUR + 880 USD / 1.1
+    assert.strictEqual(position.costBasisPortfolioCurrency, 2300);
+    assert.strictEqual(position.unrealizedPnL, 700);
+    assert.strictEqual(position.hasPartialCostBasis, false);
+    assert.strictEqual(position.custodianCount, 2);
+    assert.strictEqual(position.hasPriceDiscrepancy, false);
+  });
+
+  it('leaves a custodian without cost basis out of both sides of the P&L', function () {
+    const [position] = consolidate([
+      holding({ bankId: 'b1', bankName: 'Bank One', portfolioCode: 'A', portfolioCurrency: 'EUR', quantity: 10, marketPrice: 220, marketValueOriginalCurrency: 2200, marketValue: 2000, costBasisPortfolioCurrency: 1500 }),
+      holding({ bankId: 'b2', bankName: 'Bank Two', portfolioCode: 'B', portfolioCurrency: 'EUR', quantity: 5, marketPrice: 220, marketValueOriginalCurrency: 1100, marketValue: 1000 })
+    ]);
+
+    assert.strictEqual(position.marketValue, 3000);
+    assert.strictEqual(position.costBasisPortfolioCurrency, 1500);
+    assert.strictEqual(position.unrealizedPnL, 500);
+    assert.ok(Math.abs(position.unrealizedPnLPercent - 100 / 3) < 1e-9);
+    assert.strictEqual(position.hasPartialCostBasis, true);
+    assert.deepStrictEqual(position.custodianLines.map(line => line.costBasisReferenceCurrency), [1500, null]);
+  });
+
+  it('treats a cost that cannot be converted as missing', function () {
+    const [position] = consolidate([
+      holding({ bankId: 'b1', portfolioCode: 'A', portfolioCurrency: 'EUR', quantity: 10, marketValueOriginalCurrency: 2200, marketValue: 2000, costBasisPortfolioCurrency: 1500 }),
+      holding({ bankId: 'b2', portfolioCode: 'B', portfolioCurrency: 'SEK', currency: 'SEK', quantity: 5, marketValueOriginalCurrency: 11000, marketValue: 11000, costBasisPortfolioCurrency: 9000 })
+    ]);
+
+    assert.deepStrictEqual(position.missingFxRates, ['SEK']);
+    assert.strictEqual(position.costBasisPortfolioCurrency, 1500);
+    assert.strictEqual(position.hasPartialCostBasis, true);
+  });
+
+  it('gives cash without cost no P&L', function () {
+    const [position] = consolidate([
+      { bankId: 'b1', portfolioCode: 'A', securityName: 'Cash EUR', securityType: 'CASH', currency: 'EUR', portfolioCurrency: 'EUR', quantity: 5000, marketValueOriginalCurrency: 5000, marketValue: 5000 }
+    ]);
+
+    assert.strictEqual(position.unrealizedPnL, 0);
+    assert.strictEqual(position.hasPartialCostBasis, false);
+  });
+
+  it('flags custodian prices that differ beyond the threshold', function () {
+    const [position] = consolidate([
+      holding({ bankId: 'b1', portfolioCode: 'A', portfolioCurrency: 'USD', quantity: 10, marketPrice: 220, marketValueOriginalCurrency: 2200, marketValue: 2200 }),
+      holding({ bankId: 'b2', portfolioCode: 'B', portfolioCurrency: 'USD', quantity: 10, marketPrice: 224.4, marketValueOriginalCurrency: 2244, marketValue: 2244 })
+    ]);
+
+    assert.deepStrictEqual(position.priceDispersion, { min: 220, max: 224.4, spreadPercent: 2, basis: 'marketPrice' });
+    assert.strictEqual(position.hasPriceDiscrepancy, true);
+  });
+
+  describe('CurrencyCache.getConversionRates', function () {
+    const originalRefresh = CurrencyCache.refreshCurrencyRates;
+    let requested;
+
+    beforeEach(function () {
+      CurrencyCache.refreshCurrencyRates = async (pairs) => {
+        requested = pairs;
+        return { rates: new Map([['EURUSD.FOREX', { rate: 1.25 }], ['EURCHF.FOREX', { rate: 0.8 }]]) };
+      };
+    });
+
+    afterEach(function () {
+      CurrencyCache.refreshCurrencyRates = originalRefresh;
+    });
+
+    it('builds the EUR rates map from the EURXXX pairs', async function () {
+      const rates = await CurrencyCache.getConversionRates(['USD', 'EUR', 'CHF', 'SEK', 'USD', null]);
+
+      assert.deepStrictEqual(requested, ['EURUSD.FOREX', 'EURCHF.FOREX', 'EURSEK.FOREX']);
+      assert.deepStrictEqual(rates, { USD: 0.8, CHF: 1.25, EUR: 1 });
+    });
+
+    it('converts a custodian line through EUR and reports the currency it has no rate for', async function () {
+      const rates = await CurrencyCache.getConversionRates(['USD', 'CHF', 'SEK']);
+
+      const [position] = PMSConsolidationHelpers.buildConsolidatedPositions([
+        holding({ bankId: 'b1', portfolioCode: 'A', portfolioCurrency: 'USD', quantity: 10, marketValueOriginalCurrency: 2000, marketValue: 2000 }),
+        holding({ bankId: 'b2', portfolioCode: 'B', portfolioCurrency: 'SEK', quantity: 5, marketValue: 11000, costBasisPortfolioCurrency: 9000 })
+      ], { referenceCurrency: 'CHF', ratesMap: rates, consolidationScope: 'entity:e1', snapshotDate: new Date('2025-03-14T00:00:00Z') });
+
+      // 2'000 USD = 1'600 EUR = 1'280 CHF; the SEK line without a USD value falls back to its bank value
+      assert.strictEqual(position.custodianLines[0].marketValueReferenceCurrency, 1280);
+      assert.deepStrictEqual(position.missingFxRates, ['SEK']);
+    });
+  });
+});
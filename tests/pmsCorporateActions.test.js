@@ -0,0 +1,316 @@
+/**
+ * Corporate Actions Test Suite
+ *
+ * Known-answer post-event lines per event type (quantity factor and cost basis
+ * carried through the event), the cost basis correction of parsed positions,
+ * the roll-forward used by reconciliation, ratio detection from bank
+ * operations and the holdings as of a day the events are applied to.
+ */
+
+import assert from 'assert';
+import {
+  PMSCorporateActionHelpers,
+  PMSCorporateActionsCollection,
+  CORPORATE_ACTION_STATUS,
+  MERGER_ELECTIONS
+} from '../imports/api/pmsCorporateActions';
+import { PMSHoldingsHelpers, PMSHoldingsCollection } from '../imports/api/pmsHoldings';
+import { PMSOperationsCollection } from '../imports/api/pmsOperations';
+import { CORPORATE_ACTION_TYPES } from '../imports/api/constants/operationTypes';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const PARENT = 'CH0000000001';
+const CHILD = 'CH0000000002';
+
+// 100 units bought for 10'000 (9'000 in portfolio currency)
+const pre = { quantity: 100, costBasisOriginalCurrency: 10000, costBasisPortfolioCurrency: 9000 };
+
+const event = (fields) => ({ isin: PARENT, effectiveDate: new Date('2025-03-14T00:00:00Z'), ...fields });
+
+describe('Corporate actions', function () {
+  describe('isComplete', function () {
+    it('requires the terms of each event type', function () {
+      const { isComplete } = PMSCorporateActionHelpers;
+      assert.strictEqual(isComplete(event({ type: CORPORATE_ACTION_TYPES.SPLIT, ratio: 2 })), true);
+      assert.strictEqual(isComplete(event({ type: CORPORATE_ACTION_TYPES.SPLIT })), false);
+      assert.strictEqual(isComplete(event({ type: CORPORATE_ACTION_TYPES.ISIN_CHANGE, ratio: 1 })), false);
+      assert.strictEqual(isComplete(event({ type: CORPORATE_ACTION_TYPES.SPIN_OFF, newIsin: CHILD, ratio: 0.5 })), false);
+      assert.strictEqual(isComplete(event({ type: CORPORATE_ACTION_TYPES.SPIN_OFF, newIsin: CHILD, ratio: 0.5, costAllocation: 0.2 })), true);
+      assert.strictEqual(isComplete(event({ type: CORPORATE_ACTION_TYPES.MERGER, election: MERGER_ELECTIONS.CASH, cashPerShare: 55 })), true);
+      assert.strictEqual(isComplete(event({
+        type: CORPORATE_ACTION_TYPES.MERGER, election: MERGER_ELECTIONS.MIXED, newIsin: CHILD, ratio: 1.5, cashPerShare: 55, stockFraction: 1
+      })), false);
+    });
+  });
+
+  describe('getPostEventLines', function () {
+    const lines = (fields) => PMSCorporateActionHelpers.getPostEventLines(event(fields), pre);
+
+    it('restates quantity and keeps total cost on splits and scrip dividends', function () {
+      const split = lines({ type: CORPORATE_ACTION_TYPES.SPLIT, ratio: 2 });
+      assert.deepStrictEqual(split.lines, [{
+        isin: PARENT, role: 'continuing', quantity: 200, costBasisOriginalCurrency: 10000, costBasisPortfolioCurrency: 9000
+      }]);
+      assert.strictEqual(split.cashProceeds, 0);
+
+      close(lines({ type: CORPORATE_ACTION_TYPES.REVERSE_SPLIT, ratio: 0.1 }).lines[0].quantity, 10);
+      close(lines({ type: CORPORATE_ACTION_TYPES.SCRIP_DIVIDEND, ratio: 0.02 }).lines[0].quantity, 102);
+    });
+
+    it('moves the allocated cost to the spun-off security', function () {
+      const { lines: [parent, child] } = lines({ type: CORPORATE_ACTION_TYPES.SPIN_OFF, newIsin: CHILD, ratio: 0.25, costAllocation: 0.2 });
+
+      assert.strictEqual(parent.quantity, 100);
+      close(parent.costBasisOriginalCurrency, 8000);
+      close(parent.costBasisPortfolioCurrency, 7200);
+      assert.strictEqual(child.isin, CHILD);
+      assert.strictEqual(child.role, 'distributed');
+      assert.strictEqual(child.quantity, 25);
+      close(child.costBasisOriginalCurrency, 2000);
+    });
+
+    it('realizes the cash leg of a mixed merger', function () {
+      const result = lines({
+        type: CORPORATE_ACTION_TYPES.MERGER,
+        election: MERGER_ELECTIONS.MIXED,
+        newIsin: CHILD,
+        ratio: 1.5,
+        stockFraction: 0.6,
+        cashPerShare: 50
+      });
+
+      assert.strictEqual(result.lines.length, 1);
+      close(result.lines[0].quantity, 90);
+      close(result.lines[0].costBasisOriginalCurrency, 6000);
+      close(result.cashProceeds, 2000);
+      close(result.realizedCostBasisOriginalCurrency, 4000);
+      close(result.realizedCostBasisPortfolioCurrency, 3600);
+      close(PMSCorporateActionHelpers.getQuantityFactor(event({
+        type: CORPORATE_ACTION_TYPES.MERGER, election: MERGER_ELECTIONS.MIXED, ratio: 1.5, stockFraction: 0.6
+      })), 0.9);
+    });
+
+    it('retires the whole position on a cash merger', function () {
+      const result = lines({ type: CORPORATE_ACTION_TYPES.MERGER, election: MERGER_ELECTIONS.CASH, cashPerShare: 120 });
+
+      assert.deepStrictEqual(result.lines, []);
+      assert.strictEqual(result.cashProceeds, 12000);
+      assert.strictEqual(result.realizedCostBasisOriginalCurrency, 10000);
+    });
+  });
+
+  describe('adjustPosition', function () {
+    const index = new Map([[`bank-1|P-1|${PARENT}`, [{
+      eventId: 'ca-1',
+      type: CORPORATE_ACTION_TYPES.SPLIT,
+      effectiveDate: new Date('2025-03-14T00:00:00Z'),
+      isin: PARENT,
+      quantity: 200,
+      costBasisOriginalCurrency: 10000,
+      costBasisPortfolioCurrency: 9000
+    }]]]);
+
+    const position = (fields) => ({
+      bankId: 'bank-1',
+      portfolioCode: 'P-1',
+      isin: PARENT,
+      dataDate: new Date('2025-03-17T00:00:00Z'),
+      quantity: 200,
+      marketValue: 11000,
+      ...fields
+    });
+
+    it('restores the carried cost when the bank reports the pre-split cost price', function () {
+      // Bank kept the 100 cost price against 200 units: 20'000
+      const adjusted = PMSCorporateActionHelpers.adjustPosition(
+        position({ costPrice: 100, costBasisOriginalCurrency: 20000, costBasisPortfolioCurrency: 18000 }),
+        index
+      );
+
+      assert.strictEqual(adjusted.costBasisOriginalCurrency, 10000);
+      assert.strictEqual(adjusted.costBasisPortfolioCurrency, 9000);
+      assert.strictEqual(adjusted.costPrice, 50);
+      assert.strictEqual(adjusted.unrealizedPnL, 2000);
+      close(adjusted.unrealizedPnLPercent, 2000 / 9000 * 100);
+      assert.strictEqual(adjusted.corporateActionAdjustment.costBasisOriginalCurrency, 20000);
+    });
+
+    it('keeps the bank figures once traded or when they already agree', function () {
+      const traded = PMSCorporateActionHelpers.adjustPosition(position({ quantity: 250, costBasisOriginalCurrency: 20000 }), index);
+      assert.strictEqual(traded.costBasisOriginalCurrency, 20000);
+
+      const agreeing = PMSCorporateActionHelpers.adjustPosition(position({ costBasisOriginalCurrency: 10050 }), index);
+      assert.strictEqual(agreeing.costBasisOriginalCurrency, 10050);
+      assert.strictEqual(agreeing.corporateActionAdjustment, undefined);
+
+      const beforeEvent = PMSCorporateActionHelpers.adjustPosition(
+        position({ dataDate: new Date('2025-03-13T00:00:00Z'), costBasisOriginalCurrency: 20000 }),
+        index
+      );
+      assert.strictEqual(beforeEvent.costBasisOriginalCurrency, 20000);
+    });
+  });
+
+  describe('with stored events and operations', function () {
+    const original = {
+      find: PMSCorporateActionsCollection.find,
+      findOneAsync: PMSCorporateActionsCollection.findOneAsync,
+      operationsFind: PMSOperationsCollection.find,
+      getHoldingsAsOf: PMSHoldingsHelpers.getHoldingsAsOf,
+      recordEvent: PMSCorporateActionHelpers.recordEvent,
+      applyEvent: PMSCorporateActionHelpers.applyEvent
+    };
+    let events;
+
+    beforeEach(function () {
+      events = [];
+      PMSCorporateActionsCollection.find = () => ({ fetchAsync: async () => events });
+      PMSCorporateActionsCollection.findOneAsync = async (id) => events.find(e => e._id === id);
+    });
+
+    afterEach(function () {
+      PMSCorporateActionsCollection.find = original.find;
+      PMSCorporateActionsCollection.findOneAsync = original.findOneAsync;
+      PMSOperationsCollection.find = original.operationsFind;
+      PMSHoldingsHelpers.getHoldingsAsOf = original.getHoldingsAsOf;
+      PMSCorporateActionHelpers.recordEvent = original.recordEvent;
+      PMSCorporateActionHelpers.applyEvent = original.applyEvent;
+    });
+
+    it('rolls holdings forward across an applied spin-off in scope', async function () {
+      events = [event({
+        _id: 'ca-1',
+        type: CORPORATE_ACTION_TYPES.SPIN_OFF,
+        newIsin: CHILD,
+        newSecurityName: 'Child AG',
+        ratio: 0.25,
+        costAllocation: 0.2,
+        status: CORPORATE_ACTION_STATUS.APPLIED,
+        adjustments: [{ bankId: 'bank-1', portfolioCode: 'P-1' }]
+      })];
+      const holdings = [
+        { bankId: 'bank-1', portfolioCode: 'P-1', isin: PARENT, securityName: 'Parent AG', quantity: 100 },
+        { bankId: 'bank-1', portfolioCode: 'P-2', isin: PARENT, securityName: 'Parent AG', quantity: 40 }
+      ];
+
+      const { holdings: rolled } = await PMSCorporateActionHelpers.rollForwardHoldings(holdings, {
+        fromDate: new Date('2025-03-13T00:00:00Z'),
+        toDate: new Date('2025-03-14T00:00:00Z'),
+        bankId: 'bank-1'
+      });
+
+      assert.deepStrictEqual(rolled.map(h => [h.portfolioCode, h.isin, h.quantity, h.securityName]), [
+        ['P-1', PARENT, 100, 'Parent AG'],
+        ['P-1', CHILD, 25, 'Child AG'],
+        ['P-2', PARENT, 40, 'Parent AG']
+      ]);
+      assert.strictEqual(holdings.length, 2);
+    });
+
+    it('leaves consolidated copies out of the roll-forward', async function () {
+      events = [event({
+        _id: 'ca-1',
+        type: CORPORATE_ACTION_TYPES.SPLIT,
+        ratio: 2,
+        status: CORPORATE_ACTION_STATUS.APPLIED,
+        adjustments: [{ bankId: 'bank-1', portfolioCode: 'P-1' }]
+      })];
+      const holdings = [
+        { bankId: 'bank-1', portfolioCode: 'P-1', isin: PARENT, quantity: 100 },
+        { bankId: 'bank-1', portfolioCode: 'CONSOLIDATED', isin: PARENT, quantity: 140 }
+      ];
+
+      const { holdings: rolled } = await PMSCorporateActionHelpers.rollForwardHoldings(holdings, {
+        fromDate: new Date('2025-03-13T00:00:00Z'),
+        toDate: new Date('2025-03-14T00:00:00Z'),
+        bankId: 'bank-1'
+      });
+
+      assert.deepStrictEqual(rolled.map(h => [h.portfolioCode, h.quantity]), [['P-1', 200]]);
+    });
+
+    it('derives a split ratio from the booked quantity delta and applies it', async function () {
+      const recorded = [];
+      const applied = [];
+      PMSOperationsCollection.find = () => ({
+        fetchAsync: async () => [{
+          _id: 'op-1',
+          bankId: 'bank-1',
+          portfolioCode: 'P-1',
+          isin: PARENT,
+          securityName: 'Parent AG',
+          operationType: 'CORPORATE_ACTION',
+          corporateActionType: CORPORATE_ACTION_TYPES.SPLIT,
+          quantity: 300,
+          operationDate: new Date('2025-03-14T09:30:00Z')
+        }]
+      });
+      PMSHoldingsHelpers.getHoldingsAsOf = async () => [{ quantity: 100 }];
+      PMSCorporateActionHelpers.recordEvent = async (data) => {
+        recorded.push(data);
+        events.push({ ...data, _id: 'ca-new', status: CORPORATE_ACTION_STATUS.DETECTED });
+        return { _id: 'ca-new', isNew: true };
+      };
+      PMSCorporateActionHelpers.applyEvent = async (id) => { applied.push(id); };
+
+      const result = await PMSCorporateActionHelpers.detectFromOperations({ bankId: 'bank-1' });
+
+      assert.deepStrictEqual(result, { detected: 1, applied: 1 });
+      assert.strictEqual(recorded[0].ratio, 4);
+      assert.deepStrictEqual(recorded[0].effectiveDate, new Date('2025-03-14T00:00:00Z'));
+      assert.deepStrictEqual(recorded[0].operationIds, ['op-1']);
+      assert.deepStrictEqual(applied, ['ca-new']);
+    });
+  });
+
+  describe('PMSHoldingsHelpers.getHoldingsAsOf', function () {
+    const original = {
+      rawCollection: PMSHoldingsCollection.rawCollection,
+      find: PMSHoldingsCollection.find
+    };
+    const version = (uniqueKey, portfolioCode, quantity) => ({
+      _id: `${uniqueKey}-v1`,
+      uniqueKey,
+      bankId: 'bank-1',
+      portfolioCode,
+      isin: PARENT,
+      quantity,
+      snapshotDate: new Date('2025-03-13T00:00:00Z'),
+      isActive: true
+    });
+    const versions = [version('k-1', 'P-1', 100), version('k-2', 'P-2', 40), version('k-3', 'CONSOLIDATED', 140)];
+
+    // Equality and $ne on the $match fields, one version per key
+    const matches = (doc, match) => Object.entries(match).every(([field, condition]) => {
+      if (field === 'snapshotDate') return doc.snapshotDate < condition.$lt;
+      if (condition && condition.$ne !== undefined) return doc[field] !== condition.$ne;
+      return doc[field] === condition;
+    });
+
+    beforeEach(function () {
+      PMSHoldingsCollection.rawCollection = () => ({
+        aggregate: ([{ $match }]) => ({
+          toArray: async () => versions.filter(v => matches(v, $match)).map(v => ({ ...v, _id: v.uniqueKey, holdingId: v._id }))
+        })
+      });
+      PMSHoldingsCollection.find = () => ({ fetchAsync: async () => [] });
+    });
+
+    afterEach(function () {
+      PMSHoldingsCollection.rawCollection = original.rawCollection;
+      PMSHoldingsCollection.find = original.find;
+    });
+
+    it('leaves consolidated copies out unless asked for', async function () {
+      const date = new Date('2025-03-13T00:00:00Z');
+
+      const holdings = await PMSHoldingsHelpers.getHoldingsAsOf({ date, bankId: 'bank-1', isin: PARENT });
+      assert.deepStrictEqual(holdings.map(h => [h.portfolioCode, h.quantity]), [['P-1', 100], ['P-2', 40]]);
+
+      const consolidated = await PMSHoldingsHelpers.getHoldingsAsOf({ date, portfolioCode: 'CONSOLIDATED' });
+      assert.deepStrictEqual(consolidated.map(h => h.uniqueKey), ['k-3']);
+    });
+  });
+});
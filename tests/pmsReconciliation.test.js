@@ -0,0 +1,256 @@
+/**
+ * PMS Reconciliation Test Suite
+ *
+ * Yesterday's positions rolled forward with the day's operations and compared
+ * with today's file: security and cash breaks, the sign conventions per
+ * operation type, the break diagnosis and the portfolios reconciled per bank.
+ */
+
+import assert from 'assert';
+import {
+  PMSReconciliationHelpers,
+  PMSReconciliationsCollection,
+  RECONCILIATION_STATUS,
+  BREAK_DIAGNOSIS
+} from '../imports/api/pmsReconciliations';
+import { PMSHoldingsHelpers, PMSHoldingsCollection } from '../imports/api/pmsHoldings';
+import { PMSOperationsCollection } from '../imports/api/pmsOperations';
+import { PMSCorporateActionHelpers, PMSCorporateActionsCollection } from '../imports/api/pmsCorporateActions';
+
+const ISIN = 'CH0012032048';
+const PREVIOUS_DATE = new Date('2025-03-13T00:00:00Z');
+const POSITION_DATE = new Date('2025-03-14T00:00:00Z');
+const DAY_END = new Date('2025-03-15T00:00:00Z');
+
+const security = (quantity, overrides = {}) => ({
+  portfolioCode: 'P-1',
+  isin: ISIN,
+  securityName: 'Roche',
+  securityType: 'EQUITY',
+  currency: 'CHF',
+  quantity,
+  marketValueOriginalCurrency: quantity * 250,
+  ...overrides
+});
+
+const cash = (amount, currency = 'CHF') => ({
+  portfolioCode: 'P-1',
+  isin: null,
+  securityType: 'CASH',
+  currency,
+  quantity: amount,
+  marketValueOriginalCurrency: amount
+});
+
+const operation = (fields) => ({
+  portfolioCode: 'P-1',
+  currency: 'CHF',
+  operationDate: new Date('2025-03-14T00:00:00Z'),
+  ...fields
+});
+
+const reconcile = ({ previous, current, operations = [], later = [] }) =>
+  PMSReconciliationHelpers.reconcilePortfolio({
+    previousHoldings: previous,
+    currentHoldings: current,
+    operations,
+    laterOperations: later,
+    duplicateSignatures: new Set(),
+    dayEnd: DAY_END
+  });
+
+describe('PMS reconciliation', function () {
+  describe('reconcilePortfolio', function () {
+    it('matches a purchase booked with an unsigned cash amount', function () {
+      const result = reconcile({
+        previous: [security(100), cash(50000)],
+        current: [security(150), cash(37450)],
+        operations: [operation({ _id: 'o1', isin: ISIN, operationType: 'BUY', quantity: 50, netAmount: 12550 })]
+      });
+
+      assert.deepStrictEqual(result.breaks, []);
+      assert.strictEqual(result.securitiesChecked, 1);
+      assert.strictEqual(result.cashAccountsChecked, 1);
+    });
+
+    it('keeps the reported sign for types without a fixed direction', function () {
+      const result = reconcile({
+        previous: [cash(1000)],
+        current: [cash(900)],
+        operations: [operation({ operationType: 'OTHER', netAmount: -100 })]
+      });
+
+      assert.deepStrictEqual(result.breaks, []);
+    });
+
+    it('ignores security deliveries on the cash side and tolerates rounding', function () {
+      const result = reconcile({
+        previous: [security(100), cash(1000)],
+        current: [security(120), cash(1000.4)],
+        operations: [operation({ isin: ISIN, operationType: 'TRANSFER_IN', quantity: 20, netAmount: 5000 })]
+      });
+
+      assert.deepStrictEqual(result.breaks, []);
+    });
+
+    it('reports a position move without an operation as a missing operation', function () {
+      const { breaks } = reconcile({
+        previous: [security(100)],
+        current: [security(80)]
+      });
+
+      assert.strictEqual(breaks.length, 1);
+      const [positionBreak] = breaks;
+      assert.strictEqual(positionBreak.kind, 'security');
+      assert.strictEqual(positionBreak.expectedQuantity, 100);
+      assert.strictEqual(positionBreak.actualQuantity, 80);
+      assert.strictEqual(positionBreak.quantityDiff, -20);
+      assert.strictEqual(positionBreak.cashDiff, -5000);
+      assert.strictEqual(positionBreak.diagnosis, BREAK_DIAGNOSIS.MISSING_OPERATION);
+    });
+
+    it('diagnoses a sale the bank already applied but dated after the position date', function () {
+      const { breaks } = reconcile({
+        previous: [security(100)],
+        current: [security(70)],
+        later: [operation({ isin: ISIN, operationType: 'SELL', quantity: 30, operationDate: new Date('2025-03-17T00:00:00Z') })]
+      });
+
+      assert.strictEqual(breaks[0].diagnosis, BREAK_DIAGNOSIS.BOOKED_LATER);
+    });
+
+    it('diagnoses a purchase whose value date is after the position date', function () {
+      const { breaks } = reconcile({
+        previous: [security(100)],
+        current: [security(100)],
+        operations: [operation({ isin: ISIN, operationType: 'BUY', quantity: 25, valueDate: new Date('2025-03-18T00:00:00Z') })]
+      });
+
+      assert.strictEqual(breaks[0].quantityDiff, -25);
+      assert.strictEqual(breaks[0].diagnosis, BREAK_DIAGNOSIS.NOT_YET_SETTLED);
+    });
+
+    it('reports a cash break per currency with the contributing operations', function () {
+      const { breaks } = reconcile({
+        previous: [cash(10000), cash(5000, 'EUR')],
+        current: [cash(10380), cash(5000, 'EUR')],
+        operations: [
+          operation({ _id: 'd1', operationCode: 'DIV1', isin: ISIN, operationType: 'DIVIDEND', netAmount: 455 }),
+          operation({ _id: 'f1', operationCode: 'FEE1', operationType: 'FEE', netAmount: 35 })
+        ]
+      });
+
+      assert.strictEqual(breaks.length, 1);
+      assert.strictEqual(breaks[0].kind, 'cash');
+      assert.strictEqual(breaks[0].currency, 'CHF');
+      assert.strictEqual(breaks[0].expectedQuantity, 10420);
+      assert.strictEqual(breaks[0].cashDiff, -40);
+      assert.strictEqual(breaks[0].diagnosis, BREAK_DIAGNOSIS.UNEXPLAINED);
+      assert.deepStrictEqual(breaks[0].operations.map(op => [op.operationCode, op.effect]), [['DIV1', 455], ['FEE1', -35]]);
+    });
+  });
+
+  describe('reconcileBank', function () {
+    const original = {
+      getPositionDate: PMSReconciliationHelpers.getPositionDate,
+      getHoldingsAsOf: PMSHoldingsHelpers.getHoldingsAsOf,
+      rollForwardHoldings: PMSCorporateActionHelpers.rollForwardHoldings,
+      find: PMSOperationsCollection.find,
+      upsertAsync: PMSReconciliationsCollection.upsertAsync
+    };
+    let holdings;
+    let operations;
+    let saved;
+
+    beforeEach(function () {
+      saved = [];
+      PMSReconciliationHelpers.getPositionDate = async (bankId, { before } = {}) => (before ? PREVIOUS_DATE : POSITION_DATE);
+      PMSHoldingsHelpers.getHoldingsAsOf = async ({ date }) => holdings[date.getTime() === PREVIOUS_DATE.getTime() ? 'previous' : 'current'];
+      PMSCorporateActionHelpers.rollForwardHoldings = async (previous) => ({ holdings: previous, events: [] });
+      PMSOperationsCollection.find = (query) => ({
+        fetchAsync: async () => operations.filter(op => op.operationDate >= query.operationDate.$gte && op.operationDate < query.operationDate.$lt)
+      });
+      PMSReconciliationsCollection.upsertAsync = async (selector, modifier) => {
+        saved.push({ ...selector, ...modifier.$set });
+      };
+    });
+
+    afterEach(function () {
+      PMSReconciliationHelpers.getPositionDate = original.getPositionDate;
+      PMSHoldingsHelpers.getHoldingsAsOf = original.getHoldingsAsOf;
+      PMSCorporateActionHelpers.rollForwardHoldings = original.rollForwardHoldings;
+      PMSOperationsCollection.find = original.find;
+      PMSReconciliationsCollection.upsertAsync = original.upsertAsync;
+    });
+
+    it('flags the same purchase booked twice under different codes', async function () {
+      holdings = {
+        previous: [security(100, { bankName: 'Test Bank' })],
+        current: [security(110, { bankName: 'Test Bank' }), security(5, { portfolioCode: 'P-2', bankName: 'Test Bank' })]
+      };
+      operations = [
+        operation({ operationCode: 'A1', isin: ISIN, operationType: 'BUY', quantity: 10, netAmount: 2500 }),
+        operation({ operationCode: 'A2', isin: ISIN, operationType: 'BUY', quantity: 10, netAmount: 2500 })
+      ];
+
+      const summary = await PMSReconciliationHelpers.reconcileBank({ bankId: 'bank-1' });
+
+      assert.strictEqual(summary.portfolios, 2);
+      assert.strictEqual(summary.portfoliosWithBreaks, 1);
+      assert.deepStrictEqual(summary.previousDate, PREVIOUS_DATE);
+
+      const p1 = saved.find(r => r.portfolioCode === 'P-1');
+      assert.strictEqual(p1.status, RECONCILIATION_STATUS.BREAKS);
+      assert.strictEqual(p1.breaks[0].quantityDiff, -10);
+      assert.strictEqual(p1.breaks[0].diagnosis, BREAK_DIAGNOSIS.DUPLICATE_OPERATION);
+      assert.strictEqual(saved.find(r => r.portfolioCode === 'P-2').status, RECONCILIATION_STATUS.NO_BASELINE);
+    });
+
+    it('does not reconcile the consolidated copies of the bank lines', async function () {
+      const originalCollection = {
+        rawCollection: PMSHoldingsCollection.rawCollection,
+        find: PMSHoldingsCollection.find,
+        corporateActionsFind: PMSCorporateActionsCollection.find
+      };
+      // The consolidated line keeps the bankId of its first source and also moves with another bank's purchase
+      const versions = [
+        { ...security(100), uniqueKey: 'k-1', bankId: 'bank-1', snapshotDate: PREVIOUS_DATE },
+        { ...security(110), uniqueKey: 'k-1', bankId: 'bank-1', snapshotDate: POSITION_DATE },
+        { ...security(150, { portfolioCode: 'CONSOLIDATED' }), uniqueKey: 'k-2', bankId: 'bank-1', snapshotDate: PREVIOUS_DATE },
+        { ...security(170, { portfolioCode: 'CONSOLIDATED' }), uniqueKey: 'k-2', bankId: 'bank-1', snapshotDate: POSITION_DATE }
+      ];
+      operations = [operation({ operationCode: 'A1', isin: ISIN, operationType: 'BUY', quantity: 10, netAmount: 2500 })];
+
+      PMSHoldingsHelpers.getHoldingsAsOf = original.getHoldingsAsOf;
+      PMSCorporateActionHelpers.rollForwardHoldings = original.rollForwardHoldings;
+      PMSCorporateActionsCollection.find = () => ({ fetchAsync: async () => [] });
+      PMSHoldingsCollection.find = () => ({ fetchAsync: async () => [] });
+      // Latest version per key within the $match (bankId, portfolioCode $ne and snapshotDate $lt)
+      PMSHoldingsCollection.rawCollection = () => ({
+        aggregate: ([{ $match }]) => ({
+          toArray: async () => {
+            const latest = new Map();
+            versions
+              .filter(v => v.bankId === $match.bankId
+                && v.portfolioCode !== $match.portfolioCode.$ne
+                && v.snapshotDate < $match.snapshotDate.$lt)
+              .forEach(v => latest.set(v.uniqueKey, { ...v, _id: v.uniqueKey }));
+            return Array.from(latest.values());
+          }
+        })
+      });
+
+      try {
+        const summary = await PMSReconciliationHelpers.reconcileBank({ bankId: 'bank-1' });
+
+        assert.strictEqual(summary.portfolios, 1);
+        assert.strictEqual(summary.breaks, 0);
+        assert.deepStrictEqual(saved.map(r => [r.portfolioCode, r.status]), [['P-1', RECONCILIATION_STATUS.MATCHED]]);
+      } finally {
+        PMSHoldingsCollection.rawCollection = originalCollection.rawCollection;
+        PMSHoldingsCollection.find = originalCollection.find;
+        PMSCorporateActionsCollection.find = originalCollection.corporateActionsFind;
+      }
+    });
+  });
+});
@@ -0,0 +1,301 @@
+/**
+ * Tax Lot Ledger Test Suite
+ *
+ * Golden operation histories replayed through PMSTaxLotHelpers.rebuild with
+ * the collections kept in memory: FIFO and weighted average disposals, fees,
+ * transfers between two accounts of the client, opening lots at the bank's
+ * cost, a split, the ledger figures stamped on the current holdings and the
+ * consolidated copies left out.
+ */
+
+import assert from 'assert';
+import {
+  PMSTaxLotHelpers,
+  PMSTaxLotsCollection,
+  PMSRealizedGainsCollection,
+  COST_BASIS_METHODS,
+  LOT_SOURCES,
+  COST_SOURCES
+} from '../imports/api/pmsTaxLots';
+import { PMSHoldingsCollection } from '../imports/api/pmsHoldings';
+import { PMSOperationsCollection } from '../imports/api/pmsOperations';
+import { BankAccountsCollection } from '../imports/api/bankAccounts';
+import { PMSCorporateActionsCollection, CORPORATE_ACTION_STATUS } from '../imports/api/pmsCorporateActions';
+import { CORPORATE_ACTION_TYPES } from '../imports/api/constants/operationTypes';
+
+const ISIN = 'CH0012032048';
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+const trade = (_id, date, operationType, quantity, fields = {}) => ({
+  _id,
+  entityId: 'entity-1',
+  bankId: 'bank-1',
+  portfolioCode: '1001-1',
+  isin: ISIN,
+  securityName: 'Roche',
+  currency: 'CHF',
+  operationType,
+  operationDate: day(date),
+  quantity,
+  ...fields
+});
+
+// Two purchases with fees, then a sale spanning both lots
+const TRADES = [
+  trade('b1', '2024-01-10', 'BUY', 100, { grossAmount: 10000, totalFees: 50 }),
+  trade('b2', '2024-03-05', 'BUY', 50, { grossAmount: 6000, totalFees: 25 }),
+  trade('s1', '2024-06-20', 'SELL', -120, { grossAmount: 15600, totalFees: 60 })
+];
+
+const HOLDING = {
+  _id: 'h1',
+  entityId: 'entity-1',
+  bankId: 'bank-1',
+  portfolioCode: '1001-1',
+  uniqueKey: 'h1-key',
+  isin: ISIN,
+  securityName: 'Roche',
+  currency: 'CHF',
+  quantity: 30,
+  marketValueOriginalCurrency: 4000,
+  costBasisOriginalCurrency: 3000
+};
+
+describe('Tax lot ledger', function () {
+  const original = {
+    accountsFind: BankAccountsCollection.find,
+    operationsFind: PMSOperationsCollection.find,
+    holdingsFind: PMSHoldingsCollection.find,
+    holdingsFindOne: PMSHoldingsCollection.findOneAsync,
+    holdingsRaw: PMSHoldingsCollection.rawCollection,
+    holdingsUpdate: PMSHoldingsCollection.updateAsync,
+    eventsFind: PMSCorporateActionsCollection.find,
+    lotsRemove: PMSTaxLotsCollection.removeAsync,
+    lotsRaw: PMSTaxLotsCollection.rawCollection,
+    gainsRemove: PMSRealizedGainsCollection.removeAsync,
+    gainsRaw: PMSRealizedGainsCollection.rawCollection
+  };
+
+  let fixture;
+  let stored;
+
+  // Replay a fixture; returns the stored lots, gains and holding updates
+  const rebuild = async ({ operations = [], holdings = [], events = [], accounts = [], bankHoldings = [] }) => {
+    fixture = { operations, holdings, events, accounts, bankHoldings };
+    await PMSTaxLotHelpers.rebuild({ entityId: 'entity-1' });
+    return stored;
+  };
+
+  beforeEach(function () {
+    stored = { lots: [], gains: [], holdingUpdates: {} };
+    const cursor = (items) => ({ fetchAsync: async () => items });
+
+    BankAccountsCollection.find = () => cursor(fixture.accounts);
+    PMSOperationsCollection.find = () => cursor([...fixture.operations].sort((a, b) => a.operationDate - b.operationDate));
+    PMSHoldingsCollection.find = (query) => cursor(fixture.holdings.filter(h => h.portfolioCode !== query.portfolioCode?.$ne));
+    PMSCorporateActionsCollection.find = () => cursor(fixture.events);
+
+    // Bank cost snapshots, for opening lots and transfers without an amount
+    PMSHoldingsCollection.findOneAsync = async (query, options) => {
+      const matches = fixture.bankHoldings
+        .filter(h => h.bankId === query.bankId && h.portfolioCode === query.portfolioCode && h.isin === query.isin)
+        .filter(h => (query.snapshotDate.$lte ? h.snapshotDate <= query.snapshotDate.$lte : h.snapshotDate >= query.snapshotDate.$gte))
+        .sort((a, b) => (a.snapshotDate - b.snapshotDate) * options.sort.snapshotDate);
+      return matches[0];
+    };
+    PMSHoldingsCollection.rawCollection = () => ({ aggregate: () => ({ toArray: async () => [] }) });
+    PMSHoldingsCollection.updateAsync = async (id, { $set }) => { stored.holdingUpdates[id] = $set; };
+
+    PMSTaxLotsCollection.removeAsync = async () => 0;
+    PMSRealizedGainsCollection.removeAsync = async () => 0;
+    PMSTaxLotsCollection.rawCollection = () => ({ insertMany: async (docs) => { stored.lots = docs; } });
+    PMSRealizedGainsCollection.rawCollection = () => ({ insertMany: async (docs) => { stored.gains = docs; } });
+  });
+
+  afterEach(function () {
+    BankAccountsCollection.find = original.accountsFind;
+    PMSOperationsCollection.find = original.operationsFind;
+    PMSHoldingsCollection.find = original.holdingsFind;
+    PMSHoldingsCollection.findOneAsync = original.holdingsFindOne;
+    PMSHoldingsCollection.rawCollection = original.holdingsRaw;
+    PMSHoldingsCollection.updateAsync = original.holdingsUpdate;
+    PMSCorporateActionsCollection.find = original.eventsFind;
+    PMSTaxLotsCollection.removeAsync = original.lotsRemove;
+    PMSTaxLotsCollection.rawCollection = original.lotsRaw;
+    PMSRealizedGainsCollection.removeAsync = original.gainsRemove;
+    PMSRealizedGainsCollection.rawCollection = original.gainsRaw;
+  });
+
+  describe('FIFO', function () {
+    it('consumes the oldest lots first, with fees in cost and proceeds', async function () {
+      const { gains, lots, holdingUpdates } = await rebuild({ operations: TRADES, holdings: [HOLDING] });
+
+      assert.strictEqual(gains.length, 1);
+      const [gain] = gains;
+      // Cost 10'050 (all of lot 1) + 20/50 of 6'025; proceeds 15'600 - 60
+      assert.strictEqual(gain.method, COST_BASIS_METHODS.FIFO);
+      assert.strictEqual(gain.accountNumber, '1001');
+      assert.strictEqual(gain.taxYear, 2024);
+      assert.strictEqual(gain.quantity, 120);
+      assert.strictEqual(gain.proceeds, 15540);
+      assert.strictEqual(gain.costBasis, 12460);
+      assert.strictEqual(gain.realizedPnL, 3080);
+      assert.strictEqual(gain.realizedPnLPercent, 24.72);
+      assert.deepStrictEqual(gain.firstAcquisitionDate, day('2024-01-10'));
+      // (100 × 162 + 20 × 107) / 120 days
+      assert.strictEqual(gain.holdingDays, 153);
+      assert.deepStrictEqual(gain.lots.map(l => [l.quantity, l.cost]), [[100, 10050], [20, 2410]]);
+      assert.strictEqual(gain.hasEstimatedCost, false);
+
+      const open = lots.filter(l => l.isOpen);
+      assert.deepStrictEqual(open.map(l => [l.quantity, l.cost, l.source]), [[30, 3615, LOT_SOURCES.PURCHASE]]);
+      assert.strictEqual(lots.filter(l => !l.isOpen).length, 1);
+
+      assert.deepStrictEqual(holdingUpdates.h1, {
+        ledgerCostMethod: COST_BASIS_METHODS.FIFO,
+        ledgerCostBasisOriginalCurrency: 3615,
+        ledgerUnrealizedPnLOriginalCurrency: 385,
+        ledgerUnrealizedPnLPercent: 10.65,
+        ledgerQuantityMatches: true,
+        ledgerHasEstimatedCost: false,
+        ledgerUpdatedAt: holdingUpdates.h1.ledgerUpdatedAt
+      });
+    });
+  });
+
+  describe('weighted average', function () {
+    it('pools the lots of an account set to weighted average', async function () {
+      const { gains, lots, holdingUpdates } = await rebuild({
+        operations: TRADES,
+        holdings: [HOLDING],
+        accounts: [{ bankId: 'bank-1', accountNumber: '1001', costBasisMethod: COST_BASIS_METHODS.WEIGHTED_AVERAGE }]
+      });
+
+      // Pool of 150 for 16'075, 120 sold
+      assert.strictEqual(gains[0].method, COST_BASIS_METHODS.WEIGHTED_AVERAGE);
+      assert.strictEqual(gains[0].costBasis, 12860);
+      assert.strictEqual(gains[0].realizedPnL, 2680);
+      assert.strictEqual(gains[0].realizedPnLPercent, 20.84);
+      assert.deepStrictEqual(lots.filter(l => l.isOpen).map(l => [l.quantity, l.cost]), [[30, 3215]]);
+      assert.strictEqual(holdingUpdates.h1.ledgerUnrealizedPnLOriginalCurrency, 785);
+    });
+  });
+
+  describe('transfers and opening balances', function () {
+    it('carries acquisition date and cost across a move between two accounts', async function () {
+      const { gains, lots } = await rebuild({
+        operations: [
+          trade('b1', '2023-05-02', 'BUY', 100, { grossAmount: 8000 }),
+          trade('t-out', '2024-02-01', 'TRANSFER_OUT', -100),
+          trade('t-in', '2024-02-03', 'TRANSFER_IN', 100, { bankId: 'bank-2', portfolioCode: '2002' }),
+          trade('s1', '2024-09-02', 'SELL', -40, { bankId: 'bank-2', portfolioCode: '2002', grossAmount: 4000 })
+        ]
+      });
+
+      const [gain] = gains;
+      assert.strictEqual(gain.bankId, 'bank-2');
+      assert.strictEqual(gain.costBasis, 3200);
+      assert.strictEqual(gain.realizedPnL, 800);
+      assert.deepStrictEqual(gain.firstAcquisitionDate, day('2023-05-02'));
+
+      const [moved] = lots.filter(l => l.isOpen);
+      assert.strictEqual(moved.bankId, 'bank-2');
+      assert.strictEqual(moved.source, LOT_SOURCES.TRANSFER);
+      assert.deepStrictEqual(moved.acquisitionDate, day('2023-05-02'));
+      assert.deepStrictEqual(moved.transferredFrom, { bankId: 'bank-1', portfolioCode: '1001-1' });
+      assert.deepStrictEqual([moved.quantity, moved.cost], [60, 4800]);
+    });
+
+    it('covers a sale of shares held before the history at the bank cost', async function () {
+      const { gains } = await rebuild({
+        operations: [trade('s1', '2024-04-15', 'SELL', -50, { grossAmount: 6000 })],
+        bankHoldings: [
+          { bankId: 'bank-1', portfolioCode: '1001-1', isin: ISIN, snapshotDate: day('2024-04-12'), quantity: 80, costBasisOriginalCurrency: 7200 }
+        ]
+      });
+
+      const [gain] = gains;
+      assert.strictEqual(gain.costBasis, 4500);
+      assert.strictEqual(gain.realizedPnL, 1500);
+      assert.strictEqual(gain.firstAcquisitionDate, null);
+      assert.strictEqual(gain.holdingDays, null);
+      assert.strictEqual(gain.hasEstimatedCost, true);
+    });
+
+    it('opens a lot for holdings the operations do not explain', async function () {
+      const { lots, holdingUpdates } = await rebuild({
+        operations: [trade('b1', '2024-01-10', 'BUY', 10, { grossAmount: 1000 })],
+        holdings: [{ ...HOLDING, quantity: 30, costBasisOriginalCurrency: 3300 }]
+      });
+
+      const open = lots.filter(l => l.isOpen);
+      assert.deepStrictEqual(open.map(l => [l.source, l.costSource, l.quantity, l.cost]), [
+        [LOT_SOURCES.PURCHASE, COST_SOURCES.OPERATION, 10, 1000],
+        [LOT_SOURCES.OPENING_BALANCE, COST_SOURCES.BANK, 20, 2200]
+      ]);
+      assert.strictEqual(holdingUpdates.h1.ledgerCostBasisOriginalCurrency, 3200);
+      assert.strictEqual(holdingUpdates.h1.ledgerHasEstimatedCost, true);
+    });
+  });
+
+  describe('corporate actions', function () {
+    it('splits each lot before a later disposal', async function () {
+      const { gains } = await rebuild({
+        operations: [
+          trade('b1', '2024-01-10', 'BUY', 100, { grossAmount: 10000 }),
+          trade('s1', '2024-08-01', 'SELL', -150, { grossAmount: 9000 })
+        ],
+        events: [{
+          _id: 'ca-1',
+          type: CORPORATE_ACTION_TYPES.SPLIT,
+          isin: ISIN,
+          ratio: 2,
+          effectiveDate: day('2024-05-02'),
+          status: CORPORATE_ACTION_STATUS.APPLIED,
+          adjustments: [{ bankId: 'bank-1', portfolioCode: '1001-1' }]
+        }]
+      });
+
+      // 200 shares for 10'000 after the split, 150 sold
+      assert.strictEqual(gains[0].costBasis, 7500);
+      assert.strictEqual(gains[0].realizedPnL, 1500);
+      assert.deepStrictEqual(gains[0].firstAcquisitionDate, day('2024-01-10'));
+    });
+  });
+
+  describe('consolidated holdings', function () {
+    const CONSOLIDATED_HOLDING = { ...HOLDING, _id: 'h-cons', portfolioCode: 'CONSOLIDATED', uniqueKey: 'h-cons-key' };
+
+    it('opens no lots for the consolidated copy of a bank line', async function () {
+      const { lots, holdingUpdates } = await rebuild({
+        operations: TRADES,
+        holdings: [HOLDING, CONSOLIDATED_HOLDING]
+      });
+
+      assert.deepStrictEqual(lots.filter(l => l.isOpen).map(l => [l.portfolioCode, l.quantity]), [['1001-1', 30]]);
+      assert.deepStrictEqual(Object.keys(holdingUpdates), ['h1']);
+    });
+
+    it('does not rebuild the consolidated portfolio of a bank', async function () {
+      const originalRebuild = PMSTaxLotHelpers.rebuild;
+      const originalOperationsRaw = PMSOperationsCollection.rawCollection;
+      const rebuilt = [];
+      PMSOperationsCollection.rawCollection = () => ({ distinct: async () => [] });
+      PMSHoldingsCollection.rawCollection = () => ({
+        distinct: async (field, query) => [...new Set([{ ...HOLDING, entityId: null }, CONSOLIDATED_HOLDING]
+          .filter(h => h.entityId == null && h.portfolioCode !== query.portfolioCode?.$ne)
+          .map(h => h[field]))]
+      });
+      PMSTaxLotHelpers.rebuild = async (scope) => { rebuilt.push(scope); return scope; };
+
+      try {
+        await PMSTaxLotHelpers.rebuildForBank('bank-1');
+      } finally {
+        PMSTaxLotHelpers.rebuild = originalRebuild;
+        PMSOperationsCollection.rawCollection = originalOperationsRaw;
+      }
+
+      assert.deepStrictEqual(rebuilt, [{ bankId: 'bank-1', portfolioCode: '1001-1' }]);
+    });
+  });
+});
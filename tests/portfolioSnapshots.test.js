@@ -0,0 +1,264 @@
+/**
+ * Portfolio Snapshots Test Suite
+ *
+ * The TWR report of PortfolioSnapshotHelpers on a two-account fixture, pinned
+ * to the figures of the former performance.calculateTWR method it replaced,
+ * and the conversion of accounts in different reference currencies into one
+ * reporting currency, with the collections kept in memory.
+ */
+
+import assert from 'assert';
+import { PortfolioSnapshotHelpers, PortfolioSnapshotsCollection } from '../imports/api/portfolioSnapshots';
+import { PMSOperationsCollection } from '../imports/api/pmsOperations';
+import { PMSHoldingsCollection } from '../imports/api/pmsHoldings';
+import { CurrencyRateCacheCollection, CurrencyCache } from '../imports/api/currencyCache';
+import { BankAccountsCollection } from '../imports/api/bankAccounts';
+import { BenchmarkHelpers } from '../imports/api/benchmarks';
+import { OPERATION_TYPES } from '../imports/api/constants/operationTypes';
+
+const SNAPSHOT_DATES = [
+  '2024-01-31', '2024-03-28', '2024-06-28', '2024-09-30', '2024-12-30', '2025-01-31',
+  '2025-02-28', '2025-03-10', '2025-03-17', '2025-03-24', '2025-03-31'
+];
+
+const ACCOUNT_VALUES = {
+  'A-100': [100000, 102000, 111500, 113000, 115200, 116000, 114800, 115500, 111000, 112300, 113100],
+  'B-200': [50000, 50500, 51200, 31000, 31800, 32100, 31900, 32300, 32500, 32400, 32800]
+};
+
+const snapshots = () => SNAPSHOT_DATES.flatMap((date, i) => Object.keys(ACCOUNT_VALUES).map(portfolioCode => ({
+  portfolioCode,
+  snapshotDate: new Date(`${date}T00:00:00Z`),
+  totalAccountValue: ACCOUNT_VALUES[portfolioCode][i]
+})));
+
+// A USD deposit, an outflow in portfolio currency and a withdrawal on the other account
+const operations = [
+  { portfolioCode: 'A-100', operationType: OPERATION_TYPES.TRANSFER_IN, netAmount: 10000, currency: 'USD', operationDate: new Date('2024-06-28T00:00:00Z') },
+  { portfolioCode: 'B-200', operationType: OPERATION_TYPES.TRANSFER_OUT, netAmount: 20000, currency: 'EUR', operationDate: new Date('2024-09-30T00:00:00Z') },
+  { portfolioCode: 'A-100', operationType: OPERATION_TYPES.PAYMENT_OUT, amountPortfolioCcy: -5000, netAmount: -5400, currency: 'USD', operationDate: new Date('2025-03-17T00:00:00Z') }
+];
+
+const NOW = new Date('2025-03-31T18:00:00Z');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+// Output of performance.calculateTWR (server/methods/performanceMethods.js before the
+// TWR moved to calculateTWRReport) on the same snapshots, flows and EUR/USD 1.25
+const LEGACY = {
+  periods: {
+    '1M': { twr: 0.02936975744626391, startDate: '2025-03-01', dataPoints: 4 },
+    '3M': { twr: 0.027269002839230616, startDate: '2024-12-31', dataPoints: 6 },
+    '6M': { twr: 0.04867044039838109, startDate: '2024-10-02', dataPoints: 7 },
+    YTD: { twr: 0.027269002839230616, dataPoints: 6 },
+    '1Y': { twr: 0.07272909919315707, startDate: '2024-03-31', dataPoints: 9 },
+    ALL: { twr: 0.09060791751304298, startDate: '2024-01-31', dataPoints: 10 }
+  },
+  allAnnualized: 0.07733487707475395,
+  totalDays: 425,
+  chartValues: [
+    100, 101.66666666666666, 103.06022845275183, 103.9991093006045, 106.16575741103375, 106.96019505152448,
+    105.94909259999082, 106.74353024048153, 107.26678283969957, 108.16378729550193, 109.0607917513043
+  ]
+};
+
+describe('PortfolioSnapshotHelpers', function () {
+  describe('calculateTWRReport', function () {
+    const original = {
+      snapshotsFind: PortfolioSnapshotsCollection.find,
+      operationsFind: PMSOperationsCollection.find,
+      holdingsFind: PMSHoldingsCollection.find,
+      ratesFind: CurrencyRateCacheCollection.find,
+      calculateRelativePerformance: BenchmarkHelpers.calculateRelativePerformance
+    };
+
+    beforeEach(function () {
+      PortfolioSnapshotsCollection.find = (query) => ({
+        fetchAsync: async () => snapshots().filter(s => query.portfolioCode.$in.includes(s.portfolioCode) && s.snapshotDate <= query.snapshotDate.$lte)
+      });
+      PMSOperationsCollection.find = () => ({ fetchAsync: async () => operations });
+      PMSHoldingsCollection.find = () => ({ fetchAsync: async () => [] });
+      CurrencyRateCacheCollection.find = () => ({ fetchAsync: async () => [{ pair: 'EURUSD.FOREX', rate: 1.25 }] });
+      BenchmarkHelpers.calculateRelativePerformance = async () => null;
+    });
+
+    afterEach(function () {
+      PortfolioSnapshotsCollection.find = original.snapshotsFind;
+      PMSOperationsCollection.find = original.operationsFind;
+      PMSHoldingsCollection.find = original.holdingsFind;
+      CurrencyRateCacheCollection.find = original.ratesFind;
+      BenchmarkHelpers.calculateRelativePerformance = original.calculateRelativePerformance;
+    });
+
+    it('reproduces the period returns of the former performance.calculateTWR', async function () {
+      const report = await PortfolioSnapshotHelpers.calculateTWRReport({ portfolioCodes: ['A-100', 'B-200'], now: NOW });
+
+      assert.strictEqual(report.hasData, true);
+      for (const [periodName, expected] of Object.entries(LEGACY.periods)) {
+        const period = report.periods[periodName];
+        assert.strictEqual(period.hasData, true, periodName);
+        assert.strictEqual(period.twr, expected.twr, periodName);
+        assert.strictEqual(period.dataPoints, expected.dataPoints, periodName);
+        assert.strictEqual(period.endDate, '2025-03-31', periodName);
+        if (expected.startDate) assert.strictEqual(period.startDate, expected.startDate, periodName);
+      }
+      assert.strictEqual(report.periods.ALL.twrAnnualized, LEGACY.allAnnualized);
+      assert.strictEqual(report.periods.ALL.twrFormatted, '+9.06%');
+      assert.strictEqual(report.periods.ALL.twrAnnualizedFormatted, '+7.73% (ann.)');
+      assert.strictEqual(report.metadata.totalDays, LEGACY.totalDays);
+      assert.strictEqual(report.metadata.externalFlowCount, 3);
+    });
+
+    it('draws the same rebased chart without a benchmark or FX split', async function () {
+      const report = await PortfolioSnapshotHelpers.calculateTWRReport({ portfolioCodes: ['A-100', 'B-200'], now: NOW });
+
+      assert.deepStrictEqual(report.chartData.labels, SNAPSHOT_DATES);
+      assert.strictEqual(report.chartData.datasets.length, 1);
+      assert.deepStrictEqual(report.chartData.datasets[0].data, LEGACY.chartValues);
+      assert.strictEqual(report.benchmark, null);
+      assert.strictEqual(report.periods.ALL.fxContribution, undefined);
+      assert.strictEqual(report.metadata.hasFxTranslation, false);
+    });
+
+    it('has no data below two snapshots', async function () {
+      const report = await PortfolioSnapshotHelpers.calculateTWRReport({ portfolioCodes: ['A-100', 'B-200'], now: new Date('2024-02-15T00:00:00Z') });
+
+      assert.strictEqual(report.hasData, false);
+      assert.deepStrictEqual(report.periods, {});
+    });
+  });
+
+  describe('reporting in another currency', function () {
+    // Account currency -> EUR, as CurrencyCache.getHistoricalRates returns them
+    const historicalRates = {
+      CHF: [{ date: '2025-03-03', rate: 1.05 }, { date: '2025-03-10', rate: 1.1 }],
+      USD: [{ date: '2025-03-03', rate: 0.9 }, { date: '2025-03-10', rate: 0.8 }]
+    };
+
+    // The USD account number was first opened in EUR at the same bank, then closed
+    const accounts = [
+      { accountNumber: 'CH-1', bankId: 'b1', referenceCurrency: 'CHF', isActive: true },
+      { accountNumber: 'US-2', bankId: 'b1', referenceCurrency: 'USD', isActive: true },
+      { accountNumber: 'US-2', bankId: 'b1', referenceCurrency: 'EUR', isActive: false }
+    ];
+
+    const snapshot = (portfolioCode, date, totalAccountValue) => ({
+      portfolioCode,
+      bankId: 'b1',
+      snapshotDate: new Date(`${date}T00:00:00Z`),
+      totalAccountValue,
+      cashBalance: totalAccountValue / 10,
+      assetClassBreakdown: { equity: totalAccountValue * 0.9, cash: totalAccountValue / 10 }
+    });
+
+    const original = {
+      snapshotsFind: PortfolioSnapshotsCollection.find,
+      operationsFind: PMSOperationsCollection.find,
+      accountsFind: BankAccountsCollection.find,
+      holdingsFind: PMSHoldingsCollection.find,
+      ratesFind: CurrencyRateCacheCollection.find,
+      getHistoricalRates: CurrencyCache.getHistoricalRates
+    };
+    let requestedCurrencies;
+
+    beforeEach(function () {
+      requestedCurrencies = null;
+      BankAccountsCollection.find = (query) => {
+        const codes = typeof query.accountNumber === 'string' ? [query.accountNumber] : query.accountNumber?.$in;
+        return { fetchAsync: async () => accounts.filter(a => !codes || codes.includes(a.accountNumber)) };
+      };
+      PMSHoldingsCollection.find = () => ({ fetchAsync: async () => [] });
+      CurrencyRateCacheCollection.find = () => ({
+        fetchAsync: async () => [{ pair: 'EURUSD.FOREX', rate: 1.25 }, { pair: 'EURCHF.FOREX', rate: 0.95 }]
+      });
+      CurrencyCache.getHistoricalRates = async (currencies) => {
+        requestedCurrencies = [...currencies].sort();
+        return Object.fromEntries(currencies.filter(c => historicalRates[c]).map(c => [c, historicalRates[c]]));
+      };
+    });
+
+    afterEach(function () {
+      PortfolioSnapshotsCollection.find = original.snapshotsFind;
+      PMSOperationsCollection.find = original.operationsFind;
+      BankAccountsCollection.find = original.accountsFind;
+      PMSHoldingsCollection.find = original.holdingsFind;
+      CurrencyRateCacheCollection.find = original.ratesFind;
+      CurrencyCache.getHistoricalRates = original.getHistoricalRates;
+    });
+
+    it('converts each account from its own currency at the rates of the snapshot date', async function () {
+      const snapshots = [
+        snapshot('CH-1', '2025-03-07', 1000),
+        snapshot('US-2', '2025-03-07', 2000),
+        snapshot('CH-1', '2025-03-14', 1000),
+        snapshot('US-2', '2025-03-14', 2000)
+      ];
+
+      await PortfolioSnapshotHelpers.convertSnapshotsToCurrency(snapshots, 'EUR');
+
+      assert.deepStrictEqual(requestedCurrencies, ['CHF', 'EUR', 'USD']);
+      [1050, 1800, 1100, 1600].forEach((expected, i) => close(snapshots[i].totalAccountValue, expected));
+      [105, 180, 110, 160].forEach((expected, i) => close(snapshots[i].cashBalance, expected));
+      close(snapshots[1].assetClassBreakdown.equity, 1620);
+      close(snapshots[1].assetClassBreakdown.cash, 180);
+    });
+
+    it('crosses through EUR into another reporting currency', async function () {
+      const snapshots = [snapshot('CH-1', '2025-03-14', 1000), snapshot('US-2', '2025-03-14', 2000)];
+
+      await PortfolioSnapshotHelpers.convertSnapshotsToCurrency(snapshots, 'USD');
+
+      // 1'000 CHF = 1'100 EUR = 1'375 USD; the USD account is left as is
+      close(snapshots[0].totalAccountValue, 1375);
+      assert.strictEqual(snapshots[1].totalAccountValue, 2000);
+    });
+
+    it('converts an account missing from BankAccounts from EUR', async function () {
+      const snapshots = [snapshot('US-2', '2025-03-14', 2000), snapshot('XX-9', '2025-03-14', 800)];
+
+      await PortfolioSnapshotHelpers.convertSnapshotsToCurrency(snapshots, 'USD');
+
+      assert.strictEqual(snapshots[0].totalAccountValue, 2000);
+      close(snapshots[1].totalAccountValue, 1000);
+    });
+
+    it('leaves snapshots alone when every account is in the reporting currency', async function () {
+      const snapshots = [snapshot('CH-1', '2025-03-14', 1000)];
+
+      await PortfolioSnapshotHelpers.convertSnapshotsToCurrency(snapshots, 'CHF');
+
+      assert.strictEqual(requestedCurrencies, null);
+      assert.strictEqual(snapshots[0].totalAccountValue, 1000);
+    });
+
+    it('splits a TWR across account currencies into local return and FX effect', async function () {
+      const snapshots = [
+        snapshot('CH-1', '2025-03-07', 1000),
+        snapshot('US-2', '2025-03-07', 2000),
+        snapshot('CH-1', '2025-03-14', 1000),
+        snapshot('US-2', '2025-03-14', 1500)
+      ];
+      PortfolioSnapshotsCollection.find = () => ({ fetchAsync: async () => snapshots });
+      PMSOperationsCollection.find = () => ({
+        fetchAsync: async () => [{ portfolioCode: 'US-2', operationType: OPERATION_TYPES.TRANSFER_OUT, amountPortfolioCcy: -500, operationDate: new Date('2025-03-14T00:00:00Z') }]
+      });
+
+      const series = await PortfolioSnapshotHelpers.calculateTWRSeries({
+        portfolioCodes: ['CH-1', 'US-2'],
+        endDate: new Date('2025-03-14T23:59:59Z'),
+        reportingCurrency: 'EUR'
+      });
+
+      assert.deepStrictEqual(series.portfolioCurrencies, { 'CH-1': 'CHF', 'US-2': 'USD' });
+      // 1'000 CHF x 1.05 + 2'000 USD x 0.9, then 1'000 CHF x 1.1 + 1'500 USD x 0.8
+      close(series.dailyValues[0].totalValueEUR, 2850);
+      close(series.dailyValues[1].totalValueEUR, 2300);
+      close(series.dailyFlows['2025-03-14'], -400);
+      close(series.twrSeries[0].dailyReturn, -150 / 2450);
+      // At the 7th's rates the accounts end at 1'050 + 1'350 EUR
+      close(series.fxSeries[0].localReturn, -50 / 2450);
+      close(series.fxSeries[0].fxEffect, -100 / 2450);
+    });
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Product Backtest Test Suite
+ *
+ * Known-answer tests for replaying a draft structure over history: offsets read
+ * from the draft, the calendar common to all underlyings, start date selection,
+ * the what-if product for one start date (dates snapped to trading days, strikes
+ * and redemption prices from the cached closes), the outcome read from each
+ * report and the distribution across scenarios, then a full replay of a flat
+ * market through the Phoenix evaluator.
+ */
+
+import assert from 'assert';
+import { ProductBacktest } from '../imports/api/evaluators/productBacktest';
+import { MarketDataCacheCollection } from '../imports/api/marketDataCache';
+import { EODApiHelpers } from '../imports/api/eodApi';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const day = (date) => new Date(`${date}T00:00:00.000Z`);
+
+// One-year Phoenix observed after six months and at the final observation, paid a week later
+const draft = {
+  templateId: 'phoenix_autocallable',
+  title: 'Draft Phoenix',
+  currency: 'EUR',
+  tradeDate: '2024-01-02',
+  finalObservation: '2025-01-02',
+  maturity: '2025-01-09',
+  structureParams: { couponRate: 5, protectionBarrierLevel: 60 },
+  underlyings: [
+    { ticker: 'AAA', name: 'Alpha' },
+    { ticker: 'BBB.PA', name: 'Beta' },
+    { name: 'No ticker' }
+  ],
+  observationSchedule: [
+    { observationDate: '2025-01-02', valueDate: '2025-01-09', couponBarrier: 70 },
+    { observationDate: '2024-07-01', valueDate: '2024-07-08', couponBarrier: 70, autocallLevel: 100 }
+  ]
+};
+
+// Trading days common to both underlyings; 2024-07-01 and 2025-01-02 are missing
+const market = {
+  calendar: ['2024-01-02', '2024-06-28', '2024-07-02', '2024-12-31', '2025-01-03'],
+  closesByTicker: {
+    'AAA.US': new Map([['2024-01-02', 50], ['2024-06-28', 55], ['2024-07-02', 56], ['2024-12-31', 40], ['2025-01-03', 41]]),
+    'BBB.PA': new Map([['2024-01-02', 20], ['2024-06-28', 19], ['2024-07-02', 18], ['2024-12-31', 22], ['2025-01-03', 23]])
+  }
+};
+
+const scenario = (outcome, fields) => ({
+  startDateFormatted: fields.start,
+  outcome,
+  autocallPeriod: null,
+  couponsCollected: 0,
+  capitalLoss: 0,
+  durationYears: 1,
+  annualizedReturn: 0,
+  ...fields
+});
+
+describe('Product backtest', function () {
+  describe('extractLayout', function () {
+    it('reads observation, final and settlement offsets from the trade date', function () {
+      const layout = ProductBacktest.extractLayout(draft);
+
+      assert.deepStrictEqual(layout.underlyings.map(u => u.fullTicker), ['AAA.US', 'BBB.PA']);
+      assert.deepStrictEqual(layout.observations.map(o => [o.offsetDays, o.paymentLagDays]), [[181, 7], [366, 7]]);
+      assert.strictEqual(layout.finalOffsetDays, 366);
+      assert.strictEqual(layout.settlementLagDays, 7);
+    });
+
+    it('rejects drafts that cannot be replayed', function () {
+      assert.throws(() => ProductBacktest.extractLayout({ ...draft, maturity: null }), /trade date and a maturity date/);
+      assert.throws(() => ProductBacktest.extractLayout({ ...draft, maturity: '2023-12-01' }), /after the trade date/);
+      assert.throws(() => ProductBacktest.extractLayout({ ...draft, underlyings: [] }), /no underlyings/);
+    });
+  });
+
+  describe('loadMarketData', function () {
+    const originalFindOne = MarketDataCacheCollection.findOneAsync;
+    let cache;
+
+    beforeEach(function () {
+      MarketDataCacheCollection.findOneAsync = async ({ fullTicker }) => cache[fullTicker] || null;
+    });
+
+    afterEach(function () {
+      MarketDataCacheCollection.findOneAsync = originalFindOne;
+    });
+
+    it('keeps the priced days common to all underlyings from just before the lookback', async function () {
+      cache = {
+        'AAA.US': { history: ['2023-12-01', '2023-12-27', '2024-01-02', '2024-01-03', '2024-01-04'].map(date => ({ date: day(date), close: 10 })) },
+        'BBB.PA': {
+          history: [
+            { date: day('2023-12-27'), close: 5 },
+            { date: day('2024-01-02'), close: 0 },
+            { date: day('2024-01-03'), adjustedClose: 5 },
+            { date: day('2024-01-04'), close: 5 }
+          ]
+        }
+      };
+      const { underlyings } = ProductBacktest.extractLayout(draft);
+
+      const { calendar, closesByTicker } = await ProductBacktest.loadMarketData(underlyings, day('2024-01-01'));
+
+      assert.deepStrictEqual(calendar, ['2023-12-27', '2024-01-03', '2024-01-04']);
+      assert.strictEqual(closesByTicker['BBB.PA'].get('2024-01-03'), 5);
+    });
+
+    it('fails when an underlying has no cached history', async function () {
+      cache = { 'AAA.US': { history: [{ date: day('2024-01-02'), close: 10 }] } };
+      const { underlyings } = ProductBacktest.extractLayout(draft);
+
+      await assert.rejects(ProductBacktest.loadMarketData(underlyings, day('2024-01-01')), /No market data history cached for BBB.PA/);
+    });
+  });
+
+  describe('snapToCalendar', function () {
+    it('finds the closest trading day on or before a date', function () {
+      assert.strictEqual(ProductBacktest.snapToCalendar(market.calendar, day('2024-07-01')), 1);
+      assert.strictEqual(ProductBacktest.snapToCalendar(market.calendar, day('2024-07-02')), 2);
+      assert.strictEqual(ProductBacktest.snapToCalendar(market.calendar, day('2025-02-01')), 4);
+      assert.strictEqual(ProductBacktest.snapToCalendar(market.calendar, day('2023-12-31')), -1);
+    });
+  });
+
+  describe('selectStartDates', function () {
+    const calendar = ['2023-01-02', '2023-01-03', '2023-02-01', '2023-02-02', '2023-03-01', '2023-04-03', '2023-05-01'];
+    const layout = { finalOffsetDays: 60 };
+
+    it('starts on the first trading day of each month whose life is covered', function () {
+      const indices = ProductBacktest.selectStartDates(calendar, layout, { step: 'monthly', maxScenarios: 10, lookbackStart: day('2023-01-01') });
+
+      // April and May would end after the last close
+      assert.deepStrictEqual(indices.map(i => calendar[i]), ['2023-01-02', '2023-02-01', '2023-03-01']);
+    });
+
+    it('starts inside the lookback window', function () {
+      const indices = ProductBacktest.selectStartDates(calendar, layout, { step: 'monthly', maxScenarios: 10, lookbackStart: day('2023-01-03') });
+
+      assert.deepStrictEqual(indices.map(i => calendar[i]), ['2023-01-03', '2023-02-01', '2023-03-01']);
+    });
+
+    it('thins the candidates evenly down to the maximum', function () {
+      const indices = ProductBacktest.selectStartDates(calendar, layout, { step: 'monthly', maxScenarios: 2, lookbackStart: day('2023-01-01') });
+
+      assert.deepStrictEqual(indices.map(i => calendar[i]), ['2023-01-02', '2023-02-01']);
+    });
+  });
+
+  describe('buildScenarioProduct', function () {
+    it('shifts the structure to the start date on trading days with cached prices', function () {
+      const layout = ProductBacktest.extractLayout(draft);
+      const product = ProductBacktest.buildScenarioProduct(draft, layout, market, 0);
+      const [aaa, bbb] = product.underlyings;
+
+      assert.strictEqual(product.isWhatIf, true);
+      assert.strictEqual(product.tradeDate.toISOString(), '2024-01-02T00:00:00.000Z');
+      // 2024-07-01 and 2025-01-02 are not trading days: the prior close is used
+      assert.deepStrictEqual(product.observationSchedule, [
+        { observationDate: '2024-06-28T00:00:00.000Z', valueDate: '2024-07-05T00:00:00.000Z', couponBarrier: 70, autocallLevel: 100 },
+        { observationDate: '2024-12-31T00:00:00.000Z', valueDate: '2025-01-07T00:00:00.000Z', couponBarrier: 70 }
+      ]);
+      assert.strictEqual(product.finalObservation.toISOString(), '2024-12-31T00:00:00.000Z');
+      assert.strictEqual(product.maturity.toISOString(), '2025-01-07T00:00:00.000Z');
+
+      assert.deepStrictEqual([aaa.strike, bbb.strike], [50, 20]);
+      assert.deepStrictEqual([aaa.securityData.redemptionPrice.price, bbb.securityData.finalObservationPrice.price], [40, 22]);
+      assert.strictEqual(aaa.securityData.ticker, 'AAA.US');
+      assert.deepStrictEqual(product.underlyingAssets.map(u => u.initialPrice), [50, 20]);
+    });
+
+    it('keeps Reverse Convertible maturities on the final trading day', function () {
+      const reverseConvertible = { ...draft, templateId: 'reverse_convertible' };
+      const layout = ProductBacktest.extractLayout(reverseConvertible);
+      const product = ProductBacktest.buildScenarioProduct(reverseConvertible, layout, market, 0);
+
+      assert.strictEqual(product.maturity.toISOString(), '2024-12-31T00:00:00.000Z');
+    });
+  });
+
+  describe('extractOutcome', function () {
+    const layout = ProductBacktest.extractLayout(draft);
+    const product = ProductBacktest.buildScenarioProduct(draft, layout, market, 0);
+
+    it('reads an autocall from the observation it happened on', function () {
+      const outcome = ProductBacktest.extractOutcome('phoenix_autocallable', product, {
+        observationAnalysis: {
+          observations: [
+            { observationDate: '2024-06-28T00:00:00.000Z', autocalled: true, isFinal: false },
+            { observationDate: '2024-12-31T00:00:00.000Z', autocalled: false, isFinal: true }
+          ]
+        },
+        indicativeMaturityValue: { capitalReturn: 100, couponsEarned: 5, memoryCoupons: 0, totalValue: 105, basketPerformance: 10 }
+      });
+
+      assert.strictEqual(outcome.outcome, 'autocall');
+      assert.strictEqual(outcome.autocallPeriod, 1);
+      assert.strictEqual(outcome.redemptionDate.toISOString(), '2024-06-28T00:00:00.000Z');
+      assert.strictEqual(outcome.couponsCollected, 5);
+      assert.strictEqual(outcome.worstPerformance, null);
+      close(outcome.durationYears, 178 / 365.25);
+      close(outcome.annualizedReturn, (Math.pow(1.05, 365.25 / 178) - 1) * 100);
+    });
+
+    it('reports a capital loss at maturity with the worst performance', function () {
+      const outcome = ProductBacktest.extractOutcome('phoenix_autocallable', product, {
+        observationAnalysis: { observations: [{ autocalled: false }, { autocalled: false, isFinal: true }] },
+        indicativeMaturityValue: { capitalReturn: 80, couponsEarned: 5, memoryCoupons: 5, totalValue: 90, basketPerformance: -20 }
+      });
+
+      assert.strictEqual(outcome.outcome, 'capital_loss');
+      assert.strictEqual(outcome.capitalLoss, 20);
+      assert.strictEqual(outcome.couponsCollected, 10);
+      assert.strictEqual(outcome.worstPerformance, -20);
+      assert.strictEqual(outcome.redemptionDate.toISOString(), '2024-12-31T00:00:00.000Z');
+      close(outcome.annualizedReturn, (Math.pow(0.9, 365.25 / 364) - 1) * 100);
+    });
+
+    it('reads the Reverse Convertible redemption', function () {
+      const outcome = ProductBacktest.extractOutcome('reverse_convertible', product, {
+        redemption: { capitalComponent: 100, coupon: 8, totalValue: 108 },
+        basketPerformance: { current: 4 }
+      });
+
+      assert.strictEqual(outcome.outcome, 'maturity');
+      assert.strictEqual(outcome.totalValue, 108);
+      assert.strictEqual(outcome.autocallPeriod, null);
+    });
+  });
+
+  describe('summarize', function () {
+    it('gives the distribution of outcomes across start dates', function () {
+      const layout = ProductBacktest.extractLayout(draft);
+      const summary = ProductBacktest.summarize([
+        scenario('autocall', { start: '02/01/2024', autocallPeriod: 1, couponsCollected: 5, totalValue: 105, annualizedReturn: 10, durationYears: 0.5 }),
+        scenario('autocall', { start: '01/02/2024', autocallPeriod: 1, couponsCollected: 5, totalValue: 105, annualizedReturn: 10, durationYears: 0.5 }),
+        scenario('maturity', { start: '01/03/2024', couponsCollected: 10, totalValue: 110, annualizedReturn: 10 }),
+        scenario('capital_loss', { start: '02/04/2024', couponsCollected: 0, capitalLoss: 35, totalValue: 65, annualizedReturn: -35 })
+      ], layout);
+
+      assert.strictEqual(summary.scenarioCount, 4);
+      assert.strictEqual(summary.autocallFrequency, 50);
+      assert.strictEqual(summary.capitalLossFrequencyFormatted, '25.0%');
+      assert.strictEqual(summary.averageLoss, 35);
+      assert.strictEqual(summary.averageCoupons, 5);
+      assert.strictEqual(summary.medianCoupons, 5);
+      assert.strictEqual(summary.averageTotalValue, 96.25);
+      assert.strictEqual(summary.percentile5TotalValue, 65);
+      assert.strictEqual(summary.averageDurationYearsFormatted, '0.75 years');
+      assert.deepStrictEqual(summary.redemptionDistribution.map(b => [b.label, b.count]), [
+        ['Autocall obs. 1 (6m)', 2],
+        ['Maturity - capital returned', 1],
+        ['Maturity - capital loss', 1]
+      ]);
+      assert.deepStrictEqual(summary.valueDistribution.map(b => [b.label, b.count]), [
+        ['60-70%', 1],
+        ['100-110%', 2],
+        ['110-120%', 1]
+      ]);
+      assert.strictEqual(summary.worstScenario.startDateFormatted, '02/04/2024');
+      assert.strictEqual(summary.bestScenario.startDateFormatted, '01/03/2024');
+    });
+
+    it('has nothing to summarize without scenarios', function () {
+      assert.strictEqual(ProductBacktest.summarize([], ProductBacktest.extractLayout(draft)), null);
+    });
+  });
+
+  describe('run', function () {
+    const originalFindOne = MarketDataCacheCollection.findOneAsync;
+    const originalGetStockSplits = EODApiHelpers.getStockSplits;
+
+    beforeEach(function () {
+      // Weekday closes at 100 over the last 500 days
+      const history = [];
+      const today = day(new Date().toISOString().split('T')[0]);
+      for (let offset = 500; offset >= 1; offset--) {
+        const date = new Date(today.getTime() - offset * 24 * 60 * 60 * 1000);
+        if (date.getUTCDay() % 6 !== 0) history.push({ date, close: 100 });
+      }
+      MarketDataCacheCollection.findOneAsync = async () => ({ history });
+      EODApiHelpers.getStockSplits = async () => [];
+    });
+
+    afterEach(function () {
+      MarketDataCacheCollection.findOneAsync = originalFindOne;
+      EODApiHelpers.getStockSplits = originalGetStockSplits;
+    });
+
+    it('replays a flat market through the Phoenix evaluator', async function () {
+      const result = await ProductBacktest.run({
+        ...draft,
+        finalObservation: '2024-07-01',
+        maturity: '2024-07-08',
+        structureParams: { couponRate: 2, couponBarrier: 70, protectionBarrierLevel: 60, autocallBarrierLevel: 100 },
+        underlyings: [{ ticker: 'AAA', name: 'Alpha' }],
+        observationSchedule: [
+          { observationDate: '2024-04-01', valueDate: '2024-04-08', couponRate: 2, couponBarrier: 70, autocallLevel: 100, isCallable: true },
+          { observationDate: '2024-07-01', valueDate: '2024-07-08', couponRate: 2, couponBarrier: 70, autocallLevel: 100, isCallable: true }
+        ]
+      }, { lookbackYears: 1 });
+
+      // Every start date is called at the first observation with one coupon
+      assert.ok(result.scenarios.length >= 5);
+      result.scenarios.forEach(s => {
+        assert.strictEqual(s.outcome, 'autocall');
+        assert.strictEqual(s.autocallPeriod, 1);
+        assert.strictEqual(s.totalValue, 102);
+      });
+      assert.strictEqual(result.summary.autocallFrequency, 100);
+      assert.strictEqual(result.summary.averageCoupons, 2);
+      assert.strictEqual(result.summary.capitalLossCount, 0);
+      assert.strictEqual(result.structure.tenorMonths, 6);
+    });
+
+    it('only replays the supported templates', async function () {
+      await assert.rejects(ProductBacktest.run({ ...draft, templateId: 'orion_memory' }), /not available for template orion_memory/);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Risk Calculator Test Suite
+ *
+ * Volatility, historical and parametric VaR on a symmetric return series
+ * with a closed-form deviation, drawdown and recovery dates, the historical
+ * simulation of holdings, look-through concentration and limit breaches.
+ */
+
+import assert from 'assert';
+import {
+  standardDeviation,
+  observationsPerYear,
+  calculateVolatility,
+  calculateMaxDrawdown,
+  calculateSharpeRatio,
+  calculateHistoricalVaR,
+  calculateParametricVaR,
+  calculateValueAtRisk,
+  calculatePortfolioRisk,
+  calculateAnnualizedPriceReturn,
+  simulateHoldingsReturns,
+  toPriceSeries,
+  calculateConcentration,
+  checkRiskLimits
+} from '../imports/api/helpers/riskCalculator';
+
+const close = (actual, expected, tolerance = 1e-12) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+// -9.5% to +9.5% in 1% steps: mean 0, sum of squared deviations 665, sample variance 0.0035
+const RETURNS = Array.from({ length: 20 }, (_, i) => (i - 9.5) / 100);
+const STDEV = Math.sqrt(35) / 100;
+
+const dayKey = (day) => `2025-03-${String(day).padStart(2, '0')}`;
+
+describe('Risk calculator', function () {
+  describe('volatility', function () {
+    it('uses the sample deviation annualized by the observed frequency', function () {
+      close(standardDeviation(RETURNS), STDEV);
+      close(calculateVolatility(RETURNS), STDEV * Math.sqrt(252));
+      close(calculateVolatility(RETURNS, 52), STDEV * Math.sqrt(52));
+      assert.strictEqual(standardDeviation([0.01]), null);
+      assert.strictEqual(calculateVolatility([]), null);
+    });
+
+    it('counts observations per year from the dates, capped at daily', function () {
+      close(observationsPerYear('2025-01-01', '2025-03-15', 20), 20 / (73 / 365.25));
+      assert.strictEqual(observationsPerYear('2025-03-01', '2025-03-11', 10), 365);
+      assert.strictEqual(observationsPerYear('2025-03-11', '2025-03-11', 10), 252);
+    });
+  });
+
+  describe('Value at Risk', function () {
+    it('interpolates the historical loss quantile', function () {
+      // 5% of 19 intervals above the worst return: -9.5% + 0.95 x 1%
+      close(calculateHistoricalVaR(RETURNS, 0.95), 0.0855);
+      close(calculateHistoricalVaR([...RETURNS].reverse(), 0.99), 0.0931);
+    });
+
+    it('scales the deviation by the normal quantile', function () {
+      close(calculateParametricVaR(RETURNS, 0.95), 1.6448536 * STDEV);
+      close(calculateParametricVaR(RETURNS, 0.99), 2.3263479 * STDEV);
+      // A positive mean return lowers the loss
+      close(calculateParametricVaR(RETURNS.map(r => r + 0.01), 0.95), 1.6448536 * STDEV - 0.01);
+      assert.strictEqual(calculateParametricVaR(RETURNS, 0.9), null);
+    });
+
+    it('reports no loss when the quantile is a gain and nothing below the minimum observations', function () {
+      assert.strictEqual(calculateHistoricalVaR(RETURNS.map(r => r + 0.2), 0.95), 0);
+      assert.deepStrictEqual(calculateValueAtRisk(RETURNS.slice(1)), {
+        observations: 19,
+        historical: { 95: null, 99: null },
+        parametric: { 95: null, 99: null }
+      });
+    });
+  });
+
+  describe('calculateMaxDrawdown', function () {
+    const series = [1.1, 0.99, 1.045, 1.12, 0.896, 1].map((value, i) => ({ date: dayKey(i + 4), cumulativeTWR: value - 1 }));
+
+    it('dates the deepest decline and its recovery', function () {
+      const recovered = calculateMaxDrawdown(series.slice(0, 4), '2025-03-03');
+
+      close(recovered.maxDrawdown, 0.1);
+      assert.strictEqual(recovered.peakDate, '2025-03-04');
+      assert.strictEqual(recovered.troughDate, '2025-03-05');
+      assert.strictEqual(recovered.recoveryDate, '2025-03-07');
+      assert.strictEqual(recovered.currentDrawdown, 0);
+    });
+
+    it('keeps a deeper unrecovered decline open', function () {
+      const drawdown = calculateMaxDrawdown(series, '2025-03-03');
+
+      close(drawdown.maxDrawdown, 0.2);
+      assert.strictEqual(drawdown.peakDate, '2025-03-07');
+      assert.strictEqual(drawdown.troughDate, '2025-03-08');
+      assert.strictEqual(drawdown.recoveryDate, null);
+      close(drawdown.currentDrawdown, 1 - 1 / 1.12);
+    });
+
+    it('measures a loss on the first step from the base date', function () {
+      const drawdown = calculateMaxDrawdown([{ date: '2025-03-04', cumulativeTWR: -0.05 }], '2025-03-03');
+
+      close(drawdown.maxDrawdown, 0.05);
+      assert.strictEqual(drawdown.peakDate, '2025-03-03');
+      assert.deepStrictEqual(calculateMaxDrawdown([]), {
+        maxDrawdown: 0, peakDate: null, troughDate: null, recoveryDate: null, currentDrawdown: 0
+      });
+    });
+  });
+
+  describe('calculatePortfolioRisk', function () {
+    it('derives every metric from the TWR series', function () {
+      let cumulative = 1;
+      const twrSeries = RETURNS.map((dailyReturn, i) => {
+        cumulative *= 1 + dailyReturn;
+        return { date: `2025-01-${String(i + 2).padStart(2, '0')}`, dailyReturn, cumulativeTWR: cumulative - 1 };
+      });
+
+      const risk = calculatePortfolioRisk(twrSeries, '2025-01-01', { riskFreeRate: 0.02 });
+
+      assert.strictEqual(risk.observations, 20);
+      assert.strictEqual(risk.endDate, '2025-01-21');
+      // Daily steps over 20 days: capped at 365 a year
+      assert.strictEqual(risk.periodsPerYear, 365);
+      close(risk.totalReturn, cumulative - 1);
+      close(risk.annualizedReturn, Math.pow(cumulative, 365 / 20) - 1);
+      close(risk.volatility, STDEV * Math.sqrt(365));
+      close(risk.sharpeRatio, (risk.annualizedReturn - 0.02) / risk.volatility);
+      close(risk.valueAtRisk.historical[95], 0.0855);
+      assert.strictEqual(risk.drawdown.peakDate, '2025-01-01');
+      assert.strictEqual(calculatePortfolioRisk([], '2025-01-01'), null);
+    });
+
+    it('has no Sharpe ratio without volatility', function () {
+      close(calculateSharpeRatio(0.08, 0.12, 0.02), 0.5);
+      assert.strictEqual(calculateSharpeRatio(0.08, null), null);
+      assert.strictEqual(calculateSharpeRatio(null, 0.12), null);
+    });
+  });
+
+  describe('price series', function () {
+    it('annualizes a money market proxy between the closest prices', function () {
+      const history = [
+        { date: '2024-01-02', close: 100 },
+        { date: new Date('2024-07-01T00:00:00Z'), close: 101, adjustedClose: 102 },
+        { date: '2025-01-01', close: 104 }
+      ];
+
+      close(calculateAnnualizedPriceReturn(history, '2024-01-05', '2024-12-31'), Math.pow(1.02, 365 / 181) - 1);
+      assert.strictEqual(calculateAnnualizedPriceReturn(history, '2023-12-31', '2024-12-31'), null);
+    });
+
+    it('reads ProductPrices with one price per date', function () {
+      assert.deepStrictEqual(toPriceSeries([
+        { priceDate: new Date('2025-03-05T00:00:00Z'), price: 98 },
+        { priceDate: new Date('2025-03-04T00:00:00Z'), price: 97 },
+        { priceDate: '2025-03-05T16:00:00Z', price: 98.5 },
+        { priceDate: '2025-03-06', price: 0 }
+      ]), [{ date: '2025-03-04', price: 97 }, { date: '2025-03-05', price: 98.5 }]);
+      assert.deepStrictEqual(toPriceSeries(null), []);
+    });
+  });
+
+  describe('simulateHoldingsReturns', function () {
+    // A rises 1% a day; B has no price on the 11th and steps from 50 to 55 on the 12th
+    const dates = Array.from({ length: 21 }, (_, i) => dayKey(i + 1));
+    const priceHistories = {
+      A: dates.map((date, i) => ({ date, price: 100 * Math.pow(1.01, i) })),
+      B: dates.filter((_, i) => i !== 10).map((date, i) => ({ date, price: i < 10 ? 50 : 55 })),
+      C: dates.slice(0, 5).map(date => ({ date, price: 10 }))
+    };
+    const positions = [
+      { key: 'A', weight: 0.5 },
+      { key: 'B', weight: 0.3 },
+      { key: 'C', weight: 0.1 },
+      { key: 'CASH', weight: 0.1, isCash: true }
+    ];
+
+    it('applies past price moves to the current weights scaled to the invested part', function () {
+      const result = simulateHoldingsReturns(positions, priceHistories, dates[0], dates[20]);
+
+      assert.deepStrictEqual(result.coveredKeys, ['A', 'B']);
+      close(result.coveredWeight, 0.8);
+      close(result.investedWeight, 0.9);
+      assert.strictEqual(result.returns.length, 20);
+      assert.strictEqual(result.returns[0].date, '2025-03-02');
+      // Covered weights x 0.9 / 0.8
+      close(result.returns[0].return, 0.5 * 1.125 * 0.01);
+      close(result.returns[9].return, 0.5 * 1.125 * 0.01);
+      close(result.returns[10].return, 0.5 * 1.125 * 0.01 + 0.3 * 1.125 * 0.1);
+    });
+
+    it('simulates nothing without enough prices', function () {
+      const result = simulateHoldingsReturns(positions, priceHistories, dates[5], dates[20]);
+
+      assert.deepStrictEqual(result.returns, []);
+      assert.deepStrictEqual(result.coveredKeys, []);
+      close(result.investedWeight, 0.9);
+    });
+  });
+
+  describe('calculateConcentration', function () {
+    const positions = [
+      { key: 'XS1', name: 'Phoenix Apple / Microsoft', value: 200, issuer: 'BNP Paribas', underlyings: [{ key: 'AAPL', label: 'Apple' }, { key: 'MSFT', label: 'Microsoft' }] },
+      { key: 'US0378331005', name: 'Apple Inc', value: 150, underlyingKey: 'AAPL' },
+      { key: 'XS2', name: 'Autocall Microsoft', value: 100, issuer: 'bnp paribas ', underlyings: [{ key: 'MSFT', label: 'Microsoft' }] },
+      { key: 'DE0001102580', name: 'Bund 2032', value: 50 },
+      { key: 'CASH_EUR', name: 'Cash EUR', value: 500, isCash: true }
+    ];
+
+    it('ranks single names, issuers and look-through underlyings', function () {
+      const concentration = calculateConcentration(positions, 1000, { topN: 2 });
+
+      assert.deepStrictEqual(concentration.singleName.top.map(e => [e.key, e.weight]), [['XS1', 0.2], ['US0378331005', 0.15]]);
+      close(concentration.singleName.herfindahl, 0.04 + 0.0225 + 0.01 + 0.0025);
+      assert.deepStrictEqual(concentration.issuer.largest, { key: 'BNP PARIBAS', label: 'BNP Paribas', value: 300, count: 2, weight: 0.3 });
+      // The basket product counts in full against both names
+      assert.deepStrictEqual(concentration.underlying.top.map(e => [e.key, e.label, e.value]), [
+        ['AAPL', 'Apple', 350],
+        ['MSFT', 'Microsoft', 300]
+      ]);
+    });
+
+    it('flags metrics above their limits in percent', function () {
+      const risk = {
+        portfolio: { volatility: 0.12, drawdown: { maxDrawdown: 0.08 } },
+        valueAtRisk: { historical: { 95: 0.02, 99: null } },
+        concentration: calculateConcentration(positions, 1000)
+      };
+
+      const breaches = checkRiskLimits(risk, {
+        maxVolatility: 10,
+        maxDrawdown: 10,
+        maxVar95: 1.5,
+        maxVar99: 3,
+        maxIssuerWeight: null,
+        maxUnderlyingWeight: 25
+      });
+
+      assert.deepStrictEqual(breaches.map(b => [b.metric, b.limit, b.subject]), [
+        ['maxVolatility', 10, null],
+        ['maxVar95', 1.5, null],
+        ['maxUnderlyingWeight', 25, 'Apple']
+      ]);
+      close(breaches[0].actual, 12, 1e-9);
+      close(breaches[2].actual, 35, 1e-9);
+      assert.deepStrictEqual(checkRiskLimits(risk, {}), []);
+    });
+  });
+});
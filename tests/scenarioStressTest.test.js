@@ -0,0 +1,145 @@
+/**
+ * Scenario Stress Test Suite
+ *
+ * Shock resolution per underlying and the client P&L impact aggregated from
+ * the PMS holdings of the stressed products, per currency and per position.
+ */
+
+import assert from 'assert';
+import { ScenarioStressTest } from '../imports/api/scenarioStressTest';
+import { PMSHoldingsCollection } from '../imports/api/pmsHoldings';
+import { UsersCollection } from '../imports/api/users';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const product = (isin, currency, baselineValue, stressedValue, fields = {}) => ({
+  isin,
+  title: `Product ${isin}`,
+  currency,
+  baseline: { totalValue: baselineValue },
+  stressed: { totalValue: stressedValue },
+  impact: stressedValue - baselineValue,
+  newlyBreached: false,
+  ...fields
+});
+
+const holding = (userId, isin, portfolioCode, quantity) => ({ userId, isin, portfolioCode, quantity });
+
+describe('Scenario stress test', function () {
+  describe('resolveShock', function () {
+    const shocks = ScenarioStressTest.normalizeShocks({
+      global: -20,
+      sectors: { technology: '-30' },
+      tickers: { ' aapl ': -10, 'MSFT.US': 500 }
+    });
+
+    it('prefers the ticker, then the sector, then the global shock', function () {
+      const sectorByIsin = { US5949181045: 'technology', US0231351067: 'consumer_discretionary' };
+
+      assert.deepStrictEqual(ScenarioStressTest.resolveShock({ fullTicker: 'AAPL.US', isin: 'US0378331005' }, shocks, sectorByIsin),
+        { shock: -10, source: 'ticker', sector: null });
+      // Clamped to +200%
+      assert.deepStrictEqual(ScenarioStressTest.resolveShock({ fullTicker: 'MSFT.US', isin: 'US5949181045' }, shocks, sectorByIsin),
+        { shock: 200, source: 'ticker', sector: 'technology' });
+      assert.deepStrictEqual(ScenarioStressTest.resolveShock({ ticker: 'NVDA', sector: 'technology' }, shocks, sectorByIsin),
+        { shock: -30, source: 'sector', sector: 'technology' });
+      assert.deepStrictEqual(ScenarioStressTest.resolveShock({ ticker: 'AMZN', isin: 'US0231351067' }, shocks, sectorByIsin),
+        { shock: -20, source: 'global', sector: 'consumer_discretionary' });
+    });
+
+    it('moves the spot and the performance from the initial level', function () {
+      const [stressed] = ScenarioStressTest.stressUnderlyings(
+        [{ ticker: 'AMZN', initialPrice: 200, currentPrice: 180, performance: -10 }],
+        shocks,
+        {}
+      );
+
+      close(stressed.currentPrice, 144);
+      close(stressed.performance, -28);
+      assert.strictEqual(stressed.baselinePerformance, -10);
+    });
+  });
+
+  describe('aggregateByClient', function () {
+    const original = {
+      holdingsFind: PMSHoldingsCollection.find,
+      usersFind: UsersCollection.find
+    };
+    let holdings;
+    let holdingsQuery;
+
+    const productResults = [
+      product('XS0000000001', 'USD', 100, 87.5, { newlyBreached: true }),
+      product('XS0000000002', 'EUR', 98, 94)
+    ];
+
+    beforeEach(function () {
+      holdings = [
+        holding('u1', 'XS0000000001', 'P-1', 200000),
+        holding('u1', 'XS0000000002', 'P-1', 50000),
+        holding('u1', 'XS0000000001', 'CONSOLIDATED', 200000),
+        holding('u2', 'XS0000000001', 'P-9', 10000),
+        holding(null, 'XS0000000001', 'P-5', 30000),
+        holding('u2', 'XS0000000002', 'P-9', 0)
+      ];
+      PMSHoldingsCollection.find = (query) => {
+        holdingsQuery = query;
+        return {
+          fetchAsync: async () => holdings.filter(h => query.isin.$in.includes(h.isin)
+            && h.portfolioCode !== query.portfolioCode?.$ne
+            && (!query.userId || query.userId.$in.includes(h.userId)))
+        };
+      };
+      UsersCollection.find = () => ({
+        fetchAsync: async () => [
+          { _id: 'u1', profile: { firstName: 'Anna', lastName: 'Keller' } },
+          { _id: 'u2', email: 'client@example.com', profile: {} }
+        ]
+      });
+    });
+
+    afterEach(function () {
+      PMSHoldingsCollection.find = original.holdingsFind;
+      UsersCollection.find = original.usersFind;
+    });
+
+    it('applies the product impact to each nominal, per currency', async function () {
+      const clients = await ScenarioStressTest.aggregateByClient(productResults);
+
+      assert.deepStrictEqual(clients.map(c => [c.userId, c.clientName, c.impactByCurrency]), [
+        ['u1', 'Anna Keller', { USD: -25000, EUR: -2000 }],
+        ['u2', 'client@example.com', { USD: -1250 }]
+      ]);
+      // Mixed currencies are summed only to sort the clients
+      assert.strictEqual(clients[0].totalImpact, -27000);
+      assert.deepStrictEqual(clients[0].positions[0], {
+        isin: 'XS0000000001',
+        title: 'Product XS0000000001',
+        portfolioCode: 'P-1',
+        nominal: 200000,
+        currency: 'USD',
+        baselineValue: 200000,
+        stressedValue: 175000,
+        pnlImpact: -25000,
+        newlyBreached: true
+      });
+      assert.deepStrictEqual(clients[0].positions.map(p => p.pnlImpact), [-25000, -2000]);
+    });
+
+    it('counts a position once, not again through the consolidated portfolio', async function () {
+      const clients = await ScenarioStressTest.aggregateByClient(productResults);
+
+      assert.deepStrictEqual(holdingsQuery.portfolioCode, { $ne: 'CONSOLIDATED' });
+      assert.deepStrictEqual(clients[0].positions.map(p => p.portfolioCode), ['P-1', 'P-1']);
+    });
+
+    it('restricts the aggregation to the requested clients', async function () {
+      const clients = await ScenarioStressTest.aggregateByClient(productResults, ['u2']);
+
+      assert.deepStrictEqual(holdingsQuery.userId, { $in: ['u2'] });
+      assert.deepStrictEqual(clients.map(c => c.userId), ['u2']);
+      assert.deepStrictEqual(await ScenarioStressTest.aggregateByClient([product(null, 'USD', 100, 90)]), []);
+    });
+  });
+});
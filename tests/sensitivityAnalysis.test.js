@@ -0,0 +1,193 @@
+/**
+ * Sensitivity Analysis Test Suite
+ *
+ * Bump-and-revalue delta, gamma, vega and correlation on a pricer with known
+ * derivatives, the intrinsic revaluation of a participation note, and the
+ * book aggregation per product and per underlying in EUR.
+ */
+
+import assert from 'assert';
+import { SensitivityAnalysis } from '../imports/api/sensitivityAnalysis';
+import { ScenarioStressTest } from '../imports/api/scenarioStressTest';
+import { PMSHoldingsCollection } from '../imports/api/pmsHoldings';
+import { CurrencyRateCacheCollection } from '../imports/api/currencyCache';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+const underlying = (ticker, initialPrice, currentPrice) => ({
+  ticker,
+  fullTicker: `${ticker}.US`,
+  name: ticker,
+  initialPrice,
+  currentPrice,
+  performance: (currentPrice / initialPrice - 1) * 100
+});
+
+// Average of two underlyings at 100% participation: +10% and -10%, worth 100
+const participationReport = (underlyings, referencePerformance = 'average') => ({
+  templateId: 'participation_note',
+  templateResults: {
+    underlyings,
+    participationStructure: { participationRate: 100, referencePerformance }
+  }
+});
+
+describe('Sensitivity analysis', function () {
+  describe('computeProductSensitivities', function () {
+    const originalCreatePricer = SensitivityAnalysis.createPricer;
+
+    afterEach(function () {
+      SensitivityAnalysis.createPricer = originalCreatePricer;
+    });
+
+    it('takes central differences of a pricer with known derivatives', async function () {
+      // V = 90 + 0.4 sA + 0.05 sA² + 0.2 sB - 0.6 vA - 0.3 vB - 15 ρ
+      SensitivityAnalysis.createPricer = async () => {
+        const price = async ({ spot = {}, volatility = {}, correlation = 0 } = {}) => {
+          const sA = spot['AAA.US'] || 0;
+          const sB = spot['BBB.US'] || 0;
+          return 90 + 0.4 * sA + 0.05 * sA * sA + 0.2 * sB
+            - 0.6 * (volatility['AAA.US'] || 0) - 0.3 * (volatility['BBB.US'] || 0) - 15 * correlation;
+        };
+        return { method: 'monte_carlo', supportsVolatility: true, baseValue: await price(), price };
+      };
+      const report = {
+        templateId: 'phoenix_autocallable',
+        templateResults: {
+          underlyings: [underlying('AAA', 100, 65), underlying('BBB', 100, 80)],
+          phoenixStructure: { protectionBarrier: 60 },
+          observationAnalysis: {}
+        }
+      };
+
+      const result = await SensitivityAnalysis.computeProductSensitivities({}, report);
+
+      assert.strictEqual(result.value, 90);
+      assert.strictEqual(result.barrierLevel, 60);
+      assert.deepStrictEqual(result.underlyings.map(u => [u.key, u.delta, u.vega]), [
+        ['AAA.US', 0.4, -0.6],
+        ['BBB.US', 0.2, -0.3]
+      ]);
+      close(result.underlyings[0].gamma, 0.1);
+      close(result.underlyings[1].gamma, 0);
+      assert.strictEqual(result.correlation, -1.5);
+      // 5 points above the barrier is a gamma hot-spot, 20 points is not
+      assert.deepStrictEqual(result.underlyings.map(u => [u.distanceToBarrier, u.isGammaHotSpot]), [[5, true], [20, false]]);
+    });
+
+    it('has no sensitivities once the payoff is fixed', async function () {
+      const report = {
+        templateId: 'phoenix_autocallable',
+        templateResults: {
+          underlyings: [underlying('AAA', 100, 65)],
+          phoenixStructure: { protectionBarrier: 60 },
+          observationAnalysis: { isEarlyAutocall: true }
+        }
+      };
+
+      const result = await SensitivityAnalysis.computeProductSensitivities({}, report);
+
+      assert.strictEqual(result.method, 'locked');
+      assert.deepStrictEqual(result.underlyings.map(u => [u.delta, u.gamma, u.vega, u.isGammaHotSpot]), [[0, 0, null, false]]);
+    });
+
+    it('revalues a participation note at its intrinsic value', async function () {
+      const report = participationReport([underlying('AAA', 100, 110), underlying('BBB', 200, 180)]);
+
+      const result = await SensitivityAnalysis.computeProductSensitivities({}, report);
+
+      assert.strictEqual(result.method, 'intrinsic');
+      close(result.value, 100);
+      // A 1% move of a spot worth 110% / 90% of its initial level, averaged over two
+      assert.deepStrictEqual(result.underlyings.map(u => [u.key, u.delta, u.vega]), [
+        ['AAA.US', 0.55, null],
+        ['BBB.US', 0.45, null]
+      ]);
+      assert.strictEqual(result.correlation, null);
+    });
+  });
+
+  describe('run', function () {
+    const original = {
+      loadLiveProducts: ScenarioStressTest.loadLiveProducts,
+      loadLatestReports: ScenarioStressTest.loadLatestReports,
+      holdingsFind: PMSHoldingsCollection.find,
+      ratesFind: CurrencyRateCacheCollection.find
+    };
+    let holdingsQuery;
+
+    beforeEach(function () {
+      const products = [
+        { _id: 'p1', isin: 'XS0000000001', title: 'Average note', currency: 'USD' },
+        { _id: 'p2', isin: 'XS0000000002', title: 'Single note', currency: 'EUR' }
+      ];
+      const holdings = [
+        { isin: 'XS0000000001', portfolioCode: 'P-1', userId: 'u1', quantity: 100000 },
+        { isin: 'XS0000000001', portfolioCode: 'CONSOLIDATED', userId: 'u1', quantity: 100000 },
+        { isin: 'XS0000000001', portfolioCode: 'P-2', userId: 'u2', quantity: 50000 },
+        { isin: 'XS0000000002', portfolioCode: 'P-1', userId: 'u1', quantity: 10000 }
+      ];
+
+      ScenarioStressTest.loadLiveProducts = async () => products;
+      ScenarioStressTest.loadLatestReports = async () => ({
+        p1: participationReport([underlying('AAA', 100, 110), underlying('BBB', 200, 180)]),
+        p2: participationReport([underlying('AAA', 100, 110)], 'worst-of')
+      });
+      PMSHoldingsCollection.find = (query) => {
+        holdingsQuery = query;
+        return { fetchAsync: async () => holdings.filter(h => h.portfolioCode !== query.portfolioCode?.$ne) };
+      };
+      // 1 EUR = 1.25 USD
+      CurrencyRateCacheCollection.find = () => ({ fetchAsync: async () => [{ pair: 'EURUSD.FOREX', rate: 1.25 }] });
+    });
+
+    afterEach(function () {
+      ScenarioStressTest.loadLiveProducts = original.loadLiveProducts;
+      ScenarioStressTest.loadLatestReports = original.loadLatestReports;
+      PMSHoldingsCollection.find = original.holdingsFind;
+      CurrencyRateCacheCollection.find = original.ratesFind;
+    });
+
+    it('scales the sensitivities by the nominal held in EUR', async function () {
+      const report = await SensitivityAnalysis.run();
+      const byIsin = Object.fromEntries(report.products.map(p => [p.isin, p]));
+
+      assert.deepStrictEqual(holdingsQuery.portfolioCode, { $ne: 'CONSOLIDATED' });
+      // 150'000 USD at 0.8
+      assert.strictEqual(byIsin.XS0000000001.nominal, 150000);
+      assert.strictEqual(byIsin.XS0000000001.nominalEur, 120000);
+      assert.strictEqual(byIsin.XS0000000001.clientCount, 2);
+      assert.deepStrictEqual(byIsin.XS0000000001.underlyings.map(u => u.deltaEur), [66000, 54000]);
+      assert.strictEqual(byIsin.XS0000000001.deltaEur, 120000);
+      // Worst-of a single underlying at 110%: delta 1.1
+      assert.strictEqual(byIsin.XS0000000002.deltaEur, 11000);
+      assert.deepStrictEqual(report.products.map(p => p.isin), ['XS0000000001', 'XS0000000002']);
+    });
+
+    it('sums the cash sensitivities per underlying', async function () {
+      const report = await SensitivityAnalysis.run();
+
+      assert.deepStrictEqual(report.underlyings.map(u => [u.key, u.productCount, u.nominalEur, u.deltaEur]), [
+        ['AAA.US', 2, 130000, 77000],
+        ['BBB.US', 1, 120000, 54000]
+      ]);
+      assert.strictEqual(report.summary.nominalEur, 130000);
+      assert.strictEqual(report.summary.deltaEur, 131000);
+      assert.strictEqual(report.summary.vegaEur, 0);
+      assert.deepStrictEqual(report.skipped, []);
+    });
+
+    it('leaves out products nobody in scope holds', async function () {
+      PMSHoldingsCollection.find = (query) => {
+        holdingsQuery = query;
+        return { fetchAsync: async () => [{ isin: 'XS0000000002', portfolioCode: 'P-1', userId: 'u1', quantity: 10000 }] };
+      };
+
+      const report = await SensitivityAnalysis.run({ clientIds: ['u1'] });
+
+      assert.deepStrictEqual(holdingsQuery.userId, { $in: ['u1'] });
+      assert.deepStrictEqual(report.products.map(p => p.isin), ['XS0000000002']);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Session Authorization Test Suite
+ *
+ * The admin check shared by the methods the cron jobs call: the 'system-cron'
+ * sessionId only passes without a client connection, anything else needs an
+ * active admin session.
+ */
+
+import assert from 'assert';
+import { validateAdminSession, validateAdminOrCronSession } from '../server/helpers/sessionAuth';
+import { SessionsCollection } from '../imports/api/sessions';
+import { UsersCollection } from '../imports/api/users';
+
+const sessions = { 'admin-session': 'u-admin', 'client-session': 'u-client' };
+const users = {
+  'u-admin': { _id: 'u-admin', username: 'ops', role: 'admin' },
+  'u-client': { _id: 'u-client', username: 'client', role: 'client' }
+};
+
+const rejects = (promise, reason) => assert.rejects(promise, error => {
+  assert.strictEqual(error.error, 'not-authorized');
+  assert.strictEqual(error.reason, reason);
+  return true;
+});
+
+describe('Session authorization', function () {
+  const originalFindSession = SessionsCollection.findOneAsync;
+  const originalFindUser = UsersCollection.findOneAsync;
+
+  beforeEach(function () {
+    SessionsCollection.findOneAsync = async ({ sessionId, isActive }) =>
+      (isActive && sessions[sessionId] ? { sessionId, userId: sessions[sessionId] } : null);
+    UsersCollection.findOneAsync = async (userId) => users[userId] || null;
+  });
+
+  afterEach(function () {
+    SessionsCollection.findOneAsync = originalFindSession;
+    UsersCollection.findOneAsync = originalFindUser;
+  });
+
+  describe('validateAdminSession', function () {
+    it('returns the admin behind an active session', async function () {
+      const user = await validateAdminSession('admin-session');
+
+      assert.strictEqual(user._id, 'u-admin');
+    });
+
+    it('rejects missing, unknown and non-admin sessions', async function () {
+      await rejects(validateAdminSession(undefined), 'Session required');
+      await rejects(validateAdminSession('expired-session'), 'Invalid session');
+      await rejects(validateAdminSession('client-session'), 'Admin access required');
+    });
+  });
+
+  describe('validateAdminOrCronSession', function () {
+    it('lets the cron job through from the server', async function () {
+      const user = await validateAdminOrCronSession(null, 'system-cron');
+
+      assert.deepStrictEqual(user, { _id: 'system', username: 'system-cron', role: 'superadmin' });
+    });
+
+    it('does not honour the cron sessionId over a client connection', async function () {
+      await rejects(validateAdminOrCronSession({ id: 'ddp-1' }, 'system-cron'), 'Invalid session');
+    });
+
+    it('takes no other system sessionId', async function () {
+      await rejects(validateAdminOrCronSession(null, 'system'), 'Invalid session');
+    });
+
+    it('checks client sessions as admin sessions', async function () {
+      const user = await validateAdminOrCronSession({ id: 'ddp-1' }, 'admin-session');
+
+      assert.strictEqual(user._id, 'u-admin');
+      await rejects(validateAdminOrCronSession({ id: 'ddp-1' }, 'client-session'), 'Admin access required');
+    });
+  });
+});
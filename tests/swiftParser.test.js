@@ -0,0 +1,386 @@
+/**
+ * SWIFT Parser Test Suite
+ *
+ * Golden MT535, MT536, MT940 and MT950 statements mapped to the standard
+ * position and operation schemas: FX conversion to the statement base
+ * currency, percentage prices, operation types and paginated balances.
+ */
+
+import assert from 'assert';
+import { SwiftParser } from '../imports/api/parsers/swiftParser';
+import { SECURITY_TYPES } from '../imports/api/constants/instrumentTypes';
+import { OPERATION_TYPES } from '../imports/api/constants/operationTypes';
+
+const FILE_DATE = new Date(2025, 2, 14);
+
+const context = {
+  bankId: 'bank-1',
+  bankName: 'Test Bank',
+  sourceFile: '20250314_statements.fin',
+  fileDate: FILE_DATE,
+  userId: 'system'
+};
+
+// Holdings in USD and CHF, totals in CHF; 1 USD = 0.80 CHF
+const mt535 = `{1:F01BANKCHZZAXXX0000000000}{2:O5351200250314BANKCHZZAXXX00000000002503141200N}{4:
+:16R:GENL
+:28E:1/ONLY
+:20C::SEME//STMT535001
+:23G:NEWM
+:98A::STAT//20250314
+:22F::SFRE//DAIL
+:97A::SAFE//BANKCHZZXXX/12345-001
+:17B::ACTI//Y
+:16S:GENL
+:16R:SUBSAFE
+:16R:FIN
+:35B:ISIN US0378331005
+APPLE INC
+:12C::CLAS//ESVUFR
+:90B::MRKT//ACTU/USD220,
+:98A::PRIC//20250313
+:93B::AGGR//UNIT/100,
+:16R:SUBBAL
+:93C::AVAI//UNIT/AVAI/100,
+:19A::HOLD//USD99999,
+:16S:SUBBAL
+:19A::HOLD//USD22000,
+:19A::BOOK//USD15000,
+:92B::EXCH//USD/CHF/0,8
+:16S:FIN
+:16R:FIN
+:35B:ISIN CH0012345678
+CONFED 1,5 2030
+:12C::CLAS//DBFTFR
+:90A::MRKT//PRCT/101,25
+:93B::AGGR//FAMT/50000,
+:19A::HOLD//CHF50625,
+:19A::ACRU//CHF312,5
+:19A::BOOK//CHF49500,
+:16S:FIN
+:16S:SUBSAFE
+:16R:ADDINFO
+:19A::TOHO//CHF68225,
+:16S:ADDINFO
+-}{5:{CHK:123456789ABC}}`;
+
+const mt940 = `{1:F01BANKCHZZAXXX0000000000}{2:O9401200250314BANKCHZZAXXX00000000002503141200N}{4:
+:20:STMT940001
+:25:BANKCHZZXXX/12345-001
+:28C:42/1
+:60F:C250313CHF10000,00
+:61:2503140314D1500,00NTRFPAY123//BK0001
+:86:TRANSFER TO J. DOE
+:61:2503140314C455,00NDIVNONREF//BK0002
+:86:DIVIDEND ROCHE HOLDING
+:61:250314D35,NCHGNONREF
+:86:CUSTODY FEES Q1
+:62F:C250314CHF8920,00
+:64:C250314CHF8920,00
+-}`;
+
+const mt536 = `{1:F01BANKCHZZAXXX0000000000}{2:O5361200250314BANKCHZZAXXX00000000002503141200N}{4:
+:16R:GENL
+:28E:1/ONLY
+:20C::SEME//STMT536001
+:23G:NEWM
+:69A::STAT//20250301/20250314
+:97A::SAFE//BANKCHZZXXX/12345-001
+:17B::ACTI//Y
+:16S:GENL
+:16R:SUBSAFE
+:16R:FIN
+:35B:ISIN US0378331005
+APPLE INC
+:16R:TRAN
+:16R:LINK
+:20C::RELA//TRADE001
+:16S:LINK
+:16R:TRANSDET
+:36B::PSTA//UNIT/50,
+:19A::PSTA//USD11025,
+:22H::REDE//RECE
+:22H::PAYM//APMT
+:98A::TRAD//20250310
+:98A::ESET//20250312
+:90B::DEAL//ACTU/USD220,5
+:16S:TRANSDET
+:16S:TRAN
+:16R:TRAN
+:16R:LINK
+:13A::LINK//542
+:20C::RELA//TRADE002
+:16S:LINK
+:16R:TRANSDET
+:36B::PSTA//UNIT/10,
+:98A::ESET//20250313
+:70E::TRDE//TRANSFER TO
+OTHER CUSTODIAN
+:16S:TRANSDET
+:16S:TRAN
+:16S:FIN
+:16R:FIN
+:35B:ISIN CH0012032048
+ROCHE HOLDING
+:16R:TRAN
+:16R:LINK
+:20C::CORP//CA778899
+:16S:LINK
+:16R:TRANSDET
+:36B::PSTA//UNIT/20,
+:22F::TRAN//CORP
+:98A::ESET//20250314
+:70E::TRDE//STOCK SPLIT 2 FOR 1
+:16S:TRANSDET
+:16S:TRAN
+:16S:FIN
+:16S:SUBSAFE
+-}`;
+
+// Two bare MT950 pages: the intermediate 62M balance, then the final 62F
+const mt950 = `:20:STMT950001
+:25:/98765-EUR
+:28C:7/1
+:60F:C250313EUR5000,
+:61:250314C1000,NTRFNONREF//BK0100
+:62M:C250314EUR6000,
+-
+:20:STMT950001
+:25:/98765-EUR
+:28C:7/2
+:60M:C250314EUR6000,
+:61:250314D250,NSECNONREF
+:62F:C250314EUR5750,
+-`;
+
+const withoutProcessingDate = ({ processingDate, ...record }) => record;
+const withoutImportedAt = ({ importedAt, ...record }) => record;
+
+describe('SwiftParser', function () {
+  describe('file detection', function () {
+    it('routes files by the message type in the name', function () {
+      assert.strictEqual(SwiftParser.matchesPattern('20250314_statements.fin'), true);
+      assert.strictEqual(SwiftParser.matchesPattern('MT535_12345_20250314.txt'), true);
+      assert.strictEqual(SwiftParser.matchesPattern('MT536_12345_20250314.txt'), false);
+      assert.strictEqual(SwiftParser.matchesCashPattern('MT940-CHF.sta'), true);
+      assert.strictEqual(SwiftParser.matchesOperationsPattern('MT940-CHF.sta'), true);
+      assert.strictEqual(SwiftParser.matchesOperationsPattern('positions.mt535'), false);
+      assert.strictEqual(SwiftParser.matchesPattern('positions.csv'), false);
+    });
+
+    it('takes the latest statement date of the messages', function () {
+      assert.deepStrictEqual(SwiftParser.extractStatementDate(`${mt535}\n${mt536}\n${mt940}`), FILE_DATE);
+      assert.deepStrictEqual(SwiftParser.findFileDate('MT940_20250310.sta'), new Date(2025, 2, 10));
+      assert.strictEqual(SwiftParser.findFileDate('statements.fin'), null);
+    });
+
+    it('rejects files without a supported message', function () {
+      assert.deepStrictEqual(SwiftParser.validate(''), { valid: false, error: 'File is empty' });
+      assert.strictEqual(SwiftParser.validate(':20:REF\n:79:FREE TEXT\n-').valid, false);
+      assert.deepStrictEqual(SwiftParser.validate(mt950), { valid: true });
+    });
+  });
+
+  describe('MT535 and MT940 positions', function () {
+    const positions = SwiftParser.parse(`${mt535}\n${mt940}`, context);
+
+    it('maps a foreign holding to the golden position', function () {
+      assert.strictEqual(positions.length, 3);
+      assert.deepStrictEqual(withoutProcessingDate(positions[0]), {
+        bankId: 'bank-1',
+        bankName: 'Test Bank',
+        connectionId: null,
+        sourceFile: '20250314_statements.fin',
+        sourceFilePath: null,
+        fileDate: FILE_DATE,
+        dataDate: FILE_DATE,
+        portfolioCode: '12345-001',
+        accountNumber: 'BANKCHZZXXX/12345-001',
+        thirdPartyCode: null,
+        isin: 'US0378331005',
+        ticker: null,
+        securityName: 'APPLE INC',
+        securityType: SECURITY_TYPES.EQUITY,
+        securityTypeCode: 'ESVUFR',
+        securityTypeDesc: null,
+        quantity: 100,
+        marketValue: 17600,
+        marketValueNoAccruedInterest: null,
+        marketValueOriginalCurrency: 22000,
+        bookValue: 15000,
+        currency: 'USD',
+        portfolioCurrency: 'CHF',
+        priceType: 'absolute',
+        marketPrice: 220,
+        priceDate: new Date(2025, 2, 13),
+        priceCurrency: 'USD',
+        costPrice: 150,
+        costBasisOriginalCurrency: 15000,
+        costBasisPortfolioCurrency: 12000,
+        unrealizedPnL: 5600,
+        unrealizedPnLPercent: (5600 / 12000) * 100,
+        bankSpecificData: {
+          messageType: '535',
+          statementReference: 'STMT535001',
+          localCode: null,
+          quantityType: 'UNIT',
+          priceCode: 'ACTU',
+          accruedInterest: null,
+          exchangeRate: 'USD/CHF/0,8'
+        },
+        userId: 'system',
+        isActive: true,
+        version: 1,
+        bankFxRates: { USD: 1.25 }
+      });
+    });
+
+    it('maps a bond at a percentage price with accrued interest', function () {
+      const bond = positions[1];
+
+      assert.strictEqual(bond.isin, 'CH0012345678');
+      assert.strictEqual(bond.securityName, 'CONFED 1,5 2030');
+      assert.strictEqual(bond.securityType, SECURITY_TYPES.BOND);
+      assert.strictEqual(bond.quantity, 50000);
+      assert.strictEqual(bond.priceType, 'percentage');
+      assert.strictEqual(bond.marketPrice, 1.0125);
+      assert.strictEqual(bond.marketValue, 50625);
+      assert.strictEqual(bond.marketValueNoAccruedInterest, 50312.5);
+      assert.strictEqual(bond.portfolioCurrency, 'CHF');
+      assert.strictEqual(bond.costPrice, 0.99);
+      assert.strictEqual(bond.unrealizedPnL, 1125);
+      assert.deepStrictEqual(bond.bankSpecificData.accruedInterest, { currency: 'CHF', amount: 312.5 });
+      assert.deepStrictEqual(bond.bankFxRates, {});
+    });
+
+    it('adds the MT940 closing balance as a cash position', function () {
+      const cash = positions[2];
+
+      assert.strictEqual(cash.securityType, SECURITY_TYPES.CASH);
+      assert.strictEqual(cash.securityName, 'Cash CHF');
+      assert.strictEqual(cash.portfolioCode, '12345-001');
+      assert.strictEqual(cash.quantity, 8920);
+      assert.strictEqual(cash.marketValue, 8920);
+      assert.deepStrictEqual(cash.dataDate, FILE_DATE);
+      assert.deepStrictEqual(cash.bankSpecificData, {
+        messageType: '940',
+        statementReference: 'STMT940001',
+        statementNumber: '42/1',
+        finalBalance: true,
+        openingBalance: 10000,
+        availableBalance: 8920
+      });
+    });
+  });
+
+  describe('MT950 positions', function () {
+    it('keeps the final balance of a paginated statement', function () {
+      const positions = SwiftParser.parseCash(mt950, context);
+
+      assert.strictEqual(positions.length, 1);
+      assert.strictEqual(positions[0].portfolioCode, '98765-EUR');
+      assert.strictEqual(positions[0].quantity, 5750);
+      assert.strictEqual(positions[0].portfolioCurrency, 'EUR');
+      assert.strictEqual(positions[0].bankSpecificData.messageType, '950');
+      assert.strictEqual(positions[0].bankSpecificData.finalBalance, true);
+      assert.strictEqual(positions[0].bankSpecificData.openingBalance, 6000);
+    });
+  });
+
+  describe('MT536 operations', function () {
+    const operations = SwiftParser.parseOperations(mt536, context);
+
+    it('maps a purchase against payment to the golden operation', function () {
+      assert.strictEqual(operations.length, 3);
+      assert.deepStrictEqual(withoutImportedAt(operations[0]), {
+        bankId: 'bank-1',
+        bankName: 'Test Bank',
+        portfolioCode: '12345-001',
+        accountNumber: 'BANKCHZZXXX/12345-001',
+        portfolioCurrency: 'USD',
+        userId: 'system',
+        operationDate: new Date(2025, 2, 10),
+        transactionDate: new Date(2025, 2, 10),
+        valueDate: new Date(2025, 2, 12),
+        fileDate: FILE_DATE,
+        isin: 'US0378331005',
+        instrumentName: 'APPLE INC',
+        securityCurrency: 'USD',
+        operationType: OPERATION_TYPES.BUY,
+        operationCategory: 'SECURITIES',
+        operationCode: 'TRADE001',
+        instrumentCode: 'US0378331005',
+        transactionRef: 'TRADE001',
+        transactionTypeCode: null,
+        debitCredit: 'DEBIT',
+        quantity: 50,
+        price: 220.5,
+        grossAmount: 11025,
+        netAmount: 11025,
+        totalFees: 0,
+        remark: null,
+        sourceFile: '20250314_statements.fin',
+        isActive: true,
+        bankSpecificData: {
+          messageType: '536',
+          debitCredit: 'DEBIT',
+          statementReference: 'STMT536001',
+          references: { RELA: 'TRADE001' },
+          linkedMessageType: null,
+          movement: 'RECE',
+          payment: 'APMT',
+          quantityType: 'UNIT',
+          isReversal: false
+        }
+      });
+    });
+
+    it('takes the movement of a free delivery from the linked MT542', function () {
+      const delivery = operations[1];
+
+      assert.strictEqual(delivery.operationType, OPERATION_TYPES.TRANSFER_OUT);
+      assert.strictEqual(delivery.quantity, 10);
+      assert.strictEqual(delivery.grossAmount, null);
+      assert.deepStrictEqual(delivery.operationDate, new Date(2025, 2, 13));
+      assert.strictEqual(delivery.remark, 'TRANSFER TO OTHER CUSTODIAN');
+      assert.strictEqual(delivery.bankSpecificData.linkedMessageType, '542');
+    });
+
+    it('books a corporate action under its own instrument and reference', function () {
+      const split = operations[2];
+
+      assert.strictEqual(split.operationType, OPERATION_TYPES.CORPORATE_ACTION);
+      assert.strictEqual(split.isin, 'CH0012032048');
+      assert.strictEqual(split.operationCode, 'CA778899');
+      assert.strictEqual(split.transactionTypeCode, 'CORP');
+      assert.strictEqual(split.quantity, 20);
+      assert.deepStrictEqual(split.operationDate, FILE_DATE);
+    });
+  });
+
+  describe('MT940 and MT950 operations', function () {
+    it('maps MT940 statement lines with their narrative', function () {
+      const operations = SwiftParser.parseOperations(mt940, context);
+
+      assert.deepStrictEqual(operations.map(op => [op.operationType, op.amount, op.operationCode, op.text]), [
+        [OPERATION_TYPES.TRANSFER_OUT, -1500, 'BK0001', 'TRANSFER TO J. DOE'],
+        [OPERATION_TYPES.DIVIDEND, 455, 'BK0002', 'DIVIDEND ROCHE HOLDING'],
+        [OPERATION_TYPES.FEE, -35, 'STMT940001-42/1-3', 'CUSTODY FEES Q1']
+      ]);
+      assert.deepStrictEqual(operations[0].operationDate, FILE_DATE);
+      assert.deepStrictEqual(operations[0].valueDate, FILE_DATE);
+      assert.strictEqual(operations[0].portfolioCurrency, 'CHF');
+      assert.strictEqual(operations[0].bankSpecificData.customerReference, 'PAY123');
+      assert.strictEqual(operations[1].bankSpecificData.customerReference, null);
+    });
+
+    it('maps the lines of every MT950 page', function () {
+      const operations = SwiftParser.parseOperations(mt950, context);
+
+      assert.deepStrictEqual(operations.map(op => [op.operationType, op.amount, op.operationCode, op.portfolioCode]), [
+        [OPERATION_TYPES.TRANSFER_IN, 1000, 'BK0100', '98765-EUR'],
+        [OPERATION_TYPES.OTHER, -250, 'STMT950001-7/2-1', '98765-EUR']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * TWR Calculator Test Suite
+ *
+ * External flows converted into the reporting currency at the rates of their
+ * date, and the split of a translated TWR into the return at constant FX
+ * rates and the currency translation effect.
+ */
+
+import assert from 'assert';
+import {
+  getSignedFlowAmount,
+  buildDailyFlowsFromOperations,
+  calculateDailyTWR,
+  calculateFxTranslationSeries
+} from '../imports/api/helpers/twrCalculator';
+import { OPERATION_TYPES } from '../imports/api/constants/operationTypes';
+
+const close = (actual, expected, tolerance = 1e-12) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+// Currency -> EUR multipliers
+const ratesMap = { EUR: 1, USD: 0.8, CHF: 1.1 };
+
+describe('TWR calculator', function () {
+  describe('getSignedFlowAmount', function () {
+    it('converts the portfolio-currency amount from the account currency', function () {
+      const op = { operationType: OPERATION_TYPES.TRANSFER_IN, amountPortfolioCcy: 1000, netAmount: 1300, currency: 'USD' };
+
+      close(getSignedFlowAmount(op, ratesMap, { currency: 'EUR', portfolioCurrency: 'CHF' }), 1100);
+      // 1'000 CHF = 1'100 EUR = 1'375 USD
+      close(getSignedFlowAmount(op, ratesMap, { currency: 'USD', portfolioCurrency: 'CHF' }), 1375);
+    });
+
+    it('falls back to the net amount in the operation currency', function () {
+      const op = { operationType: OPERATION_TYPES.PAYMENT_IN, netAmount: 500, currency: 'USD' };
+
+      close(getSignedFlowAmount(op, ratesMap, { currency: 'CHF', portfolioCurrency: 'CHF' }), 400 / 1.1);
+      assert.strictEqual(getSignedFlowAmount(op, ratesMap, { currency: 'USD' }), 500);
+    });
+
+    it('signs by operation type whatever the sign of the amount', function () {
+      const withdrawal = { operationType: OPERATION_TYPES.TRANSFER_OUT, amountPortfolioCcy: 250 };
+      const refund = { operationType: OPERATION_TYPES.PAYMENT_IN, amountPortfolioCcy: -250 };
+
+      assert.strictEqual(getSignedFlowAmount(withdrawal, ratesMap), -250);
+      assert.strictEqual(getSignedFlowAmount(refund, ratesMap), 250);
+    });
+  });
+
+  describe('buildDailyFlowsFromOperations', function () {
+    it('converts each flow at the rates of its date and in its account currency', function () {
+      const ratesOn = (date) => (date < '2025-03-10' ? { EUR: 1, CHF: 1.05, USD: 0.9 } : { EUR: 1, CHF: 1.1, USD: 0.8 });
+      const operations = [
+        { portfolioCode: 'CH-1', operationType: OPERATION_TYPES.TRANSFER_IN, amountPortfolioCcy: 1000, operationDate: new Date('2025-03-07T00:00:00Z') },
+        { portfolioCode: 'US-2', operationType: OPERATION_TYPES.TRANSFER_OUT, amountPortfolioCcy: -500, operationDate: new Date('2025-03-07T00:00:00Z') },
+        { portfolioCode: 'CH-1', operationType: OPERATION_TYPES.PAYMENT_OUT, netAmount: 200, currency: 'USD', operationDate: '2025-03-12T09:30:00Z' },
+        { portfolioCode: 'CH-1', operationType: OPERATION_TYPES.DIVIDEND, netAmount: 80, currency: 'CHF', operationDate: '2025-03-12' },
+        { portfolioCode: 'US-2', operationType: OPERATION_TYPES.TRANSFER_OUT, amountPortfolioCcy: 300, corporateActionId: 'ca1', operationDate: '2025-03-12' }
+      ];
+
+      const flows = buildDailyFlowsFromOperations(operations, ratesOn, {
+        currency: 'EUR',
+        portfolioCurrencies: { 'CH-1': 'CHF', 'US-2': 'USD' }
+      });
+
+      assert.deepStrictEqual(Object.keys(flows), ['2025-03-07', '2025-03-12']);
+      // 1'000 CHF x 1.05 - 500 USD x 0.9
+      close(flows['2025-03-07'], 600);
+      // Only the USD payment: dividends and corporate action transfers are not external flows
+      close(flows['2025-03-12'], -160);
+    });
+  });
+
+  describe('calculateFxTranslationSeries', function () {
+    // One CHF account reported in EUR: CHF -> EUR 1.05, 1.10, 1.10, 1.00, 1.00
+    const chfValues = [1000, 1000, 1020, 1120, 2000];
+    const chfRates = [1.05, 1.1, 1.1, 1, 1];
+    const dates = ['2025-03-03', '2025-03-04', '2025-03-05', '2025-03-06', '2025-03-07'];
+    const dailyValues = dates.map((date, i) => ({ date, totalValueEUR: chfValues[i] * chfRates[i] }));
+    const constantFxValues = Object.fromEntries(dates.slice(1).map((date, i) => [date, chfValues[i + 1] * chfRates[i]]));
+    // 100 EUR deposited on the 6th
+    const dailyFlows = { '2025-03-06': 100 };
+
+    it('splits each step into the local return and the FX effect', function () {
+      const twrSeries = calculateDailyTWR(dailyValues, dailyFlows);
+      const fxSeries = calculateFxTranslationSeries(twrSeries, constantFxValues);
+
+      assert.deepStrictEqual(fxSeries.map(s => s.date), dates.slice(1));
+      // Unchanged in CHF, +4.76% in EUR: all currency
+      close(fxSeries[0].localReturn, 0);
+      close(fxSeries[0].fxEffect, 1100 / 1050 - 1);
+      // +2% in CHF at a stable rate: no FX effect
+      close(fxSeries[1].localReturn, 0.02);
+      close(fxSeries[1].fxEffect, 0);
+      // With the deposit: (1'120 x 1.10 - 1'122 - 100) / 1'222 locally, (1'120 - 1'122 - 100) / 1'222 in EUR
+      close(fxSeries[2].localReturn, 10 / 1222);
+      close(fxSeries[2].fxEffect, -102 / 1222 - 10 / 1222);
+      close(fxSeries[2].localReturn + fxSeries[2].fxEffect, twrSeries[2].dailyReturn);
+    });
+
+    it('keeps a neutralized day neutral and compounds the local returns', function () {
+      const twrSeries = calculateDailyTWR(dailyValues, dailyFlows);
+      const fxSeries = calculateFxTranslationSeries(twrSeries, constantFxValues);
+
+      // +78.6% on the 7th is clamped by calculateDailyTWR as a missing flow
+      assert.strictEqual(twrSeries[3].dailyReturn, 0);
+      assert.strictEqual(fxSeries[3].localReturn, 0);
+      assert.strictEqual(fxSeries[3].fxEffect, 0);
+      close(fxSeries[3].cumulativeLocalTWR, 1.02 * (1 + 10 / 1222) - 1);
+    });
+
+    it('has no FX effect without constant-rate values', function () {
+      const twrSeries = calculateDailyTWR(dailyValues, dailyFlows);
+      const fxSeries = calculateFxTranslationSeries(twrSeries, null);
+
+      fxSeries.forEach((entry, i) => {
+        assert.strictEqual(entry.localReturn, twrSeries[i].dailyReturn);
+        assert.strictEqual(entry.fxEffect, 0);
+      });
+      assert.deepStrictEqual(calculateFxTranslationSeries([], constantFxValues), []);
+    });
+  });
+});